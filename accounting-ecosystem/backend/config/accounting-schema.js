@@ -10,6 +10,7 @@
  * where pool is a pg.Pool connected to Supabase direct PostgreSQL.
  * ============================================================================
  */
+const { defaultCashFlowCategory } = require('../modules/accounting/services/cashFlowUtils');
 
 async function ensureAccountingSchema(pool) {
   const client = await pool.connect();
@@ -102,6 +103,7 @@ async function ensureAccountingSchema(pool) {
       ['reporting_group', 'VARCHAR(100)'],
       ['sort_order',      'INTEGER DEFAULT 0'],
       ['vat_code',        'VARCHAR(20)'],
+      ['cash_flow_category', 'VARCHAR(20)'],
     ];
     for (const [col, type] of accountEnhancementColumns) {
       await client.query(
@@ -506,6 +508,9 @@ async function ensureAccountingSchema(pool) {
     // Backfill: give any existing rows without a code a generated one (idempotent)
     await client.query(`UPDATE coa_segments SET code = 'SEG_' || id WHERE code IS NULL`);
 
+    // ── 22c-cf. Cash-flow category on template accounts (see migration 144) ──
+    await client.query(`ALTER TABLE coa_template_accounts ADD COLUMN IF NOT EXISTS cash_flow_category VARCHAR(20)`);
+
     // ── 22d. Seed Standard SA Base COA Template (idempotent) ─────────────────
     await seedCOABaseTemplate(client);
 
@@ -844,6 +849,20 @@ async function ensureAccountingSchema(pool) {
       await client.query(`ALTER TABLE vat_periods ADD COLUMN IF NOT EXISTS ${col} ${type}`);
     }
 
+    // ── Multi-currency (migration 146) ────────────────────────────────────────
+    // JournalService writes foreign_debit/foreign_credit on every line, so these
+    // columns must exist before the first journal is created.
+    for (const table of ['customer_invoices', 'supplier_invoices', 'customer_payments', 'supplier_payments', 'journals']) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS currency_code VARCHAR(10) NOT NULL DEFAULT 'ZAR'`);
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) NOT NULL DEFAULT 1`);
+    }
+    for (const table of ['customer_payment_allocations', 'supplier_payment_allocations']) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS base_amount NUMERIC(15,2)`);
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS fx_gain_loss NUMERIC(15,2) NOT NULL DEFAULT 0`);
+    }
+    await client.query(`ALTER TABLE journal_lines ADD COLUMN IF NOT EXISTS foreign_debit NUMERIC(15,2)`);
+    await client.query(`ALTER TABLE journal_lines ADD COLUMN IF NOT EXISTS foreign_credit NUMERIC(15,2)`);
+
     // Indexes for VAT period assignment queries
     await client.query(`CREATE INDEX IF NOT EXISTS idx_journals_vat_period ON journals(vat_period_id)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_journals_oop ON journals(company_id, is_out_of_period) WHERE is_out_of_period = true`);
@@ -931,6 +950,8 @@ const STANDARD_SA_BASE = [
   ['4600', 'Rental Income',                        'income', 'other_income', 'other_income', 'Rental income from property or assets leased out',                                   4600, false],
   ['4700', 'Profit on Disposal of Assets',         'income', 'other_income', 'other_income', 'Gain on sale of fixed assets',                                                       4700, false],
   ['4800', 'Other Income',                         'income', 'other_income', 'other_income', 'Sundry income not classifiable above',                                               4800, false],
+  ['4810', 'Foreign Exchange Gain/Loss — Realised',        'income', 'other_income', 'other_income', 'FX differences on settled foreign invoices (loss = debit balance)',          4810, true],
+  ['4820', 'Foreign Exchange Gain/Loss — Unrealised',      'income', 'other_income', 'other_income', 'Period-end revaluation of open foreign balances, reversed the next day', 4820, true],
 
   // ── COST OF SALES (5000–5999) ─────────────────────────────────────────────
   ['5000', 'Cost of Sales — Materials',            'expense', 'cost_of_sales', 'cost_of_sales', 'Direct cost of materials or stock sold',                                          5000, false],
@@ -1031,10 +1052,12 @@ async function seedCOABaseTemplate(client) {
   for (const [code, name, type, sub_type, reporting_group, description, sort_order, is_system_account] of STANDARD_SA_BASE) {
     await client.query(
       `INSERT INTO coa_template_accounts
-         (template_id, code, name, type, sub_type, reporting_group, description, sort_order, is_system_account)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         (template_id, code, name, type, sub_type, reporting_group, description, sort_order, is_system_account,
+          cash_flow_category)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        ON CONFLICT (template_id, code) DO NOTHING`,
-      [templateId, code, name, type, sub_type, reporting_group, description, sort_order, is_system_account]
+      [templateId, code, name, type, sub_type, reporting_group, description, sort_order, is_system_account,
+       defaultCashFlowCategory({ type, sub_type, reporting_group, name })]
     );
   }
 
@@ -1093,12 +1116,13 @@ async function provisionFromTemplate(companyId, client, templateId = null) {
     const result = await client.query(
       `INSERT INTO accounts
          (company_id, code, name, type, sub_type, reporting_group, description,
-          sort_order, vat_code, is_active, is_system)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true, false)
+          sort_order, vat_code, cash_flow_category, is_active, is_system)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, true, false)
        ON CONFLICT (company_id, code) DO NOTHING
        RETURNING id`,
       [companyId, ta.code, ta.name, ta.type, ta.sub_type, ta.reporting_group,
-       ta.description, ta.sort_order, ta.vat_code || null]
+       ta.description, ta.sort_order, ta.vat_code || null,
+       ta.cash_flow_category || defaultCashFlowCategory(ta)]
     );
     if (result.rows.length > 0) inserted++;
   }
@@ -1230,10 +1254,12 @@ async function seedFarmingTemplate(client) {
   for (const [code, name, type, sub_type, reporting_group, description, sort_order, is_system_account] of FARMING_SA_OVERLAY) {
     await client.query(
       `INSERT INTO coa_template_accounts
-         (template_id, code, name, type, sub_type, reporting_group, description, sort_order, is_system_account)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         (template_id, code, name, type, sub_type, reporting_group, description, sort_order, is_system_account,
+          cash_flow_category)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        ON CONFLICT (template_id, code) DO NOTHING`,
-      [templateId, code, name, type, sub_type, reporting_group, description, sort_order, is_system_account]
+      [templateId, code, name, type, sub_type, reporting_group, description, sort_order, is_system_account,
+       defaultCashFlowCategory({ type, sub_type, reporting_group, name })]
     );
   }
 
@@ -1286,12 +1312,13 @@ async function applyTemplateOverlay(companyId, client, templateId) {
     const result = await client.query(
       `INSERT INTO accounts
          (company_id, code, name, type, sub_type, reporting_group, description,
-          sort_order, vat_code, is_active, is_system)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true, false)
+          sort_order, vat_code, cash_flow_category, is_active, is_system)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, true, false)
        ON CONFLICT (company_id, code) DO NOTHING
        RETURNING id`,
       [companyId, ta.code, ta.name, ta.type, ta.sub_type, ta.reporting_group,
-       ta.description, ta.sort_order, ta.vat_code || null]
+       ta.description, ta.sort_order, ta.vat_code || null,
+       ta.cash_flow_category || defaultCashFlowCategory(ta)]
     );
     if (result.rows.length > 0) inserted++;
   }
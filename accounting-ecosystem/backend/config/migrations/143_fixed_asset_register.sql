@@ -0,0 +1,165 @@
+-- =============================================================================
+-- Migration 143: Fixed Asset Register & Depreciation Runs
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: Creates the fixed asset subsystem for the accounting module.
+-- Until now asset balances were only visible as GL totals on accounts
+-- 1600–1900; depreciation schedules were kept in spreadsheets.
+--
+-- Design rules:
+--   - Book values (accounting policy) and tax values (SARS s11(e) wear-and-
+--     tear) are tracked side by side on every asset and every run line.
+--   - A depreciation run covers exactly one calendar month (period_key
+--     'YYYY-MM') and is unique per company — re-running a month is blocked.
+--   - Runs create a DRAFT journal via JournalService.createDraftJournal; the
+--     accountant posts it through the normal journals flow.
+--   - Runs are never deleted — cancelling sets status='cancelled' and the
+--     asset running totals are restored from the run lines.
+--
+-- Tables created:
+--   1. fixed_asset_classes            — GL mapping + default policy per class
+--   2. fixed_assets                   — the register itself
+--   3. fixed_asset_depreciation_runs  — one per company per month
+--   4. fixed_asset_depreciation_lines — per-asset book + tax movement per run
+-- =============================================================================
+
+BEGIN;
+
+-- ─── 1. fixed_asset_classes ──────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS fixed_asset_classes (
+  id                          SERIAL PRIMARY KEY,
+  company_id                  INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  code                        VARCHAR(20) NOT NULL,
+  name                        VARCHAR(255) NOT NULL,
+
+  -- GL mapping
+  cost_account_id             INTEGER NOT NULL REFERENCES accounts(id),
+  accum_depreciation_account_id INTEGER NOT NULL REFERENCES accounts(id),
+  depreciation_expense_account_id INTEGER NOT NULL REFERENCES accounts(id),
+  disposal_account_id         INTEGER REFERENCES accounts(id),   -- profit/loss on disposal (defaults to 4700)
+
+  -- Default book policy (copied onto new assets, overridable per asset)
+  default_method              VARCHAR(20) NOT NULL DEFAULT 'straight_line'
+                                CHECK (default_method IN ('straight_line','reducing_balance')),
+  default_useful_life_months  INTEGER,
+  default_reducing_rate       NUMERIC(7,4),                      -- annual % for reducing balance
+
+  -- SARS s11(e) write-off period in years (Interpretation Note 47, Annexure A)
+  default_tax_write_off_years NUMERIC(5,2),
+
+  is_active                   BOOLEAN NOT NULL DEFAULT true,
+  created_at                  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at                  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (company_id, code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fixed_asset_classes_company
+  ON fixed_asset_classes(company_id);
+
+-- ─── 2. fixed_assets ─────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS fixed_assets (
+  id                          SERIAL PRIMARY KEY,
+  company_id                  INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  class_id                    INTEGER NOT NULL REFERENCES fixed_asset_classes(id),
+  asset_number                VARCHAR(50) NOT NULL,
+  description                 TEXT NOT NULL,
+  serial_number               VARCHAR(100),
+  location                    VARCHAR(255),
+  segment_value_id            INTEGER REFERENCES coa_segment_values(id) ON DELETE SET NULL,
+
+  -- Acquisition
+  acquisition_date            DATE NOT NULL,
+  available_for_use_date      DATE NOT NULL,                     -- depreciation starts here
+  cost                        NUMERIC(15,2) NOT NULL CHECK (cost >= 0),
+  residual_value              NUMERIC(15,2) NOT NULL DEFAULT 0,
+  acquisition_journal_id      INTEGER REFERENCES journals(id) ON DELETE SET NULL,
+
+  -- Book policy
+  method                      VARCHAR(20) NOT NULL DEFAULT 'straight_line'
+                                CHECK (method IN ('straight_line','reducing_balance')),
+  useful_life_months          INTEGER,
+  reducing_rate               NUMERIC(7,4),
+
+  -- Tax policy (s11(e))
+  tax_cost                    NUMERIC(15,2),                     -- defaults to cost when null
+  tax_write_off_years         NUMERIC(5,2),
+
+  -- Running totals — maintained by depreciation runs / cancellations
+  accumulated_depreciation    NUMERIC(15,2) NOT NULL DEFAULT 0,
+  tax_allowance_claimed       NUMERIC(15,2) NOT NULL DEFAULT 0,
+  depreciated_to_date         DATE,
+
+  -- Lifecycle: active → fully_depreciated | disposed
+  status                      VARCHAR(20) NOT NULL DEFAULT 'active'
+                                CHECK (status IN ('active','fully_depreciated','disposed')),
+
+  -- Disposal
+  disposal_date               DATE,
+  disposal_proceeds           NUMERIC(15,2),
+  disposal_journal_id         INTEGER REFERENCES journals(id) ON DELETE SET NULL,
+  disposal_profit             NUMERIC(15,2),
+  tax_recoupment              NUMERIC(15,2),
+  tax_scrapping_allowance     NUMERIC(15,2),
+
+  created_by_user_id          INTEGER,
+  created_at                  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at                  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (company_id, asset_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fixed_assets_company_status
+  ON fixed_assets(company_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_fixed_assets_class
+  ON fixed_assets(class_id);
+
+-- ─── 3. fixed_asset_depreciation_runs ────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS fixed_asset_depreciation_runs (
+  id                          SERIAL PRIMARY KEY,
+  company_id                  INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  period_key                  VARCHAR(7) NOT NULL,               -- 'YYYY-MM'
+  period_from                 DATE NOT NULL,
+  period_to                   DATE NOT NULL,
+  status                      VARCHAR(20) NOT NULL DEFAULT 'draft'
+                                CHECK (status IN ('draft','cancelled')),
+  journal_id                  INTEGER REFERENCES journals(id) ON DELETE SET NULL,
+  asset_count                 INTEGER NOT NULL DEFAULT 0,
+  total_book_depreciation     NUMERIC(15,2) NOT NULL DEFAULT 0,
+  total_tax_allowance         NUMERIC(15,2) NOT NULL DEFAULT 0,
+  created_by_user_id          INTEGER,
+  created_at                  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  cancelled_by_user_id        INTEGER,
+  cancelled_at                TIMESTAMPTZ,
+  cancel_reason               TEXT
+);
+
+-- Only one live run per company per month; cancelled runs may be re-run.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_fixed_asset_runs_period
+  ON fixed_asset_depreciation_runs(company_id, period_key)
+  WHERE status <> 'cancelled';
+
+-- ─── 4. fixed_asset_depreciation_lines ───────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS fixed_asset_depreciation_lines (
+  id                          SERIAL PRIMARY KEY,
+  run_id                      INTEGER NOT NULL REFERENCES fixed_asset_depreciation_runs(id) ON DELETE CASCADE,
+  asset_id                    INTEGER NOT NULL REFERENCES fixed_assets(id),
+  opening_book_value          NUMERIC(15,2) NOT NULL,
+  book_depreciation           NUMERIC(15,2) NOT NULL,
+  closing_book_value          NUMERIC(15,2) NOT NULL,
+  opening_tax_value           NUMERIC(15,2) NOT NULL,
+  tax_allowance               NUMERIC(15,2) NOT NULL,
+  closing_tax_value           NUMERIC(15,2) NOT NULL,
+  UNIQUE (run_id, asset_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fixed_asset_dep_lines_asset
+  ON fixed_asset_depreciation_lines(asset_id);
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
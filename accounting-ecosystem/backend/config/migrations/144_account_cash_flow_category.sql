@@ -0,0 +1,75 @@
+-- =============================================================================
+-- Migration 144: Cash-Flow Classification on Accounts
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: Adds a per-account cash-flow category used by the indirect-method
+-- cash-flow statement (GET /api/accounting/reports/cash-flow).
+--
+-- Categories:
+--   cash       — cash and cash equivalents (reporting_group 'bank_cash')
+--   operating  — working capital + all income/expense accounts
+--   non_cash   — accumulated depreciation / amortisation, deferred tax
+--   investing  — non-current assets; profit/loss on disposal
+--   financing  — loans, leases, equity, dividends
+--
+-- Design rules:
+--   - Column is nullable; the report falls back to the same defaults
+--     (cashFlowUtils.defaultCashFlowCategory) when it is NULL.
+--   - Backfill below mirrors defaultCashFlowCategory exactly. Only NULL rows
+--     are touched, so re-running never overwrites a user's classification.
+--   - coa_template_accounts gets the same column so new companies are
+--     provisioned with the category already set.
+--
+-- Columns added:
+--   1. accounts.cash_flow_category
+--   2. coa_template_accounts.cash_flow_category
+-- =============================================================================
+
+BEGIN;
+
+-- ─── 1. Columns ──────────────────────────────────────────────────────────────
+
+ALTER TABLE accounts
+  ADD COLUMN IF NOT EXISTS cash_flow_category VARCHAR(20)
+    CHECK (cash_flow_category IN ('cash','operating','non_cash','investing','financing'));
+
+ALTER TABLE coa_template_accounts
+  ADD COLUMN IF NOT EXISTS cash_flow_category VARCHAR(20)
+    CHECK (cash_flow_category IN ('cash','operating','non_cash','investing','financing'));
+
+-- ─── 2. Backfill defaults ────────────────────────────────────────────────────
+
+UPDATE accounts SET cash_flow_category = CASE
+    WHEN reporting_group = 'bank_cash'                              THEN 'cash'
+    WHEN type IN ('income','expense') AND name ILIKE '%disposal%'   THEN 'investing'
+    WHEN type IN ('income','expense')                               THEN 'operating'
+    WHEN reporting_group = 'accumulated_depreciation'
+      OR name ILIKE '%deferred tax%'                                THEN 'non_cash'
+    WHEN type = 'asset' AND sub_type = 'non_current_asset'          THEN 'investing'
+    WHEN type = 'asset'                                             THEN 'operating'
+    WHEN type = 'equity'                                            THEN 'financing'
+    WHEN reporting_group IN ('short_term_loans','long_term_loans')
+      OR name ILIKE '%dividend%'                                    THEN 'financing'
+    ELSE 'operating'
+  END
+WHERE cash_flow_category IS NULL;
+
+UPDATE coa_template_accounts SET cash_flow_category = CASE
+    WHEN reporting_group = 'bank_cash'                              THEN 'cash'
+    WHEN type IN ('income','expense') AND name ILIKE '%disposal%'   THEN 'investing'
+    WHEN type IN ('income','expense')                               THEN 'operating'
+    WHEN reporting_group = 'accumulated_depreciation'
+      OR name ILIKE '%deferred tax%'                                THEN 'non_cash'
+    WHEN type = 'asset' AND sub_type = 'non_current_asset'          THEN 'investing'
+    WHEN type = 'asset'                                             THEN 'operating'
+    WHEN type = 'equity'                                            THEN 'financing'
+    WHEN reporting_group IN ('short_term_loans','long_term_loans')
+      OR name ILIKE '%dividend%'                                    THEN 'financing'
+    ELSE 'operating'
+  END
+WHERE cash_flow_category IS NULL;
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
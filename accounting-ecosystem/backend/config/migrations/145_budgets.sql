@@ -0,0 +1,85 @@
+-- =============================================================================
+-- Migration 145: Budgets (versioned per financial year)
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: Budgeting for the accounting module. A budget holds monthly
+-- amounts per income/expense account, optionally split by coa_segments value
+-- (division / cost centre), and feeds GET /api/accounting/reports/budget-vs-actual.
+--
+-- Design rules:
+--   - financial_year uses the start-year convention already used by the
+--     historical comparatives engine: FY 2025 with a February year-end runs
+--     1 Mar 2025 – 28 Feb 2026. The year-end month comes from
+--     companies.financial_year_end ('01'–'12', default '02').
+--   - Budgets are versioned: every new budget for the same (company, FY) gets
+--     version = max + 1. At most one version per FY is 'approved'; approving
+--     a version supersedes the previous approved one.
+--   - Only draft budgets are editable (lines, import).
+--   - Amounts are stored in natural P&L sign: income and expense budgets are
+--     both positive figures, exactly like the P&L report balances.
+--   - segment_value_id NULL = budget not split by segment.
+--
+-- Tables created:
+--   1. budgets       — header, one row per version
+--   2. budget_lines  — one amount per account × segment × calendar month
+-- =============================================================================
+
+BEGIN;
+
+-- ─── 1. budgets ──────────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS budgets (
+  id                    SERIAL PRIMARY KEY,
+  company_id            INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  financial_year        INTEGER NOT NULL,                 -- start year of the FY
+  version               INTEGER NOT NULL DEFAULT 1,
+  name                  VARCHAR(255) NOT NULL,
+  notes                 TEXT,
+  status                VARCHAR(20) NOT NULL DEFAULT 'draft'
+                          CHECK (status IN ('draft','approved','superseded')),
+
+  -- How the budget was created: manual | import | actuals_uplift | copy
+  source                VARCHAR(30) NOT NULL DEFAULT 'manual',
+  source_metadata       JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  created_by_user_id    INTEGER,
+  created_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  approved_by_user_id   INTEGER,
+  approved_at           TIMESTAMPTZ,
+  UNIQUE (company_id, financial_year, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budgets_company_year
+  ON budgets(company_id, financial_year);
+
+-- Only one approved version per company per financial year
+CREATE UNIQUE INDEX IF NOT EXISTS uq_budgets_approved_year
+  ON budgets(company_id, financial_year)
+  WHERE status = 'approved';
+
+-- ─── 2. budget_lines ─────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS budget_lines (
+  id                    SERIAL PRIMARY KEY,
+  budget_id             INTEGER NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+  account_id            INTEGER NOT NULL REFERENCES accounts(id),
+  segment_value_id      INTEGER REFERENCES coa_segment_values(id) ON DELETE SET NULL,
+  period_month          SMALLINT NOT NULL CHECK (period_month BETWEEN 1 AND 12),  -- calendar month
+  period_start          DATE NOT NULL,
+  period_end            DATE NOT NULL,
+  amount                NUMERIC(15,2) NOT NULL DEFAULT 0,
+  updated_at            TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One amount per account × segment × month (NULL segment treated as its own key)
+CREATE UNIQUE INDEX IF NOT EXISTS uq_budget_lines_cell
+  ON budget_lines(budget_id, account_id, (COALESCE(segment_value_id, 0)), period_month);
+
+CREATE INDEX IF NOT EXISTS idx_budget_lines_budget_period
+  ON budget_lines(budget_id, period_start);
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,143 @@
+-- =============================================================================
+-- Migration 146: Multi-currency transactions, exchange rates, FX revaluation
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: Clients invoice and import in USD, EUR etc. Invoices, payments and
+-- journals carry a transaction currency and the exchange rate to ZAR, and
+-- FX differences post to the ledger:
+--   - realised gain/loss when a payment settles an invoice at a different rate
+--   - unrealised gain/loss on period-end revaluation of open foreign debtors,
+--     creditors and foreign bank balances, reversed on the next day
+--
+-- Design rules:
+--   - ZAR is the ledger (base) currency. journal_lines.debit/credit are always
+--     ZAR; foreign_debit/foreign_credit carry the transaction-currency amount
+--     on lines that have one.
+--   - Invoice and payment money columns (total, amount_paid, amount …) are in
+--     the document currency. exchange_rate = ZAR per 1 unit of currency_code
+--     (1 for ZAR documents), fixed when the document is captured.
+--   - Payment allocations are in the document currency of the invoice; a
+--     payment can only be allocated to invoices in its own currency.
+--     base_amount is the ZAR cleared from AR/AP at the invoice rate,
+--     fx_gain_loss the realised difference (positive = gain).
+--   - exchange_rates holds one rate per company × currency × date. Lookups
+--     take the latest rate on or before the transaction date.
+--   - A revaluation run is one per company per date. Its journal is dated the
+--     revaluation date; the reversal journal is dated the following day.
+--
+-- Tables created:
+--   1. exchange_rates        — daily rates, manual or CSV import
+--   2. fx_revaluations       — one row per period-end revaluation run
+--   3. fx_revaluation_lines  — per open item / bank account detail
+-- =============================================================================
+
+BEGIN;
+
+-- ─── 1. exchange_rates ───────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id                    SERIAL PRIMARY KEY,
+  company_id            INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  currency_code         VARCHAR(10) NOT NULL,
+  rate_date             DATE NOT NULL,
+  rate                  NUMERIC(18,8) NOT NULL CHECK (rate > 0),   -- ZAR per 1 unit
+  source                VARCHAR(20) NOT NULL DEFAULT 'manual'
+                          CHECK (source IN ('manual','csv')),
+  created_by_user_id    INTEGER REFERENCES users(id),
+  created_at            TIMESTAMPTZ DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (company_id, currency_code, rate_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_lookup
+  ON exchange_rates(company_id, currency_code, rate_date DESC);
+
+-- ─── 2. Currency on documents and journals ───────────────────────────────────
+
+ALTER TABLE customer_invoices
+  ADD COLUMN IF NOT EXISTS currency_code VARCHAR(10)   NOT NULL DEFAULT 'ZAR',
+  ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) NOT NULL DEFAULT 1;
+
+ALTER TABLE supplier_invoices
+  ADD COLUMN IF NOT EXISTS currency_code VARCHAR(10)   NOT NULL DEFAULT 'ZAR',
+  ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) NOT NULL DEFAULT 1;
+
+ALTER TABLE customer_payments
+  ADD COLUMN IF NOT EXISTS currency_code VARCHAR(10)   NOT NULL DEFAULT 'ZAR',
+  ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) NOT NULL DEFAULT 1;
+
+ALTER TABLE supplier_payments
+  ADD COLUMN IF NOT EXISTS currency_code VARCHAR(10)   NOT NULL DEFAULT 'ZAR',
+  ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) NOT NULL DEFAULT 1;
+
+ALTER TABLE customer_payment_allocations
+  ADD COLUMN IF NOT EXISTS base_amount   NUMERIC(15,2),
+  ADD COLUMN IF NOT EXISTS fx_gain_loss  NUMERIC(15,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE supplier_payment_allocations
+  ADD COLUMN IF NOT EXISTS base_amount   NUMERIC(15,2),
+  ADD COLUMN IF NOT EXISTS fx_gain_loss  NUMERIC(15,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE journals
+  ADD COLUMN IF NOT EXISTS currency_code VARCHAR(10)   NOT NULL DEFAULT 'ZAR',
+  ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) NOT NULL DEFAULT 1;
+
+ALTER TABLE journal_lines
+  ADD COLUMN IF NOT EXISTS foreign_debit  NUMERIC(15,2),
+  ADD COLUMN IF NOT EXISTS foreign_credit NUMERIC(15,2);
+
+-- ─── 3. fx_revaluations ──────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS fx_revaluations (
+  id                    SERIAL PRIMARY KEY,
+  company_id            INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  revaluation_date      DATE NOT NULL,
+  reversal_date         DATE NOT NULL,
+  rates                 JSONB NOT NULL DEFAULT '{}'::jsonb,         -- { USD: 18.25, … } used
+  total_adjustment      NUMERIC(15,2) NOT NULL DEFAULT 0,          -- net unrealised gain (+) / loss (−)
+  journal_id            INTEGER REFERENCES journals(id) ON DELETE SET NULL,
+  reversal_journal_id   INTEGER REFERENCES journals(id) ON DELETE SET NULL,
+  created_by_user_id    INTEGER REFERENCES users(id),
+  created_at            TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (company_id, revaluation_date)
+);
+
+-- ─── 4. fx_revaluation_lines ─────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS fx_revaluation_lines (
+  id                    SERIAL PRIMARY KEY,
+  revaluation_id        INTEGER NOT NULL REFERENCES fx_revaluations(id) ON DELETE CASCADE,
+  kind                  VARCHAR(20) NOT NULL CHECK (kind IN ('receivable','payable','bank')),
+  entity_id             INTEGER NOT NULL,             -- customer_invoices / supplier_invoices / bank_accounts id
+  reference             VARCHAR(255),
+  account_id            INTEGER NOT NULL REFERENCES accounts(id),
+  currency_code         VARCHAR(10) NOT NULL,
+  foreign_balance       NUMERIC(15,2) NOT NULL,
+  booked_base           NUMERIC(15,2) NOT NULL,
+  rate                  NUMERIC(18,8) NOT NULL,
+  revalued_base         NUMERIC(15,2) NOT NULL,
+  adjustment            NUMERIC(15,2) NOT NULL        -- gain (+) / loss (−)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fx_revaluation_lines_run ON fx_revaluation_lines(revaluation_id);
+
+-- ─── 5. FX gain/loss accounts on the standard template ──────────────────────
+-- Company charts get these on demand (FxService creates them on first use).
+
+INSERT INTO coa_template_accounts
+  (template_id, code, name, type, sub_type, reporting_group, description, sort_order,
+   is_system_account, cash_flow_category)
+SELECT t.id, v.code, v.name, 'income', 'other_income', 'other_income', v.description, v.sort_order,
+       true, 'operating'
+  FROM coa_templates t
+ CROSS JOIN (VALUES
+   ('4810', 'Foreign Exchange Gain/Loss — Realised',   'FX differences on settled foreign invoices (loss = debit balance)',          4810),
+   ('4820', 'Foreign Exchange Gain/Loss — Unrealised', 'Period-end revaluation of open foreign balances, reversed the next day', 4820)
+ ) AS v(code, name, description, sort_order)
+ WHERE t.name = 'Standard SA Base'
+ON CONFLICT (template_id, code) DO NOTHING;
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
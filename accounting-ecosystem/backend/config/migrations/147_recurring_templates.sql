@@ -0,0 +1,89 @@
+-- =============================================================================
+-- Migration 147: Recurring customer invoices and recurring journals
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: Monthly retainers, rent recoveries and accrual journals are keyed
+-- again every period. A recurring template holds the document body plus a
+-- schedule; the scheduler materialises each due occurrence through the
+-- normal customer-invoice and journal create/post paths.
+--
+-- Design rules:
+--   - A template is either a customer_invoice or a journal. payload holds the
+--     same body the create endpoint accepts (invoice: customerId, lines,
+--     vatInclusive …; journal: description, lines).
+--   - frequency × interval_count advances next_run_date from start_date
+--     (monthly on the 31st clamps to month end and returns to the 31st).
+--   - mode 'draft' leaves the document for review; 'post' books it to the GL.
+--   - recurring_runs is the ledger of occurrences. UNIQUE (template_id,
+--     period_key) makes materialisation idempotent — a period is generated at
+--     most once, however often the scheduler or "run now" fires.
+--   - An occurrence whose date falls in a locked accounting_periods entry is
+--     recorded as 'skipped_locked' and the schedule moves on; unlocking the
+--     period and re-running the occurrence retries it. 'pending' is the
+--     claim held while a run is being materialised.
+--
+-- Tables created:
+--   1. recurring_templates  — schedule + document body
+--   2. recurring_runs       — one row per template per period occurrence
+-- =============================================================================
+
+BEGIN;
+
+-- ─── 1. recurring_templates ──────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS recurring_templates (
+  id                    SERIAL PRIMARY KEY,
+  company_id            INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  name                  VARCHAR(255) NOT NULL,
+  document_type         VARCHAR(30) NOT NULL
+                          CHECK (document_type IN ('customer_invoice','journal')),
+  frequency             VARCHAR(20) NOT NULL
+                          CHECK (frequency IN ('weekly','monthly','quarterly','yearly')),
+  interval_count        INTEGER NOT NULL DEFAULT 1 CHECK (interval_count BETWEEN 1 AND 12),
+  start_date            DATE NOT NULL,
+  end_date              DATE,
+  next_run_date         DATE,                         -- NULL once the schedule has ended
+  mode                  VARCHAR(10) NOT NULL DEFAULT 'draft'
+                          CHECK (mode IN ('draft','post')),
+  payload               JSONB NOT NULL DEFAULT '{}'::jsonb,
+  is_active             BOOLEAN NOT NULL DEFAULT true,
+  last_run_at           TIMESTAMPTZ,
+  created_by_user_id    INTEGER REFERENCES users(id),
+  created_at            TIMESTAMPTZ DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_templates_due
+  ON recurring_templates(next_run_date) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_recurring_templates_company
+  ON recurring_templates(company_id);
+
+-- ─── 2. recurring_runs ───────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS recurring_runs (
+  id                    SERIAL PRIMARY KEY,
+  template_id           INTEGER NOT NULL REFERENCES recurring_templates(id) ON DELETE CASCADE,
+  company_id            INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  period_key            VARCHAR(20) NOT NULL,         -- 2025-03 / 2025-Q1 / 2025 / 2025-03-14
+  occurrence_date       DATE NOT NULL,
+  status                VARCHAR(20) NOT NULL
+                          CHECK (status IN ('pending','created','posted','skipped_locked','failed')),
+  customer_invoice_id   INTEGER REFERENCES customer_invoices(id) ON DELETE SET NULL,
+  journal_id            INTEGER REFERENCES journals(id) ON DELETE SET NULL,
+  message               TEXT,
+  triggered_by          VARCHAR(20) NOT NULL DEFAULT 'scheduler'
+                          CHECK (triggered_by IN ('scheduler','manual')),
+  created_by_user_id    INTEGER REFERENCES users(id),
+  created_at            TIMESTAMPTZ DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (template_id, period_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_runs_company
+  ON recurring_runs(company_id, occurrence_date DESC);
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
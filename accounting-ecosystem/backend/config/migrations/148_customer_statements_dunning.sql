@@ -0,0 +1,145 @@
+-- =============================================================================
+-- Migration 148: Customer statements, dunning and credit hold
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: Overdue accounts are chased by hand today. A company configures
+-- dunning stages (e.g. 7 / 30 / 60 days overdue); a dunning run produces one
+-- reminder letter per customer at the highest stage reached, logs the
+-- contact against the customer, optionally raises an interest invoice and
+-- can place the account on credit hold. POS account sales refuse customers
+-- on hold.
+--
+-- Design rules:
+--   - customer_invoices.dunning_level is the highest stage an invoice has
+--     been dunned at. A run only escalates — re-running on the same day
+--     produces no new letters.
+--   - customer_invoices.interest_charged_to is the date interest has been
+--     charged up to, so the next interest charge starts from there rather
+--     than from the due date again.
+--   - Interest invoices are flagged is_interest_charge and never attract
+--     interest themselves.
+--   - Interest is raised as a separate posted customer invoice (zero VAT)
+--     through the normal invoice create/post path, never by editing a posted
+--     invoice.
+--   - customer_contact_log is the customer's collection history: dunning
+--     letters are written to it automatically; calls, emails, promises to
+--     pay and hold/release events are written by users.
+--   - customers.credit_hold is checked by POS before any sale or deposit is
+--     put on account.
+--
+-- Tables created:
+--   1. dunning_stages        — per-company stage configuration
+--   2. dunning_runs          — one row per executed run
+--   3. dunning_letters       — one row per letter produced
+--   4. customer_contact_log  — collection contacts per customer
+-- Columns added:
+--   customers.credit_hold, credit_hold_reason, credit_hold_at, credit_hold_by_user_id
+--   customer_invoices.dunning_level, dunning_last_date, interest_charged_to,
+--                     is_interest_charge
+-- =============================================================================
+
+BEGIN;
+
+-- ─── Column additions ────────────────────────────────────────────────────────
+
+ALTER TABLE customers
+  ADD COLUMN IF NOT EXISTS credit_hold            BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS credit_hold_reason     TEXT,
+  ADD COLUMN IF NOT EXISTS credit_hold_at         TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS credit_hold_by_user_id INTEGER REFERENCES users(id);
+
+ALTER TABLE customer_invoices
+  ADD COLUMN IF NOT EXISTS dunning_level        INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS dunning_last_date    DATE,
+  ADD COLUMN IF NOT EXISTS interest_charged_to  DATE,
+  ADD COLUMN IF NOT EXISTS is_interest_charge   BOOLEAN NOT NULL DEFAULT false;
+
+-- ─── 1. dunning_stages ───────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS dunning_stages (
+  id                    SERIAL PRIMARY KEY,
+  company_id            INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  level                 INTEGER NOT NULL CHECK (level >= 1),
+  name                  VARCHAR(100) NOT NULL,
+  days_overdue          INTEGER NOT NULL CHECK (days_overdue >= 1),
+  letter_subject        TEXT NOT NULL,
+  letter_body           TEXT NOT NULL,                -- {customer} {company} {date} {overdue_total} {days_overdue} {invoice_list} {stage}
+  charge_interest       BOOLEAN NOT NULL DEFAULT false,
+  interest_rate_annual  NUMERIC(7,4) NOT NULL DEFAULT 0,
+  interest_account_id   INTEGER REFERENCES accounts(id),  -- NULL = 4500 Interest Received
+  apply_credit_hold     BOOLEAN NOT NULL DEFAULT false,
+  min_overdue_amount    NUMERIC(15,2) NOT NULL DEFAULT 0,
+  is_active             BOOLEAN NOT NULL DEFAULT true,
+  created_at            TIMESTAMPTZ DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (company_id, level)
+);
+
+-- ─── 2. dunning_runs ─────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS dunning_runs (
+  id                    SERIAL PRIMARY KEY,
+  company_id            INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  run_date              DATE NOT NULL,
+  letters_count         INTEGER NOT NULL DEFAULT 0,
+  interest_total        NUMERIC(15,2) NOT NULL DEFAULT 0,
+  holds_placed          INTEGER NOT NULL DEFAULT 0,
+  created_by_user_id    INTEGER REFERENCES users(id),
+  created_at            TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dunning_runs_company
+  ON dunning_runs(company_id, run_date DESC);
+
+-- ─── 3. dunning_letters ──────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS dunning_letters (
+  id                    SERIAL PRIMARY KEY,
+  company_id            INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  run_id                INTEGER NOT NULL REFERENCES dunning_runs(id) ON DELETE CASCADE,
+  customer_id           INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  stage_id              INTEGER REFERENCES dunning_stages(id) ON DELETE SET NULL,
+  level                 INTEGER NOT NULL,
+  stage_name            VARCHAR(100) NOT NULL,
+  letter_date           DATE NOT NULL,
+  currency_code         CHAR(3) NOT NULL DEFAULT 'ZAR',
+  subject               TEXT NOT NULL,
+  body                  TEXT NOT NULL,
+  overdue_total         NUMERIC(15,2) NOT NULL,
+  invoices              JSONB NOT NULL DEFAULT '[]'::jsonb,  -- planner rows at the time of the letter
+  interest_invoice_id   INTEGER REFERENCES customer_invoices(id) ON DELETE SET NULL,
+  credit_hold_applied   BOOLEAN NOT NULL DEFAULT false,
+  created_at            TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dunning_letters_customer
+  ON dunning_letters(company_id, customer_id, letter_date DESC);
+CREATE INDEX IF NOT EXISTS idx_dunning_letters_run
+  ON dunning_letters(run_id);
+
+-- ─── 4. customer_contact_log ─────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS customer_contact_log (
+  id                      SERIAL PRIMARY KEY,
+  company_id              INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  customer_id             INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  contact_date            DATE NOT NULL DEFAULT CURRENT_DATE,
+  contact_type            VARCHAR(20) NOT NULL
+                            CHECK (contact_type IN ('dunning_letter','statement','phone','email',
+                                                    'meeting','note','credit_hold','credit_release')),
+  subject                 TEXT,
+  notes                   TEXT,
+  dunning_letter_id       INTEGER REFERENCES dunning_letters(id) ON DELETE SET NULL,
+  promised_payment_date   DATE,
+  promised_payment_amount NUMERIC(15,2),
+  created_by_user_id      INTEGER REFERENCES users(id),
+  created_at              TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_contact_log_customer
+  ON customer_contact_log(company_id, customer_id, contact_date DESC);
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
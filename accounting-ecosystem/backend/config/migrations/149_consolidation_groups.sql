@@ -0,0 +1,194 @@
+-- =============================================================================
+-- Migration 149: Consolidation groups and inter-company eliminations
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: Group clients run several companies in the ecosystem and link
+-- them through inter_company_relationships (inter-company/network.js), but
+-- reporting is strictly per company. A consolidation group, owned by the
+-- parent company, lists its member companies with the parent's ownership
+-- percentage, maps every member account onto a group chart of accounts and
+-- produces a consolidated trial balance, balance sheet and P&L with
+-- inter-company balances, inter-company invoices, the parent's investment
+-- and non-controlling interest (NCI) eliminated automatically.
+--
+-- Design rules:
+--   - Member ledgers are never written to. Eliminations exist only at group
+--     level, in group accounts.
+--   - A company can only be added to a group when it has an ACTIVE
+--     inter-company relationship with the parent and the user adding it has
+--     access to it (user_company_access).
+--   - consolidation_account_map holds explicit mappings only. A member
+--     account with no explicit row maps to the group account with the same
+--     code and type, if there is one.
+--   - Inter-company accounts (receivable / payable / revenue / expense) and
+--     the investment account are MEMBER accounts; the engine translates them
+--     through the account map.
+--   - Every finalised consolidation is a consolidation_run with its
+--     elimination entries and lines frozen — that is the audit trail.
+--     Manual group adjustments are reversed, never edited or deleted.
+--   - All members report in the group's base currency (ZAR); no translation.
+--
+-- Tables created:
+--   1. consolidation_groups              — one per group, owned by the parent company
+--   2. consolidation_group_accounts      — the group chart of accounts
+--   3. consolidation_members             — member companies, ownership %, IC accounts
+--   4. consolidation_account_map         — member account → group account overrides
+--   5. consolidation_adjustments         — manual group-level elimination journals
+--   6. consolidation_runs                — finalised consolidations (report snapshot)
+--   7. consolidation_elimination_entries — elimination journals per run
+--   8. consolidation_elimination_lines   — their debit / credit lines
+-- =============================================================================
+
+BEGIN;
+
+-- ─── 1. consolidation_groups ─────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS consolidation_groups (
+  id                             SERIAL PRIMARY KEY,
+  company_id                     INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,  -- parent
+  name                           VARCHAR(150) NOT NULL,
+  description                    TEXT,
+  retained_earnings_account_id   INTEGER,  -- group account; FKs added below
+  nci_account_id                 INTEGER,
+  goodwill_account_id            INTEGER,
+  is_active                      BOOLEAN NOT NULL DEFAULT true,
+  created_by_user_id             INTEGER REFERENCES users(id),
+  created_at                     TIMESTAMPTZ DEFAULT NOW(),
+  updated_at                     TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (company_id, name)
+);
+
+-- ─── 2. consolidation_group_accounts ─────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS consolidation_group_accounts (
+  id          SERIAL PRIMARY KEY,
+  group_id    INTEGER NOT NULL REFERENCES consolidation_groups(id) ON DELETE CASCADE,
+  code        VARCHAR(20) NOT NULL,
+  name        VARCHAR(255) NOT NULL,
+  type        VARCHAR(20) NOT NULL CHECK (type IN ('asset','liability','equity','income','expense')),
+  sub_type    VARCHAR(50),  -- P&L section, same values as accounts.sub_type
+  is_active   BOOLEAN NOT NULL DEFAULT true,
+  created_at  TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (group_id, code)
+);
+
+ALTER TABLE consolidation_groups
+  DROP CONSTRAINT IF EXISTS consolidation_groups_re_account_fk,
+  ADD CONSTRAINT consolidation_groups_re_account_fk
+    FOREIGN KEY (retained_earnings_account_id) REFERENCES consolidation_group_accounts(id) ON DELETE SET NULL,
+  DROP CONSTRAINT IF EXISTS consolidation_groups_nci_account_fk,
+  ADD CONSTRAINT consolidation_groups_nci_account_fk
+    FOREIGN KEY (nci_account_id) REFERENCES consolidation_group_accounts(id) ON DELETE SET NULL,
+  DROP CONSTRAINT IF EXISTS consolidation_groups_goodwill_account_fk,
+  ADD CONSTRAINT consolidation_groups_goodwill_account_fk
+    FOREIGN KEY (goodwill_account_id) REFERENCES consolidation_group_accounts(id) ON DELETE SET NULL;
+
+-- ─── 3. consolidation_members ────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS consolidation_members (
+  id                          SERIAL PRIMARY KEY,
+  group_id                    INTEGER NOT NULL REFERENCES consolidation_groups(id) ON DELETE CASCADE,
+  company_id                  INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  is_parent                   BOOLEAN NOT NULL DEFAULT false,
+  ownership_pct               NUMERIC(7,4) NOT NULL DEFAULT 100
+                                CHECK (ownership_pct > 0 AND ownership_pct <= 100),
+  -- Member-side inter-company accounts (accounts.id of company_id)
+  ic_receivable_account_id    INTEGER REFERENCES accounts(id),
+  ic_payable_account_id       INTEGER REFERENCES accounts(id),
+  ic_revenue_account_id       INTEGER REFERENCES accounts(id),
+  ic_expense_account_id       INTEGER REFERENCES accounts(id),
+  -- Parent's investment in this member (accounts.id of the PARENT company)
+  investment_account_id       INTEGER REFERENCES accounts(id),
+  equity_at_acquisition       NUMERIC(15,2) NOT NULL DEFAULT 0,  -- member's total equity when acquired
+  acquisition_date            DATE,
+  created_at                  TIMESTAMPTZ DEFAULT NOW(),
+  updated_at                  TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (group_id, company_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_consolidation_members_one_parent
+  ON consolidation_members(group_id) WHERE is_parent;
+
+-- ─── 4. consolidation_account_map ────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS consolidation_account_map (
+  id                 SERIAL PRIMARY KEY,
+  group_id           INTEGER NOT NULL REFERENCES consolidation_groups(id) ON DELETE CASCADE,
+  company_id         INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  account_id         INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+  group_account_id   INTEGER NOT NULL REFERENCES consolidation_group_accounts(id) ON DELETE CASCADE,
+  created_at         TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (group_id, account_id)
+);
+
+-- ─── 5. consolidation_adjustments ────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS consolidation_adjustments (
+  id                   SERIAL PRIMARY KEY,
+  group_id             INTEGER NOT NULL REFERENCES consolidation_groups(id) ON DELETE CASCADE,
+  adjustment_date      DATE NOT NULL,
+  description          TEXT NOT NULL,
+  lines                JSONB NOT NULL,  -- [{ groupAccountId, debit, credit, description? }]
+  status               VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active','reversed')),
+  created_by_user_id   INTEGER REFERENCES users(id),
+  created_at           TIMESTAMPTZ DEFAULT NOW(),
+  reversed_by_user_id  INTEGER REFERENCES users(id),
+  reversed_at          TIMESTAMPTZ,
+  reverse_reason       TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_consolidation_adjustments_group
+  ON consolidation_adjustments(group_id, adjustment_date);
+
+-- ─── 6. consolidation_runs ───────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS consolidation_runs (
+  id                   SERIAL PRIMARY KEY,
+  group_id             INTEGER NOT NULL REFERENCES consolidation_groups(id) ON DELETE CASCADE,
+  from_date            DATE NOT NULL,
+  to_date              DATE NOT NULL,
+  members              JSONB NOT NULL,   -- member companies and ownership % used
+  report               JSONB NOT NULL,   -- trial balance, balance sheet, P&L as produced
+  warnings             JSONB NOT NULL DEFAULT '[]'::jsonb,
+  notes                TEXT,
+  created_by_user_id   INTEGER REFERENCES users(id),
+  created_at           TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_consolidation_runs_group
+  ON consolidation_runs(group_id, to_date DESC);
+
+-- ─── 7. consolidation_elimination_entries ────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS consolidation_elimination_entries (
+  id                 SERIAL PRIMARY KEY,
+  run_id             INTEGER NOT NULL REFERENCES consolidation_runs(id) ON DELETE CASCADE,
+  elimination_type   VARCHAR(20) NOT NULL
+                       CHECK (elimination_type IN ('ic_revenue','ic_balance','investment','nci_equity','manual')),
+  description        TEXT NOT NULL,
+  amount             NUMERIC(15,2) NOT NULL,
+  source             JSONB NOT NULL DEFAULT '{}'::jsonb,  -- invoice ids, member ids, adjustment id
+  created_at         TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_consolidation_elim_entries_run
+  ON consolidation_elimination_entries(run_id);
+
+-- ─── 8. consolidation_elimination_lines ──────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS consolidation_elimination_lines (
+  id                 SERIAL PRIMARY KEY,
+  entry_id           INTEGER NOT NULL REFERENCES consolidation_elimination_entries(id) ON DELETE CASCADE,
+  group_account_id   INTEGER NOT NULL REFERENCES consolidation_group_accounts(id),
+  company_id         INTEGER REFERENCES companies(id),  -- member the line relates to, if any
+  debit              NUMERIC(15,2) NOT NULL DEFAULT 0,
+  credit             NUMERIC(15,2) NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_consolidation_elim_lines_entry
+  ON consolidation_elimination_lines(entry_id);
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,110 @@
+-- =============================================================================
+-- Migration 150: Accounts payable payment runs
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: Supplier payments are recorded one at a time (POST
+-- /api/accounting/suppliers/payments). A payment run selects due supplier
+-- invoices, proposes what to pay, is approved by someone holding the
+-- separate ap.payment_run.approve permission and produces a bank batch file
+-- (ABSA / FNB / Standard Bank / Nedbank — the layouts the payroll EFT export
+-- already uses).
+--
+-- Design rules:
+--   - A run is edited only while it is a draft. Approval creates one
+--     supplier_payments row per supplier plus its supplier_payment_allocations
+--     and updates the invoices' amount_paid — all in ONE transaction.
+--   - Approved payments are bank_status = 'awaiting_bank_confirmation' and
+--     have no journal yet. The GL journal (DR Accounts Payable / CR Bank) is
+--     posted when the payment is confirmed as paid by the bank. A payment the
+--     bank rejects is reversed (is_reversed, allocations undone) and never
+--     touches the GL.
+--   - Payments recorded directly keep bank_status NULL — nothing changes for
+--     them.
+--   - An invoice can only be on one open (draft or approved) run at a time.
+--   - Runs are ZAR only; bank batch files are ZAR.
+--
+-- Tables created:
+--   1. ap_payment_runs       — one row per run
+--   2. ap_payment_run_lines  — invoice and amount to pay, per run
+-- Columns added:
+--   suppliers.bank_account_type, bank_account_holder
+--   supplier_payments.payment_run_id, bank_status, bank_confirmed_at,
+--                     bank_confirmed_by_user_id, bank_rejection_reason
+-- =============================================================================
+
+BEGIN;
+
+-- ─── Column additions ────────────────────────────────────────────────────────
+
+ALTER TABLE suppliers
+  ADD COLUMN IF NOT EXISTS bank_account_type   VARCHAR(20) DEFAULT 'current',  -- current | savings | transmission
+  ADD COLUMN IF NOT EXISTS bank_account_holder VARCHAR(255);                   -- NULL = supplier name
+
+-- ─── 1. ap_payment_runs ──────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS ap_payment_runs (
+  id                        SERIAL PRIMARY KEY,
+  company_id                INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  reference                 VARCHAR(50) NOT NULL,     -- PR-YYYYMMDD-NN, used on bank statements
+  payment_date              DATE NOT NULL,            -- bank action date
+  bank_ledger_account_id    INTEGER NOT NULL REFERENCES accounts(id),
+  bank_format               VARCHAR(20) NOT NULL
+                              CHECK (bank_format IN ('absa','fnb','standard_bank','nedbank')),
+  status                    VARCHAR(20) NOT NULL DEFAULT 'draft'
+                              CHECK (status IN ('draft','approved','completed','cancelled')),
+  criteria                  JSONB NOT NULL DEFAULT '{}'::jsonb,  -- selection used to propose the run
+  total_amount              NUMERIC(15,2) NOT NULL DEFAULT 0,
+  notes                     TEXT,
+  created_by_user_id        INTEGER REFERENCES users(id),
+  created_at                TIMESTAMPTZ DEFAULT NOW(),
+  updated_at                TIMESTAMPTZ DEFAULT NOW(),
+  approved_by_user_id       INTEGER REFERENCES users(id),
+  approved_at               TIMESTAMPTZ,
+  cancelled_by_user_id      INTEGER REFERENCES users(id),
+  cancelled_at              TIMESTAMPTZ,
+  completed_at              TIMESTAMPTZ,
+  batch_file_name           VARCHAR(100),
+  batch_file_hash           CHAR(64),                 -- SHA-256 of the last file generated
+  batch_generated_at        TIMESTAMPTZ,
+  batch_generated_by_user_id INTEGER REFERENCES users(id),
+  UNIQUE (company_id, reference)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ap_payment_runs_company
+  ON ap_payment_runs(company_id, payment_date DESC);
+
+-- ─── 2. ap_payment_run_lines ─────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS ap_payment_run_lines (
+  id            SERIAL PRIMARY KEY,
+  run_id        INTEGER NOT NULL REFERENCES ap_payment_runs(id) ON DELETE CASCADE,
+  supplier_id   INTEGER NOT NULL REFERENCES suppliers(id),
+  invoice_id    INTEGER NOT NULL REFERENCES supplier_invoices(id),
+  amount        NUMERIC(15,2) NOT NULL CHECK (amount > 0),
+  payment_id    INTEGER,                    -- set on approval; FK added below
+  UNIQUE (run_id, invoice_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ap_payment_run_lines_invoice
+  ON ap_payment_run_lines(invoice_id);
+
+ALTER TABLE supplier_payments
+  ADD COLUMN IF NOT EXISTS payment_run_id            INTEGER REFERENCES ap_payment_runs(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS bank_status               VARCHAR(30)
+    CHECK (bank_status IN ('awaiting_bank_confirmation','confirmed','rejected')),
+  ADD COLUMN IF NOT EXISTS bank_confirmed_at         TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS bank_confirmed_by_user_id INTEGER REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS bank_rejection_reason     TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_supplier_payments_run
+  ON supplier_payments(payment_run_id) WHERE payment_run_id IS NOT NULL;
+
+ALTER TABLE ap_payment_run_lines
+  DROP CONSTRAINT IF EXISTS ap_payment_run_lines_payment_fk,
+  ADD CONSTRAINT ap_payment_run_lines_payment_fk
+    FOREIGN KEY (payment_id) REFERENCES supplier_payments(id) ON DELETE SET NULL;
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
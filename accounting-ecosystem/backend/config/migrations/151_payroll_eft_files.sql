@@ -0,0 +1,106 @@
+-- =============================================================================
+-- Migration 151: Payroll EFT bank files
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: Salary EFT files were only built in the browser
+-- (frontend-payroll/js/banking-formats.js) from whatever the tab had
+-- computed. Files are now generated server-side from a FINALIZED payroll
+-- run's payroll_snapshots, stored with their SHA-256, and every download is
+-- recorded — so it is always possible to say which file went to the bank.
+--
+-- Design rules:
+--   - A file is only generated from a finalized run. Net pay comes from the
+--     frozen snapshot (calculation_output.net), never recalculated.
+--   - The exact file content is stored. A download re-serves the stored
+--     content after checking it still matches sha256; it is never rebuilt.
+--   - Re-generating (e.g. after fixing an employee's bank details) adds a new
+--     row; earlier files are kept and marked superseded.
+--   - Files of a reversed run stay on record but cannot be downloaded.
+--
+-- Tables created:
+--   1. payroll_eft_files           — one row per generated file
+--   2. payroll_eft_file_downloads  — who downloaded which file, when, from where
+-- Columns added:
+--   companies.acb_user_code   — user code for the generic ACB layout
+--   employees.account_type    — current | savings | transmission
+-- Constraint changed:
+--   ap_payment_runs.bank_format also accepts 'acb'
+-- =============================================================================
+
+BEGIN;
+
+-- ─── Column additions ────────────────────────────────────────────────────────
+
+ALTER TABLE companies
+  ADD COLUMN IF NOT EXISTS acb_user_code VARCHAR(10);
+
+ALTER TABLE employees
+  ADD COLUMN IF NOT EXISTS account_type VARCHAR(20) DEFAULT 'current';
+
+-- The shared batch generator now also writes the generic ACB layout — AP
+-- payment runs (migration 150) may use it too
+ALTER TABLE ap_payment_runs DROP CONSTRAINT IF EXISTS ap_payment_runs_bank_format_check;
+ALTER TABLE ap_payment_runs
+  ADD CONSTRAINT ap_payment_runs_bank_format_check
+  CHECK (bank_format IN ('absa','fnb','standard_bank','nedbank','acb'));
+
+-- ─── 1. payroll_eft_files ────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS payroll_eft_files (
+  id                SERIAL PRIMARY KEY,
+  company_id        INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  payroll_run_id    UUID NOT NULL REFERENCES payroll_runs(id),
+  period_key        VARCHAR(7) NOT NULL,
+  bank_format       VARCHAR(20) NOT NULL
+                      CHECK (bank_format IN ('absa','fnb','standard_bank','nedbank','acb')),
+  action_date       DATE NOT NULL,
+  file_name         VARCHAR(100) NOT NULL,
+  mime_type         VARCHAR(50) NOT NULL,
+  content           TEXT NOT NULL,            -- exactly what was handed to the user
+  sha256            CHAR(64) NOT NULL,
+  total_amount      NUMERIC(15,2) NOT NULL,
+  record_count      INTEGER NOT NULL,
+  lines             JSONB NOT NULL DEFAULT '[]'::jsonb,  -- [{ employee_id, snapshot_id, name, amount, account_last4 }]
+  excluded          JSONB NOT NULL DEFAULT '[]'::jsonb,  -- [{ employee_id, name, reason }]
+  generated_by      INTEGER REFERENCES users(id),
+  generated_at      TIMESTAMPTZ DEFAULT NOW(),
+  superseded_at     TIMESTAMPTZ,
+  superseded_by_id  INTEGER REFERENCES payroll_eft_files(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_eft_files_run
+  ON payroll_eft_files(company_id, payroll_run_id, generated_at DESC);
+
+-- ─── 2. payroll_eft_file_downloads ───────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS payroll_eft_file_downloads (
+  id              SERIAL PRIMARY KEY,
+  file_id         INTEGER NOT NULL REFERENCES payroll_eft_files(id) ON DELETE CASCADE,
+  company_id      INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  downloaded_by   INTEGER REFERENCES users(id),
+  downloaded_at   TIMESTAMPTZ DEFAULT NOW(),
+  ip_address      VARCHAR(64),
+  user_agent      TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_eft_file_downloads_file
+  ON payroll_eft_file_downloads(file_id, downloaded_at DESC);
+
+-- Same isolation as payroll_runs / payroll_snapshots (migration 138) — these
+-- rows carry every employee's account number and net pay
+ALTER TABLE payroll_eft_files ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "payroll_eft_files_company_isolation" ON payroll_eft_files;
+CREATE POLICY "payroll_eft_files_company_isolation" ON payroll_eft_files
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+ALTER TABLE payroll_eft_file_downloads ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "payroll_eft_file_downloads_company_isolation" ON payroll_eft_file_downloads;
+CREATE POLICY "payroll_eft_file_downloads_company_isolation" ON payroll_eft_file_downloads
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,58 @@
+-- =============================================================================
+-- Migration 152: SARS payroll exports (EMP501 IRP5/IT3(a) files)
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: /api/payroll/recon/emp501 only returned per-employee aggregates
+-- for manual certificate preparation. IRP5/IT3(a) certificates are now
+-- exported in the SARS e@syFile CSV import layout from locked
+-- payroll_snapshots (SarsSubmissionService). Each generated file is stored
+-- with its SHA-256 so the file that was imported into e@syFile can always
+-- be produced again.
+--
+-- Design rules:
+--   - A file is only written once pre-export validation passes (ID numbers,
+--     tax numbers, code totals against the snapshots). Warnings are stored
+--     with the file.
+--   - Re-exporting adds a new row; earlier files are never overwritten.
+--   - EMP201 returns are computed on request and not stored — the period's
+--     snapshots are locked, so the figures cannot drift.
+--
+-- Tables created:
+--   1. payroll_sars_exports — one row per generated EMP501 file
+-- =============================================================================
+
+BEGIN;
+
+-- ─── 1. payroll_sars_exports ─────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS payroll_sars_exports (
+  id                 SERIAL PRIMARY KEY,
+  company_id         INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  return_type        VARCHAR(10) NOT NULL CHECK (return_type IN ('EMP501')),
+  tax_year           VARCHAR(9) NOT NULL,                 -- 'YYYY/YYYY'
+  is_test            BOOLEAN NOT NULL DEFAULT false,      -- e@syFile TEST vs LIVE run
+  file_name          VARCHAR(100) NOT NULL,
+  content            TEXT NOT NULL,
+  sha256             CHAR(64) NOT NULL,
+  certificate_count  INTEGER NOT NULL,
+  totals             JSONB NOT NULL DEFAULT '{}'::jsonb,  -- { gross, paye, uif, sdl }
+  warnings           JSONB NOT NULL DEFAULT '[]'::jsonb,  -- [{ employee_id, name, message }]
+  generated_by       INTEGER REFERENCES users(id),
+  generated_at       TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_sars_exports_year
+  ON payroll_sars_exports(company_id, tax_year, generated_at DESC);
+
+-- Same isolation as payroll_snapshots (migration 138) — files carry every
+-- employee's ID number, tax number and annual earnings
+ALTER TABLE payroll_sars_exports ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "payroll_sars_exports_company_isolation" ON payroll_sars_exports;
+CREATE POLICY "payroll_sars_exports_company_isolation" ON payroll_sars_exports
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
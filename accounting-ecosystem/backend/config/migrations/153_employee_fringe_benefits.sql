@@ -0,0 +1,63 @@
+-- =============================================================================
+-- Migration 153: Employee taxable fringe benefits
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: Company cars, low/interest-free employee loans, accommodation and
+-- free services were only possible as hand-calculated "allowance" items,
+-- which wrongly increased net pay. They are now first-class benefits valued
+-- by the payroll engine (PayrollEngine.calculateFringeBenefit): the value is
+-- taxed through PAYE and reported under IRP5 codes 3802/3805/3806/3807,
+-- but never paid out.
+--
+-- Design rules:
+--   - settings holds the type's valuation fields (determined value,
+--     maintenance plan, loan principal and rate, accommodation formula
+--     inputs, ...) — see FringeBenefitService.validateBenefit.
+--   - Loan balances are NOT stored here. Each locked payroll_snapshot carries
+--     the loan's opening and closing balance; the next month opens on the
+--     latest non-reversed closing balance, so reversing a run restores the
+--     balance automatically. settings.principal is the opening balance
+--     before the first finalized month.
+--   - A benefit applies to pay periods that overlap start_date..end_date;
+--     car and accommodation values are reduced for part months.
+--
+-- Tables created:
+--   1. employee_fringe_benefits — one row per benefit per employee
+-- =============================================================================
+
+BEGIN;
+
+-- ─── 1. employee_fringe_benefits ─────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS employee_fringe_benefits (
+  id            SERIAL PRIMARY KEY,
+  company_id    INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  employee_id   INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  benefit_type  VARCHAR(30) NOT NULL
+                  CHECK (benefit_type IN ('company_car','low_interest_loan','accommodation','free_services')),
+  description   VARCHAR(255),
+  settings      JSONB NOT NULL DEFAULT '{}'::jsonb,
+  start_date    DATE NOT NULL,
+  end_date      DATE,
+  is_active     BOOLEAN NOT NULL DEFAULT true,
+  created_by    INTEGER REFERENCES users(id),
+  created_at    TIMESTAMPTZ DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_employee_fringe_benefits_employee
+  ON employee_fringe_benefits(company_id, employee_id, is_active);
+
+-- Same isolation as employees / payroll_snapshots — settings carry loan
+-- balances and accommodation remuneration proxies
+ALTER TABLE employee_fringe_benefits ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "employee_fringe_benefits_company_isolation" ON employee_fringe_benefits;
+CREATE POLICY "employee_fringe_benefits_company_isolation" ON employee_fringe_benefits
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
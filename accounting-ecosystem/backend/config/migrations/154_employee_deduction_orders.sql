@@ -0,0 +1,97 @@
+-- =============================================================================
+-- Migration 154: Employee loans and garnishee orders
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: Staff loans and garnishee / emoluments attachment orders were
+-- captured as ordinary recurring deduction items, with no balance, no
+-- statement and nothing to stop them once the debt was paid. They are now a
+-- register per employee. The payroll engine works out each run's deduction
+-- (PayrollEngine.applyDeductionOrders); finalizing a run posts it to the
+-- order's ledger and reversing the run posts it back.
+--
+-- Design rules:
+--   - current_balance only moves through ledger entries. Every entry stores
+--     the balance after it, so the ledger is the order's statement.
+--   - Finalize posts 'interest' and 'deduction' entries per snapshot;
+--     /reverse posts a 'reversal' for each and marks the originals reversed.
+--   - An order is 'paid' when its balance reaches zero; reversing the run
+--     that paid it makes it 'active' again.
+--   - Garnishees are capped so net pay stays at or above net_pay_floor.
+--
+-- Tables created:
+--   1. employee_deduction_orders  — one row per loan / garnishee order
+--   2. employee_deduction_ledger  — balance movements (the statement)
+-- =============================================================================
+
+BEGIN;
+
+-- ─── 1. employee_deduction_orders ────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS employee_deduction_orders (
+  id                  SERIAL PRIMARY KEY,
+  company_id          INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  employee_id         INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  order_type          VARCHAR(20) NOT NULL CHECK (order_type IN ('loan','garnishee')),
+  description         VARCHAR(255),
+  creditor_name       VARCHAR(255),                -- garnishee: judgment creditor / attorney
+  court_order_ref     VARCHAR(100),                -- garnishee: case / order number
+  principal           NUMERIC(15,2) NOT NULL CHECK (principal > 0),
+  interest_rate       NUMERIC(7,4) NOT NULL DEFAULT 0,   -- % per annum on the balance
+  instalment          NUMERIC(15,2) NOT NULL CHECK (instalment > 0),
+  net_pay_floor       NUMERIC(15,2) NOT NULL DEFAULT 0,  -- garnishee: minimum net pay left
+  priority            INTEGER NOT NULL DEFAULT 0,        -- lower deducts first within its type
+  current_balance     NUMERIC(15,2) NOT NULL,
+  start_date          DATE NOT NULL,
+  status              VARCHAR(20) NOT NULL DEFAULT 'active'
+                        CHECK (status IN ('active','suspended','paid','cancelled')),
+  settled_at          TIMESTAMPTZ,
+  created_by          INTEGER REFERENCES users(id),
+  created_at          TIMESTAMPTZ DEFAULT NOW(),
+  updated_at          TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_employee_deduction_orders_employee
+  ON employee_deduction_orders(company_id, employee_id, status);
+
+-- ─── 2. employee_deduction_ledger ────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS employee_deduction_ledger (
+  id               SERIAL PRIMARY KEY,
+  company_id       INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  order_id         INTEGER NOT NULL REFERENCES employee_deduction_orders(id) ON DELETE CASCADE,
+  entry_type       VARCHAR(20) NOT NULL
+                     CHECK (entry_type IN ('opening','interest','deduction','reversal','adjustment')),
+  period_key       VARCHAR(7),
+  payroll_run_id   UUID REFERENCES payroll_runs(id),
+  snapshot_id      UUID,
+  amount           NUMERIC(15,2) NOT NULL,          -- signed: + raises the balance, − lowers it
+  balance_after    NUMERIC(15,2) NOT NULL,
+  shortfall        NUMERIC(15,2) NOT NULL DEFAULT 0, -- garnishee: instalment not collected (floor)
+  note             TEXT,
+  reversed_at      TIMESTAMPTZ,                      -- set on interest/deduction rows when reversed
+  created_by       INTEGER REFERENCES users(id),
+  created_at       TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_employee_deduction_ledger_order
+  ON employee_deduction_ledger(order_id, id);
+CREATE INDEX IF NOT EXISTS idx_employee_deduction_ledger_run
+  ON employee_deduction_ledger(company_id, payroll_run_id);
+
+-- Same isolation as employees / payroll_snapshots
+ALTER TABLE employee_deduction_orders ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "employee_deduction_orders_company_isolation" ON employee_deduction_orders;
+CREATE POLICY "employee_deduction_orders_company_isolation" ON employee_deduction_orders
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+ALTER TABLE employee_deduction_ledger ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "employee_deduction_ledger_company_isolation" ON employee_deduction_ledger;
+CREATE POLICY "employee_deduction_ledger_company_isolation" ON employee_deduction_ledger
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
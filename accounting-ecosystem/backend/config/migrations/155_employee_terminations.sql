@@ -0,0 +1,100 @@
+-- =============================================================================
+-- Migration 155: Employee terminations (final pay, UI-19, certificate of service)
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: Setting employees.termination_date only pro-rated the last month.
+-- Termination is now processed in one step (POST /api/payroll/terminations):
+-- the UIF reason code is recorded, leave payout, notice pay and severance are
+-- calculated, a final payslip is run AND finalized, and the UI-19 declaration
+-- and certificate of service are generated as PDFs.
+--
+-- Design rules:
+--   - One processed termination per employee. It is tied to the payroll run
+--     and snapshot of the final payslip; reversing that run marks the
+--     termination reversed so it can be processed again.
+--   - Documents are stored exactly as generated (base64 PDF) with their
+--     SHA-256. A download re-serves the stored bytes after checking the hash;
+--     documents are never regenerated or edited.
+--   - Severance tax is the SARS directive's amount when a directive is
+--     captured, otherwise an estimate on the lump sum table (flagged).
+--
+-- Tables created:
+--   1. employee_terminations           — one row per processed termination
+--   2. employee_termination_documents  — UI-19 and certificate of service PDFs
+-- =============================================================================
+
+BEGIN;
+
+-- ─── 1. employee_terminations ────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS employee_terminations (
+  id                     SERIAL PRIMARY KEY,
+  company_id             INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  employee_id            INTEGER NOT NULL REFERENCES employees(id),
+  termination_date       DATE NOT NULL,
+  reason_code            VARCHAR(2) NOT NULL,            -- UIF / UI-19 reason code
+  reason_note            TEXT,
+  period_key             VARCHAR(7) NOT NULL,
+  payroll_run_id         UUID REFERENCES payroll_runs(id),
+  snapshot_id            UUID,
+  completed_years        INTEGER NOT NULL DEFAULT 0,
+  leave_days             NUMERIC(7,2) NOT NULL DEFAULT 0,
+  leave_payout           NUMERIC(15,2) NOT NULL DEFAULT 0,
+  notice_weeks           NUMERIC(5,2) NOT NULL DEFAULT 0,
+  notice_pay             NUMERIC(15,2) NOT NULL DEFAULT 0,
+  severance_amount       NUMERIC(15,2) NOT NULL DEFAULT 0,
+  severance_exempt       NUMERIC(15,2) NOT NULL DEFAULT 0,
+  severance_tax          NUMERIC(15,2) NOT NULL DEFAULT 0,
+  severance_tax_estimated BOOLEAN NOT NULL DEFAULT false,
+  directive_number       VARCHAR(50),
+  final_gross            NUMERIC(15,2) NOT NULL DEFAULT 0,
+  final_net              NUMERIC(15,2) NOT NULL DEFAULT 0,
+  calculation            JSONB NOT NULL DEFAULT '{}'::jsonb,  -- TerminationService.calculateTerminationPay result
+  status                 VARCHAR(20) NOT NULL DEFAULT 'finalized'
+                           CHECK (status IN ('finalized','reversed')),
+  reversed_at            TIMESTAMPTZ,
+  processed_by           INTEGER REFERENCES users(id),
+  processed_at           TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_employee_terminations_employee
+  ON employee_terminations(company_id, employee_id, status);
+CREATE INDEX IF NOT EXISTS idx_employee_terminations_run
+  ON employee_terminations(company_id, payroll_run_id);
+
+-- ─── 2. employee_termination_documents ───────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS employee_termination_documents (
+  id               SERIAL PRIMARY KEY,
+  company_id       INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  termination_id   INTEGER NOT NULL REFERENCES employee_terminations(id) ON DELETE CASCADE,
+  document_type    VARCHAR(30) NOT NULL
+                     CHECK (document_type IN ('ui19','certificate_of_service')),
+  file_name        VARCHAR(150) NOT NULL,
+  mime_type        VARCHAR(50) NOT NULL DEFAULT 'application/pdf',
+  content_base64   TEXT NOT NULL,
+  sha256           CHAR(64) NOT NULL,                -- of the decoded PDF bytes
+  generated_by     INTEGER REFERENCES users(id),
+  generated_at     TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_employee_termination_documents_termination
+  ON employee_termination_documents(termination_id);
+
+-- Same isolation as employees / payroll_snapshots
+ALTER TABLE employee_terminations ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "employee_terminations_company_isolation" ON employee_terminations;
+CREATE POLICY "employee_terminations_company_isolation" ON employee_terminations
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+ALTER TABLE employee_termination_documents ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "employee_termination_documents_company_isolation" ON employee_termination_documents;
+CREATE POLICY "employee_termination_documents_company_isolation" ON employee_termination_documents
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,104 @@
+-- =============================================================================
+-- Migration 156: Leave accrual policy and leave liability postings
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: leave_balances were seeded flat (annual 15, sick 30, family 3) per
+-- calendar year and decremented by hand when leave was captured. Balances are
+-- now calculated by LeaveAccrualService from the company's leave policy, the
+-- employee's hire date and approved leave_records:
+--   - annual leave accrues monthly (annual_days / 12, pro-rated in the first
+--     and last month) or per day worked (1 day per N days worked)
+--   - the year-end balance carries over up to the policy cap; carried days
+--     not taken within forfeit_after_months are forfeited
+--   - sick leave runs in 36-month cycles from the hire date (BCEA s22)
+--   - family responsibility leave applies after 4 months' service (BCEA s27)
+-- A monthly leave liability report (days × daily rate) can post the movement
+-- in the provision to accounting as a journal.
+--
+-- Design rules:
+--   - One leave policy per company. No row = BCEA minimums (the defaults).
+--   - leave_balances stays the read model for the payroll UI; it is rewritten
+--     on every recalculation and never edited by hand. opening_balance is the
+--     only manual input — a take-on balance for the annual leave carried into
+--     that year, used instead of the calculated roll-forward.
+--   - One liability posting per company per month. Each posts the movement
+--     since the previous posting; the journal is never edited.
+--
+-- Tables created / altered:
+--   1. leave_policies              — per-company accrual policy
+--   2. leave_balances              — + opening_balance, accrued, taken, forfeited,
+--                                    cycle_start, cycle_end
+--   3. leave_liability_postings    — monthly leave provision journals
+-- =============================================================================
+
+BEGIN;
+
+-- ─── 1. leave_policies ───────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS leave_policies (
+  id                        SERIAL PRIMARY KEY,
+  company_id                INTEGER NOT NULL UNIQUE REFERENCES companies(id) ON DELETE CASCADE,
+  annual_days               NUMERIC(5,2) NOT NULL DEFAULT 15,
+  accrual_method            VARCHAR(20) NOT NULL DEFAULT 'monthly'
+                              CHECK (accrual_method IN ('monthly','per_day_worked')),
+  days_worked_per_leave_day NUMERIC(5,2) NOT NULL DEFAULT 17,
+  carry_over_cap            NUMERIC(5,2),                 -- NULL = no cap
+  forfeit_after_months      INTEGER DEFAULT 6,            -- NULL = carried days never forfeit
+  sick_days_per_cycle       NUMERIC(5,2) NOT NULL DEFAULT 30,
+  sick_cycle_months         INTEGER NOT NULL DEFAULT 36,
+  family_days               NUMERIC(5,2) NOT NULL DEFAULT 3,
+  days_per_week             NUMERIC(3,1) NOT NULL DEFAULT 5,
+  updated_by                INTEGER REFERENCES users(id),
+  updated_at                TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ─── 2. leave_balances — calculated columns ──────────────────────────────────
+
+ALTER TABLE leave_balances ADD COLUMN IF NOT EXISTS opening_balance NUMERIC(7,2);
+ALTER TABLE leave_balances ADD COLUMN IF NOT EXISTS accrued         NUMERIC(7,2) DEFAULT 0;
+ALTER TABLE leave_balances ADD COLUMN IF NOT EXISTS taken           NUMERIC(7,2) DEFAULT 0;
+ALTER TABLE leave_balances ADD COLUMN IF NOT EXISTS forfeited       NUMERIC(7,2) DEFAULT 0;
+ALTER TABLE leave_balances ADD COLUMN IF NOT EXISTS cycle_start     DATE;
+ALTER TABLE leave_balances ADD COLUMN IF NOT EXISTS cycle_end       DATE;
+
+-- ─── 3. leave_liability_postings ─────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS leave_liability_postings (
+  id                    SERIAL PRIMARY KEY,
+  company_id            INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  period_key            VARCHAR(7) NOT NULL,
+  as_of_date            DATE NOT NULL,
+  employee_count        INTEGER NOT NULL DEFAULT 0,
+  total_days            NUMERIC(10,2) NOT NULL DEFAULT 0,
+  total_liability       NUMERIC(15,2) NOT NULL DEFAULT 0,
+  previous_liability    NUMERIC(15,2) NOT NULL DEFAULT 0,
+  movement              NUMERIC(15,2) NOT NULL DEFAULT 0,
+  expense_account_id    INTEGER,
+  provision_account_id  INTEGER,
+  journal_id            INTEGER,
+  lines                 JSONB NOT NULL DEFAULT '[]'::jsonb,  -- per-employee days / rate / amount
+  posted_by             INTEGER REFERENCES users(id),
+  posted_at             TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (company_id, period_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leave_liability_postings_company
+  ON leave_liability_postings(company_id, period_key DESC);
+
+-- Same isolation as employees / leave_balances
+ALTER TABLE leave_policies ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "leave_policies_company_isolation" ON leave_policies;
+CREATE POLICY "leave_policies_company_isolation" ON leave_policies
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+ALTER TABLE leave_liability_postings ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "leave_liability_postings_company_isolation" ON leave_liability_postings;
+CREATE POLICY "leave_liability_postings_company_isolation" ON leave_liability_postings
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,70 @@
+-- =============================================================================
+-- Migration 157: Retroactive salary increase back-pay
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: A backdated salary increase was worked out by hand because
+-- finalized snapshots are immutable. RetroPayService now recalculates every
+-- finalized period from the effective date at the new rate
+-- (PayrollEngine.calculateWithProRata), diffs each against its stored
+-- snapshot, and raises ONE back-pay earning in the open target period.
+--
+-- Design rules:
+--   - Finalized snapshots are never touched. The back pay is a once-off
+--     earning in the target period, so PAYE on it is calculated through the
+--     YTD method together with everything already paid in the tax year.
+--   - breakdown keeps, per historical period, the stored and recalculated
+--     figures and their difference (gross, taxable, PAYE, UIF, net) — the
+--     audit trail for the amount.
+--   - The back pay is picked up by every run of the target period while
+--     pending; finalizing the run marks it paid, reversing the run reopens it.
+--   - Retro periods of two calculations for the same employee never overlap.
+--
+-- Tables created:
+--   1. payroll_retro_pay — one row per back-pay calculation
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS payroll_retro_pay (
+  id                 SERIAL PRIMARY KEY,
+  company_id         INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  employee_id        INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  effective_date     DATE NOT NULL,
+  new_salary         NUMERIC(15,2) NOT NULL,
+  from_period_key    VARCHAR(7) NOT NULL,               -- first recalculated period
+  to_period_key      VARCHAR(7) NOT NULL,               -- last recalculated period
+  target_period_key  VARCHAR(7) NOT NULL,               -- open period the back pay is paid in
+  description        VARCHAR(150) NOT NULL,
+  amount             NUMERIC(15,2) NOT NULL,            -- back-pay earning (sum of gross differences)
+  paye_difference    NUMERIC(15,2) NOT NULL DEFAULT 0,  -- PAYE the periods would have carried
+  breakdown          JSONB NOT NULL DEFAULT '[]'::jsonb, -- per-period stored / recalculated / difference
+  reason             TEXT,
+  status             VARCHAR(20) NOT NULL DEFAULT 'pending'
+                       CHECK (status IN ('pending','paid','cancelled')),
+  payroll_run_id     UUID REFERENCES payroll_runs(id),
+  snapshot_id        UUID,
+  created_by         INTEGER REFERENCES users(id),
+  created_at         TIMESTAMPTZ DEFAULT NOW(),
+  paid_at            TIMESTAMPTZ,
+  cancelled_by       INTEGER REFERENCES users(id),
+  cancelled_at       TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_retro_pay_target
+  ON payroll_retro_pay(company_id, target_period_key, status);
+CREATE INDEX IF NOT EXISTS idx_payroll_retro_pay_employee
+  ON payroll_retro_pay(company_id, employee_id);
+CREATE INDEX IF NOT EXISTS idx_payroll_retro_pay_run
+  ON payroll_retro_pay(company_id, payroll_run_id);
+
+-- Same isolation as employees / payroll_snapshots
+ALTER TABLE payroll_retro_pay ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "payroll_retro_pay_company_isolation" ON payroll_retro_pay;
+CREATE POLICY "payroll_retro_pay_company_isolation" ON payroll_retro_pay
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,102 @@
+-- =============================================================================
+-- Migration 158: Payroll cost journal — payroll-to-GL mapping and postings
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: Finalizing a pay run produced no ledger entry — payroll costs were
+-- journalled by hand. PayrollJournalService now builds the payroll cost
+-- journal from the run's locked snapshots on POST /api/payroll/finalize and
+-- creates it through the accounting JournalService (draft or posted, per the
+-- company's mapping). POST /api/payroll/reverse reverses it.
+--
+--   Dr Salary expense              gross (+ severance)     per cost centre
+--   Dr Employer UIF / SDL expense  employer contributions  per cost centre
+--   Cr PAYE / UIF / SDL liability  statutory amounts (UIF = employee + employer)
+--   Cr Staff loans / garnishees    loan and garnishee order deductions
+--   Cr Other deductions            remaining payroll deductions
+--   Cr Net pay clearing            net pay (cleared by the salary EFT payment)
+--   Dr PAYE / Cr ETI               Employment Tax Incentive, when mapped
+--
+-- Design rules:
+--   - One mapping per company. No mapping = no journal; finalize is unchanged.
+--   - Expense lines carry a cost-centre segment value (coa_segment_values) per
+--     employee department: department_segments overrides, then a value whose
+--     code or name matches the department. Liabilities are never segmented.
+--   - One posting per pay run. A journal that fails (locked period, inactive
+--     account) never blocks finalize — the posting is recorded as failed and
+--     can be retried. Reversing the run deletes a draft journal or reverses a
+--     posted one.
+--
+-- Tables created:
+--   1. payroll_gl_mappings — per-company payroll-to-GL account mapping
+--   2. payroll_gl_postings — one row per pay run journal
+-- =============================================================================
+
+BEGIN;
+
+-- ─── 1. payroll_gl_mappings ──────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS payroll_gl_mappings (
+  id                               SERIAL PRIMARY KEY,
+  company_id                       INTEGER NOT NULL UNIQUE REFERENCES companies(id) ON DELETE CASCADE,
+  salary_expense_account_id        INTEGER NOT NULL REFERENCES accounts(id),
+  uif_expense_account_id           INTEGER REFERENCES accounts(id),   -- NULL = salary expense
+  sdl_expense_account_id           INTEGER REFERENCES accounts(id),   -- NULL = salary expense
+  paye_liability_account_id        INTEGER NOT NULL REFERENCES accounts(id),
+  uif_liability_account_id         INTEGER NOT NULL REFERENCES accounts(id),
+  sdl_liability_account_id         INTEGER NOT NULL REFERENCES accounts(id),
+  deductions_liability_account_id  INTEGER NOT NULL REFERENCES accounts(id),
+  staff_loan_account_id            INTEGER REFERENCES accounts(id),   -- NULL = other deductions
+  garnishee_liability_account_id   INTEGER REFERENCES accounts(id),   -- NULL = other deductions
+  eti_account_id                   INTEGER REFERENCES accounts(id),   -- NULL = ETI not journalled
+  net_pay_account_id               INTEGER NOT NULL REFERENCES accounts(id),
+  cost_centre_segment_id           INTEGER REFERENCES coa_segments(id) ON DELETE SET NULL,
+  department_segments              JSONB NOT NULL DEFAULT '{}'::jsonb, -- { "Sales": <segment_value_id> }
+  post_mode                        VARCHAR(10) NOT NULL DEFAULT 'draft'
+                                     CHECK (post_mode IN ('draft','posted')),
+  auto_post_on_finalize            BOOLEAN NOT NULL DEFAULT true,
+  updated_by                       INTEGER REFERENCES users(id),
+  updated_at                       TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ─── 2. payroll_gl_postings ──────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS payroll_gl_postings (
+  id                   SERIAL PRIMARY KEY,
+  company_id           INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  payroll_run_id       UUID NOT NULL REFERENCES payroll_runs(id),
+  period_key           VARCHAR(7) NOT NULL,
+  status               VARCHAR(10) NOT NULL DEFAULT 'draft'
+                         CHECK (status IN ('draft','posted','failed','reversed')),
+  journal_id           INTEGER,
+  reversal_journal_id  INTEGER,
+  employee_count       INTEGER NOT NULL DEFAULT 0,
+  totals               JSONB NOT NULL DEFAULT '{}'::jsonb,   -- gross, paye, uif, sdl, net …
+  lines                JSONB NOT NULL DEFAULT '[]'::jsonb,   -- journal lines as built
+  error                TEXT,
+  posted_by            INTEGER REFERENCES users(id),
+  posted_at            TIMESTAMPTZ DEFAULT NOW(),
+  reversed_by          INTEGER REFERENCES users(id),
+  reversed_at          TIMESTAMPTZ,
+  UNIQUE (company_id, payroll_run_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_gl_postings_period
+  ON payroll_gl_postings(company_id, period_key);
+
+-- Same isolation as employees / payroll_snapshots
+ALTER TABLE payroll_gl_mappings ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "payroll_gl_mappings_company_isolation" ON payroll_gl_mappings;
+CREATE POLICY "payroll_gl_mappings_company_isolation" ON payroll_gl_mappings
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+ALTER TABLE payroll_gl_postings ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "payroll_gl_postings_company_isolation" ON payroll_gl_postings;
+CREATE POLICY "payroll_gl_postings_company_isolation" ON payroll_gl_postings
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
@@ -0,0 +1,80 @@
+-- =============================================================================
+-- Migration 159: Employee self-service — leave requests and bank detail changes
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: Employees had no access of their own — payslips, IRP5s, leave and
+-- bank details all went through a payroll admin. An 'employee' role login is
+-- now linked to exactly one employees row (employees.user_id) and served by
+-- /api/payroll/self-service:
+--   - payslips (finalized snapshots) and IRP5/IT3(a) certificates (tax years
+--     with a live EMP501 export) as password-protected PDFs
+--   - leave requests into leave_records as 'pending', decided by a manager
+--     through /api/payroll/attendance/leave/:id/decision
+--   - bank detail changes held in employee_bank_change_requests until a
+--     payroll admin approves them; only then is employee_bank_details changed
+--
+-- Design rules:
+--   - An employee login never sees another employee: every self-service query
+--     is scoped to the employees row whose user_id is the caller.
+--   - Requested bank details never reach the EFT file until approved. One
+--     pending request per employee; a new request replaces nothing — the
+--     pending one must be decided or withdrawn first.
+--   - Leave decisions record who decided, when, and an optional note.
+--
+-- Tables altered:
+--   1. leave_records — source, requested_by, decision_note
+-- Tables created:
+--   2. employee_bank_change_requests — pending / approved / rejected / withdrawn
+-- =============================================================================
+
+BEGIN;
+
+-- ─── 1. leave_records ────────────────────────────────────────────────────────
+
+ALTER TABLE leave_records
+  ADD COLUMN IF NOT EXISTS source        VARCHAR(20) NOT NULL DEFAULT 'admin'
+                                           CHECK (source IN ('admin','self_service')),
+  ADD COLUMN IF NOT EXISTS requested_by  INTEGER REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS decision_note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_leave_records_pending
+  ON leave_records(company_id, status) WHERE status = 'pending';
+
+-- ─── 2. employee_bank_change_requests ────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS employee_bank_change_requests (
+  id              SERIAL PRIMARY KEY,
+  company_id      INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  employee_id     INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  bank_name       VARCHAR(100) NOT NULL,
+  account_holder  VARCHAR(150) NOT NULL,
+  account_number  VARCHAR(50) NOT NULL,
+  branch_code     VARCHAR(20) NOT NULL,
+  account_type    VARCHAR(50) NOT NULL DEFAULT 'current',
+  previous        JSONB,                                   -- details in force when requested
+  status          VARCHAR(10) NOT NULL DEFAULT 'pending'
+                    CHECK (status IN ('pending','approved','rejected','withdrawn')),
+  requested_by    INTEGER REFERENCES users(id),
+  requested_at    TIMESTAMPTZ DEFAULT NOW(),
+  reviewed_by     INTEGER REFERENCES users(id),
+  reviewed_at     TIMESTAMPTZ,
+  review_note     TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bank_change_one_pending
+  ON employee_bank_change_requests(company_id, employee_id) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_bank_change_status
+  ON employee_bank_change_requests(company_id, status);
+
+-- Same isolation as employees / employee_bank_details
+ALTER TABLE employee_bank_change_requests ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "employee_bank_change_requests_company_isolation" ON employee_bank_change_requests;
+CREATE POLICY "employee_bank_change_requests_company_isolation" ON employee_bank_change_requests
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
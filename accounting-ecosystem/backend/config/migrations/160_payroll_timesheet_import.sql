@@ -0,0 +1,114 @@
+-- =============================================================================
+-- Migration 160: Timesheet / clock-record import
+-- =============================================================================
+-- Run in Supabase SQL Editor.
+--
+-- Purpose: Overtime, Sunday and public-holiday hours were keyed by hand per
+-- employee on POST /transactions/overtime and /multi-rate. TimesheetService
+-- now imports the CSV export of a biometric clock, pairs the punches into
+-- shifts, applies each employee's work schedule and the BCEA rates (1.5×
+-- overtime, 2× Sunday / public holiday, night-shift allowance) and writes the
+-- period inputs when the import is applied.
+--
+-- Design rules:
+--   - An import is stored as a draft first. summary keeps, per employee, the
+--     day-by-day classification and the inputs it will generate; exceptions
+--     keeps missing clock-outs / clock-ins, unknown clock numbers and days
+--     outside the period. Nothing reaches the payroll until it is applied.
+--   - Applying replaces the earlier timesheet-generated rows of the same
+--     employees in the period (timesheet_import_id IS NOT NULL). Rows keyed
+--     by hand (timesheet_import_id IS NULL) are left alone.
+--   - Employees whose payslip for the period is finalized are skipped.
+--   - The national public holidays are computed (Public Holidays Act,
+--     Sunday → Monday rule). payroll_public_holidays only holds the extra
+--     days a company must observe, e.g. a declared election day.
+--
+-- Tables created:
+--   1. payroll_timesheet_settings — one row per company
+--   2. payroll_public_holidays    — declared holidays on top of the Act
+--   3. payroll_timesheet_imports  — one row per uploaded clock file
+--
+-- Columns added:
+--   payroll_overtime.timesheet_import_id
+--   payroll_multi_rate.timesheet_import_id
+--   payroll_period_inputs.timesheet_import_id
+-- =============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS payroll_timesheet_settings (
+  company_id              INTEGER PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+  meal_break_minutes      INTEGER NOT NULL DEFAULT 0
+                            CHECK (meal_break_minutes BETWEEN 0 AND 120),  -- unpaid, shifts over 5 hours
+  night_start             VARCHAR(5) NOT NULL DEFAULT '18:00',             -- BCEA s17 night work window
+  night_end               VARCHAR(5) NOT NULL DEFAULT '06:00',
+  night_allowance_rate    NUMERIC(10,2) NOT NULL DEFAULT 0,                -- rand per night hour
+  night_allowance_item    VARCHAR(100) NOT NULL DEFAULT 'Night shift allowance',
+  weekly_ordinary_hours   NUMERIC(5,2) NOT NULL DEFAULT 45,                -- BCEA s9
+  updated_by              INTEGER REFERENCES users(id),
+  updated_at              TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS payroll_public_holidays (
+  id            SERIAL PRIMARY KEY,
+  company_id    INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  holiday_date  DATE NOT NULL,
+  name          VARCHAR(100) NOT NULL,
+  created_by    INTEGER REFERENCES users(id),
+  created_at    TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (company_id, holiday_date)
+);
+
+CREATE TABLE IF NOT EXISTS payroll_timesheet_imports (
+  id                 SERIAL PRIMARY KEY,
+  company_id         INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  payroll_period_id  INTEGER NOT NULL REFERENCES payroll_periods(id) ON DELETE CASCADE,
+  period_key         VARCHAR(7) NOT NULL,
+  file_name          VARCHAR(255),
+  punch_count        INTEGER NOT NULL DEFAULT 0,
+  shift_count        INTEGER NOT NULL DEFAULT 0,
+  employee_count     INTEGER NOT NULL DEFAULT 0,
+  exception_count    INTEGER NOT NULL DEFAULT 0,
+  settings           JSONB NOT NULL DEFAULT '{}'::jsonb,   -- settings in force at import
+  summary            JSONB NOT NULL DEFAULT '[]'::jsonb,   -- per-employee days, totals and inputs
+  exceptions         JSONB NOT NULL DEFAULT '[]'::jsonb,
+  status             VARCHAR(20) NOT NULL DEFAULT 'draft'
+                       CHECK (status IN ('draft','applied','discarded')),
+  imported_by        INTEGER REFERENCES users(id),
+  created_at         TIMESTAMPTZ DEFAULT NOW(),
+  applied_by         INTEGER REFERENCES users(id),
+  applied_at         TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_timesheet_imports_period
+  ON payroll_timesheet_imports(company_id, period_key, status);
+
+ALTER TABLE payroll_overtime
+  ADD COLUMN IF NOT EXISTS timesheet_import_id INTEGER REFERENCES payroll_timesheet_imports(id) ON DELETE SET NULL;
+ALTER TABLE payroll_multi_rate
+  ADD COLUMN IF NOT EXISTS timesheet_import_id INTEGER REFERENCES payroll_timesheet_imports(id) ON DELETE SET NULL;
+ALTER TABLE payroll_period_inputs
+  ADD COLUMN IF NOT EXISTS timesheet_import_id INTEGER REFERENCES payroll_timesheet_imports(id) ON DELETE SET NULL;
+
+-- Same isolation as employees / payroll_snapshots
+ALTER TABLE payroll_timesheet_settings ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "payroll_timesheet_settings_company_isolation" ON payroll_timesheet_settings;
+CREATE POLICY "payroll_timesheet_settings_company_isolation" ON payroll_timesheet_settings
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+ALTER TABLE payroll_public_holidays ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "payroll_public_holidays_company_isolation" ON payroll_public_holidays;
+CREATE POLICY "payroll_public_holidays_company_isolation" ON payroll_public_holidays
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+ALTER TABLE payroll_timesheet_imports ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "payroll_timesheet_imports_company_isolation" ON payroll_timesheet_imports;
+CREATE POLICY "payroll_timesheet_imports_company_isolation" ON payroll_timesheet_imports
+  USING (app_is_super_admin() = true OR company_id = app_company_id())
+  WITH CHECK (app_is_super_admin() = true OR company_id = app_company_id());
+
+COMMIT;
+
+SELECT pg_notify('pgrst', 'reload schema');
@@ -20,6 +20,7 @@
  *   district_trainer (55)  — District training/support, not full management
  *   cashier (20)           — POS terminal only
  *   receiving_clerk (25)   — Full PO lifecycle + till, no Reports/Dashboard
+ *   employee (10)          — Paytime self-service for their own employee record only
  *   trainee (5)            — Supervised access
  *
  * regional_manager/district_manager/corporate_finance/corporate_ops were
@@ -62,6 +63,10 @@ const ROLE_LEVELS = {
   // Granted only the specific permissions it needs, explicitly, in the
   // PERMISSIONS block below.
   receiving_clerk: 25,
+  // Paytime self-service login linked to one employees row (employees.user_id).
+  // Deliberately in none of the role lists below — it holds SELF_SERVICE only,
+  // so no POS, payroll or leave-admin permission can reach it by inheritance.
+  employee: 10,
   trainee: 5,
   // Legacy mappings
   admin: 70,
@@ -293,6 +298,11 @@ const PERMISSIONS = {
     CREATE: ['super_admin', 'business_owner', 'practice_manager', 'administrator', 'accountant', 'payroll_admin', 'leave_admin'],
     APPROVE: ['super_admin', 'business_owner', 'practice_manager', 'administrator', 'accountant', 'payroll_admin', 'leave_admin'],
   },
+  // Employee self-service — own payslips, IRP5s, leave requests and bank detail changes
+  SELF_SERVICE: {
+    VIEW: ['employee'],
+    REQUEST: ['employee'],
+  },
 };
 
 /**
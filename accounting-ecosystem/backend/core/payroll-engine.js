@@ -111,6 +111,97 @@ const PayrollEngine = {
     MEDICAL_CREDIT_FIRST_DEP: 364,
     MEDICAL_CREDIT_ADDITIONAL: 246,
 
+    // ============================================================
+    // EMPLOYMENT TAX INCENTIVE (ETI) — Employment Tax Incentive Act 26 of 2013
+    // Monthly remuneration bands, auto-selected by pay period (latest 'from' <= period).
+    //   first  — qualifying months 1–12 of employment
+    //   second — qualifying months 13–24
+    //   remuneration <  lower        → rate × remuneration
+    //   lower <= remuneration < upper → flat
+    //   upper <= remuneration < max   → flat − taper × (remuneration − upper)
+    // Source: www.sars.gov.za — verify after each budget speech.
+    // ============================================================
+    ETI_BANDS: [
+        { from: '2022-03', lower: 2000, upper: 4500, max: 6500,
+          first:  { rate: 0.75,  flat: 1500, taper: 0.75 },
+          second: { rate: 0.375, flat: 750,  taper: 0.375 } },
+        { from: '2025-04', lower: 2500, upper: 5500, max: 7500,
+          first:  { rate: 0.60, flat: 1500, taper: 0.75 },
+          second: { rate: 0.30, flat: 750,  taper: 0.375 } }
+    ],
+
+    // National minimum wage per hour (National Minimum Wage Act), effective 1 March
+    NATIONAL_MINIMUM_WAGE: [
+        { from: '2022-03', hourly: 23.19 },
+        { from: '2023-03', hourly: 25.42 },
+        { from: '2024-03', hourly: 27.58 },
+        { from: '2025-03', hourly: 28.79 }
+    ],
+
+    ETI_MIN_AGE: 18,
+    ETI_MAX_AGE: 29,
+    ETI_FULL_MONTH_HOURS: 160,
+    ETI_EARLIEST_EMPLOYMENT: '2013-10-01',
+    PAY_PERIODS_PER_YEAR: { monthly: 12, bi_weekly: 26, weekly: 52 },
+
+    // ============================================================
+    // TAXABLE FRINGE BENEFITS — Seventh Schedule to the Income Tax Act
+    // Valued monthly. Included in PAYE remuneration only — no cash is paid,
+    // so net pay is never increased by a benefit.
+    // ============================================================
+    FRINGE_BENEFIT_CODES: {
+        company_car:       '3802',   // right of use of motor vehicle (para 7)
+        accommodation:     '3805',   // free or cheap accommodation (para 9)
+        free_services:     '3806',   // free or cheap services (para 10)
+        low_interest_loan: '3807'    // low or interest-free loans (para 11)
+    },
+
+    // Company car: monthly value as % of determined value (para 7(4))
+    COMPANY_CAR_RATE:                  0.035,
+    COMPANY_CAR_RATE_MAINTENANCE_PLAN: 0.0325,
+    // Share of the value subject to PAYE — 20% when the employer is satisfied
+    // that at least 80% of the vehicle's use is for business (para 7(10)(b))
+    COMPANY_CAR_PAYE_INCLUSION:        0.80,
+    COMPANY_CAR_PAYE_INCLUSION_BUSINESS: 0.20,
+
+    // Official rate of interest (% p.a.) — repo rate + 1%, from the first day of
+    // the month after a repo change. Source: www.sars.gov.za interest rate tables.
+    OFFICIAL_INTEREST_RATE: [
+        { from: '2023-06', rate: 9.25 },
+        { from: '2024-10', rate: 9.00 },
+        { from: '2024-12', rate: 8.75 },
+        { from: '2025-02', rate: 8.50 },
+        { from: '2025-06', rate: 8.25 },
+        { from: '2025-08', rate: 8.00 },
+        { from: '2025-12', rate: 7.75 }
+    ],
+    // Casual loans up to this balance carry no benefit (para 11(4)(a))
+    CASUAL_LOAN_LIMIT: 3000,
+
+    // Accommodation formula factor C (para 9(3)(a)) — 17, plus 1 each when the
+    // accommodation is furnished and when power or fuel is supplied
+    ACCOMMODATION_FACTOR_BASE: 17,
+
+    // Retirement fund lump sum benefit / severance benefit tax table. Applied to
+    // ALL lump sums received from 1 Oct 2007 (cumulative) — tax on this one is
+    // tax(previous + this) − tax(previous). Source: www.sars.gov.za rates tables.
+    RETIREMENT_LUMP_SUM_TABLE: [
+        { from: '2014-03', brackets: [
+            { min: 0,       max: 500000,  base: 0,      rate: 0 },
+            { min: 500000,  max: 700000,  base: 0,      rate: 0.18 },
+            { min: 700000,  max: 1050000, base: 36000,  rate: 0.27 },
+            { min: 1050000, max: null,    base: 130500, rate: 0.36 }
+        ] },
+        { from: '2023-03', brackets: [
+            { min: 0,       max: 550000,  base: 0,      rate: 0 },
+            { min: 550000,  max: 770000,  base: 0,      rate: 0.18 },
+            { min: 770000,  max: 1155000, base: 39600,  rate: 0.27 },
+            { min: 1155000, max: null,    base: 143550, rate: 0.36 }
+        ] }
+    ],
+    // IRP5 source code for a severance benefit (tax on it goes under 4115)
+    SEVERANCE_IRP5_CODE: '3901',
+
     // ============================================================
     // HISTORICAL SA TAX TABLES (auto-selected by pay period)
     // Source: www.sars.gov.za — verify before each new tax year.
@@ -331,6 +422,373 @@ const PayrollEngine = {
         return age;
     },
 
+    // === EMPLOYMENT TAX INCENTIVE (ETI) ===
+
+    /**
+     * Entry of a { from: 'YYYY-MM' } table in force for a period — the latest
+     * entry whose 'from' is on or before the period. No period → latest entry.
+     */
+    _effectiveEntry: function(table, period) {
+        var entry = table[0];
+        for (var i = 0; i < table.length; i++) {
+            if (!period || table[i].from <= period) entry = table[i];
+        }
+        return entry;
+    },
+
+    /**
+     * Calculate the ETI an employer earns for one employee for one pay period.
+     * ETI is an employer credit against PAYE — it never changes the employee's
+     * PAYE, UIF or net pay.
+     *
+     * Rules applied:
+     *   - employee_eti.status must be 'qualified_claiming'
+     *   - employed on/after 1 October 2013; only the first 24 qualifying months
+     *     (months 1–12 first tier, 13–24 second tier) — disqualified_months_before
+     *     reduces the month count
+     *   - aged 18–29 at month end, unless employed in a Special Economic Zone
+     *   - paid at least the minimum wage (employee_eti min-wage rule, else the
+     *     national minimum wage per hour)
+     *   - under 160 hours in the month: remuneration is grossed up to 160 hours
+     *     for the band lookup and the ETI is scaled back by hours ÷ 160
+     *   - weekly / bi-weekly periods are converted to a monthly equivalent for
+     *     the bands, and the result converted back to the pay period
+     *
+     * @param {number} remuneration - Taxable remuneration for the pay period
+     * @param {Object} eti - { status, employment_date 'YYYY-MM-DD', disqualified_months_before,
+     *                         age (at month end), sez, frequency 'monthly'|'bi_weekly'|'weekly',
+     *                         hours_worked (pay period; null = full month),
+     *                         min_wage_input_type, min_wage_amount }
+     * @param {string} period - Pay period 'YYYY-MM' — selects the ETI bands
+     * @returns {Object} { eti, tier, qualifyingMonth, monthlyRemuneration, hoursFactor, reason }
+     *   reason is null when ETI is earned, otherwise the rule that gave R0.
+     */
+    calculateEti: function(remuneration, eti, period) {
+        var e = eti || {};
+        var result = { eti: 0, tier: null, qualifyingMonth: null, monthlyRemuneration: 0, hoursFactor: 1, reason: null };
+        function none(reason) { result.reason = reason; return result; }
+
+        if (e.status !== 'qualified_claiming') return none('not_claiming');
+        if (!e.employment_date) return none('no_employment_date');
+        if (String(e.employment_date) < this.ETI_EARLIEST_EMPLOYMENT) return none('employed_before_october_2013');
+        if (!period) return none('no_period');
+
+        var py = parseInt(period.substring(0, 4), 10), pm = parseInt(period.substring(5, 7), 10);
+        var ey = parseInt(String(e.employment_date).substring(0, 4), 10);
+        var em = parseInt(String(e.employment_date).substring(5, 7), 10);
+        var month = (py * 12 + pm) - (ey * 12 + em) + 1 - (parseInt(e.disqualified_months_before, 10) || 0);
+        result.qualifyingMonth = month;
+        if (month < 1) return none('not_yet_qualifying');
+        if (month > 24) return none('24_months_claimed');
+        result.tier = month <= 12 ? 'first' : 'second';
+
+        if (!e.sez) {
+            if (e.age === null || e.age === undefined) return none('age_unknown');
+            if (e.age < this.ETI_MIN_AGE || e.age > this.ETI_MAX_AGE) return none('age_outside_18_to_29');
+        }
+
+        var toMonthly = (this.PAY_PERIODS_PER_YEAR[e.frequency] || 12) / 12;
+        var monthlyRem = (parseFloat(remuneration) || 0) * toMonthly;
+        var hours = parseFloat(e.hours_worked) > 0 ? parseFloat(e.hours_worked) * toMonthly : null;
+        result.monthlyRemuneration = this.r2(monthlyRem);
+        if (monthlyRem <= 0) return none('no_remuneration');
+
+        // Minimum wage — per hour worked; 160 hours when hours are not known
+        var minHours = hours || this.ETI_FULL_MONTH_HOURS;
+        var minAmount = parseFloat(e.min_wage_amount) || 0;
+        var minimum;
+        if (e.min_wage_input_type === 'monthly_amount' && minAmount > 0) {
+            minimum = minAmount * Math.min(minHours / this.ETI_FULL_MONTH_HOURS, 1);
+        } else if (e.min_wage_input_type === 'hourly_rate' && minAmount > 0) {
+            minimum = minAmount * minHours;
+        } else {
+            minimum = this._effectiveEntry(this.NATIONAL_MINIMUM_WAGE, period).hourly * minHours;
+        }
+        if (monthlyRem + 0.005 < minimum) return none('below_minimum_wage');
+
+        var hoursFactor = hours !== null && hours < this.ETI_FULL_MONTH_HOURS ? hours / this.ETI_FULL_MONTH_HOURS : 1;
+        result.hoursFactor = Math.round(hoursFactor * 10000) / 10000;
+        var bandRem = monthlyRem / hoursFactor;
+
+        var bands = this._effectiveEntry(this.ETI_BANDS, period);
+        var t = bands[result.tier];
+        var monthlyEti;
+        if (bandRem < bands.lower)      monthlyEti = t.rate * bandRem;
+        else if (bandRem < bands.upper) monthlyEti = t.flat;
+        else if (bandRem < bands.max)   monthlyEti = t.flat - t.taper * (bandRem - bands.upper);
+        else return none('above_maximum_remuneration');
+
+        result.eti = this.r2(monthlyEti * hoursFactor / toMonthly);
+        return result;
+    },
+
+    /**
+     * Employer reconciliation period an ETI month falls in — 'YYYY-03'
+     * (March–August) or 'YYYY-09' (September–February).
+     */
+    etiReconciliationPeriod: function(period) {
+        var y = parseInt(period.substring(0, 4), 10), m = parseInt(period.substring(5, 7), 10);
+        if (m >= 3 && m <= 8) return y + '-03';
+        return (m >= 9 ? y : y - 1) + '-09';
+    },
+
+    /**
+     * Set ETI off against PAYE month by month. ETI the month's PAYE cannot
+     * absorb rolls forward to the next month of the same employer
+     * reconciliation period; at the end of the period (August / February) the
+     * balance is left for reimbursement and the roll-forward restarts at zero.
+     *
+     * @param {Array} months - [{ period 'YYYY-MM', eti, paye }] — employer totals, any order
+     * @returns {Array} [{ period, eti_earned, brought_forward, available, claimed,
+     *                     carried_forward, unclaimed_at_period_end }]
+     */
+    rollForwardEti: function(months) {
+        var self = this;
+        var sorted = (months || []).slice().sort(function(a, b) {
+            return a.period < b.period ? -1 : (a.period > b.period ? 1 : 0);
+        });
+        var carry = 0;
+        var prevRecon = null;
+        return sorted.map(function(m) {
+            var recon = self.etiReconciliationPeriod(m.period);
+            if (recon !== prevRecon) carry = 0;
+            prevRecon = recon;
+
+            var earned    = self.r2(parseFloat(m.eti) || 0);
+            var available = self.r2(carry + earned);
+            var claimed   = self.r2(Math.min(available, Math.max(parseFloat(m.paye) || 0, 0)));
+            var left      = self.r2(available - claimed);
+            var mm        = parseInt(m.period.substring(5, 7), 10);
+            var periodEnd = mm === 8 || mm === 2;
+            var row = {
+                period:                  m.period,
+                eti_earned:              earned,
+                brought_forward:         self.r2(carry),
+                available:               available,
+                claimed:                 claimed,
+                carried_forward:         periodEnd ? 0 : left,
+                unclaimed_at_period_end: periodEnd ? left : 0
+            };
+            carry = row.carried_forward;
+            return row;
+        });
+    },
+
+    // === TAXABLE FRINGE BENEFITS ===
+
+    /**
+     * Value one fringe benefit for one month.
+     *
+     * Types (benefit.type):
+     *   company_car       — { determined_value, maintenance_plan, business_use_80,
+     *                         employee_contribution }
+     *                       value = determined value × 3.5% (3.25% with a maintenance
+     *                       plan) less the employee's contribution for its use; PAYE
+     *                       on 80% of that (20% when business_use_80)
+     *   low_interest_loan — { balance (opening, this month), interest_rate (% p.a.
+     *                         charged), monthly_repayment, official_rate?, exempt? }
+     *                       value = balance × (official rate − rate charged) ÷ 12;
+     *                       nil for casual loans ≤ R3 000 and exempt (study) loans.
+     *                       The repayment is a deduction from net pay and the
+     *                       closing balance rolls to the next month.
+     *   accommodation     — method 'formula': { remuneration_proxy, abatement,
+     *                         furnished, power_supplied, employer_cost? (when the
+     *                         employer does not own it — the lower value applies) }
+     *                       method 'cost': { employer_cost }; method 'fixed': { value }
+     *                       less rent paid by the employee (employee_contribution)
+     *   free_services     — { value } cost to the employer less employee_contribution
+     *
+     * Car and accommodation values are reduced for a part month when
+     * days_available / days_in_period are supplied.
+     *
+     * @param {Object} benefit - { id, type, description, ...type fields }
+     * @param {string} period  - 'YYYY-MM' — selects the official interest rate
+     * @returns {Object} { id, type, irp5_code, description, value, taxable,
+     *                     repayment, detail } — value is the IRP5 amount,
+     *                     taxable the part included for PAYE
+     */
+    calculateFringeBenefit: function(benefit, period) {
+        var b = benefit || {};
+        var num = function(v) { return parseFloat(v) || 0; };
+        var result = {
+            id:          b.id !== undefined ? b.id : null,
+            type:        b.type,
+            irp5_code:   this.FRINGE_BENEFIT_CODES[b.type] || null,
+            description: b.description || null,
+            value:       0,
+            taxable:     0,
+            repayment:   0,
+            detail:      {}
+        };
+        var daysFactor = (num(b.days_in_period) > 0 && b.days_available !== null && b.days_available !== undefined)
+            ? Math.min(Math.max(num(b.days_available) / num(b.days_in_period), 0), 1) : 1;
+
+        if (b.type === 'company_car') {
+            var rate = b.maintenance_plan ? this.COMPANY_CAR_RATE_MAINTENANCE_PLAN : this.COMPANY_CAR_RATE;
+            var carValue = Math.max(num(b.determined_value) * rate * daysFactor - num(b.employee_contribution), 0);
+            var inclusion = b.business_use_80 ? this.COMPANY_CAR_PAYE_INCLUSION_BUSINESS : this.COMPANY_CAR_PAYE_INCLUSION;
+            result.value   = this.r2(carValue);
+            result.taxable = this.r2(carValue * inclusion);
+            result.detail  = { rate: rate, paye_inclusion: inclusion, days_factor: daysFactor };
+
+        } else if (b.type === 'low_interest_loan') {
+            var balance  = Math.max(num(b.balance), 0);
+            var actual   = num(b.interest_rate);
+            var official = (b.official_rate !== null && b.official_rate !== undefined && b.official_rate !== '')
+                ? num(b.official_rate) : this._effectiveEntry(this.OFFICIAL_INTEREST_RATE, period).rate;
+            var interest  = this.r2(balance * actual / 100 / 12);
+            var repayment = this.r2(Math.min(Math.max(num(b.monthly_repayment), 0), balance + interest));
+            var loanValue = 0;
+            var reason = null;
+            if (b.exempt) reason = 'exempt';
+            else if (balance <= this.CASUAL_LOAN_LIMIT) reason = 'casual_loan';
+            else loanValue = balance * Math.max(official - actual, 0) / 100 / 12;
+            result.value     = this.r2(loanValue);
+            result.taxable   = result.value;
+            result.repayment = repayment;
+            result.detail    = {
+                opening_balance:  this.r2(balance),
+                interest_rate:    actual,
+                official_rate:    official,
+                interest_charged: interest,
+                closing_balance:  this.r2(balance + interest - repayment),
+                reason:           reason
+            };
+
+        } else if (b.type === 'accommodation') {
+            var method = b.method || 'formula';
+            var accValue;
+            if (method === 'fixed') {
+                accValue = num(b.value);
+            } else if (method === 'cost') {
+                accValue = num(b.employer_cost);
+            } else {
+                var factor = this.ACCOMMODATION_FACTOR_BASE + (b.furnished ? 1 : 0) + (b.power_supplied ? 1 : 0);
+                accValue = Math.max(num(b.remuneration_proxy) - num(b.abatement), 0) * factor / 100 / 12;
+                if (num(b.employer_cost) > 0) accValue = Math.min(accValue, num(b.employer_cost));
+                result.detail.factor = factor;
+            }
+            accValue = Math.max(accValue * daysFactor - num(b.employee_contribution), 0);
+            result.value   = this.r2(accValue);
+            result.taxable = result.value;
+            result.detail.method = method;
+            result.detail.days_factor = daysFactor;
+
+        } else if (b.type === 'free_services') {
+            result.value   = this.r2(Math.max(num(b.value) - num(b.employee_contribution), 0));
+            result.taxable = result.value;
+        }
+
+        return result;
+    },
+
+    // === LOAN AND GARNISHEE DEDUCTION ORDERS ===
+
+    /**
+     * Work out this period's deduction for each loan / garnishee order.
+     *
+     * Orders are applied after PAYE, UIF and all other deductions: loans
+     * first, then garnishees, each group by priority then id. Every order
+     * accrues interest on its balance first (rate % p.a. ÷ 12) and never
+     * deducts more than balance + interest, so it stops by itself once paid.
+     * A garnishee is capped so that net pay stays at or above its
+     * net_pay_floor (0 when not set) — the uncollected part is the shortfall.
+     *
+     * @param {number} netBefore - Net pay before any order is deducted
+     * @param {Array}  orders    - [{ id, type 'loan'|'garnishee', description, balance,
+     *                               interest_rate, instalment, priority, net_pay_floor }]
+     * @returns {Array} [{ id, type, description, opening_balance, interest, due,
+     *                     deducted, shortfall, capped_by_floor, closing_balance }]
+     */
+    applyDeductionOrders: function(netBefore, orders) {
+        var self = this;
+        var num = function(v) { return parseFloat(v) || 0; };
+        var rank = function(o) { return o.type === 'garnishee' ? 1 : 0; };
+        var sorted = (orders || []).slice().sort(function(a, b) {
+            return (rank(a) - rank(b)) || (num(a.priority) - num(b.priority)) || (num(a.id) - num(b.id));
+        });
+        var remainingNet = num(netBefore);
+
+        return sorted.map(function(o) {
+            var balance  = Math.max(num(o.balance), 0);
+            var interest = self.r2(balance * num(o.interest_rate) / 100 / 12);
+            var due      = self.r2(Math.min(Math.max(num(o.instalment), 0), balance + interest));
+            var deducted = due;
+            var capped   = false;
+            if (o.type === 'garnishee') {
+                var room = self.r2(Math.max(remainingNet - num(o.net_pay_floor), 0));
+                if (room < due) { deducted = room; capped = true; }
+            }
+            remainingNet -= deducted;
+            return {
+                id:              o.id,
+                type:            o.type,
+                description:     o.description || null,
+                opening_balance: self.r2(balance),
+                interest:        interest,
+                due:             due,
+                deducted:        deducted,
+                shortfall:       self.r2(due - deducted),
+                capped_by_floor: capped,
+                closing_balance: self.r2(balance + interest - deducted)
+            };
+        });
+    },
+
+    /**
+     * Tax on a retirement / severance lump sum using the cumulative lump sum
+     * table: tax(prior + amount) − tax(prior).
+     *
+     * @param {number} amount        - Taxable lump sum now being paid
+     * @param {number} priorLumpSums - Taxable lump sums received before (since Oct 2007)
+     * @param {string} period        - 'YYYY-MM' (selects the table)
+     * @returns {number}
+     */
+    calculateLumpSumTax: function(amount, priorLumpSums, period) {
+        var brackets = this._effectiveEntry(this.RETIREMENT_LUMP_SUM_TABLE, period).brackets;
+        var taxOn = function(total) {
+            for (var i = brackets.length - 1; i >= 0; i--) {
+                if (total > brackets[i].min) return brackets[i].base + (total - brackets[i].min) * brackets[i].rate;
+            }
+            return 0;
+        };
+        var prior = Math.max(parseFloat(priorLumpSums) || 0, 0);
+        var now   = Math.max(parseFloat(amount) || 0, 0);
+        return this.r2(taxOn(prior + now) - taxOn(prior));
+    },
+
+    /**
+     * Severance benefit paid on termination. It is not remuneration for PAYE —
+     * SARS issues a tax directive (IRP3(a)) and the employer withholds the
+     * directive's tax. The directive may also grant an exempt portion (the
+     * s10(1)(x) hook). Until a directive is captured the tax is estimated on
+     * the lump sum table and flagged as such.
+     *
+     * @param {Object} severance - { amount, exempt_amount, prior_lump_sums,
+     *                               directive: { number, tax_amount } }
+     * @param {string} period    - 'YYYY-MM'
+     * @returns {Object} { irp5_code, amount, exempt, taxable, tax, directive_number, estimated }
+     */
+    calculateSeverance: function(severance, period) {
+        var amount = this.r2(Math.max(parseFloat(severance.amount) || 0, 0));
+        var exempt = this.r2(Math.min(Math.max(parseFloat(severance.exempt_amount) || 0, 0), amount));
+        var taxable = this.r2(amount - exempt);
+        var directive = severance.directive || null;
+        var hasDirective = !!(directive && directive.tax_amount !== null && directive.tax_amount !== undefined && directive.tax_amount !== '');
+        var tax = hasDirective
+            ? this.r2(parseFloat(directive.tax_amount) || 0)
+            : this.calculateLumpSumTax(taxable, severance.prior_lump_sums, period);
+        return {
+            irp5_code:        this.SEVERANCE_IRP5_CODE,
+            amount:           amount,
+            exempt:           exempt,
+            taxable:          taxable,
+            tax:              tax,
+            directive_number: hasDirective ? (directive.number || null) : null,
+            estimated:        !hasDirective
+        };
+    },
+
     /**
      * Return annual tax breakdown for payslip display transparency.
      * Splits the annual tax calculation into bracket tax, age rebate, and net tax.
@@ -640,7 +1098,7 @@ const PayrollEngine = {
      *   hours_per_day: Override hours for a normal day (default 8). Ignored if not provided.
      * @param {Array} currentInputs - Current period additions/deductions
      * @param {Array} overtime - Overtime entries { hours, rate_multiplier }
-     * @param {Array} multiRate - Multi-rate entries { hours, hourly_rate }
+     * @param {Array} multiRate - Multi-rate entries { hours, rate_multiplier } or { hours, hourly_rate }
      * @param {Array} shortTime - Short time entries { hours_missed }
      * @param {Object} [employeeOptions] - { age, medicalMembers, taxDirective, voluntaryTaxConfig }
      * @param {string} [period] - Pay period 'YYYY-MM' — auto-selects correct tax year tables
@@ -749,9 +1207,12 @@ const PayrollEngine = {
         uifApplicableGross += overtimeAmount;
 
         // Multi-rate hours → once-off (always taxable, always UIF-applicable)
+        // An explicit hourly_rate wins; otherwise hours are paid at the schedule-based
+        // hourly rate × rate_multiplier (the shape PayrollDataService normalises to).
         var multiRateAmount = 0;
         (multiRate || []).forEach(function(mr) {
-            var mrAmt = (parseFloat(mr.hours) || 0) * (parseFloat(mr.hourly_rate) || 0);
+            var mrRate = parseFloat(mr.hourly_rate) || hourlyRate * (parseFloat(mr.rate_multiplier) || 1);
+            var mrAmt = (parseFloat(mr.hours) || 0) * mrRate;
             onceOffTaxable    += mrAmt;
             multiRateAmount   += mrAmt;
         });
@@ -771,6 +1232,9 @@ const PayrollEngine = {
 
         var taxableGross = periodicTaxable + onceOffTaxable;
 
+        // ETI remuneration — taxable pay before pre-tax deductions are applied
+        var etiRemuneration = taxableGross;
+
         // Total gross includes both taxable and non-taxable.
         // Captured BEFORE pre-tax deductions are applied so that SDL remain based on actual earnings.
         var gross = taxableGross + nonTaxableIncome;
@@ -825,6 +1289,24 @@ const PayrollEngine = {
         var deductions = preTaxDeductions + netOnlyDeductions;
 
         var opts = employeeOptions || {};
+
+        // === TAXABLE FRINGE BENEFITS (employeeOptions.fringeBenefits) ===
+        // The PAYE inclusion is periodic taxable income — it raises PAYE but is
+        // not paid out, so gross and net are unchanged. Loan repayments are a
+        // net-only deduction. SDL is levied on the full benefit value.
+        var fringeBenefits = (opts.fringeBenefits || []).map(function(fb) {
+            return PayrollEngine.calculateFringeBenefit(fb, period);
+        });
+        var fringeValue = 0, fringeTaxable = 0, loanRepayments = 0;
+        fringeBenefits.forEach(function(fb) {
+            fringeValue    += fb.value;
+            fringeTaxable  += fb.taxable;
+            loanRepayments += fb.repayment;
+        });
+        periodicTaxable   += fringeTaxable;
+        taxableGross       = periodicTaxable + onceOffTaxable;
+        netOnlyDeductions += loanRepayments;
+        deductions        += loanRepayments;
         var paye;
         var _ytdCalc = null;
         if (ytdData && period) {
@@ -880,6 +1362,8 @@ const PayrollEngine = {
                 // (pension/RA reduces salary, not variable items — this is the correct apportionment).
                 var _basicAfterAdj = Math.max((payrollData.basic_salary || 0) - shortTimeAmount - preTaxDeductions, 0);
                 _ptFixed += _basicAfterAdj;
+                // Fringe benefits recur monthly at a known value: FIXED
+                _ptFixed += fringeTaxable;
 
                 // Classify taxable regular inputs by paye_projection_type
                 resolvedRegularInputs.forEach(function(ri) {
@@ -1009,7 +1493,7 @@ const PayrollEngine = {
         // UIF is calculated from uifApplicableGross — built positively from UIF-applicable items.
         // SDL is calculated from full gross — it has no per-item exclusion mechanism.
         var uif = PayrollEngine.calculateUIF(uifApplicableGross, tables);
-        var sdl = PayrollEngine.calculateSDL(gross, tables);
+        var sdl = PayrollEngine.calculateSDL(gross + fringeValue, tables);
 
         // Respect company-level SDL/UIF registration flags.
         // employeeOptions.uif_registered === false  →  company not registered for UIF  →  0
@@ -1078,8 +1562,39 @@ const PayrollEngine = {
         // Final PAYE is floored at zero; the raw adjustment may be negative for reductions
         var payeWithVoluntary = Math.max(paye + voluntaryPayeAdjustment, 0);
         var net = gross - payeWithVoluntary - uif - deductions;
+
+        // === LOAN / GARNISHEE ORDERS (employeeOptions.deductionOrders) ===
+        // Applied last so garnishees can be capped against what is left of net pay.
+        var deductionOrders = PayrollEngine.applyDeductionOrders(net, opts.deductionOrders);
+        var deductionOrdersTotal = deductionOrders.reduce(function(sum, o) { return sum + o.deducted; }, 0);
+        net               -= deductionOrdersTotal;
+        deductions        += deductionOrdersTotal;
+        netOnlyDeductions += deductionOrdersTotal;
+
+        // === SEVERANCE BENEFIT (employeeOptions.severance — termination only) ===
+        // Outside gross and PAYE: paid net of the directive (lump sum) tax.
+        var severance = opts.severance ? PayrollEngine.calculateSeverance(opts.severance, period) : null;
+        if (severance) net += severance.amount - severance.tax;
+
         var negativeNetPay = net < 0;
 
+        // === EMPLOYMENT TAX INCENTIVE (employer credit — does not affect net) ===
+        // Only calculated when employeeOptions.eti is supplied (employee_eti row).
+        // Hours default to the work schedule for the pay period less short time.
+        var etiResult = null;
+        if (opts.eti) {
+            var etiOpts = opts.eti;
+            if (!(parseFloat(etiOpts.hours_worked) > 0)) {
+                var _weeklyHours = PayrollEngine.calcWeeklyHours(payrollData.workSchedule, payrollData.hours_per_day);
+                if (_weeklyHours > 0) {
+                    var _perYear = PayrollEngine.PAY_PERIODS_PER_YEAR[etiOpts.frequency] || 12;
+                    var _missed = (shortTime || []).reduce(function(sum, st) { return sum + (parseFloat(st.hours_missed) || 0); }, 0);
+                    etiOpts = Object.assign({}, etiOpts, { hours_worked: Math.max(_weeklyHours * 52 / _perYear - _missed, 0) });
+                }
+            }
+            etiResult = PayrollEngine.calculateEti(etiRemuneration, etiOpts, period);
+        }
+
         // Tax transparency breakdown — for payslip display (SARS spec: tax_before_rebate, rebate).
         // Computed on the simple-method annual equivalent. When YTD method is active the
         // actual PAYE deducted may differ; these fields are informational display values only.
@@ -1164,6 +1679,31 @@ const PayrollEngine = {
             // and avoid incorrectly recomputing UIF from display gross for exempt employees.
             is_director:  !!(employeeOptions && employeeOptions.is_director),
             uif_exempt:   !!(employeeOptions && employeeOptions.uif_exempt),
+            // === ADDITIVE FIELDS (Employment Tax Incentive) ===
+            // eti: employer ETI earned this period (0 when not claiming). Set off
+            // against the employer's PAYE on the EMP201 — never deducted from net.
+            // etiDetail: tier, qualifying month, hours factor and the reason for R0.
+            eti:          etiResult ? etiResult.eti : 0,
+            etiDetail:    etiResult,
+            // === ADDITIVE FIELDS (taxable fringe benefits) ===
+            // fringe_benefits: total benefit value (IRP5 38xx codes); fringe_benefits_taxable:
+            // the part included for PAYE (80%/20% rule for company cars). Neither is in gross or net.
+            // fringeBenefits: per-benefit breakdown incl. loan opening/closing balances.
+            fringe_benefits:         PayrollEngine.r2(fringeValue),
+            fringe_benefits_taxable: PayrollEngine.r2(fringeTaxable),
+            fringeBenefits:          fringeBenefits,
+            // === ADDITIVE FIELDS (loan and garnishee orders) ===
+            // Included in deductions / netOnlyDeductions above. deductionOrders carries each
+            // order's opening balance, interest, amount deducted, floor shortfall and closing balance.
+            deduction_orders_total:  PayrollEngine.r2(deductionOrdersTotal),
+            deductionOrders:         deductionOrders,
+            // === ADDITIVE FIELDS (severance benefit on termination) ===
+            // null unless employeeOptions.severance was supplied. Included in net (amount − tax);
+            // never in gross, PAYE or UIF — reported under IRP5 3901 with the tax under 4115.
+            severance:               severance,
+            // === ADDITIVE FIELD (multi-rate hours) ===
+            // Sunday / public-holiday and other multi-rate earnings; included in gross like overtime.
+            multiRateAmount:         PayrollEngine.r2(multiRateAmount),
             // YTD calculation intermediates — populated when YTD method is active, null otherwise.
             // Consumed by PayrollCalculationService to populate _meta transparency fields.
             // Never null-checked downstream — callers must guard on this field being null.
@@ -1462,6 +2002,14 @@ const PayrollEngine = {
         var adjustedPayrollData = Object.assign({}, payrollData);
         adjustedPayrollData.basic_salary = (payrollData.basic_salary || 0) * prorataInfo.factor;
 
+        // ETI hours test uses the hours actually worked in a part month
+        if (employeeOptions && employeeOptions.eti && prorataInfo.factor < 1 &&
+            !(parseFloat(employeeOptions.eti.hours_worked) > 0) && prorataInfo.workedHours > 0) {
+            employeeOptions = Object.assign({}, employeeOptions, {
+                eti: Object.assign({}, employeeOptions.eti, { hours_worked: prorataInfo.workedHours })
+            });
+        }
+
         // Calculate with adjusted salary
         // Overtime, short-time, allowances, deductions are NOT pro-rated
         var result = this.calculateFromData(
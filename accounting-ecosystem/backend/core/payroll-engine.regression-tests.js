@@ -832,17 +832,301 @@ function formatVoluntaryTaxReport(testResults) {
     return report.join('\n');
 }
 
+// =============================================================================
+// EMPLOYMENT TAX INCENTIVE (ETI) TESTS
+// =============================================================================
+
+// Qualifying youth employee used by most scenarios: employed 2026-01 (month 4
+// in 2026-04), aged 22, claiming, national minimum wage rule.
+var ETI_EMPLOYEE = {
+    status: 'qualified_claiming',
+    employment_date: '2026-01-15',
+    disqualified_months_before: 0,
+    age: 22,
+    sez: false,
+    frequency: 'monthly',
+    hours_worked: null,
+    min_wage_input_type: 'company_setup',
+    min_wage_amount: null
+};
+
+function etiEmployee(overrides) {
+    var e = {};
+    Object.keys(ETI_EMPLOYEE).forEach(function(k) { e[k] = ETI_EMPLOYEE[k]; });
+    Object.keys(overrides || {}).forEach(function(k) { e[k] = overrides[k]; });
+    return e;
+}
+
+var ETI_SCENARIOS = [
+    {
+        id: 'ETI-01',
+        name: 'First 12 months — flat band (R5 000)',
+        remuneration: 5000, eti: etiEmployee(), period: '2026-04',
+        expectedEti: 1500, expectedTier: 'first'
+    },
+    {
+        id: 'ETI-02',
+        name: 'First 12 months — taper band (R6 000 → 1 500 − 75% × 500)',
+        remuneration: 6000, eti: etiEmployee(), period: '2026-04',
+        expectedEti: 1125, expectedTier: 'first'
+    },
+    {
+        id: 'ETI-03',
+        name: 'Second 12 months — taper band (R6 000 → 750 − 37.5% × 500)',
+        remuneration: 6000, eti: etiEmployee({ employment_date: '2025-01-10' }), period: '2026-04',
+        expectedEti: 562.5, expectedTier: 'second'
+    },
+    {
+        id: 'ETI-04',
+        name: 'Above maximum remuneration — R0',
+        remuneration: 8000, eti: etiEmployee(), period: '2026-04',
+        expectedEti: 0, expectedReason: 'above_maximum_remuneration'
+    },
+    {
+        id: 'ETI-05',
+        name: 'Under 160 hours — 80 hrs at R30/hr grossed up to R4 800, ETI × 0.5',
+        remuneration: 2400, eti: etiEmployee({ hours_worked: 80 }), period: '2026-04',
+        expectedEti: 750
+    },
+    {
+        id: 'ETI-06',
+        name: 'Lower band — 60% of R2 000 with a R12/hr sectoral minimum',
+        remuneration: 2000, eti: etiEmployee({ min_wage_input_type: 'hourly_rate', min_wage_amount: 12 }), period: '2026-04',
+        expectedEti: 1200
+    },
+    {
+        id: 'ETI-07',
+        name: 'Weekly pay — R1 200/week is R5 200/month, R1 500 × 12 ÷ 52 per week',
+        remuneration: 1200, eti: etiEmployee({ frequency: 'weekly' }), period: '2026-04',
+        expectedEti: 346.15
+    },
+    {
+        id: 'ETI-08',
+        name: 'Bi-weekly pay — R2 400/fortnight is R5 200/month, R1 500 × 12 ÷ 26',
+        remuneration: 2400, eti: etiEmployee({ frequency: 'bi_weekly' }), period: '2026-04',
+        expectedEti: 692.31
+    },
+    {
+        id: 'ETI-09',
+        name: 'Aged 31 — outside 18–29',
+        remuneration: 5000, eti: etiEmployee({ age: 31 }), period: '2026-04',
+        expectedEti: 0, expectedReason: 'age_outside_18_to_29'
+    },
+    {
+        id: 'ETI-10',
+        name: 'Aged 31 in a Special Economic Zone — age rule waived',
+        remuneration: 5000, eti: etiEmployee({ age: 31, sez: true }), period: '2026-04',
+        expectedEti: 1500
+    },
+    {
+        id: 'ETI-11',
+        name: 'Below national minimum wage (R4 000 < 160 × R28.79)',
+        remuneration: 4000, eti: etiEmployee(), period: '2026-04',
+        expectedEti: 0, expectedReason: 'below_minimum_wage'
+    },
+    {
+        id: 'ETI-12',
+        name: 'Qualified but not claiming',
+        remuneration: 5000, eti: etiEmployee({ status: 'qualified_not_claiming' }), period: '2026-04',
+        expectedEti: 0, expectedReason: 'not_claiming'
+    },
+    {
+        id: 'ETI-13',
+        name: '24 qualifying months already claimed',
+        remuneration: 5000, eti: etiEmployee({ employment_date: '2024-01-01' }), period: '2026-04',
+        expectedEti: 0, expectedReason: '24_months_claimed'
+    },
+    {
+        id: 'ETI-14',
+        name: 'Months disqualified before claiming — month 22 counts as month 16 (second tier)',
+        remuneration: 5000, eti: etiEmployee({ employment_date: '2024-07-01', disqualified_months_before: 6 }), period: '2026-04',
+        expectedEti: 750, expectedTier: 'second'
+    },
+    {
+        id: 'ETI-15',
+        name: 'Pre-April 2025 bands — R5 000 in 2025-03 tapers to 1 500 − 75% × 500',
+        remuneration: 5000, eti: etiEmployee({ employment_date: '2025-01-01' }), period: '2025-03',
+        expectedEti: 1125, expectedTier: 'first'
+    },
+    {
+        id: 'ETI-16',
+        name: 'calculateFromData — ETI on the snapshot, net pay unchanged',
+        basicSalary: 5000,
+        employeeOptions: { age: 22, medicalMembers: 0, taxDirective: 0, eti: etiEmployee() },
+        period: '2026-04',
+        expectedEti: 1500
+    },
+    {
+        id: 'ETI-17',
+        name: 'Roll-forward — unused ETI carried within Mar–Aug, reset in September',
+        months: [
+            { period: '2026-03', eti: 1000, paye: 600 },
+            { period: '2026-04', eti: 1000, paye: 1500 },
+            { period: '2026-05', eti: 500,  paye: 0 },
+            { period: '2026-08', eti: 0,    paye: 200 },
+            { period: '2026-09', eti: 300,  paye: 100 }
+        ],
+        expectedRows: [
+            { period: '2026-03', brought_forward: 0,   claimed: 600,  carried_forward: 400, unclaimed_at_period_end: 0 },
+            { period: '2026-04', brought_forward: 400, claimed: 1400, carried_forward: 0,   unclaimed_at_period_end: 0 },
+            { period: '2026-05', brought_forward: 0,   claimed: 0,    carried_forward: 500, unclaimed_at_period_end: 0 },
+            { period: '2026-08', brought_forward: 500, claimed: 200,  carried_forward: 0,   unclaimed_at_period_end: 300 },
+            { period: '2026-09', brought_forward: 0,   claimed: 100,  carried_forward: 200, unclaimed_at_period_end: 0 }
+        ]
+    },
+    {
+        id: 'ETI-18',
+        name: '2023/24 bands — R2 000 (lower band edge) is the flat R1 500',
+        remuneration: 2000, eti: etiEmployee({ employment_date: '2023-06-01', min_wage_input_type: 'hourly_rate', min_wage_amount: 12 }), period: '2023-09',
+        expectedEti: 1500, expectedTier: 'first'
+    },
+    {
+        id: 'ETI-19',
+        name: '2023/24 bands — R4 500 (taper starts) is still R1 500',
+        remuneration: 4500, eti: etiEmployee({ employment_date: '2023-06-01' }), period: '2023-09',
+        expectedEti: 1500, expectedTier: 'first'
+    },
+    {
+        id: 'ETI-20',
+        name: '2023/24 bands — R6 500 is the maximum, R0',
+        remuneration: 6500, eti: etiEmployee({ employment_date: '2023-06-01' }), period: '2023-09',
+        expectedEti: 0, expectedReason: 'above_maximum_remuneration'
+    },
+    {
+        id: 'ETI-21',
+        name: '2023/24 bands — second 12 months, R5 500 → 750 − 37.5% × 1 000',
+        remuneration: 5500, eti: etiEmployee({ employment_date: '2022-06-01' }), period: '2023-09',
+        expectedEti: 375, expectedTier: 'second'
+    }
+];
+
+/**
+ * Run ETI tests against the payroll engine. Scenarios with `months` check
+ * rollForwardEti, with `basicSalary` run calculateFromData, the rest call
+ * calculateEti directly.
+ */
+function runEtiTests(PayrollEngine) {
+    var testResults = { total: 0, passed: 0, failed: 0, results: [] };
+
+    ETI_SCENARIOS.forEach(function(scenario) {
+        testResults.total++;
+        var testPassed = true;
+        var errorMsg = null;
+
+        try {
+            if (scenario.months) {
+                var rows = PayrollEngine.rollForwardEti(scenario.months);
+                scenario.expectedRows.forEach(function(expected, i) {
+                    if (!testPassed) return;
+                    Object.keys(expected).forEach(function(k) {
+                        if (testPassed && rows[i][k] !== expected[k]) {
+                            testPassed = false;
+                            errorMsg = expected.period + ' ' + k + ': expected ' + expected[k] + ', got ' + rows[i][k];
+                        }
+                    });
+                });
+            } else if (scenario.basicSalary) {
+                var withEti = PayrollEngine.calculateFromData(
+                    { basic_salary: scenario.basicSalary, regular_inputs: [] },
+                    [], [], [], [], scenario.employeeOptions, scenario.period, null
+                );
+                var withoutOpts = {};
+                Object.keys(scenario.employeeOptions).forEach(function(k) {
+                    if (k !== 'eti') withoutOpts[k] = scenario.employeeOptions[k];
+                });
+                var withoutEti = PayrollEngine.calculateFromData(
+                    { basic_salary: scenario.basicSalary, regular_inputs: [] },
+                    [], [], [], [], withoutOpts, scenario.period, null
+                );
+
+                if (Math.abs(withEti.eti - scenario.expectedEti) > 0.01) {
+                    testPassed = false;
+                    errorMsg = 'eti: expected ' + scenario.expectedEti + ', got ' + withEti.eti;
+                } else if (withoutEti.eti !== 0) {
+                    testPassed = false;
+                    errorMsg = 'eti without employeeOptions.eti should be 0, got ' + withoutEti.eti;
+                } else if (withEti.net !== withoutEti.net || withEti.paye !== withoutEti.paye) {
+                    testPassed = false;
+                    errorMsg = 'ETI changed employee figures: net ' + withoutEti.net + ' → ' + withEti.net + ', paye ' + withoutEti.paye + ' → ' + withEti.paye;
+                }
+            } else {
+                var result = PayrollEngine.calculateEti(scenario.remuneration, scenario.eti, scenario.period);
+
+                if (Math.abs(result.eti - scenario.expectedEti) > 0.01) {
+                    testPassed = false;
+                    errorMsg = 'eti: expected ' + scenario.expectedEti + ', got ' + result.eti + (result.reason ? ' (' + result.reason + ')' : '');
+                } else if (scenario.expectedReason && result.reason !== scenario.expectedReason) {
+                    testPassed = false;
+                    errorMsg = 'reason: expected ' + scenario.expectedReason + ', got ' + result.reason;
+                } else if (scenario.expectedTier && result.tier !== scenario.expectedTier) {
+                    testPassed = false;
+                    errorMsg = 'tier: expected ' + scenario.expectedTier + ', got ' + result.tier;
+                }
+            }
+        } catch(e) {
+            testPassed = false;
+            errorMsg = 'Exception: ' + (e.message || String(e));
+        }
+
+        if (testPassed) testResults.passed++;
+        else testResults.failed++;
+
+        testResults.results.push({
+            id:       scenario.id,
+            name:     scenario.name,
+            passed:   testPassed,
+            errorMsg: errorMsg
+        });
+    });
+
+    return testResults;
+}
+
+/**
+ * Format ETI test report for console output.
+ */
+function formatEtiReport(testResults) {
+    var report = [];
+    report.push('\n' + '='.repeat(70));
+    report.push('EMPLOYMENT TAX INCENTIVE (ETI) TEST RESULTS');
+    report.push('='.repeat(70));
+    report.push('');
+    report.push('Test Summary: ' + testResults.passed + '/' + testResults.total + ' PASSED');
+    report.push('');
+
+    if (testResults.failed > 0) {
+        report.push('⛔ ' + testResults.failed + ' TEST(S) FAILED\n');
+    } else {
+        report.push('✅ ALL ETI TESTS PASSED\n');
+    }
+
+    testResults.results.forEach(function(result) {
+        var status = result.passed ? '✅ PASS' : '❌ FAIL';
+        report.push(status + ' — ' + result.id + ': ' + result.name);
+        if (!result.passed) {
+            report.push('     ⚠️  ' + (result.errorMsg || 'Test failed'));
+        }
+        report.push('');
+    });
+
+    report.push('='.repeat(70));
+    return report.join('\n');
+}
+
 // Export for Node.js test runners
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         REGRESSION_SCENARIOS: REGRESSION_SCENARIOS,
         PRO_RATA_SCENARIOS: PRO_RATA_SCENARIOS,
         VOLUNTARY_TAX_SCENARIOS: VOLUNTARY_TAX_SCENARIOS,
+        ETI_SCENARIOS: ETI_SCENARIOS,
         runRegressionTests: runRegressionTests,
         runProRataTests: runProRataTests,
         runVoluntaryTaxTests: runVoluntaryTaxTests,
+        runEtiTests: runEtiTests,
         formatRegressionReport: formatRegressionReport,
         formatProRataReport: formatProRataReport,
-        formatVoluntaryTaxReport: formatVoluntaryTaxReport
+        formatVoluntaryTaxReport: formatVoluntaryTaxReport,
+        formatEtiReport: formatEtiReport
     };
 }
@@ -7,8 +7,10 @@ const PayrollEngine = require('./payroll-engine.js');
 const {
     runRegressionTests,
     runProRataTests,
+    runEtiTests,
     formatRegressionReport,
-    formatProRataReport
+    formatProRataReport,
+    formatEtiReport
 } = require('./payroll-engine.regression-tests.js');
 
 console.log('\n' + '='.repeat(70));
@@ -25,19 +27,25 @@ console.log('\n📊 Running PRO-RATA tests (new functionality)...');
 const prorataResults = runProRataTests(PayrollEngine);
 console.log(formatProRataReport(prorataResults));
 
+// Run Employment Tax Incentive tests
+console.log('\n📊 Running ETI tests...');
+const etiResults = runEtiTests(PayrollEngine);
+console.log(formatEtiReport(etiResults));
+
 // Summary
 console.log('\n' + '='.repeat(70));
 console.log('OVERALL TEST SUMMARY');
 console.log('='.repeat(70));
 console.log('Regression Tests: ' + regressionResults.passed + '/' + regressionResults.total + ' PASSED');
 console.log('Pro-Rata Tests:   ' + prorataResults.passed + '/' + prorataResults.total + ' PASSED');
+console.log('ETI Tests:        ' + etiResults.passed + '/' + etiResults.total + ' PASSED');
 
-const totalPassed = regressionResults.passed + prorataResults.passed;
-const totalTests = regressionResults.total + prorataResults.total;
+const totalPassed = regressionResults.passed + prorataResults.passed + etiResults.passed;
+const totalTests = regressionResults.total + prorataResults.total + etiResults.total;
 console.log('');
 console.log('TOTAL: ' + totalPassed + '/' + totalTests + ' PASSED');
 
-if (regressionResults.failed > 0 || prorataResults.failed > 0) {
+if (regressionResults.failed > 0 || prorataResults.failed > 0 || etiResults.failed > 0) {
     console.log('\n❌ SOME TESTS FAILED');
     process.exit(1);
 } else {
@@ -40,12 +40,20 @@ router.get('/status', (req, res) => {
     features: [
       'chart-of-accounts',
       'accounts-payable',
+      'ap-payment-runs',
       'accounts-receivable',
       'journal-entries',
       'bank-reconciliation',
       'vat-reconciliation',
       'paye-reconciliation',
       'financial-reports',
+      'fixed-assets',
+      'budgets',
+      'multi-currency',
+      'recurring-documents',
+      'customer-statements',
+      'dunning',
+      'consolidation',
       'ai-assistant',
       'integrations-api',
       'audit-trail'
@@ -101,6 +109,28 @@ router.use('/kv', require('./routes/kv'));
 // Customer Credit Notes (ACC-CORE-036)
 router.use('/credit-notes', require('./routes/credit-notes'));
 
+// Fixed Asset Register — classes, assets, depreciation runs, disposals
+router.use('/fixed-assets', require('./routes/fixed-assets'));
+
+// Budgets — versions, monthly lines, import, prior-year generator
+router.use('/budgets', require('./routes/budgets'));
+
+// Multi-currency — exchange rates, unrealised FX revaluation
+router.use('/fx', require('./routes/fx'));
+
+// Recurring invoices and journals — templates, run history, run-now
+router.use('/recurring', require('./routes/recurring'));
+
+// Customer statements (PDF), dunning stages and runs, contact log, credit hold
+router.use('/customer-statements', require('./routes/customer-statements'));
+router.use('/dunning', require('./routes/dunning'));
+
+// AP payment runs — propose, approve, bank batch file, bank confirmation
+router.use('/payment-runs', require('./routes/ap-payment-runs'));
+
+// Consolidation groups, group chart, inter-company eliminations, consolidated reports
+router.use('/consolidation', require('./routes/consolidation'));
+
 // Legacy GL Import (ACC-SIDEQUEST-001)
 router.use('/legacy-gl', require('./routes/legacy-gl'));
 
@@ -167,6 +167,13 @@ const PERMISSIONS = {
   'ap.payment.void':           ['admin', 'accountant'],
   'ap.purchase_order.approve': ['admin', 'accountant'],
 
+  // AP payment runs — approve is deliberately separate from create so the
+  // person who proposes a run is not the one who releases the money
+  'ap.payment_run.view':    ['admin', 'accountant', 'bookkeeper', 'viewer'],
+  'ap.payment_run.create':  ['admin', 'accountant', 'bookkeeper'],
+  'ap.payment_run.approve': ['admin', 'accountant'],
+  'ap.payment_run.confirm': ['admin', 'accountant'],
+
   // Kept for backward compatibility — new routes use the granular keys above
   'ap.manage': ['admin', 'accountant', 'bookkeeper'],
 
@@ -208,6 +215,42 @@ const PERMISSIONS = {
   'ar.credit_note.create': ['admin', 'accountant', 'bookkeeper'],
   'ar.credit_note.post':   ['admin', 'accountant'],
   'ar.credit_note.void':   ['admin', 'accountant'],
+
+  // Fixed Asset Register & depreciation runs
+  'fixed_asset.view':       ['admin', 'accountant', 'bookkeeper', 'viewer'],
+  'fixed_asset.manage':     ['admin', 'accountant', 'bookkeeper'],
+  'fixed_asset.depreciate': ['admin', 'accountant'],
+  'fixed_asset.dispose':    ['admin', 'accountant'],
+
+  // Budgets (versioned per financial year)
+  'budget.view':    ['admin', 'accountant', 'bookkeeper', 'viewer'],
+  'budget.manage':  ['admin', 'accountant'],
+  'budget.approve': ['admin', 'accountant'],
+
+  // Multi-currency — exchange rates and FX revaluation
+  'fx.view':    ['admin', 'accountant', 'bookkeeper', 'viewer'],
+  'fx.manage':  ['admin', 'accountant', 'bookkeeper'],
+  'fx.revalue': ['admin', 'accountant'],
+
+  // Recurring invoices and journals — manage covers post-mode templates,
+  // which book to the GL unattended, so it sits with journal.post
+  'recurring.view':   ['admin', 'accountant', 'bookkeeper', 'viewer'],
+  'recurring.manage': ['admin', 'accountant'],
+  'recurring.run':    ['admin', 'accountant'],
+
+  // Customer statements, dunning and credit hold — a run can post interest
+  // invoices, so it sits with ar.invoice.post
+  'ar.statement.view':      ['admin', 'accountant', 'bookkeeper', 'viewer'],
+  'ar.contact.log':         ['admin', 'accountant', 'bookkeeper'],
+  'ar.dunning.manage':      ['admin', 'accountant'],
+  'ar.dunning.run':         ['admin', 'accountant'],
+  'ar.credit_hold.manage':  ['admin', 'accountant'],
+
+  // Consolidation groups — members are checked against user_company_access
+  // in the service as well, so these only gate the parent company side
+  'consolidation.view':   ['admin', 'accountant', 'viewer'],
+  'consolidation.manage': ['admin', 'accountant'],
+  'consolidation.run':    ['admin', 'accountant'],
 };
 
 function hasPermission(permission) {
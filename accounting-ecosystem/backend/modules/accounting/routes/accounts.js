@@ -2,6 +2,7 @@ const express = require('express');
 const { supabase } = require('../../../config/database');
 const { authenticate, hasPermission } = require('../middleware/auth');
 const AuditLogger = require('../services/auditLogger');
+const { CASH_FLOW_CATEGORIES, defaultCashFlowCategory } = require('../services/cashFlowUtils');
 
 const router = express.Router();
 
@@ -156,7 +157,7 @@ router.get('/:id', authenticate, hasPermission('account.view'), async (req, res)
  */
 router.post('/', authenticate, hasPermission('account.create'), async (req, res) => {
   try {
-    const { code, name, type, parentId, description, subType, reportingGroup, sortOrder, vatCode } = req.body;
+    const { code, name, type, parentId, description, subType, reportingGroup, sortOrder, vatCode, cashFlowCategory } = req.body;
     const companyId = req.user.companyId;
 
     if (!code || !name || !type) {
@@ -166,6 +167,9 @@ router.post('/', authenticate, hasPermission('account.create'), async (req, res)
     if (!validTypes.includes(type)) {
       return res.status(400).json({ error: `Type must be one of: ${validTypes.join(', ')}` });
     }
+    if (cashFlowCategory && !CASH_FLOW_CATEGORIES.includes(cashFlowCategory)) {
+      return res.status(400).json({ error: `cashFlowCategory must be one of: ${CASH_FLOW_CATEGORIES.join(', ')}` });
+    }
 
     // Check for duplicate code
     const { data: existing } = await supabase
@@ -189,6 +193,8 @@ router.post('/', authenticate, hasPermission('account.create'), async (req, res)
         reporting_group: reportingGroup || null,
         sort_order: sortOrder != null ? parseInt(sortOrder) : (parseInt(code) || 0),
         vat_code: vatCode || null,
+        cash_flow_category: cashFlowCategory
+          || defaultCashFlowCategory({ type, sub_type: subType, reporting_group: reportingGroup, name }),
         is_active: true,
       })
       .select()
@@ -214,7 +220,7 @@ router.post('/', authenticate, hasPermission('account.create'), async (req, res)
  */
 router.put('/:id', authenticate, hasPermission('account.edit'), async (req, res) => {
   try {
-    const { name, description, isActive, subType, reportingGroup, sortOrder, vatCode } = req.body;
+    const { name, description, isActive, subType, reportingGroup, sortOrder, vatCode, cashFlowCategory } = req.body;
     const companyId = req.user.companyId;
 
     const { data: existing, error: fetchErr } = await supabase
@@ -235,6 +241,12 @@ router.put('/:id', authenticate, hasPermission('account.edit'), async (req, res)
     if (reportingGroup !== undefined) updates.reporting_group = reportingGroup || null;
     if (sortOrder != null)            updates.sort_order      = parseInt(sortOrder);
     if (vatCode !== undefined)        updates.vat_code        = vatCode || null;
+    if (cashFlowCategory !== undefined) {
+      if (cashFlowCategory && !CASH_FLOW_CATEGORIES.includes(cashFlowCategory)) {
+        return res.status(400).json({ error: `cashFlowCategory must be one of: ${CASH_FLOW_CATEGORIES.join(', ')}` });
+      }
+      updates.cash_flow_category = cashFlowCategory || null;
+    }
     updates.updated_at = new Date().toISOString();
 
     const { data: account, error: updateErr } = await supabase
@@ -431,6 +443,7 @@ router.post('/:accountId/sub-accounts', authenticate, hasPermission('account.cre
         reporting_group:      parent.reporting_group || null,
         sort_order:           parent.sort_order,
         vat_code:             vatCode || parent.vat_code || null,
+        cash_flow_category:   parent.cash_flow_category || null,
         is_active:            true,
         is_system:            false,
         is_postable:          true,
@@ -638,6 +651,7 @@ async function provisionFromTemplateSupabase(companyId, templateId = null) {
     description: ta.description,
     sort_order: ta.sort_order,
     vat_code: ta.vat_code || null,
+    cash_flow_category: ta.cash_flow_category || defaultCashFlowCategory(ta),
     is_active: true,
     is_system: false,
   }));
@@ -698,6 +712,7 @@ async function applyTemplateOverlaySupabase(companyId, templateId) {
     description: ta.description,
     sort_order: ta.sort_order,
     vat_code: ta.vat_code || null,
+    cash_flow_category: ta.cash_flow_category || defaultCashFlowCategory(ta),
     is_active: true,
     is_system: false,
   }));
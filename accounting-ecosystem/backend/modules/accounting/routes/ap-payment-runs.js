@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * ============================================================================
+ * AP Payment Run Routes
+ * ============================================================================
+ * Mounted at /api/accounting/payment-runs
+ *
+ * Pays many supplier invoices at once: select due invoices, adjust the
+ * proposal, approve (creates the supplier payments, awaiting the bank),
+ * download the bank batch file, then confirm what the bank paid — the GL
+ * journal is posted on confirmation. Single payments stay on
+ * /api/accounting/suppliers/payments.
+ *
+ * Permission scheme (matches accounting/middleware/auth.js PERMISSIONS):
+ *   ap.payment_run.view    — list, view, proposal
+ *   ap.payment_run.create  — create / edit / cancel drafts, batch file
+ *   ap.payment_run.approve — approve a draft (creates the payments)
+ *   ap.payment_run.confirm — record the bank's outcome (posts the GL)
+ *
+ * Routes:
+ *   GET  /propose            — ?dueBy&supplierIds=1,2 — nothing is saved
+ *   GET  /                   — ?status
+ *   POST /                   — { paymentDate, bankLedgerAccountId, bankFormat,
+ *                                criteria?: { dueBy, supplierIds }, lines?: [{ invoiceId, amount }], notes? }
+ *   GET  /:id                — run, lines, payments
+ *   PUT  /:id                — draft only; same keys, lines replace all lines
+ *   POST /:id/cancel         — draft only
+ *   POST /:id/approve
+ *   GET  /:id/batch-file     — ABSA / FNB / Standard Bank / Nedbank file download
+ *   POST /:id/confirm        — { bankDate?, all: 'paid' } or
+ *                              { bankDate?, results: [{ paymentId, outcome: 'paid'|'rejected', reason? }] }
+ * ============================================================================
+ */
+
+const express = require('express');
+const { authenticate, hasPermission } = require('../middleware/auth');
+const PaymentRunService = require('../services/paymentRunService');
+const AuditLogger = require('../services/auditLogger');
+const { sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+function _ids(req) {
+  return { companyId: req.user.companyId, runId: parseInt(req.params.id, 10), userId: req.user.id };
+}
+
+router.get('/propose', authenticate, hasPermission('ap.payment_run.view'), async (req, res) => {
+  try {
+    const supplierIds = req.query.supplierIds
+      ? String(req.query.supplierIds).split(',').map(s => parseInt(s, 10)).filter(Boolean)
+      : null;
+    res.json(await PaymentRunService.propose({
+      companyId: req.user.companyId, dueBy: req.query.dueBy, supplierIds,
+    }));
+  } catch (err) {
+    sendServiceError(res, err, '[PaymentRuns] propose');
+  }
+});
+
+router.get('/', authenticate, hasPermission('ap.payment_run.view'), async (req, res) => {
+  try {
+    const runs = await PaymentRunService.list({ companyId: req.user.companyId, status: req.query.status || null });
+    res.json({ runs });
+  } catch (err) {
+    sendServiceError(res, err, '[PaymentRuns] list');
+  }
+});
+
+router.post('/', authenticate, hasPermission('ap.payment_run.create'), async (req, res) => {
+  try {
+    const b = req.body || {};
+    const run = await PaymentRunService.create({
+      companyId:           req.user.companyId,
+      userId:              req.user.id,
+      paymentDate:         b.paymentDate,
+      bankLedgerAccountId: b.bankLedgerAccountId,
+      bankFormat:          b.bankFormat,
+      criteria:            b.criteria || {},
+      lines:               b.lines || null,
+      notes:               b.notes || null,
+    });
+    await AuditLogger.logUserAction(req, 'CREATE', 'AP_PAYMENT_RUN', run.id, null,
+      { reference: run.reference, paymentDate: run.payment_date, total: run.total_amount, lines: run.lines.length },
+      'Payment run created');
+    res.status(201).json({ run });
+  } catch (err) {
+    sendServiceError(res, err, '[PaymentRuns] create');
+  }
+});
+
+router.get('/:id', authenticate, hasPermission('ap.payment_run.view'), async (req, res) => {
+  try {
+    res.json({ run: await PaymentRunService.get(_ids(req)) });
+  } catch (err) {
+    sendServiceError(res, err, '[PaymentRuns] get');
+  }
+});
+
+router.put('/:id', authenticate, hasPermission('ap.payment_run.create'), async (req, res) => {
+  try {
+    const b = req.body || {};
+    const run = await PaymentRunService.updateDraft({
+      ..._ids(req),
+      paymentDate:         b.paymentDate,
+      bankLedgerAccountId: b.bankLedgerAccountId,
+      bankFormat:          b.bankFormat,
+      lines:               b.lines,
+      notes:               b.notes,
+    });
+    res.json({ run });
+  } catch (err) {
+    sendServiceError(res, err, '[PaymentRuns] update');
+  }
+});
+
+router.post('/:id/cancel', authenticate, hasPermission('ap.payment_run.create'), async (req, res) => {
+  try {
+    const run = await PaymentRunService.cancel(_ids(req));
+    await AuditLogger.logUserAction(req, 'CANCEL', 'AP_PAYMENT_RUN', run.id, { status: 'draft' }, { status: run.status },
+      'Payment run cancelled');
+    res.json({ run });
+  } catch (err) {
+    sendServiceError(res, err, '[PaymentRuns] cancel');
+  }
+});
+
+router.post('/:id/approve', authenticate, hasPermission('ap.payment_run.approve'), async (req, res) => {
+  try {
+    const run = await PaymentRunService.approve(_ids(req));
+    await AuditLogger.logUserAction(req, 'APPROVE', 'AP_PAYMENT_RUN', run.id, { status: 'draft' },
+      { status: run.status, total: run.total_amount, paymentIds: run.payments.map(p => p.id) },
+      `Payment run ${run.reference} approved`);
+    res.json({ run });
+  } catch (err) {
+    sendServiceError(res, err, '[PaymentRuns] approve');
+  }
+});
+
+router.get('/:id/batch-file', authenticate, hasPermission('ap.payment_run.create'), async (req, res) => {
+  try {
+    const { run, file } = await PaymentRunService.batchFile(_ids(req));
+    await AuditLogger.logUserAction(req, 'EXPORT', 'AP_PAYMENT_RUN', run.id, null,
+      { fileName: file.fileName, sha256: file.sha256, total: file.total, count: file.count },
+      `Bank batch file generated for ${run.reference}`);
+    res.setHeader('Content-Type', file.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.setHeader('X-Batch-SHA256', file.sha256);
+    res.send(file.content);
+  } catch (err) {
+    sendServiceError(res, err, '[PaymentRuns] batchFile');
+  }
+});
+
+router.post('/:id/confirm', authenticate, hasPermission('ap.payment_run.confirm'), async (req, res) => {
+  try {
+    const b = req.body || {};
+    const result = await PaymentRunService.confirm({
+      ..._ids(req), bankDate: b.bankDate || null, results: b.results || null, all: b.all || null,
+    });
+    await AuditLogger.logUserAction(req, 'CONFIRM', 'AP_PAYMENT_RUN', result.run.id, null,
+      { status: result.run.status, results: result.results },
+      `Bank outcome recorded for ${result.run.reference}`);
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, '[PaymentRuns] confirm');
+  }
+});
+
+module.exports = router;
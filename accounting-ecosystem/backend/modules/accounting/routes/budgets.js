@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * ============================================================================
+ * Budget Routes
+ * ============================================================================
+ * Mounted at /api/accounting/budgets
+ *
+ * Permission scheme (matches accounting/middleware/auth.js PERMISSIONS):
+ *   budget.view    — GET list / detail / calendar
+ *   budget.manage  — create, edit lines, import, generate, delete drafts
+ *   budget.approve — POST /:id/approve
+ *
+ * Routes:
+ *   GET    /                      — list budgets (?financialYear)
+ *   GET    /calendar              — months of a financial year (?financialYear)
+ *   POST   /                      — new draft version { financialYear, name?, notes?, copyFromBudgetId? }
+ *   POST   /generate              — last year's actuals + X%
+ *                                   { financialYear, upliftPercent, bySegment?, name? }
+ *   GET    /:id                   — header + account × segment × month grid
+ *   PUT    /:id/lines             — upsert monthly amounts (draft only)
+ *   POST   /:id/import            — CSV/XLSX import (draft only), field 'file'
+ *   POST   /:id/approve           — approve version, supersede previous approved
+ *   DELETE /:id                   — delete draft version
+ *
+ * Budget vs actual lives with the other reports:
+ *   GET /api/accounting/reports/budget-vs-actual
+ * ============================================================================
+ */
+
+const express = require('express');
+const multer  = require('multer');
+const XLSX    = require('xlsx');
+const { authenticate, hasPermission } = require('../middleware/auth');
+const BudgetService = require('../services/budgetService');
+const AuditLogger = require('../services/auditLogger');
+const { financialYearMonths, parseBudgetSheet } = require('../services/budgetUtils');
+const { sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+// Same upload shape as historicalComparatives.js — memory only, xlsx parses CSV too
+const budgetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits:  { fileSize: 15 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    const ext = (file.originalname || '').split('.').pop().toLowerCase();
+    if (['xlsx', 'xls', 'csv'].includes(ext)) return cb(null, true);
+    cb(new Error('Only Excel (.xlsx/.xls) and CSV files are accepted'));
+  },
+});
+
+router.get('/', authenticate, hasPermission('budget.view'), async (req, res) => {
+  try {
+    const budgets = await BudgetService.listBudgets({
+      companyId: req.user.companyId,
+      financialYear: req.query.financialYear || null,
+    });
+    res.json({ budgets });
+  } catch (err) {
+    sendServiceError(res, err, '[Budgets] listBudgets');
+  }
+});
+
+/**
+ * GET /api/accounting/budgets/calendar?financialYear=2025
+ * The 12 months of the financial year for the company's year-end.
+ */
+router.get('/calendar', authenticate, hasPermission('budget.view'), async (req, res) => {
+  try {
+    const financialYear = parseInt(req.query.financialYear, 10);
+    if (!financialYear) return res.status(400).json({ error: 'financialYear is required.' });
+    const yearEndMonth = await BudgetService.yearEndMonth(req.user.companyId);
+    res.json({ financialYear, yearEndMonth, months: financialYearMonths(financialYear, yearEndMonth) });
+  } catch (err) {
+    sendServiceError(res, err, '[Budgets] calendar');
+  }
+});
+
+router.post('/', authenticate, hasPermission('budget.manage'), async (req, res) => {
+  try {
+    const budget = await BudgetService.createBudget({
+      companyId: req.user.companyId, userId: req.user.id, input: req.body,
+    });
+    await AuditLogger.logUserAction(
+      req, 'CREATE', 'BUDGET', budget.id, null,
+      { financialYear: budget.financial_year, version: budget.version, source: budget.source },
+      'Budget version created'
+    );
+    res.status(201).json({ budget });
+  } catch (err) {
+    sendServiceError(res, err, '[Budgets] createBudget');
+  }
+});
+
+/**
+ * POST /api/accounting/budgets/generate
+ * Body: { financialYear, upliftPercent, bySegment?, name? }
+ * New draft version = posted actuals of financialYear − 1, month by month,
+ * increased by upliftPercent (negative for a decrease).
+ */
+router.post('/generate', authenticate, hasPermission('budget.manage'), async (req, res) => {
+  try {
+    const { financialYear, upliftPercent, bySegment, name } = req.body;
+    const result = await BudgetService.generateFromActuals({
+      companyId: req.user.companyId, userId: req.user.id,
+      financialYear, upliftPercent, bySegment: bySegment === true || bySegment === 'true', name,
+    });
+    await AuditLogger.logUserAction(
+      req, 'CREATE', 'BUDGET', result.budget.id, null,
+      { financialYear: result.budget.financial_year, version: result.budget.version,
+        upliftPercent: parseFloat(upliftPercent) || 0, lineCount: result.lineCount },
+      'Budget generated from prior-year actuals'
+    );
+    res.status(201).json(result);
+  } catch (err) {
+    sendServiceError(res, err, '[Budgets] generateFromActuals');
+  }
+});
+
+router.get('/:id', authenticate, hasPermission('budget.view'), async (req, res) => {
+  try {
+    const budget = await BudgetService.getBudget({ companyId: req.user.companyId, budgetId: req.params.id });
+    res.json({ budget });
+  } catch (err) {
+    sendServiceError(res, err, '[Budgets] getBudget');
+  }
+});
+
+/**
+ * PUT /api/accounting/budgets/:id/lines
+ * Body: { lines: [{ accountId, segmentValueId?, periodMonth, amount }] }
+ */
+router.put('/:id/lines', authenticate, hasPermission('budget.manage'), async (req, res) => {
+  try {
+    const result = await BudgetService.saveLines({
+      companyId: req.user.companyId, budgetId: req.params.id, lines: req.body.lines,
+    });
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, '[Budgets] saveLines');
+  }
+});
+
+/**
+ * POST /api/accounting/budgets/:id/import
+ * multipart/form-data, field 'file' (.csv / .xlsx / .xls).
+ * Columns: Account Code, optional Segment (segment value code), and month
+ * columns by name in any order (Mar, Apr, … Feb). Existing cells are
+ * overwritten; cells not in the file are left as they are.
+ */
+router.post('/:id/import', authenticate, hasPermission('budget.manage'),
+  budgetUpload.single('file'),
+  async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: 'No file uploaded.' });
+
+      let workbook;
+      try {
+        workbook = XLSX.read(req.file.buffer, { type: 'buffer', cellDates: true, raw: false });
+      } catch (err) {
+        return res.status(400).json({ error: `Failed to parse file: ${err.message}` });
+      }
+      const sheetName = workbook.SheetNames[0];
+      if (!sheetName) return res.status(400).json({ error: 'File contains no sheets.' });
+
+      const allRows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', blankrows: false });
+      const parsed = parseBudgetSheet(allRows);
+      if (!parsed) {
+        return res.status(422).json({
+          error: 'Could not detect the required columns from this file.',
+          hint: 'Expected an Account Code column and at least one month column (e.g. Mar, Apr, ... Feb).',
+        });
+      }
+
+      const result = await BudgetService.importRows({
+        companyId: req.user.companyId, budgetId: req.params.id, rows: parsed.rows,
+      });
+      await AuditLogger.logUserAction(
+        req, 'IMPORT', 'BUDGET', parseInt(req.params.id, 10), null,
+        { file: req.file.originalname, imported: result.imported, cells: result.cells },
+        'Budget lines imported'
+      );
+      res.json({ ...result, errors: [...parsed.errors, ...result.errors] });
+    } catch (err) {
+      sendServiceError(res, err, '[Budgets] import');
+    }
+  }
+);
+
+router.post('/:id/approve', authenticate, hasPermission('budget.approve'), async (req, res) => {
+  try {
+    const result = await BudgetService.approveBudget({
+      companyId: req.user.companyId, budgetId: req.params.id, userId: req.user.id,
+    });
+    await AuditLogger.logUserAction(
+      req, 'APPROVE', 'BUDGET', result.budget.id, { status: 'draft' },
+      { status: 'approved', supersededBudgetId: result.supersededBudgetId },
+      `Budget FY${result.budget.financial_year} v${result.budget.version} approved`
+    );
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, '[Budgets] approveBudget');
+  }
+});
+
+router.delete('/:id', authenticate, hasPermission('budget.manage'), async (req, res) => {
+  try {
+    const result = await BudgetService.deleteBudget({ companyId: req.user.companyId, budgetId: req.params.id });
+    await AuditLogger.logUserAction(req, 'DELETE', 'BUDGET', result.id, null, null, 'Draft budget deleted');
+    res.json({ success: true });
+  } catch (err) {
+    sendServiceError(res, err, '[Budgets] deleteBudget');
+  }
+});
+
+module.exports = router;
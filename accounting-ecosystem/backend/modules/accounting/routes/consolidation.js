@@ -0,0 +1,304 @@
+'use strict';
+
+/**
+ * ============================================================================
+ * Consolidation Group Routes
+ * ============================================================================
+ * Mounted at /api/accounting/consolidation
+ *
+ * Groups are owned by the parent company — the company in the user's
+ * session. Members must be linked to the parent through an active
+ * inter-company relationship (/api/inter-company) and the user must have
+ * access to every member company.
+ *
+ * Permission scheme (matches accounting/middleware/auth.js PERMISSIONS):
+ *   consolidation.view   — groups, chart, mapping, adjustments, reports, runs
+ *   consolidation.manage — create/edit groups, members, group chart, mapping, adjustments
+ *   consolidation.run    — finalise a consolidation (freezes eliminations)
+ *
+ * Routes:
+ *   GET    /groups                                  — list
+ *   POST   /groups                                  — { name, description? }
+ *   GET    /groups/:id                              — group, members, group chart
+ *   PUT    /groups/:id                              — { name?, description?, retainedEarningsAccountId?,
+ *                                                       nciAccountId?, goodwillAccountId?, isActive? }
+ *   POST   /groups/:id/members                      — { companyId, ownershipPct, icReceivableAccountId?,
+ *                                                       icPayableAccountId?, icRevenueAccountId?, icExpenseAccountId?,
+ *                                                       investmentAccountId?, equityAtAcquisition?, acquisitionDate? }
+ *   PUT    /groups/:id/members/:memberId            — same keys, companyId excluded
+ *   DELETE /groups/:id/members/:memberId
+ *   GET    /groups/:id/accounts                     — group chart
+ *   POST   /groups/:id/accounts                     — { code, name, type, subType? }
+ *   POST   /groups/:id/accounts/copy-parent         — seed from the parent's chart
+ *   PUT    /groups/:id/accounts/:accountId
+ *   DELETE /groups/:id/accounts/:accountId          — only if no finalised run uses it
+ *   GET    /groups/:id/mapping/:companyId           — member accounts → group accounts
+ *   PUT    /groups/:id/mapping/:companyId           — { mappings: [{ accountId, groupAccountId|null }] }
+ *   GET    /groups/:id/adjustments
+ *   POST   /groups/:id/adjustments                  — { date, description, lines: [{ groupAccountId, debit, credit }] }
+ *   POST   /groups/:id/adjustments/:adjId/reverse   — { reason }
+ *   GET    /groups/:id/report                       — ?fromDate&toDate — TB, balance sheet, P&L, eliminations
+ *   POST   /groups/:id/runs                         — { fromDate, toDate, notes? } — finalise
+ *   GET    /groups/:id/runs
+ *   GET    /groups/:id/runs/:runId                  — snapshot with elimination journal
+ * ============================================================================
+ */
+
+const express = require('express');
+const { authenticate, hasPermission } = require('../middleware/auth');
+const ConsolidationService = require('../services/consolidationService');
+const AuditLogger = require('../services/auditLogger');
+const { sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+function _ids(req) {
+  return { companyId: req.user.companyId, groupId: parseInt(req.params.id, 10) };
+}
+
+// ─── Groups ──────────────────────────────────────────────────────────────────
+
+router.get('/groups', authenticate, hasPermission('consolidation.view'), async (req, res) => {
+  try {
+    const groups = await ConsolidationService.listGroups({ companyId: req.user.companyId });
+    res.json({ groups });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] listGroups');
+  }
+});
+
+router.post('/groups', authenticate, hasPermission('consolidation.manage'), async (req, res) => {
+  try {
+    const group = await ConsolidationService.createGroup({
+      companyId: req.user.companyId, input: req.body || {}, userId: req.user.id,
+    });
+    await AuditLogger.logUserAction(req, 'CREATE', 'CONSOLIDATION_GROUP', group.id, null, group, 'Consolidation group created');
+    res.status(201).json({ group });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] createGroup');
+  }
+});
+
+router.get('/groups/:id', authenticate, hasPermission('consolidation.view'), async (req, res) => {
+  try {
+    res.json(await ConsolidationService.getGroup(_ids(req)));
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] getGroup');
+  }
+});
+
+router.put('/groups/:id', authenticate, hasPermission('consolidation.manage'), async (req, res) => {
+  try {
+    const { before, group } = await ConsolidationService.updateGroup({ ..._ids(req), input: req.body || {} });
+    await AuditLogger.logUserAction(req, 'UPDATE', 'CONSOLIDATION_GROUP', group.id, before, group, 'Consolidation group updated');
+    res.json({ group });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] updateGroup');
+  }
+});
+
+// ─── Members ─────────────────────────────────────────────────────────────────
+
+router.post('/groups/:id/members', authenticate, hasPermission('consolidation.manage'), async (req, res) => {
+  try {
+    const member = await ConsolidationService.addMember({ ..._ids(req), input: req.body || {}, user: req.user });
+    await AuditLogger.logUserAction(req, 'CREATE', 'CONSOLIDATION_MEMBER', member.id, null, member,
+      `Company ${member.company_id} added to consolidation group`);
+    res.status(201).json({ member });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] addMember');
+  }
+});
+
+router.put('/groups/:id/members/:memberId', authenticate, hasPermission('consolidation.manage'), async (req, res) => {
+  try {
+    const { before, member } = await ConsolidationService.updateMember({
+      ..._ids(req), memberId: parseInt(req.params.memberId, 10), input: req.body || {},
+    });
+    await AuditLogger.logUserAction(req, 'UPDATE', 'CONSOLIDATION_MEMBER', member.id, before, member, 'Consolidation member updated');
+    res.json({ member });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] updateMember');
+  }
+});
+
+router.delete('/groups/:id/members/:memberId', authenticate, hasPermission('consolidation.manage'), async (req, res) => {
+  try {
+    const member = await ConsolidationService.removeMember({ ..._ids(req), memberId: parseInt(req.params.memberId, 10) });
+    await AuditLogger.logUserAction(req, 'DELETE', 'CONSOLIDATION_MEMBER', member.id, member, null,
+      `Company ${member.company_id} removed from consolidation group`);
+    res.json({ success: true });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] removeMember');
+  }
+});
+
+// ─── Group chart of accounts ─────────────────────────────────────────────────
+
+router.get('/groups/:id/accounts', authenticate, hasPermission('consolidation.view'), async (req, res) => {
+  try {
+    const accounts = await ConsolidationService.listGroupAccounts(_ids(req));
+    res.json({ accounts });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] listGroupAccounts');
+  }
+});
+
+router.post('/groups/:id/accounts', authenticate, hasPermission('consolidation.manage'), async (req, res) => {
+  try {
+    const account = await ConsolidationService.createGroupAccount({ ..._ids(req), input: req.body || {} });
+    res.status(201).json({ account });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] createGroupAccount');
+  }
+});
+
+router.post('/groups/:id/accounts/copy-parent', authenticate, hasPermission('consolidation.manage'), async (req, res) => {
+  try {
+    const result = await ConsolidationService.copyChartFromParent(_ids(req));
+    await AuditLogger.logUserAction(req, 'CREATE', 'CONSOLIDATION_GROUP', req.params.id, null,
+      { accountsCreated: result.created }, 'Group chart seeded from parent chart of accounts');
+    res.status(201).json(result);
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] copyChartFromParent');
+  }
+});
+
+router.put('/groups/:id/accounts/:accountId', authenticate, hasPermission('consolidation.manage'), async (req, res) => {
+  try {
+    const { account } = await ConsolidationService.updateGroupAccount({
+      ..._ids(req), accountId: parseInt(req.params.accountId, 10), input: req.body || {},
+    });
+    res.json({ account });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] updateGroupAccount');
+  }
+});
+
+router.delete('/groups/:id/accounts/:accountId', authenticate, hasPermission('consolidation.manage'), async (req, res) => {
+  try {
+    await ConsolidationService.deleteGroupAccount({ ..._ids(req), accountId: parseInt(req.params.accountId, 10) });
+    res.json({ success: true });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] deleteGroupAccount');
+  }
+});
+
+// ─── Account mapping ─────────────────────────────────────────────────────────
+
+router.get('/groups/:id/mapping/:companyId', authenticate, hasPermission('consolidation.view'), async (req, res) => {
+  try {
+    const accounts = await ConsolidationService.getMapping({
+      ..._ids(req), memberCompanyId: parseInt(req.params.companyId, 10),
+    });
+    res.json({ accounts });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] getMapping');
+  }
+});
+
+router.put('/groups/:id/mapping/:companyId', authenticate, hasPermission('consolidation.manage'), async (req, res) => {
+  try {
+    const accounts = await ConsolidationService.setMapping({
+      ..._ids(req), memberCompanyId: parseInt(req.params.companyId, 10), mappings: (req.body || {}).mappings,
+    });
+    await AuditLogger.logUserAction(req, 'UPDATE', 'CONSOLIDATION_MAPPING', req.params.id, null,
+      { companyId: parseInt(req.params.companyId, 10), mappings: req.body.mappings }, 'Consolidation account mapping updated');
+    res.json({ accounts });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] setMapping');
+  }
+});
+
+// ─── Manual adjustments ──────────────────────────────────────────────────────
+
+router.get('/groups/:id/adjustments', authenticate, hasPermission('consolidation.view'), async (req, res) => {
+  try {
+    const adjustments = await ConsolidationService.listAdjustments(_ids(req));
+    res.json({ adjustments });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] listAdjustments');
+  }
+});
+
+router.post('/groups/:id/adjustments', authenticate, hasPermission('consolidation.manage'), async (req, res) => {
+  try {
+    const adjustment = await ConsolidationService.createAdjustment({
+      ..._ids(req), input: req.body || {}, userId: req.user.id,
+    });
+    await AuditLogger.logUserAction(req, 'CREATE', 'CONSOLIDATION_ADJUSTMENT', adjustment.id, null, adjustment,
+      'Consolidation adjustment created');
+    res.status(201).json({ adjustment });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] createAdjustment');
+  }
+});
+
+router.post('/groups/:id/adjustments/:adjId/reverse', authenticate, hasPermission('consolidation.manage'), async (req, res) => {
+  try {
+    const adjustment = await ConsolidationService.reverseAdjustment({
+      ..._ids(req), adjustmentId: parseInt(req.params.adjId, 10), reason: (req.body || {}).reason, userId: req.user.id,
+    });
+    await AuditLogger.logUserAction(req, 'REVERSE', 'CONSOLIDATION_ADJUSTMENT', adjustment.id,
+      { status: 'active' }, { status: adjustment.status }, adjustment.reverse_reason);
+    res.json({ adjustment });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] reverseAdjustment');
+  }
+});
+
+// ─── Reports & runs ──────────────────────────────────────────────────────────
+
+/**
+ * GET /api/accounting/consolidation/groups/:id/report?fromDate=&toDate=
+ * Live consolidation — nothing is stored. Balance sheet as at toDate,
+ * P&L for fromDate..toDate.
+ */
+router.get('/groups/:id/report', authenticate, hasPermission('consolidation.view'), async (req, res) => {
+  try {
+    const result = await ConsolidationService.consolidate({
+      ..._ids(req), fromDate: req.query.fromDate, toDate: req.query.toDate, user: req.user,
+    });
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] consolidate');
+  }
+});
+
+router.post('/groups/:id/runs', authenticate, hasPermission('consolidation.run'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const result = await ConsolidationService.finaliseRun({
+      ..._ids(req), fromDate: body.fromDate, toDate: body.toDate, notes: body.notes, user: req.user,
+    });
+    await AuditLogger.logUserAction(
+      req, 'RUN', 'CONSOLIDATION_RUN', result.run.id, null,
+      { groupId: result.group.id, fromDate: result.fromDate, toDate: result.toDate,
+        members: result.members.length, eliminations: result.eliminations.length, warnings: result.warnings.length },
+      'Consolidation finalised'
+    );
+    res.status(201).json(result);
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] finaliseRun');
+  }
+});
+
+router.get('/groups/:id/runs', authenticate, hasPermission('consolidation.view'), async (req, res) => {
+  try {
+    const runs = await ConsolidationService.listRuns({ ..._ids(req), limit: req.query.limit });
+    res.json({ runs });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] listRuns');
+  }
+});
+
+router.get('/groups/:id/runs/:runId', authenticate, hasPermission('consolidation.view'), async (req, res) => {
+  try {
+    const run = await ConsolidationService.getRun({ ..._ids(req), runId: parseInt(req.params.runId, 10) });
+    res.json({ run });
+  } catch (err) {
+    sendServiceError(res, err, '[Consolidation] getRun');
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,11 @@
  * GL Posting:
  *   POST /:id/post  → DR AR(1100) / CR Revenue(line.account_id) / CR VAT Output(2300)
  *   POST /payments  → DR Bank(bankLedgerAccountId) / CR AR(1100)
+ *                     [+ DR/CR Realised FX(4810) when a foreign invoice settles at another rate]
+ *
+ * Multi-currency:
+ *   Invoices and payments carry currency_code + exchange_rate (ZAR per unit).
+ *   Amounts on the invoice/payment are in that currency; the GL is in ZAR.
  *
  * VAT Logic:
  *   vatInclusive=false (EX VAT): entered amount is base; VAT added on top
@@ -21,30 +26,14 @@ const { supabase } = require('../../../config/database');
 const db = require('../config/database');
 const JournalService = require('../services/journalService');
 const AuditLogger = require('../services/auditLogger');
+const FxService = require('../services/fxService');
+const CustomerInvoiceService = require('../services/customerInvoiceService');
+const { calcLineVAT } = CustomerInvoiceService;
+const { settlementJournalLines } = require('../services/fxUtils');
 const { authenticate, hasPermission } = require('../middleware/auth');
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
-function calcLineVAT(quantity, unitPrice, vatRate, vatInclusive) {
-  const qty     = parseFloat(quantity)  || 1;
-  const price   = parseFloat(unitPrice) || 0;
-  const _parsed = parseFloat(vatRate);
-  const rate    = isNaN(_parsed) ? 15 : _parsed;
-  const entered = Math.round(qty * price * 10000) / 10000;
-
-  let subtotalExVat, vatAmount, totalIncVat;
-  if (vatInclusive) {
-    totalIncVat   = Math.round(entered * 100) / 100;
-    subtotalExVat = Math.round((entered / (1 + rate / 100)) * 100) / 100;
-    vatAmount     = Math.round((totalIncVat - subtotalExVat) * 100) / 100;
-  } else {
-    subtotalExVat = Math.round(entered * 100) / 100;
-    vatAmount     = Math.round((entered * rate / 100) * 100) / 100;
-    totalIncVat   = Math.round((subtotalExVat + vatAmount) * 100) / 100;
-  }
-  return { subtotalExVat, vatAmount, totalIncVat };
-}
-
 async function findAccountByCode(companyId, code) {
   try {
     const { data } = await supabase
@@ -306,6 +295,7 @@ router.post('/', authenticate, hasPermission('ar.invoice.create'), async (req, r
   const {
     customerId, customerName, invoiceNumber,
     invoiceDate, dueDate, vatInclusive, lines, notes,
+    currencyCode, exchangeRate,
   } = req.body;
 
   if (!customerId && !customerName) return res.status(400).json({ error: 'A customer is required — select an existing customer or provide a name.' });
@@ -375,104 +365,27 @@ router.post('/', authenticate, hasPermission('ar.invoice.create'), async (req, r
     }
     // ── End duplicate guard ────────────────────────────────────────────────────
 
-    const processedLines = lines.map((l, i) => {
-      const { subtotalExVat, vatAmount, totalIncVat } = calcLineVAT(
-        l.quantity, l.unitPrice, l.vatRate != null ? l.vatRate : 15, vatInclusive === true
-      );
-      return {
-        description: l.description || '',
-        accountId:   l.accountId ? parseInt(l.accountId) : null,
-        lineType:    l.lineType === 'item' ? 'item' : 'account',
-        itemId:      l.itemId   ? parseInt(l.itemId)   : null,
-        quantity:    parseFloat(l.quantity) || 1,
-        unitPrice:   parseFloat(l.unitPrice) || 0,
-        vatRate:     l.vatRate != null ? parseFloat(l.vatRate) : 15,
-        subtotalExVat, vatAmount, totalIncVat,
-        sortOrder:   i,
-      };
-    });
-
-    const totals = processedLines.reduce(
-      (acc, l) => ({
-        subtotalExVat: acc.subtotalExVat + l.subtotalExVat,
-        vatAmount:     acc.vatAmount     + l.vatAmount,
-        totalIncVat:   acc.totalIncVat   + l.totalIncVat,
-      }),
-      { subtotalExVat: 0, vatAmount: 0, totalIncVat: 0 }
-    );
-
-    // Generate invoice number if not provided
-    let invNum = invoiceNumber;
-    if (!invNum) {
-      const { count } = await supabase
-        .from('customer_invoices')
-        .select('id', { count: 'exact', head: true })
-        .eq('company_id', companyId);
-      invNum = `INV-${String((count || 0) + 1).padStart(4, '0')}`;
+    let fx;
+    try {
+      fx = await FxService.resolveDocumentRate(companyId, currencyCode, invoiceDate, exchangeRate);
+    } catch (fxErr) {
+      return res.status(400).json({ error: fxErr.message });
     }
 
     // ── Atomic create: header + lines in a single pg transaction ─────────────
     // Both inserts succeed or both are rolled back. No orphan header rows.
-    const dbClient = await db.getClient();
-    let invoice;
-    try {
-      await dbClient.query('BEGIN');
-
-      const hdrResult = await dbClient.query(
-        `INSERT INTO customer_invoices
-           (company_id, customer_id, invoice_number, date, due_date, status, vat_mode,
-            subtotal, vat_amount, total_amount, amount_paid, balance_due, notes, created_by)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
-         RETURNING *`,
-        [
-          companyId,
-          resolvedCustomerId,
-          invNum,
-          invoiceDate,
-          dueDate || null,
-          'draft',
-          vatInclusive === true ? 'inclusive' : 'exclusive',
-          totals.subtotalExVat,
-          totals.vatAmount,
-          totals.totalIncVat,
-          0,
-          totals.totalIncVat,
-          notes || null,
-          userId(req),
-        ]
-      );
-      invoice = hdrResult.rows[0];
-
-      // Bulk-insert all lines in one statement. line_total is the ex-VAT
-      // extended amount (quantity x unit_price) -- there's no separate
-      // subtotal_ex_vat/vat_amount/total_inc_vat/sort_order per line in the
-      // real schema, only the invoice header carries those totals.
-      const lineVals = [];
-      const lineParams = [];
-      let p = 1;
-      for (const l of processedLines) {
-        lineVals.push(`($${p++},$${p++},$${p++},$${p++},$${p++},$${p++},$${p++},$${p++},$${p++})`);
-        lineParams.push(
-          invoice.id, l.description, l.accountId || null, l.lineType, l.itemId || null,
-          l.quantity, l.unitPrice, l.vatRate, l.subtotalExVat
-        );
-      }
-      await dbClient.query(
-        `INSERT INTO customer_invoice_lines
-           (invoice_id, description, account_id, line_type, item_id, quantity, unit_price,
-            vat_rate, line_total)
-         VALUES ${lineVals.join(',')}`,
-        lineParams
-      );
-
-      await dbClient.query('COMMIT');
-    } catch (txErr) {
-      await dbClient.query('ROLLBACK');
-      throw txErr;
-    } finally {
-      dbClient.release();
-    }
-    // ── End atomic create ─────────────────────────────────────────────────────
+    const { invoice, processedLines, totals } = await CustomerInvoiceService.createDraft({
+      companyId,
+      customerId:    resolvedCustomerId,
+      invoiceNumber,
+      invoiceDate,
+      dueDate,
+      vatInclusive,
+      notes,
+      lines,
+      fx,
+      userId:        userId(req),
+    });
 
     await AuditLogger.log({
       companyId,
@@ -489,6 +402,8 @@ router.post('/', authenticate, hasPermission('ar.invoice.create'), async (req, r
         subtotalExVat: totals.subtotalExVat,
         vatAmount: totals.vatAmount,
         totalIncVat: totals.totalIncVat,
+        currencyCode: fx.currencyCode,
+        exchangeRate: fx.exchangeRate,
         status: 'draft',
       },
       reason: 'Customer invoice created',
@@ -511,7 +426,7 @@ router.put('/:id', authenticate, hasPermission('ar.invoice.edit'), async (req, r
   const invoiceId = parseInt(req.params.id);
   const {
     customerId, customerName, invoiceNumber, invoiceDate,
-    dueDate, vatInclusive, lines, notes,
+    dueDate, vatInclusive, lines, notes, currencyCode, exchangeRate,
   } = req.body;
 
   try {
@@ -593,6 +508,18 @@ router.put('/:id', authenticate, hasPermission('ar.invoice.edit'), async (req, r
     const effectiveInvoiceDate   = invoiceDate   || existing.date;
     const effectiveBalanceDue    = Math.round((totals.totalIncVat - parseFloat(existing.amount_paid || 0)) * 100) / 100;
 
+    // Drafts may change currency or rate; otherwise the captured rate stands
+    let fx = { currencyCode: existing.currency_code || 'ZAR', exchangeRate: parseFloat(existing.exchange_rate) || 1 };
+    if (currencyCode !== undefined || exchangeRate !== undefined) {
+      try {
+        fx = await FxService.resolveDocumentRate(
+          companyId, currencyCode !== undefined ? currencyCode : fx.currencyCode, effectiveInvoiceDate, exchangeRate
+        );
+      } catch (fxErr) {
+        return res.status(400).json({ error: fxErr.message });
+      }
+    }
+
     // ── Atomic update: header + lines in a single pg transaction ─────────────
     // The header UPDATE and the line DELETE + INSERT are wrapped in one BEGIN/COMMIT.
     // If any step fails the transaction is rolled back and the invoice remains in
@@ -613,7 +540,9 @@ router.put('/:id', authenticate, hasPermission('ar.invoice.edit'), async (req, r
              balance_due      = $8,
              due_date         = $9,
              notes            = $10,
-             updated_at       = $11
+             updated_at       = $11,
+             currency_code    = $14,
+             exchange_rate    = $15
          WHERE id = $12 AND company_id = $13`,
         [
           effectiveCustomerId,
@@ -629,6 +558,8 @@ router.put('/:id', authenticate, hasPermission('ar.invoice.edit'), async (req, r
           new Date().toISOString(),
           invoiceId,
           companyId,
+          fx.currencyCode,
+          fx.exchangeRate,
         ]
       );
 
@@ -773,119 +704,20 @@ router.post('/:id/post', authenticate, hasPermission('ar.invoice.post'), async (
       });
     }
 
-    const { data: lines, error: linesErr } = await supabase
-      .from('customer_invoice_lines')
-      .select('*')
-      .eq('invoice_id', invoiceId)
-      .order('id');
-    if (linesErr) throw new Error(linesErr.message);
-
     await attachCustomerNames(companyId, invoice);
 
-    // Resolve required accounts
-    const arAccountId = await findAccountByCode(companyId, '1100');
-    if (!arAccountId) {
-      return res.status(422).json({
-        error: 'Accounts Receivable account (code 1100) not found in chart of accounts. Please provision a base chart of accounts first.'
-      });
-    }
-
-    const glLines = [];
-
-    // DR AR — full invoice amount
-    glLines.push({
-      accountId:   arAccountId,
-      debit:       parseFloat(invoice.total_amount),
-      credit:      0,
-      description: `AR: ${invoice.customer_name} ${invoice.invoice_number}`,
-    });
-
-    // CR Revenue lines (line_total is the ex-VAT extended amount)
-    for (const l of (lines || [])) {
-      if (l && l.account_id && parseFloat(l.line_total) > 0) {
-        glLines.push({
-          accountId:   l.account_id,
-          debit:       0,
-          credit:      parseFloat(l.line_total),
-          description: l.description || 'Revenue',
-        });
-      }
-    }
-
-    // CR VAT Output (2300) if any VAT — account must exist; missing account is an explicit error
-    const totalVat = parseFloat(invoice.vat_amount) || 0;
-    if (totalVat > 0) {
-      const vatOutputId = await findAccountByCode(companyId, '2300');
-      if (!vatOutputId) {
-        return res.status(422).json({
-          error: 'VAT Output account (code 2300) not found. Please provision the base chart of accounts before posting VAT-bearing customer invoices.'
-        });
-      }
-      glLines.push({
-        accountId:   vatOutputId,
-        debit:       0,
-        credit:      totalVat,
-        description: 'VAT Output (Payable)',
-      });
-    }
-
-    // Create + post journal
-    const glJournal = await JournalService.createDraftJournal({
-      companyId,
-      date:             invoice.date,
-      reference:        invoice.invoice_number,
-      description:      `AR Invoice: ${invoice.customer_name}`,
-      sourceType:       'customer_invoice',
-      createdByUserId:  userId(req),
-      lines:            glLines,
-    });
-    await JournalService.postJournal(glJournal.id, companyId, userId(req));
-
-    // Update invoice: status → 'sent', store journal_id
-    const { error: updErr } = await supabase
-      .from('customer_invoices')
-      .update({ status: 'sent', journal_id: glJournal.id, updated_at: new Date().toISOString() })
-      .eq('id', invoiceId)
-      .eq('company_id', companyId);
-
-    if (updErr) {
-      // GL posted but invoice status update failed.
-      // Reverse the journal immediately — a posted journal must not remain linked to a draft invoice.
-      try {
-        await JournalService.reverseJournal(
-          glJournal.id, companyId, userId(req),
-          `Auto-reversal: invoice ${invoiceId} status update failed after GL post`
-        );
-        await AuditLogger.log({
-          companyId,
-          actorType: 'SYSTEM', actorId: userId(req),
-          actionType: 'CUSTOMER_INVOICE_POST_FAILED_REVERSED',
-          entityType: 'CUSTOMER_INVOICE', entityId: invoiceId,
-          beforeJson: { status: 'draft' },
-          afterJson: { invoiceId, journalId: glJournal.id, updateError: updErr.message, reversalResult: 'reversed' },
-          reason: `Invoice post failed after GL creation. Journal ${glJournal.id} reversed. Invoice remains draft.`,
-          ipAddress: req.ip, userAgent: req.get('user-agent'),
-        });
-        return res.status(500).json({
-          error: 'Invoice posting failed after GL journal creation. The journal was reversed to prevent double posting. Please retry.',
-        });
-      } catch (revErr) {
-        console.error(`[CustomerAR] CRITICAL: journal ${glJournal.id} posted for invoice ${invoiceId}, status update failed, AND reversal failed:`, revErr.message);
-        await AuditLogger.log({
-          companyId,
-          actorType: 'SYSTEM', actorId: userId(req),
-          actionType: 'CUSTOMER_INVOICE_POST_FAILED_REVERSAL_FAILED',
-          entityType: 'CUSTOMER_INVOICE', entityId: invoiceId,
-          beforeJson: { status: 'draft' },
-          afterJson: { invoiceId, journalId: glJournal.id, updateError: updErr.message, reversalError: revErr.message },
-          reason: `CRITICAL: Invoice post failed AND reversal failed. Journal ${glJournal.id} may be dangling. Manual investigation required.`,
-          ipAddress: req.ip, userAgent: req.get('user-agent'),
-        });
-        return res.status(500).json({
-          error: 'Invoice posting failed after GL journal creation and automatic reversal failed. Manual investigation required.',
-          journalId: glJournal.id,
-        });
-      }
+    // GL lines, journal, status update and auto-reversal on failure live in
+    // CustomerInvoiceService so the recurring scheduler posts the same way.
+    let journalId;
+    try {
+      ({ journalId } = await CustomerInvoiceService.postToLedger({
+        companyId, invoice, userId: userId(req),
+        ipAddress: req.ip, userAgent: req.get('user-agent'),
+      }));
+    } catch (postErr) {
+      if (postErr.statusCode === 422) return res.status(422).json({ error: postErr.message });
+      if (postErr.journalId) return res.status(500).json({ error: postErr.message, journalId: postErr.journalId });
+      throw postErr;
     }
 
     await AuditLogger.log({
@@ -898,7 +730,7 @@ router.post('/:id/post', authenticate, hasPermission('ar.invoice.post'), async (
       beforeJson: { status: 'draft' },
       afterJson: {
         status: 'sent',
-        journalId: glJournal.id,
+        journalId,
         totalIncVat: parseFloat(invoice.total_amount),
         customerName: invoice.customer_name,
       },
@@ -907,7 +739,7 @@ router.post('/:id/post', authenticate, hasPermission('ar.invoice.post'), async (
       userAgent: req.get('user-agent'),
     });
 
-    res.json({ message: 'Invoice posted to General Ledger', journalId: glJournal.id });
+    res.json({ message: 'Invoice posted to General Ledger', journalId });
   } catch (err) {
     console.error('POST /customer-invoices/:id/post error:', err);
     res.status(500).json({ error: err.message });
@@ -1027,6 +859,7 @@ router.post('/payments', authenticate, hasPermission('ar.payment.record'), async
   const {
     customerId, customerName, paymentDate, paymentMethod,
     reference, amount, bankLedgerAccountId, notes, allocations, idempotencyKey,
+    currencyCode, exchangeRate,
   } = req.body;
 
   if (!customerName) return res.status(400).json({ error: 'Customer name is required' });
@@ -1107,9 +940,34 @@ router.post('/payments', authenticate, hasPermission('ar.payment.record'), async
       }
     }
 
+    // ── Step 3b: Currency — payment rate and realised FX per allocation ─────
+    let fx;
+    try {
+      fx = await FxService.prepareSettlement({
+        companyId, side: 'receivable', currencyCode, exchangeRate, paymentDate, paymentAmount, allocations,
+      });
+    } catch (fxErr) {
+      return res.status(422).json({ error: fxErr.message });
+    }
+    const fxByInvoice = new Map(fx.settlement.allocations.map(a => [a.invoiceId, a]));
+
     // ── Step 4: Create and post GL journal BEFORE inserting the payment ──────
     // Ordering: GL first means a GL failure leaves nothing saved.
-    // DR Bank / CR AR(1100)
+    // DR Bank / CR AR(1100) [/ DR|CR Realised FX when foreign]
+    const glLines = fx.isForeign
+      ? settlementJournalLines({
+        side:             'receivable',
+        settlement:       fx.settlement,
+        paymentAmount,
+        bankAccountId:    parseInt(bankLedgerAccountId),
+        controlAccountId: arAccountId,
+        fxAccountId:      fx.settlement.gainLoss !== 0 ? await FxService.fxAccountId(companyId, 'realised') : null,
+        label:            customerName,
+      })
+      : [
+        { accountId: parseInt(bankLedgerAccountId), debit: paymentAmount, credit: 0, description: 'Bank receipt' },
+        { accountId: arAccountId, debit: 0, credit: paymentAmount, description: `AR cleared: ${customerName}` },
+      ];
     const glJournal = await JournalService.createDraftJournal({
       companyId,
       date:            paymentDate,
@@ -1117,10 +975,9 @@ router.post('/payments', authenticate, hasPermission('ar.payment.record'), async
       description:     `AR Receipt: ${customerName}`,
       sourceType:      'customer_payment',
       createdByUserId: userId(req),
-      lines: [
-        { accountId: parseInt(bankLedgerAccountId), debit: paymentAmount, credit: 0, description: 'Bank receipt' },
-        { accountId: arAccountId, debit: 0, credit: paymentAmount, description: `AR cleared: ${customerName}` },
-      ],
+      lines:           glLines,
+      currencyCode:    fx.currencyCode,
+      exchangeRate:    fx.exchangeRate,
     });
     await JournalService.postJournal(glJournal.id, companyId, userId(req));
 
@@ -1140,6 +997,8 @@ router.post('/payments', authenticate, hasPermission('ar.payment.record'), async
         created_by_user_id:     userId(req),
         journal_id:             glJournal.id,
         idempotency_key:        idempotencyKey || null,
+        currency_code:          fx.currencyCode,
+        exchange_rate:          fx.exchangeRate,
       })
       .select()
       .single();
@@ -1231,11 +1090,16 @@ router.post('/payments', authenticate, hasPermission('ar.payment.record'), async
 
           // Idempotent insert: ON CONFLICT replaces amount_applied so a replayed
           // request does not create a duplicate allocation row.
+          const allocFx = fxByInvoice.get(allocInvoiceId);
           await allocClient.query(
-            `INSERT INTO customer_payment_allocations (payment_id, invoice_id, amount_applied)
-             VALUES ($1, $2, $3)
-             ON CONFLICT (payment_id, invoice_id) DO UPDATE SET amount_applied = EXCLUDED.amount_applied`,
-            [payment.id, allocInvoiceId, allocAmount]
+            `INSERT INTO customer_payment_allocations (payment_id, invoice_id, amount_applied, base_amount, fx_gain_loss)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (payment_id, invoice_id) DO UPDATE
+               SET amount_applied = EXCLUDED.amount_applied,
+                   base_amount    = EXCLUDED.base_amount,
+                   fx_gain_loss   = EXCLUDED.fx_gain_loss`,
+            [payment.id, allocInvoiceId, allocAmount,
+             allocFx ? allocFx.baseCleared : allocAmount, allocFx ? allocFx.gainLoss : 0]
           );
         }
 
@@ -1262,6 +1126,9 @@ router.post('/payments', authenticate, hasPermission('ar.payment.record'), async
         paymentDate,
         paymentMethod: paymentMethod || 'bank_transfer',
         amount: paymentAmount,
+        currencyCode: fx.currencyCode,
+        exchangeRate: fx.exchangeRate,
+        realisedFxGainLoss: fx.settlement.gainLoss,
         allocationCount: allocations ? allocations.length : 0,
         journalId: glJournal.id,
       },
@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * ============================================================================
+ * Customer Statement Routes
+ * ============================================================================
+ * Mounted at /api/accounting/customer-statements
+ *
+ * Permission scheme (matches accounting/middleware/auth.js PERMISSIONS):
+ *   ar.statement.view — view / download statements
+ *   ar.contact.log    — record that a statement was sent
+ *
+ * Routes:
+ *   GET  /:customerId       — statement as JSON
+ *   GET  /:customerId/pdf   — statement as PDF
+ *   POST /:customerId/sent  — log the statement in the customer's contact log
+ *
+ * Query (all routes; POST takes the same keys in the body):
+ *   style        — open_item (default) | balance_forward
+ *   asOfDate     — open_item statement date (default today)
+ *   fromDate     — balance_forward start (default first of toDate's month)
+ *   toDate       — balance_forward end (default today)
+ *   currencyCode — default ZAR; one statement per currency
+ * ============================================================================
+ */
+
+const express = require('express');
+const { authenticate, hasPermission } = require('../middleware/auth');
+const CustomerStatementService = require('../services/customerStatementService');
+const { sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+function _params(req, src) {
+  return {
+    companyId:    req.user.companyId,
+    customerId:   parseInt(req.params.customerId, 10),
+    style:        src.style || 'open_item',
+    asOfDate:     src.asOfDate || undefined,
+    fromDate:     src.fromDate || undefined,
+    toDate:       src.toDate || undefined,
+    currencyCode: src.currencyCode || 'ZAR',
+  };
+}
+
+router.get('/:customerId', authenticate, hasPermission('ar.statement.view'), async (req, res) => {
+  try {
+    const { customer, currencyCode, statement } = await CustomerStatementService.getStatement(_params(req, req.query));
+    res.json({
+      customer: { id: customer.id, name: customer.name, email: customer.email, creditHold: customer.credit_hold === true },
+      currencyCode,
+      statement,
+    });
+  } catch (err) {
+    sendServiceError(res, err, '[CustomerStatements] getStatement');
+  }
+});
+
+router.get('/:customerId/pdf', authenticate, hasPermission('ar.statement.view'), async (req, res) => {
+  try {
+    const { customer, statement, pdf } = await CustomerStatementService.getStatementPdf(_params(req, req.query));
+    const date = statement.asOfDate || statement.toDate;
+    const safeName = String(customer.name || 'customer').replace(/[^a-zA-Z0-9]+/g, '_');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Statement_${safeName}_${date}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    sendServiceError(res, err, '[CustomerStatements] getStatementPdf');
+  }
+});
+
+router.post('/:customerId/sent', authenticate, hasPermission('ar.contact.log'), async (req, res) => {
+  try {
+    const params = _params(req, req.body || {});
+    const { statement } = await CustomerStatementService.getStatement(params);
+    const contact = await CustomerStatementService.logStatementSent({
+      companyId: params.companyId, customerId: params.customerId, statement, userId: req.user.id,
+    });
+    res.status(201).json({ contact });
+  } catch (err) {
+    sendServiceError(res, err, '[CustomerStatements] logStatementSent');
+  }
+});
+
+module.exports = router;
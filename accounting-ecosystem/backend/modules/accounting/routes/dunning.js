@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * ============================================================================
+ * Dunning, Contact Log & Credit Hold Routes
+ * ============================================================================
+ * Mounted at /api/accounting/dunning
+ *
+ * Permission scheme (matches accounting/middleware/auth.js PERMISSIONS):
+ *   ar.statement.view     — GET stages, runs, letters, contact log, preview
+ *   ar.dunning.manage     — create, edit, delete stages; install defaults
+ *   ar.dunning.run        — execute a dunning run (may post interest invoices)
+ *   ar.contact.log        — record a call / email / meeting / note
+ *   ar.credit_hold.manage — place or release a credit hold by hand
+ *
+ * Routes:
+ *   GET    /stages                         — list
+ *   POST   /stages                         — { level, name, daysOverdue, letterSubject, letterBody,
+ *                                              chargeInterest?, interestRateAnnual?, interestAccountId?,
+ *                                              applyCreditHold?, minOverdueAmount?, isActive? }
+ *   POST   /stages/defaults                — seed 7 / 30 / 60 day stages (no stages yet)
+ *   PUT    /stages/:id                     — edit
+ *   DELETE /stages/:id                     — only if it never produced a letter
+ *   GET    /preview                        — what a run would do (?asOfDate, customerId)
+ *   POST   /run                            — execute { asOfDate?, customerId? }
+ *   GET    /runs                           — run history
+ *   GET    /letters                        — (?runId, customerId)
+ *   GET    /letters/:id                    — one letter
+ *   GET    /letters/:id/pdf                — letter as PDF
+ *   GET    /customers/:customerId/contacts — contact log
+ *   POST   /customers/:customerId/contacts — { contactType, subject?, notes?, contactDate?,
+ *                                              promisedPaymentDate?, promisedPaymentAmount? }
+ *   POST   /customers/:customerId/credit-hold    — { reason }
+ *   POST   /customers/:customerId/credit-release — { reason }
+ *
+ * Letter templates accept {customer} {company} {date} {overdue_total}
+ * {days_overdue} {invoice_list} {stage}.
+ * ============================================================================
+ */
+
+const express = require('express');
+const { authenticate, hasPermission } = require('../middleware/auth');
+const DunningService = require('../services/dunningService');
+const AuditLogger = require('../services/auditLogger');
+const { sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+// ─── Stages ──────────────────────────────────────────────────────────────────
+
+router.get('/stages', authenticate, hasPermission('ar.statement.view'), async (req, res) => {
+  try {
+    const stages = await DunningService.listStages({ companyId: req.user.companyId });
+    res.json({ stages });
+  } catch (err) {
+    sendServiceError(res, err, '[Dunning] listStages');
+  }
+});
+
+router.post('/stages', authenticate, hasPermission('ar.dunning.manage'), async (req, res) => {
+  try {
+    const stage = await DunningService.createStage({ companyId: req.user.companyId, input: req.body });
+    await AuditLogger.logUserAction(req, 'CREATE', 'DUNNING_STAGE', stage.id, null, stage, 'Dunning stage created');
+    res.status(201).json({ stage });
+  } catch (err) {
+    sendServiceError(res, err, '[Dunning] createStage');
+  }
+});
+
+router.post('/stages/defaults', authenticate, hasPermission('ar.dunning.manage'), async (req, res) => {
+  try {
+    const stages = await DunningService.installDefaultStages({ companyId: req.user.companyId });
+    await AuditLogger.logUserAction(
+      req, 'CREATE', 'DUNNING_STAGE', null, null,
+      { stages: stages.map(s => ({ level: s.level, name: s.name, daysOverdue: s.days_overdue })) },
+      'Default dunning stages installed'
+    );
+    res.status(201).json({ stages });
+  } catch (err) {
+    sendServiceError(res, err, '[Dunning] installDefaultStages');
+  }
+});
+
+router.put('/stages/:id', authenticate, hasPermission('ar.dunning.manage'), async (req, res) => {
+  try {
+    const stage = await DunningService.updateStage({ companyId: req.user.companyId, stageId: req.params.id, input: req.body });
+    await AuditLogger.logUserAction(req, 'UPDATE', 'DUNNING_STAGE', stage.id, null, stage, 'Dunning stage updated');
+    res.json({ stage });
+  } catch (err) {
+    sendServiceError(res, err, '[Dunning] updateStage');
+  }
+});
+
+router.delete('/stages/:id', authenticate, hasPermission('ar.dunning.manage'), async (req, res) => {
+  try {
+    const deleted = await DunningService.deleteStage({ companyId: req.user.companyId, stageId: req.params.id });
+    await AuditLogger.logUserAction(req, 'DELETE', 'DUNNING_STAGE', deleted.id, deleted, null, 'Dunning stage deleted');
+    res.json({ success: true });
+  } catch (err) {
+    sendServiceError(res, err, '[Dunning] deleteStage');
+  }
+});
+
+// ─── Runs ────────────────────────────────────────────────────────────────────
+
+router.get('/preview', authenticate, hasPermission('ar.statement.view'), async (req, res) => {
+  try {
+    const result = await DunningService.preview({
+      companyId:  req.user.companyId,
+      asOfDate:   req.query.asOfDate || undefined,
+      customerId: req.query.customerId ? parseInt(req.query.customerId, 10) : null,
+    });
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, '[Dunning] preview');
+  }
+});
+
+/**
+ * POST /api/accounting/dunning/run
+ * Body: { asOfDate?, customerId? } — asOfDate defaults to today.
+ * Re-running on the same date produces no new letters: invoices only
+ * escalate to a stage they have not reached yet.
+ */
+router.post('/run', authenticate, hasPermission('ar.dunning.run'), async (req, res) => {
+  try {
+    const result = await DunningService.run({
+      companyId:  req.user.companyId,
+      asOfDate:   req.body.asOfDate || undefined,
+      customerId: req.body.customerId ? parseInt(req.body.customerId, 10) : null,
+      userId:     req.user.id,
+    });
+    await AuditLogger.logUserAction(
+      req, 'RUN', 'DUNNING_RUN', result.run.id, null,
+      { runDate: result.run.run_date, letters: result.letters.length, interestTotal: result.run.interest_total,
+        holdsPlaced: result.run.holds_placed, warnings: result.warnings.length },
+      'Dunning run executed'
+    );
+    res.status(201).json(result);
+  } catch (err) {
+    sendServiceError(res, err, '[Dunning] run');
+  }
+});
+
+router.get('/runs', authenticate, hasPermission('ar.statement.view'), async (req, res) => {
+  try {
+    const runs = await DunningService.listRuns({ companyId: req.user.companyId, limit: req.query.limit });
+    res.json({ runs });
+  } catch (err) {
+    sendServiceError(res, err, '[Dunning] listRuns');
+  }
+});
+
+router.get('/letters', authenticate, hasPermission('ar.statement.view'), async (req, res) => {
+  try {
+    const letters = await DunningService.listLetters({
+      companyId:  req.user.companyId,
+      runId:      req.query.runId ? parseInt(req.query.runId, 10) : null,
+      customerId: req.query.customerId ? parseInt(req.query.customerId, 10) : null,
+      limit:      req.query.limit,
+    });
+    res.json({ letters });
+  } catch (err) {
+    sendServiceError(res, err, '[Dunning] listLetters');
+  }
+});
+
+router.get('/letters/:id', authenticate, hasPermission('ar.statement.view'), async (req, res) => {
+  try {
+    const letter = await DunningService.getLetter({ companyId: req.user.companyId, letterId: req.params.id });
+    res.json({ letter });
+  } catch (err) {
+    sendServiceError(res, err, '[Dunning] getLetter');
+  }
+});
+
+router.get('/letters/:id/pdf', authenticate, hasPermission('ar.statement.view'), async (req, res) => {
+  try {
+    const { letter, pdf } = await DunningService.getLetterPdf({ companyId: req.user.companyId, letterId: req.params.id });
+    const safeName = String(letter.customer_name || 'customer').replace(/[^a-zA-Z0-9]+/g, '_');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Reminder_${safeName}_${letter.letter_date}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    sendServiceError(res, err, '[Dunning] getLetterPdf');
+  }
+});
+
+// ─── Contact log & credit hold ───────────────────────────────────────────────
+
+router.get('/customers/:customerId/contacts', authenticate, hasPermission('ar.statement.view'), async (req, res) => {
+  try {
+    const contacts = await DunningService.listContacts({
+      companyId: req.user.companyId, customerId: parseInt(req.params.customerId, 10), limit: req.query.limit,
+    });
+    res.json({ contacts });
+  } catch (err) {
+    sendServiceError(res, err, '[Dunning] listContacts');
+  }
+});
+
+router.post('/customers/:customerId/contacts', authenticate, hasPermission('ar.contact.log'), async (req, res) => {
+  try {
+    const contact = await DunningService.addContact({
+      companyId: req.user.companyId, customerId: parseInt(req.params.customerId, 10), input: req.body, userId: req.user.id,
+    });
+    res.status(201).json({ contact });
+  } catch (err) {
+    sendServiceError(res, err, '[Dunning] addContact');
+  }
+});
+
+async function _setHold(req, res, hold) {
+  try {
+    const { before, customer } = await DunningService.setCreditHold({
+      companyId:  req.user.companyId,
+      customerId: parseInt(req.params.customerId, 10),
+      hold,
+      reason:     req.body.reason,
+      userId:     req.user.id,
+    });
+    await AuditLogger.logUserAction(
+      req, hold ? 'CREDIT_HOLD_PLACED' : 'CREDIT_HOLD_RELEASED', 'CUSTOMER', customer.id,
+      { creditHold: before.credit_hold, reason: before.credit_hold_reason },
+      { creditHold: customer.credit_hold, reason: customer.credit_hold_reason },
+      req.body.reason
+    );
+    res.json({ customer });
+  } catch (err) {
+    sendServiceError(res, err, `[Dunning] ${hold ? 'creditHold' : 'creditRelease'}`);
+  }
+}
+
+router.post('/customers/:customerId/credit-hold', authenticate, hasPermission('ar.credit_hold.manage'),
+  (req, res) => _setHold(req, res, true));
+
+router.post('/customers/:customerId/credit-release', authenticate, hasPermission('ar.credit_hold.manage'),
+  (req, res) => _setHold(req, res, false));
+
+module.exports = router;
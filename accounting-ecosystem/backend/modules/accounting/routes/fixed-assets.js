@@ -0,0 +1,247 @@
+'use strict';
+
+/**
+ * ============================================================================
+ * Fixed Asset Register Routes
+ * ============================================================================
+ * Mounted at /api/accounting/fixed-assets
+ *
+ * Permission scheme (matches accounting/middleware/auth.js PERMISSIONS):
+ *   fixed_asset.view       — GET classes, assets, runs, register
+ *   fixed_asset.manage     — POST/PUT classes and assets
+ *   fixed_asset.depreciate — POST runs (preview/create), POST runs/:id/cancel
+ *   fixed_asset.dispose    — POST /:id/dispose
+ *
+ * Routes:
+ *   GET  /classes                — list asset classes
+ *   POST /classes                — create asset class (GL mapping + default policy)
+ *   PUT  /classes/:id            — update asset class
+ *   GET  /register               — register grouped by class, book vs tax values
+ *   GET  /runs                   — list depreciation runs
+ *   GET  /runs/:id               — run detail with per-asset lines
+ *   POST /runs/preview           — calculate a month without saving   { period: 'YYYY-MM' }
+ *   POST /runs                   — create run + draft journal          { period: 'YYYY-MM' }
+ *   POST /runs/:id/cancel        — cancel latest run, restore asset totals
+ *   GET  /                       — list assets (?status, ?classId)
+ *   GET  /:id                    — asset detail with depreciation history
+ *   POST /                       — register asset (optional acquisition journal)
+ *   PUT  /:id                    — edit asset (policy frozen once depreciated)
+ *   POST /:id/dispose            — dispose asset, draft disposal journal
+ *
+ * All GL effects are DRAFT journals created through JournalService — they
+ * appear in the normal journals list for review and posting.
+ * ============================================================================
+ */
+
+const express = require('express');
+const { authenticate, hasPermission } = require('../middleware/auth');
+const FixedAssetService = require('../services/fixedAssetService');
+const AuditLogger = require('../services/auditLogger');
+const { sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+// ── ASSET CLASSES ───────────────────────────────────────────────────────────
+
+router.get('/classes', authenticate, hasPermission('fixed_asset.view'), async (req, res) => {
+  try {
+    const classes = await FixedAssetService.listClasses({ companyId: req.user.companyId });
+    res.json({ classes });
+  } catch (err) {
+    sendServiceError(res, err, '[FixedAssets] listClasses');
+  }
+});
+
+router.post('/classes', authenticate, hasPermission('fixed_asset.manage'), async (req, res) => {
+  try {
+    const assetClass = await FixedAssetService.createClass({ companyId: req.user.companyId, input: req.body });
+    await AuditLogger.logUserAction(req, 'CREATE', 'FIXED_ASSET_CLASS', assetClass.id, null, assetClass, 'Asset class created');
+    res.status(201).json({ assetClass });
+  } catch (err) {
+    sendServiceError(res, err, '[FixedAssets] createClass');
+  }
+});
+
+router.put('/classes/:id', authenticate, hasPermission('fixed_asset.manage'), async (req, res) => {
+  try {
+    const assetClass = await FixedAssetService.updateClass({
+      companyId: req.user.companyId, classId: req.params.id, input: req.body,
+    });
+    await AuditLogger.logUserAction(req, 'UPDATE', 'FIXED_ASSET_CLASS', assetClass.id, null, req.body, 'Asset class updated');
+    res.json({ assetClass });
+  } catch (err) {
+    sendServiceError(res, err, '[FixedAssets] updateClass');
+  }
+});
+
+// ── REGISTER REPORT ─────────────────────────────────────────────────────────
+
+/**
+ * GET /api/accounting/fixed-assets/register?includeDisposed=true
+ * Book value and s11(e) tax value per asset, grouped by class, with the
+ * book/tax temporary difference for deferred tax working papers.
+ */
+router.get('/register', authenticate, hasPermission('fixed_asset.view'), async (req, res) => {
+  try {
+    const register = await FixedAssetService.register({
+      companyId: req.user.companyId,
+      includeDisposed: req.query.includeDisposed === 'true',
+    });
+    res.json(register);
+  } catch (err) {
+    sendServiceError(res, err, '[FixedAssets] register');
+  }
+});
+
+// ── DEPRECIATION RUNS ───────────────────────────────────────────────────────
+
+router.get('/runs', authenticate, hasPermission('fixed_asset.view'), async (req, res) => {
+  try {
+    const runs = await FixedAssetService.listRuns({ companyId: req.user.companyId });
+    res.json({ runs });
+  } catch (err) {
+    sendServiceError(res, err, '[FixedAssets] listRuns');
+  }
+});
+
+router.get('/runs/:id', authenticate, hasPermission('fixed_asset.view'), async (req, res) => {
+  try {
+    const run = await FixedAssetService.getRun({ companyId: req.user.companyId, runId: req.params.id });
+    res.json({ run });
+  } catch (err) {
+    sendServiceError(res, err, '[FixedAssets] getRun');
+  }
+});
+
+router.post('/runs/preview', authenticate, hasPermission('fixed_asset.depreciate'), async (req, res) => {
+  try {
+    if (!req.body.period) return res.status(400).json({ error: 'period is required (YYYY-MM).' });
+    const preview = await FixedAssetService.previewRun({ companyId: req.user.companyId, periodKey: req.body.period });
+    res.json(preview);
+  } catch (err) {
+    sendServiceError(res, err, '[FixedAssets] previewRun');
+  }
+});
+
+/**
+ * POST /api/accounting/fixed-assets/runs
+ * Body: { period: 'YYYY-MM' }
+ * Blocked when the month falls in a locked accounting period, already has a
+ * live run, or a later month has already been run.
+ */
+router.post('/runs', authenticate, hasPermission('fixed_asset.depreciate'), async (req, res) => {
+  try {
+    if (!req.body.period) return res.status(400).json({ error: 'period is required (YYYY-MM).' });
+    const result = await FixedAssetService.createRun({
+      companyId: req.user.companyId, periodKey: req.body.period, userId: req.user.id,
+    });
+    await AuditLogger.logUserAction(
+      req, 'CREATE', 'FIXED_ASSET_DEPRECIATION_RUN', result.run.id, null,
+      { period: result.run.period_key, journalId: result.journalId, totals: result.totals },
+      `Depreciation run ${result.run.period_key} created`
+    );
+    res.status(201).json(result);
+  } catch (err) {
+    sendServiceError(res, err, '[FixedAssets] createRun');
+  }
+});
+
+router.post('/runs/:id/cancel', authenticate, hasPermission('fixed_asset.depreciate'), async (req, res) => {
+  try {
+    const result = await FixedAssetService.cancelRun({
+      companyId: req.user.companyId, runId: req.params.id, userId: req.user.id, reason: req.body.reason,
+    });
+    await AuditLogger.logUserAction(
+      req, 'CANCEL', 'FIXED_ASSET_DEPRECIATION_RUN', result.runId, { status: 'draft' },
+      { status: 'cancelled', journalAction: result.journalAction },
+      req.body.reason || `Depreciation run ${result.periodKey} cancelled`
+    );
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, '[FixedAssets] cancelRun');
+  }
+});
+
+// ── ASSETS ──────────────────────────────────────────────────────────────────
+
+router.get('/', authenticate, hasPermission('fixed_asset.view'), async (req, res) => {
+  try {
+    const assets = await FixedAssetService.listAssets({
+      companyId: req.user.companyId,
+      status:    req.query.status || null,
+      classId:   req.query.classId || null,
+    });
+    res.json({ assets });
+  } catch (err) {
+    sendServiceError(res, err, '[FixedAssets] listAssets');
+  }
+});
+
+router.get('/:id', authenticate, hasPermission('fixed_asset.view'), async (req, res) => {
+  try {
+    const asset = await FixedAssetService.getAsset({ companyId: req.user.companyId, assetId: req.params.id });
+    res.json({ asset });
+  } catch (err) {
+    sendServiceError(res, err, '[FixedAssets] getAsset');
+  }
+});
+
+/**
+ * POST /api/accounting/fixed-assets
+ * Body: { classId, description, acquisitionDate, cost, availableForUseDate?,
+ *         residualValue?, method?, usefulLifeMonths?, reducingRate?,
+ *         taxCost?, taxWriteOffYears?, serialNumber?, location?,
+ *         segmentValueId?, assetNumber?, creditAccountId? }
+ * Supplying creditAccountId creates a draft acquisition journal.
+ */
+router.post('/', authenticate, hasPermission('fixed_asset.manage'), async (req, res) => {
+  try {
+    const asset = await FixedAssetService.createAsset({
+      companyId: req.user.companyId, userId: req.user.id, input: req.body,
+    });
+    await AuditLogger.logUserAction(
+      req, 'CREATE', 'FIXED_ASSET', asset.id, null,
+      { assetNumber: asset.asset_number, cost: asset.cost, acquisitionJournalId: asset.acquisition_journal_id },
+      'Fixed asset registered'
+    );
+    res.status(201).json({ asset });
+  } catch (err) {
+    sendServiceError(res, err, '[FixedAssets] createAsset');
+  }
+});
+
+router.put('/:id', authenticate, hasPermission('fixed_asset.manage'), async (req, res) => {
+  try {
+    const asset = await FixedAssetService.updateAsset({
+      companyId: req.user.companyId, assetId: req.params.id, input: req.body,
+    });
+    await AuditLogger.logUserAction(req, 'UPDATE', 'FIXED_ASSET', asset.id, null, req.body, 'Fixed asset updated');
+    res.json({ asset });
+  } catch (err) {
+    sendServiceError(res, err, '[FixedAssets] updateAsset');
+  }
+});
+
+/**
+ * POST /api/accounting/fixed-assets/:id/dispose
+ * Body: { disposalDate, proceeds, proceedsAccountId }
+ */
+router.post('/:id/dispose', authenticate, hasPermission('fixed_asset.dispose'), async (req, res) => {
+  try {
+    const { disposalDate, proceeds, proceedsAccountId } = req.body;
+    const result = await FixedAssetService.disposeAsset({
+      companyId: req.user.companyId, assetId: req.params.id, userId: req.user.id,
+      disposalDate, proceeds, proceedsAccountId,
+    });
+    await AuditLogger.logUserAction(
+      req, 'DISPOSE', 'FIXED_ASSET', result.asset.id, null,
+      { disposalDate, proceeds: result.asset.disposal_proceeds, journalId: result.journalId, outcome: result.outcome },
+      'Fixed asset disposed'
+    );
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, '[FixedAssets] disposeAsset');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * ============================================================================
+ * Multi-currency (FX) Routes
+ * ============================================================================
+ * Mounted at /api/accounting/fx
+ *
+ * Permission scheme (matches accounting/middleware/auth.js PERMISSIONS):
+ *   fx.view    — GET rates / lookup / revaluations
+ *   fx.manage  — capture, import and delete exchange rates
+ *   fx.revalue — preview and run period-end revaluations
+ *
+ * Routes:
+ *   GET    /rates                     — list (?currency, fromDate, toDate)
+ *   GET    /rates/lookup              — rate in force (?currency, date)
+ *   POST   /rates                     — capture/overwrite { currencyCode, rateDate, rate }
+ *   POST   /rates/import              — CSV/XLSX import, field 'file' (Currency, Date, Rate)
+ *   DELETE /rates/:id                 — delete a rate
+ *   GET    /revaluations              — list runs
+ *   GET    /revaluations/:id          — run + per-item lines
+ *   POST   /revaluations/preview      — { revaluationDate, rates? } — nothing is saved
+ *   POST   /revaluations              — { revaluationDate, rates? } — post + next-day reversal
+ *
+ * Rates are ZAR per 1 unit of the foreign currency. Transaction currency on
+ * invoices and payments is captured on the AR/AP routes (currencyCode,
+ * exchangeRate); realised FX posts with the payment journal.
+ * ============================================================================
+ */
+
+const express = require('express');
+const multer  = require('multer');
+const XLSX    = require('xlsx');
+const { authenticate, hasPermission } = require('../middleware/auth');
+const FxService = require('../services/fxService');
+const AuditLogger = require('../services/auditLogger');
+const { parseRateSheet } = require('../services/fxUtils');
+const { sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+// Same upload shape as historicalComparatives.js — memory only, xlsx parses CSV too
+const rateUpload = multer({
+  storage: multer.memoryStorage(),
+  limits:  { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    const ext = (file.originalname || '').split('.').pop().toLowerCase();
+    if (['xlsx', 'xls', 'csv'].includes(ext)) return cb(null, true);
+    cb(new Error('Only Excel (.xlsx/.xls) and CSV files are accepted'));
+  },
+});
+
+// ─── Exchange rates ──────────────────────────────────────────────────────────
+
+router.get('/rates', authenticate, hasPermission('fx.view'), async (req, res) => {
+  try {
+    const rates = await FxService.listRates({
+      companyId:    req.user.companyId,
+      currencyCode: req.query.currency || null,
+      fromDate:     req.query.fromDate || null,
+      toDate:       req.query.toDate || null,
+    });
+    res.json({ rates });
+  } catch (err) {
+    sendServiceError(res, err, '[FX] listRates');
+  }
+});
+
+/**
+ * GET /api/accounting/fx/rates/lookup?currency=USD&date=2025-03-31
+ * The rate a document dated `date` would use (latest on or before it).
+ */
+router.get('/rates/lookup', authenticate, hasPermission('fx.view'), async (req, res) => {
+  try {
+    const { currency, date } = req.query;
+    if (!currency || !date) return res.status(400).json({ error: 'currency and date are required.' });
+    const found = await FxService.getRate(req.user.companyId, currency, date);
+    if (!found) return res.status(404).json({ error: `No ${String(currency).toUpperCase()} rate on or before ${date}.` });
+    res.json({ currency: String(currency).toUpperCase(), date, ...found });
+  } catch (err) {
+    sendServiceError(res, err, '[FX] lookupRate');
+  }
+});
+
+router.post('/rates', authenticate, hasPermission('fx.manage'), async (req, res) => {
+  try {
+    const { currencyCode, rateDate, rate } = req.body;
+    const saved = await FxService.saveRate({
+      companyId: req.user.companyId, userId: req.user.id, currencyCode, rateDate, rate,
+    });
+    await AuditLogger.logUserAction(
+      req, 'UPSERT', 'EXCHANGE_RATE', saved.id, null,
+      { currencyCode: saved.currency_code, rateDate: saved.rate_date, rate: saved.rate },
+      'Exchange rate captured'
+    );
+    res.status(201).json({ rate: saved });
+  } catch (err) {
+    sendServiceError(res, err, '[FX] saveRate');
+  }
+});
+
+/**
+ * POST /api/accounting/fx/rates/import
+ * multipart/form-data, field 'file' (.csv / .xlsx / .xls).
+ * Columns: Currency, Date, Rate — in any order, header may sit below title
+ * rows. Existing rates for the same currency and date are overwritten.
+ */
+router.post('/rates/import', authenticate, hasPermission('fx.manage'),
+  rateUpload.single('file'),
+  async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: 'No file uploaded.' });
+
+      let workbook;
+      try {
+        workbook = XLSX.read(req.file.buffer, { type: 'buffer', cellDates: true, raw: false });
+      } catch (err) {
+        return res.status(400).json({ error: `Failed to parse file: ${err.message}` });
+      }
+      const sheetName = workbook.SheetNames[0];
+      if (!sheetName) return res.status(400).json({ error: 'File contains no sheets.' });
+
+      const allRows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', blankrows: false });
+      const parsed = parseRateSheet(allRows);
+      if (!parsed) {
+        return res.status(422).json({
+          error: 'Could not detect the required columns from this file.',
+          hint: 'Expected Currency, Date and Rate columns (rate = ZAR per 1 unit).',
+        });
+      }
+      if (!parsed.rows.length) {
+        return res.status(422).json({ error: 'No valid rate rows were found in the file.', errors: parsed.errors });
+      }
+
+      const result = await FxService.importRates({
+        companyId: req.user.companyId, userId: req.user.id, rows: parsed.rows,
+      });
+      await AuditLogger.logUserAction(
+        req, 'IMPORT', 'EXCHANGE_RATE', null, null,
+        { file: req.file.originalname, imported: result.imported, currencies: result.currencies },
+        'Exchange rates imported'
+      );
+      res.json({ ...result, errors: parsed.errors });
+    } catch (err) {
+      sendServiceError(res, err, '[FX] importRates');
+    }
+  }
+);
+
+router.delete('/rates/:id', authenticate, hasPermission('fx.manage'), async (req, res) => {
+  try {
+    const deleted = await FxService.deleteRate({ companyId: req.user.companyId, rateId: req.params.id });
+    await AuditLogger.logUserAction(req, 'DELETE', 'EXCHANGE_RATE', deleted.id, deleted, null, 'Exchange rate deleted');
+    res.json({ success: true });
+  } catch (err) {
+    sendServiceError(res, err, '[FX] deleteRate');
+  }
+});
+
+// ─── Revaluations ────────────────────────────────────────────────────────────
+
+router.get('/revaluations', authenticate, hasPermission('fx.view'), async (req, res) => {
+  try {
+    const revaluations = await FxService.listRevaluations({ companyId: req.user.companyId });
+    res.json({ revaluations });
+  } catch (err) {
+    sendServiceError(res, err, '[FX] listRevaluations');
+  }
+});
+
+router.post('/revaluations/preview', authenticate, hasPermission('fx.revalue'), async (req, res) => {
+  try {
+    const preview = await FxService.previewRevaluation({
+      companyId:       req.user.companyId,
+      revaluationDate: req.body.revaluationDate,
+      rateOverrides:   req.body.rates || {},
+    });
+    res.json(preview);
+  } catch (err) {
+    sendServiceError(res, err, '[FX] previewRevaluation');
+  }
+});
+
+router.get('/revaluations/:id', authenticate, hasPermission('fx.view'), async (req, res) => {
+  try {
+    const revaluation = await FxService.getRevaluation({ companyId: req.user.companyId, revaluationId: req.params.id });
+    res.json({ revaluation });
+  } catch (err) {
+    sendServiceError(res, err, '[FX] getRevaluation');
+  }
+});
+
+/**
+ * POST /api/accounting/fx/revaluations
+ * Body: { revaluationDate, rates? }
+ * Revalues open foreign debtors, creditors and foreign bank balances at the
+ * closing rate. Posts the unrealised journal on revaluationDate and its
+ * reversal on the following day.
+ */
+router.post('/revaluations', authenticate, hasPermission('fx.revalue'), async (req, res) => {
+  try {
+    const result = await FxService.runRevaluation({
+      companyId:       req.user.companyId,
+      userId:          req.user.id,
+      revaluationDate: req.body.revaluationDate,
+      rateOverrides:   req.body.rates || {},
+    });
+    await AuditLogger.logUserAction(
+      req, 'CREATE', 'FX_REVALUATION', result.revaluation.id, null,
+      { revaluationDate: result.revaluation.revaluation_date, totalAdjustment: result.totalAdjustment,
+        journalId: result.revaluation.journal_id, reversalJournalId: result.revaluation.reversal_journal_id },
+      'Unrealised FX revaluation posted'
+    );
+    res.status(201).json(result);
+  } catch (err) {
+    sendServiceError(res, err, '[FX] runRevaluation');
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,7 @@
  * ============================================================================
  * Provides accounting-side read access to POS data (Checkout Charlie) and
  * handles cash/card daily reconciliation (settlement) between POS takings
- * and bank deposits.
+ * and bank deposits, and posts the POS gift card / store credit liability.
  *
  * All routes are under /api/accounting/pos/
  *
@@ -23,6 +23,8 @@ const db = require('../config/database');
 const { authenticate, hasPermission } = require('../middleware/auth');
 const JournalService = require('../services/journalService');
 const AuditLogger = require('../services/auditLogger');
+const { summariseLiability, voucherJournal } = require('../../pos/services/voucherLedger');
+const { sendServiceError } = require('../../../shared/utils/serviceError');
 
 const router = express.Router();
 
@@ -1104,4 +1106,197 @@ router.post('/gl-sync/generate-invoice', authenticate, hasPermission('pos.reconc
   }
 });
 
+// ─── POS gift cards and store credit (migration 080) ─────────────────────────
+// A voucher is money taken for goods not yet handed over — a liability, not
+// revenue. Revenue for what a voucher buys arrives through the normal till
+// sales (the generate-invoice route above counts every completed sale, however
+// it was paid), so the voucher side only moves money between the POS
+// clearing account and the liability — except store credit given without
+// payment (goodwill, or a refund on a return), which is a sales allowance
+// charged to Sales Returns and Allowances. voucherJournal() (voucherLedger.js)
+// builds the lines.
+//
+// Each pos_voucher_transactions row carries the journal_id it was posted in,
+// so a row reaches the GL exactly once.
+
+const VOUCHER_LIABILITY_ACCOUNT_NAME = 'Gift Voucher Liability';
+const VOUCHER_BREAKAGE_ACCOUNT_NAME  = 'Voucher Breakage Income';
+const VOUCHER_RETURNS_ACCOUNT_NAME   = 'Sales Returns and Allowances';
+
+// Same find-by-name-then-free-code provisioning as
+// ensureCheckoutCharlieRevenueAccount — liability from 2220 (after the
+// template's 2210 Customer Deposits Received), breakage from 4830 (after the
+// template's 4820 FX account), returns from 4010 (contra-revenue, after the
+// template's 4000 Sales Revenue).
+async function ensureVoucherAccount(client, companyId, { name, startCode, type, subType, description }) {
+  const existing = await client.query(
+    `SELECT id FROM accounts WHERE company_id = $1 AND name = $2 LIMIT 1`,
+    [companyId, name]
+  );
+  if (existing.rows.length > 0) return existing.rows[0].id;
+
+  let code = startCode;
+  for (let i = 0; i < 20; i++) {
+    const taken = await client.query(`SELECT id FROM accounts WHERE company_id = $1 AND code = $2 LIMIT 1`, [companyId, String(code)]);
+    if (taken.rows.length === 0) break;
+    code++;
+  }
+
+  const reportingGroup = type === 'liability' ? 'accruals' : subType;
+  const created = await client.query(
+    `INSERT INTO accounts (company_id, code, name, type, sub_type, reporting_group, description, is_active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, true) RETURNING id`,
+    [companyId, String(code), name, type, subType, reportingGroup, description]
+  );
+  return created.rows[0].id;
+}
+
+// ─── GET /api/accounting/pos/vouchers/liability ───────────────────────────────
+/**
+ * Outstanding POS voucher balances, plus what is still waiting to be posted.
+ *
+ * Returns:
+ *   { asAt, summary: { count, outstanding, byType, byExpiry },
+ *     unposted: { count, fromDate } }
+ */
+router.get('/vouchers/liability', authenticate, hasPermission('pos.view'), async (req, res) => {
+  try {
+    const { data: vouchers, error } = await supabase
+      .from('pos_vouchers')
+      .select('voucher_type, balance, status, expires_on')
+      .eq('company_id', req.user.companyId)
+      .eq('status', 'active')
+      .gt('balance', 0);
+    if (error) throw new Error(error.message);
+
+    const { data: unposted, error: unpostedError } = await supabase
+      .from('pos_voucher_transactions')
+      .select('created_at')
+      .eq('company_id', req.user.companyId)
+      .is('journal_id', null)
+      .order('created_at');
+    if (unpostedError) throw new Error(unpostedError.message);
+
+    const asAt = saDateStr(new Date());
+    res.json({
+      asAt,
+      summary: summariseLiability(vouchers || [], asAt),
+      unposted: {
+        count:    (unposted || []).length,
+        fromDate: unposted && unposted.length ? saDateStr(unposted[0].created_at) : null,
+      },
+    });
+  } catch (err) {
+    console.error('[pos-bridge] vouchers/liability error:', err);
+    res.status(500).json({ error: 'Failed to load voucher liability' });
+  }
+});
+
+// ─── POST /api/accounting/pos/vouchers/post-journal ───────────────────────────
+/**
+ * Body: { toDate: 'YYYY-MM-DD', clearingAccountId }
+ * Posts every not-yet-posted voucher movement up to the end of toDate (SA
+ * time) as one journal, dated toDate. The liability, breakage and sales
+ * returns accounts are provisioned on first use. One voucher journal per date — refuses a
+ * second for the same toDate.
+ */
+router.post('/vouchers/post-journal', authenticate, hasPermission('pos.reconcile'), async (req, res) => {
+  const { toDate, clearingAccountId } = req.body;
+  if (!toDate || !/^\d{4}-\d{2}-\d{2}$/.test(toDate)) return res.status(400).json({ error: 'toDate (YYYY-MM-DD) is required' });
+  if (!clearingAccountId) return res.status(400).json({ error: 'clearingAccountId is required' });
+
+  const companyId = req.user.companyId;
+  const reference = `POS-VOUCHER-${toDate}`;
+
+  try {
+    const { data: acct, error: acctError } = await supabase
+      .from('accounts').select('id')
+      .eq('company_id', companyId).eq('id', clearingAccountId).maybeSingle();
+    if (acctError) throw new Error(acctError.message);
+    if (!acct) return res.status(400).json({ error: 'Clearing account not found for this company' });
+
+    const { data: existing, error: existingError } = await supabase
+      .from('journals').select('id')
+      .eq('company_id', companyId).eq('source_type', 'pos_voucher').eq('reference', reference)
+      .neq('status', 'reversed')
+      .maybeSingle();
+    if (existingError) throw new Error(existingError.message);
+    if (existing) {
+      return res.status(409).json({ error: `Vouchers up to ${toDate} are already posted`, code: 'ALREADY_POSTED', journalId: existing.id });
+    }
+
+    const { data: rows, error: rowsError } = await supabase
+      .from('pos_voucher_transactions')
+      .select('id, type, amount, payment_method')
+      .eq('company_id', companyId)
+      .is('journal_id', null)
+      .lte('created_at', saDateToUtcEnd(toDate));
+    if (rowsError) throw new Error(rowsError.message);
+    if (!rows || rows.length === 0) return res.status(404).json({ error: `No unposted voucher movements up to ${toDate}` });
+
+    const dbClient = await db.getClient();
+    let liabilityAccountId;
+    let breakageAccountId;
+    let returnsAccountId;
+    try {
+      liabilityAccountId = await ensureVoucherAccount(dbClient, companyId, {
+        name: VOUCHER_LIABILITY_ACCOUNT_NAME, startCode: 2220, type: 'liability', subType: 'current_liability',
+        description: 'Unspent POS gift card and store credit balances',
+      });
+      breakageAccountId = await ensureVoucherAccount(dbClient, companyId, {
+        name: VOUCHER_BREAKAGE_ACCOUNT_NAME, startCode: 4830, type: 'income', subType: 'other_income',
+        description: 'POS voucher balances expired or cancelled unspent',
+      });
+      returnsAccountId = await ensureVoucherAccount(dbClient, companyId, {
+        name: VOUCHER_RETURNS_ACCOUNT_NAME, startCode: 4010, type: 'income', subType: 'operating_income',
+        description: 'Store credit given on returns and as goodwill (reduces sales)',
+      });
+    } finally {
+      dbClient.release();
+    }
+
+    const { totals, lines } = voucherJournal(rows, {
+      clearing: clearingAccountId, liability: liabilityAccountId, breakage: breakageAccountId, returns: returnsAccountId,
+    }, toDate);
+
+    let journal = null;
+    if (lines.length > 0) {
+      journal = await JournalService.createDraftJournal({
+        companyId,
+        date:            toDate,
+        reference,
+        description:     `POS gift card and store credit movements to ${toDate}`,
+        sourceType:      'pos_voucher',
+        createdByUserId: req.user.id,
+        lines,
+      });
+      await JournalService.postJournal(journal.id, companyId, req.user.id);
+
+      const { error: markError } = await supabase
+        .from('pos_voucher_transactions')
+        .update({ journal_id: journal.id })
+        .eq('company_id', companyId)
+        .in('id', rows.map(r => r.id));
+      if (markError) throw new Error(markError.message);
+    }
+
+    await AuditLogger.logUserAction(
+      req, 'POS_VOUCHERS_POSTED', 'JOURNAL', journal ? journal.id : null,
+      null, { toDate, transactionCount: rows.length, ...totals },
+      journal
+        ? `POS voucher movements to ${toDate} posted (${rows.length} transaction(s))`
+        : `POS voucher movements to ${toDate} net to zero — nothing posted`
+    );
+
+    res.status(201).json({
+      journal: journal ? { id: journal.id, reference: journal.reference } : null,
+      transactionCount: rows.length,
+      ...totals,
+    });
+  } catch (err) {
+    // JournalService errors carry their status — 403 for a locked period
+    sendServiceError(res, err, '[pos-bridge] vouchers/post-journal error');
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,218 @@
+'use strict';
+
+/**
+ * ============================================================================
+ * Recurring Invoice & Journal Routes
+ * ============================================================================
+ * Mounted at /api/accounting/recurring
+ *
+ * Permission scheme (matches accounting/middleware/auth.js PERMISSIONS):
+ *   recurring.view   — GET templates / runs
+ *   recurring.manage — create, edit, activate/deactivate, delete templates
+ *   recurring.run    — run now / run all due / retry a skipped run
+ *
+ * Routes:
+ *   GET    /templates                 — list (?documentType, activeOnly=true)
+ *   POST   /templates                 — { name, documentType, frequency, intervalCount?,
+ *                                         startDate, endDate?, mode?, payload }
+ *   GET    /templates/:id             — template + recent runs
+ *   PUT    /templates/:id             — edit (documentType is fixed)
+ *   POST   /templates/:id/activate    — resume schedule
+ *   POST   /templates/:id/deactivate  — pause schedule
+ *   DELETE /templates/:id             — only if it never generated a document
+ *   POST   /templates/:id/run         — materialise what is due { asOfDate? }
+ *   POST   /run-due                   — every due template of the company { asOfDate? }
+ *   GET    /runs                      — history (?templateId, status, limit)
+ *   POST   /runs/:id/retry            — retry a skipped_locked / failed run
+ *
+ * Run responses list the runs as { created, posted, skippedLocked, failed }.
+ * skippedLocked holds occurrences whose accounting period is locked.
+ * The background scheduler (services/recurringScheduler.js) calls the same
+ * engine for all companies.
+ * ============================================================================
+ */
+
+const express = require('express');
+const { authenticate, hasPermission } = require('../middleware/auth');
+const RecurringService = require('../services/recurringService');
+const AuditLogger = require('../services/auditLogger');
+const { sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+function _runCounts(result) {
+  return {
+    asOfDate:      result.asOfDate,
+    created:       result.created.length,
+    posted:        result.posted.length,
+    skippedLocked: result.skippedLocked.length,
+    failed:        result.failed.length,
+  };
+}
+
+// ─── Templates ───────────────────────────────────────────────────────────────
+
+router.get('/templates', authenticate, hasPermission('recurring.view'), async (req, res) => {
+  try {
+    const templates = await RecurringService.listTemplates({
+      companyId:    req.user.companyId,
+      documentType: req.query.documentType || null,
+      activeOnly:   req.query.activeOnly === 'true',
+    });
+    res.json({ templates });
+  } catch (err) {
+    sendServiceError(res, err, '[Recurring] listTemplates');
+  }
+});
+
+router.post('/templates', authenticate, hasPermission('recurring.manage'), async (req, res) => {
+  try {
+    const template = await RecurringService.createTemplate({
+      companyId: req.user.companyId, userId: req.user.id, input: req.body,
+    });
+    await AuditLogger.logUserAction(
+      req, 'CREATE', 'RECURRING_TEMPLATE', template.id, null,
+      { name: template.name, documentType: template.document_type, frequency: template.frequency,
+        mode: template.mode, nextRunDate: template.next_run_date },
+      'Recurring template created'
+    );
+    res.status(201).json({ template });
+  } catch (err) {
+    sendServiceError(res, err, '[Recurring] createTemplate');
+  }
+});
+
+router.get('/templates/:id', authenticate, hasPermission('recurring.view'), async (req, res) => {
+  try {
+    const template = await RecurringService.getTemplate({ companyId: req.user.companyId, templateId: req.params.id });
+    res.json({ template });
+  } catch (err) {
+    sendServiceError(res, err, '[Recurring] getTemplate');
+  }
+});
+
+router.put('/templates/:id', authenticate, hasPermission('recurring.manage'), async (req, res) => {
+  try {
+    const template = await RecurringService.updateTemplate({
+      companyId: req.user.companyId, templateId: req.params.id, input: req.body,
+    });
+    await AuditLogger.logUserAction(
+      req, 'UPDATE', 'RECURRING_TEMPLATE', template.id, null,
+      { name: template.name, frequency: template.frequency, mode: template.mode, nextRunDate: template.next_run_date },
+      'Recurring template updated'
+    );
+    res.json({ template });
+  } catch (err) {
+    sendServiceError(res, err, '[Recurring] updateTemplate');
+  }
+});
+
+router.post('/templates/:id/activate', authenticate, hasPermission('recurring.manage'), async (req, res) => {
+  try {
+    const template = await RecurringService.setActive({ companyId: req.user.companyId, templateId: req.params.id, isActive: true });
+    await AuditLogger.logUserAction(req, 'ACTIVATE', 'RECURRING_TEMPLATE', template.id, { isActive: false }, { isActive: true }, 'Recurring template activated');
+    res.json({ template });
+  } catch (err) {
+    sendServiceError(res, err, '[Recurring] activateTemplate');
+  }
+});
+
+router.post('/templates/:id/deactivate', authenticate, hasPermission('recurring.manage'), async (req, res) => {
+  try {
+    const template = await RecurringService.setActive({ companyId: req.user.companyId, templateId: req.params.id, isActive: false });
+    await AuditLogger.logUserAction(req, 'DEACTIVATE', 'RECURRING_TEMPLATE', template.id, { isActive: true }, { isActive: false }, 'Recurring template deactivated');
+    res.json({ template });
+  } catch (err) {
+    sendServiceError(res, err, '[Recurring] deactivateTemplate');
+  }
+});
+
+router.delete('/templates/:id', authenticate, hasPermission('recurring.manage'), async (req, res) => {
+  try {
+    const deleted = await RecurringService.deleteTemplate({ companyId: req.user.companyId, templateId: req.params.id });
+    await AuditLogger.logUserAction(
+      req, 'DELETE', 'RECURRING_TEMPLATE', deleted.id,
+      { name: deleted.name, documentType: deleted.document_type }, null,
+      'Recurring template deleted'
+    );
+    res.json({ success: true });
+  } catch (err) {
+    sendServiceError(res, err, '[Recurring] deleteTemplate');
+  }
+});
+
+// ─── Running ─────────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/accounting/recurring/templates/:id/run
+ * Body: { asOfDate? } — defaults to today.
+ * Generates every occurrence due up to asOfDate that has not been generated
+ * for its period yet. Safe to call repeatedly.
+ */
+router.post('/templates/:id/run', authenticate, hasPermission('recurring.run'), async (req, res) => {
+  try {
+    const result = await RecurringService.runTemplate({
+      companyId:  req.user.companyId,
+      templateId: req.params.id,
+      asOfDate:   req.body.asOfDate || undefined,
+      userId:     req.user.id,
+    });
+    await AuditLogger.logUserAction(
+      req, 'RUN', 'RECURRING_TEMPLATE', parseInt(req.params.id), null, _runCounts(result),
+      'Recurring template run manually'
+    );
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, '[Recurring] runTemplate');
+  }
+});
+
+router.post('/run-due', authenticate, hasPermission('recurring.run'), async (req, res) => {
+  try {
+    const result = await RecurringService.runDue({
+      companyId:   req.user.companyId,
+      asOfDate:    req.body.asOfDate || undefined,
+      triggeredBy: 'manual',
+      userId:      req.user.id,
+    });
+    await AuditLogger.logUserAction(
+      req, 'RUN', 'RECURRING_TEMPLATE', null, null, { templates: result.templates, ..._runCounts(result) },
+      'Due recurring templates run manually'
+    );
+    res.json(result);
+  } catch (err) {
+    sendServiceError(res, err, '[Recurring] runDue');
+  }
+});
+
+// ─── Run history ─────────────────────────────────────────────────────────────
+
+router.get('/runs', authenticate, hasPermission('recurring.view'), async (req, res) => {
+  try {
+    const runs = await RecurringService.listRuns({
+      companyId:  req.user.companyId,
+      templateId: req.query.templateId || null,
+      status:     req.query.status || null,
+      limit:      req.query.limit || 100,
+    });
+    res.json({ runs });
+  } catch (err) {
+    sendServiceError(res, err, '[Recurring] listRuns');
+  }
+});
+
+router.post('/runs/:id/retry', authenticate, hasPermission('recurring.run'), async (req, res) => {
+  try {
+    const run = await RecurringService.retryRun({ companyId: req.user.companyId, runId: req.params.id, userId: req.user.id });
+    await AuditLogger.logUserAction(
+      req, 'RETRY', 'RECURRING_RUN', run.id, null,
+      { status: run.status, periodKey: run.period_key, message: run.message },
+      'Recurring run retried'
+    );
+    res.json({ run });
+  } catch (err) {
+    sendServiceError(res, err, '[Recurring] retryRun');
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ const { supabase } = require('../../../config/database');
 const db = require('../config/database'); // direct pg Pool — avoids .in() URL-length limits
 const { authenticate, hasPermission } = require('../middleware/auth');
 const { getBadge } = require('../services/reportTruthBadge');
+const { buildCashFlowStatement, resolveCashFlowCategory } = require('../services/cashFlowUtils');
+const BudgetService = require('../services/budgetService');
+const { buildBudgetVsActual, financialYearForDate } = require('../services/budgetUtils');
 
 const router = express.Router();
 
@@ -420,6 +423,164 @@ router.get('/profit-loss', authenticate, hasPermission('report.view'), async (re
   }
 });
 
+/**
+ * GET /api/reports/budget-vs-actual?fromDate=&toDate=&budgetId=&segmentValueId=&journalSourceMode=
+ *
+ * P&L actuals next to budget, with variance (actual − budget) and variance %.
+ * Actuals use exactly the /profit-loss query (fetchAccountBalances) and
+ * section layout; segmentValueId filters both sides the same way
+ * (id = that division, 'untagged' = no segment, empty = company total).
+ *
+ * Budget: budgetId when supplied, otherwise the approved (else latest)
+ * version of every financial year the range touches. Budget months cut by
+ * the range are apportioned by days.
+ */
+router.get('/budget-vs-actual', authenticate, hasPermission('report.view'), async (req, res) => {
+  try {
+    const { fromDate, toDate, budgetId, segmentValueId, journalSourceMode: rawMode } = req.query;
+    if (!fromDate || !toDate) return res.status(400).json({ error: 'fromDate and toDate are required' });
+    if (fromDate > toDate) return res.status(400).json({ error: 'fromDate must be on or before toDate' });
+    const journalSourceMode = ['all', 'manual', 'system'].includes(rawMode) ? rawMode : 'all';
+
+    const companyId = req.user.companyId;
+
+    // Budgets covering the range
+    const budgets = [];
+    if (budgetId) {
+      budgets.push(await BudgetService.resolveBudget({ companyId, budgetId }));
+    } else {
+      const yearEndMonth = await BudgetService.yearEndMonth(companyId);
+      const fyFrom = financialYearForDate(fromDate, yearEndMonth);
+      const fyTo   = financialYearForDate(toDate, yearEndMonth);
+      for (let fy = fyFrom; fy <= fyTo; fy++) {
+        const b = await BudgetService.resolveBudget({ companyId, financialYear: fy });
+        if (b) budgets.push(b);
+      }
+    }
+    if (!budgets.length) {
+      return res.status(404).json({ error: 'No budget found for this period. Create or generate a budget first.' });
+    }
+
+    const budgetTotals = {};
+    for (const b of budgets) {
+      const amounts = await BudgetService.budgetByAccount({
+        budgetId: b.id, fromDate, toDate, segmentValueId: segmentValueId || null,
+      });
+      for (const [accountId, amount] of Object.entries(amounts)) {
+        budgetTotals[accountId] = (budgetTotals[accountId] || 0) + amount;
+      }
+    }
+
+    const { accounts, lines } = await fetchAccountBalances(companyId, {
+      fromDate, toDate, types: ['income', 'expense'],
+      segmentValueId: segmentValueId || null, journalSourceMode
+    });
+    const agg = aggregateLines(lines);
+    const actuals = {};
+    for (const a of accounts) {
+      const d = parseFloat(agg[a.id]?.debit  || 0);
+      const c = parseFloat(agg[a.id]?.credit || 0);
+      actuals[a.id] = a.type === 'income' ? (c - d) : (d - c);
+    }
+
+    const { sections, totals } = buildBudgetVsActual({ accounts, actuals, budget: budgetTotals });
+
+    res.json({
+      fromDate, toDate, segmentValueId: segmentValueId || null,
+      budgets: budgets.map(b => ({ id: b.id, name: b.name, financialYear: b.financial_year,
+                                   version: b.version, status: b.status })),
+      operatingIncome: sections.operating_income, costOfSales: sections.cost_of_sales,
+      otherIncome: sections.other_income, operatingExpenses: sections.operating_expense,
+      depreciation: sections.depreciation_amort, financeCosts: sections.finance_cost,
+      totals,
+      reportTruth: getBadge('posted_gl_only', { journalSourceMode }),
+    });
+
+  } catch (error) {
+    if (error.statusCode === 404) return res.status(404).json({ error: error.message });
+    console.error('Error generating budget vs actual:', error);
+    res.status(500).json({ error: 'Failed to generate budget vs actual report' });
+  }
+});
+
+/**
+ * GET /api/reports/cash-flow?fromDate=&toDate=
+ *
+ * Indirect-method cash-flow statement between two balance sheet dates.
+ * Net profit is adjusted for non-cash items and working capital, then
+ * investing and financing movements are added — each account lands in the
+ * section given by accounts.cash_flow_category (see services/cashFlowUtils).
+ *
+ * Year-end closing journals are excluded: they move profit into retained
+ * earnings and have no cash effect. The result is reconciled to the movement
+ * on the cash accounts (opening = balance before fromDate, closing = at toDate).
+ */
+router.get('/cash-flow', authenticate, hasPermission('report.view'), async (req, res) => {
+  try {
+    const { fromDate, toDate } = req.query;
+    if (!fromDate || !toDate) return res.status(400).json({ error: 'fromDate and toDate are required' });
+    if (fromDate > toDate) return res.status(400).json({ error: 'fromDate must be on or before toDate' });
+
+    const companyId = req.user.companyId;
+
+    // All accounts, including inactive ones, so every posted line is classified
+    const { data: accounts, error: acctErr } = await supabase
+      .from('accounts')
+      .select('id, code, name, type, sub_type, reporting_group, cash_flow_category')
+      .eq('company_id', companyId);
+    if (acctErr) throw new Error(acctErr.message);
+
+    const cashAccountIds = (accounts || [])
+      .filter(a => resolveCashFlowCategory(a) === 'cash')
+      .map(a => a.id);
+
+    const [movementResult, cashResult] = await Promise.all([
+      db.query(
+        `SELECT jl.account_id, j.source_type,
+                SUM(jl.debit)  AS debit,
+                SUM(jl.credit) AS credit
+         FROM journal_lines jl
+         INNER JOIN journals j ON j.id = jl.journal_id
+         WHERE j.company_id = $1
+           AND j.status = 'posted'
+           AND j.date >= $2 AND j.date <= $3
+           AND COALESCE(j.source_type, '') <> 'year_end_close'
+         GROUP BY jl.account_id, j.source_type`,
+        [companyId, fromDate, toDate]
+      ),
+      db.query(
+        `SELECT jl.account_id,
+                SUM(CASE WHEN j.date < $2 THEN jl.debit - jl.credit ELSE 0 END) AS opening,
+                SUM(jl.debit - jl.credit) AS closing
+         FROM journal_lines jl
+         INNER JOIN journals j ON j.id = jl.journal_id
+         WHERE j.company_id = $1
+           AND j.status = 'posted'
+           AND j.date <= $3
+           AND jl.account_id = ANY($4::int[])
+         GROUP BY jl.account_id`,
+        [companyId, fromDate, toDate, cashAccountIds]
+      ),
+    ]);
+
+    const statement = buildCashFlowStatement({
+      accounts: accounts || [],
+      lines: movementResult.rows,
+      cashBalances: cashResult.rows,
+    });
+
+    res.json({
+      fromDate, toDate,
+      ...statement,
+      reportTruth: getBadge('posted_gl_only'),
+    });
+
+  } catch (error) {
+    console.error('Error generating cash flow statement:', error);
+    res.status(500).json({ error: 'Failed to generate cash flow statement' });
+  }
+});
+
 /**
  * GET /api/reports/division-profit-loss?fromDate=&toDate=
  *
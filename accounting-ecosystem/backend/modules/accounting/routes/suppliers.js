@@ -8,6 +8,12 @@
  * VAT Logic:
  *   vat_inclusive=false (EX VAT): entered amount is base; VAT added on top
  *   vat_inclusive=true  (INC VAT): entered amount is gross; VAT extracted
+ *
+ * Multi-currency:
+ *   Invoices and payments carry currency_code + exchange_rate (ZAR per unit).
+ *   Amounts on the invoice/payment are in that currency; the GL is in ZAR.
+ *   A payment settling a foreign invoice at another rate posts realised FX
+ *   (4810) in the payment journal.
  * ============================================================================
  */
 
@@ -21,6 +27,8 @@ const JournalService     = require('../services/journalService');
 const InvoiceOcrService  = require('../../../sean/invoice-ocr-service');
 const { authenticate, hasPermission } = require('../middleware/auth');
 const AuditLogger        = require('../services/auditLogger');
+const FxService          = require('../services/fxService');
+const { convertLinesToBase, settlementJournalLines } = require('../services/fxUtils');
 
 // ── Multer: in-memory file upload for OCR invoice scanning ────────────────────
 const invoiceUpload = multer({
@@ -326,7 +334,7 @@ router.post('/invoices', authenticate, hasPermission('ap.invoice.create'), async
   const companyId = req.companyId;
   const {
     supplierId, invoiceNumber, reference, invoiceDate, dueDate,
-    vatInclusive, lines, notes,
+    vatInclusive, lines, notes, currencyCode, exchangeRate,
   } = req.body;
 
   if (!supplierId)  return res.status(400).json({ error: 'Supplier is required' });
@@ -368,6 +376,13 @@ router.post('/invoices', authenticate, hasPermission('ap.invoice.create'), async
     }
     // ── End duplicate guard ────────────────────────────────────────────────────
 
+    let fx;
+    try {
+      fx = await FxService.resolveDocumentRate(companyId, currencyCode, invoiceDate, exchangeRate);
+    } catch (fxErr) {
+      return res.status(400).json({ error: fxErr.message });
+    }
+
     // Calculate line totals
     const processedLines = lines.map((l, i) => {
       const { subtotalExVat, vatAmount, totalIncVat } = calcLineVAT(
@@ -431,8 +446,8 @@ router.post('/invoices', authenticate, hasPermission('ap.invoice.create'), async
         `INSERT INTO supplier_invoices
            (company_id, supplier_id, invoice_number, reference, invoice_date,
             due_date, vat_inclusive, subtotal_ex_vat, vat_amount, total_inc_vat,
-            amount_paid, status, notes, created_by_user_id)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+            amount_paid, status, notes, created_by_user_id, currency_code, exchange_rate)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
          RETURNING *`,
         [
           companyId,
@@ -449,6 +464,8 @@ router.post('/invoices', authenticate, hasPermission('ap.invoice.create'), async
           'unpaid',
           notes || null,
           userId,
+          fx.currencyCode,
+          fx.exchangeRate,
         ]
       );
       invoice = hdrResult.rows[0];
@@ -539,7 +556,9 @@ router.post('/invoices', authenticate, hasPermission('ap.invoice.create'), async
           description: `AP Invoice: ${supplierName}${invoiceNumber ? ' ' + invoiceNumber : ''}`,
           sourceType: 'supplier_invoice',
           createdByUserId: userId,
-          lines: glLines,
+          lines: fx.currencyCode === 'ZAR' ? glLines : convertLinesToBase(glLines, fx.exchangeRate),
+          currencyCode: fx.currencyCode,
+          exchangeRate: fx.exchangeRate,
         });
         await JournalService.postJournal(glJournal.id, companyId, userId);
 
@@ -726,7 +745,7 @@ router.put('/invoices/:id', authenticate, hasPermission('ap.invoice.edit'), asyn
     //   (b) we can detect accounting-impacting changes and trigger GL correction
     const { data: existing, error: chkErr } = await supabase
       .from('supplier_invoices')
-      .select('id, status, supplier_id, journal_id, invoice_date, subtotal_ex_vat, vat_amount, total_inc_vat')
+      .select('id, status, supplier_id, journal_id, invoice_date, subtotal_ex_vat, vat_amount, total_inc_vat, currency_code, exchange_rate')
       .eq('id', invoiceId)
       .eq('company_id', companyId)
       .maybeSingle();
@@ -889,6 +908,9 @@ router.put('/invoices/:id', authenticate, hasPermission('ap.invoice.edit'), asyn
       }
 
       // ── Step 1: Create and post replacement journal ───────────────────────
+      // A foreign invoice keeps the rate it was captured at
+      const currencyCode = existing.currency_code || 'ZAR';
+      const exchangeRate = parseFloat(existing.exchange_rate) || 1;
       let replacementJournalId;
       try {
         const replacementDraft = await JournalService.createDraftJournal({
@@ -898,8 +920,10 @@ router.put('/invoices/:id', authenticate, hasPermission('ap.invoice.edit'), asyn
           description:     `AP Invoice (Corrected): ${supplierName}${invoiceNumber ? ' ' + invoiceNumber : ''}`,
           sourceType:      'supplier_invoice',
           createdByUserId: userId,
-          lines:           newGlLines,
+          lines:           currencyCode === 'ZAR' ? newGlLines : convertLinesToBase(newGlLines, exchangeRate),
           metadata:        { correctedInvoiceId: invoiceId, replacesJournalId: existing.journal_id },
+          currencyCode,
+          exchangeRate,
         });
         await JournalService.postJournal(replacementDraft.id, companyId, userId);
         replacementJournalId = replacementDraft.id;
@@ -1949,7 +1973,7 @@ router.post('/payments', authenticate, hasPermission('ap.payment.record'), async
   const companyId = req.companyId;
   const {
     supplierId, paymentDate, paymentMethod, reference, amount, notes,
-    allocations, bankLedgerAccountId, idempotencyKey,
+    allocations, bankLedgerAccountId, idempotencyKey, currencyCode, exchangeRate,
   } = req.body;
 
   if (!supplierId)  return res.status(400).json({ error: 'Supplier is required' });
@@ -2041,8 +2065,33 @@ router.post('/payments', authenticate, hasPermission('ap.payment.record'), async
       }
     }
 
+    // ── Step 4b: Currency — payment rate and realised FX per allocation ─────
+    let fx;
+    try {
+      fx = await FxService.prepareSettlement({
+        companyId, side: 'payable', currencyCode, exchangeRate, paymentDate, paymentAmount, allocations,
+      });
+    } catch (fxErr) {
+      return res.status(422).json({ error: fxErr.message });
+    }
+    const fxByInvoice = new Map(fx.settlement.allocations.map(a => [a.invoiceId, a]));
+
     // ── Step 5: Create and post GL journal BEFORE inserting payment ──────────
-    // DR AP (2000) / CR Bank
+    // DR AP (2000) / CR Bank [/ DR|CR Realised FX when foreign]
+    const glLines = fx.isForeign
+      ? settlementJournalLines({
+        side:             'payable',
+        settlement:       fx.settlement,
+        paymentAmount,
+        bankAccountId:    parseInt(bankLedgerAccountId),
+        controlAccountId: apAccount.id,
+        fxAccountId:      fx.settlement.gainLoss !== 0 ? await FxService.fxAccountId(companyId, 'realised') : null,
+        label:            supRow.name,
+      })
+      : [
+        { accountId: apAccount.id,              debit: paymentAmount, credit: 0,             description: 'Accounts Payable cleared' },
+        { accountId: parseInt(bankLedgerAccountId), debit: 0,         credit: paymentAmount, description: 'Bank payment out' },
+      ];
     const glJournal = await JournalService.createDraftJournal({
       companyId,
       date:            paymentDate,
@@ -2050,10 +2099,9 @@ router.post('/payments', authenticate, hasPermission('ap.payment.record'), async
       description:     `AP Payment: ${supRow.name}`,
       sourceType:      'supplier_payment',
       createdByUserId: reqUserId,
-      lines: [
-        { accountId: apAccount.id,              debit: paymentAmount, credit: 0,             description: 'Accounts Payable cleared' },
-        { accountId: parseInt(bankLedgerAccountId), debit: 0,         credit: paymentAmount, description: 'Bank payment out' },
-      ],
+      lines:           glLines,
+      currencyCode:    fx.currencyCode,
+      exchangeRate:    fx.exchangeRate,
     });
     await JournalService.postJournal(glJournal.id, companyId, reqUserId);
 
@@ -2072,6 +2120,8 @@ router.post('/payments', authenticate, hasPermission('ap.payment.record'), async
         created_by_user_id:     reqUserId,
         journal_id:             glJournal.id,
         idempotency_key:        idempotencyKey || null,
+        currency_code:          fx.currencyCode,
+        exchange_rate:          fx.exchangeRate,
       })
       .select()
       .single();
@@ -2160,11 +2210,16 @@ router.post('/payments', authenticate, hasPermission('ap.payment.record'), async
 
           // Idempotent insert: ON CONFLICT replaces amount so a replayed
           // request does not create a duplicate allocation row.
+          const allocFx = fxByInvoice.get(allocInvoiceId);
           await allocClient.query(
-            `INSERT INTO supplier_payment_allocations (payment_id, invoice_id, amount)
-             VALUES ($1, $2, $3)
-             ON CONFLICT (payment_id, invoice_id) DO UPDATE SET amount = EXCLUDED.amount`,
-            [payment.id, allocInvoiceId, allocAmount]
+            `INSERT INTO supplier_payment_allocations (payment_id, invoice_id, amount, base_amount, fx_gain_loss)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (payment_id, invoice_id) DO UPDATE
+               SET amount       = EXCLUDED.amount,
+                   base_amount  = EXCLUDED.base_amount,
+                   fx_gain_loss = EXCLUDED.fx_gain_loss`,
+            [payment.id, allocInvoiceId, allocAmount,
+             allocFx ? allocFx.baseCleared : allocAmount, allocFx ? allocFx.gainLoss : 0]
           );
         }
 
@@ -2191,6 +2246,9 @@ router.post('/payments', authenticate, hasPermission('ap.payment.record'), async
         paymentDate,
         paymentMethod:  paymentMethod || 'bank_transfer',
         amount:         paymentAmount,
+        currencyCode:   fx.currencyCode,
+        exchangeRate:   fx.exchangeRate,
+        realisedFxGainLoss: fx.settlement.gainLoss,
         allocationCount: allocations ? allocations.length : 0,
         journalId:      glJournal.id,
       },
@@ -0,0 +1,468 @@
+'use strict';
+
+/**
+ * Budget Service
+ * ============================================================================
+ * Versioned budgets per financial year, holding monthly amounts per
+ * income/expense account and optionally per coa_segments value.
+ *
+ *   budget:  draft → approved → superseded
+ *
+ * CRITICAL RULES:
+ *   1. Calendar and variance maths live in budgetUtils.js (pure) — this
+ *      service only loads and persists.
+ *   2. Only draft budgets are editable. Approving a version supersedes the
+ *      previously approved version for the same financial year (one approved
+ *      version per FY — DB unique index).
+ *   3. Budgets cover income and expense accounts only; amounts are stored in
+ *      natural P&L sign so they sit directly next to P&L balances.
+ *   4. The actuals generator excludes year-end closing journals — otherwise
+ *      the closing entry would zero the final month of the prior year.
+ *   5. All queries and mutations are scoped to companyId server-side.
+ * ============================================================================
+ */
+
+const { supabase } = require('../../../config/database');
+const db = require('../config/database'); // direct pg Pool — atomic line writes
+const {
+  parseYearEndMonth,
+  financialYearMonths,
+  financialYearRange,
+  periodForMonth,
+  budgetForRange,
+  applyUplift,
+} = require('./budgetUtils');
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+function _round2(n) { return Math.round(n * 100) / 100; }
+
+class BudgetService {
+
+  // ── Internal helpers ──────────────────────────────────────────────────────
+
+  /** Company year-end month (1-12) from companies.financial_year_end. */
+  static async yearEndMonth(companyId) {
+    const { data } = await supabase
+      .from('companies')
+      .select('financial_year_end')
+      .eq('id', companyId)
+      .maybeSingle();
+    return parseYearEndMonth(data?.financial_year_end);
+  }
+
+  static async _getHeader(companyId, budgetId) {
+    const result = await db.query(
+      `SELECT * FROM budgets WHERE id = $1 AND company_id = $2`,
+      [budgetId, companyId]
+    );
+    if (!result.rows.length) throw serviceError(404, 'Budget not found.');
+    return result.rows[0];
+  }
+
+  static async _assertDraft(companyId, budgetId) {
+    const budget = await this._getHeader(companyId, budgetId);
+    if (budget.status !== 'draft') {
+      throw serviceError(409, `Budget is ${budget.status} and cannot be edited — create a new version instead.`);
+    }
+    return budget;
+  }
+
+  /** Map of P&L account id → account for the company. */
+  static async _plAccounts(companyId) {
+    const { data, error } = await supabase
+      .from('accounts')
+      .select('id, code, name, type')
+      .eq('company_id', companyId)
+      .in('type', ['income', 'expense']);
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  /** Segment values belonging to the company: id → { id, code, name }. */
+  static async _segmentValues(companyId) {
+    const result = await db.query(
+      `SELECT v.id, v.code, v.name
+         FROM coa_segment_values v
+         JOIN coa_segments s ON s.id = v.segment_id
+        WHERE s.company_id = $1`,
+      [companyId]
+    );
+    return result.rows;
+  }
+
+  static async _nextVersion(client, companyId, financialYear) {
+    const r = await client.query(
+      `SELECT COALESCE(MAX(version), 0) + 1 AS next FROM budgets WHERE company_id = $1 AND financial_year = $2`,
+      [companyId, financialYear]
+    );
+    return parseInt(r.rows[0].next, 10);
+  }
+
+  static async _insertHeader(client, { companyId, userId, financialYear, name, notes, source, sourceMetadata }) {
+    const version = await this._nextVersion(client, companyId, financialYear);
+    const r = await client.query(
+      `INSERT INTO budgets
+         (company_id, financial_year, version, name, notes, status, source, source_metadata, created_by_user_id)
+       VALUES ($1, $2, $3, $4, $5, 'draft', $6, $7::jsonb, $8)
+       RETURNING *`,
+      [companyId, financialYear, version, name || `Budget FY${financialYear} v${version}`,
+       notes || null, source, JSON.stringify(sourceMetadata || {}), userId || null]
+    );
+    return r.rows[0];
+  }
+
+  static async _upsertLines(client, budgetId, cells) {
+    for (const c of cells) {
+      await client.query(
+        `INSERT INTO budget_lines
+           (budget_id, account_id, segment_value_id, period_month, period_start, period_end, amount)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (budget_id, account_id, (COALESCE(segment_value_id, 0)), period_month)
+         DO UPDATE SET amount = EXCLUDED.amount, updated_at = NOW()`,
+        [budgetId, c.accountId, c.segmentValueId || null, c.periodMonth, c.periodStart, c.periodEnd, c.amount]
+      );
+    }
+  }
+
+  // ── Read ─────────────────────────────────────────────────────────────────
+
+  static async listBudgets({ companyId, financialYear = null }) {
+    const params = [companyId];
+    let yearClause = '';
+    if (financialYear) { params.push(parseInt(financialYear, 10)); yearClause = ` AND b.financial_year = $2`; }
+    const result = await db.query(
+      `SELECT b.*,
+              COUNT(l.id)::int            AS line_count,
+              COALESCE(SUM(l.amount), 0)  AS total_amount
+         FROM budgets b
+         LEFT JOIN budget_lines l ON l.budget_id = b.id
+        WHERE b.company_id = $1${yearClause}
+        GROUP BY b.id
+        ORDER BY b.financial_year DESC, b.version DESC`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Budget header plus a grid: one row per account × segment with the 12
+   * months in financial-year order.
+   */
+  static async getBudget({ companyId, budgetId }) {
+    const budget = await this._getHeader(companyId, budgetId);
+    const yearEndMonth = await this.yearEndMonth(companyId);
+    const months = financialYearMonths(budget.financial_year, yearEndMonth);
+
+    const lines = await db.query(
+      `SELECT l.account_id, l.segment_value_id, l.period_month, l.amount,
+              a.code AS account_code, a.name AS account_name, a.type AS account_type,
+              v.code AS segment_code, v.name AS segment_name
+         FROM budget_lines l
+         JOIN accounts a ON a.id = l.account_id
+         LEFT JOIN coa_segment_values v ON v.id = l.segment_value_id
+        WHERE l.budget_id = $1
+        ORDER BY a.code, v.code NULLS FIRST, l.period_start`,
+      [budget.id]
+    );
+
+    const rows = new Map();
+    for (const l of lines.rows) {
+      const key = `${l.account_id}:${l.segment_value_id || ''}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          accountId: l.account_id, accountCode: l.account_code, accountName: l.account_name,
+          accountType: l.account_type, segmentValueId: l.segment_value_id,
+          segmentCode: l.segment_code, segmentName: l.segment_name,
+          months: {}, total: 0,
+        });
+      }
+      const row = rows.get(key);
+      row.months[l.period_month] = parseFloat(l.amount);
+      row.total = _round2(row.total + parseFloat(l.amount));
+    }
+
+    return { ...budget, months, rows: [...rows.values()] };
+  }
+
+  // ── Create ───────────────────────────────────────────────────────────────
+
+  /**
+   * Create a new draft version for a financial year, optionally copying the
+   * lines of an existing budget (any year — months are re-dated).
+   */
+  static async createBudget({ companyId, userId, input }) {
+    const financialYear = parseInt(input.financialYear, 10);
+    if (!financialYear) throw serviceError(400, 'financialYear is required.');
+
+    let source = null;
+    if (input.copyFromBudgetId) source = await this._getHeader(companyId, input.copyFromBudgetId);
+
+    const yearEndMonth = await this.yearEndMonth(companyId);
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const budget = await this._insertHeader(client, {
+        companyId, userId, financialYear, name: input.name, notes: input.notes,
+        source: source ? 'copy' : 'manual',
+        sourceMetadata: source ? { copied_from_budget_id: source.id } : {},
+      });
+
+      if (source) {
+        const src = await client.query(
+          `SELECT account_id, segment_value_id, period_month, amount FROM budget_lines WHERE budget_id = $1`,
+          [source.id]
+        );
+        await this._upsertLines(client, budget.id, src.rows.map(l => {
+          const p = periodForMonth(financialYear, l.period_month, yearEndMonth);
+          return {
+            accountId: l.account_id, segmentValueId: l.segment_value_id, periodMonth: l.period_month,
+            periodStart: p.periodStart, periodEnd: p.periodEnd, amount: l.amount,
+          };
+        }));
+      }
+
+      await client.query('COMMIT');
+      return budget;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Generator: last year's posted actuals × (1 + upliftPercent/100) as a new
+   * draft version for financialYear. bySegment keeps the segment split of
+   * the actuals; otherwise actuals are summed per account.
+   */
+  static async generateFromActuals({ companyId, userId, financialYear, upliftPercent = 0, bySegment = false, name }) {
+    const fy = parseInt(financialYear, 10);
+    if (!fy) throw serviceError(400, 'financialYear is required.');
+    const uplift = parseFloat(upliftPercent) || 0;
+    if (uplift <= -100) throw serviceError(400, 'upliftPercent must be greater than -100.');
+
+    const yearEndMonth = await this.yearEndMonth(companyId);
+    const prior = financialYearRange(fy - 1, yearEndMonth);
+
+    const segmentExpr = bySegment ? 'jl.segment_value_id' : 'NULL::int';
+    const actuals = await db.query(
+      `SELECT jl.account_id, ${segmentExpr} AS segment_value_id,
+              EXTRACT(MONTH FROM j.date)::int AS period_month,
+              a.type,
+              SUM(jl.debit) AS debit, SUM(jl.credit) AS credit
+         FROM journal_lines jl
+         JOIN journals j ON j.id = jl.journal_id
+         JOIN accounts a ON a.id = jl.account_id
+        WHERE j.company_id = $1
+          AND j.status = 'posted'
+          AND j.date >= $2 AND j.date <= $3
+          AND COALESCE(j.source_type, '') <> 'year_end_close'
+          AND a.type IN ('income', 'expense')
+        GROUP BY jl.account_id, ${segmentExpr}, EXTRACT(MONTH FROM j.date), a.type`,
+      [companyId, prior.fromDate, prior.toDate]
+    );
+
+    const cells = [];
+    for (const r of actuals.rows) {
+      const d = parseFloat(r.debit) || 0;
+      const c = parseFloat(r.credit) || 0;
+      const natural = r.type === 'income' ? c - d : d - c;
+      const amount = applyUplift(natural, uplift);
+      if (amount === 0) continue;
+      const p = periodForMonth(fy, r.period_month, yearEndMonth);
+      cells.push({
+        accountId: r.account_id, segmentValueId: r.segment_value_id, periodMonth: r.period_month,
+        periodStart: p.periodStart, periodEnd: p.periodEnd, amount,
+      });
+    }
+    if (!cells.length) throw serviceError(400, `No posted actuals found for FY${fy - 1} (${prior.fromDate} to ${prior.toDate}).`);
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const budget = await this._insertHeader(client, {
+        companyId, userId, financialYear: fy,
+        name: name || `FY${fy} — FY${fy - 1} actuals ${uplift >= 0 ? '+' : ''}${uplift}%`,
+        source: 'actuals_uplift',
+        sourceMetadata: { base_financial_year: fy - 1, uplift_percent: uplift, by_segment: !!bySegment },
+      });
+      await this._upsertLines(client, budget.id, cells);
+      await client.query('COMMIT');
+      return { budget, lineCount: cells.length, baseFrom: prior.fromDate, baseTo: prior.toDate };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ── Edit ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Upsert monthly amounts on a draft budget.
+   * lines: [{ accountId, segmentValueId?, periodMonth (1-12), amount }]
+   */
+  static async saveLines({ companyId, budgetId, lines }) {
+    if (!Array.isArray(lines) || !lines.length) throw serviceError(400, 'lines must be a non-empty array.');
+    const budget = await this._assertDraft(companyId, budgetId);
+    const yearEndMonth = await this.yearEndMonth(companyId);
+
+    const accounts = new Map((await this._plAccounts(companyId)).map(a => [a.id, a]));
+    const needsSegments = lines.some(l => l.segmentValueId);
+    const segments = needsSegments ? new Set((await this._segmentValues(companyId)).map(v => v.id)) : new Set();
+
+    const cells = lines.map((l, i) => {
+      const accountId = parseInt(l.accountId, 10);
+      if (!accounts.has(accountId)) throw serviceError(400, `Line ${i + 1}: account must be an income or expense account of this company.`);
+      const segmentValueId = l.segmentValueId ? parseInt(l.segmentValueId, 10) : null;
+      if (segmentValueId && !segments.has(segmentValueId)) throw serviceError(404, `Line ${i + 1}: segment value not found.`);
+      const periodMonth = parseInt(l.periodMonth, 10);
+      if (!(periodMonth >= 1 && periodMonth <= 12)) throw serviceError(400, `Line ${i + 1}: periodMonth must be 1-12.`);
+      const amount = parseFloat(l.amount);
+      if (isNaN(amount)) throw serviceError(400, `Line ${i + 1}: amount must be a number.`);
+      const p = periodForMonth(budget.financial_year, periodMonth, yearEndMonth);
+      return { accountId, segmentValueId, periodMonth, periodStart: p.periodStart, periodEnd: p.periodEnd, amount: _round2(amount) };
+    });
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      await this._upsertLines(client, budget.id, cells);
+      await client.query(`UPDATE budgets SET updated_at = NOW() WHERE id = $1`, [budget.id]);
+      await client.query('COMMIT');
+      return { saved: cells.length };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Save rows parsed by budgetUtils.parseBudgetSheet. Account and segment
+   * codes are resolved against the company; unknown codes are reported, not
+   * created.
+   */
+  static async importRows({ companyId, budgetId, rows }) {
+    await this._assertDraft(companyId, budgetId);
+
+    const byCode = new Map((await this._plAccounts(companyId)).map(a => [a.code, a]));
+    const needsSegments = rows.some(r => r.segmentCode);
+    const segByCode = new Map(needsSegments ? (await this._segmentValues(companyId)).map(v => [v.code, v]) : []);
+
+    const lines = [];
+    const errors = [];
+    const accountsUnmatched = new Set();
+    for (const r of rows) {
+      const account = byCode.get(r.accountCode);
+      if (!account) {
+        accountsUnmatched.add(r.accountCode);
+        errors.push({ row: r.rowNumber, message: `Account ${r.accountCode} is not an income or expense account of this company.` });
+        continue;
+      }
+      let segmentValueId = null;
+      if (r.segmentCode) {
+        const seg = segByCode.get(r.segmentCode);
+        if (!seg) {
+          errors.push({ row: r.rowNumber, message: `Segment value ${r.segmentCode} not found.` });
+          continue;
+        }
+        segmentValueId = seg.id;
+      }
+      for (const c of r.cells) lines.push({ accountId: account.id, segmentValueId, periodMonth: c.periodMonth, amount: c.amount });
+    }
+
+    if (lines.length) await this.saveLines({ companyId, budgetId, lines });
+    return { imported: rows.length - errors.length, cells: lines.length, accountsUnmatched: [...accountsUnmatched], errors };
+  }
+
+  static async approveBudget({ companyId, budgetId, userId }) {
+    const budget = await this._getHeader(companyId, budgetId);
+    if (budget.status === 'approved') throw serviceError(409, 'Budget is already approved.');
+    if (budget.status === 'superseded') throw serviceError(409, 'Cannot approve a superseded budget — create a new version instead.');
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const prev = await client.query(
+        `UPDATE budgets SET status = 'superseded', updated_at = NOW()
+          WHERE company_id = $1 AND financial_year = $2 AND status = 'approved'
+          RETURNING id`,
+        [companyId, budget.financial_year]
+      );
+      const r = await client.query(
+        `UPDATE budgets SET status = 'approved', approved_by_user_id = $1, approved_at = NOW(), updated_at = NOW()
+          WHERE id = $2 AND company_id = $3
+          RETURNING *`,
+        [userId || null, budget.id, companyId]
+      );
+      await client.query('COMMIT');
+      return { budget: r.rows[0], supersededBudgetId: prev.rows[0]?.id || null };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async deleteBudget({ companyId, budgetId }) {
+    const budget = await this._assertDraft(companyId, budgetId);
+    await db.query(`DELETE FROM budgets WHERE id = $1 AND company_id = $2`, [budget.id, companyId]);
+    return { id: budget.id };
+  }
+
+  // ── Reporting ─────────────────────────────────────────────────────────────
+
+  /**
+   * The budget a report should use: the given id, or the approved version for
+   * the financial year containing fromDate, falling back to the latest version.
+   */
+  static async resolveBudget({ companyId, budgetId = null, financialYear }) {
+    if (budgetId) return this._getHeader(companyId, budgetId);
+    const result = await db.query(
+      `SELECT * FROM budgets
+        WHERE company_id = $1 AND financial_year = $2
+        ORDER BY (status = 'approved') DESC, version DESC
+        LIMIT 1`,
+      [companyId, financialYear]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Budget per account for [fromDate, toDate], using the same segment filter
+   * semantics as the P&L: numeric id = that segment, 'untagged' = lines
+   * without a segment, empty = all lines.
+   * @returns {object} { [accountId]: amount }
+   */
+  static async budgetByAccount({ budgetId, fromDate, toDate, segmentValueId = null }) {
+    const params = [budgetId, fromDate, toDate];
+    let segClause = '';
+    if (segmentValueId === 'untagged') {
+      segClause = ' AND segment_value_id IS NULL';
+    } else if (segmentValueId) {
+      params.push(parseInt(segmentValueId, 10));
+      segClause = ` AND segment_value_id = $${params.length}`;
+    }
+    const result = await db.query(
+      `SELECT account_id, period_start::text AS period_start, period_end::text AS period_end, amount
+         FROM budget_lines
+        WHERE budget_id = $1 AND period_end >= $2 AND period_start <= $3${segClause}`,
+      params
+    );
+
+    const grouped = {};
+    for (const l of result.rows) (grouped[l.account_id] = grouped[l.account_id] || []).push(l);
+    const out = {};
+    for (const [accountId, lines] of Object.entries(grouped)) {
+      out[accountId] = budgetForRange(lines, fromDate, toDate);
+    }
+    return out;
+  }
+}
+
+module.exports = BudgetService;
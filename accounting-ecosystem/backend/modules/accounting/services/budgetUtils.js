@@ -0,0 +1,298 @@
+'use strict';
+
+/**
+ * budgetUtils.js
+ * Pure budget helpers — no DB access, fully testable.
+ *
+ * Financial years use the start-year convention of the historical
+ * comparatives engine: with a February year-end, FY 2025 runs
+ * 1 Mar 2025 – 28 Feb 2026. A budget line is keyed by calendar month (1-12);
+ * the calendar year follows from the financial year and year-end month.
+ *
+ * Budget amounts are stored in natural P&L sign (income and expenses both
+ * positive), so they compare directly with the P&L report balances.
+ */
+
+const PL_SECTIONS = [
+  'operating_income', 'cost_of_sales', 'other_income',
+  'operating_expense', 'depreciation_amort', 'finance_cost',
+];
+
+// Month-name → calendar month, same lookup the historical import accepts
+const MONTH_NAME_TO_NUM = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3,
+  apr: 4, april: 4, may: 5, jun: 6, june: 6, jul: 7, july: 7,
+  aug: 8, august: 8, sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12,
+};
+
+// ─── Internal helpers ────────────────────────────────────────────────────────
+
+function _pad(n) { return String(n).padStart(2, '0'); }
+
+function _round2(n) { return Math.round(n * 100) / 100; }
+
+function _toUTC(dateStr) { return new Date(String(dateStr).slice(0, 10) + 'T00:00:00Z'); }
+
+function _daysInclusive(fromDate, toDate) {
+  return Math.round((_toUTC(toDate) - _toUTC(fromDate)) / 86400000) + 1;
+}
+
+function _lastDay(year, month) { return new Date(Date.UTC(year, month, 0)).getUTCDate(); }
+
+// ─── Financial year calendar ────────────────────────────────────────────────
+
+/**
+ * Normalise companies.financial_year_end ('02', '2', 'February') to 1-12.
+ * Defaults to February, the SA default used by company settings.
+ */
+function parseYearEndMonth(value) {
+  if (value === null || value === undefined || value === '') return 2;
+  const n = parseInt(value, 10);
+  if (n >= 1 && n <= 12) return n;
+  return MONTH_NAME_TO_NUM[String(value).trim().toLowerCase()] || 2;
+}
+
+/**
+ * The 12 months of a financial year, in order.
+ * @returns {object[]} [{ index, periodMonth, periodStart, periodEnd }]
+ */
+function financialYearMonths(financialYear, yearEndMonth = 2) {
+  const fy = parseInt(financialYear, 10);
+  const startMonth = (yearEndMonth % 12) + 1;
+  const months = [];
+  for (let i = 0; i < 12; i++) {
+    const m = ((startMonth - 1 + i) % 12) + 1;
+    const year = fy + Math.floor((startMonth - 1 + i) / 12);
+    months.push({
+      index: i + 1,
+      periodMonth: m,
+      periodStart: `${year}-${_pad(m)}-01`,
+      periodEnd:   `${year}-${_pad(m)}-${_pad(_lastDay(year, m))}`,
+    });
+  }
+  return months;
+}
+
+/** First and last day of a financial year. */
+function financialYearRange(financialYear, yearEndMonth = 2) {
+  const months = financialYearMonths(financialYear, yearEndMonth);
+  return { fromDate: months[0].periodStart, toDate: months[11].periodEnd };
+}
+
+/** Financial year (start-year convention) that contains the given date. */
+function financialYearForDate(dateStr, yearEndMonth = 2) {
+  const year  = parseInt(String(dateStr).slice(0, 4), 10);
+  const month = parseInt(String(dateStr).slice(5, 7), 10);
+  const startMonth = (yearEndMonth % 12) + 1;
+  if (startMonth === 1) return year;
+  return month >= startMonth ? year : year - 1;
+}
+
+/** Period dates of one calendar month inside a financial year. */
+function periodForMonth(financialYear, periodMonth, yearEndMonth = 2) {
+  return financialYearMonths(financialYear, yearEndMonth).find(m => m.periodMonth === parseInt(periodMonth, 10)) || null;
+}
+
+// ─── Amounts ─────────────────────────────────────────────────────────────────
+
+/**
+ * Budget amount falling inside [fromDate, toDate]. Months fully inside the
+ * range count in full; a month cut by the range is apportioned by days, so a
+ * mid-month report compares like with like.
+ *
+ * @param {object[]} lines — { period_start, period_end, amount }
+ */
+function budgetForRange(lines, fromDate, toDate) {
+  let total = 0;
+  for (const l of lines) {
+    const ps = String(l.period_start).slice(0, 10);
+    const pe = String(l.period_end).slice(0, 10);
+    const start = ps > fromDate ? ps : fromDate;
+    const end   = pe < toDate   ? pe : toDate;
+    if (start > end) continue;
+    const amount = parseFloat(l.amount) || 0;
+    total += amount * _daysInclusive(start, end) / _daysInclusive(ps, pe);
+  }
+  return _round2(total);
+}
+
+/** Amount increased by a percentage (negative = decrease). */
+function applyUplift(amount, upliftPercent) {
+  const pct = parseFloat(upliftPercent) || 0;
+  return _round2((parseFloat(amount) || 0) * (1 + pct / 100));
+}
+
+/**
+ * Actual vs budget for one row.
+ * variance = actual − budget. Favourable when income beats budget or
+ * expenses come in under budget. variancePct is null when budget is zero.
+ */
+function varianceFor(type, actual, budget) {
+  const a = _round2(actual);
+  const b = _round2(budget);
+  const variance = _round2(a - b);
+  return {
+    actual: a,
+    budget: b,
+    variance,
+    variancePct: b !== 0 ? _round2(variance / Math.abs(b) * 100) : null,
+    favourable: type === 'income' ? variance >= 0 : variance <= 0,
+  };
+}
+
+// ─── Report ──────────────────────────────────────────────────────────────────
+
+/**
+ * Lay actuals and budget out in the P&L section structure.
+ *
+ * @param {object}   p
+ * @param {object[]} p.accounts — income/expense accounts { id, code, name, type, sub_type, reporting_group }
+ * @param {object}   p.actuals  — { [accountId]: actual in natural sign }
+ * @param {object}   p.budget   — { [accountId]: budget in natural sign }
+ * @returns {{ sections: object, totals: object }}
+ */
+function buildBudgetVsActual({ accounts, actuals, budget }) {
+  const sections = {};
+  PL_SECTIONS.forEach(k => { sections[k] = []; });
+
+  for (const a of accounts) {
+    const actual = parseFloat(actuals[a.id] || 0);
+    const budgeted = parseFloat(budget[a.id] || 0);
+    if (Math.abs(actual) < 0.005 && Math.abs(budgeted) < 0.005) continue;
+
+    const effectiveSubType = a.sub_type ||
+      (a.type === 'income' ? 'operating_income' : 'operating_expense');
+    const target = sections[effectiveSubType]
+      ? effectiveSubType
+      : (a.type === 'income' ? 'operating_income' : 'operating_expense');
+
+    sections[target].push({
+      id: a.id, code: a.code, name: a.name, type: a.type,
+      sub_type: effectiveSubType, reporting_group: a.reporting_group,
+      ...varianceFor(a.type, actual, budgeted),
+    });
+  }
+
+  for (const k of PL_SECTIONS) sections[k].sort((x, y) => String(x.code).localeCompare(String(y.code)));
+
+  function totalsFor(field) {
+    const sum = k => sections[k].reduce((s, r) => s + r[field], 0);
+    const operatingIncome   = sum('operating_income');
+    const otherIncome       = sum('other_income');
+    const costOfSales       = sum('cost_of_sales');
+    const operatingExpenses = sum('operating_expense');
+    const depreciation      = sum('depreciation_amort');
+    const financeCosts      = sum('finance_cost');
+    const grossProfit     = operatingIncome - costOfSales;
+    const operatingProfit = grossProfit + otherIncome - operatingExpenses - depreciation;
+    const netProfit       = operatingProfit - financeCosts;
+    return { operatingIncome, otherIncome, costOfSales, grossProfit, operatingExpenses,
+             depreciation, operatingProfit, financeCosts, netProfit };
+  }
+
+  const actualTotals = totalsFor('actual');
+  const budgetTotals = totalsFor('budget');
+  const totals = {};
+  for (const key of Object.keys(actualTotals)) {
+    const isIncomeLike = !['costOfSales', 'operatingExpenses', 'depreciation', 'financeCosts'].includes(key);
+    totals[key] = varianceFor(isIncomeLike ? 'income' : 'expense', actualTotals[key], budgetTotals[key]);
+  }
+
+  return { sections, totals };
+}
+
+// ─── Import ──────────────────────────────────────────────────────────────────
+
+// Parse a currency-ish cell into a signed float, or null if blank.
+function parseAmount(raw) {
+  if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+  let s = String(raw).trim();
+  const isParenNeg = s.startsWith('(') && s.endsWith(')');
+  if (isParenNeg) s = s.slice(1, -1);
+  s = s.replace(/[^\d.-]/g, '');
+  const isTrailingMinus = s.endsWith('-');
+  if (isTrailingMinus) s = s.slice(0, -1);
+  const n = parseFloat(s);
+  if (isNaN(n)) return null;
+  return (isParenNeg || isTrailingMinus) ? -Math.abs(n) : n;
+}
+
+/**
+ * Parse the rows of a budget CSV/XLSX sheet (array-of-arrays, as returned by
+ * XLSX.utils.sheet_to_json with header: 1).
+ *
+ * Expected header: Account Code, optional Segment (segment value code), and
+ * month columns by name in any order (Mar, Apr, … Feb). The header row may
+ * sit below title rows — the first 10 rows are scanned.
+ *
+ * @returns {{ rows: object[], errors: object[] } | null} null when no header is found
+ *   rows: [{ rowNumber, accountCode, segmentCode, cells: [{ periodMonth, amount }] }]
+ */
+function parseBudgetSheet(allRows) {
+  const ACCOUNT_CODE_RE = /^(account[\s_-]?code|acc[\s_-]?code|code|account)$/i;
+  const SEGMENT_RE      = /^(segment|segment[\s_-]?code|division|cost[\s_-]?centre|cost[\s_-]?center)$/i;
+
+  let header = null;
+  for (let i = 0; i < Math.min(10, allRows.length) && !header; i++) {
+    const row = allRows[i];
+    if (!row || row.length === 0) continue;
+    const map = { monthCols: {} };
+    row.forEach((cell, idx) => {
+      const h = String(cell || '').trim();
+      if (!h) return;
+      if (ACCOUNT_CODE_RE.test(h)) map.accountCode = idx;
+      else if (SEGMENT_RE.test(h)) map.segment = idx;
+      else {
+        const m = MONTH_NAME_TO_NUM[h.toLowerCase()];
+        if (m) map.monthCols[m] = idx;
+      }
+    });
+    if (map.accountCode !== undefined && Object.keys(map.monthCols).length > 0) {
+      header = { rowIdx: i, ...map };
+    }
+  }
+  if (!header) return null;
+
+  const rows = [];
+  const errors = [];
+  allRows.slice(header.rowIdx + 1).forEach((row, i) => {
+    if (!row || row.every(c => c === '' || c == null)) return;
+    const rowNumber = header.rowIdx + i + 2;
+    const accountCode = String(row[header.accountCode] || '').trim();
+    if (!accountCode) {
+      errors.push({ row: rowNumber, message: 'No account code on this row.' });
+      return;
+    }
+    const segmentCode = header.segment !== undefined ? String(row[header.segment] || '').trim() || null : null;
+    const cells = [];
+    for (const [month, colIdx] of Object.entries(header.monthCols)) {
+      const amount = parseAmount(row[colIdx]);
+      if (amount !== null) cells.push({ periodMonth: parseInt(month, 10), amount });
+    }
+    if (cells.length === 0) {
+      errors.push({ row: rowNumber, message: 'No month amounts found on this row — skipped.' });
+      return;
+    }
+    rows.push({ rowNumber, accountCode, segmentCode, cells });
+  });
+
+  return { rows, errors };
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  PL_SECTIONS,
+  parseYearEndMonth,
+  financialYearMonths,
+  financialYearRange,
+  financialYearForDate,
+  periodForMonth,
+  budgetForRange,
+  applyUplift,
+  varianceFor,
+  buildBudgetVsActual,
+  parseAmount,
+  parseBudgetSheet,
+};
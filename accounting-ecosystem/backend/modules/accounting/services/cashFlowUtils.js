@@ -0,0 +1,200 @@
+'use strict';
+
+/**
+ * cashFlowUtils.js
+ * Pure cash-flow statement maths (indirect method) — no DB access, fully testable.
+ *
+ * Every account carries a cash_flow_category (accounts.cash_flow_category):
+ *   cash       — cash and cash equivalents (bank, petty cash, overdraft).
+ *                Their movement is what the statement reconciles to.
+ *   operating  — working capital (debtors, stock, creditors, VAT, PAYE) and
+ *                every income/expense account that feeds net profit.
+ *   non_cash   — balance sheet items whose movement is a non-cash P&L charge
+ *                (accumulated depreciation, deferred tax). Added back under
+ *                operating activities.
+ *   investing  — fixed assets, intangibles, long-term investments. Income or
+ *                expense accounts classed here (profit on disposal) are taken
+ *                out of net profit and shown under investing instead.
+ *   financing  — loans, leases, share capital, drawings, dividends.
+ *
+ * Sign convention: the cash effect of a movement on any non-cash account is
+ * credit − debit. Because every journal balances, the sum of those effects
+ * over all non-cash accounts equals the debit movement on the cash accounts.
+ * That identity is the reconciliation check.
+ *
+ * Disposal journals (source_type 'fixed_asset_disposal') release accumulated
+ * depreciation; those lines are investing, not a depreciation add-back, so the
+ * investing section shows the actual proceeds.
+ */
+
+const CASH_FLOW_CATEGORIES = ['cash', 'operating', 'non_cash', 'investing', 'financing'];
+
+const DISPOSAL_SOURCE_TYPES = ['fixed_asset_disposal'];
+
+// ─── Internal helpers ────────────────────────────────────────────────────────
+
+function _round2(n) { return Math.round(n * 100) / 100; }
+
+function _isPL(account) { return account.type === 'income' || account.type === 'expense'; }
+
+// ─── Classification ──────────────────────────────────────────────────────────
+
+/**
+ * Default category for an account, derived from its COA classification.
+ * Used to seed templates and for accounts created before the column existed.
+ * Mirrors the backfill in migration 144.
+ *
+ * @param {object} account — { type, sub_type, reporting_group, name }
+ * @returns {string} one of CASH_FLOW_CATEGORIES
+ */
+function defaultCashFlowCategory(account) {
+  const group = account.reporting_group || '';
+  const name  = account.name || '';
+
+  if (group === 'bank_cash') return 'cash';
+
+  if (_isPL(account)) {
+    return /disposal/i.test(name) ? 'investing' : 'operating';
+  }
+
+  if (group === 'accumulated_depreciation' || /deferred tax/i.test(name)) return 'non_cash';
+
+  if (account.type === 'asset') {
+    return account.sub_type === 'non_current_asset' ? 'investing' : 'operating';
+  }
+
+  if (account.type === 'equity') return 'financing';
+
+  // Liabilities
+  if (group === 'short_term_loans' || group === 'long_term_loans' || /dividend/i.test(name)) return 'financing';
+  return 'operating';
+}
+
+/**
+ * The category actually used for an account: its stored value when valid,
+ * otherwise the default. Income/expense accounts can only be operating,
+ * investing or financing — anything else falls back to operating.
+ */
+function resolveCashFlowCategory(account) {
+  const stored = account.cash_flow_category;
+  const category = CASH_FLOW_CATEGORIES.includes(stored) ? stored : defaultCashFlowCategory(account);
+  if (_isPL(account) && (category === 'cash' || category === 'non_cash')) return 'operating';
+  return category;
+}
+
+// ─── Statement ───────────────────────────────────────────────────────────────
+
+/**
+ * Build an indirect-method cash-flow statement.
+ *
+ * @param {object}   p
+ * @param {object[]} p.accounts      — { id, code, name, type, sub_type, reporting_group, cash_flow_category }
+ * @param {object[]} p.lines         — posted movements in the period, grouped per account and
+ *                                     journal source: { account_id, source_type, debit, credit }
+ *                                     (year-end closing journals must already be excluded)
+ * @param {object[]} p.cashBalances  — { account_id, opening, closing } debit balances of the
+ *                                     cash accounts before fromDate and at toDate
+ * @returns {object} statement with operating / investing / financing sections and reconciliation
+ */
+function buildCashFlowStatement({ accounts, lines, cashBalances = [] }) {
+  const byId = new Map(accounts.map(a => [String(a.id), a]));
+
+  // Accumulate cash effect per (account, section)
+  const buckets = new Map();
+  let netProfit = 0;
+
+  function add(account, section, amount) {
+    const key = `${section}:${account.id}`;
+    if (!buckets.has(key)) {
+      buckets.set(key, { section, accountId: account.id, code: account.code, name: account.name, amount: 0 });
+    }
+    buckets.get(key).amount += amount;
+  }
+
+  for (const l of lines) {
+    const account = byId.get(String(l.account_id));
+    if (!account) continue;
+    const effect = (parseFloat(l.credit) || 0) - (parseFloat(l.debit) || 0);
+    if (!effect) continue;
+
+    const category = resolveCashFlowCategory(account);
+    if (category === 'cash') continue;
+
+    if (_isPL(account)) {
+      netProfit += effect;
+      // Reclassified income/expense: remove from operating, show in its section
+      if (category !== 'operating') {
+        add(account, 'adjustment', -effect);
+        add(account, category, effect);
+      }
+      continue;
+    }
+
+    if (category === 'non_cash') {
+      const isDisposal = DISPOSAL_SOURCE_TYPES.includes(l.source_type);
+      add(account, isDisposal ? 'investing' : 'adjustment', effect);
+    } else if (category === 'operating') {
+      add(account, 'working_capital', effect);
+    } else {
+      add(account, category, effect);
+    }
+  }
+
+  function section(name) {
+    const items = [...buckets.values()]
+      .filter(b => b.section === name)
+      .map(b => ({ accountId: b.accountId, code: b.code, name: b.name, amount: _round2(b.amount) }))
+      .filter(b => b.amount !== 0)
+      .sort((a, b) => String(a.code).localeCompare(String(b.code)));
+    return { items, total: _round2(items.reduce((s, i) => s + i.amount, 0)) };
+  }
+
+  const adjustments    = section('adjustment');
+  const workingCapital = section('working_capital');
+  const investing      = section('investing');
+  const financing      = section('financing');
+
+  const operatingTotal = _round2(netProfit + adjustments.total + workingCapital.total);
+  const netCashFlow    = _round2(operatingTotal + investing.total + financing.total);
+
+  // Reconciliation to the movement on the cash accounts
+  const cashAccounts = cashBalances
+    .map(b => {
+      const account = byId.get(String(b.account_id)) || {};
+      const opening = _round2(parseFloat(b.opening) || 0);
+      const closing = _round2(parseFloat(b.closing) || 0);
+      return { accountId: b.account_id, code: account.code, name: account.name,
+               opening, closing, movement: _round2(closing - opening) };
+    })
+    .sort((a, b) => String(a.code).localeCompare(String(b.code)));
+  const openingCash = _round2(cashAccounts.reduce((s, a) => s + a.opening, 0));
+  const closingCash = _round2(cashAccounts.reduce((s, a) => s + a.closing, 0));
+  const cashMovement = _round2(closingCash - openingCash);
+  const difference   = _round2(netCashFlow - cashMovement);
+
+  return {
+    operating: {
+      netProfit: _round2(netProfit),
+      adjustments: adjustments.items,
+      totalAdjustments: adjustments.total,
+      workingCapital: workingCapital.items,
+      totalWorkingCapital: workingCapital.total,
+      total: operatingTotal,
+    },
+    investing: { items: investing.items, total: investing.total },
+    financing: { items: financing.items, total: financing.total },
+    netCashFlow,
+    cash: { opening: openingCash, closing: closingCash, movement: cashMovement, accounts: cashAccounts },
+    difference,
+    reconciles: Math.abs(difference) < 0.01,
+  };
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  CASH_FLOW_CATEGORIES,
+  defaultCashFlowCategory,
+  resolveCashFlowCategory,
+  buildCashFlowStatement,
+};
@@ -0,0 +1,857 @@
+'use strict';
+
+/**
+ * Consolidation Service
+ * ============================================================================
+ * Consolidation groups, the group chart of accounts, member account
+ * mapping, manual group adjustments and consolidated reporting.
+ *
+ *   consolidate: member ledgers (posted journals) → group chart
+ *                (consolidationUtils) → automatic eliminations from
+ *                inter_company_invoices, the parent's investment and NCI
+ *                → consolidated trial balance / balance sheet / P&L
+ *   finalise:    the same, frozen as a consolidation_run with its
+ *                elimination entries and lines (the audit trail)
+ *
+ * CRITICAL RULES:
+ *   1. A group belongs to the parent company (consolidation_groups.company_id)
+ *      and is only visible from there.
+ *   2. Member ledgers are read, never written. Eliminations live only in
+ *      consolidation_* tables, in group accounts.
+ *   3. A member must have an ACTIVE inter-company relationship with the
+ *      parent, and the user must have access (user_company_access) to every
+ *      member — checked when the member is added AND every time the group's
+ *      numbers are produced, so revoking either hides the member's books.
+ *   4. What is eliminated and how is decided by consolidationUtils (pure) —
+ *      this service only loads and persists.
+ *   5. A run is only finalised when every account with a balance is mapped
+ *      and the consolidated trial balance balances.
+ *   6. Members are assumed to report in ZAR; there is no currency translation.
+ * ============================================================================
+ */
+
+const db = require('../config/database'); // direct pg Pool — run transaction
+const {
+  ACCOUNT_TYPES,
+  validateGroupSetup,
+  validateAdjustmentLines,
+  resolveAccountMap,
+  mapMemberBalances,
+  intercompanyEliminations,
+  investmentElimination,
+  nciElimination,
+  adjustmentEntries,
+  buildConsolidatedReports,
+} = require('./consolidationUtils');
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+const GROUP_COLUMNS = `
+  id, company_id, name, description, retained_earnings_account_id, nci_account_id,
+  goodwill_account_id, is_active, created_by_user_id, created_at, updated_at`;
+
+const MEMBER_COLUMNS = `
+  m.id, m.group_id, m.company_id, c.company_name, m.is_parent, m.ownership_pct,
+  m.ic_receivable_account_id, m.ic_payable_account_id, m.ic_revenue_account_id,
+  m.ic_expense_account_id, m.investment_account_id, m.equity_at_acquisition,
+  m.acquisition_date::text AS acquisition_date, m.created_at, m.updated_at`;
+
+const ACCOUNT_COLUMNS = 'id, group_id, code, name, type, sub_type, is_active, created_at';
+
+const ADJUSTMENT_COLUMNS = `
+  id, group_id, adjustment_date::text AS adjustment_date, description, lines, status,
+  created_by_user_id, created_at, reversed_by_user_id, reversed_at, reverse_reason`;
+
+const IC_ACCOUNT_KEYS = [
+  ['icReceivableAccountId', 'ic_receivable_account_id'],
+  ['icPayableAccountId',    'ic_payable_account_id'],
+  ['icRevenueAccountId',    'ic_revenue_account_id'],
+  ['icExpenseAccountId',    'ic_expense_account_id'],
+];
+
+function _int(v) { return v === null || v === undefined || v === '' ? null : parseInt(v, 10); }
+
+/** consolidation_members row → the member shape consolidationUtils expects. */
+function _member(row) {
+  return {
+    id:                  row.id,
+    companyId:           row.company_id,
+    name:                row.company_name || `Company ${row.company_id}`,
+    isParent:            row.is_parent,
+    ownershipPct:        parseFloat(row.ownership_pct),
+    icReceivableAccountId: row.ic_receivable_account_id,
+    icPayableAccountId:  row.ic_payable_account_id,
+    icRevenueAccountId:  row.ic_revenue_account_id,
+    icExpenseAccountId:  row.ic_expense_account_id,
+    investmentAccountId: row.investment_account_id,
+    equityAtAcquisition: parseFloat(row.equity_at_acquisition) || 0,
+    acquisitionDate:     row.acquisition_date,
+  };
+}
+
+class ConsolidationService {
+
+  // ── Access ────────────────────────────────────────────────────────────────
+
+  /** Throws unless the user has active access to every company listed. */
+  static async _assertUserAccess(user, companies) {
+    if (user.isGlobalAdmin) return;
+    const ids = companies.map(c => c.companyId);
+    const result = await db.query(
+      `SELECT company_id FROM user_company_access
+        WHERE user_id = $1 AND is_active = true AND company_id = ANY($2::int[])`,
+      [user.id, ids]
+    );
+    const allowed = new Set(result.rows.map(r => r.company_id));
+    const missing = companies.filter(c => c.companyId !== user.companyId && !allowed.has(c.companyId));
+    if (missing.length) {
+      throw serviceError(403, `You do not have access to ${missing.map(c => c.name).join(', ')}.`);
+    }
+  }
+
+  /** Throws unless each company has an active inter-company relationship with the parent. */
+  static async _assertLinked(parentCompanyId, companies) {
+    const others = companies.filter(c => c.companyId !== parentCompanyId);
+    if (!others.length) return;
+    const result = await db.query(
+      `SELECT company_a_id, company_b_id FROM inter_company_relationships
+        WHERE status = 'active'
+          AND ((company_a_id = $1 AND company_b_id = ANY($2::int[]))
+            OR (company_b_id = $1 AND company_a_id = ANY($2::int[])))`,
+      [parentCompanyId, others.map(c => c.companyId)]
+    );
+    const linked = new Set(result.rows.map(r => (r.company_a_id === parentCompanyId ? r.company_b_id : r.company_a_id)));
+    const missing = others.filter(c => !linked.has(c.companyId));
+    if (missing.length) {
+      throw serviceError(409, `${missing.map(c => c.name).join(', ')} must have an active inter-company relationship with the parent company.`);
+    }
+  }
+
+  // ── Groups ────────────────────────────────────────────────────────────────
+
+  static async listGroups({ companyId }) {
+    const result = await db.query(
+      `SELECT g.id, g.name, g.description, g.is_active, g.created_at,
+              (SELECT COUNT(*)::int FROM consolidation_members m WHERE m.group_id = g.id) AS member_count
+         FROM consolidation_groups g
+        WHERE g.company_id = $1
+        ORDER BY g.name`,
+      [companyId]
+    );
+    return result.rows;
+  }
+
+  static async _getGroup(companyId, groupId) {
+    const result = await db.query(
+      `SELECT ${GROUP_COLUMNS} FROM consolidation_groups WHERE id = $1 AND company_id = $2`,
+      [groupId, companyId]
+    );
+    if (!result.rows.length) throw serviceError(404, 'Consolidation group not found.');
+    return result.rows[0];
+  }
+
+  static async _listMembers(groupId) {
+    const result = await db.query(
+      `SELECT ${MEMBER_COLUMNS}
+         FROM consolidation_members m
+         JOIN companies c ON c.id = m.company_id
+        WHERE m.group_id = $1
+        ORDER BY m.is_parent DESC, c.company_name`,
+      [groupId]
+    );
+    return result.rows;
+  }
+
+  static async getGroup({ companyId, groupId }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    const [members, accounts] = await Promise.all([
+      ConsolidationService._listMembers(group.id),
+      ConsolidationService.listGroupAccounts({ companyId, groupId: group.id }),
+    ]);
+    return { group, members, accounts };
+  }
+
+  /** New group with the owning company as its 100% parent member. */
+  static async createGroup({ companyId, input, userId }) {
+    const name = String(input.name || '').trim();
+    if (!name) throw serviceError(400, 'name is required');
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const dup = await client.query(
+        `SELECT id FROM consolidation_groups WHERE company_id = $1 AND name = $2`, [companyId, name]
+      );
+      if (dup.rows.length) throw serviceError(409, `A consolidation group named "${name}" already exists.`);
+      const result = await client.query(
+        `INSERT INTO consolidation_groups (company_id, name, description, created_by_user_id)
+         VALUES ($1,$2,$3,$4)
+         RETURNING ${GROUP_COLUMNS}`,
+        [companyId, name, input.description || null, userId]
+      );
+      const group = result.rows[0];
+      await client.query(
+        `INSERT INTO consolidation_members (group_id, company_id, is_parent, ownership_pct)
+         VALUES ($1,$2,true,100)`,
+        [group.id, companyId]
+      );
+      await client.query('COMMIT');
+      return group;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async updateGroup({ companyId, groupId, input }) {
+    const existing = await ConsolidationService._getGroup(companyId, groupId);
+    const pick = (key, col) => (input[key] !== undefined ? input[key] : existing[col]);
+    const g = {
+      name:                      String(pick('name', 'name') || '').trim(),
+      description:               pick('description', 'description'),
+      retainedEarningsAccountId: _int(pick('retainedEarningsAccountId', 'retained_earnings_account_id')),
+      nciAccountId:              _int(pick('nciAccountId', 'nci_account_id')),
+      goodwillAccountId:         _int(pick('goodwillAccountId', 'goodwill_account_id')),
+      isActive:                  pick('isActive', 'is_active') !== false,
+    };
+    if (!g.name) throw serviceError(400, 'name is required');
+
+    const expectTypes = [
+      [g.retainedEarningsAccountId, 'equity', 'Retained earnings account'],
+      [g.nciAccountId, 'equity', 'Non-controlling interest account'],
+      [g.goodwillAccountId, 'asset', 'Goodwill account'],
+    ];
+    for (const [id, type, label] of expectTypes) {
+      if (!id) continue;
+      const acc = await ConsolidationService._getGroupAccount(existing.id, id);
+      if (acc.type !== type) throw serviceError(400, `${label} must be an ${type} account.`);
+    }
+
+    const result = await db.query(
+      `UPDATE consolidation_groups
+          SET name = $3, description = $4, retained_earnings_account_id = $5, nci_account_id = $6,
+              goodwill_account_id = $7, is_active = $8, updated_at = NOW()
+        WHERE id = $1 AND company_id = $2
+        RETURNING ${GROUP_COLUMNS}`,
+      [existing.id, companyId, g.name, g.description || null, g.retainedEarningsAccountId,
+        g.nciAccountId, g.goodwillAccountId, g.isActive]
+    );
+    return { before: existing, group: result.rows[0] };
+  }
+
+  // ── Members ───────────────────────────────────────────────────────────────
+
+  static async _getMember(groupId, memberId) {
+    const result = await db.query(
+      `SELECT ${MEMBER_COLUMNS}
+         FROM consolidation_members m
+         JOIN companies c ON c.id = m.company_id
+        WHERE m.id = $1 AND m.group_id = $2`,
+      [memberId, groupId]
+    );
+    if (!result.rows.length) throw serviceError(404, 'Group member not found.');
+    return result.rows[0];
+  }
+
+  /** Member input → column values, with every account checked against its company. */
+  static async _normaliseMember(input, existing, parentCompanyId, memberCompanyId) {
+    const pick = (key, col, fallback = null) =>
+      (input[key] !== undefined ? input[key] : (existing ? existing[col] : fallback));
+    const m = {
+      ownershipPct:        parseFloat(pick('ownershipPct', 'ownership_pct', 100)),
+      investmentAccountId: _int(pick('investmentAccountId', 'investment_account_id')),
+      equityAtAcquisition: parseFloat(pick('equityAtAcquisition', 'equity_at_acquisition', 0)) || 0,
+      acquisitionDate:     pick('acquisitionDate', 'acquisition_date') || null,
+    };
+    for (const [key, col] of IC_ACCOUNT_KEYS) m[key] = _int(pick(key, col));
+    if (!(m.ownershipPct > 0 && m.ownershipPct <= 100)) {
+      throw serviceError(400, 'ownershipPct must be more than 0 and at most 100');
+    }
+
+    const owned = async (accountId, ownerId, label) => {
+      if (!accountId) return;
+      const acc = await db.query(`SELECT id FROM accounts WHERE id = $1 AND company_id = $2`, [accountId, ownerId]);
+      if (!acc.rows.length) throw serviceError(404, `${label} not found for that company.`);
+    };
+    for (const [key] of IC_ACCOUNT_KEYS) await owned(m[key], memberCompanyId, key);
+    await owned(m.investmentAccountId, parentCompanyId, 'Investment account (parent company)');
+    return m;
+  }
+
+  static async addMember({ companyId, groupId, input, user }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    const memberCompanyId = _int(input.companyId);
+    if (!memberCompanyId) throw serviceError(400, 'companyId is required');
+
+    const company = await db.query(`SELECT id, company_name FROM companies WHERE id = $1`, [memberCompanyId]);
+    if (!company.rows.length) throw serviceError(404, 'Company not found.');
+    const target = [{ companyId: memberCompanyId, name: company.rows[0].company_name }];
+    await ConsolidationService._assertLinked(companyId, target);
+    await ConsolidationService._assertUserAccess(user, target);
+
+    const m = await ConsolidationService._normaliseMember(input, null, companyId, memberCompanyId);
+    const dup = await db.query(
+      `SELECT id FROM consolidation_members WHERE group_id = $1 AND company_id = $2`, [group.id, memberCompanyId]
+    );
+    if (dup.rows.length) throw serviceError(409, 'Company is already a member of this group.');
+
+    const result = await db.query(
+      `INSERT INTO consolidation_members
+         (group_id, company_id, is_parent, ownership_pct, ic_receivable_account_id, ic_payable_account_id,
+          ic_revenue_account_id, ic_expense_account_id, investment_account_id, equity_at_acquisition, acquisition_date)
+       VALUES ($1,$2,false,$3,$4,$5,$6,$7,$8,$9,$10)
+       RETURNING id`,
+      [group.id, memberCompanyId, m.ownershipPct, m.icReceivableAccountId, m.icPayableAccountId,
+        m.icRevenueAccountId, m.icExpenseAccountId, m.investmentAccountId, m.equityAtAcquisition, m.acquisitionDate]
+    );
+    return ConsolidationService._getMember(group.id, result.rows[0].id);
+  }
+
+  static async updateMember({ companyId, groupId, memberId, input }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    const existing = await ConsolidationService._getMember(group.id, memberId);
+    const m = await ConsolidationService._normaliseMember(input, existing, companyId, existing.company_id);
+    if (existing.is_parent && m.ownershipPct !== 100) throw serviceError(400, 'The parent must be 100% owned');
+
+    await db.query(
+      `UPDATE consolidation_members
+          SET ownership_pct = $3, ic_receivable_account_id = $4, ic_payable_account_id = $5,
+              ic_revenue_account_id = $6, ic_expense_account_id = $7, investment_account_id = $8,
+              equity_at_acquisition = $9, acquisition_date = $10, updated_at = NOW()
+        WHERE id = $1 AND group_id = $2`,
+      [existing.id, group.id, m.ownershipPct, m.icReceivableAccountId, m.icPayableAccountId,
+        m.icRevenueAccountId, m.icExpenseAccountId, m.investmentAccountId, m.equityAtAcquisition, m.acquisitionDate]
+    );
+    return { before: existing, member: await ConsolidationService._getMember(group.id, existing.id) };
+  }
+
+  /** Finalised runs keep their own member snapshot, so removal does not touch history. */
+  static async removeMember({ companyId, groupId, memberId }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    const member = await ConsolidationService._getMember(group.id, memberId);
+    if (member.is_parent) throw serviceError(409, 'The parent company cannot be removed from its group.');
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      await client.query(`DELETE FROM consolidation_account_map WHERE group_id = $1 AND company_id = $2`,
+        [group.id, member.company_id]);
+      await client.query(`DELETE FROM consolidation_members WHERE id = $1 AND group_id = $2`, [member.id, group.id]);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+    return member;
+  }
+
+  // ── Group chart of accounts ───────────────────────────────────────────────
+
+  static async listGroupAccounts({ companyId, groupId }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    const result = await db.query(
+      `SELECT ${ACCOUNT_COLUMNS} FROM consolidation_group_accounts WHERE group_id = $1 ORDER BY code`,
+      [group.id]
+    );
+    return result.rows;
+  }
+
+  static async _getGroupAccount(groupId, accountId) {
+    const result = await db.query(
+      `SELECT ${ACCOUNT_COLUMNS} FROM consolidation_group_accounts WHERE id = $1 AND group_id = $2`,
+      [accountId, groupId]
+    );
+    if (!result.rows.length) throw serviceError(404, 'Group account not found.');
+    return result.rows[0];
+  }
+
+  static _normaliseAccount(input, existing = null) {
+    const pick = (key, fallback = null) => (input[key] !== undefined ? input[key] : (existing ? existing[key] : fallback));
+    const a = {
+      code:    String(pick('code', '') || '').trim(),
+      name:    String(pick('name', '') || '').trim(),
+      type:    pick('type'),
+      subType: input.subType !== undefined ? (input.subType || null) : (existing ? existing.sub_type : null),
+      isActive: input.isActive !== undefined ? input.isActive !== false : (existing ? existing.is_active : true),
+    };
+    if (!a.code) throw serviceError(400, 'code is required');
+    if (!a.name) throw serviceError(400, 'name is required');
+    if (!ACCOUNT_TYPES.includes(a.type)) throw serviceError(400, `type must be one of ${ACCOUNT_TYPES.join(', ')}`);
+    return a;
+  }
+
+  static async createGroupAccount({ companyId, groupId, input }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    const a = ConsolidationService._normaliseAccount(input || {});
+    const dup = await db.query(
+      `SELECT id FROM consolidation_group_accounts WHERE group_id = $1 AND code = $2`, [group.id, a.code]
+    );
+    if (dup.rows.length) throw serviceError(409, `Group account ${a.code} already exists.`);
+    const result = await db.query(
+      `INSERT INTO consolidation_group_accounts (group_id, code, name, type, sub_type, is_active)
+       VALUES ($1,$2,$3,$4,$5,$6)
+       RETURNING ${ACCOUNT_COLUMNS}`,
+      [group.id, a.code, a.name, a.type, a.subType, a.isActive]
+    );
+    return result.rows[0];
+  }
+
+  static async updateGroupAccount({ companyId, groupId, accountId, input }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    const existing = await ConsolidationService._getGroupAccount(group.id, accountId);
+    const a = ConsolidationService._normaliseAccount(input || {}, existing);
+    const dup = await db.query(
+      `SELECT id FROM consolidation_group_accounts WHERE group_id = $1 AND code = $2 AND id <> $3`,
+      [group.id, a.code, existing.id]
+    );
+    if (dup.rows.length) throw serviceError(409, `Group account ${a.code} already exists.`);
+    const result = await db.query(
+      `UPDATE consolidation_group_accounts
+          SET code = $3, name = $4, type = $5, sub_type = $6, is_active = $7
+        WHERE id = $1 AND group_id = $2
+        RETURNING ${ACCOUNT_COLUMNS}`,
+      [existing.id, group.id, a.code, a.name, a.type, a.subType, a.isActive]
+    );
+    return { before: existing, account: result.rows[0] };
+  }
+
+  /** Accounts used by a finalised run are kept for history — deactivate them instead. */
+  static async deleteGroupAccount({ companyId, groupId, accountId }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    const account = await ConsolidationService._getGroupAccount(group.id, accountId);
+    const used = await db.query(
+      `SELECT COUNT(*)::int AS n FROM consolidation_elimination_lines WHERE group_account_id = $1`, [account.id]
+    );
+    if (used.rows[0].n > 0) {
+      throw serviceError(409, 'Group account is used by a finalised consolidation and cannot be deleted — deactivate it instead.');
+    }
+    await db.query(`DELETE FROM consolidation_group_accounts WHERE id = $1 AND group_id = $2`, [account.id, group.id]);
+    return account;
+  }
+
+  /**
+   * Seed the group chart from the parent company's chart of accounts.
+   * Existing group codes are left alone; members whose codes match need no
+   * explicit mapping.
+   */
+  static async copyChartFromParent({ companyId, groupId }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    const result = await db.query(
+      `INSERT INTO consolidation_group_accounts (group_id, code, name, type, sub_type)
+       SELECT $1, a.code, a.name, a.type, a.sub_type
+         FROM accounts a
+        WHERE a.company_id = $2 AND a.is_active = true
+          AND a.type IN ('asset','liability','equity','income','expense')
+       ON CONFLICT (group_id, code) DO NOTHING
+       RETURNING id`,
+      [group.id, group.company_id]
+    );
+    return { created: result.rowCount, accounts: await ConsolidationService.listGroupAccounts({ companyId, groupId }) };
+  }
+
+  // ── Account mapping ───────────────────────────────────────────────────────
+
+  /**
+   * Every account of one member with the group account it consolidates into
+   * and whether that comes from an explicit mapping or a matching code.
+   */
+  static async getMapping({ companyId, groupId, memberCompanyId }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    const members = await ConsolidationService._listMembers(group.id);
+    const member = members.find(m => m.company_id === memberCompanyId);
+    if (!member) throw serviceError(404, 'Group member not found.');
+
+    const [groupAccounts, accounts, explicit] = await Promise.all([
+      db.query(`SELECT id, code, name, type FROM consolidation_group_accounts WHERE group_id = $1`, [group.id]),
+      db.query(`SELECT id, code, name, type FROM accounts WHERE company_id = $1 ORDER BY code`, [memberCompanyId]),
+      db.query(`SELECT account_id, group_account_id FROM consolidation_account_map WHERE group_id = $1 AND company_id = $2`,
+        [group.id, memberCompanyId]),
+    ]);
+    const explicitMap = {};
+    for (const r of explicit.rows) explicitMap[r.account_id] = r.group_account_id;
+    const { map } = resolveAccountMap(groupAccounts.rows, accounts.rows, explicitMap);
+    const byId = {};
+    for (const g of groupAccounts.rows) byId[g.id] = g;
+
+    return accounts.rows.map(a => ({
+      accountId: a.id, code: a.code, name: a.name, type: a.type,
+      groupAccount: map[a.id] ? byId[map[a.id]] : null,
+      source: explicitMap[a.id] ? 'explicit' : (map[a.id] ? 'code' : null),
+    }));
+  }
+
+  /**
+   * @param {Array} mappings — [{ accountId, groupAccountId }]; groupAccountId null
+   *                           removes the explicit mapping (falls back to code)
+   */
+  static async setMapping({ companyId, groupId, memberCompanyId, mappings }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    const members = await ConsolidationService._listMembers(group.id);
+    if (!members.some(m => m.company_id === memberCompanyId)) throw serviceError(404, 'Group member not found.');
+    if (!Array.isArray(mappings) || !mappings.length) throw serviceError(400, 'mappings is required');
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      for (const { accountId, groupAccountId } of mappings) {
+        const acc = await client.query(`SELECT id FROM accounts WHERE id = $1 AND company_id = $2`, [accountId, memberCompanyId]);
+        if (!acc.rows.length) throw serviceError(404, `Account ${accountId} not found for that company.`);
+        if (!groupAccountId) {
+          await client.query(`DELETE FROM consolidation_account_map WHERE group_id = $1 AND account_id = $2`, [group.id, accountId]);
+          continue;
+        }
+        const ga = await client.query(`SELECT id FROM consolidation_group_accounts WHERE id = $1 AND group_id = $2`,
+          [groupAccountId, group.id]);
+        if (!ga.rows.length) throw serviceError(404, `Group account ${groupAccountId} not found.`);
+        await client.query(
+          `INSERT INTO consolidation_account_map (group_id, company_id, account_id, group_account_id)
+           VALUES ($1,$2,$3,$4)
+           ON CONFLICT (group_id, account_id) DO UPDATE SET group_account_id = EXCLUDED.group_account_id`,
+          [group.id, memberCompanyId, accountId, groupAccountId]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+    return ConsolidationService.getMapping({ companyId, groupId, memberCompanyId });
+  }
+
+  // ── Manual adjustments ────────────────────────────────────────────────────
+
+  static async listAdjustments({ companyId, groupId }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    const result = await db.query(
+      `SELECT ${ADJUSTMENT_COLUMNS} FROM consolidation_adjustments
+        WHERE group_id = $1 ORDER BY adjustment_date DESC, id DESC`,
+      [group.id]
+    );
+    return result.rows;
+  }
+
+  static async createAdjustment({ companyId, groupId, input, userId }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    if (!input.date) throw serviceError(400, 'date is required');
+    if (!String(input.description || '').trim()) throw serviceError(400, 'description is required');
+    const errors = validateAdjustmentLines(input.lines);
+    if (errors.length) throw serviceError(400, `Invalid adjustment: ${errors.join('; ')}`);
+    for (const l of input.lines) await ConsolidationService._getGroupAccount(group.id, l.groupAccountId);
+
+    const lines = input.lines.map(l => ({
+      groupAccountId: parseInt(l.groupAccountId, 10),
+      debit: parseFloat(l.debit) || 0, credit: parseFloat(l.credit) || 0,
+      description: l.description || null,
+    }));
+    const result = await db.query(
+      `INSERT INTO consolidation_adjustments (group_id, adjustment_date, description, lines, created_by_user_id)
+       VALUES ($1,$2,$3,$4,$5)
+       RETURNING ${ADJUSTMENT_COLUMNS}`,
+      [group.id, input.date, input.description.trim(), JSON.stringify(lines), userId]
+    );
+    return result.rows[0];
+  }
+
+  static async reverseAdjustment({ companyId, groupId, adjustmentId, reason, userId }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    if (!String(reason || '').trim()) throw serviceError(400, 'reason is required');
+    const result = await db.query(
+      `UPDATE consolidation_adjustments
+          SET status = 'reversed', reversed_by_user_id = $3, reversed_at = NOW(), reverse_reason = $4
+        WHERE id = $1 AND group_id = $2 AND status = 'active'
+        RETURNING ${ADJUSTMENT_COLUMNS}`,
+      [adjustmentId, group.id, userId, reason.trim()]
+    );
+    if (!result.rows.length) {
+      const exists = await db.query(`SELECT id FROM consolidation_adjustments WHERE id = $1 AND group_id = $2`,
+        [adjustmentId, group.id]);
+      throw exists.rows.length
+        ? serviceError(409, 'Adjustment is already reversed.')
+        : serviceError(404, 'Adjustment not found.');
+    }
+    return result.rows[0];
+  }
+
+  // ── Consolidation ─────────────────────────────────────────────────────────
+
+  /**
+   * Consolidated trial balance, balance sheet and P&L for [fromDate, toDate].
+   * Balance-sheet figures are as at toDate; fromDate is the start of the
+   * financial year the P&L covers.
+   *
+   * @param {object} user — req.user (id, companyId, isGlobalAdmin)
+   */
+  static async consolidate({ companyId, groupId, fromDate, toDate, user }) {
+    if (!fromDate || !toDate) throw serviceError(400, 'fromDate and toDate are required');
+    if (fromDate > toDate) throw serviceError(400, 'fromDate must not be after toDate');
+
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    const rows = await ConsolidationService._listMembers(group.id);
+    const members = rows.map(_member);
+    const setup = {
+      retainedEarningsAccountId: group.retained_earnings_account_id,
+      nciAccountId:              group.nci_account_id,
+      goodwillAccountId:         group.goodwill_account_id,
+    };
+    const setupErrors = validateGroupSetup(setup, members);
+    if (setupErrors.length) throw serviceError(409, `Consolidation setup incomplete: ${setupErrors.join('; ')}`);
+
+    await ConsolidationService._assertLinked(group.company_id, members);
+    await ConsolidationService._assertUserAccess(user, members);
+
+    const ids = members.map(m => m.companyId);
+    const [groupAccounts, accounts, explicit, balances, invoices, adjustments] = await Promise.all([
+      db.query(`SELECT id, code, name, type, sub_type FROM consolidation_group_accounts WHERE group_id = $1`, [group.id]),
+      db.query(`SELECT id, company_id, code, name, type FROM accounts WHERE company_id = ANY($1::int[])`, [ids]),
+      db.query(`SELECT company_id, account_id, group_account_id FROM consolidation_account_map WHERE group_id = $1`, [group.id]),
+      db.query(
+        `SELECT j.company_id, jl.account_id,
+                SUM(jl.debit - jl.credit) AS cumulative,
+                SUM(CASE WHEN j.date >= $2 THEN jl.debit - jl.credit ELSE 0 END) AS period
+           FROM journal_lines jl
+           JOIN journals j ON j.id = jl.journal_id
+          WHERE j.company_id = ANY($1::int[]) AND j.status = 'posted' AND j.date <= $3
+          GROUP BY j.company_id, jl.account_id`,
+        [ids, fromDate, toDate]
+      ),
+      db.query(
+        `SELECT id, sender_company_id, receiver_company_id, invoice_number, date::text AS date,
+                subtotal, total, amount_paid, payment_status, receiver_status
+           FROM inter_company_invoices
+          WHERE sender_company_id = ANY($1::int[]) AND receiver_company_id = ANY($1::int[]) AND date <= $2`,
+        [ids, toDate]
+      ),
+      db.query(`SELECT ${ADJUSTMENT_COLUMNS} FROM consolidation_adjustments WHERE group_id = $1 AND status = 'active'`, [group.id]),
+    ]);
+
+    const equityIds = new Set(groupAccounts.rows.filter(g => g.type === 'equity').map(g => g.id));
+    const warnings = [];
+    const unmapped = [];
+    const byCompany = {};
+    for (const m of members) {
+      const memberAccounts = accounts.rows.filter(a => a.company_id === m.companyId);
+      const explicitMap = {};
+      for (const r of explicit.rows) if (r.company_id === m.companyId) explicitMap[r.account_id] = r.group_account_id;
+      const raw = {};
+      for (const b of balances.rows) {
+        if (b.company_id === m.companyId) raw[b.account_id] = { cumulative: parseFloat(b.cumulative), period: parseFloat(b.period) };
+      }
+      const { map } = resolveAccountMap(groupAccounts.rows, memberAccounts, explicitMap);
+      const mapped = mapMemberBalances({
+        accounts: memberAccounts, balances: raw, accountMap: map,
+        retainedEarningsAccountId: group.retained_earnings_account_id,
+      });
+      for (const u of mapped.unmapped) unmapped.push({ companyId: m.companyId, companyName: m.name, ...u });
+      const equity = {};
+      for (const [gid, v] of Object.entries(mapped.balances)) if (equityIds.has(Number(gid))) equity[gid] = v;
+      byCompany[m.companyId] = { member: m, map, raw, balances: mapped.balances, netProfit: mapped.netProfit, equity };
+    }
+    if (unmapped.length) {
+      warnings.push(`${unmapped.length} account(s) with balances are not mapped to the group chart and are left out`);
+    }
+
+    // Inter-company invoices
+    const icMembers = members.map(m => {
+      const { map, raw } = byCompany[m.companyId];
+      return {
+        companyId: m.companyId, name: m.name,
+        ic: {
+          receivable: map[m.icReceivableAccountId] || null, payable: map[m.icPayableAccountId] || null,
+          revenue:    map[m.icRevenueAccountId] || null,    expense: map[m.icExpenseAccountId] || null,
+        },
+        icLedger: {
+          receivable: raw[m.icReceivableAccountId] ? raw[m.icReceivableAccountId].cumulative : 0,
+          payable:    raw[m.icPayableAccountId] ? raw[m.icPayableAccountId].cumulative : 0,
+        },
+      };
+    });
+    const ic = intercompanyEliminations({ invoices: invoices.rows, members: icMembers, fromDate, toDate });
+    const entries = [...ic.entries];
+    warnings.push(...ic.warnings);
+
+    // Investment and NCI per subsidiary
+    const parent = members.find(m => m.isParent);
+    const parentData = byCompany[parent.companyId];
+    for (const m of members.filter(x => !x.isParent)) {
+      const { equity } = byCompany[m.companyId];
+      const acquisitionEquity = m.acquisitionDate
+        ? await ConsolidationService._equityAt(m, accounts.rows, byCompany[m.companyId].map, equityIds, group)
+        : null;
+      const invRaw = m.investmentAccountId ? parentData.raw[m.investmentAccountId] : null;
+      const inv = investmentElimination({
+        member: m, equity, acquisitionEquity,
+        investment: m.investmentAccountId ? {
+          groupAccountId: parentData.map[m.investmentAccountId] || null,
+          balance: invRaw ? invRaw.cumulative : 0,
+          companyId: parent.companyId,
+        } : null,
+        goodwillAccountId: group.goodwill_account_id,
+      });
+      if (inv.entry && inv.entry.lines.some(l => !l.groupAccountId)) {
+        warnings.push(`${m.name}: the investment account is not mapped to the group chart — investment not eliminated`);
+      } else if (inv.entry) {
+        entries.push(inv.entry);
+      }
+      warnings.push(...inv.warnings);
+      const nci = nciElimination({ member: m, equity, nciAccountId: group.nci_account_id });
+      if (nci) entries.push(nci);
+    }
+
+    entries.push(...adjustmentEntries(adjustments.rows, fromDate, toDate));
+
+    const reports = buildConsolidatedReports({
+      groupAccounts: groupAccounts.rows,
+      members: members.map(m => ({ ...m, balances: byCompany[m.companyId].balances, netProfit: byCompany[m.companyId].netProfit })),
+      entries,
+      nciAccountId: group.nci_account_id,
+    });
+
+    return {
+      group: { id: group.id, name: group.name },
+      fromDate, toDate,
+      members: members.map(m => ({
+        companyId: m.companyId, name: m.name, isParent: m.isParent,
+        ownershipPct: m.ownershipPct, netProfit: byCompany[m.companyId].netProfit,
+      })),
+      eliminations: entries,
+      unmapped,
+      warnings,
+      ...reports,
+    };
+  }
+
+  /**
+   * A member's equity on the group chart as at its acquisition date, with
+   * earlier income and expense rolled into retained earnings.
+   */
+  static async _equityAt(member, accounts, map, equityIds, group) {
+    const result = await db.query(
+      `SELECT jl.account_id, SUM(jl.debit - jl.credit) AS cumulative
+         FROM journal_lines jl
+         JOIN journals j ON j.id = jl.journal_id
+        WHERE j.company_id = $1 AND j.status = 'posted' AND j.date <= $2
+        GROUP BY jl.account_id`,
+      [member.companyId, member.acquisitionDate]
+    );
+    const raw = {};
+    for (const r of result.rows) raw[r.account_id] = { cumulative: parseFloat(r.cumulative), period: 0 };
+    const { balances } = mapMemberBalances({
+      accounts: accounts.filter(a => a.company_id === member.companyId), balances: raw, accountMap: map,
+      retainedEarningsAccountId: group.retained_earnings_account_id,
+    });
+    const equity = {};
+    for (const [gid, v] of Object.entries(balances)) if (equityIds.has(Number(gid))) equity[gid] = v;
+    return equity;
+  }
+
+  /**
+   * Freeze a consolidation as a run: report snapshot plus every elimination
+   * entry and line.
+   */
+  static async finaliseRun({ companyId, groupId, fromDate, toDate, notes, user }) {
+    const result = await ConsolidationService.consolidate({ companyId, groupId, fromDate, toDate, user });
+    if (result.unmapped.length) {
+      throw serviceError(409, `Consolidation cannot be finalised: ${result.unmapped.length} account(s) with balances are not mapped.`);
+    }
+    if (!result.trialBalance.isBalanced) {
+      throw serviceError(409, 'Consolidation cannot be finalised: the consolidated trial balance does not balance.');
+    }
+
+    const client = await db.getClient();
+    let run;
+    try {
+      await client.query('BEGIN');
+      const runResult = await client.query(
+        `INSERT INTO consolidation_runs (group_id, from_date, to_date, members, report, warnings, notes, created_by_user_id)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+         RETURNING id, group_id, from_date::text AS from_date, to_date::text AS to_date, notes,
+                   created_by_user_id, created_at`,
+        [result.group.id, fromDate, toDate, JSON.stringify(result.members),
+          JSON.stringify({ trialBalance: result.trialBalance, balanceSheet: result.balanceSheet, profitLoss: result.profitLoss }),
+          JSON.stringify(result.warnings), notes || null, user.id]
+      );
+      run = runResult.rows[0];
+      for (const e of result.eliminations) {
+        const entry = await client.query(
+          `INSERT INTO consolidation_elimination_entries (run_id, elimination_type, description, amount, source)
+           VALUES ($1,$2,$3,$4,$5) RETURNING id`,
+          [run.id, e.type, e.description, e.amount, JSON.stringify(e.source)]
+        );
+        for (const l of e.lines) {
+          await client.query(
+            `INSERT INTO consolidation_elimination_lines (entry_id, group_account_id, company_id, debit, credit)
+             VALUES ($1,$2,$3,$4,$5)`,
+            [entry.rows[0].id, l.groupAccountId, l.companyId, l.debit, l.credit]
+          );
+        }
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+    return { run, ...result };
+  }
+
+  static async listRuns({ companyId, groupId, limit = 50 }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    const result = await db.query(
+      `SELECT id, group_id, from_date::text AS from_date, to_date::text AS to_date, notes,
+              jsonb_array_length(warnings) AS warning_count, created_by_user_id, created_at
+         FROM consolidation_runs
+        WHERE group_id = $1
+        ORDER BY to_date DESC, id DESC
+        LIMIT $2`,
+      [group.id, Math.min(parseInt(limit, 10) || 50, 500)]
+    );
+    return result.rows;
+  }
+
+  /** A finalised run with its elimination journal (entries and lines). */
+  static async getRun({ companyId, groupId, runId }) {
+    const group = await ConsolidationService._getGroup(companyId, groupId);
+    const runResult = await db.query(
+      `SELECT id, group_id, from_date::text AS from_date, to_date::text AS to_date, members, report,
+              warnings, notes, created_by_user_id, created_at
+         FROM consolidation_runs WHERE id = $1 AND group_id = $2`,
+      [runId, group.id]
+    );
+    if (!runResult.rows.length) throw serviceError(404, 'Consolidation run not found.');
+    const run = runResult.rows[0];
+
+    const lines = await db.query(
+      `SELECT e.id AS entry_id, e.elimination_type, e.description, e.amount, e.source,
+              l.id, l.group_account_id, ga.code AS group_account_code, ga.name AS group_account_name,
+              l.company_id, l.debit, l.credit
+         FROM consolidation_elimination_entries e
+         JOIN consolidation_elimination_lines l ON l.entry_id = e.id
+         JOIN consolidation_group_accounts ga ON ga.id = l.group_account_id
+        WHERE e.run_id = $1
+        ORDER BY e.id, l.id`,
+      [run.id]
+    );
+    const entries = [];
+    for (const r of lines.rows) {
+      let e = entries[entries.length - 1];
+      if (!e || e.id !== r.entry_id) {
+        e = { id: r.entry_id, type: r.elimination_type, description: r.description,
+          amount: parseFloat(r.amount), source: r.source, lines: [] };
+        entries.push(e);
+      }
+      e.lines.push({
+        id: r.id, groupAccountId: r.group_account_id, code: r.group_account_code, name: r.group_account_name,
+        companyId: r.company_id, debit: parseFloat(r.debit), credit: parseFloat(r.credit),
+      });
+    }
+    return { ...run, eliminations: entries };
+  }
+}
+
+module.exports = ConsolidationService;
@@ -0,0 +1,479 @@
+'use strict';
+
+/**
+ * consolidationUtils.js
+ * Pure consolidation engine — no DB access, fully testable.
+ *
+ * Every member's ledger is mapped onto the group chart of accounts, the
+ * mapped balances are added together and group-level elimination entries
+ * are applied on top:
+ *
+ *   ic_revenue  — inter-company invoices dated in the period:
+ *                 DR sender's IC revenue / CR receiver's IC expense (excl. VAT)
+ *   ic_balance  — inter-company invoices still unpaid at the period end:
+ *                 DR receiver's IC payable / CR sender's IC receivable (incl. VAT)
+ *   investment  — the parent's investment in a subsidiary against the
+ *                 parent's share of equity at acquisition; the difference is
+ *                 goodwill (a negative difference is a bargain purchase and is
+ *                 credited to the goodwill account with a warning)
+ *   nci_equity  — the non-controlling share of a subsidiary's equity is moved
+ *                 to the group NCI account
+ *   manual      — group adjustments entered by hand
+ *
+ * All amounts in this module are NET DEBIT (debit − credit) unless a name
+ * says otherwise. Balance-sheet accounts are cumulative to the period end;
+ * income and expense accounts cover the period only, and each member's
+ * earnings from before the period are rolled into the group retained
+ * earnings account so the consolidated trial balance always balances.
+ *
+ * NCI's share of the period's profit is attributed in the P&L and added to
+ * NCI on the balance sheet — it is not booked as an elimination.
+ * Unrealised profit in inventory or assets sold inside the group is not
+ * eliminated automatically; use a manual adjustment.
+ */
+
+const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'income', 'expense'];
+const PL_TYPES = ['income', 'expense'];
+const PL_SECTIONS = ['operating_income', 'other_income', 'cost_of_sales',
+  'operating_expense', 'depreciation_amort', 'finance_cost'];
+
+// ─── Internal helpers ────────────────────────────────────────────────────────
+
+function _round2(n) { return Math.round(n * 100) / 100; }
+
+function _num(v) { return parseFloat(v || 0) || 0; }
+
+function _inRange(date, fromDate, toDate) {
+  const d = String(date).slice(0, 10);
+  return (!fromDate || d >= fromDate) && (!toDate || d <= toDate);
+}
+
+/** One journal line from a net-debit amount. */
+function _line(groupAccountId, companyId, net) {
+  const amt = _round2(net);
+  return { groupAccountId, companyId: companyId || null, debit: amt > 0 ? amt : 0, credit: amt < 0 ? -amt : 0 };
+}
+
+function _add(map, key, amount) {
+  map[key] = _round2((map[key] || 0) + amount);
+}
+
+/**
+ * Split `total` across keys in proportion to `weights`, rounding to cents
+ * and putting the rounding difference on the largest share.
+ */
+function _allocate(total, weights) {
+  const keys = Object.keys(weights);
+  const sum = keys.reduce((s, k) => s + weights[k], 0);
+  const out = {};
+  if (!keys.length || !sum) return out;
+  let allocated = 0;
+  let largest = keys[0];
+  for (const k of keys) {
+    out[k] = _round2(total * weights[k] / sum);
+    allocated += out[k];
+    if (Math.abs(weights[k]) > Math.abs(weights[largest])) largest = k;
+  }
+  out[largest] = _round2(out[largest] + total - allocated);
+  return out;
+}
+
+// ─── Setup validation ────────────────────────────────────────────────────────
+
+/**
+ * @param {object} group    — { retainedEarningsAccountId, nciAccountId, goodwillAccountId }
+ * @param {Array}  members  — [{ companyId, name, isParent, ownershipPct, investmentAccountId, equityAtAcquisition }]
+ * @returns {string[]} problems that stop a consolidation
+ */
+function validateGroupSetup(group, members) {
+  const errors = [];
+  const parents = members.filter(m => m.isParent);
+  if (parents.length !== 1) errors.push('A group must have exactly one parent company');
+  if (parents[0] && _num(parents[0].ownershipPct) !== 100) errors.push('The parent must be 100% owned');
+  for (const m of members) {
+    const pct = _num(m.ownershipPct);
+    if (!(pct > 0 && pct <= 100)) errors.push(`Ownership of ${m.name || m.companyId} must be more than 0% and at most 100%`);
+    if (!m.isParent && _num(m.equityAtAcquisition) !== 0 && !m.investmentAccountId) {
+      errors.push(`${m.name || m.companyId} has equity at acquisition but no investment account`);
+    }
+  }
+  if (!group.retainedEarningsAccountId) errors.push('The group retained earnings account is not set');
+  if (members.some(m => !m.isParent && _num(m.ownershipPct) < 100) && !group.nciAccountId) {
+    errors.push('The group non-controlling interest account is not set');
+  }
+  return errors;
+}
+
+/**
+ * Manual adjustment lines: at least two, each one-sided, balanced.
+ * @returns {string[]}
+ */
+function validateAdjustmentLines(lines) {
+  const errors = [];
+  if (!Array.isArray(lines) || lines.length < 2) return ['An adjustment needs at least two lines'];
+  let dr = 0, cr = 0;
+  lines.forEach((l, i) => {
+    const d = _num(l.debit), c = _num(l.credit);
+    if (!l.groupAccountId) errors.push(`Line ${i + 1}: group account is required`);
+    if (d < 0 || c < 0) errors.push(`Line ${i + 1}: amounts must not be negative`);
+    if ((d > 0) === (c > 0)) errors.push(`Line ${i + 1}: must have either a debit or a credit`);
+    dr += d; cr += c;
+  });
+  if (Math.abs(dr - cr) >= 0.01) errors.push(`Adjustment must balance (debits ${_round2(dr)}, credits ${_round2(cr)})`);
+  return errors;
+}
+
+// ─── Account mapping ─────────────────────────────────────────────────────────
+
+/**
+ * Resolve every member account to a group account: an explicit mapping
+ * wins, otherwise the group account with the same code and type.
+ *
+ * @param {Array}  groupAccounts — [{ id, code, type }]
+ * @param {Array}  accounts      — member accounts [{ id, code, name, type }]
+ * @param {object} explicit      — { [accountId]: groupAccountId }
+ * @returns {{ map: object, unmapped: Array }} map is { [accountId]: groupAccountId }
+ */
+function resolveAccountMap(groupAccounts, accounts, explicit = {}) {
+  const byCode = {};
+  for (const g of groupAccounts) byCode[`${g.code}|${g.type}`] = g.id;
+  const map = {};
+  const unmapped = [];
+  for (const a of accounts) {
+    const target = explicit[a.id] || byCode[`${a.code}|${a.type}`];
+    if (target) map[a.id] = target;
+    else unmapped.push({ accountId: a.id, code: a.code, name: a.name, type: a.type });
+  }
+  return { map, unmapped };
+}
+
+/**
+ * One member's balances on the group chart.
+ *
+ * @param {object} p
+ * @param {Array}  p.accounts   — member accounts [{ id, code, name, type }]
+ * @param {object} p.balances   — { [accountId]: { cumulative, period } } net debit;
+ *                                cumulative = all posted lines to the period end,
+ *                                period = lines dated inside the period
+ * @param {object} p.accountMap — from resolveAccountMap
+ * @param {number} p.retainedEarningsAccountId — group account for earnings before the period
+ * @returns {{ balances: object, netProfit: number, unmapped: Array }}
+ *   balances is { [groupAccountId]: netDebit }; netProfit is credit-positive;
+ *   unmapped lists accounts WITH a balance and no group account (left out)
+ */
+function mapMemberBalances({ accounts, balances, accountMap, retainedEarningsAccountId }) {
+  const out = {};
+  const unmapped = [];
+  let netProfit = 0;
+  let priorEarnings = 0; // net debit
+  for (const a of accounts) {
+    const b = balances[a.id];
+    if (!b) continue;
+    const isPL = PL_TYPES.includes(a.type);
+    const amount = _round2(isPL ? _num(b.period) : _num(b.cumulative));
+    const prior = isPL ? _round2(_num(b.cumulative) - _num(b.period)) : 0;
+    const target = accountMap[a.id];
+    if (!target) {
+      if (amount || prior) unmapped.push({ accountId: a.id, code: a.code, name: a.name, type: a.type, balance: _round2(amount + prior) });
+      continue;
+    }
+    if (amount) _add(out, target, amount);
+    if (isPL) {
+      netProfit -= amount;
+      priorEarnings += prior;
+    }
+  }
+  if (_round2(priorEarnings) && retainedEarningsAccountId) _add(out, retainedEarningsAccountId, priorEarnings);
+  return { balances: out, netProfit: _round2(netProfit), unmapped };
+}
+
+// ─── Eliminations ────────────────────────────────────────────────────────────
+
+/**
+ * Inter-company invoice eliminations, one entry per sender → receiver pair
+ * and type. Rejected invoices and invoices with a non-member on either side
+ * are ignored.
+ *
+ * @param {object} p
+ * @param {Array}  p.invoices — inter_company_invoices rows
+ * @param {Array}  p.members  — [{ companyId, name, ic: { receivable, payable, revenue, expense },
+ *                               icLedger?: { receivable, payable } }]
+ *                              ic = GROUP account ids; icLedger = net-debit balance of the
+ *                              member's own IC receivable / payable account at the period end
+ * @param {string} p.fromDate
+ * @param {string} p.toDate
+ * @returns {{ entries: Array, warnings: string[] }}
+ */
+function intercompanyEliminations({ invoices, members, fromDate, toDate }) {
+  const byId = {};
+  for (const m of members) byId[m.companyId] = m;
+  const pairs = {};
+  for (const inv of invoices) {
+    const s = byId[inv.sender_company_id], r = byId[inv.receiver_company_id];
+    if (!s || !r || s === r || inv.receiver_status === 'rejected') continue;
+    if (String(inv.date).slice(0, 10) > toDate) continue;
+    const key = `${s.companyId}>${r.companyId}`;
+    const p = pairs[key] || (pairs[key] = { s, r, revenue: 0, revenueIds: [], balance: 0, balanceIds: [] });
+    if (_inRange(inv.date, fromDate, toDate)) {
+      p.revenue += _num(inv.subtotal);
+      p.revenueIds.push(inv.id);
+    }
+    const outstanding = _round2(_num(inv.total) - _num(inv.amount_paid));
+    if (inv.payment_status !== 'paid' && outstanding > 0) {
+      p.balance += outstanding;
+      p.balanceIds.push(inv.id);
+    }
+  }
+
+  const entries = [];
+  const warnings = [];
+  const eliminatedReceivable = {}, eliminatedPayable = {};
+  for (const key of Object.keys(pairs).sort()) {
+    const { s, r, revenue, revenueIds, balance, balanceIds } = pairs[key];
+    const label = `${s.name} → ${r.name}`;
+    if (_round2(revenue)) {
+      if (!s.ic.revenue || !r.ic.expense) {
+        warnings.push(`${label}: inter-company revenue ${_round2(revenue)} not eliminated — ` +
+          `set the IC revenue account on ${s.name} and the IC expense account on ${r.name}`);
+      } else {
+        entries.push({
+          type: 'ic_revenue', description: `Inter-company sales ${label}`, amount: _round2(revenue),
+          source: { senderCompanyId: s.companyId, receiverCompanyId: r.companyId, invoiceIds: revenueIds },
+          lines: [_line(s.ic.revenue, s.companyId, revenue), _line(r.ic.expense, r.companyId, -revenue)],
+        });
+      }
+    }
+    if (_round2(balance)) {
+      if (!s.ic.receivable || !r.ic.payable) {
+        warnings.push(`${label}: inter-company balance ${_round2(balance)} not eliminated — ` +
+          `set the IC receivable account on ${s.name} and the IC payable account on ${r.name}`);
+      } else {
+        entries.push({
+          type: 'ic_balance', description: `Inter-company balance ${label}`, amount: _round2(balance),
+          source: { senderCompanyId: s.companyId, receiverCompanyId: r.companyId, invoiceIds: balanceIds },
+          lines: [_line(r.ic.payable, r.companyId, balance), _line(s.ic.receivable, s.companyId, -balance)],
+        });
+        _add(eliminatedReceivable, s.companyId, balance);
+        _add(eliminatedPayable, r.companyId, balance);
+      }
+    }
+  }
+
+  // Ledger check: what was eliminated should be what the members carry
+  for (const m of members) {
+    if (!m.icLedger) continue;
+    const rec = eliminatedReceivable[m.companyId] || 0;
+    const pay = eliminatedPayable[m.companyId] || 0;
+    if (m.ic.receivable && Math.abs(_num(m.icLedger.receivable) - rec) >= 0.01) {
+      warnings.push(`${m.name}: IC receivable ledger ${_round2(_num(m.icLedger.receivable))} ` +
+        `differs from unpaid inter-company invoices ${rec} — difference stays in the consolidation`);
+    }
+    if (m.ic.payable && Math.abs(-_num(m.icLedger.payable) - pay) >= 0.01) {
+      warnings.push(`${m.name}: IC payable ledger ${_round2(-_num(m.icLedger.payable))} ` +
+        `differs from unpaid inter-company invoices ${pay} — difference stays in the consolidation`);
+    }
+  }
+  return { entries, warnings };
+}
+
+/**
+ * Parent's investment in a subsidiary against its share of the
+ * subsidiary's equity at acquisition. The share is taken out of the
+ * subsidiary's equity accounts in proportion to their balances on the
+ * acquisition date when the ledger goes back that far, otherwise in
+ * proportion to their current balances.
+ *
+ * @param {object} p
+ * @param {object} p.member      — { companyId, name, ownershipPct, equityAtAcquisition }
+ * @param {object} p.equity      — subsidiary equity on the group chart { [groupAccountId]: netDebit }
+ * @param {object} [p.acquisitionEquity] — the same, as at the acquisition date
+ * @param {object} p.investment  — { groupAccountId, balance (net debit), companyId (parent) }
+ * @param {number} p.goodwillAccountId
+ * @returns {{ entry: object|null, warnings: string[] }}
+ */
+function investmentElimination({ member, equity, acquisitionEquity = null, investment, goodwillAccountId }) {
+  const pct = _num(member.ownershipPct) / 100;
+  const share = _round2(pct * _num(member.equityAtAcquisition));
+  const invBal = _round2(_num(investment && investment.balance));
+  if (!share && !invBal) return { entry: null, warnings: [] };
+
+  const creditWeights = balances => {
+    const w = {};
+    for (const [gid, net] of Object.entries(balances || {})) if (-net > 0) w[gid] = -net;
+    return w;
+  };
+  let weights = creditWeights(acquisitionEquity);
+  if (!Object.keys(weights).length) weights = creditWeights(equity);
+  if (share && !Object.keys(weights).length) {
+    return { entry: null, warnings: [`${member.name}: no credit equity balance to eliminate the investment against`] };
+  }
+
+  const warnings = [];
+  const lines = [];
+  for (const [gid, amt] of Object.entries(_allocate(share, weights))) {
+    if (amt) lines.push(_line(Number(gid), member.companyId, amt));
+  }
+  if (invBal) lines.push(_line(investment.groupAccountId, investment.companyId, -invBal));
+  const goodwill = _round2(invBal - share);
+  if (goodwill) {
+    if (!goodwillAccountId) {
+      return { entry: null, warnings: [`${member.name}: goodwill of ${goodwill} needs the group goodwill account — investment not eliminated`] };
+    }
+    if (goodwill < 0) warnings.push(`${member.name}: investment is below the share of equity acquired (bargain purchase of ${-goodwill})`);
+    lines.push(_line(goodwillAccountId, null, goodwill));
+  }
+  return {
+    entry: {
+      type: 'investment', description: `Investment in ${member.name} (${_round2(pct * 100)}%)`, amount: invBal,
+      source: { companyId: member.companyId, ownershipPct: _num(member.ownershipPct), equityAtAcquisition: _num(member.equityAtAcquisition), goodwill },
+      lines,
+    },
+    warnings,
+  };
+}
+
+/**
+ * Move the non-controlling share of a subsidiary's equity to the NCI account.
+ *
+ * @param {object} p
+ * @param {object} p.member — { companyId, name, ownershipPct }
+ * @param {object} p.equity — { [groupAccountId]: netDebit }
+ * @param {number} p.nciAccountId
+ * @returns {object|null} entry
+ */
+function nciElimination({ member, equity, nciAccountId }) {
+  const nciPct = 1 - _num(member.ownershipPct) / 100;
+  if (nciPct <= 0) return null;
+  const lines = [];
+  let total = 0;
+  for (const [gid, net] of Object.entries(equity)) {
+    const amt = _round2(-net * nciPct);  // credit-positive share
+    if (!amt) continue;
+    lines.push(_line(Number(gid), member.companyId, amt));
+    total += amt;
+  }
+  if (!lines.length) return null;
+  lines.push(_line(nciAccountId, member.companyId, -total));
+  return {
+    type: 'nci_equity', description: `Non-controlling interest in ${member.name} (${_round2(nciPct * 100)}%)`,
+    amount: _round2(total), source: { companyId: member.companyId, nciPct: _round2(nciPct * 100) }, lines,
+  };
+}
+
+/**
+ * Manual group adjustments dated inside [fromDate, toDate] → entries.
+ * @param {Array} adjustments — [{ id, adjustment_date, description, lines, status }]
+ */
+function adjustmentEntries(adjustments, fromDate, toDate) {
+  return adjustments
+    .filter(a => a.status !== 'reversed' && _inRange(a.adjustment_date, fromDate, toDate))
+    .map(a => ({
+      type: 'manual', description: a.description,
+      amount: _round2(a.lines.reduce((s, l) => s + _num(l.debit), 0)),
+      source: { adjustmentId: a.id, date: String(a.adjustment_date).slice(0, 10) },
+      lines: a.lines.map(l => ({ groupAccountId: Number(l.groupAccountId), companyId: null, debit: _round2(_num(l.debit)), credit: _round2(_num(l.credit)) })),
+    }));
+}
+
+// ─── Consolidated reports ────────────────────────────────────────────────────
+
+/**
+ * @param {object} p
+ * @param {Array}  p.groupAccounts — [{ id, code, name, type, sub_type }]
+ * @param {Array}  p.members       — [{ companyId, name, balances, netProfit, ownershipPct, isParent }]
+ * @param {Array}  p.entries       — elimination entries
+ * @param {number} p.nciAccountId
+ * @returns {{ trialBalance, profitLoss, balanceSheet }}
+ */
+function buildConsolidatedReports({ groupAccounts, members, entries, nciAccountId }) {
+  const elim = {};
+  for (const e of entries) for (const l of e.lines) _add(elim, l.groupAccountId, _num(l.debit) - _num(l.credit));
+
+  const rows = groupAccounts.map(g => {
+    const byMember = {};
+    let total = 0;
+    for (const m of members) {
+      const v = _round2(m.balances[g.id] || 0);
+      byMember[m.companyId] = v;
+      total += v;
+    }
+    const eliminations = elim[g.id] || 0;
+    return {
+      id: g.id, code: g.code, name: g.name, type: g.type, sub_type: g.sub_type || null,
+      members: byMember, eliminations, balance: _round2(total + eliminations),
+    };
+  }).filter(r => r.balance || r.eliminations || Object.values(r.members).some(Boolean))
+    .sort((a, b) => a.code.localeCompare(b.code));
+
+  const totalDebit  = _round2(rows.reduce((s, r) => s + (r.balance > 0 ? r.balance : 0), 0));
+  const totalCredit = _round2(rows.reduce((s, r) => s + (r.balance < 0 ? -r.balance : 0), 0));
+  const trialBalance = {
+    accounts: rows,
+    totals: { debit: totalDebit, credit: totalCredit },
+    isBalanced: Math.abs(totalDebit - totalCredit) < 0.01,
+  };
+
+  // P&L — same sections and subtotals as /reports/profit-loss
+  const sections = {};
+  for (const k of PL_SECTIONS) sections[k] = [];
+  for (const r of rows) {
+    if (!PL_TYPES.includes(r.type)) continue;
+    const subType = PL_SECTIONS.includes(r.sub_type) ? r.sub_type
+      : (r.type === 'income' ? 'operating_income' : 'operating_expense');
+    sections[subType].push({ id: r.id, code: r.code, name: r.name, type: r.type, sub_type: subType,
+      balance: r.type === 'income' ? -r.balance : r.balance });
+  }
+  const sum = arr => _round2(arr.reduce((s, a) => s + a.balance, 0));
+  const grossProfit     = _round2(sum(sections.operating_income) - sum(sections.cost_of_sales));
+  const operatingProfit = _round2(grossProfit + sum(sections.other_income)
+    - sum(sections.operating_expense) - sum(sections.depreciation_amort));
+  const netProfit       = _round2(operatingProfit - sum(sections.finance_cost));
+  const nciProfit = _round2(members.reduce((s, m) =>
+    s + (m.isParent ? 0 : _num(m.netProfit) * (1 - _num(m.ownershipPct) / 100)), 0));
+  const profitLoss = {
+    operatingIncome: sections.operating_income, costOfSales: sections.cost_of_sales,
+    otherIncome: sections.other_income, operatingExpenses: sections.operating_expense,
+    depreciation: sections.depreciation_amort, financeCosts: sections.finance_cost,
+    totals: {
+      operatingIncome: sum(sections.operating_income), otherIncome: sum(sections.other_income),
+      costOfSales: sum(sections.cost_of_sales), grossProfit, operatingExpenses: sum(sections.operating_expense),
+      depreciation: sum(sections.depreciation_amort), operatingProfit, financeCosts: sum(sections.finance_cost), netProfit,
+    },
+    attributable: { owners: _round2(netProfit - nciProfit), nonControllingInterest: nciProfit },
+  };
+
+  // Balance sheet — NCI shown on its own line, including its profit share
+  const bsEntry = r => ({ id: r.id, code: r.code, name: r.name, type: r.type, balance: r.type === 'asset' ? r.balance : -r.balance });
+  const assets = rows.filter(r => r.type === 'asset').map(bsEntry);
+  const liabilities = rows.filter(r => r.type === 'liability').map(bsEntry);
+  const equity = rows.filter(r => r.type === 'equity' && r.id !== nciAccountId).map(bsEntry);
+  const nciRow = rows.find(r => r.id === nciAccountId);
+  const nonControllingInterest = _round2((nciRow ? -nciRow.balance : 0) + nciProfit);
+  const totalAssets = sum(assets);
+  const totalLiabilities = sum(liabilities);
+  const ownersEquity = _round2(sum(equity) + profitLoss.attributable.owners);
+  const totalEquity = _round2(ownersEquity + nonControllingInterest);
+  const balanceSheet = {
+    assets, liabilities, equity,
+    currentYearEarnings: profitLoss.attributable.owners,
+    nonControllingInterest,
+    totals: { assets: totalAssets, liabilities: totalLiabilities, ownersEquity, equity: totalEquity,
+      liabilitiesAndEquity: _round2(totalLiabilities + totalEquity) },
+    isBalanced: Math.abs(totalAssets - (totalLiabilities + totalEquity)) < 0.01,
+  };
+
+  return { trialBalance, profitLoss, balanceSheet };
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  validateGroupSetup,
+  validateAdjustmentLines,
+  resolveAccountMap,
+  mapMemberBalances,
+  intercompanyEliminations,
+  investmentElimination,
+  nciElimination,
+  adjustmentEntries,
+  buildConsolidatedReports,
+};
@@ -0,0 +1,313 @@
+'use strict';
+
+/**
+ * Customer Invoice Service
+ * ============================================================================
+ * The create-draft and post-to-GL paths for customer invoices, shared by
+ * routes/customer-invoices.js and the recurring-document scheduler so that a
+ * generated invoice is built and booked exactly like a keyed one.
+ *
+ * CRITICAL RULES:
+ *   1. Callers do the tenant and duplicate-number guards before createDraft —
+ *      this service trusts the customer and line account IDs it is given.
+ *   2. Header + lines are written in one pg transaction. No orphan headers.
+ *   3. postToLedger only books a draft with no linked journal. The GL effect
+ *      goes through JournalService (period locks and balance checks apply).
+ *      If the invoice status update fails after the journal posts, the journal
+ *      is reversed so a posted journal never hangs off a draft invoice.
+ *   4. Amounts are in the invoice currency; foreign invoices are converted to
+ *      ZAR at the invoice rate when posting.
+ *
+ * JOURNAL CONVENTION:
+ *   Post:  DR AR(1100) / CR Revenue(line.account_id) / CR VAT Output(2300)
+ * ============================================================================
+ */
+
+const { supabase } = require('../../../config/database');
+const db = require('../config/database'); // direct pg Pool — atomic header + lines
+const JournalService = require('./journalService');
+const AuditLogger = require('./auditLogger');
+const { convertLinesToBase } = require('./fxUtils');
+
+function calcLineVAT(quantity, unitPrice, vatRate, vatInclusive) {
+  const qty     = parseFloat(quantity)  || 1;
+  const price   = parseFloat(unitPrice) || 0;
+  const _parsed = parseFloat(vatRate);
+  const rate    = isNaN(_parsed) ? 15 : _parsed;
+  const entered = Math.round(qty * price * 10000) / 10000;
+
+  let subtotalExVat, vatAmount, totalIncVat;
+  if (vatInclusive) {
+    totalIncVat   = Math.round(entered * 100) / 100;
+    subtotalExVat = Math.round((entered / (1 + rate / 100)) * 100) / 100;
+    vatAmount     = Math.round((totalIncVat - subtotalExVat) * 100) / 100;
+  } else {
+    subtotalExVat = Math.round(entered * 100) / 100;
+    vatAmount     = Math.round((entered * rate / 100) * 100) / 100;
+    totalIncVat   = Math.round((subtotalExVat + vatAmount) * 100) / 100;
+  }
+  return { subtotalExVat, vatAmount, totalIncVat };
+}
+
+/** Request-shape lines → processed lines with VAT split, plus header totals. */
+function processLines(lines, vatInclusive) {
+  const processedLines = (lines || []).map((l, i) => {
+    const { subtotalExVat, vatAmount, totalIncVat } = calcLineVAT(
+      l.quantity, l.unitPrice, l.vatRate != null ? l.vatRate : 15, vatInclusive === true
+    );
+    return {
+      description: l.description || '',
+      accountId:   l.accountId ? parseInt(l.accountId) : null,
+      lineType:    l.lineType === 'item' ? 'item' : 'account',
+      itemId:      l.itemId   ? parseInt(l.itemId)   : null,
+      quantity:    parseFloat(l.quantity) || 1,
+      unitPrice:   parseFloat(l.unitPrice) || 0,
+      vatRate:     l.vatRate != null ? parseFloat(l.vatRate) : 15,
+      subtotalExVat, vatAmount, totalIncVat,
+      sortOrder:   i,
+    };
+  });
+
+  const totals = processedLines.reduce(
+    (acc, l) => ({
+      subtotalExVat: acc.subtotalExVat + l.subtotalExVat,
+      vatAmount:     acc.vatAmount     + l.vatAmount,
+      totalIncVat:   acc.totalIncVat   + l.totalIncVat,
+    }),
+    { subtotalExVat: 0, vatAmount: 0, totalIncVat: 0 }
+  );
+
+  return { processedLines, totals };
+}
+
+class CustomerInvoiceService {
+
+  static async _findAccountByCode(companyId, code) {
+    const { data } = await supabase
+      .from('accounts')
+      .select('id')
+      .eq('company_id', companyId)
+      .eq('code', code)
+      .eq('is_active', true)
+      .maybeSingle();
+    return data?.id || null;
+  }
+
+  /** Next INV-NNNN number when the caller did not supply one. */
+  static async nextInvoiceNumber(companyId) {
+    const { count } = await supabase
+      .from('customer_invoices')
+      .select('id', { count: 'exact', head: true })
+      .eq('company_id', companyId);
+    return `INV-${String((count || 0) + 1).padStart(4, '0')}`;
+  }
+
+  /**
+   * Insert a draft invoice (header + lines) in one transaction.
+   * @param {object} p
+   * @param {object} p.fx  — { currencyCode, exchangeRate } from FxService.resolveDocumentRate
+   * @returns {Promise<{ invoice, processedLines, totals }>}
+   */
+  static async createDraft({
+    companyId, customerId, invoiceNumber, invoiceDate, dueDate,
+    vatInclusive, notes, lines, fx, userId,
+  }) {
+    const { processedLines, totals } = processLines(lines, vatInclusive);
+    const invNum = invoiceNumber || await CustomerInvoiceService.nextInvoiceNumber(companyId);
+
+    const dbClient = await db.getClient();
+    let invoice;
+    try {
+      await dbClient.query('BEGIN');
+
+      const hdrResult = await dbClient.query(
+        `INSERT INTO customer_invoices
+           (company_id, customer_id, invoice_number, date, due_date, status, vat_mode,
+            subtotal, vat_amount, total_amount, amount_paid, balance_due, notes, created_by,
+            currency_code, exchange_rate)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
+         RETURNING *`,
+        [
+          companyId,
+          customerId,
+          invNum,
+          invoiceDate,
+          dueDate || null,
+          'draft',
+          vatInclusive === true ? 'inclusive' : 'exclusive',
+          totals.subtotalExVat,
+          totals.vatAmount,
+          totals.totalIncVat,
+          0,
+          totals.totalIncVat,
+          notes || null,
+          userId,
+          fx.currencyCode,
+          fx.exchangeRate,
+        ]
+      );
+      invoice = hdrResult.rows[0];
+
+      // Bulk-insert all lines in one statement. line_total is the ex-VAT
+      // extended amount (quantity x unit_price) -- there's no separate
+      // subtotal_ex_vat/vat_amount/total_inc_vat/sort_order per line in the
+      // real schema, only the invoice header carries those totals.
+      const lineVals = [];
+      const lineParams = [];
+      let p = 1;
+      for (const l of processedLines) {
+        lineVals.push(`($${p++},$${p++},$${p++},$${p++},$${p++},$${p++},$${p++},$${p++},$${p++})`);
+        lineParams.push(
+          invoice.id, l.description, l.accountId || null, l.lineType, l.itemId || null,
+          l.quantity, l.unitPrice, l.vatRate, l.subtotalExVat
+        );
+      }
+      await dbClient.query(
+        `INSERT INTO customer_invoice_lines
+           (invoice_id, description, account_id, line_type, item_id, quantity, unit_price,
+            vat_rate, line_total)
+         VALUES ${lineVals.join(',')}`,
+        lineParams
+      );
+
+      await dbClient.query('COMMIT');
+    } catch (txErr) {
+      await dbClient.query('ROLLBACK');
+      throw txErr;
+    } finally {
+      dbClient.release();
+    }
+
+    return { invoice, processedLines, totals };
+  }
+
+  /**
+   * Book a draft invoice to the GL and mark it 'sent'.
+   * `invoice` is the customer_invoices row with customer_name attached; the
+   * caller has already checked it is a draft with no journal_id.
+   * Missing AR / VAT accounts throw with statusCode 422.
+   * @returns {Promise<{ journalId: number }>}
+   */
+  static async postToLedger({ companyId, invoice, userId, ipAddress = null, userAgent = null }) {
+    const { data: lines, error: linesErr } = await supabase
+      .from('customer_invoice_lines')
+      .select('*')
+      .eq('invoice_id', invoice.id)
+      .order('id');
+    if (linesErr) throw new Error(linesErr.message);
+
+    const arAccountId = await CustomerInvoiceService._findAccountByCode(companyId, '1100');
+    if (!arAccountId) {
+      const err = new Error('Accounts Receivable account (code 1100) not found in chart of accounts. Please provision a base chart of accounts first.');
+      err.statusCode = 422;
+      throw err;
+    }
+
+    const glLines = [];
+
+    // DR AR — full invoice amount
+    glLines.push({
+      accountId:   arAccountId,
+      debit:       parseFloat(invoice.total_amount),
+      credit:      0,
+      description: `AR: ${invoice.customer_name} ${invoice.invoice_number}`,
+    });
+
+    // CR Revenue lines (line_total is the ex-VAT extended amount)
+    for (const l of (lines || [])) {
+      if (l && l.account_id && parseFloat(l.line_total) > 0) {
+        glLines.push({
+          accountId:   l.account_id,
+          debit:       0,
+          credit:      parseFloat(l.line_total),
+          description: l.description || 'Revenue',
+        });
+      }
+    }
+
+    // CR VAT Output (2300) if any VAT — account must exist; missing account is an explicit error
+    const totalVat = parseFloat(invoice.vat_amount) || 0;
+    if (totalVat > 0) {
+      const vatOutputId = await CustomerInvoiceService._findAccountByCode(companyId, '2300');
+      if (!vatOutputId) {
+        const err = new Error('VAT Output account (code 2300) not found. Please provision the base chart of accounts before posting VAT-bearing customer invoices.');
+        err.statusCode = 422;
+        throw err;
+      }
+      glLines.push({
+        accountId:   vatOutputId,
+        debit:       0,
+        credit:      totalVat,
+        description: 'VAT Output (Payable)',
+      });
+    }
+
+    // Foreign invoice: lines above are in the invoice currency — book them in ZAR
+    const currencyCode = invoice.currency_code || 'ZAR';
+    const exchangeRate = parseFloat(invoice.exchange_rate) || 1;
+
+    // Create + post journal
+    const glJournal = await JournalService.createDraftJournal({
+      companyId,
+      date:             invoice.date,
+      reference:        invoice.invoice_number,
+      description:      `AR Invoice: ${invoice.customer_name}`,
+      sourceType:       'customer_invoice',
+      createdByUserId:  userId,
+      lines:            currencyCode === 'ZAR' ? glLines : convertLinesToBase(glLines, exchangeRate),
+      currencyCode,
+      exchangeRate,
+    });
+    await JournalService.postJournal(glJournal.id, companyId, userId);
+
+    // Update invoice: status → 'sent', store journal_id
+    const { error: updErr } = await supabase
+      .from('customer_invoices')
+      .update({ status: 'sent', journal_id: glJournal.id, updated_at: new Date().toISOString() })
+      .eq('id', invoice.id)
+      .eq('company_id', companyId);
+
+    if (updErr) {
+      // GL posted but invoice status update failed.
+      // Reverse the journal immediately — a posted journal must not remain linked to a draft invoice.
+      try {
+        await JournalService.reverseJournal(
+          glJournal.id, companyId, userId,
+          `Auto-reversal: invoice ${invoice.id} status update failed after GL post`
+        );
+      } catch (revErr) {
+        console.error(`[CustomerAR] CRITICAL: journal ${glJournal.id} posted for invoice ${invoice.id}, status update failed, AND reversal failed:`, revErr.message);
+        await AuditLogger.log({
+          companyId,
+          actorType: 'SYSTEM', actorId: userId,
+          actionType: 'CUSTOMER_INVOICE_POST_FAILED_REVERSAL_FAILED',
+          entityType: 'CUSTOMER_INVOICE', entityId: invoice.id,
+          beforeJson: { status: 'draft' },
+          afterJson: { invoiceId: invoice.id, journalId: glJournal.id, updateError: updErr.message, reversalError: revErr.message },
+          reason: `CRITICAL: Invoice post failed AND reversal failed. Journal ${glJournal.id} may be dangling. Manual investigation required.`,
+          ipAddress, userAgent,
+        });
+        const err = new Error('Invoice posting failed after GL journal creation and automatic reversal failed. Manual investigation required.');
+        err.journalId = glJournal.id;
+        throw err;
+      }
+      await AuditLogger.log({
+        companyId,
+        actorType: 'SYSTEM', actorId: userId,
+        actionType: 'CUSTOMER_INVOICE_POST_FAILED_REVERSED',
+        entityType: 'CUSTOMER_INVOICE', entityId: invoice.id,
+        beforeJson: { status: 'draft' },
+        afterJson: { invoiceId: invoice.id, journalId: glJournal.id, updateError: updErr.message, reversalResult: 'reversed' },
+        reason: `Invoice post failed after GL creation. Journal ${glJournal.id} reversed. Invoice remains draft.`,
+        ipAddress, userAgent,
+      });
+      throw new Error('Invoice posting failed after GL journal creation. The journal was reversed to prevent double posting. Please retry.');
+    }
+
+    return { journalId: glJournal.id };
+  }
+}
+
+module.exports = CustomerInvoiceService;
+module.exports.calcLineVAT = calcLineVAT;
+module.exports.processLines = processLines;
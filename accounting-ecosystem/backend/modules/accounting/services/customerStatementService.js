@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * Customer Statement Service
+ * ============================================================================
+ * Loads a customer's invoices, payments, allocations and credit notes and
+ * hands them to statementUtils.js to build an open-item or balance-forward
+ * statement; statementPdf.js renders the result.
+ *
+ * CRITICAL RULES:
+ *   1. Read-only. Statements never change balances or invoice status.
+ *   2. Draft, void and cancelled invoices, reversed payments (and their
+ *      allocations) and unposted credit notes are excluded.
+ *   3. One statement per currency — documents in other currencies are left
+ *      out rather than mixed into the totals.
+ *   4. All queries are scoped to companyId server-side.
+ * ============================================================================
+ */
+
+const db = require('../config/database'); // direct pg Pool — joined reads
+const { STYLES, buildOpenItemStatement, buildBalanceForwardStatement } = require('./statementUtils');
+const { renderStatementPdf } = require('./statementPdf');
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+function _today() { return new Date().toISOString().slice(0, 10); }
+
+function _firstOfMonth(dateStr) { return `${String(dateStr).slice(0, 7)}-01`; }
+
+class CustomerStatementService {
+
+  static async getCompany(companyId) {
+    const result = await db.query(
+      `SELECT id, company_name, trading_name, vat_number, contact_email, contact_phone, address
+         FROM companies WHERE id = $1`,
+      [companyId]
+    );
+    return result.rows[0] || { id: companyId };
+  }
+
+  static async getCustomer(companyId, customerId) {
+    const result = await db.query(
+      `SELECT id, name, email, phone, address_line_1, address_line_2, city, postal_code,
+              credit_limit, current_balance, credit_hold, credit_hold_reason, credit_hold_at
+         FROM customers WHERE id = $1 AND company_id = $2`,
+      [customerId, companyId]
+    );
+    if (!result.rows.length) throw serviceError(404, 'Customer not found.');
+    return result.rows[0];
+  }
+
+  /** Source documents for one customer in one currency, in statementUtils shape. */
+  static async _loadDocuments(companyId, customerId, currencyCode) {
+    const [invoices, payments, allocations, creditNotes] = await Promise.all([
+      db.query(
+        `SELECT id, invoice_number, date::text AS date, due_date::text AS due_date, total_amount
+           FROM customer_invoices
+          WHERE company_id = $1 AND customer_id = $2 AND currency_code = $3
+            AND status NOT IN ('draft','void','cancelled')`,
+        [companyId, customerId, currencyCode]
+      ),
+      db.query(
+        `SELECT id, payment_date::text AS payment_date, reference, amount
+           FROM customer_payments
+          WHERE company_id = $1 AND customer_id = $2 AND currency_code = $3
+            AND COALESCE(is_reversed, false) = false`,
+        [companyId, customerId, currencyCode]
+      ),
+      db.query(
+        `SELECT a.payment_id, a.invoice_id, a.amount_applied, p.payment_date::text AS payment_date
+           FROM customer_payment_allocations a
+           JOIN customer_payments p ON p.id = a.payment_id
+          WHERE p.company_id = $1 AND p.customer_id = $2 AND p.currency_code = $3
+            AND COALESCE(p.is_reversed, false) = false`,
+        [companyId, customerId, currencyCode]
+      ),
+      // Credit notes carry no currency — they are issued in the base currency
+      currencyCode === 'ZAR'
+        ? db.query(
+          `SELECT id, credit_note_number, credit_note_date::text AS credit_note_date, total_inc_vat
+             FROM customer_credit_notes
+            WHERE company_id = $1 AND customer_id = $2 AND status = 'posted'`,
+          [companyId, customerId]
+        )
+        : { rows: [] },
+    ]);
+
+    return {
+      invoices: invoices.rows.map(i => ({
+        id: i.id, number: i.invoice_number, date: i.date, dueDate: i.due_date, total: parseFloat(i.total_amount),
+      })),
+      payments: payments.rows.map(p => ({
+        id: p.id, date: p.payment_date, reference: p.reference, amount: parseFloat(p.amount),
+      })),
+      allocations: allocations.rows.map(a => ({
+        invoiceId: a.invoice_id, paymentId: a.payment_id, amount: parseFloat(a.amount_applied), paymentDate: a.payment_date,
+      })),
+      creditNotes: creditNotes.rows.map(c => ({
+        id: c.id, number: c.credit_note_number, date: c.credit_note_date, total: parseFloat(c.total_inc_vat),
+      })),
+    };
+  }
+
+  /**
+   * Build a statement.
+   * @param {object} p
+   * @param {string} [p.style]    — 'open_item' (default) | 'balance_forward'
+   * @param {string} [p.asOfDate] — open_item statement date (default today)
+   * @param {string} [p.fromDate] — balance_forward start (default first of toDate's month)
+   * @param {string} [p.toDate]   — balance_forward end (default today)
+   * @returns {Promise<{ company, customer, currencyCode, statement }>}
+   */
+  static async getStatement({ companyId, customerId, style = 'open_item', asOfDate, fromDate, toDate, currencyCode = 'ZAR' }) {
+    if (!STYLES.includes(style)) throw serviceError(400, `style must be one of: ${STYLES.join(', ')}`);
+    const ccy = String(currencyCode || 'ZAR').toUpperCase();
+
+    const [company, customer] = await Promise.all([
+      CustomerStatementService.getCompany(companyId),
+      CustomerStatementService.getCustomer(companyId, customerId),
+    ]);
+    const docs = await CustomerStatementService._loadDocuments(companyId, customer.id, ccy);
+
+    let statement;
+    if (style === 'balance_forward') {
+      const to   = toDate || _today();
+      const from = fromDate || _firstOfMonth(to);
+      if (from > to) throw serviceError(400, 'fromDate must be on or before toDate');
+      statement = buildBalanceForwardStatement({ ...docs, fromDate: from, toDate: to });
+    } else {
+      statement = buildOpenItemStatement({ ...docs, asOfDate: asOfDate || _today() });
+    }
+    return { company, customer, currencyCode: ccy, statement };
+  }
+
+  /** Same as getStatement, rendered to PDF. */
+  static async getStatementPdf(params) {
+    const data = await CustomerStatementService.getStatement(params);
+    const pdf = await renderStatementPdf(data);
+    return { ...data, pdf };
+  }
+
+  /**
+   * Record that a statement was sent, in the customer's contact log.
+   * @returns {Promise<object>} the contact log row
+   */
+  static async logStatementSent({ companyId, customerId, statement, userId }) {
+    const label = statement.style === 'balance_forward'
+      ? `${statement.fromDate} to ${statement.toDate}`
+      : `as at ${statement.asOfDate}`;
+    const result = await db.query(
+      `INSERT INTO customer_contact_log
+         (company_id, customer_id, contact_type, subject, notes, created_by_user_id)
+       VALUES ($1,$2,'statement',$3,$4,$5)
+       RETURNING *`,
+      [companyId, customerId, `Statement ${label}`, `Closing balance ${statement.closingBalance}`, userId]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = CustomerStatementService;
@@ -0,0 +1,221 @@
+'use strict';
+
+/**
+ * depreciationUtils.js
+ * Pure fixed-asset depreciation maths — no DB access, fully testable.
+ *
+ * Book depreciation (accounting policy, per asset):
+ *   straight_line     — (cost − residual) / useful_life_months per month
+ *   reducing_balance  — carrying amount × annual rate / 12 per month
+ *   Both are floored so the carrying amount never drops below residual value.
+ *
+ * Tax allowance (SARS s11(e) wear-and-tear):
+ *   tax_cost / write-off period (years) per year, apportioned per month and
+ *   for the part of the month the asset was in use (Interpretation Note 47).
+ *   Capped at the remaining tax value. No residual value for tax.
+ *
+ * Part-months: the first month is apportioned by days from the
+ * available-for-use date. Disposals apportion the final month up to the
+ * disposal date.
+ */
+
+// ─── Internal helpers ────────────────────────────────────────────────────────
+
+function _pad(n) { return String(n).padStart(2, '0'); }
+
+function _round2(n) { return Math.round(n * 100) / 100; }
+
+function _toUTC(dateStr) { return new Date(String(dateStr).slice(0, 10) + 'T00:00:00Z'); }
+
+/** Inclusive day count between two YYYY-MM-DD dates. */
+function _daysInclusive(fromDate, toDate) {
+  return Math.round((_toUTC(toDate) - _toUTC(fromDate)) / 86400000) + 1;
+}
+
+// ─── Periods ─────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve a 'YYYY-MM' period key into its first and last day.
+ * Returns null for a malformed key.
+ */
+function monthPeriod(periodKey) {
+  const m = /^(\d{4})-(\d{2})$/.exec(String(periodKey || ''));
+  if (!m) return null;
+  const year  = parseInt(m[1], 10);
+  const month = parseInt(m[2], 10);
+  if (month < 1 || month > 12) return null;
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return {
+    periodKey,
+    fromDate: `${year}-${_pad(month)}-01`,
+    toDate:   `${year}-${_pad(month)}-${_pad(lastDay)}`,
+  };
+}
+
+/**
+ * Fraction of [fromDate, toDate] during which the asset was in use.
+ * 0 when the asset only becomes available after the period, 1 for a full period.
+ */
+function inUseFraction(availableDate, fromDate, toDate, endDate = null) {
+  const start = availableDate && availableDate > fromDate ? availableDate : fromDate;
+  const end   = endDate && endDate < toDate ? endDate : toDate;
+  if (start > end) return 0;
+  return _daysInclusive(start, end) / _daysInclusive(fromDate, toDate);
+}
+
+// ─── Book depreciation ───────────────────────────────────────────────────────
+
+/**
+ * Book depreciation for one period.
+ *
+ * @param {object} asset  — { cost, residual_value, method, useful_life_months,
+ *                            reducing_rate, available_for_use_date }
+ * @param {object} opts   — { fromDate, toDate, accumulated, endDate }
+ *   accumulated — accumulated depreciation at the start of the period
+ *   endDate     — optional cut-off inside the period (disposal date)
+ * @returns {number} depreciation for the period, rounded to cents
+ */
+function bookDepreciationForPeriod(asset, { fromDate, toDate, accumulated = 0, endDate = null }) {
+  const cost     = parseFloat(asset.cost) || 0;
+  const residual = parseFloat(asset.residual_value) || 0;
+  const opening  = parseFloat(accumulated) || 0;
+  const remaining = _round2(cost - residual - opening);
+  if (remaining <= 0) return 0;
+
+  const fraction = inUseFraction(asset.available_for_use_date, fromDate, toDate, endDate);
+  if (fraction <= 0) return 0;
+
+  let amount = 0;
+  if (asset.method === 'reducing_balance') {
+    const rate = parseFloat(asset.reducing_rate) || 0;
+    amount = (cost - opening) * (rate / 100) / 12 * fraction;
+  } else {
+    const life = parseInt(asset.useful_life_months, 10) || 0;
+    if (life <= 0) return 0;
+    amount = (cost - residual) / life * fraction;
+  }
+
+  return _round2(Math.min(Math.max(amount, 0), remaining));
+}
+
+// ─── Tax allowance (s11(e)) ──────────────────────────────────────────────────
+
+/**
+ * s11(e) wear-and-tear allowance for one period.
+ *
+ * @param {object} asset  — { cost, tax_cost, tax_write_off_years, available_for_use_date }
+ * @param {object} opts   — { fromDate, toDate, claimed, endDate }
+ *   claimed — allowance claimed before this period
+ * @returns {number} allowance for the period, rounded to cents
+ */
+function taxAllowanceForPeriod(asset, { fromDate, toDate, claimed = 0, endDate = null }) {
+  const years = parseFloat(asset.tax_write_off_years) || 0;
+  if (years <= 0) return 0;
+
+  const taxCost   = taxCostOf(asset);
+  const remaining = _round2(taxCost - (parseFloat(claimed) || 0));
+  if (remaining <= 0) return 0;
+
+  const fraction = inUseFraction(asset.available_for_use_date, fromDate, toDate, endDate);
+  if (fraction <= 0) return 0;
+
+  const amount = taxCost / years / 12 * fraction;
+  return _round2(Math.min(amount, remaining));
+}
+
+function taxCostOf(asset) {
+  return asset.tax_cost != null ? parseFloat(asset.tax_cost) || 0 : parseFloat(asset.cost) || 0;
+}
+
+// ─── Combined period line ────────────────────────────────────────────────────
+
+/**
+ * Build the per-asset line for a depreciation run: opening/closing book value
+ * and tax value for the period. Pure — the caller persists the result.
+ */
+function buildRunLine(asset, { fromDate, toDate, endDate = null }) {
+  const cost        = parseFloat(asset.cost) || 0;
+  const accumulated = parseFloat(asset.accumulated_depreciation) || 0;
+  const claimed     = parseFloat(asset.tax_allowance_claimed) || 0;
+  const taxCost     = taxCostOf(asset);
+
+  const bookDep = bookDepreciationForPeriod(asset, { fromDate, toDate, accumulated, endDate });
+  const taxDep  = taxAllowanceForPeriod(asset, { fromDate, toDate, claimed, endDate });
+
+  return {
+    assetId:          asset.id,
+    openingBookValue: _round2(cost - accumulated),
+    bookDepreciation: bookDep,
+    closingBookValue: _round2(cost - accumulated - bookDep),
+    openingTaxValue:  _round2(taxCost - claimed),
+    taxAllowance:     taxDep,
+    closingTaxValue:  _round2(taxCost - claimed - taxDep),
+  };
+}
+
+/**
+ * True once the carrying amount has reached residual value.
+ */
+function isFullyDepreciated(asset, accumulated) {
+  const cost     = parseFloat(asset.cost) || 0;
+  const residual = parseFloat(asset.residual_value) || 0;
+  return _round2(cost - residual - (parseFloat(accumulated) || 0)) <= 0;
+}
+
+/**
+ * True once there is nothing left to charge on either side — the carrying
+ * amount is at residual value and no s11(e) allowance remains (tax value nil,
+ * or no write-off period). A book life shorter than the tax life keeps the
+ * asset in the monthly run for the tax allowance alone.
+ */
+function isFullyWrittenOff(asset, accumulated, claimed) {
+  if (!isFullyDepreciated(asset, accumulated)) return false;
+  const years = parseFloat(asset.tax_write_off_years) || 0;
+  if (years <= 0) return true;
+  return _round2(taxCostOf(asset) - (parseFloat(claimed) || 0)) <= 0;
+}
+
+// ─── Disposal ────────────────────────────────────────────────────────────────
+
+/**
+ * Book and tax outcome of disposing an asset.
+ *
+ * Book:  profit = proceeds − carrying amount (negative = loss)
+ * Tax:   recoupment s8(4)(a)  = min(proceeds, tax cost) − tax value, if positive
+ *        scrapping   s11(o)   = tax value − proceeds, if positive
+ *
+ * @param {object} p — { cost, accumulated, proceeds, taxCost, taxClaimed }
+ */
+function disposalOutcome({ cost, accumulated, proceeds, taxCost, taxClaimed }) {
+  const c  = parseFloat(cost) || 0;
+  const a  = parseFloat(accumulated) || 0;
+  const pr = parseFloat(proceeds) || 0;
+  const tc = taxCost != null ? parseFloat(taxCost) || 0 : c;
+  const tv = _round2(tc - (parseFloat(taxClaimed) || 0));
+
+  const carryingAmount = _round2(c - a);
+  const recoupment     = _round2(Math.max(Math.min(pr, tc) - tv, 0));
+  const scrapping      = _round2(Math.max(tv - pr, 0));
+
+  return {
+    carryingAmount,
+    profit:            _round2(pr - carryingAmount),
+    taxValue:          tv,
+    taxRecoupment:     recoupment,
+    scrappingAllowance: scrapping,
+  };
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  monthPeriod,
+  inUseFraction,
+  bookDepreciationForPeriod,
+  taxAllowanceForPeriod,
+  taxCostOf,
+  buildRunLine,
+  isFullyDepreciated,
+  isFullyWrittenOff,
+  disposalOutcome,
+};
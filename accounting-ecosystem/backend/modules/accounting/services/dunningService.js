@@ -0,0 +1,585 @@
+'use strict';
+
+/**
+ * Dunning Service
+ * ============================================================================
+ * Configurable collection stages, dunning runs, the customer contact log and
+ * credit hold.
+ *
+ *   run:     plan (dunningUtils) → letters + contact log + escalation + holds
+ *            in one transaction → interest invoices through the normal
+ *            invoice create/post path
+ *   hold:    customers.credit_hold — set by a stage or by hand, released by hand
+ *
+ * CRITICAL RULES:
+ *   1. Which invoices escalate, to which stage, and how much interest is due
+ *      is decided by dunningUtils.planDunning (pure) — this service only
+ *      loads, persists and books.
+ *   2. Runs are serialised per company (advisory transaction lock) and the
+ *      plan is built inside that transaction, so two concurrent runs cannot
+ *      send the same letter twice.
+ *   3. Letters, contact log entries, invoice dunning levels and credit holds
+ *      commit together — a letter on file always means the invoices moved.
+ *   4. Interest is a separate zero-VAT invoice created with
+ *      CustomerInvoiceService.createDraft + postToLedger after the letters
+ *      commit. If it cannot be booked (locked period, missing account) the
+ *      letter stands, the failure is returned as a warning and
+ *      interest_charged_to is left alone so the next run charges it.
+ *   5. All queries and mutations are scoped to companyId server-side.
+ * ============================================================================
+ */
+
+const db = require('../config/database'); // direct pg Pool — run transaction
+const CustomerInvoiceService = require('./customerInvoiceService');
+const CustomerStatementService = require('./customerStatementService');
+const FxService = require('./fxService');
+const AuditLogger = require('./auditLogger');
+const { DEFAULT_STAGES, validateStages, planDunning, renderLetter } = require('./dunningUtils');
+const { renderLetterPdf } = require('./statementPdf');
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+const INTEREST_ACCOUNT_CODE = '4500'; // Interest Received
+const CONTACT_TYPES = ['phone', 'email', 'meeting', 'note'];
+
+// Advisory lock namespace for dunning runs (arbitrary, fixed)
+const RUN_LOCK_KEY = 7306;
+
+function _today() { return new Date().toISOString().slice(0, 10); }
+
+const STAGE_COLUMNS = `
+  id, company_id, level, name, days_overdue, letter_subject, letter_body,
+  charge_interest, interest_rate_annual, interest_account_id, apply_credit_hold,
+  min_overdue_amount, is_active, created_at, updated_at`;
+
+const LETTER_COLUMNS = `
+  l.id, l.run_id, l.customer_id, c.name AS customer_name, l.stage_id, l.level, l.stage_name,
+  l.letter_date::text AS letter_date, l.currency_code, l.subject, l.body, l.overdue_total,
+  l.invoices, l.interest_invoice_id, l.credit_hold_applied, l.created_at`;
+
+/** dunning_stages row → the stage shape dunningUtils expects. */
+function _stage(row) {
+  return {
+    id:                 row.id,
+    level:              row.level,
+    name:               row.name,
+    daysOverdue:        row.days_overdue,
+    letterSubject:      row.letter_subject,
+    letterBody:         row.letter_body,
+    chargeInterest:     row.charge_interest,
+    interestRateAnnual: parseFloat(row.interest_rate_annual) || 0,
+    interestAccountId:  row.interest_account_id,
+    applyCreditHold:    row.apply_credit_hold,
+    minOverdueAmount:   parseFloat(row.min_overdue_amount) || 0,
+  };
+}
+
+class DunningService {
+
+  // ── Stages ────────────────────────────────────────────────────────────────
+
+  static async listStages({ companyId, activeOnly = false }) {
+    const result = await db.query(
+      `SELECT ${STAGE_COLUMNS} FROM dunning_stages
+        WHERE company_id = $1 ${activeOnly ? 'AND is_active = true' : ''}
+        ORDER BY level`,
+      [companyId]
+    );
+    return result.rows;
+  }
+
+  static async _getStage(companyId, stageId) {
+    const result = await db.query(
+      `SELECT ${STAGE_COLUMNS} FROM dunning_stages WHERE id = $1 AND company_id = $2`,
+      [stageId, companyId]
+    );
+    if (!result.rows.length) throw serviceError(404, 'Dunning stage not found.');
+    return result.rows[0];
+  }
+
+  /** Reject a change that would leave the active stages out of order. */
+  static async _assertStageSet(companyId, candidate, replacingId = null) {
+    const current = (await DunningService.listStages({ companyId, activeOnly: true }))
+      .filter(s => s.id !== replacingId)
+      .map(_stage);
+    const stages = candidate.isActive === false ? current : [...current, candidate];
+    const errors = validateStages(stages);
+    if (errors.length) throw serviceError(400, `Invalid dunning stages: ${errors.join('; ')}`);
+
+    if (candidate.interestAccountId) {
+      const acc = await db.query(
+        `SELECT id FROM accounts WHERE id = $1 AND company_id = $2`,
+        [candidate.interestAccountId, companyId]
+      );
+      if (!acc.rows.length) throw serviceError(404, 'Interest account not found for this company.');
+    }
+  }
+
+  static _normaliseStage(input, existing = null) {
+    const pick = (key, col, fallback) =>
+      (input[key] !== undefined ? input[key] : (existing ? existing[col] : fallback));
+    const s = {
+      level:              parseInt(pick('level', 'level'), 10),
+      name:               String(pick('name', 'name', '') || '').trim(),
+      daysOverdue:        parseInt(pick('daysOverdue', 'days_overdue'), 10),
+      letterSubject:      pick('letterSubject', 'letter_subject', ''),
+      letterBody:         pick('letterBody', 'letter_body', ''),
+      chargeInterest:     pick('chargeInterest', 'charge_interest', false) === true,
+      interestRateAnnual: parseFloat(pick('interestRateAnnual', 'interest_rate_annual', 0)) || 0,
+      interestAccountId:  pick('interestAccountId', 'interest_account_id', null)
+        ? parseInt(pick('interestAccountId', 'interest_account_id'), 10) : null,
+      applyCreditHold:    pick('applyCreditHold', 'apply_credit_hold', false) === true,
+      minOverdueAmount:   parseFloat(pick('minOverdueAmount', 'min_overdue_amount', 0)) || 0,
+      isActive:           pick('isActive', 'is_active', true) !== false,
+    };
+    const errors = [];
+    if (!s.name) errors.push('name is required');
+    if (!String(s.letterSubject || '').trim()) errors.push('letterSubject is required');
+    if (!String(s.letterBody || '').trim()) errors.push('letterBody is required');
+    if (errors.length) throw serviceError(400, `Invalid dunning stages: ${errors.join('; ')}`);
+    return s;
+  }
+
+  static async createStage({ companyId, input }) {
+    const s = DunningService._normaliseStage(input || {});
+    await DunningService._assertStageSet(companyId, s);
+    const result = await db.query(
+      `INSERT INTO dunning_stages
+         (company_id, level, name, days_overdue, letter_subject, letter_body, charge_interest,
+          interest_rate_annual, interest_account_id, apply_credit_hold, min_overdue_amount, is_active)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+       RETURNING ${STAGE_COLUMNS}`,
+      [companyId, s.level, s.name, s.daysOverdue, s.letterSubject, s.letterBody, s.chargeInterest,
+        s.interestRateAnnual, s.interestAccountId, s.applyCreditHold, s.minOverdueAmount, s.isActive]
+    );
+    return result.rows[0];
+  }
+
+  static async updateStage({ companyId, stageId, input }) {
+    const existing = await DunningService._getStage(companyId, stageId);
+    const s = DunningService._normaliseStage(input || {}, existing);
+    await DunningService._assertStageSet(companyId, s, existing.id);
+    const result = await db.query(
+      `UPDATE dunning_stages
+          SET level = $3, name = $4, days_overdue = $5, letter_subject = $6, letter_body = $7,
+              charge_interest = $8, interest_rate_annual = $9, interest_account_id = $10,
+              apply_credit_hold = $11, min_overdue_amount = $12, is_active = $13, updated_at = NOW()
+        WHERE id = $1 AND company_id = $2
+        RETURNING ${STAGE_COLUMNS}`,
+      [stageId, companyId, s.level, s.name, s.daysOverdue, s.letterSubject, s.letterBody,
+        s.chargeInterest, s.interestRateAnnual, s.interestAccountId, s.applyCreditHold,
+        s.minOverdueAmount, s.isActive]
+    );
+    return result.rows[0];
+  }
+
+  /** Stages that already produced letters are kept for history — deactivate them instead. */
+  static async deleteStage({ companyId, stageId }) {
+    const stage = await DunningService._getStage(companyId, stageId);
+    const used = await db.query(`SELECT COUNT(*)::int AS n FROM dunning_letters WHERE stage_id = $1`, [stageId]);
+    if (used.rows[0].n > 0) {
+      throw serviceError(409, 'Stage has produced letters and cannot be deleted — deactivate it instead.');
+    }
+    await db.query(`DELETE FROM dunning_stages WHERE id = $1 AND company_id = $2`, [stageId, companyId]);
+    return stage;
+  }
+
+  /** Seed the 7 / 30 / 60 day defaults. Only for a company with no stages yet. */
+  static async installDefaultStages({ companyId }) {
+    const existing = await DunningService.listStages({ companyId });
+    if (existing.length) throw serviceError(409, 'Dunning stages already exist for this company.');
+    for (const s of DEFAULT_STAGES) {
+      await DunningService.createStage({ companyId, input: s });
+    }
+    return DunningService.listStages({ companyId });
+  }
+
+  // ── Planning ──────────────────────────────────────────────────────────────
+
+  /**
+   * Load stages, open invoices and hold flags, and plan the run.
+   * @param {object} q — pg client or pool (the run passes its transaction client)
+   */
+  static async _plan(q, { companyId, asOfDate, customerId = null }) {
+    const stagesResult = await q.query(
+      `SELECT ${STAGE_COLUMNS} FROM dunning_stages WHERE company_id = $1 AND is_active = true ORDER BY level`,
+      [companyId]
+    );
+    if (!stagesResult.rows.length) {
+      throw serviceError(409, 'No active dunning stages are configured — add stages or install the defaults first.');
+    }
+    const stages = stagesResult.rows.map(_stage);
+
+    const params = [companyId, asOfDate];
+    let customerFilter = '';
+    if (customerId) { params.push(customerId); customerFilter = `AND i.customer_id = $${params.length}`; }
+    const invoicesResult = await q.query(
+      `SELECT i.id, i.customer_id, c.name AS customer_name, c.credit_hold, i.invoice_number,
+              i.due_date::text AS due_date, i.total_amount, i.amount_paid, i.dunning_level,
+              i.interest_charged_to::text AS interest_charged_to, i.currency_code, i.is_interest_charge
+         FROM customer_invoices i
+         JOIN customers c ON c.id = i.customer_id AND c.company_id = i.company_id
+        WHERE i.company_id = $1
+          AND i.status NOT IN ('draft','void','cancelled','paid')
+          AND i.due_date < $2
+          AND i.total_amount - COALESCE(i.amount_paid, 0) > 0.005
+          ${customerFilter}`,
+      params
+    );
+
+    const customers = {};
+    const invoices = invoicesResult.rows.map(r => {
+      customers[r.customer_id] = { creditHold: r.credit_hold === true };
+      return {
+        id:                r.id,
+        customerId:        r.customer_id,
+        customerName:      r.customer_name,
+        number:            r.invoice_number,
+        dueDate:           r.due_date,
+        outstanding:       parseFloat(r.total_amount) - (parseFloat(r.amount_paid) || 0),
+        dunningLevel:      r.dunning_level || 0,
+        interestChargedTo: r.interest_charged_to,
+        currencyCode:      r.currency_code || 'ZAR',
+        isInterestCharge:  r.is_interest_charge === true,
+      };
+    });
+
+    const plan = planDunning({ stages, invoices, customers, asOfDate });
+    return { stages, plan };
+  }
+
+  /** Letter subject and body for a planned letter. */
+  static _render(letter, stage, companyName, asOfDate) {
+    const ctx = { letter, companyName, letterDate: asOfDate };
+    return {
+      subject: renderLetter(stage.letterSubject, ctx),
+      body:    renderLetter(stage.letterBody, ctx),
+    };
+  }
+
+  /** What a run on asOfDate would do — nothing is written. */
+  static async preview({ companyId, asOfDate = _today(), customerId = null }) {
+    const company = await CustomerStatementService.getCompany(companyId);
+    const { stages, plan } = await DunningService._plan(db, { companyId, asOfDate, customerId });
+    const companyName = company.trading_name || company.company_name;
+    return {
+      asOfDate,
+      letters: plan.letters.map(l => ({
+        ...l,
+        ...DunningService._render(l, stages.find(s => s.id === l.stage.id), companyName, asOfDate),
+      })),
+      skipped: plan.skipped,
+    };
+  }
+
+  // ── Running ───────────────────────────────────────────────────────────────
+
+  /**
+   * Execute a dunning run.
+   * @returns {Promise<{ run, letters, skipped, warnings }>}
+   */
+  static async run({ companyId, asOfDate = _today(), customerId = null, userId }) {
+    const company = await CustomerStatementService.getCompany(companyId);
+    const companyName = company.trading_name || company.company_name;
+
+    const client = await db.getClient();
+    let run;
+    let stages;
+    let plan;
+    const letters = [];
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1, $2)', [RUN_LOCK_KEY, companyId]);
+      ({ stages, plan } = await DunningService._plan(client, { companyId, asOfDate, customerId }));
+
+      const runResult = await client.query(
+        `INSERT INTO dunning_runs (company_id, run_date, letters_count, holds_placed, created_by_user_id)
+         VALUES ($1,$2,$3,$4,$5)
+         RETURNING id, company_id, run_date::text AS run_date, letters_count, interest_total,
+                   holds_placed, created_by_user_id, created_at`,
+        [companyId, asOfDate, plan.letters.length, plan.letters.filter(l => l.applyCreditHold).length, userId]
+      );
+      run = runResult.rows[0];
+
+      for (const planned of plan.letters) {
+        const stage = stages.find(s => s.id === planned.stage.id);
+        const { subject, body } = DunningService._render(planned, stage, companyName, asOfDate);
+
+        const letterResult = await client.query(
+          `INSERT INTO dunning_letters
+             (company_id, run_id, customer_id, stage_id, level, stage_name, letter_date, currency_code,
+              subject, body, overdue_total, invoices, credit_hold_applied)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+           RETURNING id`,
+          [companyId, run.id, planned.customerId, stage.id, stage.level, stage.name, asOfDate,
+            planned.currencyCode, subject, body, planned.overdueTotal, JSON.stringify(planned.invoices),
+            planned.applyCreditHold]
+        );
+        const letterId = letterResult.rows[0].id;
+
+        await client.query(
+          `INSERT INTO customer_contact_log
+             (company_id, customer_id, contact_date, contact_type, subject, notes, dunning_letter_id, created_by_user_id)
+           VALUES ($1,$2,$3,'dunning_letter',$4,$5,$6,$7)`,
+          [companyId, planned.customerId, asOfDate, subject,
+            `${stage.name} — ${planned.invoices.length} invoice(s), overdue ${planned.overdueTotal} ${planned.currencyCode}`,
+            letterId, userId]
+        );
+
+        const escalated = planned.invoices.filter(i => i.newLevel);
+        for (const inv of escalated) {
+          await client.query(
+            `UPDATE customer_invoices SET dunning_level = $3, dunning_last_date = $4
+              WHERE id = $1 AND company_id = $2`,
+            [inv.invoiceId, companyId, inv.newLevel, asOfDate]
+          );
+        }
+
+        if (planned.applyCreditHold) {
+          await client.query(
+            `UPDATE customers
+                SET credit_hold = true, credit_hold_reason = $3, credit_hold_at = NOW(), credit_hold_by_user_id = $4
+              WHERE id = $1 AND company_id = $2`,
+            [planned.customerId, companyId, `Dunning: ${stage.name}`, userId]
+          );
+          await client.query(
+            `INSERT INTO customer_contact_log
+               (company_id, customer_id, contact_date, contact_type, subject, dunning_letter_id, created_by_user_id)
+             VALUES ($1,$2,$3,'credit_hold',$4,$5,$6)`,
+            [companyId, planned.customerId, asOfDate, `Account placed on hold — ${stage.name}`, letterId, userId]
+          );
+        }
+
+        letters.push({ id: letterId, ...planned, subject, body, interestInvoiceId: null });
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    // Interest — booked after the letters are on file (rule 4)
+    const warnings = [];
+    let interestTotal = 0;
+    for (const letter of letters) {
+      if (!letter.interestTotal) continue;
+      const stage = stages.find(s => s.id === letter.stage.id);
+      try {
+        letter.interestInvoiceId = await DunningService._raiseInterest({
+          companyId, letter, stage, asOfDate, userId,
+        });
+        interestTotal += letter.interestTotal;
+      } catch (err) {
+        warnings.push({ customerId: letter.customerId, customerName: letter.customerName, message: `Interest not charged: ${err.message}` });
+      }
+    }
+    if (interestTotal) {
+      interestTotal = Math.round(interestTotal * 100) / 100;
+      await db.query(`UPDATE dunning_runs SET interest_total = $2 WHERE id = $1`, [run.id, interestTotal]);
+      run.interest_total = interestTotal;
+    }
+
+    for (const letter of letters.filter(l => l.applyCreditHold)) {
+      await AuditLogger.log({
+        companyId,
+        actorType:  'USER',
+        actorId:    userId,
+        actionType: 'CREDIT_HOLD_PLACED',
+        entityType: 'CUSTOMER',
+        entityId:   letter.customerId,
+        beforeJson: { creditHold: false },
+        afterJson:  { creditHold: true, dunningLetterId: letter.id },
+        reason:     `Dunning run ${run.id}: ${letter.stage.name}`,
+      });
+    }
+
+    return { run, letters, skipped: plan.skipped, warnings };
+  }
+
+  /** Create and post the interest invoice for one letter. Returns the invoice id. */
+  static async _raiseInterest({ companyId, letter, stage, asOfDate, userId }) {
+    let accountId = stage.interestAccountId;
+    if (!accountId) {
+      const acc = await db.query(
+        `SELECT id FROM accounts WHERE company_id = $1 AND code = $2 AND is_active = true`,
+        [companyId, INTEREST_ACCOUNT_CODE]
+      );
+      if (!acc.rows.length) throw serviceError(404, `Interest account ${INTEREST_ACCOUNT_CODE} not found — set an interest account on the stage.`);
+      accountId = acc.rows[0].id;
+    }
+
+    const fx = await FxService.resolveDocumentRate(companyId, letter.currencyCode, asOfDate);
+    const { invoice } = await CustomerInvoiceService.createDraft({
+      companyId,
+      customerId:    letter.customerId,
+      invoiceNumber: null,
+      invoiceDate:   asOfDate,
+      dueDate:       asOfDate,
+      vatInclusive:  false,
+      notes:         `Interest on overdue account — ${stage.name} (dunning letter ${letter.id})`,
+      lines:         letter.interestLines.map(l => ({
+        description: l.description, accountId, quantity: 1, unitPrice: l.amount, vatRate: 0,
+      })),
+      fx,
+      userId,
+    });
+    await db.query(`UPDATE customer_invoices SET is_interest_charge = true WHERE id = $1`, [invoice.id]);
+
+    invoice.customer_name = letter.customerName;
+    try {
+      await CustomerInvoiceService.postToLedger({ companyId, invoice, userId });
+    } catch (err) {
+      // Never leave an unposted interest draft behind — the next run recalculates it
+      await db.query(`DELETE FROM customer_invoices WHERE id = $1 AND company_id = $2 AND status = 'draft'`, [invoice.id, companyId]);
+      throw err;
+    }
+
+    for (const l of letter.interestLines) {
+      await db.query(
+        `UPDATE customer_invoices SET interest_charged_to = $3 WHERE id = $1 AND company_id = $2`,
+        [l.invoiceId, companyId, asOfDate]
+      );
+    }
+    await db.query(`UPDATE dunning_letters SET interest_invoice_id = $2 WHERE id = $1`, [letter.id, invoice.id]);
+    return invoice.id;
+  }
+
+  static async listRuns({ companyId, limit = 50 }) {
+    const result = await db.query(
+      `SELECT id, run_date::text AS run_date, letters_count, interest_total, holds_placed,
+              created_by_user_id, created_at
+         FROM dunning_runs WHERE company_id = $1
+        ORDER BY run_date DESC, id DESC
+        LIMIT $2`,
+      [companyId, Math.min(parseInt(limit, 10) || 50, 500)]
+    );
+    return result.rows;
+  }
+
+  static async listLetters({ companyId, runId = null, customerId = null, limit = 200 }) {
+    const params = [companyId];
+    let where = 'l.company_id = $1';
+    if (runId)      { params.push(runId);      where += ` AND l.run_id = $${params.length}`; }
+    if (customerId) { params.push(customerId); where += ` AND l.customer_id = $${params.length}`; }
+    params.push(Math.min(parseInt(limit, 10) || 200, 1000));
+    const result = await db.query(
+      `SELECT ${LETTER_COLUMNS}
+         FROM dunning_letters l
+         JOIN customers c ON c.id = l.customer_id
+        WHERE ${where}
+        ORDER BY l.letter_date DESC, l.id DESC
+        LIMIT $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  static async getLetter({ companyId, letterId }) {
+    const result = await db.query(
+      `SELECT ${LETTER_COLUMNS}
+         FROM dunning_letters l
+         JOIN customers c ON c.id = l.customer_id
+        WHERE l.id = $1 AND l.company_id = $2`,
+      [letterId, companyId]
+    );
+    if (!result.rows.length) throw serviceError(404, 'Dunning letter not found.');
+    return result.rows[0];
+  }
+
+  static async getLetterPdf({ companyId, letterId }) {
+    const letter = await DunningService.getLetter({ companyId, letterId });
+    const [company, customer] = await Promise.all([
+      CustomerStatementService.getCompany(companyId),
+      CustomerStatementService.getCustomer(companyId, letter.customer_id),
+    ]);
+    const pdf = await renderLetterPdf({ company, customer, letter });
+    return { letter, pdf };
+  }
+
+  // ── Contact log ───────────────────────────────────────────────────────────
+
+  static async listContacts({ companyId, customerId, limit = 200 }) {
+    await CustomerStatementService.getCustomer(companyId, customerId);
+    const result = await db.query(
+      `SELECT id, customer_id, contact_date::text AS contact_date, contact_type, subject, notes,
+              dunning_letter_id, promised_payment_date::text AS promised_payment_date,
+              promised_payment_amount, created_by_user_id, created_at
+         FROM customer_contact_log
+        WHERE company_id = $1 AND customer_id = $2
+        ORDER BY contact_date DESC, id DESC
+        LIMIT $3`,
+      [companyId, customerId, Math.min(parseInt(limit, 10) || 200, 1000)]
+    );
+    return result.rows;
+  }
+
+  /** Manual contact: phone / email / meeting / note, optionally with a promise to pay. */
+  static async addContact({ companyId, customerId, input, userId }) {
+    await CustomerStatementService.getCustomer(companyId, customerId);
+    const type = input.contactType;
+    if (!CONTACT_TYPES.includes(type)) throw serviceError(400, `contactType must be one of: ${CONTACT_TYPES.join(', ')}`);
+    if (!input.subject && !input.notes) throw serviceError(400, 'subject or notes is required');
+    const promisedAmount = input.promisedPaymentAmount != null && input.promisedPaymentAmount !== ''
+      ? parseFloat(input.promisedPaymentAmount) : null;
+    if (promisedAmount !== null && !(promisedAmount > 0)) throw serviceError(400, 'promisedPaymentAmount must be greater than zero');
+
+    const result = await db.query(
+      `INSERT INTO customer_contact_log
+         (company_id, customer_id, contact_date, contact_type, subject, notes,
+          promised_payment_date, promised_payment_amount, created_by_user_id)
+       VALUES ($1,$2,COALESCE($3::date, CURRENT_DATE),$4,$5,$6,$7,$8,$9)
+       RETURNING id, customer_id, contact_date::text AS contact_date, contact_type, subject, notes,
+                 promised_payment_date::text AS promised_payment_date, promised_payment_amount,
+                 created_by_user_id, created_at`,
+      [companyId, customerId, input.contactDate || null, type, input.subject || null, input.notes || null,
+        input.promisedPaymentDate || null, promisedAmount, userId]
+    );
+    return result.rows[0];
+  }
+
+  // ── Credit hold ───────────────────────────────────────────────────────────
+
+  /**
+   * Place or release a credit hold by hand. Logged against the customer.
+   * @returns {Promise<{ before, customer }>}
+   */
+  static async setCreditHold({ companyId, customerId, hold, reason, userId }) {
+    const before = await CustomerStatementService.getCustomer(companyId, customerId);
+    if (before.credit_hold === (hold === true)) {
+      throw serviceError(409, hold ? 'Customer is already on credit hold.' : 'Customer is not on credit hold.');
+    }
+    if (!reason || !String(reason).trim()) throw serviceError(400, 'reason is required');
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        hold
+          ? `UPDATE customers SET credit_hold = true, credit_hold_reason = $3, credit_hold_at = NOW(),
+                    credit_hold_by_user_id = $4 WHERE id = $1 AND company_id = $2`
+          : `UPDATE customers SET credit_hold = false, credit_hold_reason = NULL, credit_hold_at = NULL,
+                    credit_hold_by_user_id = NULL WHERE id = $1 AND company_id = $2`,
+        hold ? [customerId, companyId, String(reason).trim(), userId] : [customerId, companyId]
+      );
+      await client.query(
+        `INSERT INTO customer_contact_log (company_id, customer_id, contact_type, subject, notes, created_by_user_id)
+         VALUES ($1,$2,$3,$4,$5,$6)`,
+        [companyId, customerId, hold ? 'credit_hold' : 'credit_release',
+          hold ? 'Account placed on hold' : 'Credit hold released', String(reason).trim(), userId]
+      );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const customer = await CustomerStatementService.getCustomer(companyId, customerId);
+    return { before, customer };
+  }
+}
+
+module.exports = DunningService;
@@ -0,0 +1,232 @@
+'use strict';
+
+/**
+ * dunningUtils.js
+ * Pure dunning planner — no DB access, fully testable.
+ *
+ * A company configures stages by days overdue (e.g. 7 / 30 / 60). Every
+ * open invoice remembers the highest stage it has reached
+ * (customer_invoices.dunning_level). A run escalates an invoice when it is
+ * now overdue enough for a higher stage; each customer with at least one
+ * escalation gets ONE letter (per currency) at the highest stage reached,
+ * listing all of their overdue invoices. Invoices that have already had
+ * their stage are listed but not escalated again, so re-running on the same
+ * day produces nothing new.
+ *
+ * Interest (optional per stage) is simple interest on the overdue amount
+ * from the later of the due date and the date interest was last charged,
+ * at the stage's annual rate on a 365-day year. Interest invoices raised by
+ * earlier runs are dunned like any other invoice but never attract interest.
+ */
+
+// Seeded by POST /dunning/stages/defaults — companies edit from there
+const DEFAULT_STAGES = [
+  {
+    level: 1, name: 'Friendly reminder', daysOverdue: 7,
+    letterSubject: 'Payment reminder — {company}',
+    letterBody:
+      'Dear {customer},\n\nOur records show that the following invoices are now overdue:\n\n{invoice_list}\n\n' +
+      'Total overdue: {overdue_total}\n\nIf you have already paid, please ignore this reminder and accept our thanks. ' +
+      'Otherwise we would appreciate payment at your earliest convenience.\n\nKind regards\n{company}',
+    chargeInterest: false, interestRateAnnual: 0, applyCreditHold: false,
+  },
+  {
+    level: 2, name: 'Second notice', daysOverdue: 30,
+    letterSubject: 'Second notice — overdue account',
+    letterBody:
+      'Dear {customer},\n\nDespite our earlier reminder, the following invoices remain unpaid, the oldest ' +
+      '{days_overdue} days overdue:\n\n{invoice_list}\n\nTotal overdue: {overdue_total}\n\n' +
+      'Please settle this amount within 7 days or contact us to arrange payment.\n\nKind regards\n{company}',
+    chargeInterest: false, interestRateAnnual: 0, applyCreditHold: false,
+  },
+  {
+    level: 3, name: 'Final demand', daysOverdue: 60,
+    letterSubject: 'Final demand — account on hold',
+    letterBody:
+      'Dear {customer},\n\nYour account is {days_overdue} days in arrears and has been placed on hold. ' +
+      'No further credit will be extended until the following is settled:\n\n{invoice_list}\n\n' +
+      'Total overdue: {overdue_total}\n\nIf payment is not received within 14 days we will hand the matter over ' +
+      'for collection.\n\nRegards\n{company}',
+    chargeInterest: false, interestRateAnnual: 0, applyCreditHold: true,
+  },
+];
+
+// ─── Internal helpers ────────────────────────────────────────────────────────
+
+function _round2(n) { return Math.round(n * 100) / 100; }
+
+function _toUTC(dateStr) { return new Date(String(dateStr).slice(0, 10) + 'T00:00:00Z'); }
+
+function _days(fromDate, toDate) { return Math.floor((_toUTC(toDate) - _toUTC(fromDate)) / 86400000); }
+
+function _money(n, currencyCode = 'ZAR') {
+  const v = Math.abs(n).toLocaleString('en-ZA', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${currencyCode === 'ZAR' ? 'R' : currencyCode} ${n < 0 ? '-' : ''}${v}`;
+}
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+/**
+ * Validate a company's stage set (active stages only).
+ * Levels and day thresholds must both rise together.
+ * @returns {string[]} error messages (empty = valid)
+ */
+function validateStages(stages) {
+  const errors = [];
+  const sorted = [...stages].sort((a, b) => a.level - b.level);
+  sorted.forEach((s, i) => {
+    if (!Number.isInteger(s.level) || s.level < 1) errors.push(`Stage "${s.name}": level must be a whole number from 1`);
+    if (!Number.isInteger(s.daysOverdue) || s.daysOverdue < 1) errors.push(`Stage "${s.name}": daysOverdue must be at least 1`);
+    if (s.chargeInterest && !(s.interestRateAnnual > 0)) errors.push(`Stage "${s.name}": interestRateAnnual must be greater than zero when charging interest`);
+    if (i > 0) {
+      if (s.level === sorted[i - 1].level) errors.push(`Level ${s.level} is used by more than one stage`);
+      else if (s.daysOverdue <= sorted[i - 1].daysOverdue) errors.push(`Stage "${s.name}" must be more days overdue than "${sorted[i - 1].name}"`);
+    }
+  });
+  return errors;
+}
+
+// ─── Interest ───────────────────────────────────────────────────────────────
+
+/**
+ * Simple interest on an overdue balance.
+ * @returns {{ days: number, amount: number, fromDate: string }|null}
+ */
+function interestFor({ outstanding, dueDate, interestChargedTo, asOfDate, rateAnnual }) {
+  if (!(outstanding > 0) || !(rateAnnual > 0) || !dueDate) return null;
+  const fromDate = interestChargedTo && interestChargedTo > dueDate ? interestChargedTo : dueDate;
+  const days = _days(fromDate, asOfDate);
+  if (days <= 0) return null;
+  const amount = _round2(outstanding * (rateAnnual / 100) * (days / 365));
+  if (amount < 0.01) return null;
+  return { days, amount, fromDate: String(fromDate).slice(0, 10) };
+}
+
+// ─── Planner ────────────────────────────────────────────────────────────────
+
+/**
+ * Work out what a dunning run on asOfDate would do.
+ *
+ * @param {object} p
+ * @param {object[]} p.stages    — active stages { id, level, name, daysOverdue, chargeInterest,
+ *                                 interestRateAnnual, applyCreditHold, minOverdueAmount }
+ * @param {object[]} p.invoices  — open invoices { id, customerId, customerName, number, dueDate,
+ *                                 outstanding, dunningLevel, interestChargedTo, currencyCode,
+ *                                 isInterestCharge }
+ * @param {object}   p.customers — { [customerId]: { creditHold } }
+ * @param {string}   p.asOfDate
+ * @returns {{ letters: object[], skipped: object[] }}
+ */
+function planDunning({ stages, invoices, customers = {}, asOfDate }) {
+  const byDays = [...stages].sort((a, b) => a.daysOverdue - b.daysOverdue);
+  const stageFor = days => byDays.filter(s => s.daysOverdue <= days).pop() || null;
+
+  const perCustomer = new Map();
+  for (const inv of invoices) {
+    if (!(inv.outstanding > 0.005) || !inv.dueDate || !inv.customerId) continue;
+    const days = _days(inv.dueDate, asOfDate);
+    if (days <= 0) continue;
+
+    const target = stageFor(days);
+    const row = {
+      invoiceId: inv.id, number: inv.number, dueDate: String(inv.dueDate).slice(0, 10),
+      daysOverdue: days, outstanding: _round2(inv.outstanding), currencyCode: inv.currencyCode || 'ZAR',
+      currentLevel: inv.dunningLevel || 0,
+      newLevel: target && target.level > (inv.dunningLevel || 0) ? target.level : null,
+      interestChargedTo: inv.interestChargedTo || null,
+      isInterestCharge: inv.isInterestCharge === true,
+    };
+    // One letter per customer per currency — totals never mix currencies
+    const key = `${inv.customerId}|${row.currencyCode}`;
+    if (!perCustomer.has(key)) {
+      perCustomer.set(key, {
+        customerId: inv.customerId, customerName: inv.customerName, currencyCode: row.currencyCode, invoices: [],
+      });
+    }
+    perCustomer.get(key).invoices.push(row);
+  }
+
+  const letters = [];
+  const skipped = [];
+  for (const c of perCustomer.values()) {
+    const escalating = c.invoices.filter(i => i.newLevel);
+    if (!escalating.length) continue;
+
+    const level = Math.max(...escalating.map(i => i.newLevel));
+    const stage = stages.find(s => s.level === level);
+    const overdueTotal = _round2(c.invoices.reduce((s, i) => s + i.outstanding, 0));
+    if (overdueTotal < (parseFloat(stage.minOverdueAmount) || 0)) {
+      skipped.push({ customerId: c.customerId, customerName: c.customerName, level, reason: `Overdue total ${overdueTotal} is below the stage minimum` });
+      continue;
+    }
+
+    const interestLines = [];
+    if (stage.chargeInterest) {
+      for (const i of c.invoices) {
+        if (i.isInterestCharge) continue; // no interest on interest
+        const interest = interestFor({
+          outstanding: i.outstanding, dueDate: i.dueDate, interestChargedTo: i.interestChargedTo,
+          asOfDate, rateAnnual: parseFloat(stage.interestRateAnnual),
+        });
+        if (!interest) continue;
+        interestLines.push({
+          invoiceId: i.invoiceId, amount: interest.amount, days: interest.days,
+          description: `Interest on ${i.number}: ${interest.days} days @ ${parseFloat(stage.interestRateAnnual)}% p.a.`,
+        });
+      }
+    }
+
+    c.invoices.sort((a, b) => b.daysOverdue - a.daysOverdue);
+    letters.push({
+      customerId: c.customerId,
+      customerName: c.customerName,
+      currencyCode: c.currencyCode,
+      stage: { id: stage.id, level: stage.level, name: stage.name },
+      overdueTotal,
+      maxDaysOverdue: c.invoices[0].daysOverdue,
+      invoices: c.invoices,
+      interestLines,
+      interestTotal: _round2(interestLines.reduce((s, l) => s + l.amount, 0)),
+      applyCreditHold: !!stage.applyCreditHold && !(customers[c.customerId] && customers[c.customerId].creditHold),
+    });
+  }
+
+  letters.sort((a, b) => String(a.customerName || '').localeCompare(String(b.customerName || '')));
+  return { letters, skipped };
+}
+
+// ─── Letters ────────────────────────────────────────────────────────────────
+
+/** Plain-text table of the overdue invoices for {invoice_list}. */
+function invoiceListText(invoices) {
+  return invoices
+    .map(i => `  ${i.number}   due ${i.dueDate}   ${i.daysOverdue} days   ${_money(i.outstanding, i.currencyCode)}`)
+    .join('\n');
+}
+
+/**
+ * Fill {customer}, {company}, {date}, {overdue_total}, {days_overdue},
+ * {invoice_list} and {stage} in a stage's subject or body.
+ */
+function renderLetter(template, { letter, companyName, letterDate }) {
+  const currency = letter.currencyCode || 'ZAR';
+  const vars = {
+    customer:      letter.customerName || '',
+    company:       companyName || '',
+    date:          letterDate,
+    overdue_total: _money(letter.overdueTotal, currency),
+    days_overdue:  String(letter.maxDaysOverdue),
+    invoice_list:  invoiceListText(letter.invoices),
+    stage:         letter.stage.name,
+  };
+  return String(template || '').replace(/\{(\w+)\}/g, (m, key) => (key in vars ? vars[key] : m));
+}
+
+module.exports = {
+  DEFAULT_STAGES,
+  validateStages,
+  interestFor,
+  planDunning,
+  invoiceListText,
+  renderLetter,
+};
@@ -0,0 +1,906 @@
+'use strict';
+
+/**
+ * Fixed Asset Service
+ * ============================================================================
+ * Fixed asset register, monthly depreciation runs and disposals.
+ *
+ *   asset:  active → fully_depreciated | disposed
+ *           (fully_depreciated only once book AND tax value are written off)
+ *   run:    draft  → cancelled
+ *
+ * CRITICAL RULES:
+ *   1. Depreciation is calculated by depreciationUtils.js (pure) — this service
+ *      only loads, persists and journals the results.
+ *   2. Every GL effect goes through JournalService.createDraftJournal, so period
+ *      locks, balance checks and postable-account checks apply unchanged.
+ *      Journals are left in DRAFT for the accountant to review and post.
+ *   3. One live run per company per month (DB unique index). Only the latest
+ *      live run may be cancelled, and a month cannot be run once a later month
+ *      has a live run — the asset running totals depend on run order.
+ *   4. Book values and SARS s11(e) tax values are kept side by side; tax values
+ *      never touch the GL.
+ *   5. All queries and mutations are scoped to companyId server-side.
+ *
+ * JOURNAL CONVENTION:
+ *   Run:       DR Depreciation expense (per class) / CR Accumulated depreciation
+ *   Acquire:   DR Asset cost / CR supplied credit account (optional)
+ *   Dispose:   DR Depreciation expense (final part-month)
+ *              DR Accumulated depreciation, DR Proceeds account
+ *              CR Asset cost, DR/CR Profit or loss on disposal (default 4700)
+ * ============================================================================
+ */
+
+const { supabase } = require('../../../config/database');
+const db = require('../config/database'); // direct pg Pool — atomic run writes
+const JournalService = require('./journalService');
+const {
+  monthPeriod,
+  buildRunLine,
+  bookDepreciationForPeriod,
+  taxAllowanceForPeriod,
+  disposalOutcome,
+  taxCostOf,
+  isFullyWrittenOff,
+} = require('./depreciationUtils');
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+const METHODS = ['straight_line', 'reducing_balance'];
+
+function _round2(n) { return Math.round(n * 100) / 100; }
+
+/** YYYY-MM-DD of the day before the given date. */
+function _dayBefore(dateStr) {
+  const d = new Date(String(dateStr).slice(0, 10) + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+class FixedAssetService {
+
+  // ── Internal: confirm every referenced account belongs to the company ────
+  static async _assertCompanyAccounts(companyId, accountIds) {
+    const ids = [...new Set(accountIds.map(id => parseInt(id)).filter(Boolean))];
+    if (!ids.length) return;
+    const { data, error } = await supabase
+      .from('accounts')
+      .select('id')
+      .eq('company_id', companyId)
+      .in('id', ids);
+    if (error) throw new Error(`Account validation failed: ${error.message}`);
+    const valid = new Set((data || []).map(a => a.id));
+    const foreign = ids.filter(id => !valid.has(id));
+    if (foreign.length) {
+      throw serviceError(404, `Account(s) not found for this company: ${foreign.join(', ')}`);
+    }
+  }
+
+  static async _findAccountByCode(companyId, code) {
+    const { data } = await supabase
+      .from('accounts')
+      .select('id')
+      .eq('company_id', companyId)
+      .eq('code', code)
+      .eq('is_active', true)
+      .maybeSingle();
+    return data?.id || null;
+  }
+
+  static async _getClassOrThrow(companyId, classId) {
+    const { data, error } = await supabase
+      .from('fixed_asset_classes')
+      .select('*')
+      .eq('id', parseInt(classId))
+      .eq('company_id', companyId)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!data) throw serviceError(404, 'Asset class not found.');
+    return data;
+  }
+
+  static async _getAssetOrThrow(companyId, assetId) {
+    const { data, error } = await supabase
+      .from('fixed_assets')
+      .select('*')
+      .eq('id', parseInt(assetId))
+      .eq('company_id', companyId)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!data) throw serviceError(404, 'Asset not found.');
+    return data;
+  }
+
+  // Highest FA-nnnn number in use + 1 (not a row count — deleted assets and
+  // user-supplied numbers would make a count collide).
+  static async _nextAssetNumber(companyId) {
+    const { rows } = await db.query(
+      `SELECT COALESCE(MAX(SUBSTRING(asset_number FROM '^FA-([0-9]+)$')::int), 0) + 1 AS next
+         FROM fixed_assets
+        WHERE company_id = $1`,
+      [companyId]
+    );
+    return `FA-${String(rows[0].next).padStart(4, '0')}`;
+  }
+
+  // Delete a draft journal inside an already-open pg client (compensating action)
+  static async _deleteDraftJournalOnClient(client, companyId, journalId) {
+    await client.query('DELETE FROM journal_lines WHERE journal_id = $1', [journalId]);
+    await client.query(
+      `DELETE FROM journals WHERE id = $1 AND company_id = $2 AND status = 'draft'`,
+      [journalId, companyId]
+    );
+  }
+
+  static _withValues(asset) {
+    const cost = parseFloat(asset.cost) || 0;
+    const taxCost = taxCostOf(asset);
+    return {
+      ...asset,
+      book_value: _round2(cost - (parseFloat(asset.accumulated_depreciation) || 0)),
+      tax_value:  _round2(taxCost - (parseFloat(asset.tax_allowance_claimed) || 0)),
+    };
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // Asset classes
+  // ══════════════════════════════════════════════════════════════════════════
+
+  static async listClasses({ companyId }) {
+    const { data, error } = await supabase
+      .from('fixed_asset_classes')
+      .select('*')
+      .eq('company_id', companyId)
+      .order('code');
+    if (error) throw new Error(`Failed to load asset classes: ${error.message}`);
+    return data || [];
+  }
+
+  static async createClass({ companyId, input }) {
+    const {
+      code, name, costAccountId, accumDepreciationAccountId, depreciationExpenseAccountId,
+      disposalAccountId, defaultMethod, defaultUsefulLifeMonths, defaultReducingRate,
+      defaultTaxWriteOffYears,
+    } = input;
+
+    if (!code || !name) throw serviceError(400, 'code and name are required.');
+    if (!costAccountId || !accumDepreciationAccountId || !depreciationExpenseAccountId) {
+      throw serviceError(400, 'costAccountId, accumDepreciationAccountId and depreciationExpenseAccountId are required.');
+    }
+    const method = defaultMethod || 'straight_line';
+    if (!METHODS.includes(method)) throw serviceError(400, `defaultMethod must be one of: ${METHODS.join(', ')}`);
+
+    await this._assertCompanyAccounts(companyId, [
+      costAccountId, accumDepreciationAccountId, depreciationExpenseAccountId, disposalAccountId,
+    ]);
+
+    const { data, error } = await supabase
+      .from('fixed_asset_classes')
+      .insert({
+        company_id:                      companyId,
+        code:                            String(code).trim(),
+        name:                            String(name).trim(),
+        cost_account_id:                 parseInt(costAccountId),
+        accum_depreciation_account_id:   parseInt(accumDepreciationAccountId),
+        depreciation_expense_account_id: parseInt(depreciationExpenseAccountId),
+        disposal_account_id:             disposalAccountId ? parseInt(disposalAccountId) : null,
+        default_method:                  method,
+        default_useful_life_months:      defaultUsefulLifeMonths != null ? parseInt(defaultUsefulLifeMonths) : null,
+        default_reducing_rate:           defaultReducingRate != null ? parseFloat(defaultReducingRate) : null,
+        default_tax_write_off_years:     defaultTaxWriteOffYears != null ? parseFloat(defaultTaxWriteOffYears) : null,
+      })
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to create asset class: ${error.message}`);
+    return data;
+  }
+
+  static async updateClass({ companyId, classId, input }) {
+    const existing = await this._getClassOrThrow(companyId, classId);
+
+    const map = {
+      name:                         'name',
+      costAccountId:                'cost_account_id',
+      accumDepreciationAccountId:   'accum_depreciation_account_id',
+      depreciationExpenseAccountId: 'depreciation_expense_account_id',
+      disposalAccountId:            'disposal_account_id',
+      defaultMethod:                'default_method',
+      defaultUsefulLifeMonths:      'default_useful_life_months',
+      defaultReducingRate:          'default_reducing_rate',
+      defaultTaxWriteOffYears:      'default_tax_write_off_years',
+      isActive:                     'is_active',
+    };
+    const update = {};
+    for (const [key, col] of Object.entries(map)) {
+      if (input[key] !== undefined) update[col] = input[key];
+    }
+    if (update.default_method && !METHODS.includes(update.default_method)) {
+      throw serviceError(400, `defaultMethod must be one of: ${METHODS.join(', ')}`);
+    }
+    await this._assertCompanyAccounts(companyId, [
+      update.cost_account_id, update.accum_depreciation_account_id,
+      update.depreciation_expense_account_id, update.disposal_account_id,
+    ].filter(Boolean));
+
+    update.updated_at = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('fixed_asset_classes')
+      .update(update)
+      .eq('id', existing.id)
+      .eq('company_id', companyId)
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to update asset class: ${error.message}`);
+    return data;
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // Assets
+  // ══════════════════════════════════════════════════════════════════════════
+
+  static async listAssets({ companyId, status = null, classId = null }) {
+    let q = supabase
+      .from('fixed_assets')
+      .select('*')
+      .eq('company_id', companyId)
+      .order('asset_number');
+    if (status)  q = q.eq('status', status);
+    if (classId) q = q.eq('class_id', parseInt(classId));
+    const { data, error } = await q;
+    if (error) throw new Error(`Failed to load assets: ${error.message}`);
+    return (data || []).map(a => this._withValues(a));
+  }
+
+  static async getAsset({ companyId, assetId }) {
+    const asset = await this._getAssetOrThrow(companyId, assetId);
+
+    const { rows: history } = await db.query(
+      `SELECT l.*, r.period_key, r.period_from, r.period_to, r.journal_id
+         FROM fixed_asset_depreciation_lines l
+         INNER JOIN fixed_asset_depreciation_runs r ON r.id = l.run_id
+        WHERE l.asset_id = $1 AND r.company_id = $2 AND r.status = 'draft'
+        ORDER BY r.period_from`,
+      [asset.id, companyId]
+    );
+
+    return { ...this._withValues(asset), history };
+  }
+
+  /**
+   * Register a new asset. When creditAccountId is supplied an acquisition
+   * journal (DR class cost account / CR creditAccountId) is created in draft.
+   */
+  static async createAsset({ companyId, userId, input }) {
+    const cls = await this._getClassOrThrow(companyId, input.classId);
+
+    const cost = parseFloat(input.cost);
+    if (!input.description) throw serviceError(400, 'description is required.');
+    if (!input.acquisitionDate) throw serviceError(400, 'acquisitionDate is required.');
+    if (!Number.isFinite(cost) || cost < 0) throw serviceError(400, 'cost must be a non-negative number.');
+
+    const method = input.method || cls.default_method;
+    if (!METHODS.includes(method)) throw serviceError(400, `method must be one of: ${METHODS.join(', ')}`);
+    const usefulLife   = input.usefulLifeMonths != null ? parseInt(input.usefulLifeMonths) : cls.default_useful_life_months;
+    const reducingRate = input.reducingRate != null ? parseFloat(input.reducingRate) : cls.default_reducing_rate;
+    if (method === 'straight_line' && !(usefulLife > 0)) {
+      throw serviceError(400, 'usefulLifeMonths is required for straight-line assets.');
+    }
+    if (method === 'reducing_balance' && !(reducingRate > 0)) {
+      throw serviceError(400, 'reducingRate is required for reducing-balance assets.');
+    }
+    const residual = parseFloat(input.residualValue || 0);
+    if (residual < 0 || residual > cost) throw serviceError(400, 'residualValue must be between 0 and cost.');
+
+    if (input.creditAccountId) await this._assertCompanyAccounts(companyId, [input.creditAccountId]);
+
+    // A generated number that loses a race with a concurrent create (unique
+    // on company_id + asset_number) is retried with the next number; a number
+    // the user supplied that is already taken is refused.
+    const supplied = input.assetNumber ? String(input.assetNumber).trim() : null;
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      const assetNumber = supplied || await this._nextAssetNumber(companyId);
+
+      let acquisitionJournal = null;
+      if (input.creditAccountId && cost > 0) {
+        acquisitionJournal = await JournalService.createDraftJournal({
+          companyId,
+          date:            input.acquisitionDate,
+          reference:       assetNumber,
+          description:     `Asset acquisition: ${input.description}`,
+          sourceType:      'fixed_asset_acquisition',
+          createdByUserId: userId,
+          lines: [
+            { accountId: cls.cost_account_id, debit: cost, credit: 0, description: input.description,
+              segmentValueId: input.segmentValueId || null },
+            { accountId: parseInt(input.creditAccountId), debit: 0, credit: cost, description: `Acquisition ${assetNumber}` },
+          ],
+          metadata: { asset_number: assetNumber },
+        });
+      }
+
+      const { data, error } = await supabase
+        .from('fixed_assets')
+        .insert({
+          company_id:             companyId,
+          class_id:               cls.id,
+          asset_number:           assetNumber,
+          description:            input.description,
+          serial_number:          input.serialNumber || null,
+          location:               input.location || null,
+          segment_value_id:       input.segmentValueId ? parseInt(input.segmentValueId) : null,
+          acquisition_date:       input.acquisitionDate,
+          available_for_use_date: input.availableForUseDate || input.acquisitionDate,
+          cost,
+          residual_value:         residual,
+          acquisition_journal_id: acquisitionJournal ? acquisitionJournal.id : null,
+          method,
+          useful_life_months:     usefulLife || null,
+          reducing_rate:          reducingRate || null,
+          tax_cost:               input.taxCost != null ? parseFloat(input.taxCost) : null,
+          tax_write_off_years:    input.taxWriteOffYears != null ? parseFloat(input.taxWriteOffYears) : cls.default_tax_write_off_years,
+          created_by_user_id:     userId,
+        })
+        .select()
+        .single();
+
+      if (!error) return this._withValues(data);
+
+      if (acquisitionJournal) {
+        const client = await db.getClient();
+        try {
+          await this._deleteDraftJournalOnClient(client, companyId, acquisitionJournal.id);
+        } catch (cleanupErr) {
+          console.error(`[FixedAssets] CRITICAL: draft journal ${acquisitionJournal.id} orphaned after asset insert failure:`, cleanupErr.message);
+        } finally {
+          client.release();
+        }
+      }
+      if (error.code !== '23505') throw new Error(`Failed to create asset: ${error.message}`);
+      if (supplied) throw serviceError(409, `Asset number ${supplied} is already in use.`);
+    }
+    throw new Error('Could not allocate a unique asset number — please retry.');
+  }
+
+  /**
+   * Edit an asset. Policy fields (cost, method, lives, dates) are frozen once
+   * any depreciation has been charged — a change would silently alter history.
+   */
+  static async updateAsset({ companyId, assetId, input }) {
+    const asset = await this._getAssetOrThrow(companyId, assetId);
+    if (asset.status === 'disposed') throw serviceError(400, 'Disposed assets cannot be edited.');
+
+    const descriptive = {
+      description: 'description', serialNumber: 'serial_number',
+      location: 'location', segmentValueId: 'segment_value_id',
+    };
+    const policy = {
+      cost: 'cost', residualValue: 'residual_value', method: 'method',
+      usefulLifeMonths: 'useful_life_months', reducingRate: 'reducing_rate',
+      availableForUseDate: 'available_for_use_date', taxCost: 'tax_cost',
+      taxWriteOffYears: 'tax_write_off_years',
+    };
+
+    const hasHistory = parseFloat(asset.accumulated_depreciation) > 0
+      || parseFloat(asset.tax_allowance_claimed) > 0
+      || asset.depreciated_to_date != null;
+
+    const update = {};
+    for (const [key, col] of Object.entries(descriptive)) {
+      if (input[key] !== undefined) update[col] = input[key];
+    }
+    for (const [key, col] of Object.entries(policy)) {
+      if (input[key] === undefined) continue;
+      if (hasHistory) {
+        throw serviceError(409, `Cannot change ${key} after depreciation has been charged. Cancel the runs first or dispose and re-register.`);
+      }
+      update[col] = input[key];
+    }
+    if (update.method && !METHODS.includes(update.method)) {
+      throw serviceError(400, `method must be one of: ${METHODS.join(', ')}`);
+    }
+
+    update.updated_at = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('fixed_assets')
+      .update(update)
+      .eq('id', asset.id)
+      .eq('company_id', companyId)
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to update asset: ${error.message}`);
+    return this._withValues(data);
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // Depreciation runs
+  // ══════════════════════════════════════════════════════════════════════════
+
+  static async listRuns({ companyId }) {
+    const { data, error } = await supabase
+      .from('fixed_asset_depreciation_runs')
+      .select('*')
+      .eq('company_id', companyId)
+      .order('period_from', { ascending: false })
+      .order('id', { ascending: false });
+    if (error) throw new Error(`Failed to load depreciation runs: ${error.message}`);
+    return data || [];
+  }
+
+  static async getRun({ companyId, runId }) {
+    const { data: run, error } = await supabase
+      .from('fixed_asset_depreciation_runs')
+      .select('*')
+      .eq('id', parseInt(runId))
+      .eq('company_id', companyId)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!run) throw serviceError(404, 'Depreciation run not found.');
+
+    const { rows: lines } = await db.query(
+      `SELECT l.*, a.asset_number, a.description
+         FROM fixed_asset_depreciation_lines l
+         INNER JOIN fixed_assets a ON a.id = l.asset_id
+        WHERE l.run_id = $1
+        ORDER BY a.asset_number`,
+      [run.id]
+    );
+    return { ...run, lines };
+  }
+
+  /**
+   * Calculate (but do not persist) the depreciation for a month.
+   * Returns { period, lines, journalLines, totals, warnings }.
+   */
+  static async previewRun({ companyId, periodKey }) {
+    const period = monthPeriod(periodKey);
+    if (!period) throw serviceError(400, 'period must be in YYYY-MM format.');
+
+    const [{ data: assets, error: aErr }, classes] = await Promise.all([
+      supabase
+        .from('fixed_assets')
+        .select('*')
+        .eq('company_id', companyId)
+        .neq('status', 'disposed') // book value may be spent while s11(e) tax value remains
+        .lte('available_for_use_date', period.toDate),
+      this.listClasses({ companyId }),
+    ]);
+    if (aErr) throw new Error(`Failed to load assets: ${aErr.message}`);
+
+    const classById = {};
+    classes.forEach(c => { classById[c.id] = c; });
+
+    const prevMonthEnd = _dayBefore(period.fromDate);
+    const lines = [];
+    const warnings = [];
+
+    for (const asset of assets || []) {
+      if (asset.depreciated_to_date && asset.depreciated_to_date >= period.fromDate) continue; // already charged
+      if (asset.depreciated_to_date && asset.depreciated_to_date < prevMonthEnd) {
+        warnings.push(`${asset.asset_number}: last depreciated to ${asset.depreciated_to_date} — earlier months have not been run.`);
+      } else if (!asset.depreciated_to_date && asset.available_for_use_date < period.fromDate) {
+        warnings.push(`${asset.asset_number}: in use since ${asset.available_for_use_date} but never depreciated — earlier months have not been run.`);
+      }
+
+      const line = buildRunLine(asset, period);
+      if (line.bookDepreciation === 0 && line.taxAllowance === 0) continue;
+      const fullyWrittenOff = isFullyWrittenOff(
+        asset,
+        _round2((parseFloat(asset.accumulated_depreciation) || 0) + line.bookDepreciation),
+        _round2((parseFloat(asset.tax_allowance_claimed) || 0) + line.taxAllowance)
+      );
+      lines.push({ ...line, fullyWrittenOff, asset, assetClass: classById[asset.class_id] });
+    }
+
+    // Aggregate GL lines per class + segment
+    const buckets = {};
+    for (const l of lines) {
+      if (l.bookDepreciation <= 0) continue;
+      const cls = l.assetClass;
+      if (!cls) throw new Error(`Asset ${l.asset.asset_number} has no valid asset class.`);
+      const key = `${cls.id}:${l.asset.segment_value_id || ''}`;
+      if (!buckets[key]) buckets[key] = { cls, segmentValueId: l.asset.segment_value_id || null, amount: 0 };
+      buckets[key].amount = _round2(buckets[key].amount + l.bookDepreciation);
+    }
+
+    const journalLines = [];
+    for (const b of Object.values(buckets)) {
+      journalLines.push({
+        accountId: b.cls.depreciation_expense_account_id, debit: b.amount, credit: 0,
+        description: `Depreciation ${period.periodKey}: ${b.cls.name}`, segmentValueId: b.segmentValueId,
+      });
+      journalLines.push({
+        accountId: b.cls.accum_depreciation_account_id, debit: 0, credit: b.amount,
+        description: `Accumulated depreciation ${period.periodKey}: ${b.cls.name}`, segmentValueId: b.segmentValueId,
+      });
+    }
+
+    const totals = {
+      assetCount:       lines.length,
+      bookDepreciation: _round2(lines.reduce((s, l) => s + l.bookDepreciation, 0)),
+      taxAllowance:     _round2(lines.reduce((s, l) => s + l.taxAllowance, 0)),
+    };
+
+    return {
+      period,
+      lines: lines.map(({ asset, assetClass, ...l }) => ({
+        ...l, assetNumber: asset.asset_number, description: asset.description, classCode: assetClass?.code || null,
+      })),
+      journalLines,
+      totals,
+      warnings,
+    };
+  }
+
+  /**
+   * Create the depreciation run for a month: draft journal + run + lines, and
+   * roll the asset running totals forward.
+   */
+  static async createRun({ companyId, periodKey, userId }) {
+    const period = monthPeriod(periodKey);
+    if (!period) throw serviceError(400, 'period must be in YYYY-MM format.');
+
+    if (await JournalService.isPeriodLocked(companyId, period.toDate)) {
+      throw serviceError(403, `Cannot run depreciation: ${period.periodKey} falls within a locked accounting period.`);
+    }
+
+    const { data: live, error: liveErr } = await supabase
+      .from('fixed_asset_depreciation_runs')
+      .select('id, period_key')
+      .eq('company_id', companyId)
+      .eq('status', 'draft')
+      .gte('period_key', period.periodKey);
+    if (liveErr) throw new Error(liveErr.message);
+    if ((live || []).some(r => r.period_key === period.periodKey)) {
+      throw serviceError(409, `A depreciation run already exists for ${period.periodKey}.`);
+    }
+    if ((live || []).length) {
+      throw serviceError(409, `Cannot run ${period.periodKey}: a later month (${live[0].period_key}) has already been run.`);
+    }
+
+    const preview = await this.previewRun({ companyId, periodKey });
+    if (!preview.lines.length) throw serviceError(400, `Nothing to depreciate for ${period.periodKey}.`);
+
+    let journal = null;
+    if (preview.journalLines.length) {
+      journal = await JournalService.createDraftJournal({
+        companyId,
+        date:            period.toDate,
+        reference:       `DEP-${period.periodKey}`,
+        description:     `Depreciation run ${period.periodKey}`,
+        sourceType:      'fixed_asset_depreciation',
+        createdByUserId: userId,
+        lines:           preview.journalLines,
+        metadata:        { depreciation_period: period.periodKey },
+      });
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      const runResult = await client.query(
+        `INSERT INTO fixed_asset_depreciation_runs
+           (company_id, period_key, period_from, period_to, status, journal_id,
+            asset_count, total_book_depreciation, total_tax_allowance, created_by_user_id)
+         VALUES ($1, $2, $3, $4, 'draft', $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          companyId, period.periodKey, period.fromDate, period.toDate, journal ? journal.id : null,
+          preview.totals.assetCount, preview.totals.bookDepreciation, preview.totals.taxAllowance, userId,
+        ]
+      );
+      const run = runResult.rows[0];
+
+      for (const l of preview.lines) {
+        await client.query(
+          `INSERT INTO fixed_asset_depreciation_lines
+             (run_id, asset_id, opening_book_value, book_depreciation, closing_book_value,
+              opening_tax_value, tax_allowance, closing_tax_value)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [run.id, l.assetId, l.openingBookValue, l.bookDepreciation, l.closingBookValue,
+           l.openingTaxValue, l.taxAllowance, l.closingTaxValue]
+        );
+
+        // Guard on depreciated_to_date so a concurrent run cannot double-charge an asset
+        const upd = await client.query(
+          `UPDATE fixed_assets
+              SET accumulated_depreciation = accumulated_depreciation + $1,
+                  tax_allowance_claimed    = tax_allowance_claimed + $2,
+                  depreciated_to_date      = $3,
+                  status = $7,
+                  updated_at = NOW()
+            WHERE id = $4 AND company_id = $5 AND status <> 'disposed'
+              AND (depreciated_to_date IS NULL OR depreciated_to_date < $6)`,
+          [l.bookDepreciation, l.taxAllowance, period.toDate, l.assetId, companyId, period.fromDate,
+           l.fullyWrittenOff ? 'fully_depreciated' : 'active']
+        );
+        if (upd.rowCount !== 1) {
+          throw serviceError(409, `Asset ${l.assetNumber} changed during the run — please retry.`);
+        }
+      }
+
+      await client.query('COMMIT');
+      return { run, journalId: journal ? journal.id : null, totals: preview.totals, warnings: preview.warnings };
+
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (journal) {
+        try {
+          await this._deleteDraftJournalOnClient(client, companyId, journal.id);
+        } catch (cleanupErr) {
+          console.error(`[FixedAssets] CRITICAL: draft journal ${journal.id} orphaned after run failure:`, cleanupErr.message);
+        }
+      }
+      throw serviceError(err.statusCode, `Depreciation run rolled back: ${err.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Cancel the latest live run. A draft journal is deleted; a journal that has
+   * since been posted is reversed through JournalService (which enforces the
+   * period locks). Asset running totals are restored from the run lines. The
+   * journal delete or reversal commits together with the run and asset
+   * updates, or not at all.
+   */
+  static async cancelRun({ companyId, runId, userId, reason }) {
+    const run = await this.getRun({ companyId, runId });
+    if (run.status !== 'draft') throw serviceError(409, `Run is already ${run.status}.`);
+
+    const { data: later } = await supabase
+      .from('fixed_asset_depreciation_runs')
+      .select('period_key')
+      .eq('company_id', companyId)
+      .eq('status', 'draft')
+      .gt('period_key', run.period_key)
+      .limit(1);
+    if (later && later.length) {
+      throw serviceError(409, `Cancel the later run for ${later[0].period_key} first — runs are cancelled newest first.`);
+    }
+
+    let journalStatus = null;
+    if (run.journal_id) {
+      const { data: journal } = await supabase
+        .from('journals')
+        .select('id, status')
+        .eq('id', run.journal_id)
+        .eq('company_id', companyId)
+        .maybeSingle();
+      journalStatus = journal ? journal.status : null;
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      if (run.journal_id && journalStatus === 'posted') {
+        await JournalService.reverseJournalOnClient(
+          client, run.journal_id, companyId, userId,
+          `Depreciation run ${run.period_key} cancelled${reason ? `: ${reason}` : ''}`
+        );
+      } else if (run.journal_id && journalStatus === 'draft') {
+        await this._deleteDraftJournalOnClient(client, companyId, run.journal_id);
+      }
+
+      const prevMonthEnd = _dayBefore(run.period_from);
+      for (const l of run.lines) {
+        await client.query(
+          `UPDATE fixed_assets
+              SET accumulated_depreciation = accumulated_depreciation - $1,
+                  tax_allowance_claimed    = tax_allowance_claimed - $2,
+                  depreciated_to_date = CASE
+                    WHEN accumulated_depreciation - $1 <= 0 AND tax_allowance_claimed - $2 <= 0 THEN NULL
+                    ELSE $3::date END,
+                  status = CASE WHEN status = 'fully_depreciated' THEN 'active' ELSE status END,
+                  updated_at = NOW()
+            WHERE id = $4 AND company_id = $5`,
+          [l.book_depreciation, l.tax_allowance, prevMonthEnd, l.asset_id, companyId]
+        );
+      }
+
+      const cancelled = await client.query(
+        `UPDATE fixed_asset_depreciation_runs
+            SET status = 'cancelled', cancelled_by_user_id = $1, cancelled_at = NOW(), cancel_reason = $2
+          WHERE id = $3 AND company_id = $4 AND status = 'draft'`,
+        [userId, reason || null, run.id, companyId]
+      );
+      if (cancelled.rowCount !== 1) throw serviceError(409, 'Run was cancelled by another user.');
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw serviceError(err.statusCode, `Run cancellation rolled back: ${err.message}`);
+    } finally {
+      client.release();
+    }
+
+    return { runId: run.id, periodKey: run.period_key, journalAction: journalStatus === 'posted' ? 'reversed' : (run.journal_id ? 'deleted' : 'none') };
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // Disposal
+  // ══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Dispose of an asset. Depreciation for the part of the disposal month up to
+   * the disposal date is charged in the disposal journal itself, so the asset
+   * must already be depreciated up to the end of the previous month.
+   */
+  static async disposeAsset({ companyId, assetId, userId, disposalDate, proceeds, proceedsAccountId }) {
+    const asset = await this._getAssetOrThrow(companyId, assetId);
+    if (asset.status === 'disposed') throw serviceError(409, 'Asset is already disposed.');
+    if (!disposalDate) throw serviceError(400, 'disposalDate is required.');
+    if (disposalDate < asset.acquisition_date) throw serviceError(400, 'disposalDate cannot be before the acquisition date.');
+
+    const amount = parseFloat(proceeds || 0);
+    if (!Number.isFinite(amount) || amount < 0) throw serviceError(400, 'proceeds must be a non-negative number.');
+    if (amount > 0 && !proceedsAccountId) throw serviceError(400, 'proceedsAccountId is required when proceeds are received.');
+    if (proceedsAccountId) await this._assertCompanyAccounts(companyId, [proceedsAccountId]);
+
+    const cls = await this._getClassOrThrow(companyId, asset.class_id);
+    const month = monthPeriod(disposalDate.slice(0, 7));
+    const prevMonthEnd = _dayBefore(month.fromDate);
+
+    if (asset.depreciated_to_date && asset.depreciated_to_date > disposalDate) {
+      throw serviceError(409, `Asset is depreciated to ${asset.depreciated_to_date}, after the disposal date. Cancel that run first.`);
+    }
+    const needsCatchUp = !isFullyWrittenOff(asset, asset.accumulated_depreciation, asset.tax_allowance_claimed)
+      && asset.available_for_use_date <= prevMonthEnd
+      && (!asset.depreciated_to_date || asset.depreciated_to_date < prevMonthEnd);
+    if (needsCatchUp) {
+      throw serviceError(409, `Run depreciation up to ${prevMonthEnd.slice(0, 7)} before disposing of this asset.`);
+    }
+
+    const chargedThisMonth = asset.depreciated_to_date && asset.depreciated_to_date >= month.fromDate;
+    const finalDep = chargedThisMonth ? 0 : bookDepreciationForPeriod(asset, {
+      ...month, accumulated: asset.accumulated_depreciation, endDate: disposalDate,
+    });
+    const finalTax = chargedThisMonth ? 0 : taxAllowanceForPeriod(asset, {
+      ...month, claimed: asset.tax_allowance_claimed, endDate: disposalDate,
+    });
+
+    const accumulated = _round2(parseFloat(asset.accumulated_depreciation) + finalDep);
+    const taxClaimed  = _round2(parseFloat(asset.tax_allowance_claimed) + finalTax);
+    const outcome = disposalOutcome({
+      cost: asset.cost, accumulated, proceeds: amount,
+      taxCost: asset.tax_cost, taxClaimed,
+    });
+
+    const disposalAccountId = cls.disposal_account_id || await this._findAccountByCode(companyId, '4700');
+    if (!disposalAccountId && Math.abs(outcome.profit) > 0.005) {
+      throw serviceError(404, 'No disposal account on the asset class and account 4700 (Profit on Disposal of Assets) not found.');
+    }
+
+    const seg = asset.segment_value_id || null;
+    const cost = parseFloat(asset.cost);
+    const lines = [];
+    if (finalDep > 0) {
+      lines.push({ accountId: cls.depreciation_expense_account_id, debit: finalDep, credit: 0,
+        description: `Depreciation to disposal: ${asset.asset_number}`, segmentValueId: seg });
+    }
+    if (parseFloat(asset.accumulated_depreciation) > 0) {
+      lines.push({ accountId: cls.accum_depreciation_account_id, debit: parseFloat(asset.accumulated_depreciation), credit: 0,
+        description: `Accumulated depreciation released: ${asset.asset_number}`, segmentValueId: seg });
+    }
+    if (amount > 0) {
+      lines.push({ accountId: parseInt(proceedsAccountId), debit: amount, credit: 0,
+        description: `Disposal proceeds: ${asset.asset_number}` });
+    }
+    if (cost > 0) {
+      lines.push({ accountId: cls.cost_account_id, debit: 0, credit: cost,
+        description: `Asset derecognised: ${asset.asset_number}`, segmentValueId: seg });
+    }
+    if (outcome.profit < -0.005) {
+      lines.push({ accountId: disposalAccountId, debit: -outcome.profit, credit: 0,
+        description: `Loss on disposal: ${asset.asset_number}`, segmentValueId: seg });
+    } else if (outcome.profit > 0.005) {
+      lines.push({ accountId: disposalAccountId, debit: 0, credit: outcome.profit,
+        description: `Profit on disposal: ${asset.asset_number}`, segmentValueId: seg });
+    }
+
+    let journal = null;
+    if (lines.length >= 2) {
+      journal = await JournalService.createDraftJournal({
+        companyId,
+        date:            disposalDate,
+        reference:       `DISP-${asset.asset_number}`,
+        description:     `Asset disposal: ${asset.description}`,
+        sourceType:      'fixed_asset_disposal',
+        createdByUserId: userId,
+        lines,
+        metadata:        { asset_id: asset.id, asset_number: asset.asset_number },
+      });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('fixed_assets')
+      .update({
+        status:                   'disposed',
+        accumulated_depreciation: accumulated,
+        tax_allowance_claimed:    taxClaimed,
+        depreciated_to_date:      disposalDate,
+        disposal_date:            disposalDate,
+        disposal_proceeds:        amount,
+        disposal_journal_id:      journal ? journal.id : null,
+        disposal_profit:          outcome.profit,
+        tax_recoupment:           outcome.taxRecoupment,
+        tax_scrapping_allowance:  outcome.scrappingAllowance,
+        updated_at:               new Date().toISOString(),
+      })
+      .eq('id', asset.id)
+      .eq('company_id', companyId)
+      .neq('status', 'disposed')
+      .select()
+      .single();
+
+    if (error || !updated) {
+      if (journal) {
+        const client = await db.getClient();
+        try {
+          await this._deleteDraftJournalOnClient(client, companyId, journal.id);
+        } catch (cleanupErr) {
+          console.error(`[FixedAssets] CRITICAL: draft journal ${journal.id} orphaned after disposal failure:`, cleanupErr.message);
+        } finally {
+          client.release();
+        }
+      }
+      throw new Error(`Failed to record disposal: ${error ? error.message : 'asset changed concurrently'}`);
+    }
+
+    return {
+      asset:              this._withValues(updated),
+      journalId:          journal ? journal.id : null,
+      finalDepreciation:  finalDep,
+      finalTaxAllowance:  finalTax,
+      outcome,
+    };
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // Register report
+  // ══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Asset register grouped by class with book and tax values side by side.
+   */
+  static async register({ companyId, includeDisposed = false }) {
+    const [assets, classes] = await Promise.all([
+      this.listAssets({ companyId }),
+      this.listClasses({ companyId }),
+    ]);
+
+    const groups = classes.map(c => ({
+      classId: c.id, code: c.code, name: c.name, assets: [],
+      totals: { cost: 0, accumulatedDepreciation: 0, bookValue: 0, taxAllowanceClaimed: 0, taxValue: 0 },
+    }));
+    const byId = {};
+    groups.forEach(g => { byId[g.classId] = g; });
+
+    const grand = { cost: 0, accumulatedDepreciation: 0, bookValue: 0, taxAllowanceClaimed: 0, taxValue: 0 };
+    for (const a of assets) {
+      if (a.status === 'disposed' && !includeDisposed) continue;
+      const g = byId[a.class_id];
+      if (!g) continue;
+      g.assets.push(a);
+      if (a.status === 'disposed') continue; // listed for reference, not in carrying totals
+      const add = {
+        cost: parseFloat(a.cost) || 0,
+        accumulatedDepreciation: parseFloat(a.accumulated_depreciation) || 0,
+        bookValue: a.book_value,
+        taxAllowanceClaimed: parseFloat(a.tax_allowance_claimed) || 0,
+        taxValue: a.tax_value,
+      };
+      for (const k of Object.keys(add)) {
+        g.totals[k] = _round2(g.totals[k] + add[k]);
+        grand[k]    = _round2(grand[k] + add[k]);
+      }
+    }
+
+    return {
+      classes: groups.filter(g => g.assets.length > 0),
+      totals: { ...grand, temporaryDifference: _round2(grand.bookValue - grand.taxValue) },
+    };
+  }
+}
+
+module.exports = FixedAssetService;
@@ -0,0 +1,515 @@
+'use strict';
+
+/**
+ * FX Service
+ * ============================================================================
+ * Exchange rates, foreign-currency settlement and period-end revaluation.
+ *
+ * CRITICAL RULES:
+ *   1. ZAR is the ledger currency. Conversion and FX maths live in fxUtils.js
+ *      (pure) — this service only loads, persists and journals the results.
+ *   2. A document's rate is fixed when it is captured: the rate supplied by
+ *      the caller, otherwise the latest exchange_rates row on or before the
+ *      document date. No rate → the document is rejected.
+ *   3. Realised FX posts inside the payment journal (source_type
+ *      customer_payment / supplier_payment) so a payment void reverses it
+ *      together with the bank and AR/AP lines.
+ *   4. Revaluation posts an 'fx_revaluation' journal on the revaluation date
+ *      and its mirror image on the next day ('fx_revaluation_reversal'). Both
+ *      are ordinary posted journals — the original is NOT marked reversed, so
+ *      the period-end balance sheet keeps the revalued figures.
+ *   5. All queries and mutations are scoped to companyId server-side.
+ *
+ * FX ACCOUNTS (created on first use when missing from the company chart):
+ *   4810 Foreign Exchange Gain/Loss — Realised
+ *   4820 Foreign Exchange Gain/Loss — Unrealised
+ * ============================================================================
+ */
+
+const { supabase } = require('../../../config/database');
+const db = require('../config/database'); // direct pg Pool — atomic writes
+const JournalService = require('./journalService');
+const {
+  BASE_CURRENCY,
+  normaliseCurrency,
+  isForeign,
+  parseRate,
+  buildSettlement,
+  buildRevaluation,
+  reverseLines,
+  nextDay,
+} = require('./fxUtils');
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+const FX_ACCOUNTS = {
+  realised:   { code: '4810', name: 'Foreign Exchange Gain/Loss — Realised' },
+  unrealised: { code: '4820', name: 'Foreign Exchange Gain/Loss — Unrealised' },
+};
+
+// Document tables by settlement side
+const INVOICE_TABLES = {
+  receivable: { table: 'customer_invoices', total: 'total_amount',  label: 'Invoice' },
+  payable:    { table: 'supplier_invoices', total: 'total_inc_vat', label: 'Supplier invoice' },
+};
+
+function _isoDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || '')) ? String(value) : null;
+}
+
+class FxService {
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // Exchange rates
+  // ══════════════════════════════════════════════════════════════════════════
+
+  static async listRates({ companyId, currencyCode = null, fromDate = null, toDate = null }) {
+    const params = [companyId];
+    let where = 'company_id = $1';
+    if (currencyCode) { params.push(normaliseCurrency(currencyCode)); where += ` AND currency_code = $${params.length}`; }
+    if (fromDate)     { params.push(fromDate); where += ` AND rate_date >= $${params.length}`; }
+    if (toDate)       { params.push(toDate);   where += ` AND rate_date <= $${params.length}`; }
+    const { rows } = await db.query(
+      `SELECT id, currency_code, rate_date::text AS rate_date, rate, source, created_at
+         FROM exchange_rates
+        WHERE ${where}
+        ORDER BY rate_date DESC, currency_code
+        LIMIT 1000`,
+      params
+    );
+    return rows;
+  }
+
+  /** Insert or overwrite the rate for one currency and date. */
+  static async saveRate({ companyId, userId, currencyCode, rateDate, rate, source = 'manual' }, client = db) {
+    const ccy = normaliseCurrency(currencyCode);
+    if (!ccy) throw serviceError(400, 'currencyCode must be a 3-letter currency code.');
+    if (ccy === BASE_CURRENCY) throw serviceError(400, `${BASE_CURRENCY} is the base currency — no rate is required.`);
+    if (!_isoDate(rateDate)) throw serviceError(400, 'rateDate is required (YYYY-MM-DD).');
+    const r = parseRate(rate);
+    if (!r) throw serviceError(400, 'rate must be a positive number (ZAR per 1 unit).');
+
+    const { rows } = await client.query(
+      `INSERT INTO exchange_rates (company_id, currency_code, rate_date, rate, source, created_by_user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (company_id, currency_code, rate_date)
+       DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, updated_at = NOW()
+       RETURNING id, currency_code, rate_date::text AS rate_date, rate, source`,
+      [companyId, ccy, rateDate, r, source, userId || null]
+    );
+    return rows[0];
+  }
+
+  /** Upsert parsed CSV/XLSX rows in one transaction. */
+  static async importRates({ companyId, userId, rows }) {
+    if (!rows || !rows.length) throw serviceError(400, 'No valid rate rows were found in the file.');
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      for (const row of rows) {
+        await this.saveRate({
+          companyId, userId, currencyCode: row.currencyCode, rateDate: row.rateDate, rate: row.rate, source: 'csv',
+        }, client);
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+    return { imported: rows.length, currencies: [...new Set(rows.map(r => r.currencyCode))].sort() };
+  }
+
+  static async deleteRate({ companyId, rateId }) {
+    const { rows } = await db.query(
+      `DELETE FROM exchange_rates WHERE id = $1 AND company_id = $2
+       RETURNING id, currency_code, rate_date::text AS rate_date, rate`,
+      [parseInt(rateId), companyId]
+    );
+    if (!rows.length) throw serviceError(404, 'Exchange rate not found.');
+    return rows[0];
+  }
+
+  /** Latest rate on or before date: { rate, rateDate } or null. ZAR is always 1. */
+  static async getRate(companyId, currencyCode, date) {
+    const ccy = normaliseCurrency(currencyCode);
+    if (!ccy || ccy === BASE_CURRENCY) return { rate: 1, rateDate: date };
+    const { rows } = await db.query(
+      `SELECT rate, rate_date::text AS rate_date
+         FROM exchange_rates
+        WHERE company_id = $1 AND currency_code = $2 AND rate_date <= $3
+        ORDER BY rate_date DESC
+        LIMIT 1`,
+      [companyId, ccy, date]
+    );
+    return rows.length ? { rate: parseFloat(rows[0].rate), rateDate: rows[0].rate_date } : null;
+  }
+
+  /**
+   * Currency and rate for a new document.
+   * An explicit rate wins; otherwise the rate table is used.
+   * @returns {{ currencyCode: string, exchangeRate: number }}
+   */
+  static async resolveDocumentRate(companyId, currencyCode, date, explicitRate = null) {
+    const ccy = currencyCode ? normaliseCurrency(currencyCode) : BASE_CURRENCY;
+    if (!ccy) throw serviceError(400, 'currencyCode must be a 3-letter currency code.');
+    if (ccy === BASE_CURRENCY) return { currencyCode: BASE_CURRENCY, exchangeRate: 1 };
+
+    if (explicitRate !== null && explicitRate !== undefined && explicitRate !== '') {
+      const r = parseRate(explicitRate);
+      if (!r) throw serviceError(400, 'exchangeRate must be a positive number (ZAR per 1 unit).');
+      return { currencyCode: ccy, exchangeRate: r };
+    }
+    const found = await this.getRate(companyId, ccy, date);
+    if (!found) {
+      throw serviceError(400, `No ${ccy} exchange rate on or before ${date} — load a rate or supply exchangeRate.`);
+    }
+    return { currencyCode: ccy, exchangeRate: found.rate };
+  }
+
+  /** FX gain/loss account id ('realised' | 'unrealised'), created when missing. */
+  static async fxAccountId(companyId, kind) {
+    const def = FX_ACCOUNTS[kind];
+    const { data: existing } = await supabase
+      .from('accounts')
+      .select('id')
+      .eq('company_id', companyId)
+      .eq('code', def.code)
+      .eq('is_active', true)
+      .maybeSingle();
+    if (existing) return existing.id;
+
+    const { data: created, error } = await supabase
+      .from('accounts')
+      .insert({
+        company_id:         companyId,
+        code:               def.code,
+        name:               def.name,
+        type:               'income',
+        sub_type:           'other_income',
+        reporting_group:    'other_income',
+        cash_flow_category: 'operating',
+        description:        'Auto-created for multi-currency FX postings',
+        is_active:          true,
+        is_system:          true,
+        sort_order:         parseInt(def.code),
+      })
+      .select('id')
+      .single();
+    if (error) throw new Error(`Failed to create FX account ${def.code}: ${error.message}`);
+    console.log(`[FX] Auto-created account ${def.code} (id=${created.id}) for company ${companyId}`);
+    return created.id;
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // Realised FX — payment settlement
+  // ══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Resolve the payment rate and split the payment over its allocations.
+   * Allocation amounts are in the payment currency, which must match every
+   * allocated invoice's currency.
+   *
+   * @param {object}   p
+   * @param {string}   p.side — 'receivable' | 'payable'
+   * @param {object[]} p.allocations — { invoiceId, amount }
+   * @returns {object} { isForeign, currencyCode, exchangeRate, settlement }
+   */
+  static async prepareSettlement({ companyId, side, currencyCode, exchangeRate, paymentDate, paymentAmount, allocations }) {
+    const { currencyCode: ccy, exchangeRate: rate } =
+      await this.resolveDocumentRate(companyId, currencyCode, paymentDate, exchangeRate);
+
+    const cfg = INVOICE_TABLES[side];
+    const wanted = (allocations || []).filter(a => a.invoiceId && a.amount);
+    const invoiceIds = wanted.map(a => parseInt(a.invoiceId));
+    const invoices = new Map();
+    if (invoiceIds.length) {
+      const { rows } = await db.query(
+        `SELECT id, invoice_number, currency_code, exchange_rate, amount_paid
+           FROM ${cfg.table}
+          WHERE company_id = $1 AND id = ANY($2::int[])`,
+        [companyId, invoiceIds]
+      );
+      rows.forEach(r => invoices.set(r.id, r));
+    }
+
+    for (const a of wanted) {
+      const inv = invoices.get(parseInt(a.invoiceId));
+      if (!inv) throw serviceError(404, `${cfg.label} ${a.invoiceId} not found for this company.`);
+      const invCcy = inv.currency_code || BASE_CURRENCY;
+      if (invCcy !== ccy) {
+        throw serviceError(400,
+          `${cfg.label} ${inv.invoice_number || inv.id} is in ${invCcy} — a ${ccy} payment can only be allocated to ${ccy} invoices.`
+        );
+      }
+    }
+
+    const settlement = buildSettlement({
+      side,
+      paymentAmount,
+      paymentRate: rate,
+      allocations: wanted.map(a => {
+        const inv = invoices.get(parseInt(a.invoiceId));
+        return {
+          invoiceId:   inv.id,
+          amount:      a.amount,
+          invoiceRate: parseFloat(inv.exchange_rate) || 1,
+          paidBefore:  parseFloat(inv.amount_paid) || 0,
+        };
+      }),
+    });
+
+    return { isForeign: isForeign(ccy), currencyCode: ccy, exchangeRate: rate, settlement };
+  }
+
+  // ══════════════════════════════════════════════════════════════════════════
+  // Unrealised FX — period-end revaluation
+  // ══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Open foreign items as at a date, in transaction currency and in booked ZAR.
+   * Open balances exclude payments dated after the revaluation date.
+   */
+  static async _openForeignItems(companyId, date) {
+    const ar = await db.query(`SELECT id FROM accounts WHERE company_id = $1 AND code = '1100' AND is_active = true`, [companyId]);
+    const ap = await db.query(`SELECT id FROM accounts WHERE company_id = $1 AND code = '2000' AND is_active = true`, [companyId]);
+    const items = [];
+
+    const { rows: debtors } = await db.query(
+      `SELECT ci.id, ci.invoice_number, ci.currency_code, ci.exchange_rate,
+              ci.total_amount - ci.amount_paid + COALESCE((
+                SELECT SUM(a.amount_applied)
+                  FROM customer_payment_allocations a
+                  JOIN customer_payments p ON p.id = a.payment_id
+                 WHERE a.invoice_id = ci.id AND p.payment_date > $2 AND COALESCE(p.is_reversed, false) = false
+              ), 0) AS open_amount
+         FROM customer_invoices ci
+        WHERE ci.company_id = $1 AND ci.currency_code <> $3
+          AND ci.journal_id IS NOT NULL AND ci.date <= $2
+          AND ci.status NOT IN ('draft', 'void', 'cancelled')`,
+      [companyId, date, BASE_CURRENCY]
+    );
+    for (const d of debtors) {
+      const open = parseFloat(d.open_amount) || 0;
+      if (Math.abs(open) < 0.005) continue;
+      if (!ar.rows.length) throw serviceError(404, 'Accounts Receivable account (code 1100) not found.');
+      items.push({
+        kind: 'receivable', entityId: d.id, reference: d.invoice_number, accountId: ar.rows[0].id,
+        currency: d.currency_code, foreignBalance: open, bookedBase: open * parseFloat(d.exchange_rate),
+      });
+    }
+
+    const { rows: creditors } = await db.query(
+      `SELECT si.id, si.invoice_number, si.currency_code, si.exchange_rate,
+              si.total_inc_vat - si.amount_paid + COALESCE((
+                SELECT SUM(a.amount)
+                  FROM supplier_payment_allocations a
+                  JOIN supplier_payments p ON p.id = a.payment_id
+                 WHERE a.invoice_id = si.id AND p.payment_date > $2 AND COALESCE(p.is_reversed, false) = false
+              ), 0) AS open_amount
+         FROM supplier_invoices si
+        WHERE si.company_id = $1 AND si.currency_code <> $3
+          AND si.journal_id IS NOT NULL AND si.invoice_date <= $2
+          AND si.status NOT IN ('draft', 'void', 'cancelled')`,
+      [companyId, date, BASE_CURRENCY]
+    );
+    for (const c of creditors) {
+      const open = parseFloat(c.open_amount) || 0;
+      if (Math.abs(open) < 0.005) continue;
+      if (!ap.rows.length) throw serviceError(404, 'Accounts Payable account (code 2000) not found.');
+      items.push({
+        kind: 'payable', entityId: c.id, reference: c.invoice_number, accountId: ap.rows[0].id,
+        currency: c.currency_code, foreignBalance: open, bookedBase: open * parseFloat(c.exchange_rate),
+      });
+    }
+
+    // Foreign bank accounts: statement balance in the account currency vs ledger balance in ZAR
+    const { rows: banks } = await db.query(
+      `SELECT ba.id, ba.name, ba.currency, ba.ledger_account_id,
+              COALESCE(ba.opening_balance, 0) + COALESCE((
+                SELECT SUM(bt.amount) FROM bank_transactions bt
+                 WHERE bt.bank_account_id = ba.id AND bt.date <= $2
+              ), 0) AS foreign_balance,
+              COALESCE((
+                SELECT SUM(jl.debit - jl.credit)
+                  FROM journal_lines jl
+                  JOIN journals j ON j.id = jl.journal_id
+                 WHERE j.company_id = $1 AND j.status = 'posted' AND j.date <= $2
+                   AND jl.account_id = ba.ledger_account_id
+              ), 0) AS booked_base
+         FROM bank_accounts ba
+        WHERE ba.company_id = $1 AND ba.is_active = true
+          AND ba.ledger_account_id IS NOT NULL
+          AND UPPER(COALESCE(ba.currency, $3)) <> $3`,
+      [companyId, date, BASE_CURRENCY]
+    );
+    for (const b of banks) {
+      items.push({
+        kind: 'bank', entityId: b.id, reference: b.name, accountId: b.ledger_account_id,
+        currency: normaliseCurrency(b.currency), foreignBalance: b.foreign_balance, bookedBase: b.booked_base,
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * Revaluation preview: open items, closing rates and the journal that would post.
+   * @param {object} [rateOverrides] — { USD: 18.4 } to use instead of the rate table
+   */
+  static async previewRevaluation({ companyId, revaluationDate, rateOverrides = {} }) {
+    if (!_isoDate(revaluationDate)) throw serviceError(400, 'revaluationDate is required (YYYY-MM-DD).');
+
+    const items = await this._openForeignItems(companyId, revaluationDate);
+    const rates = {};
+    const rateDates = {};
+    for (const ccy of [...new Set(items.map(i => i.currency))]) {
+      const override = parseRate(rateOverrides[ccy]);
+      if (override) { rates[ccy] = override; rateDates[ccy] = revaluationDate; continue; }
+      const found = await this.getRate(companyId, ccy, revaluationDate);
+      if (found) { rates[ccy] = found.rate; rateDates[ccy] = found.rateDate; }
+    }
+
+    const fxAccountId = await this.fxAccountId(companyId, 'unrealised');
+    const result = buildRevaluation({ items, rates, fxAccountId });
+    return { revaluationDate, reversalDate: nextDay(revaluationDate), rates, rateDates, ...result };
+  }
+
+  /**
+   * Post the revaluation and its next-day reversal, and record the run.
+   */
+  static async runRevaluation({ companyId, userId, revaluationDate, rateOverrides = {} }) {
+    const preview = await this.previewRevaluation({ companyId, revaluationDate, rateOverrides });
+    if (preview.missingRates.length) {
+      throw serviceError(400, `No exchange rate on or before ${revaluationDate} for: ${preview.missingRates.join(', ')}.`);
+    }
+    if (!preview.journalLines.length) throw serviceError(400, `Nothing to revalue at ${revaluationDate}.`);
+
+    const { rows: existing } = await db.query(
+      `SELECT id FROM fx_revaluations WHERE company_id = $1 AND revaluation_date = $2`,
+      [companyId, revaluationDate]
+    );
+    if (existing.length) throw serviceError(409, `A revaluation already exists for ${revaluationDate}.`);
+
+    if (await JournalService.isPeriodLocked(companyId, preview.reversalDate)) {
+      throw serviceError(409, `Cannot revalue: the reversal date ${preview.reversalDate} falls within a locked accounting period.`);
+    }
+
+    const reference = `FXR-${revaluationDate}`;
+    const journal = await JournalService.createDraftJournal({
+      companyId,
+      date:            revaluationDate,
+      reference,
+      description:     `Unrealised FX revaluation at ${revaluationDate}`,
+      sourceType:      'fx_revaluation',
+      createdByUserId: userId,
+      lines:           preview.journalLines,
+      metadata:        { rates: preview.rates },
+    });
+    let reversal;
+    try {
+      reversal = await JournalService.createDraftJournal({
+        companyId,
+        date:            preview.reversalDate,
+        reference:       `${reference}-REV`,
+        description:     `Reversal of unrealised FX revaluation at ${revaluationDate}`,
+        sourceType:      'fx_revaluation_reversal',
+        createdByUserId: userId,
+        lines:           reverseLines(preview.journalLines),
+        metadata:        { rates: preview.rates },
+      });
+    } catch (err) {
+      await this._deleteDraftJournals(companyId, [journal.id]);
+      throw err;
+    }
+
+    const client = await db.getClient();
+    let run;
+    try {
+      await client.query('BEGIN');
+      const runResult = await client.query(
+        `INSERT INTO fx_revaluations
+           (company_id, revaluation_date, reversal_date, rates, total_adjustment,
+            journal_id, reversal_journal_id, created_by_user_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id, revaluation_date::text AS revaluation_date, reversal_date::text AS reversal_date,
+                   rates, total_adjustment, journal_id, reversal_journal_id`,
+        [companyId, revaluationDate, preview.reversalDate, preview.rates, preview.totalAdjustment,
+         journal.id, reversal.id, userId || null]
+      );
+      run = runResult.rows[0];
+
+      for (const l of preview.lines) {
+        await client.query(
+          `INSERT INTO fx_revaluation_lines
+             (revaluation_id, kind, entity_id, reference, account_id, currency_code,
+              foreign_balance, booked_base, rate, revalued_base, adjustment)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+          [run.id, l.kind, l.entityId, l.reference || null, l.accountId, l.currency,
+           l.foreignBalance, l.bookedBase, l.rate, l.revaluedBase, l.adjustment]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      await this._deleteDraftJournals(companyId, [journal.id, reversal.id]);
+      throw serviceError(err.statusCode, `Revaluation rolled back: ${err.message}`);
+    } finally {
+      client.release();
+    }
+
+    try {
+      await JournalService.postJournal(journal.id, companyId, userId);
+      await JournalService.postJournal(reversal.id, companyId, userId);
+    } catch (err) {
+      throw new Error(
+        `Revaluation ${run.id} recorded but posting failed (${err.message}). ` +
+        `Journals ${journal.id} and ${reversal.id} are drafts — post them from the journals screen.`
+      );
+    }
+
+    return { revaluation: run, lines: preview.lines, totalAdjustment: preview.totalAdjustment };
+  }
+
+  static async _deleteDraftJournals(companyId, journalIds) {
+    try {
+      await db.query(`DELETE FROM journal_lines WHERE journal_id = ANY($1::int[])`, [journalIds]);
+      await db.query(
+        `DELETE FROM journals WHERE id = ANY($1::int[]) AND company_id = $2 AND status = 'draft'`,
+        [journalIds, companyId]
+      );
+    } catch (cleanupErr) {
+      console.error(`[FX] CRITICAL: draft journals ${journalIds.join(', ')} orphaned:`, cleanupErr.message);
+    }
+  }
+
+  static async listRevaluations({ companyId }) {
+    const { rows } = await db.query(
+      `SELECT id, revaluation_date::text AS revaluation_date, reversal_date::text AS reversal_date,
+              rates, total_adjustment, journal_id, reversal_journal_id, created_at
+         FROM fx_revaluations
+        WHERE company_id = $1
+        ORDER BY revaluation_date DESC`,
+      [companyId]
+    );
+    return rows;
+  }
+
+  static async getRevaluation({ companyId, revaluationId }) {
+    const { rows } = await db.query(
+      `SELECT id, revaluation_date::text AS revaluation_date, reversal_date::text AS reversal_date,
+              rates, total_adjustment, journal_id, reversal_journal_id, created_at
+         FROM fx_revaluations
+        WHERE id = $1 AND company_id = $2`,
+      [parseInt(revaluationId), companyId]
+    );
+    if (!rows.length) throw serviceError(404, 'Revaluation not found.');
+    const { rows: lines } = await db.query(
+      `SELECT * FROM fx_revaluation_lines WHERE revaluation_id = $1 ORDER BY kind, currency_code, id`,
+      [rows[0].id]
+    );
+    return { ...rows[0], lines };
+  }
+}
+
+module.exports = FxService;
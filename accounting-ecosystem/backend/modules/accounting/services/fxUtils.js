@@ -0,0 +1,353 @@
+'use strict';
+
+/**
+ * fxUtils.js
+ * Pure multi-currency helpers — no DB access, fully testable.
+ *
+ * ZAR is the ledger currency. Documents (invoices, payments) keep their
+ * amounts in the transaction currency together with exchange_rate, quoted
+ * as ZAR per 1 unit of that currency. A ZAR document has rate 1.
+ *
+ * Rounding: ZAR equivalents are rounded to cents cumulatively — the ZAR
+ * cleared by a part-payment is round(paidAfter × rate) − round(paidBefore ×
+ * rate) — so an invoice settled in instalments clears exactly the amount
+ * that was booked to AR/AP when it was posted.
+ */
+
+const BASE_CURRENCY = 'ZAR';
+
+// ─── Internal helpers ────────────────────────────────────────────────────────
+
+function _round2(n) { return Math.round(n * 100) / 100; }
+
+function _round8(n) { return Math.round(n * 1e8) / 1e8; }
+
+// ─── Currency & rates ────────────────────────────────────────────────────────
+
+/** 'usd ' → 'USD'. Returns null when the value is not a 3-letter code. */
+function normaliseCurrency(code) {
+  if (code === null || code === undefined || code === '') return null;
+  const c = String(code).trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(c) ? c : null;
+}
+
+function isForeign(code) {
+  const c = normaliseCurrency(code);
+  return c !== null && c !== BASE_CURRENCY;
+}
+
+/**
+ * Positive rate rounded to 8 decimals, or null.
+ * A lone comma is a decimal comma ('18,25'); otherwise commas are thousands separators.
+ */
+function parseRate(value) {
+  let s = String(value ?? '').replace(/\s/g, '');
+  s = s.includes(',') && !s.includes('.') ? s.replace(',', '.') : s.replace(/,/g, '');
+  const n = parseFloat(s);
+  return isFinite(n) && n > 0 ? _round8(n) : null;
+}
+
+/** ZAR equivalent of a transaction-currency amount. */
+function toBase(amount, rate) {
+  return _round2((parseFloat(amount) || 0) * (parseFloat(rate) || 1));
+}
+
+/**
+ * The rate that applies on a date: the latest rate dated on or before it.
+ * @param {object[]} rates — { rate_date, rate } for one currency, any order
+ * @returns {{ rate: number, rateDate: string } | null}
+ */
+function rateOnDate(rates, date) {
+  let best = null;
+  for (const r of rates || []) {
+    const d = String(r.rate_date).slice(0, 10);
+    if (d > date) continue;
+    if (!best || d > best.rateDate) best = { rate: parseFloat(r.rate), rateDate: d };
+  }
+  return best;
+}
+
+/**
+ * Convert journal lines entered in a foreign currency to ZAR.
+ * Each line keeps its transaction amount in foreignDebit/foreignCredit.
+ * Converting line by line can leave the journal a cent or two out of
+ * balance; the residual is put on the largest line on the side that has
+ * more than one line, so the control-account line (AR/AP) stays at
+ * toBase(document total).
+ */
+function convertLinesToBase(lines, rate) {
+  const converted = lines.map(l => ({
+    ...l,
+    debit:         toBase(l.debit, rate),
+    credit:        toBase(l.credit, rate),
+    foreignDebit:  _round2(parseFloat(l.debit)  || 0),
+    foreignCredit: _round2(parseFloat(l.credit) || 0),
+  }));
+
+  const dr = converted.reduce((s, l) => s + l.debit, 0);
+  const cr = converted.reduce((s, l) => s + l.credit, 0);
+  const residual = _round2(dr - cr);
+  if (residual === 0) return converted;
+
+  const debits  = converted.filter(l => l.debit  > 0);
+  const credits = converted.filter(l => l.credit > 0);
+  const side = credits.length > 1 || debits.length <= 1 ? 'credit' : 'debit';
+  const pool = side === 'credit' ? credits : debits;
+  if (!pool.length) return converted;
+  const target = pool.reduce((a, b) => (b[side] > a[side] ? b : a));
+  target[side] = _round2(target[side] + (side === 'credit' ? residual : -residual));
+  return converted;
+}
+
+// ─── Realised FX on settlement ───────────────────────────────────────────────
+
+/**
+ * Split a payment over its allocations in ZAR terms.
+ *
+ * Every allocation is in the payment's currency (the invoices must share it).
+ * For each allocation:
+ *   baseCleared — ZAR removed from AR/AP at the invoice rate
+ *   baseSettled — ZAR actually received/paid at the payment rate
+ *   gainLoss    — realised FX, positive = gain
+ *                 receivable: baseSettled − baseCleared (received more ZAR)
+ *                 payable:    baseCleared − baseSettled (paid less ZAR)
+ * Any unallocated remainder clears the control account at the payment rate.
+ *
+ * @param {object}   p
+ * @param {string}   p.side           — 'receivable' | 'payable'
+ * @param {number}   p.paymentAmount  — transaction currency
+ * @param {number}   p.paymentRate
+ * @param {object[]} p.allocations    — { invoiceId, amount, invoiceRate, paidBefore }
+ * @returns {{ paymentBase, controlBase, gainLoss, allocations: object[] }}
+ */
+function buildSettlement({ side, paymentAmount, paymentRate, allocations }) {
+  const payAmt = _round2(parseFloat(paymentAmount) || 0);
+  const paymentBase = toBase(payAmt, paymentRate);
+
+  let applied = 0;
+  let settledSoFar = 0;
+  let controlBase = 0;
+  let gainLoss = 0;
+  const out = [];
+
+  for (const a of allocations || []) {
+    const amount = _round2(parseFloat(a.amount) || 0);
+    if (amount <= 0) continue;
+    const paidBefore = _round2(parseFloat(a.paidBefore) || 0);
+
+    const baseCleared = _round2(toBase(paidBefore + amount, a.invoiceRate) - toBase(paidBefore, a.invoiceRate));
+    applied = _round2(applied + amount);
+    const baseSettled = _round2(toBase(applied, paymentRate) - settledSoFar);
+    settledSoFar = _round2(settledSoFar + baseSettled);
+
+    const gl = side === 'payable' ? _round2(baseCleared - baseSettled) : _round2(baseSettled - baseCleared);
+    controlBase = _round2(controlBase + baseCleared);
+    gainLoss = _round2(gainLoss + gl);
+    out.push({ invoiceId: a.invoiceId, amount, baseCleared, baseSettled, gainLoss: gl });
+  }
+
+  // Unallocated remainder (on account) — no FX until it is allocated
+  controlBase = _round2(controlBase + (paymentBase - settledSoFar));
+
+  return { paymentBase, controlBase, gainLoss, allocations: out };
+}
+
+/**
+ * Payment journal for a foreign-currency settlement.
+ *   receivable: DR Bank paymentBase / CR AR controlBase / FX balancing line
+ *   payable:    DR AP controlBase / CR Bank paymentBase / FX balancing line
+ * A gain is a credit to the FX account, a loss a debit.
+ */
+function settlementJournalLines({ side, settlement, paymentAmount, bankAccountId, controlAccountId, fxAccountId, label }) {
+  const foreign = _round2(parseFloat(paymentAmount) || 0);
+  const bank = {
+    accountId: bankAccountId,
+    description: side === 'payable' ? 'Bank payment out' : 'Bank receipt',
+  };
+  const control = {
+    accountId: controlAccountId,
+    description: side === 'payable' ? 'Accounts Payable cleared' : `AR cleared: ${label}`,
+  };
+
+  if (side === 'payable') {
+    Object.assign(control, { debit: settlement.controlBase, credit: 0, foreignDebit: foreign });
+    Object.assign(bank,    { debit: 0, credit: settlement.paymentBase, foreignCredit: foreign });
+  } else {
+    Object.assign(bank,    { debit: settlement.paymentBase, credit: 0, foreignDebit: foreign });
+    Object.assign(control, { debit: 0, credit: settlement.controlBase, foreignCredit: foreign });
+  }
+
+  const lines = side === 'payable' ? [control, bank] : [bank, control];
+  const g = settlement.gainLoss;
+  if (g !== 0) {
+    lines.push({
+      accountId: fxAccountId,
+      debit:  g < 0 ? -g : 0,
+      credit: g > 0 ? g : 0,
+      description: g > 0 ? 'Realised FX gain' : 'Realised FX loss',
+    });
+  }
+  return lines;
+}
+
+// ─── Unrealised FX on revaluation ────────────────────────────────────────────
+
+/**
+ * Revalue open foreign balances at closing rates.
+ *
+ * Items:
+ *   receivable / bank — asset balances: a higher ZAR value is a gain
+ *   payable           — liability balance (positive = owed): a higher ZAR value is a loss
+ *
+ * @param {object}   p
+ * @param {object[]} p.items — { kind, entityId, reference, accountId, currency, foreignBalance, bookedBase }
+ * @param {object}   p.rates — { [currency]: closing rate }
+ * @param {number}   p.fxAccountId — unrealised FX gain/loss account
+ * @returns {{ lines: object[], journalLines: object[], totalAdjustment: number, missingRates: string[] }}
+ *   lines        — per item, with rate, revaluedBase and adjustment (gain +)
+ *   journalLines — netted per account; balancing line on fxAccountId
+ */
+function buildRevaluation({ items, rates, fxAccountId }) {
+  const lines = [];
+  const missing = new Set();
+  const perAccount = new Map();
+
+  for (const item of items || []) {
+    const rate = rates[item.currency];
+    if (!rate) { missing.add(item.currency); continue; }
+
+    const foreignBalance = _round2(parseFloat(item.foreignBalance) || 0);
+    const bookedBase = _round2(parseFloat(item.bookedBase) || 0);
+    const revaluedBase = toBase(foreignBalance, rate);
+    const movement = _round2(revaluedBase - bookedBase);
+    const adjustment = item.kind === 'payable' ? -movement : movement;
+    if (adjustment === 0) continue;
+
+    lines.push({ ...item, foreignBalance, bookedBase, rate, revaluedBase, adjustment });
+
+    // Asset accounts move with the ZAR value; the payable control moves the other way
+    const dr = item.kind === 'payable' ? -movement : movement;
+    perAccount.set(item.accountId, _round2((perAccount.get(item.accountId) || 0) + dr));
+  }
+
+  const journalLines = [];
+  let total = 0;
+  for (const [accountId, net] of perAccount) {
+    if (net === 0) continue;
+    journalLines.push({
+      accountId,
+      debit:  net > 0 ? net : 0,
+      credit: net < 0 ? -net : 0,
+      description: 'Unrealised FX revaluation',
+    });
+    total = _round2(total + net);
+  }
+  if (total !== 0) {
+    journalLines.push({
+      accountId: fxAccountId,
+      debit:  total < 0 ? -total : 0,
+      credit: total > 0 ? total : 0,
+      description: total > 0 ? 'Unrealised FX gain' : 'Unrealised FX loss',
+    });
+  }
+
+  return { lines, journalLines, totalAdjustment: total, missingRates: [...missing].sort() };
+}
+
+/** Journal lines with debit and credit swapped — the next-day reversal. */
+function reverseLines(lines) {
+  return lines.map(l => ({
+    ...l,
+    debit: l.credit,
+    credit: l.debit,
+    description: `Reversal: ${l.description || ''}`,
+  }));
+}
+
+/** Calendar day after an ISO date. */
+function nextDay(dateStr) {
+  const d = new Date(String(dateStr).slice(0, 10) + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+// ─── Import ──────────────────────────────────────────────────────────────────
+
+// Accepts 2025-03-31, 2025/03/31, 31/03/2025, 31-03-2025 and Excel Date cells
+function _parseDate(raw) {
+  if (raw instanceof Date && !isNaN(raw)) return raw.toISOString().slice(0, 10);
+  const s = String(raw || '').trim();
+  let m = s.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+  if (m) return `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`;
+  m = s.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/);
+  if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  return null;
+}
+
+/**
+ * Parse the rows of an exchange-rate CSV/XLSX sheet (array-of-arrays, as
+ * returned by XLSX.utils.sheet_to_json with header: 1).
+ *
+ * Expected header: Currency, Date, Rate (ZAR per 1 unit), in any order.
+ * The header row may sit below title rows — the first 10 rows are scanned.
+ *
+ * @returns {{ rows: object[], errors: object[] } | null} null when no header is found
+ *   rows: [{ rowNumber, currencyCode, rateDate, rate }]
+ */
+function parseRateSheet(allRows) {
+  const CURRENCY_RE = /^(currency|currency[\s_-]?code|ccy|code)$/i;
+  const DATE_RE     = /^(date|rate[\s_-]?date|effective[\s_-]?date)$/i;
+  const RATE_RE     = /^(rate|exchange[\s_-]?rate|zar[\s_-]?rate|mid[\s_-]?rate)$/i;
+
+  let header = null;
+  for (let i = 0; i < Math.min(10, allRows.length) && !header; i++) {
+    const row = allRows[i];
+    if (!row || row.length === 0) continue;
+    const map = {};
+    row.forEach((cell, idx) => {
+      const h = String(cell || '').trim();
+      if (CURRENCY_RE.test(h)) map.currency = idx;
+      else if (DATE_RE.test(h)) map.date = idx;
+      else if (RATE_RE.test(h)) map.rate = idx;
+    });
+    if (map.currency !== undefined && map.date !== undefined && map.rate !== undefined) {
+      header = { rowIdx: i, ...map };
+    }
+  }
+  if (!header) return null;
+
+  const rows = [];
+  const errors = [];
+  allRows.slice(header.rowIdx + 1).forEach((row, i) => {
+    if (!row || row.every(c => c === '' || c == null)) return;
+    const rowNumber = header.rowIdx + i + 2;
+    const currencyCode = normaliseCurrency(row[header.currency]);
+    const rateDate = _parseDate(row[header.date]);
+    const rate = parseRate(row[header.rate]);
+    if (!currencyCode) return errors.push({ row: rowNumber, message: 'Currency must be a 3-letter code.' });
+    if (currencyCode === BASE_CURRENCY) return errors.push({ row: rowNumber, message: 'ZAR is the base currency — no rate needed.' });
+    if (!rateDate) return errors.push({ row: rowNumber, message: 'Date not recognised (use YYYY-MM-DD or DD/MM/YYYY).' });
+    if (!rate) return errors.push({ row: rowNumber, message: 'Rate must be a positive number.' });
+    rows.push({ rowNumber, currencyCode, rateDate, rate });
+  });
+
+  return { rows, errors };
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  BASE_CURRENCY,
+  normaliseCurrency,
+  isForeign,
+  parseRate,
+  toBase,
+  rateOnDate,
+  convertLinesToBase,
+  buildSettlement,
+  settlementJournalLines,
+  buildRevaluation,
+  reverseLines,
+  nextDay,
+  parseRateSheet,
+};
@@ -1,6 +1,7 @@
 const { supabase } = require('../../../config/database');
 const db = require('../config/database'); // direct pg Pool — used for atomic write transactions
 const { derivePeriodForDate, isVatJournal, getVatAmountsFromLines } = require('./vatPeriodUtils');
+const { serviceError } = require('../../../shared/utils/serviceError');
 
 /**
  * Journal Service
@@ -28,8 +29,9 @@ async function _insertLinesOnClient(client, journalId, lines) {
     const line = lines[i];
     await client.query(
       `INSERT INTO journal_lines
-         (journal_id, account_id, line_number, description, debit, credit, segment_value_id, metadata)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+         (journal_id, account_id, line_number, description, debit, credit, segment_value_id, metadata,
+          foreign_debit, foreign_credit)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
       [
         journalId,
         line.accountId || line.account_id,   // support both camelCase (service) and snake_case (reversal copy)
@@ -39,6 +41,8 @@ async function _insertLinesOnClient(client, journalId, lines) {
         line.credit || 0,
         line.segmentValueId || line.segment_value_id || null,
         line.metadata != null ? line.metadata : null,
+        line.foreignDebit  ?? line.foreign_debit  ?? null,   // transaction-currency amount (multi-currency)
+        line.foreignCredit ?? line.foreign_credit ?? null,
       ]
     );
   }
@@ -93,7 +97,7 @@ class JournalService {
     const nonPostable = (data || []).filter(a => a.is_postable === false);
     if (nonPostable.length > 0) {
       const list = nonPostable.map(a => `${a.code} (${a.name})`).join(', ');
-      throw new Error(
+      throw serviceError(400,
         `The following account(s) are parent accounts and cannot be used for direct postings. ` +
         `Select a sub-account instead: ${list}`
       );
@@ -189,16 +193,17 @@ class JournalService {
    * after the header insert but before the lines insert will be fully rolled
    * back — no orphaned journal headers can reach the database.
    */
-  static async createDraftJournal({ companyId, date, reference, description, sourceType, createdByUserId, lines, metadata }) {
+  static async createDraftJournal({ companyId, date, reference, description, sourceType, createdByUserId, lines, metadata,
+                                    currencyCode, exchangeRate }) {
     // ── Validation (read-only — runs before the transaction) ──────────────────
     const lineValidation = this.validateLines(lines);
-    if (!lineValidation.valid) throw new Error(lineValidation.message);
+    if (!lineValidation.valid) throw serviceError(400, lineValidation.message);
 
     const balanceValidation = this.validateBalance(lines);
-    if (!balanceValidation.valid) throw new Error(balanceValidation.message);
+    if (!balanceValidation.valid) throw serviceError(400, balanceValidation.message);
 
     const isLocked = await this.isPeriodLocked(companyId, date);
-    if (isLocked) throw new Error('Cannot create journal in a locked period');
+    if (isLocked) throw serviceError(403, 'Cannot create journal in a locked period');
 
     // ── Postability check — block parent/header accounts ──────────────────────
     await this._assertAccountsPostable(companyId, lines);
@@ -210,8 +215,9 @@ class JournalService {
 
       const headerResult = await client.query(
         `INSERT INTO journals
-           (company_id, date, reference, description, status, source_type, created_by_user_id, metadata)
-         VALUES ($1, $2, $3, $4, 'draft', $5, $6, $7)
+           (company_id, date, reference, description, status, source_type, created_by_user_id, metadata,
+            currency_code, exchange_rate)
+         VALUES ($1, $2, $3, $4, 'draft', $5, $6, $7, $8, $9)
          RETURNING *`,
         [
           companyId,
@@ -221,6 +227,8 @@ class JournalService {
           sourceType || 'manual',
           createdByUserId || null,
           metadata != null ? metadata : null,
+          currencyCode || 'ZAR',
+          exchangeRate || 1,
         ]
       );
 
@@ -235,7 +243,7 @@ class JournalService {
     } catch (err) {
       await client.query('ROLLBACK');
       // Re-throw with enough context for the caller to surface a meaningful error
-      throw new Error(`Journal creation rolled back: ${err.message}`);
+      throw serviceError(err.statusCode, `Journal creation rolled back: ${err.message}`);
     } finally {
       client.release();
     }
@@ -258,20 +266,20 @@ class JournalService {
       .eq('company_id', companyId)
       .single();
 
-    if (fetchErr || !journal) throw new Error('Journal not found');
+    if (fetchErr || !journal) throw serviceError(404, 'Journal not found');
 
     if (journal.status !== 'draft') {
-      throw new Error(`Cannot edit a journal with status: ${journal.status}. Only draft journals may be edited.`);
+      throw serviceError(409, `Cannot edit a journal with status: ${journal.status}. Only draft journals may be edited.`);
     }
 
     const lineValidation = this.validateLines(lines);
-    if (!lineValidation.valid) throw new Error(lineValidation.message);
+    if (!lineValidation.valid) throw serviceError(400, lineValidation.message);
 
     const balanceValidation = this.validateBalance(lines);
-    if (!balanceValidation.valid) throw new Error(balanceValidation.message);
+    if (!balanceValidation.valid) throw serviceError(400, balanceValidation.message);
 
     const isLocked = await this.isPeriodLocked(companyId, date);
-    if (isLocked) throw new Error('Cannot move journal into a locked period');
+    if (isLocked) throw serviceError(403, 'Cannot move journal into a locked period');
 
     await this._assertAccountsPostable(companyId, lines);
 
@@ -298,7 +306,7 @@ class JournalService {
 
     } catch (err) {
       await client.query('ROLLBACK');
-      throw new Error(`Journal update rolled back: ${err.message}`);
+      throw serviceError(err.statusCode, `Journal update rolled back: ${err.message}`);
     } finally {
       client.release();
     }
@@ -330,15 +338,15 @@ class JournalService {
       .eq('company_id', companyId)
       .single();
 
-    if (fetchErr || !journal) throw new Error('Journal not found');
+    if (fetchErr || !journal) throw serviceError(404, 'Journal not found');
 
     if (journal.status !== 'draft') {
-      throw new Error(`Cannot post journal with status: ${journal.status}`);
+      throw serviceError(409, `Cannot post journal with status: ${journal.status}`);
     }
 
     // Check period lock
     const isLocked = await this.isPeriodLocked(companyId, journal.date);
-    if (isLocked) throw new Error('Cannot post journal in a locked period');
+    if (isLocked) throw serviceError(403, 'Cannot post journal in a locked period');
 
     // Fetch journal lines — no FK join to avoid PostgREST schema cache dependency.
     // Account details are fetched separately and merged below.
@@ -349,7 +357,7 @@ class JournalService {
       .order('line_number');
 
     if (linesErr) throw new Error(`Failed to read journal lines: ${linesErr.message}`);
-    if (!rawLines || rawLines.length === 0) throw new Error('Journal has no lines');
+    if (!rawLines || rawLines.length === 0) throw serviceError(400, 'Journal has no lines');
 
     // Fetch account details for VAT detection (code, name, reporting_group).
     // Separate query removes dependency on the PostgREST FK schema cache for
@@ -372,7 +380,7 @@ class JournalService {
 
     // Validate balance (account detail fields are ignored by validateBalance)
     const balanceValidation = this.validateBalance(lines || []);
-    if (!balanceValidation.valid) throw new Error(balanceValidation.message);
+    if (!balanceValidation.valid) throw serviceError(400, balanceValidation.message);
 
     // ── VAT period resolution — synchronous, fail-safe ───────────────────────
     // Runs BEFORE any status change. If this throws, the journal stays draft.
@@ -591,6 +599,40 @@ class JournalService {
    * vat_period_id when one is required.
    */
   static async reverseJournal(originalJournalId, companyId, reversedByUserId, reason) {
+    const prepared = await this._prepareReversal(originalJournalId, companyId);
+
+    // ── Atomic write: reversal header + reversal lines + mark original ────────
+    // VAT fields are included directly in the header INSERT — they are part of
+    // the same atomic commit. The reversal journal cannot be posted without
+    // its vat_period_id when VAT assignment is required.
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const reversalJournal = await this._writeReversalOnClient(client, prepared, reversedByUserId, reason);
+      await client.query('COMMIT');
+      return reversalJournal;
+
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw serviceError(err.statusCode, `Journal reversal rolled back: ${err.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * reverseJournal inside a transaction the caller has already opened on
+   * `client` — same guards, same writes, but BEGIN/COMMIT/ROLLBACK are the
+   * caller's, so the reversal commits or rolls back with the caller's own
+   * writes (e.g. cancelling a fixed-asset depreciation run).
+   */
+  static async reverseJournalOnClient(client, originalJournalId, companyId, reversedByUserId, reason) {
+    const prepared = await this._prepareReversal(originalJournalId, companyId);
+    return this._writeReversalOnClient(client, prepared, reversedByUserId, reason);
+  }
+
+  // Reads and guards for a reversal — run before any transaction opens.
+  static async _prepareReversal(originalJournalId, companyId) {
     // ── Read + guard (supabase client — outside the transaction) ─────────────
     const { data: originalJournal, error: fetchErr } = await supabase
       .from('journals')
@@ -599,14 +641,14 @@ class JournalService {
       .eq('company_id', companyId)
       .single();
 
-    if (fetchErr || !originalJournal) throw new Error('Journal not found');
+    if (fetchErr || !originalJournal) throw serviceError(404, 'Journal not found');
 
     if (originalJournal.status !== 'posted') {
-      throw new Error('Can only reverse posted journals');
+      throw serviceError(409, 'Can only reverse posted journals');
     }
 
     if (originalJournal.reversed_by_journal_id) {
-      throw new Error('Journal has already been reversed');
+      throw serviceError(409, 'Journal has already been reversed');
     }
 
     // Guard: if the ORIGINAL journal falls in a locked accounting period, block the reversal.
@@ -617,7 +659,7 @@ class JournalService {
     // post a manual correcting entry in the current period instead.
     const isOriginalPeriodLocked = await this.isPeriodLocked(companyId, originalJournal.date);
     if (isOriginalPeriodLocked) {
-      throw new Error(
+      throw serviceError(403,
         `Cannot reverse journal ${originalJournalId} — it falls in a locked accounting period ` +
         `(journal date: ${originalJournal.date}). Unlock the period first, or post a manual ` +
         `correcting entry in the current open period.`
@@ -627,7 +669,7 @@ class JournalService {
     // Check period lock for reversal date (today)
     const today = new Date().toISOString().split('T')[0];
     const isLocked = await this.isPeriodLocked(companyId, today);
-    if (isLocked) throw new Error('Cannot create reversal journal in a locked period');
+    if (isLocked) throw serviceError(403, 'Cannot create reversal journal in a locked period');
 
     // Get original journal lines WITH account detail — needed for VAT detection.
     // We fetch with the accounts join here so _resolveVatPeriodForPost can
@@ -654,78 +696,74 @@ class JournalService {
       companyId, today, originalLines || []
     );
 
-    // ── Atomic write: reversal header + reversal lines + mark original ────────
-    // VAT fields are included directly in the header INSERT — they are part of
-    // the same atomic commit. The reversal journal cannot be posted without
-    // its vat_period_id when VAT assignment is required.
-    const client = await db.getClient();
-    try {
-      await client.query('BEGIN');
-
-      // Insert reversal journal header — VAT fields baked in
-      const reversalResult = await client.query(
-        `INSERT INTO journals
-           (company_id, date, reference, description, status, source_type,
-            created_by_user_id, posted_by_user_id, posted_at,
-            reversal_of_journal_id, metadata,
-            vat_period_id, is_out_of_period, out_of_period_original_date)
-         VALUES ($1, $2, $3, $4, 'posted', $5, $6, $6, NOW(), $7, $8, $9, $10, $11)
-         RETURNING *`,
-        [
-          companyId,
-          today,
-          `REV-${originalJournal.reference || originalJournal.id}`,
-          `Reversal of: ${originalJournal.description}. Reason: ${reason}`,
-          originalJournal.source_type,
-          reversedByUserId,
-          originalJournalId,
-          { reversalReason: reason },
-          vatAssignment?.vatPeriodId              ?? null,
-          vatAssignment?.isOutOfPeriod            ?? false,
-          vatAssignment?.originalDate             ?? null,
-        ]
-      );
-      const reversalJournal = reversalResult.rows[0];
-
-      // Insert reversed lines — debit/credit swapped
-      const reversedLines = (originalLines || []).map(l => ({
-        accountId:      l.account_id,
-        description:    `Reversal: ${l.description || ''}`,
-        debit:          l.credit,   // swap
-        credit:         l.debit,    // swap
-        segmentValueId: l.segment_value_id || null,
-        metadata:       null,
-      }));
-
-      await _insertLinesOnClient(client, reversalJournal.id, reversedLines);
-
-      // Mark original journal as reversed — conditional UPDATE prevents concurrent
-      // double-reversal. The predicate (status='posted' AND reversed_by_journal_id IS NULL)
-      // ensures only the first concurrent transaction wins; if rowCount=0 a second
-      // concurrent reversal already committed, so we roll back ours and throw.
-      // The database-level unique index on reversal_of_journal_id (migration 065)
-      // provides a second independent guard at the INSERT step above.
-      const markResult = await client.query(
-        `UPDATE journals
-            SET status='reversed', reversed_by_journal_id=$1
-          WHERE id=$2 AND company_id=$3
-            AND status='posted'
-            AND reversed_by_journal_id IS NULL`,
-        [reversalJournal.id, originalJournalId, companyId]
-      );
-      if (markResult.rowCount === 0) {
-        throw new Error('Journal has already been reversed — concurrent reversal detected');
-      }
+    return { originalJournalId, companyId, originalJournal, originalLines, today, vatAssignment };
+  }
 
-      await client.query('COMMIT');
-      return reversalJournal;
+  // The reversal writes: header + swapped lines + mark the original reversed.
+  static async _writeReversalOnClient(client, prepared, reversedByUserId, reason) {
+    const { originalJournalId, companyId, originalJournal, originalLines, today, vatAssignment } = prepared;
+
+    // Insert reversal journal header — VAT fields baked in
+    const reversalResult = await client.query(
+      `INSERT INTO journals
+         (company_id, date, reference, description, status, source_type,
+          created_by_user_id, posted_by_user_id, posted_at,
+          reversal_of_journal_id, metadata,
+          vat_period_id, is_out_of_period, out_of_period_original_date,
+          currency_code, exchange_rate)
+       VALUES ($1, $2, $3, $4, 'posted', $5, $6, $6, NOW(), $7, $8, $9, $10, $11, $12, $13)
+       RETURNING *`,
+      [
+        companyId,
+        today,
+        `REV-${originalJournal.reference || originalJournal.id}`,
+        `Reversal of: ${originalJournal.description}. Reason: ${reason}`,
+        originalJournal.source_type,
+        reversedByUserId,
+        originalJournalId,
+        { reversalReason: reason },
+        vatAssignment?.vatPeriodId              ?? null,
+        vatAssignment?.isOutOfPeriod            ?? false,
+        vatAssignment?.originalDate             ?? null,
+        originalJournal.currency_code || 'ZAR',
+        originalJournal.exchange_rate || 1,
+      ]
+    );
+    const reversalJournal = reversalResult.rows[0];
+
+    // Insert reversed lines — debit/credit swapped
+    const reversedLines = (originalLines || []).map(l => ({
+      accountId:      l.account_id,
+      description:    `Reversal: ${l.description || ''}`,
+      debit:          l.credit,   // swap
+      credit:         l.debit,    // swap
+      segmentValueId: l.segment_value_id || null,
+      metadata:       null,
+      foreignDebit:   l.foreign_credit,
+      foreignCredit:  l.foreign_debit,
+    }));
 
-    } catch (err) {
-      await client.query('ROLLBACK');
-      throw new Error(`Journal reversal rolled back: ${err.message}`);
-    } finally {
-      client.release();
+    await _insertLinesOnClient(client, reversalJournal.id, reversedLines);
+
+    // Mark original journal as reversed — conditional UPDATE prevents concurrent
+    // double-reversal. The predicate (status='posted' AND reversed_by_journal_id IS NULL)
+    // ensures only the first concurrent transaction wins; if rowCount=0 a second
+    // concurrent reversal already committed, so we roll back ours and throw.
+    // The database-level unique index on reversal_of_journal_id (migration 065)
+    // provides a second independent guard at the INSERT step above.
+    const markResult = await client.query(
+      `UPDATE journals
+          SET status='reversed', reversed_by_journal_id=$1
+        WHERE id=$2 AND company_id=$3
+          AND status='posted'
+          AND reversed_by_journal_id IS NULL`,
+      [reversalJournal.id, originalJournalId, companyId]
+    );
+    if (markResult.rowCount === 0) {
+      throw serviceError(409, 'Journal has already been reversed — concurrent reversal detected');
     }
+
+    return reversalJournal;
   }
 
   /**
@@ -0,0 +1,628 @@
+'use strict';
+
+/**
+ * Payment Run Service
+ * ============================================================================
+ * Accounts payable payment runs: propose → draft → approve → bank batch
+ * file → bank confirmation.
+ *
+ *   propose:  open ZAR supplier invoices due by a date (paymentRunUtils)
+ *   approve:  one supplier_payments row per supplier + allocations + invoice
+ *             amount_paid, in ONE transaction; payments await the bank
+ *   batch:    ABSA / FNB / Standard Bank / Nedbank file from the approved
+ *             payments (shared/utils/bankBatchFormats); name + SHA-256 kept
+ *   confirm:  paid → GL journal DR Accounts Payable / CR Bank is posted;
+ *             rejected → payment reversed and invoices re-opened, no GL
+ *
+ * CRITICAL RULES:
+ *   1. Only drafts are edited or cancelled. An approved run is settled
+ *      payment by payment through confirm.
+ *   2. An invoice is on at most one open (draft/approved) run, and approval
+ *      re-checks every outstanding balance under FOR UPDATE locks, so a
+ *      payment recorded in the meantime can never be paid twice.
+ *   3. Every beneficiary must have a valid account number and branch code
+ *      for the run's bank format before the run can be approved.
+ *   4. The GL is only touched when the bank confirms a payment. A payment is
+ *      claimed (bank_status awaiting → confirmed) before its journal is
+ *      posted, so two confirmations cannot post it twice; if the journal
+ *      fails the claim is released and the payment awaits confirmation again.
+ *   5. Runs are ZAR only.
+ * ============================================================================
+ */
+
+const db = require('../config/database'); // direct pg Pool — approval transaction
+const JournalService = require('./journalService');
+const {
+  invoiceStatus,
+  proposeLines,
+  validateLines,
+  groupPayments,
+  runReference,
+} = require('./paymentRunUtils');
+const {
+  BANK_FORMATS,
+  validateBeneficiaries,
+  generateBatch,
+} = require('../../../shared/utils/bankBatchFormats');
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+const AWAITING = 'awaiting_bank_confirmation';
+
+// pg_advisory_xact_lock namespace for run reference numbering
+const REFERENCE_LOCK = 7307;
+
+const RUN_COLUMNS = `
+  r.id, r.company_id, r.reference, r.payment_date::text AS payment_date,
+  r.bank_ledger_account_id, a.code AS bank_account_code, a.name AS bank_account_name,
+  r.bank_format, r.status, r.criteria, r.total_amount, r.notes,
+  r.created_by_user_id, r.created_at, r.updated_at, r.approved_by_user_id, r.approved_at,
+  r.cancelled_by_user_id, r.cancelled_at, r.completed_at,
+  r.batch_file_name, r.batch_file_hash, r.batch_generated_at, r.batch_generated_by_user_id`;
+
+const INVOICE_COLUMNS = `
+  i.id, i.supplier_id, s.name AS supplier_name, i.invoice_number,
+  i.invoice_date::text AS invoice_date, i.due_date::text AS due_date,
+  i.total_inc_vat, i.amount_paid, i.status, i.currency_code`;
+
+function _int(v) { return v === null || v === undefined || v === '' ? null : parseInt(v, 10); }
+
+function _byId(rows) {
+  const map = {};
+  for (const r of rows) map[r.id] = r;
+  return map;
+}
+
+class PaymentRunService {
+
+  // ─── Loading ───────────────────────────────────────────────────────────────
+
+  static async _run(companyId, runId, client = db, forUpdate = false) {
+    const result = await client.query(
+      `SELECT ${RUN_COLUMNS}
+         FROM ap_payment_runs r
+         LEFT JOIN accounts a ON a.id = r.bank_ledger_account_id
+        WHERE r.id = $1 AND r.company_id = $2
+        ${forUpdate ? 'FOR UPDATE OF r' : ''}`,
+      [runId, companyId]
+    );
+    if (!result.rows.length) throw serviceError(404, 'Payment run not found.');
+    return result.rows[0];
+  }
+
+  /** Invoice ids on open runs other than excludeRunId. */
+  static async _openRunInvoiceIds(companyId, excludeRunId = null, client = db) {
+    const result = await client.query(
+      `SELECT l.invoice_id
+         FROM ap_payment_run_lines l
+         JOIN ap_payment_runs r ON r.id = l.run_id
+        WHERE r.company_id = $1 AND r.status IN ('draft', 'approved')
+          AND ($2::int IS NULL OR r.id <> $2)
+          AND (l.payment_id IS NULL OR EXISTS (
+                SELECT 1 FROM supplier_payments p
+                 WHERE p.id = l.payment_id AND p.bank_status = $3 AND p.is_reversed = false))`,
+      [companyId, excludeRunId, AWAITING]
+    );
+    return new Set(result.rows.map(r => r.invoice_id));
+  }
+
+  static async _invoices(companyId, ids, client = db, forUpdate = false) {
+    if (!ids.length) return {};
+    const result = await client.query(
+      `SELECT ${INVOICE_COLUMNS}
+         FROM supplier_invoices i
+         JOIN suppliers s ON s.id = i.supplier_id
+        WHERE i.company_id = $1 AND i.id = ANY($2::int[])
+        ORDER BY i.id
+        ${forUpdate ? 'FOR UPDATE OF i' : ''}`,
+      [companyId, ids]
+    );
+    return _byId(result.rows);
+  }
+
+  static async _assertBankAccount(companyId, accountId) {
+    const result = await db.query(
+      'SELECT id, is_active, is_postable FROM accounts WHERE id = $1 AND company_id = $2',
+      [accountId, companyId]
+    );
+    const acc = result.rows[0];
+    if (!acc || acc.is_active === false) throw serviceError(404, 'Bank ledger account not found.');
+    if (acc.is_postable === false) {
+      throw serviceError(409, 'The bank ledger account is a parent/header account and cannot be posted to directly.');
+    }
+  }
+
+  static _header(h) {
+    if (!h.paymentDate) throw serviceError(400, 'paymentDate is required');
+    if (!_int(h.bankLedgerAccountId)) throw serviceError(400, 'bankLedgerAccountId is required');
+    if (!BANK_FORMATS.includes(h.bankFormat)) throw serviceError(400, `bankFormat must be one of ${BANK_FORMATS.join(', ')}`);
+  }
+
+  /** Check user lines against current invoices and attach supplier ids. */
+  static async _checkedLines(companyId, lines, excludeRunId, client = db) {
+    const ids = (lines || []).map(l => _int(l.invoiceId)).filter(Boolean);
+    const invoices = await this._invoices(companyId, ids, client);
+    const open = await this._openRunInvoiceIds(companyId, excludeRunId, client);
+    const normalised = (lines || []).map(l => ({ invoiceId: _int(l.invoiceId), amount: parseFloat(l.amount) }));
+    const errors = validateLines(normalised, invoices, open);
+    if (errors.length) throw serviceError(422, `Invalid payment run: ${errors.join('; ')}`);
+    return normalised.map(l => ({ ...l, supplierId: invoices[l.invoiceId].supplier_id }));
+  }
+
+  static async _replaceLines(client, runId, lines) {
+    await client.query('DELETE FROM ap_payment_run_lines WHERE run_id = $1', [runId]);
+    for (const l of lines) {
+      await client.query(
+        'INSERT INTO ap_payment_run_lines (run_id, supplier_id, invoice_id, amount) VALUES ($1, $2, $3, $4)',
+        [runId, l.supplierId, l.invoiceId, l.amount]
+      );
+    }
+  }
+
+  // ─── Proposal and drafts ───────────────────────────────────────────────────
+
+  /**
+   * Invoices that could be paid, without saving anything.
+   * @param {object} p — { companyId, dueBy, supplierIds? }
+   */
+  static async propose({ companyId, dueBy, supplierIds = null }) {
+    if (!dueBy) throw serviceError(400, 'dueBy is required');
+    const result = await db.query(
+      `SELECT ${INVOICE_COLUMNS}
+         FROM supplier_invoices i
+         JOIN suppliers s ON s.id = i.supplier_id
+        WHERE i.company_id = $1
+          AND i.status NOT IN ('draft', 'cancelled', 'void', 'paid')
+          AND COALESCE(i.due_date, i.invoice_date) <= $2`,
+      [companyId, dueBy]
+    );
+    const openRunInvoiceIds = await this._openRunInvoiceIds(companyId);
+    return proposeLines({ invoices: result.rows, dueBy, supplierIds, openRunInvoiceIds });
+  }
+
+  /**
+   * Save a draft run. Without lines, the proposal for criteria is used.
+   * @param {object} p — { companyId, userId, paymentDate, bankLedgerAccountId,
+   *                       bankFormat, criteria?: { dueBy, supplierIds }, lines?, notes? }
+   */
+  static async create({ companyId, userId, paymentDate, bankLedgerAccountId, bankFormat, criteria = {}, lines = null, notes = null }) {
+    this._header({ paymentDate, bankLedgerAccountId, bankFormat });
+    await this._assertBankAccount(companyId, _int(bankLedgerAccountId));
+
+    let chosen = lines;
+    if (!chosen) {
+      const proposal = await this.propose({
+        companyId, dueBy: criteria.dueBy || paymentDate, supplierIds: criteria.supplierIds,
+      });
+      chosen = proposal.lines;
+    }
+    const checked = await this._checkedLines(companyId, chosen, null);
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1, $2)', [REFERENCE_LOCK, companyId]);
+      const seq = await client.query(
+        'SELECT COUNT(*)::int AS n FROM ap_payment_runs WHERE company_id = $1 AND payment_date = $2',
+        [companyId, paymentDate]
+      );
+      const total = checked.reduce((s, l) => s + l.amount, 0);
+      const inserted = await client.query(
+        `INSERT INTO ap_payment_runs
+           (company_id, reference, payment_date, bank_ledger_account_id, bank_format,
+            criteria, total_amount, notes, created_by_user_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING id`,
+        [companyId, runReference(paymentDate, seq.rows[0].n + 1), paymentDate, _int(bankLedgerAccountId),
+         bankFormat, JSON.stringify(criteria || {}), Math.round(total * 100) / 100, notes, userId]
+      );
+      await this._replaceLines(client, inserted.rows[0].id, checked);
+      await client.query('COMMIT');
+      return this.get({ companyId, runId: inserted.rows[0].id });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async list({ companyId, status = null }) {
+    const result = await db.query(
+      `SELECT ${RUN_COLUMNS},
+              (SELECT COUNT(*)::int FROM ap_payment_run_lines l WHERE l.run_id = r.id) AS line_count
+         FROM ap_payment_runs r
+         LEFT JOIN accounts a ON a.id = r.bank_ledger_account_id
+        WHERE r.company_id = $1 AND ($2::text IS NULL OR r.status = $2)
+        ORDER BY r.payment_date DESC, r.id DESC`,
+      [companyId, status]
+    );
+    return result.rows;
+  }
+
+  /** Run with its lines and, once approved, its payments. */
+  static async get({ companyId, runId }) {
+    const run = await this._run(companyId, runId);
+    const lines = await db.query(
+      `SELECT l.id, l.invoice_id, l.supplier_id, s.name AS supplier_name, i.invoice_number,
+              i.due_date::text AS due_date, i.total_inc_vat, i.amount_paid, l.amount, l.payment_id
+         FROM ap_payment_run_lines l
+         JOIN supplier_invoices i ON i.id = l.invoice_id
+         JOIN suppliers s ON s.id = l.supplier_id
+        WHERE l.run_id = $1
+        ORDER BY s.name, i.due_date, l.invoice_id`,
+      [runId]
+    );
+    const payments = await db.query(
+      `SELECT p.id, p.supplier_id, s.name AS supplier_name, p.amount, p.reference,
+              p.bank_status, p.bank_confirmed_at, p.bank_rejection_reason, p.journal_id, p.is_reversed
+         FROM supplier_payments p
+         JOIN suppliers s ON s.id = p.supplier_id
+        WHERE p.payment_run_id = $1 AND p.company_id = $2
+        ORDER BY s.name`,
+      [runId, companyId]
+    );
+    return { ...run, lines: lines.rows, payments: payments.rows };
+  }
+
+  /** Edit a draft's header and/or replace its lines. */
+  static async updateDraft({ companyId, runId, paymentDate, bankLedgerAccountId, bankFormat, lines, notes }) {
+    const run = await this._run(companyId, runId);
+    if (run.status !== 'draft') throw serviceError(409, `A ${run.status} payment run cannot be edited.`);
+    const h = {
+      paymentDate:         paymentDate !== undefined ? paymentDate : run.payment_date,
+      bankLedgerAccountId: bankLedgerAccountId !== undefined ? bankLedgerAccountId : run.bank_ledger_account_id,
+      bankFormat:          bankFormat !== undefined ? bankFormat : run.bank_format,
+    };
+    this._header(h);
+    if (_int(h.bankLedgerAccountId) !== run.bank_ledger_account_id) {
+      await this._assertBankAccount(companyId, _int(h.bankLedgerAccountId));
+    }
+    const checked = lines !== undefined ? await this._checkedLines(companyId, lines, runId) : null;
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const locked = await this._run(companyId, runId, client, true);
+      if (locked.status !== 'draft') throw serviceError(409, `A ${locked.status} payment run cannot be edited.`);
+      if (checked) await this._replaceLines(client, runId, checked);
+      await client.query(
+        `UPDATE ap_payment_runs
+            SET payment_date = $1, bank_ledger_account_id = $2, bank_format = $3,
+                notes = COALESCE($4, notes), updated_at = NOW(),
+                total_amount = (SELECT COALESCE(SUM(amount), 0) FROM ap_payment_run_lines WHERE run_id = $5)
+          WHERE id = $5`,
+        [h.paymentDate, _int(h.bankLedgerAccountId), h.bankFormat, notes === undefined ? null : notes, runId]
+      );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+    return this.get({ companyId, runId });
+  }
+
+  static async cancel({ companyId, runId, userId }) {
+    const result = await db.query(
+      `UPDATE ap_payment_runs
+          SET status = 'cancelled', cancelled_by_user_id = $3, cancelled_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND company_id = $2 AND status = 'draft'
+        RETURNING id`,
+      [runId, companyId, userId]
+    );
+    if (!result.rows.length) {
+      const run = await this._run(companyId, runId);
+      throw serviceError(409, `A ${run.status} payment run cannot be cancelled.`);
+    }
+    return this.get({ companyId, runId });
+  }
+
+  // ─── Approval ──────────────────────────────────────────────────────────────
+
+  /**
+   * Create the run's supplier payments and allocations — one transaction.
+   * Payments are left awaiting bank confirmation without a journal.
+   */
+  static async approve({ companyId, runId, userId }) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const run = await this._run(companyId, runId, client, true);
+      if (run.status !== 'draft') throw serviceError(409, `A ${run.status} payment run cannot be approved.`);
+
+      const lineRows = await client.query(
+        'SELECT invoice_id, supplier_id, amount FROM ap_payment_run_lines WHERE run_id = $1 ORDER BY id',
+        [runId]
+      );
+      const lines = lineRows.rows.map(l => ({
+        invoiceId: l.invoice_id, supplierId: l.supplier_id, amount: parseFloat(l.amount),
+      }));
+
+      // Authoritative balance check — invoices locked until COMMIT
+      const invoices = await this._invoices(companyId, lines.map(l => l.invoiceId), client, true);
+      const open = await this._openRunInvoiceIds(companyId, runId, client);
+      const errors = validateLines(lines, invoices, open);
+      if (errors.length) throw serviceError(422, `Invalid payment run: ${errors.join('; ')}`);
+
+      const supplierRows = await client.query(
+        `SELECT id, code, name, bank_account_holder, bank_account_number, bank_branch_code, bank_account_type
+           FROM suppliers WHERE company_id = $1 AND id = ANY($2::int[])`,
+        [companyId, [...new Set(lines.map(l => l.supplierId))]]
+      );
+      const withNumbers = lines.map(l => ({ ...l, invoiceNumber: invoices[l.invoiceId].invoice_number }));
+      const payments = groupPayments(withNumbers, _byId(supplierRows.rows), run.reference);
+      const bankErrors = validateBeneficiaries(payments.map(p => p.beneficiary), run.bank_format);
+      if (bankErrors.length) throw serviceError(422, `Supplier bank details must be completed: ${bankErrors.join('; ')}`);
+
+      let total = 0;
+      for (const p of payments) {
+        const inserted = await client.query(
+          `INSERT INTO supplier_payments
+             (company_id, supplier_id, payment_date, payment_method, reference, amount, notes,
+              bank_ledger_account_id, created_by_user_id, journal_id, payment_run_id, bank_status)
+           VALUES ($1, $2, $3, 'eft', $4, $5, $6, $7, $8, NULL, $9, $10)
+           RETURNING id`,
+          [companyId, p.supplierId, run.payment_date, run.reference, p.amount,
+           `Payment run ${run.reference}`, run.bank_ledger_account_id, userId, runId, AWAITING]
+        );
+        const paymentId = inserted.rows[0].id;
+
+        for (const a of p.allocations) {
+          const inv = invoices[a.invoiceId];
+          const newPaid = Math.round((parseFloat(inv.amount_paid || 0) + a.amount) * 100) / 100;
+          await client.query(
+            `UPDATE supplier_invoices SET amount_paid = $1, status = $2, updated_at = NOW()
+              WHERE id = $3 AND company_id = $4`,
+            [newPaid, invoiceStatus(inv.total_inc_vat, newPaid), a.invoiceId, companyId]
+          );
+          await client.query(
+            `INSERT INTO supplier_payment_allocations (payment_id, invoice_id, amount, base_amount, fx_gain_loss)
+             VALUES ($1, $2, $3, $3, 0)`,
+            [paymentId, a.invoiceId, a.amount]
+          );
+          await client.query(
+            'UPDATE ap_payment_run_lines SET payment_id = $1 WHERE run_id = $2 AND invoice_id = $3',
+            [paymentId, runId, a.invoiceId]
+          );
+        }
+        total += p.amount;
+      }
+
+      await client.query(
+        `UPDATE ap_payment_runs
+            SET status = 'approved', approved_by_user_id = $2, approved_at = NOW(),
+                total_amount = $3, updated_at = NOW()
+          WHERE id = $1`,
+        [runId, userId, Math.round(total * 100) / 100]
+      );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+    return this.get({ companyId, runId });
+  }
+
+  // ─── Bank batch file ───────────────────────────────────────────────────────
+
+  /**
+   * Build the bank file from the run's payments that are still in force.
+   * The file name and hash are stored so a later upload can be matched.
+   */
+  static async batchFile({ companyId, runId, userId }) {
+    const run = await this._run(companyId, runId);
+    if (!['approved', 'completed'].includes(run.status)) {
+      throw serviceError(409, 'A bank batch file can only be generated for an approved payment run.');
+    }
+    const company = await db.query(
+      'SELECT company_name, absa_user_code, fnb_originator_code FROM companies WHERE id = $1',
+      [companyId]
+    );
+    const rows = await db.query(
+      `SELECT p.id, p.supplier_id, p.amount, l.invoice_number
+         FROM supplier_payments p
+         LEFT JOIN LATERAL (
+           SELECT CASE WHEN COUNT(*) = 1 THEN MAX(i.invoice_number) END AS invoice_number
+             FROM supplier_payment_allocations pa
+             JOIN supplier_invoices i ON i.id = pa.invoice_id
+            WHERE pa.payment_id = p.id
+         ) l ON true
+        WHERE p.payment_run_id = $1 AND p.company_id = $2
+          AND p.is_reversed = false AND p.bank_status <> 'rejected'
+        ORDER BY p.id`,
+      [runId, companyId]
+    );
+    if (!rows.rows.length) throw serviceError(409, 'The payment run has no payments left to pay.');
+
+    const suppliers = await db.query(
+      `SELECT id, code, name, bank_account_holder, bank_account_number, bank_branch_code, bank_account_type
+         FROM suppliers WHERE company_id = $1 AND id = ANY($2::int[])`,
+      [companyId, rows.rows.map(r => r.supplier_id)]
+    );
+    const lines = rows.rows.map(r => ({
+      supplierId: r.supplier_id, invoiceId: r.id, amount: parseFloat(r.amount), invoiceNumber: r.invoice_number,
+    }));
+    const beneficiaries = groupPayments(lines, _byId(suppliers.rows), run.reference).map(p => p.beneficiary);
+    const errors = validateBeneficiaries(beneficiaries, run.bank_format);
+    if (errors.length) throw serviceError(422, `Supplier bank details must be completed: ${errors.join('; ')}`);
+
+    const c = company.rows[0] || {};
+    const file = generateBatch(run.bank_format, {
+      company:   { name: c.company_name, absaUserCode: c.absa_user_code, fnbOriginatorCode: c.fnb_originator_code },
+      date:      run.payment_date,
+      batchType: 'creditors',
+      payments:  beneficiaries,
+      fileTag:   run.reference,
+    });
+
+    await db.query(
+      `UPDATE ap_payment_runs
+          SET batch_file_name = $2, batch_file_hash = $3, batch_generated_at = NOW(),
+              batch_generated_by_user_id = $4, updated_at = NOW()
+        WHERE id = $1`,
+      [runId, file.fileName, file.sha256, userId]
+    );
+    return { run, file };
+  }
+
+  // ─── Bank confirmation ─────────────────────────────────────────────────────
+
+  static async _apAccountId(companyId) {
+    const result = await db.query(
+      "SELECT id FROM accounts WHERE company_id = $1 AND code = '2000' AND is_active = true",
+      [companyId]
+    );
+    if (!result.rows.length) throw serviceError(404, 'Accounts Payable account (code 2000) not found.');
+    return result.rows[0].id;
+  }
+
+  static async _confirmPaid(run, payment, { companyId, userId, bankDate, apAccountId }) {
+    const claimed = await db.query(
+      `UPDATE supplier_payments
+          SET bank_status = 'confirmed', bank_confirmed_at = NOW(), bank_confirmed_by_user_id = $3
+        WHERE id = $1 AND company_id = $2 AND bank_status = $4 AND is_reversed = false
+        RETURNING id, amount, bank_ledger_account_id`,
+      [payment.id, companyId, userId, AWAITING]
+    );
+    if (!claimed.rows.length) return { paymentId: payment.id, outcome: 'skipped', reason: 'no longer awaiting bank confirmation' };
+
+    const p = claimed.rows[0];
+    const amount = parseFloat(p.amount);
+    try {
+      const journal = await JournalService.createDraftJournal({
+        companyId,
+        date:            bankDate || run.payment_date,
+        reference:       run.reference,
+        description:     `AP Payment: ${payment.supplier_name} (${run.reference})`,
+        sourceType:      'supplier_payment',
+        createdByUserId: userId,
+        lines: [
+          { accountId: apAccountId,              debit: amount, credit: 0,      description: 'Accounts Payable cleared' },
+          { accountId: p.bank_ledger_account_id, debit: 0,      credit: amount, description: 'Bank payment out' },
+        ],
+      });
+      await JournalService.postJournal(journal.id, companyId, userId);
+      await db.query('UPDATE supplier_payments SET journal_id = $1 WHERE id = $2', [journal.id, p.id]);
+      return { paymentId: p.id, outcome: 'confirmed', journalId: journal.id };
+    } catch (err) {
+      await db.query(
+        `UPDATE supplier_payments
+            SET bank_status = $2, bank_confirmed_at = NULL, bank_confirmed_by_user_id = NULL
+          WHERE id = $1 AND journal_id IS NULL`,
+        [p.id, AWAITING]
+      );
+      return { paymentId: p.id, outcome: 'failed', reason: err.message };
+    }
+  }
+
+  static async _reject(payment, { companyId, userId, reason }) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const locked = await client.query(
+        `SELECT id FROM supplier_payments
+          WHERE id = $1 AND company_id = $2 AND bank_status = $3 AND is_reversed = false
+          FOR UPDATE`,
+        [payment.id, companyId, AWAITING]
+      );
+      if (!locked.rows.length) {
+        await client.query('ROLLBACK');
+        return { paymentId: payment.id, outcome: 'skipped', reason: 'no longer awaiting bank confirmation' };
+      }
+      const allocs = await client.query(
+        'SELECT invoice_id, amount FROM supplier_payment_allocations WHERE payment_id = $1',
+        [payment.id]
+      );
+      for (const a of allocs.rows) {
+        const inv = await client.query(
+          'SELECT amount_paid, total_inc_vat FROM supplier_invoices WHERE id = $1 AND company_id = $2 FOR UPDATE',
+          [a.invoice_id, companyId]
+        );
+        if (!inv.rows.length) continue;
+        const newPaid = Math.max(0, Math.round((parseFloat(inv.rows[0].amount_paid) - parseFloat(a.amount)) * 100) / 100);
+        await client.query(
+          'UPDATE supplier_invoices SET amount_paid = $1, status = $2, updated_at = NOW() WHERE id = $3',
+          [newPaid, invoiceStatus(inv.rows[0].total_inc_vat, newPaid), a.invoice_id]
+        );
+      }
+      await client.query(
+        `UPDATE supplier_payments
+            SET bank_status = 'rejected', bank_rejection_reason = $2,
+                is_reversed = true, reversed_at = NOW(), reversed_by_user_id = $3,
+                reversal_reason = $4
+          WHERE id = $1`,
+        [payment.id, reason || null, userId, `Rejected by bank${reason ? `: ${reason}` : ''}`]
+      );
+      await client.query('COMMIT');
+      return { paymentId: payment.id, outcome: 'rejected' };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record the bank's outcome per payment.
+   * @param {object} p — { companyId, runId, userId, bankDate?,
+   *                       results?: [{ paymentId, outcome: 'paid'|'rejected', reason? }],
+   *                       all?: 'paid' — every awaiting payment was paid }
+   * @returns {{ run, results, warnings }}
+   */
+  static async confirm({ companyId, runId, userId, bankDate = null, results = null, all = null }) {
+    const run = await this._run(companyId, runId);
+    if (run.status !== 'approved') throw serviceError(409, `A ${run.status} payment run cannot be confirmed.`);
+
+    const pending = await db.query(
+      `SELECT p.id, s.name AS supplier_name
+         FROM supplier_payments p JOIN suppliers s ON s.id = p.supplier_id
+        WHERE p.payment_run_id = $1 AND p.company_id = $2
+          AND p.bank_status = $3 AND p.is_reversed = false`,
+      [runId, companyId, AWAITING]
+    );
+    const byId = _byId(pending.rows);
+
+    let outcomes;
+    if (all === 'paid') outcomes = pending.rows.map(p => ({ paymentId: p.id, outcome: 'paid' }));
+    else if (Array.isArray(results) && results.length) outcomes = results;
+    else throw serviceError(400, 'results are required');
+
+    for (const r of outcomes) {
+      if (!['paid', 'rejected'].includes(r.outcome)) throw serviceError(400, 'outcome must be paid or rejected');
+    }
+
+    const apAccountId = outcomes.some(r => r.outcome === 'paid') ? await this._apAccountId(companyId) : null;
+    const done = [];
+    const warnings = [];
+    for (const r of outcomes) {
+      const payment = byId[_int(r.paymentId)];
+      if (!payment) {
+        warnings.push(`Payment ${r.paymentId} is not awaiting bank confirmation on this run.`);
+        continue;
+      }
+      const res = r.outcome === 'paid'
+        ? await this._confirmPaid(run, payment, { companyId, userId, bankDate, apAccountId })
+        : await this._reject(payment, { companyId, userId, reason: r.reason });
+      if (res.outcome === 'failed') warnings.push(`${payment.supplier_name}: journal could not be posted — ${res.reason}`);
+      if (res.outcome === 'skipped') warnings.push(`${payment.supplier_name}: ${res.reason}`);
+      done.push(res);
+    }
+
+    await db.query(
+      `UPDATE ap_payment_runs
+          SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status = 'approved'
+          AND NOT EXISTS (
+            SELECT 1 FROM supplier_payments p
+             WHERE p.payment_run_id = $1 AND p.bank_status = $2 AND p.is_reversed = false)`,
+      [runId, AWAITING]
+    );
+    return { run: await this.get({ companyId, runId }), results: done, warnings };
+  }
+}
+
+module.exports = PaymentRunService;
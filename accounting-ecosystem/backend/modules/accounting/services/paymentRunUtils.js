@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * paymentRunUtils.js
+ * Pure accounts payable payment-run helpers — no DB access, fully testable.
+ *
+ * A run is a list of lines (supplier invoice + amount to pay). The proposal
+ * pays the full outstanding balance of every open ZAR invoice due on or
+ * before a date, optionally for selected suppliers only; the user may then
+ * lower amounts or drop lines. On approval the lines are grouped into one
+ * payment per supplier, each allocated across that supplier's invoices.
+ *
+ * An invoice already on another open run (draft or approved, not yet
+ * settled by the bank) is never proposed again, so it cannot be paid twice.
+ */
+
+const OPEN_STATUSES_EXCLUDED = ['draft', 'cancelled', 'void', 'paid'];
+
+// ─── Internal helpers ────────────────────────────────────────────────────────
+
+function _round2(n) { return Math.round(n * 100) / 100; }
+
+function _num(v) { return parseFloat(v || 0) || 0; }
+
+function _yyyymmdd(date) { return String(date).slice(0, 10).replace(/-/g, ''); }
+
+// ─── Invoices ────────────────────────────────────────────────────────────────
+
+/** Outstanding balance on a supplier_invoices row. */
+function outstanding(inv) {
+  return _round2(_num(inv.total_inc_vat) - _num(inv.amount_paid));
+}
+
+/** Invoice status after amount_paid changes — same rule as suppliers.js. */
+function invoiceStatus(totalIncVat, amountPaid) {
+  const balance = _num(totalIncVat) - _num(amountPaid);
+  if (balance <= 0)      return 'paid';
+  if (_num(amountPaid) > 0) return 'part_paid';
+  return 'unpaid';
+}
+
+/** Why an invoice cannot be paid by a run, or null. */
+function _unpayable(inv, onOpenRun) {
+  if (OPEN_STATUSES_EXCLUDED.includes(inv.status)) return `invoice is ${inv.status}`;
+  if ((inv.currency_code || 'ZAR') !== 'ZAR') return `invoice is in ${inv.currency_code}; payment runs are ZAR only`;
+  if (outstanding(inv) <= 0) return 'nothing outstanding';
+  if (onOpenRun) return 'already on an open payment run';
+  return null;
+}
+
+/**
+ * Propose lines: every payable invoice due on or before dueBy.
+ * Invoices without a due date fall due on their invoice date.
+ *
+ * @param {object} p
+ * @param {Array}  p.invoices          — supplier_invoices rows (+ supplier_name)
+ * @param {string} p.dueBy             — YYYY-MM-DD
+ * @param {Array}  [p.supplierIds]     — restrict to these suppliers
+ * @param {Set}    [p.openRunInvoiceIds] — invoice ids on other open runs
+ * @returns {{ lines: Array, skipped: Array, total: number }}
+ */
+function proposeLines({ invoices, dueBy, supplierIds = null, openRunInvoiceIds = new Set() }) {
+  const suppliers = supplierIds && supplierIds.length ? new Set(supplierIds.map(Number)) : null;
+  const lines = [];
+  const skipped = [];
+  for (const inv of invoices) {
+    if (suppliers && !suppliers.has(Number(inv.supplier_id))) continue;
+    const due = String(inv.due_date || inv.invoice_date).slice(0, 10);
+    if (due > dueBy) continue;
+    const reason = _unpayable(inv, openRunInvoiceIds.has(inv.id));
+    if (reason) {
+      if (reason !== 'nothing outstanding' && !OPEN_STATUSES_EXCLUDED.includes(inv.status)) {
+        skipped.push({ invoiceId: inv.id, invoiceNumber: inv.invoice_number, supplierId: inv.supplier_id, reason });
+      }
+      continue;
+    }
+    lines.push({
+      invoiceId:     inv.id,
+      supplierId:    inv.supplier_id,
+      supplierName:  inv.supplier_name || null,
+      invoiceNumber: inv.invoice_number,
+      dueDate:       due,
+      outstanding:   outstanding(inv),
+      amount:        outstanding(inv),
+    });
+  }
+  lines.sort((a, b) => String(a.supplierName || '').localeCompare(String(b.supplierName || '')) ||
+    a.dueDate.localeCompare(b.dueDate) || a.invoiceId - b.invoiceId);
+  return { lines, skipped, total: _round2(lines.reduce((s, l) => s + l.amount, 0)) };
+}
+
+/**
+ * Check lines entered or edited by a user.
+ *
+ * @param {Array}  lines          — [{ invoiceId, amount }]
+ * @param {object} invoicesById   — { [id]: supplier_invoices row }
+ * @param {Set}    [openRunInvoiceIds] — invoice ids on OTHER open runs
+ * @returns {string[]}
+ */
+function validateLines(lines, invoicesById, openRunInvoiceIds = new Set()) {
+  const errors = [];
+  if (!Array.isArray(lines) || !lines.length) return ['A payment run needs at least one invoice'];
+  const seen = new Set();
+  for (const l of lines) {
+    const inv = invoicesById[l.invoiceId];
+    if (!inv) { errors.push(`Invoice ${l.invoiceId} not found`); continue; }
+    const label = inv.invoice_number || `#${inv.id}`;
+    if (seen.has(inv.id)) errors.push(`Invoice ${label} is listed twice`);
+    seen.add(inv.id);
+    const reason = _unpayable(inv, openRunInvoiceIds.has(inv.id));
+    if (reason) { errors.push(`Invoice ${label}: ${reason}`); continue; }
+    const amount = _num(l.amount);
+    if (!(amount > 0)) errors.push(`Invoice ${label}: amount must be greater than 0`);
+    else if (amount > outstanding(inv) + 0.005) {
+      errors.push(`Invoice ${label}: ${_round2(amount).toFixed(2)} exceeds the outstanding ${outstanding(inv).toFixed(2)}`);
+    }
+  }
+  return errors;
+}
+
+// ─── Payments ────────────────────────────────────────────────────────────────
+
+/**
+ * Bank statement reference for the supplier: the invoice number when one
+ * invoice is paid, otherwise the run reference.
+ */
+function beneficiaryReference(runReference, invoiceNumbers) {
+  const numbers = invoiceNumbers.filter(Boolean);
+  return numbers.length === 1 ? numbers[0] : runReference;
+}
+
+/**
+ * One payment per supplier, allocated across its invoices.
+ *
+ * @param {Array}  lines          — [{ invoiceId, supplierId, amount, invoiceNumber? }]
+ * @param {object} suppliersById  — { [id]: suppliers row }
+ * @param {string} runReference
+ * @returns {Array} [{ supplierId, supplierName, amount, allocations, beneficiary }]
+ *   beneficiary is the shape shared/utils/bankBatchFormats expects
+ */
+function groupPayments(lines, suppliersById, runReference) {
+  const bySupplier = new Map();
+  for (const l of lines) {
+    const key = Number(l.supplierId);
+    if (!bySupplier.has(key)) bySupplier.set(key, []);
+    bySupplier.get(key).push(l);
+  }
+  const payments = [];
+  for (const [supplierId, supplierLines] of bySupplier) {
+    const s = suppliersById[supplierId] || {};
+    const amount = _round2(supplierLines.reduce((sum, l) => sum + _num(l.amount), 0));
+    payments.push({
+      supplierId,
+      supplierName: s.name || null,
+      amount,
+      allocations: supplierLines.map(l => ({ invoiceId: l.invoiceId, amount: _round2(_num(l.amount)) })),
+      beneficiary: {
+        name:          s.bank_account_holder || s.name || '',
+        accountNumber: s.bank_account_number || '',
+        branchCode:    s.bank_branch_code || '',
+        accountType:   s.bank_account_type || 'current',
+        amount,
+        reference:     beneficiaryReference(runReference, supplierLines.map(l => l.invoiceNumber)),
+        ownReference:  [runReference, s.code].filter(Boolean).join(' '),
+      },
+    });
+  }
+  return payments.sort((a, b) => String(a.supplierName || '').localeCompare(String(b.supplierName || '')));
+}
+
+/** PR-YYYYMMDD-NN — NN is the run's sequence for that payment date. */
+function runReference(paymentDate, sequence) {
+  return `PR-${_yyyymmdd(paymentDate)}-${String(sequence).padStart(2, '0')}`;
+}
+
+module.exports = {
+  outstanding,
+  invoiceStatus,
+  proposeLines,
+  validateLines,
+  beneficiaryReference,
+  groupPayments,
+  runReference,
+};
@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Recurring Document Scheduler
+ * ============================================================================
+ * In-process timer that sweeps recurring templates for every company and
+ * materialises what is due today via RecurringService.runDue.
+ *
+ *   RECURRING_SCHEDULER_ENABLED=false        — do not start the timer
+ *   RECURRING_SCHEDULER_INTERVAL_MINUTES=60  — sweep interval (minimum 5)
+ *
+ * Running more than one instance is safe: each template is processed under a
+ * row lock and each period is claimed once in recurring_runs, so overlapping
+ * sweeps never create a document twice. The timer is unref()'d so it never
+ * holds the process open (same pattern as shared/routes/twoFactor.js).
+ * ============================================================================
+ */
+
+const RecurringService = require('./recurringService');
+
+let _timer = null;
+let _running = false;
+
+async function tick() {
+  if (_running) return null;   // previous sweep still busy
+  _running = true;
+  try {
+    const result = await RecurringService.runDue({ triggeredBy: 'scheduler' });
+    const { created, posted, skippedLocked, failed } = result;
+    if (created.length || posted.length || skippedLocked.length || failed.length) {
+      console.log(
+        `[Recurring] ${result.asOfDate}: ${created.length} draft, ${posted.length} posted, ` +
+        `${skippedLocked.length} skipped (locked period), ${failed.length} failed`
+      );
+    }
+    return result;
+  } catch (err) {
+    console.error('[Recurring] scheduler sweep failed:', err.message);
+    return null;
+  } finally {
+    _running = false;
+  }
+}
+
+function start() {
+  if (_timer || process.env.RECURRING_SCHEDULER_ENABLED === 'false') return false;
+  const minutes = Math.max(parseInt(process.env.RECURRING_SCHEDULER_INTERVAL_MINUTES, 10) || 60, 5);
+  _timer = setInterval(tick, minutes * 60 * 1000);
+  _timer.unref();
+  // First sweep shortly after boot so a restart does not wait a full interval
+  setTimeout(tick, 30 * 1000).unref();
+  console.log(`   Recurring scheduler: every ${minutes} min`);
+  return true;
+}
+
+function stop() {
+  if (_timer) clearInterval(_timer);
+  _timer = null;
+}
+
+module.exports = { start, stop, tick };
@@ -0,0 +1,490 @@
+'use strict';
+
+/**
+ * Recurring Document Service
+ * ============================================================================
+ * Recurring customer invoices and recurring journals: templates with a
+ * schedule, and the engine that materialises each due occurrence.
+ *
+ *   template:  active ⇄ inactive            (next_run_date NULL once ended)
+ *   run:       pending → created | posted | skipped_locked | failed
+ *
+ * CRITICAL RULES:
+ *   1. Schedule maths and payload validation live in recurringUtils.js (pure)
+ *      — this service only loads, persists and materialises.
+ *   2. Documents are created through the normal paths:
+ *      CustomerInvoiceService.createDraft / postToLedger for invoices and
+ *      JournalService.createDraftJournal / postJournal for journals — so
+ *      numbering, VAT, FX, balance and period-lock checks apply unchanged.
+ *   3. One run per template per period key (DB unique). A run is claimed by
+ *      inserting it as 'pending' before any document is created; a period that
+ *      already has a created/posted run is never generated again. Only
+ *      skipped_locked and failed runs can be retried.
+ *   4. An occurrence dated in a locked accounting period is recorded as
+ *      skipped_locked and the schedule moves past it — a locked period never
+ *      blocks the following periods.
+ *   5. All queries and mutations are scoped to companyId server-side, except
+ *      runDue({ companyId: null }) which the scheduler uses to sweep every
+ *      company; each template is still processed under its own company.
+ * ============================================================================
+ */
+
+const { supabase } = require('../../../config/database');
+const db = require('../config/database'); // direct pg Pool — run claims and template updates
+const JournalService = require('./journalService');
+const CustomerInvoiceService = require('./customerInvoiceService');
+const FxService = require('./fxService');
+const AuditLogger = require('./auditLogger');
+const {
+  firstOccurrenceOnOrAfter,
+  dueOccurrences,
+  addDays,
+  applyPlaceholders,
+  validateSchedule,
+  validatePayload,
+  journalLinesFor,
+} = require('./recurringUtils');
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+const RETRYABLE = ['skipped_locked', 'failed'];
+
+function _today() { return new Date().toISOString().slice(0, 10); }
+
+/** recurring_templates row → the schedule shape recurringUtils expects. */
+function _schedule(t) {
+  return {
+    frequency:     t.frequency,
+    intervalCount: t.interval_count,
+    startDate:     t.start_date,
+    endDate:       t.end_date || null,
+    nextRunDate:   t.next_run_date || null,
+  };
+}
+
+const TEMPLATE_COLUMNS = `
+  id, company_id, name, document_type, frequency, interval_count,
+  start_date::text AS start_date, end_date::text AS end_date,
+  next_run_date::text AS next_run_date, mode, payload, is_active,
+  last_run_at, created_by_user_id, created_at, updated_at`;
+
+const RUN_COLUMNS = `
+  id, template_id, company_id, period_key, occurrence_date::text AS occurrence_date,
+  status, customer_invoice_id, journal_id, message, triggered_by,
+  created_by_user_id, created_at, updated_at`;
+
+class RecurringService {
+
+  // ── Internal helpers ──────────────────────────────────────────────────────
+
+  static async _getTemplate(companyId, templateId) {
+    const result = await db.query(
+      `SELECT ${TEMPLATE_COLUMNS} FROM recurring_templates WHERE id = $1 AND company_id = $2`,
+      [templateId, companyId]
+    );
+    if (!result.rows.length) throw serviceError(404, 'Recurring template not found.');
+    return result.rows[0];
+  }
+
+  /** Payload accounts and customer must belong to the company. */
+  static async _assertPayloadOwnership(companyId, documentType, payload) {
+    const ids = [...new Set((payload.lines || []).map(l => parseInt(l.accountId, 10)).filter(Boolean))];
+    if (ids.length) {
+      const { data, error } = await supabase
+        .from('accounts')
+        .select('id')
+        .eq('company_id', companyId)
+        .in('id', ids);
+      if (error) throw new Error(`Account validation failed: ${error.message}`);
+      const valid = new Set((data || []).map(a => a.id));
+      const foreign = ids.filter(id => !valid.has(id));
+      if (foreign.length) throw serviceError(404, `Account(s) not found for this company: ${foreign.join(', ')}`);
+    }
+    if (documentType === 'customer_invoice') {
+      const { data } = await supabase
+        .from('customers')
+        .select('id')
+        .eq('id', parseInt(payload.customerId, 10))
+        .eq('company_id', companyId)
+        .maybeSingle();
+      if (!data) throw serviceError(404, 'Customer not found for this company.');
+    }
+  }
+
+  /** Validate and normalise a create/update body. Throws on the first problem set. */
+  static _normalise(input, existing = null) {
+    const merged = {
+      name:          input.name          !== undefined ? input.name          : existing?.name,
+      documentType:  input.documentType  !== undefined ? input.documentType  : existing?.document_type,
+      frequency:     input.frequency     !== undefined ? input.frequency     : existing?.frequency,
+      intervalCount: input.intervalCount !== undefined ? parseInt(input.intervalCount, 10) : (existing?.interval_count ?? 1),
+      startDate:     input.startDate     !== undefined ? input.startDate     : existing?.start_date,
+      endDate:       input.endDate       !== undefined ? (input.endDate || null) : (existing?.end_date || null),
+      mode:          input.mode          !== undefined ? input.mode          : (existing?.mode || 'draft'),
+      payload:       input.payload       !== undefined ? input.payload       : existing?.payload,
+    };
+    const errors = [];
+    if (!merged.name || !String(merged.name).trim()) errors.push('name is required');
+    errors.push(...validateSchedule(merged), ...validatePayload(merged.documentType, merged.payload));
+    if (errors.length) throw serviceError(400, `Invalid recurring template: ${errors.join('; ')}`);
+    merged.name = String(merged.name).trim();
+    return merged;
+  }
+
+  // ── Templates ─────────────────────────────────────────────────────────────
+
+  static async listTemplates({ companyId, documentType = null, activeOnly = false }) {
+    const params = [companyId];
+    let where = 'company_id = $1';
+    if (documentType) { params.push(documentType); where += ` AND document_type = $${params.length}`; }
+    if (activeOnly) where += ' AND is_active = true';
+    const result = await db.query(
+      `SELECT ${TEMPLATE_COLUMNS} FROM recurring_templates WHERE ${where} ORDER BY name, id`,
+      params
+    );
+    return result.rows;
+  }
+
+  /** Template plus its most recent runs. */
+  static async getTemplate({ companyId, templateId }) {
+    const template = await RecurringService._getTemplate(companyId, templateId);
+    const runs = await RecurringService.listRuns({ companyId, templateId, limit: 24 });
+    return { ...template, runs };
+  }
+
+  static async createTemplate({ companyId, userId, input }) {
+    const t = RecurringService._normalise(input || {});
+    await RecurringService._assertPayloadOwnership(companyId, t.documentType, t.payload);
+
+    const nextRunDate = firstOccurrenceOnOrAfter(t, t.startDate);
+    const result = await db.query(
+      `INSERT INTO recurring_templates
+         (company_id, name, document_type, frequency, interval_count, start_date, end_date,
+          next_run_date, mode, payload, created_by_user_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+       RETURNING id`,
+      [companyId, t.name, t.documentType, t.frequency, t.intervalCount, t.startDate, t.endDate,
+        nextRunDate, t.mode, JSON.stringify(t.payload), userId]
+    );
+    return RecurringService._getTemplate(companyId, result.rows[0].id);
+  }
+
+  /**
+   * Update a template. A schedule change re-anchors next_run_date to the first
+   * new occurrence on or after the old one, so nothing already due is lost and
+   * periods already generated are still protected by the run ledger.
+   */
+  static async updateTemplate({ companyId, templateId, input }) {
+    const existing = await RecurringService._getTemplate(companyId, templateId);
+    if (input.documentType !== undefined && input.documentType !== existing.document_type) {
+      throw serviceError(409, 'documentType cannot be changed — create a new template.');
+    }
+    const t = RecurringService._normalise(input || {}, existing);
+    await RecurringService._assertPayloadOwnership(companyId, t.documentType, t.payload);
+
+    const anchor = existing.next_run_date && existing.next_run_date > t.startDate
+      ? existing.next_run_date
+      : t.startDate;
+    const nextRunDate = firstOccurrenceOnOrAfter(t, anchor);
+
+    await db.query(
+      `UPDATE recurring_templates
+          SET name = $3, frequency = $4, interval_count = $5, start_date = $6, end_date = $7,
+              next_run_date = $8, mode = $9, payload = $10, updated_at = NOW()
+        WHERE id = $1 AND company_id = $2`,
+      [templateId, companyId, t.name, t.frequency, t.intervalCount, t.startDate, t.endDate,
+        nextRunDate, t.mode, JSON.stringify(t.payload)]
+    );
+    return RecurringService._getTemplate(companyId, templateId);
+  }
+
+  static async setActive({ companyId, templateId, isActive }) {
+    await RecurringService._getTemplate(companyId, templateId);
+    await db.query(
+      `UPDATE recurring_templates SET is_active = $3, updated_at = NOW() WHERE id = $1 AND company_id = $2`,
+      [templateId, companyId, isActive === true]
+    );
+    return RecurringService._getTemplate(companyId, templateId);
+  }
+
+  /** Only templates that never generated a document can be deleted. */
+  static async deleteTemplate({ companyId, templateId }) {
+    const template = await RecurringService._getTemplate(companyId, templateId);
+    const used = await db.query(
+      `SELECT COUNT(*)::int AS n FROM recurring_runs
+        WHERE template_id = $1 AND status IN ('created','posted')`,
+      [templateId]
+    );
+    if (used.rows[0].n > 0) {
+      throw serviceError(409, 'Template has generated documents and cannot be deleted — deactivate it instead.');
+    }
+    await db.query(`DELETE FROM recurring_templates WHERE id = $1 AND company_id = $2`, [templateId, companyId]);
+    return template;
+  }
+
+  // ── Runs ──────────────────────────────────────────────────────────────────
+
+  static async listRuns({ companyId, templateId = null, status = null, limit = 100 }) {
+    const params = [companyId];
+    let where = 'r.company_id = $1';
+    if (templateId) { params.push(templateId); where += ` AND r.template_id = $${params.length}`; }
+    if (status)     { params.push(status);     where += ` AND r.status = $${params.length}`; }
+    params.push(Math.min(parseInt(limit, 10) || 100, 500));
+    const result = await db.query(
+      `SELECT r.id, r.template_id, r.period_key, r.occurrence_date::text AS occurrence_date,
+              r.status, r.customer_invoice_id, r.journal_id, r.message, r.triggered_by,
+              r.created_by_user_id, r.created_at, r.updated_at,
+              t.name AS template_name, t.document_type
+         FROM recurring_runs r
+         JOIN recurring_templates t ON t.id = r.template_id
+        WHERE ${where}
+        ORDER BY r.occurrence_date DESC, r.id DESC
+        LIMIT $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Claim an occurrence. Returns the run id to work on, or null when the
+   * period already has a run that must not be repeated.
+   */
+  static async _claimRun(template, occurrence, triggeredBy, userId) {
+    const inserted = await db.query(
+      `INSERT INTO recurring_runs
+         (template_id, company_id, period_key, occurrence_date, status, triggered_by, created_by_user_id)
+       VALUES ($1,$2,$3,$4,'pending',$5,$6)
+       ON CONFLICT (template_id, period_key) DO NOTHING
+       RETURNING id`,
+      [template.id, template.company_id, occurrence.periodKey, occurrence.occurrenceDate, triggeredBy, userId]
+    );
+    if (inserted.rows.length) return inserted.rows[0].id;
+
+    // Existing run — retry only if it was skipped or failed
+    const retried = await db.query(
+      `UPDATE recurring_runs
+          SET status = 'pending', message = NULL, triggered_by = $3, updated_at = NOW()
+        WHERE template_id = $1 AND period_key = $2 AND status = ANY($4)
+        RETURNING id`,
+      [template.id, occurrence.periodKey, triggeredBy, RETRYABLE]
+    );
+    return retried.rows.length ? retried.rows[0].id : null;
+  }
+
+  static async _finishRun(runId, { status, customerInvoiceId = null, journalId = null, message = null }) {
+    const result = await db.query(
+      `UPDATE recurring_runs
+          SET status = $2, customer_invoice_id = $3, journal_id = $4, message = $5, updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${RUN_COLUMNS}`,
+      [runId, status, customerInvoiceId, journalId, message]
+    );
+    return result.rows[0];
+  }
+
+  /** Create (and optionally post) a customer invoice for one occurrence. */
+  static async _materialiseInvoice(template, occurrence, userId) {
+    const companyId = template.company_id;
+    const p = template.payload;
+    const fx = await FxService.resolveDocumentRate(companyId, p.currencyCode, occurrence.occurrenceDate, p.exchangeRate);
+
+    const { invoice } = await CustomerInvoiceService.createDraft({
+      companyId,
+      customerId:    parseInt(p.customerId, 10),
+      invoiceNumber: null,
+      invoiceDate:   occurrence.occurrenceDate,
+      dueDate:       p.dueDays !== undefined ? addDays(occurrence.occurrenceDate, p.dueDays) : null,
+      vatInclusive:  p.vatInclusive === true,
+      notes:         applyPlaceholders(p.notes, occurrence.occurrenceDate, template.frequency) || null,
+      lines:         p.lines.map(l => ({
+        ...l,
+        description: applyPlaceholders(l.description, occurrence.occurrenceDate, template.frequency),
+      })),
+      fx,
+      userId,
+    });
+
+    if (template.mode !== 'post') return { status: 'created', customerInvoiceId: invoice.id };
+
+    const { data: customer } = await supabase
+      .from('customers').select('name').eq('id', invoice.customer_id).eq('company_id', companyId).maybeSingle();
+    invoice.customer_name = customer?.name || `Customer #${invoice.customer_id}`;
+    try {
+      const { journalId } = await CustomerInvoiceService.postToLedger({ companyId, invoice, userId });
+      return { status: 'posted', customerInvoiceId: invoice.id, journalId };
+    } catch (postErr) {
+      // The draft stands — the run records it so the period is not generated twice.
+      return { status: 'created', customerInvoiceId: invoice.id, message: `Draft created; posting failed: ${postErr.message}` };
+    }
+  }
+
+  /** Create (and optionally post) a journal for one occurrence. */
+  static async _materialiseJournal(template, occurrence, userId) {
+    const p = template.payload;
+    const journal = await JournalService.createDraftJournal({
+      companyId:       template.company_id,
+      date:            occurrence.occurrenceDate,
+      reference:       applyPlaceholders(p.reference, occurrence.occurrenceDate, template.frequency) || `REC-${template.id}-${occurrence.periodKey}`,
+      description:     applyPlaceholders(p.description, occurrence.occurrenceDate, template.frequency),
+      sourceType:      'recurring',
+      createdByUserId: userId,
+      lines:           journalLinesFor(p, occurrence.occurrenceDate, template.frequency),
+      metadata:        { recurring_template_id: template.id, period_key: occurrence.periodKey },
+    });
+
+    if (template.mode !== 'post') return { status: 'created', journalId: journal.id };
+    try {
+      await JournalService.postJournal(journal.id, template.company_id, userId);
+      return { status: 'posted', journalId: journal.id };
+    } catch (postErr) {
+      return { status: 'created', journalId: journal.id, message: `Draft created; posting failed: ${postErr.message}` };
+    }
+  }
+
+  /** Claim and materialise one occurrence. Returns the finished run, or null if already done. */
+  static async _runOccurrence(template, occurrence, triggeredBy, userId) {
+    const runId = await RecurringService._claimRun(template, occurrence, triggeredBy, userId);
+    if (!runId) return null;
+
+    if (await JournalService.isPeriodLocked(template.company_id, occurrence.occurrenceDate)) {
+      return RecurringService._finishRun(runId, {
+        status:  'skipped_locked',
+        message: `Accounting period containing ${occurrence.occurrenceDate} is locked.`,
+      });
+    }
+
+    let outcome;
+    try {
+      outcome = template.document_type === 'customer_invoice'
+        ? await RecurringService._materialiseInvoice(template, occurrence, userId)
+        : await RecurringService._materialiseJournal(template, occurrence, userId);
+    } catch (err) {
+      const locked = (err.message || '').toLowerCase().includes('locked period');
+      return RecurringService._finishRun(runId, {
+        status:  locked ? 'skipped_locked' : 'failed',
+        message: err.message,
+      });
+    }
+
+    const run = await RecurringService._finishRun(runId, outcome);
+    await AuditLogger.log({
+      companyId:  template.company_id,
+      actorType:  triggeredBy === 'manual' ? 'USER' : 'SYSTEM',
+      actorId:    userId,
+      actionType: 'RECURRING_DOCUMENT_GENERATED',
+      entityType: template.document_type === 'customer_invoice' ? 'CUSTOMER_INVOICE' : 'JOURNAL',
+      entityId:   outcome.customerInvoiceId || outcome.journalId,
+      afterJson:  { templateId: template.id, periodKey: occurrence.periodKey, occurrenceDate: occurrence.occurrenceDate, ...outcome },
+      reason:     `Recurring template "${template.name}" — ${occurrence.periodKey}`,
+    });
+    return run;
+  }
+
+  /**
+   * Materialise every due occurrence of one template and advance its
+   * next_run_date. The row is locked for the duration so two schedulers
+   * (or the scheduler and "run now") cannot advance it concurrently.
+   * NO KEY UPDATE, not UPDATE: run inserts on other connections take a
+   * KEY SHARE lock on the template through the foreign key.
+   */
+  static async _processTemplate(templateId, asOfDate, triggeredBy, userId) {
+    const client = await db.getClient();
+    const runs = [];
+    let template;
+    try {
+      await client.query('BEGIN');
+      const locked = await client.query(
+        `SELECT ${TEMPLATE_COLUMNS} FROM recurring_templates WHERE id = $1 FOR NO KEY UPDATE SKIP LOCKED`,
+        [templateId]
+      );
+      if (!locked.rows.length) {
+        await client.query('COMMIT');
+        return { template: null, runs };
+      }
+      template = locked.rows[0];
+
+      const { due, nextRunDate } = dueOccurrences(_schedule(template), asOfDate);
+      for (const occurrence of due) {
+        const run = await RecurringService._runOccurrence(template, occurrence, triggeredBy, userId);
+        if (run) runs.push({ ...run, template_name: template.name, document_type: template.document_type });
+      }
+
+      await client.query(
+        `UPDATE recurring_templates
+            SET next_run_date = $2, last_run_at = NOW(), updated_at = NOW()
+          WHERE id = $1`,
+        [templateId, nextRunDate]
+      );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+    return { template, runs };
+  }
+
+  /** Group finished runs for the API / scheduler log. */
+  static _summarise(runs) {
+    const summary = { created: [], posted: [], skippedLocked: [], failed: [] };
+    for (const r of runs) {
+      if (r.status === 'created') summary.created.push(r);
+      else if (r.status === 'posted') summary.posted.push(r);
+      else if (r.status === 'skipped_locked') summary.skippedLocked.push(r);
+      else if (r.status === 'failed') summary.failed.push(r);
+    }
+    return summary;
+  }
+
+  /**
+   * Materialise everything due on asOfDate.
+   * companyId null = every company (scheduler sweep).
+   */
+  static async runDue({ companyId = null, asOfDate = _today(), triggeredBy = 'scheduler', userId = null } = {}) {
+    const params = [asOfDate];
+    let where = 'is_active = true AND next_run_date IS NOT NULL AND next_run_date <= $1';
+    if (companyId) { params.push(companyId); where += ` AND company_id = $${params.length}`; }
+    const due = await db.query(`SELECT id FROM recurring_templates WHERE ${where} ORDER BY id`, params);
+
+    const runs = [];
+    for (const { id } of due.rows) {
+      try {
+        const result = await RecurringService._processTemplate(id, asOfDate, triggeredBy, userId);
+        runs.push(...result.runs);
+      } catch (err) {
+        // One broken template must not stop the sweep
+        console.error(`[Recurring] template ${id} failed:`, err.message);
+      }
+    }
+    return { asOfDate, templates: due.rows.length, ...RecurringService._summarise(runs) };
+  }
+
+  /** "Run now" for a single template, up to asOfDate (default today). */
+  static async runTemplate({ companyId, templateId, asOfDate = _today(), userId }) {
+    const template = await RecurringService._getTemplate(companyId, templateId);
+    if (!template.is_active) throw serviceError(409, 'Recurring template is inactive.');
+    const result = await RecurringService._processTemplate(templateId, asOfDate, 'manual', userId);
+    if (!result.template) throw serviceError(409, 'Recurring template is already being processed — try again shortly.');
+    return { asOfDate, templates: 1, ...RecurringService._summarise(result.runs) };
+  }
+
+  /** Retry a skipped_locked or failed run (e.g. after the period is unlocked). */
+  static async retryRun({ companyId, runId, userId }) {
+    const found = await db.query(
+      `SELECT ${RUN_COLUMNS} FROM recurring_runs WHERE id = $1 AND company_id = $2`,
+      [runId, companyId]
+    );
+    if (!found.rows.length) throw serviceError(404, 'Recurring run not found.');
+    const run = found.rows[0];
+    if (!RETRYABLE.includes(run.status)) throw serviceError(409, `Only skipped or failed runs can be retried (run is ${run.status}).`);
+
+    const template = await RecurringService._getTemplate(companyId, run.template_id);
+    const finished = await RecurringService._runOccurrence(
+      template, { occurrenceDate: run.occurrence_date, periodKey: run.period_key }, 'manual', userId
+    );
+    if (!finished) throw serviceError(409, 'Recurring run is already being processed.');
+    return finished;
+  }
+}
+
+module.exports = RecurringService;
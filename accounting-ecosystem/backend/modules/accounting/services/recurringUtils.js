@@ -0,0 +1,237 @@
+'use strict';
+
+/**
+ * recurringUtils.js
+ * Pure schedule and payload helpers for recurring invoices and journals —
+ * no DB access, fully testable.
+ *
+ * Occurrence n of a schedule is start_date advanced by n × interval ×
+ * frequency. Month-based frequencies keep the start day and clamp it to the
+ * month end, so a schedule starting on 31 Jan runs 28 Feb, 31 Mar, 30 Apr …
+ * rather than drifting to the 28th.
+ *
+ * Each occurrence has a period key (2025-03, 2025-Q1, 2025, or the date for
+ * weekly schedules). recurring_runs is unique per template × period key,
+ * which is what makes materialisation idempotent.
+ */
+
+const FREQUENCIES = {
+  weekly:    { days: 7 },
+  monthly:   { months: 1 },
+  quarterly: { months: 3 },
+  yearly:    { months: 12 },
+};
+
+const DOCUMENT_TYPES = ['customer_invoice', 'journal'];
+const MODES = ['draft', 'post'];
+
+// Safety cap on catch-up: a template left unattended for years must not
+// generate hundreds of documents in one scheduler tick.
+const MAX_CATCH_UP = 24;
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// ─── Internal helpers ────────────────────────────────────────────────────────
+
+function _pad(n) { return String(n).padStart(2, '0'); }
+
+function _round2(n) { return Math.round(n * 100) / 100; }
+
+function _toUTC(dateStr) { return new Date(String(dateStr).slice(0, 10) + 'T00:00:00Z'); }
+
+function _iso(d) { return d.toISOString().slice(0, 10); }
+
+function _lastDay(year, month) { return new Date(Date.UTC(year, month, 0)).getUTCDate(); }
+
+function _isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || '')) && !isNaN(_toUTC(value).getTime());
+}
+
+// ─── Schedule maths ─────────────────────────────────────────────────────────
+
+/**
+ * Date of occurrence n (0 = start date).
+ * @returns {string} YYYY-MM-DD
+ */
+function occurrenceDate({ frequency, intervalCount = 1, startDate }, n) {
+  const step = FREQUENCIES[frequency];
+  if (!step) throw new Error(`Unknown frequency: ${frequency}`);
+  const start = _toUTC(startDate);
+
+  if (step.days) {
+    start.setUTCDate(start.getUTCDate() + step.days * intervalCount * n);
+    return _iso(start);
+  }
+
+  const totalMonths = start.getUTCMonth() + step.months * intervalCount * n;
+  const year  = start.getUTCFullYear() + Math.floor(totalMonths / 12);
+  const month = (totalMonths % 12) + 1;
+  const day   = Math.min(start.getUTCDate(), _lastDay(year, month));
+  return `${year}-${_pad(month)}-${_pad(day)}`;
+}
+
+/**
+ * Idempotency key of the period an occurrence belongs to.
+ *   weekly → 2025-03-14, monthly → 2025-03, quarterly → 2025-Q1, yearly → 2025
+ */
+function periodKey(frequency, dateStr) {
+  const d = String(dateStr).slice(0, 10);
+  switch (frequency) {
+    case 'weekly':    return d;
+    case 'monthly':   return d.slice(0, 7);
+    case 'quarterly': return `${d.slice(0, 4)}-Q${Math.floor((parseInt(d.slice(5, 7), 10) - 1) / 3) + 1}`;
+    case 'yearly':    return d.slice(0, 4);
+    default: throw new Error(`Unknown frequency: ${frequency}`);
+  }
+}
+
+/**
+ * First occurrence on or after fromDate that is still inside the schedule.
+ * @returns {string|null} null when the schedule has ended
+ */
+function firstOccurrenceOnOrAfter(schedule, fromDate) {
+  const from = String(fromDate).slice(0, 10);
+  for (let n = 0; ; n++) {
+    const d = occurrenceDate(schedule, n);
+    if (schedule.endDate && d > schedule.endDate) return null;
+    if (d >= from) return d;
+  }
+}
+
+/**
+ * Occurrences due on asOfDate: every occurrence from nextRunDate up to and
+ * including asOfDate (capped at MAX_CATCH_UP), plus the next run date after
+ * them. nextRunDate is null once the end date has passed.
+ *
+ * @param {object} schedule — { frequency, intervalCount, startDate, endDate, nextRunDate }
+ * @returns {{ due: { occurrenceDate, periodKey }[], nextRunDate: string|null }}
+ */
+function dueOccurrences(schedule, asOfDate, maxCount = MAX_CATCH_UP) {
+  const asOf = String(asOfDate).slice(0, 10);
+  let next = schedule.nextRunDate === undefined
+    ? firstOccurrenceOnOrAfter(schedule, schedule.startDate)
+    : schedule.nextRunDate;
+  const due = [];
+
+  while (next && next <= asOf && due.length < maxCount) {
+    due.push({ occurrenceDate: next, periodKey: periodKey(schedule.frequency, next) });
+    const after = _toUTC(next);
+    after.setUTCDate(after.getUTCDate() + 1);
+    next = firstOccurrenceOnOrAfter(schedule, _iso(after));
+  }
+
+  return { due, nextRunDate: next };
+}
+
+/** Add days to a date (due dates from payload.dueDays). */
+function addDays(dateStr, days) {
+  const d = _toUTC(dateStr);
+  d.setUTCDate(d.getUTCDate() + (parseInt(days, 10) || 0));
+  return _iso(d);
+}
+
+/**
+ * Substitute {date}, {month} and {period} in template text so generated
+ * documents read "Retainer — March 2025" rather than repeating one label.
+ */
+function applyPlaceholders(text, occurrence, frequency) {
+  if (!text) return text;
+  const d = String(occurrence).slice(0, 10);
+  const month = `${MONTH_NAMES[parseInt(d.slice(5, 7), 10) - 1]} ${d.slice(0, 4)}`;
+  return String(text)
+    .replace(/\{date\}/g, d)
+    .replace(/\{month\}/g, month)
+    .replace(/\{period\}/g, periodKey(frequency, d));
+}
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+/**
+ * Validate the schedule part of a template.
+ * @returns {string[]} error messages (empty = valid)
+ */
+function validateSchedule({ frequency, intervalCount = 1, startDate, endDate, mode }) {
+  const errors = [];
+  if (!FREQUENCIES[frequency]) errors.push(`frequency must be one of ${Object.keys(FREQUENCIES).join(', ')}`);
+  const interval = Number(intervalCount);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 12) errors.push('intervalCount must be a whole number from 1 to 12');
+  if (!_isDate(startDate)) errors.push('startDate is required (YYYY-MM-DD)');
+  if (endDate) {
+    if (!_isDate(endDate)) errors.push('endDate must be a date (YYYY-MM-DD)');
+    else if (_isDate(startDate) && endDate < startDate) errors.push('endDate must be on or after startDate');
+  }
+  if (mode !== undefined && !MODES.includes(mode)) errors.push(`mode must be one of ${MODES.join(', ')}`);
+  return errors;
+}
+
+/**
+ * Validate the document body a template will materialise.
+ *   customer_invoice: { customerId, lines: [{ accountId, quantity, unitPrice, vatRate, description }],
+ *                       vatInclusive?, dueDays?, notes?, currencyCode?, exchangeRate? }
+ *   journal:          { description, reference?, lines: [{ accountId, debit, credit, description }] }
+ * @returns {string[]} error messages (empty = valid)
+ */
+function validatePayload(documentType, payload) {
+  const errors = [];
+  const p = payload || {};
+  if (!DOCUMENT_TYPES.includes(documentType)) {
+    return [`documentType must be one of ${DOCUMENT_TYPES.join(', ')}`];
+  }
+  if (!Array.isArray(p.lines) || !p.lines.length) return ['payload.lines must contain at least one line'];
+
+  if (documentType === 'customer_invoice') {
+    if (!parseInt(p.customerId, 10)) errors.push('payload.customerId is required');
+    p.lines.forEach((l, i) => {
+      if (!parseInt(l.accountId, 10)) errors.push(`Line ${i + 1}: accountId is required`);
+      if (!(parseFloat(l.unitPrice) > 0)) errors.push(`Line ${i + 1}: unitPrice must be greater than zero`);
+    });
+    if (p.dueDays !== undefined && !(parseInt(p.dueDays, 10) >= 0)) errors.push('payload.dueDays must be zero or more');
+    return errors;
+  }
+
+  if (!p.description || !String(p.description).trim()) errors.push('payload.description is required');
+  let debit = 0;
+  let credit = 0;
+  p.lines.forEach((l, i) => {
+    const dr = parseFloat(l.debit) || 0;
+    const cr = parseFloat(l.credit) || 0;
+    if (!parseInt(l.accountId, 10)) errors.push(`Line ${i + 1}: accountId is required`);
+    if (dr < 0 || cr < 0 || (dr > 0 && cr > 0) || (dr === 0 && cr === 0)) {
+      errors.push(`Line ${i + 1}: enter either a debit or a credit`);
+    }
+    debit += dr;
+    credit += cr;
+  });
+  if (_round2(debit) !== _round2(credit)) errors.push(`Journal does not balance (debits ${_round2(debit)}, credits ${_round2(credit)})`);
+  return errors;
+}
+
+/** Journal payload → JournalService lines for one occurrence. */
+function journalLinesFor(payload, occurrence, frequency) {
+  return (payload.lines || []).map(l => ({
+    accountId:      parseInt(l.accountId, 10),
+    debit:          _round2(parseFloat(l.debit) || 0),
+    credit:         _round2(parseFloat(l.credit) || 0),
+    description:    applyPlaceholders(l.description || payload.description, occurrence, frequency),
+    segmentValueId: l.segmentValueId || null,
+  }));
+}
+
+module.exports = {
+  FREQUENCIES,
+  DOCUMENT_TYPES,
+  MODES,
+  MAX_CATCH_UP,
+  occurrenceDate,
+  periodKey,
+  firstOccurrenceOnOrAfter,
+  dueOccurrences,
+  addDays,
+  applyPlaceholders,
+  validateSchedule,
+  validatePayload,
+  journalLinesFor,
+};
@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * statementPdf.js
+ * PDFKit renderers for customer statements and dunning letters.
+ *
+ * Both return a Buffer rather than piping to the response, so the same
+ * document can be streamed, attached to an email or stored. Layout follows
+ * the practice billing-pack PDF (A4, 45pt margins, Helvetica, shaded table
+ * header) so generated documents look like the rest of the suite.
+ */
+
+const PDFDocument = require('pdfkit');
+const { AGING_BUCKETS } = require('./statementUtils');
+
+const DARKTEXT = '#111827';
+const MUTED    = '#6b7280';
+const BORDER   = '#e5e7eb';
+const HDR_BG   = '#f3f4f6';
+const ACCENT   = '#1e3a8a';
+const RED      = '#dc2626';
+
+function _money(n, currencyCode = 'ZAR') {
+  const v = Math.abs(parseFloat(n) || 0).toLocaleString('en-ZA', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${currencyCode === 'ZAR' ? 'R' : currencyCode} ${n < 0 ? '-' : ''}${v}`;
+}
+
+function _toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+/** Shared page furniture: company letterhead left, document title right. */
+function _letterhead(doc, { company, title, subtitle }) {
+  const L = 45;
+  const W = doc.page.width - 90;
+  doc.rect(L, 45, W, 56).fill('#f8fafc');
+  doc.rect(L, 45, 4, 56).fill(ACCENT);
+  doc.fontSize(15).font('Helvetica-Bold').fillColor(ACCENT)
+     .text(company.trading_name || company.company_name || '', L + 12, 53, { width: W * 0.6, lineBreak: false });
+  const sub = [company.vat_number ? `VAT ${company.vat_number}` : null, company.contact_email, company.contact_phone]
+    .filter(Boolean).join('  ·  ');
+  if (sub) doc.fontSize(8).font('Helvetica').fillColor(MUTED).text(sub, L + 12, 73, { width: W * 0.6, lineBreak: false });
+  if (company.address) doc.fontSize(8).font('Helvetica').fillColor(MUTED).text(String(company.address).replace(/\s*\n\s*/g, ', '), L + 12, 85, { width: W * 0.6, lineBreak: false });
+  doc.fontSize(13).font('Helvetica-Bold').fillColor(DARKTEXT)
+     .text(title, L + W * 0.6, 55, { width: W * 0.4 - 10, align: 'right', lineBreak: false });
+  if (subtitle) {
+    doc.fontSize(8).font('Helvetica').fillColor(MUTED)
+       .text(subtitle, L + W * 0.6, 74, { width: W * 0.4 - 10, align: 'right', lineBreak: false });
+  }
+  return 115;
+}
+
+function _customerBlock(doc, y, customer) {
+  const L = 45;
+  const lines = [
+    customer.name,
+    customer.address_line_1, customer.address_line_2,
+    [customer.city, customer.postal_code].filter(Boolean).join(' '),
+    customer.email,
+  ].filter(Boolean);
+  doc.fontSize(7).font('Helvetica-Bold').fillColor(MUTED).text('TO', L, y, { lineBreak: false });
+  y += 10;
+  lines.forEach((line, i) => {
+    doc.fontSize(i === 0 ? 10 : 8).font(i === 0 ? 'Helvetica-Bold' : 'Helvetica').fillColor(DARKTEXT)
+       .text(line, L, y, { width: 260, lineBreak: false });
+    y += i === 0 ? 13 : 10;
+  });
+  return y;
+}
+
+/**
+ * Customer statement (either style) as PDF.
+ * @param {object} p
+ * @param {object} p.company   — companies row
+ * @param {object} p.customer  — customers row
+ * @param {object} p.statement — buildOpenItemStatement / buildBalanceForwardStatement result
+ * @param {string} p.currencyCode
+ * @returns {Promise<Buffer>}
+ */
+function renderStatementPdf({ company, customer, statement, currencyCode = 'ZAR' }) {
+  const doc = new PDFDocument({ size: 'A4', margin: 45, info: {
+    Title:   `Statement — ${customer.name}`,
+    Author:  company.company_name || '',
+    Creator: 'Lorenco Accounting',
+  } });
+  const L = 45;
+  const W = doc.page.width - 90;
+  const m = n => _money(n, currencyCode);
+  const balanceForward = statement.style === 'balance_forward';
+
+  let y = _letterhead(doc, {
+    company,
+    title: 'STATEMENT',
+    subtitle: balanceForward
+      ? `${statement.fromDate} to ${statement.toDate}`
+      : `As at ${statement.asOfDate}`,
+  });
+  const top = y;
+  y = _customerBlock(doc, y, customer);
+
+  // Balance due box, top right
+  doc.rect(L + W - 180, top, 180, 44).fill(HDR_BG);
+  doc.fontSize(7).font('Helvetica-Bold').fillColor(MUTED).text('BALANCE DUE', L + W - 172, top + 8, { lineBreak: false });
+  doc.fontSize(14).font('Helvetica-Bold').fillColor(statement.closingBalance > 0 ? DARKTEXT : MUTED)
+     .text(m(statement.closingBalance), L + W - 172, top + 20, { width: 164, lineBreak: false });
+  if (customer.credit_hold) {
+    doc.fontSize(8).font('Helvetica-Bold').fillColor(RED).text('ACCOUNT ON HOLD', L + W - 180, top + 50, { width: 180, align: 'right', lineBreak: false });
+  }
+  y = Math.max(y, top + 64) + 10;
+
+  const cols = balanceForward
+    ? [{ label: 'Date', w: 65 }, { label: 'Reference', w: 95 }, { label: 'Description', w: W - 65 - 95 - 3 * 85 },
+      { label: 'Debit', w: 85, align: 'right' }, { label: 'Credit', w: 85, align: 'right' }, { label: 'Balance', w: 85, align: 'right' }]
+    : [{ label: 'Date', w: 65 }, { label: 'Reference', w: 95 }, { label: 'Due', w: 65 }, { label: 'Days', w: W - 65 - 95 - 65 - 2 * 100, align: 'right' },
+      { label: 'Original', w: 100, align: 'right' }, { label: 'Open', w: 100, align: 'right' }];
+
+  function header() {
+    doc.rect(L, y, W, 18).fill(HDR_BG);
+    let x = L;
+    cols.forEach(c => {
+      doc.fontSize(7).font('Helvetica-Bold').fillColor(MUTED)
+         .text(c.label.toUpperCase(), x + 4, y + 6, { width: c.w - 8, align: c.align || 'left', lineBreak: false });
+      x += c.w;
+    });
+    y += 20;
+  }
+
+  function row(cells, opts = {}) {
+    if (y + 16 > doc.page.height - 110) { doc.addPage(); y = 45; header(); }
+    let x = L;
+    cells.forEach((cell, i) => {
+      doc.fontSize(7.5).font(opts.bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(opts.fg || DARKTEXT)
+         .text(String(cell == null ? '' : cell), x + 4, y + 3, { width: cols[i].w - 8, align: cols[i].align || 'left', lineBreak: false });
+      x += cols[i].w;
+    });
+    y += 15;
+    doc.moveTo(L, y).lineTo(L + W, y).strokeColor(BORDER).lineWidth(0.5).stroke();
+  }
+
+  header();
+  if (balanceForward) {
+    row([statement.fromDate, '', 'Balance brought forward', '', '', m(statement.openingBalance)], { bold: true });
+    for (const l of statement.lines) {
+      row([l.date, l.reference, l.description, l.debit ? m(l.debit) : '', l.credit ? m(l.credit) : '', m(l.balance)]);
+    }
+    row(['', '', 'Closing balance', m(statement.totalDebits), m(statement.totalCredits), m(statement.closingBalance)], { bold: true });
+  } else {
+    for (const it of statement.items) {
+      row([it.date, it.reference, it.dueDate || '', it.daysOverdue > 0 ? it.daysOverdue : '', m(it.original), m(it.amount)],
+        { fg: it.daysOverdue > 30 ? RED : DARKTEXT });
+    }
+    row(['', '', '', '', 'Balance due', m(statement.closingBalance)], { bold: true });
+  }
+
+  // Aging strip
+  if (y + 60 > doc.page.height - 50) { doc.addPage(); y = 45; }
+  y += 16;
+  const bw = W / AGING_BUCKETS.length;
+  AGING_BUCKETS.forEach((b, i) => {
+    const x = L + i * bw;
+    doc.rect(x, y, bw - 3, 38).fill(HDR_BG);
+    doc.fontSize(7).font('Helvetica-Bold').fillColor(MUTED).text(b.label.toUpperCase(), x + 6, y + 6, { width: bw - 15, lineBreak: false });
+    doc.fontSize(9).font('Helvetica-Bold').fillColor(i >= 2 && statement.aging[b.key] > 0 ? RED : DARKTEXT)
+       .text(m(statement.aging[b.key]), x + 6, y + 20, { width: bw - 15, lineBreak: false });
+  });
+
+  return _toBuffer(doc);
+}
+
+/**
+ * Dunning letter as PDF.
+ * @param {object} p
+ * @param {object} p.company  — companies row
+ * @param {object} p.customer — customers row
+ * @param {object} p.letter   — dunning_letters row (subject, body, letter_date, level)
+ * @returns {Promise<Buffer>}
+ */
+function renderLetterPdf({ company, customer, letter }) {
+  const doc = new PDFDocument({ size: 'A4', margin: 45, info: {
+    Title:   letter.subject,
+    Author:  company.company_name || '',
+    Creator: 'Lorenco Accounting',
+  } });
+  const L = 45;
+  const W = doc.page.width - 90;
+
+  let y = _letterhead(doc, { company, title: String(letter.stage_name || 'REMINDER').toUpperCase(), subtitle: letter.letter_date });
+  y = _customerBlock(doc, y, customer) + 18;
+
+  doc.fontSize(11).font('Helvetica-Bold').fillColor(DARKTEXT).text(letter.subject, L, y, { width: W });
+  y = doc.y + 12;
+  // Invoice lists are column-aligned with spaces — keep them in a fixed-width face
+  for (const para of String(letter.body || '').split('\n')) {
+    const fixed = /^\s{2}\S/.test(para);
+    doc.fontSize(fixed ? 8.5 : 10).font(fixed ? 'Courier' : 'Helvetica').fillColor(DARKTEXT)
+       .text(para || ' ', L, y, { width: W });
+    y = doc.y + (fixed ? 1 : 3);
+  }
+
+  return _toBuffer(doc);
+}
+
+module.exports = { renderStatementPdf, renderLetterPdf };
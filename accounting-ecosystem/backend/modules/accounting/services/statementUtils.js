@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * statementUtils.js
+ * Pure customer-statement builders — no DB access, fully testable.
+ *
+ * Two styles from the same source documents:
+ *   balance_forward — opening balance at fromDate, every invoice, credit note
+ *                     and payment in the period with a running balance
+ *   open_item       — the invoices still open at the statement date, plus any
+ *                     unallocated payments and credit notes as credit items
+ *
+ * Both close on the same balance. Open amounts are computed as at the
+ * statement date from allocations of payments dated on or before it, so a
+ * statement re-printed later still shows what was owed at the time.
+ *
+ * Amounts are in the statement currency; documents in other currencies are
+ * filtered out by the caller.
+ */
+
+// Same buckets as GET /customer-invoices/aging
+const AGING_BUCKETS = [
+  { key: 'current',    label: 'Current',    maxDays: 0 },
+  { key: 'days30',     label: '1-30 days',  maxDays: 30 },
+  { key: 'days60',     label: '31-60 days', maxDays: 60 },
+  { key: 'days90',     label: '61-90 days', maxDays: 90 },
+  { key: 'days90plus', label: '90+ days',   maxDays: Infinity },
+];
+
+const STYLES = ['balance_forward', 'open_item'];
+
+// ─── Internal helpers ────────────────────────────────────────────────────────
+
+function _round2(n) { return Math.round(n * 100) / 100; }
+
+function _toUTC(dateStr) { return new Date(String(dateStr).slice(0, 10) + 'T00:00:00Z'); }
+
+function _d(dateStr) { return dateStr ? String(dateStr).slice(0, 10) : null; }
+
+// ─── Shared ─────────────────────────────────────────────────────────────────
+
+/** Whole days between due date and asOf (negative = not yet due). */
+function daysOverdue(dueDate, asOfDate) {
+  if (!dueDate) return 0;
+  return Math.floor((_toUTC(asOfDate) - _toUTC(dueDate)) / 86400000);
+}
+
+/** Bucket key for an item that is `days` overdue. */
+function agingBucket(days) {
+  return AGING_BUCKETS.find(b => days <= b.maxDays).key;
+}
+
+/**
+ * Outstanding per invoice as at asOfDate.
+ * @param {object[]} invoices    — { id, date, total }
+ * @param {object[]} allocations — { invoiceId, amount, paymentDate }
+ * @returns {Map<number, number>} invoiceId → outstanding
+ */
+function outstandingAsAt(invoices, allocations, asOfDate) {
+  const asOf = _d(asOfDate);
+  const paid = new Map();
+  for (const a of allocations) {
+    if (_d(a.paymentDate) > asOf) continue;
+    paid.set(a.invoiceId, _round2((paid.get(a.invoiceId) || 0) + (parseFloat(a.amount) || 0)));
+  }
+  const out = new Map();
+  for (const inv of invoices) {
+    if (_d(inv.date) > asOf) continue;
+    out.set(inv.id, _round2((parseFloat(inv.total) || 0) - (paid.get(inv.id) || 0)));
+  }
+  return out;
+}
+
+/**
+ * Aging of open items.
+ * @param {object[]} items — { dueDate, amount } (credits negative, aged as current)
+ */
+function buildAging(items, asOfDate) {
+  const aging = Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]));
+  for (const item of items) {
+    const key = item.amount < 0 ? 'current' : agingBucket(daysOverdue(item.dueDate, asOfDate));
+    aging[key] = _round2(aging[key] + item.amount);
+  }
+  aging.total = _round2(AGING_BUCKETS.reduce((s, b) => s + aging[b.key], 0));
+  return aging;
+}
+
+// ─── Builders ───────────────────────────────────────────────────────────────
+
+/**
+ * Open-item statement.
+ * @param {object} p
+ * @param {object[]} p.invoices    — { id, number, date, dueDate, total }
+ * @param {object[]} p.allocations — { invoiceId, paymentId, amount, paymentDate }
+ * @param {object[]} p.payments    — { id, date, reference, amount }
+ * @param {object[]} p.creditNotes — { id, number, date, total }
+ * @param {string}   p.asOfDate
+ */
+function buildOpenItemStatement({ invoices, allocations, payments, creditNotes, asOfDate }) {
+  const asOf = _d(asOfDate);
+  const outstanding = outstandingAsAt(invoices, allocations, asOf);
+
+  const items = [];
+  for (const inv of invoices) {
+    const open = outstanding.get(inv.id);
+    if (open === undefined || Math.abs(open) < 0.005) continue;
+    items.push({
+      type: 'invoice', id: inv.id, date: _d(inv.date), dueDate: _d(inv.dueDate), reference: inv.number,
+      original: _round2(parseFloat(inv.total) || 0), amount: open,
+      daysOverdue: Math.max(0, daysOverdue(inv.dueDate, asOf)),
+    });
+  }
+
+  // Unallocated part of each payment, counting only allocations known at asOf
+  const allocatedByPayment = new Map();
+  for (const a of allocations) {
+    if (_d(a.paymentDate) > asOf) continue;
+    allocatedByPayment.set(a.paymentId, _round2((allocatedByPayment.get(a.paymentId) || 0) + (parseFloat(a.amount) || 0)));
+  }
+  for (const pay of payments) {
+    if (_d(pay.date) > asOf) continue;
+    const unallocated = _round2((parseFloat(pay.amount) || 0) - (allocatedByPayment.get(pay.id) || 0));
+    if (unallocated < 0.005) continue;
+    items.push({
+      type: 'payment', id: pay.id, date: _d(pay.date), dueDate: null, reference: pay.reference || `Payment #${pay.id}`,
+      original: _round2(-(parseFloat(pay.amount) || 0)), amount: -unallocated, daysOverdue: 0,
+    });
+  }
+  for (const cn of creditNotes) {
+    if (_d(cn.date) > asOf) continue;
+    const total = _round2(parseFloat(cn.total) || 0);
+    if (total < 0.005) continue;
+    items.push({
+      type: 'credit_note', id: cn.id, date: _d(cn.date), dueDate: null, reference: cn.number,
+      original: -total, amount: -total, daysOverdue: 0,
+    });
+  }
+
+  items.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  const aging = buildAging(items, asOf);
+  return { style: 'open_item', asOfDate: asOf, items, closingBalance: aging.total, aging };
+}
+
+/**
+ * Balance-forward statement for fromDate..toDate.
+ * Same inputs as buildOpenItemStatement plus fromDate / toDate.
+ */
+function buildBalanceForwardStatement({ invoices, allocations, payments, creditNotes, fromDate, toDate }) {
+  const from = _d(fromDate);
+  const to   = _d(toDate);
+
+  const movements = [
+    ...invoices.map(i => ({
+      type: 'invoice', id: i.id, date: _d(i.date), reference: i.number,
+      description: i.dueDate ? `Invoice — due ${_d(i.dueDate)}` : 'Invoice',
+      debit: _round2(parseFloat(i.total) || 0), credit: 0,
+    })),
+    ...creditNotes.map(c => ({
+      type: 'credit_note', id: c.id, date: _d(c.date), reference: c.number,
+      description: 'Credit note', debit: 0, credit: _round2(parseFloat(c.total) || 0),
+    })),
+    ...payments.map(p => ({
+      type: 'payment', id: p.id, date: _d(p.date), reference: p.reference || `Payment #${p.id}`,
+      description: 'Payment received', debit: 0, credit: _round2(parseFloat(p.amount) || 0),
+    })),
+  ];
+
+  let openingBalance = 0;
+  const inPeriod = [];
+  for (const m of movements) {
+    if (m.date < from) openingBalance += m.debit - m.credit;
+    else if (m.date <= to) inPeriod.push(m);
+  }
+  openingBalance = _round2(openingBalance);
+
+  // Invoices before payments and credits on the same day
+  const order = { invoice: 0, credit_note: 1, payment: 2 };
+  inPeriod.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : order[a.type] - order[b.type] || a.id - b.id));
+
+  let running = openingBalance;
+  const lines = inPeriod.map(m => {
+    running = _round2(running + m.debit - m.credit);
+    return { ...m, balance: running };
+  });
+
+  const openItem = buildOpenItemStatement({ invoices, allocations, payments, creditNotes, asOfDate: to });
+  return {
+    style: 'balance_forward',
+    fromDate: from,
+    toDate: to,
+    openingBalance,
+    lines,
+    totalDebits:  _round2(lines.reduce((s, l) => s + l.debit, 0)),
+    totalCredits: _round2(lines.reduce((s, l) => s + l.credit, 0)),
+    closingBalance: running,
+    aging: openItem.aging,
+  };
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  STYLES,
+  daysOverdue,
+  agingBucket,
+  outstandingAsAt,
+  buildAging,
+  buildOpenItemStatement,
+  buildBalanceForwardStatement,
+};
@@ -14,6 +14,15 @@
  * - /kv                — key-value store (preferences)
  * - /unlock            — payslip unlock (finalization workflow)
  * - /recon             — reconciliation
+ * - /eft               — salary EFT bank files from finalized runs
+ * - /fringe-benefits   — company car, loan, accommodation and services benefits
+ * - /deduction-orders  — staff loans and garnishee orders with statements
+ * - /terminations      — final pay, UI-19 and certificate of service
+ * - /leave             — leave policy, accrued balances and leave liability journal
+ * - /retro-pay         — back pay for backdated salary increases
+ * - /gl-journal        — payroll-to-GL mapping and payroll cost journals
+ * - /self-service      — employee logins: own payslips, IRP5s and bank detail changes
+ * - /timesheets        — clock-record import → overtime, Sunday / public holiday and night-shift inputs
  *
  * CALCULATION FLOW:
  *   POST /api/payroll/calculate
@@ -37,6 +46,15 @@ const calculateRoutes    = require('./routes/calculate');    // NEW — Workstre
 const payrunsRoutes      = require('./routes/payruns');      // NEW — Workstream 2 Step 7
 const paySchedulesRoutes  = require('./routes/pay-schedules'); // NEW — multi-schedule support
 const voluntaryTaxRoutes  = require('./routes/voluntary-tax'); // Backend-authoritative voluntary tax calc
+const eftFilesRoutes      = require('./routes/eft-files');     // Server-side salary EFT files
+const fringeBenefitRoutes = require('./routes/fringe-benefits'); // Taxable fringe benefits
+const deductionOrderRoutes = require('./routes/deduction-orders'); // Staff loans and garnishees
+const terminationRoutes   = require('./routes/terminations');     // Termination wizard
+const leaveRoutes         = require('./routes/leave');            // Leave accrual and liability
+const retroPayRoutes      = require('./routes/retro-pay');        // Backdated salary back pay
+const glJournalRoutes     = require('./routes/gl-journal');       // Payroll cost journal to the ledger
+const selfServiceRoutes   = require('./routes/self-service');     // Employee self-service
+const timesheetRoutes     = require('./routes/timesheets');       // Clock-record import
 
 const router = express.Router();
 
@@ -58,6 +76,33 @@ router.use('/recon', reconRoutes);
 // Server-side payslip unlock — replaces client-controlled KV delete pattern
 router.use('/unlock', unlockRoutes);
 
+// Salary EFT bank files — generated from finalized runs, stored, downloads logged
+router.use('/eft', eftFilesRoutes);
+
+// Taxable fringe benefits — valued by the engine, taxed through PAYE, never paid out
+router.use('/fringe-benefits', fringeBenefitRoutes);
+
+// Staff loans and garnishee orders — deducted each run, balances move on finalize / reverse
+router.use('/deduction-orders', deductionOrderRoutes);
+
+// Termination wizard — final payslip finalized, UI-19 and certificate of service stored
+router.use('/terminations', terminationRoutes);
+
+// Leave accrual — balances calculated from policy and hire date, provision posted to accounting
+router.use('/leave', leaveRoutes);
+
+// Retro pay — finalized periods recalculated at the new rate, difference paid in the open period
+router.use('/retro-pay', retroPayRoutes);
+
+// Payroll cost journal — created on finalize, reversed on /reverse, reconciled with PAYE
+router.use('/gl-journal', glJournalRoutes);
+
+// Employee self-service — password-protected payslip / IRP5 PDFs, bank changes verified by payroll
+router.use('/self-service', selfServiceRoutes);
+
+// Biometric clock imports — schedule + BCEA rates + SA public holidays → period inputs
+router.use('/timesheets', timesheetRoutes);
+
 // Pay schedule definitions (per company groupings for pay run filtering)
 router.use('/pay-schedules', paySchedulesRoutes);
 
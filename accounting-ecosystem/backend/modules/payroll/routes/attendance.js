@@ -3,18 +3,42 @@
  * Attendance Routes - Payroll Module
  * ============================================================================
  * Replaces localStorage DataAccess.getAttendance() / saveAttendance().
+ * Leave balances are calculated by LeaveAccrualService — capturing, editing
+ * or deleting leave recalculates them; they are never decremented by hand.
+ * Employees submit their own leave requests (employee self-service login);
+ * a manager with LEAVE.APPROVE approves or rejects them.
  * ============================================================================
  */
 
 const express = require('express');
 const { supabase } = require('../../../config/database');
 const { authenticateToken, requireCompany, requirePermission } = require('../../../middleware/auth');
+const { auditFromReq } = require('../../../middleware/audit');
+const { canViewEmployee, getEmployeeFilter, applyFilter } = require('../services/paytimeAccess');
+const LeaveAccrualService = require('../services/LeaveAccrualService');
+const SelfServiceService = require('../services/SelfServiceService');
+const { sendServiceError } = require('../../../shared/utils/serviceError');
 
 const router = express.Router();
 
 router.use(authenticateToken);
 router.use(requireCompany);
 
+/**
+ * Recalculate an employee's leave balances for the years the given dates
+ * fall in. Best effort — GET /leave recalculates again on read.
+ */
+async function refreshLeaveBalances(companyId, employeeId, dates) {
+  const years = [...new Set(dates.filter(Boolean).map(d => new Date(d).getFullYear()))];
+  for (const year of years) {
+    try {
+      await LeaveAccrualService.recalculateEmployee(supabase, { companyId, employeeId, year });
+    } catch (err) {
+      console.warn(`[Attendance] Leave balance recalculation failed for employee ${employeeId} (${year}):`, err.message);
+    }
+  }
+}
+
 /**
  * GET /api/payroll/attendance
  * Get attendance records
@@ -109,23 +133,7 @@ router.post('/leave', requirePermission('PAYROLL.CREATE'), async (req, res) => {
     const { data, error } = await supabase.from('leave_records').insert(leaveRecords).select();
     if (error) return res.status(500).json({ error: error.message });
 
-    // Update leave balances
-    for (const rec of leaveRecords) {
-      const year = new Date(rec.start_date).getFullYear();
-      const { data: bal } = await supabase.from('leave_balances')
-        .select('*')
-        .eq('company_id', req.companyId)
-        .eq('employee_id', rec.employee_id)
-        .eq('leave_type', rec.leave_type)
-        .eq('year', year)
-        .single();
-
-      if (bal) {
-        await supabase.from('leave_balances')
-          .update({ balance: parseFloat(bal.balance) - rec.days_taken, updated_at: new Date().toISOString() })
-          .eq('id', bal.id);
-      }
-    }
+    await refreshLeaveBalances(req.companyId, parseInt(employee_id), leaveRecords.map(r => r.start_date));
 
     res.status(201).json({ data: data || [] });
   } catch (err) {
@@ -183,7 +191,8 @@ router.get('/summary', requirePermission('ATTENDANCE.VIEW'), async (req, res) =>
 
 /**
  * GET /api/payroll/attendance/leave
- * List leave records for an employee. Also returns current-year balances.
+ * List leave records for an employee. Also returns the year's balances,
+ * recalculated from the company leave policy (LeaveAccrualService).
  * Query: employee_id (required), year (optional, defaults to current year)
  */
 router.get('/leave', requirePermission('PAYROLL.VIEW'), async (req, res) => {
@@ -203,35 +212,19 @@ router.get('/leave', requirePermission('PAYROLL.VIEW'), async (req, res) => {
 
     if (rErr) return res.status(500).json({ error: rErr.message });
 
-    // Fetch leave balances for this year
-    const { data: balances, error: bErr } = await supabase
-      .from('leave_balances')
-      .select('*')
-      .eq('company_id', req.companyId)
-      .eq('employee_id', parseInt(employee_id))
-      .eq('year', targetYear);
-
-    if (bErr) return res.status(500).json({ error: bErr.message });
-
-    // If no balances exist for this year, create SA statutory defaults
-    let effectiveBalances = balances || [];
-    if (effectiveBalances.length === 0) {
-      const defaults = [
-        { leave_type: 'annual',  annual_entitlement: 15, balance: 15, carried_forward: 0 },
-        { leave_type: 'sick',    annual_entitlement: 30, balance: 30, carried_forward: 0 },
-        { leave_type: 'family',  annual_entitlement: 3,  balance: 3,  carried_forward: 0 },
-      ];
-      const rows = defaults.map(d => ({
-        company_id: req.companyId,
-        employee_id: parseInt(employee_id),
-        year: targetYear,
-        ...d
-      }));
-      const { data: inserted } = await supabase.from('leave_balances').insert(rows).select();
-      effectiveBalances = inserted || rows;
+    // Accrued balances for this year (annual, sick cycle, family responsibility)
+    let balances;
+    try {
+      balances = await LeaveAccrualService.recalculateEmployee(supabase, {
+        companyId: req.companyId,
+        employeeId: parseInt(employee_id),
+        year: targetYear
+      });
+    } catch (bErr) {
+      return res.status(500).json({ error: bErr.message });
     }
 
-    res.json({ records: records || [], balances: effectiveBalances, year: targetYear });
+    res.json({ records: records || [], balances, year: targetYear });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
@@ -263,43 +256,12 @@ router.put('/leave/:id', requirePermission('PAYROLL.CREATE'), async (req, res) =
     if (end_date !== undefined) updates.end_date = end_date;
     if (days_taken !== undefined) updates.days_taken = parseFloat(days_taken);
 
-    // If days_taken changed AND record was approved, adjust the balance delta
-    if (days_taken !== undefined && existing.status === 'approved' && updates.days_taken !== existing.days_taken) {
-      const delta = existing.days_taken - updates.days_taken; // positive = freeing up days
-      const year = new Date(existing.start_date).getFullYear();
-      const { data: bal } = await supabase.from('leave_balances').select('id, balance')
-        .eq('company_id', req.companyId).eq('employee_id', existing.employee_id)
-        .eq('leave_type', existing.leave_type).eq('year', year).maybeSingle();
-      if (bal) {
-        await supabase.from('leave_balances').update({ balance: parseFloat(bal.balance) + delta }).eq('id', bal.id);
-      }
-    }
-
-    // If status is changing from non-approved → approved, deduct balance
-    if (status === 'approved' && existing.status !== 'approved') {
-      const year = new Date(existing.start_date).getFullYear();
-      const { data: bal } = await supabase.from('leave_balances').select('id, balance')
-        .eq('company_id', req.companyId).eq('employee_id', existing.employee_id)
-        .eq('leave_type', existing.leave_type).eq('year', year).maybeSingle();
-      if (bal) {
-        await supabase.from('leave_balances').update({ balance: parseFloat(bal.balance) - existing.days_taken }).eq('id', bal.id);
-      }
-    }
-
-    // If status is changing from approved → rejected/cancelled, restore balance
-    if ((status === 'rejected' || status === 'cancelled') && existing.status === 'approved') {
-      const year = new Date(existing.start_date).getFullYear();
-      const { data: bal } = await supabase.from('leave_balances').select('id, balance')
-        .eq('company_id', req.companyId).eq('employee_id', existing.employee_id)
-        .eq('leave_type', existing.leave_type).eq('year', year).maybeSingle();
-      if (bal) {
-        await supabase.from('leave_balances').update({ balance: parseFloat(bal.balance) + existing.days_taken }).eq('id', bal.id);
-      }
-    }
-
     const { data, error } = await supabase.from('leave_records').update(updates).eq('id', parseInt(id)).select().single();
     if (error) return res.status(500).json({ error: error.message });
 
+    // Approval, rejection, cancellation or a change of dates / days moves the balance
+    await refreshLeaveBalances(req.companyId, existing.employee_id, [existing.start_date, data.start_date]);
+
     res.json({ data });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
@@ -308,13 +270,13 @@ router.put('/leave/:id', requirePermission('PAYROLL.CREATE'), async (req, res) =
 
 /**
  * DELETE /api/payroll/attendance/leave/:id
- * Delete a leave record and restore the balance if it was approved.
+ * Delete a leave record and recalculate the balance.
  */
 router.delete('/leave/:id', requirePermission('PAYROLL.CREATE'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Verify ownership and fetch for balance restoration
+    // Verify ownership and fetch for balance recalculation
     const { data: existing, error: fErr } = await supabase
       .from('leave_records')
       .select('id, company_id, employee_id, days_taken, leave_type, status, start_date')
@@ -324,23 +286,144 @@ router.delete('/leave/:id', requirePermission('PAYROLL.CREATE'), async (req, res
 
     if (fErr || !existing) return res.status(404).json({ error: 'Leave record not found' });
 
-    // Restore balance only if the leave was approved
+    const { error } = await supabase.from('leave_records').delete().eq('id', parseInt(id));
+    if (error) return res.status(500).json({ error: error.message });
+
     if (existing.status === 'approved') {
-      const year = new Date(existing.start_date).getFullYear();
-      const { data: bal } = await supabase.from('leave_balances').select('id, balance')
-        .eq('company_id', req.companyId).eq('employee_id', existing.employee_id)
-        .eq('leave_type', existing.leave_type).eq('year', year).maybeSingle();
-      if (bal) {
-        await supabase.from('leave_balances')
-          .update({ balance: parseFloat(bal.balance) + existing.days_taken })
-          .eq('id', bal.id);
-      }
+      await refreshLeaveBalances(req.companyId, existing.employee_id, [existing.start_date]);
     }
 
-    const { error } = await supabase.from('leave_records').delete().eq('id', parseInt(id));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LEAVE REQUESTS — employee self-service, manager approval
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * POST /api/payroll/attendance/leave/request
+ * An employee asks for leave for themselves. Recorded as pending.
+ * Body: leave_type, start_date, end_date, days_taken (optional — weekdays), reason
+ */
+router.post('/leave/request', requirePermission('SELF_SERVICE.REQUEST'), async (req, res) => {
+  try {
+    const employee = await SelfServiceService.resolveEmployee(supabase, {
+      companyId: req.companyId,
+      userId: req.user.userId
+    });
+    const data = await SelfServiceService.requestLeave(supabase, {
+      companyId: req.companyId,
+      employeeId: employee.id,
+      userId: req.user.userId,
+      input: req.body || {}
+    });
+
+    try {
+      await auditFromReq(req, 'LEAVE_REQUEST', 'leave_records', data.id, {
+        module: 'payroll',
+        metadata: { employee_id: employee.id, leave_type: data.leave_type, start_date: data.start_date, days_taken: data.days_taken }
+      });
+    } catch (auditErr) {
+      console.warn('Audit log failed for leave request:', auditErr.message);
+    }
+
+    res.status(201).json({ data });
+  } catch (err) {
+    sendServiceError(res, err, '[Attendance] leave request');
+  }
+});
+
+/**
+ * GET /api/payroll/attendance/leave/pending
+ * Leave requests waiting for a decision, oldest first, limited to the
+ * employees the manager can see.
+ */
+router.get('/leave/pending', requirePermission('LEAVE.APPROVE'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('leave_records')
+      .select('*, employees(first_name, last_name, employee_code)')
+      .eq('company_id', req.companyId)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: true });
     if (error) return res.status(500).json({ error: error.message });
 
-    res.json({ success: true });
+    let pending = data || [];
+    const filter = await getEmployeeFilter(req.user.role, req.user.userId, req.companyId);
+    if (filter.type !== 'none') {
+      const { data: visible } = await applyFilter(
+        supabase.from('employees').select('id').eq('company_id', req.companyId), filter
+      );
+      const ids = new Set((visible || []).map(e => e.id));
+      pending = pending.filter(r => ids.has(r.employee_id));
+    }
+
+    res.json({ data: pending });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/payroll/attendance/leave/:id/decision
+ * Approve or reject a pending leave request.
+ * Body: decision ('approve' | 'reject'), note (required to reject)
+ */
+router.put('/leave/:id/decision', requirePermission('LEAVE.APPROVE'), async (req, res) => {
+  try {
+    let decision;
+    try {
+      decision = SelfServiceService.leaveDecision(req.body);
+    } catch (vErr) {
+      return res.status(400).json({ error: vErr.message });
+    }
+
+    const { data: existing, error: fErr } = await supabase
+      .from('leave_records')
+      .select('id, company_id, employee_id, status, start_date, employees(id, classification)')
+      .eq('id', parseInt(req.params.id))
+      .eq('company_id', req.companyId)
+      .maybeSingle();
+
+    if (fErr || !existing) return res.status(404).json({ error: 'Leave record not found' });
+    if (existing.status !== 'pending') {
+      return res.status(409).json({ error: `Leave request is already ${existing.status}` });
+    }
+    if (!(await canViewEmployee(req.user.role, req.user.userId, req.companyId, existing.employees || { id: existing.employee_id }))) {
+      return res.status(403).json({ error: 'Access denied — employee not in your visible scope' });
+    }
+
+    const { data, error } = await supabase
+      .from('leave_records')
+      .update({
+        status: decision.status,
+        approved_by: req.user.userId,
+        approved_at: new Date().toISOString(),
+        decision_note: decision.note
+      })
+      .eq('id', existing.id)
+      .eq('status', 'pending')
+      .select()
+      .single();
+    if (error) return res.status(500).json({ error: error.message });
+
+    if (decision.status === 'approved') {
+      await refreshLeaveBalances(req.companyId, existing.employee_id, [existing.start_date]);
+    }
+
+    try {
+      await auditFromReq(req, decision.status === 'approved' ? 'LEAVE_APPROVE' : 'LEAVE_REJECT', 'leave_records', existing.id, {
+        module: 'payroll',
+        metadata: { employee_id: existing.employee_id, note: decision.note }
+      });
+    } catch (auditErr) {
+      console.warn('Audit log failed for leave decision:', auditErr.message);
+    }
+
+    res.json({ data });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
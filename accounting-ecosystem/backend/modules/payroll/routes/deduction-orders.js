@@ -0,0 +1,210 @@
+/**
+ * ============================================================================
+ * Deduction Order Routes — /api/payroll/deduction-orders
+ * ============================================================================
+ * Purpose: Register of staff loans and garnishee orders per employee. The
+ * payroll engine deducts each order's instalment on every run
+ * (PayrollEngine.applyDeductionOrders); finalizing the run lowers the
+ * balance and reversing it restores the balance.
+ *
+ * Endpoints:
+ *   GET  /api/payroll/deduction-orders?employee_id=   — employee's orders
+ *   POST /api/payroll/deduction-orders                — add { employee_id, order_type, principal,
+ *                                                       instalment, interest_rate, creditor_name,
+ *                                                       court_order_ref, net_pay_floor, priority,
+ *                                                       start_date, description }
+ *   PUT  /api/payroll/deduction-orders/:id            — change terms / suspend / cancel
+ *   POST /api/payroll/deduction-orders/:id/adjustments — { amount (signed), note }
+ *   GET  /api/payroll/deduction-orders/:id/statement  — ledger with running balance
+ *
+ * order_type: loan | garnishee
+ *
+ * Design rules:
+ * - Orders are never deleted — cancel them, so the statement survives
+ * - The balance only moves through the ledger (runs, reversals, adjustments)
+ * - Respects employee visibility scoping (paytimeAccess)
+ * - Respects company_id isolation on every query (DeductionOrderService)
+ * ============================================================================
+ */
+
+const express = require('express');
+const {
+  authenticateToken,
+  requireCompany,
+  requirePermission
+} = require('../../../middleware/auth');
+const { auditFromReq } = require('../../../middleware/audit');
+const {
+  canViewEmployee,
+  requirePaytimeModule
+} = require('../services/paytimeAccess');
+const DeductionOrderService = require('../services/DeductionOrderService');
+
+const { supabase } = require('../../../config/database');
+const { serviceError, sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.use(requireCompany);
+
+function denied(res) {
+  return res.status(403).json({ success: false, error: 'Access denied to this employee' });
+}
+
+async function visibleEmployee(req, employeeId) {
+  const { data: emp } = await supabase
+    .from('employees')
+    .select('id, classification')
+    .eq('company_id', req.companyId)
+    .eq('id', employeeId)
+    .maybeSingle();
+  if (!emp) throw serviceError(404, `Employee ${employeeId} not found`);
+  return canViewEmployee(req.user.role, req.user.userId, req.companyId, emp);
+}
+
+// ─── GET /api/payroll/deduction-orders ────────────────────────────────────────
+router.get(
+  '/',
+  requirePermission('PAYROLL.VIEW'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const employeeId = parseInt(req.query.employee_id, 10);
+      if (!employeeId) return res.status(400).json({ success: false, error: 'employee_id is required' });
+      if (!(await visibleEmployee(req, employeeId))) return denied(res);
+
+      const orders = await DeductionOrderService.listForEmployee(supabase, req.companyId, employeeId);
+      res.json({ success: true, count: orders.length, orders, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[DeductionOrders] list', { success: false });
+    }
+  }
+);
+
+// ─── POST /api/payroll/deduction-orders ───────────────────────────────────────
+router.post(
+  '/',
+  requirePermission('PAYROLL.CREATE'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const body = req.body || {};
+      const employeeId = parseInt(body.employee_id, 10);
+      if (!employeeId) return res.status(400).json({ success: false, error: 'employee_id is required' });
+      if (!(await visibleEmployee(req, employeeId))) return denied(res);
+
+      const order = await DeductionOrderService.createOrder(supabase, {
+        companyId: req.companyId,
+        employeeId,
+        input:     body,
+        userId:    req.user.userId
+      });
+
+      try {
+        await auditFromReq(req, 'PAYROLL_DEDUCTION_ORDER_CREATE', 'employee_deduction_orders', order.id, {
+          metadata: {
+            employee_id: employeeId, order_type: order.order_type, principal: order.principal,
+            instalment: order.instalment, court_order_ref: order.court_order_ref
+          }
+        });
+      } catch (auditErr) {
+        console.warn('Audit log failed for deduction order create:', auditErr.message);
+      }
+
+      res.status(201).json({ success: true, order, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[DeductionOrders] create', { success: false });
+    }
+  }
+);
+
+// ─── PUT /api/payroll/deduction-orders/:id ────────────────────────────────────
+router.put(
+  '/:id',
+  requirePermission('PAYROLL.CREATE'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const existing = await DeductionOrderService.getOrder(supabase, req.companyId, req.params.id);
+      if (!(await canViewEmployee(req.user.role, req.user.userId, req.companyId, existing.employee))) return denied(res);
+
+      const order = await DeductionOrderService.updateOrder(supabase, {
+        companyId: req.companyId,
+        id:        existing.id,
+        input:     req.body || {}
+      });
+
+      try {
+        const terms = o => ({ instalment: o.instalment, interest_rate: o.interest_rate, net_pay_floor: o.net_pay_floor,
+          priority: o.priority, status: o.status });
+        await auditFromReq(req, 'PAYROLL_DEDUCTION_ORDER_UPDATE', 'employee_deduction_orders', order.id, {
+          metadata: { employee_id: order.employee_id, before: terms(existing), after: terms(order) }
+        });
+      } catch (auditErr) {
+        console.warn('Audit log failed for deduction order update:', auditErr.message);
+      }
+
+      res.json({ success: true, order, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[DeductionOrders] update', { success: false });
+    }
+  }
+);
+
+// ─── POST /api/payroll/deduction-orders/:id/adjustments ───────────────────────
+router.post(
+  '/:id/adjustments',
+  requirePermission('PAYROLL.APPROVE'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const existing = await DeductionOrderService.getOrder(supabase, req.companyId, req.params.id);
+      if (!(await canViewEmployee(req.user.role, req.user.userId, req.companyId, existing.employee))) return denied(res);
+
+      const { amount, note } = req.body || {};
+      const order = await DeductionOrderService.addAdjustment(supabase, {
+        companyId: req.companyId,
+        id:        existing.id,
+        amount,
+        note,
+        userId:    req.user.userId
+      });
+
+      try {
+        await auditFromReq(req, 'PAYROLL_DEDUCTION_ORDER_ADJUST', 'employee_deduction_orders', order.id, {
+          metadata: {
+            employee_id: order.employee_id, amount: parseFloat(amount), note,
+            balance_before: existing.current_balance, balance_after: order.current_balance
+          }
+        });
+      } catch (auditErr) {
+        console.warn('Audit log failed for deduction order adjustment:', auditErr.message);
+      }
+
+      res.status(201).json({ success: true, order, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[DeductionOrders] adjust', { success: false });
+    }
+  }
+);
+
+// ─── GET /api/payroll/deduction-orders/:id/statement ──────────────────────────
+router.get(
+  '/:id/statement',
+  requirePermission('PAYROLL.VIEW'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const order = await DeductionOrderService.getOrder(supabase, req.companyId, req.params.id);
+      if (!(await canViewEmployee(req.user.role, req.user.userId, req.companyId, order.employee))) return denied(res);
+
+      const statement = await DeductionOrderService.statement(supabase, req.companyId, order);
+      res.json({ success: true, ...statement, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[DeductionOrders] statement', { success: false });
+    }
+  }
+);
+
+module.exports = router;
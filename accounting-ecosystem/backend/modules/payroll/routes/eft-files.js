@@ -0,0 +1,171 @@
+/**
+ * ============================================================================
+ * Payroll EFT Bank File Routes — /api/payroll/eft
+ * ============================================================================
+ * Purpose: Salary EFT files generated from finalized pay runs (see
+ * POST /api/payroll/finalize), stored with their SHA-256, with every
+ * download recorded.
+ *
+ * Endpoints:
+ *   POST /api/payroll/eft/runs/:run_id           — generate { bank_format, action_date }
+ *   GET  /api/payroll/eft/runs/:run_id           — files generated for the run
+ *   GET  /api/payroll/eft/files/:id/download     — stored file; download is logged
+ *   GET  /api/payroll/eft/files/:id/downloads    — who downloaded it, when
+ *
+ * bank_format: absa | fnb | standard_bank | nedbank | acb
+ *
+ * Design rules:
+ * - Generating and downloading move money, so both need PAYROLL.APPROVE —
+ *   the same permission that finalizes the run
+ * - A bank file covers every employee in the run, so users whose Paytime
+ *   visibility is restricted to some employees cannot generate or download it
+ * - Respects company_id isolation on every query (PayrollEftService)
+ * ============================================================================
+ */
+
+const express = require('express');
+const {
+  authenticateToken,
+  requireCompany,
+  requirePermission
+} = require('../../../middleware/auth');
+const { auditFromReq } = require('../../../middleware/audit');
+const {
+  getEmployeeFilter,
+  requirePaytimeModule
+} = require('../services/paytimeAccess');
+const PayrollEftService = require('../services/PayrollEftService');
+
+const { supabase } = require('../../../config/database');
+const { sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.use(requireCompany);
+
+/** Bank files list every employee — only for users who can see them all. */
+async function requireFullVisibility(req, res, next) {
+  try {
+    const filter = await getEmployeeFilter(req.user.role, req.user.userId, req.companyId);
+    if (filter.type !== 'none') {
+      return res.status(403).json({
+        success: false,
+        error: 'Bank files include every employee in the run — your Paytime access is limited to some employees'
+      });
+    }
+    next();
+  } catch (err) {
+    sendServiceError(res, err, '[PayrollEft] visibility', { success: false });
+  }
+}
+
+// ─── POST /api/payroll/eft/runs/:run_id ───────────────────────────────────────
+router.post(
+  '/runs/:run_id',
+  requirePermission('PAYROLL.APPROVE'),
+  requirePaytimeModule('payroll'),
+  requireFullVisibility,
+  async (req, res) => {
+    try {
+      const { bank_format, action_date } = req.body || {};
+      const file = await PayrollEftService.generateForRun(supabase, {
+        companyId:  req.companyId,
+        runId:      req.params.run_id,
+        bankFormat: bank_format,
+        actionDate: action_date,
+        userId:     req.user.userId
+      });
+
+      try {
+        await auditFromReq(req, 'PAYROLL_EFT_GENERATE', 'payroll_eft_files', file.id, {
+          metadata: {
+            run_id:       file.payroll_run_id,
+            period_key:   file.period_key,
+            bank_format:  file.bank_format,
+            sha256:       file.sha256,
+            total_amount: file.total_amount,
+            record_count: file.record_count
+          }
+        });
+      } catch (auditErr) {
+        console.warn('Audit log failed for EFT generate:', auditErr.message);
+      }
+
+      res.status(201).json({ success: true, file, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[PayrollEft] generate', { success: false });
+    }
+  }
+);
+
+// ─── GET /api/payroll/eft/runs/:run_id ────────────────────────────────────────
+router.get(
+  '/runs/:run_id',
+  requirePermission('PAYROLL.VIEW'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const files = await PayrollEftService.listForRun(supabase, req.companyId, req.params.run_id);
+      res.json({ success: true, count: files.length, files, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[PayrollEft] list', { success: false });
+    }
+  }
+);
+
+// ─── GET /api/payroll/eft/files/:id/download ──────────────────────────────────
+router.get(
+  '/files/:id/download',
+  requirePermission('PAYROLL.APPROVE'),
+  requirePaytimeModule('payroll'),
+  requireFullVisibility,
+  async (req, res) => {
+    try {
+      const fileId = parseInt(req.params.id, 10);
+      if (isNaN(fileId)) return res.status(400).json({ success: false, error: 'id must be an integer' });
+
+      const { file, content } = await PayrollEftService.download(supabase, {
+        companyId: req.companyId,
+        fileId,
+        userId:    req.user.userId,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+
+      try {
+        await auditFromReq(req, 'PAYROLL_EFT_DOWNLOAD', 'payroll_eft_files', file.id, {
+          metadata: { run_id: file.payroll_run_id, file_name: file.file_name, sha256: file.sha256 }
+        });
+      } catch (auditErr) {
+        console.warn('Audit log failed for EFT download:', auditErr.message);
+      }
+
+      res.setHeader('Content-Type', file.mime_type);
+      res.setHeader('Content-Disposition', `attachment; filename="${file.file_name}"`);
+      res.setHeader('X-File-SHA256', file.sha256);
+      res.send(content);
+    } catch (err) {
+      sendServiceError(res, err, '[PayrollEft] download', { success: false });
+    }
+  }
+);
+
+// ─── GET /api/payroll/eft/files/:id/downloads ─────────────────────────────────
+router.get(
+  '/files/:id/downloads',
+  requirePermission('PAYROLL.VIEW'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const fileId = parseInt(req.params.id, 10);
+      if (isNaN(fileId)) return res.status(400).json({ success: false, error: 'id must be an integer' });
+      const downloads = await PayrollEftService.listDownloads(supabase, req.companyId, fileId);
+      res.json({ success: true, count: downloads.length, downloads, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[PayrollEft] downloads', { success: false });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,181 @@
+/**
+ * ============================================================================
+ * Fringe Benefit Routes — /api/payroll/fringe-benefits
+ * ============================================================================
+ * Purpose: Maintain employees' taxable fringe benefits — company cars,
+ * low/interest-free loans, accommodation and free services. The payroll
+ * engine values them on every run (PayrollEngine.calculateFringeBenefit);
+ * they raise PAYE but never net pay.
+ *
+ * Endpoints:
+ *   GET  /api/payroll/fringe-benefits?employee_id=  — employee's benefits
+ *   POST /api/payroll/fringe-benefits               — add { employee_id, benefit_type, description,
+ *                                                      settings, start_date, end_date }
+ *   PUT  /api/payroll/fringe-benefits/:id           — change settings / dates / is_active
+ *   GET  /api/payroll/fringe-benefits/:id/balances  — loan balance per finalized month
+ *
+ * benefit_type: company_car | low_interest_loan | accommodation | free_services
+ *
+ * Design rules:
+ * - Benefits are never deleted — end_date or is_active=false stops them, so
+ *   finalized snapshots can always be traced back to the benefit
+ * - Respects employee visibility scoping (paytimeAccess)
+ * - Respects company_id isolation on every query (FringeBenefitService)
+ * ============================================================================
+ */
+
+const express = require('express');
+const {
+  authenticateToken,
+  requireCompany,
+  requirePermission
+} = require('../../../middleware/auth');
+const { auditFromReq } = require('../../../middleware/audit');
+const {
+  canViewEmployee,
+  requirePaytimeModule
+} = require('../services/paytimeAccess');
+const FringeBenefitService = require('../services/FringeBenefitService');
+
+const { supabase } = require('../../../config/database');
+const { sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.use(requireCompany);
+
+function denied(res) {
+  return res.status(403).json({ success: false, error: 'Access denied to this employee' });
+}
+
+// ─── GET /api/payroll/fringe-benefits ─────────────────────────────────────────
+router.get(
+  '/',
+  requirePermission('PAYROLL.VIEW'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const employeeId = parseInt(req.query.employee_id, 10);
+      if (!employeeId) return res.status(400).json({ success: false, error: 'employee_id is required' });
+
+      const { data: emp } = await supabase
+        .from('employees')
+        .select('id, classification')
+        .eq('company_id', req.companyId)
+        .eq('id', employeeId)
+        .maybeSingle();
+      if (!emp) return res.status(404).json({ success: false, error: `Employee ${employeeId} not found` });
+      if (!(await canViewEmployee(req.user.role, req.user.userId, req.companyId, emp))) return denied(res);
+
+      const benefits = await FringeBenefitService.listForEmployee(supabase, req.companyId, employeeId);
+      res.json({ success: true, count: benefits.length, benefits, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[FringeBenefits] list', { success: false });
+    }
+  }
+);
+
+// ─── POST /api/payroll/fringe-benefits ────────────────────────────────────────
+router.post(
+  '/',
+  requirePermission('PAYROLL.CREATE'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const body = req.body || {};
+      const employeeId = parseInt(body.employee_id, 10);
+      if (!employeeId) return res.status(400).json({ success: false, error: 'employee_id is required' });
+
+      const { data: emp } = await supabase
+        .from('employees')
+        .select('id, classification')
+        .eq('company_id', req.companyId)
+        .eq('id', employeeId)
+        .maybeSingle();
+      if (!emp) return res.status(404).json({ success: false, error: `Employee ${employeeId} not found` });
+      if (!(await canViewEmployee(req.user.role, req.user.userId, req.companyId, emp))) return denied(res);
+
+      const benefit = await FringeBenefitService.createBenefit(supabase, {
+        companyId: req.companyId,
+        employeeId,
+        input:     body,
+        userId:    req.user.userId
+      });
+
+      try {
+        await auditFromReq(req, 'PAYROLL_FRINGE_BENEFIT_CREATE', 'employee_fringe_benefits', benefit.id, {
+          metadata: { employee_id: employeeId, benefit_type: benefit.benefit_type, settings: benefit.settings }
+        });
+      } catch (auditErr) {
+        console.warn('Audit log failed for fringe benefit create:', auditErr.message);
+      }
+
+      res.status(201).json({ success: true, benefit, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[FringeBenefits] create', { success: false });
+    }
+  }
+);
+
+// ─── PUT /api/payroll/fringe-benefits/:id ─────────────────────────────────────
+router.put(
+  '/:id',
+  requirePermission('PAYROLL.CREATE'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const existing = await FringeBenefitService.getBenefit(supabase, req.companyId, req.params.id);
+      if (!(await canViewEmployee(req.user.role, req.user.userId, req.companyId, existing.employee))) return denied(res);
+
+      const benefit = await FringeBenefitService.updateBenefit(supabase, {
+        companyId: req.companyId,
+        id:        existing.id,
+        input:     req.body || {}
+      });
+
+      try {
+        await auditFromReq(req, 'PAYROLL_FRINGE_BENEFIT_UPDATE', 'employee_fringe_benefits', benefit.id, {
+          metadata: {
+            employee_id: benefit.employee_id,
+            before: { settings: existing.settings, start_date: existing.start_date, end_date: existing.end_date, is_active: existing.is_active },
+            after:  { settings: benefit.settings,  start_date: benefit.start_date,  end_date: benefit.end_date,  is_active: benefit.is_active }
+          }
+        });
+      } catch (auditErr) {
+        console.warn('Audit log failed for fringe benefit update:', auditErr.message);
+      }
+
+      res.json({ success: true, benefit, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[FringeBenefits] update', { success: false });
+    }
+  }
+);
+
+// ─── GET /api/payroll/fringe-benefits/:id/balances ────────────────────────────
+router.get(
+  '/:id/balances',
+  requirePermission('PAYROLL.VIEW'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const benefit = await FringeBenefitService.getBenefit(supabase, req.companyId, req.params.id);
+      if (!(await canViewEmployee(req.user.role, req.user.userId, req.companyId, benefit.employee))) return denied(res);
+
+      const balances = await FringeBenefitService.loanBalanceHistory(supabase, req.companyId, benefit);
+      res.json({
+        success: true,
+        benefit_id: benefit.id,
+        principal: benefit.settings.principal,
+        current_balance: balances.length ? balances[balances.length - 1].closing_balance : benefit.settings.principal,
+        balances,
+        timestamp: new Date().toISOString()
+      });
+    } catch (err) {
+      sendServiceError(res, err, '[FringeBenefits] balances', { success: false });
+    }
+  }
+);
+
+module.exports = router;
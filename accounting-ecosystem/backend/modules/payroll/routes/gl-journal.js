@@ -0,0 +1,181 @@
+/**
+ * ============================================================================
+ * Payroll GL Journal Routes — /api/payroll/gl-journal
+ * ============================================================================
+ * Purpose: Payroll-to-GL account mapping and the payroll cost journal created
+ * for each finalized pay run (PayrollJournalService). The journal itself is
+ * created on POST /api/payroll/finalize and reversed on POST /api/payroll/reverse.
+ *
+ * Endpoints:
+ *   GET  /api/payroll/gl-journal/mapping                   — mapping (null if none saved)
+ *   PUT  /api/payroll/gl-journal/mapping                   — save account mapping, cost-centre
+ *                                                            segment, post_mode, auto_post_on_finalize
+ *   GET  /api/payroll/gl-journal/postings?period_key=      — journals per pay run
+ *   GET  /api/payroll/gl-journal/preview?run_id=           — journal lines a run produces (nothing saved)
+ *   POST /api/payroll/gl-journal/post                      — { run_id } create the journal (retry
+ *                                                            after a failure, or auto-post off)
+ *   GET  /api/payroll/gl-journal/reconciliation?run_id=    — run vs PAYE reconciliation lines
+ *
+ * Design rules:
+ * - Mapping changes and posting need PAYROLL.APPROVE
+ * - Journals are company-level totals; reconciliation lines respect employee
+ *   visibility scoping (paytimeAccess)
+ * - Respects company_id isolation on every query (PayrollJournalService)
+ * ============================================================================
+ */
+
+const express = require('express');
+const {
+  authenticateToken,
+  requireCompany,
+  requirePermission
+} = require('../../../middleware/auth');
+const { auditFromReq } = require('../../../middleware/audit');
+const {
+  getEmployeeFilter,
+  applyFilter,
+  requirePaytimeModule
+} = require('../services/paytimeAccess');
+const PayrollJournalService = require('../services/PayrollJournalService');
+
+const { supabase } = require('../../../config/database');
+const { sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.use(requireCompany);
+
+// ─── GET /api/payroll/gl-journal/mapping ──────────────────────────────────────
+router.get('/mapping', requirePermission('PAYROLL.VIEW'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const mapping = await PayrollJournalService.getMapping(supabase, req.companyId);
+    res.json({ success: true, mapping, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[PayrollJournal] get mapping', { success: false });
+  }
+});
+
+// ─── PUT /api/payroll/gl-journal/mapping ──────────────────────────────────────
+router.put('/mapping', requirePermission('PAYROLL.APPROVE'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const before = await PayrollJournalService.getMapping(supabase, req.companyId);
+    const mapping = await PayrollJournalService.saveMapping(supabase, {
+      companyId: req.companyId,
+      input:     req.body || {},
+      userId:    req.user.userId
+    });
+
+    try {
+      await auditFromReq(req, 'PAYROLL_GL_MAPPING_UPDATE', 'payroll_gl_mappings', mapping.id, {
+        metadata: { before, after: mapping }
+      });
+    } catch (auditErr) {
+      console.warn('Audit log failed for payroll GL mapping:', auditErr.message);
+    }
+
+    res.json({ success: true, mapping, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[PayrollJournal] save mapping', { success: false });
+  }
+});
+
+// ─── GET /api/payroll/gl-journal/postings ─────────────────────────────────────
+router.get('/postings', requirePermission('PAYROLL.VIEW'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const postings = await PayrollJournalService.listPostings(supabase, req.companyId, req.query.period_key || null);
+    res.json({ success: true, count: postings.length, postings, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[PayrollJournal] list postings', { success: false });
+  }
+});
+
+// ─── GET /api/payroll/gl-journal/preview ──────────────────────────────────────
+router.get('/preview', requirePermission('PAYROLL.VIEW'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    if (!req.query.run_id) return res.status(400).json({ success: false, error: 'run_id is required' });
+    const { run, lines, totals } = await PayrollJournalService.previewRun(supabase, {
+      companyId: req.companyId,
+      runId:     req.query.run_id
+    });
+    res.json({ success: true, run, lines, totals, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[PayrollJournal] preview', { success: false });
+  }
+});
+
+// ─── POST /api/payroll/gl-journal/post ────────────────────────────────────────
+router.post('/post', requirePermission('PAYROLL.APPROVE'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const runId = (req.body || {}).run_id;
+    if (!runId) return res.status(400).json({ success: false, error: 'run_id is required' });
+
+    const { data: run, error: runErr } = await supabase
+      .from('payroll_runs')
+      .select('id, status')
+      .eq('company_id', req.companyId)
+      .eq('id', runId)
+      .maybeSingle();
+    if (runErr) throw new Error(runErr.message);
+    if (!run) return res.status(404).json({ success: false, error: `Payroll run ${runId} not found` });
+    if (run.status !== 'finalized') {
+      return res.status(400).json({ success: false, error: `Only finalized pay runs can be journalled (current status: ${run.status})` });
+    }
+
+    const posting = await PayrollJournalService.postRun(supabase, {
+      companyId: req.companyId,
+      runId,
+      userId:    req.user.userId
+    });
+    if (!posting) {
+      return res.status(400).json({ success: false, error: 'A payroll GL mapping is required — save one under /gl-journal/mapping' });
+    }
+
+    try {
+      await auditFromReq(req, 'PAYROLL_GL_JOURNAL_POST', 'payroll_gl_postings', posting.id, {
+        metadata: { payroll_run_id: runId, status: posting.status, journal_id: posting.journal_id, error: posting.error }
+      });
+    } catch (auditErr) {
+      console.warn('Audit log failed for payroll GL journal:', auditErr.message);
+    }
+
+    if (posting.status === 'failed') {
+      return res.status(422).json({ success: false, error: posting.error, posting });
+    }
+    res.status(201).json({ success: true, posting, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[PayrollJournal] post', { success: false });
+  }
+});
+
+// ─── GET /api/payroll/gl-journal/reconciliation ───────────────────────────────
+router.get(
+  '/reconciliation',
+  requirePermission('PAYROLL.VIEW'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      if (!req.query.run_id) return res.status(400).json({ success: false, error: 'run_id is required' });
+      const reconciliation = await PayrollJournalService.reconcileRunWithPaye(supabase, {
+        companyId: req.companyId,
+        runId:     req.query.run_id
+      });
+
+      const filter = await getEmployeeFilter(req.user.role, req.user.userId, req.companyId);
+      if (filter.type !== 'none') {
+        const { data: visible } = await applyFilter(
+          supabase.from('employees').select('id').eq('company_id', req.companyId), filter
+        );
+        const ids = new Set((visible || []).map(e => e.id));
+        reconciliation.employees = reconciliation.employees.filter(e => ids.has(e.employee_id));
+        reconciliation.employees_restricted = true;
+      }
+
+      res.json({ success: true, reconciliation, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[PayrollJournal] reconciliation', { success: false });
+    }
+  }
+);
+
+module.exports = router;
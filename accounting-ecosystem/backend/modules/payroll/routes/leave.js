@@ -0,0 +1,255 @@
+/**
+ * ============================================================================
+ * Leave Accrual Routes — /api/payroll/leave
+ * ============================================================================
+ * Purpose: Company leave policy, calculated leave balances and the monthly
+ * leave liability (provision) journal (LeaveAccrualService). Leave records
+ * themselves are still captured under /api/payroll/attendance/leave.
+ *
+ * Endpoints:
+ *   GET  /api/payroll/leave/policy                    — policy (BCEA defaults if none saved)
+ *   PUT  /api/payroll/leave/policy                    — save { annual_days, accrual_method,
+ *                                                       days_worked_per_leave_day, carry_over_cap,
+ *                                                       forfeit_after_months, sick_days_per_cycle,
+ *                                                       sick_cycle_months, family_days, days_per_week }
+ *   POST /api/payroll/leave/balances/recalculate      — { year, employee_id? } (all employees if omitted)
+ *   PUT  /api/payroll/leave/balances/opening          — take-on balance { employee_id, year, opening_balance }
+ *   GET  /api/payroll/leave/liability?period_key=     — liability at the month end
+ *   GET  /api/payroll/leave/liability/postings        — posted months
+ *   POST /api/payroll/leave/liability/post            — { period_key, expense_account_id,
+ *                                                       provision_account_id } → posted journal
+ *
+ * Design rules:
+ * - Policy changes, take-on balances and journals need PAYROLL.APPROVE
+ * - Per-employee liability lines respect employee visibility scoping
+ *   (paytimeAccess); totals are company-wide, as posted
+ * - Respects company_id isolation on every query (LeaveAccrualService)
+ * ============================================================================
+ */
+
+const express = require('express');
+const {
+  authenticateToken,
+  requireCompany,
+  requirePermission
+} = require('../../../middleware/auth');
+const { auditFromReq } = require('../../../middleware/audit');
+const {
+  canViewEmployee,
+  getEmployeeFilter,
+  applyFilter,
+  requirePaytimeModule
+} = require('../services/paytimeAccess');
+const LeaveAccrualService = require('../services/LeaveAccrualService');
+
+const { supabase } = require('../../../config/database');
+const { serviceError, sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.use(requireCompany);
+
+function denied(res) {
+  return res.status(403).json({ success: false, error: 'Access denied to this employee' });
+}
+
+async function visibleEmployee(req, employeeId) {
+  const { data: emp } = await supabase
+    .from('employees')
+    .select('id, classification')
+    .eq('company_id', req.companyId)
+    .eq('id', employeeId)
+    .maybeSingle();
+  if (!emp) throw serviceError(404, `Employee ${employeeId} not found`);
+  return canViewEmployee(req.user.role, req.user.userId, req.companyId, emp);
+}
+
+function yearFrom(value) {
+  if (value === undefined || value === null || value === '') return new Date().getFullYear();
+  const year = parseInt(value, 10);
+  if (!year || year < 1900 || year > 2100) throw serviceError(400, 'year must be a four-digit year');
+  return year;
+}
+
+// ─── GET /api/payroll/leave/policy ────────────────────────────────────────────
+router.get('/policy', requirePermission('PAYROLL.VIEW'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const policy = await LeaveAccrualService.getPolicy(supabase, req.companyId);
+    res.json({ success: true, policy, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[Leave] get policy', { success: false });
+  }
+});
+
+// ─── PUT /api/payroll/leave/policy ────────────────────────────────────────────
+router.put('/policy', requirePermission('PAYROLL.APPROVE'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const before = await LeaveAccrualService.getPolicy(supabase, req.companyId);
+    const policy = await LeaveAccrualService.savePolicy(supabase, {
+      companyId: req.companyId,
+      input:     req.body || {},
+      userId:    req.user.userId
+    });
+
+    try {
+      await auditFromReq(req, 'PAYROLL_LEAVE_POLICY_UPDATE', 'leave_policies', req.companyId, {
+        metadata: { before, after: policy }
+      });
+    } catch (auditErr) {
+      console.warn('Audit log failed for leave policy:', auditErr.message);
+    }
+
+    res.json({ success: true, policy, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[Leave] save policy', { success: false });
+  }
+});
+
+// ─── POST /api/payroll/leave/balances/recalculate ─────────────────────────────
+router.post(
+  '/balances/recalculate',
+  requirePermission('PAYROLL.CREATE'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const body = req.body || {};
+      const year = yearFrom(body.year);
+
+      if (body.employee_id) {
+        const employeeId = parseInt(body.employee_id, 10);
+        if (!(await visibleEmployee(req, employeeId))) return denied(res);
+        const balances = await LeaveAccrualService.recalculateEmployee(supabase, {
+          companyId: req.companyId, employeeId, year
+        });
+        return res.json({ success: true, year, balances, timestamp: new Date().toISOString() });
+      }
+
+      const result = await LeaveAccrualService.recalculateCompany(supabase, { companyId: req.companyId, year });
+      res.json({ success: true, ...result, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[Leave] recalculate', { success: false });
+    }
+  }
+);
+
+// ─── PUT /api/payroll/leave/balances/opening ──────────────────────────────────
+router.put(
+  '/balances/opening',
+  requirePermission('PAYROLL.APPROVE'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const body = req.body || {};
+      const employeeId = parseInt(body.employee_id, 10);
+      if (!employeeId) return res.status(400).json({ success: false, error: 'employee_id is required' });
+      if (body.opening_balance === undefined) {
+        return res.status(400).json({ success: false, error: 'opening_balance is required (null clears it)' });
+      }
+      if (!(await visibleEmployee(req, employeeId))) return denied(res);
+      const year = yearFrom(body.year);
+
+      const balances = await LeaveAccrualService.setOpeningBalance(supabase, {
+        companyId:      req.companyId,
+        employeeId,
+        year,
+        openingBalance: body.opening_balance
+      });
+
+      try {
+        await auditFromReq(req, 'PAYROLL_LEAVE_OPENING_BALANCE', 'leave_balances', employeeId, {
+          metadata: { employee_id: employeeId, year, opening_balance: body.opening_balance }
+        });
+      } catch (auditErr) {
+        console.warn('Audit log failed for leave opening balance:', auditErr.message);
+      }
+
+      res.json({ success: true, year, balances, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[Leave] opening balance', { success: false });
+    }
+  }
+);
+
+// ─── GET /api/payroll/leave/liability/postings ────────────────────────────────
+router.get(
+  '/liability/postings',
+  requirePermission('PAYROLL.VIEW'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const postings = await LeaveAccrualService.listPostings(supabase, req.companyId);
+      res.json({ success: true, count: postings.length, postings, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[Leave] list postings', { success: false });
+    }
+  }
+);
+
+// ─── GET /api/payroll/leave/liability ─────────────────────────────────────────
+router.get(
+  '/liability',
+  requirePermission('PAYROLL.VIEW'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const report = await LeaveAccrualService.liabilityReport(supabase, {
+        companyId: req.companyId,
+        periodKey: req.query.period_key
+      });
+
+      const filter = await getEmployeeFilter(req.user.role, req.user.userId, req.companyId);
+      if (filter.type !== 'none') {
+        const { data: visible } = await applyFilter(
+          supabase.from('employees').select('id').eq('company_id', req.companyId), filter
+        );
+        const ids = new Set((visible || []).map(e => e.id));
+        report.lines = report.lines.filter(l => ids.has(l.employee_id));
+        report.lines_restricted = true;
+      }
+
+      res.json({ success: true, report, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[Leave] liability', { success: false });
+    }
+  }
+);
+
+// ─── POST /api/payroll/leave/liability/post ───────────────────────────────────
+router.post(
+  '/liability/post',
+  requirePermission('PAYROLL.APPROVE'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const body = req.body || {};
+      const result = await LeaveAccrualService.postLiability(supabase, {
+        companyId:          req.companyId,
+        periodKey:          body.period_key,
+        expenseAccountId:   body.expense_account_id,
+        provisionAccountId: body.provision_account_id,
+        userId:             req.user.userId
+      });
+
+      try {
+        await auditFromReq(req, 'PAYROLL_LEAVE_LIABILITY_POST', 'leave_liability_postings', result.posting.id, {
+          metadata: {
+            period_key:      result.posting.period_key,
+            total_liability: result.posting.total_liability,
+            movement:        result.posting.movement,
+            journal_id:      result.journal_id
+          }
+        });
+      } catch (auditErr) {
+        console.warn('Audit log failed for leave liability posting:', auditErr.message);
+      }
+
+      const { lines: _lines, ...posting } = result.posting;
+      res.status(201).json({ success: true, posting, journal_id: result.journal_id, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[Leave] post liability', { success: false });
+    }
+  }
+);
+
+module.exports = router;
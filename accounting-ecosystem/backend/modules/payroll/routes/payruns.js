@@ -8,12 +8,22 @@
  *   POST   /api/payroll/run        — Run payroll for multiple employees
  *   POST   /api/payroll/finalize   — Lock all snapshots for a period
  *   GET    /api/payroll/history    — Retrieve historical snapshot records
+ *   GET    /api/payroll/history/compare      — per-employee / per-line variance between two
+ *                                            periods, each difference with a reason
+ *   GET    /api/payroll/history/compare/xlsx — the same comparison as an XLSX workbook
  *
  * Design rules:
  * - NEVER modifies PayrollEngine or calculation logic
  * - Delegates calculation to PayrollCalculationService (existing)
  * - Delegates data fetch to PayrollDataService (existing)
  * - Delegates snapshot persistence to PayrollHistoryService (new DB methods)
+ * - Loan / garnishee balances move on finalize and /reverse only
+ *   (DeductionOrderService.postRun / reverseRun)
+ * - Back pay is marked paid on finalize and pending again on /reverse
+ *   (RetroPayService.markPaidForRun / reopenForRun)
+ * - The payroll cost journal is created on finalize and reversed on /reverse
+ *   (PayrollJournalService.postRun / reverseRun) — a failed journal never
+ *   blocks finalize; a journal that cannot be reversed blocks /reverse
  * - Respects company_id isolation on every query
  * - Respects employee visibility scoping (paytimeAccess)
  * - Preserves all 16 engine output fields in snapshots
@@ -36,6 +46,11 @@ const {
 const PayrollDataService        = require('../services/PayrollDataService');
 const PayrollCalculationService = require('../services/PayrollCalculationService');
 const PayrollHistoryService     = require('../services/PayrollHistoryService');
+const DeductionOrderService     = require('../services/DeductionOrderService');
+const TerminationService        = require('../services/TerminationService');
+const RetroPayService           = require('../services/RetroPayService');
+const PayrollJournalService     = require('../services/PayrollJournalService');
+const PayrollComparisonService  = require('../services/PayrollComparisonService');
 
 const { supabase } = require('../../../config/database');
 
@@ -355,6 +370,7 @@ router.post(
             paye:          calcResult.paye,
             uif:           calcResult.uif,
             sdl:           calcResult.sdl,
+            eti:           calcResult.eti || 0,
             prorataFactor: calcResult.prorataFactor !== undefined ? calcResult.prorataFactor : null
           });
 
@@ -374,9 +390,10 @@ router.post(
           acc.totalPaye  += r.paye   || 0;
           acc.totalUif   += r.uif    || 0;
           acc.totalSdl   += r.sdl    || 0;
+          acc.totalEti   += r.eti    || 0;
           return acc;
         },
-        { totalGross: 0, totalNet: 0, totalPaye: 0, totalUif: 0, totalSdl: 0 }
+        { totalGross: 0, totalNet: 0, totalPaye: 0, totalUif: 0, totalSdl: 0, totalEti: 0 }
       );
 
       // Round totals to 2dp
@@ -416,7 +433,9 @@ router.post(
           net:   totals.totalNet,
           paye:  totals.totalPaye,
           uif:   totals.totalUif,
-          sdl:   totals.totalSdl
+          sdl:   totals.totalSdl,
+          // Employer ETI earned — set off against PAYE on the EMP201, not deducted from net
+          eti:   totals.totalEti
         },
         timestamp: new Date().toISOString()
       });
@@ -439,6 +458,7 @@ router.post(
  *
  * Once finalized:
  * - All draft snapshots for the period are marked is_locked = true
+ * - Loan and garnishee deductions are posted to their orders' ledgers
  * - The payroll_run header is marked status = 'finalized'
  * - No further recalculation is allowed for this period
  * - Corrections require a new snapshot (history service design principle)
@@ -455,6 +475,9 @@ router.post(
  *   run_id: uuid,
  *   period_key: "2026-04",
  *   locked_count: number,
+ *   deduction_orders_posted: number,
+ *   retro_pay_paid: number,
+ *   gl_journal: { status: 'draft'|'posted'|'failed', journal_id, error } | null,
  *   timestamp: ISO-8601
  * }
  */
@@ -509,6 +532,33 @@ router.post(
         return res.status(500).json({ success: false, error: 'Failed to lock snapshots', detail: lockErr.message });
       }
 
+      // Post loan / garnishee deductions before the run is marked finalized —
+      // postRun reads the run's locked snapshots and skips orders already
+      // posted, so a failed finalize can simply be retried.
+      let postedOrders;
+      try {
+        postedOrders = await DeductionOrderService.postRun(supabase, {
+          companyId: req.companyId,
+          runId:     run_id,
+          userId:    req.user.userId
+        });
+      } catch (postErr) {
+        console.error('[finalize] DeductionOrderService.postRun failed:', postErr);
+        return res.status(500).json({ success: false, error: 'Failed to post loan and garnishee deductions', detail: postErr.message });
+      }
+
+      // Back pay carried on the locked payslips is now paid
+      let paidRetro;
+      try {
+        paidRetro = await RetroPayService.markPaidForRun(supabase, {
+          companyId: req.companyId,
+          runId:     run_id
+        });
+      } catch (retroErr) {
+        console.error('[finalize] RetroPayService.markPaidForRun failed:', retroErr);
+        return res.status(500).json({ success: false, error: 'Failed to mark back pay paid', detail: retroErr.message });
+      }
+
       // Mark the run as finalized
       try {
         await PayrollHistoryService.finalizePayrollRun(
@@ -519,11 +569,32 @@ router.post(
         return res.status(500).json({ success: false, error: 'Failed to finalize run', detail: finalErr.message });
       }
 
+      // Payroll cost journal — the run stays finalized if this fails; the
+      // posting is recorded as failed and retried from /gl-journal/post
+      let glPosting = null;
+      try {
+        glPosting = await PayrollJournalService.postRun(supabase, {
+          companyId:  req.companyId,
+          runId:      run_id,
+          userId:     req.user.userId,
+          onFinalize: true
+        });
+      } catch (glErr) {
+        console.error('[finalize] PayrollJournalService.postRun failed:', glErr);
+        glPosting = { status: 'failed', journal_id: null, error: glErr.message };
+      }
+      const glJournal = glPosting
+        ? { status: glPosting.status, journal_id: glPosting.journal_id, error: glPosting.error || null }
+        : null;
+
       // Audit log
       try {
         await auditFromReq(req, 'PAYROLL_FINALIZE', 'payroll_runs', run_id, {
           period_key,
-          locked_count: locked.length
+          locked_count: locked.length,
+          deduction_orders_posted: postedOrders.length,
+          retro_pay_paid: paidRetro.length,
+          gl_journal: glJournal
         });
       } catch (auditErr) {
         console.warn('Audit log failed for finalize:', auditErr.message);
@@ -534,6 +605,9 @@ router.post(
         run_id,
         period_key,
         locked_count: locked.length,
+        deduction_orders_posted: postedOrders.length,
+        retro_pay_paid: paidRetro.length,
+        gl_journal:   glJournal,
         timestamp:    new Date().toISOString()
       });
 
@@ -556,6 +630,9 @@ router.post(
  * Sets the run status to 'reversed' and all its snapshots to 'reversed' +
  * is_locked=false. This allows a corrected re-run + re-finalization for the
  * same period. Reversed rows are NEVER deleted — full audit trail is preserved.
+ * Loan / garnishee deductions the run posted are reversed on their ledgers,
+ * restoring the balances (and reopening orders the run had paid off).
+ * A termination whose final payslip was in the run is marked reversed.
  *
  * Request Body:
  * {
@@ -570,6 +647,10 @@ router.post(
  *   run_id: uuid,
  *   period_key: "2026-04",
  *   reversed_count: number,
+ *   deduction_orders_restored: number,
+ *   terminations_reversed: number,
+ *   retro_pay_reopened: number,
+ *   gl_journal_reversed: boolean,
  *   timestamp: ISO-8601
  * }
  */
@@ -620,6 +701,21 @@ router.post(
         });
       }
 
+      // Reverse the payroll cost journal first — a locked accounting period
+      // stops the reversal before any payroll data changes
+      let glReversal;
+      try {
+        glReversal = await PayrollJournalService.reverseRun(supabase, {
+          companyId: req.companyId,
+          runId:     run_id,
+          userId:    req.user.userId,
+          reason:    reason.trim()
+        });
+      } catch (glErr) {
+        console.error('[reverse] PayrollJournalService.reverseRun failed:', glErr);
+        return res.status(500).json({ success: false, error: 'Failed to reverse payroll journal', detail: glErr.message });
+      }
+
       // Reverse all snapshots in this run (unlock them for correction)
       let reversedSnapshots;
       try {
@@ -631,6 +727,43 @@ router.post(
         return res.status(500).json({ success: false, error: 'Failed to reverse snapshots', detail: snapErr.message });
       }
 
+      // Restore loan / garnishee balances (only entries not yet reversed)
+      let restoredOrders;
+      try {
+        restoredOrders = await DeductionOrderService.reverseRun(supabase, {
+          companyId: req.companyId,
+          runId:     run_id,
+          userId:    req.user.userId
+        });
+      } catch (orderErr) {
+        console.error('[reverse] DeductionOrderService.reverseRun failed:', orderErr);
+        return res.status(500).json({ success: false, error: 'Failed to restore loan and garnishee balances', detail: orderErr.message });
+      }
+
+      // A final payslip run being reversed reverses its termination
+      let reversedTerminations;
+      try {
+        reversedTerminations = await TerminationService.reverseForRun(supabase, {
+          companyId: req.companyId,
+          runId:     run_id
+        });
+      } catch (termErr) {
+        console.error('[reverse] TerminationService.reverseForRun failed:', termErr);
+        return res.status(500).json({ success: false, error: 'Failed to reverse termination', detail: termErr.message });
+      }
+
+      // Back pay paid in this run goes back to pending for the next run
+      let reopenedRetro;
+      try {
+        reopenedRetro = await RetroPayService.reopenForRun(supabase, {
+          companyId: req.companyId,
+          runId:     run_id
+        });
+      } catch (retroErr) {
+        console.error('[reverse] RetroPayService.reopenForRun failed:', retroErr);
+        return res.status(500).json({ success: false, error: 'Failed to reopen back pay', detail: retroErr.message });
+      }
+
       // Reverse the run header
       try {
         await PayrollHistoryService.reversePayrollRun(
@@ -646,7 +779,11 @@ router.post(
         await auditFromReq(req, 'PAYROLL_REVERSE', 'payroll_runs', run_id, {
           period_key,
           reason:          reason.trim(),
-          reversed_count:  reversedSnapshots.length
+          reversed_count:  reversedSnapshots.length,
+          deduction_orders_restored: restoredOrders.length,
+          terminations_reversed: reversedTerminations.length,
+          retro_pay_reopened: reopenedRetro.length,
+          gl_journal_reversed: !!glReversal
         });
       } catch (auditErr) {
         console.warn('Audit log failed for reversal:', auditErr.message);
@@ -657,6 +794,10 @@ router.post(
         run_id,
         period_key,
         reversed_count:  reversedSnapshots.length,
+        deduction_orders_restored: restoredOrders.length,
+        terminations_reversed: reversedTerminations.length,
+        retro_pay_reopened: reopenedRetro.length,
+        gl_journal_reversed: !!glReversal,
         timestamp:       new Date().toISOString()
       });
 
@@ -770,6 +911,80 @@ router.get(
 );
 
 
+// ─── GET /api/payroll/history/compare ─────────────────────────────────────────
+/**
+ * Compare a run with an earlier period (PayrollComparisonService).
+ *
+ * Query Parameters:
+ *   period_key       (required)  — the run under review, draft or finalized
+ *   base_period_key  (optional)  — default: the last finalized period before period_key
+ *
+ * Response:
+ * {
+ *   success, base_period, current_period, current_status: 'draft' | 'finalized',
+ *   totals: { base, current, delta }, counts: { new, terminated, changed, unchanged },
+ *   employees: [{ employee_id, employee_code, employee_name, status, base, current,
+ *                 delta, lines[], reasons: [{ code, message }], flags[] }],
+ *   timestamp
+ * }
+ */
+async function comparison(req) {
+  const filter = await getEmployeeFilter(req.user.role, req.user.userId, req.companyId);
+  let canView = null;
+  if (filter.type === 'ids') canView = emp => filter.ids.includes(emp.id);
+  else if (filter.type === 'classification') canView = emp => emp.classification === 'public';
+  return PayrollComparisonService.compareRun(supabase, {
+    companyId:     req.companyId,
+    periodKey:     req.query.period_key,
+    basePeriodKey: req.query.base_period_key || null,
+    canView
+  });
+}
+
+function compareStatus(err) {
+  const msg = err.message || '';
+  if (msg.startsWith('No ')) return 404;
+  if (msg.includes('is required') || msg.includes('must be')) return 400;
+  return 500;
+}
+
+router.get(
+  '/history/compare',   // GET /api/payroll/history/compare
+  requirePermission('PAYROLL.VIEW'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const result = await comparison(req);
+      res.json({ success: true, ...result, timestamp: new Date().toISOString() });
+    } catch (err) {
+      const status = compareStatus(err);
+      if (status === 500) console.error('Payroll comparison error:', err);
+      res.status(status).json({ success: false, error: err.message });
+    }
+  }
+);
+
+router.get(
+  '/history/compare/xlsx',   // GET /api/payroll/history/compare/xlsx
+  requirePermission('PAYROLL.VIEW'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const result = await comparison(req);
+      const buffer = PayrollComparisonService.toWorkbook(result);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition',
+        `attachment; filename="Payroll_comparison_${result.base_period}_vs_${result.current_period}.xlsx"`);
+      res.send(buffer);
+    } catch (err) {
+      const status = compareStatus(err);
+      if (status === 500) console.error('Payroll comparison export error:', err);
+      res.status(status).json({ success: false, error: err.message });
+    }
+  }
+);
+
+
 // ─── GET /api/payroll/history/run/:run_id ─────────────────────────────────────
 /**
  * Retrieve the payroll_run header for a specific run.
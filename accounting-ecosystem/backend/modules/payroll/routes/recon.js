@@ -11,12 +11,22 @@
  *
  * Both are aggregated per period and merged so the reconciliation page sees a
  * unified view regardless of whether data came from live payroll or CSV import.
+ *
+ * SARS returns (SarsSubmissionService — locked snapshots only):
+ *   GET  /emp201?period=YYYY-MM[&format=csv]  — monthly PAYE/SDL/UIF/ETI + PRN
+ *   GET  /emp501/validate?taxYear=YYYY/YYYY   — pre-export certificate checks
+ *   POST /emp501/export                       — IRP5/IT3(a) e@syFile CSV
+ *   GET  /emp501/exports?taxYear=YYYY/YYYY    — files generated so far
  * ============================================================================
  */
 
 const express = require('express');
 const { supabase } = require('../../../config/database');
 const { authenticateToken, requireCompany, requirePermission } = require('../../../middleware/auth');
+const { auditFromReq } = require('../../../middleware/audit');
+const { getEmployeeFilter } = require('../services/paytimeAccess');
+const SarsSubmissionService = require('../services/SarsSubmissionService');
+const { serviceError, sendServiceError } = require('../../../shared/utils/serviceError');
 
 const router = express.Router();
 
@@ -32,7 +42,7 @@ router.use(requireCompany);
  */
 function taxYearToDateRange(taxYear) {
   const [y1, y2] = taxYear.split('/').map(Number);
-  if (!y1 || !y2) throw new Error('Invalid tax year format. Use YYYY/YYYY');
+  if (!y1 || !y2) throw serviceError(400, 'Invalid tax year format. Use YYYY/YYYY');
   return {
     startDate: `${y1}-03-01`,
     endDate:   `${y2}-02-28`
@@ -331,16 +341,8 @@ router.get('/summary', requirePermission('PAYROLL.VIEW'), async (req, res) => {
  * EMP501 / IRP5 annual reconciliation foundation.
  * Returns per-employee annual aggregates with IRP5 code breakdowns.
  *
- * This is the FOUNDATION for IRP5 certificate generation. It does NOT produce
- * a SARS-submission-ready file — that requires additional formatting work
- * (see FOLLOW-UP NOTE below).
- *
- * FOLLOW-UP NOTE
- * - Area: EMP501 / IRP5 Submission
- * - What is done now: per-employee annual aggregate with IRP5 code assignments
- * - What still needs: SARS-specified XML/EMP501 file format for e@syFile submission
- * - Risk if not done: Manual reconciliation only, no digital submission to SARS
- * - Recommended next step: Build IRP5 PDF certificate per employee + EMP501 XML export
+ * Reporting view only — the e@syFile certificate file is produced by
+ * POST /emp501/export below.
  */
 router.get('/emp501', requirePermission('PAYROLL.VIEW'), async (req, res) => {
   try {
@@ -402,6 +404,7 @@ router.get('/emp501', requirePermission('PAYROLL.VIEW'), async (req, res) => {
           gross_income:   0, taxable_income: 0,
           paye:           0, uif_employee:   0, uif_employer: 0,
           sdl:            0, medical_credit: 0, net_pay: 0,
+          eti:            0,
           irp5_codes:     {}
         };
       }
@@ -414,7 +417,18 @@ router.get('/emp501', requirePermission('PAYROLL.VIEW'), async (req, res) => {
       agg.sdl            += parseFloat(out.sdl)                      || 0;
       agg.medical_credit += parseFloat(out.medicalCredit)            || 0;
       agg.net_pay        += parseFloat(out.net)                      || 0;
+      // Employer ETI earned (engine field) — employer credit, not part of net pay
+      agg.eti            += parseFloat(out.eti)                      || 0;
       // Note: voluntary_overdeduction is already included in out.paye by the engine
+
+      // Taxable fringe benefits (3802/3805/3806/3807) — valued by the engine
+      for (const fb of (out.fringeBenefits || [])) {
+        if (!fb.irp5_code || !fb.value) continue;
+        if (!agg.irp5_codes[fb.irp5_code]) {
+          agg.irp5_codes[fb.irp5_code] = { code: fb.irp5_code, description: fb.type, amount: 0 };
+        }
+        agg.irp5_codes[fb.irp5_code].amount += parseFloat(fb.value) || 0;
+      }
     }
 
     const r2 = n => Math.round(n * 100) / 100;
@@ -436,7 +450,8 @@ router.get('/emp501', requirePermission('PAYROLL.VIEW'), async (req, res) => {
         sdl:            r2(agg.sdl),
         medical_credit: r2(agg.medical_credit),
         net_pay:        r2(agg.net_pay),
-        irp5_codes:     Object.values(agg.irp5_codes)
+        eti:            r2(agg.eti),
+        irp5_codes:     Object.values(agg.irp5_codes).map(c => ({ ...c, amount: r2(c.amount) }))
       };
     });
 
@@ -473,7 +488,7 @@ router.get('/emp501', requirePermission('PAYROLL.VIEW'), async (req, res) => {
 
     res.json({
       taxYear,
-      complianceNote: 'This is a reporting foundation only. Full SARS EMP501/IRP5 XML submission format is not yet implemented. Use this data as the basis for manual IRP5 certificate preparation.',
+      complianceNote: 'Reporting view only. Validate with GET /api/payroll/recon/emp501/validate and generate the e@syFile IRP5/IT3(a) import file with POST /api/payroll/recon/emp501/export.',
       livePayroll: emp501Records,
       historicalImports: historicalSummary
     });
@@ -483,6 +498,128 @@ router.get('/emp501', requirePermission('PAYROLL.VIEW'), async (req, res) => {
   }
 });
 
+// ─── SARS returns (EMP201 / EMP501) ─────────────────────────────────────────
+
+/**
+ * GET /api/payroll/recon/emp201?period=YYYY-MM[&format=csv]
+ *
+ * EMP201 monthly declaration from the period's locked snapshots:
+ * PAYE, SDL, UIF (employee + employer), ETI claimed against PAYE, the
+ * amount payable and the payment reference number (PRN).
+ */
+router.get('/emp201', requirePermission('PAYROLL.VIEW'), async (req, res) => {
+  try {
+    const emp201 = await SarsSubmissionService.emp201ForPeriod(supabase, req.companyId, req.query.period);
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="EMP201_${emp201.period_key}.csv"`);
+      return res.send(SarsSubmissionService.emp201Csv(emp201));
+    }
+    res.json({ emp201 });
+  } catch (err) {
+    sendServiceError(res, err, '[SARS] EMP201');
+  }
+});
+
+/**
+ * GET /api/payroll/recon/emp501/validate?taxYear=YYYY/YYYY
+ *
+ * Builds every certificate for the tax year and reports what would block
+ * the e@syFile export: ID numbers, tax numbers and source-code totals that
+ * do not agree with the snapshots.
+ */
+router.get('/emp501/validate', requirePermission('PAYROLL.VIEW'), async (req, res) => {
+  try {
+    const { taxYear } = req.query;
+    if (!taxYear) return res.status(400).json({ error: 'taxYear is required (format: YYYY/YYYY)' });
+    const { startDate, endDate } = taxYearToDateRange(taxYear);
+    const { certificates, employeesById, errors, warnings } =
+      await SarsSubmissionService.prepareCertificates(supabase, req.companyId, generatePeriods(startDate, endDate));
+
+    res.json({
+      taxYear,
+      ready: errors.length === 0,
+      errors,
+      warnings,
+      certificates: certificates.map(c => {
+        const e = employeesById[c.employee_id] || {};
+        return {
+          employee_id:      c.employee_id,
+          full_name:        `${e.first_name || ''} ${e.last_name || ''}`.trim(),
+          certificate_type: c.certificate_type,
+          periods:          c.periods.length,
+          codes:            c.codes
+        };
+      })
+    });
+  } catch (err) {
+    sendServiceError(res, err, '[SARS] EMP501 validate');
+  }
+});
+
+/**
+ * POST /api/payroll/recon/emp501/export
+ * Body: { tax_year: 'YYYY/YYYY', test_run?: boolean }
+ *
+ * Returns the IRP5/IT3(a) e@syFile CSV and stores it (payroll_sars_exports).
+ * Refused with 422 + validation_errors while any certificate fails validation.
+ */
+router.post('/emp501/export', requirePermission('PAYROLL.APPROVE'), async (req, res) => {
+  try {
+    const { tax_year, test_run } = req.body || {};
+    if (!tax_year) return res.status(400).json({ error: 'tax_year is required (format: YYYY/YYYY)' });
+
+    // The file lists every employee's ID and tax number
+    const filter = await getEmployeeFilter(req.user.role, req.user.userId, req.companyId);
+    if (filter.type !== 'none') {
+      return res.status(403).json({ error: 'The IRP5 file includes every employee — your Paytime access is limited to some employees' });
+    }
+
+    const { startDate, endDate } = taxYearToDateRange(tax_year);
+    const { export: saved, content } = await SarsSubmissionService.exportCertificates(supabase, {
+      companyId: req.companyId,
+      taxYear:   tax_year,
+      periods:   generatePeriods(startDate, endDate),
+      testRun:   !!test_run,
+      userId:    req.user.userId
+    });
+
+    try {
+      await auditFromReq(req, 'PAYROLL_EMP501_EXPORT', 'payroll_sars_exports', saved.id, {
+        metadata: {
+          tax_year:          saved.tax_year,
+          is_test:           saved.is_test,
+          sha256:            saved.sha256,
+          certificate_count: saved.certificate_count,
+          totals:            saved.totals
+        }
+      });
+    } catch (auditErr) {
+      console.warn('Audit log failed for EMP501 export:', auditErr.message);
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${saved.file_name}"`);
+    res.setHeader('X-File-SHA256', saved.sha256);
+    res.send(content);
+  } catch (err) {
+    sendServiceError(res, err, '[SARS] EMP501 export');
+  }
+});
+
+/**
+ * GET /api/payroll/recon/emp501/exports?taxYear=YYYY/YYYY
+ * Files generated so far, newest first (without content).
+ */
+router.get('/emp501/exports', requirePermission('PAYROLL.VIEW'), async (req, res) => {
+  try {
+    const exports = await SarsSubmissionService.listExports(supabase, req.companyId, req.query.taxYear);
+    res.json({ exports });
+  } catch (err) {
+    sendServiceError(res, err, '[SARS] EMP501 exports');
+  }
+});
+
 // ─── SARS / Bank submitted values (H1) ──────────────────────────────────────
 
 /**
@@ -0,0 +1,160 @@
+/**
+ * ============================================================================
+ * Retro Pay Routes — /api/payroll/retro-pay
+ * ============================================================================
+ * Purpose: Back pay for a backdated salary increase (RetroPayService). Each
+ * finalized period from the effective date is recalculated at the new rate
+ * and the total difference is paid as one earning in the open period.
+ *
+ * Endpoints:
+ *   POST   /api/payroll/retro-pay/preview      — { employee_id, effective_date, new_salary,
+ *                                                  period_key } → per-period breakdown (nothing saved)
+ *   POST   /api/payroll/retro-pay              — same body + reason → pending back pay
+ *   GET    /api/payroll/retro-pay?employee_id= — back pay for an employee
+ *   GET    /api/payroll/retro-pay/:id          — one calculation with its breakdown
+ *   DELETE /api/payroll/retro-pay/:id          — cancel (pending only)
+ *
+ * Design rules:
+ * - Finalized snapshots are never changed — the back pay is picked up by the
+ *   target period's next run (PayrollDataService Step 11)
+ * - Respects company_id isolation and employee visibility scoping (paytimeAccess)
+ * ============================================================================
+ */
+
+const express = require('express');
+const {
+  authenticateToken,
+  requireCompany,
+  requirePermission
+} = require('../../../middleware/auth');
+const { auditFromReq } = require('../../../middleware/audit');
+const { canViewEmployee, requirePaytimeModule } = require('../services/paytimeAccess');
+const RetroPayService = require('../services/RetroPayService');
+
+const { supabase } = require('../../../config/database');
+const { serviceError, sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.use(requireCompany);
+
+function denied(res) {
+  return res.status(403).json({ success: false, error: 'Access denied to this employee' });
+}
+
+async function visibleEmployee(req, employeeId) {
+  const { data: emp } = await supabase
+    .from('employees')
+    .select('id, classification')
+    .eq('company_id', req.companyId)
+    .eq('id', employeeId)
+    .maybeSingle();
+  if (!emp) throw serviceError(404, `Employee ${employeeId} not found`);
+  return canViewEmployee(req.user.role, req.user.userId, req.companyId, emp);
+}
+
+// ─── POST /api/payroll/retro-pay/preview ──────────────────────────────────────
+router.post('/preview', requirePermission('PAYROLL.CREATE'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const employeeId = parseInt(body.employee_id, 10);
+    if (!employeeId) return res.status(400).json({ success: false, error: 'employee_id is required' });
+    if (!(await visibleEmployee(req, employeeId))) return denied(res);
+
+    const preview = await RetroPayService.previewRetro(supabase, { companyId: req.companyId, employeeId, body });
+    res.json({ success: true, preview, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[RetroPay] preview', { success: false });
+  }
+});
+
+// ─── POST /api/payroll/retro-pay ──────────────────────────────────────────────
+router.post('/', requirePermission('PAYROLL.CREATE'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const employeeId = parseInt(body.employee_id, 10);
+    if (!employeeId) return res.status(400).json({ success: false, error: 'employee_id is required' });
+    if (!(await visibleEmployee(req, employeeId))) return denied(res);
+
+    const result = await RetroPayService.createRetro(supabase, {
+      companyId: req.companyId,
+      employeeId,
+      body,
+      userId:    req.user.userId
+    });
+
+    try {
+      await auditFromReq(req, 'PAYROLL_RETRO_PAY_CREATE', 'payroll_retro_pay', result.retro_pay.id, {
+        metadata: {
+          employee_id:       employeeId,
+          effective_date:    result.effective_date,
+          new_salary:        result.new_salary,
+          from_period_key:   result.from_period_key,
+          to_period_key:     result.to_period_key,
+          target_period_key: result.target_period.period_key,
+          amount:            result.amount
+        }
+      });
+    } catch (auditErr) {
+      console.warn('Audit log failed for retro pay:', auditErr.message);
+    }
+
+    res.status(201).json({ success: true, ...result, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[RetroPay] create', { success: false });
+  }
+});
+
+// ─── GET /api/payroll/retro-pay?employee_id= ──────────────────────────────────
+router.get('/', requirePermission('PAYROLL.VIEW'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const employeeId = parseInt(req.query.employee_id, 10);
+    if (!employeeId) return res.status(400).json({ success: false, error: 'employee_id is required' });
+    if (!(await visibleEmployee(req, employeeId))) return denied(res);
+
+    const retroPay = await RetroPayService.listForEmployee(supabase, req.companyId, employeeId);
+    res.json({ success: true, count: retroPay.length, retro_pay: retroPay, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[RetroPay] list', { success: false });
+  }
+});
+
+// ─── GET /api/payroll/retro-pay/:id ───────────────────────────────────────────
+router.get('/:id', requirePermission('PAYROLL.VIEW'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const { employee, ...retroPay } = await RetroPayService.getRetro(supabase, req.companyId, req.params.id);
+    if (!(await canViewEmployee(req.user.role, req.user.userId, req.companyId, employee || {}))) return denied(res);
+    res.json({ success: true, retro_pay: retroPay, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[RetroPay] get', { success: false });
+  }
+});
+
+// ─── DELETE /api/payroll/retro-pay/:id ────────────────────────────────────────
+router.delete('/:id', requirePermission('PAYROLL.CREATE'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const existing = await RetroPayService.getRetro(supabase, req.companyId, req.params.id);
+    if (!(await canViewEmployee(req.user.role, req.user.userId, req.companyId, existing.employee || {}))) return denied(res);
+
+    const retroPay = await RetroPayService.cancelRetro(supabase, {
+      companyId: req.companyId,
+      id:        req.params.id,
+      userId:    req.user.userId
+    });
+
+    try {
+      await auditFromReq(req, 'PAYROLL_RETRO_PAY_CANCEL', 'payroll_retro_pay', retroPay.id, {
+        metadata: { employee_id: retroPay.employee_id, amount: retroPay.amount }
+      });
+    } catch (auditErr) {
+      console.warn('Audit log failed for retro pay cancel:', auditErr.message);
+    }
+
+    res.json({ success: true, retro_pay: retroPay, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[RetroPay] cancel', { success: false });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,359 @@
+/**
+ * ============================================================================
+ * Employee Self-Service Routes — /api/payroll/self-service
+ * ============================================================================
+ * Purpose: An employee-role login sees its own payslips and IRP5s as
+ * password-protected PDFs and asks for bank detail changes; payroll admins
+ * grant the login and verify the bank changes (SelfServiceService). Leave
+ * requests are submitted to POST /api/payroll/attendance/leave/request and
+ * decided on PUT /api/payroll/attendance/leave/:id/decision.
+ *
+ * Endpoints (employee login — SELF_SERVICE):
+ *   GET  /api/payroll/self-service/me                          — own profile (bank account masked)
+ *   GET  /api/payroll/self-service/payslips                    — finalized payslips
+ *   GET  /api/payroll/self-service/payslips/:periodKey/pdf     — payslip PDF
+ *   POST /api/payroll/self-service/payslips/:periodKey/email   — email the payslip PDF to self
+ *   GET  /api/payroll/self-service/irp5                        — tax years with a certificate
+ *   GET  /api/payroll/self-service/irp5/pdf?tax_year=          — IRP5 / IT3(a) PDF
+ *   GET  /api/payroll/self-service/leave?year=                 — own leave records and balances
+ *   GET  /api/payroll/self-service/bank-details/requests       — own bank detail change requests
+ *   POST /api/payroll/self-service/bank-details                — request a change (pending)
+ *   POST /api/payroll/self-service/bank-details/requests/:id/withdraw
+ *
+ * Endpoints (payroll admin — PAYROLL.APPROVE):
+ *   POST   /api/payroll/self-service/access                    — { employee_id, username, password,
+ *                                                                email } create the employee login
+ *   DELETE /api/payroll/self-service/access/:employeeId        — revoke it
+ *   GET    /api/payroll/self-service/bank-changes?status=      — change requests to verify
+ *   POST   /api/payroll/self-service/bank-changes/:id/approve  — { note } apply the new details
+ *   POST   /api/payroll/self-service/bank-changes/:id/reject   — { note } required
+ *
+ * Design rules:
+ * - Employee endpoints never take an employee id — the login's own employees
+ *   row (employees.user_id) is the only one reachable
+ * - PDFs open with the employee's ID number (tax number when there is none)
+ * - Admin endpoints respect employee visibility scoping (paytimeAccess)
+ * - Respects company_id isolation on every query (SelfServiceService)
+ * ============================================================================
+ */
+
+const express = require('express');
+const {
+  authenticateToken,
+  requireCompany,
+  requirePermission
+} = require('../../../middleware/auth');
+const { auditFromReq } = require('../../../middleware/audit');
+const {
+  canViewEmployee,
+  getEmployeeFilter,
+  applyFilter,
+  requirePaytimeModule
+} = require('../services/paytimeAccess');
+const SelfServiceService = require('../services/SelfServiceService');
+const { sendPayslipEmail } = require('../../../shared/services/email');
+
+const { supabase } = require('../../../config/database');
+const { serviceError, sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.use(requireCompany);
+
+function denied(res) {
+  return res.status(403).json({ success: false, error: 'Access denied to this employee' });
+}
+
+/** Loads the caller's own employees row into req.selfEmployee. */
+async function loadSelf(req, res, next) {
+  try {
+    req.selfEmployee = await SelfServiceService.resolveEmployee(supabase, {
+      companyId: req.companyId,
+      userId:    req.user.userId
+    });
+    next();
+  } catch (err) {
+    sendServiceError(res, err, '[SelfService] resolve employee', { success: false });
+  }
+}
+
+async function audit(req, action, table, id, metadata) {
+  try {
+    await auditFromReq(req, action, table, id, { metadata });
+  } catch (auditErr) {
+    console.warn(`Audit log failed for ${action}:`, auditErr.message);
+  }
+}
+
+function sendPdf(res, { fileName, pdf }) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(pdf);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EMPLOYEE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// ─── GET /api/payroll/self-service/me ─────────────────────────────────────────
+router.get('/me', requirePermission('SELF_SERVICE.VIEW'), loadSelf, (req, res) => {
+  res.json({ success: true, employee: SelfServiceService.profileFor(req.selfEmployee), timestamp: new Date().toISOString() });
+});
+
+// ─── GET /api/payroll/self-service/payslips ───────────────────────────────────
+router.get('/payslips', requirePermission('SELF_SERVICE.VIEW'), loadSelf, async (req, res) => {
+  try {
+    const payslips = await SelfServiceService.listPayslips(supabase, {
+      companyId:  req.companyId,
+      employeeId: req.selfEmployee.id
+    });
+    res.json({ success: true, count: payslips.length, payslips, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[SelfService] list payslips', { success: false });
+  }
+});
+
+// ─── GET /api/payroll/self-service/payslips/:periodKey/pdf ────────────────────
+router.get('/payslips/:periodKey/pdf', requirePermission('SELF_SERVICE.VIEW'), loadSelf, async (req, res) => {
+  try {
+    const file = await SelfServiceService.payslipPdf(supabase, {
+      companyId: req.companyId,
+      employee:  req.selfEmployee,
+      periodKey: req.params.periodKey
+    });
+    await audit(req, 'SELF_SERVICE_PAYSLIP_DOWNLOAD', 'payroll_snapshots', req.selfEmployee.id, {
+      employee_id: req.selfEmployee.id, period_key: req.params.periodKey
+    });
+    sendPdf(res, file);
+  } catch (err) {
+    sendServiceError(res, err, '[SelfService] payslip pdf', { success: false });
+  }
+});
+
+// ─── POST /api/payroll/self-service/payslips/:periodKey/email ─────────────────
+router.post('/payslips/:periodKey/email', requirePermission('SELF_SERVICE.VIEW'), loadSelf, async (req, res) => {
+  try {
+    const file = await SelfServiceService.payslipPdf(supabase, {
+      companyId: req.companyId,
+      employee:  req.selfEmployee,
+      periodKey: req.params.periodKey
+    });
+    const sent = await sendPayslipEmail(req.selfEmployee, { periodKey: req.params.periodKey, ...file });
+    await audit(req, 'SELF_SERVICE_PAYSLIP_EMAIL', 'payroll_snapshots', req.selfEmployee.id, {
+      employee_id: req.selfEmployee.id, period_key: req.params.periodKey, to: req.selfEmployee.email
+    });
+    res.json({ success: true, email: sent, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[SelfService] payslip email', { success: false });
+  }
+});
+
+// ─── GET /api/payroll/self-service/irp5 ───────────────────────────────────────
+router.get('/irp5', requirePermission('SELF_SERVICE.VIEW'), loadSelf, async (req, res) => {
+  try {
+    const certificates = await SelfServiceService.listCertificates(supabase, {
+      companyId:  req.companyId,
+      employeeId: req.selfEmployee.id
+    });
+    res.json({ success: true, count: certificates.length, certificates, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[SelfService] list irp5', { success: false });
+  }
+});
+
+// ─── GET /api/payroll/self-service/irp5/pdf ───────────────────────────────────
+router.get('/irp5/pdf', requirePermission('SELF_SERVICE.VIEW'), loadSelf, async (req, res) => {
+  try {
+    if (!req.query.tax_year) return res.status(400).json({ success: false, error: 'tax_year is required (YYYY/YYYY)' });
+    const file = await SelfServiceService.certificatePdf(supabase, {
+      companyId: req.companyId,
+      employee:  req.selfEmployee,
+      taxYear:   String(req.query.tax_year)
+    });
+    await audit(req, 'SELF_SERVICE_IRP5_DOWNLOAD', 'payroll_sars_exports', req.selfEmployee.id, {
+      employee_id: req.selfEmployee.id, tax_year: req.query.tax_year, certificate_type: file.certificate.certificate_type
+    });
+    sendPdf(res, file);
+  } catch (err) {
+    sendServiceError(res, err, '[SelfService] irp5 pdf', { success: false });
+  }
+});
+
+// ─── GET /api/payroll/self-service/leave ──────────────────────────────────────
+router.get('/leave', requirePermission('SELF_SERVICE.VIEW'), loadSelf, async (req, res) => {
+  try {
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const { records, balances } = await SelfServiceService.listLeave(supabase, {
+      companyId:  req.companyId,
+      employeeId: req.selfEmployee.id,
+      year
+    });
+    res.json({ success: true, records, balances, year, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[SelfService] list leave', { success: false });
+  }
+});
+
+// ─── GET /api/payroll/self-service/bank-details/requests ──────────────────────
+router.get('/bank-details/requests', requirePermission('SELF_SERVICE.VIEW'), loadSelf, async (req, res) => {
+  try {
+    const requests = (await SelfServiceService.listBankChanges(supabase, {
+      companyId:  req.companyId,
+      employeeId: req.selfEmployee.id
+    })).map(({ employee: _employee, previous: _previous, ...r }) => ({
+      ...r, account_number: SelfServiceService.maskAccount(r.account_number)
+    }));
+    res.json({ success: true, count: requests.length, requests, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[SelfService] list own bank changes', { success: false });
+  }
+});
+
+// ─── POST /api/payroll/self-service/bank-details ──────────────────────────────
+router.post('/bank-details', requirePermission('SELF_SERVICE.REQUEST'), loadSelf, async (req, res) => {
+  try {
+    const request = await SelfServiceService.requestBankChange(supabase, {
+      companyId: req.companyId,
+      employee:  req.selfEmployee,
+      userId:    req.user.userId,
+      input:     req.body || {}
+    });
+    await audit(req, 'SELF_SERVICE_BANK_CHANGE_REQUEST', 'employee_bank_change_requests', request.id, {
+      employee_id: req.selfEmployee.id, bank_name: request.bank_name
+    });
+    const { previous: _previous, ...row } = request;
+    res.status(201).json({
+      success: true,
+      request: { ...row, account_number: SelfServiceService.maskAccount(row.account_number) },
+      message: 'Your new bank details will be used once payroll has verified them',
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    sendServiceError(res, err, '[SelfService] request bank change', { success: false });
+  }
+});
+
+// ─── POST /api/payroll/self-service/bank-details/requests/:id/withdraw ────────
+router.post('/bank-details/requests/:id/withdraw', requirePermission('SELF_SERVICE.REQUEST'), loadSelf, async (req, res) => {
+  try {
+    const request = await SelfServiceService.withdrawBankChange(supabase, {
+      companyId:  req.companyId,
+      employeeId: req.selfEmployee.id,
+      id:         parseInt(req.params.id, 10)
+    });
+    await audit(req, 'SELF_SERVICE_BANK_CHANGE_WITHDRAW', 'employee_bank_change_requests', request.id, {
+      employee_id: req.selfEmployee.id
+    });
+    res.json({ success: true, request: { id: request.id, status: request.status }, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[SelfService] withdraw bank change', { success: false });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PAYROLL ADMIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function visibleEmployee(req, employeeId) {
+  const { data: emp } = await supabase
+    .from('employees')
+    .select('id, classification')
+    .eq('company_id', req.companyId)
+    .eq('id', employeeId)
+    .maybeSingle();
+  if (!emp) throw serviceError(404, `Employee ${employeeId} not found`);
+  return canViewEmployee(req.user.role, req.user.userId, req.companyId, emp);
+}
+
+// ─── POST /api/payroll/self-service/access ────────────────────────────────────
+router.post('/access', requirePermission('PAYROLL.APPROVE'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const employeeId = parseInt(body.employee_id, 10);
+    if (!employeeId) return res.status(400).json({ success: false, error: 'employee_id is required' });
+    if (!(await visibleEmployee(req, employeeId))) return denied(res);
+
+    const { user } = await SelfServiceService.grantAccess(supabase, {
+      companyId: req.companyId,
+      employeeId,
+      username:  body.username,
+      password:  body.password,
+      email:     body.email,
+      userId:    req.user.userId
+    });
+    await audit(req, 'SELF_SERVICE_ACCESS_GRANT', 'users', user.id, { employee_id: employeeId, username: user.username });
+    res.status(201).json({ success: true, user, employee_id: employeeId, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[SelfService] grant access', { success: false });
+  }
+});
+
+// ─── DELETE /api/payroll/self-service/access/:employeeId ──────────────────────
+router.delete('/access/:employeeId', requirePermission('PAYROLL.APPROVE'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const employeeId = parseInt(req.params.employeeId, 10);
+    if (!(await visibleEmployee(req, employeeId))) return denied(res);
+
+    const revoked = await SelfServiceService.revokeAccess(supabase, { companyId: req.companyId, employeeId });
+    await audit(req, 'SELF_SERVICE_ACCESS_REVOKE', 'users', revoked.user_id, { employee_id: employeeId });
+    res.json({ success: true, ...revoked, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[SelfService] revoke access', { success: false });
+  }
+});
+
+// ─── GET /api/payroll/self-service/bank-changes ───────────────────────────────
+router.get('/bank-changes', requirePermission('PAYROLL.APPROVE'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    let changes = await SelfServiceService.listBankChanges(supabase, {
+      companyId: req.companyId,
+      status:    req.query.status || null
+    });
+
+    const filter = await getEmployeeFilter(req.user.role, req.user.userId, req.companyId);
+    if (filter.type !== 'none') {
+      const { data: visible } = await applyFilter(
+        supabase.from('employees').select('id').eq('company_id', req.companyId), filter
+      );
+      const ids = new Set((visible || []).map(e => e.id));
+      changes = changes.filter(c => ids.has(c.employee_id));
+    }
+
+    res.json({ success: true, count: changes.length, changes, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[SelfService] list bank changes', { success: false });
+  }
+});
+
+async function reviewBankChange(req, res, approve) {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const change = await SelfServiceService.getBankChange(supabase, req.companyId, id);
+    if (!(await canViewEmployee(req.user.role, req.user.userId, req.companyId, change.employee))) return denied(res);
+
+    const reviewed = await SelfServiceService.reviewBankChange(supabase, {
+      companyId: req.companyId,
+      id,
+      approve,
+      note:      (req.body || {}).note ? String(req.body.note).trim() : null,
+      userId:    req.user.userId
+    });
+    await audit(req, approve ? 'PAYROLL_BANK_CHANGE_APPROVE' : 'PAYROLL_BANK_CHANGE_REJECT', 'employee_bank_change_requests', id, {
+      employee_id: change.employee_id, previous: change.previous, bank_name: change.bank_name, note: reviewed.review_note
+    });
+    res.json({ success: true, change: reviewed, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, `[SelfService] ${approve ? 'approve bank change' : 'reject bank change'}`, { success: false });
+  }
+}
+
+// ─── POST /api/payroll/self-service/bank-changes/:id/approve ──────────────────
+router.post('/bank-changes/:id/approve', requirePermission('PAYROLL.APPROVE'), requirePaytimeModule('payroll'),
+  (req, res) => reviewBankChange(req, res, true));
+
+// ─── POST /api/payroll/self-service/bank-changes/:id/reject ───────────────────
+router.post('/bank-changes/:id/reject', requirePermission('PAYROLL.APPROVE'), requirePaytimeModule('payroll'),
+  (req, res) => reviewBankChange(req, res, false));
+
+module.exports = router;
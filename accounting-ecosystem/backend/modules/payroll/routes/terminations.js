@@ -0,0 +1,206 @@
+/**
+ * ============================================================================
+ * Termination Routes — /api/payroll/terminations
+ * ============================================================================
+ * Purpose: Termination wizard. Records the UIF reason code, calculates leave
+ * payout, notice pay and severance, runs and finalizes the final payslip,
+ * and produces the UI-19 and certificate of service PDFs — all locked into
+ * payroll history (TerminationService).
+ *
+ * Endpoints:
+ *   GET  /api/payroll/terminations/reasons               — UIF reason codes
+ *   POST /api/payroll/terminations/preview               — wizard preview (nothing saved)
+ *   POST /api/payroll/terminations                       — process { employee_id, termination_date,
+ *                                                          reason_code, reason_note, notice_worked,
+ *                                                          leave_days, severance_amount, directive,
+ *                                                          include_reason_on_certificate, ... }
+ *   GET  /api/payroll/terminations?employee_id=          — employee's terminations
+ *   GET  /api/payroll/terminations/:id                   — termination + documents
+ *   GET  /api/payroll/terminations/documents/:id/download — stored PDF
+ *
+ * Design rules:
+ * - Processing finalizes a payroll run, so it needs PAYROLL.APPROVE
+ * - Reversing the final run (POST /api/payroll/reverse) reverses the termination
+ * - Respects employee visibility scoping (paytimeAccess)
+ * - Respects company_id isolation on every query (TerminationService)
+ * ============================================================================
+ */
+
+const express = require('express');
+const {
+  authenticateToken,
+  requireCompany,
+  requirePermission
+} = require('../../../middleware/auth');
+const { auditFromReq } = require('../../../middleware/audit');
+const {
+  canViewEmployee,
+  requirePaytimeModule
+} = require('../services/paytimeAccess');
+const TerminationService = require('../services/TerminationService');
+
+const { supabase } = require('../../../config/database');
+const { serviceError, sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.use(requireCompany);
+
+function denied(res) {
+  return res.status(403).json({ success: false, error: 'Access denied to this employee' });
+}
+
+async function visibleEmployee(req, employeeId) {
+  const { data: emp } = await supabase
+    .from('employees')
+    .select('id, classification')
+    .eq('company_id', req.companyId)
+    .eq('id', employeeId)
+    .maybeSingle();
+  if (!emp) throw serviceError(404, `Employee ${employeeId} not found`);
+  return canViewEmployee(req.user.role, req.user.userId, req.companyId, emp);
+}
+
+// ─── GET /api/payroll/terminations/reasons ────────────────────────────────────
+router.get('/reasons', requirePermission('PAYROLL.VIEW'), requirePaytimeModule('payroll'), (req, res) => {
+  const reasons = Object.entries(TerminationService.UIF_REASON_CODES).map(([code, label]) => ({ code, label }));
+  res.json({ success: true, reasons, timestamp: new Date().toISOString() });
+});
+
+// ─── POST /api/payroll/terminations/preview ───────────────────────────────────
+router.post(
+  '/preview',
+  requirePermission('PAYROLL.CREATE'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const body = req.body || {};
+      const employeeId = parseInt(body.employee_id, 10);
+      if (!employeeId) return res.status(400).json({ success: false, error: 'employee_id is required' });
+      if (!(await visibleEmployee(req, employeeId))) return denied(res);
+
+      const preview = await TerminationService.previewTermination(supabase, {
+        companyId: req.companyId,
+        employeeId,
+        body
+      });
+      res.json({ success: true, preview, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[Terminations] preview', { success: false });
+    }
+  }
+);
+
+// ─── POST /api/payroll/terminations ───────────────────────────────────────────
+router.post(
+  '/',
+  requirePermission('PAYROLL.APPROVE'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const body = req.body || {};
+      const employeeId = parseInt(body.employee_id, 10);
+      if (!employeeId) return res.status(400).json({ success: false, error: 'employee_id is required' });
+      if (!(await visibleEmployee(req, employeeId))) return denied(res);
+
+      const result = await TerminationService.processTermination(supabase, {
+        companyId: req.companyId,
+        employeeId,
+        body,
+        userId:    req.user.userId
+      });
+
+      try {
+        await auditFromReq(req, 'PAYROLL_TERMINATION', 'employee_terminations', result.termination.id, {
+          metadata: {
+            employee_id:      employeeId,
+            termination_date: result.termination_date,
+            reason_code:      result.reason_code,
+            run_id:           result.run_id,
+            leave_payout:     result.leave.amount,
+            notice_pay:       result.notice.amount,
+            severance:        result.severance.amount,
+            documents:        result.documents.map(d => ({ type: d.document_type, sha256: d.sha256 }))
+          }
+        });
+      } catch (auditErr) {
+        console.warn('Audit log failed for termination:', auditErr.message);
+      }
+
+      res.status(201).json({ success: true, ...result, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[Terminations] process', { success: false });
+    }
+  }
+);
+
+// ─── GET /api/payroll/terminations ────────────────────────────────────────────
+router.get(
+  '/',
+  requirePermission('PAYROLL.VIEW'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const employeeId = parseInt(req.query.employee_id, 10);
+      if (!employeeId) return res.status(400).json({ success: false, error: 'employee_id is required' });
+      if (!(await visibleEmployee(req, employeeId))) return denied(res);
+
+      const terminations = await TerminationService.listForEmployee(supabase, req.companyId, employeeId);
+      res.json({ success: true, count: terminations.length, terminations, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[Terminations] list', { success: false });
+    }
+  }
+);
+
+// ─── GET /api/payroll/terminations/documents/:id/download ─────────────────────
+router.get(
+  '/documents/:id/download',
+  requirePermission('PAYROLL.VIEW'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const documentId = parseInt(req.params.id, 10);
+      if (isNaN(documentId)) return res.status(400).json({ success: false, error: 'id must be an integer' });
+
+      const { document, termination, buffer } = await TerminationService.getDocument(supabase, req.companyId, documentId);
+      if (!(await canViewEmployee(req.user.role, req.user.userId, req.companyId, termination.employee))) return denied(res);
+
+      try {
+        await auditFromReq(req, 'PAYROLL_TERMINATION_DOCUMENT_DOWNLOAD', 'employee_termination_documents', document.id, {
+          metadata: { termination_id: termination.id, document_type: document.document_type, sha256: document.sha256 }
+        });
+      } catch (auditErr) {
+        console.warn('Audit log failed for termination document download:', auditErr.message);
+      }
+
+      res.setHeader('Content-Type', document.mime_type);
+      res.setHeader('Content-Disposition', `attachment; filename="${document.file_name}"`);
+      res.setHeader('X-File-SHA256', document.sha256);
+      res.send(buffer);
+    } catch (err) {
+      sendServiceError(res, err, '[Terminations] download', { success: false });
+    }
+  }
+);
+
+// ─── GET /api/payroll/terminations/:id ────────────────────────────────────────
+router.get(
+  '/:id',
+  requirePermission('PAYROLL.VIEW'),
+  requirePaytimeModule('payroll'),
+  async (req, res) => {
+    try {
+      const termination = await TerminationService.getTermination(supabase, req.companyId, req.params.id);
+      if (!(await canViewEmployee(req.user.role, req.user.userId, req.companyId, termination.employee))) return denied(res);
+
+      const { employee: _employee, ...row } = termination;
+      res.json({ success: true, termination: row, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[Terminations] get', { success: false });
+    }
+  }
+);
+
+module.exports = router;
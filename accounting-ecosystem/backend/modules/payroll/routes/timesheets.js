@@ -0,0 +1,275 @@
+/**
+ * ============================================================================
+ * Timesheet Routes — /api/payroll/timesheets
+ * ============================================================================
+ * Purpose: Import clock records from a biometric clock (TimesheetService) and
+ * turn them into the period's overtime, multi-rate and night-shift inputs.
+ *
+ * Endpoints:
+ *   POST   /api/payroll/timesheets/import          — multipart 'file' (.csv / .xlsx) + period_key
+ *                                                    → draft import with exceptions report
+ *   GET    /api/payroll/timesheets?period_key=     — imports, newest first
+ *   GET    /api/payroll/timesheets/:id             — one import with per-employee days
+ *   GET    /api/payroll/timesheets/:id/exceptions  — missing clock-outs, unknown clock numbers, etc.
+ *   POST   /api/payroll/timesheets/:id/apply       — write the inputs to the period
+ *   DELETE /api/payroll/timesheets/:id             — discard a draft
+ *   GET    /api/payroll/timesheets/settings        — meal break, night window and allowance
+ *   PUT    /api/payroll/timesheets/settings
+ *   GET    /api/payroll/timesheets/holidays?year=  — SA public holidays + declared days
+ *   POST   /api/payroll/timesheets/holidays        — { holiday_date, name } declared day
+ *   DELETE /api/payroll/timesheets/holidays/:id
+ *
+ * Design rules:
+ * - Nothing reaches the payroll until a draft is applied; hand-keyed
+ *   overtime and multi-rate rows are never replaced
+ * - Respects company_id isolation and employee visibility scoping (paytimeAccess)
+ * ============================================================================
+ */
+
+const express = require('express');
+const multer  = require('multer');
+const XLSX    = require('xlsx');
+const {
+  authenticateToken,
+  requireCompany,
+  requirePermission
+} = require('../../../middleware/auth');
+const { auditFromReq } = require('../../../middleware/audit');
+const { getEmployeeFilter, requirePaytimeModule } = require('../services/paytimeAccess');
+const TimesheetService = require('../services/TimesheetService');
+
+const { supabase } = require('../../../config/database');
+const { sendServiceError } = require('../../../shared/utils/serviceError');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.use(requireCompany);
+
+// Same upload shape as the FX rate import — memory only, xlsx parses CSV too
+const clockUpload = multer({
+  storage: multer.memoryStorage(),
+  limits:  { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    const ext = (file.originalname || '').split('.').pop().toLowerCase();
+    if (['xlsx', 'xls', 'csv'].includes(ext)) return cb(null, true);
+    cb(new Error('Only CSV and Excel (.xlsx/.xls) clock exports are accepted'));
+  }
+});
+
+/** Employee-summary visibility for the caller's paytimeAccess filter. */
+function visibleTo(filter) {
+  if (filter.type === 'classification') return emp => emp.classification === 'public';
+  if (filter.type === 'ids') return emp => filter.ids.includes(emp.employee_id);
+  return () => true;
+}
+
+/** Drop employees (and their exceptions) the caller cannot see. */
+function scoped(imp, filter) {
+  if (filter.type === 'none') return imp;
+  const visible = visibleTo(filter);
+  const summary = (imp.summary || []).filter(visible);
+  const ids = new Set(summary.map(s => s.employee_id));
+  const exceptions = (imp.exceptions || []).filter(x => x.employee_id == null || ids.has(x.employee_id));
+  return { ...imp, summary, exceptions, employee_count: summary.length, exception_count: exceptions.length };
+}
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+router.get('/settings', requirePermission('PAYROLL.VIEW'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const settings = await TimesheetService.getSettings(supabase, req.companyId);
+    res.json({ success: true, settings, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[Timesheets] settings', { success: false });
+  }
+});
+
+router.put('/settings', requirePermission('PAYROLL.APPROVE'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const settings = await TimesheetService.saveSettings(supabase, req.companyId, req.body || {}, req.user.userId);
+    try {
+      await auditFromReq(req, 'PAYROLL_TIMESHEET_SETTINGS_UPDATE', 'payroll_timesheet_settings', req.companyId, {
+        newValue: settings
+      });
+    } catch (auditErr) {
+      console.warn('Audit log failed for timesheet settings:', auditErr.message);
+    }
+    res.json({ success: true, settings, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[Timesheets] save settings', { success: false });
+  }
+});
+
+// ─── Public holidays ──────────────────────────────────────────────────────────
+router.get('/holidays', requirePermission('PAYROLL.VIEW'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const holidays = await TimesheetService.listHolidays(supabase, req.companyId, year);
+    res.json({ success: true, year, holidays, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[Timesheets] holidays', { success: false });
+  }
+});
+
+router.post('/holidays', requirePermission('PAYROLL.APPROVE'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const holiday = await TimesheetService.addHoliday(supabase, req.companyId, req.body || {}, req.user.userId);
+    try {
+      await auditFromReq(req, 'PAYROLL_PUBLIC_HOLIDAY_ADD', 'payroll_public_holidays', holiday.id, { newValue: holiday });
+    } catch (auditErr) {
+      console.warn('Audit log failed for public holiday:', auditErr.message);
+    }
+    res.status(201).json({ success: true, holiday, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[Timesheets] add holiday', { success: false });
+  }
+});
+
+router.delete('/holidays/:id', requirePermission('PAYROLL.APPROVE'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const holiday = await TimesheetService.removeHoliday(supabase, req.companyId, req.params.id);
+    try {
+      await auditFromReq(req, 'PAYROLL_PUBLIC_HOLIDAY_REMOVE', 'payroll_public_holidays', holiday.id, { oldValue: holiday });
+    } catch (auditErr) {
+      console.warn('Audit log failed for public holiday:', auditErr.message);
+    }
+    res.json({ success: true, holiday, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[Timesheets] remove holiday', { success: false });
+  }
+});
+
+// ─── POST /api/payroll/timesheets/import ──────────────────────────────────────
+router.post('/import', requirePermission('PAYROLL.CREATE'), requirePaytimeModule('payroll'),
+  clockUpload.single('file'),
+  async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ success: false, error: 'A clock file is required' });
+
+      let workbook;
+      try {
+        workbook = XLSX.read(req.file.buffer, { type: 'buffer', cellDates: true, raw: false });
+      } catch (err) {
+        return res.status(400).json({ success: false, error: `Failed to parse file: ${err.message}` });
+      }
+      const sheetName = workbook.SheetNames[0];
+      if (!sheetName) return res.status(400).json({ success: false, error: 'File contains no sheets' });
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', blankrows: false });
+
+      const filter = await getEmployeeFilter(req.user.role, req.user.userId, req.companyId);
+      const imp = await TimesheetService.importTimesheet(supabase, {
+        companyId: req.companyId,
+        periodKey: (req.body || {}).period_key,
+        fileName:  req.file.originalname,
+        rows,
+        canImport: visibleTo(filter),
+        userId:    req.user.userId
+      });
+
+      try {
+        await auditFromReq(req, 'PAYROLL_TIMESHEET_IMPORT', 'payroll_timesheet_imports', imp.id, {
+          metadata: {
+            period_key:      imp.period_key,
+            file_name:       imp.file_name,
+            punch_count:     imp.punch_count,
+            employee_count:  imp.employee_count,
+            exception_count: imp.exception_count
+          }
+        });
+      } catch (auditErr) {
+        console.warn('Audit log failed for timesheet import:', auditErr.message);
+      }
+
+      res.status(201).json({ success: true, import: imp, timestamp: new Date().toISOString() });
+    } catch (err) {
+      sendServiceError(res, err, '[Timesheets] import', { success: false });
+    }
+  }
+);
+
+// ─── GET /api/payroll/timesheets?period_key= ──────────────────────────────────
+router.get('/', requirePermission('PAYROLL.VIEW'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const imports = await TimesheetService.listImports(supabase, req.companyId, req.query.period_key || null);
+    res.json({ success: true, count: imports.length, imports, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[Timesheets] list', { success: false });
+  }
+});
+
+// ─── GET /api/payroll/timesheets/:id ──────────────────────────────────────────
+router.get('/:id', requirePermission('PAYROLL.VIEW'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const filter = await getEmployeeFilter(req.user.role, req.user.userId, req.companyId);
+    const imp = scoped(await TimesheetService.getImport(supabase, req.companyId, req.params.id), filter);
+    res.json({ success: true, import: imp, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[Timesheets] get', { success: false });
+  }
+});
+
+// ─── GET /api/payroll/timesheets/:id/exceptions ───────────────────────────────
+router.get('/:id/exceptions', requirePermission('PAYROLL.VIEW'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const filter = await getEmployeeFilter(req.user.role, req.user.userId, req.companyId);
+    const { id, period_key, file_name, status, exceptions } =
+      scoped(await TimesheetService.getImport(supabase, req.companyId, req.params.id), filter);
+    const byType = {};
+    exceptions.forEach(x => { byType[x.type] = (byType[x.type] || 0) + 1; });
+    res.json({
+      success: true, id, period_key, file_name, status,
+      count: exceptions.length, by_type: byType, exceptions,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    sendServiceError(res, err, '[Timesheets] exceptions', { success: false });
+  }
+});
+
+// ─── POST /api/payroll/timesheets/:id/apply ───────────────────────────────────
+router.post('/:id/apply', requirePermission('PAYROLL.CREATE'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const filter = await getEmployeeFilter(req.user.role, req.user.userId, req.companyId);
+    const result = await TimesheetService.applyImport(supabase, {
+      companyId: req.companyId,
+      importId:  req.params.id,
+      canApply:  visibleTo(filter),
+      userId:    req.user.userId
+    });
+
+    try {
+      await auditFromReq(req, 'PAYROLL_TIMESHEET_APPLY', 'payroll_timesheet_imports', result.import.id, {
+        metadata: { period_key: result.import.period_key, applied: result.applied, skipped: result.skipped }
+      });
+    } catch (auditErr) {
+      console.warn('Audit log failed for timesheet apply:', auditErr.message);
+    }
+
+    res.json({
+      success: true,
+      import: scoped(result.import, filter),
+      applied: result.applied,
+      skipped: result.skipped,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    sendServiceError(res, err, '[Timesheets] apply', { success: false });
+  }
+});
+
+// ─── DELETE /api/payroll/timesheets/:id ───────────────────────────────────────
+router.delete('/:id', requirePermission('PAYROLL.CREATE'), requirePaytimeModule('payroll'), async (req, res) => {
+  try {
+    const result = await TimesheetService.discardImport(supabase, req.companyId, req.params.id);
+    try {
+      await auditFromReq(req, 'PAYROLL_TIMESHEET_DISCARD', 'payroll_timesheet_imports', result.id, {});
+    } catch (auditErr) {
+      console.warn('Audit log failed for timesheet discard:', auditErr.message);
+    }
+    res.json({ success: true, ...result, timestamp: new Date().toISOString() });
+  } catch (err) {
+    sendServiceError(res, err, '[Timesheets] discard', { success: false });
+  }
+});
+
+module.exports = router;
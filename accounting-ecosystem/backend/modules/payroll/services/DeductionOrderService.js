@@ -0,0 +1,485 @@
+/**
+ * ============================================================================
+ * DeductionOrderService — Employee Loans and Garnishee Orders
+ * ============================================================================
+ * Purpose: Register of staff loans and garnishee / emoluments attachment
+ * orders per employee, with a ledger that is each order's statement.
+ *
+ * Flow:
+ *   employee_deduction_orders (active, balance > 0)
+ *   → employeeOptions.deductionOrders → PayrollEngine.applyDeductionOrders
+ *   → calculation_output.deductionOrders on the snapshot
+ *   → POST /finalize: postRun  — interest + deduction entries, balance down
+ *   → POST /reverse:  reverseRun — reversal entries, balance restored
+ *
+ * RULES:
+ * 1. current_balance only changes together with a ledger entry that records
+ *    the balance after it.
+ * 2. Posting is idempotent per run and order, so a retried finalize cannot
+ *    deduct twice. Reversing only touches entries not yet reversed.
+ * 3. Amounts posted come from the frozen snapshot (what was actually
+ *    deducted), applied to the order's current balance.
+ * 4. Staff loans charged below the official interest rate are also handed
+ *    to the engine as low_interest_loan fringe benefits (IRP5 3807).
+ *
+ * MULTI-TENANT SAFETY:
+ * Every query filters on companyId.
+ * ============================================================================
+ */
+
+const PayrollEngine = require('../../../core/payroll-engine');
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+const ORDER_TYPES = ['loan', 'garnishee'];
+const EDITABLE_STATUSES = ['active', 'suspended', 'cancelled'];
+
+const ORDER_COLUMNS =
+  'id, company_id, employee_id, order_type, description, creditor_name, court_order_ref, principal, ' +
+  'interest_rate, instalment, net_pay_floor, priority, current_balance, start_date, status, settled_at, ' +
+  'created_by, created_at, updated_at';
+
+const LEDGER_COLUMNS =
+  'id, order_id, entry_type, period_key, payroll_run_id, snapshot_id, amount, balance_after, shortfall, ' +
+  'note, reversed_at, created_by, created_at';
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+// ─── Pure helpers — exported for unit testing ─────────────────────────────────
+
+/**
+ * Validate and normalise a create/update payload.
+ *
+ * @param {object} input      - order fields
+ * @param {object} [existing] - current row when updating (type and principal are fixed)
+ * @returns {object} row fields
+ */
+function validateOrder(input, existing) {
+  const src = input || {};
+  const out = {};
+  const pick = f => (src[f] !== undefined ? src[f] : (existing ? existing[f] : undefined));
+  const money = (f, { required, positive } = {}) => {
+    const v = pick(f);
+    if (v === undefined || v === null || v === '') {
+      if (required) throw serviceError(400, `${f} is required`);
+      return undefined;
+    }
+    const n = parseFloat(v);
+    if (isNaN(n) || n < 0 || (positive && n <= 0)) throw serviceError(400, `${f} must be a ${positive ? 'positive' : 'non-negative'} number`);
+    return r2(n);
+  };
+
+  if (existing) {
+    if (src.order_type && src.order_type !== existing.order_type) throw serviceError(409, 'order_type cannot be changed');
+    if (src.principal !== undefined && r2(src.principal) !== r2(existing.principal)) {
+      throw serviceError(409, 'principal cannot be changed — post an adjustment instead');
+    }
+  } else {
+    if (!src.order_type) throw serviceError(400, 'order_type is required');
+    if (!ORDER_TYPES.includes(src.order_type)) throw serviceError(400, `order_type must be one of: ${ORDER_TYPES.join(', ')}`);
+    out.order_type = src.order_type;
+    out.principal  = money('principal', { required: true, positive: true });
+    const start = src.start_date;
+    if (!start || !/^\d{4}-\d{2}-\d{2}$/.test(String(start))) throw serviceError(400, 'start_date is required (YYYY-MM-DD)');
+    out.start_date = start;
+  }
+
+  const type = existing ? existing.order_type : out.order_type;
+  if (type === 'garnishee' && !pick('court_order_ref')) throw serviceError(400, 'court_order_ref is required for a garnishee order');
+  if (type === 'garnishee' && !pick('creditor_name')) throw serviceError(400, 'creditor_name is required for a garnishee order');
+
+  out.instalment    = money('instalment', { required: true, positive: true });
+  out.interest_rate = money('interest_rate') || 0;
+  out.net_pay_floor = money('net_pay_floor') || 0;
+  out.priority      = parseInt(pick('priority'), 10) || 0;
+  for (const f of ['description', 'creditor_name', 'court_order_ref']) {
+    const v = pick(f);
+    out[f] = v === undefined || v === null || v === '' ? null : String(v);
+  }
+
+  if (src.status !== undefined) {
+    if (!EDITABLE_STATUSES.includes(src.status)) throw serviceError(400, `status must be one of: ${EDITABLE_STATUSES.join(', ')}`);
+    if (existing && existing.status === 'paid' && src.status !== 'paid') {
+      throw serviceError(409, 'A paid order cannot be reopened — post an adjustment instead');
+    }
+    out.status = src.status;
+  }
+  return out;
+}
+
+/** Engine input (employeeOptions.deductionOrders) for an order row. */
+function toEngineOrder(row) {
+  return {
+    id:            row.id,
+    type:          row.order_type,
+    description:   row.description || (row.order_type === 'garnishee' ? `Garnishee ${row.court_order_ref || ''}`.trim() : 'Staff loan'),
+    balance:       r2(row.current_balance),
+    interest_rate: parseFloat(row.interest_rate) || 0,
+    instalment:    r2(row.instalment),
+    priority:      parseInt(row.priority, 10) || 0,
+    net_pay_floor: r2(row.net_pay_floor)
+  };
+}
+
+/**
+ * Fringe benefits for staff loans charged below the official rate. The
+ * order itself makes the repayment, so the benefit carries none.
+ */
+function toFringeBenefits(rows, periodKey) {
+  const official = PayrollEngine._effectiveEntry(PayrollEngine.OFFICIAL_INTEREST_RATE, periodKey).rate;
+  return rows
+    .filter(row => row.order_type === 'loan' && (parseFloat(row.interest_rate) || 0) < official)
+    .map(row => ({
+      id:                `order-${row.id}`,
+      type:              'low_interest_loan',
+      description:       row.description || 'Staff loan',
+      balance:           r2(row.current_balance),
+      interest_rate:     parseFloat(row.interest_rate) || 0,
+      monthly_repayment: 0
+    }));
+}
+
+/**
+ * Ledger entries and new balance for one order from a snapshot's
+ * calculation_output.deductionOrders entry.
+ *
+ * @param {object} order   - employee_deduction_orders row (current balance)
+ * @param {object} result  - engine result for the order
+ * @returns {{ entries: object[], balance: number, paid: boolean }}
+ */
+function postingFor(order, result) {
+  let balance = r2(order.current_balance);
+  const entries = [];
+  if (result.interest > 0) {
+    balance = r2(balance + result.interest);
+    entries.push({ entry_type: 'interest', amount: r2(result.interest), balance_after: balance, shortfall: 0 });
+  }
+  const deducted = Math.min(r2(result.deducted), balance);
+  balance = r2(balance - deducted);
+  entries.push({
+    entry_type:    'deduction',
+    amount:        deducted ? -deducted : 0,
+    balance_after: balance,
+    shortfall:     r2(result.shortfall),
+    note:          result.capped_by_floor ? 'Limited by net pay floor' : null
+  });
+  return { entries, balance, paid: balance <= 0 };
+}
+
+// ─── DB ───────────────────────────────────────────────────────────────────────
+
+async function _loadEmployee(supabase, companyId, employeeId) {
+  const { data, error } = await supabase
+    .from('employees')
+    .select('id, classification')
+    .eq('company_id', companyId)
+    .eq('id', employeeId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch employee: ${error.message}`);
+  if (!data) throw serviceError(404, `Employee ${employeeId} not found`);
+  return data;
+}
+
+async function _insertLedger(supabase, rows) {
+  const { error } = await supabase.from('employee_deduction_ledger').insert(rows);
+  if (error) throw new Error(`Failed to write deduction ledger: ${error.message}`);
+}
+
+async function _setBalance(supabase, companyId, id, balance, status) {
+  const patch = { current_balance: balance, updated_at: new Date().toISOString() };
+  if (status) {
+    patch.status = status;
+    patch.settled_at = status === 'paid' ? new Date().toISOString() : null;
+  }
+  const { error } = await supabase
+    .from('employee_deduction_orders')
+    .update(patch)
+    .eq('company_id', companyId)
+    .eq('id', id);
+  if (error) throw new Error(`Failed to update order balance: ${error.message}`);
+}
+
+/** Order row with its employee ({ id, classification }) for visibility checks. */
+async function getOrder(supabase, companyId, id) {
+  const { data, error } = await supabase
+    .from('employee_deduction_orders')
+    .select(ORDER_COLUMNS)
+    .eq('company_id', companyId)
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch deduction order: ${error.message}`);
+  if (!data) throw serviceError(404, `Deduction order ${id} not found`);
+  data.employee = await _loadEmployee(supabase, companyId, data.employee_id);
+  return data;
+}
+
+async function listForEmployee(supabase, companyId, employeeId) {
+  const { data, error } = await supabase
+    .from('employee_deduction_orders')
+    .select(ORDER_COLUMNS)
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .order('start_date', { ascending: false });
+  if (error) throw new Error(`Failed to fetch deduction orders: ${error.message}`);
+  return data || [];
+}
+
+async function createOrder(supabase, { companyId, employeeId, input, userId }) {
+  await _loadEmployee(supabase, companyId, employeeId);
+  const row = validateOrder(input);
+  const { data, error } = await supabase
+    .from('employee_deduction_orders')
+    .insert({
+      ...row,
+      company_id:      companyId,
+      employee_id:     employeeId,
+      current_balance: row.principal,
+      status:          row.status || 'active',
+      created_by:      userId
+    })
+    .select(ORDER_COLUMNS)
+    .single();
+  if (error) throw new Error(`Failed to create deduction order: ${error.message}`);
+
+  await _insertLedger(supabase, [{
+    company_id:    companyId,
+    order_id:      data.id,
+    entry_type:    'opening',
+    amount:        data.principal,
+    balance_after: data.principal,
+    note:          data.order_type === 'garnishee' ? `Court order ${data.court_order_ref}` : 'Loan advanced',
+    created_by:    userId
+  }]);
+  return data;
+}
+
+async function updateOrder(supabase, { companyId, id, input }) {
+  const existing = await getOrder(supabase, companyId, id);
+  const row = validateOrder(input, existing);
+  const { data, error } = await supabase
+    .from('employee_deduction_orders')
+    .update({ ...row, updated_at: new Date().toISOString() })
+    .eq('company_id', companyId)
+    .eq('id', id)
+    .select(ORDER_COLUMNS)
+    .single();
+  if (error) throw new Error(`Failed to update deduction order: ${error.message}`);
+  return data;
+}
+
+/**
+ * Manual balance adjustment (e.g. a cash repayment, settlement discount or
+ * creditor's additional costs). amount is signed: + raises the balance.
+ */
+async function addAdjustment(supabase, { companyId, id, amount, note, userId }) {
+  const order = await getOrder(supabase, companyId, id);
+  const amt = r2(amount);
+  if (!amt) throw serviceError(400, 'amount is required (non-zero)');
+  if (!note || !String(note).trim()) throw serviceError(400, 'note is required for an adjustment');
+  if (order.status === 'cancelled') throw serviceError(409, 'A cancelled order cannot be adjusted');
+
+  const balance = r2(r2(order.current_balance) + amt);
+  if (balance < 0) throw serviceError(409, `Adjustment would take the balance below zero (${balance.toFixed(2)})`);
+
+  await _insertLedger(supabase, [{
+    company_id: companyId, order_id: order.id, entry_type: 'adjustment',
+    amount: amt, balance_after: balance, note: String(note).trim(), created_by: userId
+  }]);
+  let status = null;
+  if (balance === 0) status = 'paid';
+  else if (order.status === 'paid') status = 'active';
+  await _setBalance(supabase, companyId, order.id, balance, status);
+  return { ...order, current_balance: balance, status: status || order.status };
+}
+
+/** The order's statement — every ledger entry, oldest first. */
+async function statement(supabase, companyId, order) {
+  const { data, error } = await supabase
+    .from('employee_deduction_ledger')
+    .select(LEDGER_COLUMNS)
+    .eq('company_id', companyId)
+    .eq('order_id', order.id)
+    .order('id', { ascending: true });
+  if (error) throw new Error(`Failed to fetch statement: ${error.message}`);
+  const entries = data || [];
+  return {
+    order_id:        order.id,
+    order_type:      order.order_type,
+    principal:       r2(order.principal),
+    current_balance: r2(order.current_balance),
+    total_deducted:  r2(-entries.filter(e => e.entry_type === 'deduction' && !e.reversed_at)
+      .reduce((s, e) => s + (parseFloat(e.amount) || 0), 0)),
+    total_interest:  r2(entries.filter(e => e.entry_type === 'interest' && !e.reversed_at)
+      .reduce((s, e) => s + (parseFloat(e.amount) || 0), 0)),
+    entries
+  };
+}
+
+/**
+ * Orders to deduct in a pay period: active, started by the period end and
+ * with a balance left. Missing table (migration 154 not run) → none.
+ *
+ * @returns {Promise<{ orders: object[], fringeBenefits: object[] }>}
+ */
+async function fetchForPeriod(supabase, { companyId, employeeId, periodKey, periodEnd }) {
+  const { data, error } = await supabase
+    .from('employee_deduction_orders')
+    .select(ORDER_COLUMNS)
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .eq('status', 'active')
+    .lte('start_date', periodEnd)
+    .gt('current_balance', 0);
+  if (error) {
+    if (error.code === '42P01' || error.code === 'PGRST205') return { orders: [], fringeBenefits: [] };
+    throw new Error(`Failed to fetch deduction orders: ${error.message}`);
+  }
+  const rows = data || [];
+  return { orders: rows.map(toEngineOrder), fringeBenefits: toFringeBenefits(rows, periodKey) };
+}
+
+/**
+ * Post a finalized run's deductions to the orders' ledgers.
+ * Reads the run's locked snapshots itself, so it is safe to call again.
+ *
+ * @returns {Promise<object[]>} [{ order_id, employee_id, deducted, balance, paid }]
+ */
+async function postRun(supabase, { companyId, runId, userId }) {
+  const { data: snaps, error } = await supabase
+    .from('payroll_snapshots')
+    .select('id, employee_id, period_key, calculation_output')
+    .eq('company_id', companyId)
+    .eq('payroll_run_id', runId)
+    .eq('is_locked', true)
+    .neq('status', 'reversed');
+  if (error) throw new Error(`Failed to fetch run snapshots: ${error.message}`);
+
+  const work = [];
+  for (const s of snaps || []) {
+    for (const result of (s.calculation_output && s.calculation_output.deductionOrders) || []) {
+      work.push({ snapshot: s, result });
+    }
+  }
+  if (!work.length) return [];
+
+  const { data: already, error: aErr } = await supabase
+    .from('employee_deduction_ledger')
+    .select('order_id')
+    .eq('company_id', companyId)
+    .eq('payroll_run_id', runId)
+    .is('reversed_at', null);
+  if (aErr) throw new Error(`Failed to check deduction ledger: ${aErr.message}`);
+  const posted = new Set((already || []).map(r => r.order_id));
+
+  const results = [];
+  for (const { snapshot, result } of work) {
+    if (posted.has(result.id)) continue;
+    const { data: order, error: oErr } = await supabase
+      .from('employee_deduction_orders')
+      .select(ORDER_COLUMNS)
+      .eq('company_id', companyId)
+      .eq('id', result.id)
+      .maybeSingle();
+    if (oErr) throw new Error(`Failed to fetch deduction order: ${oErr.message}`);
+    if (!order) continue; // order deleted with its employee
+
+    const { entries, balance, paid } = postingFor(order, result);
+    await _insertLedger(supabase, entries.map(e => ({
+      ...e,
+      company_id:     companyId,
+      order_id:       order.id,
+      period_key:     snapshot.period_key,
+      payroll_run_id: runId,
+      snapshot_id:    snapshot.id,
+      created_by:     userId
+    })));
+    await _setBalance(supabase, companyId, order.id, balance, paid ? 'paid' : null);
+    results.push({ order_id: order.id, employee_id: snapshot.employee_id, deducted: -entries[entries.length - 1].amount, balance, paid });
+  }
+  return results;
+}
+
+/**
+ * Undo a reversed run's postings: one 'reversal' entry per interest /
+ * deduction entry, balance restored, a paid order reopened.
+ *
+ * @returns {Promise<object[]>} [{ order_id, restored, balance }]
+ */
+async function reverseRun(supabase, { companyId, runId, userId }) {
+  const { data: rows, error } = await supabase
+    .from('employee_deduction_ledger')
+    .select(LEDGER_COLUMNS)
+    .eq('company_id', companyId)
+    .eq('payroll_run_id', runId)
+    .in('entry_type', ['interest', 'deduction'])
+    .is('reversed_at', null);
+  if (error) {
+    if (error.code === '42P01' || error.code === 'PGRST205') return [];
+    throw new Error(`Failed to fetch deduction ledger: ${error.message}`);
+  }
+
+  const byOrder = {};
+  for (const row of rows || []) (byOrder[row.order_id] = byOrder[row.order_id] || []).push(row);
+
+  const now = new Date().toISOString();
+  const results = [];
+  for (const [orderId, entries] of Object.entries(byOrder)) {
+    const { data: order, error: oErr } = await supabase
+      .from('employee_deduction_orders')
+      .select(ORDER_COLUMNS)
+      .eq('company_id', companyId)
+      .eq('id', orderId)
+      .maybeSingle();
+    if (oErr) throw new Error(`Failed to fetch deduction order: ${oErr.message}`);
+    if (!order) continue;
+
+    let balance = r2(order.current_balance);
+    const reversals = [];
+    for (const e of entries.sort((a, b) => b.id - a.id)) {
+      balance = r2(balance - (parseFloat(e.amount) || 0));
+      reversals.push({
+        company_id:     companyId,
+        order_id:       order.id,
+        entry_type:     'reversal',
+        period_key:     e.period_key,
+        payroll_run_id: runId,
+        snapshot_id:    e.snapshot_id,
+        amount:         r2(-(parseFloat(e.amount) || 0)),
+        balance_after:  balance,
+        note:           `Pay run reversed — ${e.entry_type} of ${e.period_key}`,
+        created_by:     userId
+      });
+    }
+    await _insertLedger(supabase, reversals);
+
+    const { error: uErr } = await supabase
+      .from('employee_deduction_ledger')
+      .update({ reversed_at: now })
+      .eq('company_id', companyId)
+      .in('id', entries.map(e => e.id));
+    if (uErr) throw new Error(`Failed to mark ledger entries reversed: ${uErr.message}`);
+
+    await _setBalance(supabase, companyId, order.id, balance,
+      order.status === 'paid' && balance > 0 ? 'active' : null);
+    results.push({ order_id: order.id, restored: r2(balance - r2(order.current_balance)), balance });
+  }
+  return results;
+}
+
+module.exports = {
+  ORDER_TYPES,
+  // Pure
+  validateOrder,
+  toEngineOrder,
+  toFringeBenefits,
+  postingFor,
+  // DB
+  getOrder,
+  listForEmployee,
+  createOrder,
+  updateOrder,
+  addAdjustment,
+  statement,
+  fetchForPeriod,
+  postRun,
+  reverseRun
+};
@@ -0,0 +1,347 @@
+/**
+ * ============================================================================
+ * FringeBenefitService — Employee Taxable Fringe Benefits
+ * ============================================================================
+ * Purpose: Maintain employee_fringe_benefits and turn them into the
+ * employeeOptions.fringeBenefits the payroll engine values
+ * (PayrollEngine.calculateFringeBenefit).
+ *
+ * Flow:
+ *   employee_fringe_benefits (active, overlapping the period)
+ *   → part-month days for cars / accommodation
+ *   → loan opening balance from the latest locked, non-reversed snapshot
+ *   → engine → calculation_output.fringeBenefits on the snapshot
+ *
+ * RULES:
+ * 1. Only the valuation fields of the benefit type are kept in settings;
+ *    unknown fields are dropped.
+ * 2. A loan's balance lives on the snapshots. Reversing a run therefore
+ *    restores the balance without any separate bookkeeping.
+ * 3. A loan whose balance has reached zero is no longer sent to the engine.
+ *
+ * MULTI-TENANT SAFETY:
+ * Every query filters on companyId.
+ * ============================================================================
+ */
+
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+const BENEFIT_TYPES = ['company_car', 'low_interest_loan', 'accommodation', 'free_services'];
+const ACCOMMODATION_METHODS = ['formula', 'cost', 'fixed'];
+
+// Valuation fields per type: name → 'number' | 'boolean' | 'string'
+const SETTINGS_FIELDS = {
+  company_car: {
+    determined_value: 'number', maintenance_plan: 'boolean',
+    business_use_80: 'boolean', employee_contribution: 'number'
+  },
+  low_interest_loan: {
+    principal: 'number', interest_rate: 'number', monthly_repayment: 'number',
+    official_rate: 'number', exempt: 'boolean'
+  },
+  accommodation: {
+    method: 'string', remuneration_proxy: 'number', abatement: 'number', furnished: 'boolean',
+    power_supplied: 'boolean', employer_cost: 'number', value: 'number', employee_contribution: 'number'
+  },
+  free_services: {
+    value: 'number', employee_contribution: 'number'
+  }
+};
+
+// Fields that must be present (and > 0) for the benefit to be valued
+const REQUIRED_FIELDS = {
+  company_car:       ['determined_value'],
+  low_interest_loan: ['principal'],
+  free_services:     ['value'],
+  accommodation: {
+    formula: ['remuneration_proxy', 'abatement'],
+    cost:    ['employer_cost'],
+    fixed:   ['value']
+  }
+};
+
+const BENEFIT_COLUMNS =
+  'id, company_id, employee_id, benefit_type, description, settings, start_date, end_date, ' +
+  'is_active, created_by, created_at, updated_at';
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+// ─── Pure helpers — exported for unit testing ─────────────────────────────────
+
+/**
+ * Validate and normalise a create/update payload.
+ *
+ * @param {object} input    - { benefit_type, description, settings, start_date, end_date, is_active }
+ * @param {object} [existing] - current row when updating; unspecified fields are kept
+ * @returns {object} row fields ready to insert/update
+ */
+function validateBenefit(input, existing) {
+  const src  = input || {};
+  const prev = existing || {};
+  const type = src.benefit_type || prev.benefit_type;
+  if (!type) throw serviceError(400, 'benefit_type is required');
+  if (!BENEFIT_TYPES.includes(type)) throw serviceError(400, `benefit_type must be one of: ${BENEFIT_TYPES.join(', ')}`);
+  if (existing && src.benefit_type && src.benefit_type !== prev.benefit_type) {
+    throw serviceError(409, 'benefit_type cannot be changed — end this benefit and add a new one');
+  }
+
+  const merged = { ...(prev.settings || {}), ...(src.settings || {}) };
+  const settings = {};
+  for (const [field, kind] of Object.entries(SETTINGS_FIELDS[type])) {
+    const v = merged[field];
+    if (v === undefined || v === null || v === '') continue;
+    if (kind === 'boolean') settings[field] = v === true || v === 'true';
+    else if (kind === 'string') settings[field] = String(v);
+    else {
+      const n = parseFloat(v);
+      if (isNaN(n) || n < 0) throw serviceError(400, `settings.${field} must be a non-negative number`);
+      settings[field] = n;
+    }
+  }
+
+  let required = REQUIRED_FIELDS[type];
+  if (type === 'accommodation') {
+    settings.method = settings.method || 'formula';
+    if (!ACCOMMODATION_METHODS.includes(settings.method)) {
+      throw serviceError(400, `settings.method must be one of: ${ACCOMMODATION_METHODS.join(', ')}`);
+    }
+    required = required[settings.method];
+  }
+  for (const field of required) {
+    if (settings[field] === undefined || (field !== 'abatement' && !(settings[field] > 0))) {
+      throw serviceError(400, `settings.${field} is required for ${type}`);
+    }
+  }
+
+  const startDate = src.start_date !== undefined ? src.start_date : prev.start_date;
+  const endDate   = src.end_date   !== undefined ? (src.end_date || null) : (prev.end_date || null);
+  if (!startDate || !/^\d{4}-\d{2}-\d{2}$/.test(String(startDate))) throw serviceError(400, 'start_date is required (YYYY-MM-DD)');
+  if (endDate && !/^\d{4}-\d{2}-\d{2}$/.test(String(endDate))) throw serviceError(400, 'end_date must be YYYY-MM-DD');
+  if (endDate && endDate < startDate) throw serviceError(400, 'end_date must be on or after start_date');
+
+  return {
+    benefit_type: type,
+    description:  src.description !== undefined ? (src.description || null) : (prev.description || null),
+    settings,
+    start_date:   startDate,
+    end_date:     endDate,
+    is_active:    src.is_active !== undefined ? src.is_active !== false : prev.is_active !== false
+  };
+}
+
+/**
+ * Closing balance of a loan benefit on the latest snapshot that carries it.
+ *
+ * @param {object[]} snapshots - locked, non-reversed snapshots, newest first
+ * @param {number}   benefitId
+ * @returns {number|null} null when no snapshot has valued the loan yet
+ */
+function loanBalanceFromSnapshots(snapshots, benefitId) {
+  for (const s of snapshots || []) {
+    const fbs = (s.calculation_output && s.calculation_output.fringeBenefits) || [];
+    const fb = fbs.find(f => f.type === 'low_interest_loan' && String(f.id) === String(benefitId));
+    if (fb && fb.detail) return r2(fb.detail.closing_balance);
+  }
+  return null;
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to + 'T00:00:00Z') - new Date(from + 'T00:00:00Z')) / 86400000) + 1;
+}
+
+/**
+ * Engine input for one benefit row in a pay period.
+ *
+ * @param {object} row            - employee_fringe_benefits row
+ * @param {string} periodStart    - 'YYYY-MM-DD'
+ * @param {string} periodEnd      - 'YYYY-MM-DD'
+ * @param {number|null} [openingBalance] - loan balance brought forward
+ * @returns {object|null} null when the benefit does not apply to the period
+ */
+function toEngineBenefit(row, periodStart, periodEnd, openingBalance) {
+  if (!row.is_active) return null;
+  if (row.start_date > periodEnd || (row.end_date && row.end_date < periodStart)) return null;
+
+  const s = row.settings || {};
+  const benefit = { id: row.id, type: row.benefit_type, description: row.description || null, ...s };
+
+  if (row.benefit_type === 'low_interest_loan') {
+    const balance = openingBalance !== null && openingBalance !== undefined ? openingBalance : s.principal;
+    if (!(balance > 0)) return null;
+    benefit.balance = r2(balance);
+    delete benefit.principal;
+  }
+
+  if (row.benefit_type === 'company_car' || row.benefit_type === 'accommodation') {
+    const from = row.start_date > periodStart ? row.start_date : periodStart;
+    const to   = row.end_date && row.end_date < periodEnd ? row.end_date : periodEnd;
+    benefit.days_in_period = daysBetween(periodStart, periodEnd);
+    benefit.days_available = daysBetween(from, to);
+  }
+
+  return benefit;
+}
+
+// ─── DB ───────────────────────────────────────────────────────────────────────
+
+async function _loadEmployee(supabase, companyId, employeeId) {
+  const { data, error } = await supabase
+    .from('employees')
+    .select('id, classification')
+    .eq('company_id', companyId)
+    .eq('id', employeeId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch employee: ${error.message}`);
+  if (!data) throw serviceError(404, `Employee ${employeeId} not found`);
+  return data;
+}
+
+/** Benefit row with its employee ({ id, classification }) for visibility checks. */
+async function getBenefit(supabase, companyId, id) {
+  const { data, error } = await supabase
+    .from('employee_fringe_benefits')
+    .select(BENEFIT_COLUMNS)
+    .eq('company_id', companyId)
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch fringe benefit: ${error.message}`);
+  if (!data) throw serviceError(404, `Fringe benefit ${id} not found`);
+  data.employee = await _loadEmployee(supabase, companyId, data.employee_id);
+  return data;
+}
+
+async function listForEmployee(supabase, companyId, employeeId) {
+  const { data, error } = await supabase
+    .from('employee_fringe_benefits')
+    .select(BENEFIT_COLUMNS)
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .order('start_date', { ascending: false });
+  if (error) throw new Error(`Failed to fetch fringe benefits: ${error.message}`);
+  return data || [];
+}
+
+async function createBenefit(supabase, { companyId, employeeId, input, userId }) {
+  await _loadEmployee(supabase, companyId, employeeId);
+  const row = validateBenefit(input);
+  const { data, error } = await supabase
+    .from('employee_fringe_benefits')
+    .insert({ ...row, company_id: companyId, employee_id: employeeId, created_by: userId })
+    .select(BENEFIT_COLUMNS)
+    .single();
+  if (error) throw new Error(`Failed to create fringe benefit: ${error.message}`);
+  return data;
+}
+
+async function updateBenefit(supabase, { companyId, id, input }) {
+  const existing = await getBenefit(supabase, companyId, id);
+  const row = validateBenefit(input, existing);
+  delete row.benefit_type;
+  const { data, error } = await supabase
+    .from('employee_fringe_benefits')
+    .update({ ...row, updated_at: new Date().toISOString() })
+    .eq('company_id', companyId)
+    .eq('id', id)
+    .select(BENEFIT_COLUMNS)
+    .single();
+  if (error) throw new Error(`Failed to update fringe benefit: ${error.message}`);
+  return data;
+}
+
+/** Locked, non-reversed snapshots newest first — before beforePeriod when given. */
+async function _lockedSnapshots(supabase, companyId, employeeId, beforePeriod) {
+  let query = supabase
+    .from('payroll_snapshots')
+    .select('period_key, calculation_output, created_at')
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .eq('is_locked', true)
+    .neq('status', 'reversed');
+  if (beforePeriod) query = query.lt('period_key', beforePeriod);
+  const { data, error } = await query
+    .order('period_key', { ascending: false })
+    .order('created_at', { ascending: false });
+  if (error) throw new Error(`Failed to fetch prior snapshots: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * employeeOptions.fringeBenefits for an employee's pay period.
+ *
+ * @returns {Promise<object[]>} engine benefit inputs ([] when none apply)
+ */
+async function fetchForPeriod(supabase, { companyId, employeeId, periodKey, periodStart, periodEnd }) {
+  const { data, error } = await supabase
+    .from('employee_fringe_benefits')
+    .select(BENEFIT_COLUMNS)
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .eq('is_active', true);
+  if (error) {
+    // Migration 153 not run yet — no benefits can exist. Any other failure must
+    // stop the calculation: silently dropping a benefit under-deducts PAYE.
+    if (error.code === '42P01' || error.code === 'PGRST205') return [];
+    throw new Error(`Failed to fetch fringe benefits: ${error.message}`);
+  }
+
+  const rows = data || [];
+  let prior = null;
+  if (rows.some(r => r.benefit_type === 'low_interest_loan')) {
+    prior = await _lockedSnapshots(supabase, companyId, employeeId, periodKey);
+  }
+
+  return rows
+    .map(row => toEngineBenefit(
+      row, periodStart, periodEnd,
+      row.benefit_type === 'low_interest_loan' ? loanBalanceFromSnapshots(prior, row.id) : null
+    ))
+    .filter(Boolean);
+}
+
+/**
+ * Month-by-month balance of a loan benefit from the locked, non-reversed
+ * snapshots that valued it.
+ *
+ * @returns {Promise<object[]>} [{ period_key, opening_balance, interest_charged,
+ *                                repayment, closing_balance, official_rate, value }]
+ */
+async function loanBalanceHistory(supabase, companyId, benefit) {
+  if (benefit.benefit_type !== 'low_interest_loan') {
+    throw serviceError(409, 'Balance history is only kept for low_interest_loan benefits');
+  }
+  const snapshots = await _lockedSnapshots(supabase, companyId, benefit.employee_id, null);
+  const seen = new Set();
+  const rows = [];
+  for (const s of snapshots) {
+    if (seen.has(s.period_key)) continue; // newest snapshot per period only
+    seen.add(s.period_key);
+    const fb = ((s.calculation_output && s.calculation_output.fringeBenefits) || [])
+      .find(f => f.type === 'low_interest_loan' && String(f.id) === String(benefit.id));
+    if (!fb) continue;
+    rows.push({
+      period_key:       s.period_key,
+      opening_balance:  fb.detail.opening_balance,
+      interest_charged: fb.detail.interest_charged,
+      repayment:        fb.repayment,
+      closing_balance:  fb.detail.closing_balance,
+      official_rate:    fb.detail.official_rate,
+      value:            fb.value
+    });
+  }
+  return rows.reverse();
+}
+
+module.exports = {
+  BENEFIT_TYPES,
+  // Pure
+  validateBenefit,
+  loanBalanceFromSnapshots,
+  toEngineBenefit,
+  // DB
+  getBenefit,
+  listForEmployee,
+  createBenefit,
+  updateBenefit,
+  fetchForPeriod,
+  loanBalanceHistory
+};
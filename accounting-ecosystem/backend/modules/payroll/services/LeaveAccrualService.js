@@ -0,0 +1,755 @@
+/**
+ * ============================================================================
+ * LeaveAccrualService — Leave Accrual, BCEA Cycles and Leave Liability
+ * ============================================================================
+ * Purpose: Calculate annual, sick and family responsibility leave balances
+ * from the company's leave policy, the employee's hire date and approved
+ * leave_records, and value the annual leave liability for the month-end
+ * leave provision journal.
+ *
+ * Flow:
+ *   recalculateEmployee / recalculateCompany
+ *     leave_policies + employees + approved leave_records (+ attendance for
+ *     per-day-worked accrual) → calculateBalances → leave_balances (upsert)
+ *   liabilityReport  — annual balance at month end × daily rate, per employee
+ *   postLiability    — movement since the previous posting → posted journal
+ *                      (Dr leave expense / Cr leave provision) → leave_liability_postings
+ *
+ * RULES:
+ * 1. Annual leave (BCEA s20) accrues per calendar year, either monthly —
+ *    annual_days / 12 at each month end, pro-rated by days employed in the
+ *    first and last month — or 1 day per days_worked_per_leave_day days
+ *    worked (attendance present / late, half days count 0.5).
+ * 2. The year-end balance carries over up to carry_over_cap; the excess is
+ *    forfeited. Leave taken uses carried days first; carried days not taken
+ *    by the end of month forfeit_after_months are forfeited.
+ * 3. Sick leave (BCEA s22) runs in sick_cycle_months cycles from the hire
+ *    date. In the first six months it is 1 day per 26 days worked.
+ * 4. Family responsibility leave (BCEA s27) applies after four months'
+ *    service to employees working at least four days a week.
+ * 5. Approved leave counts against the balance of the year it starts in;
+ *    the liability report only counts leave started by the month end.
+ * 6. leave_balances is a calculated read model. opening_balance (annual) is
+ *    the only manual input — a take-on balance replacing the calculated
+ *    carry-forward for that year. Balances of terminated employees are not
+ *    recalculated (the leave was paid out by TerminationService).
+ * 7. Daily rate = monthly basic × 12 / 52 / days_per_week, as for the
+ *    termination leave payout. Negative balances carry no liability.
+ *
+ * MULTI-TENANT SAFETY:
+ * Every query filters on companyId. Journal accounts must belong to the company.
+ * ============================================================================
+ */
+
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+const DEFAULT_POLICY = {
+  annual_days:               15,
+  accrual_method:            'monthly',
+  days_worked_per_leave_day: 17,
+  carry_over_cap:            null,
+  forfeit_after_months:      6,
+  sick_days_per_cycle:       30,
+  sick_cycle_months:         36,
+  family_days:               3,
+  days_per_week:             5
+};
+
+const ACCRUAL_METHODS = ['monthly', 'per_day_worked'];
+
+const BALANCE_COLUMNS = [
+  'annual_entitlement', 'balance', 'carried_forward', 'accrued', 'taken', 'forfeited', 'cycle_start', 'cycle_end'
+];
+
+const WEEKS_PER_YEAR = 52;
+const DAY_MS = 86400000;
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+const _missing = error => error && (error.code === '42P01' || error.code === 'PGRST205');
+
+// ─── Pure helpers — exported for unit testing ─────────────────────────────────
+
+const _date = s => new Date(`${String(s).slice(0, 10)}T00:00:00Z`);
+const _iso = d => new Date(d).toISOString().slice(0, 10);
+
+/** Add calendar months, clamping to the last day of a shorter month. */
+function _addMonths(date, n) {
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth() + n;
+  const last = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m, Math.min(date.getUTCDate(), last)));
+}
+
+/** Completed months from start to end. */
+function _completedMonths(start, end) {
+  let months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + (end.getUTCMonth() - start.getUTCMonth());
+  if (end.getUTCDate() < start.getUTCDate()) months -= 1;
+  return Math.max(months, 0);
+}
+
+/** Working days from..to inclusive for a Monday-based working week. */
+function _workingDays(from, to, daysPerWeek) {
+  let count = 0;
+  for (let t = from.getTime(); t <= to.getTime(); t += DAY_MS) {
+    const mondayBased = (new Date(t).getUTCDay() + 6) % 7;
+    if (mondayBased < daysPerWeek) count++;
+  }
+  return count;
+}
+
+const _sumDays = rows => rows.reduce((s, r) => s + (parseFloat(r.days_taken) || 0), 0);
+
+/**
+ * Merge a leave_policies row (or request body) over the BCEA defaults.
+ * @throws when a value is out of range
+ */
+function normalisePolicy(input) {
+  const src = input || {};
+  const out = { ...DEFAULT_POLICY };
+  const num = (f, { min = 0, integer = false, nullable = false } = {}) => {
+    if (src[f] === undefined) return;
+    if (src[f] === null || src[f] === '') {
+      if (!nullable) throw serviceError(400, `${f} is required`);
+      out[f] = null;
+      return;
+    }
+    const n = Number(src[f]);
+    if (isNaN(n) || n < min || (integer && !Number.isInteger(n))) {
+      throw serviceError(400, `${f} must be ${integer ? 'an integer' : 'a number'} of at least ${min}`);
+    }
+    out[f] = n;
+  };
+  num('annual_days');
+  num('days_worked_per_leave_day', { min: 1 });
+  num('carry_over_cap', { nullable: true });
+  num('forfeit_after_months', { integer: true, nullable: true });
+  num('sick_days_per_cycle');
+  num('sick_cycle_months', { min: 1, integer: true });
+  num('family_days');
+  num('days_per_week', { min: 1 });
+  if (out.days_per_week > 7) throw serviceError(400, 'days_per_week must be between 1 and 7');
+  if (src.accrual_method !== undefined) {
+    if (!ACCRUAL_METHODS.includes(src.accrual_method)) {
+      throw serviceError(400, `accrual_method must be one of: ${ACCRUAL_METHODS.join(', ')}`);
+    }
+    out.accrual_method = src.accrual_method;
+  }
+  return out;
+}
+
+/**
+ * Annual leave accrued in a calendar year up to asOf under the monthly
+ * method. A month accrues at its end — or on the last day employed.
+ *
+ * @param {object} policy
+ * @param {{ hireDate?: string, terminationDate?: string }} employment
+ * @param {number} year
+ * @param {string} asOf - YYYY-MM-DD
+ */
+function monthlyAccrual(policy, { hireDate, terminationDate }, year, asOf) {
+  const hire = hireDate ? _date(hireDate).getTime() : null;
+  const term = terminationDate ? _date(terminationDate).getTime() : null;
+  const at = _date(asOf).getTime();
+  let accrued = 0;
+  for (let m = 0; m < 12; m++) {
+    const monthStart = Date.UTC(year, m, 1);
+    const monthEnd = Date.UTC(year, m + 1, 0);
+    const from = hire !== null ? Math.max(monthStart, hire) : monthStart;
+    const to = term !== null ? Math.min(monthEnd, term) : monthEnd;
+    if (to < from) continue;
+    if (at < to) break;
+    const daysInMonth = (monthEnd - monthStart) / DAY_MS + 1;
+    accrued += (policy.annual_days / 12) * ((to - from) / DAY_MS + 1) / daysInMonth;
+  }
+  return r2(accrued);
+}
+
+/**
+ * Annual leave for one year, rolled forward from the hire year (or the
+ * latest take-on opening balance).
+ *
+ * @param {object} p
+ * @param {object} p.policy       - normalisePolicy() result
+ * @param {object} p.employment   - { hireDate, terminationDate }
+ * @param {number} p.year
+ * @param {string} p.asOf         - YYYY-MM-DD within p.year
+ * @param {Array}  p.taken        - approved annual leave_records { start_date, days_taken }
+ * @param {object} [p.openings]   - { [year]: opening_balance }
+ * @param {object} [p.daysWorked] - { [year]: days } for per_day_worked accrual
+ * @returns {object} leave_balances-shaped annual row
+ */
+function annualLeave({ policy, employment, year, asOf, taken, openings = {}, daysWorked = {} }) {
+  const hireYear = employment.hireDate ? _date(employment.hireDate).getUTCFullYear() : year;
+  const entitlement = policy.accrual_method === 'per_day_worked'
+    ? policy.annual_days
+    : monthlyAccrual(policy, employment, year, `${year}-12-31`);
+  const empty = {
+    leave_type: 'annual', annual_entitlement: 0, carried_forward: 0, opening_balance: null,
+    accrued: 0, taken: 0, forfeited: 0, balance: 0, cycle_start: `${year}-01-01`, cycle_end: `${year}-12-31`
+  };
+  if (hireYear > year) return empty;
+
+  const openingYears = Object.keys(openings)
+    .map(Number)
+    .filter(y => y >= hireYear && y <= year && openings[y] !== null && openings[y] !== undefined);
+  const startYear = openingYears.length ? Math.max(...openingYears) : hireYear;
+
+  let closing = 0;
+  let row = empty;
+  for (let y = startYear; y <= year; y++) {
+    const at = y < year ? `${y}-12-31` : asOf;
+    const hasOpening = openings[y] !== null && openings[y] !== undefined;
+    let carried = 0;
+    let capForfeit = 0;
+    if (hasOpening) {
+      carried = r2(openings[y]);
+    } else if (y > startYear) {
+      carried = closing;
+      if (policy.carry_over_cap !== null && carried > policy.carry_over_cap) {
+        capForfeit = carried - policy.carry_over_cap;
+        carried = policy.carry_over_cap;
+      }
+    }
+
+    const accrued = policy.accrual_method === 'per_day_worked'
+      ? r2((parseFloat(daysWorked[y]) || 0) / policy.days_worked_per_leave_day)
+      : monthlyAccrual(policy, employment, y, at);
+
+    const inYear = taken.filter(t => String(t.start_date).slice(0, 4) === String(y));
+    let deadlineForfeit = 0;
+    if (carried > 0 && policy.forfeit_after_months !== null) {
+      const deadline = _iso(Date.UTC(y, policy.forfeit_after_months, 0));
+      if (at > deadline) {
+        const usedByDeadline = _sumDays(inYear.filter(t => String(t.start_date).slice(0, 10) <= deadline));
+        deadlineForfeit = Math.max(carried - usedByDeadline, 0);
+      }
+    }
+
+    const takenDays = _sumDays(inYear);
+    closing = r2(carried - deadlineForfeit + accrued - takenDays);
+    row = {
+      ...empty,
+      annual_entitlement: entitlement,
+      carried_forward:    r2(carried),
+      opening_balance:    hasOpening ? r2(openings[y]) : null,
+      accrued,
+      taken:              r2(takenDays),
+      forfeited:          r2(capForfeit + deadlineForfeit),
+      balance:            closing
+    };
+  }
+  return row;
+}
+
+/**
+ * Sick leave for the cycle containing asOf. Cycles run from the hire date.
+ * @returns {object} leave_balances-shaped sick row
+ */
+function sickLeave({ policy, employment, asOf, taken }) {
+  const at = _date(asOf);
+  const hire = employment.hireDate ? _date(employment.hireDate) : null;
+  let start = hire || new Date(Date.UTC(at.getUTCFullYear(), 0, 1));
+  let entitlement = policy.sick_days_per_cycle;
+  if (hire && hire > at) {
+    entitlement = 0;
+  } else if (hire) {
+    const cycle = Math.floor(_completedMonths(hire, at) / policy.sick_cycle_months);
+    start = _addMonths(hire, cycle * policy.sick_cycle_months);
+    if (at < _addMonths(hire, 6)) {
+      entitlement = Math.min(entitlement, Math.floor(_workingDays(hire, at, policy.days_per_week) / 26));
+    }
+  }
+  const end = new Date(_addMonths(start, policy.sick_cycle_months).getTime() - DAY_MS);
+  const cycleStart = _iso(start);
+  const cycleEnd = _iso(end);
+  const takenDays = r2(_sumDays(taken.filter(t => {
+    const d = String(t.start_date).slice(0, 10);
+    return d >= cycleStart && d <= cycleEnd;
+  })));
+  return {
+    leave_type: 'sick', annual_entitlement: entitlement, carried_forward: 0, opening_balance: null,
+    accrued: entitlement, taken: takenDays, forfeited: 0, balance: r2(entitlement - takenDays),
+    cycle_start: cycleStart, cycle_end: cycleEnd
+  };
+}
+
+/** Family responsibility leave for the calendar year. */
+function familyLeave({ policy, employment, year, asOf, taken }) {
+  const hire = employment.hireDate ? _date(employment.hireDate) : null;
+  const eligible = policy.days_per_week >= 4 && (!hire || _date(asOf) >= _addMonths(hire, 4));
+  const entitlement = eligible ? policy.family_days : 0;
+  const takenDays = r2(_sumDays(taken.filter(t => String(t.start_date).slice(0, 4) === String(year))));
+  return {
+    leave_type: 'family', annual_entitlement: entitlement, carried_forward: 0, opening_balance: null,
+    accrued: entitlement, taken: takenDays, forfeited: 0, balance: r2(entitlement - takenDays),
+    cycle_start: `${year}-01-01`, cycle_end: `${year}-12-31`
+  };
+}
+
+/**
+ * Annual, sick and family balances for one employee.
+ *
+ * @param {object} p
+ * @param {object} p.policy
+ * @param {object} p.employee   - employees row (hire_date, termination_date)
+ * @param {number} p.year
+ * @param {string} p.asOf
+ * @param {Array}  p.records    - the employee's leave_records (any status)
+ * @param {object} [p.openings]
+ * @param {object} [p.daysWorked]
+ * @returns {Array<object>} leave_balances-shaped rows
+ */
+function calculateBalances({ policy, employee, year, asOf, records, openings, daysWorked }) {
+  const employment = {
+    hireDate:        employee.hire_date ? String(employee.hire_date).slice(0, 10) : null,
+    terminationDate: employee.termination_date ? String(employee.termination_date).slice(0, 10) : null
+  };
+  const approved = (records || []).filter(r => r.status === 'approved');
+  const ofType = type => approved.filter(r => r.leave_type === type);
+  return [
+    annualLeave({ policy, employment, year, asOf, taken: ofType('annual'), openings, daysWorked }),
+    sickLeave({ policy, employment, asOf, taken: ofType('sick') }),
+    familyLeave({ policy, employment, year, asOf, taken: ofType('family') })
+  ];
+}
+
+/** Daily rate for leave: monthly basic × 12 / 52 / days per week. */
+function dailyRate(basicSalary, daysPerWeek) {
+  return r2((parseFloat(basicSalary) || 0) * 12 / WEEKS_PER_YEAR / (daysPerWeek || 5));
+}
+
+/**
+ * Leave liability lines and totals.
+ * @param {Array<{ employee_id, employee_name, days, basic_salary }>} rows
+ * @param {object} policy
+ */
+function liabilityLines(rows, policy) {
+  const lines = rows.map(r => {
+    const days = r2(r.days);
+    const rate = dailyRate(r.basic_salary, policy.days_per_week);
+    return {
+      employee_id:   r.employee_id,
+      employee_name: r.employee_name,
+      days,
+      daily_rate:    rate,
+      amount:        days > 0 ? r2(days * rate) : 0
+    };
+  });
+  return {
+    lines,
+    total_days:      r2(lines.reduce((s, l) => s + Math.max(l.days, 0), 0)),
+    total_liability: r2(lines.reduce((s, l) => s + l.amount, 0))
+  };
+}
+
+/**
+ * Journal lines for a movement in the leave provision. An increase is an
+ * expense; a decrease (leave taken or paid out) releases the provision.
+ */
+function provisionJournalLines({ movement, expenseAccountId, provisionAccountId, periodKey }) {
+  const amount = r2(Math.abs(movement));
+  if (!amount) return [];
+  const description = `Leave pay provision ${periodKey}`;
+  const debit = movement > 0 ? expenseAccountId : provisionAccountId;
+  const credit = movement > 0 ? provisionAccountId : expenseAccountId;
+  return [
+    { accountId: debit,  debit: amount, credit: 0,      description },
+    { accountId: credit, debit: 0,      credit: amount, description }
+  ];
+}
+
+// ─── DB ───────────────────────────────────────────────────────────────────────
+
+async function getPolicy(supabase, companyId) {
+  const { data, error } = await supabase
+    .from('leave_policies')
+    .select('*')
+    .eq('company_id', companyId)
+    .maybeSingle();
+  if (error && !_missing(error)) throw new Error(`Failed to fetch leave policy: ${error.message}`);
+  return { ...normalisePolicy(data || {}), is_default: !data };
+}
+
+async function savePolicy(supabase, { companyId, input, userId }) {
+  const current = await getPolicy(supabase, companyId);
+  const { is_default: _isDefault, ...base } = current;
+  const policy = normalisePolicy({ ...base, ...(input || {}) });
+  const { data, error } = await supabase
+    .from('leave_policies')
+    .upsert({
+      company_id: companyId,
+      ...policy,
+      updated_by: userId || null,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'company_id' })
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to save leave policy: ${error.message}`);
+  return { ...normalisePolicy(data), is_default: false };
+}
+
+/**
+ * Leave records, take-on balances and days worked for a set of employees.
+ * @returns {Promise<{ records: Map, openings: Map, daysWorked: Map }>}
+ */
+async function _loadLeaveData(supabase, companyId, employeeIds, policy) {
+  const records = new Map();
+  const openings = new Map();
+  const daysWorked = new Map();
+  if (!employeeIds.length) return { records, openings, daysWorked };
+
+  const { data: recs, error: rErr } = await supabase
+    .from('leave_records')
+    .select('employee_id, leave_type, start_date, end_date, days_taken, status')
+    .eq('company_id', companyId)
+    .eq('status', 'approved')
+    .in('employee_id', employeeIds);
+  if (rErr) throw new Error(`Failed to fetch leave records: ${rErr.message}`);
+  for (const r of recs || []) {
+    if (!records.has(r.employee_id)) records.set(r.employee_id, []);
+    records.get(r.employee_id).push(r);
+  }
+
+  const { data: opens, error: oErr } = await supabase
+    .from('leave_balances')
+    .select('employee_id, year, opening_balance')
+    .eq('company_id', companyId)
+    .eq('leave_type', 'annual')
+    .not('opening_balance', 'is', null)
+    .in('employee_id', employeeIds);
+  if (oErr && oErr.code !== '42703') throw new Error(`Failed to fetch opening balances: ${oErr.message}`);
+  for (const o of opens || []) {
+    if (!openings.has(o.employee_id)) openings.set(o.employee_id, {});
+    openings.get(o.employee_id)[o.year] = parseFloat(o.opening_balance);
+  }
+
+  if (policy.accrual_method === 'per_day_worked') {
+    const { data: att, error: aErr } = await supabase
+      .from('attendance')
+      .select('employee_id, attendance_date, status')
+      .eq('company_id', companyId)
+      .in('status', ['present', 'late', 'half_day'])
+      .in('employee_id', employeeIds);
+    if (aErr && !_missing(aErr)) throw new Error(`Failed to fetch attendance: ${aErr.message}`);
+    for (const a of att || []) {
+      const year = String(a.attendance_date).slice(0, 4);
+      if (!daysWorked.has(a.employee_id)) daysWorked.set(a.employee_id, {});
+      const byYear = daysWorked.get(a.employee_id);
+      byYear[year] = (byYear[year] || 0) + (a.status === 'half_day' ? 0.5 : 1);
+    }
+  }
+  return { records, openings, daysWorked };
+}
+
+/** Balances are as at today for the current year, or the year end for a past one. */
+function _asOfFor(year, employee) {
+  const today = new Date().toISOString().slice(0, 10);
+  let asOf = `${year}-12-31` < today ? `${year}-12-31` : today;
+  if (employee.termination_date && String(employee.termination_date).slice(0, 10) < asOf) {
+    asOf = String(employee.termination_date).slice(0, 10);
+  }
+  return asOf;
+}
+
+async function _writeBalances(supabase, companyId, year, byEmployee) {
+  const now = new Date().toISOString();
+  const rows = [];
+  for (const [employeeId, balances] of byEmployee) {
+    for (const b of balances) {
+      const row = { company_id: companyId, employee_id: employeeId, leave_type: b.leave_type, year, updated_at: now };
+      for (const col of BALANCE_COLUMNS) row[col] = b[col];
+      rows.push(row);
+    }
+  }
+  if (!rows.length) return;
+  const { error } = await supabase
+    .from('leave_balances')
+    .upsert(rows, { onConflict: 'company_id,employee_id,leave_type,year' });
+  if (error) throw new Error(`Failed to save leave balances: ${error.message}`);
+}
+
+async function _calculateFor(supabase, companyId, employees, year) {
+  const policy = await getPolicy(supabase, companyId);
+  const ids = employees.map(e => e.id);
+  const { records, openings, daysWorked } = await _loadLeaveData(supabase, companyId, ids, policy);
+  const byEmployee = new Map();
+  for (const emp of employees) {
+    byEmployee.set(emp.id, calculateBalances({
+      policy,
+      employee:   emp,
+      year,
+      asOf:       _asOfFor(year, emp),
+      records:    records.get(emp.id) || [],
+      openings:   openings.get(emp.id) || {},
+      daysWorked: daysWorked.get(emp.id) || {}
+    }));
+  }
+  return byEmployee;
+}
+
+/**
+ * Recalculate and store one employee's balances for a year.
+ * @returns {Promise<Array>} every leave_balances row for that year
+ */
+async function recalculateEmployee(supabase, { companyId, employeeId, year }) {
+  const { data: employee, error } = await supabase
+    .from('employees')
+    .select('id, hire_date, termination_date, employment_status')
+    .eq('company_id', companyId)
+    .eq('id', employeeId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch employee: ${error.message}`);
+  if (!employee) throw serviceError(404, `Employee ${employeeId} not found`);
+
+  if (employee.employment_status !== 'terminated') {
+    await _writeBalances(supabase, companyId, year, await _calculateFor(supabase, companyId, [employee], year));
+  }
+
+  const { data: rows, error: bErr } = await supabase
+    .from('leave_balances')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .eq('year', year);
+  if (bErr) throw new Error(`Failed to fetch leave balances: ${bErr.message}`);
+  return rows || [];
+}
+
+/** Recalculate every current employee's balances for a year. */
+async function recalculateCompany(supabase, { companyId, year }) {
+  const { data: employees, error } = await supabase
+    .from('employees')
+    .select('id, hire_date, termination_date, employment_status')
+    .eq('company_id', companyId);
+  if (error) throw new Error(`Failed to fetch employees: ${error.message}`);
+  const current = (employees || []).filter(e => e.employment_status !== 'terminated');
+  await _writeBalances(supabase, companyId, year, await _calculateFor(supabase, companyId, current, year));
+  return { year, employees: current.length };
+}
+
+/** Set (or clear, with null) an annual leave take-on balance, then recalculate. */
+async function setOpeningBalance(supabase, { companyId, employeeId, year, openingBalance }) {
+  const value = openingBalance === null || openingBalance === '' ? null : Number(openingBalance);
+  if (value !== null && isNaN(value)) throw serviceError(400, 'opening_balance must be a number or null');
+  const { error } = await supabase
+    .from('leave_balances')
+    .upsert({
+      company_id: companyId, employee_id: employeeId, leave_type: 'annual', year,
+      opening_balance: value === null ? null : r2(value), updated_at: new Date().toISOString()
+    }, { onConflict: 'company_id,employee_id,leave_type,year' });
+  if (error) throw new Error(`Failed to save opening balance: ${error.message}`);
+  return recalculateEmployee(supabase, { companyId, employeeId, year });
+}
+
+/**
+ * Annual leave balance on a date for one employee — used for the leave
+ * payout on termination, before the employee is marked terminated.
+ */
+async function annualBalanceAt(supabase, { companyId, employee, asOf }) {
+  const policy = await getPolicy(supabase, companyId);
+  const { records, openings, daysWorked } = await _loadLeaveData(supabase, companyId, [employee.id], policy);
+  const [annual] = calculateBalances({
+    policy,
+    employee: { ...employee, termination_date: asOf },
+    year:     parseInt(asOf.slice(0, 4), 10),
+    asOf,
+    records:    records.get(employee.id) || [],
+    openings:   openings.get(employee.id) || {},
+    daysWorked: daysWorked.get(employee.id) || {}
+  });
+  return annual;
+}
+
+async function _salaries(supabase, companyId, employees) {
+  const missing = employees.filter(e => !(parseFloat(e.basic_salary) || parseFloat(e.salary)));
+  const kv = new Map();
+  if (missing.length) {
+    // Same fallback as PayrollDataService: the employee page keeps payroll setup in the KV store
+    const { data } = await supabase
+      .from('payroll_kv_store_eco')
+      .select('key, value')
+      .eq('company_id', companyId)
+      .in('key', missing.map(e => `emp_payroll_${companyId}_${e.id}`));
+    for (const row of data || []) {
+      try {
+        const val = typeof row.value === 'string' ? JSON.parse(row.value) : row.value;
+        if (val && val.basic_salary) kv.set(row.key, parseFloat(val.basic_salary));
+      } catch (_err) { /* unreadable KV entry — no salary */ }
+    }
+  }
+  return e => parseFloat(e.basic_salary) || parseFloat(e.salary) || kv.get(`emp_payroll_${companyId}_${e.id}`) || 0;
+}
+
+async function _postings(supabase, companyId) {
+  const { data, error } = await supabase
+    .from('leave_liability_postings')
+    .select('id, period_key, as_of_date, employee_count, total_days, total_liability, previous_liability, movement, ' +
+            'expense_account_id, provision_account_id, journal_id, posted_by, posted_at')
+    .eq('company_id', companyId)
+    .order('period_key', { ascending: false });
+  if (error) {
+    if (_missing(error)) return [];
+    throw new Error(`Failed to fetch leave liability postings: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * Leave liability at the end of a month: each employee's annual leave
+ * balance (leave started by the month end) × daily rate.
+ */
+async function liabilityReport(supabase, { companyId, periodKey }) {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(periodKey || ''))) throw serviceError(400, 'period_key must be YYYY-MM');
+  const year = parseInt(periodKey.slice(0, 4), 10);
+  const asOf = _iso(Date.UTC(year, parseInt(periodKey.slice(5, 7), 10), 0));
+
+  const { data: all, error } = await supabase
+    .from('employees')
+    .select('*')
+    .eq('company_id', companyId);
+  if (error) throw new Error(`Failed to fetch employees: ${error.message}`);
+  const employees = (all || []).filter(e =>
+    (!e.hire_date || String(e.hire_date).slice(0, 10) <= asOf) &&
+    (!e.termination_date || String(e.termination_date).slice(0, 10) > asOf));
+
+  const policy = await getPolicy(supabase, companyId);
+  const { records, openings, daysWorked } = await _loadLeaveData(supabase, companyId, employees.map(e => e.id), policy);
+  const salaryOf = await _salaries(supabase, companyId, employees);
+
+  const rows = employees.map(emp => {
+    const started = (records.get(emp.id) || []).filter(r => String(r.start_date).slice(0, 10) <= asOf);
+    const [annual] = calculateBalances({
+      policy, employee: emp, year, asOf, records: started,
+      openings: openings.get(emp.id) || {}, daysWorked: daysWorked.get(emp.id) || {}
+    });
+    return {
+      employee_id:   emp.id,
+      employee_name: `${emp.first_name || ''} ${emp.last_name || ''}`.trim(),
+      days:          annual.balance,
+      basic_salary:  salaryOf(emp)
+    };
+  });
+  const { lines, total_days, total_liability } = liabilityLines(rows, policy);
+
+  const postings = await _postings(supabase, companyId);
+  const posted = postings.find(p => p.period_key === periodKey) || null;
+  const previous = postings.find(p => p.period_key < periodKey) || null;
+  const previousLiability = previous ? r2(previous.total_liability) : 0;
+
+  return {
+    period_key:         periodKey,
+    as_of_date:         asOf,
+    days_per_week:      policy.days_per_week,
+    employee_count:     lines.length,
+    lines,
+    total_days,
+    total_liability,
+    previous_period:    previous ? previous.period_key : null,
+    previous_liability: previousLiability,
+    movement:           r2(total_liability - previousLiability),
+    posted,
+    default_accounts:   previous
+      ? { expense_account_id: previous.expense_account_id, provision_account_id: previous.provision_account_id }
+      : null
+  };
+}
+
+/**
+ * Post the month's movement in the leave provision to accounting.
+ * One posting per month, in month order.
+ */
+async function postLiability(supabase, { companyId, periodKey, expenseAccountId, provisionAccountId, userId }) {
+  const report = await liabilityReport(supabase, { companyId, periodKey });
+  if (report.posted) throw serviceError(409, `The leave liability for ${periodKey} is already posted`);
+  const later = (await _postings(supabase, companyId)).find(p => p.period_key > periodKey);
+  if (later) throw serviceError(409, `Cannot post ${periodKey}: a later month (${later.period_key}) is already posted`);
+
+  const defaults = report.default_accounts || {};
+  const expenseId = parseInt(expenseAccountId || defaults.expense_account_id, 10);
+  const provisionId = parseInt(provisionAccountId || defaults.provision_account_id, 10);
+  if (!expenseId || !provisionId) throw serviceError(400, 'expense_account_id and provision_account_id are required');
+  if (expenseId === provisionId) throw serviceError(400, 'expense_account_id and provision_account_id must be different accounts');
+
+  const { data: accounts, error: aErr } = await supabase
+    .from('accounts')
+    .select('id')
+    .eq('company_id', companyId)
+    .in('id', [expenseId, provisionId]);
+  if (aErr) throw new Error(`Failed to verify accounts: ${aErr.message}`);
+  if (!accounts || accounts.length < 2) throw serviceError(400, 'Both ledger accounts must be accounts of this company');
+
+  let journal = null;
+  const lines = provisionJournalLines({
+    movement: report.movement, expenseAccountId: expenseId, provisionAccountId: provisionId, periodKey
+  });
+  if (lines.length) {
+    // Loaded here so the pure helpers can be used without a database connection
+    const JournalService = require('../../accounting/services/journalService');
+    journal = await JournalService.createDraftJournal({
+      companyId,
+      date:            report.as_of_date,
+      reference:       `LEAVE-${periodKey}`,
+      description:     `Leave pay provision ${periodKey}`,
+      sourceType:      'leave_provision',
+      createdByUserId: userId,
+      lines,
+      metadata:        { leave_liability_period: periodKey, total_liability: report.total_liability }
+    });
+    await JournalService.postJournal(journal.id, companyId, userId);
+  }
+
+  const { data: posting, error } = await supabase
+    .from('leave_liability_postings')
+    .insert({
+      company_id:           companyId,
+      period_key:           periodKey,
+      as_of_date:           report.as_of_date,
+      employee_count:       report.employee_count,
+      total_days:           report.total_days,
+      total_liability:      report.total_liability,
+      previous_liability:   report.previous_liability,
+      movement:             report.movement,
+      expense_account_id:   expenseId,
+      provision_account_id: provisionId,
+      journal_id:           journal ? journal.id : null,
+      lines:                report.lines,
+      posted_by:            userId || null
+    })
+    .select()
+    .single();
+  if (error) {
+    if (error.code === '23505') throw serviceError(409, `The leave liability for ${periodKey} is already posted`);
+    throw new Error(`Failed to record leave liability posting: ${error.message}`);
+  }
+  return { posting, journal_id: journal ? journal.id : null };
+}
+
+async function listPostings(supabase, companyId) {
+  return _postings(supabase, companyId);
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  ACCRUAL_METHODS,
+  // Pure
+  normalisePolicy,
+  monthlyAccrual,
+  annualLeave,
+  sickLeave,
+  familyLeave,
+  calculateBalances,
+  dailyRate,
+  liabilityLines,
+  provisionJournalLines,
+  // DB
+  getPolicy,
+  savePolicy,
+  recalculateEmployee,
+  recalculateCompany,
+  setOpeningBalance,
+  annualBalanceAt,
+  liabilityReport,
+  postLiability,
+  listPostings
+};
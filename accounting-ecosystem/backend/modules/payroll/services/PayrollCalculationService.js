@@ -316,6 +316,7 @@ function formatForResponse(result) {
       medicalCredit: result.medicalCredit,
       overtimeAmount: result.overtimeAmount,
       shortTimeAmount: result.shortTimeAmount,
+      multiRateAmount: result.multiRateAmount,
 
       // Pro-rata fields (additive, if present)
       ...(result.prorataFactor !== undefined && {
@@ -357,6 +358,7 @@ function formatError(error) {
 
 module.exports = {
   calculate,
+  buildEffectiveTables,
   validateOutput,
   formatForResponse,
   formatError,
@@ -0,0 +1,470 @@
+/**
+ * ============================================================================
+ * PayrollComparisonService — Run-to-Run Variance Explainer
+ * ============================================================================
+ * Purpose: Show reviewers, before they finalize, why a run differs from the
+ * last one — per employee and per payslip line, each difference with a
+ * plain-language reason — and export the result as an XLSX workbook.
+ *
+ * Flow:
+ *   compareRun      — snapshots of the current period (draft or finalized)
+ *                     and the base period (default: the last finalized period
+ *                     before it) → compareRuns + SEAN pre-flight flags
+ *   compareRuns     — per-employee compareEmployee + run totals
+ *   toWorkbook      — comparison → XLSX (Summary, Employees, Line items, Reasons)
+ *
+ * RULES:
+ * 1. Read-only: snapshots are compared as stored; nothing is recalculated.
+ * 2. Payslip lines come from SelfServiceService.payslipLines, so the lines
+ *    compared are the lines the employee sees and always reconcile to net.
+ * 3. Reasons are derived from the snapshot input and engine output fields
+ *    (basic_salary, regular_inputs, currentInputs, overtime / multi-rate /
+ *    short-time amounts, prorataFactor, marginal_rate, rebate, medicalCredit,
+ *    tax_year); a PAYE change is always explained against the change in
+ *    taxable income.
+ * 4. Employee visibility scoping applies — the caller passes a canView
+ *    predicate and snapshots of hidden employees are dropped before comparing.
+ *
+ * MULTI-TENANT SAFETY:
+ * Every query filters on companyId.
+ * ============================================================================
+ */
+
+const XLSX = require('xlsx');
+const PayrollIntelligence = require('../../../sean/payroll-intelligence');
+const PayrollHistoryService = require('./PayrollHistoryService');
+const { payslipLines } = require('./SelfServiceService');
+
+// Run-level figures compared per employee and in total
+const FIGURES = ['gross', 'taxableGross', 'paye', 'uif', 'deductions', 'net', 'uif_employer', 'sdl'];
+
+// SEAN pre-flight checks that describe the run itself (the rest are calendar / mock checks)
+const SEAN_FLAGS = ['UNUSUAL_OVERTIME', 'SALARY_MISMATCH', 'MISSING_DEDUCTIONS', 'DUPLICATE_EMPLOYEES'];
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+// ─── Pure helpers — exported for unit testing ─────────────────────────────────
+
+/** R1,234.56 — fixed format so the reasons read the same on every server locale. */
+function rand(n) {
+  const v = Math.abs(r2(n)).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return `${r2(n) < 0 ? '-' : ''}R${v}`;
+}
+
+const _upDown = n => (n > 0 ? 'up' : 'down');
+const _name = e => (e ? `${e.first_name || ''} ${e.last_name || ''}`.trim() : '');
+
+function _figures(snapshot) {
+  const out = (snapshot && snapshot.calculation_output) || {};
+  const figures = { basic_salary: r2(snapshot && (snapshot.calculation_input || {}).basic_salary) };
+  FIGURES.forEach(f => { figures[f] = r2(out[f]); });
+  return figures;
+}
+
+/** description → amount for one group of inputs, summing duplicates. */
+function _items(list, amountOf) {
+  const map = new Map();
+  for (const i of list || []) {
+    const key = String(i.description || i.name || 'Item').trim();
+    const amount = amountOf(i);
+    if (!amount) continue;
+    const prev = map.get(key) || { amount: 0, deduction: false };
+    map.set(key, { amount: r2(prev.amount + amount), deduction: i.type === 'deduction' || i.item_type === 'deduction' });
+  }
+  return map;
+}
+
+function _lineMap(snapshot) {
+  const map = new Map();
+  if (!snapshot) return map;
+  const p = payslipLines(snapshot);
+  for (const [section, lines] of [['earnings', p.earnings], ['deductions', p.deductions], ['employer', p.employer]]) {
+    for (const l of lines) {
+      const key = `${section}|${l.description}`;
+      map.set(key, r2((map.get(key) || 0) + l.amount));
+    }
+  }
+  return map;
+}
+
+/**
+ * Compare one employee's snapshots.
+ *
+ * @param {object|null} base     - snapshot in the base period
+ * @param {object|null} current  - snapshot in the current period
+ * @param {object} [ctx]
+ * @param {object} [ctx.employee]      - employees row (names, start / termination dates)
+ * @param {string} [ctx.basePeriod]
+ * @param {string} [ctx.currentPeriod]
+ * @returns {{ employee_id, status, base, current, delta, lines[], reasons[] }}
+ */
+function compareEmployee(base, current, ctx = {}) {
+  const employee = ctx.employee || null;
+  const basePeriod = ctx.basePeriod || (base && base.period_key) || 'the base period';
+  const currentPeriod = ctx.currentPeriod || (current && current.period_key) || 'this period';
+  const b = base ? _figures(base) : null;
+  const c = current ? _figures(current) : null;
+  const delta = {};
+  for (const f of ['basic_salary', ...FIGURES]) delta[f] = r2((c ? c[f] : 0) - (b ? b[f] : 0));
+
+  const reasons = [];
+  const add = (code, message) => reasons.push({ code, message });
+
+  const baseLines = _lineMap(base);
+  const currentLines = _lineMap(current);
+  const lines = [];
+  for (const key of new Set([...baseLines.keys(), ...currentLines.keys()])) {
+    const [section, description] = key.split('|');
+    const bv = baseLines.has(key) ? baseLines.get(key) : null;
+    const cv = currentLines.has(key) ? currentLines.get(key) : null;
+    const d = r2((cv || 0) - (bv || 0));
+    if (!d && bv !== null && cv !== null) continue;
+    lines.push({
+      section, description, base: bv, current: cv, delta: d,
+      change: bv === null ? 'new' : cv === null ? 'removed' : 'changed'
+    });
+  }
+
+  let status;
+  if (!base) {
+    status = 'new';
+    const start = employee && employee.start_date ? ` (started ${String(employee.start_date).slice(0, 10)})` : '';
+    add('NEW_EMPLOYEE', `New on the payroll — no payslip in ${basePeriod}${start}.`);
+  } else if (!current) {
+    status = 'terminated';
+    const end = employee && employee.termination_date
+      ? `Terminated on ${String(employee.termination_date).slice(0, 10)}`
+      : `No payslip in ${currentPeriod}`;
+    add('TERMINATED', `${end} — net pay of ${rand(b.net)} in ${basePeriod} falls away.`);
+  } else {
+    status = FIGURES.some(f => delta[f]) || delta.basic_salary || lines.length ? 'changed' : 'unchanged';
+  }
+
+  if (base && current) {
+    const bi = base.calculation_input || {};
+    const ci = current.calculation_input || {};
+    const bo = base.calculation_output || {};
+    const co = current.calculation_output || {};
+
+    if (delta.basic_salary) {
+      const pct = b.basic_salary ? ` (${delta.basic_salary > 0 ? '+' : ''}${r2(delta.basic_salary / b.basic_salary * 100)}%)` : '';
+      add('SALARY_CHANGE', `Basic salary changed from ${rand(b.basic_salary)} to ${rand(c.basic_salary)}${pct}.`);
+    }
+
+    const bf = bo.prorataFactor != null ? parseFloat(bo.prorataFactor) : 1;
+    const cf = co.prorataFactor != null ? parseFloat(co.prorataFactor) : 1;
+    if (Math.abs(bf - cf) >= 0.0001) {
+      add('PRO_RATA', cf < 1
+        ? `Salary pro-rated to ${r2(cf * 100)}% of the period (${r2(co.workedHoursInPeriod)} of ${r2(co.expectedHoursInPeriod)} hours).`
+        : `Full month this period — ${basePeriod} was pro-rated to ${r2(bf * 100)}%.`);
+    }
+
+    const basic = p => parseFloat(p.basic_salary) || 0;
+    const amountOf = inp => i => (i.is_percentage && i.percentage_value
+      ? r2((i.percentage_value / 100) * basic(inp))
+      : r2(i.amount));
+    const bReg = _items(bi.regular_inputs, amountOf(bi));
+    const cReg = _items(ci.regular_inputs, amountOf(ci));
+    for (const key of new Set([...bReg.keys(), ...cReg.keys()])) {
+      const x = bReg.get(key);
+      const y = cReg.get(key);
+      const kind = (y || x).deduction ? 'deduction' : 'earning';
+      if (!x) add('REGULAR_ITEM', `Recurring ${kind} "${key}" of ${rand(y.amount)} added.`);
+      else if (!y) add('REGULAR_ITEM', `Recurring ${kind} "${key}" of ${rand(x.amount)} removed.`);
+      else if (x.amount !== y.amount) add('REGULAR_ITEM', `Recurring ${kind} "${key}" changed from ${rand(x.amount)} to ${rand(y.amount)}.`);
+    }
+
+    const bOnce = _items(bi.currentInputs, i => r2(i.amount));
+    const cOnce = _items(ci.currentInputs, i => r2(i.amount));
+    for (const [key, y] of cOnce) {
+      add('ONCE_OFF', `Once-off ${y.deduction ? 'deduction' : 'earning'} "${key}" of ${rand(y.amount)} this period.`);
+    }
+    for (const [key, x] of bOnce) {
+      if (!cOnce.has(key)) add('ONCE_OFF', `Once-off "${key}" of ${rand(x.amount)} in ${basePeriod} is not repeated.`);
+    }
+
+    for (const [field, code, label] of [
+      ['overtimeAmount', 'OVERTIME', 'Overtime'],
+      ['multiRateAmount', 'OVERTIME', 'Sunday / public holiday and other multi-rate pay'],
+      ['shortTimeAmount', 'SHORT_TIME', 'Short time'],
+      ['deduction_orders_total', 'DEDUCTION_ORDERS', 'Loan and garnishee deductions']
+    ]) {
+      const x = r2(bo[field]);
+      const y = r2(co[field]);
+      if (x !== y) add(code, `${label} ${_upDown(y - x)} from ${rand(x)} to ${rand(y)}.`);
+    }
+    if (co.severance && parseFloat(co.severance.amount)) {
+      add('SEVERANCE', `Severance benefit of ${rand(co.severance.amount)} taxed by directive (${rand(co.severance.tax)}).`);
+    }
+
+    if (co.marginal_rate && bo.marginal_rate && co.marginal_rate !== bo.marginal_rate) {
+      add('TAX_BRACKET', `Moved from the ${bo.marginal_rate} to the ${co.marginal_rate} tax bracket ` +
+                         `(${co.marginal_bracket || 'annualised income'}).`);
+    }
+    if (co.tax_year && bo.tax_year && co.tax_year !== bo.tax_year) {
+      add('TAX_YEAR', `New tax year — ${co.tax_year} tables replace ${bo.tax_year}.`);
+    }
+    if (r2(co.rebate) !== r2(bo.rebate) && co.tax_year === bo.tax_year) {
+      add('REBATE', `Age rebate changed from ${rand(bo.rebate)} to ${rand(co.rebate)} a month.`);
+    }
+    if (r2(co.medicalCredit) !== r2(bo.medicalCredit)) {
+      add('MEDICAL_CREDIT', `Medical tax credit changed from ${rand(bo.medicalCredit)} to ${rand(co.medicalCredit)}.`);
+    }
+    if (r2(co.voluntary_overdeduction) !== r2(bo.voluntary_overdeduction)) {
+      add('VOLUNTARY_TAX', `Voluntary additional tax changed from ${rand(bo.voluntary_overdeduction)} to ${rand(co.voluntary_overdeduction)}.`);
+    }
+
+    if (delta.paye) {
+      const why = delta.taxableGross
+        ? `taxable income ${_upDown(delta.taxableGross)} ${rand(Math.abs(delta.taxableGross))}`
+        : 'taxable income unchanged — year-to-date, rebate or table effect';
+      add('PAYE_DELTA', `PAYE ${_upDown(delta.paye)} ${rand(Math.abs(delta.paye))} (${why}).`);
+    }
+    if (delta.net && !reasons.length) {
+      add('NET_DELTA', `Net pay ${_upDown(delta.net)} ${rand(Math.abs(delta.net))} — see the line items.`);
+    }
+  }
+
+  return {
+    employee_id:   (current || base).employee_id,
+    employee_code: employee ? employee.employee_code || null : null,
+    employee_name: _name(employee),
+    status,
+    base:          b,
+    current:       c,
+    delta,
+    lines:         lines.sort((x, y) => x.section.localeCompare(y.section) || x.description.localeCompare(y.description)),
+    reasons
+  };
+}
+
+/**
+ * Compare two runs.
+ *
+ * @param {Array} baseSnapshots
+ * @param {Array} currentSnapshots
+ * @param {object} ctx
+ * @param {string} ctx.basePeriod
+ * @param {string} ctx.currentPeriod
+ * @param {Map}    [ctx.employees] - id → employees row
+ * @returns {{ base_period, current_period, totals, counts, employees[] }}
+ */
+function compareRuns(baseSnapshots, currentSnapshots, { basePeriod, currentPeriod, employees = new Map() }) {
+  // Latest snapshot per employee (listSnapshots is ordered by created_at)
+  const latest = list => new Map((list || []).map(s => [s.employee_id, s]));
+  const bMap = latest(baseSnapshots);
+  const cMap = latest(currentSnapshots);
+
+  const rows = [...new Set([...bMap.keys(), ...cMap.keys()])].map(id => compareEmployee(
+    bMap.get(id) || null, cMap.get(id) || null, { employee: employees.get(id), basePeriod, currentPeriod }
+  ));
+  const order = { new: 0, terminated: 1, changed: 2, unchanged: 3 };
+  rows.sort((x, y) => order[x.status] - order[y.status] ||
+    Math.abs(y.delta.net) - Math.abs(x.delta.net) || x.employee_id - y.employee_id);
+
+  const totals = { base: { headcount: bMap.size }, current: { headcount: cMap.size }, delta: {} };
+  for (const f of FIGURES) {
+    totals.base[f] = r2(rows.reduce((s, r) => s + (r.base ? r.base[f] : 0), 0));
+    totals.current[f] = r2(rows.reduce((s, r) => s + (r.current ? r.current[f] : 0), 0));
+    totals.delta[f] = r2(totals.current[f] - totals.base[f]);
+  }
+  totals.delta.headcount = cMap.size - bMap.size;
+
+  const counts = { new: 0, terminated: 0, changed: 0, unchanged: 0 };
+  rows.forEach(r => { counts[r.status]++; });
+
+  return { base_period: basePeriod, current_period: currentPeriod, totals, counts, employees: rows };
+}
+
+/**
+ * SEAN pre-flight flags for the current run, keyed by employee id.
+ * PayrollIntelligence reads payroll_transactions-shaped rows, so each
+ * snapshot is handed over in that shape.
+ *
+ * @param {object} period - payroll_periods row { id, start_date, end_date }
+ * @returns {Promise<Map>} employee id → [{ type, severity, message }]
+ */
+async function seanFlags(companyId, currentSnapshots, employees, period) {
+  const flags = new Map();
+  if (!period) return flags;
+  const list = [...employees.values()].map(e => ({
+    ...e, company_id: companyId, is_active: e.is_active !== false, full_name: _name(e),
+    basic_salary: parseFloat(e.basic_salary) || 0
+  }));
+  const transactions = (currentSnapshots || []).map(s => ({
+    company_id:   companyId,
+    period_id:    period.id,
+    employee_id:  s.employee_id,
+    basic_salary: r2((s.calculation_input || {}).basic_salary),
+    gross_pay:    r2((s.calculation_output || {}).gross),
+    paye:         r2((s.calculation_output || {}).paye),
+    uif:          r2((s.calculation_output || {}).uif)
+  }));
+  const sean = new PayrollIntelligence(companyId, null, {
+    employees: list,
+    payrollPeriods: [period],
+    payrollTransactions: transactions,
+    leaveRecords: []
+  });
+  const checks = await sean.preflightChecks(period.id);
+
+  for (const check of [...checks.errors, ...checks.warnings]) {
+    if (!SEAN_FLAGS.includes(check.type)) continue;
+    for (const emp of check.employees || []) {
+      if (!flags.has(emp.id)) flags.set(emp.id, []);
+      flags.get(emp.id).push({ type: check.type, severity: check.severity, message: check.message });
+    }
+  }
+  return flags;
+}
+
+/**
+ * Workbook with four sheets: Summary, Employees, Line items, Reasons.
+ * @returns {Buffer} .xlsx
+ */
+function toWorkbook(comparison) {
+  const { base_period: bp, current_period: cp, totals, counts, employees } = comparison;
+  const wb = XLSX.utils.book_new();
+  const label = { gross: 'Gross', taxableGross: 'Taxable income', paye: 'PAYE', uif: 'UIF (employee)',
+    deductions: 'Other deductions', net: 'Net pay', uif_employer: 'UIF (employer)', sdl: 'SDL' };
+
+  const summary = [
+    ['Payroll run comparison'],
+    [],
+    ['', bp, cp, 'Change'],
+    ['Headcount', totals.base.headcount, totals.current.headcount, totals.delta.headcount],
+    ...FIGURES.map(f => [label[f], totals.base[f], totals.current[f], totals.delta[f]]),
+    [],
+    ['New employees', counts.new],
+    ['Not paid this period', counts.terminated],
+    ['Changed', counts.changed],
+    ['Unchanged', counts.unchanged]
+  ];
+  const ws1 = XLSX.utils.aoa_to_sheet(summary);
+  ws1['!cols'] = [{ wch: 24 }, { wch: 14 }, { wch: 14 }, { wch: 14 }];
+  XLSX.utils.book_append_sheet(wb, ws1, 'Summary');
+
+  const v = (r, side, f) => (r[side] ? r[side][f] : null);
+  const ws2 = XLSX.utils.aoa_to_sheet([
+    ['Employee no.', 'Name', 'Status',
+      `Basic ${bp}`, `Basic ${cp}`, `Gross ${bp}`, `Gross ${cp}`, 'Gross change',
+      `PAYE ${bp}`, `PAYE ${cp}`, 'PAYE change', `Net ${bp}`, `Net ${cp}`, 'Net change', 'Reasons', 'Flags'],
+    ...employees.map(r => [
+      r.employee_code || r.employee_id, r.employee_name, r.status,
+      v(r, 'base', 'basic_salary'), v(r, 'current', 'basic_salary'),
+      v(r, 'base', 'gross'), v(r, 'current', 'gross'), r.delta.gross,
+      v(r, 'base', 'paye'), v(r, 'current', 'paye'), r.delta.paye,
+      v(r, 'base', 'net'), v(r, 'current', 'net'), r.delta.net,
+      r.reasons.map(x => x.message).join(' '),
+      (r.flags || []).map(x => x.message).join('; ')
+    ])
+  ]);
+  ws2['!cols'] = [{ wch: 12 }, { wch: 24 }, { wch: 11 }, ...Array(11).fill({ wch: 13 }), { wch: 80 }, { wch: 40 }];
+  XLSX.utils.book_append_sheet(wb, ws2, 'Employees');
+
+  const ws3 = XLSX.utils.aoa_to_sheet([
+    ['Employee no.', 'Name', 'Section', 'Item', bp, cp, 'Change'],
+    ...employees.flatMap(r => r.lines.map(l => [
+      r.employee_code || r.employee_id, r.employee_name, l.section, l.description, l.base, l.current, l.delta
+    ]))
+  ]);
+  ws3['!cols'] = [{ wch: 12 }, { wch: 24 }, { wch: 11 }, { wch: 32 }, { wch: 13 }, { wch: 13 }, { wch: 13 }];
+  XLSX.utils.book_append_sheet(wb, ws3, 'Line items');
+
+  const ws4 = XLSX.utils.aoa_to_sheet([
+    ['Employee no.', 'Name', 'Code', 'Explanation'],
+    ...employees.flatMap(r => [
+      ...r.reasons.map(x => [r.employee_code || r.employee_id, r.employee_name, x.code, x.message]),
+      ...(r.flags || []).map(x => [r.employee_code || r.employee_id, r.employee_name, `SEAN_${x.type}`, x.message])
+    ])
+  ]);
+  ws4['!cols'] = [{ wch: 12 }, { wch: 24 }, { wch: 18 }, { wch: 100 }];
+  XLSX.utils.book_append_sheet(wb, ws4, 'Reasons');
+
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// ─── DB ───────────────────────────────────────────────────────────────────────
+
+/** The latest period before periodKey with a finalized payslip. */
+async function lastFinalizedPeriod(supabase, companyId, periodKey) {
+  const { data, error } = await supabase
+    .from('payroll_snapshots')
+    .select('period_key')
+    .eq('company_id', companyId)
+    .eq('is_locked', true)
+    .neq('status', 'reversed')
+    .lt('period_key', periodKey)
+    .order('period_key', { ascending: false })
+    .limit(1);
+  if (error) throw new Error(`Failed to find the last finalized period: ${error.message}`);
+  return data && data.length ? data[0].period_key : null;
+}
+
+/**
+ * Compare a period's run with a base period.
+ *
+ * @param {object} p
+ * @param {number} p.companyId
+ * @param {string} p.periodKey       - the run under review (draft or finalized)
+ * @param {string} [p.basePeriodKey] - default: the last finalized period before periodKey
+ * @param {Function} [p.canView]     - employees row → boolean (visibility)
+ * @returns {Promise<object>} compareRuns result with flags on each employee
+ */
+async function compareRun(supabase, { companyId, periodKey, basePeriodKey, canView }) {
+  const periodRe = /^\d{4}-(0[1-9]|1[0-2])$/;
+  if (!periodKey || !periodRe.test(String(periodKey))) throw new Error('period_key is required (YYYY-MM)');
+  if (basePeriodKey && !periodRe.test(String(basePeriodKey))) throw new Error('base_period_key must be YYYY-MM');
+  if (basePeriodKey === periodKey) throw new Error('base_period_key must be a different period');
+
+  const basePeriod = basePeriodKey || await lastFinalizedPeriod(supabase, companyId, periodKey);
+  if (!basePeriod) throw new Error(`No finalized period before ${periodKey} found to compare with`);
+
+  const [baseSnapshots, currentSnapshots] = await Promise.all([
+    PayrollHistoryService.listSnapshots(supabase, companyId, basePeriod),
+    PayrollHistoryService.listSnapshots(supabase, companyId, periodKey)
+  ]);
+  if (!currentSnapshots.length) throw new Error(`No payroll run found for ${periodKey} — run payroll first`);
+
+  const { data: rows, error } = await supabase
+    .from('employees')
+    .select('*')
+    .eq('company_id', companyId);
+  if (error) throw new Error(`Failed to fetch employees: ${error.message}`);
+  const employees = new Map((rows || []).filter(e => !canView || canView(e)).map(e => [e.id, e]));
+  const visible = list => list.filter(s => employees.has(s.employee_id));
+
+  const { data: period } = await supabase
+    .from('payroll_periods')
+    .select('id, start_date, end_date')
+    .eq('company_id', companyId)
+    .eq('period_key', periodKey)
+    .maybeSingle();
+
+  const comparison = compareRuns(visible(baseSnapshots), visible(currentSnapshots), {
+    basePeriod, currentPeriod: periodKey, employees
+  });
+  const current = visible(currentSnapshots);
+  comparison.current_status = current.every(s => s.is_locked) ? 'finalized' : 'draft';
+
+  let flags = new Map();
+  try {
+    flags = await seanFlags(companyId, current, employees, period || null);
+  } catch (err) {
+    console.warn('[PayrollComparison] SEAN flags unavailable:', err.message);
+  }
+  comparison.employees.forEach(r => { r.flags = flags.get(r.employee_id) || []; });
+  return comparison;
+}
+
+module.exports = {
+  // Pure
+  rand,
+  compareEmployee,
+  compareRuns,
+  seanFlags,
+  toWorkbook,
+  // DB
+  lastFinalizedPeriod,
+  compareRun
+};
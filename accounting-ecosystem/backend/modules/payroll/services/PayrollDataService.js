@@ -25,6 +25,9 @@
  */
 
 const PayrollEngine = require('../../../core/payroll-engine');
+const FringeBenefitService = require('./FringeBenefitService');
+const DeductionOrderService = require('./DeductionOrderService');
+const RetroPayService = require('./RetroPayService');
 
 /**
  * Fetch and normalize complete payroll calculation input for an employee/period.
@@ -129,6 +132,37 @@ async function fetchCalculationInputs(companyId, employeeId, periodKey, supabase
   // Attach YTD data (set after normalizeCalculationInput which defaults this to null)
   normalizedInput.ytdData = ytdData;
 
+  // Step 8: Employment Tax Incentive settings (employee_eti). null = employer
+  // is not claiming ETI for this employee — the engine then returns eti = 0.
+  normalizedInput.employeeOptions.eti = await fetchEtiOptions(companyId, employee, periodKey, supabase);
+
+  // Step 9: Taxable fringe benefits (employee_fringe_benefits). Loan balances
+  // open on the latest locked snapshot's closing balance.
+  normalizedInput.employeeOptions.fringeBenefits = await FringeBenefitService.fetchForPeriod(supabase, {
+    companyId,
+    employeeId,
+    periodKey,
+    periodStart: period.start_date,
+    periodEnd:   period.end_date
+  });
+
+  // Step 10: Staff loans and garnishee orders (employee_deduction_orders) with a
+  // balance left. Loans below the official rate also carry a 3807 benefit.
+  const deductionOrders = await DeductionOrderService.fetchForPeriod(supabase, {
+    companyId,
+    employeeId,
+    periodKey,
+    periodEnd: period.end_date
+  });
+  normalizedInput.employeeOptions.deductionOrders = deductionOrders.orders;
+  normalizedInput.employeeOptions.fringeBenefits =
+    normalizedInput.employeeOptions.fringeBenefits.concat(deductionOrders.fringeBenefits);
+
+  // Step 11: Pending back pay for a backdated salary increase (payroll_retro_pay),
+  // paid as a once-off earning so PAYE on it runs through the YTD method.
+  const backPay = await RetroPayService.fetchForPeriod(supabase, { companyId, employeeId, periodKey });
+  normalizedInput.currentInputs = (normalizedInput.currentInputs || []).concat(backPay);
+
   return normalizedInput;
 }
 
@@ -522,6 +556,60 @@ async function fetchCompanyRegistrationFlags(companyId, supabase) {
   };
 }
 
+/**
+ * Fetch ETI settings for the engine (employeeOptions.eti).
+ *
+ * Returns null unless employee_eti.status is 'qualified_claiming'. Age is
+ * taken at the END of the pay period month (the ETI age test), from dob or
+ * the SA ID number. Pay frequency comes from the employee's pay schedule.
+ * Errors are non-fatal: ETI is an employer credit and must never block a
+ * payroll calculation.
+ */
+async function fetchEtiOptions(companyId, employee, periodKey, supabase) {
+  try {
+    const { data: eti, error } = await supabase
+      .from('employee_eti')
+      .select('status, min_wage_input_type, min_wage_amount, original_employment_date, ' +
+              'disqualified_months_before, sez_post_march_2019, sez_pre_march_2019')
+      .eq('company_id', companyId)
+      .eq('employee_id', employee.id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!eti || eti.status !== 'qualified_claiming') return null;
+
+    let frequency = 'monthly';
+    if (employee.pay_schedule_id) {
+      const { data: schedule } = await supabase
+        .from('company_pay_schedules')
+        .select('frequency_type')
+        .eq('company_id', companyId)
+        .eq('id', employee.pay_schedule_id)
+        .maybeSingle();
+      if (schedule && schedule.frequency_type) frequency = schedule.frequency_type;
+    }
+
+    const [y, m] = periodKey.split('-').map(Number);
+    const monthEnd = new Date(y, m, 0);
+    let age = calculateAge(employee.dob, monthEnd);
+    if (age === null && employee.id_number) age = PayrollEngine.getAgeFromId(employee.id_number, monthEnd);
+
+    return {
+      status:                     eti.status,
+      employment_date:            eti.original_employment_date || employee.start_date || null,
+      disqualified_months_before: parseInt(eti.disqualified_months_before, 10) || 0,
+      age,
+      sez:                        eti.sez_post_march_2019 === true || eti.sez_pre_march_2019 === true,
+      frequency,
+      hours_worked:               null, // engine derives from the work schedule
+      min_wage_input_type:        eti.min_wage_input_type || 'company_setup',
+      min_wage_amount:            eti.min_wage_amount !== null ? parseFloat(eti.min_wage_amount) : null
+    };
+  } catch (err) {
+    console.warn(`[PayrollDataService] ETI settings unavailable for emp ${employee.id}:`, err.message);
+    return null;
+  }
+}
+
 /**
  * Fetch recurring payroll items assigned to employee.
  * E.g., commission, allowances, deductions, etc.
@@ -1011,5 +1099,6 @@ module.exports = {
   fetchCompanyPayrollSettings,
   fetchCompanyRegistrationFlags,
   fetchRecurringPayrollItems,
-  fetchPeriodInputs
+  fetchPeriodInputs,
+  fetchEtiOptions
 };
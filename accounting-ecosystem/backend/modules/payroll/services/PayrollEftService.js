@@ -0,0 +1,325 @@
+/**
+ * ============================================================================
+ * PayrollEftService — Salary EFT Bank Files from Finalized Runs
+ * ============================================================================
+ * Purpose: Generate, store and re-serve salary EFT files server-side.
+ * Replaces the browser-only export in frontend-payroll/js/banking-formats.js
+ * for finalized runs, so the file that went to the bank can always be shown.
+ *
+ * Flow:
+ *   finalized payroll_run → its finalized payroll_snapshots (net pay frozen)
+ *   → employee banking details → validate → shared/utils/bankBatchFormats
+ *   → payroll_eft_files (content + SHA-256) → download (logged per user)
+ *
+ * RULES:
+ * 1. Only finalized runs. Net pay is calculation_output.net from the
+ *    snapshot — never recalculated.
+ * 2. Every EFT employee must have a valid account number and 6-digit branch
+ *    code; one bad record fails the whole file (no defaulted branch codes).
+ * 3. Employees paid in cash, or with nothing to pay, are listed as excluded
+ *    on the file row rather than silently dropped.
+ * 4. A download serves the STORED content after re-checking its hash. A file
+ *    whose run has since been reversed cannot be downloaded.
+ * 5. Re-generating supersedes — never deletes — earlier files for the run.
+ *
+ * MULTI-TENANT SAFETY:
+ * Every query filters on companyId.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const {
+  BANK_FORMATS,
+  validateBeneficiaries,
+  generateBatch
+} = require('../../../shared/utils/bankBatchFormats');
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+const FILE_COLUMNS =
+  'id, company_id, payroll_run_id, period_key, bank_format, action_date, file_name, mime_type, ' +
+  'sha256, total_amount, record_count, lines, excluded, generated_by, generated_at, ' +
+  'superseded_at, superseded_by_id';
+
+// ─── Pure helpers — exported for unit testing ─────────────────────────────────
+
+/**
+ * Banking details for an employee: the primary employee_bank_details row
+ * when there is one, otherwise the bank fields on the employee record.
+ *
+ * @param {object} emp - employees row, optionally with employee_bank_details[]
+ * @returns {{ accountHolder, accountNumber, branchCode, accountType }}
+ */
+function resolveBankDetails(emp) {
+  const rows = Array.isArray(emp.employee_bank_details) ? emp.employee_bank_details : [];
+  const primary = rows.find(r => r.is_primary) || rows[0] || null;
+  const src = primary && primary.account_number ? primary : emp;
+  return {
+    accountHolder: emp.account_holder || null,
+    accountNumber: String(src.account_number || '').replace(/\s/g, ''),
+    branchCode:    String(src.branch_code || '').replace(/\s/g, ''),
+    accountType:   String(src.account_type || emp.account_type || 'current').toLowerCase()
+  };
+}
+
+/**
+ * Build bank file payments from finalized snapshots.
+ *
+ * @param {object[]} snapshots   - payroll_snapshots rows (calculation_output.net)
+ * @param {object}   employeesById - { [employee_id]: employees row }
+ * @param {string}   periodKey   - YYYY-MM, used in the beneficiary reference
+ * @returns {{ payments: object[], lines: object[], excluded: object[] }}
+ *   payments — bankBatchFormats shape; lines — what is stored on the file row
+ */
+function buildEftPayments(snapshots, employeesById, periodKey) {
+  const payments = [];
+  const lines    = [];
+  const excluded = [];
+
+  const sorted = [...snapshots].sort((a, b) => a.employee_id - b.employee_id);
+  for (const snap of sorted) {
+    const emp  = employeesById[snap.employee_id];
+    const name = emp
+      ? `${emp.first_name || ''} ${emp.last_name || ''}`.trim() || `Employee ${snap.employee_id}`
+      : `Employee ${snap.employee_id}`;
+    const net  = Math.round(parseFloat((snap.calculation_output || {}).net || 0) * 100) / 100;
+
+    if (!emp) {
+      excluded.push({ employee_id: snap.employee_id, name, reason: 'Employee record not found' });
+      continue;
+    }
+    if (String(emp.payment_method || 'EFT').toUpperCase() !== 'EFT') {
+      excluded.push({ employee_id: emp.id, name, reason: `Paid by ${emp.payment_method}` });
+      continue;
+    }
+    if (!(net > 0)) {
+      excluded.push({ employee_id: emp.id, name, reason: 'No net pay' });
+      continue;
+    }
+
+    const bank = resolveBankDetails(emp);
+    payments.push({
+      name:          bank.accountHolder || name,
+      accountNumber: bank.accountNumber,
+      branchCode:    bank.branchCode,
+      accountType:   bank.accountType,
+      amount:        net,
+      reference:     `SAL ${periodKey}`,
+      ownReference:  emp.employee_number || String(emp.id)
+    });
+    lines.push({
+      employee_id:   emp.id,
+      snapshot_id:   snap.id,
+      name,
+      amount:        net,
+      account_last4: bank.accountNumber.slice(-4)
+    });
+  }
+
+  return { payments, lines, excluded };
+}
+
+/** SHA-256 of stored content — same digest bankBatchFormats produced. */
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+// ─── DB methods ───────────────────────────────────────────────────────────────
+
+async function _loadRun(supabase, companyId, runId) {
+  const { data: run, error } = await supabase
+    .from('payroll_runs')
+    .select('*')
+    .eq('id', runId)
+    .eq('company_id', companyId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch payroll run: ${error.message}`);
+  if (!run) throw serviceError(404, `Payroll run ${runId} not found`);
+  return run;
+}
+
+/**
+ * Generate and store a bank file for a finalized run.
+ *
+ * @param {object} supabase
+ * @param {object} opts - { companyId, runId, bankFormat, actionDate, userId }
+ * @returns {Promise<object>} payroll_eft_files row (without content)
+ */
+async function generateForRun(supabase, { companyId, runId, bankFormat, actionDate, userId }) {
+  if (!BANK_FORMATS.includes(bankFormat)) {
+    throw serviceError(400, `bank_format must be one of ${BANK_FORMATS.join(', ')}`);
+  }
+  if (!actionDate || !/^\d{4}-\d{2}-\d{2}$/.test(actionDate)) {
+    throw serviceError(400, 'action_date is required (YYYY-MM-DD)');
+  }
+
+  const run = await _loadRun(supabase, companyId, runId);
+  if (run.status !== 'finalized') {
+    throw serviceError(409, `Only finalized pay runs have bank files (current status: ${run.status})`);
+  }
+
+  const { data: snapshots, error: snapErr } = await supabase
+    .from('payroll_snapshots')
+    .select('id, employee_id, calculation_output')
+    .eq('company_id', companyId)
+    .eq('payroll_run_id', runId)
+    .eq('status', 'finalized');
+  if (snapErr) throw new Error(`Failed to fetch snapshots: ${snapErr.message}`);
+  if (!snapshots || !snapshots.length) throw serviceError(409, `Payroll run ${runId} has no finalized snapshots`);
+
+  const { data: employees, error: empErr } = await supabase
+    .from('employees')
+    .select('id, first_name, last_name, employee_number, payment_method, account_holder, ' +
+            'account_number, branch_code, account_type, employee_bank_details(*)')
+    .eq('company_id', companyId)
+    .in('id', snapshots.map(s => s.employee_id));
+  if (empErr) throw new Error(`Failed to fetch employees: ${empErr.message}`);
+
+  const employeesById = {};
+  for (const e of employees || []) employeesById[e.id] = e;
+
+  const { payments, lines, excluded } = buildEftPayments(snapshots, employeesById, run.period_key);
+  if (!payments.length) throw serviceError(422, 'No employees in this run are paid by EFT');
+
+  const problems = validateBeneficiaries(payments, bankFormat);
+  if (problems.length) {
+    throw serviceError(422,
+      `Banking details must be corrected before the file can be generated: ${problems.join('; ')}`,
+      { validation_errors: problems });
+  }
+
+  const { data: company } = await supabase
+    .from('companies')
+    .select('company_name, absa_user_code, fnb_originator_code, acb_user_code')
+    .eq('id', companyId)
+    .maybeSingle();
+  const c = company || {};
+
+  const file = generateBatch(bankFormat, {
+    company: {
+      name:              c.company_name,
+      absaUserCode:      c.absa_user_code,
+      fnbOriginatorCode: c.fnb_originator_code,
+      acbUserCode:       c.acb_user_code
+    },
+    date:      actionDate,
+    batchType: 'salaries',
+    payments,
+    fileTag:   run.period_key
+  });
+
+  const { data: saved, error: insErr } = await supabase
+    .from('payroll_eft_files')
+    .insert({
+      company_id:     companyId,
+      payroll_run_id: runId,
+      period_key:     run.period_key,
+      bank_format:    bankFormat,
+      action_date:    actionDate,
+      file_name:      file.fileName,
+      mime_type:      file.mimeType,
+      content:        file.content,
+      sha256:         file.sha256,
+      total_amount:   file.total,
+      record_count:   file.count,
+      lines,
+      excluded,
+      generated_by:   userId
+    })
+    .select(FILE_COLUMNS)
+    .single();
+  if (insErr) throw new Error(`Failed to store bank file: ${insErr.message}`);
+
+  // Earlier files for this run are superseded — kept for the audit trail
+  const { error: supErr } = await supabase
+    .from('payroll_eft_files')
+    .update({ superseded_at: new Date().toISOString(), superseded_by_id: saved.id })
+    .eq('company_id', companyId)
+    .eq('payroll_run_id', runId)
+    .is('superseded_at', null)
+    .neq('id', saved.id);
+  if (supErr) console.warn('[PayrollEft] could not mark earlier files superseded:', supErr.message);
+
+  return saved;
+}
+
+/**
+ * Files generated for a run, newest first, each with its download count.
+ */
+async function listForRun(supabase, companyId, runId) {
+  const { data, error } = await supabase
+    .from('payroll_eft_files')
+    .select(`${FILE_COLUMNS}, payroll_eft_file_downloads(count)`)
+    .eq('company_id', companyId)
+    .eq('payroll_run_id', runId)
+    .order('generated_at', { ascending: false });
+  if (error) throw new Error(`Failed to list bank files: ${error.message}`);
+  return (data || []).map(({ payroll_eft_file_downloads: d, ...row }) => ({
+    ...row,
+    download_count: Array.isArray(d) && d[0] ? d[0].count : 0
+  }));
+}
+
+/**
+ * Re-serve a stored file and record the download.
+ *
+ * @param {object} supabase
+ * @param {object} opts - { companyId, fileId, userId, ipAddress, userAgent }
+ * @returns {Promise<{ file: object, content: string }>}
+ */
+async function download(supabase, { companyId, fileId, userId, ipAddress, userAgent }) {
+  const { data: file, error } = await supabase
+    .from('payroll_eft_files')
+    .select(`${FILE_COLUMNS}, content`)
+    .eq('id', fileId)
+    .eq('company_id', companyId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch bank file: ${error.message}`);
+  if (!file) throw serviceError(404, `Bank file ${fileId} not found`);
+
+  const run = await _loadRun(supabase, companyId, file.payroll_run_id);
+  if (run.status === 'reversed') {
+    throw serviceError(409, 'This bank file cannot be downloaded — its payroll run was reversed');
+  }
+  if (contentHash(file.content) !== file.sha256) {
+    throw new Error(`Integrity check failed for bank file ${fileId}: stored content does not match its SHA-256`);
+  }
+
+  const { error: logErr } = await supabase
+    .from('payroll_eft_file_downloads')
+    .insert({
+      file_id:       file.id,
+      company_id:    companyId,
+      downloaded_by: userId,
+      ip_address:    ipAddress || null,
+      user_agent:    userAgent || null
+    });
+  // No download without its audit row
+  if (logErr) throw new Error(`Failed to record download: ${logErr.message}`);
+
+  const { content, ...meta } = file;
+  return { file: meta, content };
+}
+
+/** Who downloaded a file, newest first. */
+async function listDownloads(supabase, companyId, fileId) {
+  const { data, error } = await supabase
+    .from('payroll_eft_file_downloads')
+    .select('id, file_id, downloaded_by, downloaded_at, ip_address, user_agent')
+    .eq('company_id', companyId)
+    .eq('file_id', fileId)
+    .order('downloaded_at', { ascending: false });
+  if (error) throw new Error(`Failed to list downloads: ${error.message}`);
+  return data || [];
+}
+
+module.exports = {
+  // Pure
+  resolveBankDetails,
+  buildEftPayments,
+  contentHash,
+  // DB
+  generateForRun,
+  listForRun,
+  download,
+  listDownloads
+};
@@ -370,6 +370,18 @@ function formatForResponse(snapshot) {
     metadata:       reconstructedMetadata,
     // basic_salary from input — needed by frontend emp_historical_ display format
     basic_salary:   input.basic_salary != null ? input.basic_salary : null,
+    // Employer ETI earned — its own line, separate from the employee's deductions
+    eti:            output.eti != null ? output.eti : 0,
+    // Taxable fringe benefits — IRP5 38xx lines; taxed through PAYE, not paid out
+    fringe_benefits: Array.isArray(output.fringeBenefits)
+      ? output.fringeBenefits.map(fb => ({ type: fb.type, irp5_code: fb.irp5_code, description: fb.description, value: fb.value, taxable: fb.taxable }))
+      : [],
+    // Loan / garnishee order deductions — payslip lines with the balance left
+    deduction_orders: Array.isArray(output.deductionOrders)
+      ? output.deductionOrders.map(o => ({ type: o.type, description: o.description, deducted: o.deducted, shortfall: o.shortfall, closing_balance: o.closing_balance }))
+      : [],
+    // Severance benefit on a final payslip — paid net of the directive tax (IRP5 3901 / 4115)
+    severance:      output.severance || null,
     // Full calculation output for payslip rendering (all 16 fields)
     calculation_output: snapshot.calculation_output,
     // Expose regular_inputs (allowances/deductions line items) for payslip preview.
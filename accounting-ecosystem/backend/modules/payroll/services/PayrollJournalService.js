@@ -0,0 +1,623 @@
+/**
+ * ============================================================================
+ * PayrollJournalService — Payroll Cost Journal to the Accounting Ledger
+ * ============================================================================
+ * Purpose: Turn a finalized pay run into one general ledger journal using the
+ * company's payroll-to-GL mapping, and reverse it when the run is reversed.
+ *
+ * Flow:
+ *   POST /api/payroll/finalize → postRun
+ *     locked snapshots → runTotals / buildJournalLines (cost centre per
+ *     department) → JournalService.createDraftJournal (+ postJournal when the
+ *     mapping's post_mode is 'posted') → payroll_gl_postings
+ *   POST /api/payroll/reverse → reverseRun
+ *     draft journal deleted, posted journal → JournalService.reverseJournal
+ *   GET /api/payroll/gl-journal/reconciliation → reconcileRun against the
+ *     PAYE reconciliation lines (paye_employee_lines) for the month
+ *
+ * RULES:
+ * 1. No mapping (or auto_post_on_finalize off) = no journal on finalize.
+ * 2. A journal that cannot be created never blocks finalize: the posting is
+ *    stored as 'failed' with the error and can be retried (postRun again).
+ * 3. Expense lines carry the employee's cost-centre segment value; liability
+ *    and clearing lines are never segmented.
+ * 4. The journal balances by construction: net = gross − PAYE − UIF −
+ *    deductions (+ severance after tax). Cent differences from per-field
+ *    rounding go to salary expense as a rounding line.
+ *
+ * MULTI-TENANT SAFETY:
+ * Every query filters on companyId; mapped accounts and the cost-centre
+ * segment must belong to the company.
+ * ============================================================================
+ */
+
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+const POST_MODES = ['draft', 'posted'];
+
+const MAPPING_COLUMNS =
+  'id, company_id, salary_expense_account_id, uif_expense_account_id, sdl_expense_account_id, ' +
+  'paye_liability_account_id, uif_liability_account_id, sdl_liability_account_id, ' +
+  'deductions_liability_account_id, staff_loan_account_id, garnishee_liability_account_id, eti_account_id, ' +
+  'net_pay_account_id, cost_centre_segment_id, department_segments, post_mode, auto_post_on_finalize, ' +
+  'updated_by, updated_at';
+
+const REQUIRED_ACCOUNTS = [
+  'salary_expense_account_id',
+  'paye_liability_account_id',
+  'uif_liability_account_id',
+  'sdl_liability_account_id',
+  'deductions_liability_account_id',
+  'net_pay_account_id'
+];
+const OPTIONAL_ACCOUNTS = [
+  'uif_expense_account_id',
+  'sdl_expense_account_id',
+  'staff_loan_account_id',
+  'garnishee_liability_account_id',
+  'eti_account_id'
+];
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+const _missing = error => error && (error.code === '42P01' || error.code === 'PGRST205');
+
+// ─── Pure helpers — exported for unit testing ─────────────────────────────────
+
+/**
+ * Validate a mapping as saved by PUT /gl-journal/mapping.
+ * @returns {object} mapping fields (account ids as integers, null when unmapped)
+ */
+function normaliseMapping(input) {
+  const src = input || {};
+  const out = {};
+  const id = (key, required) => {
+    const raw = src[key];
+    if (raw === undefined || raw === null || raw === '') {
+      if (required) throw serviceError(400, `${key} is required`);
+      return null;
+    }
+    const n = parseInt(raw, 10);
+    if (!n || n < 1) throw serviceError(400, `${key} must be an account id`);
+    return n;
+  };
+  for (const key of REQUIRED_ACCOUNTS) out[key] = id(key, true);
+  for (const key of OPTIONAL_ACCOUNTS) out[key] = id(key, false);
+  out.cost_centre_segment_id = id('cost_centre_segment_id', false);
+
+  const segments = src.department_segments || {};
+  if (typeof segments !== 'object' || Array.isArray(segments)) {
+    throw serviceError(400, 'department_segments must be an object of department → segment value id');
+  }
+  out.department_segments = {};
+  for (const [dept, value] of Object.entries(segments)) {
+    const n = parseInt(value, 10);
+    if (!n) throw serviceError(400, `department_segments["${dept}"] must be a segment value id`);
+    out.department_segments[dept] = n;
+  }
+  if (Object.keys(out.department_segments).length && !out.cost_centre_segment_id) {
+    throw serviceError(400, 'cost_centre_segment_id is required when department_segments are set');
+  }
+
+  out.post_mode = src.post_mode || 'draft';
+  if (!POST_MODES.includes(out.post_mode)) throw serviceError(400, `post_mode must be one of: ${POST_MODES.join(', ')}`);
+  out.auto_post_on_finalize = src.auto_post_on_finalize !== false;
+  return out;
+}
+
+/** Account ids a mapping refers to (for the ownership check). */
+function mappedAccountIds(mapping) {
+  return [...new Set(REQUIRED_ACCOUNTS.concat(OPTIONAL_ACCOUNTS).map(k => mapping[k]).filter(Boolean))];
+}
+
+/**
+ * Cost-centre segment value for a department: explicit override first, then
+ * a value of the cost-centre segment whose code or name matches.
+ */
+function segmentFor(department, mapping, segmentValues) {
+  if (!department || !mapping.cost_centre_segment_id) return null;
+  const overrides = mapping.department_segments || {};
+  if (overrides[department]) return overrides[department];
+  const key = String(department).trim().toLowerCase();
+  const match = (segmentValues || []).find(v =>
+    String(v.code || '').trim().toLowerCase() === key || String(v.name || '').trim().toLowerCase() === key
+  );
+  return match ? match.id : null;
+}
+
+/** Journal figures for one payslip. */
+function payslipFigures(output) {
+  const out = output || {};
+  const orders = out.deductionOrders || [];
+  const ordered = type => r2(orders.filter(o => o.type === type).reduce((s, o) => s + (parseFloat(o.deducted) || 0), 0));
+  const loans = ordered('loan');
+  const garnishees = ordered('garnishee');
+  const severance = out.severance || null;
+  return {
+    gross:            r2(out.gross),
+    severance:        r2(severance && severance.amount),
+    severance_tax:    r2(severance && severance.tax),
+    paye:             r2(out.paye),
+    uif:              r2(out.uif),
+    uif_employer:     r2(out.uif_employer),
+    sdl:              r2(out.sdl),
+    eti:              r2(out.eti),
+    loans,
+    garnishees,
+    other_deductions: r2((parseFloat(out.deductions) || 0) - loans - garnishees),
+    net:              r2(out.net)
+  };
+}
+
+/** Run totals across payslips. */
+function runTotals(snapshots) {
+  const totals = {
+    employee_count: 0, gross: 0, severance: 0, severance_tax: 0, paye: 0, uif: 0, uif_employer: 0,
+    sdl: 0, eti: 0, loans: 0, garnishees: 0, other_deductions: 0, net: 0
+  };
+  for (const s of snapshots || []) {
+    const f = payslipFigures(s.calculation_output);
+    totals.employee_count += 1;
+    for (const k of Object.keys(f)) totals[k] = r2(totals[k] + f[k]);
+  }
+  return totals;
+}
+
+/**
+ * Build the balanced payroll cost journal lines for a run.
+ *
+ * @param {object} p
+ * @param {Array}  p.snapshots     - locked snapshots ({ employee_id, calculation_output })
+ * @param {object} p.employees     - { [employee_id]: { department } }
+ * @param {object} p.mapping       - normalised mapping
+ * @param {Array}  [p.segmentValues] - values of the cost-centre segment
+ * @param {string} p.periodKey
+ * @returns {{ lines: Array, totals: object }}
+ */
+function buildJournalLines({ snapshots, employees, mapping, segmentValues, periodKey }) {
+  const lines = new Map();
+  const add = (accountId, side, amount, description, segmentValueId = null) => {
+    const value = r2(amount);
+    if (!accountId || value === 0) return;
+    const key = `${accountId}|${segmentValueId || ''}|${description}`;
+    const line = lines.get(key) || { accountId, debit: 0, credit: 0, description, segmentValueId };
+    line[side] = r2(line[side] + value);
+    lines.set(key, line);
+  };
+
+  const salaryId = mapping.salary_expense_account_id;
+  for (const s of snapshots || []) {
+    const f = payslipFigures(s.calculation_output);
+    const emp = (employees || {})[s.employee_id] || {};
+    const seg = segmentFor(emp.department, mapping, segmentValues);
+    add(salaryId, 'debit', f.gross + f.severance, `Salaries and wages ${periodKey}`, seg);
+    add(mapping.uif_expense_account_id || salaryId, 'debit', f.uif_employer, `Employer UIF ${periodKey}`, seg);
+    add(mapping.sdl_expense_account_id || salaryId, 'debit', f.sdl, `SDL ${periodKey}`, seg);
+  }
+
+  const t = runTotals(snapshots);
+  const deductionsId = mapping.deductions_liability_account_id;
+  add(mapping.paye_liability_account_id, 'credit', t.paye + t.severance_tax, `PAYE ${periodKey}`);
+  add(mapping.uif_liability_account_id, 'credit', t.uif + t.uif_employer, `UIF ${periodKey}`);
+  add(mapping.sdl_liability_account_id, 'credit', t.sdl, `SDL ${periodKey}`);
+  add(mapping.staff_loan_account_id || deductionsId, 'credit', t.loans, `Staff loan repayments ${periodKey}`);
+  add(mapping.garnishee_liability_account_id || deductionsId, 'credit', t.garnishees, `Garnishee orders ${periodKey}`);
+  add(deductionsId, 'credit', t.other_deductions, `Payroll deductions ${periodKey}`);
+  add(mapping.net_pay_account_id, 'credit', t.net, `Net pay ${periodKey}`);
+  if (mapping.eti_account_id && t.eti > 0) {
+    add(mapping.paye_liability_account_id, 'debit', t.eti, `ETI set off against PAYE ${periodKey}`);
+    add(mapping.eti_account_id, 'credit', t.eti, `Employment Tax Incentive ${periodKey}`);
+  }
+
+  const out = [...lines.values()];
+  const debit = r2(out.reduce((s, l) => s + l.debit, 0));
+  const credit = r2(out.reduce((s, l) => s + l.credit, 0));
+  const diff = r2(credit - debit);
+  if (diff !== 0) {
+    // A payslip can be out by a cent or two from rounding each field separately
+    if (Math.abs(diff) > r2(0.02 * Math.max(t.employee_count, 1))) {
+      throw new Error(`Payroll journal for ${periodKey} does not balance (debits ${debit}, credits ${credit})`);
+    }
+    out.push({
+      accountId: salaryId,
+      debit:     diff > 0 ? diff : 0,
+      credit:    diff < 0 ? -diff : 0,
+      description: `Payroll rounding ${periodKey}`,
+      segmentValueId: null
+    });
+  }
+  return { lines: out, totals: t };
+}
+
+/** Last day of a YYYY-MM period — the journal date. */
+function periodEndDate(periodKey) {
+  const [y, m] = periodKey.split('-').map(Number);
+  return `${periodKey}-${String(new Date(Date.UTC(y, m, 0)).getUTCDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Compare the run's payslips with the PAYE reconciliation lines for the month.
+ *
+ * @param {Array} snapshots - run snapshots ({ employee_id, calculation_output })
+ * @param {Array} payeLines - paye_employee_lines ({ employee_id, gross_income, total_deductions, net_salary })
+ * @returns {{ payroll, paye_reconciliation, difference, employees, matched }}
+ */
+function reconcileRun(snapshots, payeLines) {
+  const byEmployee = new Map();
+  const row = id => {
+    if (!byEmployee.has(id)) {
+      byEmployee.set(id, {
+        employee_id: id,
+        payroll: { gross: 0, deductions: 0, net: 0 },
+        paye_reconciliation: { gross: 0, deductions: 0, net: 0 },
+        in_payroll: false,
+        in_paye_reconciliation: false
+      });
+    }
+    return byEmployee.get(id);
+  };
+
+  for (const s of snapshots || []) {
+    const f = payslipFigures(s.calculation_output);
+    const r = row(s.employee_id);
+    r.in_payroll = true;
+    r.payroll.gross = r2(r.payroll.gross + f.gross + f.severance);
+    r.payroll.deductions = r2(r.payroll.deductions + f.paye + f.severance_tax + f.uif +
+      f.loans + f.garnishees + f.other_deductions);
+    r.payroll.net = r2(r.payroll.net + f.net);
+  }
+  for (const l of payeLines || []) {
+    const r = row(l.employee_id);
+    r.in_paye_reconciliation = true;
+    r.paye_reconciliation.gross = r2(r.paye_reconciliation.gross + (parseFloat(l.gross_income) || 0));
+    r.paye_reconciliation.deductions = r2(r.paye_reconciliation.deductions + (parseFloat(l.total_deductions) || 0));
+    r.paye_reconciliation.net = r2(r.paye_reconciliation.net + (parseFloat(l.net_salary) || 0));
+  }
+
+  const sum = (side, key) => r2([...byEmployee.values()].reduce((s, r) => s + r[side][key], 0));
+  const employees = [...byEmployee.values()].map(r => {
+    const difference = {
+      gross:      r2(r.payroll.gross - r.paye_reconciliation.gross),
+      deductions: r2(r.payroll.deductions - r.paye_reconciliation.deductions),
+      net:        r2(r.payroll.net - r.paye_reconciliation.net)
+    };
+    return { ...r, difference, matched: Object.values(difference).every(v => v === 0) };
+  }).sort((a, b) => a.employee_id - b.employee_id);
+
+  const payroll = { gross: sum('payroll', 'gross'), deductions: sum('payroll', 'deductions'), net: sum('payroll', 'net') };
+  const paye = {
+    gross:      sum('paye_reconciliation', 'gross'),
+    deductions: sum('paye_reconciliation', 'deductions'),
+    net:        sum('paye_reconciliation', 'net')
+  };
+  return {
+    payroll,
+    paye_reconciliation: paye,
+    difference: {
+      gross:      r2(payroll.gross - paye.gross),
+      deductions: r2(payroll.deductions - paye.deductions),
+      net:        r2(payroll.net - paye.net)
+    },
+    employees,
+    matched: employees.every(e => e.matched)
+  };
+}
+
+// ─── DB ───────────────────────────────────────────────────────────────────────
+
+/** The company's mapping, or null when none is saved (or migration 158 not run). */
+async function getMapping(supabase, companyId) {
+  const { data, error } = await supabase
+    .from('payroll_gl_mappings')
+    .select(MAPPING_COLUMNS)
+    .eq('company_id', companyId)
+    .maybeSingle();
+  if (error) {
+    if (_missing(error)) return null;
+    throw new Error(`Failed to fetch payroll GL mapping: ${error.message}`);
+  }
+  return data || null;
+}
+
+async function saveMapping(supabase, { companyId, input, userId }) {
+  const mapping = normaliseMapping(input);
+
+  const ids = mappedAccountIds(mapping);
+  const { data: accounts, error: aErr } = await supabase
+    .from('accounts')
+    .select('id')
+    .eq('company_id', companyId)
+    .in('id', ids);
+  if (aErr) throw new Error(`Failed to verify accounts: ${aErr.message}`);
+  if (!accounts || accounts.length < ids.length) throw serviceError(400, 'Every mapped account must be an account of this company');
+
+  if (mapping.cost_centre_segment_id) {
+    const { data: segment, error: sErr } = await supabase
+      .from('coa_segments')
+      .select('id')
+      .eq('company_id', companyId)
+      .eq('id', mapping.cost_centre_segment_id)
+      .maybeSingle();
+    if (sErr) throw new Error(`Failed to verify segment: ${sErr.message}`);
+    if (!segment) throw serviceError(404, `Segment ${mapping.cost_centre_segment_id} not found`);
+
+    const valueIds = [...new Set(Object.values(mapping.department_segments))];
+    if (valueIds.length) {
+      const { data: values, error: vErr } = await supabase
+        .from('coa_segment_values')
+        .select('id')
+        .eq('segment_id', mapping.cost_centre_segment_id)
+        .in('id', valueIds);
+      if (vErr) throw new Error(`Failed to verify segment values: ${vErr.message}`);
+      if (!values || values.length < valueIds.length) {
+        throw serviceError(400, 'department_segments must be values of the cost-centre segment');
+      }
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('payroll_gl_mappings')
+    .upsert({
+      company_id: companyId,
+      ...mapping,
+      updated_by: userId || null,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'company_id' })
+    .select(MAPPING_COLUMNS)
+    .single();
+  if (error) throw new Error(`Failed to save payroll GL mapping: ${error.message}`);
+  return data;
+}
+
+async function _runSnapshots(supabase, companyId, runId) {
+  const { data, error } = await supabase
+    .from('payroll_snapshots')
+    .select('id, employee_id, period_key, calculation_output')
+    .eq('company_id', companyId)
+    .eq('payroll_run_id', runId)
+    .eq('is_locked', true)
+    .neq('status', 'reversed');
+  if (error) throw new Error(`Failed to fetch run snapshots: ${error.message}`);
+  return data || [];
+}
+
+async function _employees(supabase, companyId, ids) {
+  if (!ids.length) return {};
+  const { data, error } = await supabase
+    .from('employees')
+    .select('id, first_name, last_name, department')
+    .eq('company_id', companyId)
+    .in('id', ids);
+  if (error) throw new Error(`Failed to fetch employees: ${error.message}`);
+  return (data || []).reduce((acc, e) => { acc[e.id] = e; return acc; }, {});
+}
+
+async function _segmentValues(supabase, mapping) {
+  if (!mapping.cost_centre_segment_id) return [];
+  const { data, error } = await supabase
+    .from('coa_segment_values')
+    .select('id, code, name')
+    .eq('segment_id', mapping.cost_centre_segment_id)
+    .eq('is_active', true);
+  if (error) throw new Error(`Failed to fetch cost centres: ${error.message}`);
+  return data || [];
+}
+
+async function _run(supabase, companyId, runId) {
+  const { data, error } = await supabase
+    .from('payroll_runs')
+    .select('id, period_key, status')
+    .eq('company_id', companyId)
+    .eq('id', runId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch payroll run: ${error.message}`);
+  if (!data) throw serviceError(404, `Payroll run ${runId} not found`);
+  return data;
+}
+
+async function getPosting(supabase, companyId, runId) {
+  const { data, error } = await supabase
+    .from('payroll_gl_postings')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('payroll_run_id', runId)
+    .maybeSingle();
+  if (error) {
+    if (_missing(error)) return null;
+    throw new Error(`Failed to fetch payroll journal posting: ${error.message}`);
+  }
+  return data || null;
+}
+
+async function listPostings(supabase, companyId, periodKey) {
+  let query = supabase
+    .from('payroll_gl_postings')
+    .select('id, payroll_run_id, period_key, status, journal_id, reversal_journal_id, employee_count, totals, error, posted_at, reversed_at')
+    .eq('company_id', companyId)
+    .order('posted_at', { ascending: false });
+  if (periodKey) query = query.eq('period_key', periodKey);
+  const { data, error } = await query;
+  if (error) {
+    if (_missing(error)) return [];
+    throw new Error(`Failed to fetch payroll journal postings: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * The journal a run would produce, without writing anything.
+ * @returns {Promise<{ run, mapping, lines, totals }>}
+ */
+async function previewRun(supabase, { companyId, runId }) {
+  const mapping = await getMapping(supabase, companyId);
+  if (!mapping) throw serviceError(400, 'A payroll GL mapping is required — save one under /gl-journal/mapping');
+  const run = await _run(supabase, companyId, runId);
+  const snapshots = await _runSnapshots(supabase, companyId, runId);
+  if (!snapshots.length) throw serviceError(400, `Payroll run ${runId} has no finalized payslips — it must be finalized first`);
+  const employees = await _employees(supabase, companyId, [...new Set(snapshots.map(s => s.employee_id))]);
+  const segmentValues = await _segmentValues(supabase, mapping);
+  const { lines, totals } = buildJournalLines({ snapshots, employees, mapping, segmentValues, periodKey: run.period_key });
+  return { run, mapping, lines, totals };
+}
+
+async function _savePosting(supabase, existing, row) {
+  const query = existing
+    ? supabase.from('payroll_gl_postings').update(row).eq('company_id', row.company_id).eq('id', existing.id)
+    : supabase.from('payroll_gl_postings').insert(row);
+  const { data, error } = await query.select('*').single();
+  if (error) throw new Error(`Failed to record payroll journal posting: ${error.message}`);
+  return data;
+}
+
+/**
+ * Create the run's journal (finalize, or a retry after a failure).
+ *
+ * @param {object} p
+ * @param {boolean} [p.onFinalize] - honour auto_post_on_finalize
+ * @returns {Promise<object|null>} posting row, or null when no journal is configured
+ */
+async function postRun(supabase, { companyId, runId, userId, onFinalize = false }) {
+  const mapping = await getMapping(supabase, companyId);
+  if (!mapping || (onFinalize && !mapping.auto_post_on_finalize)) return null;
+
+  const existing = await getPosting(supabase, companyId, runId);
+  if (existing && existing.status !== 'failed') {
+    throw serviceError(409, `The journal for payroll run ${runId} is already ${existing.status}`);
+  }
+
+  const { run, lines, totals } = await previewRun(supabase, { companyId, runId });
+  const base = {
+    company_id:     companyId,
+    payroll_run_id: runId,
+    period_key:     run.period_key,
+    employee_count: totals.employee_count,
+    totals,
+    lines,
+    posted_by:      userId || null,
+    posted_at:      new Date().toISOString()
+  };
+
+  try {
+    // Loaded here so the pure helpers can be used without a database connection
+    const JournalService = require('../../accounting/services/journalService');
+    const journal = await JournalService.createDraftJournal({
+      companyId,
+      date:            periodEndDate(run.period_key),
+      reference:       `PAYROLL-${run.period_key}`,
+      description:     `Payroll ${run.period_key} (${totals.employee_count} employees)`,
+      sourceType:      'payroll',
+      createdByUserId: userId,
+      lines,
+      metadata:        { payroll_run_id: runId, period_key: run.period_key }
+    });
+    if (mapping.post_mode === 'posted') await JournalService.postJournal(journal.id, companyId, userId);
+    return _savePosting(supabase, existing, { ...base, status: mapping.post_mode, journal_id: journal.id, error: null });
+  } catch (err) {
+    console.warn(`[PayrollJournal] journal for run ${runId} failed:`, err.message);
+    return _savePosting(supabase, existing, { ...base, status: 'failed', journal_id: null, error: err.message });
+  }
+}
+
+/**
+ * POST /reverse — delete a journal still in draft, reverse a posted one.
+ * @returns {Promise<object|null>} updated posting, or null when the run had none
+ */
+async function reverseRun(supabase, { companyId, runId, userId, reason }) {
+  const posting = await getPosting(supabase, companyId, runId);
+  if (!posting || posting.status === 'reversed') return null;
+
+  const done = { status: 'reversed', reversed_by: userId || null, reversed_at: new Date().toISOString() };
+  if (!posting.journal_id) {
+    return _savePosting(supabase, posting, { company_id: companyId, ...done });
+  }
+
+  const { data: journal, error } = await supabase
+    .from('journals')
+    .select('id, status')
+    .eq('company_id', companyId)
+    .eq('id', posting.journal_id)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch payroll journal: ${error.message}`);
+
+  let reversalId = null;
+  if (journal && journal.status === 'draft') {
+    const { error: lErr } = await supabase.from('journal_lines').delete().eq('journal_id', journal.id);
+    if (lErr) throw new Error(`Failed to delete draft payroll journal: ${lErr.message}`);
+    const { error: jErr } = await supabase
+      .from('journals')
+      .delete()
+      .eq('company_id', companyId)
+      .eq('id', journal.id)
+      .eq('status', 'draft');
+    if (jErr) throw new Error(`Failed to delete draft payroll journal: ${jErr.message}`);
+  } else if (journal && journal.status === 'posted') {
+    const JournalService = require('../../accounting/services/journalService');
+    const reversal = await JournalService.reverseJournal(
+      journal.id, companyId, userId, reason || `Payroll run ${runId} reversed`
+    );
+    reversalId = reversal.id;
+  }
+
+  return _savePosting(supabase, posting, { company_id: companyId, ...done, reversal_journal_id: reversalId });
+}
+
+/**
+ * Reconcile a run against the PAYE reconciliation lines for its month.
+ * @returns {Promise<object>}
+ */
+async function reconcileRunWithPaye(supabase, { companyId, runId }) {
+  const run = await _run(supabase, companyId, runId);
+  const snapshots = await _runSnapshots(supabase, companyId, runId);
+  const posting = await getPosting(supabase, companyId, runId);
+
+  const { data: recons, error: rErr } = await supabase
+    .from('paye_reconciliations')
+    .select('id, paye_period_id, status')
+    .eq('company_id', companyId);
+  if (rErr && !_missing(rErr)) throw new Error(`Failed to fetch PAYE reconciliations: ${rErr.message}`);
+
+  let payeLines = [];
+  const reconIds = (recons || []).map(r => r.id);
+  if (reconIds.length) {
+    const { data, error } = await supabase
+      .from('paye_employee_lines')
+      .select('paye_reconciliation_id, employee_id, month_key, gross_income, total_deductions, net_salary')
+      .in('paye_reconciliation_id', reconIds)
+      .eq('month_key', run.period_key);
+    if (error) throw new Error(`Failed to fetch PAYE reconciliation lines: ${error.message}`);
+    payeLines = data || [];
+  }
+
+  const usedIds = new Set(payeLines.map(l => l.paye_reconciliation_id));
+  return {
+    run_id:     run.id,
+    period_key: run.period_key,
+    journal: posting
+      ? { status: posting.status, journal_id: posting.journal_id, totals: posting.totals }
+      : null,
+    paye_reconciliations: (recons || []).filter(r => usedIds.has(r.id)),
+    ...reconcileRun(snapshots, payeLines)
+  };
+}
+
+module.exports = {
+  POST_MODES,
+  // Pure
+  normaliseMapping,
+  mappedAccountIds,
+  segmentFor,
+  payslipFigures,
+  runTotals,
+  buildJournalLines,
+  periodEndDate,
+  reconcileRun,
+  // DB
+  getMapping,
+  saveMapping,
+  getPosting,
+  listPostings,
+  previewRun,
+  postRun,
+  reverseRun,
+  reconcileRunWithPaye
+};
@@ -0,0 +1,533 @@
+/**
+ * ============================================================================
+ * RetroPayService — Backdated Salary Increase Back-Pay
+ * ============================================================================
+ * Purpose: Recalculate every finalized period from a salary increase's
+ * effective date at the new rate, diff each against its stored snapshot and
+ * pay the difference as one back-pay earning in the open target period.
+ *
+ * Flow:
+ *   previewRetro  — locked snapshots from the effective month → calculateRetro
+ *                   → per-period breakdown + the target period with and
+ *                   without the back pay (nothing written)
+ *   createRetro   — same calculation → payroll_retro_pay (pending)
+ *   PayrollDataService Step 11 — pending back pay → currentInputs of the
+ *                   target period (fetchForPeriod)
+ *   markPaidForRun / reopenForRun — POST /finalize and POST /reverse
+ *
+ * RULES:
+ * 1. Each period is recalculated with PayrollEngine.calculateWithProRata on
+ *    its stored calculation_input, changing only basic_salary. When the
+ *    effective date falls inside a period the rate is blended by scheduled
+ *    hours before and after it; a pro-rated period keeps its start/end dates.
+ * 2. Within a tax year the YTD figures of each recalculated period include
+ *    the taxable and PAYE differences of the periods before it, so the
+ *    breakdown shows the PAYE each period would have carried under the YTD
+ *    method.
+ * 3. The back pay is the sum of the gross differences, paid as a ONCE_OFF
+ *    earning: PAYE on it is calculated in the target period through the YTD
+ *    method, never projected forward. Finalized snapshots are never changed.
+ * 4. Retro ranges for one employee never overlap — a second calculation over
+ *    the same periods would pay the increase twice.
+ *
+ * MULTI-TENANT SAFETY:
+ * Every query filters on companyId.
+ * ============================================================================
+ */
+
+const PayrollEngine = require('../../../core/payroll-engine');
+const PayrollHistoryService = require('./PayrollHistoryService');
+const PayrollCalculationService = require('./PayrollCalculationService');
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+const RETRO_COLUMNS =
+  'id, company_id, employee_id, effective_date, new_salary, from_period_key, to_period_key, target_period_key, ' +
+  'description, amount, paye_difference, breakdown, reason, status, payroll_run_id, snapshot_id, created_by, ' +
+  'created_at, paid_at, cancelled_by, cancelled_at';
+
+// Output fields compared per period
+const FIELDS = ['gross', 'taxableGross', 'periodicTaxableGross', 'onceOffTaxableGross', 'paye', 'paye_base', 'uif', 'net'];
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+const _missing = error => error && (error.code === '42P01' || error.code === 'PGRST205');
+
+// ─── Pure helpers — exported for unit testing ─────────────────────────────────
+
+/**
+ * Validate a back-pay request.
+ * @returns {{ effective_date, new_salary, period_key, reason }}
+ */
+function validateRetro(input) {
+  const src = input || {};
+  if (!src.effective_date || !/^\d{4}-\d{2}-\d{2}$/.test(String(src.effective_date))) {
+    throw serviceError(400, 'effective_date is required (YYYY-MM-DD)');
+  }
+  if (!src.period_key || !/^\d{4}-(0[1-9]|1[0-2])$/.test(String(src.period_key))) {
+    throw serviceError(400, 'period_key is required (YYYY-MM) — the open period the back pay is paid in');
+  }
+  const salary = parseFloat(src.new_salary);
+  if (isNaN(salary) || salary <= 0) throw serviceError(400, 'new_salary must be a positive number');
+  const out = {
+    effective_date: String(src.effective_date),
+    new_salary:     r2(salary),
+    period_key:     String(src.period_key),
+    reason:         src.reason ? String(src.reason).trim() : null
+  };
+  if (out.effective_date.slice(0, 7) >= out.period_key) {
+    throw serviceError(400, 'effective_date must be before the back-pay period — the open period pays the new rate directly');
+  }
+  return out;
+}
+
+/** Payslip description of the back-pay earning. */
+function backPayDescription(effectiveDate) {
+  return `Back pay — salary increase from ${effectiveDate}`;
+}
+
+/**
+ * Carry earlier periods' differences into a period's YTD data (both the
+ * average_taxable and the legacy cumulative shapes).
+ */
+function adjustYtd(ytdData, carry) {
+  if (!ytdData) return null;
+  const out = { ...ytdData };
+  const add = (key, value) => {
+    if (typeof out[key] === 'number') out[key] = r2(out[key] + value);
+  };
+  add('prior_taxable_gross', carry.taxableGross);
+  add('prior_periodic_taxable_gross', carry.periodicTaxableGross);
+  add('prior_once_off_taxable_gross', carry.onceOffTaxableGross);
+  add('prior_paye_paid', carry.paye_base);
+  add('prior_total_paye_paid', carry.paye);
+  add('ytdPeriodicTaxableGross', carry.periodicTaxableGross);
+  add('ytdOnceOffTaxableGross', carry.onceOffTaxableGross);
+  add('ytdPAYE', carry.paye_base);
+  return out;
+}
+
+const _figures = out => FIELDS.reduce((acc, f) => {
+  acc[f] = r2(out && out[f]);
+  return acc;
+}, {});
+
+/**
+ * Recalculate one finalized period at the new rate.
+ *
+ * @param {object} snapshot - payroll_snapshots row (calculation_input / calculation_output)
+ * @param {object} p
+ * @param {string} p.effectiveDate
+ * @param {number} p.newSalary
+ * @param {object|null} p.ytdData     - the period's YTD data, already adjusted
+ * @param {object|null} [p.taxOverride]
+ * @returns {object} { period_key, snapshot_id, salary, stored, recalculated, difference }
+ */
+function recalculatePeriod(snapshot, { effectiveDate, newSalary, ytdData, taxOverride }) {
+  const input = snapshot.calculation_input || {};
+  const stored = snapshot.calculation_output || {};
+  const period = snapshot.period_key;
+  const meta = stored._meta || {};
+  const prorata = meta.calculationMethod === 'prorata';
+  const start = prorata && meta.startDate ? String(meta.startDate).slice(0, 10) : '';
+  const end = prorata && meta.endDate ? String(meta.endDate).slice(0, 10) : '';
+  const hoursPerDay = input.hours_per_day || 8;
+
+  const full = PayrollEngine.calculateProRataFactor(start, end, period, input.workSchedule, hoursPerDay);
+  const from = effectiveDate > `${period}-01` && effectiveDate > start ? effectiveDate : start;
+  const after = from === start
+    ? full
+    : PayrollEngine.calculateProRataFactor(from, end, period, input.workSchedule, hoursPerDay);
+  const share = full.workedHours > 0 ? Math.min(after.workedHours / full.workedHours, 1) : 1;
+
+  const oldSalary = parseFloat(input.basic_salary) || 0;
+  const rate = oldSalary + (newSalary - oldSalary) * share;
+  const payrollData = {
+    basic_salary:   rate,
+    regular_inputs: input.regular_inputs || [],
+    workSchedule:   input.workSchedule,
+    hours_per_day:  input.hours_per_day
+  };
+  const args = [
+    input.currentInputs || [], input.overtime || [], input.multiRate || [], input.shortTime || [],
+    input.employeeOptions || {}, period, ytdData, taxOverride || null
+  ];
+  // A full-month period with no scheduled hours was paid in full — keep it that way
+  const recalculated = prorata || full.expectedHours > 0
+    ? PayrollEngine.calculateWithProRata(payrollData, start, end, ...args)
+    : PayrollEngine.calculateFromData(payrollData, ...args);
+
+  const before = _figures(stored);
+  const afterFigures = _figures(recalculated);
+  const difference = FIELDS.reduce((acc, f) => {
+    acc[f] = r2(afterFigures[f] - before[f]);
+    return acc;
+  }, {});
+
+  return {
+    period_key:     period,
+    snapshot_id:    snapshot.id || null,
+    engine_version: snapshot.engine_version || null,
+    salary: {
+      stored:         r2(oldSalary),
+      recalculated:   r2(rate),
+      new_rate_share: r2(share),
+      prorata_factor: prorata ? full.factor : 1
+    },
+    stored:       before,
+    recalculated: afterFigures,
+    difference
+  };
+}
+
+/**
+ * Recalculate a run of finalized periods, carrying the differences through
+ * each tax year's YTD figures.
+ *
+ * @param {Array} snapshots - locked snapshots, any order; periods before the
+ *                            effective month are ignored
+ * @param {object} p - { effectiveDate, newSalary, taxOverride }
+ * @returns {{ periods: Array, amount: number, paye_difference: number,
+ *             from_period_key: string|null, to_period_key: string|null }}
+ */
+function calculateRetro(snapshots, { effectiveDate, newSalary, taxOverride }) {
+  const fromPeriod = String(effectiveDate).slice(0, 7);
+  const ordered = (snapshots || [])
+    .filter(s => s.period_key >= fromPeriod)
+    .sort((a, b) => (a.period_key < b.period_key ? -1 : 1));
+  const zero = () => FIELDS.reduce((acc, f) => { acc[f] = 0; return acc; }, {});
+  const periods = [];
+  let taxYear = null;
+  let carry = zero();
+
+  for (const snap of ordered) {
+    const year = PayrollEngine.getTaxYearForPeriod(snap.period_key);
+    if (year !== taxYear) {
+      taxYear = year;
+      carry = zero();
+    }
+    const row = recalculatePeriod(snap, {
+      effectiveDate,
+      newSalary,
+      ytdData: adjustYtd((snap.calculation_input || {}).ytdData || null, carry),
+      taxOverride
+    });
+    row.tax_year = year;
+    for (const f of FIELDS) carry[f] = r2(carry[f] + row.difference[f]);
+    periods.push(row);
+  }
+
+  return {
+    periods,
+    amount:          r2(periods.reduce((s, p) => s + p.difference.gross, 0)),
+    paye_difference: r2(periods.reduce((s, p) => s + p.difference.paye, 0)),
+    from_period_key: periods.length ? periods[0].period_key : null,
+    to_period_key:   periods.length ? periods[periods.length - 1].period_key : null
+  };
+}
+
+/** The back-pay earning for the target period's currentInputs. */
+function toPeriodInput(retro) {
+  return {
+    description:          retro.description,
+    amount:               r2(retro.amount),
+    type:                 'input',
+    affects_uif:          true,
+    paye_projection_type: 'ONCE_OFF',
+    taxable_percentage:   100,
+    retro_pay_id:         retro.id
+  };
+}
+
+// ─── DB ───────────────────────────────────────────────────────────────────────
+
+/** Same resolution order as POST /run: global table, then the company's own. */
+async function _loadTaxConfig(supabase, companyId) {
+  for (const key of ['__global__', companyId]) {
+    const { data } = await supabase
+      .from('payroll_kv_store_eco')
+      .select('value')
+      .eq('company_id', key)
+      .eq('key', 'tax_config')
+      .maybeSingle();
+    if (data && data.value) return typeof data.value === 'string' ? JSON.parse(data.value) : data.value;
+  }
+  return null;
+}
+
+async function _retroSnapshots(supabase, companyId, employeeId, fromPeriod, beforePeriod) {
+  const { data, error } = await supabase
+    .from('payroll_snapshots')
+    .select('id, period_key, calculation_input, calculation_output, engine_version, status')
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .eq('is_locked', true)
+    .neq('status', 'reversed')
+    .gte('period_key', fromPeriod)
+    .lt('period_key', beforePeriod)
+    .order('period_key', { ascending: true });
+  if (error) throw new Error(`Failed to fetch finalized snapshots: ${error.message}`);
+  return data || [];
+}
+
+async function _overlapping(supabase, companyId, employeeId, fromPeriod, toPeriod) {
+  const { data, error } = await supabase
+    .from('payroll_retro_pay')
+    .select('id, from_period_key, to_period_key, status')
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .in('status', ['pending', 'paid'])
+    .lte('from_period_key', toPeriod)
+    .gte('to_period_key', fromPeriod)
+    .limit(1);
+  if (error) throw new Error(`Failed to check existing back pay: ${error.message}`);
+  return (data || [])[0] || null;
+}
+
+/**
+ * Work out the back pay without writing anything.
+ * @returns {Promise<object>}
+ */
+async function _prepare(supabase, { companyId, employeeId, body }) {
+  // Required here — PayrollDataService requires this module (Step 11)
+  const PayrollDataService = require('./PayrollDataService');
+
+  const input = validateRetro(body);
+  const { data: employee, error: eErr } = await supabase
+    .from('employees')
+    .select('id, first_name, last_name')
+    .eq('company_id', companyId)
+    .eq('id', employeeId)
+    .maybeSingle();
+  if (eErr) throw new Error(`Failed to fetch employee: ${eErr.message}`);
+  if (!employee) throw serviceError(404, `Employee ${employeeId} not found`);
+
+  const target = await PayrollHistoryService.getSnapshot(supabase, companyId, employeeId, input.period_key);
+  if (target && target.is_locked) {
+    throw serviceError(409, `The ${input.period_key} payslip is already finalized — choose the open period for the back pay`);
+  }
+
+  const snapshots = await _retroSnapshots(supabase, companyId, employeeId, input.effective_date.slice(0, 7), input.period_key);
+  if (!snapshots.length) {
+    throw serviceError(404, `No finalized periods found from ${input.effective_date.slice(0, 7)} to before ${input.period_key}`);
+  }
+
+  const taxConfig = await _loadTaxConfig(supabase, companyId);
+  const retro = calculateRetro(snapshots, {
+    effectiveDate: input.effective_date,
+    newSalary:     input.new_salary,
+    taxOverride:   PayrollCalculationService.buildEffectiveTables(taxConfig)
+  });
+  if (retro.amount <= 0) {
+    throw serviceError(409, 'new_salary must be higher than the salary already paid for the retro periods');
+  }
+
+  const existing = await _overlapping(supabase, companyId, employeeId, retro.from_period_key, retro.to_period_key);
+  if (existing) {
+    throw serviceError(409, `Back pay #${existing.id} (${existing.from_period_key} to ${existing.to_period_key}) already covers these periods`);
+  }
+
+  // The target period with and without the back pay — PAYE on it via the YTD method
+  const description = backPayDescription(input.effective_date);
+  const normalizedInputs = await PayrollDataService.fetchCalculationInputs(companyId, employeeId, input.period_key, supabase);
+  const without = await PayrollCalculationService.calculate(normalizedInputs, { taxConfig });
+  const withInputs = {
+    ...normalizedInputs,
+    currentInputs: [...(normalizedInputs.currentInputs || []), toPeriodInput({ id: null, description, amount: retro.amount })]
+  };
+  const withBackPay = await PayrollCalculationService.calculate(withInputs, { taxConfig });
+
+  const currentSalary = r2(normalizedInputs.basic_salary);
+  return {
+    employee,
+    input,
+    description,
+    retro,
+    target_period: {
+      period_key:       input.period_key,
+      basic_salary:     currentSalary,
+      paye_without:     r2(without.paye),
+      paye_with:        r2(withBackPay.paye),
+      paye_on_back_pay: r2(withBackPay.paye - without.paye),
+      net_without:      r2(without.net),
+      net_with:         r2(withBackPay.net),
+      rerun_required:   !!target
+    },
+    salary_warning: currentSalary !== input.new_salary
+      ? `The basic salary for ${input.period_key} is ${currentSalary.toFixed(2)} — set it to ${input.new_salary.toFixed(2)} so the open period is paid at the new rate`
+      : null
+  };
+}
+
+function _summary(prepared) {
+  return {
+    employee_id:     prepared.employee.id,
+    effective_date:  prepared.input.effective_date,
+    new_salary:      prepared.input.new_salary,
+    description:     prepared.description,
+    from_period_key: prepared.retro.from_period_key,
+    to_period_key:   prepared.retro.to_period_key,
+    amount:          prepared.retro.amount,
+    paye_difference: prepared.retro.paye_difference,
+    periods:         prepared.retro.periods,
+    target_period:   prepared.target_period,
+    salary_warning:  prepared.salary_warning
+  };
+}
+
+async function previewRetro(supabase, { companyId, employeeId, body }) {
+  return _summary(await _prepare(supabase, { companyId, employeeId, body }));
+}
+
+async function createRetro(supabase, { companyId, employeeId, body, userId }) {
+  const prepared = await _prepare(supabase, { companyId, employeeId, body });
+  const { data, error } = await supabase
+    .from('payroll_retro_pay')
+    .insert({
+      company_id:        companyId,
+      employee_id:       employeeId,
+      effective_date:    prepared.input.effective_date,
+      new_salary:        prepared.input.new_salary,
+      from_period_key:   prepared.retro.from_period_key,
+      to_period_key:     prepared.retro.to_period_key,
+      target_period_key: prepared.input.period_key,
+      description:       prepared.description,
+      amount:            prepared.retro.amount,
+      paye_difference:   prepared.retro.paye_difference,
+      breakdown:         prepared.retro.periods,
+      reason:            prepared.input.reason,
+      status:            'pending',
+      created_by:        userId || null
+    })
+    .select(RETRO_COLUMNS)
+    .single();
+  if (error) throw new Error(`Failed to save back pay: ${error.message}`);
+  return { ..._summary(prepared), retro_pay: data };
+}
+
+async function listForEmployee(supabase, companyId, employeeId) {
+  const { data, error } = await supabase
+    .from('payroll_retro_pay')
+    .select(RETRO_COLUMNS)
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .order('created_at', { ascending: false });
+  if (error) throw new Error(`Failed to fetch back pay: ${error.message}`);
+  return data || [];
+}
+
+async function getRetro(supabase, companyId, id) {
+  const { data, error } = await supabase
+    .from('payroll_retro_pay')
+    .select(`${RETRO_COLUMNS}, employee:employees(id, classification)`)
+    .eq('company_id', companyId)
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch back pay: ${error.message}`);
+  if (!data) throw serviceError(404, `Back pay ${id} not found`);
+  return data;
+}
+
+/** Cancel a back pay that has not been paid yet. */
+async function cancelRetro(supabase, { companyId, id, userId }) {
+  const retro = await getRetro(supabase, companyId, id);
+  if (retro.status !== 'pending') throw serviceError(409, `Back pay ${id} is already ${retro.status}`);
+  const { data, error } = await supabase
+    .from('payroll_retro_pay')
+    .update({ status: 'cancelled', cancelled_by: userId || null, cancelled_at: new Date().toISOString() })
+    .eq('company_id', companyId)
+    .eq('id', id)
+    .eq('status', 'pending')
+    .select(RETRO_COLUMNS)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to cancel back pay: ${error.message}`);
+  if (!data) throw serviceError(409, `Back pay ${id} is already paid`);
+  return data;
+}
+
+/**
+ * Pending back pay for the target period, as currentInputs.
+ * A missing table (migration 157 not run) means none.
+ */
+async function fetchForPeriod(supabase, { companyId, employeeId, periodKey }) {
+  const { data, error } = await supabase
+    .from('payroll_retro_pay')
+    .select('id, description, amount')
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .eq('target_period_key', periodKey)
+    .eq('status', 'pending');
+  if (error) {
+    if (_missing(error)) return [];
+    throw new Error(`Failed to fetch back pay: ${error.message}`);
+  }
+  return (data || []).map(toPeriodInput);
+}
+
+/**
+ * Mark the back pay carried by a finalized run's snapshots as paid.
+ * @returns {Promise<object[]>} [{ id, employee_id, amount }]
+ */
+async function markPaidForRun(supabase, { companyId, runId }) {
+  const { data: snaps, error } = await supabase
+    .from('payroll_snapshots')
+    .select('id, employee_id, calculation_input')
+    .eq('company_id', companyId)
+    .eq('payroll_run_id', runId)
+    .eq('is_locked', true)
+    .neq('status', 'reversed');
+  if (error) throw new Error(`Failed to fetch run snapshots: ${error.message}`);
+
+  const paid = [];
+  const now = new Date().toISOString();
+  for (const s of snaps || []) {
+    const items = ((s.calculation_input && s.calculation_input.currentInputs) || []).filter(ci => ci.retro_pay_id);
+    for (const item of items) {
+      const { data, error: uErr } = await supabase
+        .from('payroll_retro_pay')
+        .update({ status: 'paid', payroll_run_id: runId, snapshot_id: s.id, paid_at: now })
+        .eq('company_id', companyId)
+        .eq('id', item.retro_pay_id)
+        .eq('status', 'pending')
+        .select('id, employee_id, amount')
+        .maybeSingle();
+      if (uErr) throw new Error(`Failed to mark back pay paid: ${uErr.message}`);
+      if (data) paid.push(data);
+    }
+  }
+  return paid;
+}
+
+/** POST /reverse of the paying run — the back pay is pending again. */
+async function reopenForRun(supabase, { companyId, runId }) {
+  const { data, error } = await supabase
+    .from('payroll_retro_pay')
+    .update({ status: 'pending', payroll_run_id: null, snapshot_id: null, paid_at: null })
+    .eq('company_id', companyId)
+    .eq('payroll_run_id', runId)
+    .eq('status', 'paid')
+    .select('id, employee_id');
+  if (error) {
+    if (_missing(error)) return [];
+    throw new Error(`Failed to reopen back pay: ${error.message}`);
+  }
+  return data || [];
+}
+
+module.exports = {
+  // Pure
+  validateRetro,
+  backPayDescription,
+  adjustYtd,
+  recalculatePeriod,
+  calculateRetro,
+  toPeriodInput,
+  // DB
+  previewRetro,
+  createRetro,
+  listForEmployee,
+  getRetro,
+  cancelRetro,
+  fetchForPeriod,
+  markPaidForRun,
+  reopenForRun
+};
@@ -0,0 +1,714 @@
+/**
+ * ============================================================================
+ * SarsSubmissionService — EMP201 Monthly Returns and IRP5/IT3(a) Export
+ * ============================================================================
+ * Purpose: Turn locked payroll_snapshots into what SARS actually accepts:
+ *   - EMP201 — the monthly PAYE/SDL/UIF/ETI declaration with its payment
+ *     reference number (PRN)
+ *   - EMP501 — IRP5/IT3(a) tax certificates in the e@syFile CSV import layout
+ *
+ * Flow:
+ *   locked snapshots (latest per employee+period, reversed excluded)
+ *   → payroll_items_master irp5_code by item name → per-employee source codes
+ *   → validateCertificates (ID / tax numbers / code totals vs snapshots)
+ *   → buildEasyFileCsv → payroll_sars_exports (content + SHA-256)
+ *
+ * RULES:
+ * 1. Amounts come from calculation_input / calculation_output of the frozen
+ *    snapshots — nothing is recalculated.
+ * 2. An item whose master row carries an irp5_code is reported under that
+ *    code. Unmapped earnings fall back to 3601 (3605 for once-off items,
+ *    3696 when non-taxable); unmapped pre-tax deductions are warned about,
+ *    never guessed.
+ * 3. 3601 is the remainder of gross after every other income code, so the
+ *    certificate always adds back to the snapshots; a negative remainder is
+ *    a validation error.
+ * 3a. Fringe benefits valued by the engine (calculation_output.fringeBenefits)
+ *    are reported at their full value under their 38xx code. They are not
+ *    part of gross, so they sit outside the 3601 remainder.
+ * 3b. A severance benefit (calculation_output.severance) is reported under
+ *    3901 with its directive tax under 4115. Neither is in gross or 3699;
+ *    the 4115 tax is paid over with PAYE on the EMP201.
+ * 4. Income and deduction codes are whole rands (cents dropped); tax codes
+ *    (41xx) keep cents — as e@syFile expects.
+ * 5. An export with validation errors is refused. Warnings do not block.
+ *
+ * MULTI-TENANT SAFETY:
+ * Every query filters on companyId.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const PayrollEngine = require('../../../core/payroll-engine');
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+// SARS source-code ranges accepted on an IRP5/IT3(a) (see sean/teach-paytime-service.js)
+const INCOME_RANGES    = [[3601, 3630], [3651, 3680], [3701, 3799], [3801, 3830]];
+const DEDUCTION_RANGES = [[4001, 4030]];
+
+const CODE_BASIC         = '3601';
+const CODE_ONCE_OFF      = '3605';
+const CODE_NON_TAXABLE   = '3696';
+const CODE_RETIREMENT    = '3697';
+const CODE_NON_RETIRE    = '3698';
+const CODE_GROSS         = '3699';
+const CODE_PAYE          = '4102';
+const CODE_LUMP_SUM_TAX  = '4115';
+const CODE_ETI           = '4118';
+const CODE_UIF           = '4141';
+const CODE_SDL           = '4142';
+const CODE_TOTAL_TAX     = '4149';
+
+// IT3(a) reason for non-deduction: remuneration below the tax threshold
+const IT3A_DEFAULT_REASON = '02';
+
+const inRanges = (code, ranges) => {
+  const n = parseInt(code, 10);
+  return ranges.some(([lo, hi]) => n >= lo && n <= hi);
+};
+
+// ─── Pure helpers — exported for unit testing ─────────────────────────────────
+
+/** Luhn check used by SA ID numbers and SARS tax reference numbers. */
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Validate a 13-digit SA ID number: YYMMDD birth date, citizenship digit
+ * and Luhn check digit.
+ * @returns {string|null} problem description, or null when valid
+ */
+function validateIdNumber(idNumber) {
+  const id = String(idNumber || '').replace(/\s/g, '');
+  if (!id) return 'ID number is missing';
+  if (!/^\d{13}$/.test(id)) return 'ID number must be 13 digits';
+  const mm = parseInt(id.slice(2, 4), 10);
+  const dd = parseInt(id.slice(4, 6), 10);
+  const daysInMonth = new Date(2000, mm, 0).getDate(); // leap-year safe for 29 Feb
+  if (mm < 1 || mm > 12 || dd < 1 || dd > daysInMonth) return 'ID number does not start with a valid date of birth';
+  if (!['0', '1'].includes(id[10])) return 'ID number citizenship digit must be 0 or 1';
+  if (!luhnValid(id)) return 'ID number check digit is invalid';
+  return null;
+}
+
+/**
+ * Validate a SARS income tax reference: 10 digits starting 0, 1, 2, 3 or 9,
+ * with a modulus-10 (Luhn) check digit.
+ * @returns {string|null}
+ */
+function validateTaxNumber(taxNumber) {
+  const tax = String(taxNumber || '').replace(/\s/g, '');
+  if (!tax) return 'Income tax number is missing';
+  if (!/^\d{10}$/.test(tax)) return 'Income tax number must be 10 digits';
+  if (!'01239'.includes(tax[0])) return 'Income tax number must start with 0, 1, 2, 3 or 9';
+  if (!luhnValid(tax)) return 'Income tax number check digit is invalid';
+  return null;
+}
+
+/**
+ * Date of birth (YYYYMMDD) from an SA ID number, relative to the tax year
+ * end so a 2-digit year is never placed in the future.
+ */
+function dobFromIdNumber(idNumber, taxYearEnd) {
+  const id = String(idNumber || '').replace(/\s/g, '');
+  if (!/^\d{6}/.test(id)) return null;
+  const yy = parseInt(id.slice(0, 2), 10);
+  const century = (2000 + yy) > taxYearEnd ? 1900 : 2000;
+  return `${century + yy}${id.slice(2, 6)}`;
+}
+
+/**
+ * EMP201 payment reference number: PAYE reference + 'LC' + YYMM of the
+ * period being paid, e.g. 7012345678LC2604.
+ */
+function emp201PaymentReference(payeReference, periodKey) {
+  const ref = String(payeReference || '').replace(/\s/g, '');
+  if (!/^7\d{9}$/.test(ref)) throw serviceError(400, 'Company PAYE reference number must be 10 digits starting with 7');
+  if (!/^\d{4}-\d{2}$/.test(periodKey || '')) throw serviceError(400, 'period_key is required (YYYY-MM)');
+  return `${ref}LC${periodKey.slice(2, 4)}${periodKey.slice(5, 7)}`;
+}
+
+/**
+ * Keep the latest snapshot per employee+period (same rule as /recon/summary).
+ */
+function latestSnapshots(snapshots) {
+  const byKey = {};
+  for (const s of snapshots || []) {
+    const key = `${s.employee_id}_${s.period_key}`;
+    if (!byKey[key] || s.created_at > byKey[key].created_at) byKey[key] = s;
+  }
+  return Object.values(byKey);
+}
+
+/** Employer UIF — stored by the engine; statutory 1:1 match for older snapshots. */
+function employerUif(out) {
+  return out.uif_employer !== undefined && out.uif_employer !== null
+    ? parseFloat(out.uif_employer) || 0
+    : parseFloat(out.uif) || 0;
+}
+
+/**
+ * EMP201 for one period from its locked snapshots.
+ *
+ * ETI can only be set off against PAYE, so the amount claimed is capped at
+ * the period's PAYE. ETI not absorbed by PAYE in earlier months of the same
+ * employer reconciliation period is brought forward (PayrollEngine.rollForwardEti).
+ *
+ * @param {object[]} snapshots   - locked snapshots for the period
+ * @param {object}   opts        - { periodKey, payeReference, priorMonths }
+ *   priorMonths: [{ period, eti, paye }] employer totals for the earlier
+ *   months of the period's ETI reconciliation period
+ */
+function buildEmp201(snapshots, { periodKey, payeReference, priorMonths = [] }) {
+  const totals = { gross: 0, paye: 0, sdl: 0, uif_employee: 0, uif_employer: 0, eti_earned: 0 };
+  const employees = new Set();
+  for (const s of snapshots) {
+    if (s.period_key !== periodKey) continue;
+    const out = s.calculation_output || {};
+    employees.add(s.employee_id);
+    totals.gross        += parseFloat(out.gross) || 0;
+    totals.paye         += (parseFloat(out.paye) || 0) + (out.severance ? parseFloat(out.severance.tax) || 0 : 0);
+    totals.sdl          += parseFloat(out.sdl)   || 0;
+    totals.uif_employee += parseFloat(out.uif)   || 0;
+    totals.uif_employer += employerUif(out);
+    totals.eti_earned   += parseFloat(out.eti)   || 0;
+  }
+
+  const paye = r2(totals.paye);
+  const sdl  = r2(totals.sdl);
+  const uif  = r2(totals.uif_employee + totals.uif_employer);
+  const roll = PayrollEngine.rollForwardEti([...priorMonths, { period: periodKey, eti: totals.eti_earned, paye }]);
+  const eti  = roll.find(row => row.period === periodKey);
+
+  return {
+    period_key:        periodKey,
+    payment_reference: emp201PaymentReference(payeReference, periodKey),
+    employee_count:    employees.size,
+    gross_remuneration: r2(totals.gross),
+    paye,
+    sdl,
+    uif,
+    uif_employee:      r2(totals.uif_employee),
+    uif_employer:      r2(totals.uif_employer),
+    eti_earned:        eti.eti_earned,
+    eti_brought_forward: eti.brought_forward,
+    eti_claimed:       eti.claimed,
+    eti_carried_forward: eti.carried_forward,
+    eti_unclaimed_at_period_end: eti.unclaimed_at_period_end,
+    tax_payable:       r2(paye - eti.claimed + sdl + uif)
+  };
+}
+
+/** EMP201 as a one-record CSV for filing alongside the eFiling submission. */
+function emp201Csv(emp201) {
+  const cols = ['period_key', 'payment_reference', 'employee_count', 'gross_remuneration',
+    'paye', 'sdl', 'uif', 'eti_claimed', 'tax_payable'];
+  return cols.join(',') + '\r\n' + cols.map(c => emp201[c]).join(',') + '\r\n';
+}
+
+/**
+ * Build an itemCodes map from payroll_items_master rows: lower-cased,
+ * trimmed item_name → irp5_code (the key snapshot inputs carry as description).
+ */
+function itemCodeMap(masterItems) {
+  const map = {};
+  for (const m of masterItems || []) {
+    const k = (m.item_name || '').toLowerCase().trim();
+    if (k && m.irp5_code) map[k] = String(m.irp5_code).trim();
+  }
+  return map;
+}
+
+/**
+ * Per-employee IRP5 source-code totals across the tax year.
+ *
+ * @param {object[]} snapshots - locked, latest-per-period snapshots
+ * @param {object}   itemCodes - from itemCodeMap()
+ * @returns {object[]} [{ employee_id, periods[], codes: { code: amount }, snapshotTotals, warnings[] }]
+ */
+function aggregateCertificateCodes(snapshots, itemCodes) {
+  const byEmp = {};
+
+  for (const s of [...snapshots].sort((a, b) => (a.period_key < b.period_key ? -1 : 1))) {
+    const inp = s.calculation_input  || {};
+    const out = s.calculation_output || {};
+    if (!byEmp[s.employee_id]) {
+      byEmp[s.employee_id] = {
+        employee_id: s.employee_id,
+        periods: [],
+        codes: {},
+        snapshotTotals: { gross: 0, fringe: 0, paye: 0, lump_sum_tax: 0, uif: 0, sdl: 0, eti: 0 },
+        warnings: []
+      };
+    }
+    const cert = byEmp[s.employee_id];
+    const add  = (code, amt) => { cert.codes[code] = (cert.codes[code] || 0) + amt; };
+    cert.periods.push(s.period_key);
+
+    const gross = parseFloat(out.gross) || 0;
+    cert.snapshotTotals.gross += gross;
+    cert.snapshotTotals.paye  += parseFloat(out.paye) || 0;
+    cert.snapshotTotals.uif   += (parseFloat(out.uif) || 0) + employerUif(out);
+    cert.snapshotTotals.sdl   += parseFloat(out.sdl) || 0;
+    cert.snapshotTotals.eti   += parseFloat(out.eti) || 0;
+
+    const basic  = parseFloat(inp.basic_salary) || 0;
+    const inputs = [...(inp.regular_inputs || []), ...(inp.currentInputs || [])];
+    let allocated = 0;
+    for (const item of inputs) {
+      const amt = item.is_percentage && item.percentage_value
+        ? r2((item.percentage_value / 100) * basic)
+        : parseFloat(item.amount) || 0;
+      if (!amt) continue;
+      const mapped = itemCodes[(item.description || '').toLowerCase().trim()];
+
+      if (item.type === 'deduction') {
+        if (mapped && inRanges(mapped, DEDUCTION_RANGES)) {
+          add(mapped, amt);
+        } else if (item.tax_treatment === 'pre_tax') {
+          cert.warnings.push(`${s.period_key}: pre-tax deduction "${item.description}" has no IRP5 deduction code (40xx)`);
+        }
+        continue;
+      }
+
+      let code = mapped;
+      if (!code) {
+        if (item.is_taxable === false) code = CODE_NON_TAXABLE;
+        else if (item.paye_projection_type === 'ONCE_OFF') code = CODE_ONCE_OFF;
+        else continue; // stays in the 3601 remainder
+      }
+      if (code === CODE_BASIC) continue;
+      add(code, amt);
+      allocated += amt;
+    }
+
+    // Salary, overtime and everything not reported separately
+    const remainder = r2(gross - allocated);
+    if (remainder < 0) {
+      cert.warnings.push(`${s.period_key}: income items exceed snapshot gross by ${Math.abs(remainder).toFixed(2)}`);
+    }
+    add(CODE_BASIC, remainder);
+
+    // Taxable fringe benefits (38xx) — full value, never part of gross
+    for (const fb of out.fringeBenefits || []) {
+      const value = parseFloat(fb.value) || 0;
+      if (!value || !fb.irp5_code) continue;
+      add(String(fb.irp5_code), value);
+      cert.snapshotTotals.fringe += value;
+    }
+
+    // Severance benefit (3901) — lump sum taxed per directive, outside 3699
+    if (out.severance && parseFloat(out.severance.amount)) {
+      add(String(out.severance.irp5_code || PayrollEngine.SEVERANCE_IRP5_CODE), parseFloat(out.severance.amount));
+      cert.snapshotTotals.lump_sum_tax += parseFloat(out.severance.tax) || 0;
+    }
+  }
+
+  return Object.values(byEmp);
+}
+
+/**
+ * Finish a certificate: round, add the 3696–3699 totals and the 41xx tax
+ * codes, and choose IRP5 vs IT3(a).
+ */
+function finaliseCertificate(agg) {
+  const codes = {};
+  let taxable = 0;
+  let nonTaxable = 0;
+  for (const [code, amt] of Object.entries(agg.codes)) {
+    const rands = Math.trunc(amt);
+    if (rands === 0) continue;
+    codes[code] = rands;
+    if (code === CODE_NON_TAXABLE) nonTaxable += rands;
+    else if (inRanges(code, INCOME_RANGES)) taxable += rands;
+  }
+  if (nonTaxable) codes[CODE_NON_TAXABLE] = nonTaxable;
+  // Retirement-funding split is not captured per item yet — all taxable
+  // remuneration is reported as retirement-funding income.
+  codes[CODE_RETIREMENT] = taxable;
+  codes[CODE_NON_RETIRE] = 0;
+  codes[CODE_GROSS]      = taxable;
+
+  const t = agg.snapshotTotals;
+  const paye = r2(t.paye);
+  const uif  = r2(t.uif);
+  const sdl  = r2(t.sdl);
+  const lumpSumTax = r2(t.lump_sum_tax || 0);
+  codes[CODE_PAYE]      = paye;
+  if (lumpSumTax > 0) codes[CODE_LUMP_SUM_TAX] = lumpSumTax;
+  if (r2(t.eti) > 0) codes[CODE_ETI] = r2(t.eti);
+  codes[CODE_UIF]       = uif;
+  codes[CODE_SDL]       = sdl;
+  codes[CODE_TOTAL_TAX] = r2(paye + lumpSumTax + uif + sdl);
+
+  return {
+    employee_id:      agg.employee_id,
+    certificate_type: paye > 0 || lumpSumTax > 0 ? 'IRP5' : 'IT3(a)',
+    periods:          agg.periods,
+    codes,
+    snapshotTotals:   { gross: r2(t.gross), fringe: r2(t.fringe || 0), paye, uif, sdl, eti: r2(t.eti) },
+    warnings:         agg.warnings
+  };
+}
+
+/**
+ * Pre-export validation.
+ *
+ * @param {object[]} certificates  - finaliseCertificate() results
+ * @param {object}   employeesById - { [id]: employees row }
+ * @param {object}   company       - companies row
+ * @returns {{ errors: object[], warnings: object[] }} — { employee_id, name, message }
+ */
+function validateCertificates(certificates, employeesById, company) {
+  const errors = [];
+  const warnings = [];
+  const c = company || {};
+
+  if (!/^7\d{9}$/.test(String(c.paye_reference_number || '').replace(/\s/g, ''))) {
+    errors.push({ employee_id: null, name: 'Employer', message: 'PAYE reference number must be 10 digits starting with 7' });
+  }
+  if (c.sdl_reference_number && !/^L\d{9}$/i.test(String(c.sdl_reference_number).replace(/\s/g, ''))) {
+    errors.push({ employee_id: null, name: 'Employer', message: 'SDL reference number must be L followed by 9 digits' });
+  }
+  if (c.uif_reference_number && !/^U\d{9}$/i.test(String(c.uif_reference_number).replace(/\s/g, ''))) {
+    errors.push({ employee_id: null, name: 'Employer', message: 'UIF reference number must be U followed by 9 digits' });
+  }
+
+  for (const cert of certificates) {
+    const emp  = employeesById[cert.employee_id];
+    const name = emp ? `${emp.first_name || ''} ${emp.last_name || ''}`.trim() : `Employee ${cert.employee_id}`;
+    const err  = message => errors.push({ employee_id: cert.employee_id, name, message });
+    const warn = message => warnings.push({ employee_id: cert.employee_id, name, message });
+
+    if (!emp) { err('Employee record not found'); continue; }
+
+    const idProblem = validateIdNumber(emp.id_number);
+    if (idProblem) err(idProblem);
+
+    const taxProblem = validateTaxNumber(emp.tax_number);
+    if (taxProblem) {
+      // Tax deducted must be credited to a tax reference; IT3(a)s may omit it
+      if (cert.certificate_type === 'IRP5' || emp.tax_number) err(taxProblem);
+      else warn(taxProblem);
+    }
+
+    // Code totals against the period snapshots. Income codes drop their
+    // cents, so each may fall short of the snapshots by less than R1.
+    const incomeCodes = Object.keys(cert.codes)
+      .filter(code => code === CODE_NON_TAXABLE || inRanges(code, INCOME_RANGES));
+    const codeIncome = (cert.codes[CODE_GROSS] || 0) + (cert.codes[CODE_NON_TAXABLE] || 0);
+    const snapshotIncome = cert.snapshotTotals.gross + (cert.snapshotTotals.fringe || 0);
+    const diff = snapshotIncome - codeIncome;
+    if (diff < -0.005 || diff >= Math.max(incomeCodes.length, 1)) {
+      err(`Income codes total ${codeIncome} does not match snapshot gross ${snapshotIncome.toFixed(2)}` +
+        (cert.snapshotTotals.fringe ? ' (incl. fringe benefits)' : ''));
+    }
+    if ((cert.codes[CODE_BASIC] || 0) < 0) err(`Code ${CODE_BASIC} is negative — income items exceed gross`);
+    if (r2(cert.codes[CODE_PAYE]) !== cert.snapshotTotals.paye) {
+      err(`Code ${CODE_PAYE} does not match PAYE on the snapshots`);
+    }
+    for (const code of Object.keys(cert.codes)) {
+      if (!/^\d{4}$/.test(code)) err(`"${code}" is not a valid IRP5 source code`);
+    }
+
+    cert.warnings.forEach(warn);
+  }
+
+  return { errors, warnings };
+}
+
+// ─── e@syFile CSV layout ──────────────────────────────────────────────────────
+
+/** Quote text values; numbers go as-is. */
+function efValue(v) {
+  if (typeof v === 'number') return Number.isInteger(v) ? String(v) : v.toFixed(2);
+  return `"${String(v).replace(/"/g, '')}"`;
+}
+
+function efRecord(pairs) {
+  const parts = [];
+  for (const [code, value] of pairs) {
+    if (value === null || value === undefined || value === '') continue;
+    parts.push(code, efValue(value));
+  }
+  parts.push('9999');
+  return parts.join(',');
+}
+
+/**
+ * IRP5/IT3(a) export in the e@syFile Employer CSV import layout: one
+ * record per line as code,value pairs ending in 9999 — employer (20xx),
+ * one record per certificate (30xx + source codes), then the 60xx control
+ * totals (record count, sum of codes, sum of amounts).
+ *
+ * @param {object} opts - { company, taxYear 'YYYY/YYYY', certificates, employeesById, testRun }
+ * @returns {{ content, fileName, sha256, certificateCount }}
+ */
+function buildEasyFileCsv({ company, taxYear, certificates, employeesById, testRun = false }) {
+  const c = company || {};
+  const yearEnd = parseInt(String(taxYear).split('/')[1], 10);
+  const payeRef = String(c.paye_reference_number || '').replace(/\s/g, '');
+  const records = [];
+  let codeSum = 0;
+  let amountSum = 0;
+
+  const push = pairs => {
+    for (const [code, value] of pairs) {
+      if (value === null || value === undefined || value === '') continue;
+      codeSum += parseInt(code, 10);
+      if (typeof value === 'number') amountSum += value;
+    }
+    records.push(efRecord(pairs));
+  };
+
+  push([
+    ['2010', c.trading_name || c.company_name],
+    ['2015', testRun ? 'TEST' : 'LIVE'],
+    ['2020', payeRef],
+    ['2022', c.sdl_reference_number ? String(c.sdl_reference_number).toUpperCase() : null],
+    ['2024', c.uif_reference_number ? String(c.uif_reference_number).toUpperCase() : null],
+    ['2025', c.contact_person],
+    ['2026', c.contact_phone ? String(c.contact_phone).replace(/[^\d+]/g, '') : null],
+    ['2027', c.contact_email],
+    ['2030', yearEnd],
+    ['2031', Number(`${yearEnd}02`)]
+  ]);
+
+  const sorted = [...certificates].sort((a, b) => a.employee_id - b.employee_id);
+  sorted.forEach((cert, idx) => {
+    const emp = employeesById[cert.employee_id] || {};
+    const first = String(emp.first_name || '').trim();
+    const periods = [...cert.periods].sort();
+    const pairs = [
+      ['3010', `${payeRef}${yearEnd}${String(idx + 1).padStart(16, '0')}`],
+      ['3015', cert.certificate_type],
+      ['3020', 'A'],
+      ['3025', yearEnd],
+      ['3030', String(emp.last_name || '').trim()],
+      ['3040', first],
+      ['3050', first.split(/\s+/).map(n => n[0]).join('').toUpperCase()],
+      ['3060', String(emp.id_number || '').replace(/\s/g, '')],
+      ['3080', dobFromIdNumber(emp.id_number, yearEnd)],
+      ['3100', emp.tax_number ? String(emp.tax_number).replace(/\s/g, '') : null],
+      ['3160', emp.employee_number || String(emp.id || cert.employee_id)],
+      ['3170', periods.length ? `${periods[0].replace('-', '')}01` : null],
+      ['3180', periods.length ? periodEnd(periods[periods.length - 1]) : null],
+      ['3200', 12],
+      ['3210', periods.length],
+      ['3230', cert.certificate_type === 'IT3(a)' ? IT3A_DEFAULT_REASON : null]
+    ];
+    for (const code of Object.keys(cert.codes).sort()) pairs.push([code, cert.codes[code]]);
+    push(pairs);
+  });
+
+  const count = records.length + 1;
+  records.push(efRecord([
+    ['6010', count],
+    ['6020', codeSum],
+    ['6030', Number(amountSum.toFixed(2))]
+  ]));
+
+  const content = records.join('\r\n') + '\r\n';
+  return {
+    content,
+    fileName: `EMP501_${payeRef}_${yearEnd}${testRun ? '_TEST' : ''}.csv`,
+    sha256: crypto.createHash('sha256').update(content, 'utf8').digest('hex'),
+    certificateCount: sorted.length
+  };
+}
+
+function nextPeriod(periodKey) {
+  const [y, m] = periodKey.split('-').map(Number);
+  return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`;
+}
+
+function periodEnd(periodKey) {
+  const [y, m] = periodKey.split('-').map(Number);
+  return `${y}${String(m).padStart(2, '0')}${String(new Date(y, m, 0).getDate()).padStart(2, '0')}`;
+}
+
+// ─── DB methods ───────────────────────────────────────────────────────────────
+
+async function _loadCompany(supabase, companyId) {
+  const { data, error } = await supabase
+    .from('companies')
+    .select('id, company_name, trading_name, paye_reference_number, sdl_reference_number, ' +
+            'uif_reference_number, contact_person, contact_phone, contact_email')
+    .eq('id', companyId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch company: ${error.message}`);
+  if (!data) throw serviceError(404, `Company ${companyId} not found`);
+  return data;
+}
+
+async function _loadSnapshots(supabase, companyId, periods) {
+  const { data, error } = await supabase
+    .from('payroll_snapshots')
+    .select('employee_id, period_key, calculation_input, calculation_output, created_at')
+    .eq('company_id', companyId)
+    .eq('is_locked', true)
+    .neq('status', 'reversed')
+    .in('period_key', periods);
+  if (error) throw new Error(`Failed to fetch snapshots: ${error.message}`);
+  return latestSnapshots(data);
+}
+
+/**
+ * EMP201 for a period.
+ *
+ * @returns {Promise<object>} buildEmp201() result
+ */
+async function emp201ForPeriod(supabase, companyId, periodKey) {
+  if (!/^\d{4}-\d{2}$/.test(periodKey || '')) throw serviceError(400, 'period_key is required (YYYY-MM)');
+  const company = await _loadCompany(supabase, companyId);
+
+  // Earlier months of the same ETI reconciliation period (Mar–Aug / Sep–Feb)
+  const periods = [];
+  for (let p = PayrollEngine.etiReconciliationPeriod(periodKey); p <= periodKey; p = nextPeriod(p)) periods.push(p);
+
+  const snapshots = await _loadSnapshots(supabase, companyId, periods);
+  if (!snapshots.some(s => s.period_key === periodKey)) throw serviceError(404, `No finalized payroll found for ${periodKey}`);
+
+  const prior = {};
+  for (const s of snapshots) {
+    if (s.period_key === periodKey) continue;
+    const out = s.calculation_output || {};
+    if (!prior[s.period_key]) prior[s.period_key] = { period: s.period_key, eti: 0, paye: 0 };
+    prior[s.period_key].eti  += parseFloat(out.eti)  || 0;
+    prior[s.period_key].paye += parseFloat(out.paye) || 0;
+  }
+
+  return buildEmp201(snapshots, {
+    periodKey,
+    payeReference: company.paye_reference_number,
+    priorMonths:   Object.values(prior)
+  });
+}
+
+/**
+ * Certificates and validation result for a tax year — what /emp501/validate
+ * shows and what /emp501/export writes.
+ */
+async function prepareCertificates(supabase, companyId, periods) {
+  const company   = await _loadCompany(supabase, companyId);
+  const snapshots = await _loadSnapshots(supabase, companyId, periods);
+  if (!snapshots.length) throw serviceError(404, 'No finalized payroll found for this tax year');
+
+  const { data: masterItems, error: itemErr } = await supabase
+    .from('payroll_items_master')
+    .select('item_name, irp5_code')
+    .eq('company_id', companyId);
+  if (itemErr) throw new Error(`Failed to fetch payroll items: ${itemErr.message}`);
+
+  const { data: employees, error: empErr } = await supabase
+    .from('employees')
+    .select('id, first_name, last_name, employee_number, id_number, tax_number')
+    .eq('company_id', companyId)
+    .in('id', [...new Set(snapshots.map(s => s.employee_id))]);
+  if (empErr) throw new Error(`Failed to fetch employees: ${empErr.message}`);
+  const employeesById = {};
+  for (const e of employees || []) employeesById[e.id] = e;
+
+  const certificates = aggregateCertificateCodes(snapshots, itemCodeMap(masterItems)).map(finaliseCertificate);
+  const { errors, warnings } = validateCertificates(certificates, employeesById, company);
+  return { company, certificates, employeesById, errors, warnings };
+}
+
+/**
+ * Validate, build and store the IRP5/IT3(a) e@syFile file for a tax year.
+ *
+ * @param {object} opts - { companyId, taxYear, periods, testRun, userId }
+ * @returns {Promise<{ export: object, content: string }>}
+ */
+async function exportCertificates(supabase, { companyId, taxYear, periods, testRun, userId }) {
+  const prepared = await prepareCertificates(supabase, companyId, periods);
+  if (prepared.errors.length) {
+    throw serviceError(422,
+      `${prepared.errors.length} problem(s) must be corrected before the IRP5 file can be generated`,
+      { validation_errors: prepared.errors });
+  }
+
+  const file = buildEasyFileCsv({
+    company:       prepared.company,
+    taxYear,
+    certificates:  prepared.certificates,
+    employeesById: prepared.employeesById,
+    testRun:       !!testRun
+  });
+
+  const totals = { paye: 0, uif: 0, sdl: 0, gross: 0 };
+  for (const cert of prepared.certificates) {
+    totals.paye  += cert.codes[CODE_PAYE] || 0;
+    totals.uif   += cert.codes[CODE_UIF]  || 0;
+    totals.sdl   += cert.codes[CODE_SDL]  || 0;
+    totals.gross += cert.codes[CODE_GROSS] || 0;
+  }
+  Object.keys(totals).forEach(k => { totals[k] = r2(totals[k]); });
+
+  const { data: saved, error } = await supabase
+    .from('payroll_sars_exports')
+    .insert({
+      company_id:        companyId,
+      return_type:       'EMP501',
+      tax_year:          taxYear,
+      is_test:           !!testRun,
+      file_name:         file.fileName,
+      content:           file.content,
+      sha256:            file.sha256,
+      certificate_count: file.certificateCount,
+      totals,
+      warnings:          prepared.warnings,
+      generated_by:      userId
+    })
+    .select('id, company_id, return_type, tax_year, is_test, file_name, sha256, certificate_count, totals, warnings, generated_by, generated_at')
+    .single();
+  if (error) throw new Error(`Failed to store IRP5 export: ${error.message}`);
+
+  return { export: saved, content: file.content };
+}
+
+/** Stored exports for a tax year, newest first (content omitted). */
+async function listExports(supabase, companyId, taxYear) {
+  let query = supabase
+    .from('payroll_sars_exports')
+    .select('id, return_type, tax_year, is_test, file_name, sha256, certificate_count, totals, generated_by, generated_at')
+    .eq('company_id', companyId)
+    .order('generated_at', { ascending: false });
+  if (taxYear) query = query.eq('tax_year', taxYear);
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to list SARS exports: ${error.message}`);
+  return data || [];
+}
+
+module.exports = {
+  // Pure
+  validateIdNumber,
+  validateTaxNumber,
+  dobFromIdNumber,
+  emp201PaymentReference,
+  latestSnapshots,
+  buildEmp201,
+  emp201Csv,
+  itemCodeMap,
+  aggregateCertificateCodes,
+  finaliseCertificate,
+  validateCertificates,
+  buildEasyFileCsv,
+  // DB
+  emp201ForPeriod,
+  prepareCertificates,
+  exportCertificates,
+  listExports
+};
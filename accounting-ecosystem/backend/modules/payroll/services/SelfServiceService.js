@@ -0,0 +1,731 @@
+/**
+ * ============================================================================
+ * SelfServiceService — Employee Self-Service
+ * ============================================================================
+ * Purpose: Give an employee-role login (linked to one employees row through
+ * employees.user_id) its own payslips and IRP5 certificates as
+ * password-protected PDFs, leave requests for manager approval and bank
+ * detail changes that a payroll admin must verify.
+ *
+ * Flow:
+ *   grantAccess      — users + user_company_access (role 'employee', payroll
+ *                      app only) → employees.user_id
+ *   resolveEmployee  — req.user.userId → the one employees row it may see
+ *   payslipPdf       — locked snapshot → payslipLines → selfServicePdf
+ *   certificatePdf   — locked snapshots of a tax year with a live EMP501
+ *                      export → SarsSubmissionService codes → selfServicePdf
+ *   validateLeaveRequest — POST /attendance/leave/request → leave_records
+ *                      (pending) → PUT /attendance/leave/:id/decision
+ *   requestBankChange → employee_bank_change_requests (pending)
+ *                      → reviewBankChange → employee_bank_details + employees
+ *
+ * RULES:
+ * 1. Every read is scoped to the caller's own employees row; an employee id
+ *    is never taken from the request.
+ * 2. Only finalized (locked, not reversed) payslips are shown. An IRP5 is
+ *    shown for a tax year once a non-test EMP501 export exists for it — the
+ *    certificate is rebuilt from the same locked snapshots, so it matches
+ *    what was submitted.
+ * 3. PDFs open with the employee's ID number (tax number when there is no
+ *    ID number). No PDF is produced without one.
+ * 4. Requested bank details never reach the EFT file until approved, and an
+ *    employee has at most one pending request.
+ *
+ * MULTI-TENANT SAFETY:
+ * Every query filters on companyId.
+ * ============================================================================
+ */
+
+const bcrypt = require('bcryptjs');
+const SarsSubmissionService = require('./SarsSubmissionService');
+const LeaveAccrualService = require('./LeaveAccrualService');
+const selfServicePdf = require('./selfServicePdf');
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+const LEAVE_TYPES = ['annual', 'sick', 'family', 'maternity', 'paternity', 'unpaid', 'other'];
+const ACCOUNT_TYPES = ['current', 'savings', 'transmission'];
+const LEAVE_DECISIONS = { approve: 'approved', reject: 'rejected' };
+
+const BANK_CHANGE_COLUMNS =
+  'id, company_id, employee_id, bank_name, account_holder, account_number, branch_code, account_type, previous, ' +
+  'status, requested_by, requested_at, reviewed_by, reviewed_at, review_note';
+
+const DAY_MS = 86400000;
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+const _missing = error => error && (error.code === '42P01' || error.code === 'PGRST205');
+
+// ─── Pure helpers — exported for unit testing ─────────────────────────────────
+
+const _isDate = s => /^\d{4}-\d{2}-\d{2}$/.test(String(s || '')) && !isNaN(new Date(`${s}T00:00:00Z`));
+
+/**
+ * Password that opens the employee's PDFs: ID number, else tax number.
+ * @throws when the employee has neither
+ */
+function pdfPassword(employee) {
+  const id = String((employee && employee.id_number) || '').replace(/\s/g, '');
+  if (id) return id;
+  const tax = String((employee && employee.tax_number) || '').replace(/\s/g, '');
+  if (tax) return tax;
+  throw serviceError(400, 'An ID number or tax number is required on the employee record to protect the PDF');
+}
+
+/** '••••6789' — enough for the employee to recognise the account. */
+function maskAccount(accountNumber) {
+  const acc = String(accountNumber || '').replace(/\s/g, '');
+  if (!acc) return null;
+  return `••••${acc.slice(-4)}`;
+}
+
+/** Mon–Fri days from..to inclusive. */
+function weekdaysBetween(startDate, endDate) {
+  let count = 0;
+  const end = new Date(`${endDate}T00:00:00Z`).getTime();
+  for (let t = new Date(`${startDate}T00:00:00Z`).getTime(); t <= end; t += DAY_MS) {
+    const day = new Date(t).getUTCDay();
+    if (day !== 0 && day !== 6) count++;
+  }
+  return count;
+}
+
+/**
+ * Validate an employee's leave request.
+ * days_taken defaults to the weekdays in the range.
+ * @returns {{ leave_type, start_date, end_date, days_taken, reason }}
+ */
+function validateLeaveRequest(input) {
+  const src = input || {};
+  const type = String(src.leave_type || '').toLowerCase();
+  if (!LEAVE_TYPES.includes(type)) throw serviceError(400, `leave_type must be one of: ${LEAVE_TYPES.join(', ')}`);
+  if (!_isDate(src.start_date)) throw serviceError(400, 'start_date is required (YYYY-MM-DD)');
+  if (!_isDate(src.end_date)) throw serviceError(400, 'end_date is required (YYYY-MM-DD)');
+  if (src.end_date < src.start_date) throw serviceError(400, 'end_date must be on or after start_date');
+
+  let days;
+  if (src.days_taken === undefined || src.days_taken === null || src.days_taken === '') {
+    days = weekdaysBetween(src.start_date, src.end_date);
+  } else {
+    days = Number(src.days_taken);
+    if (isNaN(days) || days <= 0 || Math.round(days * 2) !== days * 2) {
+      throw serviceError(400, 'days_taken must be a positive number of whole or half days');
+    }
+  }
+  if (days <= 0) throw serviceError(400, 'days_taken must be a positive number of whole or half days — the range has no weekdays');
+
+  return {
+    leave_type: type,
+    start_date: src.start_date,
+    end_date:   src.end_date,
+    days_taken: days,
+    reason:     src.reason ? String(src.reason).trim() : null
+  };
+}
+
+/**
+ * Normalise a manager's leave decision.
+ * @returns {{ status: 'approved'|'rejected', note }}
+ */
+function leaveDecision(input) {
+  const src = input || {};
+  const status = LEAVE_DECISIONS[String(src.decision || '').toLowerCase()];
+  if (!status) throw serviceError(400, `decision must be one of: ${Object.keys(LEAVE_DECISIONS).join(', ')}`);
+  const note = src.note ? String(src.note).trim() : null;
+  if (status === 'rejected' && !note) throw serviceError(400, 'A note is required when rejecting leave');
+  return { status, note };
+}
+
+/**
+ * Validate requested bank details (same account / branch rules as the
+ * salary EFT file).
+ * @returns {{ bank_name, account_holder, account_number, branch_code, account_type }}
+ */
+function validateBankChange(input) {
+  const src = input || {};
+  const bankName = String(src.bank_name || '').trim();
+  const holder = String(src.account_holder || '').trim();
+  const acc = String(src.account_number || '').replace(/\s/g, '');
+  const branch = String(src.branch_code || '').replace(/\s/g, '');
+  const type = String(src.account_type || 'current').toLowerCase();
+  if (!bankName) throw serviceError(400, 'bank_name is required');
+  if (!holder) throw serviceError(400, 'account_holder is required');
+  if (!/^\d{5,13}$/.test(acc)) throw serviceError(400, 'account_number must be 5 to 13 digits');
+  if (!/^\d{6}$/.test(branch)) throw serviceError(400, 'branch_code must be 6 digits');
+  if (!ACCOUNT_TYPES.includes(type)) throw serviceError(400, `account_type must be one of: ${ACCOUNT_TYPES.join(', ')}`);
+  return { bank_name: bankName, account_holder: holder, account_number: acc, branch_code: branch, account_type: type };
+}
+
+/** The twelve YYYY-MM periods of a 'YYYY/YYYY' tax year (March–February). */
+function taxYearPeriods(taxYear) {
+  const m = /^(\d{4})\/(\d{4})$/.exec(String(taxYear || ''));
+  if (!m || Number(m[2]) !== Number(m[1]) + 1) throw serviceError(400, 'taxYear must be YYYY/YYYY, e.g. 2025/2026');
+  const y1 = Number(m[1]);
+  const periods = [];
+  for (let i = 0; i < 12; i++) {
+    const month = ((2 + i) % 12) + 1;
+    periods.push(`${month >= 3 ? y1 : y1 + 1}-${String(month).padStart(2, '0')}`);
+  }
+  return periods;
+}
+
+/**
+ * Payslip lines from a frozen snapshot. Basic salary is the part of gross
+ * not itemised elsewhere, and unitemised deductions fall into "Other
+ * deductions", so earnings − deductions always equals the snapshot net.
+ *
+ * @returns {{ period_key, earnings[], deductions[], employer[], totals: { earnings, deductions, net } }}
+ */
+function payslipLines(snapshot) {
+  const inp = snapshot.calculation_input || {};
+  const out = snapshot.calculation_output || {};
+  const basic = parseFloat(inp.basic_salary) || 0;
+  const amountOf = item => (item.is_percentage && item.percentage_value
+    ? r2((item.percentage_value / 100) * basic)
+    : r2(item.amount));
+  const items = [...(inp.regular_inputs || []), ...(inp.currentInputs || [])]
+    .map(i => ({ description: i.description || 'Item', amount: amountOf(i), deduction: i.type === 'deduction' }))
+    .filter(i => i.amount);
+  const sum = lines => r2(lines.reduce((s, l) => s + l.amount, 0));
+
+  const itemEarnings = items.filter(i => !i.deduction).map(({ description, amount }) => ({ description, amount }));
+  const overtime = r2(out.overtimeAmount);
+  const multiRate = r2(out.multiRateAmount);
+  const shortTime = r2(out.shortTimeAmount);
+  const earnings = [{ description: 'Basic salary', amount: r2(r2(out.gross) - sum(itemEarnings) - overtime - multiRate + shortTime) }];
+  earnings.push(...itemEarnings);
+  if (overtime) earnings.push({ description: 'Overtime', amount: overtime });
+  if (multiRate) earnings.push({ description: 'Paid at different rate', amount: multiRate });
+  if (shortTime) earnings.push({ description: 'Short time', amount: -shortTime });
+
+  const deductions = [{ description: 'PAYE', amount: r2(out.paye) }, { description: 'UIF', amount: r2(out.uif) }];
+  const itemDeductions = items.filter(i => i.deduction).map(({ description, amount }) => ({ description, amount }));
+  const orders = (out.deductionOrders || [])
+    .filter(o => parseFloat(o.deducted))
+    .map(o => ({
+      description: o.description || (o.type === 'garnishee' ? 'Garnishee order' : 'Staff loan'),
+      amount: r2(o.deducted)
+    }));
+  deductions.push(...itemDeductions, ...orders);
+  const other = r2(r2(out.deductions) - sum(itemDeductions) - sum(orders));
+  if (Math.abs(other) >= 0.01) deductions.push({ description: 'Other deductions', amount: other });
+
+  const severance = out.severance || null;
+  if (severance && parseFloat(severance.amount)) {
+    earnings.push({ description: 'Severance benefit', amount: r2(severance.amount) });
+    if (parseFloat(severance.tax)) deductions.push({ description: 'Tax on severance benefit (directive)', amount: r2(severance.tax) });
+  }
+
+  const employer = [
+    { description: 'UIF (employer)', amount: r2(out.uif_employer) },
+    { description: 'SDL', amount: r2(out.sdl) }
+  ].filter(l => l.amount);
+
+  return {
+    period_key: snapshot.period_key,
+    earnings,
+    deductions,
+    employer,
+    totals: { earnings: sum(earnings), deductions: sum(deductions), net: r2(out.net) }
+  };
+}
+
+/** What the employee sees about themselves — bank account masked. */
+function profileFor(employee) {
+  const rows = Array.isArray(employee.employee_bank_details) ? employee.employee_bank_details : [];
+  const bank = rows.find(r => r.is_primary) || rows[0] || employee;
+  return {
+    id:              employee.id,
+    first_name:      employee.first_name,
+    last_name:       employee.last_name,
+    employee_code:   employee.employee_code || null,
+    email:           employee.email || null,
+    department:      employee.department || null,
+    position:        employee.position || null,
+    hire_date:       employee.hire_date || null,
+    bank: {
+      bank_name:      bank.bank_name || null,
+      account_holder: employee.account_holder || null,
+      account_number: maskAccount(bank.account_number),
+      account_type:   bank.account_type || null
+    }
+  };
+}
+
+// ─── DB ───────────────────────────────────────────────────────────────────────
+
+/**
+ * The employees row linked to a login in this company.
+ * @throws when no employee record is linked
+ */
+async function resolveEmployee(supabase, { companyId, userId }) {
+  const { data, error } = await supabase
+    .from('employees')
+    .select('*, employee_bank_details(*)')
+    .eq('company_id', companyId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch employee: ${error.message}`);
+  if (!data) throw serviceError(404, 'Employee record not found for this login');
+  return data;
+}
+
+async function _loadCompany(supabase, companyId) {
+  const { data, error } = await supabase
+    .from('companies')
+    .select('id, company_name, trading_name, address, paye_reference_number, uif_reference_number, sdl_reference_number')
+    .eq('id', companyId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch company: ${error.message}`);
+  if (!data) throw serviceError(404, `Company ${companyId} not found`);
+  return data;
+}
+
+/** Finalized payslips, newest first. */
+async function listPayslips(supabase, { companyId, employeeId }) {
+  const { data, error } = await supabase
+    .from('payroll_snapshots')
+    .select('id, period_key, calculation_output, finalized_at')
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .eq('is_locked', true)
+    .neq('status', 'reversed')
+    .order('period_key', { ascending: false });
+  if (error) throw new Error(`Failed to fetch payslips: ${error.message}`);
+  return (data || []).map(s => ({
+    period_key:   s.period_key,
+    gross:        r2(s.calculation_output && s.calculation_output.gross),
+    net:          r2(s.calculation_output && s.calculation_output.net),
+    finalized_at: s.finalized_at
+  }));
+}
+
+async function _lockedSnapshot(supabase, companyId, employeeId, periodKey) {
+  const { data, error } = await supabase
+    .from('payroll_snapshots')
+    .select('id, employee_id, period_key, calculation_input, calculation_output, finalized_at, created_at')
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .eq('period_key', periodKey)
+    .eq('is_locked', true)
+    .neq('status', 'reversed')
+    .order('created_at', { ascending: false })
+    .limit(1);
+  if (error) throw new Error(`Failed to fetch payslip: ${error.message}`);
+  return (data || [])[0] || null;
+}
+
+/**
+ * Password-protected payslip PDF for a finalized period.
+ * @returns {Promise<{ fileName, pdf: Buffer, payslip }>}
+ */
+async function payslipPdf(supabase, { companyId, employee, periodKey }) {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(periodKey || ''))) throw serviceError(400, 'period_key must be YYYY-MM');
+  const password = pdfPassword(employee);
+  const snapshot = await _lockedSnapshot(supabase, companyId, employee.id, periodKey);
+  if (!snapshot) throw serviceError(404, `Finalized payslip for ${periodKey} not found`);
+
+  const company = await _loadCompany(supabase, companyId);
+  const payslip = payslipLines(snapshot);
+  const pdf = await selfServicePdf.renderPayslip({ company, employee, payslip, password });
+  return { fileName: `Payslip_${periodKey}_${employee.employee_code || employee.id}.pdf`, pdf, payslip };
+}
+
+/** Tax years with a live (non-test) EMP501 export that include this employee. */
+async function listCertificates(supabase, { companyId, employeeId }) {
+  const { data: exports, error } = await supabase
+    .from('payroll_sars_exports')
+    .select('tax_year, generated_at')
+    .eq('company_id', companyId)
+    .eq('is_test', false)
+    .order('generated_at', { ascending: false });
+  if (error) {
+    if (_missing(error)) return [];
+    throw new Error(`Failed to fetch SARS exports: ${error.message}`);
+  }
+  const taxYears = [...new Set((exports || []).map(e => e.tax_year))];
+  if (!taxYears.length) return [];
+
+  const { data: snaps, error: sErr } = await supabase
+    .from('payroll_snapshots')
+    .select('period_key')
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .eq('is_locked', true)
+    .neq('status', 'reversed');
+  if (sErr) throw new Error(`Failed to fetch payslips: ${sErr.message}`);
+  const periods = new Set((snaps || []).map(s => s.period_key));
+
+  return taxYears
+    .filter(ty => taxYearPeriods(ty).some(p => periods.has(p)))
+    .map(ty => ({ tax_year: ty, issued_at: (exports.find(e => e.tax_year === ty) || {}).generated_at || null }));
+}
+
+/**
+ * Password-protected IRP5/IT3(a) PDF for a tax year already exported to SARS.
+ * @returns {Promise<{ fileName, pdf: Buffer, certificate }>}
+ */
+async function certificatePdf(supabase, { companyId, employee, taxYear }) {
+  const periods = taxYearPeriods(taxYear);
+  const password = pdfPassword(employee);
+
+  const available = await listCertificates(supabase, { companyId, employeeId: employee.id });
+  if (!available.some(c => c.tax_year === taxYear)) throw serviceError(404, `IRP5 certificate for ${taxYear} not found`);
+
+  const { data: snaps, error } = await supabase
+    .from('payroll_snapshots')
+    .select('employee_id, period_key, calculation_input, calculation_output, created_at')
+    .eq('company_id', companyId)
+    .eq('employee_id', employee.id)
+    .eq('is_locked', true)
+    .neq('status', 'reversed')
+    .in('period_key', periods);
+  if (error) throw new Error(`Failed to fetch payslips: ${error.message}`);
+
+  const { data: masterItems, error: itemErr } = await supabase
+    .from('payroll_items_master')
+    .select('item_name, irp5_code')
+    .eq('company_id', companyId);
+  if (itemErr) throw new Error(`Failed to fetch payroll items: ${itemErr.message}`);
+
+  const [certificate] = SarsSubmissionService
+    .aggregateCertificateCodes(SarsSubmissionService.latestSnapshots(snaps), SarsSubmissionService.itemCodeMap(masterItems))
+    .map(SarsSubmissionService.finaliseCertificate);
+  if (!certificate) throw serviceError(404, `IRP5 certificate for ${taxYear} not found`);
+
+  const company = await _loadCompany(supabase, companyId);
+  const pdf = await selfServicePdf.renderCertificate({ company, employee, certificate, taxYear, password });
+  return { fileName: `${certificate.certificate_type.replace(/\W/g, '')}_${taxYear.replace('/', '-')}_${employee.employee_code || employee.id}.pdf`, pdf, certificate };
+}
+
+/** The employee's leave records and this year's balances. */
+async function listLeave(supabase, { companyId, employeeId, year }) {
+  const { data, error } = await supabase
+    .from('leave_records')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .order('start_date', { ascending: false });
+  if (error) throw new Error(`Failed to fetch leave: ${error.message}`);
+  const balances = await LeaveAccrualService.recalculateEmployee(supabase, { companyId, employeeId, year });
+  return { records: data || [], balances };
+}
+
+/**
+ * Record a leave request as pending.
+ * @throws when it overlaps pending or approved leave
+ */
+async function requestLeave(supabase, { companyId, employeeId, userId, input }) {
+  const leave = validateLeaveRequest(input);
+
+  const { data: overlap, error: oErr } = await supabase
+    .from('leave_records')
+    .select('id, start_date, end_date, status')
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .in('status', ['pending', 'approved'])
+    .lte('start_date', leave.end_date)
+    .gte('end_date', leave.start_date);
+  if (oErr) throw new Error(`Failed to check leave: ${oErr.message}`);
+  if ((overlap || []).length) {
+    const o = overlap[0];
+    throw serviceError(409, `Leave from ${o.start_date} to ${o.end_date} is already ${o.status} for these dates`);
+  }
+
+  const { data, error } = await supabase
+    .from('leave_records')
+    .insert({
+      company_id:   companyId,
+      employee_id:  employeeId,
+      ...leave,
+      status:       'pending',
+      source:       'self_service',
+      requested_by: userId
+    })
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to save leave request: ${error.message}`);
+  return data;
+}
+
+/** Current bank details, as the EFT file would use them. */
+function _currentBank(employee) {
+  const rows = Array.isArray(employee.employee_bank_details) ? employee.employee_bank_details : [];
+  const primary = rows.find(r => r.is_primary) || rows[0] || null;
+  const src = primary && primary.account_number ? primary : employee;
+  return {
+    bank_name:      src.bank_name || null,
+    account_holder: employee.account_holder || null,
+    account_number: src.account_number || null,
+    branch_code:    src.branch_code || null,
+    account_type:   src.account_type || null
+  };
+}
+
+/** Submit new bank details for verification. */
+async function requestBankChange(supabase, { companyId, employee, userId, input }) {
+  const details = validateBankChange(input);
+  const { data, error } = await supabase
+    .from('employee_bank_change_requests')
+    .insert({
+      company_id:   companyId,
+      employee_id:  employee.id,
+      ...details,
+      previous:     _currentBank(employee),
+      status:       'pending',
+      requested_by: userId
+    })
+    .select(BANK_CHANGE_COLUMNS)
+    .single();
+  if (error) {
+    if (error.code === '23505') throw serviceError(409, 'A bank detail change is already pending verification — withdraw it first');
+    throw new Error(`Failed to save bank detail change: ${error.message}`);
+  }
+  return data;
+}
+
+/** Bank detail change requests, optionally for one employee or status. */
+async function listBankChanges(supabase, { companyId, employeeId = null, status = null }) {
+  let query = supabase
+    .from('employee_bank_change_requests')
+    .select(`${BANK_CHANGE_COLUMNS}, employee:employees(id, first_name, last_name, employee_code, classification)`)
+    .eq('company_id', companyId)
+    .order('requested_at', { ascending: false });
+  if (employeeId) query = query.eq('employee_id', employeeId);
+  if (status) query = query.eq('status', status);
+  const { data, error } = await query;
+  if (error) {
+    if (_missing(error)) return [];
+    throw new Error(`Failed to fetch bank detail changes: ${error.message}`);
+  }
+  return data || [];
+}
+
+async function getBankChange(supabase, companyId, id) {
+  const { data, error } = await supabase
+    .from('employee_bank_change_requests')
+    .select(`${BANK_CHANGE_COLUMNS}, employee:employees(id, first_name, last_name, employee_code, classification)`)
+    .eq('company_id', companyId)
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch bank detail change: ${error.message}`);
+  if (!data) throw serviceError(404, `Bank detail change ${id} not found`);
+  return data;
+}
+
+/** The employee withdraws their own pending request. */
+async function withdrawBankChange(supabase, { companyId, employeeId, id }) {
+  const change = await getBankChange(supabase, companyId, id);
+  if (change.employee_id !== employeeId) throw serviceError(404, `Bank detail change ${id} not found`);
+  if (change.status !== 'pending') throw serviceError(409, `Bank detail change ${id} is already ${change.status}`);
+  const { data, error } = await supabase
+    .from('employee_bank_change_requests')
+    .update({ status: 'withdrawn' })
+    .eq('company_id', companyId)
+    .eq('id', id)
+    .eq('status', 'pending')
+    .select(BANK_CHANGE_COLUMNS)
+    .single();
+  if (error) throw new Error(`Failed to withdraw bank detail change: ${error.message}`);
+  return data;
+}
+
+/**
+ * Approve or reject a pending request. Approval writes the primary
+ * employee_bank_details row and mirrors the fields onto employees, as
+ * PUT /employees/:id/bank-details does.
+ */
+async function reviewBankChange(supabase, { companyId, id, approve, note, userId }) {
+  const change = await getBankChange(supabase, companyId, id);
+  if (change.status !== 'pending') throw serviceError(409, `Bank detail change ${id} is already ${change.status}`);
+  if (!approve && !note) throw serviceError(400, 'A note is required when rejecting a bank detail change');
+
+  if (approve) {
+    const now = new Date().toISOString();
+    const payload = {
+      company_id:     companyId,
+      employee_id:    change.employee_id,
+      bank_name:      change.bank_name,
+      account_number: change.account_number,
+      branch_code:    change.branch_code,
+      account_type:   change.account_type,
+      is_primary:     true,
+      updated_at:     now
+    };
+    const { data: rows, error: fErr } = await supabase
+      .from('employee_bank_details')
+      .select('id, is_primary')
+      .eq('company_id', companyId)
+      .eq('employee_id', change.employee_id);
+    if (fErr) throw new Error(`Failed to fetch bank details: ${fErr.message}`);
+    const existing = (rows || []).find(r => r.is_primary) || (rows || [])[0];
+
+    const { error: wErr } = existing
+      ? await supabase.from('employee_bank_details').update(payload).eq('id', existing.id)
+      : await supabase.from('employee_bank_details').insert(payload);
+    if (wErr) throw new Error(`Failed to save bank details: ${wErr.message}`);
+
+    const { error: eErr } = await supabase
+      .from('employees')
+      .update({
+        bank_name:      change.bank_name,
+        account_holder: change.account_holder,
+        account_number: change.account_number,
+        branch_code:    change.branch_code,
+        updated_at:     now
+      })
+      .eq('company_id', companyId)
+      .eq('id', change.employee_id);
+    if (eErr) throw new Error(`Failed to update employee bank fields: ${eErr.message}`);
+  }
+
+  const { data, error } = await supabase
+    .from('employee_bank_change_requests')
+    .update({
+      status:      approve ? 'approved' : 'rejected',
+      reviewed_by: userId,
+      reviewed_at: new Date().toISOString(),
+      review_note: note || null
+    })
+    .eq('company_id', companyId)
+    .eq('id', id)
+    .select(BANK_CHANGE_COLUMNS)
+    .single();
+  if (error) throw new Error(`Failed to update bank detail change: ${error.message}`);
+  return data;
+}
+
+/**
+ * Create an employee-role login for one employee. The login is limited to
+ * the payroll app and linked through employees.user_id.
+ */
+async function grantAccess(supabase, { companyId, employeeId, username, password, email, userId }) {
+  const name = String(username || '').toLowerCase().trim();
+  if (!name) throw serviceError(400, 'username is required');
+  if (!password || String(password).length < 8) throw serviceError(400, 'password must be at least 8 characters');
+
+  const { data: employee, error: eErr } = await supabase
+    .from('employees')
+    .select('id, first_name, last_name, email, employee_code, user_id')
+    .eq('company_id', companyId)
+    .eq('id', employeeId)
+    .maybeSingle();
+  if (eErr) throw new Error(`Failed to fetch employee: ${eErr.message}`);
+  if (!employee) throw serviceError(404, `Employee ${employeeId} not found`);
+  if (employee.user_id) throw serviceError(409, 'This employee already has a self-service login');
+
+  const { data: taken } = await supabase.from('users').select('id').eq('username', name).maybeSingle();
+  if (taken) throw serviceError(409, `Username ${name} is already taken`);
+
+  const { data: user, error: uErr } = await supabase
+    .from('users')
+    .insert({
+      username:      name,
+      password_hash: await bcrypt.hash(String(password), 12),
+      full_name:     `${employee.first_name || ''} ${employee.last_name || ''}`.trim(),
+      email:         (email || employee.email || '').toLowerCase().trim() || null,
+      role:          'employee',
+      is_active:     true
+    })
+    .select('id, username, full_name, email, role')
+    .single();
+  if (uErr) throw new Error(`Failed to create login: ${uErr.message}`);
+
+  const cleanUp = async () => { await supabase.from('users').delete().eq('id', user.id); };
+
+  const { error: aErr } = await supabase
+    .from('user_company_access')
+    .insert({
+      user_id:            user.id,
+      company_id:         companyId,
+      role:               'employee',
+      employee_id:        employee.employee_code || null,
+      apps_access:        ['payroll'],
+      is_active:          true,
+      is_primary:         true,
+      granted_by_user_id: userId,
+      granted_at:         new Date().toISOString()
+    });
+  if (aErr) {
+    await cleanUp();
+    throw new Error(`Failed to grant company access: ${aErr.message}`);
+  }
+
+  const { error: appErr } = await supabase
+    .from('user_app_access')
+    .insert({ user_id: user.id, company_id: companyId, app_key: 'payroll', granted_by: userId });
+  if (appErr) console.warn(`[SelfService] user_app_access not recorded for user ${user.id}:`, appErr.message);
+
+  const { error: linkErr } = await supabase
+    .from('employees')
+    .update({ user_id: user.id })
+    .eq('company_id', companyId)
+    .eq('id', employee.id)
+    .is('user_id', null);
+  if (linkErr) {
+    await cleanUp();
+    throw new Error(`Failed to link login to employee: ${linkErr.message}`);
+  }
+
+  return { user, employee_id: employee.id };
+}
+
+/** Remove an employee's self-service login from this company. */
+async function revokeAccess(supabase, { companyId, employeeId }) {
+  const { data: employee, error } = await supabase
+    .from('employees')
+    .select('id, user_id')
+    .eq('company_id', companyId)
+    .eq('id', employeeId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch employee: ${error.message}`);
+  if (!employee) throw serviceError(404, `Employee ${employeeId} not found`);
+  if (!employee.user_id) throw serviceError(404, `Self-service login for employee ${employeeId} not found`);
+
+  const { error: aErr } = await supabase
+    .from('user_company_access')
+    .update({ is_active: false })
+    .eq('company_id', companyId)
+    .eq('user_id', employee.user_id)
+    .eq('role', 'employee');
+  if (aErr) throw new Error(`Failed to revoke company access: ${aErr.message}`);
+
+  const { error: uErr } = await supabase
+    .from('employees')
+    .update({ user_id: null })
+    .eq('company_id', companyId)
+    .eq('id', employeeId);
+  if (uErr) throw new Error(`Failed to unlink login: ${uErr.message}`);
+
+  return { employee_id: employee.id, user_id: employee.user_id };
+}
+
+module.exports = {
+  LEAVE_TYPES,
+  ACCOUNT_TYPES,
+  // Pure
+  pdfPassword,
+  maskAccount,
+  weekdaysBetween,
+  validateLeaveRequest,
+  leaveDecision,
+  validateBankChange,
+  taxYearPeriods,
+  payslipLines,
+  profileFor,
+  // DB
+  resolveEmployee,
+  listPayslips,
+  payslipPdf,
+  listCertificates,
+  certificatePdf,
+  listLeave,
+  requestLeave,
+  requestBankChange,
+  listBankChanges,
+  getBankChange,
+  withdrawBankChange,
+  reviewBankChange,
+  grantAccess,
+  revokeAccess
+};
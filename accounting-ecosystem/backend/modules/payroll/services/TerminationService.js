@@ -0,0 +1,591 @@
+/**
+ * ============================================================================
+ * TerminationService — Final Pay, UI-19 and Certificate of Service
+ * ============================================================================
+ * Purpose: Process an employee's termination in one step — record the UIF
+ * reason code, calculate leave payout, notice pay and severance, run and
+ * finalize the final payslip, and generate the UI-19 and the certificate of
+ * service.
+ *
+ * Flow:
+ *   previewTermination  — inputs + final payslip calculation, nothing written
+ *   processTermination  — same calculation, then:
+ *     payroll_run (1 employee) → snapshot → lock → loan/garnishee postings
+ *     → run finalized → employee_terminations → PDFs (hashed, stored)
+ *     → employee inactive, annual leave balance paid out
+ *   reverseForRun       — POST /reverse of the final run marks it reversed
+ *
+ * RULES:
+ * 1. Leave payout covers annual leave only (BCEA s40) — the balance accrued
+ *    to the termination date (LeaveAccrualService, company leave policy).
+ *    leaveDaysPayable() remains for a stored leave_balances row without
+ *    accrual detail.
+ * 2. Notice pay (BCEA s37) is paid only when the notice is not worked:
+ *    1 week under 6 months' service, 2 weeks under a year, 4 weeks after.
+ * 3. Severance (BCEA s41) is at least one week per completed year for
+ *    operational requirements (reason 11, 14). A voluntary package (16)
+ *    needs the agreed amount. Severance is taxed by directive, not PAYE
+ *    (PayrollEngine.calculateSeverance).
+ * 4. Leave and notice pay are once-off earnings on the final payslip, so
+ *    they flow through PAYE, UIF and the IRP5 like any other earning.
+ * 5. Stored documents are never regenerated — downloads check the SHA-256.
+ *
+ * MULTI-TENANT SAFETY:
+ * Every query filters on companyId.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const PayrollDataService = require('./PayrollDataService');
+const PayrollCalculationService = require('./PayrollCalculationService');
+const PayrollHistoryService = require('./PayrollHistoryService');
+const DeductionOrderService = require('./DeductionOrderService');
+const LeaveAccrualService = require('./LeaveAccrualService');
+const { renderUi19, renderCertificateOfService } = require('./terminationPdf');
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+// UIF reason codes for a termination (UI-19 / uFiling). Codes for absences
+// that do not end employment (maternity, reduced working time, parental)
+// are not accepted here.
+const UIF_REASON_CODES = {
+  '2':  'Deceased',
+  '3':  'Retired',
+  '4':  'Dismissed',
+  '5':  'Contract expired',
+  '6':  'Resigned',
+  '7':  'Constructively dismissed',
+  '8':  'Insolvency / liquidation',
+  '10': 'Illness / medically boarded',
+  '11': 'Retrenched / staff reduction',
+  '12': 'Transfer to another branch',
+  '13': 'Absconded',
+  '14': 'Business closed',
+  '15': 'Death of domestic employer',
+  '16': 'Voluntary severance package'
+};
+
+// Dismissal for operational requirements — BCEA s41 minimum applies
+const STATUTORY_SEVERANCE_REASONS = ['11', '14'];
+// Negotiated package — agreed amount only
+const AGREED_SEVERANCE_REASONS = ['16'];
+
+const WEEKS_PER_YEAR = 52;
+const WORKING_DAYS_PER_MONTH = 21.67;
+
+const TERMINATION_COLUMNS =
+  'id, company_id, employee_id, termination_date, reason_code, reason_note, period_key, payroll_run_id, ' +
+  'snapshot_id, completed_years, leave_days, leave_payout, notice_weeks, notice_pay, severance_amount, ' +
+  'severance_exempt, severance_tax, severance_tax_estimated, directive_number, final_gross, final_net, ' +
+  'calculation, status, reversed_at, processed_by, processed_at';
+
+const DOCUMENT_COLUMNS = 'id, termination_id, document_type, file_name, mime_type, sha256, generated_by, generated_at';
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+// ─── Pure helpers — exported for unit testing ─────────────────────────────────
+
+const _date = s => new Date(`${String(s).slice(0, 10)}T00:00:00Z`);
+
+/**
+ * Length of service from hire date to termination date (inclusive).
+ * @returns {{ completed_years: number, months: number }}
+ */
+function serviceLength(hireDate, terminationDate) {
+  if (!hireDate) return { completed_years: 0, months: 0 };
+  const start = _date(hireDate);
+  const end = _date(terminationDate);
+  end.setUTCDate(end.getUTCDate() + 1); // service includes the last day
+  let months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + (end.getUTCMonth() - start.getUTCMonth());
+  if (end.getUTCDate() < start.getUTCDate()) months -= 1;
+  months = Math.max(months, 0);
+  return { completed_years: Math.floor(months / 12), months };
+}
+
+/** BCEA s37 minimum notice in weeks. */
+function noticeWeeks(monthsOfService) {
+  if (monthsOfService < 6) return 1;
+  if (monthsOfService < 12) return 2;
+  return 4;
+}
+
+/**
+ * Annual leave days payable on termination: the balance less the part of
+ * the year's entitlement that has not accrued by the termination date.
+ *
+ * @param {object|null} balance - leave_balances row (annual) for the termination year
+ * @param {string} terminationDate
+ */
+function leaveDaysPayable(balance, terminationDate) {
+  if (!balance) return 0;
+  const end = _date(terminationDate);
+  const year = end.getUTCFullYear();
+  const daysInYear = (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / 86400000;
+  const remaining = (Date.UTC(year + 1, 0, 1) - end.getTime()) / 86400000 - 1;
+  const unaccrued = (parseFloat(balance.annual_entitlement) || 0) * remaining / daysInYear;
+  return Math.max(r2((parseFloat(balance.balance) || 0) - unaccrued), 0);
+}
+
+/**
+ * Validate a termination request.
+ * @returns {object} normalised input
+ */
+function validateTermination(input) {
+  const src = input || {};
+  if (!src.termination_date || !/^\d{4}-\d{2}-\d{2}$/.test(String(src.termination_date))) {
+    throw serviceError(400, 'termination_date is required (YYYY-MM-DD)');
+  }
+  const code = src.reason_code === undefined || src.reason_code === null ? '' : String(src.reason_code);
+  if (!UIF_REASON_CODES[code]) {
+    throw serviceError(400, `reason_code must be one of: ${Object.keys(UIF_REASON_CODES).join(', ')}`);
+  }
+  const num = (f, label) => {
+    if (src[f] === undefined || src[f] === null || src[f] === '') return null;
+    const n = parseFloat(src[f]);
+    if (isNaN(n) || n < 0) throw serviceError(400, `${label || f} must be a non-negative number`);
+    return n;
+  };
+  const out = {
+    termination_date:   String(src.termination_date),
+    reason_code:        code,
+    reason_note:        src.reason_note ? String(src.reason_note).trim() : null,
+    notice_worked:      src.notice_worked !== false,
+    notice_weeks:       num('notice_weeks'),
+    leave_days:         num('leave_days'),
+    severance_amount:   num('severance_amount'),
+    severance_weeks_per_year: num('severance_weeks_per_year'),
+    days_per_week:      num('days_per_week') || 5,
+    include_reason_on_certificate: src.include_reason_on_certificate === true,
+    severance_exempt_amount: num('severance_exempt_amount'),
+    prior_lump_sums:    num('prior_lump_sums') || 0,
+    directive:          null
+  };
+  if (AGREED_SEVERANCE_REASONS.includes(code) && out.severance_amount === null) {
+    throw serviceError(400, 'severance_amount is required for a voluntary severance package');
+  }
+  const d = src.directive;
+  if (d && (d.number || d.tax_amount !== undefined)) {
+    if (!d.number) throw serviceError(400, 'directive.number is required when a directive is captured');
+    const tax = parseFloat(d.tax_amount);
+    if (isNaN(tax) || tax < 0) throw serviceError(400, 'directive.tax_amount must be a non-negative number');
+    out.directive = { number: String(d.number).trim(), tax_amount: r2(tax) };
+  }
+  return out;
+}
+
+/**
+ * Leave payout, notice pay and severance for a termination.
+ *
+ * @param {object} p
+ * @param {number} p.basicSalary   - monthly basic salary
+ * @param {string} p.hireDate
+ * @param {object} p.input         - validateTermination() result
+ * @param {object|null} p.annualLeave - leave_balances row (annual, termination year)
+ * @param {number} [p.accruedLeaveDays] - annual balance accrued to the termination
+ *                                        date; used instead of annualLeave when given
+ * @returns {object} { service, leave, notice, severance }
+ */
+function calculateTerminationPay({ basicSalary, hireDate, input, annualLeave, accruedLeaveDays }) {
+  const basic = parseFloat(basicSalary) || 0;
+  const weekly = basic * 12 / WEEKS_PER_YEAR;
+  const daily = weekly / input.days_per_week;
+  const service = serviceLength(hireDate, input.termination_date);
+
+  let leaveDays;
+  if (input.leave_days !== null) leaveDays = r2(input.leave_days);
+  else if (typeof accruedLeaveDays === 'number') leaveDays = Math.max(r2(accruedLeaveDays), 0);
+  else leaveDays = leaveDaysPayable(annualLeave, input.termination_date);
+  const leave = { days: leaveDays, daily_rate: r2(daily), amount: r2(leaveDays * daily) };
+
+  const weeks = input.notice_weeks !== null ? input.notice_weeks : noticeWeeks(service.months);
+  const notice = { weeks, worked: input.notice_worked, amount: input.notice_worked ? 0 : r2(weeks * weekly) };
+
+  let severance = { basis: null, completed_years: service.completed_years, weeks: 0, amount: 0 };
+  if (STATUTORY_SEVERANCE_REASONS.includes(input.reason_code)) {
+    const perYear = input.severance_weeks_per_year !== null ? input.severance_weeks_per_year : 1;
+    const statutory = r2(service.completed_years * perYear * weekly);
+    severance = {
+      basis: 'bcea_s41',
+      completed_years: service.completed_years,
+      weeks: service.completed_years * perYear,
+      // An agreed amount may exceed, never undercut, the statutory minimum
+      amount: input.severance_amount !== null ? Math.max(r2(input.severance_amount), statutory) : statutory
+    };
+  } else if (input.severance_amount !== null) {
+    severance = { basis: 'agreed', completed_years: service.completed_years, weeks: 0, amount: r2(input.severance_amount) };
+  }
+
+  return { service, leave, notice, severance };
+}
+
+/** Once-off earnings for the final payslip (leave pay, notice pay). */
+function toPeriodInputs(pay) {
+  const earning = (description, amount) => ({
+    description,
+    amount,
+    type: 'input',
+    tax_treatment: 'net_only',
+    affects_uif: true,
+    paye_projection_type: 'ONCE_OFF',
+    taxable_percentage: 100
+  });
+  const items = [];
+  if (pay.leave.amount > 0) items.push(earning('Leave pay on termination', pay.leave.amount));
+  if (pay.notice.amount > 0) items.push(earning('Notice pay', pay.notice.amount));
+  return items;
+}
+
+/** SHA-256 of a generated document's bytes. */
+function documentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// ─── DB ───────────────────────────────────────────────────────────────────────
+
+async function _loadEmployee(supabase, companyId, employeeId) {
+  const { data, error } = await supabase
+    .from('employees')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('id', employeeId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch employee: ${error.message}`);
+  if (!data) throw serviceError(404, `Employee ${employeeId} not found`);
+  return data;
+}
+
+/** Same resolution order as POST /run: global table, then the company's own. */
+async function _loadTaxConfig(supabase, companyId) {
+  for (const key of ['__global__', companyId]) {
+    const { data } = await supabase
+      .from('payroll_kv_store_eco')
+      .select('value')
+      .eq('company_id', key)
+      .eq('key', 'tax_config')
+      .maybeSingle();
+    if (data && data.value) return typeof data.value === 'string' ? JSON.parse(data.value) : data.value;
+  }
+  return null;
+}
+
+async function _activeTermination(supabase, companyId, employeeId) {
+  const { data, error } = await supabase
+    .from('employee_terminations')
+    .select('id, termination_date, payroll_run_id')
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .eq('status', 'finalized')
+    .maybeSingle();
+  if (error) throw new Error(`Failed to check terminations: ${error.message}`);
+  return data;
+}
+
+/**
+ * Work out the termination and its final payslip without writing anything.
+ * @returns {Promise<object>} { employee, input, periodKey, pay, normalizedInputs, calculation, existingSnapshot }
+ */
+async function _prepare(supabase, { companyId, employeeId, body }) {
+  const input = validateTermination(body);
+  const employee = await _loadEmployee(supabase, companyId, employeeId);
+  if (employee.hire_date && input.termination_date < String(employee.hire_date).slice(0, 10)) {
+    throw serviceError(400, 'termination_date must be on or after the hire date');
+  }
+  const existing = await _activeTermination(supabase, companyId, employeeId);
+  if (existing) {
+    throw serviceError(409, `Employee ${employeeId} already has a processed termination (${existing.termination_date}) — reverse its payroll run first`);
+  }
+
+  const periodKey = input.termination_date.slice(0, 7);
+  const existingSnapshot = await PayrollHistoryService.getSnapshot(supabase, companyId, employeeId, periodKey);
+  if (existingSnapshot && existingSnapshot.is_locked) {
+    throw serviceError(409, `The ${periodKey} payslip is already finalized — reverse that run before processing the termination`);
+  }
+
+  const annualLeave = await LeaveAccrualService.annualBalanceAt(supabase, {
+    companyId,
+    employee,
+    asOf: input.termination_date
+  });
+
+  const normalizedInputs = await PayrollDataService.fetchCalculationInputs(companyId, employeeId, periodKey, supabase);
+  normalizedInputs.end_date = input.termination_date;
+
+  const pay = calculateTerminationPay({
+    basicSalary: normalizedInputs.basic_salary,
+    hireDate:    employee.hire_date,
+    input,
+    annualLeave,
+    accruedLeaveDays: annualLeave.balance
+  });
+  normalizedInputs.currentInputs = [...(normalizedInputs.currentInputs || []), ...toPeriodInputs(pay)];
+  if (pay.severance.amount > 0) {
+    normalizedInputs.employeeOptions.severance = {
+      amount:          pay.severance.amount,
+      exempt_amount:   input.severance_exempt_amount || 0,
+      prior_lump_sums: input.prior_lump_sums,
+      directive:       input.directive
+    };
+  }
+
+  const calculation = await PayrollCalculationService.calculate(normalizedInputs, {
+    endDate:  input.termination_date < normalizedInputs.period_end_date ? input.termination_date : null,
+    taxConfig: await _loadTaxConfig(supabase, companyId)
+  });
+  PayrollCalculationService.validateOutput(calculation);
+
+  return { employee, input, periodKey, pay, normalizedInputs, calculation, existingSnapshot };
+}
+
+function _summary(prepared) {
+  const { employee, input, periodKey, pay, calculation } = prepared;
+  return {
+    employee_id:      employee.id,
+    termination_date: input.termination_date,
+    reason_code:      input.reason_code,
+    reason_label:     UIF_REASON_CODES[input.reason_code],
+    period_key:       periodKey,
+    service:          pay.service,
+    leave:            pay.leave,
+    notice:           pay.notice,
+    severance:        { ...pay.severance, tax: calculation.severance ? calculation.severance.tax : 0,
+      tax_estimated: calculation.severance ? calculation.severance.estimated : false },
+    final_payslip: {
+      gross: calculation.gross,
+      paye:  calculation.paye,
+      uif:   calculation.uif,
+      net:   calculation.net,
+      prorataFactor: calculation.prorataFactor !== undefined ? calculation.prorataFactor : null
+    }
+  };
+}
+
+/** Calculate everything the termination would produce; nothing is written. */
+async function previewTermination(supabase, { companyId, employeeId, body }) {
+  const prepared = await _prepare(supabase, { companyId, employeeId, body });
+  return { ..._summary(prepared), calculation: prepared.calculation };
+}
+
+/**
+ * Process the termination: final payslip run and finalized, termination
+ * recorded, UI-19 and certificate of service stored, employee made inactive.
+ */
+async function processTermination(supabase, { companyId, employeeId, body, userId }) {
+  const prepared = await _prepare(supabase, { companyId, employeeId, body });
+  const { employee, input, periodKey, pay, normalizedInputs, calculation, existingSnapshot } = prepared;
+
+  // Final payslip — its own single-employee run, finalized straight away
+  const period = await PayrollDataService.fetchPeriod(companyId, periodKey, supabase);
+  if (!period) throw serviceError(404, `Period ${periodKey} not found — create the pay period first`);
+  const run = await PayrollHistoryService.createPayrollRun(supabase, companyId, periodKey, 1, userId);
+  const snapshot = PayrollHistoryService.prepareSnapshot(
+    companyId, employee.id, period.id, periodKey, normalizedInputs, calculation, userId
+  );
+  if (existingSnapshot) {
+    await supabase.from('payroll_snapshots').delete().eq('id', existingSnapshot.id).eq('company_id', companyId);
+  }
+  const saved = await PayrollHistoryService.saveSnapshot(supabase, snapshot, run.id);
+  await PayrollHistoryService.updatePayrollRunTotals(supabase, run.id, {
+    processedCount: 1,
+    errorCount:     0,
+    totalGross:     calculation.gross,
+    totalNet:       calculation.net,
+    totalPaye:      calculation.paye,
+    totalUif:       calculation.uif,
+    totalSdl:       calculation.sdl,
+    totalEti:       calculation.eti || 0
+  });
+  await PayrollHistoryService.lockSnapshotsForPeriod(supabase, companyId, periodKey, userId, run.id);
+  await DeductionOrderService.postRun(supabase, { companyId, runId: run.id, userId });
+  await PayrollHistoryService.finalizePayrollRun(supabase, run.id, userId);
+
+  const sev = calculation.severance;
+  const { data: termination, error } = await supabase
+    .from('employee_terminations')
+    .insert({
+      company_id:       companyId,
+      employee_id:      employee.id,
+      termination_date: input.termination_date,
+      reason_code:      input.reason_code,
+      reason_note:      input.reason_note,
+      period_key:       periodKey,
+      payroll_run_id:   run.id,
+      snapshot_id:      saved.id,
+      completed_years:  pay.service.completed_years,
+      leave_days:       pay.leave.days,
+      leave_payout:     pay.leave.amount,
+      notice_weeks:     pay.notice.weeks,
+      notice_pay:       pay.notice.amount,
+      severance_amount: sev ? sev.amount : 0,
+      severance_exempt: sev ? sev.exempt : 0,
+      severance_tax:    sev ? sev.tax : 0,
+      severance_tax_estimated: sev ? sev.estimated : false,
+      directive_number: sev ? sev.directive_number : null,
+      final_gross:      calculation.gross,
+      final_net:        calculation.net,
+      calculation:      pay,
+      processed_by:     userId
+    })
+    .select(TERMINATION_COLUMNS)
+    .single();
+  if (error) throw new Error(`Failed to record termination: ${error.message}`);
+
+  // Documents
+  const { data: company } = await supabase.from('companies').select('*').eq('id', companyId).maybeSingle();
+  const reasonLabel = UIF_REASON_CODES[input.reason_code];
+  const hpd = parseFloat(normalizedInputs.hours_per_day) || 8;
+  const basic = r2(normalizedInputs.basic_salary);
+  const name = `${employee.last_name || ''}_${employee.first_name || ''}`.replace(/[^A-Za-z0-9_-]+/g, '');
+  const docs = [
+    {
+      document_type: 'ui19',
+      file_name: `UI19_${name}_${input.termination_date}.pdf`,
+      buffer: await renderUi19({ company: company || {}, employee, termination: {
+        termination_date: input.termination_date, reason_code: input.reason_code, reason_label: reasonLabel,
+        gross_monthly: basic, hours_per_month: r2(hpd * WORKING_DAYS_PER_MONTH)
+      } })
+    },
+    {
+      document_type: 'certificate_of_service',
+      file_name: `Certificate_of_Service_${name}.pdf`,
+      buffer: await renderCertificateOfService({ company: company || {}, employee, termination: {
+        termination_date: input.termination_date, reason_label: reasonLabel,
+        include_reason: input.include_reason_on_certificate, remuneration: basic,
+        issued_on: new Date().toISOString().slice(0, 10)
+      } })
+    }
+  ];
+  const { data: documents, error: dErr } = await supabase
+    .from('employee_termination_documents')
+    .insert(docs.map(d => ({
+      company_id:     companyId,
+      termination_id: termination.id,
+      document_type:  d.document_type,
+      file_name:      d.file_name,
+      mime_type:      'application/pdf',
+      content_base64: d.buffer.toString('base64'),
+      sha256:         documentHash(d.buffer),
+      generated_by:   userId
+    })))
+    .select(DOCUMENT_COLUMNS);
+  if (dErr) throw new Error(`Failed to store termination documents: ${dErr.message}`);
+
+  const { error: eErr } = await supabase
+    .from('employees')
+    .update({
+      is_active:         false,
+      employment_status: 'terminated',
+      termination_date:  input.termination_date,
+      updated_at:        new Date().toISOString()
+    })
+    .eq('company_id', companyId)
+    .eq('id', employee.id);
+  if (eErr) throw new Error(`Failed to update employee: ${eErr.message}`);
+
+  if (pay.leave.days > 0) {
+    await supabase
+      .from('leave_balances')
+      .update({ balance: 0, updated_at: new Date().toISOString() })
+      .eq('company_id', companyId)
+      .eq('employee_id', employee.id)
+      .eq('leave_type', 'annual')
+      .eq('year', parseInt(periodKey.slice(0, 4), 10));
+  }
+
+  return { ..._summary(prepared), termination, documents: documents || [], run_id: run.id, snapshot_id: saved.id };
+}
+
+async function listForEmployee(supabase, companyId, employeeId) {
+  const { data, error } = await supabase
+    .from('employee_terminations')
+    .select(TERMINATION_COLUMNS)
+    .eq('company_id', companyId)
+    .eq('employee_id', employeeId)
+    .order('processed_at', { ascending: false });
+  if (error) throw new Error(`Failed to fetch terminations: ${error.message}`);
+  return data || [];
+}
+
+/** Termination with its documents (metadata) and employee for visibility checks. */
+async function getTermination(supabase, companyId, id) {
+  const { data, error } = await supabase
+    .from('employee_terminations')
+    .select(TERMINATION_COLUMNS)
+    .eq('company_id', companyId)
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch termination: ${error.message}`);
+  if (!data) throw serviceError(404, `Termination ${id} not found`);
+
+  const { data: documents, error: dErr } = await supabase
+    .from('employee_termination_documents')
+    .select(DOCUMENT_COLUMNS)
+    .eq('company_id', companyId)
+    .eq('termination_id', data.id)
+    .order('id', { ascending: true });
+  if (dErr) throw new Error(`Failed to fetch termination documents: ${dErr.message}`);
+
+  const { data: employee } = await supabase
+    .from('employees')
+    .select('id, classification')
+    .eq('company_id', companyId)
+    .eq('id', data.employee_id)
+    .maybeSingle();
+  return { ...data, documents: documents || [], employee: employee || { id: data.employee_id } };
+}
+
+/** Stored document bytes, after the integrity check. */
+async function getDocument(supabase, companyId, documentId) {
+  const { data: doc, error } = await supabase
+    .from('employee_termination_documents')
+    .select(`${DOCUMENT_COLUMNS}, content_base64`)
+    .eq('company_id', companyId)
+    .eq('id', documentId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch document: ${error.message}`);
+  if (!doc) throw serviceError(404, `Document ${documentId} not found`);
+
+  const termination = await getTermination(supabase, companyId, doc.termination_id);
+  const buffer = Buffer.from(doc.content_base64, 'base64');
+  if (documentHash(buffer) !== doc.sha256) {
+    throw serviceError(409, `Integrity check failed for document ${documentId}: stored content does not match its SHA-256`);
+  }
+  const { content_base64: _content, ...meta } = doc;
+  return { document: meta, termination, buffer };
+}
+
+/**
+ * Called by POST /reverse: a reversed final run reverses its termination.
+ * The employee stays inactive; processing the termination again replaces it.
+ */
+async function reverseForRun(supabase, { companyId, runId }) {
+  const { data, error } = await supabase
+    .from('employee_terminations')
+    .update({ status: 'reversed', reversed_at: new Date().toISOString() })
+    .eq('company_id', companyId)
+    .eq('payroll_run_id', runId)
+    .eq('status', 'finalized')
+    .select('id, employee_id');
+  if (error) {
+    if (error.code === '42P01' || error.code === 'PGRST205') return [];
+    throw new Error(`Failed to reverse termination: ${error.message}`);
+  }
+  return data || [];
+}
+
+module.exports = {
+  UIF_REASON_CODES,
+  // Pure
+  serviceLength,
+  noticeWeeks,
+  leaveDaysPayable,
+  validateTermination,
+  calculateTerminationPay,
+  toPeriodInputs,
+  documentHash,
+  // DB
+  previewTermination,
+  processTermination,
+  listForEmployee,
+  getTermination,
+  getDocument,
+  reverseForRun
+};
@@ -0,0 +1,811 @@
+/**
+ * ============================================================================
+ * TimesheetService — Clock-Record Import → Overtime / Multi-Rate Inputs
+ * ============================================================================
+ * Purpose: Turn the CSV export of a biometric clock into the period inputs
+ * that were keyed by hand on /transactions/overtime and /multi-rate, using
+ * each employee's work schedule, the BCEA rates and the SA public holidays.
+ *
+ * Flow:
+ *   parseClockRows   — sheet rows → punches (punch-log or in/out layout)
+ *   pairShifts       — punches → shifts + missing clock-out / clock-in exceptions
+ *   classifyShifts   — shifts × schedule × holidays → ordinary / overtime /
+ *                      Sunday / public holiday / night hours and the inputs
+ *   importTimesheet  — all of the above → payroll_timesheet_imports (draft)
+ *   applyImport      — draft → payroll_overtime, payroll_multi_rate and the
+ *                      night-shift allowance in payroll_period_inputs
+ *
+ * RULES:
+ * 1. A shift belongs to the day it starts on. Punches less than
+ *    DUPLICATE_PUNCH_MINUTES apart are one punch; an open punch with no
+ *    closing punch within MAX_SHIFT_HOURS is a missing clock-out.
+ * 2. The monthly salary already pays the scheduled hours, so only the hours
+ *    on top of them become inputs (rate_multiplier is the multiple paid on
+ *    top of the salary):
+ *      scheduled day  — hours beyond the day's scheduled hours → overtime 1.5×
+ *      rest day       — every hour → overtime 1.5×
+ *      Sunday         — every hour 2× (BCEA s16); when Sunday is a scheduled
+ *                       day its scheduled hours earn 0.5× on top (1.5× in all)
+ *      public holiday — every hour 2× (BCEA s18); when it falls on a scheduled
+ *                       day its scheduled hours earn 1× on top (2× in all)
+ *    Ordinary hours beyond weekly_ordinary_hours (45, BCEA s9) in a Monday–
+ *    Sunday week become overtime.
+ * 3. Hours between night_start and night_end (BCEA s17) earn the night-shift
+ *    allowance: night hours × night_allowance_rate as a period input.
+ * 4. Applying replaces only the timesheet-generated rows of the employees in
+ *    the import (timesheet_import_id IS NOT NULL); hand-keyed rows stay.
+ *    Employees with a finalized payslip for the period are skipped.
+ *
+ * MULTI-TENANT SAFETY:
+ * Every query filters on companyId.
+ * ============================================================================
+ */
+
+const PayrollDataService = require('./PayrollDataService');
+const { serviceError } = require('../../../shared/utils/serviceError');
+
+const IMPORT_COLUMNS =
+  'id, company_id, payroll_period_id, period_key, file_name, punch_count, shift_count, employee_count, ' +
+  'exception_count, settings, summary, exceptions, status, imported_by, created_at, applied_by, applied_at';
+
+const DEFAULT_SETTINGS = {
+  meal_break_minutes:    0,
+  night_start:           '18:00',
+  night_end:             '06:00',
+  night_allowance_rate:  0,
+  night_allowance_item:  'Night shift allowance',
+  weekly_ordinary_hours: 45
+};
+
+const DUPLICATE_PUNCH_MINUTES = 2;
+const MAX_SHIFT_HOURS = 16;
+const MEAL_BREAK_AFTER_HOURS = 5;      // BCEA s14
+const WEEKLY_OVERTIME_LIMIT = 10;      // BCEA s10(1)(b)
+
+const DAY_CODES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// Descriptions of the generated overtime / multi-rate lines
+const LINE = {
+  overtime:        'Overtime (timesheet)',
+  sunday:          'Sunday time (timesheet)',
+  sundayOrdinary:  'Sunday time — scheduled hours (timesheet)',
+  holiday:         'Public holiday time (timesheet)',
+  holidayOrdinary: 'Public holiday time — scheduled hours (timesheet)'
+};
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+const _missing = error => error && (error.code === '42P01' || error.code === 'PGRST205');
+
+// ─── Pure helpers — exported for unit testing ─────────────────────────────────
+
+const _pad = n => String(n).padStart(2, '0');
+const _iso = d => `${d.getUTCFullYear()}-${_pad(d.getUTCMonth() + 1)}-${_pad(d.getUTCDate())}`;
+const _utc = date => new Date(`${date}T00:00:00Z`);
+const _addDays = (date, n) => { const d = _utc(date); d.setUTCDate(d.getUTCDate() + n); return _iso(d); };
+const _minutes = at => Date.parse(`${at.replace(' ', 'T')}:00Z`) / 60000;
+
+/** Easter Sunday (Gregorian, anonymous algorithm) as YYYY-MM-DD. */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${_pad(month)}-${_pad(day)}`;
+}
+
+/**
+ * SA public holidays for a year (Public Holidays Act 36 of 1994). A holiday
+ * on a Sunday makes the Monday after it a public holiday too (s2(1)).
+ *
+ * @param {number} year
+ * @param {Array}  [declared] - { holiday_date, name } extra days for the company
+ * @returns {Array<{ date, name }>} sorted by date
+ */
+function publicHolidays(year, declared = []) {
+  const easter = easterSunday(year);
+  const fixed = [
+    ['01-01', "New Year's Day"],
+    ['03-21', 'Human Rights Day'],
+    ['04-27', 'Freedom Day'],
+    ['05-01', "Workers' Day"],
+    ['06-16', 'Youth Day'],
+    ['08-09', "National Women's Day"],
+    ['09-24', 'Heritage Day'],
+    ['12-16', 'Day of Reconciliation'],
+    ['12-25', 'Christmas Day'],
+    ['12-26', 'Day of Goodwill']
+  ].map(([md, name]) => ({ date: `${year}-${md}`, name }));
+  const days = [
+    ...fixed,
+    { date: _addDays(easter, -2), name: 'Good Friday' },
+    { date: _addDays(easter, 1), name: 'Family Day' }
+  ];
+  const taken = new Set(days.map(d => d.date));
+  for (const h of fixed) {
+    const monday = _addDays(h.date, 1);
+    if (_utc(h.date).getUTCDay() === 0 && !taken.has(monday)) {
+      days.push({ date: monday, name: `${h.name} (observed)` });
+      taken.add(monday);
+    }
+  }
+  for (const d of declared) {
+    const date = String(d.holiday_date || d.date || '').slice(0, 10);
+    if (date.startsWith(String(year)) && !taken.has(date)) {
+      days.push({ date, name: d.name });
+      taken.add(date);
+    }
+  }
+  return days.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/** Merge and validate timesheet settings over the defaults. */
+function validateSettings(input) {
+  const src = { ...DEFAULT_SETTINGS, ...(input || {}) };
+  const time = v => /^([01]\d|2[0-3]):[0-5]\d$/.test(String(v));
+  const out = {
+    meal_break_minutes:    parseInt(src.meal_break_minutes, 10),
+    night_start:           String(src.night_start),
+    night_end:             String(src.night_end),
+    night_allowance_rate:  r2(src.night_allowance_rate),
+    night_allowance_item:  String(src.night_allowance_item || '').trim() || DEFAULT_SETTINGS.night_allowance_item,
+    weekly_ordinary_hours: r2(src.weekly_ordinary_hours)
+  };
+  if (isNaN(out.meal_break_minutes) || out.meal_break_minutes < 0 || out.meal_break_minutes > 120) {
+    throw serviceError(400, 'meal_break_minutes must be between 0 and 120');
+  }
+  if (!time(out.night_start) || !time(out.night_end)) throw serviceError(400, 'night_start and night_end must be HH:MM');
+  if (out.night_allowance_rate < 0) throw serviceError(400, 'night_allowance_rate must be zero or more');
+  if (out.weekly_ordinary_hours <= 0 || out.weekly_ordinary_hours > 45) {
+    throw serviceError(400, 'weekly_ordinary_hours must be more than 0 and at most 45');
+  }
+  return out;
+}
+
+/** Cell → YYYY-MM-DD, accepting Excel dates, YYYY-MM-DD, YYYY/MM/DD and DD/MM/YYYY. */
+function _date(value) {
+  if (value instanceof Date && !isNaN(value)) {
+    return `${value.getFullYear()}-${_pad(value.getMonth() + 1)}-${_pad(value.getDate())}`;
+  }
+  const s = String(value == null ? '' : value).trim();
+  let m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (m) return `${m[1]}-${_pad(m[2])}-${_pad(m[3])}`;
+  m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/);
+  if (m) return `${m[3]}-${_pad(m[2])}-${_pad(m[1])}`;
+  return null;
+}
+
+/** Cell → HH:MM, accepting 7:58, 07:58:12, 7:58 PM and Excel day fractions. */
+function _time(value) {
+  if (value instanceof Date && !isNaN(value)) return `${_pad(value.getHours())}:${_pad(value.getMinutes())}`;
+  if (typeof value === 'number' && value >= 0 && value < 1) {
+    const mins = Math.round(value * 1440);
+    return `${_pad(Math.floor(mins / 60) % 24)}:${_pad(mins % 60)}`;
+  }
+  const m = String(value == null ? '' : value).trim().match(/(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i);
+  if (!m) return null;
+  let h = parseInt(m[1], 10);
+  if (m[3]) {
+    const pm = /^p/i.test(m[3]);
+    if (h === 12) h = pm ? 12 : 0;
+    else if (pm) h += 12;
+  }
+  if (h > 23) return null;
+  return `${_pad(h)}:${m[2]}`;
+}
+
+/** Cell → 'in' | 'out' | null (ZKTeco "C/In", "Check Out", "0"/"1", "I"/"O"). */
+function _state(value) {
+  const s = String(value == null ? '' : value).trim().toLowerCase();
+  if (/^(c\/?in|check[\s-]?in|in|i|0|clock[\s-]?in)$/.test(s)) return 'in';
+  if (/^(c\/?out|check[\s-]?out|out|o|1|clock[\s-]?out)$/.test(s)) return 'out';
+  return null;
+}
+
+/**
+ * Parse the rows of a clock export. Two layouts are recognised, with the
+ * header row anywhere in the first 10 rows:
+ *   punch log — Employee, Date + Time (or one Date/Time or Time column holding
+ *               both), optional State
+ *   in / out  — Employee, Date, Clock In, Clock Out
+ *
+ * @param {Array<Array>} allRows - sheet rows (XLSX sheet_to_json header: 1)
+ * @returns {{ layout, punches: [{ row, employee_ref, at, state }], errors: [{ row, message }] } | null}
+ *          null when no header is found
+ */
+function parseClockRows(allRows) {
+  const EMPLOYEE_RE = /^(employee[\s_-]?(code|no\.?|number|id)?|emp[\s_-]?(code|no\.?)|ac[\s_-]?no\.?|clock[\s_-]?(no\.?|number|id)|user[\s_-]?id|badge|payroll[\s_-]?no\.?)$/i;
+  const DATETIME_RE = /^(date[\s_/-]?time|time[\s_-]?stamp|punch[\s_-]?time|check[\s_-]?time)$/i;
+  const DATE_RE     = /^(date|work[\s_-]?date|punch[\s_-]?date)$/i;
+  const TIME_RE     = /^(time|punch)$/i;
+  const STATE_RE    = /^(state|status|direction|type|in[\s_/-]?out|check[\s_-]?type)$/i;
+  const IN_RE       = /^(clock[\s_-]?in|time[\s_-]?in|in|check[\s_-]?in|start)$/i;
+  const OUT_RE      = /^(clock[\s_-]?out|time[\s_-]?out|out|check[\s_-]?out|end|finish)$/i;
+
+  let header = null;
+  for (let i = 0; i < Math.min(10, allRows.length) && !header; i++) {
+    const row = allRows[i];
+    if (!row || row.length === 0) continue;
+    const map = {};
+    row.forEach((cell, idx) => {
+      const h = String(cell || '').trim();
+      if (map.employee === undefined && EMPLOYEE_RE.test(h)) map.employee = idx;
+      else if (DATETIME_RE.test(h)) map.datetime = idx;
+      else if (DATE_RE.test(h)) map.date = idx;
+      else if (TIME_RE.test(h)) map.time = idx;
+      else if (STATE_RE.test(h)) map.state = idx;
+      else if (IN_RE.test(h)) map.in = idx;
+      else if (OUT_RE.test(h)) map.out = idx;
+    });
+    if (map.employee === undefined) continue;
+    if (map.date !== undefined && map.in !== undefined && map.out !== undefined) {
+      header = { rowIdx: i, layout: 'in_out', ...map };
+    } else if (map.datetime !== undefined || map.time !== undefined) {
+      // A lone Time column (ZKTeco "AC-No., Name, Time, State") holds date and time
+      if (map.datetime === undefined && map.date === undefined) { map.datetime = map.time; delete map.time; }
+      if (map.datetime !== undefined || map.date !== undefined) header = { rowIdx: i, layout: 'punch_log', ...map };
+    }
+  }
+  if (!header) return null;
+
+  const punches = [];
+  const errors = [];
+  allRows.slice(header.rowIdx + 1).forEach((row, i) => {
+    if (!row || row.every(c => c === '' || c == null)) return;
+    const rowNumber = header.rowIdx + i + 2;
+    const ref = String(row[header.employee] == null ? '' : row[header.employee]).trim();
+    if (!ref) return errors.push({ row: rowNumber, message: 'Employee number is missing.' });
+
+    if (header.layout === 'in_out') {
+      const date = _date(row[header.date]);
+      if (!date) return errors.push({ row: rowNumber, message: 'Date not recognised (use YYYY-MM-DD or DD/MM/YYYY).' });
+      const tin = _time(row[header.in]);
+      const tout = _time(row[header.out]);
+      if (!tin) return errors.push({ row: rowNumber, message: 'Clock-in time is missing or not recognised.' });
+      punches.push({ row: rowNumber, employee_ref: ref, at: `${date} ${tin}`, state: 'in' });
+      // Clock-out before clock-in on the same row is a shift over midnight
+      if (tout) punches.push({ row: rowNumber, employee_ref: ref, at: `${tout < tin ? _addDays(date, 1) : date} ${tout}`, state: 'out' });
+      return;
+    }
+
+    const stamp = header.datetime !== undefined ? row[header.datetime] : null;
+    const date = _date(stamp != null ? stamp : row[header.date]);
+    const time = stamp != null
+      ? _time(stamp instanceof Date ? stamp : String(stamp).trim().split(/\s+/).slice(1).join(' '))
+      : _time(row[header.time]);
+    if (!date || !time) return errors.push({ row: rowNumber, message: 'Punch date/time not recognised.' });
+    punches.push({
+      row: rowNumber,
+      employee_ref: ref,
+      at: `${date} ${time}`,
+      state: header.state !== undefined ? _state(row[header.state]) : null
+    });
+  });
+
+  return { layout: header.layout, punches, errors };
+}
+
+/**
+ * Pair punches into shifts per employee (RULE 1). Punches without a state
+ * alternate in / out.
+ *
+ * @returns {{ shifts: [{ employee_ref, start, end, rows }], exceptions: [{ employee_ref, type, at, row }] }}
+ */
+function pairShifts(punches) {
+  const byRef = new Map();
+  for (const p of punches) {
+    if (!byRef.has(p.employee_ref)) byRef.set(p.employee_ref, []);
+    byRef.get(p.employee_ref).push(p);
+  }
+
+  const shifts = [];
+  const exceptions = [];
+  for (const [ref, list] of byRef) {
+    list.sort((a, b) => a.at.localeCompare(b.at) || a.row - b.row);
+    let open = null;
+    let last = null;
+    const close = p => {
+      shifts.push({ employee_ref: ref, start: open.at, end: p.at, rows: [open.row, p.row] });
+      open = null;
+    };
+    const missingOut = () => {
+      exceptions.push({ employee_ref: ref, type: 'missing_clock_out', at: open.at, row: open.row });
+      open = null;
+    };
+    for (const p of list) {
+      if (last && _minutes(p.at) - _minutes(last.at) < DUPLICATE_PUNCH_MINUTES && p.state === last.state) continue;
+      last = p;
+      const tooLong = open && _minutes(p.at) - _minutes(open.at) > MAX_SHIFT_HOURS * 60;
+      if (open && tooLong) missingOut();
+
+      if (p.state === 'out') {
+        if (open) close(p);
+        else exceptions.push({ employee_ref: ref, type: 'missing_clock_in', at: p.at, row: p.row });
+      } else if (p.state === 'in') {
+        if (open) missingOut();
+        open = p;
+      } else if (open) {
+        close(p);
+      } else {
+        open = p;
+      }
+    }
+    if (open) missingOut();
+  }
+  return { shifts, exceptions };
+}
+
+/** Minutes of [start, end) inside the night window on any day it spans. */
+function _nightMinutes(start, end, nightStart, nightEnd) {
+  const s = _minutes(start);
+  const e = _minutes(end);
+  const toMin = t => parseInt(t.slice(0, 2), 10) * 60 + parseInt(t.slice(3), 10);
+  const ns = toMin(nightStart);
+  const ne = toMin(nightEnd);
+  let total = 0;
+  for (let date = _addDays(start.slice(0, 10), -1); date <= end.slice(0, 10); date = _addDays(date, 1)) {
+    const base = _minutes(`${date} 00:00`);
+    const from = base + ns;
+    const to = ne > ns ? base + ne : base + 1440 + ne;
+    total += Math.max(0, Math.min(e, to) - Math.max(s, from));
+  }
+  return total;
+}
+
+/** Scheduled hours for a day of the week (0 = not a working day). */
+function _scheduledHours(schedule, dayCode, hoursPerDay) {
+  const d = (schedule || []).find(x => String(x.day).toUpperCase().slice(0, 3) === dayCode);
+  if (!d || !d.enabled) return 0;
+  if (d.type === 'partial' && parseFloat(d.partial_hours) > 0) return parseFloat(d.partial_hours);
+  return parseFloat(hoursPerDay) || 8;
+}
+
+const _monday = date => { const dow = _utc(date).getUTCDay(); return _addDays(date, dow === 0 ? -6 : 1 - dow); };
+
+/**
+ * Classify one employee's shifts (RULES 2 and 3).
+ *
+ * @param {Array}  shifts   - pairShifts shifts for the employee
+ * @param {object} ctx
+ * @param {Array}  ctx.schedule    - working_days (fetchWorkSchedule shape)
+ * @param {number} [ctx.hoursPerDay=8]
+ * @param {Map}    ctx.holidays    - date → holiday name
+ * @param {object} ctx.settings    - validateSettings result
+ * @returns {{ days[], totals, overtime[], multiRate[], nightAllowance, warnings[] }}
+ */
+function classifyShifts(shifts, { schedule, hoursPerDay = 8, holidays = new Map(), settings = DEFAULT_SETTINGS }) {
+  const byDate = new Map();
+  for (const s of shifts) {
+    const date = s.start.slice(0, 10);
+    let minutes = _minutes(s.end) - _minutes(s.start);
+    if (settings.meal_break_minutes && minutes > MEAL_BREAK_AFTER_HOURS * 60) minutes -= settings.meal_break_minutes;
+    const day = byDate.get(date) || { date, worked: 0, night: 0, shifts: 0 };
+    day.worked += Math.max(minutes, 0) / 60;
+    day.night += _nightMinutes(s.start, s.end, settings.night_start, settings.night_end) / 60;
+    day.shifts++;
+    byDate.set(date, day);
+  }
+
+  const days = [];
+  const weekOrdinary = new Map();
+  const weekOvertime = new Map();
+  for (const day of [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date))) {
+    const dow = _utc(day.date).getUTCDay();
+    const scheduled = _scheduledHours(schedule, DAY_CODES[dow], hoursPerDay);
+    const holiday = holidays.get(day.date) || null;
+    const worked = r2(day.worked);
+    const out = {
+      date: day.date,
+      day_type: holiday ? 'public_holiday' : dow === 0 ? 'sunday' : scheduled ? 'working' : 'rest',
+      holiday,
+      scheduled_hours: scheduled,
+      worked,
+      ordinary: 0,
+      overtime: 0,
+      sunday: 0,
+      sunday_ordinary: 0,
+      public_holiday: 0,
+      public_holiday_ordinary: 0,
+      night: r2(day.night)
+    };
+    const inSchedule = Math.min(worked, scheduled);
+    if (out.day_type === 'working') {
+      const week = _monday(day.date);
+      const before = weekOrdinary.get(week) || 0;
+      out.ordinary = r2(Math.max(Math.min(inSchedule, settings.weekly_ordinary_hours - before), 0));
+      out.overtime = r2(worked - out.ordinary);
+      weekOrdinary.set(week, before + out.ordinary);
+    } else if (out.day_type === 'rest') {
+      out.overtime = worked;
+    } else if (out.day_type === 'sunday') {
+      out.sunday_ordinary = r2(inSchedule);
+      out.sunday = r2(worked - inSchedule);
+    } else {
+      out.public_holiday_ordinary = r2(inSchedule);
+      out.public_holiday = r2(worked - inSchedule);
+    }
+    const week = _monday(day.date);
+    weekOvertime.set(week, (weekOvertime.get(week) || 0) + out.overtime);
+    days.push(out);
+  }
+
+  const sum = key => r2(days.reduce((s, d) => s + d[key], 0));
+  const totals = {
+    days: days.length,
+    worked: sum('worked'),
+    ordinary: sum('ordinary'),
+    overtime: sum('overtime'),
+    sunday: sum('sunday'),
+    sunday_ordinary: sum('sunday_ordinary'),
+    public_holiday: sum('public_holiday'),
+    public_holiday_ordinary: sum('public_holiday_ordinary'),
+    night: sum('night')
+  };
+
+  const overtime = totals.overtime ? [{ hours: totals.overtime, rate_multiplier: 1.5, description: LINE.overtime }] : [];
+  const multiRate = [
+    [totals.sunday, 2, LINE.sunday],
+    [totals.sunday_ordinary, 0.5, LINE.sundayOrdinary],
+    [totals.public_holiday, 2, LINE.holiday],
+    [totals.public_holiday_ordinary, 1, LINE.holidayOrdinary]
+  ].filter(([hours]) => hours).map(([hours, rate_multiplier, description]) => ({ hours, rate_multiplier, description }));
+  const nightAllowance = totals.night && settings.night_allowance_rate
+    ? { description: settings.night_allowance_item, hours: totals.night, amount: r2(totals.night * settings.night_allowance_rate) }
+    : null;
+
+  const warnings = [...weekOvertime]
+    .filter(([, hours]) => hours > WEEKLY_OVERTIME_LIMIT)
+    .map(([week, hours]) => ({ type: 'overtime_limit', week, hours: r2(hours), limit: WEEKLY_OVERTIME_LIMIT }));
+
+  return { days, totals, overtime, multiRate, nightAllowance, warnings };
+}
+
+/**
+ * Scheduled working days in [from, to] with no shift — reported so that
+ * absence, leave or short time can be captured.
+ */
+function absentDays(days, { schedule, hoursPerDay = 8, holidays = new Map(), from, to }) {
+  const worked = new Set(days.map(d => d.date));
+  const out = [];
+  for (let date = from; date <= to; date = _addDays(date, 1)) {
+    const dow = _utc(date).getUTCDay();
+    if (dow === 0 || holidays.has(date) || worked.has(date)) continue;
+    if (_scheduledHours(schedule, DAY_CODES[dow], hoursPerDay)) out.push(date);
+  }
+  return out;
+}
+
+// ─── DB ───────────────────────────────────────────────────────────────────────
+
+async function getSettings(supabase, companyId) {
+  const { data, error } = await supabase
+    .from('payroll_timesheet_settings')
+    .select('meal_break_minutes, night_start, night_end, night_allowance_rate, night_allowance_item, weekly_ordinary_hours')
+    .eq('company_id', companyId)
+    .maybeSingle();
+  if (error && !_missing(error)) throw new Error(`Failed to fetch timesheet settings: ${error.message}`);
+  return validateSettings(data || {});
+}
+
+async function saveSettings(supabase, companyId, input, userId) {
+  const settings = validateSettings({ ...(await getSettings(supabase, companyId)), ...(input || {}) });
+  const { error } = await supabase
+    .from('payroll_timesheet_settings')
+    .upsert({ company_id: companyId, ...settings, updated_by: userId || null, updated_at: new Date().toISOString() },
+      { onConflict: 'company_id' });
+  if (error) throw new Error(`Failed to save timesheet settings: ${error.message}`);
+  return settings;
+}
+
+async function _declaredHolidays(supabase, companyId) {
+  const { data, error } = await supabase
+    .from('payroll_public_holidays')
+    .select('id, holiday_date, name')
+    .eq('company_id', companyId)
+    .order('holiday_date', { ascending: true });
+  if (error && !_missing(error)) throw new Error(`Failed to fetch public holidays: ${error.message}`);
+  return data || [];
+}
+
+/** The Act's holidays for the year plus the company's declared days. */
+async function listHolidays(supabase, companyId, year) {
+  const declared = await _declaredHolidays(supabase, companyId);
+  const ids = new Map(declared.map(d => [String(d.holiday_date).slice(0, 10), d.id]));
+  return publicHolidays(year, declared).map(h => ({ ...h, declared_id: ids.get(h.date) || null }));
+}
+
+async function addHoliday(supabase, companyId, input, userId) {
+  const date = _date(input && input.holiday_date);
+  const name = input && input.name ? String(input.name).trim() : '';
+  if (!date) throw serviceError(400, 'holiday_date is required (YYYY-MM-DD)');
+  if (!name) throw serviceError(400, 'name is required');
+  const { data, error } = await supabase
+    .from('payroll_public_holidays')
+    .insert({ company_id: companyId, holiday_date: date, name, created_by: userId || null })
+    .select('id, holiday_date, name')
+    .single();
+  if (error && error.code === '23505') throw serviceError(409, `${date} is already a declared public holiday`);
+  if (error) throw new Error(`Failed to add public holiday: ${error.message}`);
+  return data;
+}
+
+async function removeHoliday(supabase, companyId, id) {
+  const { data, error } = await supabase
+    .from('payroll_public_holidays')
+    .delete()
+    .eq('company_id', companyId)
+    .eq('id', id)
+    .select('id, holiday_date, name');
+  if (error) throw new Error(`Failed to remove public holiday: ${error.message}`);
+  if (!data || !data.length) throw serviceError(404, 'Declared public holiday not found');
+  return data[0];
+}
+
+/**
+ * Import a clock file for a period as a draft.
+ *
+ * @param {object} p
+ * @param {number} p.companyId
+ * @param {string} p.periodKey - YYYY-MM
+ * @param {string} [p.fileName]
+ * @param {Array}  p.rows      - sheet rows (XLSX sheet_to_json header: 1)
+ * @param {Function} [p.canImport] - { employee_id, classification } → boolean (visibility);
+ *                                  clock numbers of hidden employees report as unknown
+ * @param {number} p.userId
+ * @returns {Promise<object>} the payroll_timesheet_imports row
+ */
+async function importTimesheet(supabase, { companyId, periodKey, fileName, rows, canImport, userId }) {
+  if (!periodKey || !/^\d{4}-(0[1-9]|1[0-2])$/.test(String(periodKey))) throw serviceError(400, 'period_key is required (YYYY-MM)');
+  const parsed = parseClockRows(rows || []);
+  if (!parsed) {
+    throw serviceError(400, 'Clock file columns are required: Employee number with Date and Time (punch log), ' +
+                    'or Date, Clock In and Clock Out');
+  }
+  if (!parsed.punches.length) throw serviceError(400, 'No clock records found in the file');
+
+  const period = await PayrollDataService.fetchPeriod(companyId, periodKey, supabase);
+  if (!period) throw serviceError(404, `Period ${periodKey} not found`);
+  const from = String(period.start_date).slice(0, 10);
+  const to = String(period.end_date).slice(0, 10);
+
+  const settings = await getSettings(supabase, companyId);
+  const declared = await _declaredHolidays(supabase, companyId);
+  const holidays = new Map();
+  for (let y = Number(from.slice(0, 4)); y <= Number(to.slice(0, 4)); y++) {
+    publicHolidays(y, declared).forEach(h => holidays.set(h.date, h.name));
+  }
+
+  const { data: employees, error: eErr } = await supabase
+    .from('employees')
+    .select('id, first_name, last_name, employee_code, id_number, classification')
+    .eq('company_id', companyId);
+  if (eErr) throw new Error(`Failed to fetch employees: ${eErr.message}`);
+  const byRef = new Map();
+  for (const e of employees || []) {
+    if (canImport && !canImport({ employee_id: e.id, classification: e.classification })) continue;
+    if (e.employee_code) byRef.set(String(e.employee_code).trim().toUpperCase(), e);
+    if (e.id_number) byRef.set(String(e.id_number).replace(/\s/g, ''), e);
+  }
+
+  const exceptions = parsed.errors.map(e => ({ type: 'unreadable_row', row: e.row, message: e.message }));
+  const { shifts, exceptions: pairing } = pairShifts(parsed.punches);
+
+  const grouped = new Map();
+  const unknown = new Map();
+  for (const s of shifts) {
+    const emp = byRef.get(s.employee_ref.toUpperCase()) || byRef.get(s.employee_ref.replace(/\s/g, ''));
+    if (!emp) { unknown.set(s.employee_ref, (unknown.get(s.employee_ref) || 0) + 1); continue; }
+    const date = s.start.slice(0, 10);
+    if (date < from || date > to) {
+      exceptions.push({ type: 'outside_period', employee_id: emp.id, employee_ref: s.employee_ref, at: s.start, row: s.rows[0] });
+      continue;
+    }
+    if (!grouped.has(emp.id)) grouped.set(emp.id, { employee: emp, shifts: [] });
+    grouped.get(emp.id).shifts.push(s);
+  }
+  for (const x of pairing) {
+    const emp = byRef.get(x.employee_ref.toUpperCase()) || byRef.get(x.employee_ref.replace(/\s/g, ''));
+    if (!emp) { unknown.set(x.employee_ref, unknown.get(x.employee_ref) || 0); continue; }
+    exceptions.push({ ...x, employee_id: emp.id, employee_name: `${emp.first_name || ''} ${emp.last_name || ''}`.trim() });
+  }
+  for (const [ref, count] of unknown) exceptions.push({ type: 'unknown_employee', employee_ref: ref, shifts: count });
+
+  const dates = parsed.punches.map(p => p.at.slice(0, 10)).sort();
+  const coveredFrom = dates[0] > from ? dates[0] : from;
+  const coveredTo = dates[dates.length - 1] < to ? dates[dates.length - 1] : to;
+
+  const summary = [];
+  for (const { employee, shifts: empShifts } of grouped.values()) {
+    // Stored schedules carry each day's hours; the default schedule is 8-hour days
+    const schedule = await PayrollDataService.fetchWorkSchedule(companyId, employee.id, supabase);
+    const result = classifyShifts(empShifts, { schedule, holidays, settings });
+    const name = `${employee.first_name || ''} ${employee.last_name || ''}`.trim();
+    result.warnings.forEach(w => exceptions.push({ ...w, employee_id: employee.id, employee_name: name }));
+    absentDays(result.days, { schedule, holidays, from: coveredFrom, to: coveredTo })
+      .forEach(date => exceptions.push({ type: 'no_clock_record', employee_id: employee.id, employee_name: name, date }));
+    summary.push({
+      employee_id:    employee.id,
+      employee_code:  employee.employee_code || null,
+      employee_name:  name,
+      classification: employee.classification || null,
+      shift_count:    empShifts.length,
+      ...result
+    });
+  }
+  summary.sort((a, b) => a.employee_name.localeCompare(b.employee_name));
+
+  const { data, error } = await supabase
+    .from('payroll_timesheet_imports')
+    .insert({
+      company_id:        companyId,
+      payroll_period_id: period.id,
+      period_key:        periodKey,
+      file_name:         fileName || null,
+      punch_count:       parsed.punches.length,
+      shift_count:       shifts.length,
+      employee_count:    summary.length,
+      exception_count:   exceptions.length,
+      settings,
+      summary,
+      exceptions,
+      status:            'draft',
+      imported_by:       userId || null
+    })
+    .select(IMPORT_COLUMNS)
+    .single();
+  if (error) throw new Error(`Failed to save timesheet import: ${error.message}`);
+  return data;
+}
+
+async function listImports(supabase, companyId, periodKey) {
+  let query = supabase
+    .from('payroll_timesheet_imports')
+    .select('id, period_key, file_name, punch_count, shift_count, employee_count, exception_count, status, ' +
+            'imported_by, created_at, applied_by, applied_at')
+    .eq('company_id', companyId)
+    .order('created_at', { ascending: false });
+  if (periodKey) query = query.eq('period_key', periodKey);
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to fetch timesheet imports: ${error.message}`);
+  return data || [];
+}
+
+async function getImport(supabase, companyId, id) {
+  const { data, error } = await supabase
+    .from('payroll_timesheet_imports')
+    .select(IMPORT_COLUMNS)
+    .eq('company_id', companyId)
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to fetch timesheet import: ${error.message}`);
+  if (!data) throw serviceError(404, 'Timesheet import not found');
+  return data;
+}
+
+async function _lockedEmployees(supabase, companyId, periodKey, employeeIds) {
+  const { data, error } = await supabase
+    .from('payroll_snapshots')
+    .select('employee_id')
+    .eq('company_id', companyId)
+    .eq('period_key', periodKey)
+    .eq('is_locked', true)
+    .in('employee_id', employeeIds);
+  if (error) throw new Error(`Failed to check finalized payslips: ${error.message}`);
+  return new Set((data || []).map(s => s.employee_id));
+}
+
+/**
+ * Write a draft import's inputs to the period (RULE 4).
+ *
+ * @param {object} p
+ * @param {number} p.companyId
+ * @param {number} p.importId
+ * @param {Function} [p.canApply] - employee summary → boolean (visibility)
+ * @param {number} p.userId
+ * @returns {Promise<{ import, applied: number[], skipped: [{ employee_id, reason }] }>}
+ */
+async function applyImport(supabase, { companyId, importId, canApply, userId }) {
+  const imp = await getImport(supabase, companyId, importId);
+  if (imp.status !== 'draft') throw serviceError(409, `Timesheet import is already ${imp.status}`);
+
+  const summary = imp.summary || [];
+  const locked = summary.length
+    ? await _lockedEmployees(supabase, companyId, imp.period_key, summary.map(s => s.employee_id))
+    : new Set();
+
+  const applied = [];
+  const skipped = [];
+  for (const emp of summary) {
+    if (locked.has(emp.employee_id)) { skipped.push({ employee_id: emp.employee_id, reason: 'payslip finalized' }); continue; }
+    if (canApply && !canApply(emp)) { skipped.push({ employee_id: emp.employee_id, reason: 'access denied' }); continue; }
+
+    const scope = { company_id: companyId, payroll_period_id: imp.payroll_period_id, employee_id: emp.employee_id };
+    for (const table of ['payroll_overtime', 'payroll_multi_rate', 'payroll_period_inputs']) {
+      const { error } = await supabase.from(table).delete().match(scope).not('timesheet_import_id', 'is', null);
+      if (error) throw new Error(`Failed to clear earlier timesheet inputs: ${error.message}`);
+    }
+
+    const tag = { ...scope, timesheet_import_id: imp.id, is_deleted: false };
+    if (emp.overtime.length) {
+      const { error } = await supabase.from('payroll_overtime').insert(emp.overtime.map(l => ({ ...tag, ...l })));
+      if (error) throw new Error(`Failed to save overtime: ${error.message}`);
+    }
+    if (emp.multiRate.length) {
+      const { error } = await supabase.from('payroll_multi_rate').insert(emp.multiRate.map(l => ({ ...tag, ...l })));
+      if (error) throw new Error(`Failed to save multi-rate hours: ${error.message}`);
+    }
+    if (emp.nightAllowance) {
+      const { error } = await supabase.from('payroll_period_inputs').insert({
+        ...tag,
+        item_type:   'earning',
+        description: emp.nightAllowance.description,
+        amount:      emp.nightAllowance.amount,
+        affects_uif: true
+      });
+      if (error) throw new Error(`Failed to save night shift allowance: ${error.message}`);
+    }
+    applied.push(emp.employee_id);
+  }
+
+  const { data, error } = await supabase
+    .from('payroll_timesheet_imports')
+    .update({ status: 'applied', applied_by: userId || null, applied_at: new Date().toISOString() })
+    .eq('company_id', companyId)
+    .eq('id', imp.id)
+    .eq('status', 'draft')
+    .select(IMPORT_COLUMNS)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to mark timesheet import applied: ${error.message}`);
+  if (!data) throw serviceError(409, 'Timesheet import was already applied');
+  return { import: data, applied, skipped };
+}
+
+async function discardImport(supabase, companyId, id) {
+  const imp = await getImport(supabase, companyId, id);
+  if (imp.status !== 'draft') throw serviceError(409, `Timesheet import is already ${imp.status}`);
+  const { data, error } = await supabase
+    .from('payroll_timesheet_imports')
+    .update({ status: 'discarded' })
+    .eq('company_id', companyId)
+    .eq('id', id)
+    .eq('status', 'draft')
+    .select('id, status')
+    .maybeSingle();
+  if (error) throw new Error(`Failed to discard timesheet import: ${error.message}`);
+  if (!data) throw serviceError(409, 'Timesheet import was already applied');
+  return data;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  LINE,
+  // Pure
+  easterSunday,
+  publicHolidays,
+  validateSettings,
+  parseClockRows,
+  pairShifts,
+  classifyShifts,
+  absentDays,
+  // DB
+  getSettings,
+  saveSettings,
+  listHolidays,
+  addHoliday,
+  removeHoliday,
+  importTimesheet,
+  listImports,
+  getImport,
+  applyImport,
+  discardImport
+};
@@ -5,6 +5,8 @@
  * Single enforcement point for employee visibility filtering in Paytime.
  *
  * Rules (evaluated top-to-bottom, first match wins):
+ *   Rule 0: employee (self-service login)  → see ONLY the employees row linked
+ *                                            to the login (employees.user_id)
  *   Rule 1: super_admin or business_owner  → see ALL (no filter)
  *   Rule 2: accountant                     → see ALL (trusted finance role)
  *   Rule 3: no paytime_user_config row     → see ALL (backward-compatible default)
@@ -22,6 +24,7 @@
 const { supabase } = require('../../../config/database');
 
 const UNRESTRICTED_ROLES = ['super_admin', 'business_owner', 'practice_manager', 'administrator', 'accountant'];
+const SELF_SERVICE_ROLE = 'employee';
 
 /**
  * Load the paytime_user_config for a user+company pair.
@@ -50,6 +53,19 @@ async function loadAllowedEmployeeIds(userId, companyId) {
   return (data || []).map(r => r.employee_id);
 }
 
+/**
+ * The employee id linked to a self-service login (Rule 0), or null.
+ */
+async function loadOwnEmployeeId(userId, companyId) {
+  const { data } = await supabase
+    .from('employees')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('company_id', companyId)
+    .maybeSingle();
+  return data ? data.id : null;
+}
+
 /**
  * Build a Supabase query filter descriptor for employee visibility.
  *
@@ -62,6 +78,12 @@ async function loadAllowedEmployeeIds(userId, companyId) {
  *   type 'ids'            → filter to employees whose id is in ids[]
  */
 async function getEmployeeFilter(role, userId, companyId) {
+  // Rule 0 — a self-service login sees its own record, never the Rule 3 default
+  if (role === SELF_SERVICE_ROLE) {
+    const own = await loadOwnEmployeeId(userId, companyId);
+    return { type: 'ids', ids: own ? [own] : [] };
+  }
+
   // Rules 1 & 2 — unrestricted roles bypass everything
   if (UNRESTRICTED_ROLES.includes(role)) {
     return { type: 'none' };
@@ -119,6 +141,7 @@ function applyFilter(query, filter) {
  * @returns {Promise<boolean>}
  */
 async function canViewEmployee(role, userId, companyId, employee) {
+  if (role === SELF_SERVICE_ROLE) return employee.id === await loadOwnEmployeeId(userId, companyId);
   if (UNRESTRICTED_ROLES.includes(role)) return true;
 
   const config = await loadConfig(userId, companyId);
@@ -147,6 +170,7 @@ async function canViewEmployee(role, userId, companyId, employee) {
  */
 async function hasModuleAccess(role, userId, companyId, moduleName) {
   if (UNRESTRICTED_ROLES.includes(role)) return true;
+  if (role === SELF_SERVICE_ROLE) return false; // self-service routes do not use Paytime modules
   const config = await loadConfig(userId, companyId);
   if (!config) return true; // Rule 3 — no config = unrestricted
   return Array.isArray(config.modules) && config.modules.includes(moduleName);
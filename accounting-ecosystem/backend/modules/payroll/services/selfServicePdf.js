@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * selfServicePdf.js
+ * PDFKit renderers for the employee self-service payslip and IRP5/IT3(a).
+ *
+ * Both documents are encrypted (AES-128): they open with the password
+ * SelfServiceService.pdfPassword gives, and a random owner password stops
+ * them being edited. Layout follows terminationPdf.js (A4, 45pt margins,
+ * Helvetica, shaded section headers).
+ */
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+
+const DARKTEXT = '#111827';
+const MUTED    = '#6b7280';
+const BORDER   = '#e5e7eb';
+const HDR_BG   = '#f3f4f6';
+const ACCENT   = '#1e3a8a';
+
+// IRP5 source codes shown on the certificate (unlisted codes print the code only)
+const CODE_LABELS = {
+  3601: 'Income (taxable)',
+  3605: 'Annual payment',
+  3606: 'Commission',
+  3607: 'Overtime',
+  3696: 'Gross non-taxable income',
+  3697: 'Gross retirement funding employment income',
+  3698: 'Gross non-retirement funding employment income',
+  3699: 'Gross employment income',
+  3701: 'Travel allowance',
+  3702: 'Reimbursive travel allowance',
+  3713: 'Other allowances',
+  3802: 'Use of motor vehicle',
+  3805: 'Accommodation',
+  3806: 'Services',
+  3808: 'Low-interest loan',
+  3810: 'Medical aid (employer contribution)',
+  3901: 'Severance benefit',
+  4001: 'Pension fund contributions',
+  4003: 'Provident fund contributions',
+  4005: 'Medical aid contributions',
+  4006: 'Retirement annuity contributions',
+  4102: 'PAYE',
+  4115: 'Tax on retirement lump sum / severance benefit',
+  4118: 'Employment Tax Incentive',
+  4141: 'UIF contributions',
+  4142: 'SDL contributions',
+  4149: 'Total tax, SDL and UIF'
+};
+
+function _money(n) {
+  const v = Math.abs(parseFloat(n) || 0).toLocaleString('en-ZA', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `R ${n < 0 ? '-' : ''}${v}`;
+}
+
+function _toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+function _document(title, company, password) {
+  return new PDFDocument({
+    size: 'A4',
+    margin: 45,
+    pdfVersion: '1.7',
+    userPassword: password,
+    ownerPassword: crypto.randomBytes(16).toString('hex'),
+    permissions: { printing: 'highResolution', copying: false, modifying: false, annotating: false },
+    info: { Title: title, Author: company.company_name || '', Creator: 'Lorenco Paytime' }
+  });
+}
+
+function _letterhead(doc, { company, title, subtitle }) {
+  const L = 45;
+  const W = doc.page.width - 90;
+  doc.rect(L, 45, W, 56).fill('#f8fafc');
+  doc.rect(L, 45, 4, 56).fill(ACCENT);
+  doc.fontSize(15).font('Helvetica-Bold').fillColor(ACCENT)
+     .text(company.trading_name || company.company_name || '', L + 12, 53, { width: W * 0.6, lineBreak: false });
+  if (company.address) {
+    doc.fontSize(8).font('Helvetica').fillColor(MUTED)
+       .text(String(company.address).replace(/\s*\n\s*/g, ', '), L + 12, 73, { width: W * 0.6, lineBreak: false });
+  }
+  doc.fontSize(13).font('Helvetica-Bold').fillColor(DARKTEXT)
+     .text(title, L + W * 0.6, 55, { width: W * 0.4 - 10, align: 'right', lineBreak: false });
+  if (subtitle) {
+    doc.fontSize(8).font('Helvetica').fillColor(MUTED)
+       .text(subtitle, L + W * 0.6, 74, { width: W * 0.4 - 10, align: 'right', lineBreak: false });
+  }
+  return 115;
+}
+
+/** Two-column label / value block; returns the y below it. */
+function _fields(doc, y, heading, rows) {
+  const L = 45;
+  const W = doc.page.width - 90;
+  doc.rect(L, y, W, 18).fill(HDR_BG);
+  doc.fontSize(7).font('Helvetica-Bold').fillColor(MUTED).text(heading.toUpperCase(), L + 4, y + 6, { lineBreak: false });
+  y += 22;
+  for (const [label, value] of rows) {
+    doc.fontSize(8).font('Helvetica').fillColor(MUTED).text(label, L + 4, y, { width: 170, lineBreak: false });
+    doc.fontSize(9).font('Helvetica-Bold').fillColor(DARKTEXT)
+       .text(value == null || value === '' ? '—' : String(value), L + 180, y, { width: W - 184 });
+    y = Math.max(doc.y, y + 12) + 3;
+    doc.moveTo(L, y - 2).lineTo(L + W, y - 2).strokeColor(BORDER).lineWidth(0.5).stroke();
+  }
+  return y + 10;
+}
+
+/** Description / amount lines with a bold total; returns the y below it. */
+function _amounts(doc, y, heading, lines, totalLabel, total) {
+  const L = 45;
+  const W = doc.page.width - 90;
+  doc.rect(L, y, W, 18).fill(HDR_BG);
+  doc.fontSize(7).font('Helvetica-Bold').fillColor(MUTED).text(heading.toUpperCase(), L + 4, y + 6, { lineBreak: false });
+  y += 22;
+  for (const line of lines) {
+    if (y > doc.page.height - 90) { doc.addPage(); y = 45; }
+    doc.fontSize(8.5).font('Helvetica').fillColor(DARKTEXT).text(line.description, L + 4, y, { width: W - 130, lineBreak: false });
+    doc.text(_money(line.amount), L + W - 120, y, { width: 116, align: 'right', lineBreak: false });
+    y += 14;
+  }
+  if (totalLabel) {
+    doc.moveTo(L, y).lineTo(L + W, y).strokeColor(BORDER).lineWidth(0.5).stroke();
+    y += 4;
+    doc.fontSize(9).font('Helvetica-Bold').fillColor(DARKTEXT).text(totalLabel, L + 4, y, { lineBreak: false });
+    doc.text(_money(total), L + W - 120, y, { width: 116, align: 'right', lineBreak: false });
+    y += 14;
+  }
+  return y + 10;
+}
+
+const _name = e => `${e.first_name || ''} ${e.last_name || ''}`.trim();
+
+/**
+ * Payslip for one finalized period.
+ * @param {object} p
+ * @param {object} p.company  — companies row
+ * @param {object} p.employee — employees row
+ * @param {object} p.payslip  — SelfServiceService.payslipLines() result
+ * @param {string} p.password — opens the PDF
+ * @returns {Promise<Buffer>}
+ */
+function renderPayslip({ company, employee, payslip, password }) {
+  const doc = _document(`Payslip ${payslip.period_key} — ${_name(employee)}`, company, password);
+
+  let y = _letterhead(doc, { company, title: 'PAYSLIP', subtitle: `Period ${payslip.period_key}` });
+  y = _fields(doc, y, 'Employee', [
+    ['Name', _name(employee)],
+    ['Employee number', employee.employee_code],
+    ['Position', [employee.position, employee.department].filter(Boolean).join(', ')],
+    ['Tax number', employee.tax_number]
+  ]);
+  y = _amounts(doc, y, 'Earnings', payslip.earnings, 'Total earnings', payslip.totals.earnings);
+  y = _amounts(doc, y, 'Deductions', payslip.deductions, 'Total deductions', payslip.totals.deductions);
+  if (payslip.employer.length) y = _amounts(doc, y, 'Employer contributions', payslip.employer);
+
+  const L = 45;
+  const W = doc.page.width - 90;
+  doc.rect(L, y, W, 26).fill('#f8fafc');
+  doc.rect(L, y, 4, 26).fill(ACCENT);
+  doc.fontSize(11).font('Helvetica-Bold').fillColor(ACCENT).text('NET PAY', L + 12, y + 8, { lineBreak: false });
+  doc.text(_money(payslip.totals.net), L + W - 160, y + 8, { width: 152, align: 'right', lineBreak: false });
+
+  return _toBuffer(doc);
+}
+
+/**
+ * IRP5 / IT3(a) employee tax certificate.
+ * @param {object} p
+ * @param {object} p.company     — companies row (paye / uif / sdl reference numbers)
+ * @param {object} p.employee    — employees row
+ * @param {object} p.certificate — SarsSubmissionService.finaliseCertificate() result
+ * @param {string} p.taxYear     — 'YYYY/YYYY'
+ * @param {string} p.password    — opens the PDF
+ * @returns {Promise<Buffer>}
+ */
+function renderCertificate({ company, employee, certificate, taxYear, password }) {
+  const type = certificate.certificate_type;
+  const doc = _document(`${type} ${taxYear} — ${_name(employee)}`, company, password);
+  const periods = [...certificate.periods].sort();
+
+  let y = _letterhead(doc, { company, title: type, subtitle: `Employee tax certificate — ${taxYear}` });
+  y = _fields(doc, y, 'Employer', [
+    ['Employer name', company.company_name],
+    ['PAYE reference number', company.paye_reference_number],
+    ['SDL reference number', company.sdl_reference_number],
+    ['UIF reference number', company.uif_reference_number]
+  ]);
+  y = _fields(doc, y, 'Employee', [
+    ['Surname', employee.last_name],
+    ['First names', employee.first_name],
+    ['ID number', employee.id_number],
+    ['Income tax reference number', employee.tax_number],
+    ['Employee number', employee.employee_code],
+    ['Period of employment', periods.length ? `${periods[0]} to ${periods[periods.length - 1]}` : null]
+  ]);
+
+  const lines = Object.entries(certificate.codes)
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .map(([code, amount]) => ({ description: `${code}  ${CODE_LABELS[code] || ''}`.trim(), amount }));
+  y = _amounts(doc, y, 'Source codes', lines);
+
+  doc.fontSize(7.5).font('Helvetica').fillColor(MUTED).text(
+    'Copy of the certificate included in the employer\'s EMP501 reconciliation. Income codes are whole rands; ' +
+    'tax codes (41xx) include cents.',
+    45, y, { width: doc.page.width - 90 });
+
+  return _toBuffer(doc);
+}
+
+module.exports = { renderPayslip, renderCertificate };
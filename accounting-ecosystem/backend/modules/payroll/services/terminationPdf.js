@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * terminationPdf.js
+ * PDFKit renderers for the UI-19 declaration and the certificate of service.
+ *
+ * Both return a Buffer so TerminationService can hash and store the exact
+ * bytes. Layout follows accounting/services/statementPdf.js (A4, 45pt
+ * margins, Helvetica, shaded table header).
+ */
+
+const PDFDocument = require('pdfkit');
+
+const DARKTEXT = '#111827';
+const MUTED    = '#6b7280';
+const BORDER   = '#e5e7eb';
+const HDR_BG   = '#f3f4f6';
+const ACCENT   = '#1e3a8a';
+
+function _money(n) {
+  const v = Math.abs(parseFloat(n) || 0).toLocaleString('en-ZA', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `R ${n < 0 ? '-' : ''}${v}`;
+}
+
+function _toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+function _letterhead(doc, { company, title, subtitle }) {
+  const L = 45;
+  const W = doc.page.width - 90;
+  doc.rect(L, 45, W, 56).fill('#f8fafc');
+  doc.rect(L, 45, 4, 56).fill(ACCENT);
+  doc.fontSize(15).font('Helvetica-Bold').fillColor(ACCENT)
+     .text(company.trading_name || company.company_name || '', L + 12, 53, { width: W * 0.6, lineBreak: false });
+  if (company.address) {
+    doc.fontSize(8).font('Helvetica').fillColor(MUTED)
+       .text(String(company.address).replace(/\s*\n\s*/g, ', '), L + 12, 73, { width: W * 0.6, lineBreak: false });
+  }
+  doc.fontSize(13).font('Helvetica-Bold').fillColor(DARKTEXT)
+     .text(title, L + W * 0.6, 55, { width: W * 0.4 - 10, align: 'right', lineBreak: false });
+  if (subtitle) {
+    doc.fontSize(8).font('Helvetica').fillColor(MUTED)
+       .text(subtitle, L + W * 0.6, 74, { width: W * 0.4 - 10, align: 'right', lineBreak: false });
+  }
+  return 115;
+}
+
+/** Two-column label / value block; returns the y below it. */
+function _fields(doc, y, heading, rows) {
+  const L = 45;
+  const W = doc.page.width - 90;
+  doc.rect(L, y, W, 18).fill(HDR_BG);
+  doc.fontSize(7).font('Helvetica-Bold').fillColor(MUTED).text(heading.toUpperCase(), L + 4, y + 6, { lineBreak: false });
+  y += 22;
+  for (const [label, value] of rows) {
+    doc.fontSize(8).font('Helvetica').fillColor(MUTED).text(label, L + 4, y, { width: 170, lineBreak: false });
+    doc.fontSize(9).font('Helvetica-Bold').fillColor(DARKTEXT)
+       .text(value == null || value === '' ? '—' : String(value), L + 180, y, { width: W - 184 });
+    y = Math.max(doc.y, y + 12) + 3;
+    doc.moveTo(L, y - 2).lineTo(L + W, y - 2).strokeColor(BORDER).lineWidth(0.5).stroke();
+  }
+  return y + 10;
+}
+
+function _signature(doc, y, lines) {
+  const L = 45;
+  y += 30;
+  for (const label of lines) {
+    doc.moveTo(L, y).lineTo(L + 220, y).strokeColor(DARKTEXT).lineWidth(0.5).stroke();
+    doc.fontSize(7.5).font('Helvetica').fillColor(MUTED).text(label, L, y + 4, { lineBreak: false });
+    y += 36;
+  }
+  return y;
+}
+
+/**
+ * UI-19 — Declaration of information for the Unemployment Insurance Fund.
+ * @param {object} p
+ * @param {object} p.company     — companies row (uif_reference_number, paye_reference_number)
+ * @param {object} p.employee    — employees row
+ * @param {object} p.termination — { termination_date, reason_code, reason_label,
+ *                                   gross_monthly, hours_per_month }
+ * @returns {Promise<Buffer>}
+ */
+function renderUi19({ company, employee, termination }) {
+  const doc = new PDFDocument({ size: 'A4', margin: 45, info: {
+    Title:   `UI-19 — ${employee.first_name} ${employee.last_name}`,
+    Author:  company.company_name || '',
+    Creator: 'Lorenco Paytime',
+  } });
+  const initials = String(employee.first_name || '').split(/\s+/).filter(Boolean).map(n => n[0].toUpperCase()).join('');
+
+  let y = _letterhead(doc, { company, title: 'UI-19', subtitle: 'Declaration of information — Unemployment Insurance Fund' });
+  y = _fields(doc, y, 'Employer', [
+    ['Employer name', company.company_name],
+    ['Trading name', company.trading_name],
+    ['UIF reference number', company.uif_reference_number],
+    ['PAYE reference number', company.paye_reference_number],
+    ['Address', company.address]
+  ]);
+  y = _fields(doc, y, 'Employee', [
+    ['Surname', employee.last_name],
+    ['Initials', initials],
+    ['ID / passport number', employee.id_number],
+    ['Gross remuneration per month', _money(termination.gross_monthly)],
+    ['Total hours worked per month', termination.hours_per_month],
+    ['Commencement date', employee.hire_date],
+    ['Termination date', termination.termination_date],
+    ['Reason for termination', `${termination.reason_code} — ${termination.reason_label}`]
+  ]);
+
+  doc.fontSize(8.5).font('Helvetica').fillColor(DARKTEXT).text(
+    'I declare that the information furnished above is true and correct and that it is furnished in terms of ' +
+    'section 56 of the Unemployment Insurance Act, 2001.',
+    45, y, { width: doc.page.width - 90 });
+  _signature(doc, doc.y, ['Signature of employer / authorised person', 'Date']);
+
+  return _toBuffer(doc);
+}
+
+/**
+ * Certificate of service (BCEA section 42).
+ * @param {object} p
+ * @param {object} p.company     — companies row
+ * @param {object} p.employee    — employees row
+ * @param {object} p.termination — { termination_date, reason_label, include_reason,
+ *                                   remuneration, issued_on }
+ * @returns {Promise<Buffer>}
+ */
+function renderCertificateOfService({ company, employee, termination }) {
+  const doc = new PDFDocument({ size: 'A4', margin: 45, info: {
+    Title:   `Certificate of service — ${employee.first_name} ${employee.last_name}`,
+    Author:  company.company_name || '',
+    Creator: 'Lorenco Paytime',
+  } });
+
+  let y = _letterhead(doc, { company, title: 'CERTIFICATE OF SERVICE', subtitle: `Issued ${termination.issued_on}` });
+  const rows = [
+    ['Employer', company.company_name],
+    ['Employer address', company.address],
+    ['Employee', `${employee.first_name || ''} ${employee.last_name || ''}`.trim()],
+    ['ID number', employee.id_number],
+    ['Date of commencement', employee.hire_date],
+    ['Date of termination', termination.termination_date],
+    ['Job title / work performed', [employee.position, employee.department].filter(Boolean).join(', ')],
+    ['Remuneration at termination', `${_money(termination.remuneration)} per month`]
+  ];
+  // s42(2): the reason is only stated if the employee asks for it
+  if (termination.include_reason) rows.push(['Reason for termination', termination.reason_label]);
+  y = _fields(doc, y, 'Particulars of employment', rows);
+
+  doc.fontSize(8.5).font('Helvetica').fillColor(DARKTEXT).text(
+    'Issued in terms of section 42 of the Basic Conditions of Employment Act, 1997.',
+    45, y, { width: doc.page.width - 90 });
+  _signature(doc, doc.y, ['Signature on behalf of the employer', 'Name and designation']);
+
+  return _toBuffer(doc);
+}
+
+module.exports = { renderUi19, renderCertificateOfService };
@@ -35,6 +35,8 @@ const importRoutes         = require('./routes/import');
 const pinRoutes            = require('./routes/pin');
 const shortcutsRoutes      = require('./routes/shortcuts');
 const managerAuthRoutes    = require('./routes/managerAuth');
+const vouchersRoutes       = require('./routes/vouchers');
+const laybysRoutes         = require('./routes/laybys');
 
 const router = express.Router();
 
@@ -57,6 +59,8 @@ router.use('/tills',      tillsRoutes);
 router.use('/till',       tillsRoutes);   // alias used by some frontend calls
 router.use('/discounts',  discountsRoutes);
 router.use('/promotion-campaigns', promotionCampaignsRoutes);
+router.use('/vouchers',   vouchersRoutes);   // Gift cards + store credit (migration 080)
+router.use('/laybys',     laybysRoutes);     // Lay-by agreements (migration 081)
 router.use('/manager-auth', managerAuthRoutes);
 router.use('/loyalty',    loyaltyRoutes);
 router.use('/settings',   settingsRoutes);
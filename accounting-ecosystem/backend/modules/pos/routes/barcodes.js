@@ -3,31 +3,74 @@
  * POS Barcode Routes - Checkout Charlie Module
  * ============================================================================
  * Barcode checking, generation, and EAN-13 support.
+ *
+ * Scale labels (migration 082) — weight or price embedded in an in-store
+ * EAN-13 — are decoded with the company's embedded-barcode rules:
+ *   GET    /api/barcode/embedded-rules
+ *   POST   /api/barcode/embedded-rules
+ *   PUT    /api/barcode/embedded-rules/:id
+ *   DELETE /api/barcode/embedded-rules/:id
  * ============================================================================
  */
 
 const express = require('express');
 const { supabase } = require('../../../config/database');
 const { requireCompany, requirePermission } = require('../../../middleware/auth');
+const { auditFromReq } = require('../../../middleware/audit');
+const {
+  ean13CheckDigit, normaliseRule, matchRule, decodeEmbedded, normaliseScalePlu, labelLine,
+} = require('../services/embeddedBarcode');
 
 const router = express.Router();
 
 router.use(requireCompany);
 
 /**
- * Calculate EAN-13 check digit
+ * Decode a scale label against the company's embedded-barcode rules and
+ * find the product it was weighed as. Shared by /check/:barcode (below)
+ * and checkout (sales.js), which accepts { barcode } cart lines.
+ *
+ * @returns {Promise<null | { ok:false, status, error } | { ok:true, product, rule, decoded, quantity, label_price }>}
+ *          null when no rule covers the code — it's an ordinary barcode.
  */
-function ean13CheckDigit(digits12) {
-  let sum = 0;
-  for (let i = 0; i < 12; i++) {
-    sum += parseInt(digits12[i]) * (i % 2 === 0 ? 1 : 3);
+async function lookupEmbeddedBarcode(companyId, barcode) {
+  const { data: rules, error: rulesErr } = await supabase
+    .from('barcode_embedded_rules')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('is_active', true);
+  if (rulesErr) return { ok: false, status: 500, error: rulesErr.message };
+
+  const rule = matchRule(rules, barcode);
+  if (!rule) return null;
+  const decoded = decodeEmbedded(barcode, rule);
+  if (!decoded.ok) return { ok: false, status: 422, error: decoded.error };
+
+  const { data: products, error: prodErr } = await supabase
+    .from('products')
+    .select('id, product_name, barcode, scale_plu, unit_price, unit, sold_by_weight, is_active')
+    .eq('company_id', companyId)
+    .eq('scale_plu', normaliseScalePlu(decoded.itemCode))
+    .limit(1);
+  if (prodErr) return { ok: false, status: 500, error: prodErr.message };
+  const product = products && products[0];
+  if (!product) return { ok: false, status: 404, error: `No product has scale PLU ${decoded.itemCode}` };
+  if (!product.sold_by_weight) {
+    return { ok: false, status: 422, error: `"${product.product_name}" has scale PLU ${decoded.itemCode} but is not set up as sold by weight` };
+  }
+
+  try {
+    return { ok: true, product, rule, decoded, ...labelLine(product, decoded) };
+  } catch (lineErr) {
+    return { ok: false, status: 422, error: lineErr.message };
   }
-  return (10 - (sum % 10)) % 10;
 }
 
 /**
  * POST /api/barcode/check/:barcode
- * Check if a barcode already exists in the company's products
+ * Check if a barcode already exists in the company's products. A code that
+ * isn't on any product but matches an embedded-barcode rule is decoded —
+ * `embedded` then carries the weight/price and the quantity to ring up.
  */
 router.post('/check/:barcode', async (req, res) => {
   try {
@@ -41,107 +84,254 @@ router.post('/check/:barcode', async (req, res) => {
     if (error) return res.status(500).json({ error: error.message });
 
     if (data && data.length > 0) {
-      res.json({ exists: true, product: data[0] });
-    } else {
-      res.json({ exists: false });
+      return res.json({ exists: true, product: data[0] });
+    }
+
+    const embedded = await lookupEmbeddedBarcode(req.companyId, req.params.barcode);
+    if (!embedded) return res.json({ exists: false });
+    if (!embedded.ok) {
+      if (embedded.status === 500) return res.status(500).json({ error: embedded.error });
+      return res.json({ exists: false, embedded: { error: embedded.error } });
     }
+    res.json({
+      exists: true,
+      product: embedded.product,
+      embedded: {
+        rule_id:     embedded.rule.id,
+        item_code:   embedded.decoded.itemCode,
+        value_type:  embedded.decoded.value_type,
+        weight:      embedded.decoded.weight ?? null,
+        price:       embedded.decoded.price ?? null,
+        quantity:    embedded.quantity,
+        label_price: embedded.label_price,
+      },
+    });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 /**
- * POST /api/barcode/generate
- * Generate a new unique barcode for the company
+ * GET /api/barcode/embedded-rules
+ * The company's scale-label layouts, one per prefix.
  */
-// Found live 2026-08-01 (site-wide permission sweep) — mutates the
-// company's shared barcode sequence with no gate at all. Its only caller,
-// generateBarcode() (frontend-pos/index.html), is reached solely from the
-// Products settings form, already management-only since Settings was
-// restricted earlier the same day — so this can't regress any cashier
-// flow. /check/:barcode (above) is left untouched — same caller context,
-// but read-only, no state to protect.
-router.post('/generate', requirePermission('PRODUCTS.CREATE'), async (req, res) => {
+router.get('/embedded-rules', requirePermission('SETTINGS.VIEW'), async (req, res) => {
   try {
-    const { type } = req.body;
+    const { data, error } = await supabase
+      .from('barcode_embedded_rules')
+      .select('*')
+      .eq('company_id', req.companyId)
+      .order('prefix');
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ rules: data || [] });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    // Get or create barcode settings
-    let { data: settings } = await supabase
-      .from('barcode_settings')
+/**
+ * POST /api/barcode/embedded-rules
+ * Body: { prefix, item_code_length, value_type ('weight'|'price'),
+ *         value_decimals, check_digit ('validate'|'ignore'),
+ *         value_check_digit, description }
+ */
+router.post('/embedded-rules', requirePermission('SETTINGS.EDIT'), async (req, res) => {
+  try {
+    let rule;
+    try {
+      rule = normaliseRule(req.body);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    const { data, error } = await supabase
+      .from('barcode_embedded_rules')
+      .insert({ company_id: req.companyId, ...rule, description: req.body.description || null, created_by: req.user.userId })
+      .select()
+      .single();
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ error: `There is already a rule for prefix ${rule.prefix}` });
+      return res.status(500).json({ error: error.message });
+    }
+
+    await auditFromReq(req, 'CREATE', 'barcode_embedded_rule', data.id, { module: 'pos', newValue: rule });
+    res.status(201).json({ rule: data });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/barcode/embedded-rules/:id
+ * Same body as POST (the full layout), plus is_active.
+ */
+router.put('/embedded-rules/:id', requirePermission('SETTINGS.EDIT'), async (req, res) => {
+  try {
+    const { data: old } = await supabase
+      .from('barcode_embedded_rules')
       .select('*')
+      .eq('id', req.params.id)
       .eq('company_id', req.companyId)
       .maybeSingle();
+    if (!old) return res.status(404).json({ error: 'Rule not found' });
 
-    if (!settings) {
-      const { data: newSettings, error: createError } = await supabase
-        .from('barcode_settings')
-        .insert({
-          company_id: req.companyId,
-          company_prefix: '600',
-          current_sequence: 1000,
-          barcode_type: 'EAN13'
-        })
-        .select()
-        .single();
-
-      if (createError) return res.status(500).json({ error: createError.message });
-      settings = newSettings;
+    let rule;
+    try {
+      rule = normaliseRule({ ...old, ...req.body });
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
     }
 
-    const prefix = settings.company_prefix || '600';
-
-    // Advance the sequence until it lands on a barcode not already assigned
-    // to a product (found live 2026-08-20: the old version trusted
-    // current_sequence blindly and could hand out a barcode a product
-    // already had — e.g. after a manually-typed barcode landed inside the
-    // same numeric range, or the counter was ever reset/restored out of
-    // sync with products). Company-scoped, same as /check/:barcode above.
-    // Capped so a corrupted counter/runaway loop fails loudly instead of
-    // hanging the request.
-    let sequence = settings.current_sequence || 1000;
-    let barcode;
-    const MAX_ATTEMPTS = 1000;
-    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
-      const digits12 = (prefix + String(sequence).padStart(12 - prefix.length, '0')).slice(0, 12);
-      const checkDigit = ean13CheckDigit(digits12);
-      const candidate = digits12 + checkDigit;
-
-      const { data: existing, error: checkError } = await supabase
-        .from('products')
-        .select('id')
-        .eq('company_id', req.companyId)
-        .eq('barcode', candidate)
-        .limit(1);
-
-      if (checkError) return res.status(500).json({ error: checkError.message });
-
-      if (!existing || existing.length === 0) {
-        barcode = candidate;
-        break;
-      }
-      sequence++;
+    const { data, error } = await supabase
+      .from('barcode_embedded_rules')
+      .update({
+        ...rule,
+        description: req.body.description !== undefined ? (req.body.description || null) : old.description,
+        is_active:   req.body.is_active !== undefined ? req.body.is_active === true : old.is_active,
+        updated_at:  new Date().toISOString(),
+      })
+      .eq('id', old.id)
+      .eq('company_id', req.companyId)
+      .select()
+      .single();
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ error: `There is already a rule for prefix ${rule.prefix}` });
+      return res.status(500).json({ error: error.message });
     }
 
-    if (!barcode) {
-      return res.status(500).json({ error: 'Could not find an unused barcode — please check barcode_settings for this company.' });
-    }
+    await auditFromReq(req, 'UPDATE', 'barcode_embedded_rule', old.id, { module: 'pos', oldValue: old, newValue: data });
+    res.json({ rule: data });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    // Persist the sequence one past the barcode just handed out, so the
-    // next call starts searching from there instead of re-checking the
-    // same already-assigned values every time.
-    await supabase
+/**
+ * DELETE /api/barcode/embedded-rules/:id
+ * Labels already on the shelf with this prefix stop scanning — set
+ * is_active false instead to pause a rule.
+ */
+router.delete('/embedded-rules/:id', requirePermission('SETTINGS.EDIT'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('barcode_embedded_rules')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('company_id', req.companyId)
+      .select()
+      .maybeSingle();
+    if (error) return res.status(500).json({ error: error.message });
+    if (!data) return res.status(404).json({ error: 'Rule not found' });
+
+    await auditFromReq(req, 'DELETE', 'barcode_embedded_rule', data.id, { module: 'pos', oldValue: data });
+    res.json({ deleted: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * Hand out `count` unused EAN-13 barcodes from the company's sequence.
+ * Shared by POST /generate (one at a time, from the Products form) and the
+ * product variant matrix generator (one per new variant) so both draw from
+ * the same sequence and the same "not already on a product" check.
+ * @returns {Promise<string[]>}
+ */
+async function generateBarcodes(companyId, count = 1) {
+  // Get or create barcode settings
+  let { data: settings } = await supabase
+    .from('barcode_settings')
+    .select('*')
+    .eq('company_id', companyId)
+    .maybeSingle();
+
+  if (!settings) {
+    const { data: newSettings, error: createError } = await supabase
       .from('barcode_settings')
-      .update({
-        current_sequence: sequence + 1,
-        last_generated: barcode,
-        updated_at: new Date().toISOString()
+      .insert({
+        company_id: companyId,
+        company_prefix: '600',
+        current_sequence: 1000,
+        barcode_type: 'EAN13'
       })
-      .eq('company_id', req.companyId);
+      .select()
+      .single();
 
+    if (createError) throw new Error(createError.message);
+    settings = newSettings;
+  }
+
+  const prefix = settings.company_prefix || '600';
+
+  // Advance the sequence until it lands on a barcode not already assigned
+  // to a product (found live 2026-08-20: the old version trusted
+  // current_sequence blindly and could hand out a barcode a product
+  // already had — e.g. after a manually-typed barcode landed inside the
+  // same numeric range, or the counter was ever reset/restored out of
+  // sync with products). Company-scoped, same as /check/:barcode above.
+  // Capped so a corrupted counter/runaway loop fails loudly instead of
+  // hanging the request.
+  let sequence = settings.current_sequence || 1000;
+  const barcodes = [];
+  const MAX_ATTEMPTS = 1000 + count;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS && barcodes.length < count; attempt++) {
+    const digits12 = (prefix + String(sequence).padStart(12 - prefix.length, '0')).slice(0, 12);
+    const checkDigit = ean13CheckDigit(digits12);
+    const candidate = digits12 + checkDigit;
+
+    const { data: existing, error: checkError } = await supabase
+      .from('products')
+      .select('id')
+      .eq('company_id', companyId)
+      .eq('barcode', candidate)
+      .limit(1);
+
+    if (checkError) throw new Error(checkError.message);
+
+    if (!existing || existing.length === 0) barcodes.push(candidate);
+    sequence++;
+  }
+
+  if (barcodes.length < count) {
+    throw new Error('Could not find an unused barcode — please check barcode_settings for this company.');
+  }
+
+  // Persist the sequence one past the last barcode handed out, so the
+  // next call starts searching from there instead of re-checking the
+  // same already-assigned values every time.
+  await supabase
+    .from('barcode_settings')
+    .update({
+      current_sequence: sequence,
+      last_generated: barcodes[barcodes.length - 1],
+      updated_at: new Date().toISOString()
+    })
+    .eq('company_id', companyId);
+
+  return barcodes;
+}
+
+/**
+ * POST /api/barcode/generate
+ * Generate a new unique barcode for the company
+ */
+// Found live 2026-08-01 (site-wide permission sweep) — mutates the
+// company's shared barcode sequence with no gate at all. Its only caller,
+// generateBarcode() (frontend-pos/index.html), is reached solely from the
+// Products settings form, already management-only since Settings was
+// restricted earlier the same day — so this can't regress any cashier
+// flow. /check/:barcode (above) is left untouched — same caller context,
+// but read-only, no state to protect.
+router.post('/generate', requirePermission('PRODUCTS.CREATE'), async (req, res) => {
+  try {
+    const { type } = req.body;
+    const [barcode] = await generateBarcodes(req.companyId, 1);
     res.json({ barcode, type: type || 'EAN13' });
   } catch (err) {
-    res.status(500).json({ error: 'Server error' });
+    res.status(500).json({ error: err.message || 'Server error' });
   }
 });
 
 module.exports = router;
+module.exports.generateBarcodes = generateBarcodes;
+module.exports.lookupEmbeddedBarcode = lookupEmbeddedBarcode;
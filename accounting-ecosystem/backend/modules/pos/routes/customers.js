@@ -172,12 +172,14 @@ router.put('/:id', requirePermission('CUSTOMERS.EDIT'), async (req, res) => {
  * GET /api/pos/customers/:id/account
  * Get a customer's account balance and transaction history.
  * Used for credit account customers who have an outstanding balance.
+ * credit_hold (set by accounting dunning, migration 148) tells the till up
+ * front that an account tender will be refused — sales.js enforces it.
  */
 router.get('/:id/account', requirePermission('CUSTOMERS.VIEW'), async (req, res) => {
   try {
     const { data: customer, error: custErr } = await supabase
       .from('customers')
-      .select('id, name, current_balance, credit_limit')
+      .select('id, name, current_balance, credit_limit, credit_hold, credit_hold_reason, credit_hold_at')
       .eq('id', req.params.id)
       .eq('company_id', req.companyId)
       .single();
@@ -197,6 +199,7 @@ router.get('/:id/account', requirePermission('CUSTOMERS.VIEW'), async (req, res)
     res.json({
       customer,
       balance:      customer.current_balance || 0,
+      creditHold:   customer.credit_hold === true,
       transactions: transactions || [],
     });
   } catch (err) {
@@ -6,6 +6,13 @@
  *                                 preview with new / update / skip / error counts
  * POST /api/pos/import/execute  — write validated rows, return summary + errors
  *
+ * Variant rows: a row with parent_code (or variant_of) plus size / colour /
+ * style columns is a variant of the product whose product_code is
+ * parent_code — either another row in the same file or an existing product.
+ * Variant rows may leave product_name / product_code blank ("Classic Tee -
+ * M / Black", "TEE01-M-BLACK" are derived) and take the parent's price when
+ * selling_price is blank. The parent becomes a variant parent (migration 078).
+ *
  * Permission gate: PRODUCTS.CREATE  (management roles only)
  * Company isolation: all queries filtered by req.companyId (set by middleware)
  *
@@ -29,6 +36,9 @@ const { supabase }                          = require('../../../config/database'
 const { requirePermission }                 = require('../../../middleware/auth');
 const { posAuditFromReq, POS_EVENTS }       = require('../services/posAuditLogger');
 const { auditFromReq }                      = require('../../../middleware/audit');
+const {
+    variantAttributes, variantKey, variantLabel, variantCode, mergeOptions, optionsFromVariants,
+} = require('../services/productVariants');
 
 const router = express.Router();
 
@@ -97,6 +107,8 @@ function normaliseRow(raw) {
         description:    cleanStr(raw.description),
         active:         parseBoolean(raw.active),
         notes:          cleanStr(raw.notes),
+        parent_code:    cleanStr(raw.parent_code || raw.variant_of),
+        variant_attributes: variantAttributes({ size: raw.size, colour: raw.colour || raw.color, style: raw.style }),
     };
 }
 
@@ -104,7 +116,11 @@ function normaliseRow(raw) {
 
 function validateRow(row) {
     const errors = [];
-    if (!row.product_name)                          errors.push('Missing product name');
+    const isVariant = !!row.parent_code;
+    const hasAttrs  = Object.keys(row.variant_attributes).length > 0;
+    if (isVariant && !hasAttrs)                     errors.push('Variant row needs a size, colour or style');
+    if (!isVariant && hasAttrs)                     errors.push('Size/colour/style given without a parent_code');
+    if (!row.product_name && !isVariant)            errors.push('Missing product name');
     if (row.product_name.length > 255)              errors.push('Product name exceeds 255 characters');
     if (row.selling_price !== null && row.selling_price < 0) errors.push('Selling price cannot be negative');
     if (row.cost_price    !== null && row.cost_price    < 0) errors.push('Cost price cannot be negative');
@@ -118,6 +134,46 @@ function validateRow(row) {
 async function classifyRows(normalisedRows, options, companyId) {
     const mode = options.mode || 'create_only'; // create_only | update_existing | create_and_update
 
+    // ── Variant parents: rows in this file first, then existing products ─────
+    const fileParents = {};
+    normalisedRows.forEach(r => {
+        if (!r.parent_code && r.product_code && !fileParents[r.product_code]) fileParents[r.product_code] = r;
+    });
+    const parentCodes = [...new Set(normalisedRows.map(r => r.parent_code).filter(Boolean))];
+    const dbParents = {};
+    const existingByVariant = {};
+    if (parentCodes.length > 0) {
+        const { data: parents } = await supabase
+            .from('products')
+            .select('id, product_code, product_name, unit_price, cost_price, category, stock_quantity, parent_product_id, is_variant_parent, variant_options')
+            .eq('company_id', companyId)
+            .in('product_code', parentCodes);
+        (parents || []).forEach(p => { dbParents[p.product_code] = p; });
+
+        const parentIds = (parents || []).map(p => p.id);
+        if (parentIds.length > 0) {
+            const { data: variants } = await supabase
+                .from('products')
+                .select('id, product_code, barcode, product_name, unit_price, parent_product_id, variant_attributes')
+                .eq('company_id', companyId)
+                .in('parent_product_id', parentIds);
+            (variants || []).forEach(v => {
+                existingByVariant[`${v.parent_product_id}:${variantKey(v.variant_attributes)}`] = v;
+            });
+        }
+    }
+
+    // Derive blank variant names/codes from the parent before duplicate
+    // detection, so a derived code collides exactly like a typed one would.
+    normalisedRows.forEach(r => {
+        if (!r.parent_code || Object.keys(r.variant_attributes).length === 0) return;
+        const parent = dbParents[r.parent_code] || fileParents[r.parent_code];
+        if (!r.product_code) r.product_code = variantCode(r.parent_code, r.variant_attributes);
+        if (!parent) return;
+        if (!r.product_name) r.product_name = `${parent.product_name} - ${variantLabel(r.variant_attributes)}`;
+        if (!r.category && parent.category) r.category = parent.category;
+    });
+
     // Collect unique lookup keys from the file
     const barcodes = [...new Set(normalisedRows.map(r => r.barcode).filter(Boolean))];
     const codes    = [...new Set(normalisedRows.map(r => r.product_code).filter(Boolean))];
@@ -161,9 +217,38 @@ async function classifyRows(normalisedRows, options, companyId) {
     const categoriesNeeded = new Set();
     const suppliersNeeded  = new Set();
 
+    const fileVariantsAt = {};
+
     const annotated = normalisedRows.map((row, idx) => {
         const errors = validateRow(row);
 
+        if (!row.parent_code && parentCodes.includes(row.product_code) && row.stock_quantity > 0) {
+            errors.push('This product has variant rows — put the stock on the variants, a parent is never sold');
+        }
+
+        let parent = null;
+        if (row.parent_code && Object.keys(row.variant_attributes).length > 0) {
+            const fileParent = fileParents[row.parent_code];
+            const dbParent   = dbParents[row.parent_code];
+            // An existing product wins — it already has an id to hang variants off
+            parent = dbParent || (fileParent
+                ? { in_file: true, product_name: fileParent.product_name, unit_price: fileParent.selling_price, cost_price: fileParent.cost_price, category: fileParent.category }
+                : null);
+            if (!parent) {
+                errors.push(`Parent product "${row.parent_code}" not found in this file or in your products`);
+            } else if (dbParent && dbParent.parent_product_id) {
+                errors.push(`"${row.parent_code}" is itself a variant and cannot be a parent`);
+            } else if (dbParent && !dbParent.is_variant_parent && parseFloat(dbParent.stock_quantity || 0) !== 0) {
+                errors.push(`Parent product "${row.parent_code}" still has ${dbParent.stock_quantity} in stock — adjust it to zero first`);
+            }
+            const fileKey = `${row.parent_code}:${variantKey(row.variant_attributes)}`;
+            if (fileVariantsAt[fileKey] !== undefined) {
+                errors.push(`Duplicate variant ${variantLabel(row.variant_attributes)} of "${row.parent_code}" (already at row ${fileVariantsAt[fileKey] + 2})`);
+            } else {
+                fileVariantsAt[fileKey] = idx;
+            }
+        }
+
         if (row.barcode) {
             if (fileBarcodesAt[row.barcode] !== undefined) {
                 errors.push(`Duplicate barcode in file (already at row ${fileBarcodesAt[row.barcode] + 2})`);
@@ -183,6 +268,7 @@ async function classifyRows(normalisedRows, options, companyId) {
         let existingProduct =
             (row.barcode      && existingByBarcode[row.barcode])  ||
             (row.product_code && existingByCode[row.product_code]) ||
+            (parent && parent.id && existingByVariant[`${parent.id}:${variantKey(row.variant_attributes)}`]) ||
             null;
 
         // Resolve category
@@ -221,6 +307,7 @@ async function classifyRows(normalisedRows, options, companyId) {
             _errors:      errors,
             _matched_id:  existingProduct ? existingProduct.id : null,
             _category_id: category_id,
+            _parent:      parent,
         };
     });
 
@@ -348,27 +435,85 @@ router.post('/execute', requirePermission('PRODUCTS.CREATE'), async (req, res) =
             };
         }
 
-        for (let i = 0; i < toInsert.length; i += BATCH_INSERT_SIZE) {
-            const batch   = toInsert.slice(i, i + BATCH_INSERT_SIZE);
-            const payload = batch.map(buildInsertPayload);
+        async function insertBatches(rowsToInsert, buildPayload) {
+            for (let i = 0; i < rowsToInsert.length; i += BATCH_INSERT_SIZE) {
+                const batch   = rowsToInsert.slice(i, i + BATCH_INSERT_SIZE);
+                const payload = batch.map(buildPayload);
 
-            const { data: inserted, error: insertErr } = await supabase
-                .from('products')
-                .insert(payload)
-                .select('id');
-
-            if (insertErr) {
-                batch.forEach(r => errors.push({
-                    row:          r._row_index + 2,
-                    product_name: r.product_name,
-                    product_code: r.product_code || '',
-                    reason:       insertErr.message,
-                }));
-            } else {
-                created += (inserted || []).length;
+                const { data: inserted, error: insertErr } = await supabase
+                    .from('products')
+                    .insert(payload)
+                    .select('id');
+
+                if (insertErr) {
+                    batch.forEach(r => errors.push({
+                        row:          r._row_index + 2,
+                        product_name: r.product_name,
+                        product_code: r.product_code || '',
+                        reason:       insertErr.message,
+                    }));
+                } else {
+                    created += (inserted || []).length;
+                }
             }
         }
 
+        // Plain products first — a variant row may point at a parent created
+        // earlier in this same file.
+        await insertBatches(toInsert.filter(r => !r._parent), buildInsertPayload);
+
+        // ── Variant parents ───────────────────────────────────────────────────
+        const variantRows = classified.rows.filter(r => r._parent && (r._status === 'new' || r._status === 'update'));
+        const parentIdByCode = {};
+        const fileParentCodes = [...new Set(variantRows.filter(r => r._parent.in_file).map(r => r.parent_code))];
+        if (fileParentCodes.length > 0) {
+            const { data: createdParents } = await supabase
+                .from('products')
+                .select('id, product_code')
+                .eq('company_id', req.companyId)
+                .in('product_code', fileParentCodes);
+            (createdParents || []).forEach(p => { parentIdByCode[p.product_code] = p.id; });
+        }
+        variantRows.filter(r => r._parent.id).forEach(r => { parentIdByCode[r.parent_code] = r._parent.id; });
+
+        const variantsByParent = {};
+        variantRows.forEach(r => {
+            if (!variantsByParent[r.parent_code]) variantsByParent[r.parent_code] = [];
+            variantsByParent[r.parent_code].push(r);
+        });
+        for (const [parentCode, rowsForParent] of Object.entries(variantsByParent)) {
+            const parentId = parentIdByCode[parentCode];
+            if (!parentId) continue;
+            const { error: parentErr } = await supabase
+                .from('products')
+                .update({
+                    is_variant_parent: true,
+                    variant_options:   mergeOptions(rowsForParent[0]._parent.variant_options, optionsFromVariants(rowsForParent)),
+                    updated_at:        new Date().toISOString(),
+                })
+                .eq('id', parentId)
+                .eq('company_id', req.companyId);
+            if (parentErr) delete parentIdByCode[parentCode];
+        }
+
+        // ── Variant inserts ───────────────────────────────────────────────────
+        const variantInserts = toInsert.filter(r => r._parent);
+        variantInserts
+            .filter(r => !parentIdByCode[r.parent_code])
+            .forEach(r => errors.push({
+                row:          r._row_index + 2,
+                product_name: r.product_name || '(unnamed)',
+                product_code: r.product_code || '',
+                reason:       `Parent product "${r.parent_code}" could not be created or updated`,
+            }));
+        await insertBatches(variantInserts.filter(r => parentIdByCode[r.parent_code]), r => ({
+            ...buildInsertPayload(r),
+            unit_price:         r.selling_price !== null ? r.selling_price : (parseFloat(r._parent.unit_price) || 0),
+            cost_price:         r.cost_price    !== null ? r.cost_price    : (parseFloat(r._parent.cost_price) || 0),
+            parent_product_id:  parentIdByCode[r.parent_code],
+            variant_attributes: r.variant_attributes,
+        }));
+
         // ── Parallel updates ──────────────────────────────────────────────────
         for (let i = 0; i < toUpdate.length; i += BATCH_UPDATE_PAR) {
             const wave = toUpdate.slice(i, i + BATCH_UPDATE_PAR);
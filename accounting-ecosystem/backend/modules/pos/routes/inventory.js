@@ -19,6 +19,7 @@ const { auditFromReq } = require('../../../middleware/audit');
 const { posAuditFromReq, POS_EVENTS } = require('../services/posAuditLogger');
 const { getStockPolicy } = require('../services/stockPolicyCache');
 const { adjustStockCAS } = require('../services/stockCAS');
+const { quantityProblem } = require('../services/embeddedBarcode');
 
 const RETURN_REASONS = new Set(['damaged', 'expired', 'wrong_item', 'over_supplied', 'credit_requested', 'supplier_collection', 'other']);
 
@@ -96,13 +97,17 @@ router.post('/adjust', requirePermission('INVENTORY.ADJUST'), async (req, res) =
     // company-transfers.js/purchase-orders.js for this exact reason.
     const { data: product } = await supabase
       .from('products')
-      .select('stock_quantity, product_name, track_serial')
+      .select('stock_quantity, product_name, track_serial, sold_by_weight')
       .eq('id', product_id)
       .eq('company_id', req.companyId)
       .single();
 
     if (!product) return res.status(404).json({ error: 'Product not found' });
 
+    // Whole units only, except products sold by weight (kg, migration 082).
+    const changeProblem = Number(quantity_change) !== 0 && quantityProblem(product, Math.abs(Number(quantity_change)));
+    if (changeProblem) return res.status(400).json({ error: changeProblem });
+
     // This route's contract is "clamp to zero, never reject" — compute the
     // clamped delta up front so adjustStockCAS is asked to make exactly the
     // change this route has always promised, not a raw negative overshoot.
@@ -562,17 +567,26 @@ router.post('/receive', requirePermission('INVENTORY.ADJUST'), async (req, res)
     // unaffected (serial_numbers is simply ignored if sent for them).
     const itemProductIds = [...new Set(items.map(i => parseInt(i.product_id)).filter(Boolean))];
     let trackSerialMap = {};
+    let byWeightMap = {};
     if (itemProductIds.length > 0) {
       const { data: serialProducts } = await supabase
         .from('products')
-        .select('id, track_serial')
+        .select('id, track_serial, sold_by_weight')
         .eq('company_id', req.companyId)
         .in('id', itemProductIds);
-      for (const p of (serialProducts || [])) trackSerialMap[p.id] = p.track_serial === true;
+      for (const p of (serialProducts || [])) {
+        trackSerialMap[p.id] = p.track_serial === true;
+        byWeightMap[p.id] = p.sold_by_weight === true;
+      }
     }
+    // Sold-by-weight products (migration 082) are received in kg to the
+    // gram; everything else stays whole units as before.
+    const receivedQty = item => (byWeightMap[parseInt(item.product_id)]
+      ? Math.round((parseFloat(item.quantity) || 0) * 1000) / 1000
+      : parseInt(item.quantity));
     for (const item of items) {
       const pid = parseInt(item.product_id);
-      const qty = parseInt(item.quantity);
+      const qty = receivedQty(item);
       if (!pid || !qty || qty <= 0) continue;
       if (trackSerialMap[pid]) {
         const serials = Array.isArray(item.serial_numbers) ? item.serial_numbers.filter(s => s && String(s).trim()) : [];
@@ -584,7 +598,7 @@ router.post('/receive', requirePermission('INVENTORY.ADJUST'), async (req, res)
       }
     }
 
-    const totalQty = items.reduce((sum, i) => sum + (parseInt(i.quantity) || 0), 0);
+    const totalQty = items.reduce((sum, i) => sum + (receivedQty(i) || 0), 0);
     const { data: receive, error: recErr } = await supabase
       .from('pos_supplier_receives')
       .insert({
@@ -604,7 +618,7 @@ router.post('/receive', requirePermission('INVENTORY.ADJUST'), async (req, res)
 
     for (const item of items) {
       const pid = parseInt(item.product_id);
-      const qty = parseInt(item.quantity);
+      const qty = receivedQty(item);
       if (!pid || !qty || qty <= 0) continue;
 
       const costPrice = item.cost_price ? parseFloat(item.cost_price) : null;
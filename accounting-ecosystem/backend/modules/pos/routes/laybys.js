@@ -0,0 +1,751 @@
+/**
+ * ============================================================================
+ * POS Lay-by Routes - Checkout Charlie Module
+ * ============================================================================
+ * Lay-by agreements (migration 081): the customer pays a deposit, the goods
+ * are put aside, and the rest is paid off in instalments at any till. No
+ * sale exists until the agreement completes — see the migration for the
+ * full lifecycle.
+ *
+ *   - Stock is reserved by taking it off products.stock_quantity when the
+ *     agreement is opened (decrement_stock_v2, the same primitive a sale
+ *     uses), so every existing stock check treats it as unavailable without
+ *     knowing lay-bys exist. Cancelling puts it back; completing rings up a
+ *     normal sale and puts the reservation back in the same transaction
+ *     (complete_layby_atomic), so the stock is only ever deducted once.
+ *   - Payments are pos_layby_payments rows with the till_session_id that
+ *     took them — that's what puts them in the session's cash-up
+ *     (posReconService.js). pos_laybys.amount_paid is moved by a
+ *     compare-and-swap, like a customer account balance, so two tills
+ *     taking the last instalment at once can't overpay it.
+ *   - Terms (minimum deposit, cancellation fee, longest term) come from
+ *     company_settings — PUT /api/pos/settings/layby-terms.
+ *
+ * Endpoints:
+ *   GET  /api/pos/laybys              — list (status, customer_id, overdue=true)
+ *   GET  /api/pos/laybys/:id          — one agreement: items, schedule progress, payments
+ *   POST /api/pos/laybys              — open an agreement and take the deposit
+ *   POST /api/pos/laybys/:id/payments — take an instalment
+ *   POST /api/pos/laybys/:id/complete — paid in full: hand over the goods as a sale
+ *   POST /api/pos/laybys/:id/cancel   — release the stock, refund less the fee
+ *   POST /api/pos/laybys/reminders    — remind customers of overdue instalments
+ *
+ * The register report is GET /api/pos/reports/layby-register.
+ * ============================================================================
+ */
+
+const express = require('express');
+const { randomUUID } = require('crypto');
+const { supabase } = require('../../../config/database');
+const { authenticateToken, requireCompany, requirePermission } = require('../../../middleware/auth');
+const { hasPermission } = require('../../../config/permissions');
+const { auditFromReq } = require('../../../middleware/audit');
+const { posAuditFromReq, POS_EVENTS } = require('../services/posAuditLogger');
+const { getStockPolicy } = require('../services/stockPolicyCache');
+const { getBusinessDayBounds } = require('../services/discountWindow');
+const { laybyTerms, planLayby, instalmentProgress, cancellationSettlement } = require('../services/laybyPlan');
+const { quantityProblem } = require('../services/embeddedBarcode');
+const { generateSaleNumber, resolveEffectivePrices, resolvePromotions } = require('./sales');
+const { isEmailConfigured, sendLaybyReminderEmail } = require('../../../shared/services/email');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.use(requireCompany);
+
+// How a lay-by is paid. 'account' is absent — putting goods aside against a
+// debt is just an account sale; 'voucher' is absent because voucher tender
+// only exists inside a sale's payments split (sales.js).
+const LAYBY_PAYMENT_METHODS = ['cash', 'card', 'eft'];
+
+const round2 = v => Math.round((parseFloat(v) || 0) * 100) / 100;
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function generateLaybyNumber() {
+  return generateSaleNumber().replace('SAL-', 'LAY-');
+}
+
+async function loadTerms(companyId) {
+  const { data } = await supabase
+    .from('company_settings')
+    .select('layby_min_deposit_percent, layby_cancellation_fee_percent, layby_max_term_days')
+    .eq('company_id', companyId)
+    .maybeSingle();
+  return laybyTerms(data);
+}
+
+/** The till taking (or paying out) money must have an open session. */
+async function requireOpenSession(req, res, tillSessionId) {
+  if (!tillSessionId) {
+    res.status(400).json({ error: 'till_session_id is required — lay-by money is always taken at a till' });
+    return false;
+  }
+  const { data: session } = await supabase
+    .from('till_sessions').select('id, status')
+    .eq('id', tillSessionId).eq('company_id', req.companyId).maybeSingle();
+  if (!session) {
+    res.status(404).json({ error: 'Session not found' });
+    return false;
+  }
+  if (session.status !== 'open') {
+    res.status(409).json({ error: `Session must be open (current status: ${session.status})` });
+    return false;
+  }
+  return true;
+}
+
+/** Agreement + schedule progress, as returned by the list and detail routes. */
+function withProgress(layby, instalments, day) {
+  const paidAfterDeposit = round2(layby.amount_paid) - round2(layby.deposit_amount);
+  const progress = instalmentProgress(instalments || [], paidAfterDeposit, day);
+  return {
+    ...layby,
+    balance: round2(round2(layby.total_amount) - round2(layby.amount_paid)),
+    overdue_amount: layby.status === 'open' ? progress.overdueAmount : 0,
+    overdue_since:  layby.status === 'open' ? progress.overdueSince : null,
+    days_overdue:   layby.status === 'open' ? progress.daysOverdue : 0,
+    next_due:       layby.status === 'open' ? progress.nextDue : null,
+    schedule:       progress.instalments,
+    _firstOverdueSeq: progress.firstOverdueSeq,
+  };
+}
+
+const publicLayby = ({ _firstOverdueSeq, ...rest }) => rest;
+
+/**
+ * Move pos_laybys.amount_paid by `delta` — compare-and-swap on the value
+ * read, retried on a lost race, same rule as adjustCustomerAccountLedger in
+ * sales.js. A payment can never take amount_paid past the total.
+ */
+async function adjustAmountPaid(companyId, laybyId, delta) {
+  const MAX_ATTEMPTS = 5;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const { data: layby } = await supabase
+      .from('pos_laybys').select('id, status, amount_paid, total_amount')
+      .eq('id', laybyId).eq('company_id', companyId).maybeSingle();
+    if (!layby) return { ok: false, status: 404, error: 'Lay-by not found' };
+    if (layby.status !== 'open') return { ok: false, status: 409, error: `This lay-by is ${layby.status}` };
+
+    const oldPaid = round2(layby.amount_paid);
+    const newPaid = round2(oldPaid + delta);
+    if (newPaid > round2(layby.total_amount) + 0.005) {
+      return { ok: false, status: 409, error: `Only R ${(round2(layby.total_amount) - oldPaid).toFixed(2)} is still owing on this lay-by` };
+    }
+
+    const { data: updated, error } = await supabase
+      .from('pos_laybys')
+      .update({ amount_paid: newPaid, updated_at: new Date().toISOString() })
+      .eq('id', laybyId).eq('company_id', companyId).eq('status', 'open').eq('amount_paid', oldPaid)
+      .select().maybeSingle();
+    if (error) return { ok: false, status: 500, error: error.message };
+    if (updated) return { ok: true, layby: updated };
+  }
+  return { ok: false, status: 409, error: 'The lay-by balance changed while this payment was being taken — please retry' };
+}
+
+/** Put reserved stock back. Never throws — a failure is logged loudly. */
+async function releaseStock(req, layby, items, stage) {
+  for (const item of items || []) {
+    const { error } = await supabase.rpc('restore_stock_for_return', {
+      p_product_id: item.product_id,
+      p_quantity:   item.quantity,
+      p_company_id: req.companyId,
+    });
+    if (error) {
+      console.error(`[Laybys] CRITICAL: reserved stock not released (${stage}):`, layby.id, item.product_id, error.message);
+      posAuditFromReq(req, POS_EVENTS.LAYBY_STOCK_FAILED, {
+        entityType: 'pos_layby', entityId: layby.id,
+        metadata: { layby_number: layby.layby_number, product_id: item.product_id, quantity: item.quantity, stage, error: error.message },
+      });
+    }
+  }
+}
+
+// ── Routes ───────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/pos/laybys
+ * Query: status, customer_id, overdue ('true' — open agreements with an
+ * instalment past due only).
+ */
+router.get('/', requirePermission('SALES.VIEW'), async (req, res) => {
+  try {
+    const { status, customer_id, overdue } = req.query;
+    let query = supabase
+      .from('pos_laybys')
+      .select('*, customers(name, phone, email), pos_layby_instalments(seq, due_date, amount)')
+      .eq('company_id', req.companyId)
+      .order('created_at', { ascending: false })
+      .limit(500);
+    if (status) query = query.eq('status', status);
+    if (customer_id) query = query.eq('customer_id', customer_id);
+    if (overdue === 'true') query = query.eq('status', 'open');
+
+    const { data, error } = await query;
+    if (error) return res.status(500).json({ error: error.message });
+
+    const day = getBusinessDayBounds().day;
+    let laybys = (data || []).map(({ pos_layby_instalments: instalments, ...l }) => publicLayby(withProgress(l, instalments, day)));
+    if (overdue === 'true') laybys = laybys.filter(l => l.overdue_amount > 0);
+    res.json({ laybys });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/pos/laybys/:id
+ */
+router.get('/:id', requirePermission('SALES.VIEW'), async (req, res) => {
+  try {
+    const { data: layby } = await supabase
+      .from('pos_laybys')
+      .select('*, customers(name, phone, email), pos_layby_items(*), pos_layby_instalments(seq, due_date, amount)')
+      .eq('id', req.params.id)
+      .eq('company_id', req.companyId)
+      .maybeSingle();
+    if (!layby) return res.status(404).json({ error: 'Lay-by not found' });
+
+    const { data: payments } = await supabase
+      .from('pos_layby_payments')
+      .select('*')
+      .eq('layby_id', layby.id)
+      .eq('company_id', req.companyId)
+      .order('created_at');
+    const { data: reminders } = await supabase
+      .from('pos_layby_reminders')
+      .select('instalment_seq, channel, sent_to, amount_overdue, created_at')
+      .eq('layby_id', layby.id)
+      .order('created_at');
+
+    const { pos_layby_instalments: instalments, pos_layby_items: items, ...rest } = layby;
+    res.json({
+      layby: publicLayby(withProgress(rest, instalments, getBusinessDayBounds().day)),
+      items: items || [],
+      payments: payments || [],
+      reminders: reminders || [],
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/pos/laybys
+ * Open a lay-by. Priced exactly like a sale rung up now (customer pricing,
+ * daily discounts, promotions); the deposit must meet the company's
+ * minimum and the last instalment must fall inside its maximum term.
+ *
+ * Body: { customer_id, items: [{ product_id, quantity }], deposit_amount,
+ *         payment_method ('cash'|'card'|'eft'), till_session_id,
+ *         instalment_count, frequency ('weekly'|'fortnightly'|'monthly'),
+ *         notes, idempotency_key }
+ */
+router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
+  try {
+    const { customer_id, items, till_session_id, notes } = req.body;
+    const paymentMethod = String(req.body.payment_method || 'cash').toLowerCase();
+    const frequency = req.body.frequency || 'monthly';
+    const idempotencyKey = req.body.idempotency_key || null;
+    const deposit = round2(req.body.deposit_amount);
+
+    if (!customer_id) return res.status(400).json({ error: 'customer_id is required — a lay-by is always in a customer\'s name' });
+    if (!Array.isArray(items) || items.length === 0) return res.status(400).json({ error: 'At least one item is required' });
+    if (!LAYBY_PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({ error: `payment_method must be one of ${LAYBY_PAYMENT_METHODS.join(', ')}` });
+    }
+
+    if (idempotencyKey) {
+      const { data: existing } = await supabase
+        .from('pos_laybys').select('*')
+        .eq('company_id', req.companyId).eq('idempotency_key', idempotencyKey).maybeSingle();
+      if (existing) return res.status(200).json({ layby: existing, wasDuplicate: true });
+    }
+
+    if (!(await requireOpenSession(req, res, till_session_id))) return;
+
+    const { data: customer } = await supabase
+      .from('customers').select('id, name, discount_percentage')
+      .eq('id', customer_id).eq('company_id', req.companyId).maybeSingle();
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    const normItems = items.map(item => ({
+      product_id: item.product_id ?? item.productId,
+      quantity:   parseFloat(item.quantity),
+    }));
+    if (normItems.some(i => !i.product_id || !(i.quantity > 0))) {
+      return res.status(400).json({ error: 'Every item needs a product_id and a quantity greater than 0' });
+    }
+    const productIds = [...new Set(normItems.map(i => i.product_id))];
+
+    const { data: productRows, error: prodErr } = await supabase
+      .from('products')
+      .select('id, product_name, unit_price, vat_rate, requires_vat, stock_quantity, is_active, is_variant_parent, track_serial, category_id, sold_by_weight')
+      .in('id', productIds)
+      .eq('company_id', req.companyId);
+    if (prodErr) return res.status(500).json({ error: prodErr.message });
+    const productMap = {};
+    for (const p of (productRows || [])) productMap[p.id] = p;
+
+    const allowNegativeStock = await getStockPolicy(req.companyId, supabase);
+    const stockErrors = [];
+    for (const item of normItems) {
+      const prod = productMap[item.product_id];
+      if (!prod) stockErrors.push(`Product ${item.product_id} not found`);
+      else if (!prod.is_active) stockErrors.push(`"${prod.product_name}" is inactive and cannot be sold`);
+      else if (prod.is_variant_parent) stockErrors.push(`"${prod.product_name}" has variants — choose the size/colour being put aside`);
+      // The serial is only picked when the unit is handed over, which the
+      // completion sale has no way to ask for — sell these outright instead.
+      else if (prod.track_serial) stockErrors.push(`"${prod.product_name}" is serial-tracked and cannot go on lay-by`);
+      else if (quantityProblem(prod, item.quantity)) stockErrors.push(quantityProblem(prod, item.quantity));
+      else if (prod.stock_quantity < item.quantity && !allowNegativeStock) {
+        stockErrors.push(`Insufficient stock for "${prod.product_name}": have ${prod.stock_quantity}, need ${item.quantity}`);
+      }
+    }
+    if (stockErrors.length > 0) return res.status(422).json({ error: 'Stock check failed', details: stockErrors });
+
+    // Same price resolution as sales.js POST /orders.
+    const effectivePriceByProduct = await resolveEffectivePrices({
+      companyId: req.companyId, productIds, productMap,
+      customerId: customer_id, customerDiscountPercent: parseFloat(customer.discount_percentage) || 0,
+    });
+    const promotions = await resolvePromotions({ companyId: req.companyId, normItems, productMap, effectivePriceByProduct });
+
+    let grossSubtotal = 0;
+    let vatTotal = 0;
+    const lines = normItems.map((item, index) => {
+      const prod = productMap[item.product_id];
+      const originalPrice = parseFloat(prod.unit_price) || 0;
+      const effectivePrice = effectivePriceByProduct.get(item.product_id) ?? originalPrice;
+      const lineOriginal = originalPrice * item.quantity;
+      const lineEffective = Math.max(0, effectivePrice * item.quantity - (promotions.lineDiscounts[index] || 0));
+      grossSubtotal += lineOriginal;
+      if (prod.requires_vat && prod.vat_rate) vatTotal += lineEffective * (prod.vat_rate / (100 + prod.vat_rate));
+      return {
+        product_id:      item.product_id,
+        product_name:    prod.product_name,
+        quantity:        item.quantity,
+        unit_price:      originalPrice,
+        vat_rate:        prod.vat_rate || 15,
+        line_total:      round2(lineEffective),
+        discount_amount: Math.max(0, round2(lineOriginal - lineEffective)),
+      };
+    });
+    const total = round2(lines.reduce((s, l) => s + l.line_total, 0));
+
+    const terms = await loadTerms(req.companyId);
+    const startDay = getBusinessDayBounds().day;
+    let plan;
+    try {
+      plan = planLayby({ total, deposit, instalmentCount: req.body.instalment_count, frequency, startDay, terms });
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    // Reserve the stock — rolled back line by line if any line can't be.
+    const reserved = [];
+    for (const line of lines) {
+      const { error: stockErr } = await supabase.rpc('decrement_stock_v2', {
+        p_product_id: line.product_id, p_quantity: line.quantity, p_allow_negative: allowNegativeStock,
+      });
+      if (stockErr) {
+        await releaseStock(req, { id: null, layby_number: null }, reserved, 'reserve_rollback');
+        const insufficient = (stockErr.message || '').toLowerCase().includes('insufficient');
+        return res.status(insufficient ? 422 : 500).json({ error: insufficient ? 'Stock check failed' : 'Could not reserve stock', details: [stockErr.message] });
+      }
+      reserved.push(line);
+    }
+
+    const { data: layby, error: laybyErr } = await supabase
+      .from('pos_laybys')
+      .insert({
+        company_id:       req.companyId,
+        layby_number:     generateLaybyNumber(),
+        customer_id,
+        status:           'open',
+        subtotal:         round2(grossSubtotal),
+        discount_amount:  Math.max(0, round2(grossSubtotal - total)),
+        vat_amount:       round2(vatTotal),
+        total_amount:     total,
+        deposit_amount:   deposit,
+        amount_paid:      deposit,
+        frequency,
+        instalment_count: plan.schedule.length,
+        final_due_date:   plan.finalDueDate,
+        till_session_id,
+        idempotency_key:  idempotencyKey,
+        notes:            notes || null,
+        created_by:       req.user.userId,
+      })
+      .select()
+      .single();
+
+    if (laybyErr) {
+      await releaseStock(req, { id: null, layby_number: null }, reserved, 'reserve_rollback');
+      if (idempotencyKey && laybyErr.code === '23505') {
+        const { data: winner } = await supabase.from('pos_laybys').select('*').eq('company_id', req.companyId).eq('idempotency_key', idempotencyKey).maybeSingle();
+        if (winner) return res.status(200).json({ layby: winner, wasDuplicate: true });
+      }
+      return res.status(500).json({ error: laybyErr.message });
+    }
+
+    const [itemsRes, scheduleRes, depositRes] = await Promise.all([
+      supabase.from('pos_layby_items').insert(lines.map(l => ({ ...l, layby_id: layby.id }))),
+      supabase.from('pos_layby_instalments').insert(plan.schedule.map(s => ({ ...s, layby_id: layby.id }))),
+      supabase.from('pos_layby_payments').insert({
+        company_id: req.companyId, layby_id: layby.id, kind: 'deposit', payment_method: paymentMethod,
+        amount: deposit, till_session_id, reference: layby.layby_number, created_by: req.user.userId,
+      }),
+    ]);
+    const writeErr = itemsRes.error || scheduleRes.error || depositRes.error;
+    if (writeErr) {
+      // Undo the whole agreement rather than leave one without its items,
+      // schedule or deposit — the cascade removes whatever did get written.
+      await supabase.from('pos_laybys').delete().eq('id', layby.id).eq('company_id', req.companyId);
+      await releaseStock(req, layby, reserved, 'reserve_rollback');
+      return res.status(500).json({ error: writeErr.message });
+    }
+
+    await auditFromReq(req, 'CREATE', 'pos_layby', layby.id, {
+      module:   'pos',
+      newValue: { layby_number: layby.layby_number, customer_id, total_amount: total, deposit_amount: deposit, frequency, instalments: plan.schedule.length },
+    });
+    posAuditFromReq(req, POS_EVENTS.LAYBY_CREATED, {
+      entityType: 'pos_layby', entityId: layby.id, tillSessionId: till_session_id,
+      afterSnapshot: { layby_number: layby.layby_number, customer_id, total_amount: total, deposit_amount: deposit, final_due_date: plan.finalDueDate },
+      metadata: { payment_method: paymentMethod, items: lines.length, promotions: promotions.applied.map(a => a.name) },
+    });
+
+    res.status(201).json({
+      layby: publicLayby(withProgress(layby, plan.schedule, startDay)),
+      items: lines,
+      min_deposit: plan.minDeposit,
+      promotions: promotions.applied,
+      promotion_savings: promotions.total,
+      wasDuplicate: false,
+    });
+  } catch (err) {
+    console.error('[Laybys] create error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/pos/laybys/:id/payments
+ * Take an instalment at any till. Overpaying is refused — the most that can
+ * be taken is what is still owing.
+ *
+ * Body: { amount, payment_method, till_session_id, idempotency_key }
+ */
+router.post('/:id/payments', requirePermission('SALES.CREATE'), async (req, res) => {
+  try {
+    const { till_session_id } = req.body;
+    const amount = round2(req.body.amount);
+    const paymentMethod = String(req.body.payment_method || 'cash').toLowerCase();
+    const idempotencyKey = req.body.idempotency_key || randomUUID();
+
+    if (!(amount > 0)) return res.status(400).json({ error: 'amount must be greater than 0' });
+    if (!LAYBY_PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({ error: `payment_method must be one of ${LAYBY_PAYMENT_METHODS.join(', ')}` });
+    }
+
+    const { data: existing } = await supabase
+      .from('pos_layby_payments').select('*')
+      .eq('company_id', req.companyId).eq('idempotency_key', idempotencyKey).maybeSingle();
+    if (existing) {
+      posAuditFromReq(req, POS_EVENTS.LAYBY_PAYMENT_REPLAYED, {
+        entityType: 'pos_layby', entityId: existing.layby_id, metadata: { payment_id: existing.id, idempotency_key: idempotencyKey },
+      });
+      return res.status(200).json({ payment: existing, wasDuplicate: true });
+    }
+
+    if (!(await requireOpenSession(req, res, till_session_id))) return;
+
+    const moved = await adjustAmountPaid(req.companyId, req.params.id, amount);
+    if (!moved.ok) return res.status(moved.status).json({ error: moved.error });
+
+    const { data: payment, error: payErr } = await supabase
+      .from('pos_layby_payments')
+      .insert({
+        company_id: req.companyId, layby_id: moved.layby.id, kind: 'instalment', payment_method: paymentMethod,
+        amount, till_session_id, reference: moved.layby.layby_number, idempotency_key: idempotencyKey,
+        created_by: req.user.userId,
+      })
+      .select()
+      .single();
+
+    if (payErr) {
+      // Take the amount back off — a payment with no row would never reach
+      // the cash-up. A duplicate key means a retry of this same payment won.
+      await adjustAmountPaid(req.companyId, moved.layby.id, -amount);
+      if (payErr.code === '23505') {
+        const { data: winner } = await supabase.from('pos_layby_payments').select('*').eq('company_id', req.companyId).eq('idempotency_key', idempotencyKey).maybeSingle();
+        if (winner) return res.status(200).json({ payment: winner, wasDuplicate: true });
+      }
+      return res.status(500).json({ error: payErr.message });
+    }
+
+    const { data: instalments } = await supabase
+      .from('pos_layby_instalments').select('seq, due_date, amount').eq('layby_id', moved.layby.id);
+    const layby = publicLayby(withProgress(moved.layby, instalments, getBusinessDayBounds().day));
+
+    await auditFromReq(req, 'UPDATE', 'pos_layby', moved.layby.id, {
+      module:   'pos',
+      newValue: { amount_paid: moved.layby.amount_paid },
+      metadata: { payment_id: payment.id, amount, payment_method: paymentMethod },
+    });
+    posAuditFromReq(req, POS_EVENTS.LAYBY_PAYMENT_RECEIVED, {
+      entityType: 'pos_layby', entityId: moved.layby.id, tillSessionId: till_session_id,
+      afterSnapshot: { amount_paid: moved.layby.amount_paid, balance: layby.balance },
+      metadata: { layby_number: moved.layby.layby_number, payment_id: payment.id, amount, payment_method: paymentMethod },
+    });
+
+    res.status(201).json({ payment, layby, wasDuplicate: false });
+  } catch (err) {
+    console.error('[Laybys] payment error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/pos/laybys/:id/complete
+ * The customer has paid in full and collects the goods: the agreement is
+ * rung up as a normal sale (receipt, revenue, VAT and stock movement all
+ * happen here, at handover), tendered as 'layby' — the money itself was
+ * already counted in the cash-ups of the sessions that took it, so it must
+ * not count as cash again. The sale deducts the stock, and the reservation
+ * taken when the agreement opened is put back in the same transaction,
+ * leaving one deduction.
+ *
+ * Body: { till_session_id } — the till handing the goods over (optional).
+ */
+router.post('/:id/complete', requirePermission('SALES.CREATE'), async (req, res) => {
+  try {
+    const { till_session_id } = req.body;
+
+    const { data: layby } = await supabase
+      .from('pos_laybys')
+      .select('*, pos_layby_items(*)')
+      .eq('id', req.params.id)
+      .eq('company_id', req.companyId)
+      .maybeSingle();
+    if (!layby) return res.status(404).json({ error: 'Lay-by not found' });
+    if (layby.status !== 'open') return res.status(400).json({ error: `This lay-by is already ${layby.status}` });
+    const balance = round2(round2(layby.total_amount) - round2(layby.amount_paid));
+    if (balance > 0.005) {
+      return res.status(409).json({ error: `R ${balance.toFixed(2)} is still owing — take the final payment first`, balance });
+    }
+
+    // The sale, releasing the reservation and closing the agreement are one
+    // transaction (migration 081) — a failure leaves the agreement open with
+    // its stock still reserved, and a double-tapped completion waits on the
+    // row lock and then finds the agreement no longer open.
+    const saleNumber = generateSaleNumber();
+    const { data: rpcResult, error: rpcError } = await supabase.rpc('complete_layby_atomic', {
+      p_company_id:      req.companyId,
+      p_layby_id:        layby.id,
+      p_user_id:         req.user.userId,
+      p_sale_number:     saleNumber,
+      p_till_session_id: till_session_id || null,
+    });
+
+    if (rpcError) {
+      const msg = rpcError.message || '';
+      if (/already (completed|cancelled)/.test(msg)) return res.status(400).json({ error: msg });
+      if (/still owing/.test(msg)) return res.status(409).json({ error: msg });
+      console.error('[Laybys] complete_layby_atomic failed:', rpcError);
+      return res.status(500).json({ error: 'Could not create the sale for this lay-by', details: msg });
+    }
+
+    const { data: sale } = await supabase
+      .from('sales').select('*, sale_items(*), sale_payments(*)').eq('id', rpcResult.sale_id).maybeSingle();
+
+    await auditFromReq(req, 'UPDATE', 'pos_layby', layby.id, {
+      module:   'pos',
+      oldValue: { status: 'open' },
+      newValue: { status: 'completed', sale_id: rpcResult.sale_id },
+    });
+    posAuditFromReq(req, POS_EVENTS.LAYBY_COMPLETED, {
+      entityType: 'pos_layby', entityId: layby.id, saleId: rpcResult.sale_id, tillSessionId: till_session_id || null,
+      beforeSnapshot: { status: 'open', amount_paid: layby.amount_paid },
+      afterSnapshot:  { status: 'completed', sale_id: rpcResult.sale_id, sale_number: sale?.sale_number || saleNumber },
+      metadata:       { layby_number: layby.layby_number },
+    });
+
+    res.json({ layby: rpcResult.layby, sale });
+  } catch (err) {
+    console.error('[Laybys] complete error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/pos/laybys/:id/cancel
+ * Cancel an open lay-by: the stock goes back on the shelf and the customer
+ * gets back what they paid less the cancellation fee (company_settings
+ * layby_cancellation_fee_percent of the total, never more than was paid).
+ * A manager (SALES.REFUND) may set a different fee_amount, e.g. waive it.
+ *
+ * Body: { reason, refund_method ('cash'|'card'|'eft'), till_session_id
+ *         (required when anything is refunded), fee_amount }
+ */
+router.post('/:id/cancel', requirePermission('SALES.VOID'), async (req, res) => {
+  try {
+    const { reason, till_session_id, fee_amount } = req.body;
+    const refundMethod = String(req.body.refund_method || 'cash').toLowerCase();
+    if (!reason) return res.status(400).json({ error: 'Cancellation reason is required' });
+    if (!LAYBY_PAYMENT_METHODS.includes(refundMethod)) {
+      return res.status(400).json({ error: `refund_method must be one of ${LAYBY_PAYMENT_METHODS.join(', ')}` });
+    }
+    const feeOverride = fee_amount !== undefined && fee_amount !== null && fee_amount !== '';
+    if (feeOverride && !hasPermission(req.user.role, 'SALES', 'REFUND')) {
+      return res.status(403).json({ error: 'Changing the cancellation fee requires management approval (SALES.REFUND)' });
+    }
+    if (feeOverride && !(parseFloat(fee_amount) >= 0)) return res.status(400).json({ error: 'fee_amount cannot be negative' });
+
+    const { data: layby } = await supabase
+      .from('pos_laybys')
+      .select('*, pos_layby_items(*)')
+      .eq('id', req.params.id)
+      .eq('company_id', req.companyId)
+      .maybeSingle();
+    if (!layby) return res.status(404).json({ error: 'Lay-by not found' });
+    if (layby.status !== 'open') return res.status(400).json({ error: `This lay-by is already ${layby.status}` });
+
+    const terms = await loadTerms(req.companyId);
+    const settlement = cancellationSettlement({
+      total: layby.total_amount, amountPaid: layby.amount_paid,
+      feePercent: terms.cancellationFeePercent, feeAmount: feeOverride ? fee_amount : null,
+    });
+    if (settlement.refund > 0 && !(await requireOpenSession(req, res, till_session_id))) return;
+
+    // CAS on both status and amount_paid — a payment landing between the
+    // read above and this write would change what is owed back.
+    const { data: cancelled, error: cancelErr } = await supabase
+      .from('pos_laybys')
+      .update({
+        status: 'cancelled', cancel_reason: reason, cancellation_fee: settlement.fee, refund_amount: settlement.refund,
+        cancelled_by: req.user.userId, cancelled_at: new Date().toISOString(), updated_at: new Date().toISOString(),
+      })
+      .eq('id', layby.id).eq('company_id', req.companyId).eq('status', 'open').eq('amount_paid', layby.amount_paid)
+      .select().maybeSingle();
+    if (cancelErr) return res.status(500).json({ error: cancelErr.message });
+    if (!cancelled) return res.status(409).json({ error: 'This lay-by changed while it was being cancelled — please retry' });
+
+    await releaseStock(req, layby, layby.pos_layby_items, 'cancel');
+
+    let refund = null;
+    if (settlement.refund > 0) {
+      const { data: refundRow, error: refundErr } = await supabase
+        .from('pos_layby_payments')
+        .insert({
+          company_id: req.companyId, layby_id: layby.id, kind: 'refund', payment_method: refundMethod,
+          amount: -settlement.refund, till_session_id, reference: layby.layby_number, created_by: req.user.userId,
+        })
+        .select().single();
+      if (refundErr) {
+        // CRITICAL: the agreement is cancelled and the money is being handed
+        // back — without this row the till's cash-up won't expect it to be gone.
+        console.error('[Laybys] CRITICAL: cancellation refund not recorded:', layby.id, refundErr.message);
+      }
+      refund = refundRow || null;
+    }
+
+    await auditFromReq(req, 'VOID', 'pos_layby', layby.id, {
+      module:   'pos',
+      oldValue: { status: 'open', amount_paid: layby.amount_paid },
+      newValue: { status: 'cancelled', cancellation_fee: settlement.fee, refund_amount: settlement.refund },
+      metadata: { layby_number: layby.layby_number, reason, fee_overridden: feeOverride },
+    });
+    posAuditFromReq(req, POS_EVENTS.LAYBY_CANCELLED, {
+      entityType: 'pos_layby', entityId: layby.id, tillSessionId: till_session_id || null,
+      beforeSnapshot: { status: 'open', amount_paid: layby.amount_paid },
+      afterSnapshot:  { status: 'cancelled', cancellation_fee: settlement.fee, refund_amount: settlement.refund },
+      metadata:       { layby_number: layby.layby_number, reason, refund_method: refundMethod, fee_overridden: feeOverride },
+    });
+
+    res.json({ layby: cancelled, refund, ...settlement });
+  } catch (err) {
+    console.error('[Laybys] cancel error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/pos/laybys/reminders
+ * Remind every customer with an overdue instalment. Each overdue instalment
+ * is reminded once (pos_layby_reminders), so this is safe to run daily:
+ * customers with an email address are emailed, the rest come back in
+ * `manual` with their phone number for a call. While no email transport is
+ * configured (email_configured: false) every reminder is manual.
+ */
+router.post('/reminders', requirePermission('SALES.VOID'), async (req, res) => {
+  try {
+    const { data: open, error } = await supabase
+      .from('pos_laybys')
+      .select('*, customers(name, phone, email), pos_layby_instalments(seq, due_date, amount)')
+      .eq('company_id', req.companyId)
+      .eq('status', 'open');
+    if (error) return res.status(500).json({ error: error.message });
+
+    const day = getBusinessDayBounds().day;
+    const emailConfigured = isEmailConfigured();
+    const emailed = [];
+    const manual = [];
+    let alreadyReminded = 0;
+
+    for (const { pos_layby_instalments: instalments, customers: customer, ...row } of open || []) {
+      const layby = withProgress(row, instalments, day);
+      if (!layby._firstOverdueSeq) continue;
+
+      let channel = customer?.email && emailConfigured ? 'email' : 'manual';
+      const { error: remindErr } = await supabase.from('pos_layby_reminders').insert({
+        company_id: req.companyId, layby_id: layby.id, instalment_seq: layby._firstOverdueSeq, channel,
+        sent_to: channel === 'email' ? customer.email : customer?.phone || null, amount_overdue: layby.overdue_amount, created_by: req.user.userId,
+      });
+      if (remindErr) {
+        if (remindErr.code === '23505') { alreadyReminded++; continue; }
+        console.warn('[Laybys] reminder not recorded:', layby.id, remindErr.message);
+        continue;
+      }
+
+      const entry = {
+        layby_id: layby.id, layby_number: layby.layby_number, customer_id: layby.customer_id,
+        customer_name: customer?.name || null, phone: customer?.phone || null, email: customer?.email || null,
+        overdue_amount: layby.overdue_amount, overdue_since: layby.overdue_since, days_overdue: layby.days_overdue, balance: layby.balance,
+      };
+      if (channel === 'email') {
+        try {
+          await sendLaybyReminderEmail(customer, {
+            laybyNumber: layby.layby_number, overdueAmount: layby.overdue_amount, overdueSince: layby.overdue_since,
+            balance: layby.balance, finalDueDate: layby.final_due_date,
+          });
+          emailed.push(entry);
+        } catch (mailErr) {
+          // Recorded as emailed a moment ago — correct it, so the register
+          // doesn't show a reminder the customer never got.
+          console.warn('[Laybys] reminder email failed:', layby.id, mailErr.message);
+          channel = 'manual';
+          await supabase.from('pos_layby_reminders')
+            .update({ channel, sent_to: customer.phone || null })
+            .eq('layby_id', layby.id).eq('instalment_seq', layby._firstOverdueSeq).eq('company_id', req.companyId);
+          manual.push(entry);
+        }
+      } else {
+        manual.push(entry);
+      }
+      posAuditFromReq(req, POS_EVENTS.LAYBY_REMINDER_SENT, {
+        entityType: 'pos_layby', entityId: layby.id,
+        metadata: { layby_number: layby.layby_number, channel, instalment_seq: layby._firstOverdueSeq, overdue_amount: layby.overdue_amount },
+      });
+    }
+
+    res.json({ emailed, manual, already_reminded: alreadyReminded, email_configured: emailConfigured });
+  } catch (err) {
+    console.error('[Laybys] reminders error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -17,6 +17,23 @@
  *   barcode       — EAN/UPC barcode
  *   sku           — additional SKU reference (added via pos-schema.js)
  *   unit          — unit of measure (added via pos-schema.js)
+ *
+ * Variants (migration 078) — a size/colour/style variant is its own products
+ * row, so it has its own price, barcode, stock_quantity and per-location
+ * stock, and checkout sells it like any other product:
+ *   parent_product_id  — set on a variant, points at its parent
+ *   is_variant_parent  — the parent is a template and is never sold itself
+ *   variant_options    — parent: [{ name: 'size', values: ['S','M','L'] }, ...]
+ *   variant_attributes — variant: { size: 'M', colour: 'Black' }
+ *
+ * Sold by weight (migration 082) — butchery/deli/produce lines priced per kg:
+ *   sold_by_weight — unit_price is per kg; quantities and stock_quantity are
+ *                    kg to the gram (e.g. 1.235) instead of whole units
+ *   scale_plu      — the item code the scale prints on its labels; a
+ *                    scanned label is decoded by the company's
+ *                    embedded-barcode rules (barcodes.js) and matched here.
+ *                    Stored without leading zeros (migration 084), so
+ *                    '00123' and '123' are the same PLU
  * ============================================================================
  */
 
@@ -27,6 +44,9 @@ const { auditFromReq } = require('../../../middleware/audit');
 const { posAuditFromReq, POS_EVENTS } = require('../services/posAuditLogger');
 const { getBusinessDayBounds, activeDiscountOrFilter } = require('../services/discountWindow');
 const { consumeManagerAuthorization } = require('../services/managerAuthConsumer');
+const { normaliseOptions, planVariants, priceFor } = require('../services/productVariants');
+const { normaliseScalePlu } = require('../services/embeddedBarcode');
+const { generateBarcodes } = require('./barcodes');
 
 // Placeholder product backing the "Custom Amount" cart line (2026-08-16,
 // explicit stopgap per Ruan — a real "open item" design comes later). Never
@@ -34,6 +54,23 @@ const { consumeManagerAuthorization } = require('../services/managerAuthConsumer
 // requires a real product_id, so this satisfies that without a schema change.
 const CUSTOM_ITEM_PRODUCT_CODE = 'SYS-CUSTOM-AMOUNT';
 
+/**
+ * Check sold_by_weight / scale_plu against the rest of the product (the
+ * merged old + new row on an edit). Returns an error message or null.
+ */
+function scaleFieldsProblem(p) {
+  if (p.scale_plu !== null && p.scale_plu !== undefined && p.scale_plu !== '' && !/^\d{1,7}$/.test(String(p.scale_plu))) {
+    return 'scale_plu must be the 1-7 digit item code printed by the scale';
+  }
+  if (!p.sold_by_weight) return null;
+  if (p.track_serial) return 'A product sold by weight cannot be serial-tracked';
+  if (p.is_variant_parent) return 'A product with variants cannot itself be sold by weight — set it on the variants';
+  return null;
+}
+
+/** A duplicate scale_plu (idx_products_scale_plu) rather than product_code. */
+const isScalePluConflict = error => /scale_plu/i.test(`${error.message || ''} ${error.details || ''}`);
+
 const router = express.Router();
 
 router.use(authenticateToken);
@@ -50,7 +87,7 @@ router.get('/', requirePermission('PRODUCTS.VIEW'), async (req, res) => {
     // happens between "now" on a clock-skewed till and the actual query.
     const requestReceivedAt = new Date().toISOString();
 
-    const { category_id, search, active_only, updated_since } = req.query;
+    const { category_id, search, active_only, updated_since, parents_only } = req.query;
 
     const buildQuery = () => {
       let query = supabase
@@ -64,6 +101,9 @@ router.get('/', requirePermission('PRODUCTS.VIEW'), async (req, res) => {
 
       if (active_only !== 'false') query = query.eq('is_active', true);
       if (category_id) query = query.eq('category_id', category_id);
+      // Product grid: one tile per parent, variants picked from the parent.
+      // Barcode/delta-sync callers leave this off and get every variant row.
+      if (parents_only === 'true') query = query.is('parent_product_id', null);
       if (search) {
         query = query.or(
           `product_name.ilike.%${search}%,barcode.ilike.%${search}%,product_code.ilike.%${search}%`
@@ -192,7 +232,8 @@ router.post('/', requirePermission('PRODUCTS.CREATE'), async (req, res) => {
       category, category_id, brand, brand_id,
       cost_price, unit_price,
       stock_quantity, min_stock_level,
-      requires_vat, vat_rate, unit, track_serial
+      requires_vat, vat_rate, unit, track_serial,
+      sold_by_weight, scale_plu
     } = req.body;
 
     if (!product_name || unit_price === undefined) {
@@ -201,6 +242,10 @@ router.post('/', requirePermission('PRODUCTS.CREATE'), async (req, res) => {
     if (unit_price < 0) {
       return res.status(400).json({ error: 'unit_price must be non-negative' });
     }
+    const byWeight = sold_by_weight === true;
+    const scaleProblem = scaleFieldsProblem({ sold_by_weight: byWeight, scale_plu, track_serial: track_serial === true });
+    if (scaleProblem) return res.status(400).json({ error: scaleProblem });
+    const plu = scale_plu ? normaliseScalePlu(scale_plu) : null;
 
     // Auto-generate product_code if not provided
     const code = product_code || `PRO-${Date.now()}`;
@@ -224,9 +269,11 @@ router.post('/', requirePermission('PRODUCTS.CREATE'), async (req, res) => {
         min_stock_level: min_stock_level != null ? min_stock_level : 10,
         requires_vat:    requires_vat != null ? Boolean(requires_vat) : true,
         vat_rate:        vat_rate != null ? vat_rate : 15,
-        unit:            unit || 'each',
+        unit:            unit || (byWeight ? 'kg' : 'each'),
         is_active:       true,
         track_serial:    track_serial != null ? Boolean(track_serial) : false,
+        sold_by_weight:  byWeight,
+        scale_plu:       plu,
       })
       .select()
       .single();
@@ -236,6 +283,9 @@ router.post('/', requirePermission('PRODUCTS.CREATE'), async (req, res) => {
       // — surfaced as a clear, actionable message instead of the raw
       // constraint-violation string leaking straight to the cashier's screen.
       if (error.code === '23505' || /duplicate key/i.test(error.message || '')) {
+        if (isScalePluConflict(error)) {
+          return res.status(409).json({ error: `Scale PLU ${plu} is already on another product` });
+        }
         return res.status(409).json({ error: `Product code "${code}" is already in use — click Generate again or enter a different code.` });
       }
       return res.status(500).json({ error: error.message });
@@ -278,12 +328,21 @@ router.put('/:id', requirePermission('PRODUCTS.EDIT'), async (req, res) => {
       'category', 'category_id', 'brand', 'brand_id',
       'cost_price', 'unit_price',
       'stock_quantity', 'min_stock_level',
-      'requires_vat', 'vat_rate', 'unit', 'is_active', 'track_serial'
+      'requires_vat', 'vat_rate', 'unit', 'is_active', 'track_serial',
+      'sold_by_weight', 'scale_plu'
     ];
     const updates = {};
     for (const key of allowed) {
       if (req.body[key] !== undefined) updates[key] = req.body[key];
     }
+    if (updates.scale_plu !== undefined) updates.scale_plu = updates.scale_plu ? normaliseScalePlu(updates.scale_plu) : null;
+    const scaleProblem = scaleFieldsProblem({ ...old, ...updates });
+    if (scaleProblem) return res.status(400).json({ error: scaleProblem });
+    // Switching a product back to whole units would leave any grams in
+    // stock_quantity that no sale could ever take.
+    if (updates.sold_by_weight === false && old.sold_by_weight && !Number.isInteger(parseFloat(updates.stock_quantity ?? old.stock_quantity) || 0)) {
+      return res.status(400).json({ error: `"${old.product_name}" has ${old.stock_quantity} kg in stock — adjust it to a whole number before selling it per unit` });
+    }
     updates.updated_at = new Date().toISOString();
 
     const { data, error } = await supabase
@@ -294,7 +353,12 @@ router.put('/:id', requirePermission('PRODUCTS.EDIT'), async (req, res) => {
       .select()
       .single();
 
-    if (error) return res.status(500).json({ error: error.message });
+    if (error) {
+      if (error.code === '23505' && isScalePluConflict(error)) {
+        return res.status(409).json({ error: `Scale PLU ${updates.scale_plu} is already on another product` });
+      }
+      return res.status(500).json({ error: error.message });
+    }
 
     // Compliance audit: track price changes
     if (updates.unit_price !== undefined && old.unit_price !== updates.unit_price) {
@@ -455,26 +519,257 @@ router.post('/custom-item', async (req, res) => {
   }
 });
 
+/**
+ * The parent a product's variants hang off — the product itself when it is
+ * a parent (or a plain product), its parent when it is a variant. Returns
+ * { parent, variants } with variants ordered by name, or null if not found.
+ */
+async function loadVariantFamily(companyId, productId) {
+  const { data: product } = await supabase
+    .from('products')
+    .select('*')
+    .eq('id', productId)
+    .eq('company_id', companyId)
+    .maybeSingle();
+  if (!product) return null;
+
+  let parent = product;
+  if (product.parent_product_id) {
+    const { data } = await supabase
+      .from('products')
+      .select('*')
+      .eq('id', product.parent_product_id)
+      .eq('company_id', companyId)
+      .maybeSingle();
+    if (!data) return null;
+    parent = data;
+  }
+
+  const { data: variants, error } = await supabase
+    .from('products')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('parent_product_id', parent.id)
+    .order('product_name');
+  if (error) throw new Error(error.message);
+  return { parent, variants: variants || [] };
+}
+
+/**
+ * product_location_stock rows for a set of products, grouped by product_id.
+ * Location stock is the additive per-store table store-transfers.js moves;
+ * products.stock_quantity stays the company-wide figure checkout uses.
+ */
+async function locationStockByProduct(companyId, productIds) {
+  const byProduct = {};
+  if (productIds.length === 0) return byProduct;
+  const { data, error } = await supabase
+    .from('product_location_stock')
+    .select('product_id, location_id, quantity, locations(location_name)')
+    .eq('company_id', companyId)
+    .in('product_id', productIds);
+  if (error) throw new Error(error.message);
+  (data || []).forEach(r => {
+    if (!byProduct[r.product_id]) byProduct[r.product_id] = [];
+    byProduct[r.product_id].push({
+      location_id:    r.location_id,
+      location:       r.locations ? r.locations.location_name : null,
+      stock_quantity: parseFloat(r.quantity) || 0,
+    });
+  });
+  return byProduct;
+}
+
+/**
+ * GET /api/pos/products/:id/variants
+ * The variant matrix for a parent (or for a variant's parent): options,
+ * and every variant with its own price, barcode, stock and per-location stock.
+ */
+router.get('/:id/variants', requirePermission('PRODUCTS.VIEW'), async (req, res) => {
+  try {
+    const family = await loadVariantFamily(req.companyId, req.params.id);
+    if (!family) return res.status(404).json({ error: 'Product not found' });
+    const { parent, variants } = family;
+
+    const locationStock = await locationStockByProduct(req.companyId, variants.map(v => v.id));
+    res.json({
+      parent,
+      options: parent.variant_options || [],
+      variants: variants.map(v => ({ ...v, locations: locationStock[v.id] || [] })),
+      total_stock: variants.reduce((sum, v) => sum + (parseFloat(v.stock_quantity) || 0), 0),
+    });
+  } catch (err) {
+    console.error('[products] variants:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/pos/products/:id/variants/generate
+ * Body: { options: [{ name: 'size', values: [...] }, { name: 'colour', values: [...] }],
+ *         prices?: [{ attributes: { size: 'XL' }, unit_price, cost_price }],
+ *         generate_barcodes?: true }
+ * Turns the product into a variant parent and creates one products row per
+ * combination that doesn't exist yet — each with its own code/SKU, a barcode
+ * from the company sequence (barcodes.js generateBarcodes), zero stock, and
+ * the parent's category/brand/VAT. Running it again with an extra size only
+ * adds that size's rows; existing variants are never touched.
+ */
+router.post('/:id/variants/generate', requirePermission('PRODUCTS.CREATE'), async (req, res) => {
+  try {
+    const { options, prices, generate_barcodes } = req.body;
+
+    const { data: parent } = await supabase
+      .from('products')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('company_id', req.companyId)
+      .maybeSingle();
+    if (!parent) return res.status(404).json({ error: 'Product not found' });
+
+    // A parent is never sold, so whatever stock a plain product already
+    // holds would be stranded on it once it becomes one.
+    if (!parent.is_variant_parent && (parseFloat(parent.stock_quantity) || 0) !== 0) {
+      return res.status(400).json({
+        error: `"${parent.product_name}" still has ${parent.stock_quantity} in stock — adjust it to zero before splitting it into variants`
+      });
+    }
+
+    const { data: existing, error: existingErr } = await supabase
+      .from('products')
+      .select('id, product_name, product_code, barcode, variant_attributes')
+      .eq('company_id', req.companyId)
+      .eq('parent_product_id', parent.id);
+    if (existingErr) return res.status(500).json({ error: existingErr.message });
+
+    let plan;
+    let rows;
+    try {
+      plan = planVariants(parent, normaliseOptions(options), existing || []);
+      rows = plan.toCreate.map(v => ({ ...v, ...priceFor(v.variant_attributes, prices, parent) }));
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const barcodes = generate_barcodes !== false && rows.length > 0
+      ? await generateBarcodes(req.companyId, rows.length)
+      : [];
+
+    const { error: parentErr } = await supabase
+      .from('products')
+      .update({ is_variant_parent: true, variant_options: plan.options, updated_at: new Date().toISOString() })
+      .eq('id', parent.id)
+      .eq('company_id', req.companyId);
+    if (parentErr) return res.status(500).json({ error: parentErr.message });
+
+    let created = [];
+    if (rows.length > 0) {
+      const { data, error } = await supabase
+        .from('products')
+        .insert(rows.map((v, i) => ({
+          company_id:         req.companyId,
+          parent_product_id:  parent.id,
+          variant_attributes: v.variant_attributes,
+          product_name:       v.product_name,
+          product_code:       v.product_code,
+          sku:                v.product_code,
+          barcode:            barcodes[i] || null,
+          description:        parent.description,
+          category:           parent.category,
+          category_id:        parent.category_id,
+          brand:              parent.brand,
+          brand_id:           parent.brand_id,
+          unit_price:         v.unit_price,
+          cost_price:         v.cost_price,
+          stock_quantity:     0,
+          min_stock_level:    parent.min_stock_level,
+          requires_vat:       parent.requires_vat,
+          vat_rate:           parent.vat_rate,
+          unit:               parent.unit,
+          is_active:          true,
+          track_serial:       parent.track_serial === true,
+        })))
+        .select();
+
+      if (error) {
+        if (error.code === '23505' || /duplicate key/i.test(error.message || '')) {
+          return res.status(409).json({ error: 'One of the variant product codes is already in use by another product — rename it and generate again.' });
+        }
+        return res.status(500).json({ error: error.message });
+      }
+      created = data || [];
+    }
+
+    await auditFromReq(req, 'CREATE', 'product', parent.id, {
+      module: 'pos',
+      newValue: { variant_options: plan.options, variants_created: created.length }
+    });
+    posAuditFromReq(req, POS_EVENTS.PRODUCT_VARIANTS_GENERATED, {
+      productId:     parent.id,
+      afterSnapshot: { variant_options: plan.options },
+      metadata:      { created: created.length, existing: plan.existing.length, product_codes: created.map(v => v.product_code) },
+    });
+
+    res.status(201).json({ parent: { ...parent, is_variant_parent: true, variant_options: plan.options }, created, existing: plan.existing });
+  } catch (err) {
+    console.error('[products] generate variants:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 /**
  * GET /api/pos/products/:id/stock-by-location
- * Returns stock level. Multi-location is a future feature.
+ * Per-location stock from product_location_stock. For a variant parent the
+ * variants' stock is rolled up per location, with a per-variant breakdown.
+ * Products that have never had location stock recorded keep the single
+ * "Main Store" line carrying the company-wide stock_quantity.
  */
 router.get('/:id/stock-by-location', requirePermission('PRODUCTS.VIEW'), async (req, res) => {
   try {
     const { data: product, error } = await supabase
       .from('products')
-      .select('id, product_name, stock_quantity')
+      .select('id, product_name, stock_quantity, is_variant_parent')
       .eq('id', req.params.id)
       .eq('company_id', req.companyId)
       .single();
 
     if (error || !product) return res.status(404).json({ error: 'Product not found' });
 
+    let members = [product];
+    if (product.is_variant_parent) {
+      const { data: variants } = await supabase
+        .from('products')
+        .select('id, product_name, stock_quantity, variant_attributes')
+        .eq('company_id', req.companyId)
+        .eq('parent_product_id', product.id)
+        .order('product_name');
+      members = variants || [];
+    }
+
+    const locationStock = await locationStockByProduct(req.companyId, members.map(m => m.id));
+    const totalStock = members.reduce((sum, m) => sum + (parseFloat(m.stock_quantity) || 0), 0);
+
+    const byLocation = {};
+    members.forEach(m => (locationStock[m.id] || []).forEach(l => {
+      if (!byLocation[l.location_id]) byLocation[l.location_id] = { location_id: l.location_id, location: l.location, stock_quantity: 0 };
+      byLocation[l.location_id].stock_quantity += l.stock_quantity;
+    }));
+    const locations = Object.values(byLocation);
+
     res.json({
       product_id:   product.id,
       product_name: product.product_name,
-      locations: [{ location: 'Main Store', stock_quantity: product.stock_quantity }],
-      total_stock:  product.stock_quantity
+      locations:    locations.length > 0 ? locations : [{ location: 'Main Store', stock_quantity: totalStock }],
+      total_stock:  totalStock,
+      ...(product.is_variant_parent ? {
+        variants: members.map(m => ({
+          product_id:         m.id,
+          product_name:       m.product_name,
+          variant_attributes: m.variant_attributes,
+          stock_quantity:     m.stock_quantity,
+          locations:          locationStock[m.id] || [],
+        })),
+      } : {}),
     });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
@@ -494,6 +789,14 @@ router.delete('/:id', requirePermission('PRODUCTS.DELETE'), async (req, res) =>
 
     if (error) return res.status(500).json({ error: error.message });
 
+    // Deactivating a variant parent takes its variants with it — otherwise
+    // they stay scannable at the till under a product that is gone.
+    await supabase
+      .from('products')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('parent_product_id', req.params.id)
+      .eq('company_id', req.companyId);
+
     await auditFromReq(req, 'DELETE', 'product', req.params.id, { module: 'pos' });
     posAuditFromReq(req, POS_EVENTS.PRODUCT_DEACTIVATED, {
       productId:      req.params.id,
@@ -13,8 +13,16 @@
  * pos_daily_discounts row tagged with campaign_id; checkout pricing needs
  * zero changes as a result.
  *
+ * Rules (migration 079): a campaign can also hold cart-level promotion
+ * rules — buy X get Y, "any 2 for R99", quantity breaks, meal deals and
+ * spend thresholds — that a per-product markdown cannot express. Those ARE
+ * a pricing mechanic: sales.js evaluates them server-side through
+ * services/promotionEngine.js, and each sale records what it received in
+ * pos_sale_promotions, which /:id/performance counts redemptions from.
+ *
  * Table: pos_promotion_campaigns (created by pos-schema.js auto-migration)
  *   Items live in pos_daily_discounts, tagged via campaign_id.
+ *   Rules live in pos_promotion_rules; redemptions in pos_sale_promotions.
  * ============================================================================
  */
 
@@ -23,6 +31,7 @@ const { supabase } = require('../../../config/database');
 const { authenticateToken, requireCompany, requirePermission } = require('../../../middleware/auth');
 const { auditFromReq } = require('../../../middleware/audit');
 const { getBusinessDayBounds } = require('../services/discountWindow');
+const { validateRule } = require('../services/promotionEngine');
 
 const router = express.Router();
 
@@ -49,7 +58,12 @@ router.get('/', requirePermission('PRODUCTS.VIEW'), async (req, res) => {
         .select('id', { count: 'exact', head: true })
         .eq('campaign_id', c.id)
         .eq('is_active', true);
-      return { ...c, item_count: count || 0 };
+      const { count: ruleCount } = await supabase
+        .from('pos_promotion_rules')
+        .select('id', { count: 'exact', head: true })
+        .eq('campaign_id', c.id)
+        .eq('is_active', true);
+      return { ...c, item_count: count || 0, rule_count: ruleCount || 0 };
     }));
 
     res.json({ campaigns: results });
@@ -60,8 +74,8 @@ router.get('/', requirePermission('PRODUCTS.VIEW'), async (req, res) => {
 
 /**
  * GET /api/pos/promotion-campaigns/:id
- * A single campaign plus its current product markdowns — powers the
- * Loyalty → Promotions "Manage" detail view.
+ * A single campaign plus its current product markdowns and promotion
+ * rules — powers the Loyalty → Promotions "Manage" detail view.
  */
 router.get('/:id', requirePermission('PRODUCTS.VIEW'), async (req, res) => {
   try {
@@ -84,7 +98,16 @@ router.get('/:id', requirePermission('PRODUCTS.VIEW'), async (req, res) => {
 
     if (itemsErr) return res.status(500).json({ error: itemsErr.message });
 
-    res.json({ campaign, items: items || [] });
+    const { data: rules, error: rulesErr } = await supabase
+      .from('pos_promotion_rules')
+      .select('*')
+      .eq('campaign_id', campaign.id)
+      .eq('is_active', true)
+      .order('priority', { ascending: false });
+
+    if (rulesErr) return res.status(500).json({ error: rulesErr.message });
+
+    res.json({ campaign, items: items || [], rules: rules || [] });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
@@ -171,7 +194,8 @@ router.put('/:id', requirePermission('PRODUCTS.EDIT'), async (req, res) => {
  * Deactivate a campaign (soft delete). Its pos_daily_discounts rows are
  * NOT deleted or untagged — historical performance stays attributable to
  * the campaign; each item's own is_active/valid_until still governs
- * whether it keeps applying at checkout.
+ * whether it keeps applying at checkout. Its promotion rules, by contrast,
+ * stop applying at once — sales.js only loads rules of an active campaign.
  */
 router.delete('/:id', requirePermission('PRODUCTS.EDIT'), async (req, res) => {
   try {
@@ -287,6 +311,183 @@ router.delete('/:id/items/:discountId', requirePermission('PRODUCTS.EDIT'), asyn
   }
 });
 
+/**
+ * Load a campaign for a rule route — null when it isn't this company's.
+ */
+async function findCampaign(companyId, campaignId) {
+  const { data, error } = await supabase
+    .from('pos_promotion_campaigns')
+    .select('id, name, start_date, end_date')
+    .eq('id', campaignId)
+    .eq('company_id', companyId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Category / product ids named in a rule config must belong to this
+ * company — otherwise a rule could be pointed at another tenant's catalogue.
+ * Returns an error message, or null when every id is ours.
+ */
+async function foreignIdsError(companyId, config) {
+  const scopes = config.components || [config];
+  const productIds  = [...new Set(scopes.flatMap(sc => sc.product_ids || []))];
+  const categoryIds = [...new Set(scopes.flatMap(sc => sc.category_ids || []))];
+  if (productIds.length > 0) {
+    const { data } = await supabase.from('products').select('id').eq('company_id', companyId).in('id', productIds);
+    if ((data || []).length !== productIds.length) return 'One or more product_ids were not found';
+  }
+  if (categoryIds.length > 0) {
+    const { data } = await supabase.from('categories').select('id').eq('company_id', companyId).in('id', categoryIds);
+    if ((data || []).length !== categoryIds.length) return 'One or more category_ids were not found';
+  }
+  return null;
+}
+
+/**
+ * POST /api/pos/promotion-campaigns/:id/rules
+ * Add a cart-level promotion rule to the campaign. Body:
+ *   { name, rule_type, priority?, stacking?, config, valid_from?, valid_until? }
+ * config by rule_type (see services/promotionEngine.js validateRule):
+ *   buy_x_get_y     { buy_qty: 2, get_qty: 1, get_discount_percent?: 100, product_ids | category_ids }
+ *   mix_and_match   { quantity: 2, price: 99, product_ids | category_ids }
+ *   quantity_break  { breaks: [{ min_qty: 6, discount_percent | unit_price }], product_ids | category_ids }
+ *   combo           { components: [{ product_ids | category_ids, quantity }], price: 59.99 }
+ *   spend_threshold { min_spend: 500, discount_percent | discount_amount, product_ids? | category_ids? }
+ * valid_from/valid_until default to the campaign's own dates, same as /items.
+ */
+router.post('/:id/rules', requirePermission('PRODUCTS.EDIT'), async (req, res) => {
+  try {
+    let rule;
+    try {
+      rule = validateRule(req.body);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    const campaign = await findCampaign(req.companyId, req.params.id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+
+    const idsError = await foreignIdsError(req.companyId, rule.config);
+    if (idsError) return res.status(400).json({ error: idsError });
+
+    const { data, error } = await supabase
+      .from('pos_promotion_rules')
+      .insert({
+        ...rule,
+        company_id:  req.companyId,
+        campaign_id: campaign.id,
+        valid_from:  rule.valid_from || campaign.start_date || null,
+        valid_until: rule.valid_until || campaign.end_date || null,
+        created_by:  req.user.userId,
+        is_active:   true,
+      })
+      .select()
+      .single();
+
+    if (error) return res.status(500).json({ error: error.message });
+
+    await auditFromReq(req, 'CREATE', 'promotion_rule', data.id, {
+      module:   'pos',
+      newValue: { campaign_id: campaign.id, name: data.name, rule_type: data.rule_type, priority: data.priority, stacking: data.stacking, config: data.config },
+    });
+
+    res.status(201).json({ rule: data });
+  } catch (err) {
+    console.error('[promotionCampaigns] create rule:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/pos/promotion-campaigns/:id/rules/:ruleId
+ * Replace a rule's definition (the body is validated exactly as for POST),
+ * or just toggle is_active. Sales already made keep what they received —
+ * pos_sale_promotions copies the rule name and type.
+ */
+router.put('/:id/rules/:ruleId', requirePermission('PRODUCTS.EDIT'), async (req, res) => {
+  try {
+    const { data: existing, error: findErr } = await supabase
+      .from('pos_promotion_rules')
+      .select('*')
+      .eq('id', req.params.ruleId)
+      .eq('campaign_id', req.params.id)
+      .eq('company_id', req.companyId)
+      .maybeSingle();
+
+    if (findErr) return res.status(500).json({ error: findErr.message });
+    if (!existing) return res.status(404).json({ error: 'Promotion rule not found' });
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (req.body.rule_type !== undefined || req.body.config !== undefined || req.body.name !== undefined) {
+      let rule;
+      try {
+        rule = validateRule({ ...existing, ...req.body });
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message });
+      }
+      const idsError = await foreignIdsError(req.companyId, rule.config);
+      if (idsError) return res.status(400).json({ error: idsError });
+      Object.assign(updates, rule);
+    } else {
+      if (req.body.priority    !== undefined) updates.priority = Number(req.body.priority) || 0;
+      if (req.body.stacking    !== undefined) {
+        if (!['exclusive', 'stackable'].includes(req.body.stacking)) {
+          return res.status(400).json({ error: "stacking must be 'exclusive' or 'stackable'" });
+        }
+        updates.stacking = req.body.stacking;
+      }
+      if (req.body.valid_from  !== undefined) updates.valid_from = req.body.valid_from || null;
+      if (req.body.valid_until !== undefined) updates.valid_until = req.body.valid_until || null;
+    }
+    if (req.body.is_active !== undefined) updates.is_active = !!req.body.is_active;
+
+    const { data, error } = await supabase
+      .from('pos_promotion_rules')
+      .update(updates)
+      .eq('id', existing.id)
+      .eq('company_id', req.companyId)
+      .select()
+      .single();
+
+    if (error) return res.status(500).json({ error: error.message });
+
+    await auditFromReq(req, 'UPDATE', 'promotion_rule', existing.id, {
+      module:   'pos',
+      oldValue: { name: existing.name, rule_type: existing.rule_type, priority: existing.priority, stacking: existing.stacking, config: existing.config, is_active: existing.is_active },
+      newValue: { name: data.name, rule_type: data.rule_type, priority: data.priority, stacking: data.stacking, config: data.config, is_active: data.is_active },
+    });
+
+    res.json({ rule: data });
+  } catch (err) {
+    console.error('[promotionCampaigns] update rule:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/pos/promotion-campaigns/:id/rules/:ruleId
+ * Soft-deactivate a rule — its redemption history stays reportable.
+ */
+router.delete('/:id/rules/:ruleId', requirePermission('PRODUCTS.EDIT'), async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('pos_promotion_rules')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', req.params.ruleId)
+      .eq('campaign_id', req.params.id)
+      .eq('company_id', req.companyId);
+
+    if (error) return res.status(500).json({ error: error.message });
+
+    await auditFromReq(req, 'DELETE', 'promotion_rule', req.params.ruleId, { module: 'pos' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 /**
  * GET /api/pos/promotion-campaigns/:id/performance
  * Sales performance for this campaign — units sold, revenue, cost, and
@@ -295,6 +496,11 @@ router.delete('/:id/items/:discountId', requirePermission('PRODUCTS.EDIT'), asyn
  * sale_items x sales join, same window-bounded query), just scoped to one
  * campaign_id and aggregated. The "here's what this promotion delivered
  * for you" report.
+ *
+ * `rules` adds the campaign's promotion rules with their redemptions —
+ * counted from pos_sale_promotions on completed sales, so a voided or
+ * returned-in-full sale no longer counts: sales that received the rule,
+ * times it applied, units involved and the total given away.
  */
 router.get('/:id/performance', requirePermission('REPORTS.VIEW'), async (req, res) => {
   try {
@@ -364,7 +570,46 @@ router.get('/:id/performance', requirePermission('REPORTS.VIEW'), async (req, re
     };
     summary.isProfitable = summary.totalProfit > 0;
 
-    res.json({ campaign, items: results, summary });
+    const { data: rules, error: rulesErr } = await supabase
+      .from('pos_promotion_rules')
+      .select('id, name, rule_type, priority, stacking, is_active')
+      .eq('campaign_id', campaign.id)
+      .eq('company_id', req.companyId)
+      .order('priority', { ascending: false });
+    if (rulesErr) throw new Error(rulesErr.message);
+
+    let redemptions = [];
+    if ((rules || []).length > 0) {
+      const { data, error: redErr } = await supabase
+        .from('pos_sale_promotions')
+        .select('rule_id, sale_id, times_applied, discount_amount, items, sales!inner(status)')
+        .eq('company_id', req.companyId)
+        .eq('sales.status', 'completed')
+        .in('rule_id', rules.map(r => r.id));
+      if (redErr) throw new Error(redErr.message);
+      redemptions = data || [];
+    }
+
+    const ruleResults = (rules || []).map(r => {
+      const rows = redemptions.filter(x => x.rule_id === r.id);
+      return {
+        rule_id:        r.id,
+        name:           r.name,
+        rule_type:      r.rule_type,
+        priority:       r.priority,
+        stacking:       r.stacking,
+        is_active:      r.is_active,
+        redemptions:    new Set(rows.map(x => x.sale_id)).size,
+        times_applied:  rows.reduce((sum, x) => sum + (x.times_applied || 0), 0),
+        units:          rows.reduce((sum, x) => sum + (x.items || []).reduce((u, i) => u + (parseFloat(i.quantity) || 0), 0), 0),
+        discount_total: Math.round(rows.reduce((sum, x) => sum + (parseFloat(x.discount_amount) || 0), 0) * 100) / 100,
+      };
+    });
+    summary.ruleCount             = ruleResults.length;
+    summary.totalRedemptions      = ruleResults.reduce((sum, r) => sum + r.redemptions, 0);
+    summary.totalPromotionSavings = Math.round(ruleResults.reduce((sum, r) => sum + r.discount_total, 0) * 100) / 100;
+
+    res.json({ campaign, items: results, rules: ruleResults, summary });
   } catch (err) {
     console.error('[promotionCampaigns] performance:', err.message);
     res.status(500).json({ error: 'Server error' });
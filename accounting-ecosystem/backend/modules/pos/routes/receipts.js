@@ -26,6 +26,24 @@ router.use(requireCompany);
 // (PUT /settings) uses the stricter SETTINGS.EDIT.
 const receiptsViewGate = requirePermission('SALES.VIEW');
 
+/**
+ * Promotions a sale received (pos_sale_promotions, written by sales.js at
+ * checkout) for the "You saved" block — one line per rule, e.g.
+ * "3 for 2 Chips  -R24.99". Empty when the sale had none, or before
+ * migration 079 has been run.
+ */
+async function salePromotions(companyId, saleId) {
+  const { data } = await supabase
+    .from('pos_sale_promotions')
+    .select('rule_id, rule_name, rule_type, times_applied, discount_amount, items')
+    .eq('company_id', companyId)
+    .eq('sale_id', saleId)
+    .order('id', { ascending: true });
+  const promotions = (data || []).map(p => ({ ...p, discount_amount: parseFloat(p.discount_amount) || 0 }));
+  const savings = Math.round(promotions.reduce((s, p) => s + p.discount_amount, 0) * 100) / 100;
+  return { promotions, savings };
+}
+
 /**
  * GET /api/receipts/preview/:saleId
  * Generate receipt preview data for a sale
@@ -66,6 +84,8 @@ router.get('/preview/:saleId', receiptsViewGate, async (req, res) => {
     // by sessions.js/reports.js (till_sessions -> tills, till_sessions -> users),
     // fetched separately rather than nested on the sales select since that
     // relationship isn't declared as an FK-based embed here.
+    const { promotions, savings: promotionSavings } = await salePromotions(req.companyId, sale.id);
+
     let cashier = null, till = null;
     if (sale.till_session_id) {
       const { data: sessionData } = await supabase
@@ -90,6 +110,8 @@ router.get('/preview/:saleId', receiptsViewGate, async (req, res) => {
         till,
         cashTendered,
         changeGiven,
+        promotions,
+        promotionSavings,
         header: settings?.receipt_header || '',
         footer: settings?.receipt_footer || 'Thank you for shopping with us!',
         generated_at: new Date().toISOString()
@@ -130,6 +152,7 @@ router.post('/print/:saleId', receiptsViewGate, async (req, res) => {
     // See GET /preview/:saleId above for why this comes off sale_payments
     // rather than the RPC that creates the sale.
     const cashPayment = (sale.sale_payments || []).find(p => p.payment_method === 'cash');
+    const { promotions, savings: promotionSavings } = await salePromotions(req.companyId, sale.id);
 
     res.json({
       success: true,
@@ -140,6 +163,8 @@ router.post('/print/:saleId', receiptsViewGate, async (req, res) => {
         payments: sale.sale_payments || [],
         cashTendered: cashPayment?.tendered_amount ?? null,
         changeGiven: cashPayment?.change_given ?? null,
+        promotions,
+        promotionSavings,
         printed_at: new Date().toISOString()
       }
     });
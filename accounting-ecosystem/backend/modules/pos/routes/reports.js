@@ -9,6 +9,9 @@
 const express = require('express');
 const { supabase } = require('../../../config/database');
 const { requireCompany, requirePermission } = require('../../../middleware/auth');
+const { summariseLiability } = require('../services/voucherLedger');
+const { instalmentProgress } = require('../services/laybyPlan');
+const { getBusinessDayBounds } = require('../services/discountWindow');
 
 const router = express.Router();
 
@@ -78,6 +81,35 @@ async function fetchAllRows(buildQuery) {
   return rows;
 }
 
+// ── Variant roll-up ───────────────────────────────────────────────────────────
+// A size/colour variant (migration 078) is its own products row, so sale_items
+// carry the variant's product_id. Product-level reports group those lines
+// under the parent — one "Classic Tee" row, not thirty size/colour rows — and
+// keep the variants as a breakdown; ?group_by=variant keeps one row per
+// variant. Returns { [variantProductId]: parent products row } for the
+// variants among productIds (plain products are simply absent).
+async function variantParentsOf(companyId, productIds) {
+  const parents = {};
+  if (productIds.length === 0) return parents;
+  const variants = await fetchAllRows(() => supabase
+    .from('products')
+    .select('id, parent_product_id')
+    .eq('company_id', companyId)
+    .in('id', productIds)
+    .not('parent_product_id', 'is', null));
+  const parentIds = [...new Set(variants.map(v => v.parent_product_id))];
+  if (parentIds.length === 0) return parents;
+  const rows = await fetchAllRows(() => supabase
+    .from('products')
+    .select('id, product_code, product_name, category')
+    .eq('company_id', companyId)
+    .in('id', parentIds));
+  const byId = {};
+  rows.forEach(p => { byId[p.id] = p; });
+  variants.forEach(v => { if (byId[v.parent_product_id]) parents[v.id] = byId[v.parent_product_id]; });
+  return parents;
+}
+
 router.use(requireCompany);
 
 // REPORTS.VIEW = SUPERVISOR_ROLES (config/permissions.js) — excludes cashier/
@@ -186,18 +218,36 @@ router.get('/top-products', reportsViewGate, async (req, res) => {
       return res.status(500).json({ error: e.message });
     }
 
-    // Aggregate by product
+    const parents = req.query.group_by === 'variant'
+      ? {}
+      : await variantParentsOf(req.companyId, [...new Set((data || []).map(i => i.product_id).filter(Boolean))]);
+
+    // Aggregate by product — variants under their parent
     const productMap = {};
     (data || []).forEach(item => {
-      const key = item.product_id;
+      const parent = parents[item.product_id];
+      const key = parent ? parent.id : item.product_id;
       if (!productMap[key]) {
-        productMap[key] = { product_id: key, product_name: item.product_name, total_qty: 0, total_revenue: 0 };
+        productMap[key] = { product_id: key, product_name: parent ? parent.product_name : item.product_name, total_qty: 0, total_revenue: 0 };
       }
+      const revenue = parseFloat(item.line_total || item.quantity * item.unit_price);
       productMap[key].total_qty += item.quantity;
-      productMap[key].total_revenue += parseFloat(item.line_total || item.quantity * item.unit_price);
+      productMap[key].total_revenue += revenue;
+      if (parent) {
+        if (!productMap[key].variants) productMap[key].variants = {};
+        const variants = productMap[key].variants;
+        if (!variants[item.product_id]) {
+          variants[item.product_id] = { product_id: item.product_id, product_name: item.product_name, total_qty: 0, total_revenue: 0 };
+        }
+        variants[item.product_id].total_qty += item.quantity;
+        variants[item.product_id].total_revenue += revenue;
+      }
     });
 
     const products = Object.values(productMap)
+      .map(p => (p.variants
+        ? { ...p, variants: Object.values(p.variants).sort((a, b) => b.total_revenue - a.total_revenue) }
+        : p))
       .sort((a, b) => b.total_revenue - a.total_revenue)
       .slice(0, parseInt(limit));
 
@@ -957,37 +1007,27 @@ router.get('/gross-profit-by-person', reportsFinancialGate, async (req, res) =>
 
 /**
  * GET /api/reports/gross-profit-by-product
- * Same per-sale-item data, grouped by product.
+ * Same per-sale-item data, grouped by product. Variants roll up to their
+ * parent (each at its own cost price) with a per-variant breakdown;
+ * ?group_by=variant keeps one row per variant.
  */
 router.get('/gross-profit-by-product', reportsFinancialGate, async (req, res) => {
   try {
     const { start, end } = dateRangeFromQuery(req.query);
     const { sales, productMeta } = await fetchSalesWithProfit(req.companyId, start, end);
-
-    const byProduct = {};
-    sales.forEach(s => {
-      s.items.forEach(item => {
-        const key = item.product_id;
-        const meta = productMeta[key] || {};
-        if (!byProduct[key]) {
-          byProduct[key] = {
-            product_code: meta.product_code || '—',
-            product_name: item.product_name || meta.product_name || 'Unknown',
-            category: meta.category || null,
-            quantity_sold: 0,
-            total_revenue: 0,
-            cost_total: 0,
-          };
-        }
-        const qty = parseFloat(item.quantity) || 0;
-        const cost = parseFloat(meta.cost_price || 0) * qty;
-        byProduct[key].quantity_sold += qty;
-        byProduct[key].total_revenue += parseFloat(item.line_total || 0);
-        byProduct[key].cost_total += cost;
-      });
+    const parents = req.query.group_by === 'variant'
+      ? {}
+      : await variantParentsOf(req.companyId, Object.keys(productMeta).map(Number));
+
+    const emptyRow = (meta, name) => ({
+      product_code: meta.product_code || '—',
+      product_name: name || meta.product_name || 'Unknown',
+      category: meta.category || null,
+      quantity_sold: 0,
+      total_revenue: 0,
+      cost_total: 0,
     });
-
-    const products = Object.values(byProduct).map(p => {
+    const round = p => {
       const gross_profit = p.total_revenue - p.cost_total;
       return {
         product_code: p.product_code,
@@ -998,7 +1038,40 @@ router.get('/gross-profit-by-product', reportsFinancialGate, async (req, res) =>
         gross_profit: Math.round(gross_profit * 100) / 100,
         profit_margin: p.total_revenue > 0 ? Math.round((gross_profit / p.total_revenue) * 10000) / 100 : 0,
       };
-    }).sort((a, b) => b.gross_profit - a.gross_profit);
+    };
+
+    const byProduct = {};
+    sales.forEach(s => {
+      s.items.forEach(item => {
+        const meta = productMeta[item.product_id] || {};
+        const parent = parents[item.product_id];
+        const key = parent ? parent.id : item.product_id;
+        if (!byProduct[key]) {
+          byProduct[key] = parent ? emptyRow(parent, parent.product_name) : emptyRow(meta, item.product_name);
+        }
+        const qty = parseFloat(item.quantity) || 0;
+        const cost = parseFloat(meta.cost_price || 0) * qty;
+        const revenue = parseFloat(item.line_total || 0);
+        const rows = [byProduct[key]];
+        if (parent) {
+          if (!byProduct[key].variants) byProduct[key].variants = {};
+          if (!byProduct[key].variants[item.product_id]) {
+            byProduct[key].variants[item.product_id] = emptyRow(meta, item.product_name);
+          }
+          rows.push(byProduct[key].variants[item.product_id]);
+        }
+        rows.forEach(row => {
+          row.quantity_sold += qty;
+          row.total_revenue += revenue;
+          row.cost_total += cost;
+        });
+      });
+    });
+
+    const products = Object.values(byProduct).map(p => (p.variants
+      ? { ...round(p), variants: Object.values(p.variants).map(round).sort((a, b) => b.gross_profit - a.gross_profit) }
+      : round(p)
+    )).sort((a, b) => b.gross_profit - a.gross_profit);
 
     const totalRevenue = products.reduce((sum, p) => sum + p.total_revenue, 0);
     const totalProfit = products.reduce((sum, p) => sum + p.gross_profit, 0);
@@ -2188,4 +2261,122 @@ router.get('/supplier-performance', poReportsGate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/pos/reports/voucher-liability
+ * Outstanding gift card and store credit balances (migration 080) — money
+ * already taken for goods not yet handed over. Totals by type and by how
+ * soon the balance expires; vouchers past their date stay in `overdue`
+ * until written off with POST /api/pos/vouchers/expire.
+ *
+ * Query: voucher_type (optional). Balances are as at now — the GL side
+ * (accounting pos-bridge POST /vouchers/post-journal) is where a dated
+ * figure lives.
+ */
+router.get('/voucher-liability', reportsViewGate, async (req, res) => {
+  try {
+    const { voucher_type } = req.query;
+    const vouchers = await fetchAllRows(() => {
+      let q = supabase
+        .from('pos_vouchers')
+        .select('id, code, voucher_type, initial_amount, balance, status, expires_on, customer_id, created_at, customers(name)')
+        .eq('company_id', req.companyId)
+        .eq('status', 'active')
+        .gt('balance', 0)
+        .order('id');
+      if (voucher_type) q = q.eq('voucher_type', voucher_type);
+      return q;
+    });
+
+    const day = getBusinessDayBounds().day;
+    const summary = summariseLiability(vouchers, day);
+    res.json({
+      as_at: day,
+      summary,
+      vouchers: vouchers
+        .map(v => ({
+          id: v.id, code: v.code, voucher_type: v.voucher_type,
+          initial_amount: parseFloat(v.initial_amount), balance: parseFloat(v.balance),
+          expires_on: v.expires_on, overdue: !!v.expires_on && v.expires_on < day,
+          customer_id: v.customer_id, customer_name: v.customers?.name || null, issued_at: v.created_at,
+        }))
+        .sort((a, b) => (a.expires_on || '9999-12-31').localeCompare(b.expires_on || '9999-12-31')),
+    });
+  } catch (err) {
+    console.error('[reports] voucher-liability:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/pos/reports/layby-register
+ * Every lay-by agreement (migration 081) with what has been paid, what is
+ * still owing and how far behind the schedule it is — the list a store
+ * works through to chase arrears and see how much stock is sitting in the
+ * lay-by room.
+ *
+ * Query: status (default all), from/to (optional, on the date the
+ * agreement was opened). Arrears are as at today.
+ */
+router.get('/layby-register', reportsViewGate, async (req, res) => {
+  try {
+    const { status, from, to } = req.query;
+    const laybys = await fetchAllRows(() => {
+      let q = supabase
+        .from('pos_laybys')
+        .select('id, layby_number, status, customer_id, total_amount, deposit_amount, amount_paid, frequency, final_due_date, cancellation_fee, refund_amount, sale_id, created_at, customers(name, phone), pos_layby_instalments(seq, due_date, amount)')
+        .eq('company_id', req.companyId)
+        .order('created_at', { ascending: false });
+      if (status) q = q.eq('status', status);
+      if (from) q = q.gte('created_at', from);
+      if (to) q = q.lte('created_at', endOfDay(to));
+      return q;
+    });
+
+    const day = getBusinessDayBounds().day;
+    const r2 = v => Math.round(v * 100) / 100;
+    const summary = {
+      count: { open: 0, completed: 0, cancelled: 0 },
+      open_value: 0, paid_on_open: 0, outstanding: 0, overdue: 0, overdue_count: 0, cancellation_fees: 0,
+    };
+
+    const rows = laybys.map(l => {
+      const total = parseFloat(l.total_amount) || 0;
+      const paid = parseFloat(l.amount_paid) || 0;
+      const isOpen = l.status === 'open';
+      const progress = isOpen
+        ? instalmentProgress(l.pos_layby_instalments || [], paid - (parseFloat(l.deposit_amount) || 0), day)
+        : null;
+
+      summary.count[l.status] = (summary.count[l.status] || 0) + 1;
+      if (isOpen) {
+        summary.open_value += total;
+        summary.paid_on_open += paid;
+        summary.outstanding += total - paid;
+        summary.overdue += progress.overdueAmount;
+        if (progress.overdueAmount > 0) summary.overdue_count++;
+      }
+      if (l.status === 'cancelled') summary.cancellation_fees += parseFloat(l.cancellation_fee) || 0;
+
+      return {
+        id: l.id, layby_number: l.layby_number, status: l.status,
+        customer_id: l.customer_id, customer_name: l.customers?.name || null, customer_phone: l.customers?.phone || null,
+        opened_at: l.created_at, frequency: l.frequency, final_due_date: l.final_due_date,
+        total_amount: total, amount_paid: paid, balance: isOpen ? r2(total - paid) : 0,
+        overdue_amount: progress ? progress.overdueAmount : 0,
+        days_overdue: progress ? progress.daysOverdue : 0,
+        next_due: progress ? progress.nextDue : null,
+        cancellation_fee: l.cancellation_fee !== null ? parseFloat(l.cancellation_fee) : null,
+        refund_amount: l.refund_amount !== null ? parseFloat(l.refund_amount) : null,
+        sale_id: l.sale_id,
+      };
+    }).sort((a, b) => b.days_overdue - a.days_overdue);
+
+    for (const key of ['open_value', 'paid_on_open', 'outstanding', 'overdue', 'cancellation_fees']) summary[key] = r2(summary[key]);
+    res.json({ as_at: day, summary, laybys: rows });
+  } catch (err) {
+    console.error('[reports] layby-register:', err.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
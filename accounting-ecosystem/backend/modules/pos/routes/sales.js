@@ -28,6 +28,11 @@ const { hasPermission, MANAGEMENT_ROLES } = require('../../../config/permissions
 const { syncAccountSaleToLinkedBuyerPO } = require('../services/accountSaleToPOSync');
 const { getBusinessDayBounds, activeDiscountOrFilter } = require('../services/discountWindow');
 const { consumeManagerAuthorization } = require('../services/managerAuthConsumer');
+const { getCreditHold, creditHoldRefusal } = require('../services/customerCreditHold');
+const { applyPromotions, isRuleActive } = require('../services/promotionEngine');
+const { normaliseVoucherCode, planVoucherTenders, adjustVoucherBalance, issueVoucher, resolveExpiry } = require('../services/voucherLedger');
+const { quantityProblem } = require('../services/embeddedBarcode');
+const { lookupEmbeddedBarcode } = require('./barcodes');
 
 const router = express.Router();
 
@@ -116,6 +121,68 @@ async function resolveEffectivePrices({ companyId, productIds, productMap, custo
   return effectivePriceByProduct;
 }
 
+/**
+ * Run the company's active promotion rules (pos_promotion_rules, migration
+ * 079 — buy X get Y, mix-and-match, quantity breaks, combos, spend
+ * thresholds) over the cart at the prices resolveEffectivePrices() and any
+ * manager line override settled on. Evaluated here, never on the till, so a
+ * promotion cannot be skipped or invented client-side. Lines with a manager
+ * line override are left out — that override is the final word on its line.
+ *
+ * A rule only runs while its campaign is active. If the rules can't be read
+ * (e.g. migration 079 not yet run) the sale goes through at normal prices.
+ *
+ * @returns {Promise<{ lineDiscounts: number[], applied: Array, total: number }>}
+ *          lineDiscounts is indexed like normItems
+ */
+async function resolvePromotions({ companyId, normItems, productMap, effectivePriceByProduct }) {
+  const none = { lineDiscounts: normItems.map(() => 0), applied: [], total: 0 };
+  const { data: rules, error } = await supabase
+    .from('pos_promotion_rules')
+    .select('id, name, rule_type, priority, stacking, config, valid_from, valid_until, is_active, pos_promotion_campaigns!inner(is_active)')
+    .eq('company_id', companyId)
+    .eq('is_active', true)
+    .eq('pos_promotion_campaigns.is_active', true);
+  if (error) {
+    console.warn('[Sales] Promotion rules unavailable — pricing without promotions:', error.message);
+    return none;
+  }
+  const day = getBusinessDayBounds().day;
+  const active = (rules || []).filter(r => isRuleActive(r, day));
+  if (active.length === 0) return none;
+
+  return applyPromotions(normItems.map(item => {
+    const prod = productMap[item.product_id] || {};
+    return {
+      product_id:  item.product_id,
+      category_id: prod.category_id ?? null,
+      quantity:    item.quantity,
+      unit_price:  effectivePriceByProduct.get(item.product_id) ?? (parseFloat(prod.unit_price) || 0),
+      excluded:    !!item.line_override_percent,
+    };
+  }), active);
+}
+
+/**
+ * Record which promotions a new sale received (pos_sale_promotions) — read
+ * back by the receipt and by the campaign performance report. Best-effort:
+ * the sale itself has already committed, so a failure is logged, not thrown.
+ */
+async function recordSalePromotions(companyId, saleId, applied) {
+  if (!applied || applied.length === 0) return;
+  const { error } = await supabase.from('pos_sale_promotions').insert(applied.map(p => ({
+    company_id:      companyId,
+    sale_id:         saleId,
+    rule_id:         p.rule_id,
+    rule_name:       p.name,
+    rule_type:       p.rule_type,
+    times_applied:   p.times,
+    discount_amount: p.discount,
+    items:           p.items,
+  })));
+  if (error) console.warn('[Sales] Could not record sale promotions for sale', saleId, error.message);
+}
+
 /**
  * Release up to `quantity` 'sold' serials tied to this exact sale_item_id
  * back to 'in_stock' — the return/cancel-order counterpart to migration
@@ -247,6 +314,39 @@ async function postAccountCharge({ companyId, customerId, saleId, saleNumber, am
   });
 }
 
+/**
+ * Credit hold gate (migration 148) — call BEFORE anything is put on a
+ * customer's account. Sends a 409 and returns true when the customer is on
+ * hold; a lookup failure sends a 500 rather than extending credit blind.
+ *
+ * An offline-sync replay of a sale that was already created before the hold
+ * was placed is let through (the RPC's idempotency gate returns the
+ * existing sale), so a till's sync queue can never get stuck on it.
+ */
+async function refuseAccountTenderOnHold(req, res, { customerId, amount, idempotencyKey = null, saleId = null, tillSessionId = null, source = null }) {
+  const hold = await getCreditHold(supabase, req.companyId, customerId);
+  if (hold.error) {
+    res.status(500).json({ error: 'Could not check customer credit hold', details: hold.error });
+    return true;
+  }
+  if (!hold.onHold) return false;
+
+  if (idempotencyKey) {
+    const { data: existing } = await supabase
+      .from('sales').select('id')
+      .eq('company_id', req.companyId).eq('idempotency_key', idempotencyKey)
+      .maybeSingle();
+    if (existing) return false;
+  }
+
+  posAuditFromReq(req, POS_EVENTS.CUSTOMER_ACCOUNT_CREDIT_HOLD_BLOCKED, {
+    saleId, tillSessionId, source,
+    metadata: { customer_id: customerId, amount, reason: hold.reason },
+  });
+  res.status(409).json(creditHoldRefusal(hold));
+  return true;
+}
+
 /**
  * Reverse a previously-posted account charge when its sale is voided
  * (Workstream 91). Never edits the original 'charge' row — appends an
@@ -531,6 +631,10 @@ router.get('/:id', requirePermission('SALES.VIEW'), async (req, res) => {
  * Request body:
  *   items           — array of { productId, quantity } (camelCase from frontend)
  *                     OR { product_id, quantity, unit_price } (snake_case)
+ *                     OR { barcode } — a scanned scale label (migration
+ *                     082), decoded here for its product and weight/price.
+ *                     Quantities are whole units except for sold-by-weight
+ *                     products, which sell in kg to the gram.
  *   paymentMethod   — 'cash' | 'card' | 'account' (single method)
  *   payments        — array of { payment_method, amount } (split payment)
  *   tillSessionId   — open session ID (camelCase from frontend)
@@ -570,11 +674,29 @@ router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
       return res.status(400).json({ error: 'At least one item is required' });
     }
 
+    // ── 0b. Scale labels (migration 082) ─────────────────────────────────
+    // A line sent as just the scanned label is decoded server-side, so the
+    // weight — and for a price label, what the line costs — come from the
+    // label itself and never from the client.
+    const scaleLabels = new Map();
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      if ((item.product_id ?? item.productId) || !item.barcode) continue;
+      const embedded = await lookupEmbeddedBarcode(req.companyId, item.barcode);
+      if (!embedded) {
+        return res.status(400).json({ error: `Barcode ${item.barcode} is not a scale label — send the product_id for it` });
+      }
+      if (!embedded.ok) return res.status(embedded.status).json({ error: embedded.error });
+      scaleLabels.set(i, embedded);
+    }
+
     // ── 1. Collect product IDs and look up prices from DB ─────────────────
     // Normalise camelCase productId → product_id
-    const normItems = items.map(item => ({
-      product_id: item.product_id ?? item.productId,
-      quantity:   item.quantity,
+    const normItems = items.map((item, index) => ({
+      product_id: scaleLabels.has(index) ? scaleLabels.get(index).product.id : (item.product_id ?? item.productId),
+      quantity:   scaleLabels.has(index) ? scaleLabels.get(index).quantity : item.quantity,
+      // Price-embedded labels only — see the line pricing in step 3b.
+      label_price: scaleLabels.has(index) ? scaleLabels.get(index).label_price : null,
       // Serial Number Tracking — optional, only present when the till collected
       // specific serials for a serial-tracked product. Absent for every other item.
       serial_numbers: Array.isArray(item.serial_numbers) ? item.serial_numbers : undefined,
@@ -599,7 +721,7 @@ router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
     // in the UI) when the real, fixable cause was "this product is inactive".
     const { data: productRows, error: prodErr } = await supabase
       .from('products')
-      .select('id, product_name, unit_price, vat_rate, requires_vat, stock_quantity, is_active')
+      .select('id, product_name, unit_price, vat_rate, requires_vat, stock_quantity, is_active, is_variant_parent, category_id, sold_by_weight')
       .in('id', productIds)
       .eq('company_id', req.companyId);
 
@@ -608,6 +730,15 @@ router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
     const productMap = {};
     for (const p of (productRows || [])) productMap[p.id] = p;
 
+    // Fractions only for sold-by-weight products — a 1.5 of anything else
+    // is a keying error, not a sale.
+    const quantityErrors = normItems
+      .map(item => productMap[item.product_id] && quantityProblem(productMap[item.product_id], item.quantity))
+      .filter(Boolean);
+    if (quantityErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid quantity', details: quantityErrors });
+    }
+
     // ── 1b. Customer standard discount — server-derived, not client-trusted ──
     // discount_percent (below) has always been accepted verbatim from the
     // request body with no validation against anything; a customer's own
@@ -643,6 +774,10 @@ router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
         stockErrors.push(`Product ${item.product_id} not found`);
       } else if (!prod.is_active) {
         stockErrors.push(`"${prod.product_name}" is inactive and cannot be sold — reactivate it in Stock Management first`);
+      } else if (prod.is_variant_parent) {
+        // The parent of a size/colour matrix holds no stock of its own —
+        // the till must send the variant that was actually picked or scanned.
+        stockErrors.push(`"${prod.product_name}" has variants — choose the size/colour being sold`);
       } else if (prod.stock_quantity < item.quantity) {
         if (!allowNegativeStock) {
           stockErrors.push(
@@ -736,6 +871,16 @@ router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
       effectivePriceByProduct.set(item.product_id, Math.max(0, Math.round(base * (1 - pct / 100) * 100) / 100));
     }
 
+    // ── 1e. Promotion rules (3-for-2, mix-and-match, combos, ...) ──────────
+    // Cart-level rules on top of the per-unit prices settled above — see
+    // resolvePromotions(). The result is a rand discount per cart line.
+    const promotions = await resolvePromotions({
+      companyId: req.companyId,
+      normItems,
+      productMap,
+      effectivePriceByProduct,
+    });
+
     // ── 3. Calculate totals from effective (already-discounted) prices ────
     // grossSubtotal is the pre-discount reference total (what it would have
     // cost with zero discounts) — used only to derive the "Discount" figure
@@ -749,12 +894,22 @@ router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
     let netSubtotal   = 0;
     let vat_total     = 0;
 
-    const enrichedItems = normItems.map(item => {
+    const enrichedItems = normItems.map((item, index) => {
       const prod           = productMap[item.product_id];
       const originalPrice  = parseFloat(prod.unit_price) || 0;
       const effectivePrice = effectivePriceByProduct.get(item.product_id) ?? originalPrice;
-      const lineOriginal   = originalPrice * item.quantity;
-      const lineEffective  = effectivePrice * item.quantity;
+      // A price-embedded scale label fixes what the line costs before any
+      // discount — its quantity was worked back from the kg price, and
+      // rounding that to the gram must not move the price by a cent.
+      const hasLabelPrice  = item.label_price !== null && item.label_price !== undefined;
+      const lineOriginal   = hasLabelPrice ? item.label_price : originalPrice * item.quantity;
+      const lineBeforePromotion = hasLabelPrice
+        ? item.label_price - (originalPrice - effectivePrice) * item.quantity
+        : effectivePrice * item.quantity;
+      // Promotion savings come off the line itself, so line_total, the
+      // stored discount_amount and the VAT below all reflect them.
+      const promotionDiscount = promotions.lineDiscounts[index] || 0;
+      const lineEffective  = Math.max(0, lineBeforePromotion - promotionDiscount);
       grossSubtotal += lineOriginal;
       netSubtotal   += lineEffective;
       if (prod.requires_vat && prod.vat_rate) {
@@ -770,6 +925,7 @@ router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
         effective_price: effectivePrice,
         line_total:      Math.round(lineEffective * 100) / 100,
         line_discount:   Math.max(0, Math.round((lineOriginal - lineEffective) * 100) / 100),
+        promotion_discount: promotionDiscount,
       };
     });
 
@@ -818,6 +974,37 @@ router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
       }
     }
 
+    // ── 3d. Gift card / store credit tender (migration 080) ───────────────
+    // Voucher legs of the split are checked here, before anything is
+    // written — known code, not expired/cancelled, enough balance, and no
+    // more than the sale total (a voucher never gives change). The balance
+    // itself is taken inside the sale transaction (step 5, migration 083),
+    // so a card spent at another till in the meantime fails the sale rather
+    // than letting it through unpaid.
+    let voucherRedemptions = [];
+    if ((paymentsFromBody || []).some(p => p.payment_method === 'voucher')) {
+      const codes = [...new Set(paymentsFromBody
+        .filter(p => p.payment_method === 'voucher')
+        .map(p => normaliseVoucherCode(p.voucher_code ?? p.voucherCode ?? p.reference))
+        .filter(Boolean))];
+      let vouchers = [];
+      if (codes.length > 0) {
+        const { data, error: voucherErr } = await supabase
+          .from('pos_vouchers').select('*')
+          .eq('company_id', req.companyId)
+          .in('code', codes);
+        if (voucherErr) return res.status(500).json({ error: 'Could not check vouchers', details: voucherErr.message });
+        vouchers = data || [];
+      }
+      const plan = planVoucherTenders(
+        paymentsFromBody, new Map(vouchers.map(v => [v.code, v])), total_amount, getBusinessDayBounds().day
+      );
+      if (!plan.ok) return res.status(plan.status).json({ error: plan.error });
+      voucherRedemptions = plan.redemptions;
+    } else if (!paymentsFromBody && payment_method === 'voucher') {
+      return res.status(400).json({ error: 'A voucher is tendered as a payments entry with its voucher_code' });
+    }
+
     const saleNumber   = generateSaleNumber();
     const receiptNumber = saleNumber.replace('SAL-', 'RC-');
 
@@ -827,7 +1014,11 @@ router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
       payments = paymentsFromBody.map(p => ({
         payment_method: p.payment_method || p.method || 'cash',
         amount:         p.amount,
-        reference:      p.reference || null,
+        // A voucher leg carries its code as the reference, so the payment
+        // row on the sale names the card that paid it.
+        reference:      p.payment_method === 'voucher'
+          ? normaliseVoucherCode(p.voucher_code ?? p.voucherCode ?? p.reference)
+          : (p.reference || null),
       }));
     } else {
       payments = [{
@@ -837,12 +1028,29 @@ router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
       }];
     }
 
+    // ── 4b. Credit hold — refuse the account-tender portion ────────────────
+    const accountTender = payments
+      .filter(p => p.payment_method === 'account')
+      .reduce((s, p) => s + (parseFloat(p.amount) || 0), 0);
+    if (accountTender > 0 && customer_id &&
+        await refuseAccountTenderOnHold(req, res, {
+          customerId: customer_id, amount: accountTender, idempotencyKey, tillSessionId: till_session_id, source,
+        })) {
+      return;
+    }
+
     // ── 5. Atomic sale creation via Supabase RPC ──────────────────────────
     // create_sale_atomic runs INSERT sales + INSERT sale_items +
     // INSERT sale_payments + PERFORM decrement_stock_v2 in one plpgsql
     // transaction. Any failure (including P0001 on insufficient stock)
     // rolls back all writes. No orphaned sale records possible.
-    const { data: rpcResult, error: rpcError } = await supabase.rpc('create_sale_atomic', {
+    // With voucher tenders, create_sale_with_vouchers wraps the same RPC
+    // and debits the vouchers in that transaction (migration 083).
+    const saleRpc = voucherRedemptions.length > 0 ? 'create_sale_with_vouchers' : 'create_sale_atomic';
+    const { data: rpcResult, error: rpcError } = await supabase.rpc(saleRpc, {
+      ...(voucherRedemptions.length > 0 ? {
+        p_vouchers: voucherRedemptions.map(r => ({ voucher_id: r.voucher.id, code: r.voucher.code, amount: r.amount })),
+      } : {}),
       p_company_id:           req.companyId,
       p_user_id:              req.user.userId,
       p_sale_number:          saleNumber,
@@ -891,12 +1099,20 @@ router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
         });
         return res.status(422).json({ error: 'Serial number check failed', details: [rpcError.message] });
       }
+      if (voucherRedemptions.length > 0 && msg.includes('no longer covers')) {
+        posAuditFromReq(req, POS_EVENTS.SALE_RPC_FAILED, {
+          tillSessionId: till_session_id,
+          source,
+          metadata: { rpc_error: rpcError.message, stage: 'voucher_redeem' },
+        });
+        return res.status(409).json({ error: rpcError.message });
+      }
       posAuditFromReq(req, POS_EVENTS.SALE_RPC_FAILED, {
         tillSessionId: till_session_id,
         source,
         metadata: { rpc_error: rpcError.message },
       });
-      console.error('[Sales] create_sale_atomic failed:', rpcError);
+      console.error(`[Sales] ${saleRpc} failed:`, rpcError);
       return res.status(500).json({ error: 'Sale creation failed', details: rpcError.message });
     }
 
@@ -950,6 +1166,9 @@ router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
         module:   'pos',
         newValue: { saleNumber, total_amount, items: enrichedItems.length },
       });
+      // Awaited (unlike the audit calls) — the receipt printed straight
+      // after this response reads the savings back from this table.
+      await recordSalePromotions(req.companyId, rpcResult.sale_id, promotions.applied);
       posAuditFromReq(req, POS_EVENTS.SALE_CREATED, {
         saleId:        rpcResult.sale_id,
         tillSessionId: till_session_id,
@@ -983,6 +1202,14 @@ router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
         });
       }
 
+      // The voucher tender(s) were taken in the sale transaction above.
+      for (const r of rpcResult.voucher_redemptions || []) {
+        posAuditFromReq(req, POS_EVENTS.VOUCHER_REDEEMED, {
+          saleId: rpcResult.sale_id, tillSessionId: till_session_id, source,
+          afterSnapshot: { voucher_id: r.voucher_id, code: r.code, amount: r.amount, balance_after: r.balance_after },
+        });
+      }
+
       // Post the account-tender portion (if any) to the customer's ledger +
       // live balance. Only the ACCOUNT-tender amount is charged — a split
       // payment with cash+account only charges the account leg. Gated on
@@ -1053,6 +1280,8 @@ router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
         payment_method,
         status:          'completed',
       },
+      promotions:        promotions.applied,
+      promotion_savings: promotions.total,
       saleId:       rpcResult.sale_id,
       saleNumber:   rpcResult.sale_number,
       totalAmount:  rpcResult.total_amount,
@@ -1103,6 +1332,12 @@ router.post('/orders', requirePermission('SALES.CREATE'), async (req, res) => {
     if (depositAmount < 0) {
       return res.status(400).json({ error: 'deposit_amount cannot be negative' });
     }
+    // Vouchers are only spent through POST /'s payments split, which takes
+    // the balance off the voucher — a bare 'voucher' method here would
+    // record a payment without ever touching the voucher.
+    if (payment_method === 'voucher') {
+      return res.status(400).json({ error: 'A voucher cannot pay an order deposit — take cash, card or account' });
+    }
 
     const normItems = items.map(item => ({
       product_id: item.product_id ?? item.productId,
@@ -1121,7 +1356,7 @@ router.post('/orders', requirePermission('SALES.CREATE'), async (req, res) => {
     // same "inactive read as a stock error" incident applies to placed orders too.
     const { data: productRows, error: prodErr } = await supabase
       .from('products')
-      .select('id, product_name, unit_price, vat_rate, requires_vat, stock_quantity, is_active')
+      .select('id, product_name, unit_price, vat_rate, requires_vat, stock_quantity, is_active, is_variant_parent, category_id, sold_by_weight')
       .in('id', productIds)
       .eq('company_id', req.companyId);
 
@@ -1130,6 +1365,14 @@ router.post('/orders', requirePermission('SALES.CREATE'), async (req, res) => {
     const productMap = {};
     for (const p of (productRows || [])) productMap[p.id] = p;
 
+    // Same whole-unit / by-weight rule as POST / above.
+    const quantityErrors = normItems
+      .map(item => productMap[item.product_id] && quantityProblem(productMap[item.product_id], item.quantity))
+      .filter(Boolean);
+    if (quantityErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid quantity', details: quantityErrors });
+    }
+
     // Customer standard discount — same server-derived pattern as POST /
     // above (never trust a client-supplied discount_percent for this).
     let customerDiscountPercent = 0;
@@ -1152,6 +1395,8 @@ router.post('/orders', requirePermission('SALES.CREATE'), async (req, res) => {
         stockErrors.push(`Product ${item.product_id} not found`);
       } else if (!prod.is_active) {
         stockErrors.push(`"${prod.product_name}" is inactive and cannot be sold — reactivate it in Stock Management first`);
+      } else if (prod.is_variant_parent) {
+        stockErrors.push(`"${prod.product_name}" has variants — choose the size/colour being sold`);
       } else if (prod.stock_quantity < item.quantity && !allowNegativeStock) {
         stockErrors.push(`Insufficient stock for "${prod.product_name}": have ${prod.stock_quantity}, need ${item.quantity}`);
       }
@@ -1169,17 +1414,26 @@ router.post('/orders', requirePermission('SALES.CREATE'), async (req, res) => {
       customerId: customer_id,
       customerDiscountPercent,
     });
+    const promotions = await resolvePromotions({
+      companyId: req.companyId,
+      normItems,
+      productMap,
+      effectivePriceByProduct,
+    });
 
     let grossSubtotal = 0;
     let netSubtotal   = 0;
     let vat_total     = 0;
 
-    const enrichedItems = normItems.map(item => {
+    const enrichedItems = normItems.map((item, index) => {
       const prod           = productMap[item.product_id];
       const originalPrice  = parseFloat(prod.unit_price) || 0;
       const effectivePrice = effectivePriceByProduct.get(item.product_id) ?? originalPrice;
       const lineOriginal   = originalPrice * item.quantity;
-      const lineEffective  = effectivePrice * item.quantity;
+      // Promotion savings come off the line itself, so line_total, the
+      // stored discount_amount and the VAT below all reflect them.
+      const promotionDiscount = promotions.lineDiscounts[index] || 0;
+      const lineEffective  = Math.max(0, effectivePrice * item.quantity - promotionDiscount);
       grossSubtotal += lineOriginal;
       netSubtotal   += lineEffective;
       if (prod.requires_vat && prod.vat_rate) {
@@ -1192,6 +1446,7 @@ router.post('/orders', requirePermission('SALES.CREATE'), async (req, res) => {
         effective_price: effectivePrice,
         line_total:      Math.round(lineEffective * 100) / 100,
         line_discount:   Math.max(0, Math.round((lineOriginal - lineEffective) * 100) / 100),
+        promotion_discount: promotionDiscount,
       };
     });
 
@@ -1204,6 +1459,12 @@ router.post('/orders', requirePermission('SALES.CREATE'), async (req, res) => {
     if (depositAmount > total_amount + 0.01) {
       return res.status(400).json({ error: 'deposit_amount cannot exceed the order total', total_amount, depositAmount });
     }
+    if (depositAmount > 0 && (payment_method || 'cash') === 'account' && customer_id &&
+        await refuseAccountTenderOnHold(req, res, {
+          customerId: customer_id, amount: depositAmount, idempotencyKey, tillSessionId: till_session_id, source,
+        })) {
+      return;
+    }
 
     const saleNumber = generateSaleNumber();
     const receiptNumber = saleNumber.replace('SAL-', 'ORD-');
@@ -1286,6 +1547,7 @@ router.post('/orders', requirePermission('SALES.CREATE'), async (req, res) => {
       module: 'pos',
       newValue: { saleNumber, total_amount, deposit_amount: depositAmount, status: 'on_order' },
     });
+    await recordSalePromotions(req.companyId, rpcResult.sale_id, promotions.applied);
     posAuditFromReq(req, POS_EVENTS.ORDER_CREATED, {
       saleId: rpcResult.sale_id, tillSessionId: till_session_id, source,
       afterSnapshot: {
@@ -1321,6 +1583,8 @@ router.post('/orders', requirePermission('SALES.CREATE'), async (req, res) => {
         id: rpcResult.sale_id, sale_number: saleNumber, receipt_number: receiptNumber,
         total_amount, deposit_amount: depositAmount, status: 'on_order', payment_status: paymentStatus,
       },
+      promotions:        promotions.applied,
+      promotion_savings: promotions.total,
       wasDuplicate: false,
     });
   } catch (err) {
@@ -1475,7 +1739,45 @@ router.post('/:id/void', async (req, res) => {
       }
     }
 
-    res.json({ sale: data, reversal });
+    // Vouchers spent on the sale get their money back — one redeem_reversal
+    // per redeem row, guarded so a retried void can't credit twice. Same
+    // never-throw rule as the account reversal above: the sale is already
+    // voided by now.
+    const voucherRestores = [];
+    const { data: redeemRows } = await supabase
+      .from('pos_voucher_transactions')
+      .select('voucher_id, amount')
+      .eq('company_id', req.companyId)
+      .eq('sale_id', req.params.id)
+      .eq('type', 'redeem');
+    for (const row of redeemRows || []) {
+      const amount = Math.abs(parseFloat(row.amount) || 0);
+      const restore = await adjustVoucherBalance(supabase, {
+        companyId: req.companyId, voucherId: row.voucher_id, amount, type: 'redeem_reversal',
+        saleId: parseInt(req.params.id), tillSessionId: till_session_id || old.till_session_id || null,
+        reference: `VOID-${old.sale_number || req.params.id}`, userId: req.user.userId,
+        idempotencyGuard: { voucher_id: row.voucher_id, sale_id: parseInt(req.params.id), type: 'redeem_reversal' },
+      });
+      if (restore.ok) {
+        const balance = parseFloat(restore.transaction.balance_after);
+        voucherRestores.push({ voucher_id: row.voucher_id, amount, balance });
+        if (!restore.wasDuplicate) {
+          posAuditFromReq(req, POS_EVENTS.VOUCHER_RESTORED, {
+            saleId: req.params.id,
+            afterSnapshot: { voucher_id: row.voucher_id, balance },
+            metadata: { code: restore.voucher.code, amount, reason },
+          });
+        }
+      } else {
+        console.error('[Sales] CRITICAL: voucher restore failed after void succeeded:', req.params.id, row.voucher_id, restore.error);
+        posAuditFromReq(req, POS_EVENTS.VOUCHER_REDEMPTION_FAILED, {
+          saleId: req.params.id,
+          metadata: { voucher_id: row.voucher_id, amount, stage: 'void', error: restore.error },
+        });
+      }
+    }
+
+    res.json({ sale: data, reversal, voucher_restores: voucherRestores });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
@@ -1526,6 +1828,12 @@ router.post('/:id/void', async (req, res) => {
  * same request returns the original pos_returns row unchanged rather than
  * creating a second return (which would double-restore stock and
  * double-reverse the ledger).
+ *
+ * refund_method 'store_credit': instead of paying the non-account share of
+ * the refund out of the drawer, issues a store_credit voucher for it
+ * (services/voucherLedger.js) and returns it as `voucher` for the credit
+ * note to be printed. The account-funded share is still reversed onto the
+ * customer's balance as above.
  */
 router.post('/:id/return', async (req, res) => {
   try {
@@ -1551,7 +1859,10 @@ router.post('/:id/return', async (req, res) => {
         posAuditFromReq(req, POS_EVENTS.RETURN_REPLAYED, {
           saleId: req.params.id, metadata: { return_id: existingReturn.id, idempotency_key: idempotencyKey },
         });
-        return res.status(200).json({ return: existingReturn, wasDuplicate: true, reversal: null });
+        const { data: voucher } = await supabase
+          .from('pos_vouchers').select('*')
+          .eq('company_id', req.companyId).eq('issued_return_id', existingReturn.id).maybeSingle();
+        return res.status(200).json({ return: existingReturn, wasDuplicate: true, reversal: null, voucher: voucher || null });
       }
     }
 
@@ -1698,7 +2009,41 @@ router.post('/:id/return', async (req, res) => {
       }
     }
 
-    res.status(201).json({ return: ret, reversal });
+    // Store credit — the non-account share of the refund goes onto a new
+    // store_credit voucher instead of back out of the drawer. The account
+    // share was already reversed onto the customer's balance above, so it
+    // is never paid out twice. One voucher per return (unique index on
+    // issued_return_id), expiring no sooner than the CPA minimum.
+    let voucher = null;
+    const creditAmount = Math.round((refundAmount - accountPortionOfReturn) * 100) / 100;
+    if (refund_method === 'store_credit' && creditAmount > 0) {
+      const issued = await issueVoucher(supabase, {
+        companyId: req.companyId, voucherType: 'store_credit', amount: creditAmount,
+        expiresOn: resolveExpiry(undefined, getBusinessDayBounds().day),
+        customerId: sale.customer_id || null, returnId: ret.id,
+        tillSessionId: till_session_id || null, reference: `RETURN-${ret.id}`,
+        notes: `Store credit for return on ${sale.sale_number || `sale ${sale.id}`}`, userId: req.user.userId,
+      });
+      if (issued.ok) {
+        voucher = issued.voucher;
+        posAuditFromReq(req, POS_EVENTS.VOUCHER_ISSUED, {
+          saleId: sale.id, tillSessionId: till_session_id || null,
+          afterSnapshot: { voucher_id: voucher.id, code: voucher.code, voucher_type: 'store_credit', amount: creditAmount, expires_on: voucher.expires_on },
+          metadata: { return_id: ret.id },
+        });
+      } else {
+        // CRITICAL: the return is recorded and stock restored — the customer
+        // is owed this credit. Logged loudly for a manager to issue by hand
+        // (POST /api/pos/vouchers), same never-throw rule as above.
+        console.error('[Sales] CRITICAL: store credit issue failed after return succeeded:', ret.id, issued.error);
+        posAuditFromReq(req, POS_EVENTS.VOUCHER_REDEMPTION_FAILED, {
+          saleId: sale.id,
+          metadata: { return_id: ret.id, amount: creditAmount, stage: 'store_credit', error: issued.error },
+        });
+      }
+    }
+
+    res.status(201).json({ return: ret, reversal, voucher });
   } catch (err) {
     console.error('[Sales] Return error:', err);
     res.status(500).json({ error: 'Server error' });
@@ -1742,6 +2087,15 @@ router.post('/:id/fulfill', requirePermission('SALES.CREATE'), async (req, res)
     if (amountOwed > 0.01 && !payment_method) {
       return res.status(400).json({ error: 'payment_method is required to settle the remaining balance', amount_owed: amountOwed });
     }
+    if (String(payment_method || '').toLowerCase() === 'voucher') {
+      return res.status(400).json({ error: 'A voucher cannot settle an order balance — take cash, card or account' });
+    }
+    if (amountOwed > 0.01 && payment_method === 'account' && order.customer_id &&
+        await refuseAccountTenderOnHold(req, res, {
+          customerId: order.customer_id, amount: amountOwed, saleId: order.id, tillSessionId: order.till_session_id || null,
+        })) {
+      return;
+    }
 
     let finalPayment = null;
     if (amountOwed > 0.01) {
@@ -1959,3 +2313,7 @@ module.exports = router;
 // rather than duplicating either. Zero change to router behaviour.
 module.exports.generateSaleNumber = generateSaleNumber;
 module.exports.adjustCustomerAccountLedger = adjustCustomerAccountLedger;
+// Same reasoning for laybys.js: a lay-by is priced exactly like a sale rung
+// up at the same moment (customer pricing, daily discounts, promotions).
+module.exports.resolveEffectivePrices = resolveEffectivePrices;
+module.exports.resolvePromotions = resolvePromotions;
@@ -382,18 +382,27 @@ router.post('/:id/complete-cashup', async (req, res) => {
     // Only computed when a counted_* value was actually supplied for that
     // method — omitted (not zero) otherwise, so the UI can tell "not counted"
     // apart from "counted and matched exactly".
+    //
+    // Gift cards sold (migration 080) and lay-by deposits and instalments
+    // (migration 081) are swiped and transferred on the same terminals as
+    // sales, so the card/EFT expectation includes them; the cash ones are
+    // already inside expected_balance via expectedCashInDrawer.
     let methodVariances = {};
+    let laybyTakings = null;
     try {
       const recon = await computeSessionRecon(req.params.id, req.companyId);
       if (counted_card !== undefined && counted_card !== null) {
-        methodVariances.varianceCard = Math.round(((counted_card || 0) - recon.paymentCard) * 100) / 100;
+        methodVariances.varianceCard = Math.round(((counted_card || 0) - (recon.paymentCard + recon.voucherCard + recon.laybyCard)) * 100) / 100;
       }
       if (counted_eft !== undefined && counted_eft !== null) {
-        methodVariances.varianceEft = Math.round(((counted_eft || 0) - recon.paymentEft) * 100) / 100;
+        methodVariances.varianceEft = Math.round(((counted_eft || 0) - (recon.paymentEft + recon.voucherEft + recon.laybyEft)) * 100) / 100;
       }
       if (counted_account !== undefined && counted_account !== null) {
         methodVariances.varianceAccount = Math.round(((counted_account || 0) - recon.paymentAccount) * 100) / 100;
       }
+      if (recon.laybyTotal !== 0) {
+        laybyTakings = { cash: recon.laybyCash, card: recon.laybyCard, eft: recon.laybyEft, total: recon.laybyTotal };
+      }
     } catch (reconErr) {
       // Non-fatal — cashup still completes on the cash figures above even if
       // the per-method breakdown couldn't be computed for some reason.
@@ -416,7 +425,7 @@ router.post('/:id/complete-cashup', async (req, res) => {
 
     await auditFromReq(req, 'UPDATE', 'till_session', req.params.id, {
       module: 'pos',
-      metadata: { action: 'cashup', totalCounted, variance, ...methodVariances }
+      metadata: { action: 'cashup', totalCounted, variance, ...methodVariances, ...(laybyTakings ? { laybyTakings } : {}) }
     });
     posAuditFromReq(req, POS_EVENTS.CASHUP_COMPLETED, {
       tillId:         session.till_id || null,
@@ -443,7 +452,7 @@ router.post('/:id/complete-cashup', async (req, res) => {
       { counted_cash, counted_card, counted_eft, counted_account, counted_other, total_counted: totalCounted, variance, denominations, ...methodVariances }
     );
 
-    res.json({ session: data, ...methodVariances });
+    res.json({ session: data, ...methodVariances, ...(laybyTakings ? { laybyTakings } : {}) });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
@@ -7,6 +7,8 @@
  *                                       VAT rate, open-drawer-on-sale, etc.)
  * PUT  /api/pos/settings/stock-policy — update allow_negative_stock_sales
  *                                       (MANAGEMENT roles only)
+ * PUT  /api/pos/settings/layby-terms  — minimum deposit, cancellation fee
+ *                                       and longest term for lay-bys
  * ============================================================================
  */
 
@@ -268,4 +270,52 @@ router.put('/po-invoice-timing', requirePermission('SETTINGS.EDIT'), async (req,
   }
 });
 
+/**
+ * PUT /api/pos/settings/layby-terms
+ * The company's lay-by terms (migration 081), applied to each new agreement
+ * by laybys.js — agreements already open keep the schedule they were
+ * signed on; a cancellation uses the fee percentage in force when it's
+ * cancelled.
+ *
+ * Body: { layby_min_deposit_percent, layby_cancellation_fee_percent, layby_max_term_days }
+ *       — any subset
+ */
+router.put('/layby-terms', requirePermission('SETTINGS.EDIT'), async (req, res) => {
+  try {
+    const updates = {};
+    for (const field of ['layby_min_deposit_percent', 'layby_cancellation_fee_percent']) {
+      if (req.body[field] === undefined) continue;
+      const value = parseFloat(req.body[field]);
+      if (isNaN(value) || value < 0 || value > 100) {
+        return res.status(400).json({ error: `${field} must be a percentage from 0 to 100` });
+      }
+      updates[field] = value;
+    }
+    if (req.body.layby_max_term_days !== undefined) {
+      const days = Number(req.body.layby_max_term_days);
+      if (!Number.isInteger(days) || days < 7) {
+        return res.status(400).json({ error: 'layby_max_term_days must be a whole number of at least 7' });
+      }
+      updates.layby_max_term_days = days;
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const { data, error } = await supabase
+      .from('company_settings')
+      .upsert(
+        { company_id: req.companyId, ...updates, updated_at: new Date().toISOString(), updated_by_user_id: req.user.userId },
+        { onConflict: 'company_id' }
+      )
+      .select().single();
+    if (error) return res.status(500).json({ error: error.message });
+
+    res.json({ settings: data });
+  } catch (err) {
+    console.error('[Settings] PUT layby-terms error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,299 @@
+/**
+ * ============================================================================
+ * POS Vouchers Routes - Checkout Charlie Module
+ * ============================================================================
+ * Gift cards and store credit notes (migration 080). A voucher is a prepaid
+ * balance with a unique code, printed as a barcode and scanned at the till.
+ *
+ *   gift_card     sold here for cash/card/EFT — NOT a sale: the money is a
+ *                 liability until the card is spent, so no revenue or VAT
+ *                 is recorded and no stock moves. A cash-paid card is
+ *                 counted into the till's expected cash (posReconService).
+ *   store_credit  issued by sales.js POST /:id/return (refund_method
+ *                 'store_credit'), or here by a manager as goodwill.
+ *
+ * Spending happens in sales.js: a { payment_method: 'voucher',
+ * voucher_code, amount } leg in the payments split, partial redemption
+ * allowed. All balance movement goes through services/voucherLedger.js.
+ *
+ * Endpoints:
+ *   GET  /api/pos/vouchers               — list (status, voucher_type, customer_id, search)
+ *   GET  /api/pos/vouchers/lookup/:code  — scan at the till: balance + whether it can be spent
+ *   GET  /api/pos/vouchers/:id           — one voucher with its ledger
+ *   POST /api/pos/vouchers               — issue a gift card / goodwill store credit
+ *   POST /api/pos/vouchers/:id/cancel    — cancel the remaining balance
+ *   POST /api/pos/vouchers/expire        — write off vouchers past their expiry date
+ * ============================================================================
+ */
+
+const express = require('express');
+const { supabase } = require('../../../config/database');
+const { authenticateToken, requireCompany, requirePermission } = require('../../../middleware/auth');
+const { hasPermission } = require('../../../config/permissions');
+const { auditFromReq } = require('../../../middleware/audit');
+const { posAuditFromReq, POS_EVENTS } = require('../services/posAuditLogger');
+const { getBusinessDayBounds } = require('../services/discountWindow');
+const {
+  VOUCHER_TYPES, normaliseVoucherCode, resolveExpiry, voucherProblem, adjustVoucherBalance, issueVoucher,
+} = require('../services/voucherLedger');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.use(requireCompany);
+
+// How a gift card may be paid for. 'account' is deliberately absent — a
+// voucher bought on credit would be a liability funded by a debt.
+const GIFT_CARD_PAYMENT_METHODS = ['cash', 'card', 'eft'];
+
+/**
+ * GET /api/pos/vouchers
+ */
+router.get('/', requirePermission('SALES.VIEW'), async (req, res) => {
+  try {
+    const { status, voucher_type, customer_id, search } = req.query;
+    let query = supabase
+      .from('pos_vouchers')
+      .select('*, customers(name)')
+      .eq('company_id', req.companyId)
+      .order('created_at', { ascending: false })
+      .limit(500);
+    if (status)       query = query.eq('status', status);
+    if (voucher_type) query = query.eq('voucher_type', voucher_type);
+    if (customer_id)  query = query.eq('customer_id', customer_id);
+    if (search)       query = query.ilike('code', `%${normaliseVoucherCode(search)}%`);
+
+    const { data, error } = await query;
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ vouchers: data || [] });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/pos/vouchers/lookup/:code
+ * Balance check for a scanned or typed code. `usable: false` carries the
+ * reason (expired, cancelled, nothing left) for the till to show.
+ */
+router.get('/lookup/:code', requirePermission('SALES.VIEW'), async (req, res) => {
+  try {
+    const code = normaliseVoucherCode(req.params.code);
+    const { data: voucher, error } = await supabase
+      .from('pos_vouchers')
+      .select('id, code, voucher_type, initial_amount, balance, status, expires_on, customer_id')
+      .eq('company_id', req.companyId)
+      .eq('code', code)
+      .maybeSingle();
+    if (error) return res.status(500).json({ error: error.message });
+    if (!voucher) return res.status(404).json({ error: `Voucher ${code} not found` });
+
+    const problem = voucherProblem(voucher, getBusinessDayBounds().day);
+    res.json({ voucher, usable: !problem, reason: problem });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/pos/vouchers/:id
+ */
+router.get('/:id', requirePermission('SALES.VIEW'), async (req, res) => {
+  try {
+    const { data: voucher, error } = await supabase
+      .from('pos_vouchers')
+      .select('*, customers(name)')
+      .eq('id', req.params.id)
+      .eq('company_id', req.companyId)
+      .maybeSingle();
+    if (error) return res.status(500).json({ error: error.message });
+    if (!voucher) return res.status(404).json({ error: 'Voucher not found' });
+
+    const { data: transactions, error: txErr } = await supabase
+      .from('pos_voucher_transactions')
+      .select('*, sales(sale_number)')
+      .eq('voucher_id', voucher.id)
+      .eq('company_id', req.companyId)
+      .order('created_at', { ascending: true });
+    if (txErr) return res.status(500).json({ error: txErr.message });
+
+    res.json({ voucher, transactions: transactions || [] });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/pos/vouchers
+ * Body: { voucher_type?, amount, payment_method?, till_session_id?,
+ *         customer_id?, expires_on?, code?, notes? }
+ *
+ * gift_card (default) — any cashier (SALES.CREATE); payment_method is how
+ *   the customer paid for it. A cash card needs the open till session the
+ *   cash went into, so cash-up expects it in the drawer.
+ * store_credit — goodwill credit with nothing paid, so management only
+ *   (SALES.REFUND, same bar as a refund).
+ * code — optional pre-printed card number; generated when absent.
+ */
+router.post('/', requirePermission('SALES.CREATE'), async (req, res) => {
+  try {
+    const { amount, till_session_id, customer_id, expires_on, code, notes } = req.body;
+    const voucherType = req.body.voucher_type || 'gift_card';
+    const paymentMethod = req.body.payment_method ? String(req.body.payment_method).toLowerCase() : null;
+
+    if (!VOUCHER_TYPES.includes(voucherType)) {
+      return res.status(400).json({ error: `voucher_type must be one of ${VOUCHER_TYPES.join(', ')}` });
+    }
+    const value = Math.round(parseFloat(amount) * 100) / 100;
+    if (!(value > 0)) return res.status(400).json({ error: 'amount must be greater than 0' });
+
+    if (voucherType === 'store_credit' && !hasPermission(req.user.role, 'SALES', 'REFUND')) {
+      return res.status(403).json({ error: 'Issuing store credit requires management approval (SALES.REFUND)' });
+    }
+    if (voucherType === 'gift_card' && !GIFT_CARD_PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({ error: `payment_method must be one of ${GIFT_CARD_PAYMENT_METHODS.join(', ')}` });
+    }
+    if (code !== undefined && code !== null && !/^[A-Z0-9]{6,32}$/.test(normaliseVoucherCode(code))) {
+      return res.status(400).json({ error: 'code must be 6 to 32 letters and digits' });
+    }
+
+    const day = getBusinessDayBounds().day;
+    let expiresOn;
+    try {
+      expiresOn = resolveExpiry(expires_on, day);
+    } catch (validationErr) {
+      return res.status(400).json({ error: validationErr.message });
+    }
+
+    if (voucherType === 'gift_card' && paymentMethod === 'cash' && !till_session_id) {
+      return res.status(400).json({ error: 'till_session_id is required for a gift card paid in cash' });
+    }
+    if (till_session_id) {
+      const { data: session } = await supabase
+        .from('till_sessions').select('id, status')
+        .eq('id', till_session_id).eq('company_id', req.companyId).maybeSingle();
+      if (!session) return res.status(404).json({ error: 'Session not found' });
+      if (session.status !== 'open') {
+        return res.status(409).json({ error: `Session must be open to sell a gift card (current status: ${session.status})` });
+      }
+    }
+    if (customer_id) {
+      const { data: customer } = await supabase
+        .from('customers').select('id').eq('id', customer_id).eq('company_id', req.companyId).maybeSingle();
+      if (!customer) return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const result = await issueVoucher(supabase, {
+      companyId:     req.companyId,
+      voucherType,
+      amount:        value,
+      expiresOn,
+      code:          code || null,
+      customerId:    customer_id || null,
+      tillSessionId: till_session_id || null,
+      paymentMethod: voucherType === 'gift_card' ? paymentMethod : null,
+      notes:         notes || null,
+      userId:        req.user.userId,
+    });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    await auditFromReq(req, 'CREATE', 'pos_voucher', result.voucher.id, {
+      module:   'pos',
+      newValue: { code: result.voucher.code, voucher_type: voucherType, amount: value, payment_method: paymentMethod, expires_on: expiresOn },
+    });
+    posAuditFromReq(req, POS_EVENTS.VOUCHER_ISSUED, {
+      tillSessionId: till_session_id || null,
+      afterSnapshot: { voucher_id: result.voucher.id, code: result.voucher.code, voucher_type: voucherType, amount: value },
+      metadata:      { payment_method: paymentMethod, customer_id: customer_id || null },
+    });
+
+    res.status(201).json({ voucher: result.voucher, transaction: result.transaction });
+  } catch (err) {
+    console.error('[Vouchers] issue error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/pos/vouchers/expire
+ * Write off every active voucher whose expiry date has passed — an 'expire'
+ * ledger row takes each balance to zero, which releases it from the
+ * liability (pos-bridge.js posts it to breakage income). Safe to re-run:
+ * an expired voucher is no longer active, so it is never written off twice.
+ */
+router.post('/expire', requirePermission('SALES.REFUND'), async (req, res) => {
+  try {
+    const day = getBusinessDayBounds().day;
+    const { data: due, error } = await supabase
+      .from('pos_vouchers')
+      .select('id, code, balance')
+      .eq('company_id', req.companyId)
+      .eq('status', 'active')
+      .lt('expires_on', day);
+    if (error) return res.status(500).json({ error: error.message });
+
+    const expired = [];
+    const failed = [];
+    for (const v of due || []) {
+      const result = await adjustVoucherBalance(supabase, {
+        companyId: req.companyId, voucherId: v.id, amount: -(parseFloat(v.balance) || 0), type: 'expire',
+        reference: `Expired ${day}`, userId: req.user.userId,
+      });
+      if (result.ok) expired.push({ id: v.id, code: v.code, amount: Math.abs(result.transaction.amount) });
+      else failed.push({ id: v.id, code: v.code, error: result.error });
+    }
+
+    if (expired.length > 0) {
+      posAuditFromReq(req, POS_EVENTS.VOUCHER_EXPIRED, {
+        metadata: { count: expired.length, total: Math.round(expired.reduce((s, e) => s + e.amount, 0) * 100) / 100, as_at: day },
+      });
+    }
+    res.json({ expired, failed });
+  } catch (err) {
+    console.error('[Vouchers] expire error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/pos/vouchers/:id/cancel
+ * Body: { reason }. Cancels whatever balance is left (a lost card reported
+ * with proof of purchase is re-issued as a new voucher, not moved).
+ */
+router.post('/:id/cancel', requirePermission('SALES.REFUND'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason || !String(reason).trim()) return res.status(400).json({ error: 'reason is required' });
+
+    const { data: voucher } = await supabase
+      .from('pos_vouchers').select('id, code, balance, status')
+      .eq('id', req.params.id).eq('company_id', req.companyId).maybeSingle();
+    if (!voucher) return res.status(404).json({ error: 'Voucher not found' });
+    if (!['active', 'redeemed'].includes(voucher.status)) {
+      return res.status(409).json({ error: `Voucher is already ${voucher.status}` });
+    }
+
+    const result = await adjustVoucherBalance(supabase, {
+      companyId: req.companyId, voucherId: voucher.id, amount: -(parseFloat(voucher.balance) || 0), type: 'cancel',
+      reference: String(reason).trim().substring(0, 100), userId: req.user.userId,
+    });
+    if (!result.ok) return res.status(409).json({ error: result.error });
+
+    await auditFromReq(req, 'DELETE', 'pos_voucher', voucher.id, {
+      module:   'pos',
+      oldValue: { code: voucher.code, balance: voucher.balance, status: voucher.status },
+      metadata: { reason },
+    });
+    posAuditFromReq(req, POS_EVENTS.VOUCHER_CANCELLED, {
+      beforeSnapshot: { voucher_id: voucher.id, code: voucher.code, balance: voucher.balance },
+      metadata:       { reason },
+    });
+
+    res.json({ voucher: result.voucher, transaction: result.transaction });
+  } catch (err) {
+    console.error('[Vouchers] cancel error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+/**
+ * ============================================================================
+ * POS Customer Credit Hold — shared check
+ * ============================================================================
+ * customers.credit_hold is set by the accounting dunning engine (a stage
+ * with apply_credit_hold) or by hand via POST
+ * /api/accounting/dunning/customers/:id/credit-hold (migration 148).
+ *
+ * Used by sales.js before anything is put on a customer's account:
+ *   POST /              — account tender on a sale (single or split)
+ *   POST /orders        — deposit taken on account
+ *   POST /:id/fulfil    — balance owed taken on account
+ * Cash and card tenders for a held customer are unaffected.
+ *
+ * Not cached — a hold must bite on the very next sale after it is placed.
+ * Fail-closed: a lookup error is reported as an error so the caller can
+ * refuse the account tender rather than extend credit blind.
+ * ============================================================================
+ */
+
+/**
+ * @param {object} supabase   — caller's supabase client
+ * @param {number} companyId
+ * @param {number} customerId
+ * @returns {Promise<{ onHold: boolean, reason: string|null, since: string|null, error: string|null }>}
+ */
+async function getCreditHold(supabase, companyId, customerId) {
+  const { data, error } = await supabase
+    .from('customers')
+    .select('credit_hold, credit_hold_reason, credit_hold_at')
+    .eq('id', customerId)
+    .eq('company_id', companyId)
+    .maybeSingle();
+  if (error) return { onHold: false, reason: null, since: null, error: error.message };
+  return {
+    onHold: data?.credit_hold === true,
+    reason: data?.credit_hold_reason || null,
+    since:  data?.credit_hold_at || null,
+    error:  null,
+  };
+}
+
+/**
+ * Response body for an account tender refused because of a credit hold.
+ * 409 — the request is valid, the customer's account state forbids it.
+ */
+function creditHoldRefusal(hold) {
+  return {
+    error:     'Customer account is on credit hold — take payment by cash or card',
+    errorCode: 'CUSTOMER_CREDIT_HOLD',
+    reason:    hold.reason,
+    since:     hold.since,
+  };
+}
+
+module.exports = { getCreditHold, creditHoldRefusal };
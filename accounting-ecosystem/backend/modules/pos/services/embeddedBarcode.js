@@ -0,0 +1,170 @@
+/**
+ * ============================================================================
+ * POS Embedded Barcodes — scale labels with weight or price in the code
+ * ============================================================================
+ * Pure helpers for routes/barcodes.js and checkout (sales.js) — no DB
+ * access, unit tested in tests/pos-embedded-barcodes.test.js.
+ *
+ * A scale label is an EAN-13 in the restricted-circulation range (prefix
+ * 20-29) laid out per the company's rule (barcode_embedded_rules,
+ * migration 082):
+ *
+ *   prefix | item code | [value check digit] | value | EAN check digit
+ *   21     | 01234     |                     | 01235 | 7
+ *
+ * The value fills whatever digits are left, with value_decimals implied
+ * decimals — 01235 at 3 decimals is 1.235 kg; at 2 decimals R 12.35.
+ * ============================================================================
+ */
+
+const VALUE_TYPES = ['weight', 'price'];
+const CHECK_DIGIT_MODES = ['validate', 'ignore'];
+
+// Weighed quantities are kept to the gram (NUMERIC(12,3), migration 082).
+const QUANTITY_DECIMALS = 3;
+
+const round3 = v => Math.round((parseFloat(v) || 0) * 1000) / 1000;
+
+/**
+ * EAN-13 check digit for the first 12 digits.
+ */
+function ean13CheckDigit(digits12) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += parseInt(digits12[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/** Digits left for the value once prefix, item code and value check are placed. */
+function valueLength(rule) {
+  return 12 - String(rule.prefix).length - rule.item_code_length - (rule.value_check_digit ? 1 : 0);
+}
+
+/**
+ * Validate a rule from the settings screen and return the columns to store.
+ * Throws with a readable reason.
+ */
+function normaliseRule(input = {}) {
+  const prefix = String(input.prefix ?? '').trim();
+  if (!/^2\d{1,2}$/.test(prefix)) {
+    throw new Error('prefix must be 2 or 3 digits starting with 2 (the 20-29 in-store range)');
+  }
+  const itemCodeLength = Number(input.item_code_length);
+  if (!Number.isInteger(itemCodeLength) || itemCodeLength < 1) {
+    throw new Error('item_code_length must be a whole number from 1');
+  }
+  const valueType = input.value_type;
+  if (!VALUE_TYPES.includes(valueType)) throw new Error(`value_type must be one of ${VALUE_TYPES.join(', ')}`);
+
+  const decimals = input.value_decimals === undefined || input.value_decimals === null || input.value_decimals === ''
+    ? (valueType === 'weight' ? 3 : 2)
+    : Number(input.value_decimals);
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > (valueType === 'weight' ? 3 : 2)) {
+    throw new Error(valueType === 'weight'
+      ? 'value_decimals for a weight must be 0 to 3'
+      : 'value_decimals for a price must be 0 to 2');
+  }
+
+  const checkDigit = input.check_digit || 'validate';
+  if (!CHECK_DIGIT_MODES.includes(checkDigit)) throw new Error(`check_digit must be one of ${CHECK_DIGIT_MODES.join(', ')}`);
+
+  const rule = {
+    prefix,
+    item_code_length: itemCodeLength,
+    value_type: valueType,
+    value_decimals: decimals,
+    check_digit: checkDigit,
+    value_check_digit: input.value_check_digit === true,
+  };
+  if (valueLength(rule) < 3) {
+    throw new Error(`A ${prefix.length}-digit prefix and ${itemCodeLength}-digit item code leave only ${Math.max(0, valueLength(rule))} digit(s) for the ${valueType} — at least 3 are needed`);
+  }
+  return rule;
+}
+
+/**
+ * The active rule a scanned code falls under, or null — longest prefix wins,
+ * so a company can carve '201' out of a general '20' rule.
+ */
+function matchRule(rules, barcode) {
+  const code = String(barcode || '').trim();
+  if (!/^\d{13}$/.test(code)) return null;
+  return (rules || [])
+    .filter(r => r.is_active !== false && code.startsWith(String(r.prefix)))
+    .sort((a, b) => String(b.prefix).length - String(a.prefix).length)[0] || null;
+}
+
+/**
+ * Split a scale label into its item code and value.
+ * @returns {{ ok:true, itemCode, value_type, weight?, price? } | { ok:false, error }}
+ */
+function decodeEmbedded(barcode, rule) {
+  const code = String(barcode || '').trim();
+  if (!/^\d{13}$/.test(code)) return { ok: false, error: 'A scale label must be a 13-digit EAN-13' };
+  if (rule.check_digit !== 'ignore' && ean13CheckDigit(code.slice(0, 12)) !== parseInt(code[12])) {
+    return { ok: false, error: `Barcode ${code} fails its check digit — rescan the label` };
+  }
+
+  let pos = String(rule.prefix).length;
+  const itemCode = code.slice(pos, pos + rule.item_code_length);
+  pos += rule.item_code_length + (rule.value_check_digit ? 1 : 0);
+  const digits = code.slice(pos, 12);
+  const value = parseInt(digits, 10) / Math.pow(10, rule.value_decimals);
+
+  if (!(value > 0)) return { ok: false, error: `Barcode ${code} carries a zero ${rule.value_type}` };
+  return rule.value_type === 'weight'
+    ? { ok: true, itemCode, value_type: 'weight', weight: round3(value) }
+    : { ok: true, itemCode, value_type: 'price', price: Math.round(value * 100) / 100 };
+}
+
+/**
+ * The form products.scale_plu is stored and looked up in: leading zeros
+ * stripped, so the label's '00123' and a PLU typed as '123' are one code
+ * (an all-zero code stays '0'). Migration 084 holds the column to this
+ * form, so the unique index can't hold both spellings.
+ */
+function normaliseScalePlu(itemCode) {
+  return String(itemCode).replace(/^0+(?=\d)/, '');
+}
+
+/**
+ * The cart line a decoded label becomes for a product priced per kg. A
+ * weight label is the quantity; a price label is what the customer pays, so
+ * the quantity is worked back from the kg price and the label price is kept
+ * to charge exactly.
+ * @returns {{ quantity:number, label_price:number|null }}
+ */
+function labelLine(product, decoded) {
+  if (decoded.value_type === 'weight') return { quantity: decoded.weight, label_price: null };
+  const perKg = parseFloat(product.unit_price) || 0;
+  if (!(perKg > 0)) throw new Error(`"${product.product_name}" has no price per kg to work the weight out from`);
+  return { quantity: Math.max(0.001, round3(decoded.price / perKg)), label_price: decoded.price };
+}
+
+/**
+ * Why `quantity` can't be sold of `product`, or null. Only sold-by-weight
+ * products take fractions, to the gram; everything else sells in whole units.
+ */
+function quantityProblem(product, quantity) {
+  const qty = Number(quantity);
+  if (!(qty > 0) || !isFinite(qty)) return `Quantity for "${product.product_name}" must be greater than 0`;
+  if (product.sold_by_weight) {
+    if (round3(qty) !== qty) return `Quantity for "${product.product_name}" can't be finer than a gram (${QUANTITY_DECIMALS} decimals)`;
+    return null;
+  }
+  if (!Number.isInteger(qty)) return `"${product.product_name}" is sold per unit — the quantity must be a whole number`;
+  return null;
+}
+
+module.exports = {
+  VALUE_TYPES,
+  CHECK_DIGIT_MODES,
+  ean13CheckDigit,
+  normaliseRule,
+  matchRule,
+  decodeEmbedded,
+  normaliseScalePlu,
+  labelLine,
+  quantityProblem,
+};
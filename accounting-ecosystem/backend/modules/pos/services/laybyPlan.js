@@ -0,0 +1,155 @@
+/**
+ * ============================================================================
+ * POS Lay-by Plan — deposit, instalment schedule, arrears and cancellation
+ * ============================================================================
+ * Pure helpers for routes/laybys.js and the lay-by register report — no DB
+ * access, unit tested in tests/pos-laybys.test.js.
+ *
+ * The schedule splits whatever is left after the deposit into equal
+ * instalments. Payments are never tied to a particular instalment: the
+ * amount paid after the deposit is applied to the instalments oldest first,
+ * so paying early or in one lump simply covers the next ones (migration 081).
+ * ============================================================================
+ */
+
+const FREQUENCIES = ['weekly', 'fortnightly', 'monthly'];
+
+// company_settings defaults (migration 081) — also used when a company has
+// no settings row yet.
+const DEFAULT_LAYBY_TERMS = { minDepositPercent: 10, cancellationFeePercent: 10, maxTermDays: 90 };
+
+const toCents = v => Math.round((parseFloat(v) || 0) * 100);
+const round2 = v => Math.round((parseFloat(v) || 0) * 100) / 100;
+
+/** company_settings row (or null) → the company's lay-by terms. */
+function laybyTerms(settings) {
+  const pick = (v, fallback) => (v === null || v === undefined || v === '' || isNaN(parseFloat(v)) ? fallback : parseFloat(v));
+  return {
+    minDepositPercent:      pick(settings?.layby_min_deposit_percent, DEFAULT_LAYBY_TERMS.minDepositPercent),
+    cancellationFeePercent: pick(settings?.layby_cancellation_fee_percent, DEFAULT_LAYBY_TERMS.cancellationFeePercent),
+    maxTermDays:            pick(settings?.layby_max_term_days, DEFAULT_LAYBY_TERMS.maxTermDays),
+  };
+}
+
+/**
+ * The n-th due date after `day`. Monthly dates keep the day of the month,
+ * falling back to the month's last day (31 Jan → 28 Feb → 31 Mar).
+ */
+function addInterval(day, frequency, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  if (frequency === 'monthly') {
+    const dayOfMonth = d.getUTCDate();
+    const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + n, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(dayOfMonth, lastDay));
+    return target.toISOString().substring(0, 10);
+  }
+  d.setUTCDate(d.getUTCDate() + n * (frequency === 'fortnightly' ? 14 : 7));
+  return d.toISOString().substring(0, 10);
+}
+
+function daysBetween(fromDay, toDay) {
+  return Math.round((new Date(`${toDay}T00:00:00Z`) - new Date(`${fromDay}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Check a new agreement against the company's terms and build its schedule.
+ * Throws with a readable reason when the terms aren't met.
+ *
+ * @returns {{ minDeposit:number, schedule:Array<{seq, due_date, amount}>, finalDueDate:string }}
+ */
+function planLayby({ total, deposit, instalmentCount, frequency, startDay, terms = DEFAULT_LAYBY_TERMS }) {
+  const totalCents = toCents(total);
+  const depositCents = toCents(deposit);
+  if (!(totalCents > 0)) throw new Error('A lay-by must have a total greater than 0');
+  if (!FREQUENCIES.includes(frequency)) throw new Error(`frequency must be one of ${FREQUENCIES.join(', ')}`);
+
+  const minDepositCents = Math.ceil(totalCents * terms.minDepositPercent / 100);
+  if (depositCents < minDepositCents) {
+    throw new Error(`The deposit must be at least ${terms.minDepositPercent}% of the total (R ${(minDepositCents / 100).toFixed(2)})`);
+  }
+  if (depositCents >= totalCents) throw new Error('The deposit covers the whole total — ring it up as a sale instead');
+
+  const count = Number(instalmentCount);
+  if (!Number.isInteger(count) || count < 1) throw new Error('instalment_count must be a whole number from 1');
+
+  const remaining = totalCents - depositCents;
+  if (remaining < count) throw new Error('Too many instalments for the balance owing');
+  const base = Math.floor(remaining / count);
+  const extra = remaining - base * count;
+  const schedule = [];
+  for (let i = 1; i <= count; i++) {
+    schedule.push({ seq: i, due_date: addInterval(startDay, frequency, i), amount: (base + (i <= extra ? 1 : 0)) / 100 });
+  }
+
+  const finalDueDate = schedule[schedule.length - 1].due_date;
+  if (daysBetween(startDay, finalDueDate) > terms.maxTermDays) {
+    throw new Error(`The last instalment (${finalDueDate}) falls beyond the ${terms.maxTermDays}-day lay-by limit`);
+  }
+  return { minDeposit: minDepositCents / 100, schedule, finalDueDate };
+}
+
+/**
+ * Where each instalment stands on `day`, given how much has been paid on top
+ * of the deposit. status: paid | overdue | due (today) | upcoming.
+ */
+function instalmentProgress(schedule, paidAfterDeposit, day) {
+  let creditCents = Math.max(0, toCents(paidAfterDeposit));
+  let overdueCents = 0;
+  let firstOverdue = null;
+  let nextDue = null;
+
+  const instalments = [...(schedule || [])]
+    .sort((a, b) => a.seq - b.seq)
+    .map(inst => {
+      const amountCents = toCents(inst.amount);
+      const paidCents = Math.min(amountCents, creditCents);
+      creditCents -= paidCents;
+      const outstandingCents = amountCents - paidCents;
+      const dueDate = String(inst.due_date).substring(0, 10);
+      let status = 'paid';
+      if (outstandingCents > 0) {
+        status = dueDate < day ? 'overdue' : dueDate === day ? 'due' : 'upcoming';
+        if (status === 'overdue') {
+          overdueCents += outstandingCents;
+          if (!firstOverdue) firstOverdue = { seq: inst.seq, due_date: dueDate };
+        } else if (!nextDue) {
+          nextDue = { seq: inst.seq, due_date: dueDate, outstanding: outstandingCents / 100 };
+        }
+      }
+      return { seq: inst.seq, due_date: dueDate, amount: amountCents / 100, paid: paidCents / 100, outstanding: outstandingCents / 100, status };
+    });
+
+  return {
+    instalments,
+    overdueAmount: overdueCents / 100,
+    overdueSince:  firstOverdue ? firstOverdue.due_date : null,
+    daysOverdue:   firstOverdue ? daysBetween(firstOverdue.due_date, day) : 0,
+    firstOverdueSeq: firstOverdue ? firstOverdue.seq : null,
+    nextDue,
+  };
+}
+
+/**
+ * What a cancellation keeps and gives back. The fee is a percentage of the
+ * agreement total unless a manager sets an amount, and never more than the
+ * customer has actually paid.
+ */
+function cancellationSettlement({ total, amountPaid, feePercent, feeAmount }) {
+  const paid = Math.max(0, round2(amountPaid));
+  const fee = feeAmount !== undefined && feeAmount !== null
+    ? Math.max(0, round2(feeAmount))
+    : round2(round2(total) * (parseFloat(feePercent) || 0) / 100);
+  const kept = Math.min(paid, fee);
+  return { fee: kept, refund: round2(paid - kept) };
+}
+
+module.exports = {
+  FREQUENCIES,
+  DEFAULT_LAYBY_TERMS,
+  laybyTerms,
+  addInterval,
+  planLayby,
+  instalmentProgress,
+  cancellationSettlement,
+};
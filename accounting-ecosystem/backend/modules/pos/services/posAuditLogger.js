@@ -38,6 +38,7 @@ const POS_EVENTS = {
     CUSTOMER_ACCOUNT_CHARGE_FAILED: 'CUSTOMER_ACCOUNT_CHARGE_FAILED', // CRITICAL: sale completed but ledger/balance post failed — needs manual reconciliation
     CUSTOMER_ACCOUNT_PAYMENT_RECORDED: 'CUSTOMER_ACCOUNT_PAYMENT_RECORDED',
     CUSTOMER_ACCOUNT_PAYMENT_REPLAYED: 'CUSTOMER_ACCOUNT_PAYMENT_REPLAYED', // idempotency gate returned existing payment
+    CUSTOMER_ACCOUNT_CREDIT_HOLD_BLOCKED: 'CUSTOMER_ACCOUNT_CREDIT_HOLD_BLOCKED', // account tender refused — customer on credit hold (dunning)
 
     // Account sale void/reversal events (Workstream 91)
     CUSTOMER_ACCOUNT_CHARGE_REVERSED:      'CUSTOMER_ACCOUNT_CHARGE_REVERSED',      // void of an account sale reversed its ledger charge + balance
@@ -58,6 +59,23 @@ const POS_EVENTS = {
     ORDER_CANCELLED:        'ORDER_CANCELLED',        // order cancelled before pickup, stock restored, deposit reversed if applicable
     ORDER_REPLAYED:         'ORDER_REPLAYED',         // idempotency gate returned an existing order instead of creating a duplicate
 
+    // Gift cards and store credit (migration 080)
+    VOUCHER_ISSUED:             'VOUCHER_ISSUED',             // gift card sold, or store credit issued (goodwill or return)
+    VOUCHER_REDEEMED:           'VOUCHER_REDEEMED',           // voucher tender taken on a sale
+    VOUCHER_REDEMPTION_FAILED:  'VOUCHER_REDEMPTION_FAILED',  // CRITICAL: sale completed but the voucher balance was not reduced — needs manual reconciliation
+    VOUCHER_RESTORED:           'VOUCHER_RESTORED',           // voided sale's voucher tender put back on the voucher
+    VOUCHER_CANCELLED:          'VOUCHER_CANCELLED',
+    VOUCHER_EXPIRED:            'VOUCHER_EXPIRED',            // past-expiry balances written off
+
+    // Lay-by agreements (migration 081)
+    LAYBY_CREATED:              'LAYBY_CREATED',              // agreement opened, deposit taken, stock reserved
+    LAYBY_PAYMENT_RECEIVED:     'LAYBY_PAYMENT_RECEIVED',
+    LAYBY_PAYMENT_REPLAYED:     'LAYBY_PAYMENT_REPLAYED',     // idempotency gate returned an existing payment
+    LAYBY_COMPLETED:            'LAYBY_COMPLETED',            // paid in full and collected — converted into a sale
+    LAYBY_CANCELLED:            'LAYBY_CANCELLED',            // stock released, paid amount less the fee refunded
+    LAYBY_STOCK_FAILED:         'LAYBY_STOCK_FAILED',         // CRITICAL: reserved stock not released/restored — needs a manual stock adjustment
+    LAYBY_REMINDER_SENT:        'LAYBY_REMINDER_SENT',        // overdue-instalment reminder recorded
+
     // Offline sync events
     OFFLINE_SYNC_RECEIVED:  'OFFLINE_SYNC_RECEIVED', // backend received offline sync POST
     OFFLINE_CONFLICT:       'OFFLINE_CONFLICT',       // 422 stock conflict on sync replay
@@ -96,6 +114,7 @@ const POS_EVENTS = {
     PRODUCT_DEACTIVATED:    'PRODUCT_DEACTIVATED',   // soft delete: is_active = false
     PRODUCT_DELETED:        'PRODUCT_DELETED',       // hard delete (future)
     PRODUCT_IMPORT:         'PRODUCT_IMPORT',        // bulk import (workstream 17)
+    PRODUCT_VARIANTS_GENERATED: 'PRODUCT_VARIANTS_GENERATED', // size/colour/style matrix
 
     // Inventory events
     STOCK_ADJUSTED:              'STOCK_ADJUSTED',
@@ -220,6 +239,7 @@ const EVENT_CATEGORY = {
     CUSTOMER_ACCOUNT_CHARGE_FAILED:     'customer_account',
     CUSTOMER_ACCOUNT_PAYMENT_RECORDED:  'customer_account',
     CUSTOMER_ACCOUNT_PAYMENT_REPLAYED:  'customer_account',
+    CUSTOMER_ACCOUNT_CREDIT_HOLD_BLOCKED: 'customer_account',
     CUSTOMER_ACCOUNT_CHARGE_REVERSED:      'customer_account',
     CUSTOMER_ACCOUNT_REVERSAL_FAILED:      'customer_account',
     CUSTOMER_ACCOUNT_REVERSAL_REPLAYED:    'customer_account',
@@ -233,6 +253,19 @@ const EVENT_CATEGORY = {
     ORDER_FULFILLED:        'sale',
     ORDER_CANCELLED:        'sale',
     ORDER_REPLAYED:         'sale',
+    VOUCHER_ISSUED:             'voucher',
+    VOUCHER_REDEEMED:           'voucher',
+    VOUCHER_REDEMPTION_FAILED:  'voucher',
+    VOUCHER_RESTORED:           'voucher',
+    VOUCHER_CANCELLED:          'voucher',
+    VOUCHER_EXPIRED:            'voucher',
+    LAYBY_CREATED:              'layby',
+    LAYBY_PAYMENT_RECEIVED:     'layby',
+    LAYBY_PAYMENT_REPLAYED:     'layby',
+    LAYBY_COMPLETED:            'layby',
+    LAYBY_CANCELLED:            'layby',
+    LAYBY_STOCK_FAILED:         'layby',
+    LAYBY_REMINDER_SENT:        'layby',
     OFFLINE_SYNC_RECEIVED:  'sync',
     OFFLINE_CONFLICT:       'sync',
     TILL_OPENED:            'session',
@@ -258,6 +291,7 @@ const EVENT_CATEGORY = {
     PRODUCT_DEACTIVATED:    'product',
     PRODUCT_DELETED:        'product',
     PRODUCT_IMPORT:         'product',
+    PRODUCT_VARIANTS_GENERATED: 'product',
     STOCK_ADJUSTED:              'inventory',
     STOCK_TAKE_COMPLETED:        'inventory',
     SUPPLIER_RECEIVE_COMPLETED:  'inventory',
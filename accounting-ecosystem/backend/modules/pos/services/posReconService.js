@@ -46,6 +46,8 @@ function round2(v) {
  *   sales         — completed/voided totals, discount, VAT
  *   sale_payments — payment method breakdown (the only authoritative source)
  *   pos_returns   — refund amounts and methods
+ *   pos_voucher_transactions, pos_layby_payments — money taken on the
+ *                   session that isn't a sale (gift cards, lay-bys)
  *
  * Returns a plain object with all computed totals. Throws on DB error so the
  * caller can decide how to handle it.
@@ -119,6 +121,48 @@ async function computeSessionRecon(sessionId, companyId) {
   if (paidOutErr) throw new Error(`Paid-outs query failed: ${paidOutErr.message}`);
   const paidOutTotal = round2((paidOuts || []).reduce((sum, p) => sum + n(p.amount), 0));
 
+  // 4c. Gift cards sold on this session (migration 080) — not a sale, so
+  // absent from sale_payments, but the money was taken at this till: cash
+  // into the drawer, card and EFT on the same terminals as sales. Store
+  // credit is issued with no payment method and takes no money.
+  const { data: voucherIssues, error: voucherErr } = await supabase
+    .from('pos_voucher_transactions')
+    .select('payment_method, amount')
+    .eq('till_session_id', sessionIdInt)
+    .eq('company_id', companyIdInt)
+    .eq('type', 'issue')
+    .not('payment_method', 'is', null);
+
+  if (voucherErr) throw new Error(`Voucher sales query failed: ${voucherErr.message}`);
+  const voucherByMethod = (voucherIssues || []).reduce((acc, v) => {
+    const method = v.payment_method.toLowerCase();
+    acc[method] = round2((acc[method] || 0) + n(v.amount));
+    return acc;
+  }, {});
+  const voucherSalesCash = round2(voucherByMethod['cash'] || 0);
+  const voucherCard      = round2(voucherByMethod['card'] || 0);
+  const voucherEft       = round2(voucherByMethod['eft']  || 0);
+
+  // 4d. Lay-by money taken (or refunded, negative) on this session
+  // (migration 081) — deposits and instalments are not sales either, and
+  // count at whichever till took them.
+  const { data: laybyPayments, error: laybyErr } = await supabase
+    .from('pos_layby_payments')
+    .select('payment_method, amount')
+    .eq('till_session_id', sessionIdInt)
+    .eq('company_id', companyIdInt);
+
+  if (laybyErr) throw new Error(`Lay-by payments query failed: ${laybyErr.message}`);
+  const laybyByMethod = (laybyPayments || []).reduce((acc, p) => {
+    const method = (p.payment_method || 'cash').toLowerCase();
+    acc[method] = round2((acc[method] || 0) + n(p.amount));
+    return acc;
+  }, {});
+  const laybyCash  = round2(laybyByMethod['cash'] || 0);
+  const laybyCard  = round2(laybyByMethod['card'] || 0);
+  const laybyEft   = round2(laybyByMethod['eft']  || 0);
+  const laybyTotal = round2((laybyPayments || []).reduce((sum, p) => sum + n(p.amount), 0));
+
   // 5. Compute sale totals
   const completedSales = allSales.filter(s => s.status === 'completed');
   const voidedSales    = allSales.filter(s => s.status === 'voided');
@@ -168,8 +212,9 @@ async function computeSessionRecon(sessionId, companyId) {
   // physical drawer. Card/EFT/account are settled elsewhere. Cash paid out
   // mid-shift (migration 071) is physically removed from the same drawer,
   // so it reduces what's expected to be counted at cash-up exactly like a
-  // cash refund does.
-  const expectedCashInDrawer  = round2(openingBalance + paymentCash - refundCash - paidOutTotal);
+  // cash refund does. Gift cards bought with cash and lay-by cash (net of
+  // cancellation refunds) add to it.
+  const expectedCashInDrawer  = round2(openingBalance + paymentCash + voucherSalesCash + laybyCash - refundCash - paidOutTotal);
 
   return {
     session,
@@ -195,6 +240,17 @@ async function computeSessionRecon(sessionId, companyId) {
     refundByMethod,    // full map for JSONB storage
     // Cash paid out mid-shift (migration 071)
     paidOutTotal,
+    // Gift cards sold, by how they were paid (migration 080)
+    voucherSalesCash,
+    voucherCard,
+    voucherEft,
+    voucherByMethod,
+    // Lay-by deposits/instalments less cancellation refunds (migration 081)
+    laybyCash,
+    laybyCard,
+    laybyEft,
+    laybyTotal,
+    laybyByMethod,
     // Derived
     openingBalance,
     netSales,
@@ -0,0 +1,214 @@
+/**
+ * ============================================================================
+ * Product Variants — size / colour / style matrix helpers
+ * ============================================================================
+ * Shared by products.js (matrix generator), import.js (variant CSV rows) and
+ * reports.js (roll-up to the parent) so all three agree on what a variant
+ * combination is and how it is named.
+ *
+ * Model (migration 078): a variant is an ordinary products row with
+ * parent_product_id + variant_attributes ({ size: 'M', colour: 'Black' }).
+ * The parent (is_variant_parent = true) carries variant_options
+ * ([{ name: 'size', values: ['S','M','L'] }, ...]) and is never sold itself.
+ *
+ * Pure functions only — no DB access — so they can be unit tested without
+ * a Supabase connection.
+ * ============================================================================
+ */
+
+// Order here is also the order values appear in names, codes and labels.
+const VARIANT_ATTRIBUTES = ['size', 'colour', 'style'];
+
+const ATTRIBUTE_ALIASES = {
+  size: 'size', sizes: 'size',
+  colour: 'colour', colours: 'colour', color: 'colour', colors: 'colour',
+  style: 'style', styles: 'style',
+};
+
+// A 10-size × 10-colour × 5-style matrix is already more than any client
+// stocks; anything larger is almost certainly a typo in a value list.
+const MAX_VARIANTS = 500;
+
+function attributeName(name) {
+  return ATTRIBUTE_ALIASES[String(name || '').trim().toLowerCase()] || null;
+}
+
+function cleanValue(val) {
+  return val === null || val === undefined ? '' : String(val).trim();
+}
+
+/**
+ * Validate and normalise a variant_options list. Accepts 'color' for
+ * 'colour', drops blank and repeated (case-insensitive) values, and
+ * returns the options in VARIANT_ATTRIBUTES order.
+ */
+function normaliseOptions(options) {
+  if (!Array.isArray(options) || options.length === 0) {
+    throw new Error('options is required — at least one of size, colour or style');
+  }
+  const byName = {};
+  for (const opt of options) {
+    const name = attributeName(opt && opt.name);
+    if (!name) throw new Error(`Variant attribute "${opt && opt.name}" must be one of ${VARIANT_ATTRIBUTES.join(', ')}`);
+    if (byName[name]) throw new Error(`Variant attribute "${name}" is listed twice`);
+    const seen = new Set();
+    const values = [];
+    for (const raw of (Array.isArray(opt.values) ? opt.values : [])) {
+      const v = cleanValue(raw);
+      if (!v || seen.has(v.toLowerCase())) continue;
+      seen.add(v.toLowerCase());
+      values.push(v);
+    }
+    if (values.length === 0) throw new Error(`Variant attribute "${name}" must have at least one value`);
+    byName[name] = values;
+  }
+  const normalised = VARIANT_ATTRIBUTES.filter(n => byName[n]).map(name => ({ name, values: byName[name] }));
+  const count = normalised.reduce((n, o) => n * o.values.length, 1);
+  if (count > MAX_VARIANTS) throw new Error(`A matrix of ${count} variants is too large — the limit is ${MAX_VARIANTS}`);
+  return normalised;
+}
+
+/** Attribute object from a loose source (CSV row, request body), VARIANT_ATTRIBUTES keys only. */
+function variantAttributes(source) {
+  const attrs = {};
+  Object.keys(source || {}).forEach(key => {
+    const name = attributeName(key);
+    const v = cleanValue(source[key]);
+    if (name && v) attrs[name] = v;
+  });
+  return orderAttributes(attrs);
+}
+
+function orderAttributes(attrs) {
+  const ordered = {};
+  VARIANT_ATTRIBUTES.forEach(n => { if (attrs[n]) ordered[n] = attrs[n]; });
+  return ordered;
+}
+
+/** Every combination of the options, in option order (first attribute varies slowest). */
+function buildMatrix(options) {
+  return options.reduce(
+    (combos, opt) => combos.flatMap(c => opt.values.map(v => ({ ...c, [opt.name]: v }))),
+    [{}]
+  ).map(orderAttributes);
+}
+
+/** Case-insensitive identity of a combination — 'colour=black|size=m'. */
+function variantKey(attrs) {
+  return VARIANT_ATTRIBUTES
+    .filter(n => attrs && attrs[n])
+    .map(n => `${n}=${String(attrs[n]).toLowerCase()}`)
+    .join('|');
+}
+
+/** 'M / Black' */
+function variantLabel(attrs) {
+  return VARIANT_ATTRIBUTES.filter(n => attrs && attrs[n]).map(n => attrs[n]).join(' / ');
+}
+
+/** 'TSH001-M-BLACK' — values upper-cased with anything but letters/digits removed. */
+function variantCode(parentCode, attrs) {
+  const parts = VARIANT_ATTRIBUTES
+    .filter(n => attrs && attrs[n])
+    .map(n => String(attrs[n]).toUpperCase().replace(/[^A-Z0-9]/g, ''))
+    .filter(Boolean);
+  return [parentCode, ...parts].join('-');
+}
+
+/** Union of two option lists — values already on the parent keep their order. */
+function mergeOptions(current, added) {
+  const merged = {};
+  [...(current || []), ...(added || [])].forEach(opt => {
+    const name = attributeName(opt.name);
+    if (!name) return;
+    if (!merged[name]) merged[name] = [];
+    opt.values.forEach(v => {
+      if (!merged[name].some(x => x.toLowerCase() === String(v).toLowerCase())) merged[name].push(v);
+    });
+  });
+  return VARIANT_ATTRIBUTES.filter(n => merged[n]).map(name => ({ name, values: merged[name] }));
+}
+
+/**
+ * Work out which variant rows a matrix generation has to create. Existing
+ * variants (matched by variantKey) are left alone, so running the generator
+ * again after adding a size only creates the new size's rows.
+ *
+ * @param {object} parent   products row (product_name, product_code, unit_price, cost_price, ...)
+ * @param {Array}  options  normalised options (normaliseOptions)
+ * @param {Array}  existing variant rows already under the parent
+ * @returns {{ options, toCreate: Array, existing: Array }}
+ */
+function planVariants(parent, options, existing = []) {
+  if (parent.parent_product_id) throw new Error('A variant cannot itself have variants — generate from the parent product');
+  const merged = mergeOptions(parent.variant_options, options);
+  // Adding a whole new attribute would leave every existing variant without
+  // a value for it — those rows would need re-keying, not just new siblings.
+  const before = (parent.variant_options || []).map(o => attributeName(o.name)).sort().join(',');
+  const after = merged.map(o => o.name).sort().join(',');
+  if ((existing || []).length > 0 && before && before !== after) {
+    throw new Error(`Variants already exist by ${before} — new values can be added but the attributes must be ${before}`);
+  }
+  const have = new Map((existing || []).map(v => [variantKey(v.variant_attributes), v]));
+  const toCreate = [];
+  const kept = [];
+  buildMatrix(merged).forEach(attrs => {
+    const found = have.get(variantKey(attrs));
+    if (found) { kept.push(found); return; }
+    toCreate.push({
+      variant_attributes: attrs,
+      product_name: `${parent.product_name} - ${variantLabel(attrs)}`,
+      product_code: variantCode(parent.product_code, attrs),
+    });
+  });
+  const count = toCreate.length + kept.length;
+  if (count > MAX_VARIANTS) throw new Error(`A matrix of ${count} variants is too large — the limit is ${MAX_VARIANTS}`);
+  return { options: merged, toCreate, existing: kept };
+}
+
+/**
+ * Selling and cost price for a new variant. Rules apply in order and a later
+ * matching rule wins, so { size: 'XL' } followed by { size: 'XL', colour: 'Gold' }
+ * prices the gold XL separately; anything no rule matches takes the parent's price.
+ *
+ * @param {object} attrs  variant_attributes
+ * @param {Array}  rules  [{ attributes: { size: 'XL' }, unit_price?, cost_price? }]
+ * @param {object} parent products row
+ */
+function priceFor(attrs, rules, parent) {
+  const price = { unit_price: parseFloat(parent.unit_price) || 0, cost_price: parseFloat(parent.cost_price) || 0 };
+  (Array.isArray(rules) ? rules : []).forEach(rule => {
+    const want = variantAttributes(rule && rule.attributes);
+    const names = Object.keys(want);
+    if (names.length === 0) return;
+    if (!names.every(n => attrs[n] && attrs[n].toLowerCase() === want[n].toLowerCase())) return;
+    if (rule.unit_price != null && rule.unit_price !== '') price.unit_price = parseFloat(rule.unit_price);
+    if (rule.cost_price != null && rule.cost_price !== '') price.cost_price = parseFloat(rule.cost_price);
+  });
+  if (!(price.unit_price >= 0) || !(price.cost_price >= 0)) throw new Error('Variant prices must be non-negative numbers');
+  return price;
+}
+
+/** Options implied by a set of variant rows — used when import builds a parent from its variant lines. */
+function optionsFromVariants(variants) {
+  return mergeOptions([], VARIANT_ATTRIBUTES.map(name => ({
+    name,
+    values: (variants || []).map(v => (v.variant_attributes || {})[name]).filter(Boolean),
+  })).filter(o => o.values.length > 0));
+}
+
+module.exports = {
+  VARIANT_ATTRIBUTES,
+  MAX_VARIANTS,
+  attributeName,
+  normaliseOptions,
+  variantAttributes,
+  buildMatrix,
+  variantKey,
+  variantLabel,
+  variantCode,
+  mergeOptions,
+  planVariants,
+  priceFor,
+  optionsFromVariants,
+};
@@ -0,0 +1,357 @@
+/**
+ * ============================================================================
+ * Promotion Engine — rule-based checkout promotions
+ * ============================================================================
+ * Evaluates pos_promotion_rules (migration 079) against a cart. Called by
+ * sales.js AFTER resolveEffectivePrices() and the per-line manager override,
+ * so the prices a promotion works from are the ones the customer would
+ * otherwise pay, and the till can never skip or re-order it.
+ *
+ * Rule types (config shape in validateRule below):
+ *   buy_x_get_y     — buy 2 get 1 free (3-for-2), buy 1 get 1 half price
+ *   mix_and_match   — any 2 from a category for R99
+ *   quantity_break  — 6+ of a product 10% off, 12+ 15% off
+ *   combo           — burger + chips + drink for R59.99 (meal deal)
+ *   spend_threshold — spend R500, get R50 / 10% off
+ *
+ * Priority and stacking: rules run highest priority first (a spend
+ * threshold runs after item rules of the same priority, so it sees the
+ * already-reduced prices). An 'exclusive' rule only uses units no other
+ * promotion has touched and locks them; a 'stackable' rule may also use
+ * units a stackable rule already discounted, never ones an exclusive rule
+ * locked. Lines carrying a manager price override are left out entirely —
+ * that override is the final word on its line.
+ *
+ * Groupings always take the most expensive qualifying units first and, for
+ * buy-X-get-Y, give away the cheapest unit in each group — the usual
+ * retail convention, and deterministic for a given cart.
+ *
+ * Pure functions only — amounts are worked in cents internally.
+ * ============================================================================
+ */
+
+const RULE_TYPES = ['buy_x_get_y', 'mix_and_match', 'quantity_break', 'combo', 'spend_threshold'];
+const STACKING = ['exclusive', 'stackable'];
+
+// Units per line expanded for count-based rules — far above any real cart line.
+const MAX_UNITS_PER_LINE = 1000;
+
+const cents = n => Math.round((parseFloat(n) || 0) * 100);
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+function isPositiveInt(n) {
+  return Number.isInteger(n) && n > 0;
+}
+
+function idList(list) {
+  return Array.isArray(list) ? [...new Set(list.map(Number).filter(n => Number.isInteger(n) && n > 0))] : [];
+}
+
+/** { product_ids, category_ids } — at least one id unless `optional`. */
+function normaliseScope(src, label, optional = false) {
+  const scope = { product_ids: idList(src && src.product_ids), category_ids: idList(src && src.category_ids) };
+  if (!optional && scope.product_ids.length === 0 && scope.category_ids.length === 0) {
+    throw new Error(`${label} must name at least one product_ids or category_ids entry`);
+  }
+  return scope;
+}
+
+function percent(value, label) {
+  const n = parseFloat(value);
+  if (!(n > 0 && n <= 100)) throw new Error(`${label} must be greater than 0 and at most 100`);
+  return n;
+}
+
+function money(value, label) {
+  const n = parseFloat(value);
+  if (!(n >= 0)) throw new Error(`${label} must be a non-negative amount`);
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Validate a rule body and return the columns to store. Throws with a
+ * 'must be' / 'is required' message on bad input (route maps those to 400).
+ */
+function validateRule(body) {
+  const b = body || {};
+  const name = String(b.name || '').trim();
+  if (!name) throw new Error('name is required');
+  if (!RULE_TYPES.includes(b.rule_type)) throw new Error(`rule_type must be one of ${RULE_TYPES.join(', ')}`);
+  const stacking = b.stacking || 'exclusive';
+  if (!STACKING.includes(stacking)) throw new Error("stacking must be 'exclusive' or 'stackable'");
+  const priority = b.priority === undefined || b.priority === null || b.priority === '' ? 0 : Number(b.priority);
+  if (!Number.isInteger(priority)) throw new Error('priority must be a whole number');
+
+  const c = b.config || {};
+  let config;
+  switch (b.rule_type) {
+    case 'buy_x_get_y': {
+      const buy = Number(c.buy_qty);
+      const get = Number(c.get_qty);
+      if (!isPositiveInt(buy) || !isPositiveInt(get)) throw new Error('buy_qty and get_qty must be whole numbers of 1 or more');
+      config = {
+        ...normaliseScope(c, 'A buy-X-get-Y rule'),
+        buy_qty: buy,
+        get_qty: get,
+        get_discount_percent: c.get_discount_percent == null ? 100 : percent(c.get_discount_percent, 'get_discount_percent'),
+      };
+      break;
+    }
+    case 'mix_and_match': {
+      const quantity = Number(c.quantity);
+      if (!isPositiveInt(quantity) || quantity < 2) throw new Error('quantity must be a whole number of 2 or more');
+      config = { ...normaliseScope(c, 'A mix-and-match rule'), quantity, price: money(c.price, 'price') };
+      break;
+    }
+    case 'quantity_break': {
+      if (!Array.isArray(c.breaks) || c.breaks.length === 0) throw new Error('breaks is required — e.g. [{ min_qty: 6, discount_percent: 10 }]');
+      const breaks = c.breaks.map(br => {
+        const minQty = Number(br.min_qty);
+        if (!isPositiveInt(minQty) || minQty < 2) throw new Error('Each break min_qty must be a whole number of 2 or more');
+        if ((br.discount_percent == null) === (br.unit_price == null)) {
+          throw new Error('Each break must be either a discount_percent or a unit_price');
+        }
+        return br.discount_percent != null
+          ? { min_qty: minQty, discount_percent: percent(br.discount_percent, 'discount_percent') }
+          : { min_qty: minQty, unit_price: money(br.unit_price, 'unit_price') };
+      }).sort((a, z) => a.min_qty - z.min_qty);
+      if (new Set(breaks.map(br => br.min_qty)).size !== breaks.length) throw new Error('Each break min_qty must be different');
+      config = { ...normaliseScope(c, 'A quantity-break rule'), breaks };
+      break;
+    }
+    case 'combo': {
+      if (!Array.isArray(c.components) || c.components.length < 2) throw new Error('components must list at least two parts of the combo');
+      const components = c.components.map((comp, i) => {
+        const quantity = comp.quantity == null ? 1 : Number(comp.quantity);
+        if (!isPositiveInt(quantity)) throw new Error('Each component quantity must be a whole number of 1 or more');
+        return { ...normaliseScope(comp, `Combo component ${i + 1}`), quantity };
+      });
+      config = { components, price: money(c.price, 'price') };
+      break;
+    }
+    case 'spend_threshold': {
+      const minSpend = parseFloat(c.min_spend);
+      if (!(minSpend > 0)) throw new Error('min_spend must be greater than 0');
+      if ((c.discount_percent == null) === (c.discount_amount == null)) {
+        throw new Error('A spend threshold must be either a discount_percent or a discount_amount');
+      }
+      config = {
+        ...normaliseScope(c, 'A spend threshold', true),
+        min_spend: Math.round(minSpend * 100) / 100,
+        ...(c.discount_percent != null
+          ? { discount_percent: percent(c.discount_percent, 'discount_percent') }
+          : { discount_amount: money(c.discount_amount, 'discount_amount') }),
+      };
+      if (config.discount_amount === 0) throw new Error('discount_amount must be greater than 0');
+      break;
+    }
+    default:
+      break;
+  }
+
+  return {
+    name,
+    rule_type: b.rule_type,
+    priority,
+    stacking,
+    config,
+    valid_from:  b.valid_from || null,
+    valid_until: b.valid_until || null,
+  };
+}
+
+/** True when a stored rule applies on `day` (YYYY-MM-DD). */
+function isRuleActive(rule, day) {
+  if (rule.is_active === false) return false;
+  if (rule.valid_from && rule.valid_from > day) return false;
+  if (rule.valid_until && rule.valid_until < day) return false;
+  return true;
+}
+
+// ─── Evaluation ──────────────────────────────────────────────────────────────
+
+function inScope(scope, line) {
+  const p = scope.product_ids || [];
+  const c = scope.category_ids || [];
+  if (p.length === 0 && c.length === 0) return true;
+  return p.includes(Number(line.product_id)) || (line.category_id != null && c.includes(Number(line.category_id)));
+}
+
+/**
+ * Spread `amount` cents over units in proportion to what each still costs,
+ * never taking a unit below zero. Returns the cents actually given.
+ */
+function spread(units, amount) {
+  const pool = units.reduce((s, u) => s + u.price, 0);
+  const total = Math.min(amount, pool);
+  if (total <= 0) return 0;
+  let given = 0;
+  const exact = units.map(u => (total * u.price) / pool);
+  const shares = exact.map(x => {
+    const share = Math.floor(x);
+    given += share;
+    return share;
+  });
+  // Leftover cents to the largest fractional shares (ties: dearest unit)
+  const order = units.map((u, i) => i).sort((a, z) =>
+    (exact[z] - shares[z]) - (exact[a] - shares[a]) || units[z].price - units[a].price);
+  for (let k = 0; given < total; k = (k + 1) % order.length) {
+    const i = order[k];
+    if (shares[i] < units[i].price) { shares[i]++; given++; }
+  }
+  units.forEach((u, i) => { u.price -= shares[i]; u.discount += shares[i]; u.pending = shares[i]; });
+  return total;
+}
+
+/**
+ * Apply promotion rules to a cart.
+ *
+ * @param {Array} lines  [{ product_id, category_id, quantity, unit_price, excluded? }]
+ *                       unit_price is the already-resolved effective price
+ * @param {Array} rules  stored pos_promotion_rules rows (already filtered to active)
+ * @returns {{ lineDiscounts: number[], applied: Array, total: number }}
+ */
+function applyPromotions(lines, rules) {
+  // One entry per countable unit; a fractional (weighed) quantity stays one
+  // uncountable unit carrying the whole line amount — it can count towards
+  // a spend threshold but never towards "buy 3" style rules.
+  const units = [];
+  (lines || []).forEach((line, index) => {
+    if (line.excluded) return;
+    const qty = parseFloat(line.quantity) || 0;
+    const price = cents(line.unit_price);
+    if (qty <= 0 || price <= 0) return;
+    if (Number.isInteger(qty) && qty <= MAX_UNITS_PER_LINE) {
+      for (let i = 0; i < qty; i++) {
+        units.push({ index, line, price, discount: 0, countable: true, touched: false, locked: false });
+      }
+    } else {
+      units.push({ index, line, price: Math.round(price * qty), discount: 0, countable: false, touched: false, locked: false });
+    }
+  });
+
+  const ordered = [...(rules || [])].sort((a, z) =>
+    (Number(z.priority) || 0) - (Number(a.priority) || 0) ||
+    (a.rule_type === 'spend_threshold') - (z.rule_type === 'spend_threshold') ||
+    (Number(a.id) || 0) - (Number(z.id) || 0)
+  );
+
+  const applied = [];
+  for (const rule of ordered) {
+    const exclusive = rule.stacking !== 'stackable';
+    const c = rule.config || {};
+    const open = u => (exclusive ? !u.touched : !u.locked);
+    const eligible = (scope, countable = true) => units
+      .filter(u => open(u) && (!countable || u.countable) && inScope(scope, u.line))
+      .sort((a, z) => z.price - a.price || a.index - z.index);
+    units.forEach(u => { u.pending = 0; });
+    const used = [];
+    let times = 0;
+    let discount = 0;
+
+    if (rule.rule_type === 'buy_x_get_y') {
+      const pool = eligible(c);
+      const size = c.buy_qty + c.get_qty;
+      for (let i = 0; i + size <= pool.length; i += size) {
+        const group = pool.slice(i, i + size);
+        const free = group.slice(c.buy_qty);
+        const give = free.reduce((s, u) => s + Math.round((u.price * c.get_discount_percent) / 100), 0);
+        discount += spread(free, give);
+        used.push(...group);
+        times++;
+      }
+    } else if (rule.rule_type === 'mix_and_match') {
+      const pool = eligible(c);
+      const target = cents(c.price);
+      for (let i = 0; i + c.quantity <= pool.length; i += c.quantity) {
+        const set = pool.slice(i, i + c.quantity);
+        const value = set.reduce((s, u) => s + u.price, 0);
+        if (value <= target) break;   // sorted dearest first — later sets are cheaper still
+        discount += spread(set, value - target);
+        used.push(...set);
+        times++;
+      }
+    } else if (rule.rule_type === 'quantity_break') {
+      const byProduct = new Map();
+      eligible(c).forEach(u => {
+        if (!byProduct.has(u.line.product_id)) byProduct.set(u.line.product_id, []);
+        byProduct.get(u.line.product_id).push(u);
+      });
+      for (const group of byProduct.values()) {
+        const tier = c.breaks.filter(br => group.length >= br.min_qty).pop();
+        if (!tier) continue;
+        const give = group.reduce((s, u) => s + (tier.discount_percent != null
+          ? Math.round((u.price * tier.discount_percent) / 100)
+          : Math.max(0, u.price - cents(tier.unit_price))), 0);
+        if (give <= 0) continue;
+        discount += spread(group, give);
+        used.push(...group);
+        times++;
+      }
+    } else if (rule.rule_type === 'combo') {
+      const target = cents(c.price);
+      const taken = new Set();
+      for (;;) {
+        const set = [];
+        for (const comp of c.components) {
+          const picks = eligible(comp).filter(u => !taken.has(u) && !set.includes(u)).slice(0, comp.quantity);
+          if (picks.length < comp.quantity) { set.length = 0; break; }
+          set.push(...picks);
+        }
+        if (set.length === 0) break;
+        const value = set.reduce((s, u) => s + u.price, 0);
+        if (value <= target) break;
+        set.forEach(u => taken.add(u));
+        discount += spread(set, value - target);
+        used.push(...set);
+        times++;
+      }
+    } else if (rule.rule_type === 'spend_threshold') {
+      const pool = eligible(c, false);
+      const spend = pool.reduce((s, u) => s + u.price, 0);
+      if (spend > 0 && spend >= cents(c.min_spend)) {
+        const give = c.discount_percent != null ? Math.round((spend * c.discount_percent) / 100) : cents(c.discount_amount);
+        discount += spread(pool, give);
+        used.push(...pool);
+        times = 1;
+      }
+    }
+
+    if (discount <= 0) continue;
+    used.forEach(u => { u.touched = true; if (exclusive) u.locked = true; });
+
+    const items = new Map();
+    used.forEach(u => {
+      const key = u.line.product_id;
+      if (!items.has(key)) items.set(key, { product_id: key, quantity: 0, discount: 0 });
+      const item = items.get(key);
+      item.quantity += u.countable ? 1 : parseFloat(u.line.quantity) || 0;
+      item.discount += u.pending;
+    });
+    applied.push({
+      rule_id:   rule.id,
+      name:      rule.name,
+      rule_type: rule.rule_type,
+      times,
+      discount:  discount / 100,
+      items:     [...items.values()].map(i => ({ ...i, discount: i.discount / 100 })),
+    });
+  }
+
+  const lineDiscounts = (lines || []).map(() => 0);
+  units.forEach(u => { lineDiscounts[u.index] += u.discount; });
+  return {
+    lineDiscounts: lineDiscounts.map(d => d / 100),
+    applied,
+    total: lineDiscounts.reduce((s, d) => s + d, 0) / 100,
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  STACKING,
+  validateRule,
+  isRuleActive,
+  applyPromotions,
+};
@@ -0,0 +1,339 @@
+/**
+ * ============================================================================
+ * POS Voucher Ledger — gift cards and store credit
+ * ============================================================================
+ * Shared by vouchers.js (issue / look up / cancel / expire), sales.js
+ * (voucher tender, store-credit refunds, restoring a voided sale's
+ * redemption), reports.js (outstanding liability) and the accounting
+ * pos-bridge.js (voucher GL journal).
+ *
+ * Same rules as the customer account ledger in sales.js: a voucher's
+ * balance is only ever moved by a compare-and-swap on pos_vouchers.balance
+ * together with a new signed pos_voucher_transactions row, so the ledger
+ * always sums to the balance and two tills spending the same card at the
+ * same moment can never both succeed (migration 080). Tenders on a sale
+ * are the exception: create_sale_with_vouchers takes them with the same
+ * guarded update inside the sale transaction (migration 083), so a sale
+ * whose voucher lost the race is never saved.
+ *
+ * The pure helpers at the top take no DB handle and are unit tested; the
+ * two writers at the bottom take the caller's supabase client, like
+ * customerCreditHold.js.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+const VOUCHER_TYPES = ['gift_card', 'store_credit'];
+const CODE_PREFIX = { gift_card: 'GC', store_credit: 'SC' };
+
+// No 0/O or 1/I — codes get read out over the phone and typed in by hand
+// when a barcode won't scan. 32 symbols, so a random byte maps without bias.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+
+// Consumer Protection Act s63: a prepaid voucher may not expire sooner than
+// three years after it was issued.
+const MIN_VALIDITY_YEARS = 3;
+
+const round2 = v => Math.round((parseFloat(v) || 0) * 100) / 100;
+
+/** 'GC7KQ2M9XHT4PW' — type prefix + 12 random symbols. */
+function generateVoucherCode(type, randomBytes = crypto.randomBytes) {
+  const bytes = randomBytes(CODE_LENGTH);
+  let code = CODE_PREFIX[type] || 'GC';
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  return code;
+}
+
+/** Scanned or typed code → stored form: upper case, no spaces or dashes. */
+function normaliseVoucherCode(raw) {
+  return String(raw == null ? '' : raw).toUpperCase().replace(/[\s-]/g, '');
+}
+
+/** Issue date + MIN_VALIDITY_YEARS, as YYYY-MM-DD. */
+function minimumExpiry(issueDay) {
+  const d = new Date(`${issueDay}T00:00:00Z`);
+  d.setUTCFullYear(d.getUTCFullYear() + MIN_VALIDITY_YEARS);
+  return d.toISOString().substring(0, 10);
+}
+
+/**
+ * expires_on for a new voucher — defaults to the legal minimum, and a
+ * shorter date is refused. null (never expires) is allowed.
+ */
+function resolveExpiry(expiresOn, issueDay) {
+  if (expiresOn === undefined || expiresOn === '') return minimumExpiry(issueDay);
+  if (expiresOn === null) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(expiresOn))) throw new Error('expires_on must be a date (YYYY-MM-DD)');
+  const min = minimumExpiry(issueDay);
+  if (expiresOn < min) throw new Error(`expires_on must be on or after ${min} — vouchers must stay valid for at least ${MIN_VALIDITY_YEARS} years`);
+  return expiresOn;
+}
+
+/** Why a voucher can't be spent on `day`, or null when it can. */
+function voucherProblem(voucher, day) {
+  if (!voucher) return 'Voucher not found';
+  if (voucher.status === 'cancelled') return `Voucher ${voucher.code} has been cancelled`;
+  if (voucher.status === 'expired' || (voucher.expires_on && voucher.expires_on < day)) {
+    return `Voucher ${voucher.code} expired on ${voucher.expires_on}`;
+  }
+  if (round2(voucher.balance) <= 0) return `Voucher ${voucher.code} has no balance left`;
+  return null;
+}
+
+/**
+ * Check the voucher legs of a sale's payments split before the sale is
+ * created. Each leg is { payment_method: 'voucher', voucher_code (or
+ * reference), amount }; the same voucher may appear on several legs.
+ *
+ * @param {Array}  payments        normalised payments array
+ * @param {Map}    vouchersByCode  code -> pos_vouchers row
+ * @param {number} totalAmount     sale total the tenders pay towards
+ * @param {string} day             YYYY-MM-DD
+ * @returns {{ok:true, redemptions:Array<{voucher, amount}>}|{ok:false, status:number, error:string}}
+ */
+function planVoucherTenders(payments, vouchersByCode, totalAmount, day) {
+  const byCode = new Map();
+  for (const p of (payments || []).filter(leg => leg.payment_method === 'voucher')) {
+    const code = normaliseVoucherCode(p.voucher_code ?? p.voucherCode ?? p.reference);
+    const amount = round2(p.amount);
+    if (!code) return { ok: false, status: 400, error: 'voucher_code is required on a voucher payment' };
+    if (!(amount > 0)) return { ok: false, status: 400, error: 'A voucher payment amount must be greater than 0' };
+    byCode.set(code, round2((byCode.get(code) || 0) + amount));
+  }
+
+  const redemptions = [];
+  for (const [code, amount] of byCode) {
+    const voucher = vouchersByCode.get(code);
+    const problem = voucherProblem(voucher, day);
+    if (problem) return { ok: false, status: voucher ? 409 : 404, error: voucher ? problem : `Voucher ${code} not found` };
+    if (amount > round2(voucher.balance)) {
+      return { ok: false, status: 409, error: `Voucher ${code} only has R ${round2(voucher.balance).toFixed(2)} left` };
+    }
+    redemptions.push({ voucher, amount });
+  }
+
+  const tendered = round2(redemptions.reduce((s, r) => s + r.amount, 0));
+  // No change is given out of a voucher — it may pay up to the total, never more.
+  if (tendered > round2(totalAmount) + 0.005) {
+    return { ok: false, status: 400, error: 'Voucher payments cannot exceed the sale total — the rest stays on the voucher' };
+  }
+  return { ok: true, redemptions };
+}
+
+/**
+ * Outstanding voucher liability from pos_vouchers rows. A voucher past its
+ * expiry date is still a liability until it is written off (POST
+ * /vouchers/expire), so it is shown separately as `overdue`.
+ */
+function summariseLiability(vouchers, day) {
+  const in30 = new Date(`${day}T00:00:00Z`);
+  in30.setUTCDate(in30.getUTCDate() + 30);
+  const in90 = new Date(`${day}T00:00:00Z`);
+  in90.setUTCDate(in90.getUTCDate() + 90);
+  const d30 = in30.toISOString().substring(0, 10);
+  const d90 = in90.toISOString().substring(0, 10);
+
+  const summary = {
+    count: 0,
+    outstanding: 0,
+    byType: { gift_card: 0, store_credit: 0 },
+    byExpiry: { overdue: 0, within30Days: 0, within90Days: 0, later: 0, noExpiry: 0 },
+  };
+  for (const v of vouchers || []) {
+    const balance = round2(v.balance);
+    if (!['active', 'redeemed'].includes(v.status) || balance <= 0) continue;
+    summary.count++;
+    summary.outstanding += balance;
+    summary.byType[v.voucher_type] = (summary.byType[v.voucher_type] || 0) + balance;
+    const bucket = !v.expires_on ? 'noExpiry'
+      : v.expires_on < day ? 'overdue'
+        : v.expires_on <= d30 ? 'within30Days'
+          : v.expires_on <= d90 ? 'within90Days' : 'later';
+    summary.byExpiry[bucket] += balance;
+  }
+  summary.outstanding = round2(summary.outstanding);
+  Object.keys(summary.byType).forEach(k => { summary.byType[k] = round2(summary.byType[k]); });
+  Object.keys(summary.byExpiry).forEach(k => { summary.byExpiry[k] = round2(summary.byExpiry[k]); });
+  return summary;
+}
+
+/**
+ * Journal lines for a batch of unposted pos_voucher_transactions rows.
+ * Only an issue with a payment_method brought money in (a gift card sold at
+ * the till); one without (goodwill store credit, store credit refunded on a
+ * return) is a sales allowance, so it is charged to the returns account:
+ *
+ *   issue, paid                Dr clearing   Cr voucher liability
+ *   issue, unpaid              Dr returns    Cr voucher liability
+ *   redeem / redeem_reversal   Dr liability  Cr clearing (net)
+ *   expire / cancel            Dr liability  Cr breakage income
+ *
+ * A leg that nets negative (more restored than redeemed) flips sides rather
+ * than posting a negative amount.
+ *
+ * @param {object} accounts — { clearing, liability, breakage, returns } account ids
+ * @returns {{ totals:{ issued, creditIssued, redeemed, writtenOff }, lines:object[] }}
+ */
+function voucherJournal(rows, accounts, toDate) {
+  const totals = { issued: 0, creditIssued: 0, redeemed: 0, writtenOff: 0 };
+  for (const r of rows || []) {
+    const amount = parseFloat(r.amount) || 0;
+    if (r.type === 'issue') totals[r.payment_method ? 'issued' : 'creditIssued'] += amount;
+    else if (r.type === 'redeem' || r.type === 'redeem_reversal') totals.redeemed -= amount;
+    else totals.writtenOff -= amount;
+  }
+  Object.keys(totals).forEach(k => { totals[k] = round2(totals[k]); });
+
+  const lines = [];
+  const leg = (amount, drAccountId, crAccountId, description) => {
+    if (Math.abs(amount) < 0.005) return;
+    const [dr, cr] = amount > 0 ? [drAccountId, crAccountId] : [crAccountId, drAccountId];
+    const value = Math.abs(amount);
+    lines.push({ accountId: dr, debit: value, credit: 0, description });
+    lines.push({ accountId: cr, debit: 0, credit: value, description });
+  };
+  leg(totals.issued,       accounts.clearing,  accounts.liability, `POS vouchers sold to ${toDate}`);
+  leg(totals.creditIssued, accounts.returns,   accounts.liability, `POS store credit issued to ${toDate}`);
+  leg(totals.redeemed,     accounts.liability, accounts.clearing,  `POS vouchers redeemed to ${toDate}`);
+  leg(totals.writtenOff,   accounts.liability, accounts.breakage,  `POS vouchers expired/cancelled to ${toDate}`);
+  return { totals, lines };
+}
+
+// ─── Writers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Move a voucher's balance by `amount` (signed) and append the ledger row.
+ * Compare-and-swap on the balance, retried on a lost race, exactly like
+ * adjustCustomerAccountLedger in sales.js. A 'redeem' never takes a voucher
+ * below zero and only spends an active, unexpired voucher.
+ *
+ * idempotencyGuard: column/value pairs — if a ledger row already matches
+ * them all it is returned unchanged (wasDuplicate: true), so a retried
+ * redemption or void can't move the balance twice.
+ *
+ * @returns {Promise<{ok:true, transaction, voucher, wasDuplicate?:boolean}|{ok:false, error}>}
+ */
+async function adjustVoucherBalance(supabase, {
+  companyId, voucherId, amount, type, saleId = null, returnId = null, tillSessionId = null,
+  paymentMethod = null, reference = null, userId = null, idempotencyGuard = null, day = null,
+}) {
+  if (idempotencyGuard) {
+    let guardQuery = supabase.from('pos_voucher_transactions').select('*').eq('company_id', companyId);
+    for (const [col, val] of Object.entries(idempotencyGuard)) guardQuery = guardQuery.eq(col, val);
+    const { data: existing } = await guardQuery.maybeSingle();
+    if (existing) return { ok: true, transaction: existing, voucher: null, wasDuplicate: true };
+  }
+
+  const MAX_ATTEMPTS = 5;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const { data: voucher, error: vErr } = await supabase
+      .from('pos_vouchers').select('*')
+      .eq('id', voucherId).eq('company_id', companyId).maybeSingle();
+    if (vErr || !voucher) return { ok: false, error: vErr ? vErr.message : 'Voucher not found' };
+
+    if (type === 'redeem') {
+      const problem = voucherProblem(voucher, day || new Date().toISOString().substring(0, 10));
+      if (problem) return { ok: false, error: problem };
+    }
+    const oldBalance = round2(voucher.balance);
+    const newBalance = round2(oldBalance + amount);
+    if (newBalance < 0) return { ok: false, error: `Voucher ${voucher.code} only has R ${oldBalance.toFixed(2)} left` };
+
+    let status = voucher.status;
+    if (type === 'expire') status = 'expired';
+    else if (type === 'cancel') status = 'cancelled';
+    else if (status === 'active' || status === 'redeemed') status = newBalance > 0 ? 'active' : 'redeemed';
+
+    const { data: updated, error: updErr } = await supabase
+      .from('pos_vouchers')
+      .update({ balance: newBalance, status, updated_at: new Date().toISOString() })
+      .eq('id', voucherId).eq('company_id', companyId).eq('balance', oldBalance)
+      .select().maybeSingle();
+    if (updErr) return { ok: false, error: updErr.message };
+    if (!updated) continue; // lost the race — another till moved the balance; retry
+
+    const { data: tx, error: txErr } = await supabase
+      .from('pos_voucher_transactions')
+      .insert({
+        company_id: companyId, voucher_id: voucherId, type, amount: round2(amount), balance_after: newBalance,
+        sale_id: saleId, return_id: returnId, till_session_id: tillSessionId,
+        payment_method: paymentMethod, reference, created_by: userId,
+      })
+      .select().single();
+    if (txErr) return { ok: false, error: txErr.message };
+
+    return { ok: true, transaction: tx, voucher: updated };
+  }
+  return { ok: false, error: `Voucher balance update lost the compare-and-swap race ${MAX_ATTEMPTS} times in a row` };
+}
+
+/**
+ * Create a voucher and its opening 'issue' ledger row. A generated code is
+ * retried on the (vanishingly rare) unique-constraint clash; a code the
+ * caller supplied (a pre-printed card) that is already in use is refused.
+ *
+ * @returns {Promise<{ok:true, voucher, transaction}|{ok:false, status:number, error:string}>}
+ */
+async function issueVoucher(supabase, {
+  companyId, voucherType, amount, expiresOn, code = null, customerId = null, returnId = null,
+  tillSessionId = null, paymentMethod = null, reference = null, notes = null, userId = null,
+}) {
+  const value = round2(amount);
+  let voucher = null;
+  for (let attempt = 1; attempt <= 5 && !voucher; attempt++) {
+    const { data, error } = await supabase
+      .from('pos_vouchers')
+      .insert({
+        company_id:       companyId,
+        code:             code ? normaliseVoucherCode(code) : generateVoucherCode(voucherType),
+        voucher_type:     voucherType,
+        initial_amount:   value,
+        balance:          value,
+        status:           'active',
+        expires_on:       expiresOn,
+        customer_id:      customerId,
+        issued_return_id: returnId,
+        notes,
+        issued_by:        userId,
+      })
+      .select().single();
+    if (!error) { voucher = data; break; }
+    if (error.code !== '23505') return { ok: false, status: 500, error: error.message };
+    if (code) return { ok: false, status: 409, error: `Voucher code ${normaliseVoucherCode(code)} is already in use` };
+    if (returnId) return { ok: false, status: 409, error: 'Store credit has already been issued for this return' };
+  }
+  if (!voucher) return { ok: false, status: 500, error: 'Could not generate a unique voucher code' };
+
+  const { data: tx, error: txErr } = await supabase
+    .from('pos_voucher_transactions')
+    .insert({
+      company_id: companyId, voucher_id: voucher.id, type: 'issue', amount: value, balance_after: value,
+      return_id: returnId, till_session_id: tillSessionId, payment_method: paymentMethod,
+      reference: reference || voucher.code, created_by: userId,
+    })
+    .select().single();
+  if (txErr) {
+    // A voucher without its opening ledger row would put the ledger out of
+    // step with the balance — remove it rather than leave it spendable.
+    await supabase.from('pos_vouchers').delete().eq('id', voucher.id).eq('company_id', companyId);
+    return { ok: false, status: 500, error: txErr.message };
+  }
+  return { ok: true, voucher, transaction: tx };
+}
+
+module.exports = {
+  VOUCHER_TYPES,
+  MIN_VALIDITY_YEARS,
+  generateVoucherCode,
+  normaliseVoucherCode,
+  minimumExpiry,
+  resolveExpiry,
+  voucherProblem,
+  planVoucherTenders,
+  summariseLiability,
+  voucherJournal,
+  adjustVoucherBalance,
+  issueVoucher,
+};
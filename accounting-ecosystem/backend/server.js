@@ -807,6 +807,11 @@ async function start() {
     console.log(`\n   Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`   Database:    Supabase`);
     console.log('─'.repeat(58) + '\n');
+
+    // 6. Background jobs — recurring invoices/journals (RECURRING_SCHEDULER_ENABLED=false to disable)
+    if (accountingRoutes) {
+      require('./modules/accounting/services/recurringScheduler').start();
+    }
   });
 
   // Handle graceful shutdown
@@ -1,20 +1,62 @@
 /**
  * Email Service Placeholder
  * Future: integrate with SendGrid, Mailgun, etc.
+ *
+ * Until a transport is wired in, sendEmail refuses with a 503 instead of
+ * reporting a send that never happened. Callers with another way to reach
+ * the recipient check isEmailConfigured() first.
  */
 
-async function sendEmail({ to, subject, body, html }) {
-  console.log(`📧 Email queued: To=${to}, Subject=${subject}`);
-  // TODO: Implement actual email sending
-  return { success: true, message: 'Email service not yet configured' };
+const { serviceError } = require('../utils/serviceError');
+
+/** Whether a mail transport is configured — false until one is integrated. */
+function isEmailConfigured() {
+  return false;
 }
 
-async function sendPayslipEmail(employee, payslipPdf) {
+/**
+ * @param {{ to: string, subject: string, body?: string, html?: string, attachments?: object[] }} message
+ * @throws 503 while no transport is configured
+ */
+async function sendEmail(message) {
+  throw serviceError(503, 'Email is not configured on this server — nothing was sent');
+}
+
+/**
+ * Email a payslip PDF to the employee.
+ * @param {object} employee — employees row (email, first_name, last_name) or { email, full_name }
+ * @param {{ periodKey: string, fileName: string, pdf: Buffer }} payslip — the password-protected
+ *        PDF from SelfServiceService.payslipPdf
+ */
+async function sendPayslipEmail(employee, payslip) {
+  if (!employee.email) throw serviceError(400, 'An email address is required on the employee record');
+  const name = employee.full_name || `${employee.first_name || ''} ${employee.last_name || ''}`.trim();
   return sendEmail({
     to: employee.email,
-    subject: `Payslip - ${employee.full_name}`,
-    body: 'Please find your payslip attached.',
+    subject: `Payslip ${payslip.periodKey} - ${name}`,
+    body: 'Please find your payslip attached. It opens with your ID number ' +
+          '(your tax number if no ID number is on record).',
+    attachments: [{ filename: payslip.fileName, content: payslip.pdf, contentType: 'application/pdf' }],
+  });
+}
+
+/**
+ * Remind a POS customer of an overdue lay-by instalment.
+ * @param {object} customer — customers row (email, name)
+ * @param {{ laybyNumber: string, overdueAmount: number, overdueSince: string, balance: number, finalDueDate: string }} layby
+ */
+async function sendLaybyReminderEmail(customer, layby) {
+  if (!customer.email) throw serviceError(400, 'An email address is required on the customer record');
+  const money = v => `R ${Number(v).toFixed(2)}`;
+  return sendEmail({
+    to: customer.email,
+    subject: `Lay-by ${layby.laybyNumber} - payment overdue`,
+    body: `Dear ${customer.name || 'customer'},\n\n` +
+          `A payment of ${money(layby.overdueAmount)} on your lay-by ${layby.laybyNumber} has been due since ` +
+          `${layby.overdueSince}. The balance still owing is ${money(layby.balance)}, to be paid by ` +
+          `${layby.finalDueDate}.\n\nPayments can be made at any of our tills. If you have already paid, ` +
+          'please ignore this reminder.',
   });
 }
 
-module.exports = { sendEmail, sendPayslipEmail };
+module.exports = { isEmailConfigured, sendEmail, sendPayslipEmail, sendLaybyReminderEmail };
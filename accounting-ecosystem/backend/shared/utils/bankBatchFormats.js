@@ -0,0 +1,257 @@
+'use strict';
+
+/**
+ * ============================================================================
+ * Bank Batch File Formats — server-side
+ * ============================================================================
+ * SA bank EFT batch files: ABSA and FNB (fixed-width), Standard Bank and
+ * Nedbank (CSV). The record layouts are the ones frontend-payroll/js/
+ * banking-formats.js produces for salary runs, so a bank profile that
+ * already accepts the payroll file accepts these too.
+ *
+ * 'acb' is a generic fixed-width ACB credit layout (100-character records,
+ * trailer with an account-number hash total) for banks and bureaus that
+ * take a standard ACB file rather than one of the four bank profiles.
+ *
+ * Pure — no DB access. Callers load company codes and beneficiaries and
+ * decide what to do with the file (download, store, hash).
+ *
+ * Usage:
+ *   const { generateBatch, validateBeneficiaries } = require('../../../shared/utils/bankBatchFormats');
+ *   const errors = validateBeneficiaries(payments, 'fnb');
+ *   const file = generateBatch('fnb', {
+ *     company:  { name, absaUserCode, fnbOriginatorCode, acbUserCode },
+ *     date:     '2025-03-31',
+ *     batchType: 'creditors',          // 'salaries' | 'creditors'
+ *     payments: [{ name, accountNumber, branchCode, accountType, amount, reference, ownReference }],
+ *     fileTag:  'PR-20250331-01',
+ *   });
+ *   // → { content, fileName, mimeType, total, count, sha256 }
+ *
+ * Unlike the browser export, a missing branch code is never defaulted —
+ * validateBeneficiaries rejects it so money cannot go to a guessed branch.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+const BANK_FORMATS = ['absa', 'fnb', 'standard_bank', 'nedbank', 'acb'];
+
+// Header descriptions per batch type — 'salaries' matches the payroll export
+const BATCH_LABELS = {
+  salaries:  { absa: 'SALARY',    fnb: 'SALARIES',  acb: 'SALARIES' },
+  creditors: { absa: 'CREDITORS', fnb: 'CREDITORS', acb: 'CREDITORS' },
+};
+
+// ─── Field helpers (same behaviour as BankingFormats.pad / padNum) ───────────
+
+function pad(str, length, char = ' ') {
+  return String(str || '').padEnd(length, char).substring(0, length);
+}
+
+function padNum(num, length) {
+  return String(num || 0).padStart(length, '0').substring(0, length);
+}
+
+function _cents(amount) { return Math.round(parseFloat(amount) * 100); }
+
+function _yyyymmdd(date) { return String(date).slice(0, 10).replace(/-/g, ''); }
+
+function _isSavings(type) { return String(type || '').toLowerCase() === 'savings'; }
+
+// ACB account type: 1 current, 2 savings, 3 transmission
+function _acbType(type) {
+  const t = String(type || '').toLowerCase();
+  if (t === 'savings') return '2';
+  if (t === 'transmission') return '3';
+  return '1';
+}
+
+function _csv(rows) {
+  const body = rows.map(row => row.map(cell => {
+    const val = String(cell === null || cell === undefined ? '' : cell);
+    return (val.includes(',') || val.includes('"')) ? `"${val.replace(/"/g, '""')}"` : val;
+  }).join(',')).join('\r\n');
+  return '\uFEFF' + body;
+}
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+const ELEVEN_DIGIT_FORMATS = { fnb: 'FNB', acb: 'ACB' };
+
+/**
+ * @param {Array}  payments — [{ name, accountNumber, branchCode, amount }]
+ * @param {string} [format] — the FNB and ACB layouts only have room for 11-digit account numbers
+ * @returns {string[]} one message per problem, naming the beneficiary
+ */
+function validateBeneficiaries(payments, format = null) {
+  const errors = [];
+  for (const p of payments) {
+    const who = p.name || 'Unnamed beneficiary';
+    const acc = String(p.accountNumber || '').replace(/\s/g, '');
+    const branch = String(p.branchCode || '').replace(/\s/g, '');
+    if (!acc) errors.push(`${who}: bank account number is missing`);
+    else if (!/^\d{5,13}$/.test(acc)) errors.push(`${who}: bank account number must be 5 to 13 digits`);
+    else if (ELEVEN_DIGIT_FORMATS[format] && acc.length > 11) {
+      errors.push(`${who}: bank account number is too long for the ${ELEVEN_DIGIT_FORMATS[format]} layout (11 digits)`);
+    }
+    if (!branch) errors.push(`${who}: branch code is missing`);
+    else if (!/^\d{6}$/.test(branch)) errors.push(`${who}: branch code must be 6 digits`);
+    if (!(parseFloat(p.amount) > 0)) errors.push(`${who}: amount must be greater than zero`);
+  }
+  return errors;
+}
+
+// ─── Layouts ─────────────────────────────────────────────────────────────────
+
+function _absa({ company, date, batchType, payments }) {
+  const records = [];
+  records.push(
+    pad('1', 1) +
+    pad(company.absaUserCode || '00000000', 8) +
+    pad(_yyyymmdd(date), 8) +
+    pad(company.name || '', 30) +
+    pad(BATCH_LABELS[batchType].absa, 10) +
+    pad('', 18)
+  );
+  payments.forEach((p, i) => {
+    records.push(
+      pad('2', 1) +
+      pad(p.branchCode, 6) +
+      pad(p.accountNumber, 13) +
+      pad(_isSavings(p.accountType) ? '2' : '1', 1) +
+      padNum(_cents(p.amount), 11) +
+      pad(p.name, 30) +
+      pad(p.reference, 12) +
+      pad(String(i + 1), 6, '0')
+    );
+  });
+  const total = payments.reduce((s, p) => s + _cents(p.amount), 0);
+  records.push(pad('3', 1) + padNum(total, 15) + padNum(payments.length, 6) + pad('', 53));
+  return records.join('\r\n');
+}
+
+function _fnb({ company, date, batchType, payments }) {
+  const records = [];
+  records.push(
+    'H' +
+    pad(company.fnbOriginatorCode || '', 10) +
+    pad(_yyyymmdd(date), 8) +
+    pad(BATCH_LABELS[batchType].fnb, 20) +
+    pad('', 41)
+  );
+  for (const p of payments) {
+    records.push(
+      'D' +
+      pad(p.branchCode, 6) +
+      pad(p.accountNumber, 11) +
+      (_isSavings(p.accountType) ? 'S' : 'C') +
+      padNum(_cents(p.amount), 11) +
+      pad(p.name, 32) +
+      pad(p.reference, 20)
+    );
+  }
+  const total = payments.reduce((s, p) => s + _cents(p.amount), 0);
+  records.push('T' + padNum(total, 15) + padNum(payments.length, 6) + pad('', 58));
+  return records.join('\r\n');
+}
+
+function _standardBank({ payments }) {
+  const rows = [['Account Number', 'Branch Code', 'Account Type', 'Amount', 'Beneficiary Name', 'Beneficiary Reference', 'Own Reference']];
+  for (const p of payments) {
+    rows.push([
+      p.accountNumber, p.branchCode, _isSavings(p.accountType) ? 'Savings' : 'Current',
+      (_cents(p.amount) / 100).toFixed(2), p.name, p.reference, p.ownReference || '',
+    ]);
+  }
+  return _csv(rows);
+}
+
+function _nedbank({ payments }) {
+  const rows = [['AccountNumber', 'BranchCode', 'AccountType', 'AmountInCents', 'BeneficiaryName', 'BeneficiaryReference', 'StatementReference']];
+  for (const p of payments) {
+    rows.push([
+      p.accountNumber, p.branchCode, _isSavings(p.accountType) ? '2' : '1',
+      String(_cents(p.amount)), p.name, p.reference, p.ownReference || '',
+    ]);
+  }
+  return _csv(rows);
+}
+
+function _acb({ company, date, batchType, payments }) {
+  const actionDate = _yyyymmdd(date);
+  const records = [];
+  records.push(
+    '02' +
+    pad(company.acbUserCode || '0000', 4) +
+    actionDate +
+    pad(company.name || '', 30) +
+    pad(BATCH_LABELS[batchType].acb, 10) +
+    pad('', 46)
+  );
+  payments.forEach((p, i) => {
+    records.push(
+      '10' +
+      pad(p.branchCode, 6) +
+      padNum(p.accountNumber, 11) +
+      _acbType(p.accountType) +
+      padNum(_cents(p.amount), 11) +
+      actionDate +
+      pad(p.name, 30) +
+      pad(p.reference, 20) +
+      padNum(i + 1, 6) +
+      pad('', 5)
+    );
+  });
+  const total = payments.reduce((s, p) => s + _cents(p.amount), 0);
+  // Hash total: sum of the account numbers, last 12 digits — lets the bureau
+  // detect a file whose detail records were altered after it was generated
+  const hash = payments.reduce((s, p) => (s + BigInt(p.accountNumber || 0)) % 1000000000000n, 0n);
+  records.push('92' + padNum(payments.length, 6) + padNum(total, 15) + padNum(hash.toString(), 12) + pad('', 65));
+  return records.join('\r\n');
+}
+
+const LAYOUTS = {
+  absa:          { build: _absa,         ext: 'txt', mimeType: 'text/plain',              prefix: 'ABSA_EFT' },
+  fnb:           { build: _fnb,          ext: 'txt', mimeType: 'text/plain',              prefix: 'FNB_EFT' },
+  standard_bank: { build: _standardBank, ext: 'csv', mimeType: 'text/csv; charset=utf-8', prefix: 'StandardBank_EFT' },
+  nedbank:       { build: _nedbank,      ext: 'csv', mimeType: 'text/csv; charset=utf-8', prefix: 'Nedbank_EFT' },
+  acb:           { build: _acb,          ext: 'txt', mimeType: 'text/plain',              prefix: 'ACB_EFT' },
+};
+
+/**
+ * Build a batch file.
+ * @param {string} format — one of BANK_FORMATS
+ * @param {object} opts   — { company, date, batchType, payments, fileTag }
+ * @returns {{ content: string, fileName: string, mimeType: string, total: number, count: number, sha256: string }}
+ */
+function generateBatch(format, { company = {}, date, batchType = 'salaries', payments, fileTag }) {
+  const layout = LAYOUTS[format];
+  if (!layout) throw new Error(`Bank format must be one of ${BANK_FORMATS.join(', ')}`);
+  if (!BATCH_LABELS[batchType]) throw new Error(`Unknown batch type "${batchType}"`);
+  if (!date) throw new Error('Batch date is required');
+
+  const clean = payments.map(p => ({
+    ...p,
+    accountNumber: String(p.accountNumber || '').replace(/\s/g, ''),
+    branchCode:    String(p.branchCode || '').replace(/\s/g, ''),
+  }));
+  const content = layout.build({ company, date, batchType, payments: clean });
+  const totalCents = clean.reduce((s, p) => s + _cents(p.amount), 0);
+  return {
+    content,
+    fileName: `${layout.prefix}_${fileTag || _yyyymmdd(date)}.${layout.ext}`,
+    mimeType: layout.mimeType,
+    total:    totalCents / 100,
+    count:    clean.length,
+    sha256:   crypto.createHash('sha256').update(content, 'utf8').digest('hex'),
+  };
+}
+
+module.exports = {
+  BANK_FORMATS,
+  pad,
+  padNum,
+  validateBeneficiaries,
+  generateBatch,
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * ============================================================================
+ * Service Errors — expected failures that carry their HTTP status
+ * ============================================================================
+ * Services throw serviceError(status, message) for the failures a caller can
+ * act on (bad input, row not found, wrong state). Routes answer with
+ * sendServiceError, which reads err.statusCode — the same property
+ * customerInvoiceService and historicalComparativesService already set for
+ * their 422s — and never the message text. Anything without a statusCode is
+ * unexpected: 500, and logged.
+ *
+ * Usage:
+ *   const { serviceError, sendServiceError } = require('../../../shared/utils/serviceError');
+ *
+ *   // service
+ *   if (!asset) throw serviceError(404, 'Asset not found.');
+ *
+ *   // route
+ *   } catch (err) {
+ *     sendServiceError(res, err, '[FixedAssets] getAsset');
+ *   }
+ *
+ * Extra fields for the response body (e.g. validation_errors) go in
+ * serviceError's third argument and are merged into the JSON body.
+ * ============================================================================
+ */
+
+/**
+ * @param {number} statusCode — 400, 403, 404, 409, 422
+ * @param {string} message    — shown to the user as the `error` field
+ * @param {object} [details]  — extra response body fields
+ */
+function serviceError(statusCode, message, details = null) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+}
+
+/**
+ * Send `err` as JSON with its status (500 when it carries none).
+ * @param {string} logTag  — prefix for the server log of a 500
+ * @param {object} [body]  — fields to send alongside `error` (e.g. { success: false })
+ */
+function sendServiceError(res, err, logTag, body = {}) {
+  const status = err.statusCode || 500;
+  if (status === 500) console.error(`${logTag}:`, err);
+  res.status(status).json({ ...body, error: err.message, ...(err.details || {}) });
+}
+
+module.exports = { serviceError, sendServiceError };
@@ -0,0 +1,249 @@
+'use strict';
+
+/**
+ * AP Payment Runs — Route Guards
+ * Drives the payment-run routes (authenticate + hasPermission + handler)
+ * against a mocked pg pool and JournalService.
+ *
+ * Scenarios covered:
+ *   TEST-PRN-01  Viewer cannot create a payment run → 403, nothing written.
+ *   TEST-PRN-02  Bookkeeper can prepare a run but cannot approve it → 403, no transaction.
+ *   TEST-PRN-03  Approving another company's run → 404, ROLLBACK, no payments.
+ *   TEST-PRN-04  An invoice paid since the run was drafted → 422, ROLLBACK, no payments.
+ *   TEST-PRN-05  A supplier without bank details → 422, ROLLBACK, no payments.
+ *   TEST-PRN-06  Approval writes payments, allocations and invoice balances in one transaction, no journal.
+ *   TEST-PRN-07  A failure while saving allocations → ROLLBACK, no COMMIT, client released.
+ *   TEST-PRN-08  Batch file for a draft run → 409, nothing recorded.
+ *   TEST-PRN-09  A journal that cannot be posted on confirmation releases the payment back to awaiting.
+ */
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockQueries = [];
+const mockState = { runs: [], lines: [], invoices: [], suppliers: [], pending: [], failOn: null, paymentSeq: 0 };
+const mockCreateDraftJournal = jest.fn();
+const mockPostJournal = jest.fn();
+
+/** Runs, invoices and suppliers are filtered by company like the real WHERE clauses. */
+async function mockQuery(sql, params = []) {
+  mockQueries.push({ sql: sql.trim(), params });
+  if (mockState.failOn && sql.includes(mockState.failOn)) throw new Error('deadlock detected');
+  if (sql.includes('FROM ap_payment_runs r') && sql.includes('WHERE r.id = $1 AND r.company_id = $2')) {
+    return { rows: mockState.runs.filter(r => r.id === params[0] && r.company_id === params[1]) };
+  }
+  if (sql.includes('JOIN ap_payment_runs r ON r.id = l.run_id')) return { rows: [] };
+  if (sql.includes('SELECT invoice_id, supplier_id, amount FROM ap_payment_run_lines')) return { rows: mockState.lines };
+  if (sql.includes('FROM supplier_invoices i') && sql.includes('i.id = ANY($2::int[])')) {
+    return { rows: mockState.invoices.filter(i => i.company_id === params[0] && params[1].includes(i.id)) };
+  }
+  if (sql.includes('FROM suppliers WHERE company_id = $1')) {
+    return { rows: mockState.suppliers.filter(s => s.company_id === params[0] && params[1].includes(s.id)) };
+  }
+  if (sql.includes('INSERT INTO supplier_payments')) return { rows: [{ id: 800 + (++mockState.paymentSeq) }] };
+  if (sql.includes('AND p.bank_status = $3 AND p.is_reversed = false')) return { rows: mockState.pending };
+  if (sql.includes("code = '2000'")) return { rows: [{ id: 60 }] };
+  if (sql.includes("SET bank_status = 'confirmed'")) return { rows: [{ id: params[0], amount: '11500.00', bank_ledger_account_id: 1010 }] };
+  return { rows: [] };
+}
+
+const mockClient = { query: jest.fn(mockQuery), release: jest.fn() };
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+jest.mock('../modules/accounting/config/database', () => ({
+  query:     jest.fn((...a) => mockQuery(...a)),
+  getClient: jest.fn(async () => mockClient),
+}));
+
+jest.mock('../modules/accounting/services/journalService', () => ({
+  createDraftJournal: (...a) => mockCreateDraftJournal(...a),
+  postJournal:        (...a) => mockPostJournal(...a),
+}));
+
+jest.mock('../modules/accounting/services/auditLogger', () => ({
+  logUserAction: jest.fn().mockResolvedValue(undefined),
+}));
+
+const db = require('../modules/accounting/config/database');
+const paymentRunsRouter = require('../modules/accounting/routes/ap-payment-runs');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run every layer registered for `method path` (auth, permission, handler) like Express would. */
+async function callRoute(method, path, { role = 'accountant', body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const layer = paymentRunsRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const req = { body, params, query, companyId, user: { userId: 7, role, email: 'books@example.co.za' }, get: () => 'jest', ip: '127.0.0.1' };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    setHeader: jest.fn(),
+    send(payload) { this.body = payload; return this; },
+  };
+  for (const { handle } of layer.route.stack) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const sqlRan = fragment => mockQueries.some(q => q.sql.includes(fragment));
+const sqlIndex = fragment => mockQueries.findIndex(q => q.sql.includes(fragment));
+const approve = (opts = {}) => callRoute('post', '/:id/approve', { params: { id: '5' }, ...opts });
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const RUN = {
+  id: 5, company_id: 42, reference: 'PR-20260930-01', payment_date: '2026-09-30',
+  bank_ledger_account_id: 1010, bank_format: 'fnb', status: 'draft', total_amount: '16100.00',
+};
+
+const INVOICES = [
+  { id: 301, company_id: 42, supplier_id: 11, invoice_number: 'SI-301', total_inc_vat: '11500.00', amount_paid: '0', status: 'unpaid', currency_code: 'ZAR' },
+  { id: 302, company_id: 42, supplier_id: 12, invoice_number: 'SI-302', total_inc_vat: '4600.00', amount_paid: '0', status: 'unpaid', currency_code: 'ZAR' },
+];
+
+const SUPPLIERS = [
+  { id: 11, company_id: 42, code: 'KAR01', name: 'Karoo Steel', bank_account_holder: 'Karoo Steel (Pty) Ltd',
+    bank_account_number: '62012345678', bank_branch_code: '250655', bank_account_type: 'current' },
+  { id: 12, company_id: 42, code: 'VAA01', name: 'Vaal Packaging', bank_account_holder: 'Vaal Packaging',
+    bank_account_number: '1048227731', bank_branch_code: '051001', bank_account_type: 'current' },
+];
+
+const LINES = [
+  { invoice_id: 301, supplier_id: 11, amount: '11500.00' },
+  { invoice_id: 302, supplier_id: 12, amount: '4600.00' },
+];
+
+describe('AP Payment Runs — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockQueries.length = 0;
+    mockState.runs = [{ ...RUN }];
+    mockState.lines = LINES.map(l => ({ ...l }));
+    mockState.invoices = INVOICES.map(i => ({ ...i }));
+    mockState.suppliers = SUPPLIERS.map(s => ({ ...s }));
+    mockState.pending = [];
+    mockState.failOn = null;
+    mockState.paymentSeq = 0;
+    mockCreateDraftJournal.mockResolvedValue({ id: 901 });
+    mockPostJournal.mockResolvedValue(undefined);
+  });
+
+  test('TEST-PRN-01: viewer cannot create a payment run → 403, nothing written', async () => {
+    const res = await callRoute('post', '/', { role: 'readonly', body: { paymentDate: '2026-09-30', bankLedgerAccountId: 1010, bankFormat: 'fnb' } });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.permission).toBe('ap.payment_run.create');
+    expect(mockQueries).toEqual([]);
+  });
+
+  test('TEST-PRN-02: bookkeeper can prepare a run but cannot approve it → 403, no transaction', async () => {
+    const res = await approve({ role: 'bookkeeper' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.permission).toBe('ap.payment_run.approve');
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PRN-03: approving another company\'s run → 404, ROLLBACK, no payments', async () => {
+    const res = await approve({ companyId: 77 });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Payment run not found.');
+    expect(mockQueries.find(q => q.sql.includes('FROM ap_payment_runs r')).params).toEqual([5, 77]);
+    expect(sqlRan('ROLLBACK')).toBe(true);
+    expect(sqlRan('INSERT INTO supplier_payments')).toBe(false);
+  });
+
+  test('TEST-PRN-04: an invoice paid since the run was drafted → 422, ROLLBACK, no payments', async () => {
+    Object.assign(mockState.invoices[0], { amount_paid: '11500.00', status: 'paid' });
+
+    const res = await approve();
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error).toBe('Invalid payment run: Invoice SI-301: invoice is paid');
+    const invoiceLock = mockQueries.find(q => q.sql.includes('FROM supplier_invoices i'));
+    expect(invoiceLock.sql).toMatch(/FOR UPDATE OF i/);
+    expect(invoiceLock.params).toEqual([42, [301, 302]]);
+    expect(sqlRan('ROLLBACK')).toBe(true);
+    expect(sqlRan('INSERT INTO supplier_payments')).toBe(false);
+  });
+
+  test('TEST-PRN-05: a supplier without bank details → 422, ROLLBACK, no payments', async () => {
+    mockState.suppliers[1].bank_account_number = '';
+
+    const res = await approve();
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error).toBe('Supplier bank details must be completed: Vaal Packaging: bank account number is missing');
+    expect(sqlRan('ROLLBACK')).toBe(true);
+    expect(sqlRan('INSERT INTO supplier_payments')).toBe(false);
+  });
+
+  test('TEST-PRN-06: approval writes payments, allocations and invoice balances in one transaction, no journal', async () => {
+    const res = await approve();
+
+    expect(res.statusCode).toBe(200);
+    const begin = sqlIndex('BEGIN');
+    const commit = sqlIndex('COMMIT');
+    expect(begin).toBeGreaterThanOrEqual(0);
+    const inTransaction = mockQueries.slice(begin, commit);
+    const payments = inTransaction.filter(q => q.sql.startsWith('INSERT INTO supplier_payments'));
+    expect(payments.map(q => [q.params[1], q.params[4], q.params[9]])).toEqual([
+      [11, 11500, 'awaiting_bank_confirmation'],
+      [12, 4600, 'awaiting_bank_confirmation'],
+    ]);
+    expect(payments[0].params[0]).toBe(42);
+    expect(inTransaction.filter(q => q.sql.startsWith('INSERT INTO supplier_payment_allocations')).map(q => q.params))
+      .toEqual([[801, 301, 11500], [802, 302, 4600]]);
+    expect(inTransaction.find(q => q.sql.startsWith('UPDATE supplier_invoices')).params).toEqual([11500, 'paid', 301, 42]);
+    expect(inTransaction.find(q => q.sql.includes("SET status = 'approved'")).params).toEqual([5, 7, 16100]);
+    expect(mockCreateDraftJournal).not.toHaveBeenCalled();
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  test('TEST-PRN-07: a failure while saving allocations → ROLLBACK, no COMMIT, client released', async () => {
+    mockState.failOn = 'INSERT INTO supplier_payment_allocations';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await approve();
+
+    expect(res.statusCode).toBe(500);
+    expect(sqlRan('INSERT INTO supplier_payments')).toBe(true);
+    expect(sqlRan('ROLLBACK')).toBe(true);
+    expect(sqlRan('COMMIT')).toBe(false);
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  test('TEST-PRN-08: batch file for a draft run → 409, nothing recorded', async () => {
+    const res = await callRoute('get', '/:id/batch-file', { params: { id: '5' } });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('A bank batch file can only be generated for an approved payment run.');
+    expect(sqlRan('SET batch_file_name')).toBe(false);
+    expect(res.setHeader).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PRN-09: a journal that cannot be posted on confirmation releases the payment back to awaiting', async () => {
+    mockState.runs[0].status = 'approved';
+    mockState.pending = [{ id: 801, supplier_name: 'Karoo Steel' }];
+    mockCreateDraftJournal.mockRejectedValue(new Error('Cannot post to a locked accounting period'));
+
+    const res = await callRoute('post', '/:id/confirm', { params: { id: '5' }, body: { all: 'paid', bankDate: '2026-10-01' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.results).toEqual([{ paymentId: 801, outcome: 'failed', reason: 'Cannot post to a locked accounting period' }]);
+    expect(res.body.warnings).toEqual(['Karoo Steel: journal could not be posted — Cannot post to a locked accounting period']);
+    expect(mockCreateDraftJournal.mock.calls[0][0]).toMatchObject({ companyId: 42, date: '2026-10-01' });
+    expect(mockPostJournal).not.toHaveBeenCalled();
+    const release = mockQueries.find(q => q.sql.includes('bank_confirmed_at = NULL'));
+    expect(release.sql).toMatch(/WHERE id = \$1 AND journal_id IS NULL/);
+    expect(release.params).toEqual([801, 'awaiting_bank_confirmation']);
+  });
+});
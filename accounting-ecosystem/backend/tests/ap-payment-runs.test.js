@@ -0,0 +1,232 @@
+'use strict';
+
+/**
+ * AP Payment Runs — Proposal, Line Validation, Supplier Payments and Bank Batch Layouts
+ * Unit tests for the pure helpers in paymentRunUtils.js and bankBatchFormats.js.
+ * Route-level guards are covered in ap-payment-run-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PRU-01  Proposes the full outstanding balance of invoices due by the date.
+ *   TEST-PRU-02  Invoices due later, paid or draft are left out; no due date falls back to invoice date.
+ *   TEST-PRU-03  Supplier filter and invoices on another open run.
+ *   TEST-PRU-04  Foreign-currency invoices are skipped with a reason.
+ *   TEST-PRU-05  Valid lines pass, partial amounts allowed.
+ *   TEST-PRU-06  Over-payment, zero amounts, duplicates and unknown invoices are rejected.
+ *   TEST-PRU-07  An invoice on another open run cannot be added.
+ *   TEST-PRU-08  An empty run is rejected.
+ *   TEST-PRU-09  One payment per supplier, allocated across its invoices.
+ *   TEST-PRU-10  runReference, outstanding and invoiceStatus.
+ *   TEST-PRU-11  Beneficiary validation names the supplier and checks branch and account.
+ *   TEST-PRU-12  ABSA — fixed-width records, trailer total in cents and count.
+ *   TEST-PRU-13  FNB — savings flag, record lengths and salaries label.
+ *   TEST-PRU-14  Standard Bank and Nedbank CSVs carry a BOM and quote commas.
+ *   TEST-PRU-15  sha256 is stable for the same content and changes with it.
+ *   TEST-PRU-16  Unknown format, batch type or missing date throw.
+ */
+
+const {
+  outstanding,
+  invoiceStatus,
+  proposeLines,
+  validateLines,
+  groupPayments,
+  runReference,
+} = require('../modules/accounting/services/paymentRunUtils');
+const {
+  validateBeneficiaries,
+  generateBatch,
+} = require('../shared/utils/bankBatchFormats');
+
+function inv(id, supplierId, total, extra = {}) {
+  return {
+    id, supplier_id: supplierId, supplier_name: `Supplier ${supplierId}`, invoice_number: `INV-${id}`,
+    invoice_date: '2025-03-01', due_date: '2025-03-31', total_inc_vat: total, amount_paid: 0,
+    status: 'unpaid', currency_code: 'ZAR', ...extra,
+  };
+}
+
+const SUPPLIERS = {
+  1: { id: 1, code: 'ACME', name: 'Acme Supplies', bank_account_number: '4051234567', bank_branch_code: '632005', bank_account_type: 'current' },
+  2: { id: 2, code: 'BETA', name: 'Beta Traders', bank_account_holder: 'Beta Traders (Pty) Ltd',
+       bank_account_number: '62000012345', bank_branch_code: '250655', bank_account_type: 'savings' },
+};
+
+const COMPANY = { name: 'Lorenco Test (Pty) Ltd', absaUserCode: 'AB12', fnbOriginatorCode: 'FN99' };
+
+const PAYMENTS = [
+  { name: 'Acme Supplies', accountNumber: '4051234567', branchCode: '632005', accountType: 'current', amount: 1500.5, reference: 'INV-1', ownReference: 'PR-20250331-01 ACME' },
+  { name: 'Beta, Traders', accountNumber: '62000012345', branchCode: '250655', accountType: 'savings', amount: 250, reference: 'PR-20250331-01', ownReference: 'PR-20250331-01 BETA' },
+];
+
+// ─── Proposal ────────────────────────────────────────────────────────────────
+
+describe('AP payment runs — proposeLines', () => {
+  test('TEST-PRU-01: proposes the full outstanding balance of invoices due by the date', () => {
+    const r = proposeLines({
+      invoices: [inv(1, 1, 1000, { amount_paid: 400, status: 'part_paid' }), inv(2, 2, 250)],
+      dueBy: '2025-03-31',
+    });
+    expect(r.lines.map(l => [l.invoiceId, l.amount])).toEqual([[1, 600], [2, 250]]);
+    expect(r.total).toBe(850);
+  });
+
+  test('TEST-PRU-02: invoices due later, paid or draft are left out; no due date falls back to invoice date', () => {
+    const r = proposeLines({
+      invoices: [
+        inv(1, 1, 100, { due_date: '2025-04-30' }),
+        inv(2, 1, 100, { status: 'paid', amount_paid: 100 }),
+        inv(3, 1, 100, { status: 'draft' }),
+        inv(4, 1, 100, { due_date: null, invoice_date: '2025-03-15' }),
+      ],
+      dueBy: '2025-03-31',
+    });
+    expect(r.lines.map(l => l.invoiceId)).toEqual([4]);
+    expect(r.skipped).toEqual([]);
+  });
+
+  test('TEST-PRU-03: supplier filter and invoices on another open run', () => {
+    const r = proposeLines({
+      invoices: [inv(1, 1, 100), inv(2, 2, 200), inv(3, 2, 300)],
+      dueBy: '2025-03-31',
+      supplierIds: ['2'],
+      openRunInvoiceIds: new Set([3]),
+    });
+    expect(r.lines.map(l => l.invoiceId)).toEqual([2]);
+    expect(r.skipped).toEqual([expect.objectContaining({ invoiceId: 3, reason: 'already on an open payment run' })]);
+  });
+
+  test('TEST-PRU-04: foreign-currency invoices are skipped with a reason', () => {
+    const r = proposeLines({ invoices: [inv(1, 1, 100, { currency_code: 'USD' })], dueBy: '2025-03-31' });
+    expect(r.lines).toEqual([]);
+    expect(r.skipped[0].reason).toMatch(/ZAR only/);
+  });
+});
+
+// ─── Line validation ─────────────────────────────────────────────────────────
+
+describe('AP payment runs — validateLines', () => {
+  const invoices = { 1: inv(1, 1, 1000, { amount_paid: 400 }), 2: inv(2, 2, 250) };
+
+  test('TEST-PRU-05: valid lines pass, partial amounts allowed', () => {
+    expect(validateLines([{ invoiceId: 1, amount: 300 }, { invoiceId: 2, amount: 250 }], invoices)).toEqual([]);
+  });
+
+  test('TEST-PRU-06: over-payment, zero amounts, duplicates and unknown invoices are rejected', () => {
+    const errors = validateLines([
+      { invoiceId: 1, amount: 600.01 },
+      { invoiceId: 2, amount: 0 },
+      { invoiceId: 2, amount: 10 },
+      { invoiceId: 9, amount: 10 },
+    ], invoices);
+    expect(errors).toEqual([
+      'Invoice INV-1: 600.01 exceeds the outstanding 600.00',
+      'Invoice INV-2: amount must be greater than 0',
+      'Invoice INV-2 is listed twice',
+      'Invoice 9 not found',
+    ]);
+  });
+
+  test('TEST-PRU-07: an invoice on another open run cannot be added', () => {
+    expect(validateLines([{ invoiceId: 2, amount: 250 }], invoices, new Set([2])))
+      .toEqual(['Invoice INV-2: already on an open payment run']);
+  });
+
+  test('TEST-PRU-08: an empty run is rejected', () => {
+    expect(validateLines([], invoices)).toEqual(['A payment run needs at least one invoice']);
+  });
+});
+
+// ─── Payments ────────────────────────────────────────────────────────────────
+
+describe('AP payment runs — groupPayments and helpers', () => {
+  test('TEST-PRU-09: one payment per supplier, allocated across its invoices', () => {
+    const payments = groupPayments([
+      { invoiceId: 1, supplierId: 1, amount: 600, invoiceNumber: 'INV-1' },
+      { invoiceId: 3, supplierId: 1, amount: 100.25, invoiceNumber: 'INV-3' },
+      { invoiceId: 2, supplierId: 2, amount: 250, invoiceNumber: 'INV-2' },
+    ], SUPPLIERS, 'PR-20250331-01');
+    expect(payments).toHaveLength(2);
+    expect(payments[0].amount).toBe(700.25);
+    expect(payments[0].allocations).toEqual([{ invoiceId: 1, amount: 600 }, { invoiceId: 3, amount: 100.25 }]);
+    expect(payments[0].beneficiary.reference).toBe('PR-20250331-01');
+    expect(payments[1].beneficiary).toEqual(expect.objectContaining({
+      name: 'Beta Traders (Pty) Ltd', accountType: 'savings', reference: 'INV-2', ownReference: 'PR-20250331-01 BETA',
+    }));
+  });
+
+  test('TEST-PRU-10: runReference, outstanding and invoiceStatus', () => {
+    expect(runReference('2025-03-31', 3)).toBe('PR-20250331-03');
+    expect(outstanding({ total_inc_vat: '1000.00', amount_paid: '333.33' })).toBe(666.67);
+    expect(invoiceStatus(1000, 1000)).toBe('paid');
+    expect(invoiceStatus(1000, 1)).toBe('part_paid');
+    expect(invoiceStatus(1000, 0)).toBe('unpaid');
+  });
+});
+
+// ─── Bank batch files ────────────────────────────────────────────────────────
+
+describe('AP payment runs — bank batch layouts', () => {
+  test('TEST-PRU-11: beneficiary validation names the supplier and checks branch and account', () => {
+    expect(validateBeneficiaries(PAYMENTS, 'absa')).toEqual([]);
+    expect(validateBeneficiaries([{ name: 'X', accountNumber: '12', branchCode: '', amount: 0 }])).toEqual([
+      'X: bank account number must be 5 to 13 digits',
+      'X: branch code is missing',
+      'X: amount must be greater than zero',
+    ]);
+    expect(validateBeneficiaries([{ ...PAYMENTS[0], accountNumber: '123456789012' }], 'fnb'))
+      .toEqual(['Acme Supplies: bank account number is too long for the FNB layout (11 digits)']);
+  });
+
+  test('TEST-PRU-12: ABSA — fixed-width records, trailer total in cents and count', () => {
+    const file = generateBatch('absa', { company: COMPANY, date: '2025-03-31', batchType: 'creditors', payments: PAYMENTS, fileTag: 'PR-20250331-01' });
+    const records = file.content.split('\r\n');
+    expect(records).toHaveLength(4);
+    expect(records[0]).toHaveLength(75);
+    expect(records[0].slice(0, 17)).toBe('1AB12    20250331');
+    expect(records[0].slice(47, 57)).toBe('CREDITORS ');
+    expect(records[1]).toHaveLength(80);
+    expect(records[1].slice(0, 7)).toBe('2632005');
+    expect(records[1].slice(20, 32)).toBe('100000150050');
+    expect(records[2].slice(20, 21)).toBe('2');
+    expect(records[3]).toBe('3' + '000000000175050' + '000002' + ' '.repeat(53));
+    expect(file.fileName).toBe('ABSA_EFT_PR-20250331-01.txt');
+    expect(file.total).toBe(1750.5);
+  });
+
+  test('TEST-PRU-13: FNB — savings flag, record lengths and salaries label', () => {
+    const file = generateBatch('fnb', { company: COMPANY, date: '2025-03-31', payments: PAYMENTS });
+    const records = file.content.split('\r\n');
+    expect(records[0]).toHaveLength(80);
+    expect(records[0].slice(19, 39).trim()).toBe('SALARIES');
+    expect(records[1]).toHaveLength(82);
+    expect(records[2].slice(18, 19)).toBe('S');
+    expect(records[3].slice(1, 16)).toBe('000000000175050');
+    expect(file.fileName).toBe('FNB_EFT_20250331.txt');
+  });
+
+  test('TEST-PRU-14: Standard Bank and Nedbank CSVs carry a BOM and quote commas', () => {
+    const sb = generateBatch('standard_bank', { company: COMPANY, date: '2025-03-31', payments: PAYMENTS });
+    expect(sb.content.charCodeAt(0)).toBe(0xFEFF);
+    const sbRows = sb.content.slice(1).split('\r\n');
+    expect(sbRows[1]).toBe('4051234567,632005,Current,1500.50,Acme Supplies,INV-1,PR-20250331-01 ACME');
+    expect(sbRows[2]).toContain('"Beta, Traders"');
+    const ned = generateBatch('nedbank', { company: COMPANY, date: '2025-03-31', payments: PAYMENTS });
+    expect(ned.content.slice(1).split('\r\n')[2].split(',').slice(0, 4)).toEqual(['62000012345', '250655', '2', '25000']);
+    expect(ned.mimeType).toBe('text/csv; charset=utf-8');
+  });
+
+  test('TEST-PRU-15: sha256 is stable for the same content and changes with it', () => {
+    const a = generateBatch('absa', { company: COMPANY, date: '2025-03-31', payments: PAYMENTS });
+    const b = generateBatch('absa', { company: COMPANY, date: '2025-03-31', payments: PAYMENTS });
+    const c = generateBatch('absa', { company: COMPANY, date: '2025-04-01', payments: PAYMENTS });
+    expect(a.sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(a.sha256).toBe(b.sha256);
+    expect(a.sha256).not.toBe(c.sha256);
+  });
+
+  test('TEST-PRU-16: unknown format, batch type or missing date throw', () => {
+    expect(() => generateBatch('capitec', { date: '2025-03-31', payments: [] })).toThrow(/Bank format must be one of/);
+    expect(() => generateBatch('absa', { date: '2025-03-31', batchType: 'refunds', payments: [] })).toThrow(/Unknown batch type/);
+    expect(() => generateBatch('absa', { payments: [] })).toThrow('Batch date is required');
+  });
+});
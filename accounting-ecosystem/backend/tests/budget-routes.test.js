@@ -0,0 +1,208 @@
+'use strict';
+
+/**
+ * Budgets — Route Guards
+ * Drives the budget routes and GET /api/reports/budget-vs-actual
+ * (authenticate + hasPermission + handler) against a mocked Supabase client
+ * and pg pool.
+ *
+ * Scenarios covered:
+ *   TEST-BUD-01  Viewer cannot create a budget → 403, no transaction.
+ *   TEST-BUD-02  Bookkeeper cannot approve a budget → 403.
+ *   TEST-BUD-03  Another company's budget → 404, nothing written.
+ *   TEST-BUD-04  Editing lines of an approved budget → 409 before any transaction.
+ *   TEST-BUD-05  A line for an account outside the company's P&L → 400, nothing written.
+ *   TEST-BUD-06  A failure while saving lines → ROLLBACK, no COMMIT, client released.
+ *   TEST-BUD-07  Approval supersedes the company's previous approved version in the same transaction.
+ *   TEST-BUD-08  Budget vs actual for another company's budgetId → 404 before any actuals are read.
+ */
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockTables = {};
+const mockFilters = [];
+const mockQueries = [];
+const mockBudgets = [];
+const mockFailOn = { sql: null };
+
+function mockSbChain(table) {
+  const chain = {};
+  for (const m of ['select', 'eq', 'in', 'order']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const one = () => Promise.resolve(mockTables[`${table}.single`] || { data: null, error: null });
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(mockTables[table] || { data: [], error: null }).then(resolve, reject);
+  return chain;
+}
+
+/** Budget headers are looked up by id and company, like the real WHERE clause. */
+async function mockPoolQuery(sql, params = []) {
+  if (sql.includes('FROM budgets WHERE id = $1 AND company_id = $2')) {
+    return { rows: mockBudgets.filter(b => b.id === parseInt(params[0], 10) && b.company_id === params[1]) };
+  }
+  return { rows: [] };
+}
+
+const mockClient = {
+  query: jest.fn(async (sql, params) => {
+    mockQueries.push({ sql: sql.trim(), params });
+    if (mockFailOn.sql && sql.includes(mockFailOn.sql)) throw new Error('connection terminated unexpectedly');
+    if (sql.includes("SET status = 'superseded'")) return { rows: [{ id: 11 }] };
+    if (sql.includes("SET status = 'approved'")) return { rows: [{ ...mockBudgets[0], status: 'approved' }] };
+    return { rows: [] };
+  }),
+  release: jest.fn(),
+};
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../modules/accounting/config/database', () => ({
+  query:     jest.fn((...a) => mockPoolQuery(...a)),
+  getClient: jest.fn(async () => mockClient),
+}));
+
+jest.mock('../modules/accounting/services/auditLogger', () => ({
+  logUserAction: jest.fn().mockResolvedValue(undefined),
+}));
+
+const db = require('../modules/accounting/config/database');
+const budgetsRouter = require('../modules/accounting/routes/budgets');
+const reportsRouter = require('../modules/accounting/routes/reports');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run every layer registered for `method path` (auth, permission, handler) like Express would. */
+async function callRoute(router, method, path, { role = 'accountant', body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const layer = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const req = { body, params, query, companyId, user: { userId: 7, role, email: 'books@example.co.za' }, get: () => 'jest', ip: '127.0.0.1' };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  for (const { handle } of layer.route.stack) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const sqlRan = fragment => mockQueries.some(q => q.sql.includes(fragment));
+const saveLines = (lines, opts = {}) => callRoute(budgetsRouter, 'put', '/:id/lines', { params: { id: '12' }, body: { lines }, ...opts });
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const DRAFT = { id: 12, company_id: 42, financial_year: 2026, version: 2, name: 'Budget FY2026 v2', status: 'draft' };
+
+const PL_ACCOUNTS = [
+  { id: 8,  code: '4000', name: 'Sales Revenue', type: 'income' },
+  { id: 21, code: '6100', name: 'Rent',          type: 'expense' },
+];
+
+const RENT_MARCH = [{ accountId: 21, periodMonth: 3, amount: 15000 }];
+
+describe('Budgets — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockQueries.length = 0;
+    mockFailOn.sql = null;
+    for (const k of Object.keys(mockTables)) delete mockTables[k];
+    mockBudgets.splice(0, mockBudgets.length, { ...DRAFT });
+    mockTables['companies.single'] = { data: { financial_year_end: '02' }, error: null };
+    mockTables.accounts = { data: PL_ACCOUNTS, error: null };
+  });
+
+  test('TEST-BUD-01: viewer cannot create a budget → 403, no transaction', async () => {
+    const res = await callRoute(budgetsRouter, 'post', '/', { role: 'readonly', body: { financialYear: 2026 } });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.permission).toBe('budget.manage');
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  test('TEST-BUD-02: bookkeeper cannot approve a budget → 403', async () => {
+    const res = await callRoute(budgetsRouter, 'post', '/:id/approve', { role: 'bookkeeper', params: { id: '12' } });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.permission).toBe('budget.approve');
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  test('TEST-BUD-03: another company\'s budget → 404, nothing written', async () => {
+    const res = await saveLines(RENT_MARCH, { companyId: 77 });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Budget not found.');
+    expect(db.query.mock.calls[0][1]).toEqual(['12', 77]);
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  test('TEST-BUD-04: editing lines of an approved budget → 409 before any transaction', async () => {
+    mockBudgets[0].status = 'approved';
+
+    const res = await saveLines(RENT_MARCH);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toMatch(/^Budget is approved and cannot be edited/);
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  test('TEST-BUD-05: a line for an account outside the company\'s P&L → 400, nothing written', async () => {
+    const res = await saveLines([...RENT_MARCH, { accountId: 1010, periodMonth: 3, amount: 500 }]);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Line 2: account must be an income or expense account of this company.');
+    expect(mockFilters).toContainEqual({ table: 'accounts', op: 'eq', args: ['company_id', 42] });
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  test('TEST-BUD-06: a failure while saving lines → ROLLBACK, no COMMIT, client released', async () => {
+    mockFailOn.sql = 'UPDATE budgets SET updated_at';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await saveLines(RENT_MARCH);
+
+    expect(res.statusCode).toBe(500);
+    expect(sqlRan('INSERT INTO budget_lines')).toBe(true);
+    expect(sqlRan('ROLLBACK')).toBe(true);
+    expect(sqlRan('COMMIT')).toBe(false);
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  test('TEST-BUD-07: approval supersedes the company\'s previous approved version in the same transaction', async () => {
+    const res = await callRoute(budgetsRouter, 'post', '/:id/approve', { params: { id: '12' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.supersededBudgetId).toBe(11);
+    const statements = mockQueries.map(q => q.sql.split(/\s+/).slice(0, 4).join(' '));
+    expect(statements[0]).toBe('BEGIN');
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+    const supersede = mockQueries.find(q => q.sql.includes("SET status = 'superseded'"));
+    expect(supersede.sql).toMatch(/WHERE company_id = \$1 AND financial_year = \$2 AND status = 'approved'/);
+    expect(supersede.params).toEqual([42, 2026]);
+    const approve = mockQueries.find(q => q.sql.includes("SET status = 'approved'"));
+    expect(approve.params).toEqual([7, 12, 42]);
+  });
+
+  test('TEST-BUD-08: budget vs actual for another company\'s budgetId → 404 before any actuals are read', async () => {
+    const res = await callRoute(reportsRouter, 'get', '/budget-vs-actual', {
+      role: 'readonly', companyId: 77, query: { fromDate: '2026-03-01', toDate: '2026-03-31', budgetId: '12' },
+    });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Budget not found.');
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(db.query.mock.calls[0][1]).toEqual(['12', 77]);
+  });
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * Budgets — Financial-Year Calendar, Apportioning, Variance and Sheet Import
+ * Unit tests for the pure helpers in budgetUtils.js. Route-level guards
+ * are covered in budget-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-BVA-01  Year-end month parsing with February default.
+ *   TEST-BVA-02  Feb year-end — FY 2025 runs Mar 2025 to Feb 2026.
+ *   TEST-BVA-03  December year-end is the calendar year.
+ *   TEST-BVA-04  Financial year containing a date.
+ *   TEST-BVA-05  Whole months count in full.
+ *   TEST-BVA-06  A month cut by the range is apportioned by days.
+ *   TEST-BVA-07  Months outside the range are ignored.
+ *   TEST-BVA-08  Uplift up and down.
+ *   TEST-BVA-09  Income above budget is favourable.
+ *   TEST-BVA-10  Expense above budget is unfavourable.
+ *   TEST-BVA-11  Zero budget → variancePct null.
+ *   TEST-BVA-12  Rows land in their P&L sections; empty accounts are dropped.
+ *   TEST-BVA-13  Totals follow the P&L structure.
+ *   TEST-BVA-14  Header below a title row, months in any order, segment column.
+ *   TEST-BVA-15  Rows without code or amounts are reported.
+ *   TEST-BVA-16  No recognisable header → null.
+ */
+
+const {
+  parseYearEndMonth,
+  financialYearMonths,
+  financialYearRange,
+  financialYearForDate,
+  budgetForRange,
+  applyUplift,
+  varianceFor,
+  buildBudgetVsActual,
+  parseBudgetSheet,
+} = require('../modules/accounting/services/budgetUtils');
+
+// ─── Financial-year calendar ─────────────────────────────────────────────────
+
+describe('Budgets — financial-year calendar', () => {
+  test('TEST-BVA-01: year-end month parsing with February default', () => {
+    expect(parseYearEndMonth('02')).toBe(2);
+    expect(parseYearEndMonth('June')).toBe(6);
+    expect(parseYearEndMonth(null)).toBe(2);
+    expect(parseYearEndMonth('garbage')).toBe(2);
+  });
+
+  test('TEST-BVA-02: Feb year-end — FY 2025 runs Mar 2025 to Feb 2026', () => {
+    const months = financialYearMonths(2025, 2);
+    expect(months[0]).toEqual({ index: 1, periodMonth: 3, periodStart: '2025-03-01', periodEnd: '2025-03-31' });
+    expect(months[11]).toEqual({ index: 12, periodMonth: 2, periodStart: '2026-02-01', periodEnd: '2026-02-28' });
+  });
+
+  test('TEST-BVA-03: December year-end is the calendar year', () => {
+    expect(financialYearRange(2025, 12)).toEqual({ fromDate: '2025-01-01', toDate: '2025-12-31' });
+  });
+
+  test('TEST-BVA-04: financial year containing a date', () => {
+    expect(financialYearForDate('2026-01-15', 2)).toBe(2025);
+    expect(financialYearForDate('2026-03-01', 2)).toBe(2026);
+    expect(financialYearForDate('2026-07-01', 12)).toBe(2026);
+  });
+});
+
+// ─── Amounts ─────────────────────────────────────────────────────────────────
+
+describe('Budgets — range apportioning and uplift', () => {
+  const lines = [
+    { period_start: '2025-03-01', period_end: '2025-03-31', amount: 3100 },
+    { period_start: '2025-04-01', period_end: '2025-04-30', amount: 3000 },
+  ];
+
+  test('TEST-BVA-05: whole months count in full', () => {
+    expect(budgetForRange(lines, '2025-03-01', '2025-04-30')).toBe(6100);
+  });
+
+  test('TEST-BVA-06: a month cut by the range is apportioned by days', () => {
+    expect(budgetForRange(lines, '2025-03-01', '2025-04-15')).toBe(4600);
+  });
+
+  test('TEST-BVA-07: months outside the range are ignored', () => {
+    expect(budgetForRange(lines, '2025-05-01', '2025-05-31')).toBe(0);
+  });
+
+  test('TEST-BVA-08: uplift up and down', () => {
+    expect(applyUplift(1000, 7.5)).toBe(1075);
+    expect(applyUplift(1000, -10)).toBe(900);
+    expect(applyUplift(1000, null)).toBe(1000);
+  });
+});
+
+// ─── Variance ────────────────────────────────────────────────────────────────
+
+describe('Budgets — variance', () => {
+  test('TEST-BVA-09: income above budget is favourable', () => {
+    expect(varianceFor('income', 11000, 10000)).toEqual({
+      actual: 11000, budget: 10000, variance: 1000, variancePct: 10, favourable: true,
+    });
+  });
+
+  test('TEST-BVA-10: expense above budget is unfavourable', () => {
+    const v = varianceFor('expense', 5500, 5000);
+    expect(v.variance).toBe(500);
+    expect(v.favourable).toBe(false);
+  });
+
+  test('TEST-BVA-11: zero budget → variancePct null', () => {
+    expect(varianceFor('expense', 200, 0).variancePct).toBeNull();
+  });
+});
+
+// ─── Report layout ───────────────────────────────────────────────────────────
+
+describe('Budgets — buildBudgetVsActual', () => {
+  const accounts = [
+    { id: 1, code: '4000', name: 'Sales',    type: 'income',  sub_type: 'operating_income' },
+    { id: 2, code: '5000', name: 'COS',      type: 'expense', sub_type: 'cost_of_sales' },
+    { id: 3, code: '6100', name: 'Rent',     type: 'expense', sub_type: 'operating_expense' },
+    { id: 4, code: '6990', name: 'Unused',   type: 'expense', sub_type: 'operating_expense' },
+    { id: 5, code: '6500', name: 'No sub',   type: 'expense', sub_type: null },
+  ];
+  const r = buildBudgetVsActual({
+    accounts,
+    actuals: { 1: 12000, 2: 7000, 3: 2000, 5: 100 },
+    budget:  { 1: 10000, 2: 6000, 3: 2500 },
+  });
+
+  test('TEST-BVA-12: rows land in their P&L sections; empty accounts are dropped', () => {
+    expect(r.sections.operating_income.map(x => x.code)).toEqual(['4000']);
+    expect(r.sections.operating_expense.map(x => x.code)).toEqual(['6100', '6500']);
+  });
+
+  test('TEST-BVA-13: totals follow the P&L structure', () => {
+    expect(r.totals.grossProfit).toMatchObject({ actual: 5000, budget: 4000, variance: 1000, favourable: true });
+    expect(r.totals.netProfit).toMatchObject({ actual: 2900, budget: 1500, variance: 1400 });
+    expect(r.totals.operatingExpenses.favourable).toBe(true);
+  });
+});
+
+// ─── Sheet parsing ───────────────────────────────────────────────────────────
+
+describe('Budgets — parseBudgetSheet', () => {
+  test('TEST-BVA-14: header below a title row, months in any order, segment column', () => {
+    const parsed = parseBudgetSheet([
+      ['FY2026 Budget'],
+      ['Account Code', 'Segment', 'Apr', 'Mar'],
+      ['4000', 'FARM', '1,200.50', '1000'],
+      ['6100', '', '(300)', ''],
+    ]);
+    expect(parsed.rows).toEqual([
+      { rowNumber: 3, accountCode: '4000', segmentCode: 'FARM',
+        cells: [{ periodMonth: 3, amount: 1000 }, { periodMonth: 4, amount: 1200.5 }] },
+      { rowNumber: 4, accountCode: '6100', segmentCode: null,
+        cells: [{ periodMonth: 4, amount: -300 }] },
+    ]);
+  });
+
+  test('TEST-BVA-15: rows without code or amounts are reported', () => {
+    const parsed = parseBudgetSheet([
+      ['Code', 'Jan'],
+      ['', '100'],
+      ['4000', ''],
+    ]);
+    expect(parsed.rows).toHaveLength(0);
+    expect(parsed.errors.map(e => e.row)).toEqual([2, 3]);
+  });
+
+  test('TEST-BVA-16: no recognisable header → null', () => {
+    expect(parseBudgetSheet([['foo', 'bar'], ['1', '2']])).toBeNull();
+  });
+});
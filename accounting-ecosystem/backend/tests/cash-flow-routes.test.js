@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * Cash-Flow Statement — Route Guards
+ * Drives GET /api/reports/cash-flow and the account cash-flow category edit
+ * (authenticate + hasPermission + handler) against a mocked Supabase client
+ * and pg pool.
+ *
+ * Scenarios covered:
+ *   TEST-CF-01  Missing fromDate / toDate → 400 before any query.
+ *   TEST-CF-02  fromDate after toDate → 400 before any query.
+ *   TEST-CF-03  Accounts and both journal queries are scoped to the caller's company.
+ *   TEST-CF-04  Only posted journals count, year-end closing journals excluded.
+ *   TEST-CF-05  Statement reconciles to the cash accounts' movement.
+ *   TEST-CF-06  A query failure → 500 with a generic message.
+ *   TEST-CF-07  Bookkeeper cannot change an account's cash-flow category → 403.
+ *   TEST-CF-08  Unknown cash-flow category → 400, account not updated.
+ *   TEST-CF-09  Category edit is scoped to the caller's company — another company's account is 404.
+ */
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockTables = {};
+const mockFilters = [];
+const mockDbQuery = jest.fn();
+
+function mockSbChain(table) {
+  const chain = {};
+  for (const m of ['select', 'eq', 'in', 'order', 'update', 'insert']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const one = () => Promise.resolve(mockTables[`${table}.single`] || { data: null, error: null });
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(mockTables[table] || { data: [], error: null }).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../modules/accounting/config/database', () => ({
+  query:     (...a) => mockDbQuery(...a),
+  getClient: jest.fn(),
+}));
+
+jest.mock('../modules/accounting/services/auditLogger', () => ({
+  logUserAction: jest.fn().mockResolvedValue(undefined),
+}));
+
+const reportsRouter = require('../modules/accounting/routes/reports');
+const accountsRouter = require('../modules/accounting/routes/accounts');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run every layer registered for `method path` (auth, permission, handler) like Express would. */
+async function callRoute(router, method, path, { role = 'accountant', body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const layer = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const req = { body, params, query, companyId, user: { userId: 7, role, email: 'books@example.co.za' }, get: () => 'jest', ip: '127.0.0.1' };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  for (const { handle } of layer.route.stack) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const cashFlow = (query, opts = {}) => callRoute(reportsRouter, 'get', '/cash-flow', { query, ...opts });
+const SEPT = { fromDate: '2026-09-01', toDate: '2026-09-30' };
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const ACCOUNTS = [
+  { id: 1, code: '1010', name: 'Bank — Cheque Account', type: 'asset',  sub_type: 'current_asset',    reporting_group: 'bank_cash', cash_flow_category: null },
+  { id: 2, code: '1100', name: 'Accounts Receivable',   type: 'asset',  sub_type: 'current_asset',    reporting_group: 'debtors',   cash_flow_category: null },
+  { id: 8, code: '4000', name: 'Sales Revenue',         type: 'income', sub_type: 'operating_income', reporting_group: 'operating_income', cash_flow_category: null },
+];
+
+// R1 000 of sales, R400 collected: profit 1 000, debtors up 600, cash up 400
+const MOVEMENTS = [
+  { account_id: 1, source_type: 'manual', debit: '400',  credit: '0' },
+  { account_id: 2, source_type: 'manual', debit: '1000', credit: '400' },
+  { account_id: 8, source_type: 'manual', debit: '0',    credit: '1000' },
+];
+
+describe('Cash-Flow Statement — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    for (const k of Object.keys(mockTables)) delete mockTables[k];
+    mockTables.accounts = { data: ACCOUNTS, error: null };
+    mockDbQuery.mockImplementation(async sql => (
+      sql.includes('AS opening')
+        ? { rows: [{ account_id: 1, opening: '250', closing: '650' }] }
+        : { rows: MOVEMENTS }
+    ));
+  });
+
+  test('TEST-CF-01: missing fromDate / toDate → 400 before any query', async () => {
+    const res = await cashFlow({ fromDate: '2026-09-01' });
+
+    expect(res.statusCode).toBe(400);
+    expect(mockDbQuery).not.toHaveBeenCalled();
+    expect(mockFilters).toEqual([]);
+  });
+
+  test('TEST-CF-02: fromDate after toDate → 400 before any query', async () => {
+    const res = await cashFlow({ fromDate: '2026-10-01', toDate: '2026-09-30' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('fromDate must be on or before toDate');
+    expect(mockDbQuery).not.toHaveBeenCalled();
+  });
+
+  test('TEST-CF-03: accounts and both journal queries are scoped to the caller\'s company', async () => {
+    const res = await cashFlow(SEPT, { role: 'readonly' });
+
+    expect(res.statusCode).toBe(200);
+    expect(mockFilters).toContainEqual({ table: 'accounts', op: 'eq', args: ['company_id', 42] });
+    expect(mockDbQuery).toHaveBeenCalledTimes(2);
+    for (const [sql, params] of mockDbQuery.mock.calls) {
+      expect(sql).toMatch(/j\.company_id = \$1/);
+      expect(params[0]).toBe(42);
+    }
+  });
+
+  test('TEST-CF-04: only posted journals count, year-end closing journals excluded', async () => {
+    await cashFlow(SEPT);
+
+    const [movementSql, movementParams] = mockDbQuery.mock.calls.find(([sql]) => sql.includes('GROUP BY jl.account_id, j.source_type'));
+    expect(movementSql).toMatch(/j\.status = 'posted'/);
+    expect(movementSql).toMatch(/<> 'year_end_close'/);
+    expect(movementParams).toEqual([42, '2026-09-01', '2026-09-30']);
+    // Cash balances are read for the cash accounts only
+    const [, cashParams] = mockDbQuery.mock.calls.find(([sql]) => sql.includes('AS opening'));
+    expect(cashParams[3]).toEqual([1]);
+  });
+
+  test('TEST-CF-05: statement reconciles to the cash accounts\' movement', async () => {
+    const res = await cashFlow(SEPT);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ fromDate: '2026-09-01', toDate: '2026-09-30' });
+    expect(res.body.reportTruth).toBeDefined();
+    expect(res.body.operating.netProfit).toBe(1000);
+    expect(res.body.netCashFlow).toBe(400);
+    expect(res.body.cash).toMatchObject({ opening: 250, closing: 650, movement: 400 });
+    expect(res.body.reconciles).toBe(true);
+  });
+
+  test('TEST-CF-06: a query failure → 500 with a generic message', async () => {
+    mockDbQuery.mockRejectedValue(new Error('relation "journal_lines" does not exist'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await cashFlow(SEPT);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({ error: 'Failed to generate cash flow statement' });
+  });
+
+  test('TEST-CF-07: bookkeeper cannot change an account\'s cash-flow category → 403', async () => {
+    const res = await callRoute(accountsRouter, 'put', '/:id', { role: 'bookkeeper', params: { id: '2' }, body: { cashFlowCategory: 'investing' } });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.permission).toBe('account.edit');
+    expect(mockFilters).toEqual([]);
+  });
+
+  test('TEST-CF-08: unknown cash-flow category → 400, account not updated', async () => {
+    mockTables['accounts.single'] = { data: ACCOUNTS[1], error: null };
+
+    const res = await callRoute(accountsRouter, 'put', '/:id', { params: { id: '2' }, body: { cashFlowCategory: 'speculative' } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/^cashFlowCategory must be one of/);
+    expect(mockFilters.some(f => f.op === 'update')).toBe(false);
+  });
+
+  test('TEST-CF-09: category edit is scoped to the caller\'s company — another company\'s account is 404', async () => {
+    const res = await callRoute(accountsRouter, 'put', '/:id', { params: { id: '2' }, body: { cashFlowCategory: 'investing' }, companyId: 77 });
+
+    expect(res.statusCode).toBe(404);
+    expect(mockFilters).toContainEqual({ table: 'accounts', op: 'eq', args: ['company_id', 77] });
+    expect(mockFilters.some(f => f.op === 'update')).toBe(false);
+  });
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Cash-Flow Statement — Account Classification and Indirect-Method Build
+ * Unit tests for the pure helpers in cashFlowUtils.js. Route-level guards
+ * are covered in cash-flow-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-CFS-01  Bank and overdraft are cash.
+ *   TEST-CFS-02  Working capital is operating.
+ *   TEST-CFS-03  Fixed assets investing, accumulated depreciation non-cash.
+ *   TEST-CFS-04  Loans and equity are financing.
+ *   TEST-CFS-05  Deferred tax is non-cash even though grouped with loans.
+ *   TEST-CFS-06  P&L is operating except profit on disposal.
+ *   TEST-CFS-07  Stored category overrides the default; invalid falls back.
+ *   TEST-CFS-08  Income/expense can never be cash or non-cash.
+ *   TEST-CFS-09  Net profit from P&L lines.
+ *   TEST-CFS-10  Depreciation added back, disposal profit removed.
+ *   TEST-CFS-11  Working capital movements.
+ *   TEST-CFS-12  Investing shows purchase and actual disposal proceeds.
+ *   TEST-CFS-13  Financing.
+ *   TEST-CFS-14  Reconciles to bank movement.
+ *   TEST-CFS-15  Missing cash balance is reported as a difference.
+ *   TEST-CFS-16  Reclassifying an account moves it between sections.
+ */
+
+const {
+  defaultCashFlowCategory,
+  resolveCashFlowCategory,
+  buildCashFlowStatement,
+} = require('../modules/accounting/services/cashFlowUtils');
+
+// Minimal chart mirroring Standard SA Base
+const ACCOUNTS = [
+  { id: 1,  code: '1010', name: 'Bank — Cheque Account',         type: 'asset',     sub_type: 'current_asset',         reporting_group: 'bank_cash' },
+  { id: 2,  code: '1100', name: 'Accounts Receivable',           type: 'asset',     sub_type: 'current_asset',         reporting_group: 'debtors' },
+  { id: 3,  code: '1620', name: 'Motor Vehicles',                type: 'asset',     sub_type: 'non_current_asset',     reporting_group: 'fixed_assets' },
+  { id: 4,  code: '1720', name: 'Accum Depreciation — Vehicles', type: 'asset',     sub_type: 'non_current_asset',     reporting_group: 'accumulated_depreciation' },
+  { id: 5,  code: '2000', name: 'Accounts Payable',              type: 'liability', sub_type: 'current_liability',     reporting_group: 'creditors' },
+  { id: 6,  code: '2700', name: 'Long-term Loans',               type: 'liability', sub_type: 'non_current_liability', reporting_group: 'long_term_loans' },
+  { id: 7,  code: '3000', name: 'Share Capital',                 type: 'equity',    sub_type: 'equity',                reporting_group: 'share_capital' },
+  { id: 8,  code: '4000', name: 'Sales Revenue',                 type: 'income',    sub_type: 'operating_income',      reporting_group: 'operating_income' },
+  { id: 9,  code: '4700', name: 'Profit on Disposal of Assets',  type: 'income',    sub_type: 'other_income',          reporting_group: 'other_income' },
+  { id: 10, code: '6100', name: 'Rent — Office / Premises',      type: 'expense',   sub_type: 'operating_expense',     reporting_group: 'occupancy' },
+  { id: 11, code: '7520', name: 'Depreciation — Motor Vehicles', type: 'expense',   sub_type: 'depreciation_amort',    reporting_group: 'depreciation' },
+  { id: 12, code: '2110', name: 'Bank Overdraft',                type: 'liability', sub_type: 'current_liability',     reporting_group: 'bank_cash' },
+];
+
+const byCode = code => ACCOUNTS.find(a => a.code === code);
+
+function line(code, debit, credit, sourceType = 'manual') {
+  return { account_id: byCode(code).id, source_type: sourceType, debit, credit };
+}
+
+// ─── Default classification ──────────────────────────────────────────────────
+
+describe('Cash-flow classification — defaults per account', () => {
+  test('TEST-CFS-01: bank and overdraft are cash', () => {
+    expect(defaultCashFlowCategory(byCode('1010'))).toBe('cash');
+    expect(defaultCashFlowCategory(byCode('2110'))).toBe('cash');
+  });
+
+  test('TEST-CFS-02: working capital is operating', () => {
+    expect(defaultCashFlowCategory(byCode('1100'))).toBe('operating');
+    expect(defaultCashFlowCategory(byCode('2000'))).toBe('operating');
+  });
+
+  test('TEST-CFS-03: fixed assets investing, accumulated depreciation non-cash', () => {
+    expect(defaultCashFlowCategory(byCode('1620'))).toBe('investing');
+    expect(defaultCashFlowCategory(byCode('1720'))).toBe('non_cash');
+  });
+
+  test('TEST-CFS-04: loans and equity are financing', () => {
+    expect(defaultCashFlowCategory(byCode('2700'))).toBe('financing');
+    expect(defaultCashFlowCategory(byCode('3000'))).toBe('financing');
+    expect(defaultCashFlowCategory({ type: 'liability', reporting_group: 'accruals', name: 'Dividends Payable' })).toBe('financing');
+  });
+
+  test('TEST-CFS-05: deferred tax is non-cash even though grouped with loans', () => {
+    expect(defaultCashFlowCategory({
+      type: 'liability', sub_type: 'non_current_liability', reporting_group: 'long_term_loans', name: 'Deferred Tax Liability',
+    })).toBe('non_cash');
+  });
+
+  test('TEST-CFS-06: P&L is operating except profit on disposal', () => {
+    expect(defaultCashFlowCategory(byCode('4000'))).toBe('operating');
+    expect(defaultCashFlowCategory(byCode('7520'))).toBe('operating');
+    expect(defaultCashFlowCategory(byCode('4700'))).toBe('investing');
+  });
+
+  test('TEST-CFS-07: stored category overrides the default; invalid falls back', () => {
+    expect(resolveCashFlowCategory({ ...byCode('1100'), cash_flow_category: 'investing' })).toBe('investing');
+    expect(resolveCashFlowCategory({ ...byCode('1100'), cash_flow_category: 'bogus' })).toBe('operating');
+  });
+
+  test('TEST-CFS-08: income/expense can never be cash or non-cash', () => {
+    expect(resolveCashFlowCategory({ ...byCode('7520'), cash_flow_category: 'non_cash' })).toBe('operating');
+  });
+});
+
+// ─── Statement build ─────────────────────────────────────────────────────────
+
+describe('Cash-flow statement — buildCashFlowStatement', () => {
+  // Period activity:
+  //   Cash sales 10 000, credit sales 5 000 (AR up 5 000)
+  //   Rent 3 000 on account (AP up 3 000), AP paid 1 000
+  //   Depreciation 2 000
+  //   Vehicle bought for cash 40 000, financed by new loan 30 000
+  //   Old vehicle disposed: cost 20 000, accum dep 15 000, proceeds 8 000 → profit 3 000
+  //   Share capital issued 5 000
+  const lines = [
+    line('1010', 10000, 0), line('4000', 0, 10000),
+    line('1100', 5000, 0),  line('4000', 0, 5000),
+    line('6100', 3000, 0),  line('2000', 0, 3000),
+    line('2000', 1000, 0),  line('1010', 0, 1000),
+    line('7520', 2000, 0, 'fixed_asset_depreciation'), line('1720', 0, 2000, 'fixed_asset_depreciation'),
+    line('1620', 40000, 0), line('1010', 0, 40000),
+    line('1010', 30000, 0), line('2700', 0, 30000),
+    line('1010', 8000, 0, 'fixed_asset_disposal'),
+    line('1720', 15000, 0, 'fixed_asset_disposal'),
+    line('1620', 0, 20000, 'fixed_asset_disposal'),
+    line('4700', 0, 3000, 'fixed_asset_disposal'),
+    line('1010', 5000, 0),  line('3000', 0, 5000),
+  ];
+  const cashBalances = [{ account_id: 1, opening: 50000, closing: 62000 }];
+
+  const s = buildCashFlowStatement({ accounts: ACCOUNTS, lines, cashBalances });
+
+  test('TEST-CFS-09: net profit from P&L lines', () => {
+    // 15 000 sales + 3 000 disposal profit − 3 000 rent − 2 000 depreciation
+    expect(s.operating.netProfit).toBe(13000);
+  });
+
+  test('TEST-CFS-10: depreciation added back, disposal profit removed', () => {
+    const adj = Object.fromEntries(s.operating.adjustments.map(a => [a.code, a.amount]));
+    expect(adj['1720']).toBe(2000);
+    expect(adj['4700']).toBe(-3000);
+  });
+
+  test('TEST-CFS-11: working capital movements', () => {
+    const wc = Object.fromEntries(s.operating.workingCapital.map(a => [a.code, a.amount]));
+    expect(wc['1100']).toBe(-5000);
+    expect(wc['2000']).toBe(2000);
+    expect(s.operating.total).toBe(9000);
+  });
+
+  test('TEST-CFS-12: investing shows purchase and actual disposal proceeds', () => {
+    expect(s.investing.total).toBe(-32000);   // −40 000 + 8 000
+  });
+
+  test('TEST-CFS-13: financing', () => {
+    expect(s.financing.total).toBe(35000);
+  });
+
+  test('TEST-CFS-14: reconciles to bank movement', () => {
+    expect(s.netCashFlow).toBe(12000);
+    expect(s.cash.movement).toBe(12000);
+    expect(s.difference).toBe(0);
+    expect(s.reconciles).toBe(true);
+  });
+
+  test('TEST-CFS-15: missing cash balance is reported as a difference', () => {
+    const off = buildCashFlowStatement({ accounts: ACCOUNTS, lines, cashBalances: [{ account_id: 1, opening: 50000, closing: 61000 }] });
+    expect(off.difference).toBe(1000);
+    expect(off.reconciles).toBe(false);
+  });
+
+  test('TEST-CFS-16: reclassifying an account moves it between sections', () => {
+    const accounts = ACCOUNTS.map(a => (a.code === '2700' ? { ...a, cash_flow_category: 'operating' } : a));
+    const r = buildCashFlowStatement({ accounts, lines, cashBalances });
+    expect(r.financing.total).toBe(5000);
+    expect(r.operating.total).toBe(39000);
+    expect(r.reconciles).toBe(true);
+  });
+});
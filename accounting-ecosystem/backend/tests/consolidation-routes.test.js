@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * Consolidation Groups — Route Guards
+ * Drives the consolidation routes (authenticate + hasPermission + handler)
+ * against a mocked pg pool, to check who can see a group's numbers, which
+ * companies can join it and what a finalised run commits.
+ *
+ * Scenarios covered:
+ *   TEST-CON-01  Bookkeeper cannot see a consolidated report → 403.
+ *   TEST-CON-02  Viewer cannot finalise a consolidation → 403, no transaction.
+ *   TEST-CON-03  Another company's group → 404, no member ledger read.
+ *   TEST-CON-04  A company without an active inter-company link to the parent cannot join → 409.
+ *   TEST-CON-05  A linked company the user has no access to cannot join → 403.
+ *   TEST-CON-06  Losing access to a member hides the group's numbers → 403 before any ledger read.
+ *   TEST-CON-07  Finalising with unmapped balances → 409, no transaction.
+ *   TEST-CON-08  A failure while saving the eliminations → ROLLBACK, no COMMIT.
+ */
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockQueries = [];
+const mockState = { groups: [], members: [], links: [], access: [], failOn: null };
+
+/** Rows are filtered the way the real WHERE clauses filter them. */
+async function mockQuery(sql, params = []) {
+  mockQueries.push({ sql: sql.trim(), params });
+  if (mockState.failOn && sql.includes(mockState.failOn)) throw new Error('insert or update violates foreign key constraint');
+  if (sql.includes('FROM consolidation_groups WHERE id = $1 AND company_id = $2')) {
+    return { rows: mockState.groups.filter(g => g.id === params[0] && g.company_id === params[1]) };
+  }
+  if (sql.includes('FROM consolidation_members m')) return { rows: mockState.members.filter(m => m.group_id === params[0]) };
+  if (sql.includes('FROM companies WHERE id = $1')) return { rows: [{ id: params[0], company_name: `Company ${params[0]}` }] };
+  if (sql.includes('FROM inter_company_relationships')) return { rows: mockState.links };
+  if (sql.includes('FROM user_company_access')) return { rows: mockState.access.map(company_id => ({ company_id })) };
+  if (sql.includes('INSERT INTO consolidation_runs')) return { rows: [{ id: 500 }] };
+  if (sql.includes('INSERT INTO consolidation_elimination_entries')) return { rows: [{ id: 510 }] };
+  return { rows: [] };
+}
+
+const mockClient = { query: jest.fn(mockQuery), release: jest.fn() };
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+jest.mock('../modules/accounting/config/database', () => ({
+  query:     jest.fn((...a) => mockQuery(...a)),
+  getClient: jest.fn(async () => mockClient),
+}));
+
+jest.mock('../modules/accounting/services/auditLogger', () => ({
+  logUserAction: jest.fn().mockResolvedValue(undefined),
+}));
+
+const db = require('../modules/accounting/config/database');
+const ConsolidationService = require('../modules/accounting/services/consolidationService');
+const consolidationRouter = require('../modules/accounting/routes/consolidation');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run every layer registered for `method path` (auth, permission, handler) like Express would. */
+async function callRoute(method, path, { role = 'accountant', body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const layer = consolidationRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const req = { body, params, query, companyId, user: { userId: 7, role, email: 'books@example.co.za' }, get: () => 'jest', ip: '127.0.0.1' };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  for (const { handle } of layer.route.stack) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const sqlRan = fragment => mockQueries.some(q => q.sql.includes(fragment));
+const SEPT = { fromDate: '2026-09-01', toDate: '2026-09-30' };
+const report = (opts = {}) => callRoute('get', '/groups/:id/report', { params: { id: '5' }, query: SEPT, ...opts });
+const finalise = (opts = {}) => callRoute('post', '/groups/:id/runs', { params: { id: '5' }, body: SEPT, ...opts });
+const addMember = (opts = {}) => callRoute('post', '/groups/:id/members', { params: { id: '5' }, body: { companyId: 43, ownershipPct: 80 }, ...opts });
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const GROUP = { id: 5, company_id: 42, name: 'Karoo Group', retained_earnings_account_id: 900, nci_account_id: 901, goodwill_account_id: null, is_active: true };
+
+const PARENT = { id: 1, group_id: 5, company_id: 42, company_name: 'Karoo Holdings', is_parent: true, ownership_pct: '100' };
+const SUBSIDIARY = { id: 2, group_id: 5, company_id: 43, company_name: 'Karoo Retail', is_parent: false, ownership_pct: '80' };
+
+const CONSOLIDATED = {
+  group: { id: 5 }, fromDate: '2026-09-01', toDate: '2026-09-30',
+  members: [{ companyId: 42 }, { companyId: 43 }],
+  unmapped: [],
+  trialBalance: { isBalanced: true },
+  balanceSheet: {}, profitLoss: {}, warnings: [],
+  eliminations: [{ type: 'intercompany', description: 'IC balances', amount: 1000, source: {},
+    lines: [{ groupAccountId: 910, companyId: 42, debit: 0, credit: 1000 }, { groupAccountId: 920, companyId: 43, debit: 1000, credit: 0 }] }],
+};
+
+describe('Consolidation Groups — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockQueries.length = 0;
+    mockState.groups = [{ ...GROUP }];
+    mockState.members = [{ ...PARENT }, { ...SUBSIDIARY }];
+    mockState.links = [{ company_a_id: 42, company_b_id: 43 }];
+    mockState.access = [42, 43];
+    mockState.failOn = null;
+  });
+
+  test('TEST-CON-01: bookkeeper cannot see a consolidated report → 403', async () => {
+    const res = await report({ role: 'bookkeeper' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.permission).toBe('consolidation.view');
+    expect(mockQueries).toEqual([]);
+  });
+
+  test('TEST-CON-02: viewer cannot finalise a consolidation → 403, no transaction', async () => {
+    const res = await finalise({ role: 'readonly' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.permission).toBe('consolidation.run');
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  test('TEST-CON-03: another company\'s group → 404, no member ledger read', async () => {
+    const res = await report({ companyId: 77 });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Consolidation group not found.');
+    expect(mockQueries[0].params).toEqual([5, 77]);
+    expect(sqlRan('FROM journal_lines')).toBe(false);
+  });
+
+  test('TEST-CON-04: a company without an active inter-company link to the parent cannot join → 409', async () => {
+    mockState.links = [];
+
+    const res = await addMember();
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('Company 43 must have an active inter-company relationship with the parent company.');
+    expect(mockQueries.find(q => q.sql.includes('inter_company_relationships')).sql).toMatch(/status = 'active'/);
+    expect(sqlRan('INSERT INTO consolidation_members')).toBe(false);
+  });
+
+  test('TEST-CON-05: a linked company the user has no access to cannot join → 403', async () => {
+    mockState.access = [42];
+
+    const res = await addMember();
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('You do not have access to Company 43.');
+    expect(mockQueries.find(q => q.sql.includes('user_company_access')).params).toEqual([7, [43]]);
+    expect(sqlRan('INSERT INTO consolidation_members')).toBe(false);
+  });
+
+  test('TEST-CON-06: losing access to a member hides the group\'s numbers → 403 before any ledger read', async () => {
+    mockState.access = [42];
+
+    const res = await report();
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('You do not have access to Karoo Retail.');
+    expect(sqlRan('FROM journal_lines')).toBe(false);
+  });
+
+  test('TEST-CON-07: finalising with unmapped balances → 409, no transaction', async () => {
+    jest.spyOn(ConsolidationService, 'consolidate').mockResolvedValue({ ...CONSOLIDATED, unmapped: [{ companyId: 43, accountId: 1200 }] });
+
+    const res = await finalise();
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('Consolidation cannot be finalised: 1 account(s) with balances are not mapped.');
+    expect(ConsolidationService.consolidate).toHaveBeenCalledWith(expect.objectContaining({ companyId: 42, groupId: 5 }));
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  test('TEST-CON-08: a failure while saving the eliminations → ROLLBACK, no COMMIT', async () => {
+    jest.spyOn(ConsolidationService, 'consolidate').mockResolvedValue(CONSOLIDATED);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockState.failOn = 'INSERT INTO consolidation_elimination_lines';
+
+    const res = await finalise();
+
+    expect(res.statusCode).toBe(500);
+    expect(sqlRan('INSERT INTO consolidation_runs')).toBe(true);
+    expect(sqlRan('ROLLBACK')).toBe(true);
+    expect(sqlRan('COMMIT')).toBe(false);
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,347 @@
+'use strict';
+
+/**
+ * Consolidation — Account Mapping, Eliminations, Adjustments and Consolidated Reports
+ * Unit tests for the pure helpers in consolidationUtils.js. Route-level
+ * guards are covered in consolidation-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-CNU-01  Setup needs one 100% parent, a retained earnings account and NCI for minority members.
+ *   TEST-CNU-02  Explicit mapping wins, then same code and type.
+ *   TEST-CNU-03  A code match of the wrong type is not mapped.
+ *   TEST-CNU-04  P&L is the period only; earlier earnings roll into retained earnings.
+ *   TEST-CNU-05  Unmapped accounts with a balance are reported and left out.
+ *   TEST-CNU-06  Revenue excl. VAT and the unpaid balance incl. VAT are eliminated.
+ *   TEST-CNU-07  Rejected, paid, out-of-period and non-member invoices are handled.
+ *   TEST-CNU-08  Missing IC accounts and ledger differences are warned about, not guessed.
+ *   TEST-CNU-09  Investment against the parent share of acquisition equity; the rest is goodwill.
+ *   TEST-CNU-10  Without acquisition balances the share is spread over current equity.
+ *   TEST-CNU-11  Goodwill without a goodwill account is not eliminated; a bargain purchase warns.
+ *   TEST-CNU-12  NCI takes its share of every equity account.
+ *   TEST-CNU-13  Lines must be one-sided and balance.
+ *   TEST-CNU-14  Only active adjustments dated in the period become entries.
+ *   TEST-CNU-15  The trial balance balances with member and elimination columns.
+ *   TEST-CNU-16  P&L without inter-company trading, profit split owners / NCI.
+ *   TEST-CNU-17  Balance sheet shows goodwill and NCI including its profit share.
+ */
+
+const {
+  validateGroupSetup,
+  validateAdjustmentLines,
+  resolveAccountMap,
+  mapMemberBalances,
+  intercompanyEliminations,
+  investmentElimination,
+  nciElimination,
+  adjustmentEntries,
+  buildConsolidatedReports,
+} = require('../modules/accounting/services/consolidationUtils');
+
+// Group chart
+const G = {
+  bank: 1, icRec: 2, investment: 3, goodwill: 4, icPay: 5, vat: 6,
+  capital: 7, retained: 8, nci: 9, sales: 10, icSales: 11, expenses: 12, icPurchases: 13,
+};
+const GROUP_ACCOUNTS = [
+  { id: G.bank,        code: '1000', name: 'Bank',                      type: 'asset' },
+  { id: G.icRec,       code: '1100', name: 'Inter-company receivable',  type: 'asset' },
+  { id: G.investment,  code: '1500', name: 'Investment in subsidiary',  type: 'asset' },
+  { id: G.goodwill,    code: '1600', name: 'Goodwill',                  type: 'asset' },
+  { id: G.icPay,       code: '2100', name: 'Inter-company payable',     type: 'liability' },
+  { id: G.vat,         code: '2200', name: 'VAT control',               type: 'liability' },
+  { id: G.capital,     code: '3000', name: 'Share capital',             type: 'equity' },
+  { id: G.retained,    code: '3100', name: 'Retained earnings',         type: 'equity' },
+  { id: G.nci,         code: '3900', name: 'Non-controlling interest',  type: 'equity' },
+  { id: G.sales,       code: '4000', name: 'Sales',                     type: 'income', sub_type: 'operating_income' },
+  { id: G.icSales,     code: '4100', name: 'Inter-company sales',       type: 'income', sub_type: 'operating_income' },
+  { id: G.expenses,    code: '5000', name: 'Operating expenses',        type: 'expense', sub_type: 'operating_expense' },
+  { id: G.icPurchases, code: '5100', name: 'Inter-company purchases',   type: 'expense', sub_type: 'cost_of_sales' },
+];
+
+// Parent (company 1) — owns 80% of the subsidiary, sold it R100 + VAT on account
+const PARENT_ACCOUNTS = [
+  { id: 11, code: '1000', name: 'Bank', type: 'asset' },
+  { id: 12, code: '1150', name: 'Loan to Sub', type: 'asset' },      // no code match → explicit map
+  { id: 13, code: '1500', name: 'Investment in Sub', type: 'asset' },
+  { id: 14, code: '2200', name: 'VAT', type: 'liability' },
+  { id: 15, code: '3000', name: 'Share capital', type: 'equity' },
+  { id: 16, code: '4000', name: 'Sales', type: 'income' },
+  { id: 17, code: '4100', name: 'Sales to Sub', type: 'income' },
+  { id: 18, code: '5000', name: 'Expenses', type: 'expense' },
+];
+const PARENT_BALANCES = {
+  11: { cumulative: 300,   period: 300 },
+  12: { cumulative: 115,   period: 115 },
+  13: { cumulative: 1000,  period: 0 },
+  14: { cumulative: -15,   period: -15 },
+  15: { cumulative: -1000, period: 0 },
+  16: { cumulative: -400,  period: -300 },  // R100 earned before the period, never closed
+  17: { cumulative: -100,  period: -100 },
+  18: { cumulative: 100,   period: 100 },
+};
+
+const SUB_ACCOUNTS = [
+  { id: 21, code: '1000', name: 'Bank', type: 'asset' },
+  { id: 22, code: '2100', name: 'Owing to Parent', type: 'liability' },
+  { id: 23, code: '2200', name: 'VAT', type: 'liability' },
+  { id: 24, code: '3000', name: 'Share capital', type: 'equity' },
+  { id: 25, code: '3100', name: 'Retained earnings', type: 'equity' },
+  { id: 26, code: '4000', name: 'Sales', type: 'income' },
+  { id: 27, code: '5100', name: 'Purchases from Parent', type: 'expense' },
+  { id: 28, code: '5000', name: 'Expenses', type: 'expense' },
+];
+const SUB_BALANCES = {
+  21: { cumulative: 1400,  period: 300 },
+  22: { cumulative: -115,  period: -115 },
+  23: { cumulative: 15,    period: 15 },
+  24: { cumulative: -1000, period: 0 },
+  25: { cumulative: -200,  period: 0 },
+  26: { cumulative: -250,  period: -250 },
+  27: { cumulative: 100,   period: 100 },
+  28: { cumulative: 50,    period: 50 },
+};
+
+const IC_INVOICE = {
+  id: 501, sender_company_id: 1, receiver_company_id: 2, date: '2025-03-10',
+  subtotal: 100, total: 115, amount_paid: 0, payment_status: 'unpaid', receiver_status: 'approved',
+};
+
+const PARENT = { companyId: 1, name: 'Holdco', isParent: true, ownershipPct: 100 };
+const SUB = { companyId: 2, name: 'Subco', isParent: false, ownershipPct: 80, equityAtAcquisition: 1000, investmentAccountId: 13 };
+
+function mapped() {
+  const parentMap = resolveAccountMap(GROUP_ACCOUNTS, PARENT_ACCOUNTS, { 12: G.icRec }).map;
+  const subMap = resolveAccountMap(GROUP_ACCOUNTS, SUB_ACCOUNTS).map;
+  return {
+    parentMap, subMap,
+    parent: mapMemberBalances({ accounts: PARENT_ACCOUNTS, balances: PARENT_BALANCES, accountMap: parentMap, retainedEarningsAccountId: G.retained }),
+    sub: mapMemberBalances({ accounts: SUB_ACCOUNTS, balances: SUB_BALANCES, accountMap: subMap, retainedEarningsAccountId: G.retained }),
+  };
+}
+
+const IC_MEMBERS = [
+  { companyId: 1, name: 'Holdco', ic: { receivable: G.icRec, revenue: G.icSales }, icLedger: { receivable: 115 } },
+  { companyId: 2, name: 'Subco',  ic: { payable: G.icPay, expense: G.icPurchases }, icLedger: { payable: -115 } },
+];
+
+function equityOf(balances) {
+  return { [G.capital]: balances[G.capital], [G.retained]: balances[G.retained] };
+}
+
+// ─── Setup and mapping ───────────────────────────────────────────────────────
+
+describe('Consolidation — group setup and account mapping', () => {
+  test('TEST-CNU-01: setup needs one 100% parent, a retained earnings account and NCI for minority members', () => {
+    expect(validateGroupSetup({ retainedEarningsAccountId: 8, nciAccountId: 9 }, [PARENT, SUB])).toEqual([]);
+    expect(validateGroupSetup({ retainedEarningsAccountId: 8 }, [PARENT, SUB]))
+      .toEqual(['The group non-controlling interest account is not set']);
+    expect(validateGroupSetup({}, [{ ...SUB, investmentAccountId: null }])).toEqual([
+      'A group must have exactly one parent company',
+      'Subco has equity at acquisition but no investment account',
+      'The group retained earnings account is not set',
+      'The group non-controlling interest account is not set',
+    ]);
+  });
+
+  test('TEST-CNU-02: explicit mapping wins, then same code and type', () => {
+    const { map, unmapped } = resolveAccountMap(GROUP_ACCOUNTS, PARENT_ACCOUNTS, { 12: G.icRec });
+    expect(map[12]).toBe(G.icRec);
+    expect(map[17]).toBe(G.icSales);
+    expect(unmapped).toEqual([]);
+    const noExplicit = resolveAccountMap(GROUP_ACCOUNTS, PARENT_ACCOUNTS);
+    expect(noExplicit.unmapped.map(u => u.code)).toEqual(['1150']);
+  });
+
+  test('TEST-CNU-03: a code match of the wrong type is not mapped', () => {
+    const { unmapped } = resolveAccountMap(GROUP_ACCOUNTS, [{ id: 99, code: '1000', name: 'Odd', type: 'liability' }]);
+    expect(unmapped).toHaveLength(1);
+  });
+
+  test('TEST-CNU-04: P&L is the period only; earlier earnings roll into retained earnings', () => {
+    const { parent, sub } = mapped();
+    expect(parent.balances[G.sales]).toBe(-300);
+    expect(parent.balances[G.retained]).toBe(-100);
+    expect(parent.netProfit).toBe(300);
+    expect(sub.netProfit).toBe(100);
+    const total = Object.values(parent.balances).reduce((s, v) => s + v, 0);
+    expect(Math.round(total * 100) / 100).toBe(0);
+  });
+
+  test('TEST-CNU-05: unmapped accounts with a balance are reported and left out', () => {
+    const { map } = resolveAccountMap(GROUP_ACCOUNTS, PARENT_ACCOUNTS);
+    const result = mapMemberBalances({ accounts: PARENT_ACCOUNTS, balances: PARENT_BALANCES, accountMap: map, retainedEarningsAccountId: G.retained });
+    expect(result.unmapped).toEqual([{ accountId: 12, code: '1150', name: 'Loan to Sub', type: 'asset', balance: 115 }]);
+    expect(result.balances[G.icRec]).toBeUndefined();
+  });
+});
+
+// ─── Inter-company eliminations ──────────────────────────────────────────────
+
+describe('Consolidation — intercompanyEliminations', () => {
+  test('TEST-CNU-06: revenue excl. VAT and the unpaid balance incl. VAT are eliminated', () => {
+    const { entries, warnings } = intercompanyEliminations({
+      invoices: [IC_INVOICE], members: IC_MEMBERS, fromDate: '2025-03-01', toDate: '2025-03-31',
+    });
+    expect(warnings).toEqual([]);
+    expect(entries.map(e => [e.type, e.amount, e.source.invoiceIds])).toEqual([
+      ['ic_revenue', 100, [501]],
+      ['ic_balance', 115, [501]],
+    ]);
+    expect(entries[0].lines).toEqual([
+      { groupAccountId: G.icSales, companyId: 1, debit: 100, credit: 0 },
+      { groupAccountId: G.icPurchases, companyId: 2, debit: 0, credit: 100 },
+    ]);
+    expect(entries[1].lines).toEqual([
+      { groupAccountId: G.icPay, companyId: 2, debit: 115, credit: 0 },
+      { groupAccountId: G.icRec, companyId: 1, debit: 0, credit: 115 },
+    ]);
+  });
+
+  test('TEST-CNU-07: rejected, paid, out-of-period and non-member invoices are handled', () => {
+    const { entries } = intercompanyEliminations({
+      invoices: [
+        { ...IC_INVOICE, id: 1, receiver_status: 'rejected' },
+        { ...IC_INVOICE, id: 2, payment_status: 'paid', amount_paid: 115 },
+        { ...IC_INVOICE, id: 3, date: '2025-02-10' },   // last period: balance only
+        { ...IC_INVOICE, id: 4, receiver_company_id: 77 },
+        { ...IC_INVOICE, id: 5, date: '2025-04-02' },   // after period end
+      ],
+      members: IC_MEMBERS, fromDate: '2025-03-01', toDate: '2025-03-31',
+    });
+    expect(entries.map(e => [e.type, e.source.invoiceIds])).toEqual([
+      ['ic_revenue', [2]],
+      ['ic_balance', [3]],
+    ]);
+  });
+
+  test('TEST-CNU-08: missing IC accounts and ledger differences are warned about, not guessed', () => {
+    const { entries, warnings } = intercompanyEliminations({
+      invoices: [IC_INVOICE, { ...IC_INVOICE, id: 502, subtotal: 50, total: 57.5 }],
+      members: [
+        { ...IC_MEMBERS[0] },
+        { ...IC_MEMBERS[1], ic: { payable: G.icPay } },
+      ],
+      fromDate: '2025-03-01', toDate: '2025-03-31',
+    });
+    expect(entries.map(e => e.type)).toEqual(['ic_balance']);
+    expect(warnings[0]).toContain('inter-company revenue 150 not eliminated');
+    expect(warnings.filter(w => w.includes('differs from unpaid inter-company invoices 172.5'))).toHaveLength(2);
+  });
+});
+
+// ─── Investment and NCI ──────────────────────────────────────────────────────
+
+describe('Consolidation — investment and NCI eliminations', () => {
+  const { sub } = mapped();
+  const equity = equityOf(sub.balances);
+  const investment = { groupAccountId: G.investment, balance: 1000, companyId: 1 };
+
+  test('TEST-CNU-09: investment against the parent share of acquisition equity; the rest is goodwill', () => {
+    const { entry, warnings } = investmentElimination({
+      member: SUB, equity, acquisitionEquity: { [G.capital]: -1000 }, investment, goodwillAccountId: G.goodwill,
+    });
+    expect(warnings).toEqual([]);
+    expect(entry.source.goodwill).toBe(200);
+    expect(entry.lines).toEqual([
+      { groupAccountId: G.capital, companyId: 2, debit: 800, credit: 0 },
+      { groupAccountId: G.investment, companyId: 1, debit: 0, credit: 1000 },
+      { groupAccountId: G.goodwill, companyId: null, debit: 200, credit: 0 },
+    ]);
+  });
+
+  test('TEST-CNU-10: without acquisition balances the share is spread over current equity', () => {
+    const { entry } = investmentElimination({ member: SUB, equity, investment, goodwillAccountId: G.goodwill });
+    const dr = entry.lines.filter(l => l.groupAccountId === G.capital || l.groupAccountId === G.retained);
+    expect(dr.map(l => l.debit)).toEqual([666.67, 133.33]);
+  });
+
+  test('TEST-CNU-11: goodwill without a goodwill account is not eliminated; a bargain purchase warns', () => {
+    expect(investmentElimination({ member: SUB, equity, investment }).entry).toBeNull();
+    const bargain = investmentElimination({
+      member: SUB, equity, investment: { ...investment, balance: 700 }, goodwillAccountId: G.goodwill,
+    });
+    expect(bargain.warnings[0]).toContain('bargain purchase of 100');
+    expect(bargain.entry.lines.find(l => l.groupAccountId === G.goodwill).credit).toBe(100);
+  });
+
+  test('TEST-CNU-12: NCI takes its share of every equity account', () => {
+    const entry = nciElimination({ member: SUB, equity, nciAccountId: G.nci });
+    expect(entry.amount).toBe(240);
+    expect(entry.lines).toEqual([
+      { groupAccountId: G.capital, companyId: 2, debit: 200, credit: 0 },
+      { groupAccountId: G.retained, companyId: 2, debit: 40, credit: 0 },
+      { groupAccountId: G.nci, companyId: 2, debit: 0, credit: 240 },
+    ]);
+    expect(nciElimination({ member: { ...SUB, ownershipPct: 100 }, equity, nciAccountId: G.nci })).toBeNull();
+  });
+});
+
+// ─── Manual adjustments ──────────────────────────────────────────────────────
+
+describe('Consolidation — manual adjustments', () => {
+  test('TEST-CNU-13: lines must be one-sided and balance', () => {
+    expect(validateAdjustmentLines([{ groupAccountId: 1, debit: 10 }, { groupAccountId: 2, credit: 10 }])).toEqual([]);
+    expect(validateAdjustmentLines([{ groupAccountId: 1, debit: 10, credit: 5 }, { groupAccountId: 2, credit: 10 }]))
+      .toEqual(['Line 1: must have either a debit or a credit', 'Adjustment must balance (debits 10, credits 15)']);
+    expect(validateAdjustmentLines([])).toEqual(['An adjustment needs at least two lines']);
+  });
+
+  test('TEST-CNU-14: only active adjustments dated in the period become entries', () => {
+    const lines = [{ groupAccountId: '12', debit: 20, credit: 0 }, { groupAccountId: '1', debit: 0, credit: 20 }];
+    const entries = adjustmentEntries([
+      { id: 1, adjustment_date: '2025-03-31', description: 'Unrealised profit in stock', lines, status: 'active' },
+      { id: 2, adjustment_date: '2025-03-31', description: 'Reversed', lines, status: 'reversed' },
+      { id: 3, adjustment_date: '2025-04-01', description: 'Next period', lines, status: 'active' },
+    ], '2025-03-01', '2025-03-31');
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ type: 'manual', amount: 20, source: { adjustmentId: 1 } });
+    expect(entries[0].lines[0].groupAccountId).toBe(12);
+  });
+});
+
+// ─── Consolidated reports ────────────────────────────────────────────────────
+
+describe('Consolidation — buildConsolidatedReports', () => {
+  const { parent, sub } = mapped();
+  const ic = intercompanyEliminations({ invoices: [IC_INVOICE], members: IC_MEMBERS, fromDate: '2025-03-01', toDate: '2025-03-31' });
+  const equity = equityOf(sub.balances);
+  const entries = [
+    ...ic.entries,
+    investmentElimination({
+      member: SUB, equity, acquisitionEquity: { [G.capital]: -1000 },
+      investment: { groupAccountId: G.investment, balance: 1000, companyId: 1 }, goodwillAccountId: G.goodwill,
+    }).entry,
+    nciElimination({ member: SUB, equity, nciAccountId: G.nci }),
+  ];
+  const reports = buildConsolidatedReports({
+    groupAccounts: GROUP_ACCOUNTS,
+    members: [{ ...PARENT, ...parent }, { ...SUB, ...sub }],
+    entries, nciAccountId: G.nci,
+  });
+  const row = id => reports.trialBalance.accounts.find(r => r.id === id);
+
+  test('TEST-CNU-15: the trial balance balances with member and elimination columns', () => {
+    expect(reports.trialBalance.isBalanced).toBe(true);
+    expect(row(G.icRec)).toMatchObject({ members: { 1: 115, 2: 0 }, eliminations: -115, balance: 0 });
+    expect(row(G.investment).balance).toBe(0);
+    expect(row(G.capital).balance).toBe(-1000);   // parent's share capital only
+    expect(row(G.retained).balance).toBe(-260);   // parent 100 + 80% of post-acquisition 200
+  });
+
+  test('TEST-CNU-16: P&L without inter-company trading, profit split owners / NCI', () => {
+    const pl = reports.profitLoss;
+    expect(pl.totals.operatingIncome).toBe(550);
+    expect(pl.totals.costOfSales).toBe(0);
+    expect(pl.totals.netProfit).toBe(400);
+    expect(pl.attributable).toEqual({ owners: 380, nonControllingInterest: 20 });
+  });
+
+  test('TEST-CNU-17: balance sheet shows goodwill and NCI including its profit share', () => {
+    const bs = reports.balanceSheet;
+    expect(bs.assets.map(a => [a.code, a.balance])).toEqual([['1000', 1700], ['1100', 0], ['1500', 0], ['1600', 200]]);
+    expect(bs.nonControllingInterest).toBe(260);
+    expect(bs.equity.map(e => e.code)).toEqual(['3000', '3100']);
+    expect(bs.totals).toMatchObject({ assets: 1900, liabilities: 0, ownersEquity: 1640, equity: 1900 });
+    expect(bs.isBalanced).toBe(true);
+  });
+});
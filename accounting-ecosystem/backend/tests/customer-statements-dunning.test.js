@@ -0,0 +1,265 @@
+'use strict';
+
+/**
+ * Customer Statements & Dunning — Aging, Statement Builds, Planner, Interest and Letters
+ * Unit tests for the pure helpers in statementUtils.js, dunningUtils.js and
+ * statementPdf.js. Route-level guards are covered in dunning-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-STM-01  Outstanding as at a date ignores later payments and invoices.
+ *   TEST-STM-02  Aging buckets match the AR aging report boundaries.
+ *   TEST-STM-03  Lists open invoices, unallocated payment and credit note.
+ *   TEST-STM-04  Closing balance equals the aging total.
+ *   TEST-STM-05  Fully settled invoices drop off the statement.
+ *   TEST-STM-06  Opening balance carries everything before the period.
+ *   TEST-STM-07  Running balance through the period.
+ *   TEST-STM-08  Both styles close on the same balance.
+ *   TEST-STM-09  Same-day invoice is listed before the payment.
+ *   TEST-STM-10  Default stages are valid; out-of-order thresholds are rejected.
+ *   TEST-STM-11  One letter per customer at the highest stage reached.
+ *   TEST-STM-12  Already-dunned invoices do not produce a second letter.
+ *   TEST-STM-13  Final stage places a hold unless the customer is already on hold.
+ *   TEST-STM-14  Currencies get separate letters; minimum amount skips small balances.
+ *   TEST-STM-15  Simple interest from due date, then from the last charge.
+ *   TEST-STM-16  Interest lines skip earlier interest invoices.
+ *   TEST-STM-17  Placeholders are filled; unknown ones are left alone.
+ *   TEST-STM-18  Statement and letter render as PDF.
+ */
+
+const {
+  daysOverdue,
+  outstandingAsAt,
+  buildAging,
+  buildOpenItemStatement,
+  buildBalanceForwardStatement,
+} = require('../modules/accounting/services/statementUtils');
+const {
+  DEFAULT_STAGES,
+  validateStages,
+  interestFor,
+  planDunning,
+  renderLetter,
+} = require('../modules/accounting/services/dunningUtils');
+const { renderStatementPdf, renderLetterPdf } = require('../modules/accounting/services/statementPdf');
+
+// One customer: two invoices, one part-paid, a later payment, a credit note
+const DOCS = {
+  invoices: [
+    { id: 1, number: 'INV-0001', date: '2025-01-10', dueDate: '2025-02-09', total: 1150 },
+    { id: 2, number: 'INV-0002', date: '2025-02-15', dueDate: '2025-03-17', total: 2300 },
+  ],
+  payments: [
+    { id: 10, date: '2025-02-20', reference: 'EFT 4411', amount: 1000 },
+    { id: 11, date: '2025-03-25', reference: 'EFT 4502', amount: 500 },
+  ],
+  allocations: [
+    { invoiceId: 1, paymentId: 10, amount: 1000, paymentDate: '2025-02-20' },
+    { invoiceId: 2, paymentId: 11, amount: 400, paymentDate: '2025-03-25' },
+  ],
+  creditNotes: [
+    { id: 20, number: 'CN-0001', date: '2025-03-05', total: 115 },
+  ],
+};
+
+// ─── Outstanding and aging ───────────────────────────────────────────────────
+
+describe('Customer statements — outstanding and aging', () => {
+  test('TEST-STM-01: outstanding as at a date ignores later payments and invoices', () => {
+    const at = outstandingAsAt(DOCS.invoices, DOCS.allocations, '2025-02-14');
+    expect(at.get(1)).toBe(1150);
+    expect(at.has(2)).toBe(false);
+    const later = outstandingAsAt(DOCS.invoices, DOCS.allocations, '2025-03-31');
+    expect(later.get(1)).toBe(150);
+    expect(later.get(2)).toBe(1900);
+  });
+
+  test('TEST-STM-02: aging buckets match the AR aging report boundaries', () => {
+    expect(daysOverdue('2025-03-01', '2025-03-31')).toBe(30);
+    const aging = buildAging([
+      { dueDate: '2025-04-10', amount: 100 },  // not yet due
+      { dueDate: '2025-03-01', amount: 200 },  // 30 days
+      { dueDate: '2025-02-28', amount: 300 },  // 31 days
+      { dueDate: '2024-12-01', amount: 400 },  // 120 days
+      { dueDate: null,         amount: -50 },  // unallocated credit
+    ], '2025-03-31');
+    expect(aging).toEqual({ current: 50, days30: 200, days60: 300, days90: 0, days90plus: 400, total: 950 });
+  });
+});
+
+// ─── Open-item statement ─────────────────────────────────────────────────────
+
+describe('Customer statements — buildOpenItemStatement', () => {
+  const st = buildOpenItemStatement({ ...DOCS, asOfDate: '2025-03-31' });
+
+  test('TEST-STM-03: lists open invoices, unallocated payment and credit note', () => {
+    expect(st.items.map(i => [i.type, i.reference, i.amount])).toEqual([
+      ['invoice', 'INV-0001', 150],
+      ['invoice', 'INV-0002', 1900],
+      ['credit_note', 'CN-0001', -115],
+      ['payment', 'EFT 4502', -100],
+    ]);
+  });
+
+  test('TEST-STM-04: closing balance equals the aging total', () => {
+    expect(st.closingBalance).toBe(1835);
+    expect(st.aging.total).toBe(1835);
+    expect(st.aging.days60).toBe(150);  // INV-0001, 50 days overdue
+    expect(st.aging.days30).toBe(1900); // INV-0002, 14 days overdue
+  });
+
+  test('TEST-STM-05: fully settled invoices drop off the statement', () => {
+    const settled = buildOpenItemStatement({
+      invoices: [DOCS.invoices[0]], payments: [{ id: 1, date: '2025-02-01', amount: 1150 }],
+      allocations: [{ invoiceId: 1, paymentId: 1, amount: 1150, paymentDate: '2025-02-01' }],
+      creditNotes: [], asOfDate: '2025-03-31',
+    });
+    expect(settled.items).toHaveLength(0);
+    expect(settled.closingBalance).toBe(0);
+  });
+});
+
+// ─── Balance-forward statement ───────────────────────────────────────────────
+
+describe('Customer statements — buildBalanceForwardStatement', () => {
+  const st = buildBalanceForwardStatement({ ...DOCS, fromDate: '2025-03-01', toDate: '2025-03-31' });
+
+  test('TEST-STM-06: opening balance carries everything before the period', () => {
+    expect(st.openingBalance).toBe(2450); // 1150 + 2300 - 1000
+  });
+
+  test('TEST-STM-07: running balance through the period', () => {
+    expect(st.lines.map(l => [l.reference, l.debit, l.credit, l.balance])).toEqual([
+      ['CN-0001', 0, 115, 2335],
+      ['EFT 4502', 0, 500, 1835],
+    ]);
+    expect(st.totalCredits).toBe(615);
+  });
+
+  test('TEST-STM-08: both styles close on the same balance', () => {
+    const openItem = buildOpenItemStatement({ ...DOCS, asOfDate: '2025-03-31' });
+    expect(st.closingBalance).toBe(openItem.closingBalance);
+    expect(st.aging).toEqual(openItem.aging);
+  });
+
+  test('TEST-STM-09: same-day invoice is listed before the payment', () => {
+    const sameDay = buildBalanceForwardStatement({
+      invoices: [{ id: 5, number: 'INV-9', date: '2025-03-10', total: 100 }],
+      payments: [{ id: 4, date: '2025-03-10', reference: 'CASH', amount: 100 }],
+      allocations: [], creditNotes: [], fromDate: '2025-03-01', toDate: '2025-03-31',
+    });
+    expect(sameDay.lines.map(l => l.balance)).toEqual([100, 0]);
+  });
+});
+
+// ─── Dunning planner ─────────────────────────────────────────────────────────
+
+describe('Dunning — planDunning', () => {
+  const stages = DEFAULT_STAGES.map((s, i) => ({ ...s, id: i + 1 }));
+  const inv = (id, dueDate, outstanding, extra = {}) => ({
+    id, customerId: 7, customerName: 'Acme Traders', number: `INV-${id}`, dueDate, outstanding,
+    dunningLevel: 0, interestChargedTo: null, currencyCode: 'ZAR', ...extra,
+  });
+
+  test('TEST-STM-10: default stages are valid; out-of-order thresholds are rejected', () => {
+    expect(validateStages(stages)).toEqual([]);
+    expect(validateStages([
+      { level: 1, name: 'A', daysOverdue: 30 },
+      { level: 2, name: 'B', daysOverdue: 7 },
+    ])).toEqual(['Stage "B" must be more days overdue than "A"']);
+  });
+
+  test('TEST-STM-11: one letter per customer at the highest stage reached', () => {
+    const { letters } = planDunning({
+      stages, asOfDate: '2025-05-01',
+      invoices: [inv(1, '2025-04-20', 500), inv(2, '2025-03-20', 700), inv(3, '2025-05-10', 900)],
+    });
+    expect(letters).toHaveLength(1);
+    expect(letters[0].stage.level).toBe(2);      // INV-2 is 42 days overdue
+    expect(letters[0].overdueTotal).toBe(1200);  // INV-3 is not yet due
+    expect(letters[0].invoices.map(i => [i.number, i.newLevel])).toEqual([['INV-2', 2], ['INV-1', 1]]);
+    expect(letters[0].applyCreditHold).toBe(false);
+  });
+
+  test('TEST-STM-12: already-dunned invoices do not produce a second letter', () => {
+    const { letters } = planDunning({
+      stages, asOfDate: '2025-05-01', invoices: [inv(2, '2025-03-20', 700, { dunningLevel: 2 })],
+    });
+    expect(letters).toHaveLength(0);
+  });
+
+  test('TEST-STM-13: final stage places a hold unless the customer is already on hold', () => {
+    const invoices = [inv(1, '2025-02-01', 300)];
+    expect(planDunning({ stages, invoices, asOfDate: '2025-05-01' }).letters[0].applyCreditHold).toBe(true);
+    const held = planDunning({ stages, invoices, asOfDate: '2025-05-01', customers: { 7: { creditHold: true } } });
+    expect(held.letters[0].applyCreditHold).toBe(false);
+  });
+
+  test('TEST-STM-14: currencies get separate letters; minimum amount skips small balances', () => {
+    const { letters, skipped } = planDunning({
+      stages: stages.map(s => ({ ...s, minOverdueAmount: 50 })), asOfDate: '2025-05-01',
+      invoices: [inv(1, '2025-04-01', 400), inv(2, '2025-04-01', 20, { currencyCode: 'USD' })],
+    });
+    expect(letters.map(l => l.currencyCode)).toEqual(['ZAR']);
+    expect(skipped).toHaveLength(1);
+    expect(skipped[0].level).toBe(2); // 30 days reaches the 30-day stage
+  });
+});
+
+// ─── Interest ────────────────────────────────────────────────────────────────
+
+describe('Dunning — interest', () => {
+  test('TEST-STM-15: simple interest from due date, then from the last charge', () => {
+    expect(interestFor({ outstanding: 10000, dueDate: '2025-01-31', asOfDate: '2025-03-02', rateAnnual: 18.25 }))
+      .toEqual({ days: 30, amount: 150, fromDate: '2025-01-31' });
+    expect(interestFor({
+      outstanding: 10000, dueDate: '2025-01-31', interestChargedTo: '2025-03-02', asOfDate: '2025-03-12', rateAnnual: 18.25,
+    })).toEqual({ days: 10, amount: 50, fromDate: '2025-03-02' });
+    expect(interestFor({ outstanding: 10000, dueDate: '2025-01-31', interestChargedTo: '2025-03-12', asOfDate: '2025-03-12', rateAnnual: 18.25 }))
+      .toBeNull();
+  });
+
+  test('TEST-STM-16: interest lines skip earlier interest invoices', () => {
+    const stage = { id: 1, level: 1, name: 'Reminder', daysOverdue: 7, chargeInterest: true, interestRateAnnual: 18.25 };
+    const { letters } = planDunning({
+      stages: [stage], asOfDate: '2025-03-02',
+      invoices: [
+        { id: 1, customerId: 3, customerName: 'B', number: 'INV-1', dueDate: '2025-01-31', outstanding: 10000, currencyCode: 'ZAR' },
+        { id: 2, customerId: 3, customerName: 'B', number: 'INV-2', dueDate: '2025-01-31', outstanding: 150, currencyCode: 'ZAR', isInterestCharge: true },
+      ],
+    });
+    expect(letters[0].interestLines.map(l => [l.invoiceId, l.amount])).toEqual([[1, 150]]);
+    expect(letters[0].interestTotal).toBe(150);
+  });
+});
+
+// ─── Letters and PDFs ────────────────────────────────────────────────────────
+
+describe('Dunning — renderLetter and PDFs', () => {
+  const { letters } = planDunning({
+    stages: DEFAULT_STAGES.map((s, i) => ({ ...s, id: i + 1 })), asOfDate: '2025-05-01',
+    invoices: [{ id: 9, customerId: 1, customerName: 'Acme Traders', number: 'INV-0009', dueDate: '2025-04-01', outstanding: 1234.5, currencyCode: 'ZAR' }],
+  });
+
+  test('TEST-STM-17: placeholders are filled; unknown ones are left alone', () => {
+    const body = renderLetter('Dear {customer}, {overdue_total} ({days_overdue} days) {stage} {unknown}\n{invoice_list}', {
+      letter: letters[0], companyName: 'Lorenco', letterDate: '2025-05-01',
+    });
+    expect(body).toContain('Dear Acme Traders, R 1');
+    expect(body).toContain('(30 days) Second notice {unknown}');
+    expect(body).toContain('INV-0009   due 2025-04-01   30 days');
+  });
+
+  test('TEST-STM-18: statement and letter render as PDF', async () => {
+    const company = { company_name: 'Lorenco Demo (Pty) Ltd', vat_number: '4123456789' };
+    const customer = { id: 7, name: 'Acme Traders', city: 'Paarl', credit_hold: true };
+    const statement = buildBalanceForwardStatement({ ...DOCS, fromDate: '2025-03-01', toDate: '2025-03-31' });
+    const pdf = await renderStatementPdf({ company, customer, statement });
+    expect(pdf.subarray(0, 4).toString()).toBe('%PDF');
+
+    const letter = await renderLetterPdf({
+      company, customer,
+      letter: { subject: 'Payment reminder', body: 'Dear Acme\n\n  INV-0009   due 2025-04-01', letter_date: '2025-05-01', stage_name: 'Friendly reminder' },
+    });
+    expect(letter.subarray(0, 4).toString()).toBe('%PDF');
+  });
+});
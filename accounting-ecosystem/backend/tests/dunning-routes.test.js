@@ -0,0 +1,271 @@
+'use strict';
+
+/**
+ * Dunning & Credit Hold — Route Guards
+ * Drives the dunning routes (authenticate + hasPermission + handler) against
+ * a mocked pg pool, and the POS sale handler against a mocked Supabase
+ * client, to check who can escalate a debtor, what one run commits together
+ * and that a credit hold bites at the till.
+ *
+ * Scenarios covered:
+ *   TEST-DUN-01  Bookkeeper cannot execute a dunning run → 403, no transaction.
+ *   TEST-DUN-02  Viewer cannot place a credit hold → 403.
+ *   TEST-DUN-03  Credit hold on another company's customer → 404, no transaction.
+ *   TEST-DUN-04  Run with no active stages → 409, rolled back, no run recorded.
+ *   TEST-DUN-05  Letter, contact log, escalation and hold commit in one company-scoped transaction.
+ *   TEST-DUN-06  A failure placing the hold → ROLLBACK, no COMMIT, no hold audited.
+ *   TEST-DUN-07  Account tender for a customer on hold → 409 before the sale RPC.
+ *   TEST-DUN-08  A failed hold lookup refuses the account tender (fail closed).
+ *   TEST-DUN-09  Cash tender for a customer on hold goes through.
+ */
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockTables = {};
+const mockFilters = [];
+const mockQueries = [];
+const mockRpc = jest.fn();
+const mockState = { stages: [], invoices: [], customers: [], failOn: null };
+
+function mockSbChain(table) {
+  const chain = {};
+  for (const m of ['select', 'eq', 'in', 'not', 'or', 'is', 'gte', 'lte', 'lt', 'gt', 'order', 'limit', 'update', 'insert']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const result = () => Promise.resolve(mockTables[table] || { data: [], error: null });
+  chain.single = jest.fn(() => Promise.resolve(mockTables[table] || { data: null, error: null }));
+  chain.maybeSingle = jest.fn(() => Promise.resolve(mockTables[table] || { data: null, error: null }));
+  chain.then = (resolve, reject) => result().then(resolve, reject);
+  return chain;
+}
+
+/** Rows are filtered by company the way the real WHERE clauses filter them. */
+async function mockQuery(sql, params = []) {
+  mockQueries.push({ sql: sql.trim(), params });
+  if (mockState.failOn && sql.includes(mockState.failOn)) throw new Error('deadlock detected');
+  if (sql.includes('FROM dunning_stages')) return { rows: mockState.stages.filter(s => s.company_id === params[0]) };
+  if (sql.includes('FROM customer_invoices i')) return { rows: mockState.invoices.filter(i => i.company_id === params[0]) };
+  if (sql.includes('FROM customers WHERE id = $1 AND company_id = $2')) {
+    return { rows: mockState.customers.filter(c => c.id === params[0] && c.company_id === params[1]) };
+  }
+  if (sql.includes('FROM companies')) return { rows: [{ id: params[0], company_name: 'Karoo Traders' }] };
+  if (sql.includes('INSERT INTO dunning_runs')) return { rows: [{ id: 400, run_date: params[1] }] };
+  if (sql.includes('INSERT INTO dunning_letters')) return { rows: [{ id: 410 }] };
+  return { rows: [] };
+}
+
+const mockClient = { query: jest.fn(mockQuery), release: jest.fn() };
+
+jest.mock('../config/database', () => ({
+  supabase: {
+    from: jest.fn(table => mockSbChain(table)),
+    rpc:  (...a) => mockRpc(...a),
+  },
+}));
+
+jest.mock('../modules/accounting/config/database', () => ({
+  query:     jest.fn((...a) => mockQuery(...a)),
+  getClient: jest.fn(async () => mockClient),
+}));
+
+jest.mock('../modules/accounting/services/auditLogger', () => ({
+  log:           jest.fn().mockResolvedValue(undefined),
+  logUserAction: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (_req, _res, next) => next(),
+  requireCompany:    (_req, _res, next) => next(),
+  requirePermission: () => (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('../modules/pos/services/posAuditLogger', () => ({
+  posAuditFromReq: jest.fn(),
+  POS_EVENTS:      new Proxy({}, { get: (_t, key) => key }),
+}));
+
+jest.mock('../modules/pos/services/stockPolicyCache', () => ({
+  getStockPolicy: jest.fn().mockResolvedValue(false),
+}));
+
+const db = require('../modules/accounting/config/database');
+const AuditLogger = require('../modules/accounting/services/auditLogger');
+const { posAuditFromReq } = require('../modules/pos/services/posAuditLogger');
+const dunningRouter = require('../modules/accounting/routes/dunning');
+const salesRouter = require('../modules/pos/routes/sales');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run every layer registered for `method path` (auth, permission, handler) like Express would. */
+async function callRoute(router, method, path, { role = 'accountant', body = {}, params = {}, companyId = 42 } = {}) {
+  const layer = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const req = { body, params, query: {}, companyId, user: { userId: 7, role, email: 'books@example.co.za' }, get: () => 'jest', ip: '127.0.0.1' };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    setHeader() {},
+    send(payload) { this.body = payload; return this; },
+  };
+  for (const { handle } of layer.route.stack) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const sqlRan = fragment => mockQueries.some(q => q.sql.includes(fragment));
+const runDunning = (opts = {}) => callRoute(dunningRouter, 'post', '/run', { body: { asOfDate: '2026-09-30' }, ...opts });
+
+/** A one-item sale for customer 8, tendered with `payment_method`. */
+function customerSale(payment_method) {
+  return {
+    items: [{ product_id: 1, quantity: 1 }],
+    customer_id: 8,
+    till_session_id: 7,
+    payments: [{ payment_method, amount: 200 }],
+  };
+}
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const FINAL_DEMAND = {
+  id: 3, company_id: 42, level: 3, name: 'Final demand', days_overdue: 60,
+  letter_subject: 'Final demand — {customer}', letter_body: 'Overdue: {overdue_total}',
+  charge_interest: false, interest_rate_annual: 0, interest_account_id: null,
+  apply_credit_hold: true, min_overdue_amount: 0, is_active: true,
+};
+
+// Due 17 July, 75 days overdue at 30 September, already at level 2
+const OVERDUE_INVOICE = {
+  id: 301, company_id: 42, customer_id: 8, customer_name: 'Kalahari Spares', credit_hold: false,
+  invoice_number: 'INV-0301', due_date: '2026-07-17', total_amount: '4600.00', amount_paid: '0',
+  dunning_level: 2, interest_charged_to: null, currency_code: 'ZAR', is_interest_charge: false,
+};
+
+const PRODUCT = { id: 1, company_id: 42, product_name: 'Brake Pads', unit_price: 200, vat_rate: 15, stock_quantity: 10, is_active: true };
+const HELD_CUSTOMER = { id: 8, discount_percentage: 0, credit_hold: true, credit_hold_reason: 'Dunning: Final demand', credit_hold_at: '2026-09-30T08:00:00Z' };
+
+describe('Dunning & Credit Hold — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockQueries.length = 0;
+    for (const k of Object.keys(mockTables)) delete mockTables[k];
+    mockState.stages = [{ ...FINAL_DEMAND }];
+    mockState.invoices = [{ ...OVERDUE_INVOICE }];
+    mockState.customers = [{ id: 8, company_id: 42, name: 'Kalahari Spares', credit_hold: false, credit_hold_reason: null }];
+    mockState.failOn = null;
+    mockTables.products = { data: [PRODUCT], error: null };
+    mockTables.customers = { data: HELD_CUSTOMER, error: null };
+    mockRpc.mockResolvedValue({ data: { sale_id: 900, sale_number: 'SAL-1', receipt_number: 'RC-1', was_duplicate: false }, error: null });
+  });
+
+  test('TEST-DUN-01: bookkeeper cannot execute a dunning run → 403, no transaction', async () => {
+    const res = await runDunning({ role: 'bookkeeper' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.permission).toBe('ar.dunning.run');
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  test('TEST-DUN-02: viewer cannot place a credit hold → 403', async () => {
+    const res = await callRoute(dunningRouter, 'post', '/customers/:customerId/credit-hold', {
+      role: 'readonly', params: { customerId: '8' }, body: { reason: 'Cheque bounced' },
+    });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.permission).toBe('ar.credit_hold.manage');
+    expect(mockQueries).toEqual([]);
+  });
+
+  test('TEST-DUN-03: credit hold on another company\'s customer → 404, no transaction', async () => {
+    const res = await callRoute(dunningRouter, 'post', '/customers/:customerId/credit-hold', {
+      params: { customerId: '8' }, body: { reason: 'Cheque bounced' }, companyId: 77,
+    });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Customer not found.');
+    expect(mockQueries[0].params).toEqual([8, 77]);
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  test('TEST-DUN-04: run with no active stages → 409, rolled back, no run recorded', async () => {
+    mockState.stages = [];
+
+    const res = await runDunning();
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toMatch(/^No active dunning stages are configured/);
+    expect(mockQueries.find(q => q.sql.includes('pg_advisory_xact_lock')).params).toEqual([7306, 42]);
+    expect(sqlRan('INSERT INTO dunning_runs')).toBe(false);
+    expect(sqlRan('ROLLBACK')).toBe(true);
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  test('TEST-DUN-05: letter, contact log, escalation and hold commit in one company-scoped transaction', async () => {
+    const res = await runDunning();
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.letters).toHaveLength(1);
+    const txn = mockClient.query.mock.calls.map(([sql]) => sql.trim());
+    expect(txn[0]).toBe('BEGIN');
+    expect(txn[txn.length - 1]).toBe('COMMIT');
+    const inTxn = fragment => mockClient.query.mock.calls.find(([sql]) => sql.includes(fragment));
+    expect(inTxn('INSERT INTO dunning_letters')[1][0]).toBe(42);
+    expect(inTxn("'dunning_letter'")[1][0]).toBe(42);
+    expect(inTxn('SET dunning_level = $3')[1]).toEqual([301, 42, 3, '2026-09-30']);
+    expect(inTxn('SET credit_hold = true')[1]).toEqual([8, 42, 'Dunning: Final demand', 7]);
+    expect(AuditLogger.log).toHaveBeenCalledWith(expect.objectContaining({ actionType: 'CREDIT_HOLD_PLACED', companyId: 42, entityId: 8 }));
+  });
+
+  test('TEST-DUN-06: a failure placing the hold → ROLLBACK, no COMMIT, no hold audited', async () => {
+    mockState.failOn = 'SET credit_hold = true';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await runDunning();
+
+    expect(res.statusCode).toBe(500);
+    expect(sqlRan('INSERT INTO dunning_letters')).toBe(true);
+    expect(sqlRan('ROLLBACK')).toBe(true);
+    expect(sqlRan('COMMIT')).toBe(false);
+    expect(AuditLogger.log).not.toHaveBeenCalled();
+  });
+
+  test('TEST-DUN-07: account tender for a customer on hold → 409 before the sale RPC', async () => {
+    const res = await callRoute(salesRouter, 'post', '/', { body: customerSale('account') });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toMatchObject({ errorCode: 'CUSTOMER_CREDIT_HOLD', reason: 'Dunning: Final demand' });
+    expect(mockFilters).toContainEqual({ table: 'customers', op: 'eq', args: ['company_id', 42] });
+    expect(mockRpc).not.toHaveBeenCalled();
+    expect(posAuditFromReq).toHaveBeenCalledWith(expect.anything(), 'CUSTOMER_ACCOUNT_CREDIT_HOLD_BLOCKED', expect.anything());
+  });
+
+  test('TEST-DUN-08: a failed hold lookup refuses the account tender (fail closed)', async () => {
+    mockTables.customers = { data: null, error: { message: 'permission denied for table customers' } };
+
+    const res = await callRoute(salesRouter, 'post', '/', { body: customerSale('account') });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toBe('Could not check customer credit hold');
+    expect(mockRpc).not.toHaveBeenCalled();
+  });
+
+  test('TEST-DUN-09: cash tender for a customer on hold goes through', async () => {
+    const res = await callRoute(salesRouter, 'post', '/', { body: customerSale('cash') });
+
+    expect(res.statusCode).toBe(201);
+    expect(mockRpc).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,225 @@
+'use strict';
+
+/**
+ * Fixed Asset Register — Depreciation, s11(e) and Disposal Maths
+ * Unit tests for the pure helpers in depreciationUtils.js. Route-level
+ * guards are covered in fixed-asset-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-DEP-01  monthPeriod resolves first and last day.
+ *   TEST-DEP-02  monthPeriod rejects malformed keys.
+ *   TEST-DEP-03  Full month in use → fraction 1.
+ *   TEST-DEP-04  Available mid-month → days apportioned.
+ *   TEST-DEP-05  Available after the period → 0.
+ *   TEST-DEP-06  Disposal cut-off inside the period.
+ *   TEST-DEP-07  Monthly charge = cost / life.
+ *   TEST-DEP-08  Residual value is excluded from the depreciable amount.
+ *   TEST-DEP-09  Final charge is capped at the remaining depreciable amount.
+ *   TEST-DEP-10  Fully depreciated asset → 0.
+ *   TEST-DEP-11  Missing useful life → 0 (never divides by zero).
+ *   TEST-DEP-12  Charge based on carrying amount × rate / 12.
+ *   TEST-DEP-13  Never depreciates below residual value.
+ *   TEST-DEP-14  Tax cost / years / 12 per month.
+ *   TEST-DEP-15  Explicit tax_cost overrides book cost.
+ *   TEST-DEP-16  Apportioned for the first part-month (IN 47).
+ *   TEST-DEP-17  Capped at remaining tax value.
+ *   TEST-DEP-18  No write-off period → no allowance.
+ *   TEST-DEP-19  Book and tax values kept side by side.
+ *   TEST-DEP-20  Book and tax diverge when lives differ.
+ *   TEST-DEP-21  Book life shorter than tax life — s11(e) runs on after book value is spent.
+ *   TEST-DEP-22  Profit on disposal and tax recoupment.
+ *   TEST-DEP-23  Loss on disposal and s11(o) scrapping allowance.
+ *   TEST-DEP-24  Recoupment is limited to tax cost (excess is capital).
+ */
+
+const {
+  monthPeriod,
+  inUseFraction,
+  bookDepreciationForPeriod,
+  taxAllowanceForPeriod,
+  buildRunLine,
+  isFullyDepreciated,
+  isFullyWrittenOff,
+  disposalOutcome,
+} = require('../modules/accounting/services/depreciationUtils');
+
+const JAN = { fromDate: '2026-01-01', toDate: '2026-01-31' };
+
+// ─── Period helpers ──────────────────────────────────────────────────────────
+
+describe('Depreciation — period helpers', () => {
+  test('TEST-DEP-01: monthPeriod resolves first and last day', () => {
+    expect(monthPeriod('2024-02')).toEqual({ periodKey: '2024-02', fromDate: '2024-02-01', toDate: '2024-02-29' });
+  });
+
+  test('TEST-DEP-02: monthPeriod rejects malformed keys', () => {
+    expect(monthPeriod('2024-13')).toBeNull();
+    expect(monthPeriod('202402')).toBeNull();
+    expect(monthPeriod(null)).toBeNull();
+  });
+
+  test('TEST-DEP-03: full month in use → fraction 1', () => {
+    expect(inUseFraction('2025-06-01', JAN.fromDate, JAN.toDate)).toBe(1);
+  });
+
+  test('TEST-DEP-04: available mid-month → days apportioned', () => {
+    expect(inUseFraction('2026-01-17', JAN.fromDate, JAN.toDate)).toBeCloseTo(15 / 31, 10);
+  });
+
+  test('TEST-DEP-05: available after the period → 0', () => {
+    expect(inUseFraction('2026-02-01', JAN.fromDate, JAN.toDate)).toBe(0);
+  });
+
+  test('TEST-DEP-06: disposal cut-off inside the period', () => {
+    expect(inUseFraction('2025-01-01', JAN.fromDate, JAN.toDate, '2026-01-10')).toBeCloseTo(10 / 31, 10);
+  });
+});
+
+// ─── Straight-line book depreciation ─────────────────────────────────────────
+
+describe('Depreciation — straight-line book charge', () => {
+  const asset = {
+    cost: 120000, residual_value: 0, method: 'straight_line',
+    useful_life_months: 60, available_for_use_date: '2025-01-01',
+  };
+
+  test('TEST-DEP-07: monthly charge = cost / life', () => {
+    expect(bookDepreciationForPeriod(asset, { ...JAN, accumulated: 0 })).toBe(2000);
+  });
+
+  test('TEST-DEP-08: residual value is excluded from the depreciable amount', () => {
+    const a = { ...asset, residual_value: 12000 };
+    expect(bookDepreciationForPeriod(a, { ...JAN, accumulated: 0 })).toBe(1800);
+  });
+
+  test('TEST-DEP-09: final charge is capped at the remaining depreciable amount', () => {
+    expect(bookDepreciationForPeriod(asset, { ...JAN, accumulated: 119500 })).toBe(500);
+  });
+
+  test('TEST-DEP-10: fully depreciated asset → 0', () => {
+    expect(bookDepreciationForPeriod(asset, { ...JAN, accumulated: 120000 })).toBe(0);
+    expect(isFullyDepreciated(asset, 120000)).toBe(true);
+    expect(isFullyDepreciated(asset, 100)).toBe(false);
+  });
+
+  test('TEST-DEP-11: missing useful life → 0 (never divides by zero)', () => {
+    expect(bookDepreciationForPeriod({ ...asset, useful_life_months: null }, { ...JAN })).toBe(0);
+  });
+});
+
+// ─── Reducing-balance book depreciation ──────────────────────────────────────
+
+describe('Depreciation — reducing-balance book charge', () => {
+  const asset = {
+    cost: 100000, residual_value: 10000, method: 'reducing_balance',
+    reducing_rate: 24, available_for_use_date: '2025-01-01',
+  };
+
+  test('TEST-DEP-12: charge based on carrying amount × rate / 12', () => {
+    expect(bookDepreciationForPeriod(asset, { ...JAN, accumulated: 0 })).toBe(2000);
+    expect(bookDepreciationForPeriod(asset, { ...JAN, accumulated: 50000 })).toBe(1000);
+  });
+
+  test('TEST-DEP-13: never depreciates below residual value', () => {
+    expect(bookDepreciationForPeriod(asset, { ...JAN, accumulated: 89900 })).toBe(100);
+  });
+});
+
+// ─── s11(e) tax allowance ────────────────────────────────────────────────────
+
+describe('Depreciation — s11(e) wear-and-tear allowance', () => {
+  const asset = {
+    cost: 36000, tax_cost: null, tax_write_off_years: 3, available_for_use_date: '2025-01-01',
+  };
+
+  test('TEST-DEP-14: tax cost / years / 12 per month', () => {
+    expect(taxAllowanceForPeriod(asset, { ...JAN, claimed: 0 })).toBe(1000);
+  });
+
+  test('TEST-DEP-15: explicit tax_cost overrides book cost', () => {
+    expect(taxAllowanceForPeriod({ ...asset, tax_cost: 72000 }, { ...JAN, claimed: 0 })).toBe(2000);
+  });
+
+  test('TEST-DEP-16: apportioned for the first part-month (IN 47)', () => {
+    const a = { ...asset, available_for_use_date: '2026-01-17' };
+    expect(taxAllowanceForPeriod(a, { ...JAN, claimed: 0 })).toBeCloseTo(483.87, 2);
+  });
+
+  test('TEST-DEP-17: capped at remaining tax value', () => {
+    expect(taxAllowanceForPeriod(asset, { ...JAN, claimed: 35500 })).toBe(500);
+  });
+
+  test('TEST-DEP-18: no write-off period → no allowance', () => {
+    expect(taxAllowanceForPeriod({ ...asset, tax_write_off_years: null }, { ...JAN })).toBe(0);
+  });
+});
+
+// ─── Run line ────────────────────────────────────────────────────────────────
+
+describe('Depreciation — run lines', () => {
+  test('TEST-DEP-19: book and tax values kept side by side', () => {
+    const line = buildRunLine({
+      id: 7, cost: 60000, residual_value: 0, method: 'straight_line', useful_life_months: 60,
+      tax_write_off_years: 5, available_for_use_date: '2025-01-01',
+      accumulated_depreciation: 12000, tax_allowance_claimed: 12000,
+    }, JAN);
+    expect(line).toEqual({
+      assetId: 7,
+      openingBookValue: 48000, bookDepreciation: 1000, closingBookValue: 47000,
+      openingTaxValue: 48000,  taxAllowance: 1000,     closingTaxValue: 47000,
+    });
+  });
+
+  test('TEST-DEP-20: book and tax diverge when lives differ', () => {
+    const line = buildRunLine({
+      id: 8, cost: 24000, residual_value: 0, method: 'straight_line', useful_life_months: 48,
+      tax_write_off_years: 3, available_for_use_date: '2025-01-01',
+      accumulated_depreciation: 0, tax_allowance_claimed: 0,
+    }, JAN);
+    expect(line.bookDepreciation).toBe(500);
+    expect(line.taxAllowance).toBeCloseTo(666.67, 2);
+  });
+
+  test('TEST-DEP-21: book life shorter than tax life — s11(e) runs on after book value is spent', () => {
+    const asset = {
+      id: 9, cost: 36000, residual_value: 0, method: 'straight_line', useful_life_months: 12,
+      tax_write_off_years: 3, available_for_use_date: '2025-01-01',
+      accumulated_depreciation: 36000, tax_allowance_claimed: 12000,
+    };
+    const line = buildRunLine(asset, JAN);
+    expect(line.bookDepreciation).toBe(0);
+    expect(line.taxAllowance).toBe(1000);
+    expect(line.closingTaxValue).toBe(23000);
+    expect(isFullyDepreciated(asset, 36000)).toBe(true);
+    expect(isFullyWrittenOff(asset, 36000, 13000)).toBe(false);
+    expect(isFullyWrittenOff(asset, 36000, 36000)).toBe(true);
+    expect(isFullyWrittenOff({ ...asset, tax_write_off_years: null }, 36000, 0)).toBe(true);
+    expect(isFullyWrittenOff(asset, 35000, 36000)).toBe(false);
+  });
+});
+
+// ─── Disposal outcome ────────────────────────────────────────────────────────
+
+describe('Depreciation — disposal outcome', () => {
+  test('TEST-DEP-22: profit on disposal and tax recoupment', () => {
+    const o = disposalOutcome({ cost: 100000, accumulated: 60000, proceeds: 50000, taxCost: 100000, taxClaimed: 66666.67 });
+    expect(o.carryingAmount).toBe(40000);
+    expect(o.profit).toBe(10000);
+    expect(o.taxValue).toBe(33333.33);
+    expect(o.taxRecoupment).toBe(16666.67);
+    expect(o.scrappingAllowance).toBe(0);
+  });
+
+  test('TEST-DEP-23: loss on disposal and s11(o) scrapping allowance', () => {
+    const o = disposalOutcome({ cost: 100000, accumulated: 20000, proceeds: 10000, taxCost: null, taxClaimed: 40000 });
+    expect(o.profit).toBe(-70000);
+    expect(o.taxRecoupment).toBe(0);
+    expect(o.scrappingAllowance).toBe(50000);
+  });
+
+  test('TEST-DEP-24: recoupment is limited to tax cost (excess is capital)', () => {
+    const o = disposalOutcome({ cost: 100000, accumulated: 100000, proceeds: 150000, taxCost: 100000, taxClaimed: 100000 });
+    expect(o.taxRecoupment).toBe(100000);
+    expect(o.profit).toBe(150000);
+  });
+});
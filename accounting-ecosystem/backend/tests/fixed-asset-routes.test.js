@@ -0,0 +1,208 @@
+'use strict';
+
+/**
+ * Fixed Asset Register — Route Guards
+ * Drives the fixed-asset route handlers (authenticate + hasPermission + handler)
+ * against a mocked Supabase client, pg client and JournalService.
+ *
+ * Scenarios covered:
+ *   TEST-FA-01  Viewer cannot create a depreciation run → 403, nothing calculated.
+ *   TEST-FA-02  Bookkeeper cannot dispose of an asset → 403.
+ *   TEST-FA-03  Run for a month in a locked period → 403, no journal, no transaction.
+ *   TEST-FA-04  Run rows, lines and asset updates are all scoped to the caller's company.
+ *   TEST-FA-05  Asset changed during the run → 409, ROLLBACK, draft journal deleted.
+ *   TEST-FA-06  Cancel that loses to another user → 409, ROLLBACK, no COMMIT.
+ *   TEST-FA-07  Cancel with a later live run → 409 before any transaction.
+ *   TEST-FA-08  Another company's run → 404.
+ */
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockTables = {};
+const mockFilters = [];
+const mockQueries = [];
+const mockClientRowCounts = {};
+const mockIsPeriodLocked = jest.fn();
+const mockCreateDraftJournal = jest.fn();
+
+function mockSbChain(table) {
+  const chain = {};
+  for (const m of ['select', 'eq', 'gt', 'gte', 'lte', 'in', 'order', 'limit']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const one = () => Promise.resolve(mockTables[`${table}.single`] || { data: null, error: null });
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(mockTables[table] || { data: [], error: null }).then(resolve, reject);
+  return chain;
+}
+
+const mockClient = {
+  query: jest.fn(async (sql, params) => {
+    mockQueries.push({ sql: sql.trim(), params });
+    const key = Object.keys(mockClientRowCounts).find(k => sql.includes(k));
+    return { rows: [{ id: 300 }], rowCount: key ? mockClientRowCounts[key] : 1 };
+  }),
+  release: jest.fn(),
+};
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../modules/accounting/config/database', () => ({
+  getClient: jest.fn(async () => mockClient),
+  query:     jest.fn(async () => ({ rows: [] })),
+}));
+
+jest.mock('../modules/accounting/services/journalService', () => ({
+  isPeriodLocked:         (...a) => mockIsPeriodLocked(...a),
+  createDraftJournal:     (...a) => mockCreateDraftJournal(...a),
+  reverseJournalOnClient: jest.fn(),
+}));
+
+jest.mock('../modules/accounting/services/auditLogger', () => ({
+  logUserAction: jest.fn().mockResolvedValue(undefined),
+}));
+
+const db = require('../modules/accounting/config/database');
+const FixedAssetService = require('../modules/accounting/services/fixedAssetService');
+const fixedAssetsRouter = require('../modules/accounting/routes/fixed-assets');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run every layer registered for `method path` (auth, permission, handler) like Express would. */
+async function callRoute(method, path, { role = 'accountant', body = {}, params = {}, companyId = 42 } = {}) {
+  const layer = fixedAssetsRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const req = { body, params, query: {}, companyId, user: { userId: 7, role, email: 'books@example.co.za' }, get: () => 'jest', ip: '127.0.0.1' };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  for (const { handle } of layer.route.stack) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const sqlRan = fragment => mockQueries.some(q => q.sql.includes(fragment));
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const PREVIEW = {
+  lines: [{ assetId: 11, assetNumber: 'FA-0001', openingBookValue: 1000, bookDepreciation: 100, closingBookValue: 900,
+    openingTaxValue: 1000, taxAllowance: 100, closingTaxValue: 900, fullyWrittenOff: false }],
+  journalLines: [{ accountId: 6100, debit: 100, credit: 0 }, { accountId: 1510, debit: 0, credit: 100 }],
+  totals: { assetCount: 1, bookDepreciation: 100, taxAllowance: 100 },
+  warnings: [],
+};
+
+const DRAFT_RUN = { id: 55, company_id: 42, period_key: '2026-09', period_from: '2026-09-01', status: 'draft', journal_id: null };
+
+describe('Fixed Asset Register — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockQueries.length = 0;
+    for (const k of Object.keys(mockTables)) delete mockTables[k];
+    for (const k of Object.keys(mockClientRowCounts)) delete mockClientRowCounts[k];
+    mockIsPeriodLocked.mockResolvedValue(false);
+    mockCreateDraftJournal.mockResolvedValue({ id: 901 });
+    jest.spyOn(FixedAssetService, 'previewRun').mockResolvedValue(PREVIEW);
+  });
+
+  test('TEST-FA-01: viewer cannot create a depreciation run → 403, nothing calculated', async () => {
+    const res = await callRoute('post', '/runs', { role: 'readonly', body: { period: '2026-09' } });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.permission).toBe('fixed_asset.depreciate');
+    expect(FixedAssetService.previewRun).not.toHaveBeenCalled();
+  });
+
+  test('TEST-FA-02: bookkeeper cannot dispose of an asset → 403', async () => {
+    const res = await callRoute('post', '/:id/dispose', { role: 'bookkeeper', params: { id: '11' }, body: { disposalDate: '2026-09-15' } });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.permission).toBe('fixed_asset.dispose');
+  });
+
+  test('TEST-FA-03: run for a month in a locked period → 403, no journal, no transaction', async () => {
+    mockIsPeriodLocked.mockResolvedValue(true);
+
+    const res = await callRoute('post', '/runs', { body: { period: '2026-09' } });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toMatch(/locked accounting period/);
+    expect(mockIsPeriodLocked).toHaveBeenCalledWith(42, '2026-09-30');
+    expect(mockCreateDraftJournal).not.toHaveBeenCalled();
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  test('TEST-FA-04: run rows, lines and asset updates are all scoped to the caller\'s company', async () => {
+    const res = await callRoute('post', '/runs', { body: { period: '2026-09' } });
+
+    expect(res.statusCode).toBe(201);
+    expect(mockFilters).toContainEqual({ table: 'fixed_asset_depreciation_runs', op: 'eq', args: ['company_id', 42] });
+    expect(mockCreateDraftJournal.mock.calls[0][0].companyId).toBe(42);
+    const runInsert = mockQueries.find(q => q.sql.startsWith('INSERT INTO fixed_asset_depreciation_runs'));
+    expect(runInsert.params[0]).toBe(42);
+    const assetUpdate = mockQueries.find(q => q.sql.startsWith('UPDATE fixed_assets'));
+    expect(assetUpdate.sql).toMatch(/company_id = \$5/);
+    expect(assetUpdate.params[4]).toBe(42);
+    expect(sqlRan('COMMIT')).toBe(true);
+  });
+
+  test('TEST-FA-05: asset changed during the run → 409, ROLLBACK, draft journal deleted', async () => {
+    mockClientRowCounts['UPDATE fixed_assets'] = 0;
+
+    const res = await callRoute('post', '/runs', { body: { period: '2026-09' } });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toMatch(/^Depreciation run rolled back: Asset FA-0001 changed during the run/);
+    expect(sqlRan('ROLLBACK')).toBe(true);
+    expect(sqlRan('COMMIT')).toBe(false);
+    const journalDelete = mockQueries.find(q => q.sql.startsWith('DELETE FROM journals'));
+    expect(journalDelete.params).toEqual([901, 42]);
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  test('TEST-FA-06: cancel that loses to another user → 409, ROLLBACK, no COMMIT', async () => {
+    mockTables['fixed_asset_depreciation_runs.single'] = { data: DRAFT_RUN, error: null };
+    mockTables.fixed_asset_depreciation_runs = { data: [], error: null };
+    mockClientRowCounts["SET status = 'cancelled'"] = 0;
+
+    const res = await callRoute('post', '/runs/:id/cancel', { params: { id: '55' } });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('Run cancellation rolled back: Run was cancelled by another user.');
+    expect(sqlRan('ROLLBACK')).toBe(true);
+    expect(sqlRan('COMMIT')).toBe(false);
+  });
+
+  test('TEST-FA-07: cancel with a later live run → 409 before any transaction', async () => {
+    mockTables['fixed_asset_depreciation_runs.single'] = { data: DRAFT_RUN, error: null };
+    mockTables.fixed_asset_depreciation_runs = { data: [{ period_key: '2026-10' }], error: null };
+
+    const res = await callRoute('post', '/runs/:id/cancel', { params: { id: '55' } });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toMatch(/later run for 2026-10/);
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  test('TEST-FA-08: another company\'s run → 404', async () => {
+    const res = await callRoute('post', '/runs/:id/cancel', { params: { id: '55' }, companyId: 77 });
+
+    expect(res.statusCode).toBe(404);
+    expect(mockFilters).toContainEqual({ table: 'fixed_asset_depreciation_runs', op: 'eq', args: ['company_id', 77] });
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,200 @@
+'use strict';
+
+/**
+ * Multi-currency (FX) — Route Guards
+ * Drives the exchange-rate and revaluation routes (authenticate +
+ * hasPermission + handler) against a mocked pg pool and JournalService.
+ *
+ * Scenarios covered:
+ *   TEST-FX-01  Viewer cannot capture an exchange rate → 403, nothing written.
+ *   TEST-FX-02  Bookkeeper cannot run a revaluation → 403, nothing calculated.
+ *   TEST-FX-03  Rate lookup reads the caller's company only — no rate of its own → 404.
+ *   TEST-FX-04  Deleting another company's rate → 404.
+ *   TEST-FX-05  Revaluation with a currency missing its closing rate → 400, no journal.
+ *   TEST-FX-06  A second revaluation for the same date → 409, no journal.
+ *   TEST-FX-07  Reversal date in a locked period → 409, no journal.
+ *   TEST-FX-08  A failure while saving the run → ROLLBACK, both draft journals deleted, nothing posted.
+ */
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockQueries = [];
+const mockPoolRows = {};
+const mockFailOn = { sql: null };
+const mockIsPeriodLocked = jest.fn();
+const mockCreateDraftJournal = jest.fn();
+const mockPostJournal = jest.fn();
+
+async function mockPoolQuery(sql, params) {
+  mockQueries.push({ sql: sql.trim(), params });
+  const key = Object.keys(mockPoolRows).find(k => sql.includes(k));
+  return { rows: key ? mockPoolRows[key] : [] };
+}
+
+const mockClient = {
+  query: jest.fn(async (sql, params) => {
+    mockQueries.push({ sql: sql.trim(), params });
+    if (mockFailOn.sql && sql.includes(mockFailOn.sql)) throw new Error('value too long for type character varying(40)');
+    return { rows: [{ id: 600, revaluation_date: '2026-09-30' }] };
+  }),
+  release: jest.fn(),
+};
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn() },
+}));
+
+jest.mock('../modules/accounting/config/database', () => ({
+  query:     jest.fn((...a) => mockPoolQuery(...a)),
+  getClient: jest.fn(async () => mockClient),
+}));
+
+jest.mock('../modules/accounting/services/journalService', () => ({
+  isPeriodLocked:     (...a) => mockIsPeriodLocked(...a),
+  createDraftJournal: (...a) => mockCreateDraftJournal(...a),
+  postJournal:        (...a) => mockPostJournal(...a),
+}));
+
+jest.mock('../modules/accounting/services/auditLogger', () => ({
+  logUserAction: jest.fn().mockResolvedValue(undefined),
+}));
+
+const db = require('../modules/accounting/config/database');
+const FxService = require('../modules/accounting/services/fxService');
+const fxRouter = require('../modules/accounting/routes/fx');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run every layer registered for `method path` (auth, permission, handler) like Express would. */
+async function callRoute(method, path, { role = 'accountant', body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const layer = fxRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const req = { body, params, query, companyId, user: { userId: 7, role, email: 'books@example.co.za' }, get: () => 'jest', ip: '127.0.0.1' };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  for (const { handle } of layer.route.stack) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const sqlRan = fragment => mockQueries.some(q => q.sql.includes(fragment));
+const revalue = (opts = {}) => callRoute('post', '/revaluations', { body: { revaluationDate: '2026-09-30' }, ...opts });
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+// One USD debtor of $1 000 booked at 17.50, closing rate 18.00 → R500 gain
+const PREVIEW = {
+  revaluationDate: '2026-09-30',
+  reversalDate:    '2026-10-01',
+  rates:           { USD: 18 },
+  missingRates:    [],
+  lines: [{ kind: 'receivable', entityId: 301, reference: 'INV-0301', accountId: 1100, currency: 'USD',
+    foreignBalance: 1000, bookedBase: 17500, rate: 18, revaluedBase: 18000, adjustment: 500 }],
+  journalLines: [{ accountId: 1100, debit: 500, credit: 0 }, { accountId: 4820, debit: 0, credit: 500 }],
+  totalAdjustment: 500,
+};
+
+describe('Multi-currency (FX) — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockQueries.length = 0;
+    mockFailOn.sql = null;
+    for (const k of Object.keys(mockPoolRows)) delete mockPoolRows[k];
+    mockIsPeriodLocked.mockResolvedValue(false);
+    mockCreateDraftJournal.mockResolvedValueOnce({ id: 901 }).mockResolvedValueOnce({ id: 902 });
+    mockPostJournal.mockResolvedValue(undefined);
+    jest.spyOn(FxService, 'previewRevaluation').mockResolvedValue(PREVIEW);
+  });
+
+  test('TEST-FX-01: viewer cannot capture an exchange rate → 403, nothing written', async () => {
+    const res = await callRoute('post', '/rates', { role: 'readonly', body: { currencyCode: 'USD', rateDate: '2026-09-30', rate: 18 } });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.permission).toBe('fx.manage');
+    expect(mockQueries).toEqual([]);
+  });
+
+  test('TEST-FX-02: bookkeeper cannot run a revaluation → 403, nothing calculated', async () => {
+    const res = await revalue({ role: 'bookkeeper' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.permission).toBe('fx.revalue');
+    expect(FxService.previewRevaluation).not.toHaveBeenCalled();
+  });
+
+  test('TEST-FX-03: rate lookup reads the caller\'s company only — no rate of its own → 404', async () => {
+    const res = await callRoute('get', '/rates/lookup', { role: 'readonly', companyId: 77, query: { currency: 'usd', date: '2026-09-30' } });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('No USD rate on or before 2026-09-30.');
+    expect(mockQueries[0].sql).toMatch(/WHERE company_id = \$1 AND currency_code = \$2 AND rate_date <= \$3/);
+    expect(mockQueries[0].params).toEqual([77, 'USD', '2026-09-30']);
+  });
+
+  test('TEST-FX-04: deleting another company\'s rate → 404', async () => {
+    const res = await callRoute('delete', '/rates/:id', { params: { id: '5' }, companyId: 77 });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Exchange rate not found.');
+    expect(mockQueries[0].sql).toMatch(/WHERE id = \$1 AND company_id = \$2/);
+    expect(mockQueries[0].params).toEqual([5, 77]);
+  });
+
+  test('TEST-FX-05: revaluation with a currency missing its closing rate → 400, no journal', async () => {
+    FxService.previewRevaluation.mockResolvedValue({ ...PREVIEW, missingRates: ['EUR'] });
+
+    const res = await revalue();
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('No exchange rate on or before 2026-09-30 for: EUR.');
+    expect(mockCreateDraftJournal).not.toHaveBeenCalled();
+  });
+
+  test('TEST-FX-06: a second revaluation for the same date → 409, no journal', async () => {
+    mockPoolRows['FROM fx_revaluations WHERE company_id = $1 AND revaluation_date = $2'] = [{ id: 599 }];
+
+    const res = await revalue();
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('A revaluation already exists for 2026-09-30.');
+    expect(mockQueries[0].params).toEqual([42, '2026-09-30']);
+    expect(mockCreateDraftJournal).not.toHaveBeenCalled();
+  });
+
+  test('TEST-FX-07: reversal date in a locked period → 409, no journal', async () => {
+    mockIsPeriodLocked.mockResolvedValue(true);
+
+    const res = await revalue();
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toMatch(/reversal date 2026-10-01 falls within a locked accounting period/);
+    expect(mockIsPeriodLocked).toHaveBeenCalledWith(42, '2026-10-01');
+    expect(mockCreateDraftJournal).not.toHaveBeenCalled();
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  test('TEST-FX-08: a failure while saving the run → ROLLBACK, both draft journals deleted, nothing posted', async () => {
+    mockFailOn.sql = 'INSERT INTO fx_revaluation_lines';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await revalue();
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toMatch(/^Revaluation rolled back: /);
+    expect(mockCreateDraftJournal.mock.calls.map(([j]) => j.companyId)).toEqual([42, 42]);
+    expect(sqlRan('ROLLBACK')).toBe(true);
+    expect(sqlRan('COMMIT')).toBe(false);
+    const journalDelete = mockQueries.find(q => q.sql.startsWith('DELETE FROM journals'));
+    expect(journalDelete.sql).toMatch(/AND company_id = \$2 AND status = 'draft'/);
+    expect(journalDelete.params).toEqual([[901, 902], 42]);
+    expect(mockPostJournal).not.toHaveBeenCalled();
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * Multi-currency — Rates, Conversion, Realised FX, Revaluation and Rate Import
+ * Unit tests for the pure helpers in fxUtils.js. Route-level guards are
+ * covered in fx-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-FXU-01  Currency codes are normalised; ZAR is not foreign.
+ *   TEST-FXU-02  Rates must be positive.
+ *   TEST-FXU-03  Rate in force is the latest on or before the date.
+ *   TEST-FXU-04  AR invoice stays balanced and AR carries the converted total.
+ *   TEST-FXU-05  AP invoice residual lands on the debit side, AP untouched.
+ *   TEST-FXU-06  Debtor paid at a higher rate → realised gain.
+ *   TEST-FXU-07  Creditor paid at a higher rate → realised loss.
+ *   TEST-FXU-08  Instalments clear exactly the ZAR booked on the invoice.
+ *   TEST-FXU-09  Journal balances with the FX line on the right side.
+ *   TEST-FXU-10  Same rate → no FX line.
+ *   TEST-FXU-11  USD up → debtor gain, creditor loss; EUR down → bank loss.
+ *   TEST-FXU-12  One journal line per account plus the FX balancing line.
+ *   TEST-FXU-13  Currencies without a rate are reported, not revalued.
+ *   TEST-FXU-14  Next-day reversal mirrors the journal.
+ *   TEST-FXU-15  Header below a title row, columns in any order, SA date format.
+ *   TEST-FXU-16  Bad rows are reported with their row numbers.
+ *   TEST-FXU-17  No recognisable header → null.
+ */
+
+const {
+  normaliseCurrency,
+  isForeign,
+  parseRate,
+  rateOnDate,
+  convertLinesToBase,
+  buildSettlement,
+  settlementJournalLines,
+  buildRevaluation,
+  reverseLines,
+  nextDay,
+  parseRateSheet,
+} = require('../modules/accounting/services/fxUtils');
+
+function sums(lines) {
+  const r = n => Math.round(n * 100) / 100;
+  return {
+    debit:  r(lines.reduce((s, l) => s + (l.debit || 0), 0)),
+    credit: r(lines.reduce((s, l) => s + (l.credit || 0), 0)),
+  };
+}
+
+// ─── Currencies and rates ────────────────────────────────────────────────────
+
+describe('Multi-currency — currencies and rates', () => {
+  test('TEST-FXU-01: currency codes are normalised; ZAR is not foreign', () => {
+    expect(normaliseCurrency(' usd ')).toBe('USD');
+    expect(normaliseCurrency('US$')).toBeNull();
+    expect(isForeign('EUR')).toBe(true);
+    expect(isForeign('zar')).toBe(false);
+  });
+
+  test('TEST-FXU-02: rates must be positive', () => {
+    expect(parseRate('18.2534')).toBe(18.2534);
+    expect(parseRate('1,234.5')).toBe(1234.5);
+    expect(parseRate('18,25')).toBe(18.25);
+    expect(parseRate(0)).toBeNull();
+    expect(parseRate('abc')).toBeNull();
+  });
+
+  test('TEST-FXU-03: rate in force is the latest on or before the date', () => {
+    const rates = [
+      { rate_date: '2025-03-03', rate: 18.1 },
+      { rate_date: '2025-03-31', rate: 18.6 },
+      { rate_date: '2025-03-14', rate: 18.3 },
+    ];
+    expect(rateOnDate(rates, '2025-03-20')).toEqual({ rate: 18.3, rateDate: '2025-03-14' });
+    expect(rateOnDate(rates, '2025-03-31').rate).toBe(18.6);
+    expect(rateOnDate(rates, '2025-03-01')).toBeNull();
+  });
+});
+
+// ─── Invoice conversion ──────────────────────────────────────────────────────
+
+describe('Multi-currency — convertLinesToBase', () => {
+  test('TEST-FXU-04: AR invoice stays balanced and AR carries the converted total', () => {
+    // USD 100.01 + 15% VAT = 115.01 at 18.3333
+    const lines = convertLinesToBase([
+      { accountId: 1, debit: 115.01, credit: 0 },
+      { accountId: 2, debit: 0, credit: 100.01 },
+      { accountId: 3, debit: 0, credit: 15.00 },
+    ], 18.3333);
+    expect(lines[0].debit).toBe(2108.51);
+    expect(lines[0].foreignDebit).toBe(115.01);
+    expect(sums(lines).debit).toBe(sums(lines).credit);
+  });
+
+  test('TEST-FXU-05: AP invoice residual lands on the debit side, AP untouched', () => {
+    const lines = convertLinesToBase([
+      { accountId: 5, debit: 33.33, credit: 0 },
+      { accountId: 6, debit: 33.33, credit: 0 },
+      { accountId: 7, debit: 33.34, credit: 0 },
+      { accountId: 2000, debit: 0, credit: 100 },
+    ], 1.005);
+    expect(lines[3].credit).toBe(100.5);
+    expect(sums(lines).debit).toBe(100.5);
+  });
+});
+
+// ─── Realised FX ─────────────────────────────────────────────────────────────
+
+describe('Multi-currency — realised FX on settlement', () => {
+  test('TEST-FXU-06: debtor paid at a higher rate → realised gain', () => {
+    const s = buildSettlement({
+      side: 'receivable', paymentAmount: 1000, paymentRate: 18.5,
+      allocations: [{ invoiceId: 1, amount: 1000, invoiceRate: 18, paidBefore: 0 }],
+    });
+    expect(s).toMatchObject({ paymentBase: 18500, controlBase: 18000, gainLoss: 500 });
+    expect(s.allocations[0]).toMatchObject({ baseCleared: 18000, baseSettled: 18500, gainLoss: 500 });
+  });
+
+  test('TEST-FXU-07: creditor paid at a higher rate → realised loss', () => {
+    const s = buildSettlement({
+      side: 'payable', paymentAmount: 200, paymentRate: 20.1,
+      allocations: [{ invoiceId: 9, amount: 200, invoiceRate: 19.9, paidBefore: 0 }],
+    });
+    expect(s.gainLoss).toBe(-40);
+    expect(s.controlBase).toBe(3980);
+  });
+
+  test('TEST-FXU-08: instalments clear exactly the ZAR booked on the invoice', () => {
+    const rate = 18.3333;
+    const booked = Math.round(100.01 * rate * 100) / 100;
+    const first = buildSettlement({
+      side: 'receivable', paymentAmount: 33.33, paymentRate: 18,
+      allocations: [{ invoiceId: 1, amount: 33.33, invoiceRate: rate, paidBefore: 0 }],
+    });
+    const second = buildSettlement({
+      side: 'receivable', paymentAmount: 66.68, paymentRate: 19,
+      allocations: [{ invoiceId: 1, amount: 66.68, invoiceRate: rate, paidBefore: 33.33 }],
+    });
+    expect(Math.round((first.controlBase + second.controlBase) * 100) / 100).toBe(booked);
+  });
+
+  test('TEST-FXU-09: journal balances with the FX line on the right side', () => {
+    const settlement = buildSettlement({
+      side: 'payable', paymentAmount: 300, paymentRate: 17,
+      allocations: [
+        { invoiceId: 1, amount: 100, invoiceRate: 18, paidBefore: 0 },
+        { invoiceId: 2, amount: 200, invoiceRate: 17.5, paidBefore: 50 },
+      ],
+    });
+    expect(settlement.gainLoss).toBe(200);
+    const lines = settlementJournalLines({
+      side: 'payable', settlement, paymentAmount: 300,
+      bankAccountId: 10, controlAccountId: 20, fxAccountId: 30, label: 'Acme',
+    });
+    expect(lines.map(l => l.accountId)).toEqual([20, 10, 30]);
+    expect(lines[2]).toMatchObject({ debit: 0, credit: 200, description: 'Realised FX gain' });
+    expect(sums(lines).debit).toBe(sums(lines).credit);
+  });
+
+  test('TEST-FXU-10: same rate → no FX line', () => {
+    const settlement = buildSettlement({
+      side: 'receivable', paymentAmount: 50, paymentRate: 18,
+      allocations: [{ invoiceId: 1, amount: 50, invoiceRate: 18, paidBefore: 0 }],
+    });
+    const lines = settlementJournalLines({
+      side: 'receivable', settlement, paymentAmount: 50,
+      bankAccountId: 10, controlAccountId: 20, fxAccountId: 30, label: 'Acme',
+    });
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ accountId: 10, debit: 900, foreignDebit: 50 });
+  });
+});
+
+// ─── Revaluation ─────────────────────────────────────────────────────────────
+
+describe('Multi-currency — unrealised revaluation', () => {
+  const items = [
+    { kind: 'receivable', entityId: 1, accountId: 1100, currency: 'USD', foreignBalance: 1000, bookedBase: 18000 },
+    { kind: 'payable',    entityId: 2, accountId: 2000, currency: 'USD', foreignBalance: 500,  bookedBase: 9000 },
+    { kind: 'bank',       entityId: 3, accountId: 1030, currency: 'EUR', foreignBalance: 100,  bookedBase: 2000 },
+    { kind: 'receivable', entityId: 4, accountId: 1100, currency: 'GBP', foreignBalance: 10,   bookedBase: 230 },
+  ];
+  const r = buildRevaluation({ items, rates: { USD: 18.5, EUR: 19.5 }, fxAccountId: 4820 });
+
+  test('TEST-FXU-11: USD up → debtor gain, creditor loss; EUR down → bank loss', () => {
+    expect(r.lines.map(l => [l.entityId, l.adjustment])).toEqual([[1, 500], [2, -250], [3, -50]]);
+    expect(r.totalAdjustment).toBe(200);
+  });
+
+  test('TEST-FXU-12: one journal line per account plus the FX balancing line', () => {
+    expect(r.journalLines).toEqual([
+      { accountId: 1100, debit: 500, credit: 0, description: 'Unrealised FX revaluation' },
+      { accountId: 2000, debit: 0, credit: 250, description: 'Unrealised FX revaluation' },
+      { accountId: 1030, debit: 0, credit: 50, description: 'Unrealised FX revaluation' },
+      { accountId: 4820, debit: 0, credit: 200, description: 'Unrealised FX gain' },
+    ]);
+  });
+
+  test('TEST-FXU-13: currencies without a rate are reported, not revalued', () => {
+    expect(r.missingRates).toEqual(['GBP']);
+  });
+
+  test('TEST-FXU-14: next-day reversal mirrors the journal', () => {
+    const rev = reverseLines(r.journalLines);
+    expect(rev[0]).toMatchObject({ accountId: 1100, debit: 0, credit: 500 });
+    expect(nextDay('2025-02-28')).toBe('2025-03-01');
+    expect(nextDay('2024-12-31')).toBe('2025-01-01');
+  });
+});
+
+// ─── Sheet parsing ───────────────────────────────────────────────────────────
+
+describe('Multi-currency — parseRateSheet', () => {
+  test('TEST-FXU-15: header below a title row, columns in any order, SA date format', () => {
+    const parsed = parseRateSheet([
+      ['SARB rates'],
+      ['Date', 'Rate', 'Currency'],
+      ['2025-03-31', '18.25', 'usd'],
+      ['31/03/2025', '19,80', 'EUR'],
+    ]);
+    expect(parsed.rows).toEqual([
+      { rowNumber: 3, currencyCode: 'USD', rateDate: '2025-03-31', rate: 18.25 },
+      { rowNumber: 4, currencyCode: 'EUR', rateDate: '2025-03-31', rate: 19.8 },
+    ]);
+  });
+
+  test('TEST-FXU-16: bad rows are reported with their row numbers', () => {
+    const parsed = parseRateSheet([
+      ['Currency', 'Date', 'Rate'],
+      ['ZAR', '2025-03-31', '1'],
+      ['USD', 'March', '18'],
+      ['USD', '2025-03-31', '-1'],
+    ]);
+    expect(parsed.rows).toHaveLength(0);
+    expect(parsed.errors.map(e => e.row)).toEqual([2, 3, 4]);
+  });
+
+  test('TEST-FXU-17: no recognisable header → null', () => {
+    expect(parseRateSheet([['foo', 'bar'], ['1', '2']])).toBeNull();
+  });
+});
@@ -0,0 +1,308 @@
+'use strict';
+
+/**
+ * Loans and Garnishee Orders — Route Guards
+ * Drives the /api/payroll/deduction-orders routes and the finalize / reverse
+ * pay run routes (requireCompany + requirePermission + requirePaytimeModule +
+ * handler), and the run postings in DeductionOrderService, against a mocked
+ * Supabase client.
+ *
+ * Scenarios covered:
+ *   TEST-PDO-01  Payroll admin cannot adjust a balance → 403, nothing written.
+ *   TEST-PDO-02  Another company's employee → 404, no order or ledger entry.
+ *   TEST-PDO-03  A garnishee without a court order reference → 400, nothing stored.
+ *   TEST-PDO-04  A new order opens at its principal with an opening ledger entry, both for the company, and is audited.
+ *   TEST-PDO-05  Another company's order cannot be adjusted → 404, nothing written.
+ *   TEST-PDO-06  An adjustment below zero → 409; one to zero marks the order paid.
+ *   TEST-PDO-07  A paid order cannot be reopened → 409, nothing written.
+ *   TEST-PDO-08  Deductions that cannot be posted stop the finalize → 500, run not finalized.
+ *   TEST-PDO-09  Posting reads the company's locked run snapshots and skips orders already posted.
+ *   TEST-PDO-10  Reversing a run restores the balance and reopens a paid order, once.
+ *   TEST-PDO-11  Another company's run cannot be reversed → 404, no balance restored.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+const mockFailWrite = { table: null };
+
+/** Rows are filtered by the eq / neq / in / is / lte / gt conditions the query applied. */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const filter = (op, test) => jest.fn((col, val) => {
+    mockFilters.push({ table, op, args: [col, val] });
+    conditions.push(r => test(r[col], val));
+    return chain;
+  });
+  chain.eq = filter('eq', (v, want) => String(v) === String(want));
+  chain.neq = filter('neq', (v, want) => String(v) !== String(want));
+  chain.in = filter('in', (v, want) => want.map(String).includes(String(v)));
+  chain.is = filter('is', (v, want) => (v === undefined ? null : v) === want);
+  chain.lte = filter('lte', (v, want) => String(v) <= String(want));
+  chain.gt = filter('gt', (v, want) => parseFloat(v) > want);
+  for (const op of ['insert', 'update']) {
+    chain[op] = jest.fn(payload => {
+      write = { table, op, payload };
+      mockWrites.push(write);
+      return chain;
+    });
+  }
+  const matching = () => (mockRows[table] || []).filter(r => conditions.every(c => c(r)));
+  const result = () => {
+    if (write) {
+      const error = mockFailWrite.table === table ? { message: 'deadlock detected' } : null;
+      const current = write.op === 'update' ? matching()[0] : { id: 81 };
+      return { data: error ? null : { ...current, ...write.payload }, error };
+    }
+    return { data: matching(), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+const { supabase } = require('../config/database');
+const { auditFromReq } = require('../middleware/audit');
+const DeductionOrderService = require('../modules/payroll/services/DeductionOrderService');
+const PayrollHistoryService = require('../modules/payroll/services/PayrollHistoryService');
+const deductionOrderRouter = require('../modules/payroll/routes/deduction-orders');
+const payrunsRouter = require('../modules/payroll/routes/payruns');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(router, method, path, { role = 'business_owner', body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const req = {
+    body, params, query, companyId, user: { userId: 7, role, email: 'payroll@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  const route = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...router.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const LOAN = { employee_id: 14, order_type: 'loan', principal: 6000, instalment: 1000, start_date: '2026-09-01', description: 'Bond deposit' };
+
+const addOrder = (body, opts = {}) => callRoute(deductionOrderRouter, 'post', '/', { body, ...opts });
+const adjust = (id, body, opts = {}) => callRoute(deductionOrderRouter, 'post', '/:id/adjustments', { params: { id: String(id) }, body, ...opts });
+const writesTo = table => mockWrites.filter(w => w.table === table);
+const RUN = { companyId: 42, runId: 9, userId: 7 };
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const EMPLOYEES = [
+  { id: 14, company_id: 42, classification: 'public' },
+  { id: 90, company_id: 77, classification: 'public' },
+];
+
+const ORDERS = [
+  { id: 71, company_id: 42, employee_id: 14, order_type: 'loan', principal: 6000, instalment: 1000, interest_rate: 0,
+    current_balance: 5000, status: 'active', start_date: '2026-08-01' },
+  { id: 72, company_id: 42, employee_id: 14, order_type: 'garnishee', principal: 3000, instalment: 500, interest_rate: 0,
+    current_balance: 2500, status: 'active', start_date: '2026-08-01', creditor_name: 'Acme Credit', court_order_ref: 'EAO 12/2026' },
+  { id: 73, company_id: 42, employee_id: 14, order_type: 'loan', principal: 1500, instalment: 500, interest_rate: 0,
+    current_balance: 0, status: 'paid', start_date: '2026-07-01' },
+  { id: 79, company_id: 77, employee_id: 90, order_type: 'loan', principal: 9000, instalment: 900, interest_rate: 0,
+    current_balance: 9000, status: 'active', start_date: '2026-08-01' },
+];
+
+function runSnap(companyId, employeeId, orders, extra = {}) {
+  return { id: 500 + employeeId, company_id: companyId, employee_id: employeeId, payroll_run_id: 9, period_key: '2026-09',
+    is_locked: true, status: 'finalized', calculation_output: { deductionOrders: orders }, ...extra };
+}
+
+describe('Loans and Garnishee Orders — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    mockFailWrite.table = null;
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.employees = EMPLOYEES.map(e => ({ ...e }));
+    mockRows.employee_deduction_orders = ORDERS.map(o => ({ ...o }));
+    mockRows.employee_deduction_ledger = [];
+    mockRows.payroll_runs = [
+      { id: 9, company_id: 42, period_key: '2026-09', status: 'draft' },
+      { id: 19, company_id: 77, period_key: '2026-09', status: 'finalized' },
+    ];
+  });
+
+  test('TEST-PDO-01: payroll admin cannot adjust a balance → 403, nothing written', async () => {
+    const res = await adjust(71, { amount: -1000, note: 'Cash repayment' }, { role: 'payroll_admin' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.required).toBe('PAYROLL.APPROVE');
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PDO-02: another company\'s employee → 404, no order or ledger entry', async () => {
+    const res = await addOrder({ ...LOAN, employee_id: 90 });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Employee 90 not found');
+    expect(mockFilters).toContainEqual({ table: 'employees', op: 'eq', args: ['company_id', 42] });
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PDO-03: a garnishee without a court order reference → 400, nothing stored', async () => {
+    const res = await addOrder({ ...LOAN, order_type: 'garnishee', creditor_name: 'Acme Credit' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ success: false, error: 'court_order_ref is required for a garnishee order' });
+    expect(mockWrites).toEqual([]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PDO-04: a new order opens at its principal with an opening ledger entry, both for the company, and is audited', async () => {
+    const res = await addOrder(LOAN, { role: 'payroll_admin' });
+
+    expect(res.statusCode).toBe(201);
+    expect(writesTo('employee_deduction_orders')[0].payload).toMatchObject({
+      company_id: 42, employee_id: 14, principal: 6000, current_balance: 6000, status: 'active', created_by: 7,
+    });
+    expect(writesTo('employee_deduction_ledger')[0].payload).toEqual([{
+      company_id: 42, order_id: 81, entry_type: 'opening', amount: 6000, balance_after: 6000, note: 'Loan advanced', created_by: 7,
+    }]);
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_DEDUCTION_ORDER_CREATE', 'employee_deduction_orders', 81, expect.anything());
+  });
+
+  test('TEST-PDO-05: another company\'s order cannot be adjusted → 404, nothing written', async () => {
+    const res = await adjust(79, { amount: -900, note: 'Cash repayment' });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Deduction order 79 not found');
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PDO-06: an adjustment below zero → 409; one to zero marks the order paid', async () => {
+    const over = await adjust(71, { amount: -5500, note: 'Cash repayment' });
+    expect(over.statusCode).toBe(409);
+    expect(over.body.error).toBe('Adjustment would take the balance below zero (-500.00)');
+    expect(mockWrites).toEqual([]);
+
+    const res = await adjust(71, { amount: -5000, note: 'Settled in cash' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.order).toMatchObject({ current_balance: 0, status: 'paid' });
+    expect(writesTo('employee_deduction_ledger')[0].payload).toEqual([expect.objectContaining({
+      company_id: 42, order_id: 71, entry_type: 'adjustment', amount: -5000, balance_after: 0, note: 'Settled in cash',
+    })]);
+    expect(writesTo('employee_deduction_orders')[0].payload).toMatchObject({ current_balance: 0, status: 'paid' });
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_DEDUCTION_ORDER_ADJUST', 'employee_deduction_orders', 71,
+      { metadata: expect.objectContaining({ balance_before: 5000, balance_after: 0 }) });
+  });
+
+  test('TEST-PDO-07: a paid order cannot be reopened → 409, nothing written', async () => {
+    const res = await callRoute(deductionOrderRouter, 'put', '/:id', { params: { id: '73' }, body: { status: 'active' } });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('A paid order cannot be reopened — post an adjustment instead');
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PDO-08: deductions that cannot be posted stop the finalize → 500, run not finalized', async () => {
+    jest.spyOn(PayrollHistoryService, 'lockSnapshotsForPeriod').mockResolvedValue(2);
+    jest.spyOn(DeductionOrderService, 'postRun').mockRejectedValue(new Error('Failed to write deduction ledger: deadlock detected'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await callRoute(payrunsRouter, 'post', '/finalize', { body: { period_key: '2026-09', run_id: 9 } });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({ success: false, error: 'Failed to post loan and garnishee deductions',
+      detail: 'Failed to write deduction ledger: deadlock detected' });
+    expect(DeductionOrderService.postRun).toHaveBeenCalledWith(supabase, RUN);
+    expect(writesTo('payroll_runs')).toEqual([]);
+  });
+
+  test('TEST-PDO-09: posting reads the company\'s locked run snapshots and skips orders already posted', async () => {
+    mockRows.payroll_snapshots = [
+      runSnap(42, 14, [{ id: 71, deducted: 1000, interest: 0, shortfall: 0 }, { id: 72, deducted: 500, interest: 0, shortfall: 0 }]),
+      runSnap(42, 15, [{ id: 71, deducted: 1000, interest: 0, shortfall: 0 }], { is_locked: false }),
+      runSnap(77, 90, [{ id: 79, deducted: 900, interest: 0, shortfall: 0 }]),
+    ];
+    mockRows.employee_deduction_ledger = [{ id: 301, company_id: 42, order_id: 72, payroll_run_id: 9, entry_type: 'deduction', amount: -500 }];
+
+    const posted = await DeductionOrderService.postRun(supabase, RUN);
+
+    expect(posted).toEqual([{ order_id: 71, employee_id: 14, deducted: 1000, balance: 4000, paid: false }]);
+    expect(mockFilters.filter(f => f.table === 'payroll_snapshots').map(f => [f.op, ...f.args])).toEqual([
+      ['eq', 'company_id', 42], ['eq', 'payroll_run_id', 9], ['eq', 'is_locked', true], ['neq', 'status', 'reversed'],
+    ]);
+    expect(writesTo('employee_deduction_ledger')[0].payload).toEqual([expect.objectContaining({
+      company_id: 42, order_id: 71, entry_type: 'deduction', amount: -1000, balance_after: 4000, payroll_run_id: 9, snapshot_id: 514,
+    })]);
+    expect(writesTo('employee_deduction_orders').map(w => w.payload.current_balance)).toEqual([4000]);
+  });
+
+  test('TEST-PDO-10: reversing a run restores the balance and reopens a paid order, once', async () => {
+    mockRows.employee_deduction_ledger = [
+      { id: 311, company_id: 42, order_id: 73, payroll_run_id: 9, period_key: '2026-09', snapshot_id: 514, entry_type: 'deduction', amount: -500, reversed_at: null },
+      { id: 305, company_id: 42, order_id: 73, payroll_run_id: 9, period_key: '2026-09', snapshot_id: 514, entry_type: 'deduction', amount: -500,
+        reversed_at: '2026-09-28T08:00:00Z' },
+      { id: 312, company_id: 77, order_id: 79, payroll_run_id: 9, period_key: '2026-09', snapshot_id: 590, entry_type: 'deduction', amount: -900, reversed_at: null },
+    ];
+
+    const restored = await DeductionOrderService.reverseRun(supabase, RUN);
+
+    expect(restored).toEqual([{ order_id: 73, restored: 500, balance: 500 }]);
+    const [reversal, markReversed] = writesTo('employee_deduction_ledger');
+    expect(reversal.payload).toEqual([expect.objectContaining({ company_id: 42, order_id: 73, entry_type: 'reversal', amount: 500, balance_after: 500 })]);
+    expect(markReversed.op).toBe('update');
+    expect(mockFilters).toContainEqual({ table: 'employee_deduction_ledger', op: 'in', args: ['id', [311]] });
+    expect(writesTo('employee_deduction_orders')[0].payload).toMatchObject({ current_balance: 500, status: 'active', settled_at: null });
+  });
+
+  test('TEST-PDO-11: another company\'s run cannot be reversed → 404, no balance restored', async () => {
+    jest.spyOn(DeductionOrderService, 'reverseRun');
+
+    const res = await callRoute(payrunsRouter, 'post', '/reverse', { body: { run_id: 19, period_key: '2026-09', reason: 'Wrong rates' } });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Payroll run 19 not found for period 2026-09');
+    expect(DeductionOrderService.reverseRun).not.toHaveBeenCalled();
+    expect(mockWrites).toEqual([]);
+  });
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * Loans and Garnishee Orders — Engine, Service Helpers and Ledger Postings
+ * Unit tests for applyDeductionOrders in core/payroll-engine.js and the pure
+ * helpers in DeductionOrderService. Route-level guards are covered in
+ * payroll-deduction-order-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PDU-01  Interest accrues monthly on the balance before the instalment.
+ *   TEST-PDU-02  The last instalment is limited to what is owed, and a paid order deducts nothing.
+ *   TEST-PDU-03  Garnishees are capped at the net-pay floor after loans; the rest is a shortfall.
+ *   TEST-PDU-04  Two garnishees are taken in priority order against the same floor.
+ *   TEST-PDU-05  Order deductions reduce net pay only.
+ *   TEST-PDU-06  validateOrder requires the terms, and court details for a garnishee.
+ *   TEST-PDU-07  Updates keep the type and principal; a paid order cannot be reopened.
+ *   TEST-PDU-08  Engine input and the 3807 benefit for loans below the official rate.
+ *   TEST-PDU-09  Interest then deduction, each with the balance after it.
+ *   TEST-PDU-10  The final deduction pays the order off; a floor-limited garnishee records its shortfall.
+ *   TEST-PDU-11  An adjustment after the run never pushes the balance below zero.
+ */
+
+const PayrollEngine = require('../core/payroll-engine');
+const {
+  validateOrder,
+  toEngineOrder,
+  toFringeBenefits,
+  postingFor
+} = require('../modules/payroll/services/DeductionOrderService');
+
+const apply = (net, orders) => PayrollEngine.applyDeductionOrders(net, orders);
+
+// ─── applyDeductionOrders ────────────────────────────────────────────────────
+
+describe('Deduction orders — applyDeductionOrders', () => {
+  test('TEST-PDU-01: interest accrues monthly on the balance before the instalment', () => {
+    const [loan] = apply(20000, [{ id: 1, type: 'loan', balance: 12000, interest_rate: 10, instalment: 1000 }]);
+    expect(loan).toEqual(expect.objectContaining({
+      opening_balance: 12000, interest: 100, due: 1000, deducted: 1000, shortfall: 0, closing_balance: 11100
+    }));
+  });
+
+  test('TEST-PDU-02: the last instalment is limited to what is owed, and a paid order deducts nothing', () => {
+    const [last] = apply(20000, [{ id: 1, type: 'loan', balance: 400, interest_rate: 0, instalment: 1000 }]);
+    expect(last.deducted).toBe(400);
+    expect(last.closing_balance).toBe(0);
+    const [paid] = apply(20000, [{ id: 1, type: 'loan', balance: 0, instalment: 1000 }]);
+    expect(paid.deducted).toBe(0);
+  });
+
+  test('TEST-PDU-03: garnishees are capped at the net-pay floor after loans; the rest is a shortfall', () => {
+    const [loan, garnishee] = apply(10000, [
+      { id: 2, type: 'garnishee', balance: 20000, instalment: 3000, net_pay_floor: 7000 },
+      { id: 1, type: 'loan', balance: 500, interest_rate: 12, instalment: 1000 }
+    ]);
+    expect(loan.deducted).toBe(505);
+    expect(garnishee).toEqual(expect.objectContaining({
+      deducted: 2495, shortfall: 505, capped_by_floor: true, closing_balance: 17505
+    }));
+  });
+
+  test('TEST-PDU-04: two garnishees are taken in priority order against the same floor', () => {
+    const out = apply(9000, [
+      { id: 5, type: 'garnishee', balance: 5000, instalment: 1500, net_pay_floor: 6000, priority: 2 },
+      { id: 6, type: 'garnishee', balance: 5000, instalment: 2000, net_pay_floor: 6000, priority: 1 }
+    ]);
+    expect(out.map(o => [o.id, o.deducted])).toEqual([[6, 2000], [5, 1000]]);
+  });
+});
+
+// ─── calculateFromData ───────────────────────────────────────────────────────
+
+describe('Deduction orders — calculateFromData', () => {
+  const calc = opts => PayrollEngine.calculateFromData(
+    { basic_salary: 30000, regular_inputs: [] }, [], [], [], [], { age: 35, ...opts }, '2026-04', null
+  );
+
+  test('TEST-PDU-05: order deductions reduce net pay only', () => {
+    const base = calc({});
+    const out = calc({ deductionOrders: [
+      { id: 1, type: 'loan', balance: 10000, instalment: 1500 },
+      { id: 2, type: 'garnishee', balance: 8000, instalment: 1200 }
+    ] });
+    expect(base.deduction_orders_total).toBe(0);
+    expect(out.paye).toBe(base.paye);
+    expect(out.uif).toBe(base.uif);
+    expect(out.deduction_orders_total).toBe(2700);
+    expect(out.net).toBe(PayrollEngine.r2(base.net - 2700));
+    expect(out.deductionOrders).toHaveLength(2);
+  });
+});
+
+// ─── DeductionOrderService ───────────────────────────────────────────────────
+
+describe('Deduction orders — DeductionOrderService helpers', () => {
+  test('TEST-PDU-06: validateOrder requires the terms, and court details for a garnishee', () => {
+    const row = validateOrder({ order_type: 'loan', principal: '12000', instalment: '1000', start_date: '2026-04-01' });
+    expect(row).toEqual(expect.objectContaining({ order_type: 'loan', principal: 12000, instalment: 1000, interest_rate: 0 }));
+    expect(() => validateOrder({ order_type: 'loan', principal: 0, instalment: 100, start_date: '2026-04-01' }))
+      .toThrow('principal must be a positive number');
+    expect(() => validateOrder({ order_type: 'garnishee', principal: 5000, instalment: 500, start_date: '2026-04-01',
+      creditor_name: 'ABC Attorneys' })).toThrow('court_order_ref is required for a garnishee order');
+    expect(() => validateOrder({ order_type: 'lease', principal: 1, instalment: 1, start_date: '2026-04-01' }))
+      .toThrow(/must be one of/);
+  });
+
+  test('TEST-PDU-07: updates keep the type and principal; a paid order cannot be reopened', () => {
+    const existing = { order_type: 'loan', principal: 12000, instalment: 1000, interest_rate: 5, status: 'paid' };
+    expect(validateOrder({ instalment: 1500 }, existing)).toEqual(expect.objectContaining({ instalment: 1500, interest_rate: 5 }));
+    expect(() => validateOrder({ principal: 15000 }, existing)).toThrow(/cannot be changed/);
+    expect(() => validateOrder({ status: 'active' }, existing)).toThrow(/cannot be reopened/);
+  });
+
+  test('TEST-PDU-08: engine input and the 3807 benefit for loans below the official rate', () => {
+    const loan = { id: 3, order_type: 'loan', current_balance: '40000.00', interest_rate: '0', instalment: '2000', priority: 0, net_pay_floor: 0 };
+    const garnishee = { id: 4, order_type: 'garnishee', court_order_ref: 'EMO 12/2026', current_balance: 9000, instalment: 900 };
+    expect(toEngineOrder(loan)).toEqual(expect.objectContaining({ id: 3, type: 'loan', balance: 40000, instalment: 2000 }));
+    expect(toEngineOrder(garnishee).description).toBe('Garnishee EMO 12/2026');
+
+    const benefits = toFringeBenefits([loan, garnishee, { ...loan, id: 5, interest_rate: 9 }], '2026-04');
+    expect(benefits).toEqual([expect.objectContaining({ id: 'order-3', type: 'low_interest_loan', balance: 40000, monthly_repayment: 0 })]);
+    expect(PayrollEngine.calculateFringeBenefit(benefits[0], '2026-04').value).toBe(258.33);
+  });
+});
+
+// ─── Ledger postings ─────────────────────────────────────────────────────────
+
+describe('Deduction orders — ledger postings', () => {
+  test('TEST-PDU-09: interest then deduction, each with the balance after it', () => {
+    const [result] = apply(20000, [{ id: 1, type: 'loan', balance: 12000, interest_rate: 10, instalment: 1000 }]);
+    const { entries, balance, paid } = postingFor({ id: 1, current_balance: 12000 }, result);
+    expect(entries.map(e => [e.entry_type, e.amount, e.balance_after])).toEqual([
+      ['interest', 100, 12100], ['deduction', -1000, 11100]
+    ]);
+    expect(balance).toBe(11100);
+    expect(paid).toBe(false);
+  });
+
+  test('TEST-PDU-10: the final deduction pays the order off; a floor-limited garnishee records its shortfall', () => {
+    const [last] = apply(20000, [{ id: 1, type: 'loan', balance: 400, instalment: 1000 }]);
+    expect(postingFor({ current_balance: 400 }, last)).toEqual(expect.objectContaining({ balance: 0, paid: true }));
+
+    const [garnishee] = apply(7500, [{ id: 2, type: 'garnishee', balance: 20000, instalment: 3000, net_pay_floor: 7000 }]);
+    const { entries } = postingFor({ current_balance: 20000 }, garnishee);
+    expect(entries).toEqual([expect.objectContaining({
+      entry_type: 'deduction', amount: -500, shortfall: 2500, note: 'Limited by net pay floor'
+    })]);
+  });
+
+  test('TEST-PDU-11: an adjustment after the run never pushes the balance below zero', () => {
+    const [result] = apply(20000, [{ id: 1, type: 'loan', balance: 1000, instalment: 1000 }]);
+    const { entries, balance } = postingFor({ current_balance: 600 }, result);
+    expect(entries[0].amount).toBe(-600);
+    expect(balance).toBe(0);
+  });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * Payroll EFT Bank Files — Net Pay, Banking Details, Validation and ACB Layout
+ * Unit tests for the pure helpers in PayrollEftService.js and bankBatchFormats.js.
+ * Route-level guards are covered in payroll-eft-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PEU-01  EFT employees are paid their snapshot net pay with a period reference.
+ *   TEST-PEU-02  Cash-paid, zero-net and unknown employees are excluded with a reason.
+ *   TEST-PEU-03  Account numbers and branch codes are stripped of spaces.
+ *   TEST-PEU-04  The primary employee_bank_details row overrides the employee columns.
+ *   TEST-PEU-05  An empty bank details row falls back to the employee columns.
+ *   TEST-PEU-06  Missing branch code is never defaulted.
+ *   TEST-PEU-07  ACB, like FNB, only accepts 11-digit account numbers.
+ *   TEST-PEU-08  Every record is 100 characters.
+ *   TEST-PEU-09  Detail records carry zero-padded account, type and cents.
+ *   TEST-PEU-10  Trailer has count, total and account-number hash total.
+ *   TEST-PEU-11  The stored-content hash matches the generated file and detects tampering.
+ */
+
+const {
+  resolveBankDetails,
+  buildEftPayments,
+  contentHash
+} = require('../modules/payroll/services/PayrollEftService');
+const {
+  validateBeneficiaries,
+  generateBatch
+} = require('../shared/utils/bankBatchFormats');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function snap(id, employeeId, net) {
+  return { id, employee_id: employeeId, calculation_output: { gross: net * 1.3, net } };
+}
+
+const EMPLOYEES = {
+  1: { id: 1, first_name: 'Thandi', last_name: 'Mokoena', employee_number: 'E001', payment_method: 'EFT',
+       account_number: '62000012345', branch_code: '250655', account_type: 'savings' },
+  2: { id: 2, first_name: 'Pieter', last_name: 'Botha', employee_number: 'E002', payment_method: 'Cash' },
+  3: { id: 3, first_name: 'Sipho', last_name: 'Dlamini', employee_number: 'E003', payment_method: 'eft',
+       account_holder: 'S Dlamini', account_number: '1234 5678 90', branch_code: '632 005' },
+};
+
+const COMPANY = { name: 'Lorenco Test (Pty) Ltd', acbUserCode: 'LT01' };
+
+// ─── Net pay and exclusions ──────────────────────────────────────────────────
+
+describe('Payroll EFT — buildEftPayments', () => {
+  test('TEST-PEU-01: EFT employees are paid their snapshot net pay with a period reference', () => {
+    const { payments, lines } = buildEftPayments(
+      [snap(11, 3, 18250.456), snap(10, 1, 12000)], EMPLOYEES, '2026-04'
+    );
+    expect(payments.map(p => [p.name, p.amount, p.reference, p.ownReference])).toEqual([
+      ['Thandi Mokoena', 12000, 'SAL 2026-04', 'E001'],
+      ['S Dlamini', 18250.46, 'SAL 2026-04', 'E003'],
+    ]);
+    expect(lines[1]).toEqual({ employee_id: 3, snapshot_id: 11, name: 'Sipho Dlamini', amount: 18250.46, account_last4: '7890' });
+  });
+
+  test('TEST-PEU-02: cash-paid, zero-net and unknown employees are excluded with a reason', () => {
+    const { payments, excluded } = buildEftPayments(
+      [snap(1, 2, 9000), snap(2, 1, 0), snap(3, 99, 500)], EMPLOYEES, '2026-04'
+    );
+    expect(payments).toEqual([]);
+    expect(excluded).toEqual([
+      { employee_id: 1, name: 'Thandi Mokoena', reason: 'No net pay' },
+      { employee_id: 2, name: 'Pieter Botha', reason: 'Paid by Cash' },
+      { employee_id: 99, name: 'Employee 99', reason: 'Employee record not found' },
+    ]);
+  });
+
+  test('TEST-PEU-03: account numbers and branch codes are stripped of spaces', () => {
+    const { payments } = buildEftPayments([snap(1, 3, 100)], EMPLOYEES, '2026-04');
+    expect(payments[0].accountNumber).toBe('1234567890');
+    expect(payments[0].branchCode).toBe('632005');
+    expect(payments[0].accountType).toBe('current');
+  });
+});
+
+// ─── Banking details ─────────────────────────────────────────────────────────
+
+describe('Payroll EFT — resolveBankDetails', () => {
+  test('TEST-PEU-04: the primary employee_bank_details row overrides the employee columns', () => {
+    const bank = resolveBankDetails({
+      ...EMPLOYEES[1],
+      employee_bank_details: [
+        { is_primary: false, account_number: '111111111', branch_code: '051001', account_type: 'Current' },
+        { is_primary: true,  account_number: '4051234567', branch_code: '632005', account_type: 'Transmission' },
+      ],
+    });
+    expect(bank).toEqual({ accountHolder: null, accountNumber: '4051234567', branchCode: '632005', accountType: 'transmission' });
+  });
+
+  test('TEST-PEU-05: an empty bank details row falls back to the employee columns', () => {
+    const bank = resolveBankDetails({ ...EMPLOYEES[1], employee_bank_details: [{ is_primary: true, account_number: null }] });
+    expect(bank.accountNumber).toBe('62000012345');
+    expect(bank.accountType).toBe('savings');
+  });
+});
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+describe('Payroll EFT — beneficiary validation', () => {
+  test('TEST-PEU-06: missing branch code is never defaulted', () => {
+    const { payments } = buildEftPayments([snap(1, 1, 100)],
+      { 1: { ...EMPLOYEES[1], branch_code: '' } }, '2026-04');
+    expect(validateBeneficiaries(payments, 'absa')).toEqual(['Thandi Mokoena: branch code is missing']);
+  });
+
+  test('TEST-PEU-07: ACB, like FNB, only accepts 11-digit account numbers', () => {
+    const p = [{ name: 'X', accountNumber: '123456789012', branchCode: '250655', amount: 1 }];
+    expect(validateBeneficiaries(p, 'acb')).toEqual(['X: bank account number is too long for the ACB layout (11 digits)']);
+    expect(validateBeneficiaries(p, 'absa')).toEqual([]);
+  });
+});
+
+// ─── ACB layout ──────────────────────────────────────────────────────────────
+
+describe('Payroll EFT — ACB layout', () => {
+  const { payments } = buildEftPayments([snap(1, 1, 12000), snap(2, 3, 500.5)], EMPLOYEES, '2026-04');
+  const file = generateBatch('acb', { company: COMPANY, date: '2026-04-25', batchType: 'salaries', payments, fileTag: '2026-04' });
+  const records = file.content.split('\r\n');
+
+  test('TEST-PEU-08: every record is 100 characters', () => {
+    expect(records).toHaveLength(4);
+    records.forEach(r => expect(r).toHaveLength(100));
+    expect(records[0].slice(0, 14)).toBe('02LT0120260425');
+    expect(records[0].slice(44, 54)).toBe('SALARIES  ');
+  });
+
+  test('TEST-PEU-09: detail records carry zero-padded account, type and cents', () => {
+    expect(records[1].slice(0, 20)).toBe('10250655620000123452');
+    expect(records[1].slice(20, 31)).toBe('00001200000');
+    expect(records[1].slice(31, 39)).toBe('20260425');
+    expect(records[2].slice(8, 20)).toBe('012345678901');
+    expect(records[2].slice(89, 95)).toBe('000002');
+  });
+
+  test('TEST-PEU-10: trailer has count, total and account-number hash total', () => {
+    const hash = String(62000012345 + 1234567890).padStart(12, '0');
+    expect(records[3].slice(0, 35)).toBe('92' + '000002' + '000000001250050' + hash);
+    expect(file.fileName).toBe('ACB_EFT_2026-04.txt');
+    expect(file.total).toBe(12500.5);
+  });
+});
+
+// ─── Stored content hash ─────────────────────────────────────────────────────
+
+describe('Payroll EFT — contentHash', () => {
+  test('TEST-PEU-11: the stored-content hash matches the generated file and detects tampering', () => {
+    const { payments } = buildEftPayments([snap(1, 1, 12000)], EMPLOYEES, '2026-04');
+    const file = generateBatch('standard_bank', { date: '2026-04-25', payments });
+    expect(contentHash(file.content)).toBe(file.sha256);
+    expect(contentHash(file.content.replace('12000.00', '13000.00'))).not.toBe(file.sha256);
+  });
+});
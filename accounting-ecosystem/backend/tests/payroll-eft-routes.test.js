@@ -0,0 +1,270 @@
+'use strict';
+
+/**
+ * Payroll EFT Bank Files — Route Guards
+ * Drives the /api/payroll/eft routes (requireCompany + requirePermission +
+ * Paytime module check + handler) against a mocked Supabase client.
+ *
+ * Scenarios covered:
+ *   TEST-PEF-01  No company selected → 400, nothing read.
+ *   TEST-PEF-02  Payroll admin can view runs but cannot generate a bank file → 403.
+ *   TEST-PEF-03  Another company's pay run → 404, nothing stored.
+ *   TEST-PEF-04  A run that is not finalized → 409, nothing stored.
+ *   TEST-PEF-05  An EFT employee without a branch code → 422 listing the problem, nothing stored.
+ *   TEST-PEF-06  A generated file is stored for the company and supersedes only that run's earlier files.
+ *   TEST-PEF-07  Downloading another company's file → 404, no download logged.
+ *   TEST-PEF-08  A file whose pay run was reversed → 409, no download logged.
+ *   TEST-PEF-09  Stored content that no longer matches its SHA-256 → 500, nothing sent.
+ *   TEST-PEF-10  A download that cannot be logged → 500, nothing sent.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+const mockFailWrite = { table: null };
+
+/** Rows are filtered by the eq / in conditions the query applied. */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order', 'is', 'neq']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  chain.eq = jest.fn((col, val) => {
+    mockFilters.push({ table, op: 'eq', args: [col, val] });
+    conditions.push(r => String(r[col]) === String(val));
+    return chain;
+  });
+  chain.in = jest.fn((col, vals) => {
+    mockFilters.push({ table, op: 'in', args: [col, vals] });
+    conditions.push(r => vals.map(String).includes(String(r[col])));
+    return chain;
+  });
+  for (const op of ['insert', 'update']) {
+    chain[op] = jest.fn(payload => {
+      write = { table, op, payload };
+      mockWrites.push(write);
+      return chain;
+    });
+  }
+  const result = () => {
+    if (write) {
+      const error = mockFailWrite.table === table ? { message: 'permission denied for table ' + table } : null;
+      return { data: error ? null : { id: 70, ...write.payload }, error };
+    }
+    return { data: (mockRows[table] || []).filter(r => conditions.every(c => c(r))), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+const { supabase } = require('../config/database');
+const { auditFromReq } = require('../middleware/audit');
+const { contentHash } = require('../modules/payroll/services/PayrollEftService');
+const eftRouter = require('../modules/payroll/routes/eft-files');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(method, path, { role = 'business_owner', body = {}, params = {}, companyId = 42 } = {}) {
+  const req = {
+    body, params, query: {}, companyId, user: { userId: 7, role, email: 'payroll@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    setHeader: jest.fn(),
+    send(payload) { this.body = payload; return this; },
+  };
+  const route = eftRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...eftRouter.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const generate = (opts = {}) => callRoute('post', '/runs/:run_id', { params: { run_id: '9' }, body: { bank_format: 'fnb', action_date: '2026-09-25' }, ...opts });
+const download = (opts = {}) => callRoute('get', '/files/:id/download', { params: { id: '70' }, ...opts });
+const wrote = table => mockWrites.filter(w => w.table === table);
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const RUN = { id: 9, company_id: 42, period_key: '2026-09', status: 'finalized' };
+
+const SNAPSHOTS = [
+  { id: 501, company_id: 42, payroll_run_id: 9, status: 'finalized', employee_id: 14, calculation_output: { net: 18250.4 } },
+  { id: 502, company_id: 42, payroll_run_id: 9, status: 'finalized', employee_id: 15, calculation_output: { net: 9100 } },
+];
+
+const EMPLOYEES = [
+  { id: 14, company_id: 42, first_name: 'Thandi', last_name: 'Mokoena', employee_number: 'E014', payment_method: 'EFT',
+    account_number: '62012345678', branch_code: '250655', account_type: 'current', employee_bank_details: [] },
+  { id: 15, company_id: 42, first_name: 'Pieter', last_name: 'Botha', employee_number: 'E015', payment_method: 'Cash',
+    account_number: null, branch_code: null, employee_bank_details: [] },
+];
+
+const STORED = 'stored salary batch';
+const FILE = { id: 70, company_id: 42, payroll_run_id: 9, file_name: 'SAL_2026-09.txt', mime_type: 'text/plain', content: STORED, sha256: contentHash(STORED) };
+
+describe('Payroll EFT Bank Files — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    mockFailWrite.table = null;
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.payroll_runs = [{ ...RUN }];
+    mockRows.payroll_snapshots = SNAPSHOTS.map(s => ({ ...s }));
+    mockRows.employees = EMPLOYEES.map(e => ({ ...e }));
+    mockRows.companies = [{ id: 42, company_name: 'Karoo Retail', fnb_originator_code: '12345' }];
+    mockRows.payroll_eft_files = [{ ...FILE }];
+  });
+
+  test('TEST-PEF-01: no company selected → 400, nothing read', async () => {
+    const res = await generate({ companyId: null });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.requiresCompanySelection).toBe(true);
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PEF-02: payroll admin can view runs but cannot generate a bank file → 403', async () => {
+    const listed = await callRoute('get', '/runs/:run_id', { role: 'payroll_admin', params: { run_id: '9' } });
+    const res = await generate({ role: 'payroll_admin' });
+
+    expect(listed.statusCode).toBe(200);
+    expect(res.statusCode).toBe(403);
+    expect(res.body.required).toBe('PAYROLL.APPROVE');
+    expect(wrote('payroll_eft_files')).toEqual([]);
+  });
+
+  test('TEST-PEF-03: another company\'s pay run → 404, nothing stored', async () => {
+    const res = await generate({ companyId: 77 });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toMatchObject({ success: false, error: 'Payroll run 9 not found' });
+    expect(mockFilters).toContainEqual({ table: 'payroll_runs', op: 'eq', args: ['company_id', 77] });
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PEF-04: a run that is not finalized → 409, nothing stored', async () => {
+    mockRows.payroll_runs[0].status = 'draft';
+
+    const res = await generate();
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('Only finalized pay runs have bank files (current status: draft)');
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PEF-05: an EFT employee without a branch code → 422 listing the problem, nothing stored', async () => {
+    mockRows.employees[0].branch_code = '';
+
+    const res = await generate();
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.validation_errors).toEqual(['Thandi Mokoena: branch code is missing']);
+    expect(mockWrites).toEqual([]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PEF-06: a generated file is stored for the company and supersedes only that run\'s earlier files', async () => {
+    const res = await generate();
+
+    expect(res.statusCode).toBe(201);
+    const [stored, superseded] = wrote('payroll_eft_files');
+    expect(stored.op).toBe('insert');
+    expect(stored.payload).toMatchObject({ company_id: 42, payroll_run_id: '9', total_amount: 18250.4, record_count: 1, generated_by: 7 });
+    expect(stored.payload.sha256).toBe(contentHash(stored.payload.content));
+    expect(stored.payload.excluded).toEqual([{ employee_id: 15, name: 'Pieter Botha', reason: 'Paid by Cash' }]);
+    expect(superseded.op).toBe('update');
+    const supersedeFilters = mockFilters.filter(f => f.table === 'payroll_eft_files' && f.op !== 'select').slice(-4);
+    expect(supersedeFilters).toEqual([
+      { table: 'payroll_eft_files', op: 'eq', args: ['company_id', 42] },
+      { table: 'payroll_eft_files', op: 'eq', args: ['payroll_run_id', '9'] },
+      { table: 'payroll_eft_files', op: 'is', args: ['superseded_at', null] },
+      { table: 'payroll_eft_files', op: 'neq', args: ['id', 70] },
+    ]);
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_EFT_GENERATE', 'payroll_eft_files', 70, expect.anything());
+  });
+
+  test('TEST-PEF-07: downloading another company\'s file → 404, no download logged', async () => {
+    const res = await download({ companyId: 77 });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Bank file 70 not found');
+    expect(mockFilters).toContainEqual({ table: 'payroll_eft_files', op: 'eq', args: ['company_id', 77] });
+    expect(wrote('payroll_eft_file_downloads')).toEqual([]);
+  });
+
+  test('TEST-PEF-08: a file whose pay run was reversed → 409, no download logged', async () => {
+    mockRows.payroll_runs[0].status = 'reversed';
+
+    const res = await download();
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('This bank file cannot be downloaded — its payroll run was reversed');
+    expect(wrote('payroll_eft_file_downloads')).toEqual([]);
+    expect(res.setHeader).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PEF-09: stored content that no longer matches its SHA-256 → 500, nothing sent', async () => {
+    mockRows.payroll_eft_files[0].content = 'stored salary batch, edited';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await download();
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toMatch(/^Integrity check failed for bank file 70/);
+    expect(wrote('payroll_eft_file_downloads')).toEqual([]);
+    expect(res.setHeader).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PEF-10: a download that cannot be logged → 500, nothing sent', async () => {
+    mockFailWrite.table = 'payroll_eft_file_downloads';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await download();
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toMatch(/^Failed to record download/);
+    expect(wrote('payroll_eft_file_downloads')[0].payload).toMatchObject({ file_id: 70, company_id: 42, downloaded_by: 7 });
+    expect(res.setHeader).not.toHaveBeenCalled();
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,226 @@
+'use strict';
+
+/**
+ * Employment Tax Incentive — Route Guards
+ * Drives POST /api/payroll/run and GET /api/payroll/recon/emp501
+ * (requireCompany + requirePermission + handler) and the employee_eti
+ * lookup in PayrollDataService against a mocked Supabase client.
+ *
+ * Scenarios covered:
+ *   TEST-PEI-01  Payroll admin cannot run payroll → 403, nothing calculated.
+ *   TEST-PEI-02  ETI is its own run total and never reduces net pay.
+ *   TEST-PEI-03  An employee of another company is skipped, no ETI calculated for them.
+ *   TEST-PEI-04  ETI settings are read for the company's own employee; not claiming → no ETI.
+ *   TEST-PEI-05  The pay schedule frequency comes from the company's own schedule.
+ *   TEST-PEI-06  An ETI settings lookup that fails never blocks the calculation.
+ *   TEST-PEI-07  Leave admin cannot see the EMP501 summary → 403.
+ *   TEST-PEI-08  EMP501 summary totals ETI per employee from the company's locked snapshots only.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockFailTable = { name: null };
+
+/** Rows are filtered by the eq / in conditions the query applied. */
+function mockSbChain(table) {
+  const conditions = [];
+  const chain = {};
+  for (const m of ['select', 'order']) chain[m] = jest.fn(() => chain);
+  const filter = (op, test) => jest.fn((col, val) => {
+    mockFilters.push({ table, op, args: [col, val] });
+    conditions.push(r => test(r[col], val));
+    return chain;
+  });
+  chain.eq = filter('eq', (v, want) => String(v) === String(want));
+  chain.in = filter('in', (v, want) => want.map(String).includes(String(v)));
+  const result = () => (mockFailTable.name === table
+    ? { data: null, error: { message: 'statement timeout' } }
+    : { data: (mockRows[table] || []).filter(r => conditions.every(c => c(r))), error: null });
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: r.data ? r.data[0] || null : null });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+const { supabase } = require('../config/database');
+const PayrollDataService = require('../modules/payroll/services/PayrollDataService');
+const PayrollCalculationService = require('../modules/payroll/services/PayrollCalculationService');
+const PayrollHistoryService = require('../modules/payroll/services/PayrollHistoryService');
+const payrunsRouter = require('../modules/payroll/routes/payruns');
+const reconRouter = require('../modules/payroll/routes/recon');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(router, method, path, { role = 'business_owner', body = {}, query = {}, companyId = 42 } = {}) {
+  const req = {
+    body, params: {}, query, companyId, user: { userId: 7, role, email: 'payroll@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  const route = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...router.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const runPayroll = (opts = {}) => callRoute(payrunsRouter, 'post', '/run', { body: { period_key: '2026-09', employee_ids: [14, 15] }, ...opts });
+const etiFilters = () => mockFilters.filter(f => f.table === 'employee_eti').map(f => f.args);
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const EMPLOYEES = [
+  { id: 14, company_id: 42, is_active: true, dob: '2002-05-10', start_date: '2026-01-06', pay_schedule_id: 3 },
+  { id: 15, company_id: 42, is_active: true, dob: '1990-02-01', start_date: '2020-01-06', pay_schedule_id: null },
+  { id: 90, company_id: 77, is_active: true, dob: '2003-01-01', start_date: '2026-01-06', pay_schedule_id: null },
+];
+
+// Employee 14 earns R1 000 ETI, employee 15 none
+const CALC = {
+  14: { gross: 6000, net: 5600, paye: 0, uif: 60, sdl: 60, eti: 1000 },
+  15: { gross: 20000, net: 16300, paye: 3200, uif: 177.12, sdl: 200, eti: 0 },
+};
+
+const ETI_CLAIMING = { company_id: 42, employee_id: 14, status: 'qualified_claiming', min_wage_input_type: 'company_setup',
+  min_wage_amount: null, original_employment_date: null, disqualified_months_before: 0 };
+
+function snap(companyId, employeeId, periodKey, eti, extra = {}) {
+  return { company_id: companyId, employee_id: employeeId, period_key: periodKey, is_locked: true, created_at: `${periodKey}-25T10:00:00Z`,
+    calculation_output: { gross: 6000, net: 5600, paye: 0, uif: 60, sdl: 60, eti }, ...extra };
+}
+
+describe('Employment Tax Incentive — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockFailTable.name = null;
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.employees = EMPLOYEES.map(e => ({ ...e }));
+    mockRows.employee_eti = [{ ...ETI_CLAIMING }];
+    mockRows.company_pay_schedules = [
+      { id: 3, company_id: 42, frequency_type: 'weekly' },
+      { id: 3, company_id: 77, frequency_type: 'monthly' },
+    ];
+
+    jest.spyOn(PayrollDataService, 'fetchPeriod').mockResolvedValue({ id: 900, start_date: '2026-09-01', end_date: '2026-09-30', period_key: '2026-09' });
+    jest.spyOn(PayrollDataService, 'fetchCalculationInputs').mockImplementation(async (companyId, empId) => ({ employee_id: empId, employeeOptions: {} }));
+    jest.spyOn(PayrollCalculationService, 'calculate').mockImplementation(async input => CALC[input.employee_id]);
+    jest.spyOn(PayrollCalculationService, 'validateOutput').mockReturnValue(true);
+    jest.spyOn(PayrollHistoryService, 'createPayrollRun').mockResolvedValue({ id: 'run-9' });
+    jest.spyOn(PayrollHistoryService, 'getSnapshot').mockResolvedValue(null);
+    jest.spyOn(PayrollHistoryService, 'prepareSnapshot').mockReturnValue({});
+    jest.spyOn(PayrollHistoryService, 'saveSnapshot').mockResolvedValue({ id: 501 });
+    jest.spyOn(PayrollHistoryService, 'updatePayrollRunTotals').mockResolvedValue(undefined);
+    // No tax_config row → the run warns that engine defaults apply
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  test('TEST-PEI-01: payroll admin cannot run payroll → 403, nothing calculated', async () => {
+    const res = await runPayroll({ role: 'payroll_admin' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.required).toBe('PAYROLL.APPROVE');
+    expect(PayrollCalculationService.calculate).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PEI-02: ETI is its own run total and never reduces net pay', async () => {
+    const res = await runPayroll();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.processed.map(p => [p.employee_id, p.net, p.eti])).toEqual([[14, 5600, 1000], [15, 16300, 0]]);
+    expect(res.body.totals).toMatchObject({ net: 21900, paye: 3200, eti: 1000 });
+    expect(PayrollHistoryService.updatePayrollRunTotals).toHaveBeenCalledWith(supabase, 'run-9',
+      expect.objectContaining({ totalNet: 21900, totalEti: 1000 }));
+  });
+
+  test('TEST-PEI-03: an employee of another company is skipped, no ETI calculated for them', async () => {
+    const res = await runPayroll({ body: { period_key: '2026-09', employee_ids: [14, 90] } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.errors).toEqual([{ employee_id: 90, error: 'Employee is not active — skipped' }]);
+    expect(PayrollDataService.fetchCalculationInputs.mock.calls.map(c => c[1])).toEqual([14]);
+    expect(res.body.totals.eti).toBe(1000);
+  });
+
+  test('TEST-PEI-04: ETI settings are read for the company\'s own employee; not claiming → no ETI', async () => {
+    const claiming = await PayrollDataService.fetchEtiOptions(42, EMPLOYEES[1], '2026-09', supabase);
+    mockRows.employee_eti[0].status = 'qualified_not_claiming';
+    const notClaiming = await PayrollDataService.fetchEtiOptions(42, EMPLOYEES[0], '2026-09', supabase);
+
+    expect(claiming).toBeNull();
+    expect(notClaiming).toBeNull();
+    expect(etiFilters()).toEqual([['company_id', 42], ['employee_id', 15], ['company_id', 42], ['employee_id', 14]]);
+  });
+
+  test('TEST-PEI-05: the pay schedule frequency comes from the company\'s own schedule', async () => {
+    const options = await PayrollDataService.fetchEtiOptions(42, EMPLOYEES[0], '2026-09', supabase);
+
+    expect(options).toMatchObject({ status: 'qualified_claiming', frequency: 'weekly', age: 24, employment_date: '2026-01-06' });
+    expect(mockFilters.filter(f => f.table === 'company_pay_schedules').map(f => f.args)).toEqual([['company_id', 42], ['id', 3]]);
+  });
+
+  test('TEST-PEI-06: an ETI settings lookup that fails never blocks the calculation', async () => {
+    mockFailTable.name = 'employee_eti';
+
+    const options = await PayrollDataService.fetchEtiOptions(42, EMPLOYEES[0], '2026-09', supabase);
+
+    expect(options).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('ETI settings unavailable for emp 14'), 'statement timeout');
+  });
+
+  test('TEST-PEI-07: leave admin cannot see the EMP501 summary → 403', async () => {
+    const res = await callRoute(reconRouter, 'get', '/emp501', { role: 'leave_admin', query: { taxYear: '2026/2027' } });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.required).toBe('PAYROLL.VIEW');
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PEI-08: EMP501 summary totals ETI per employee from the company\'s locked snapshots only', async () => {
+    mockRows.payroll_snapshots = [
+      snap(42, 14, '2026-08', 1000),
+      snap(42, 14, '2026-09', 750),
+      snap(42, 14, '2026-10', 1000, { is_locked: false }),
+      snap(77, 90, '2026-09', 1000),
+    ];
+
+    const res = await callRoute(reconRouter, 'get', '/emp501', { role: 'payroll_admin', query: { taxYear: '2026/2027' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.livePayroll.map(e => [e.employee_id, e.eti, e.net_pay])).toEqual([[14, 1750, 11200]]);
+    expect(mockFilters.filter(f => f.table === 'payroll_snapshots' && f.op === 'eq').map(f => f.args))
+      .toEqual([['company_id', 42], ['is_locked', true]]);
+  });
+});
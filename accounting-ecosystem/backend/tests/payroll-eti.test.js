@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Employment Tax Incentive — Engine Baselines and calculateEti
+ * Unit tests for the ETI calculation in core/payroll-engine.js. Route-level
+ * guards are covered in payroll-eti-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PET-01  Every ETI scenario passes.
+ *   TEST-PET-02  A part month uses the hours actually worked (calculateWithProRata).
+ *   TEST-PET-03  Age unknown and no employment date give R0 with a reason.
+ *   TEST-PET-04  Reconciliation periods run March–August and September–February.
+ */
+
+const PayrollEngine = require('../core/payroll-engine');
+const { ETI_SCENARIOS, runEtiTests } = require('../core/payroll-engine.regression-tests');
+
+// ─── Engine baselines ────────────────────────────────────────────────────────
+
+describe('ETI — regression baselines', () => {
+  test('TEST-PET-01: every ETI scenario passes', () => {
+    const results = runEtiTests(PayrollEngine);
+    const failures = results.results.filter(r => !r.passed).map(r => `${r.id}: ${r.errorMsg}`);
+    expect(failures).toEqual([]);
+    expect(results.total).toBe(ETI_SCENARIOS.length);
+  });
+});
+
+// ─── calculateEti ────────────────────────────────────────────────────────────
+
+describe('ETI — calculateEti', () => {
+  const employee = {
+    status: 'qualified_claiming',
+    employment_date: '2026-01-15',
+    age: 22,
+    frequency: 'monthly'
+  };
+
+  test('TEST-PET-02: a part month uses the hours actually worked (calculateWithProRata)', () => {
+    // Starts 16 April: 88 of 176 scheduled hours, R6 000 basic pro-rated to R3 000.
+    // R3 000 ÷ 0.55 = R5 455 → flat R1 500 band, × 88/160 = R825
+    const result = PayrollEngine.calculateWithProRata(
+      { basic_salary: 6000 }, '2026-04-16', null, [], [], [], [],
+      { age: 22, eti: { ...employee, employment_date: '2026-04-16' } }, '2026-04', null
+    );
+    expect(result.workedHoursInPeriod).toBe(88);
+    expect(result.etiDetail.hoursFactor).toBe(0.55);
+    expect(result.eti).toBe(825);
+  });
+
+  test('TEST-PET-03: age unknown and no employment date give R0 with a reason', () => {
+    expect(PayrollEngine.calculateEti(5000, { ...employee, age: null }, '2026-04').reason).toBe('age_unknown');
+    expect(PayrollEngine.calculateEti(5000, { ...employee, employment_date: null }, '2026-04').reason).toBe('no_employment_date');
+    expect(PayrollEngine.calculateEti(5000, { ...employee, employment_date: '2013-09-30' }, '2026-04').reason)
+      .toBe('employed_before_october_2013');
+  });
+
+  test('TEST-PET-04: reconciliation periods run March–August and September–February', () => {
+    expect(PayrollEngine.etiReconciliationPeriod('2026-03')).toBe('2026-03');
+    expect(PayrollEngine.etiReconciliationPeriod('2026-08')).toBe('2026-03');
+    expect(PayrollEngine.etiReconciliationPeriod('2026-09')).toBe('2026-09');
+    expect(PayrollEngine.etiReconciliationPeriod('2027-02')).toBe('2026-09');
+  });
+});
@@ -0,0 +1,291 @@
+'use strict';
+
+/**
+ * Fringe Benefits — Route Guards
+ * Drives the /api/payroll/fringe-benefits routes (requireCompany +
+ * requirePermission + requirePaytimeModule + handler) and the period fetch in
+ * FringeBenefitService against a mocked Supabase client.
+ *
+ * Scenarios covered:
+ *   TEST-PFB-01  Leave admin cannot list benefits → 403, nothing read.
+ *   TEST-PFB-02  Payroll admin without the payroll module cannot add a benefit → 403.
+ *   TEST-PFB-03  Payroll admin cannot add a benefit for an employee outside their selection → 403, nothing stored.
+ *   TEST-PFB-04  Another company's employee → 404, nothing stored.
+ *   TEST-PFB-05  Invalid settings → 400, nothing stored or audited.
+ *   TEST-PFB-06  A valid benefit is stored for the company with the type's fields only, and audited.
+ *   TEST-PFB-07  Another company's benefit cannot be changed → 404, nothing written.
+ *   TEST-PFB-08  Changing the benefit type → 409, nothing written.
+ *   TEST-PFB-09  A failed update → 500, nothing audited.
+ *   TEST-PFB-10  Loan balances come from the company's locked, unreversed snapshots; cars have none → 409.
+ *   TEST-PFB-11  A failed benefit read stops the calculation; a missing table means no benefits.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+const mockFail = { write: null, read: null, code: null };
+
+/** Rows are filtered by the eq / neq / in / lt conditions the query applied. */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const filter = (op, test) => jest.fn((col, val) => {
+    mockFilters.push({ table, op, args: [col, val] });
+    conditions.push(r => test(r[col], val));
+    return chain;
+  });
+  chain.eq = filter('eq', (v, want) => String(v) === String(want));
+  chain.neq = filter('neq', (v, want) => String(v) !== String(want));
+  chain.in = filter('in', (v, want) => want.map(String).includes(String(v)));
+  chain.lt = filter('lt', (v, want) => String(v) < String(want));
+  for (const op of ['insert', 'update']) {
+    chain[op] = jest.fn(payload => {
+      write = { table, op, payload };
+      mockWrites.push(write);
+      return chain;
+    });
+  }
+  const matching = () => (mockRows[table] || []).filter(r => conditions.every(c => c(r)));
+  const result = () => {
+    if (write) {
+      const error = mockFail.write === table ? { message: 'deadlock detected' } : null;
+      const current = write.op === 'update' ? matching()[0] : { id: 66 };
+      return { data: error ? null : { ...current, ...write.payload }, error };
+    }
+    if (mockFail.read === table) return { data: null, error: { code: mockFail.code, message: 'statement timeout' } };
+    return { data: matching(), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+const { supabase } = require('../config/database');
+const { auditFromReq } = require('../middleware/audit');
+const FringeBenefitService = require('../modules/payroll/services/FringeBenefitService');
+const fringeBenefitRouter = require('../modules/payroll/routes/fringe-benefits');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(method, path, { role = 'business_owner', body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const req = {
+    body, params, query, companyId, user: { userId: 7, role, email: 'payroll@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  const route = fringeBenefitRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...fringeBenefitRouter.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const CAR = { employee_id: 14, benefit_type: 'company_car', description: 'Hilux 2.4',
+  settings: { determined_value: 450000, maintenance_plan: true, colour: 'white' }, start_date: '2026-09-01' };
+
+const addBenefit = (opts = {}) => callRoute('post', '/', { body: { ...CAR }, ...opts });
+const changeBenefit = (id, body, opts = {}) => callRoute('put', '/:id', { params: { id: String(id) }, body, ...opts });
+const benefitWrites = () => mockWrites.filter(w => w.table === 'employee_fringe_benefits');
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const EMPLOYEES = [
+  { id: 14, company_id: 42, classification: 'public' },
+  { id: 15, company_id: 42, classification: 'public' },
+  { id: 90, company_id: 77, classification: 'public' },
+];
+
+const BENEFITS = [
+  { id: 61, company_id: 42, employee_id: 14, benefit_type: 'low_interest_loan', description: 'Study loan',
+    settings: { principal: 30000, interest_rate: 0, monthly_repayment: 1000 }, start_date: '2026-07-01', end_date: null, is_active: true },
+  { id: 62, company_id: 42, employee_id: 14, benefit_type: 'company_car', description: 'Polo',
+    settings: { determined_value: 300000 }, start_date: '2026-07-01', end_date: null, is_active: true },
+  { id: 63, company_id: 77, employee_id: 90, benefit_type: 'company_car', description: 'Other Co car',
+    settings: { determined_value: 500000 }, start_date: '2026-07-01', end_date: null, is_active: true },
+];
+
+function loanSnap(companyId, periodKey, opening, closing, extra = {}) {
+  return {
+    company_id: companyId, employee_id: 14, period_key: periodKey, is_locked: true, status: 'finalized', created_at: `${periodKey}-25T10:00:00Z`,
+    calculation_output: { fringeBenefits: [{ id: 61, type: 'low_interest_loan', value: 175, repayment: 1000,
+      detail: { opening_balance: opening, interest_charged: 0, closing_balance: closing, official_rate: 0.07 } }] },
+    ...extra,
+  };
+}
+
+describe('Fringe Benefits — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    Object.assign(mockFail, { write: null, read: null, code: null });
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.employees = EMPLOYEES.map(e => ({ ...e }));
+    mockRows.employee_fringe_benefits = BENEFITS.map(b => ({ ...b, settings: { ...b.settings } }));
+    mockRows.paytime_user_config = [];
+    mockRows.paytime_employee_access = [];
+    mockRows.payroll_snapshots = [];
+  });
+
+  test('TEST-PFB-01: leave admin cannot list benefits → 403, nothing read', async () => {
+    const res = await callRoute('get', '/', { role: 'leave_admin', query: { employee_id: '14' } });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.required).toBe('PAYROLL.VIEW');
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PFB-02: payroll admin without the payroll module cannot add a benefit → 403', async () => {
+    mockRows.paytime_user_config = [{ user_id: 7, company_id: 42, modules: ['leave'], employee_scope: 'all', can_view_confidential: true }];
+
+    const res = await addBenefit({ role: 'payroll_admin' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toMatch(/'payroll' module/);
+    expect(benefitWrites()).toEqual([]);
+  });
+
+  test('TEST-PFB-03: payroll admin cannot add a benefit for an employee outside their selection → 403, nothing stored', async () => {
+    mockRows.paytime_user_config = [{ user_id: 7, company_id: 42, modules: ['payroll'], employee_scope: 'selected', can_view_confidential: true }];
+    mockRows.paytime_employee_access = [{ user_id: 7, company_id: 42, employee_id: 15 }];
+
+    const res = await addBenefit({ role: 'payroll_admin' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('Access denied to this employee');
+    expect(benefitWrites()).toEqual([]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PFB-04: another company\'s employee → 404, nothing stored', async () => {
+    const res = await addBenefit({ body: { ...CAR, employee_id: 90 } });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Employee 90 not found');
+    expect(mockFilters).toContainEqual({ table: 'employees', op: 'eq', args: ['company_id', 42] });
+    expect(benefitWrites()).toEqual([]);
+  });
+
+  test('TEST-PFB-05: invalid settings → 400, nothing stored or audited', async () => {
+    const res = await addBenefit({ body: { ...CAR, settings: { maintenance_plan: true } } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ success: false, error: 'settings.determined_value is required for company_car' });
+    expect(benefitWrites()).toEqual([]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PFB-06: a valid benefit is stored for the company with the type\'s fields only, and audited', async () => {
+    const res = await addBenefit({ role: 'payroll_admin' });
+
+    expect(res.statusCode).toBe(201);
+    const [{ op, payload }] = benefitWrites();
+    expect(op).toBe('insert');
+    expect(payload).toMatchObject({ company_id: 42, employee_id: 14, created_by: 7, benefit_type: 'company_car', is_active: true });
+    expect(payload.settings).toEqual({ determined_value: 450000, maintenance_plan: true });
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_FRINGE_BENEFIT_CREATE', 'employee_fringe_benefits', 66,
+      { metadata: { employee_id: 14, benefit_type: 'company_car', settings: payload.settings } });
+  });
+
+  test('TEST-PFB-07: another company\'s benefit cannot be changed → 404, nothing written', async () => {
+    const res = await changeBenefit(63, { end_date: '2026-09-30' });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Fringe benefit 63 not found');
+    expect(mockFilters).toContainEqual({ table: 'employee_fringe_benefits', op: 'eq', args: ['company_id', 42] });
+    expect(benefitWrites()).toEqual([]);
+  });
+
+  test('TEST-PFB-08: changing the benefit type → 409, nothing written', async () => {
+    const res = await changeBenefit(62, { benefit_type: 'free_services', settings: { value: 800 } });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('benefit_type cannot be changed — end this benefit and add a new one');
+    expect(benefitWrites()).toEqual([]);
+  });
+
+  test('TEST-PFB-09: a failed update → 500, nothing audited', async () => {
+    mockFail.write = 'employee_fringe_benefits';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await changeBenefit(62, { end_date: '2026-09-30' });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toBe('Failed to update fringe benefit: deadlock detected');
+    expect(benefitWrites()[0].op).toBe('update');
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PFB-10: loan balances come from the company\'s locked, unreversed snapshots; cars have none → 409', async () => {
+    // Newest first, as the query orders them
+    mockRows.payroll_snapshots = [
+      loanSnap(42, '2026-10', 27000, 26000, { is_locked: false }),
+      loanSnap(42, '2026-09', 28000, 27000, { status: 'reversed' }),
+      loanSnap(77, '2026-09', 28000, 1000),
+      loanSnap(42, '2026-08', 29000, 28000),
+      loanSnap(42, '2026-07', 30000, 29000),
+    ];
+
+    const res = await callRoute('get', '/:id/balances', { role: 'payroll_admin', params: { id: '61' } });
+    const car = await callRoute('get', '/:id/balances', { params: { id: '62' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.balances.map(b => [b.period_key, b.closing_balance])).toEqual([['2026-07', 29000], ['2026-08', 28000]]);
+    expect(res.body.current_balance).toBe(28000);
+    expect(mockFilters.filter(f => f.table === 'payroll_snapshots' && f.op !== 'order').map(f => [f.op, ...f.args])).toEqual([
+      ['eq', 'company_id', 42], ['eq', 'employee_id', 14], ['eq', 'is_locked', true], ['neq', 'status', 'reversed'],
+    ]);
+    expect(car.statusCode).toBe(409);
+    expect(car.body.error).toBe('Balance history is only kept for low_interest_loan benefits');
+  });
+
+  test('TEST-PFB-11: a failed benefit read stops the calculation; a missing table means no benefits', async () => {
+    const period = { companyId: 42, employeeId: 14, periodKey: '2026-09', periodStart: '2026-09-01', periodEnd: '2026-09-30' };
+    Object.assign(mockFail, { read: 'employee_fringe_benefits', code: '57014' });
+
+    await expect(FringeBenefitService.fetchForPeriod(supabase, period)).rejects.toThrow('Failed to fetch fringe benefits: statement timeout');
+
+    mockFail.code = '42P01';
+    await expect(FringeBenefitService.fetchForPeriod(supabase, period)).resolves.toEqual([]);
+  });
+});
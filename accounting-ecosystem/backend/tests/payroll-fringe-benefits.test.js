@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * Fringe Benefits — Valuation, Engine, Service Helpers and IRP5 Codes
+ * Unit tests for fringe benefit valuation in core/payroll-engine.js and the
+ * pure helpers in FringeBenefitService. Route-level guards are covered in
+ * payroll-fringe-benefit-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PFU-01  Company car — 3.5% of determined value, PAYE on 80%.
+ *   TEST-PFU-02  Company car — maintenance plan 3.25%, 80% business use, contribution and part month.
+ *   TEST-PFU-03  Loan — official rate less rate charged on the opening balance; repayment rolls the balance.
+ *   TEST-PFU-04  Loan — casual loans up to R3 000 and exempt loans carry no benefit; rate follows the period.
+ *   TEST-PFU-05  Accommodation — formula, lower employer cost, rent paid; free services.
+ *   TEST-PFU-06  Benefits raise PAYE and SDL but leave gross and net (apart from PAYE) unchanged.
+ *   TEST-PFU-07  A loan repayment is a net-only deduction.
+ *   TEST-PFU-08  validateBenefit keeps the type fields only and enforces required ones.
+ *   TEST-PFU-09  Updates keep unspecified fields; the type cannot change.
+ *   TEST-PFU-10  A car taken over mid-month is valued for the days available.
+ *   TEST-PFU-11  A loan opens on the latest locked closing balance, else the principal; paid-up loans drop out.
+ *   TEST-PFU-12  Benefits are reported at full value under 3802/3807 and counted in 3699.
+ *   TEST-PFU-13  The income total check includes fringe benefits.
+ */
+
+const PayrollEngine = require('../core/payroll-engine');
+const {
+  validateBenefit,
+  loanBalanceFromSnapshots,
+  toEngineBenefit
+} = require('../modules/payroll/services/FringeBenefitService');
+const {
+  aggregateCertificateCodes,
+  finaliseCertificate,
+  validateCertificates
+} = require('../modules/payroll/services/SarsSubmissionService');
+
+const value = (benefit, period = '2026-04') => PayrollEngine.calculateFringeBenefit(benefit, period);
+
+// ─── calculateFringeBenefit ──────────────────────────────────────────────────
+
+describe('Fringe benefits — calculateFringeBenefit', () => {
+  test('TEST-PFU-01: company car — 3.5% of determined value, PAYE on 80%', () => {
+    const fb = value({ type: 'company_car', determined_value: 400000 });
+    expect(fb).toEqual(expect.objectContaining({ irp5_code: '3802', value: 14000, taxable: 11200 }));
+  });
+
+  test('TEST-PFU-02: company car — maintenance plan 3.25%, 80% business use, contribution and part month', () => {
+    expect(value({ type: 'company_car', determined_value: 400000, maintenance_plan: true }).value).toBe(13000);
+    expect(value({ type: 'company_car', determined_value: 400000, business_use_80: true }).taxable).toBe(2800);
+    expect(value({ type: 'company_car', determined_value: 400000, employee_contribution: 1000 }).value).toBe(13000);
+    expect(value({ type: 'company_car', determined_value: 400000, days_available: 15, days_in_period: 30 }).value).toBe(7000);
+  });
+
+  test('TEST-PFU-03: loan — official rate less rate charged on the opening balance; repayment rolls the balance', () => {
+    const free = value({ type: 'low_interest_loan', balance: 50000, interest_rate: 0 });
+    expect(free).toEqual(expect.objectContaining({ irp5_code: '3807', value: 322.92, taxable: 322.92 }));
+    expect(free.detail.official_rate).toBe(7.75);
+
+    const low = value({ type: 'low_interest_loan', balance: 50000, interest_rate: 5, monthly_repayment: 1000 });
+    expect(low.value).toBe(114.58);
+    expect(low.repayment).toBe(1000);
+    expect(low.detail).toEqual(expect.objectContaining({
+      opening_balance: 50000, interest_charged: 208.33, closing_balance: 49208.33
+    }));
+  });
+
+  test('TEST-PFU-04: loan — casual loans up to R3 000 and exempt loans carry no benefit; rate follows the period', () => {
+    const casual = value({ type: 'low_interest_loan', balance: 3000, monthly_repayment: 500 });
+    expect(casual.value).toBe(0);
+    expect(casual.detail.reason).toBe('casual_loan');
+    expect(casual.detail.closing_balance).toBe(2500);
+    expect(value({ type: 'low_interest_loan', balance: 50000, exempt: true }).detail.reason).toBe('exempt');
+    expect(value({ type: 'low_interest_loan', balance: 50000 }, '2025-03').detail.official_rate).toBe(8.5);
+  });
+
+  test('TEST-PFU-05: accommodation — formula, lower employer cost, rent paid; free services', () => {
+    const formula = { type: 'accommodation', remuneration_proxy: 300000, abatement: 100000, furnished: true };
+    expect(value(formula)).toEqual(expect.objectContaining({ irp5_code: '3805', value: 3000 }));
+    expect(value({ ...formula, employer_cost: 2500, employee_contribution: 500 }).value).toBe(2000);
+    expect(value({ type: 'accommodation', method: 'cost', employer_cost: 4000 }).value).toBe(4000);
+    expect(value({ type: 'free_services', value: 800, employee_contribution: 300 }))
+      .toEqual(expect.objectContaining({ irp5_code: '3806', value: 500, taxable: 500 }));
+  });
+});
+
+// ─── calculateFromData ───────────────────────────────────────────────────────
+
+describe('Fringe benefits — calculateFromData', () => {
+  const calc = opts => PayrollEngine.calculateFromData(
+    { basic_salary: 30000, regular_inputs: [] }, [], [], [], [], { age: 35, ...opts }, '2026-04', null
+  );
+
+  test('TEST-PFU-06: benefits raise PAYE and SDL but leave gross and net (apart from PAYE) unchanged', () => {
+    const base = calc({});
+    const withCar = calc({ fringeBenefits: [{ id: 1, type: 'company_car', determined_value: 400000 }] });
+
+    expect(base.fringe_benefits).toBe(0);
+    expect(base.fringeBenefits).toEqual([]);
+    expect(withCar.gross).toBe(base.gross);
+    expect(withCar.fringe_benefits).toBe(14000);
+    expect(withCar.fringe_benefits_taxable).toBe(11200);
+    expect(withCar.periodicTaxableGross).toBe(41200);
+    expect(withCar.paye).toBeGreaterThan(base.paye);
+    expect(withCar.uif).toBe(base.uif);
+    expect(withCar.sdl).toBe(440);
+    expect(withCar.net).toBe(PayrollEngine.r2(withCar.gross - withCar.paye - withCar.uif));
+  });
+
+  test('TEST-PFU-07: a loan repayment is a net-only deduction', () => {
+    const out = calc({ fringeBenefits: [{ id: 2, type: 'low_interest_loan', balance: 50000, monthly_repayment: 1000 }] });
+    expect(out.netOnlyDeductions).toBe(1000);
+    expect(out.net).toBe(PayrollEngine.r2(out.gross - out.paye - out.uif - 1000));
+    expect(out.fringeBenefits[0].detail.closing_balance).toBe(49000);
+  });
+});
+
+// ─── FringeBenefitService ────────────────────────────────────────────────────
+
+describe('Fringe benefits — FringeBenefitService helpers', () => {
+  test('TEST-PFU-08: validateBenefit keeps the type fields only and enforces required ones', () => {
+    const row = validateBenefit({
+      benefit_type: 'company_car', start_date: '2026-04-16',
+      settings: { determined_value: '400000', maintenance_plan: 'true', colour: 'red' }
+    });
+    expect(row.settings).toEqual({ determined_value: 400000, maintenance_plan: true });
+    expect(() => validateBenefit({ benefit_type: 'company_car', start_date: '2026-04-01', settings: {} }))
+      .toThrow('settings.determined_value is required for company_car');
+    expect(() => validateBenefit({ benefit_type: 'boat', start_date: '2026-04-01' })).toThrow(/must be one of/);
+    expect(() => validateBenefit({ benefit_type: 'accommodation', start_date: '2026-04-01', settings: { method: 'cost' } }))
+      .toThrow('settings.employer_cost is required for accommodation');
+  });
+
+  test('TEST-PFU-09: updates keep unspecified fields; the type cannot change', () => {
+    const existing = validateBenefit({
+      benefit_type: 'low_interest_loan', start_date: '2026-03-01', settings: { principal: 50000, interest_rate: 0 }
+    });
+    const updated = validateBenefit({ settings: { monthly_repayment: 1500 }, end_date: '2027-02-28' }, existing);
+    expect(updated.settings).toEqual({ principal: 50000, interest_rate: 0, monthly_repayment: 1500 });
+    expect(updated.end_date).toBe('2027-02-28');
+    expect(() => validateBenefit({ benefit_type: 'company_car' }, existing)).toThrow(/cannot be changed/);
+  });
+
+  test('TEST-PFU-10: a car taken over mid-month is valued for the days available', () => {
+    const row = { id: 1, benefit_type: 'company_car', is_active: true, start_date: '2026-04-16', end_date: null,
+      settings: { determined_value: 400000 } };
+    const benefit = toEngineBenefit(row, '2026-04-01', '2026-04-30');
+    expect(benefit).toEqual(expect.objectContaining({ days_available: 15, days_in_period: 30 }));
+    expect(value(benefit).value).toBe(7000);
+    expect(toEngineBenefit({ ...row, end_date: '2026-03-31', start_date: '2026-01-01' }, '2026-04-01', '2026-04-30')).toBeNull();
+  });
+
+  test('TEST-PFU-11: a loan opens on the latest locked closing balance, else the principal; paid-up loans drop out', () => {
+    const row = { id: 7, benefit_type: 'low_interest_loan', is_active: true, start_date: '2026-03-01',
+      settings: { principal: 50000, monthly_repayment: 1000 } };
+    const snapshots = [
+      { period_key: '2026-04', calculation_output: { fringeBenefits: [
+        { id: 7, type: 'low_interest_loan', detail: { closing_balance: 48000 } }] } },
+      { period_key: '2026-03', calculation_output: { fringeBenefits: [
+        { id: 7, type: 'low_interest_loan', detail: { closing_balance: 49000 } }] } }
+    ];
+    expect(loanBalanceFromSnapshots(snapshots, 7)).toBe(48000);
+    expect(loanBalanceFromSnapshots([], 7)).toBeNull();
+
+    expect(toEngineBenefit(row, '2026-05-01', '2026-05-31', 48000).balance).toBe(48000);
+    expect(toEngineBenefit(row, '2026-03-01', '2026-03-31', null).balance).toBe(50000);
+    expect(toEngineBenefit(row, '2026-05-01', '2026-05-31', 0)).toBeNull();
+  });
+});
+
+// ─── IRP5 codes ──────────────────────────────────────────────────────────────
+
+describe('Fringe benefits — IRP5 codes', () => {
+  const snapshot = period => ({
+    employee_id: 1,
+    period_key: period,
+    calculation_input: { basic_salary: 30000, regular_inputs: [] },
+    calculation_output: PayrollEngine.calculateFromData(
+      { basic_salary: 30000, regular_inputs: [] }, [], [], [], [], {
+        age: 35,
+        fringeBenefits: [
+          { id: 1, type: 'company_car', determined_value: 400000 },
+          { id: 2, type: 'low_interest_loan', balance: 50000 }
+        ]
+      }, period, null
+    )
+  });
+
+  test('TEST-PFU-12: benefits are reported at full value under 3802/3807 and counted in 3699', () => {
+    const [agg] = aggregateCertificateCodes([snapshot('2026-03'), snapshot('2026-04')], {});
+    const cert = finaliseCertificate(agg);
+    expect(cert.codes['3601']).toBe(60000);
+    expect(cert.codes['3802']).toBe(28000);
+    expect(cert.codes['3807']).toBe(645);
+    expect(cert.codes['3699']).toBe(60000 + 28000 + 645);
+  });
+
+  test('TEST-PFU-13: the income total check includes fringe benefits', () => {
+    const cert = finaliseCertificate(aggregateCertificateCodes([snapshot('2026-04')], {})[0]);
+    const employees = { 1: { id: 1, first_name: 'Thandi', last_name: 'Nkosi', id_number: '8503155005080', tax_number: '0123456782' } };
+    const { errors } = validateCertificates([cert], employees, { paye_reference_number: '7012345678' });
+    expect(errors).toEqual([]);
+  });
+});
@@ -0,0 +1,380 @@
+'use strict';
+
+/**
+ * Payroll Cost Journal — Route Guards
+ * Drives the /api/payroll/gl-journal routes (requireCompany + requirePermission
+ * + requirePaytimeModule + handler), the journal hooks on POST /finalize and
+ * POST /reverse, and PayrollJournalService.reverseRun against a mocked
+ * Supabase client and journal service.
+ *
+ * Scenarios covered:
+ *   TEST-PGJ-01  Payroll admin cannot change the GL mapping or post a journal → 403, nothing written.
+ *   TEST-PGJ-02  A mapping naming another company's account → 400, nothing saved.
+ *   TEST-PGJ-03  A cost-centre segment of another company → 404, nothing saved.
+ *   TEST-PGJ-04  A valid mapping is saved for the company and audited with before / after.
+ *   TEST-PGJ-05  Another company's run → 404; a run still in draft → 400; no journal either way.
+ *   TEST-PGJ-06  No mapping saved → 400; a run already journalled → 409; no journal either way.
+ *   TEST-PGJ-07  A finalized run is journalled with cost centres per department, posted, recorded and audited.
+ *   TEST-PGJ-08  A journal refused by a locked accounting period is recorded as failed → 422.
+ *   TEST-PGJ-09  A journal failure never blocks finalize — the run is finalized and the failure reported.
+ *   TEST-PGJ-10  A journal that cannot be reversed stops the run reversal → 500, payslips untouched.
+ *   TEST-PGJ-11  Reversing deletes a draft journal of the company, and reverses a posted one.
+ *   TEST-PGJ-12  A restricted user sees only visible employees' reconciliation lines; totals stay company-wide.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+const mockCreateDraftJournal = jest.fn();
+const mockPostJournal = jest.fn();
+const mockReverseJournal = jest.fn();
+
+/** Rows are filtered by the eq / neq / in conditions the query applied. */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const filter = (op, test) => jest.fn((col, val) => {
+    mockFilters.push({ table, op, args: [col, val] });
+    conditions.push(r => test(r[col], val));
+    return chain;
+  });
+  chain.eq = filter('eq', (v, want) => String(v) === String(want));
+  chain.neq = filter('neq', (v, want) => String(v) !== String(want));
+  chain.in = filter('in', (v, want) => want.map(String).includes(String(v)));
+  for (const op of ['insert', 'update', 'upsert', 'delete']) {
+    chain[op] = jest.fn(payload => {
+      write = { table, op, payload };
+      mockWrites.push(write);
+      return chain;
+    });
+  }
+  const matching = () => (mockRows[table] || []).filter(r => conditions.every(c => c(r)));
+  const result = () => {
+    if (write && write.op === 'update') return { data: matching().map(r => ({ ...r, ...write.payload })), error: null };
+    if (write && write.op === 'delete') return { data: null, error: null };
+    if (write) return { data: { id: 81, ...write.payload }, error: null };
+    return { data: matching(), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('../modules/accounting/services/journalService', () => ({
+  createDraftJournal: (...a) => mockCreateDraftJournal(...a),
+  postJournal:        (...a) => mockPostJournal(...a),
+  reverseJournal:     (...a) => mockReverseJournal(...a),
+}));
+
+const { supabase } = require('../config/database');
+const { auditFromReq } = require('../middleware/audit');
+const { serviceError } = require('../shared/utils/serviceError');
+const PayrollJournalService = require('../modules/payroll/services/PayrollJournalService');
+const PayrollHistoryService = require('../modules/payroll/services/PayrollHistoryService');
+const DeductionOrderService = require('../modules/payroll/services/DeductionOrderService');
+const RetroPayService = require('../modules/payroll/services/RetroPayService');
+const glJournalRouter = require('../modules/payroll/routes/gl-journal');
+const payrunsRouter = require('../modules/payroll/routes/payruns');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(router, method, path, { role = 'business_owner', body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const req = {
+    body, params, query, companyId, user: { userId: 7, role, email: 'payroll@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  const route = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...router.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const ACCOUNTS = {
+  salary_expense_account_id:       510,
+  uif_expense_account_id:          511,
+  sdl_expense_account_id:          512,
+  paye_liability_account_id:       220,
+  uif_liability_account_id:        221,
+  sdl_liability_account_id:        222,
+  deductions_liability_account_id: 223,
+  net_pay_account_id:              230,
+};
+
+const saveMapping = (body, opts = {}) => callRoute(glJournalRouter, 'put', '/mapping', { body: { ...ACCOUNTS, ...body }, ...opts });
+const postJournal = (runId, opts = {}) => callRoute(glJournalRouter, 'post', '/post', { body: { run_id: runId }, ...opts });
+const writesTo = table => mockWrites.filter(w => w.table === table);
+const filtersOn = (table, op = 'eq') => mockFilters.filter(f => f.table === table && f.op === op).map(f => f.args);
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const EMPLOYEES = [
+  { id: 14, company_id: 42, classification: 'public', department: 'Operations' },
+  { id: 15, company_id: 42, classification: 'confidential', department: 'ADM' },
+  { id: 90, company_id: 77, classification: 'public', department: 'Operations' },
+];
+
+// Balanced payslips: gross + employer UIF + SDL = PAYE + UIF (both shares) + SDL + net
+function runSnap(companyId, employeeId, gross, paye, uif, sdl) {
+  return { id: 500 + employeeId, company_id: companyId, employee_id: employeeId, payroll_run_id: 9, period_key: '2026-09',
+    is_locked: true, status: 'finalized',
+    calculation_output: { gross, paye, uif, uif_employer: uif, sdl, deductions: 0, net: gross - paye - uif } };
+}
+
+const MAPPING = { id: 31, company_id: 42, ...ACCOUNTS, staff_loan_account_id: null, garnishee_liability_account_id: null,
+  eti_account_id: null, cost_centre_segment_id: 5, department_segments: {}, post_mode: 'posted', auto_post_on_finalize: true };
+
+describe('Payroll Cost Journal — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.employees = EMPLOYEES.map(e => ({ ...e }));
+    mockRows.accounts = Object.values(ACCOUNTS).map(id => ({ id, company_id: 42 })).concat({ id: 777, company_id: 77 });
+    mockRows.coa_segments = [{ id: 5, company_id: 42 }, { id: 6, company_id: 77 }];
+    mockRows.coa_segment_values = [
+      { id: 51, segment_id: 5, code: 'OPS', name: 'Operations', is_active: true },
+      { id: 52, segment_id: 5, code: 'ADM', name: 'Administration', is_active: true },
+    ];
+    mockRows.payroll_gl_mappings = [{ ...MAPPING }];
+    mockRows.payroll_gl_postings = [];
+    mockRows.payroll_runs = [
+      { id: 9, company_id: 42, period_key: '2026-09', status: 'finalized' },
+      { id: 10, company_id: 42, period_key: '2026-10', status: 'draft' },
+      { id: 19, company_id: 77, period_key: '2026-09', status: 'finalized' },
+    ];
+    mockRows.payroll_snapshots = [
+      runSnap(42, 14, 20000, 3000, 177.12, 200),
+      runSnap(42, 15, 10000, 800, 100, 100),
+      runSnap(77, 90, 50000, 12000, 177.12, 500),
+    ];
+    mockRows.paytime_user_config = [];
+    mockRows.paytime_employee_access = [];
+    mockCreateDraftJournal.mockResolvedValue({ id: 901 });
+    mockPostJournal.mockResolvedValue(undefined);
+    mockReverseJournal.mockResolvedValue({ id: 902 });
+  });
+
+  test('TEST-PGJ-01: payroll admin cannot change the GL mapping or post a journal → 403, nothing written', async () => {
+    const mapping = await saveMapping({}, { role: 'payroll_admin' });
+    const post = await postJournal(9, { role: 'payroll_admin' });
+
+    expect([mapping.statusCode, post.statusCode]).toEqual([403, 403]);
+    expect(mapping.body.required).toBe('PAYROLL.APPROVE');
+    expect(post.body.required).toBe('PAYROLL.APPROVE');
+    expect(mockWrites).toEqual([]);
+    expect(mockCreateDraftJournal).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PGJ-02: a mapping naming another company\'s account → 400, nothing saved', async () => {
+    const res = await saveMapping({ net_pay_account_id: 777 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Every mapped account must be an account of this company');
+    expect(filtersOn('accounts')).toEqual([['company_id', 42]]);
+    expect(mockWrites).toEqual([]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PGJ-03: a cost-centre segment of another company → 404, nothing saved', async () => {
+    const res = await saveMapping({ cost_centre_segment_id: 6 });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Segment 6 not found');
+    expect(filtersOn('coa_segments')).toEqual([['company_id', 42], ['id', 6]]);
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PGJ-04: a valid mapping is saved for the company and audited with before / after', async () => {
+    const res = await saveMapping({ cost_centre_segment_id: 5, department_segments: { Warehouse: 51 }, post_mode: 'draft' });
+
+    expect(res.statusCode).toBe(200);
+    const [{ op, payload }] = writesTo('payroll_gl_mappings');
+    expect(op).toBe('upsert');
+    expect(payload).toMatchObject({ company_id: 42, ...ACCOUNTS, cost_centre_segment_id: 5, department_segments: { Warehouse: 51 },
+      post_mode: 'draft', auto_post_on_finalize: true, updated_by: 7 });
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_GL_MAPPING_UPDATE', 'payroll_gl_mappings', 81, {
+      metadata: { before: expect.objectContaining({ post_mode: 'posted' }), after: expect.objectContaining({ post_mode: 'draft' }) },
+    });
+  });
+
+  test('TEST-PGJ-05: another company\'s run → 404; a run still in draft → 400; no journal either way', async () => {
+    const other = await postJournal(19);
+    const draft = await postJournal(10);
+
+    expect(other.statusCode).toBe(404);
+    expect(other.body.error).toBe('Payroll run 19 not found');
+    expect(draft.statusCode).toBe(400);
+    expect(draft.body.error).toBe('Only finalized pay runs can be journalled (current status: draft)');
+    expect(mockCreateDraftJournal).not.toHaveBeenCalled();
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PGJ-06: no mapping saved → 400; a run already journalled → 409; no journal either way', async () => {
+    mockRows.payroll_gl_mappings = [{ ...MAPPING, company_id: 77 }];
+    const unmapped = await postJournal(9);
+
+    mockRows.payroll_gl_mappings = [{ ...MAPPING }];
+    mockRows.payroll_gl_postings = [{ id: 61, company_id: 42, payroll_run_id: 9, status: 'posted', journal_id: 880 }];
+    const posted = await postJournal(9);
+
+    expect(unmapped.statusCode).toBe(400);
+    expect(unmapped.body.error).toBe('A payroll GL mapping is required — save one under /gl-journal/mapping');
+    expect(posted.statusCode).toBe(409);
+    expect(posted.body.error).toBe('The journal for payroll run 9 is already posted');
+    expect(mockCreateDraftJournal).not.toHaveBeenCalled();
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PGJ-07: a finalized run is journalled with cost centres per department, posted, recorded and audited', async () => {
+    const res = await postJournal(9);
+
+    expect(res.statusCode).toBe(201);
+    const [journal] = mockCreateDraftJournal.mock.calls[0];
+    expect(journal).toMatchObject({ companyId: 42, date: '2026-09-30', reference: 'PAYROLL-2026-09', sourceType: 'payroll',
+      createdByUserId: 7, metadata: { payroll_run_id: 9, period_key: '2026-09' } });
+    expect(journal.lines.filter(l => l.accountId === 510).map(l => [l.debit, l.segmentValueId])).toEqual([[20000, 51], [10000, 52]]);
+    expect(journal.lines.filter(l => l.credit > 0).every(l => l.segmentValueId === null)).toBe(true);
+    expect(journal.lines.find(l => l.accountId === 230).credit).toBe(25922.88);
+    expect(mockPostJournal).toHaveBeenCalledWith(901, 42, 7);
+
+    const [{ op, payload }] = writesTo('payroll_gl_postings');
+    expect(op).toBe('insert');
+    expect(payload).toMatchObject({ company_id: 42, payroll_run_id: 9, period_key: '2026-09', status: 'posted', journal_id: 901,
+      employee_count: 2, error: null });
+    expect(filtersOn('payroll_snapshots')).toContainEqual(['company_id', 42]);
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_GL_JOURNAL_POST', 'payroll_gl_postings', 81,
+      { metadata: { payroll_run_id: 9, status: 'posted', journal_id: 901, error: null } });
+  });
+
+  test('TEST-PGJ-08: a journal refused by a locked accounting period is recorded as failed → 422', async () => {
+    mockCreateDraftJournal.mockRejectedValue(serviceError(403, 'Accounting period 2026-09 is locked'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const res = await postJournal(9);
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error).toBe('Accounting period 2026-09 is locked');
+    expect(mockPostJournal).not.toHaveBeenCalled();
+    expect(writesTo('payroll_gl_postings').map(w => w.payload)).toEqual([expect.objectContaining({
+      company_id: 42, payroll_run_id: 9, status: 'failed', journal_id: null, error: 'Accounting period 2026-09 is locked',
+    })]);
+  });
+
+  test('TEST-PGJ-09: a journal failure never blocks finalize — the run is finalized and the failure reported', async () => {
+    jest.spyOn(PayrollHistoryService, 'lockSnapshotsForPeriod').mockResolvedValue([{ id: 514 }]);
+    jest.spyOn(PayrollHistoryService, 'finalizePayrollRun').mockResolvedValue(undefined);
+    jest.spyOn(DeductionOrderService, 'postRun').mockResolvedValue([]);
+    jest.spyOn(RetroPayService, 'markPaidForRun').mockResolvedValue([]);
+    jest.spyOn(PayrollJournalService, 'postRun').mockRejectedValue(new Error('Failed to fetch payroll GL mapping: statement timeout'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await callRoute(payrunsRouter, 'post', '/finalize', { body: { period_key: '2026-10', run_id: 10 } });
+
+    expect(res.statusCode).toBe(200);
+    expect(PayrollHistoryService.finalizePayrollRun).toHaveBeenCalledWith(supabase, 10, 7);
+    expect(PayrollJournalService.postRun).toHaveBeenCalledWith(supabase, { companyId: 42, runId: 10, userId: 7, onFinalize: true });
+    const failed = { status: 'failed', journal_id: null, error: 'Failed to fetch payroll GL mapping: statement timeout' };
+    expect(res.body.gl_journal).toEqual(failed);
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_FINALIZE', 'payroll_runs', 10,
+      expect.objectContaining({ gl_journal: failed }));
+  });
+
+  test('TEST-PGJ-10: a journal that cannot be reversed stops the run reversal → 500, payslips untouched', async () => {
+    jest.spyOn(PayrollJournalService, 'reverseRun').mockRejectedValue(serviceError(403, 'Accounting period 2026-09 is locked'));
+    jest.spyOn(PayrollHistoryService, 'reverseSnapshotsForRun');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await callRoute(payrunsRouter, 'post', '/reverse', { body: { run_id: 9, period_key: '2026-09', reason: 'Wrong rates' } });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({ success: false, error: 'Failed to reverse payroll journal', detail: 'Accounting period 2026-09 is locked' });
+    expect(PayrollJournalService.reverseRun).toHaveBeenCalledWith(supabase, { companyId: 42, runId: 9, userId: 7, reason: 'Wrong rates' });
+    expect(PayrollHistoryService.reverseSnapshotsForRun).not.toHaveBeenCalled();
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PGJ-11: reversing deletes a draft journal of the company, and reverses a posted one', async () => {
+    mockRows.payroll_gl_postings = [{ id: 61, company_id: 42, payroll_run_id: 9, status: 'draft', journal_id: 901 }];
+    mockRows.journals = [{ id: 901, company_id: 42, status: 'draft' }];
+
+    const draft = await PayrollJournalService.reverseRun(supabase, { companyId: 42, runId: 9, userId: 7, reason: 'Wrong rates' });
+
+    expect(writesTo('journal_lines').map(w => w.op)).toEqual(['delete']);
+    expect(filtersOn('journal_lines')).toEqual([['journal_id', 901]]);
+    expect(filtersOn('journals')).toEqual([['company_id', 42], ['id', 901], ['company_id', 42], ['id', 901], ['status', 'draft']]);
+    expect(mockReverseJournal).not.toHaveBeenCalled();
+    expect(draft).toMatchObject({ id: 61, status: 'reversed', reversed_by: 7, reversal_journal_id: null });
+
+    mockWrites.length = 0;
+    mockRows.journals = [{ id: 901, company_id: 42, status: 'posted' }];
+    const posted = await PayrollJournalService.reverseRun(supabase, { companyId: 42, runId: 9, userId: 7, reason: 'Wrong rates' });
+
+    expect(mockReverseJournal).toHaveBeenCalledWith(901, 42, 7, 'Wrong rates');
+    expect(writesTo('journals')).toEqual([]);
+    expect(posted).toMatchObject({ status: 'reversed', reversal_journal_id: 902 });
+  });
+
+  test('TEST-PGJ-12: a restricted user sees only visible employees\' reconciliation lines; totals stay company-wide', async () => {
+    mockRows.paytime_user_config = [{ user_id: 7, company_id: 42, modules: ['payroll'], employee_scope: 'all', can_view_confidential: false }];
+    mockRows.paye_reconciliations = [{ id: 3, company_id: 42, paye_period_id: 1, status: 'draft' }, { id: 4, company_id: 77 }];
+    mockRows.paye_employee_lines = [
+      { paye_reconciliation_id: 3, employee_id: 14, month_key: '2026-09', gross_income: 20000, total_deductions: 3177.12, net_salary: 16822.88 },
+      { paye_reconciliation_id: 4, employee_id: 90, month_key: '2026-09', gross_income: 50000, total_deductions: 12177.12, net_salary: 37822.88 },
+    ];
+
+    const res = await callRoute(glJournalRouter, 'get', '/reconciliation', { role: 'payroll_admin', query: { run_id: '9' } });
+
+    expect(res.statusCode).toBe(200);
+    const { reconciliation } = res.body;
+    expect(reconciliation.employees.map(e => [e.employee_id, e.matched])).toEqual([[14, true]]);
+    expect(reconciliation.employees_restricted).toBe(true);
+    expect(reconciliation.payroll.gross).toBe(30000);
+    expect(reconciliation.paye_reconciliation.gross).toBe(20000);
+    expect(reconciliation.paye_reconciliations.map(r => r.id)).toEqual([3]);
+    expect(filtersOn('paye_employee_lines', 'in')).toEqual([['paye_reconciliation_id', [3]]]);
+    expect(filtersOn('employees')).toContainEqual(['classification', 'public']);
+  });
+});
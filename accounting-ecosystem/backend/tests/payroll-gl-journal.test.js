@@ -0,0 +1,206 @@
+'use strict';
+
+/**
+ * Payroll Cost Journal — Mapping Validation, Journal Lines, Cost Centres and PAYE Reconciliation
+ * Unit tests for the pure helpers in PayrollJournalService.js. Route-level
+ * guards are covered in payroll-gl-journal-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PGU-01  Required accounts, defaults and account list.
+ *   TEST-PGU-02  Post mode and department cost centres are validated.
+ *   TEST-PGU-03  A run journal balances and clears net pay.
+ *   TEST-PGU-04  UIF liability carries the employee and employer share; SDL is an employer cost.
+ *   TEST-PGU-05  Loan and garnishee deductions go to their own accounts when mapped.
+ *   TEST-PGU-06  Severance is expensed with its directive tax in PAYE.
+ *   TEST-PGU-07  ETI is set off against PAYE only when an ETI account is mapped.
+ *   TEST-PGU-08  Cent rounding goes to salary expense; a real imbalance is rejected.
+ *   TEST-PGU-09  The journal is dated at the period end.
+ *   TEST-PGU-10  Departments match segment values by code or name, overrides first.
+ *   TEST-PGU-11  Expense lines split by cost centre, liabilities stay unsegmented.
+ *   TEST-PGU-12  Matching lines reconcile; differences are reported per employee.
+ */
+
+const PayrollEngine = require('../core/payroll-engine');
+const {
+  normaliseMapping,
+  mappedAccountIds,
+  segmentFor,
+  runTotals,
+  buildJournalLines,
+  periodEndDate,
+  reconcileRun
+} = require('../modules/payroll/services/PayrollJournalService');
+
+const MAPPING = normaliseMapping({
+  salary_expense_account_id:       10,
+  uif_expense_account_id:          11,
+  sdl_expense_account_id:          12,
+  paye_liability_account_id:       20,
+  uif_liability_account_id:        21,
+  sdl_liability_account_id:        22,
+  deductions_liability_account_id: 23,
+  net_pay_account_id:              30
+});
+
+const slip = (employeeId, salary, extra = {}) => ({
+  employee_id: employeeId,
+  calculation_output: PayrollEngine.calculateFromData(
+    { basic_salary: salary, regular_inputs: extra.regular_inputs || [] },
+    [], [], [], [], { age: 35, ...(extra.options || {}) }, '2026-04', null
+  )
+});
+
+const sumSide = (lines, side) => PayrollEngine.r2(lines.reduce((s, l) => s + l[side], 0));
+const lineFor = (lines, accountId, segmentValueId = null) =>
+  lines.filter(l => l.accountId === accountId && (segmentValueId === undefined || l.segmentValueId === segmentValueId));
+
+// ─── Mapping ─────────────────────────────────────────────────────────────────
+
+describe('Payroll GL mapping — normaliseMapping / mappedAccountIds', () => {
+  test('TEST-PGU-01: required accounts, defaults and account list', () => {
+    expect(() => normaliseMapping({})).toThrow('salary_expense_account_id is required');
+    expect(MAPPING).toEqual(expect.objectContaining({ post_mode: 'draft', auto_post_on_finalize: true, staff_loan_account_id: null }));
+    expect(mappedAccountIds(MAPPING).sort((a, b) => a - b)).toEqual([10, 11, 12, 20, 21, 22, 23, 30]);
+  });
+
+  test('TEST-PGU-02: post mode and department cost centres are validated', () => {
+    expect(() => normaliseMapping({ ...MAPPING, post_mode: 'auto' })).toThrow(/post_mode must be one of/);
+    expect(() => normaliseMapping({ ...MAPPING, department_segments: { Sales: 5 } }))
+      .toThrow('cost_centre_segment_id is required when department_segments are set');
+    expect(() => normaliseMapping({ ...MAPPING, cost_centre_segment_id: 3, department_segments: { Sales: 'x' } }))
+      .toThrow(/must be a segment value id/);
+  });
+});
+
+// ─── Journal lines ───────────────────────────────────────────────────────────
+
+describe('Payroll cost journal — buildJournalLines', () => {
+  test('TEST-PGU-03: a run journal balances and clears net pay', () => {
+    const snaps = [slip(1, 25000), slip(2, 18000)];
+    const { lines, totals } = buildJournalLines({ snapshots: snaps, employees: {}, mapping: MAPPING, periodKey: '2026-04' });
+    expect(sumSide(lines, 'debit')).toBe(sumSide(lines, 'credit'));
+    expect(lineFor(lines, 10)[0].debit).toBe(43000);
+    expect(lineFor(lines, 30)[0].credit).toBe(totals.net);
+    expect(lineFor(lines, 20)[0].credit).toBe(totals.paye);
+  });
+
+  test('TEST-PGU-04: UIF liability carries the employee and employer share; SDL is an employer cost', () => {
+    const snaps = [slip(1, 25000)];
+    const out = snaps[0].calculation_output;
+    const { lines } = buildJournalLines({ snapshots: snaps, employees: {}, mapping: MAPPING, periodKey: '2026-04' });
+    expect(lineFor(lines, 11)[0].debit).toBe(PayrollEngine.r2(out.uif_employer));
+    expect(lineFor(lines, 21)[0].credit).toBe(PayrollEngine.r2(out.uif + out.uif_employer));
+    expect(lineFor(lines, 12)[0].debit).toBe(PayrollEngine.r2(out.sdl));
+    expect(lineFor(lines, 22)[0].credit).toBe(PayrollEngine.r2(out.sdl));
+  });
+
+  test('TEST-PGU-05: loan and garnishee deductions go to their own accounts when mapped', () => {
+    const mapping = normaliseMapping({ ...MAPPING, staff_loan_account_id: 40, garnishee_liability_account_id: 41 });
+    const snap = slip(1, 25000, {
+      options: {
+        deductionOrders: [
+          { id: 1, type: 'loan', balance: 5000, instalment: 1000 },
+          { id: 2, type: 'garnishee', balance: 3000, instalment: 500, net_pay_floor: 0 }
+        ]
+      }
+    });
+    const { lines } = buildJournalLines({ snapshots: [snap], employees: {}, mapping, periodKey: '2026-04' });
+    expect(lineFor(lines, 40)[0].credit).toBe(1000);
+    expect(lineFor(lines, 41)[0].credit).toBe(500);
+    expect(lineFor(lines, 23)).toEqual([]);
+    expect(sumSide(lines, 'debit')).toBe(sumSide(lines, 'credit'));
+  });
+
+  test('TEST-PGU-06: severance is expensed with its directive tax in PAYE', () => {
+    const snap = slip(1, 25000);
+    snap.calculation_output = {
+      ...snap.calculation_output,
+      severance: { amount: 60000, tax: 0 },
+      net: PayrollEngine.r2(snap.calculation_output.net + 60000)
+    };
+    const { lines } = buildJournalLines({ snapshots: [snap], employees: {}, mapping: MAPPING, periodKey: '2026-04' });
+    expect(lineFor(lines, 10)[0].debit).toBe(85000);
+    expect(sumSide(lines, 'debit')).toBe(sumSide(lines, 'credit'));
+  });
+
+  test('TEST-PGU-07: ETI is set off against PAYE only when an ETI account is mapped', () => {
+    const snap = slip(1, 5000);
+    snap.calculation_output = { ...snap.calculation_output, eti: 750 };
+    const without = buildJournalLines({ snapshots: [snap], employees: {}, mapping: MAPPING, periodKey: '2026-04' });
+    expect(without.lines.some(l => /ETI|Employment Tax Incentive/.test(l.description))).toBe(false);
+
+    const mapping = normaliseMapping({ ...MAPPING, eti_account_id: 50 });
+    const { lines } = buildJournalLines({ snapshots: [snap], employees: {}, mapping, periodKey: '2026-04' });
+    expect(lineFor(lines, 50)[0].credit).toBe(750);
+    expect(lines.find(l => l.accountId === 20 && l.debit > 0).debit).toBe(750);
+    expect(sumSide(lines, 'debit')).toBe(sumSide(lines, 'credit'));
+  });
+
+  test('TEST-PGU-08: cent rounding goes to salary expense; a real imbalance is rejected', () => {
+    const snap = slip(1, 25000);
+    snap.calculation_output = { ...snap.calculation_output, net: PayrollEngine.r2(snap.calculation_output.net + 0.01) };
+    const { lines } = buildJournalLines({ snapshots: [snap], employees: {}, mapping: MAPPING, periodKey: '2026-04' });
+    expect(lines.find(l => l.description === 'Payroll rounding 2026-04').debit).toBe(0.01);
+
+    snap.calculation_output = { ...snap.calculation_output, net: snap.calculation_output.net + 100 };
+    expect(() => buildJournalLines({ snapshots: [snap], employees: {}, mapping: MAPPING, periodKey: '2026-04' }))
+      .toThrow(/does not balance/);
+  });
+
+  test('TEST-PGU-09: the journal is dated at the period end', () => {
+    expect(periodEndDate('2026-02')).toBe('2026-02-28');
+    expect(periodEndDate('2028-02')).toBe('2028-02-29');
+    expect(periodEndDate('2026-04')).toBe('2026-04-30');
+  });
+});
+
+// ─── Cost centres ────────────────────────────────────────────────────────────
+
+describe('Payroll cost journal — cost centres per department', () => {
+  const values = [{ id: 101, code: 'SALES', name: 'Sales' }, { id: 102, code: 'ADM', name: 'Administration' }];
+  const mapping = normaliseMapping({ ...MAPPING, cost_centre_segment_id: 7, department_segments: { Workshop: 103 } });
+
+  test('TEST-PGU-10: departments match segment values by code or name, overrides first', () => {
+    expect(segmentFor('sales', mapping, values)).toBe(101);
+    expect(segmentFor('ADM', mapping, values)).toBe(102);
+    expect(segmentFor('Workshop', mapping, values)).toBe(103);
+    expect(segmentFor('Unknown', mapping, values)).toBeNull();
+    expect(segmentFor('Sales', MAPPING, values)).toBeNull();
+  });
+
+  test('TEST-PGU-11: expense lines split by cost centre, liabilities stay unsegmented', () => {
+    const snaps = [slip(1, 25000), slip(2, 18000), slip(3, 10000)];
+    const employees = { 1: { department: 'Sales' }, 2: { department: 'Administration' }, 3: { department: null } };
+    const { lines } = buildJournalLines({ snapshots: snaps, employees, mapping, segmentValues: values, periodKey: '2026-04' });
+    expect(lineFor(lines, 10, 101)[0].debit).toBe(25000);
+    expect(lineFor(lines, 10, 102)[0].debit).toBe(18000);
+    expect(lineFor(lines, 10, null)[0].debit).toBe(10000);
+    expect(lines.filter(l => l.credit > 0).every(l => l.segmentValueId === null)).toBe(true);
+  });
+});
+
+// ─── PAYE reconciliation ─────────────────────────────────────────────────────
+
+describe('Payroll cost journal — reconcileRun against PAYE reconciliation', () => {
+  test('TEST-PGU-12: matching lines reconcile; differences are reported per employee', () => {
+    const snaps = [slip(1, 25000), slip(2, 18000)];
+    const t = runTotals(snaps);
+    const o1 = snaps[0].calculation_output;
+    const o2 = snaps[1].calculation_output;
+    const line = (id, o) => ({
+      employee_id: id, gross_income: o.gross, total_deductions: PayrollEngine.r2(o.paye + o.uif + o.deductions), net_salary: o.net
+    });
+
+    const ok = reconcileRun(snaps, [line(1, o1), line(2, o2)]);
+    expect(ok.matched).toBe(true);
+    expect(ok.payroll.gross).toBe(t.gross);
+    expect(ok.difference).toEqual({ gross: 0, deductions: 0, net: 0 });
+
+    const off = reconcileRun(snaps, [{ ...line(1, o1), gross_income: o1.gross - 500 }]);
+    expect(off.matched).toBe(false);
+    expect(off.employees.find(e => e.employee_id === 1).difference.gross).toBe(500);
+    expect(off.employees.find(e => e.employee_id === 2)).toEqual(expect.objectContaining({
+      in_payroll: true, in_paye_reconciliation: false, matched: false
+    }));
+  });
+});
@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * Leave Accrual — Policy, Accrual, Carry-over, Sick and Family Leave, Liability
+ * Unit tests for the pure helpers in LeaveAccrualService. Route-level guards
+ * are covered in payroll-leave-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PLV-01  No policy row means the BCEA minimums.
+ *   TEST-PLV-02  Out-of-range values are rejected.
+ *   TEST-PLV-03  Monthly accrual is annual_days / 12 at each month end.
+ *   TEST-PLV-04  A mid-year starter accrues a pro-rated first month and entitlement.
+ *   TEST-PLV-05  A leaver accrues to the last day employed.
+ *   TEST-PLV-06  Per-day-worked accrual is 1 day per 17 days worked.
+ *   TEST-PLV-07  The year-end balance carries over up to the cap.
+ *   TEST-PLV-08  Carried days not taken within six months are forfeited; leave uses carried days first.
+ *   TEST-PLV-09  A take-on opening balance replaces the calculated roll-forward.
+ *   TEST-PLV-10  Sick leave runs in 36-month cycles from the hire date.
+ *   TEST-PLV-11  In the first six months it is one day per 26 days worked.
+ *   TEST-PLV-12  Family responsibility leave needs four months and four days a week.
+ *   TEST-PLV-13  Only approved leave counts against a balance.
+ *   TEST-PLV-14  Liability is days × daily rate; negative balances carry none.
+ *   TEST-PLV-15  An increase debits leave expense; a decrease releases the provision.
+ */
+
+const {
+  DEFAULT_POLICY,
+  normalisePolicy,
+  monthlyAccrual,
+  annualLeave,
+  sickLeave,
+  familyLeave,
+  calculateBalances,
+  dailyRate,
+  liabilityLines,
+  provisionJournalLines
+} = require('../modules/payroll/services/LeaveAccrualService');
+
+const policy = normalisePolicy({});
+const annual = (days, start_date) => ({ leave_type: 'annual', status: 'approved', days_taken: days, start_date });
+
+// ─── Policy ──────────────────────────────────────────────────────────────────
+
+describe('Leave accrual — leave policy', () => {
+  test('TEST-PLV-01: no policy row means the BCEA minimums', () => {
+    expect(normalisePolicy(null)).toEqual(DEFAULT_POLICY);
+    expect(normalisePolicy({ annual_days: '18.00', carry_over_cap: null }))
+      .toEqual(expect.objectContaining({ annual_days: 18, carry_over_cap: null, sick_cycle_months: 36 }));
+  });
+
+  test('TEST-PLV-02: out-of-range values are rejected', () => {
+    expect(() => normalisePolicy({ accrual_method: 'weekly' })).toThrow(/accrual_method must be one of/);
+    expect(() => normalisePolicy({ days_per_week: 8 })).toThrow('days_per_week must be between 1 and 7');
+    expect(() => normalisePolicy({ forfeit_after_months: 2.5 })).toThrow(/forfeit_after_months must be an integer/);
+    expect(() => normalisePolicy({ annual_days: null })).toThrow('annual_days is required');
+  });
+});
+
+// ─── Annual accrual ──────────────────────────────────────────────────────────
+
+describe('Leave accrual — annual accrual', () => {
+  const longServing = { hireDate: '2020-01-01' };
+
+  test('TEST-PLV-03: monthly accrual is annual_days / 12 at each month end', () => {
+    expect(monthlyAccrual(policy, longServing, 2026, '2026-06-30')).toBe(7.5);
+    expect(monthlyAccrual(policy, longServing, 2026, '2026-06-29')).toBe(6.25);
+    expect(monthlyAccrual(policy, longServing, 2026, '2026-12-31')).toBe(15);
+  });
+
+  test('TEST-PLV-04: a mid-year starter accrues a pro-rated first month and entitlement', () => {
+    const row = annualLeave({ policy, employment: { hireDate: '2026-03-16' }, year: 2026, asOf: '2026-12-31', taken: [] });
+    // March: 16 of 31 days × 1.25, then 9 full months
+    expect(row.annual_entitlement).toBe(11.9);
+    expect(row.balance).toBe(11.9);
+    expect(annualLeave({ policy, employment: { hireDate: '2027-01-01' }, year: 2026, asOf: '2026-12-31', taken: [] }).balance).toBe(0);
+  });
+
+  test('TEST-PLV-05: a leaver accrues to the last day employed', () => {
+    const leaver = { hireDate: '2020-01-01', terminationDate: '2026-06-15' };
+    expect(monthlyAccrual(policy, leaver, 2026, '2026-06-15')).toBe(6.88);
+    expect(monthlyAccrual(policy, leaver, 2026, '2026-12-31')).toBe(6.88);
+  });
+
+  test('TEST-PLV-06: per-day-worked accrual is 1 day per 17 days worked', () => {
+    const perDay = normalisePolicy({ accrual_method: 'per_day_worked' });
+    const row = annualLeave({
+      policy: perDay, employment: longServing, year: 2026, asOf: '2026-09-30',
+      taken: [annual(2, '2026-04-01')], daysWorked: { 2026: 170 }
+    });
+    expect(row).toEqual(expect.objectContaining({ annual_entitlement: 15, accrued: 10, taken: 2, balance: 8 }));
+  });
+});
+
+// ─── Carry-over and forfeiture ───────────────────────────────────────────────
+
+describe('Leave accrual — carry-over and forfeiture', () => {
+  test('TEST-PLV-07: the year-end balance carries over up to the cap', () => {
+    const capped = normalisePolicy({ carry_over_cap: 5, forfeit_after_months: null });
+    const row = annualLeave({
+      policy: capped, employment: { hireDate: '2025-01-01' }, year: 2026, asOf: '2026-01-31',
+      taken: [annual(2, '2025-07-01')]
+    });
+    expect(row).toEqual(expect.objectContaining({ carried_forward: 5, forfeited: 8, accrued: 1.25, balance: 6.25 }));
+  });
+
+  test('TEST-PLV-08: carried days not taken within six months are forfeited; leave uses carried days first', () => {
+    const args = {
+      policy, employment: { hireDate: '2025-01-01' }, year: 2026,
+      taken: [annual(5, '2025-05-04'), annual(4, '2026-03-02'), annual(3, '2026-08-03')]
+    };
+    const june = annualLeave({ ...args, asOf: '2026-06-30' });
+    expect(june).toEqual(expect.objectContaining({ carried_forward: 10, forfeited: 0, balance: 10.5 }));
+    const july = annualLeave({ ...args, asOf: '2026-07-31' });
+    expect(july).toEqual(expect.objectContaining({ carried_forward: 10, forfeited: 6, accrued: 8.75, taken: 7, balance: 5.75 }));
+  });
+
+  test('TEST-PLV-09: a take-on opening balance replaces the calculated roll-forward', () => {
+    const noForfeit = normalisePolicy({ forfeit_after_months: null, carry_over_cap: 5 });
+    const row = annualLeave({
+      policy: noForfeit, employment: { hireDate: '2010-01-01' }, year: 2026, asOf: '2026-01-31',
+      taken: [], openings: { 2026: 20 }
+    });
+    expect(row).toEqual(expect.objectContaining({ opening_balance: 20, carried_forward: 20, forfeited: 0, balance: 21.25 }));
+  });
+});
+
+// ─── Sick and family responsibility leave ────────────────────────────────────
+
+describe('Leave accrual — sick and family responsibility leave', () => {
+  test('TEST-PLV-10: sick leave runs in 36-month cycles from the hire date', () => {
+    const row = sickLeave({
+      policy, employment: { hireDate: '2020-03-10' }, asOf: '2026-06-30',
+      taken: [{ days_taken: 2, start_date: '2026-02-01' }, { days_taken: 3, start_date: '2026-04-01' }]
+    });
+    expect(row).toEqual(expect.objectContaining({
+      cycle_start: '2026-03-10', cycle_end: '2029-03-09', annual_entitlement: 30, taken: 3, balance: 27
+    }));
+  });
+
+  test('TEST-PLV-11: in the first six months it is one day per 26 days worked', () => {
+    // 1 Jun – 31 Jul 2026: 45 weekdays
+    const row = sickLeave({ policy, employment: { hireDate: '2026-06-01' }, asOf: '2026-07-31', taken: [] });
+    expect(row.annual_entitlement).toBe(1);
+    expect(sickLeave({ policy, employment: { hireDate: '2026-06-01' }, asOf: '2026-12-01', taken: [] }).annual_entitlement).toBe(30);
+  });
+
+  test('TEST-PLV-12: family responsibility leave needs four months and four days a week', () => {
+    const employment = { hireDate: '2026-01-15' };
+    expect(familyLeave({ policy, employment, year: 2026, asOf: '2026-05-14', taken: [] }).balance).toBe(0);
+    expect(familyLeave({ policy, employment, year: 2026, asOf: '2026-05-15', taken: [] }).balance).toBe(3);
+    const partTime = normalisePolicy({ days_per_week: 3 });
+    expect(familyLeave({ policy: partTime, employment, year: 2026, asOf: '2026-12-31', taken: [] }).balance).toBe(0);
+  });
+
+  test('TEST-PLV-13: only approved leave counts against a balance', () => {
+    const rows = calculateBalances({
+      policy,
+      employee: { hire_date: '2026-01-01' },
+      year: 2026,
+      asOf: '2026-12-31',
+      records: [
+        annual(3, '2026-02-02'),
+        { ...annual(5, '2026-03-02'), status: 'pending' },
+        { ...annual(4, '2026-04-01'), status: 'rejected' },
+        { leave_type: 'family', status: 'approved', days_taken: 1, start_date: '2026-05-05' }
+      ]
+    });
+    expect(rows.map(r => [r.leave_type, r.balance])).toEqual([['annual', 12], ['sick', 30], ['family', 2]]);
+  });
+});
+
+// ─── Liability ───────────────────────────────────────────────────────────────
+
+describe('Leave accrual — leave liability', () => {
+  test('TEST-PLV-14: liability is days × daily rate; negative balances carry none', () => {
+    expect(dailyRate(26000, 5)).toBe(1200);
+    const report = liabilityLines([
+      { employee_id: 1, employee_name: 'A', days: 10, basic_salary: 26000 },
+      { employee_id: 2, employee_name: 'B', days: -2, basic_salary: 13000 }
+    ], policy);
+    expect(report.lines.map(l => l.amount)).toEqual([12000, 0]);
+    expect(report.total_days).toBe(10);
+    expect(report.total_liability).toBe(12000);
+  });
+
+  test('TEST-PLV-15: an increase debits leave expense; a decrease releases the provision', () => {
+    const up = provisionJournalLines({ movement: 1500, expenseAccountId: 10, provisionAccountId: 20, periodKey: '2026-06' });
+    expect(up.map(l => [l.accountId, l.debit, l.credit])).toEqual([[10, 1500, 0], [20, 0, 1500]]);
+    const down = provisionJournalLines({ movement: -500, expenseAccountId: 10, provisionAccountId: 20, periodKey: '2026-07' });
+    expect(down.map(l => [l.accountId, l.debit, l.credit])).toEqual([[20, 500, 0], [10, 0, 500]]);
+    expect(provisionJournalLines({ movement: 0, expenseAccountId: 10, provisionAccountId: 20, periodKey: '2026-08' })).toEqual([]);
+  });
+});
@@ -0,0 +1,270 @@
+'use strict';
+
+/**
+ * Leave Accrual — Route Guards
+ * Drives the /api/payroll/leave routes (requireCompany + requirePermission +
+ * requirePaytimeModule + handler) against a mocked Supabase client and a
+ * mocked accounting journal service.
+ *
+ * Scenarios covered:
+ *   TEST-PLA-01  Payroll admin can read the leave policy but cannot change it → 403, nothing saved.
+ *   TEST-PLA-02  An out-of-range policy → 400, nothing saved or audited.
+ *   TEST-PLA-03  A valid policy is saved for the company and audited with its previous values.
+ *   TEST-PLA-04  Recalculating another company's employee → 404, no balances written.
+ *   TEST-PLA-05  A restricted user sees only visible employees' liability lines; totals stay company-wide.
+ *   TEST-PLA-06  A malformed liability month → 400, nothing read.
+ *   TEST-PLA-07  Ledger accounts of another company → 400, no journal.
+ *   TEST-PLA-08  A month already posted, or before a posted month → 409, no journal.
+ *   TEST-PLA-09  Posting journals the movement and records the posting for the company.
+ *   TEST-PLA-10  A locked accounting period → 403, no posting recorded.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+const mockCreateDraftJournal = jest.fn();
+const mockPostJournal = jest.fn();
+
+/** Rows are filtered by the eq / in conditions the query applied. */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order', 'not']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const filter = (op, test) => jest.fn((col, val) => {
+    mockFilters.push({ table, op, args: [col, val] });
+    conditions.push(r => test(r[col], val));
+    return chain;
+  });
+  chain.eq = filter('eq', (v, want) => String(v) === String(want));
+  chain.in = filter('in', (v, want) => want.map(String).includes(String(v)));
+  for (const op of ['insert', 'upsert']) {
+    chain[op] = jest.fn(payload => {
+      write = { table, op, payload };
+      mockWrites.push(write);
+      return chain;
+    });
+  }
+  const result = () => {
+    if (write) return { data: Array.isArray(write.payload) ? write.payload : { id: 31, ...write.payload }, error: null };
+    return { data: (mockRows[table] || []).filter(r => conditions.every(c => c(r))), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('../modules/accounting/services/journalService', () => ({
+  createDraftJournal: (...a) => mockCreateDraftJournal(...a),
+  postJournal:        (...a) => mockPostJournal(...a),
+}));
+
+const { supabase } = require('../config/database');
+const { auditFromReq } = require('../middleware/audit');
+const { serviceError } = require('../shared/utils/serviceError');
+const leaveRouter = require('../modules/payroll/routes/leave');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(method, path, { role = 'business_owner', body = {}, query = {}, companyId = 42 } = {}) {
+  const req = {
+    body, params: {}, query, companyId, user: { userId: 7, role, email: 'payroll@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  const route = leaveRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...leaveRouter.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const liability = (opts = {}) => callRoute('get', '/liability', { query: { period_key: '2026-09' }, ...opts });
+const postLiability = (body = {}, opts = {}) => callRoute('post', '/liability/post',
+  { body: { period_key: '2026-09', expense_account_id: 5100, provision_account_id: 2250, ...body }, ...opts });
+const writesTo = table => mockWrites.filter(w => w.table === table);
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const EMPLOYEES = [
+  { id: 14, company_id: 42, classification: 'public', first_name: 'Thandi', last_name: 'Nkosi', hire_date: '2024-01-01', basic_salary: 26000 },
+  { id: 15, company_id: 42, classification: 'confidential', first_name: 'Pieter', last_name: 'Botha', hire_date: '2024-01-01', basic_salary: 52000 },
+  { id: 90, company_id: 77, classification: 'public', first_name: 'Other', last_name: 'Person', hire_date: '2024-01-01', basic_salary: 30000 },
+];
+
+const ACCOUNTS = [
+  { id: 5100, company_id: 42 }, { id: 2250, company_id: 42 }, { id: 2251, company_id: 77 },
+];
+
+describe('Leave Accrual — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.employees = EMPLOYEES.map(e => ({ ...e }));
+    mockRows.accounts = ACCOUNTS.map(a => ({ ...a }));
+    mockRows.leave_policies = [{ company_id: 77, annual_days: 21 }];
+    mockRows.leave_liability_postings = [];
+    mockCreateDraftJournal.mockResolvedValue({ id: 901 });
+    mockPostJournal.mockResolvedValue(undefined);
+  });
+
+  test('TEST-PLA-01: payroll admin can read the leave policy but cannot change it → 403, nothing saved', async () => {
+    const read = await callRoute('get', '/policy', { role: 'payroll_admin' });
+    const res = await callRoute('put', '/policy', { role: 'payroll_admin', body: { annual_days: 21 } });
+
+    expect(read.statusCode).toBe(200);
+    expect(read.body.policy).toMatchObject({ annual_days: 15, is_default: true });
+    expect(res.statusCode).toBe(403);
+    expect(res.body.required).toBe('PAYROLL.APPROVE');
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PLA-02: an out-of-range policy → 400, nothing saved or audited', async () => {
+    const res = await callRoute('put', '/policy', { body: { days_per_week: 8 } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ success: false, error: 'days_per_week must be between 1 and 7' });
+    expect(mockWrites).toEqual([]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PLA-03: a valid policy is saved for the company and audited with its previous values', async () => {
+    const res = await callRoute('put', '/policy', { body: { annual_days: 18, carry_over_cap: 5 } });
+
+    expect(res.statusCode).toBe(200);
+    const [{ op, payload }] = writesTo('leave_policies');
+    expect(op).toBe('upsert');
+    expect(payload).toMatchObject({ company_id: 42, annual_days: 18, carry_over_cap: 5, updated_by: 7 });
+    expect(mockFilters).toContainEqual({ table: 'leave_policies', op: 'eq', args: ['company_id', 42] });
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_LEAVE_POLICY_UPDATE', 'leave_policies', 42, {
+      metadata: { before: expect.objectContaining({ annual_days: 15, is_default: true }), after: res.body.policy },
+    });
+  });
+
+  test('TEST-PLA-04: recalculating another company\'s employee → 404, no balances written', async () => {
+    const res = await callRoute('post', '/balances/recalculate', { body: { year: 2026, employee_id: 90 } });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Employee 90 not found');
+    expect(writesTo('leave_balances')).toEqual([]);
+  });
+
+  test('TEST-PLA-05: a restricted user sees only visible employees\' liability lines; totals stay company-wide', async () => {
+    mockRows.paytime_user_config = [{ user_id: 7, company_id: 42, modules: ['payroll'], employee_scope: 'all', can_view_confidential: false }];
+
+    const full = await liability();
+    const res = await liability({ role: 'payroll_admin' });
+
+    expect(full.body.report.lines.map(l => l.employee_id)).toEqual([14, 15]);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.report.lines.map(l => l.employee_id)).toEqual([14]);
+    expect(res.body.report.lines_restricted).toBe(true);
+    expect(res.body.report.total_liability).toBe(full.body.report.total_liability);
+    expect(mockFilters.filter(f => f.table === 'employees' && f.op === 'eq').map(f => f.args)).toContainEqual(['classification', 'public']);
+  });
+
+  test('TEST-PLA-06: a malformed liability month → 400, nothing read', async () => {
+    const res = await liability({ query: { period_key: '2026-13' } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('period_key must be YYYY-MM');
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PLA-07: ledger accounts of another company → 400, no journal', async () => {
+    const res = await postLiability({ provision_account_id: 2251 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Both ledger accounts must be accounts of this company');
+    expect(mockFilters).toContainEqual({ table: 'accounts', op: 'eq', args: ['company_id', 42] });
+    expect(mockCreateDraftJournal).not.toHaveBeenCalled();
+    expect(writesTo('leave_liability_postings')).toEqual([]);
+  });
+
+  test('TEST-PLA-08: a month already posted, or before a posted month → 409, no journal', async () => {
+    mockRows.leave_liability_postings = [{ company_id: 42, period_key: '2026-09', total_liability: 12000 }];
+    const again = await postLiability();
+    mockRows.leave_liability_postings = [{ company_id: 42, period_key: '2026-10', total_liability: 12500 }];
+    const earlier = await postLiability();
+
+    expect(again.statusCode).toBe(409);
+    expect(again.body.error).toBe('The leave liability for 2026-09 is already posted');
+    expect(earlier.statusCode).toBe(409);
+    expect(earlier.body.error).toBe('Cannot post 2026-09: a later month (2026-10) is already posted');
+    expect(mockCreateDraftJournal).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PLA-09: posting journals the movement and records the posting for the company', async () => {
+    mockRows.leave_liability_postings = [
+      { company_id: 42, period_key: '2026-08', total_liability: 1000, expense_account_id: 5100, provision_account_id: 2250 },
+      { company_id: 77, period_key: '2026-08', total_liability: 99000 },
+    ];
+
+    const res = await postLiability({ expense_account_id: undefined, provision_account_id: undefined });
+
+    expect(res.statusCode).toBe(201);
+    const [{ payload }] = writesTo('leave_liability_postings');
+    expect(payload).toMatchObject({ company_id: 42, period_key: '2026-09', previous_liability: 1000, journal_id: 901, posted_by: 7 });
+    expect(payload.movement).toBe(Math.round((payload.total_liability - 1000) * 100) / 100);
+    expect(mockCreateDraftJournal).toHaveBeenCalledWith(expect.objectContaining({
+      companyId: 42, date: '2026-09-30', reference: 'LEAVE-2026-09', sourceType: 'leave_provision', lines: [
+        expect.objectContaining({ accountId: 5100, debit: payload.movement, credit: 0 }),
+        expect.objectContaining({ accountId: 2250, debit: 0, credit: payload.movement }),
+      ],
+    }));
+    expect(mockPostJournal).toHaveBeenCalledWith(901, 42, 7);
+    expect(res.body.posting.lines).toBeUndefined();
+  });
+
+  test('TEST-PLA-10: a locked accounting period → 403, no posting recorded', async () => {
+    mockCreateDraftJournal.mockRejectedValue(serviceError(403, 'Cannot create journal in a locked period'));
+
+    const res = await postLiability();
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toEqual({ success: false, error: 'Cannot create journal in a locked period' });
+    expect(mockPostJournal).not.toHaveBeenCalled();
+    expect(writesTo('leave_liability_postings')).toEqual([]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+});
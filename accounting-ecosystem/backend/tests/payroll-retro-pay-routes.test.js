@@ -0,0 +1,304 @@
+'use strict';
+
+/**
+ * Retro Pay — Route Guards
+ * Drives the /api/payroll/retro-pay routes (requireCompany + requirePermission
+ * + requirePaytimeModule + handler) and the run hooks in RetroPayService
+ * against a mocked Supabase client, with finalized snapshots built by the
+ * real payroll engine.
+ *
+ * Scenarios covered:
+ *   TEST-PRP-01  Leave admin cannot calculate back pay → 403, nothing read.
+ *   TEST-PRP-02  Payroll admin cannot calculate back pay for an employee outside their selection → 403.
+ *   TEST-PRP-03  Another company's employee → 404, no snapshot read.
+ *   TEST-PRP-04  An effective date in the back-pay period → 400, no snapshot read.
+ *   TEST-PRP-05  A finalized target payslip → 409, nothing stored.
+ *   TEST-PRP-06  Only the company's locked, unreversed snapshots count — none → 404.
+ *   TEST-PRP-07  Back pay already covering the periods → 409, nothing stored.
+ *   TEST-PRP-08  Back pay is stored pending for the company with its per-period breakdown, and audited.
+ *   TEST-PRP-09  Another company's back pay cannot be cancelled → 404; paid back pay → 409, nothing written.
+ *   TEST-PRP-10  Finalizing marks only pending back pay on the company's locked run snapshots paid; reversing reopens it.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+
+/** Rows are filtered by the eq / neq / in / range conditions the query applied. */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order', 'limit']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const filter = (op, test) => jest.fn((col, val) => {
+    mockFilters.push({ table, op, args: [col, val] });
+    conditions.push(r => test(r[col], val));
+    return chain;
+  });
+  chain.eq = filter('eq', (v, want) => String(v) === String(want));
+  chain.neq = filter('neq', (v, want) => String(v) !== String(want));
+  chain.in = filter('in', (v, want) => want.map(String).includes(String(v)));
+  chain.gte = filter('gte', (v, want) => String(v) >= String(want));
+  chain.lte = filter('lte', (v, want) => String(v) <= String(want));
+  chain.lt = filter('lt', (v, want) => String(v) < String(want));
+  for (const op of ['insert', 'update']) {
+    chain[op] = jest.fn(payload => {
+      write = { table, op, payload };
+      mockWrites.push(write);
+      return chain;
+    });
+  }
+  const matching = () => (mockRows[table] || []).filter(r => conditions.every(c => c(r)));
+  const result = () => {
+    if (write && write.op === 'update') return { data: matching().map(r => ({ ...r, ...write.payload })), error: null };
+    if (write) return { data: { id: 41, ...write.payload }, error: null };
+    return { data: matching(), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+const { supabase } = require('../config/database');
+const { auditFromReq } = require('../middleware/audit');
+const PayrollEngine = require('../core/payroll-engine');
+const RetroPayService = require('../modules/payroll/services/RetroPayService');
+const PayrollDataService = require('../modules/payroll/services/PayrollDataService');
+const PayrollCalculationService = require('../modules/payroll/services/PayrollCalculationService');
+const PayrollHistoryService = require('../modules/payroll/services/PayrollHistoryService');
+const retroPayRouter = require('../modules/payroll/routes/retro-pay');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(method, path, { role = 'business_owner', body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const req = {
+    body, params, query, companyId, user: { userId: 7, role, email: 'payroll@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  const route = retroPayRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...retroPayRouter.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const INCREASE = { employee_id: 14, effective_date: '2026-07-01', new_salary: 22000, period_key: '2026-09', reason: 'Annual increase' };
+
+const createRetro = (opts = {}) => callRoute('post', '/', { body: { ...INCREASE }, ...opts });
+const cancelRetro = (id, opts = {}) => callRoute('delete', '/:id', { params: { id: String(id) }, ...opts });
+const snapshotReads = () => mockFilters.filter(f => f.table === 'payroll_snapshots');
+const retroWrites = () => mockWrites.filter(w => w.table === 'payroll_retro_pay');
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const EMPLOYEES = [
+  { id: 14, company_id: 42, classification: 'public', first_name: 'Thandi', last_name: 'Nkosi' },
+  { id: 15, company_id: 42, classification: 'public', first_name: 'Pieter', last_name: 'Botha' },
+  { id: 90, company_id: 77, classification: 'public', first_name: 'Other', last_name: 'Person' },
+];
+
+// A finalized snapshot at the old rate, as PayrollHistoryService stores it
+function snap(companyId, periodKey, extra = {}) {
+  const input = {
+    basic_salary: 20000, regular_inputs: [], currentInputs: [], overtime: [], multiRate: [], shortTime: [],
+    employeeOptions: { age: 35 }, ytdData: null, hours_per_day: 8
+  };
+  const output = PayrollEngine.calculateFromData(input, [], [], [], [], { age: 35 }, periodKey, null);
+  output._meta = { calculationMethod: 'standard', startDate: null, endDate: null };
+  return { id: `snap-${companyId}-${periodKey}`, company_id: companyId, employee_id: 14, period_key: periodKey, is_locked: true,
+    status: 'finalized', calculation_input: input, calculation_output: output, ...extra };
+}
+
+describe('Retro Pay — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.employees = EMPLOYEES.map(e => ({ ...e }));
+    mockRows.payroll_snapshots = [
+      snap(42, '2026-07'),
+      snap(42, '2026-08'),
+      snap(42, '2026-06'),
+      snap(77, '2026-07'),
+    ];
+    mockRows.payroll_retro_pay = [
+      { id: 35, company_id: 77, employee_id: 90, status: 'pending', employee: { id: 90, classification: 'public' } },
+      { id: 36, company_id: 42, employee_id: 14, status: 'paid', from_period_key: '2026-03', to_period_key: '2026-04',
+        employee: { id: 14, classification: 'public' } },
+    ];
+    mockRows.paytime_user_config = [];
+    mockRows.paytime_employee_access = [];
+
+    jest.spyOn(PayrollHistoryService, 'getSnapshot').mockResolvedValue(null);
+    jest.spyOn(PayrollDataService, 'fetchCalculationInputs').mockResolvedValue({ basic_salary: 22000, currentInputs: [], employeeOptions: {} });
+    jest.spyOn(PayrollCalculationService, 'calculate').mockImplementation(async input => {
+      const backPay = input.currentInputs.reduce((s, ci) => s + ci.amount, 0);
+      return { gross: 22000 + backPay, paye: 3600 + backPay * 0.3, net: 18000 + backPay * 0.7 };
+    });
+  });
+
+  test('TEST-PRP-01: leave admin cannot calculate back pay → 403, nothing read', async () => {
+    const res = await createRetro({ role: 'leave_admin' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.required).toBe('PAYROLL.CREATE');
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PRP-02: payroll admin cannot calculate back pay for an employee outside their selection → 403', async () => {
+    mockRows.paytime_user_config = [{ user_id: 7, company_id: 42, modules: ['payroll'], employee_scope: 'selected', can_view_confidential: true }];
+    mockRows.paytime_employee_access = [{ user_id: 7, company_id: 42, employee_id: 15 }];
+
+    const res = await callRoute('post', '/preview', { role: 'payroll_admin', body: { ...INCREASE } });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('Access denied to this employee');
+    expect(snapshotReads()).toEqual([]);
+  });
+
+  test('TEST-PRP-03: another company\'s employee → 404, no snapshot read', async () => {
+    const res = await createRetro({ body: { ...INCREASE, employee_id: 90 } });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Employee 90 not found');
+    expect(snapshotReads()).toEqual([]);
+  });
+
+  test('TEST-PRP-04: an effective date in the back-pay period → 400, no snapshot read', async () => {
+    const res = await createRetro({ body: { ...INCREASE, effective_date: '2026-09-01' } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('effective_date must be before the back-pay period — the open period pays the new rate directly');
+    expect(snapshotReads()).toEqual([]);
+  });
+
+  test('TEST-PRP-05: a finalized target payslip → 409, nothing stored', async () => {
+    PayrollHistoryService.getSnapshot.mockResolvedValue({ id: 'snap-42-2026-09', is_locked: true });
+
+    const res = await createRetro();
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('The 2026-09 payslip is already finalized — choose the open period for the back pay');
+    expect(PayrollHistoryService.getSnapshot).toHaveBeenCalledWith(supabase, 42, 14, '2026-09');
+    expect(retroWrites()).toEqual([]);
+  });
+
+  test('TEST-PRP-06: only the company\'s locked, unreversed snapshots count — none → 404', async () => {
+    mockRows.payroll_snapshots = [snap(42, '2026-07', { status: 'reversed' }), snap(42, '2026-08', { is_locked: false }), snap(77, '2026-07')];
+
+    const res = await createRetro();
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('No finalized periods found from 2026-07 to before 2026-09');
+    expect(snapshotReads().filter(f => f.op !== 'order').map(f => [f.op, ...f.args])).toEqual([
+      ['eq', 'company_id', 42], ['eq', 'employee_id', 14], ['eq', 'is_locked', true], ['neq', 'status', 'reversed'],
+      ['gte', 'period_key', '2026-07'], ['lt', 'period_key', '2026-09'],
+    ]);
+    expect(retroWrites()).toEqual([]);
+  });
+
+  test('TEST-PRP-07: back pay already covering the periods → 409, nothing stored', async () => {
+    mockRows.payroll_retro_pay.push({ id: 37, company_id: 42, employee_id: 14, status: 'pending', from_period_key: '2026-08', to_period_key: '2026-08' });
+
+    const res = await createRetro();
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('Back pay #37 (2026-08 to 2026-08) already covers these periods');
+    expect(retroWrites()).toEqual([]);
+  });
+
+  test('TEST-PRP-08: back pay is stored pending for the company with its per-period breakdown, and audited', async () => {
+    const res = await createRetro({ role: 'payroll_admin' });
+
+    expect(res.statusCode).toBe(201);
+    const [{ op, payload }] = retroWrites();
+    expect(op).toBe('insert');
+    expect(payload).toMatchObject({
+      company_id: 42, employee_id: 14, from_period_key: '2026-07', to_period_key: '2026-08', target_period_key: '2026-09',
+      amount: 4000, status: 'pending', reason: 'Annual increase', created_by: 7,
+    });
+    expect(payload.breakdown.map(p => [p.period_key, p.snapshot_id, p.difference.gross])).toEqual([
+      ['2026-07', 'snap-42-2026-07', 2000], ['2026-08', 'snap-42-2026-08', 2000],
+    ]);
+    expect(res.body.target_period).toMatchObject({ paye_on_back_pay: 1200, rerun_required: false });
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_RETRO_PAY_CREATE', 'payroll_retro_pay', 41,
+      { metadata: expect.objectContaining({ employee_id: 14, amount: 4000, target_period_key: '2026-09' }) });
+  });
+
+  test('TEST-PRP-09: another company\'s back pay cannot be cancelled → 404; paid back pay → 409, nothing written', async () => {
+    const other = await cancelRetro(35);
+    const paid = await cancelRetro(36);
+
+    expect(other.statusCode).toBe(404);
+    expect(other.body.error).toBe('Back pay 35 not found');
+    expect(paid.statusCode).toBe(409);
+    expect(paid.body.error).toBe('Back pay 36 is already paid');
+    expect(retroWrites()).toEqual([]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PRP-10: finalizing marks only pending back pay on the company\'s locked run snapshots paid; reversing reopens it', async () => {
+    const carrying = (companyId, employeeId, retroId, extra = {}) => ({ id: 600 + employeeId, company_id: companyId, employee_id: employeeId,
+      payroll_run_id: 9, is_locked: true, status: 'finalized', calculation_input: { currentInputs: [{ amount: 4000, retro_pay_id: retroId }] }, ...extra });
+    mockRows.payroll_snapshots = [carrying(42, 14, 38), carrying(42, 15, 39, { is_locked: false }), carrying(77, 90, 35)];
+    mockRows.payroll_retro_pay.push(
+      { id: 38, company_id: 42, employee_id: 14, status: 'pending', amount: 4000 },
+      { id: 39, company_id: 42, employee_id: 15, status: 'pending', amount: 1000 },
+    );
+
+    const paid = await RetroPayService.markPaidForRun(supabase, { companyId: 42, runId: 9 });
+
+    expect(paid.map(r => r.id)).toEqual([38]);
+    expect(retroWrites().map(w => w.payload)).toEqual([expect.objectContaining({ status: 'paid', payroll_run_id: 9, snapshot_id: 614 })]);
+
+    mockRows.payroll_retro_pay.find(r => r.id === 38).status = 'paid';
+    mockRows.payroll_retro_pay.find(r => r.id === 38).payroll_run_id = 9;
+    mockFilters.length = 0;
+    const reopened = await RetroPayService.reopenForRun(supabase, { companyId: 42, runId: 9 });
+
+    expect(reopened.map(r => r.id)).toEqual([38]);
+    expect(mockFilters.filter(f => f.table === 'payroll_retro_pay').map(f => f.args)).toEqual([
+      ['company_id', 42], ['payroll_run_id', 9], ['status', 'paid'],
+    ]);
+  });
+});
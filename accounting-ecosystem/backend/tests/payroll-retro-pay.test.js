@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * Retro Pay — Validation, Per-Period Recalculation, YTD Carry and the Back-Pay Earning
+ * Unit tests for the pure helpers in RetroPayService.js. Route-level guards
+ * are covered in payroll-retro-pay-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PRV-01  Effective date, new salary and target period are required.
+ *   TEST-PRV-02  The effective date must fall before the back-pay period.
+ *   TEST-PRV-03  A full period is recalculated at the new rate and diffed against the snapshot.
+ *   TEST-PRV-04  An effective date inside a period blends the rates by scheduled hours.
+ *   TEST-PRV-05  A pro-rated period keeps its start date.
+ *   TEST-PRV-06  Periods before the effective month are left out.
+ *   TEST-PRV-07  Each period is taxed with the earlier periods already at the new rate.
+ *   TEST-PRV-08  The carry resets at the start of a new tax year.
+ *   TEST-PRV-09  adjustYtd adds differences to whichever YTD shape is stored.
+ *   TEST-PRV-10  The back pay is a once-off taxable earning that carries its retro id.
+ *   TEST-PRV-11  The engine taxes it as once-off income, not a projected salary.
+ */
+
+const PayrollEngine = require('../core/payroll-engine');
+const {
+  validateRetro,
+  backPayDescription,
+  adjustYtd,
+  recalculatePeriod,
+  calculateRetro,
+  toPeriodInput
+} = require('../modules/payroll/services/RetroPayService');
+
+const OPTIONS = { age: 35 };
+
+// A finalized snapshot as PayrollHistoryService stores it
+function snapshot(periodKey, salary, { ytdData = null, startDate = '', endDate = '' } = {}) {
+  const input = {
+    basic_salary: salary, regular_inputs: [], currentInputs: [], overtime: [], multiRate: [], shortTime: [],
+    employeeOptions: OPTIONS, ytdData, hours_per_day: 8
+  };
+  const prorata = !!(startDate || endDate);
+  const output = prorata
+    ? PayrollEngine.calculateWithProRata(input, startDate, endDate, [], [], [], [], OPTIONS, periodKey, ytdData)
+    : PayrollEngine.calculateFromData(input, [], [], [], [], OPTIONS, periodKey, ytdData);
+  // PayrollCalculationService records the method and dates used
+  output._meta = { calculationMethod: prorata ? 'prorata' : 'standard', startDate: startDate || null, endDate: endDate || null };
+  return { id: `snap-${periodKey}`, period_key: periodKey, calculation_input: input, calculation_output: output };
+}
+
+// A chain of periods with YTD data built the way PayrollDataService does
+function chain(periods, salaryFor) {
+  const snaps = [];
+  let ytd = { prior_taxable_gross: 0, prior_paye_paid: 0, prior_total_paye_paid: 0 };
+  for (const p of periods) {
+    const snap = snapshot(p, salaryFor(p), { ytdData: { ...ytd } });
+    snaps.push(snap);
+    const out = snap.calculation_output;
+    ytd = {
+      prior_taxable_gross:   PayrollEngine.r2(ytd.prior_taxable_gross + out.taxableGross),
+      prior_paye_paid:       PayrollEngine.r2(ytd.prior_paye_paid + out.paye_base),
+      prior_total_paye_paid: PayrollEngine.r2(ytd.prior_total_paye_paid + out.paye)
+    };
+  }
+  return snaps;
+}
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+describe('Retro pay — validateRetro', () => {
+  test('TEST-PRV-01: effective date, new salary and target period are required', () => {
+    expect(() => validateRetro({ new_salary: 1, period_key: '2026-06' })).toThrow(/effective_date is required/);
+    expect(() => validateRetro({ effective_date: '2026-03-01', new_salary: 1 })).toThrow(/period_key is required/);
+    expect(() => validateRetro({ effective_date: '2026-03-01', new_salary: 0, period_key: '2026-06' }))
+      .toThrow('new_salary must be a positive number');
+    expect(validateRetro({ effective_date: '2026-03-01', new_salary: '22000.004', period_key: '2026-06', reason: ' Annual increase ' }))
+      .toEqual({ effective_date: '2026-03-01', new_salary: 22000, period_key: '2026-06', reason: 'Annual increase' });
+  });
+
+  test('TEST-PRV-02: the effective date must fall before the back-pay period', () => {
+    expect(() => validateRetro({ effective_date: '2026-06-10', new_salary: 22000, period_key: '2026-06' }))
+      .toThrow(/effective_date must be before the back-pay period/);
+  });
+});
+
+// ─── Per-period recalculation ────────────────────────────────────────────────
+
+describe('Retro pay — per-period recalculation', () => {
+  test('TEST-PRV-03: a full period is recalculated at the new rate and diffed against the snapshot', () => {
+    const row = recalculatePeriod(snapshot('2026-04', 20000), { effectiveDate: '2026-04-01', newSalary: 22000, ytdData: null });
+    const expected = PayrollEngine.calculateFromData({ basic_salary: 22000, regular_inputs: [] }, [], [], [], [], OPTIONS, '2026-04', null);
+    expect(row.salary).toEqual(expect.objectContaining({ stored: 20000, recalculated: 22000, new_rate_share: 1 }));
+    expect(row.recalculated.gross).toBe(22000);
+    expect(row.recalculated.paye).toBe(PayrollEngine.r2(expected.paye));
+    expect(row.difference.gross).toBe(2000);
+    expect(row.difference.paye).toBe(PayrollEngine.r2(expected.paye - row.stored.paye));
+    expect(row.difference.net).toBe(PayrollEngine.r2(row.recalculated.net - row.stored.net));
+    expect(row.snapshot_id).toBe('snap-2026-04');
+  });
+
+  test('TEST-PRV-04: an effective date inside a period blends the rates by scheduled hours', () => {
+    // 16–31 March 2026: 96 of 176 scheduled hours at the new rate
+    const row = recalculatePeriod(snapshot('2026-03', 20000), { effectiveDate: '2026-03-16', newSalary: 22000, ytdData: null });
+    expect(row.salary.new_rate_share).toBe(0.55);
+    expect(row.salary.recalculated).toBe(21090.91);
+    expect(row.difference.gross).toBe(1090.91);
+  });
+
+  test('TEST-PRV-05: a pro-rated period keeps its start date', () => {
+    // Started 16 March — paid 96/176 (factor 0.55) of the salary; all of it at the new rate
+    const snap = snapshot('2026-03', 20000, { startDate: '2026-03-16' });
+    const row = recalculatePeriod(snap, { effectiveDate: '2026-03-01', newSalary: 22000, ytdData: null });
+    expect(row.salary.prorata_factor).toBe(0.55);
+    expect(row.stored.gross).toBe(11000);
+    expect(row.recalculated.gross).toBe(12100);
+  });
+
+  test('TEST-PRV-06: periods before the effective month are left out', () => {
+    const retro = calculateRetro([snapshot('2026-02', 20000), snapshot('2026-03', 20000)], {
+      effectiveDate: '2026-03-01', newSalary: 22000
+    });
+    expect(retro.periods.map(p => p.period_key)).toEqual(['2026-03']);
+    expect(retro.from_period_key).toBe('2026-03');
+    expect(retro.amount).toBe(2000);
+  });
+});
+
+// ─── YTD carry ───────────────────────────────────────────────────────────────
+
+describe('Retro pay — YTD carry within a tax year', () => {
+  test('TEST-PRV-07: each period is taxed with the earlier periods already at the new rate', () => {
+    const periods = ['2026-03', '2026-04', '2026-05'];
+    const stored = chain(periods, () => 20000);
+    const retro = calculateRetro(stored, { effectiveDate: '2026-03-01', newSalary: 22000 });
+    const target = chain(periods, () => 22000);
+
+    retro.periods.forEach((row, i) => {
+      expect(row.recalculated.paye).toBe(PayrollEngine.r2(target[i].calculation_output.paye));
+    });
+    expect(retro.amount).toBe(6000);
+    const payeDiff = target.reduce((s, t, i) => s + t.calculation_output.paye - stored[i].calculation_output.paye, 0);
+    expect(retro.paye_difference).toBe(PayrollEngine.r2(payeDiff));
+  });
+
+  test('TEST-PRV-08: the carry resets at the start of a new tax year', () => {
+    const stored = chain(['2026-01', '2026-02'], () => 20000).concat(chain(['2026-03'], () => 20000));
+    const retro = calculateRetro(stored, { effectiveDate: '2026-01-01', newSalary: 22000 });
+    expect(retro.periods.map(p => p.tax_year)).toEqual(['2025/2026', '2025/2026', '2026/2027']);
+    const march = chain(['2026-03'], () => 22000)[0].calculation_output;
+    expect(retro.periods[2].recalculated.paye).toBe(PayrollEngine.r2(march.paye));
+  });
+
+  test('TEST-PRV-09: adjustYtd adds differences to whichever YTD shape is stored', () => {
+    const carry = { taxableGross: 2000, periodicTaxableGross: 2000, onceOffTaxableGross: 0, paye_base: 520, paye: 520 };
+    expect(adjustYtd(null, carry)).toBeNull();
+    expect(adjustYtd({ prior_taxable_gross: 20000, prior_paye_paid: 3000, method: 'average_taxable_ytd' }, carry))
+      .toEqual({ prior_taxable_gross: 22000, prior_paye_paid: 3520, method: 'average_taxable_ytd' });
+    expect(adjustYtd({ ytdPeriodicTaxableGross: 20000, ytdOnceOffTaxableGross: 0, ytdPAYE: 3000 }, carry))
+      .toEqual({ ytdPeriodicTaxableGross: 22000, ytdOnceOffTaxableGross: 0, ytdPAYE: 3520 });
+  });
+});
+
+// ─── Back-pay earning ────────────────────────────────────────────────────────
+
+describe('Retro pay — back-pay earning for the target period', () => {
+  test('TEST-PRV-10: the back pay is a once-off taxable earning that carries its retro id', () => {
+    const input = toPeriodInput({ id: 7, description: backPayDescription('2026-03-01'), amount: 6000 });
+    expect(input).toEqual(expect.objectContaining({
+      description: 'Back pay — salary increase from 2026-03-01',
+      amount: 6000, type: 'input', paye_projection_type: 'ONCE_OFF', affects_uif: true, retro_pay_id: 7
+    }));
+  });
+
+  test('TEST-PRV-11: the engine taxes it as once-off income, not a projected salary', () => {
+    const base = { basic_salary: 22000, regular_inputs: [] };
+    const without = PayrollEngine.calculateFromData(base, [], [], [], [], OPTIONS, '2026-06', null);
+    const withBackPay = PayrollEngine.calculateFromData(
+      base, [toPeriodInput({ id: 7, description: 'Back pay', amount: 6000 })], [], [], [], OPTIONS, '2026-06', null
+    );
+    expect(withBackPay.onceOffTaxableGross - without.onceOffTaxableGross).toBe(6000);
+    expect(withBackPay.periodicTaxableGross).toBe(without.periodicTaxableGross);
+    expect(withBackPay.paye).toBeGreaterThan(without.paye);
+  });
+});
@@ -0,0 +1,320 @@
+'use strict';
+
+/**
+ * Payroll Run Comparison — Route Guards
+ * Drives GET /api/payroll/history/compare and /history/compare/xlsx
+ * (requireCompany + requirePermission + requirePaytimeModule + handler)
+ * against a mocked Supabase client holding engine-calculated snapshots.
+ *
+ * Scenarios covered:
+ *   TEST-PRC-01  Roles without PAYROLL.VIEW cannot compare or export → 403, no payslips read.
+ *   TEST-PRC-02  A missing or malformed period, or comparing a period with itself → 400, no payslips read.
+ *   TEST-PRC-03  No finalized period to compare with, or no run in the period → 404.
+ *   TEST-PRC-04  The default base is the company's last finalized period; reversed and other companies' runs are ignored.
+ *   TEST-PRC-05  New, terminated and changed employees are compared with a reason for each difference.
+ *   TEST-PRC-06  A selected-scope user compares only the employees assigned to them, totals included.
+ *   TEST-PRC-07  A user without confidential access compares only public employees.
+ *   TEST-PRC-08  The comparison is read-only and reports whether the run is still a draft.
+ *   TEST-PRC-09  SEAN flags are attached per employee, and a SEAN failure never blocks the comparison.
+ *   TEST-PRC-10  The export is an XLSX download named for both periods; errors come back as JSON.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+
+/** Rows are filtered by the eq / neq / lt conditions the query applied. */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order', 'limit']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const filter = (op, test) => jest.fn((col, val) => {
+    mockFilters.push({ table, op, args: [col, val] });
+    conditions.push(r => test(r[col], val));
+    return chain;
+  });
+  chain.eq = filter('eq', (v, want) => String(v) === String(want));
+  chain.neq = filter('neq', (v, want) => String(v) !== String(want));
+  chain.in = filter('in', (v, want) => want.map(String).includes(String(v)));
+  chain.lt = filter('lt', (v, want) => String(v) < String(want));
+  for (const op of ['insert', 'update', 'upsert', 'delete']) {
+    chain[op] = jest.fn(payload => {
+      write = { table, op, payload };
+      mockWrites.push(write);
+      return chain;
+    });
+  }
+  const matching = () => (mockRows[table] || []).filter(r => conditions.every(c => c(r)));
+  const result = () => {
+    if (write) return { data: null, error: null };
+    return { data: matching(), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+const XLSX = require('xlsx');
+const PayrollEngine = require('../core/payroll-engine');
+const PayrollIntelligence = require('../sean/payroll-intelligence');
+const { auditFromReq } = require('../middleware/audit');
+const PayrollHistoryService = require('../modules/payroll/services/PayrollHistoryService');
+const payrunsRouter = require('../modules/payroll/routes/payruns');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(method, path, { role = 'business_owner', query = {}, companyId = 42 } = {}) {
+  const req = {
+    body: {}, params: {}, query, companyId, user: { userId: 7, role, email: 'payroll@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    setHeader(name, value) { this.headers[name] = value; },
+    send(payload) { this.body = payload; return this; },
+  };
+  const route = payrunsRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...payrunsRouter.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const compare = (query = { period_key: '2026-09' }, opts = {}) => callRoute('get', '/history/compare', { query, ...opts });
+const exportXlsx = (query = { period_key: '2026-09' }, opts = {}) => callRoute('get', '/history/compare/xlsx', { query, ...opts });
+const filtersOn = (table, op = 'eq') => mockFilters.filter(f => f.table === table && f.op === op).map(f => f.args);
+const byEmployee = res => Object.fromEntries(res.body.employees.map(r => [r.employee_id, r]));
+const restrictTo = (config, ids = []) => {
+  mockRows.paytime_user_config = [{ user_id: 7, company_id: 42, modules: ['payroll'], employee_scope: 'all', can_view_confidential: true, ...config }];
+  mockRows.paytime_employee_access = ids.map(employee_id => ({ user_id: 7, company_id: 42, employee_id }));
+};
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const snapshot = (companyId, employeeId, periodKey, payrollData, extra = {}, currentInputs = []) => ({
+  company_id: companyId,
+  employee_id: employeeId,
+  period_key: periodKey,
+  status: 'finalized',
+  is_locked: true,
+  calculation_input: { regular_inputs: [], ...payrollData, currentInputs },
+  calculation_output: PayrollEngine.calculateFromData(
+    { regular_inputs: [], ...payrollData }, currentInputs, [], [], [], { age: 35 }, periodKey, null
+  ),
+  ...extra,
+});
+const draft = { status: 'draft', is_locked: false };
+
+const EMPLOYEES = [
+  { id: 14, company_id: 42, employee_code: 'E014', classification: 'public', first_name: 'Thandi', last_name: 'Mokoena', basic_salary: 32000 },
+  { id: 15, company_id: 42, employee_code: 'E015', classification: 'confidential', first_name: 'Pieter', last_name: 'Botha', basic_salary: 58000 },
+  { id: 16, company_id: 42, employee_code: 'E016', classification: 'public', first_name: 'Anele', last_name: 'Dube', basic_salary: 18000, start_date: '2026-09-01' },
+  { id: 17, company_id: 42, employee_code: 'E017', classification: 'public', first_name: 'Lerato', last_name: 'Sithole', basic_salary: 21000, termination_date: '2026-08-31' },
+  { id: 90, company_id: 77, employee_code: 'E090', classification: 'public', first_name: 'Other', last_name: 'Person', basic_salary: 40000 },
+];
+
+const SNAPSHOTS = () => [
+  snapshot(42, 14, '2026-07', { basic_salary: 30000 }),
+  snapshot(42, 15, '2026-07', { basic_salary: 58000 }),
+  snapshot(42, 17, '2026-07', { basic_salary: 21000 }),
+  // August was finalized and then reversed — never a comparison base
+  snapshot(42, 14, '2026-08', { basic_salary: 30000 }, { status: 'reversed' }),
+  snapshot(42, 14, '2026-09', { basic_salary: 32000 }, draft, [{ description: 'Performance bonus', amount: 5000, type: 'earning' }]),
+  snapshot(42, 15, '2026-09', { basic_salary: 58000 }, draft),
+  snapshot(42, 16, '2026-09', { basic_salary: 18000 }, draft),
+  // Another company finalized August
+  snapshot(77, 90, '2026-08', { basic_salary: 40000 }),
+  snapshot(77, 90, '2026-09', { basic_salary: 40000 }, draft),
+];
+
+describe('Payroll Run Comparison — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.employees = EMPLOYEES.map(e => ({ ...e }));
+    mockRows.payroll_snapshots = SNAPSHOTS();
+    mockRows.payroll_periods = [
+      { id: 309, company_id: 42, period_key: '2026-09', start_date: '2026-09-01', end_date: '2026-09-30' },
+      { id: 390, company_id: 77, period_key: '2026-09', start_date: '2026-09-01', end_date: '2026-09-30' },
+    ];
+    mockRows.paytime_user_config = [];
+    mockRows.paytime_employee_access = [];
+  });
+
+  test('TEST-PRC-01: roles without PAYROLL.VIEW cannot compare or export → 403, no payslips read', async () => {
+    for (const role of ['leave_admin', 'employee']) {
+      const json = await compare(undefined, { role });
+      const xlsx = await exportXlsx(undefined, { role });
+      expect([json.statusCode, xlsx.statusCode]).toEqual([403, 403]);
+      expect(json.body.required).toBe('PAYROLL.VIEW');
+    }
+    expect(filtersOn('payroll_snapshots')).toEqual([]);
+  });
+
+  test('TEST-PRC-02: a missing or malformed period, or comparing a period with itself → 400, no payslips read', async () => {
+    const responses = [
+      await compare({}),
+      await compare({ period_key: '2026-13' }),
+      await compare({ period_key: '2026-09', base_period_key: 'August' }),
+      await compare({ period_key: '2026-09', base_period_key: '2026-09' }),
+    ];
+
+    expect(responses.map(r => [r.statusCode, r.body.error])).toEqual([
+      [400, 'period_key is required (YYYY-MM)'],
+      [400, 'period_key is required (YYYY-MM)'],
+      [400, 'base_period_key must be YYYY-MM'],
+      [400, 'base_period_key must be a different period'],
+    ]);
+    expect(filtersOn('payroll_snapshots')).toEqual([]);
+  });
+
+  test('TEST-PRC-03: no finalized period to compare with, or no run in the period → 404', async () => {
+    const noBase = await compare({ period_key: '2026-07' });
+    const noRun = await compare({ period_key: '2026-10' });
+
+    expect(noBase.statusCode).toBe(404);
+    expect(noBase.body.error).toBe('No finalized period before 2026-07 found to compare with');
+    expect(noRun.statusCode).toBe(404);
+    expect(noRun.body.error).toBe('No payroll run found for 2026-10 — run payroll first');
+  });
+
+  test('TEST-PRC-04: the default base is the company\'s last finalized period; reversed and other companies\' runs are ignored', async () => {
+    const res = await compare();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ success: true, base_period: '2026-07', current_period: '2026-09' });
+    expect(filtersOn('payroll_snapshots')).toEqual(expect.arrayContaining([
+      ['company_id', 42], ['is_locked', true], ['period_key', '2026-07'], ['period_key', '2026-09'],
+    ]));
+    expect(filtersOn('payroll_snapshots', 'eq').filter(([col]) => col === 'company_id').every(([, v]) => v === 42)).toBe(true);
+    expect(filtersOn('payroll_snapshots', 'neq')).toContainEqual(['status', 'reversed']);
+    expect(filtersOn('payroll_snapshots', 'lt')).toEqual([['period_key', '2026-09']]);
+    expect(filtersOn('employees')).toEqual([['company_id', 42]]);
+    expect(res.body.employees.map(r => r.employee_id)).not.toContain(90);
+  });
+
+  test('TEST-PRC-05: new, terminated and changed employees are compared with a reason for each difference', async () => {
+    const res = await compare({ period_key: '2026-09', base_period_key: '2026-07' });
+    const rows = byEmployee(res);
+
+    expect(res.body.counts).toEqual({ new: 1, terminated: 1, changed: 1, unchanged: 1 });
+    expect(rows[16].reasons).toEqual([{ code: 'NEW_EMPLOYEE', message: 'New on the payroll — no payslip in 2026-07 (started 2026-09-01).' }]);
+    expect(rows[17].reasons[0].code).toBe('TERMINATED');
+    expect(rows[17].reasons[0].message).toMatch(/^Terminated on 2026-08-31 — net pay of R[\d,.]+ in 2026-07 falls away\.$/);
+    expect(rows[14].reasons.map(r => r.code)).toEqual(expect.arrayContaining(['SALARY_CHANGE', 'ONCE_OFF', 'PAYE_DELTA']));
+    expect(rows[14].reasons[0].message).toBe('Basic salary changed from R30,000.00 to R32,000.00 (+6.67%).');
+    expect(rows[15].reasons).toEqual([]);
+    expect(res.body.totals.delta.headcount).toBe(0);
+  });
+
+  test('TEST-PRC-06: a selected-scope user compares only the employees assigned to them, totals included', async () => {
+    restrictTo({ employee_scope: 'selected' }, [14, 16]);
+
+    const res = await compare(undefined, { role: 'payroll_admin' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.employees.map(r => r.employee_id).sort()).toEqual([14, 16]);
+    expect(res.body.totals.base.headcount).toBe(1);
+    expect(res.body.totals.current.headcount).toBe(2);
+    expect(res.body.totals.current.gross).toBe(PayrollEngine.r2(byEmployee(res)[14].current.gross + byEmployee(res)[16].current.gross));
+  });
+
+  test('TEST-PRC-07: a user without confidential access compares only public employees', async () => {
+    restrictTo({ can_view_confidential: false });
+
+    const res = await compare(undefined, { role: 'payroll_admin' });
+
+    expect(res.body.employees.map(r => r.employee_id).sort()).toEqual([14, 16, 17]);
+    expect(res.body.counts).toEqual({ new: 1, terminated: 1, changed: 1, unchanged: 0 });
+  });
+
+  test('TEST-PRC-08: the comparison is read-only and reports whether the run is still a draft', async () => {
+    const drafted = await compare();
+    expect(drafted.body.current_status).toBe('draft');
+
+    mockRows.payroll_snapshots.forEach(s => { if (s.period_key === '2026-09') Object.assign(s, { status: 'finalized', is_locked: true }); });
+    const finalized = await compare({ period_key: '2026-09', base_period_key: '2026-07' });
+    expect(finalized.body.current_status).toBe('finalized');
+
+    expect(mockWrites).toEqual([]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PRC-09: SEAN flags are attached per employee, and a SEAN failure never blocks the comparison', async () => {
+    mockRows.employees.find(e => e.id === 14).basic_salary = 30000;
+    const flagged = await compare();
+    expect(filtersOn('payroll_periods')).toEqual([['company_id', 42], ['period_key', '2026-09']]);
+    expect(byEmployee(flagged)[14].flags.map(f => f.type)).toEqual(['SALARY_MISMATCH']);
+    expect(byEmployee(flagged)[16].flags).toEqual([]);
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(PayrollIntelligence.prototype, 'preflightChecks').mockRejectedValue(new Error('SEAN offline'));
+    const res = await compare();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.employees.every(r => Array.isArray(r.flags) && r.flags.length === 0)).toBe(true);
+    expect(console.warn).toHaveBeenCalledWith('[PayrollComparison] SEAN flags unavailable:', 'SEAN offline');
+  });
+
+  test('TEST-PRC-10: the export is an XLSX download named for both periods; errors come back as JSON', async () => {
+    const res = await exportXlsx();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    expect(res.headers['Content-Disposition']).toBe('attachment; filename="Payroll_comparison_2026-07_vs_2026-09.xlsx"');
+    const wb = XLSX.read(res.body, { type: 'buffer' });
+    expect(wb.SheetNames).toEqual(['Summary', 'Employees', 'Line items', 'Reasons']);
+    const codes = XLSX.utils.sheet_to_json(wb.Sheets.Employees, { header: 1 }).slice(1).map(r => r[0]);
+    expect(codes.sort()).toEqual(['E014', 'E015', 'E016', 'E017']);
+
+    const noRun = await exportXlsx({ period_key: '2026-10' });
+    expect(noRun.statusCode).toBe(404);
+    expect(noRun.body).toEqual({ success: false, error: 'No payroll run found for 2026-10 — run payroll first' });
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(PayrollHistoryService, 'listSnapshots').mockRejectedValue(new Error('Failed to list snapshots: timeout'));
+    const failed = await exportXlsx();
+    expect(failed.statusCode).toBe(500);
+    expect(failed.body).toEqual({ success: false, error: 'Failed to list snapshots: timeout' });
+  });
+});
@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * Payroll Run Comparison — Employee Status, Change Reasons, PAYE Explanations, Totals and XLSX
+ * Unit tests for the pure helpers in PayrollComparisonService.js. Route-level
+ * guards are covered in payroll-run-comparison-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PCU-01  An employee without a base payslip is new, one without a current payslip terminated.
+ *   TEST-PCU-02  An identical run is unchanged with no reasons.
+ *   TEST-PCU-03  Salary increase, a new recurring item and a bonus are each explained.
+ *   TEST-PCU-04  A PAYE change is explained against taxable income and the bracket move named.
+ *   TEST-PCU-05  With taxable income unchanged the new tax year is named.
+ *   TEST-PCU-06  Totals add up and new / terminated employees sort first.
+ *   TEST-PCU-07  SEAN flags a run salary that differs from the employee record.
+ *   TEST-PCU-08  The workbook carries summary, employees, line items and reasons.
+ */
+
+const XLSX = require('xlsx');
+const PayrollEngine = require('../core/payroll-engine');
+const {
+  rand,
+  compareEmployee,
+  compareRuns,
+  seanFlags,
+  toWorkbook
+} = require('../modules/payroll/services/PayrollComparisonService');
+
+const snapshot = (employeeId, periodKey, payrollData, currentInputs = [], overtime = []) => ({
+  employee_id: employeeId,
+  period_key: periodKey,
+  is_locked: periodKey === '2026-04',
+  calculation_input: { regular_inputs: [], ...payrollData, currentInputs },
+  calculation_output: PayrollEngine.calculateFromData(
+    { regular_inputs: [], ...payrollData }, currentInputs, overtime, [], [], { age: 35 }, periodKey, null
+  )
+});
+
+const codes = r => r.reasons.map(x => x.code);
+
+// ─── New and terminated ──────────────────────────────────────────────────────
+
+describe('Run comparison — new and terminated employees', () => {
+  test('TEST-PCU-01: an employee without a base payslip is new, one without a current payslip terminated', () => {
+    const added = compareEmployee(null, snapshot(1, '2026-05', { basic_salary: 20000 }), {
+      employee: { first_name: 'Thandi', last_name: 'Nkosi', start_date: '2026-05-01' }, basePeriod: '2026-04'
+    });
+    expect(added.status).toBe('new');
+    expect(added.reasons).toEqual([{ code: 'NEW_EMPLOYEE', message: 'New on the payroll — no payslip in 2026-04 (started 2026-05-01).' }]);
+    expect(added.delta.gross).toBe(added.current.gross);
+
+    const base = snapshot(2, '2026-04', { basic_salary: 20000 });
+    const gone = compareEmployee(base, null, { employee: { termination_date: '2026-04-30' }, basePeriod: '2026-04' });
+    expect(gone.status).toBe('terminated');
+    expect(gone.reasons[0].message).toBe(`Terminated on 2026-04-30 — net pay of ${rand(base.calculation_output.net)} in 2026-04 falls away.`);
+    expect(gone.delta.net).toBe(-base.calculation_output.net);
+  });
+});
+
+// ─── Changes ─────────────────────────────────────────────────────────────────
+
+describe('Run comparison — salary, recurring item and once-off reasons', () => {
+  test('TEST-PCU-02: an identical run is unchanged with no reasons', () => {
+    const r = compareEmployee(snapshot(1, '2026-04', { basic_salary: 25000 }), snapshot(1, '2026-05', { basic_salary: 25000 }));
+    expect(r.status).toBe('unchanged');
+    expect(r.reasons).toEqual([]);
+    expect(r.lines).toEqual([]);
+  });
+
+  test('TEST-PCU-03: salary increase, a new recurring item and a bonus are each explained', () => {
+    const base = snapshot(1, '2026-04', {
+      basic_salary: 25000,
+      regular_inputs: [{ description: 'Medical aid', amount: 1200, type: 'deduction' }]
+    });
+    const current = snapshot(1, '2026-05', {
+      basic_salary: 27500,
+      regular_inputs: [
+        { description: 'Medical aid', amount: 1350, type: 'deduction' },
+        { description: 'Cellphone allowance', amount: 500, type: 'allowance' }
+      ]
+    }, [{ description: 'Performance bonus', amount: 10000, type: 'earning' }], [{ hours: 4, rate_multiplier: 1.5 }]);
+    const r = compareEmployee(base, current);
+    const messages = r.reasons.map(x => x.message);
+
+    expect(r.status).toBe('changed');
+    expect(messages).toContain('Basic salary changed from R25,000.00 to R27,500.00 (+10%).');
+    expect(messages).toContain('Recurring deduction "Medical aid" changed from R1,200.00 to R1,350.00.');
+    expect(messages).toContain('Recurring earning "Cellphone allowance" of R500.00 added.');
+    expect(messages).toContain('Once-off earning "Performance bonus" of R10,000.00 this period.');
+    expect(codes(r)).toContain('OVERTIME');
+    expect(r.lines.find(l => l.description === 'Performance bonus')).toMatchObject({ base: null, current: 10000, change: 'new' });
+    expect(r.lines.find(l => l.description === 'Medical aid')).toMatchObject({ base: 1200, current: 1350, delta: 150 });
+
+    // The bonus drops off the next month
+    const next = compareEmployee(current, snapshot(1, '2026-06', { basic_salary: 27500, regular_inputs: current.calculation_input.regular_inputs }));
+    expect(next.reasons.map(x => x.message)).toContain('Once-off "Performance bonus" of R10,000.00 in 2026-05 is not repeated.');
+  });
+});
+
+// ─── PAYE ────────────────────────────────────────────────────────────────────
+
+describe('Run comparison — PAYE deltas and tax bracket moves', () => {
+  test('TEST-PCU-04: a PAYE change is explained against taxable income and the bracket move named', () => {
+    const base = snapshot(1, '2026-04', { basic_salary: 30000 });
+    const current = snapshot(1, '2026-05', { basic_salary: 45000 });
+    const r = compareEmployee(base, current);
+    const paye = r.reasons.find(x => x.code === 'PAYE_DELTA');
+    expect(paye.message).toMatch(/^PAYE up R[\d,]+\.\d\d \(taxable income up R15,000\.00\)\.$/);
+    const bracket = r.reasons.find(x => x.code === 'TAX_BRACKET');
+    expect(bracket.message).toMatch(
+      new RegExp(`from the ${base.calculation_output.marginal_rate} to the ${current.calculation_output.marginal_rate} tax bracket`)
+    );
+    expect(base.calculation_output.marginal_rate).not.toBe(current.calculation_output.marginal_rate);
+  });
+
+  test('TEST-PCU-05: with taxable income unchanged the new tax year is named', () => {
+    const base = snapshot(1, '2026-02', { basic_salary: 30000 });
+    base.calculation_output = { ...base.calculation_output, tax_year: '2025/2026', paye: base.calculation_output.paye + 120 };
+    const r = compareEmployee(base, snapshot(1, '2026-03', { basic_salary: 30000 }));
+    expect(codes(r)).toEqual(['TAX_YEAR', 'PAYE_DELTA']);
+    expect(r.reasons[0].message).toBe('New tax year — 2026/2027 tables replace 2025/2026.');
+    expect(r.reasons[1].message).toBe('PAYE down R120.00 (taxable income unchanged — year-to-date, rebate or table effect).');
+  });
+});
+
+// ─── Totals, SEAN and XLSX ───────────────────────────────────────────────────
+
+describe('Run comparison — run totals, SEAN flags and the XLSX workbook', () => {
+  const base = [snapshot(1, '2026-04', { basic_salary: 25000 }), snapshot(2, '2026-04', { basic_salary: 18000 })];
+  const current = [snapshot(1, '2026-05', { basic_salary: 26000 }), snapshot(3, '2026-05', { basic_salary: 15000 })];
+  const employees = new Map([
+    [1, { id: 1, employee_code: 'E001', first_name: 'Thandi', last_name: 'Nkosi', basic_salary: 25000 }],
+    [2, { id: 2, employee_code: 'E002', first_name: 'Pieter', last_name: 'Botha', basic_salary: 18000, is_active: false }],
+    [3, { id: 3, employee_code: 'E003', first_name: 'Ayesha', last_name: 'Khan', basic_salary: 15000 }]
+  ]);
+
+  test('TEST-PCU-06: totals add up and new / terminated employees sort first', () => {
+    const c = compareRuns(base, current, { basePeriod: '2026-04', currentPeriod: '2026-05', employees });
+    expect(c.employees.map(r => [r.employee_code, r.status])).toEqual([['E003', 'new'], ['E002', 'terminated'], ['E001', 'changed']]);
+    expect(c.counts).toEqual({ new: 1, terminated: 1, changed: 1, unchanged: 0 });
+    const sum = (list, f) => PayrollEngine.r2(list.reduce((s, x) => s + x.calculation_output[f], 0));
+    expect(c.totals.base.net).toBe(sum(base, 'net'));
+    expect(c.totals.current.gross).toBe(sum(current, 'gross'));
+    expect(c.totals.delta.net).toBe(PayrollEngine.r2(sum(current, 'net') - sum(base, 'net')));
+  });
+
+  test('TEST-PCU-07: SEAN flags a run salary that differs from the employee record', async () => {
+    const flags = await seanFlags(7, current, employees, { id: 11, start_date: '2026-05-01', end_date: '2026-05-31' });
+    expect(flags.get(1).map(f => f.type)).toEqual(['SALARY_MISMATCH']);
+    expect(flags.has(3)).toBe(false);
+  });
+
+  test('TEST-PCU-08: the workbook carries summary, employees, line items and reasons', () => {
+    const c = compareRuns(base, current, { basePeriod: '2026-04', currentPeriod: '2026-05', employees });
+    c.employees.forEach(r => { r.flags = []; });
+    const wb = XLSX.read(toWorkbook(c), { type: 'buffer' });
+    expect(wb.SheetNames).toEqual(['Summary', 'Employees', 'Line items', 'Reasons']);
+    const rows = XLSX.utils.sheet_to_json(wb.Sheets.Employees, { header: 1 });
+    expect(rows[0].slice(0, 3)).toEqual(['Employee no.', 'Name', 'Status']);
+    expect(rows.slice(1).map(r => r[2])).toEqual(['new', 'terminated', 'changed']);
+    const reasons = XLSX.utils.sheet_to_json(wb.Sheets.Reasons, { header: 1 });
+    expect(reasons.some(r => r[2] === 'SALARY_CHANGE' && r[0] === 'E001')).toBe(true);
+  });
+});
@@ -0,0 +1,242 @@
+'use strict';
+
+/**
+ * SARS Payroll Submissions — Route Guards
+ * Drives the EMP201 / EMP501 routes under /api/payroll/recon
+ * (requireCompany + requirePermission + handler) against a mocked Supabase
+ * client.
+ *
+ * Scenarios covered:
+ *   TEST-PSR-01  Payroll admin can view the EMP201 but cannot export the IRP5 file → 403.
+ *   TEST-PSR-02  EMP201 reads only the caller's locked, unreversed snapshots — none of its own → 404.
+ *   TEST-PSR-03  Company without a valid PAYE reference → 400, no EMP201.
+ *   TEST-PSR-04  Malformed tax year → 400, nothing read.
+ *   TEST-PSR-05  Certificates that fail validation → 422 with validation_errors, nothing stored or audited.
+ *   TEST-PSR-06  A valid export is stored for the company and served with its SHA-256.
+ *   TEST-PSR-07  An export that cannot be stored → 500, nothing sent or audited.
+ *   TEST-PSR-08  Stored exports are listed for the caller's company only.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+const mockFailWrite = { table: null };
+
+/** Rows are filtered by the eq / neq / in conditions the query applied. */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const filter = (op, test) => jest.fn((col, val) => {
+    mockFilters.push({ table, op, args: [col, val] });
+    conditions.push(r => test(r[col], val));
+    return chain;
+  });
+  chain.eq = filter('eq', (v, want) => String(v) === String(want));
+  chain.neq = filter('neq', (v, want) => String(v) !== String(want));
+  chain.in = filter('in', (v, want) => want.map(String).includes(String(v)));
+  chain.insert = jest.fn(payload => {
+    write = { table, op: 'insert', payload };
+    mockWrites.push(write);
+    return chain;
+  });
+  const result = () => {
+    if (write) {
+      const error = mockFailWrite.table === table ? { message: 'could not extend file' } : null;
+      return { data: error ? null : { id: 33, ...write.payload }, error };
+    }
+    return { data: (mockRows[table] || []).filter(r => conditions.every(c => c(r))), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+const crypto = require('crypto');
+const { supabase } = require('../config/database');
+const { auditFromReq } = require('../middleware/audit');
+const reconRouter = require('../modules/payroll/routes/recon');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(method, path, { role = 'business_owner', body = {}, query = {}, companyId = 42 } = {}) {
+  const req = {
+    body, params: {}, query, companyId, user: { userId: 7, role, email: 'payroll@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    setHeader(name, value) { this.headers[name] = value; },
+    send(payload) { this.body = payload; return this; },
+  };
+  const route = reconRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...reconRouter.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const emp201 = (opts = {}) => callRoute('get', '/emp201', { query: { period: '2026-09' }, ...opts });
+const exportIrp5 = (opts = {}) => callRoute('post', '/emp501/export', { body: { tax_year: '2026/2027' }, ...opts });
+const stored = () => mockWrites.filter(w => w.table === 'payroll_sars_exports');
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const COMPANIES = [
+  { id: 42, company_name: 'Lorenco Test (Pty) Ltd', paye_reference_number: '7012345678', sdl_reference_number: 'L012345678',
+    uif_reference_number: 'U012345678', contact_person: 'A Admin', contact_phone: '011 555 1234', contact_email: 'payroll@example.co.za' },
+  { id: 77, company_name: 'Other Co', paye_reference_number: '7098765432' },
+];
+
+function snap(periodKey, extra = {}) {
+  return {
+    company_id: 42, employee_id: 1, period_key: periodKey, is_locked: true, status: 'finalized', created_at: `${periodKey}-25T10:00:00Z`,
+    calculation_input: { basic_salary: 20000, regular_inputs: [], currentInputs: [] },
+    calculation_output: { gross: 20000, paye: 2500, uif: 177.12, uif_employer: 177.12, sdl: 200, net: 17322.88 },
+    ...extra,
+  };
+}
+
+const EMPLOYEE = { id: 1, company_id: 42, first_name: 'Thandi', last_name: 'Mokoena', employee_number: 'E001',
+  id_number: '8503155005080', tax_number: '0123456782' };
+
+describe('SARS Payroll Submissions — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    mockFailWrite.table = null;
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.companies = COMPANIES.map(c => ({ ...c }));
+    mockRows.payroll_snapshots = [snap('2026-09'), snap('2026-08', { status: 'reversed' })];
+    mockRows.employees = [{ ...EMPLOYEE }];
+    mockRows.payroll_items_master = [];
+    mockRows.payroll_sars_exports = [
+      { id: 31, company_id: 42, tax_year: '2026/2027', file_name: 'IRP5_42.csv' },
+      { id: 32, company_id: 77, tax_year: '2026/2027', file_name: 'IRP5_77.csv' },
+    ];
+  });
+
+  test('TEST-PSR-01: payroll admin can view the EMP201 but cannot export the IRP5 file → 403', async () => {
+    const viewed = await emp201({ role: 'payroll_admin' });
+    const res = await exportIrp5({ role: 'payroll_admin' });
+
+    expect(viewed.statusCode).toBe(200);
+    expect(res.statusCode).toBe(403);
+    expect(res.body.required).toBe('PAYROLL.APPROVE');
+    expect(stored()).toEqual([]);
+  });
+
+  test('TEST-PSR-02: EMP201 reads only the caller\'s locked, unreversed snapshots — none of its own → 404', async () => {
+    const res = await emp201({ companyId: 77 });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('No finalized payroll found for 2026-09');
+    const snapshotFilters = mockFilters.filter(f => f.table === 'payroll_snapshots').map(f => [f.op, ...f.args]);
+    expect(snapshotFilters).toEqual(expect.arrayContaining([
+      ['eq', 'company_id', 77], ['eq', 'is_locked', true], ['neq', 'status', 'reversed'],
+    ]));
+  });
+
+  test('TEST-PSR-03: company without a valid PAYE reference → 400, no EMP201', async () => {
+    mockRows.companies[0].paye_reference_number = '012345678';
+
+    const res = await emp201();
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Company PAYE reference number must be 10 digits starting with 7');
+    expect(res.body.emp201).toBeUndefined();
+  });
+
+  test('TEST-PSR-04: malformed tax year → 400, nothing read', async () => {
+    const res = await exportIrp5({ body: { tax_year: '2026' } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Invalid tax year format. Use YYYY/YYYY');
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PSR-05: certificates that fail validation → 422 with validation_errors, nothing stored or audited', async () => {
+    mockRows.employees[0].tax_number = '';
+
+    const res = await exportIrp5();
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error).toBe('1 problem(s) must be corrected before the IRP5 file can be generated');
+    expect(res.body.validation_errors).toEqual([
+      expect.objectContaining({ employee_id: 1, name: 'Thandi Mokoena' }),
+    ]);
+    expect(stored()).toEqual([]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PSR-06: a valid export is stored for the company and served with its SHA-256', async () => {
+    const res = await exportIrp5({ body: { tax_year: '2026/2027', test_run: true } });
+
+    expect(res.statusCode).toBe(200);
+    const [{ payload }] = stored();
+    expect(payload).toMatchObject({ company_id: 42, return_type: 'EMP501', tax_year: '2026/2027', is_test: true, generated_by: 7 });
+    expect(payload.totals.paye).toBe(2500);
+    expect(res.body).toBe(payload.content);
+    expect(res.headers['X-File-SHA256']).toBe(crypto.createHash('sha256').update(res.body, 'utf8').digest('hex'));
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_EMP501_EXPORT', 'payroll_sars_exports', 33, expect.anything());
+  });
+
+  test('TEST-PSR-07: an export that cannot be stored → 500, nothing sent or audited', async () => {
+    mockFailWrite.table = 'payroll_sars_exports';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await exportIrp5();
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toBe('Failed to store IRP5 export: could not extend file');
+    expect(res.headers).toEqual({});
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PSR-08: stored exports are listed for the caller\'s company only', async () => {
+    const res = await callRoute('get', '/emp501/exports', { role: 'payroll_admin', query: { taxYear: '2026/2027' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.exports.map(e => e.id)).toEqual([31]);
+    expect(mockFilters).toContainEqual({ table: 'payroll_sars_exports', op: 'eq', args: ['company_id', 42] });
+  });
+});
@@ -0,0 +1,301 @@
+'use strict';
+
+/**
+ * SARS Payroll Submissions — Identity Numbers, EMP201, IRP5 Codes and e@syFile Layout
+ * Unit tests for the pure helpers in SarsSubmissionService.js. Route-level
+ * guards are covered in payroll-sars-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PSU-01  SA ID numbers need 13 digits, a real birth date and a valid check digit.
+ *   TEST-PSU-02  Tax numbers need 10 digits, a valid first digit and check digit.
+ *   TEST-PSU-03  Date of birth from the ID number is never after the tax year.
+ *   TEST-PSU-04  Period totals include employer UIF and a PAYE-reference PRN.
+ *   TEST-PSU-05  ETI is set off against PAYE only, never beyond it.
+ *   TEST-PSU-06  ETI carried from earlier months of the reconciliation period is claimed first.
+ *   TEST-PSU-07  Older snapshots without uif_employer are matched 1:1; bad PAYE reference throws.
+ *   TEST-PSU-08  latestSnapshots keeps the newest per employee and period.
+ *   TEST-PSU-09  Mapped items use their code; the rest of gross is 3601.
+ *   TEST-PSU-10  3699 totals the taxable income codes; net-only unmapped deductions are left off.
+ *   TEST-PSU-11  Tax codes keep cents and 4149 adds PAYE, UIF and SDL.
+ *   TEST-PSU-12  No PAYE deducted → IT3(a); unmapped pre-tax deductions are warned about.
+ *   TEST-PSU-13  Valid employees pass; a missing tax number only warns on an IT3(a).
+ *   TEST-PSU-14  Bad ID numbers, missing tax numbers on IRP5s and employer references are errors.
+ *   TEST-PSU-15  Code totals that disagree with the snapshots are errors.
+ *   TEST-PSU-16  Income items larger than gross leave a negative 3601.
+ *   TEST-PSU-17  Employer record carries references, TEST flag and tax year.
+ *   TEST-PSU-18  One certificate record per employee with 30xx details and sorted source codes.
+ *   TEST-PSU-19  Control record counts records and totals codes and amounts.
+ */
+
+const {
+  validateIdNumber,
+  validateTaxNumber,
+  dobFromIdNumber,
+  emp201PaymentReference,
+  latestSnapshots,
+  buildEmp201,
+  itemCodeMap,
+  aggregateCertificateCodes,
+  finaliseCertificate,
+  validateCertificates,
+  buildEasyFileCsv
+} = require('../modules/payroll/services/SarsSubmissionService');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function snap(employeeId, periodKey, out, inp = {}) {
+  return {
+    employee_id: employeeId,
+    period_key: periodKey,
+    created_at: `${periodKey}-25T10:00:00Z`,
+    calculation_input: { basic_salary: 20000, regular_inputs: [], currentInputs: [], ...inp },
+    calculation_output: { gross: 20000, paye: 2500, uif: 177.12, uif_employer: 177.12, sdl: 200, net: 17322.88, ...out }
+  };
+}
+
+const COMPANY = {
+  company_name: 'Lorenco Test (Pty) Ltd',
+  paye_reference_number: '7012345678',
+  sdl_reference_number: 'L012345678',
+  uif_reference_number: 'U012345678',
+  contact_person: 'A Admin',
+  contact_phone: '011 555 1234',
+  contact_email: 'payroll@example.co.za'
+};
+
+const EMPLOYEES = {
+  1: { id: 1, first_name: 'Thandi Grace', last_name: 'Mokoena', employee_number: 'E001',
+       id_number: '8503155005080', tax_number: '0123456782' },
+  2: { id: 2, first_name: 'Pieter', last_name: 'Botha', employee_number: 'E002',
+       id_number: '9207040120083', tax_number: '' },
+};
+
+const ITEM_CODES = itemCodeMap([
+  { item_name: 'Travel Allowance', irp5_code: '3701' },
+  { item_name: 'Pension Fund', irp5_code: '4001' },
+  { item_name: 'Basic Salary', irp5_code: '3601' },
+  { item_name: 'Staff Loan', irp5_code: null },
+]);
+
+// ─── Identity numbers ────────────────────────────────────────────────────────
+
+describe('SARS submissions — ID and tax number validation', () => {
+  test('TEST-PSU-01: SA ID numbers need 13 digits, a real birth date and a valid check digit', () => {
+    expect(validateIdNumber('850315 5005 080')).toBeNull();
+    expect(validateIdNumber('')).toBe('ID number is missing');
+    expect(validateIdNumber('85031550050')).toBe('ID number must be 13 digits');
+    expect(validateIdNumber('8513155005080')).toBe('ID number does not start with a valid date of birth');
+    expect(validateIdNumber('8503155005081')).toBe('ID number check digit is invalid');
+  });
+
+  test('TEST-PSU-02: tax numbers need 10 digits, a valid first digit and check digit', () => {
+    expect(validateTaxNumber('0123456782')).toBeNull();
+    expect(validateTaxNumber('9876543217')).toBeNull();
+    expect(validateTaxNumber('5123456782')).toBe('Income tax number must start with 0, 1, 2, 3 or 9');
+    expect(validateTaxNumber('0123456789')).toBe('Income tax number check digit is invalid');
+  });
+
+  test('TEST-PSU-03: date of birth from the ID number is never after the tax year', () => {
+    expect(dobFromIdNumber('8503155005080', 2026)).toBe('19850315');
+    expect(dobFromIdNumber('0501015005080', 2026)).toBe('20050101');
+  });
+});
+
+// ─── EMP201 ──────────────────────────────────────────────────────────────────
+
+describe('SARS submissions — EMP201', () => {
+  test('TEST-PSU-04: period totals include employer UIF and a PAYE-reference PRN', () => {
+    const emp201 = buildEmp201(
+      [snap(1, '2026-04', {}), snap(2, '2026-04', { gross: 8000, paye: 0, uif: 80, uif_employer: 80, sdl: 80 }),
+       snap(1, '2026-03', {})],
+      { periodKey: '2026-04', payeReference: '7012345678' }
+    );
+    expect(emp201).toEqual(expect.objectContaining({
+      payment_reference: '7012345678LC2604',
+      employee_count: 2,
+      gross_remuneration: 28000,
+      paye: 2500,
+      sdl: 280,
+      uif: 514.24,
+      eti_claimed: 0,
+      tax_payable: 3294.24
+    }));
+  });
+
+  test('TEST-PSU-05: ETI is set off against PAYE only, never beyond it', () => {
+    const emp201 = buildEmp201(
+      [snap(1, '2026-04', { paye: 300, eti: 1000 }), snap(2, '2026-04', { paye: 0, eti: 500 })],
+      { periodKey: '2026-04', payeReference: '7012345678' }
+    );
+    expect(emp201.eti_earned).toBe(1500);
+    expect(emp201.eti_claimed).toBe(300);
+    expect(emp201.eti_carried_forward).toBe(1200);
+    expect(emp201.tax_payable).toBe(1108.48);
+  });
+
+  test('TEST-PSU-06: ETI carried from earlier months of the reconciliation period is claimed first', () => {
+    const emp201 = buildEmp201(
+      [snap(1, '2026-04', { paye: 2500, eti: 1000 })],
+      { periodKey: '2026-04', payeReference: '7012345678', priorMonths: [{ period: '2026-03', eti: 2000, paye: 500 }] }
+    );
+    expect(emp201.eti_brought_forward).toBe(1500);
+    expect(emp201.eti_claimed).toBe(2500);
+    expect(emp201.eti_carried_forward).toBe(0);
+  });
+
+  test('TEST-PSU-07: older snapshots without uif_employer are matched 1:1; bad PAYE reference throws', () => {
+    const s = snap(1, '2026-04', { uif_employer: undefined });
+    expect(buildEmp201([s], { periodKey: '2026-04', payeReference: '7012345678' }).uif_employer).toBe(177.12);
+    expect(() => emp201PaymentReference('1234567890', '2026-04')).toThrow(/starting with 7/);
+  });
+
+  test('TEST-PSU-08: latestSnapshots keeps the newest per employee and period', () => {
+    const older = { ...snap(1, '2026-04', { paye: 1 }), created_at: '2026-04-20T00:00:00Z' };
+    const newer = snap(1, '2026-04', { paye: 2 });
+    expect(latestSnapshots([newer, older])).toEqual([newer]);
+  });
+});
+
+// ─── IRP5 source codes ───────────────────────────────────────────────────────
+
+describe('SARS submissions — IRP5 source codes', () => {
+  const inputs = {
+    regular_inputs: [
+      { description: 'Travel Allowance', amount: 3000, type: 'allowance' },
+      { description: 'Pension Fund', amount: 1500, type: 'deduction', tax_treatment: 'pre_tax' },
+      { description: 'Staff Loan', amount: 500, type: 'deduction' },
+    ],
+    currentInputs: [
+      { description: 'Bonus', amount: 10000, type: 'input', paye_projection_type: 'ONCE_OFF' },
+      { description: 'Meal voucher', amount: 250.75, type: 'input', is_taxable: false },
+    ]
+  };
+
+  const [cert] = aggregateCertificateCodes([
+    snap(1, '2026-03', { gross: 33250.75 }, inputs),
+    snap(1, '2026-04', { gross: 23000.6 }, { regular_inputs: inputs.regular_inputs }),
+  ], ITEM_CODES).map(finaliseCertificate);
+
+  test('TEST-PSU-09: mapped items use their code; the rest of gross is 3601', () => {
+    expect(cert.codes['3701']).toBe(6000);
+    expect(cert.codes['3605']).toBe(10000);
+    expect(cert.codes['3696']).toBe(250);
+    expect(cert.codes['3601']).toBe(40000);
+    expect(cert.codes['4001']).toBe(3000);
+  });
+
+  test('TEST-PSU-10: 3699 totals the taxable income codes; net-only unmapped deductions are left off', () => {
+    expect(cert.codes['3699']).toBe(56000);
+    expect(cert.codes['3697']).toBe(56000);
+    expect(cert.codes['3698']).toBe(0);
+    expect(Object.keys(cert.codes).filter(c => c.startsWith('40'))).toEqual(['4001']);
+  });
+
+  test('TEST-PSU-11: tax codes keep cents and 4149 adds PAYE, UIF and SDL', () => {
+    expect(cert.codes['4102']).toBe(5000);
+    expect(cert.codes['4141']).toBe(708.48);
+    expect(cert.codes['4142']).toBe(400);
+    expect(cert.codes['4149']).toBe(6108.48);
+    expect(cert.certificate_type).toBe('IRP5');
+    expect(cert.periods).toEqual(['2026-03', '2026-04']);
+  });
+
+  test('TEST-PSU-12: no PAYE deducted → IT3(a); unmapped pre-tax deductions are warned about', () => {
+    const [c] = aggregateCertificateCodes([
+      snap(2, '2026-03', { gross: 8000, paye: 0 }, {
+        regular_inputs: [{ description: 'Provident', amount: 400, type: 'deduction', tax_treatment: 'pre_tax' }]
+      })
+    ], ITEM_CODES).map(finaliseCertificate);
+    expect(c.certificate_type).toBe('IT3(a)');
+    expect(c.warnings).toEqual(['2026-03: pre-tax deduction "Provident" has no IRP5 deduction code (40xx)']);
+  });
+});
+
+// ─── Pre-export validation ───────────────────────────────────────────────────
+
+describe('SARS submissions — validateCertificates', () => {
+  const certs = aggregateCertificateCodes(
+    [snap(1, '2026-03', {}), snap(2, '2026-03', { gross: 8000, paye: 0 })], ITEM_CODES
+  ).map(finaliseCertificate);
+
+  test('TEST-PSU-13: valid employees pass; a missing tax number only warns on an IT3(a)', () => {
+    const { errors, warnings } = validateCertificates(certs, EMPLOYEES, COMPANY);
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([{ employee_id: 2, name: 'Pieter Botha', message: 'Income tax number is missing' }]);
+  });
+
+  test('TEST-PSU-14: bad ID numbers, missing tax numbers on IRP5s and employer references are errors', () => {
+    const { errors } = validateCertificates(certs,
+      { ...EMPLOYEES, 1: { ...EMPLOYEES[1], id_number: '8503155005081', tax_number: null } },
+      { ...COMPANY, paye_reference_number: '123', uif_reference_number: 'X1' });
+    expect(errors.map(e => e.message)).toEqual([
+      'PAYE reference number must be 10 digits starting with 7',
+      'UIF reference number must be U followed by 9 digits',
+      'ID number check digit is invalid',
+      'Income tax number is missing',
+    ]);
+  });
+
+  test('TEST-PSU-15: code totals that disagree with the snapshots are errors', () => {
+    const tampered = certs.map(c => (c.employee_id === 1
+      ? { ...c, codes: { ...c.codes, '3601': 15000, '3699': 15000, '4102': 2400 } }
+      : c));
+    const { errors } = validateCertificates(tampered, EMPLOYEES, COMPANY);
+    expect(errors.map(e => e.message)).toEqual([
+      'Income codes total 15000 does not match snapshot gross 20000.00',
+      'Code 4102 does not match PAYE on the snapshots',
+    ]);
+  });
+
+  test('TEST-PSU-16: income items larger than gross leave a negative 3601', () => {
+    const [c] = aggregateCertificateCodes([snap(1, '2026-03', { gross: 1000 }, {
+      regular_inputs: [{ description: 'Travel Allowance', amount: 3000, type: 'allowance' }]
+    })], ITEM_CODES).map(finaliseCertificate);
+    const { errors } = validateCertificates([c], EMPLOYEES, COMPANY);
+    expect(errors.map(e => e.message)).toContain('Code 3601 is negative — income items exceed gross');
+  });
+});
+
+// ─── e@syFile CSV ────────────────────────────────────────────────────────────
+
+describe('SARS submissions — buildEasyFileCsv', () => {
+  const certs = aggregateCertificateCodes(
+    [snap(2, '2026-03', { gross: 8000, paye: 0, uif: 80, uif_employer: 80, sdl: 80 }), snap(1, '2026-03', {}),
+     snap(1, '2026-04', {})], ITEM_CODES
+  ).map(finaliseCertificate);
+  const file = buildEasyFileCsv({ company: COMPANY, taxYear: '2026/2027', certificates: certs, employeesById: EMPLOYEES, testRun: true });
+  const records = file.content.trim().split('\r\n');
+
+  test('TEST-PSU-17: employer record carries references, TEST flag and tax year', () => {
+    expect(records[0]).toBe(
+      '2010,"Lorenco Test (Pty) Ltd",2015,"TEST",2020,"7012345678",2022,"L012345678",2024,"U012345678",' +
+      '2025,"A Admin",2026,"0115551234",2027,"payroll@example.co.za",2030,2027,2031,202702,9999'
+    );
+    expect(file.fileName).toBe('EMP501_7012345678_2027_TEST.csv');
+  });
+
+  test('TEST-PSU-18: one certificate record per employee with 30xx details and sorted source codes', () => {
+    expect(records).toHaveLength(4);
+    const first = records[1];
+    expect(first.startsWith('3010,"701234567820270000000000000001",3015,"IRP5",3020,"A",3025,2027,' +
+      '3030,"Mokoena",3040,"Thandi Grace",3050,"TG",3060,"8503155005080",3080,"19850315",3100,"0123456782",' +
+      '3160,"E001",3170,"20260301",3180,"20260430",3200,12,3210,2,')).toBe(true);
+    expect(first).toContain('3601,40000,3697,40000,3698,0,3699,40000,4102,5000,4141,708.48,4142,400,4149,6108.48,9999');
+    expect(records[2]).toContain('3015,"IT3(a)"');
+    expect(records[2]).toContain('3230,"02"');
+    expect(records[2]).not.toContain('3100,');
+  });
+
+  test('TEST-PSU-19: control record counts records and totals codes and amounts', () => {
+    const pairs = records.slice(0, 3).flatMap(r => {
+      const parts = r.split(',').slice(0, -1);
+      const out = [];
+      for (let i = 0; i < parts.length; i += 2) out.push([parts[i], parts[i + 1]]);
+      return out;
+    });
+    const codeSum = pairs.reduce((s, [c]) => s + parseInt(c, 10), 0);
+    const amountSum = pairs.filter(([, v]) => !v.startsWith('"')).reduce((s, [, v]) => s + parseFloat(v), 0);
+    expect(records[3]).toBe(`6010,4,6020,${codeSum},6030,${Number(amountSum.toFixed(2))},9999`);
+    expect(file.sha256).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
@@ -0,0 +1,393 @@
+'use strict';
+
+/**
+ * Employee Self-Service — Route Guards
+ * Drives the /api/payroll/self-service routes and the leave request / decision
+ * routes in attendance.js (requireCompany + requirePermission +
+ * requirePaytimeModule + handler) against a mocked Supabase client, to check
+ * that a login only ever reaches its own employee record and what is
+ * recorded.
+ *
+ * Scenarios covered:
+ *   TEST-SS-01  Emailing a payslip while no email transport is configured → 503, not success.
+ *   TEST-SS-02  A payslip that was not emailed is not audited as emailed.
+ *   TEST-SS-03  No email address on the employee record → 400.
+ *   TEST-SS-04  Admin logins cannot use employee endpoints, employee logins cannot verify bank changes → 403.
+ *   TEST-SS-05  A login linked to an employee of another company only → 404, nothing read for it.
+ *   TEST-SS-06  Only the employee's own finalized, unreversed payslip opens → 404 for any other.
+ *   TEST-SS-07  A bank change is stored pending against the own record, masked and audited; a second one → 409.
+ *   TEST-SS-08  Another employee's bank change cannot be withdrawn → 404; a reviewed one → 409; nothing written.
+ *   TEST-SS-09  Another company's bank change cannot be verified → 404, nothing written.
+ *   TEST-SS-10  Rejecting needs a note → 400; approving writes the company's primary bank row and is audited.
+ *   TEST-SS-11  Logins for another company's employee → 404, or an employee who has one → 409; no user created.
+ *   TEST-SS-12  A login that cannot be linked to the employee is deleted again → 500.
+ *   TEST-SS-13  A leave request is stored pending for the own record; one overlapping booked leave → 409.
+ *   TEST-SS-14  Leave decisions: another company's record → 404, decided → 409, out of scope → 403; nothing written.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+const mockFailWrite = { table: null, op: null, code: null };
+
+/** Rows are filtered by the eq / neq / in / is / lte / gte conditions the query applied. */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order', 'limit']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const filter = (op, test) => jest.fn((col, val) => {
+    mockFilters.push({ table, op, args: [col, val] });
+    conditions.push(r => test(r[col], val));
+    return chain;
+  });
+  chain.eq = filter('eq', (v, want) => String(v) === String(want));
+  chain.neq = filter('neq', (v, want) => String(v) !== String(want));
+  chain.in = filter('in', (v, want) => want.map(String).includes(String(v)));
+  chain.is = filter('is', (v, want) => (v === undefined ? null : v) === want);
+  chain.lte = filter('lte', (v, want) => String(v) <= String(want));
+  chain.gte = filter('gte', (v, want) => String(v) >= String(want));
+  for (const op of ['insert', 'update', 'delete']) {
+    chain[op] = jest.fn(payload => {
+      write = { table, op, payload };
+      mockWrites.push(write);
+      return chain;
+    });
+  }
+  const matching = () => (mockRows[table] || []).filter(r => conditions.every(c => c(r)));
+  const result = () => {
+    if (write) {
+      if (mockFailWrite.table === table && (!mockFailWrite.op || mockFailWrite.op === write.op)) {
+        const message = mockFailWrite.code === '23505' ? 'duplicate key value violates unique constraint' : 'deadlock detected';
+        return { data: null, error: { code: mockFailWrite.code, message } };
+      }
+      if (write.op === 'update') return { data: matching().map(r => ({ ...r, ...write.payload })), error: null };
+      if (write.op === 'delete') return { data: null, error: null };
+      return { data: { id: 81, ...write.payload }, error: null };
+    }
+    return { data: matching(), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+const { auditFromReq } = require('../middleware/audit');
+const SelfServiceService = require('../modules/payroll/services/SelfServiceService');
+const LeaveAccrualService = require('../modules/payroll/services/LeaveAccrualService');
+const selfServiceRouter = require('../modules/payroll/routes/self-service');
+const attendanceRouter = require('../modules/payroll/routes/attendance');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(router, method, path, { role = 'employee', userId = 77, body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const req = {
+    body, params, query, companyId, user: { userId, role, email: 'thandi@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    setHeader(name, value) { this.headers[name] = value; },
+    send(payload) { this.body = payload; return this; },
+  };
+  const route = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...router.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const NEW_BANK = { bank_name: 'Capitec', account_holder: 'T Mokoena', account_number: '1234567890', branch_code: '470010', account_type: 'savings' };
+
+const emailPayslip = (opts = {}) => callRoute(selfServiceRouter, 'post', '/payslips/:periodKey/email', { params: { periodKey: '2026-09' }, ...opts });
+const payslipPdf = periodKey => callRoute(selfServiceRouter, 'get', '/payslips/:periodKey/pdf', { params: { periodKey } });
+const review = (id, verb, opts = {}) => callRoute(selfServiceRouter, 'post', `/bank-changes/:id/${verb}`,
+  { role: 'business_owner', userId: 7, params: { id: String(id) }, ...opts });
+const grant = (body, opts = {}) => callRoute(selfServiceRouter, 'post', '/access',
+  { role: 'business_owner', userId: 7, body: { username: 'thandi.m', password: 'correct-horse-9', ...body }, ...opts });
+const decide = (id, body, opts = {}) => callRoute(attendanceRouter, 'put', '/leave/:id/decision',
+  { role: 'leave_admin', userId: 7, params: { id: String(id) }, body, ...opts });
+const writesTo = table => mockWrites.filter(w => w.table === table);
+const filtersOn = (table, op = 'eq') => mockFilters.filter(f => f.table === table && f.op === op).map(f => f.args);
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const EMPLOYEES = [
+  { id: 14, company_id: 42, user_id: 77, classification: 'public', first_name: 'Thandi', last_name: 'Mokoena',
+    email: 'thandi@example.co.za', id_number: '9001015800087', bank_name: 'FNB', account_number: '62000000001', branch_code: '250655',
+    employee_bank_details: [] },
+  { id: 15, company_id: 42, user_id: null, classification: 'public', first_name: 'Pieter', last_name: 'Botha', email: null },
+  { id: 16, company_id: 42, user_id: 78, classification: 'public', first_name: 'Anele', last_name: 'Dube' },
+  { id: 90, company_id: 77, user_id: 79, classification: 'public', first_name: 'Other', last_name: 'Person' },
+];
+
+const BANK_CHANGES = [
+  { id: 21, company_id: 42, employee_id: 14, ...NEW_BANK, status: 'pending', previous: { bank_name: 'FNB' },
+    employee: { id: 14, classification: 'public' } },
+  { id: 22, company_id: 42, employee_id: 16, ...NEW_BANK, status: 'pending', previous: { bank_name: 'ABSA' },
+    employee: { id: 16, classification: 'public' } },
+  { id: 23, company_id: 42, employee_id: 14, ...NEW_BANK, status: 'approved', previous: { bank_name: 'Nedbank' },
+    employee: { id: 14, classification: 'public' } },
+  { id: 29, company_id: 77, employee_id: 90, ...NEW_BANK, status: 'pending', previous: { bank_name: 'FNB' },
+    employee: { id: 90, classification: 'public' } },
+];
+
+describe('Employee Self-Service — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    Object.assign(mockFailWrite, { table: null, op: null, code: null });
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.employees = EMPLOYEES.map(e => ({ ...e }));
+    mockRows.employee_bank_change_requests = BANK_CHANGES.map(c => ({ ...c }));
+    mockRows.employee_bank_details = [{ id: 301, company_id: 42, employee_id: 16, is_primary: true }];
+    mockRows.payroll_snapshots = [
+      { id: 514, company_id: 42, employee_id: 16, period_key: '2026-08', is_locked: true, status: 'finalized' },
+      { id: 515, company_id: 42, employee_id: 14, period_key: '2026-08', is_locked: true, status: 'reversed' },
+      { id: 516, company_id: 42, employee_id: 14, period_key: '2026-08', is_locked: false, status: 'draft' },
+    ];
+    mockRows.users = [{ id: 5, username: 'taken.name' }];
+    mockRows.leave_records = [
+      { id: 41, company_id: 42, employee_id: 14, status: 'approved', start_date: '2026-12-21', end_date: '2026-12-24' },
+      { id: 42, company_id: 42, employee_id: 16, status: 'pending', start_date: '2026-11-02', end_date: '2026-11-03',
+        employees: { id: 16, classification: 'public' } },
+      { id: 43, company_id: 42, employee_id: 16, status: 'rejected', start_date: '2026-10-05', end_date: '2026-10-05',
+        employees: { id: 16, classification: 'public' } },
+      { id: 49, company_id: 77, employee_id: 90, status: 'pending', start_date: '2026-11-02', end_date: '2026-11-02',
+        employees: { id: 90, classification: 'public' } },
+    ];
+    mockRows.paytime_user_config = [];
+    mockRows.paytime_employee_access = [];
+    jest.spyOn(SelfServiceService, 'payslipPdf').mockResolvedValue({ fileName: 'Payslip_2026-09.pdf', pdf: Buffer.from('%PDF') });
+  });
+
+  test('TEST-SS-01: emailing a payslip while no email transport is configured → 503, not success', async () => {
+    const res = await emailPayslip();
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body.success).toBe(false);
+    expect(res.body.error).toMatch(/not configured/);
+  });
+
+  test('TEST-SS-02: a payslip that was not emailed is not audited as emailed', async () => {
+    await emailPayslip();
+
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-SS-03: no email address on the employee record → 400', async () => {
+    mockRows.employees.find(e => e.id === 14).email = null;
+
+    const res = await emailPayslip();
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('An email address is required on the employee record');
+  });
+
+  test('TEST-SS-04: admin logins cannot use employee endpoints, employee logins cannot verify bank changes → 403', async () => {
+    const admin = await callRoute(selfServiceRouter, 'get', '/payslips', { role: 'business_owner', userId: 7 });
+    const request = await callRoute(selfServiceRouter, 'post', '/bank-details', { role: 'payroll_admin', userId: 7, body: NEW_BANK });
+    const approve = await review(22, 'approve', { role: 'employee', userId: 77 });
+    const leave = await decide(42, { decision: 'approve' }, { role: 'employee', userId: 77 });
+
+    expect([admin, request, approve, leave].map(r => r.statusCode)).toEqual([403, 403, 403, 403]);
+    expect(admin.body.required).toBe('SELF_SERVICE.VIEW');
+    expect(request.body.required).toBe('SELF_SERVICE.REQUEST');
+    expect(approve.body.required).toBe('PAYROLL.APPROVE');
+    expect(leave.body.required).toBe('LEAVE.APPROVE');
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-SS-05: a login linked to an employee of another company only → 404, nothing read for it', async () => {
+    const res = await callRoute(selfServiceRouter, 'get', '/payslips', { userId: 79 });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toEqual({ success: false, error: 'Employee record not found for this login' });
+    expect(filtersOn('employees')).toEqual([['company_id', 42], ['user_id', 79]]);
+    expect(filtersOn('payroll_snapshots')).toEqual([]);
+  });
+
+  test('TEST-SS-06: only the employee\'s own finalized, unreversed payslip opens → 404 for any other', async () => {
+    SelfServiceService.payslipPdf.mockRestore();
+
+    const res = await payslipPdf('2026-08');
+    const bad = await payslipPdf('2026-13');
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Finalized payslip for 2026-08 not found');
+    expect(filtersOn('payroll_snapshots')).toEqual([
+      ['company_id', 42], ['employee_id', 14], ['period_key', '2026-08'], ['is_locked', true],
+    ]);
+    expect(filtersOn('payroll_snapshots', 'neq')).toEqual([['status', 'reversed']]);
+    expect(bad.statusCode).toBe(400);
+    expect(bad.body.error).toBe('period_key must be YYYY-MM');
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-SS-07: a bank change is stored pending against the own record, masked and audited; a second one → 409', async () => {
+    const res = await callRoute(selfServiceRouter, 'post', '/bank-details', { body: { ...NEW_BANK, employee_id: 16 } });
+
+    expect(res.statusCode).toBe(201);
+    const [{ payload }] = writesTo('employee_bank_change_requests');
+    expect(payload).toMatchObject({ company_id: 42, employee_id: 14, ...NEW_BANK, status: 'pending', requested_by: 77,
+      previous: expect.objectContaining({ bank_name: 'FNB', account_number: '62000000001' }) });
+    expect(res.body.request.account_number).toBe('••••7890');
+    expect(res.body.request.previous).toBeUndefined();
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'SELF_SERVICE_BANK_CHANGE_REQUEST', 'employee_bank_change_requests', 81,
+      { metadata: { employee_id: 14, bank_name: 'Capitec' } });
+
+    Object.assign(mockFailWrite, { table: 'employee_bank_change_requests', code: '23505' });
+    const again = await callRoute(selfServiceRouter, 'post', '/bank-details', { body: NEW_BANK });
+
+    expect(again.statusCode).toBe(409);
+    expect(again.body.error).toBe('A bank detail change is already pending verification — withdraw it first');
+  });
+
+  test('TEST-SS-08: another employee\'s bank change cannot be withdrawn → 404; a reviewed one → 409; nothing written', async () => {
+    const withdraw = id => callRoute(selfServiceRouter, 'post', '/bank-details/requests/:id/withdraw', { params: { id: String(id) } });
+
+    const other = await withdraw(22);
+    const reviewed = await withdraw(23);
+
+    expect(other.statusCode).toBe(404);
+    expect(other.body.error).toBe('Bank detail change 22 not found');
+    expect(reviewed.statusCode).toBe(409);
+    expect(reviewed.body.error).toBe('Bank detail change 23 is already approved');
+    expect(mockWrites).toEqual([]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-SS-09: another company\'s bank change cannot be verified → 404, nothing written', async () => {
+    const res = await review(29, 'approve', { body: { note: 'Confirmed' } });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Bank detail change 29 not found');
+    expect(filtersOn('employee_bank_change_requests')).toEqual([['company_id', 42], ['id', 29]]);
+    expect(mockWrites).toEqual([]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-SS-10: rejecting needs a note → 400; approving writes the company\'s primary bank row and is audited', async () => {
+    const reject = await review(22, 'reject');
+    expect(reject.statusCode).toBe(400);
+    expect(reject.body.error).toBe('A note is required when rejecting a bank detail change');
+    expect(mockWrites).toEqual([]);
+
+    const res = await review(22, 'approve', { body: { note: 'Confirmed with bank letter' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(filtersOn('employee_bank_details')).toContainEqual(['company_id', 42]);
+    expect(writesTo('employee_bank_details')).toEqual([{ table: 'employee_bank_details', op: 'update',
+      payload: expect.objectContaining({ company_id: 42, employee_id: 16, account_number: '1234567890', is_primary: true }) }]);
+    expect(writesTo('employees')[0].payload).toMatchObject({ bank_name: 'Capitec', account_holder: 'T Mokoena', branch_code: '470010' });
+    expect(writesTo('employee_bank_change_requests')[0].payload).toMatchObject({ status: 'approved', reviewed_by: 7,
+      review_note: 'Confirmed with bank letter' });
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_BANK_CHANGE_APPROVE', 'employee_bank_change_requests', 22,
+      { metadata: { employee_id: 16, previous: { bank_name: 'ABSA' }, bank_name: 'Capitec', note: 'Confirmed with bank letter' } });
+  });
+
+  test('TEST-SS-11: logins for another company\'s employee → 404, or an employee who has one → 409; no user created', async () => {
+    const other = await grant({ employee_id: 90 });
+    const linked = await grant({ employee_id: 16 });
+    const taken = await grant({ employee_id: 15, username: 'Taken.Name' });
+
+    expect(other.statusCode).toBe(404);
+    expect(other.body.error).toBe('Employee 90 not found');
+    expect(linked.statusCode).toBe(409);
+    expect(linked.body.error).toBe('This employee already has a self-service login');
+    expect(taken.statusCode).toBe(409);
+    expect(taken.body.error).toBe('Username taken.name is already taken');
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-SS-12: a login that cannot be linked to the employee is deleted again → 500', async () => {
+    Object.assign(mockFailWrite, { table: 'employees', op: 'update' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await grant({ employee_id: 15 });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toBe('Failed to link login to employee: deadlock detected');
+    expect(writesTo('users').map(w => w.op)).toEqual(['insert', 'delete']);
+    expect(writesTo('users')[0].payload).toMatchObject({ username: 'thandi.m', role: 'employee', is_active: true });
+    expect(filtersOn('users').pop()).toEqual(['id', 81]);
+    expect(writesTo('user_company_access')[0].payload).toMatchObject({ user_id: 81, company_id: 42, role: 'employee',
+      apps_access: ['payroll'] });
+    expect(filtersOn('employees', 'is')).toEqual([['user_id', null]]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-SS-13: a leave request is stored pending for the own record; one overlapping booked leave → 409', async () => {
+    const request = body => callRoute(attendanceRouter, 'post', '/leave/request', { body });
+
+    const clash = await request({ leave_type: 'annual', start_date: '2026-12-23', end_date: '2026-12-29', employee_id: 16 });
+    expect(clash.statusCode).toBe(409);
+    expect(clash.body.error).toBe('Leave from 2026-12-21 to 2026-12-24 is already approved for these dates');
+    expect(mockWrites).toEqual([]);
+
+    const res = await request({ leave_type: 'annual', start_date: '2026-11-16', end_date: '2026-11-20', employee_id: 16 });
+
+    expect(res.statusCode).toBe(201);
+    expect(writesTo('leave_records')[0].payload).toMatchObject({ company_id: 42, employee_id: 14, leave_type: 'annual', days_taken: 5,
+      status: 'pending', source: 'self_service', requested_by: 77 });
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'LEAVE_REQUEST', 'leave_records', 81, expect.objectContaining({
+      metadata: expect.objectContaining({ employee_id: 14, days_taken: 5 }) }));
+  });
+
+  test('TEST-SS-14: leave decisions: another company\'s record → 404, decided → 409, out of scope → 403; nothing written', async () => {
+    jest.spyOn(LeaveAccrualService, 'recalculateEmployee');
+    const other = await decide(49, { decision: 'approve' });
+    const decided = await decide(43, { decision: 'approve' });
+
+    mockRows.paytime_user_config = [{ user_id: 7, company_id: 42, modules: ['leave'], employee_scope: 'selected', can_view_confidential: true }];
+    mockRows.paytime_employee_access = [{ user_id: 7, company_id: 42, employee_id: 14 }];
+    const hidden = await decide(42, { decision: 'approve' });
+
+    expect(other.statusCode).toBe(404);
+    expect(other.body.error).toBe('Leave record not found');
+    expect(decided.statusCode).toBe(409);
+    expect(decided.body.error).toBe('Leave request is already rejected');
+    expect(hidden.statusCode).toBe(403);
+    expect(hidden.body.error).toBe('Access denied — employee not in your visible scope');
+    expect(mockWrites).toEqual([]);
+    expect(LeaveAccrualService.recalculateEmployee).not.toHaveBeenCalled();
+  });
+});
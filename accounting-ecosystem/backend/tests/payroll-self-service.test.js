@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * Employee Self-Service — Role Permissions, Payslip Lines, Leave Requests, Bank Changes and PDFs
+ * Unit tests for the pure helpers in SelfServiceService.js and selfServicePdf.js.
+ * Route-level guards are covered in payroll-self-service-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-SSU-01  An employee login holds self-service permissions and nothing else.
+ *   TEST-SSU-02  Earnings less deductions equal the snapshot net.
+ *   TEST-SSU-03  Loan and garnishee orders are itemised.
+ *   TEST-SSU-04  A severance benefit is shown with its directive tax.
+ *   TEST-SSU-05  Days default to the weekdays in the range.
+ *   TEST-SSU-06  Invalid requests are rejected.
+ *   TEST-SSU-07  A rejection needs a note.
+ *   TEST-SSU-08  Bank details follow the EFT file rules.
+ *   TEST-SSU-09  The profile masks the bank account.
+ *   TEST-SSU-10  PDFs open with the ID number, else the tax number.
+ *   TEST-SSU-11  A tax year runs March to February.
+ *   TEST-SSU-12  The payslip and certificate are encrypted.
+ */
+
+const PayrollEngine = require('../core/payroll-engine');
+const { hasPermission } = require('../config/permissions');
+const {
+  pdfPassword,
+  maskAccount,
+  weekdaysBetween,
+  validateLeaveRequest,
+  leaveDecision,
+  validateBankChange,
+  taxYearPeriods,
+  payslipLines,
+  profileFor
+} = require('../modules/payroll/services/SelfServiceService');
+const { renderPayslip, renderCertificate } = require('../modules/payroll/services/selfServicePdf');
+
+const snapshot = (payrollData, options = {}, currentInputs = []) => ({
+  period_key: '2026-04',
+  calculation_input: { ...payrollData, currentInputs },
+  calculation_output: PayrollEngine.calculateFromData(
+    { regular_inputs: [], ...payrollData }, currentInputs, [], [], [], { age: 35, ...options }, '2026-04', null
+  )
+});
+
+// ─── Employee role ───────────────────────────────────────────────────────────
+
+describe('Self-service — employee role permissions', () => {
+  test('TEST-SSU-01: an employee login holds self-service permissions and nothing else', () => {
+    expect(hasPermission('employee', 'SELF_SERVICE', 'VIEW')).toBe(true);
+    expect(hasPermission('employee', 'SELF_SERVICE', 'REQUEST')).toBe(true);
+    expect(hasPermission('employee', 'PAYROLL', 'VIEW')).toBe(false);
+    expect(hasPermission('employee', 'LEAVE', 'APPROVE')).toBe(false);
+    expect(hasPermission('employee', 'ATTENDANCE', 'RECORD')).toBe(false);
+    expect(hasPermission('payroll_admin', 'SELF_SERVICE', 'VIEW')).toBe(false);
+  });
+});
+
+// ─── Payslip lines ───────────────────────────────────────────────────────────
+
+describe('Self-service — payslipLines', () => {
+  test('TEST-SSU-02: earnings less deductions equal the snapshot net', () => {
+    const snap = snapshot({
+      basic_salary: 25000,
+      regular_inputs: [
+        { description: 'Travel allowance', amount: 2000, type: 'allowance' },
+        { description: 'Pension', amount: 1500, type: 'deduction', tax_treatment: 'pre_tax' },
+        { description: 'Medical aid', amount: 1200, type: 'deduction' }
+      ]
+    });
+    const p = payslipLines(snap);
+    expect(p.earnings[0]).toEqual({ description: 'Basic salary', amount: 25000 });
+    expect(p.earnings.find(l => l.description === 'Travel allowance').amount).toBe(2000);
+    expect(p.deductions.map(l => l.description)).toEqual(['PAYE', 'UIF', 'Pension', 'Medical aid']);
+    expect(p.totals.earnings).toBe(snap.calculation_output.gross);
+    expect(PayrollEngine.r2(p.totals.earnings - p.totals.deductions)).toBe(p.totals.net);
+    expect(p.employer.map(l => l.description)).toEqual(['UIF (employer)', 'SDL']);
+  });
+
+  test('TEST-SSU-03: loan and garnishee orders are itemised', () => {
+    const snap = snapshot({ basic_salary: 25000 }, {
+      deductionOrders: [
+        { id: 1, type: 'loan', description: 'Staff loan — laptop', balance: 5000, instalment: 1000 },
+        { id: 2, type: 'garnishee', balance: 3000, instalment: 500, net_pay_floor: 0 }
+      ]
+    });
+    const p = payslipLines(snap);
+    expect(p.deductions.find(l => l.description === 'Staff loan — laptop').amount).toBe(1000);
+    expect(p.deductions.find(l => l.description === 'Garnishee order').amount).toBe(500);
+    expect(p.deductions.some(l => l.description === 'Other deductions')).toBe(false);
+    expect(PayrollEngine.r2(p.totals.earnings - p.totals.deductions)).toBe(p.totals.net);
+  });
+
+  test('TEST-SSU-04: a severance benefit is shown with its directive tax', () => {
+    const snap = snapshot({ basic_salary: 25000 });
+    snap.calculation_output = {
+      ...snap.calculation_output,
+      severance: { amount: 60000, tax: 1500 },
+      net: PayrollEngine.r2(snap.calculation_output.net + 58500)
+    };
+    const p = payslipLines(snap);
+    expect(p.earnings.find(l => l.description === 'Severance benefit').amount).toBe(60000);
+    expect(p.deductions.find(l => /severance/.test(l.description)).amount).toBe(1500);
+    expect(PayrollEngine.r2(p.totals.earnings - p.totals.deductions)).toBe(p.totals.net);
+  });
+});
+
+// ─── Leave requests ──────────────────────────────────────────────────────────
+
+describe('Self-service — validateLeaveRequest / leaveDecision', () => {
+  test('TEST-SSU-05: days default to the weekdays in the range', () => {
+    // Fri 3 – Tue 7 April 2026
+    expect(weekdaysBetween('2026-04-03', '2026-04-07')).toBe(3);
+    expect(validateLeaveRequest({ leave_type: 'Annual', start_date: '2026-04-03', end_date: '2026-04-07', reason: ' Trip ' }))
+      .toEqual({ leave_type: 'annual', start_date: '2026-04-03', end_date: '2026-04-07', days_taken: 3, reason: 'Trip' });
+    expect(validateLeaveRequest({ leave_type: 'sick', start_date: '2026-04-06', end_date: '2026-04-06', days_taken: 0.5 }).days_taken)
+      .toBe(0.5);
+  });
+
+  test('TEST-SSU-06: invalid requests are rejected', () => {
+    expect(() => validateLeaveRequest({ leave_type: 'holiday', start_date: '2026-04-06', end_date: '2026-04-06' }))
+      .toThrow(/leave_type must be one of/);
+    expect(() => validateLeaveRequest({ leave_type: 'annual', start_date: '2026-04-07', end_date: '2026-04-06' }))
+      .toThrow('end_date must be on or after start_date');
+    expect(() => validateLeaveRequest({ leave_type: 'annual', start_date: '2026-04-04', end_date: '2026-04-05' }))
+      .toThrow(/no weekdays/);
+    expect(() => validateLeaveRequest({ leave_type: 'annual', start_date: '2026-04-06', end_date: '2026-04-06', days_taken: 0.3 }))
+      .toThrow(/whole or half days/);
+  });
+
+  test('TEST-SSU-07: a rejection needs a note', () => {
+    expect(leaveDecision({ decision: 'approve' })).toEqual({ status: 'approved', note: null });
+    expect(() => leaveDecision({ decision: 'reject' })).toThrow('A note is required when rejecting leave');
+    expect(leaveDecision({ decision: 'reject', note: 'Year-end shutdown' })).toEqual({ status: 'rejected', note: 'Year-end shutdown' });
+    expect(() => leaveDecision({ decision: 'maybe' })).toThrow(/decision must be one of/);
+  });
+});
+
+// ─── Bank details, passwords and tax years ───────────────────────────────────
+
+describe('Self-service — bank details, PDF passwords and tax years', () => {
+  test('TEST-SSU-08: bank details follow the EFT file rules', () => {
+    expect(validateBankChange({
+      bank_name: ' FNB ', account_holder: 'T Nkosi', account_number: '6234 5678 901', branch_code: '250 655', account_type: 'Savings'
+    })).toEqual({ bank_name: 'FNB', account_holder: 'T Nkosi', account_number: '62345678901', branch_code: '250655', account_type: 'savings' });
+    expect(() => validateBankChange({ bank_name: 'FNB', account_holder: 'T', account_number: '12', branch_code: '250655' }))
+      .toThrow('account_number must be 5 to 13 digits');
+    expect(() => validateBankChange({ bank_name: 'FNB', account_holder: 'T', account_number: '62345678901', branch_code: '2506' }))
+      .toThrow('branch_code must be 6 digits');
+  });
+
+  test('TEST-SSU-09: the profile masks the bank account', () => {
+    expect(maskAccount('62345678901')).toBe('••••8901');
+    const profile = profileFor({
+      id: 4, first_name: 'Thandi', last_name: 'Nkosi', account_holder: 'T Nkosi', account_number: '111111',
+      employee_bank_details: [{ is_primary: true, bank_name: 'FNB', account_number: '62345678901', account_type: 'current' }]
+    });
+    expect(profile.bank).toEqual({ bank_name: 'FNB', account_holder: 'T Nkosi', account_number: '••••8901', account_type: 'current' });
+  });
+
+  test('TEST-SSU-10: PDFs open with the ID number, else the tax number', () => {
+    expect(pdfPassword({ id_number: '8001015009 087', tax_number: '0123456789' })).toBe('8001015009087');
+    expect(pdfPassword({ tax_number: '0123456789' })).toBe('0123456789');
+    expect(() => pdfPassword({})).toThrow(/ID number or tax number is required/);
+  });
+
+  test('TEST-SSU-11: a tax year runs March to February', () => {
+    const periods = taxYearPeriods('2025/2026');
+    expect(periods).toHaveLength(12);
+    expect(periods[0]).toBe('2025-03');
+    expect(periods[11]).toBe('2026-02');
+    expect(() => taxYearPeriods('2025/2027')).toThrow(/taxYear must be YYYY\/YYYY/);
+  });
+});
+
+// ─── Password-protected PDFs ─────────────────────────────────────────────────
+
+describe('Self-service — password-protected PDFs', () => {
+  const company = { company_name: 'Acme (Pty) Ltd', paye_reference_number: '7000000000' };
+  const employee = { id: 4, first_name: 'Thandi', last_name: 'Nkosi', id_number: '8001015009087', employee_code: 'E004' };
+
+  test('TEST-SSU-12: the payslip and certificate are encrypted', async () => {
+    const payslip = payslipLines(snapshot({ basic_salary: 25000 }));
+    const slip = await renderPayslip({ company, employee, payslip, password: pdfPassword(employee) });
+    expect(slip.slice(0, 5).toString()).toBe('%PDF-');
+    expect(slip.toString('latin1')).toMatch(/\/Encrypt/);
+
+    const cert = await renderCertificate({
+      company, employee, taxYear: '2025/2026', password: pdfPassword(employee),
+      certificate: { certificate_type: 'IRP5', periods: ['2025-03'], codes: { 3601: 25000, 3699: 25000, 4102: 3500 } }
+    });
+    expect(cert.toString('latin1')).toMatch(/\/Encrypt/);
+  });
+});
@@ -0,0 +1,307 @@
+'use strict';
+
+/**
+ * Terminations — Route Guards
+ * Drives the /api/payroll/terminations routes (requireCompany +
+ * requirePermission + requirePaytimeModule + handler) and the run reversal
+ * hook in TerminationService against a mocked Supabase client, with the
+ * payroll calculation and run services stubbed.
+ *
+ * Scenarios covered:
+ *   TEST-PTM-01  Payroll admin can read the reason codes but cannot process a termination → 403.
+ *   TEST-PTM-02  Another company's employee → 404, nothing calculated.
+ *   TEST-PTM-03  Unknown UIF reason code → 400, nothing calculated or written.
+ *   TEST-PTM-04  An employee with a processed termination → 409, no second final payslip.
+ *   TEST-PTM-05  A finalized payslip for the month → 409, no run created.
+ *   TEST-PTM-06  Processing finalizes the final payslip and records the termination, documents and inactive employee for the company.
+ *   TEST-PTM-07  Another company's termination → 404.
+ *   TEST-PTM-08  A stored document that no longer matches its SHA-256 → 409, nothing sent or audited.
+ *   TEST-PTM-09  A document download is served with its SHA-256 and audited.
+ *   TEST-PTM-10  Reversing the final run reverses only the company's finalized termination; a missing table means none.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+const mockFailWrite = { table: null, code: null };
+
+/** Rows are filtered by the eq conditions the query applied. */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  chain.eq = jest.fn((col, val) => {
+    mockFilters.push({ table, op: 'eq', args: [col, val] });
+    conditions.push(r => String(r[col]) === String(val));
+    return chain;
+  });
+  for (const op of ['insert', 'update', 'delete']) {
+    chain[op] = jest.fn(payload => {
+      write = { table, op, payload };
+      mockWrites.push(write);
+      return chain;
+    });
+  }
+  const matching = () => (mockRows[table] || []).filter(r => conditions.every(c => c(r)));
+  const result = () => {
+    if (write) {
+      if (mockFailWrite.table === table) return { data: null, error: { code: mockFailWrite.code, message: 'deadlock detected' } };
+      if (write.op === 'update') return { data: matching().map(r => ({ ...r, ...write.payload })), error: null };
+      if (Array.isArray(write.payload)) return { data: write.payload.map((p, i) => ({ id: 91 + i, ...p })), error: null };
+      return { data: { id: 81, ...write.payload }, error: null };
+    }
+    return { data: matching(), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+const { supabase } = require('../config/database');
+const { auditFromReq } = require('../middleware/audit');
+const TerminationService = require('../modules/payroll/services/TerminationService');
+const LeaveAccrualService = require('../modules/payroll/services/LeaveAccrualService');
+const PayrollDataService = require('../modules/payroll/services/PayrollDataService');
+const PayrollCalculationService = require('../modules/payroll/services/PayrollCalculationService');
+const PayrollHistoryService = require('../modules/payroll/services/PayrollHistoryService');
+const DeductionOrderService = require('../modules/payroll/services/DeductionOrderService');
+const terminationRouter = require('../modules/payroll/routes/terminations');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(method, path, { role = 'business_owner', body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const req = {
+    body, params, query, companyId, user: { userId: 7, role, email: 'payroll@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    setHeader(name, value) { this.headers[name] = value; },
+    send(payload) { this.body = payload; return this; },
+  };
+  const route = terminationRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...terminationRouter.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const RETRENCHMENT = { employee_id: 14, termination_date: '2026-09-30', reason_code: '11', notice_worked: false };
+
+const processTermination = (opts = {}) => callRoute('post', '/', { body: { ...RETRENCHMENT }, ...opts });
+const download = (id, opts = {}) => callRoute('get', '/documents/:id/download', { params: { id: String(id) }, ...opts });
+const writesTo = table => mockWrites.filter(w => w.table === table);
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const EMPLOYEES = [
+  { id: 14, company_id: 42, classification: 'public', first_name: 'Thandi', last_name: 'Nkosi', id_number: '8503155005080',
+    hire_date: '2021-03-01', position: 'Clerk', is_active: true },
+  { id: 90, company_id: 77, classification: 'public', first_name: 'Other', last_name: 'Person', hire_date: '2020-01-01', is_active: true },
+];
+
+const PDF = Buffer.from('%PDF-1.4 certificate of service');
+
+const CALCULATION = { gross: 52000, paye: 9800, uif: 177.12, sdl: 520, net: 42022.88, eti: 0 };
+
+describe('Terminations — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    Object.assign(mockFailWrite, { table: null, code: null });
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.employees = EMPLOYEES.map(e => ({ ...e }));
+    mockRows.companies = [{ id: 42, company_name: 'Karoo Traders (Pty) Ltd', uif_reference_number: 'U123456789' }];
+    mockRows.employee_terminations = [
+      { id: 55, company_id: 77, employee_id: 90, termination_date: '2026-08-31', payroll_run_id: 9, status: 'finalized' },
+    ];
+    mockRows.employee_termination_documents = [
+      { id: 66, company_id: 77, termination_id: 55, document_type: 'ui19', file_name: 'UI19.pdf', mime_type: 'application/pdf',
+        content_base64: PDF.toString('base64'), sha256: TerminationService.documentHash(PDF) },
+    ];
+
+    jest.spyOn(LeaveAccrualService, 'annualBalanceAt').mockResolvedValue({ balance: 6, annual_entitlement: 15 });
+    jest.spyOn(PayrollDataService, 'fetchCalculationInputs').mockResolvedValue({
+      basic_salary: 26000, hours_per_day: 8, period_end_date: '2026-09-30', currentInputs: [], employeeOptions: {},
+    });
+    jest.spyOn(PayrollDataService, 'fetchPeriod').mockResolvedValue({ id: 900, period_key: '2026-09' });
+    jest.spyOn(PayrollCalculationService, 'calculate').mockResolvedValue(CALCULATION);
+    jest.spyOn(PayrollCalculationService, 'validateOutput').mockReturnValue(true);
+    jest.spyOn(PayrollHistoryService, 'getSnapshot').mockResolvedValue(null);
+    jest.spyOn(PayrollHistoryService, 'createPayrollRun').mockResolvedValue({ id: 12 });
+    jest.spyOn(PayrollHistoryService, 'prepareSnapshot').mockReturnValue({});
+    jest.spyOn(PayrollHistoryService, 'saveSnapshot').mockResolvedValue({ id: 601 });
+    jest.spyOn(PayrollHistoryService, 'updatePayrollRunTotals').mockResolvedValue(undefined);
+    jest.spyOn(PayrollHistoryService, 'lockSnapshotsForPeriod').mockResolvedValue(1);
+    jest.spyOn(PayrollHistoryService, 'finalizePayrollRun').mockResolvedValue(undefined);
+    jest.spyOn(DeductionOrderService, 'postRun').mockResolvedValue([]);
+  });
+
+  test('TEST-PTM-01: payroll admin can read the reason codes but cannot process a termination → 403', async () => {
+    const reasons = await callRoute('get', '/reasons', { role: 'payroll_admin' });
+    const res = await processTermination({ role: 'payroll_admin' });
+
+    expect(reasons.statusCode).toBe(200);
+    expect(reasons.body.reasons).toContainEqual({ code: '11', label: expect.any(String) });
+    expect(res.statusCode).toBe(403);
+    expect(res.body.required).toBe('PAYROLL.APPROVE');
+    expect(PayrollHistoryService.createPayrollRun).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PTM-02: another company\'s employee → 404, nothing calculated', async () => {
+    const res = await processTermination({ body: { ...RETRENCHMENT, employee_id: 90 } });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Employee 90 not found');
+    expect(mockFilters).toContainEqual({ table: 'employees', op: 'eq', args: ['company_id', 42] });
+    expect(PayrollCalculationService.calculate).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PTM-03: unknown UIF reason code → 400, nothing calculated or written', async () => {
+    const res = await processTermination({ body: { ...RETRENCHMENT, reason_code: '99' } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/^reason_code must be one of: /);
+    expect(PayrollCalculationService.calculate).not.toHaveBeenCalled();
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PTM-04: an employee with a processed termination → 409, no second final payslip', async () => {
+    mockRows.employee_terminations.push({ id: 56, company_id: 42, employee_id: 14, termination_date: '2026-08-31', status: 'finalized' });
+
+    const res = await processTermination();
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('Employee 14 already has a processed termination (2026-08-31) — reverse its payroll run first');
+    expect(mockFilters.filter(f => f.table === 'employee_terminations').map(f => f.args)).toEqual([
+      ['company_id', 42], ['employee_id', 14], ['status', 'finalized'],
+    ]);
+    expect(PayrollHistoryService.createPayrollRun).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PTM-05: a finalized payslip for the month → 409, no run created', async () => {
+    PayrollHistoryService.getSnapshot.mockResolvedValue({ id: 590, is_locked: true });
+
+    const res = await processTermination();
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('The 2026-09 payslip is already finalized — reverse that run before processing the termination');
+    expect(PayrollHistoryService.getSnapshot).toHaveBeenCalledWith(supabase, 42, 14, '2026-09');
+    expect(PayrollHistoryService.createPayrollRun).not.toHaveBeenCalled();
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PTM-06: processing finalizes the final payslip and records the termination, documents and inactive employee for the company', async () => {
+    const res = await processTermination();
+
+    expect(res.statusCode).toBe(201);
+    expect(PayrollHistoryService.lockSnapshotsForPeriod).toHaveBeenCalledWith(supabase, 42, '2026-09', 7, 12);
+    expect(PayrollHistoryService.finalizePayrollRun).toHaveBeenCalledWith(supabase, 12, 7);
+    expect(writesTo('employee_terminations')[0].payload).toMatchObject({
+      company_id: 42, employee_id: 14, reason_code: '11', payroll_run_id: 12, snapshot_id: 601, final_net: 42022.88, processed_by: 7,
+    });
+    const docs = writesTo('employee_termination_documents')[0].payload;
+    expect(docs.map(d => [d.company_id, d.termination_id, d.document_type])).toEqual([[42, 81, 'ui19'], [42, 81, 'certificate_of_service']]);
+    expect(docs.every(d => d.sha256 === TerminationService.documentHash(Buffer.from(d.content_base64, 'base64')))).toBe(true);
+    expect(writesTo('employees')[0].payload).toMatchObject({ is_active: false, employment_status: 'terminated', termination_date: '2026-09-30' });
+    expect(mockFilters.filter(f => f.table === 'leave_balances').map(f => f.args)).toEqual([
+      ['company_id', 42], ['employee_id', 14], ['leave_type', 'annual'], ['year', 2026],
+    ]);
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_TERMINATION', 'employee_terminations', 81, expect.anything());
+  });
+
+  test('TEST-PTM-07: another company\'s termination → 404', async () => {
+    const res = await callRoute('get', '/:id', { params: { id: '55' } });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Termination 55 not found');
+    expect(mockFilters).toContainEqual({ table: 'employee_terminations', op: 'eq', args: ['company_id', 42] });
+  });
+
+  test('TEST-PTM-08: a stored document that no longer matches its SHA-256 → 409, nothing sent or audited', async () => {
+    mockRows.employee_terminations[0].company_id = 42;
+    mockRows.employee_termination_documents[0].company_id = 42;
+    mockRows.employee_termination_documents[0].content_base64 = Buffer.from('%PDF-1.4 altered').toString('base64');
+
+    const res = await download(66);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('Integrity check failed for document 66: stored content does not match its SHA-256');
+    expect(res.headers).toEqual({});
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PTM-09: a document download is served with its SHA-256 and audited', async () => {
+    const other = await download(66);
+    mockRows.employee_terminations[0].company_id = 42;
+    mockRows.employee_termination_documents[0].company_id = 42;
+
+    const res = await download(66, { role: 'payroll_admin' });
+
+    expect(other.statusCode).toBe(404);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.equals(PDF)).toBe(true);
+    expect(res.headers['X-File-SHA256']).toBe(TerminationService.documentHash(PDF));
+    expect(auditFromReq).toHaveBeenCalledTimes(1);
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_TERMINATION_DOCUMENT_DOWNLOAD', 'employee_termination_documents', 66,
+      { metadata: { termination_id: 55, document_type: 'ui19', sha256: TerminationService.documentHash(PDF) } });
+  });
+
+  test('TEST-PTM-10: reversing the final run reverses only the company\'s finalized termination; a missing table means none', async () => {
+    mockRows.employee_terminations.push(
+      { id: 57, company_id: 42, employee_id: 14, payroll_run_id: 9, status: 'finalized' },
+      { id: 58, company_id: 42, employee_id: 15, payroll_run_id: 9, status: 'reversed' },
+    );
+
+    const reversed = await TerminationService.reverseForRun(supabase, { companyId: 42, runId: 9 });
+
+    expect(reversed.map(t => t.id)).toEqual([57]);
+    expect(mockFilters.filter(f => f.table === 'employee_terminations').map(f => f.args)).toEqual([
+      ['company_id', 42], ['payroll_run_id', 9], ['status', 'finalized'],
+    ]);
+
+    Object.assign(mockFailWrite, { table: 'employee_terminations', code: '42P01' });
+    await expect(TerminationService.reverseForRun(supabase, { companyId: 42, runId: 9 })).resolves.toEqual([]);
+    mockFailWrite.code = '40P01';
+    await expect(TerminationService.reverseForRun(supabase, { companyId: 42, runId: 9 })).rejects.toThrow('Failed to reverse termination: deadlock detected');
+  });
+});
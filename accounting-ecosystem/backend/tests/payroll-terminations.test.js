@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Terminations — Termination Pay, Engine Severance, IRP5 and Documents
+ * Unit tests for the pure helpers in TerminationService, severance in
+ * core/payroll-engine.js and the termination PDFs. Route-level guards are
+ * covered in payroll-termination-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PTU-01  Completed years and months count the last day worked.
+ *   TEST-PTU-02  BCEA s37 notice — 1, 2 or 4 weeks.
+ *   TEST-PTU-03  Leave payable is the balance less the entitlement still to accrue this year.
+ *   TEST-PTU-04  Validation — UIF reason code, VSP amount, directive details.
+ *   TEST-PTU-05  Retrenchment — leave, notice in lieu and one week per completed year.
+ *   TEST-PTU-06  A resignation with notice worked pays leave only; an agreed amount never undercuts s41.
+ *   TEST-PTU-07  Lump sum table is cumulative with earlier lump sums.
+ *   TEST-PTU-08  The directive tax wins over the estimate; an exempt portion is not taxed.
+ *   TEST-PTU-09  Severance is paid net of its tax, outside gross, PAYE and UIF.
+ *   TEST-PTU-10  3901 carries the severance and 4115 its tax; 3699 excludes both.
+ *   TEST-PTU-11  Directive tax is paid over with PAYE on the EMP201.
+ *   TEST-PTU-12  UI-19 and certificate of service render as PDFs with a stable hash input.
+ */
+
+const PayrollEngine = require('../core/payroll-engine');
+const {
+  serviceLength,
+  noticeWeeks,
+  leaveDaysPayable,
+  validateTermination,
+  calculateTerminationPay,
+  toPeriodInputs,
+  documentHash
+} = require('../modules/payroll/services/TerminationService');
+const { renderUi19, renderCertificateOfService } = require('../modules/payroll/services/terminationPdf');
+const {
+  aggregateCertificateCodes,
+  finaliseCertificate,
+  buildEmp201
+} = require('../modules/payroll/services/SarsSubmissionService');
+
+// ─── Service length, notice, leave ───────────────────────────────────────────
+
+describe('Terminations — service length, notice and leave', () => {
+  test('TEST-PTU-01: completed years and months count the last day worked', () => {
+    expect(serviceLength('2020-03-01', '2026-02-28')).toEqual({ completed_years: 6, months: 72 });
+    expect(serviceLength('2020-03-01', '2026-02-27')).toEqual({ completed_years: 5, months: 71 });
+    expect(serviceLength(null, '2026-02-28')).toEqual({ completed_years: 0, months: 0 });
+  });
+
+  test('TEST-PTU-02: BCEA s37 notice — 1, 2 or 4 weeks', () => {
+    expect(noticeWeeks(5)).toBe(1);
+    expect(noticeWeeks(6)).toBe(2);
+    expect(noticeWeeks(12)).toBe(4);
+  });
+
+  test('TEST-PTU-03: leave payable is the balance less the entitlement still to accrue this year', () => {
+    const row = { annual_entitlement: 15, balance: 15 };
+    expect(leaveDaysPayable(row, '2026-12-31')).toBe(15);
+    // 30 Jun: 184 of 365 days still to come → 7.56 days unaccrued
+    expect(leaveDaysPayable(row, '2026-06-30')).toBe(7.44);
+    expect(leaveDaysPayable({ annual_entitlement: 15, balance: 3 }, '2026-06-30')).toBe(0);
+    expect(leaveDaysPayable(null, '2026-06-30')).toBe(0);
+  });
+});
+
+// ─── Validation and termination pay ──────────────────────────────────────────
+
+describe('Terminations — termination pay', () => {
+  const base = { termination_date: '2026-06-30', reason_code: '11' };
+
+  test('TEST-PTU-04: validation — UIF reason code, VSP amount, directive details', () => {
+    expect(validateTermination({ ...base, reason_code: 11 }).reason_code).toBe('11');
+    expect(() => validateTermination({ ...base, reason_code: '9' })).toThrow(/reason_code must be one of/);
+    expect(() => validateTermination({ reason_code: '6' })).toThrow('termination_date is required (YYYY-MM-DD)');
+    expect(() => validateTermination({ ...base, reason_code: '16' })).toThrow(/severance_amount is required/);
+    expect(() => validateTermination({ ...base, directive: { tax_amount: 1000 } })).toThrow(/directive.number is required/);
+    expect(validateTermination({ ...base, directive: { number: ' 1234567 ', tax_amount: '5000' } }).directive)
+      .toEqual({ number: '1234567', tax_amount: 5000 });
+  });
+
+  test('TEST-PTU-05: retrenchment — leave, notice in lieu and one week per completed year', () => {
+    const pay = calculateTerminationPay({
+      basicSalary: 26000,
+      hireDate: '2020-03-01',
+      input: validateTermination({ ...base, notice_worked: false }),
+      annualLeave: { annual_entitlement: 15, balance: 10 }
+    });
+    // weekly = 26000 × 12 / 52 = 6000; daily = 1200
+    expect(pay.service.completed_years).toBe(6);
+    expect(pay.leave).toEqual({ days: 2.44, daily_rate: 1200, amount: 2928 });
+    expect(pay.notice).toEqual({ weeks: 4, worked: false, amount: 24000 });
+    expect(pay.severance).toEqual({ basis: 'bcea_s41', completed_years: 6, weeks: 6, amount: 36000 });
+    expect(toPeriodInputs(pay).map(i => [i.description, i.amount, i.paye_projection_type]))
+      .toEqual([['Leave pay on termination', 2928, 'ONCE_OFF'], ['Notice pay', 24000, 'ONCE_OFF']]);
+  });
+
+  test('TEST-PTU-06: a resignation with notice worked pays leave only; an agreed amount never undercuts s41', () => {
+    const resigned = calculateTerminationPay({
+      basicSalary: 26000, hireDate: '2020-03-01',
+      input: validateTermination({ ...base, reason_code: '6', leave_days: 5 }), annualLeave: null
+    });
+    expect(resigned.leave.amount).toBe(6000);
+    expect(resigned.notice.amount).toBe(0);
+    expect(resigned.severance.amount).toBe(0);
+
+    const agreedLow = calculateTerminationPay({
+      basicSalary: 26000, hireDate: '2020-03-01',
+      input: validateTermination({ ...base, severance_amount: 10000 }), annualLeave: null
+    });
+    expect(agreedLow.severance.amount).toBe(36000);
+
+    const vsp = calculateTerminationPay({
+      basicSalary: 26000, hireDate: '2020-03-01',
+      input: validateTermination({ ...base, reason_code: '16', severance_amount: 90000 }), annualLeave: null
+    });
+    expect(vsp.severance).toEqual(expect.objectContaining({ basis: 'agreed', amount: 90000 }));
+  });
+});
+
+// ─── Engine severance ────────────────────────────────────────────────────────
+
+describe('Terminations — severance in the engine', () => {
+  test('TEST-PTU-07: lump sum table is cumulative with earlier lump sums', () => {
+    expect(PayrollEngine.calculateLumpSumTax(500000, 0, '2026-06')).toBe(0);
+    expect(PayrollEngine.calculateLumpSumTax(800000, 0, '2026-06')).toBe(47700);
+    expect(PayrollEngine.calculateLumpSumTax(100000, 500000, '2026-06')).toBe(9000);
+    expect(PayrollEngine.calculateLumpSumTax(600000, 0, '2022-06')).toBe(18000);
+  });
+
+  test('TEST-PTU-08: the directive tax wins over the estimate; an exempt portion is not taxed', () => {
+    const est = PayrollEngine.calculateSeverance({ amount: 800000, exempt_amount: 30000 }, '2026-06');
+    expect(est).toEqual(expect.objectContaining({ irp5_code: '3901', taxable: 770000, tax: 39600, estimated: true }));
+    const dir = PayrollEngine.calculateSeverance({ amount: 800000, directive: { number: 'D123', tax_amount: 41000 } }, '2026-06');
+    expect(dir).toEqual(expect.objectContaining({ tax: 41000, directive_number: 'D123', estimated: false }));
+  });
+
+  test('TEST-PTU-09: severance is paid net of its tax, outside gross, PAYE and UIF', () => {
+    const calc = opts => PayrollEngine.calculateFromData(
+      { basic_salary: 30000, regular_inputs: [] }, [], [], [], [], { age: 35, ...opts }, '2026-06', null
+    );
+    const base = calc({});
+    const out = calc({ severance: { amount: 100000, directive: { number: 'D1', tax_amount: 5000 } } });
+    expect(out.gross).toBe(base.gross);
+    expect(out.paye).toBe(base.paye);
+    expect(out.uif).toBe(base.uif);
+    expect(out.net).toBe(PayrollEngine.r2(base.net + 95000));
+    expect(base.severance).toBeNull();
+  });
+});
+
+// ─── IRP5 and EMP201 ─────────────────────────────────────────────────────────
+
+describe('Terminations — IRP5 and EMP201', () => {
+  const snapshot = {
+    employee_id: 1,
+    period_key: '2026-06',
+    calculation_input: { basic_salary: 30000, regular_inputs: [] },
+    calculation_output: PayrollEngine.calculateFromData(
+      { basic_salary: 30000, regular_inputs: [] }, [], [], [], [],
+      { age: 35, severance: { amount: 100000, directive: { number: 'D1', tax_amount: 5000 } } }, '2026-06', null
+    )
+  };
+
+  test('TEST-PTU-10: 3901 carries the severance and 4115 its tax; 3699 excludes both', () => {
+    const cert = finaliseCertificate(aggregateCertificateCodes([snapshot], {})[0]);
+    expect(cert.codes['3901']).toBe(100000);
+    expect(cert.codes['4115']).toBe(5000);
+    expect(cert.codes['3699']).toBe(30000);
+    expect(cert.codes['4149']).toBe(PayrollEngine.r2(cert.codes['4102'] + 5000 + cert.codes['4141'] + cert.codes['4142']));
+  });
+
+  test('TEST-PTU-11: directive tax is paid over with PAYE on the EMP201', () => {
+    const emp201 = buildEmp201([snapshot], { periodKey: '2026-06', payeReference: '7012345678' });
+    expect(emp201.paye).toBe(PayrollEngine.r2(snapshot.calculation_output.paye + 5000));
+    expect(emp201.gross_remuneration).toBe(30000);
+  });
+});
+
+// ─── Documents ───────────────────────────────────────────────────────────────
+
+describe('Terminations — documents', () => {
+  const company = { company_name: 'Acme (Pty) Ltd', uif_reference_number: 'U123456789', address: '1 Main Rd\nCape Town' };
+  const employee = { first_name: 'Thandi Grace', last_name: 'Nkosi', id_number: '8503155005080', hire_date: '2020-03-01', position: 'Clerk' };
+
+  test('TEST-PTU-12: UI-19 and certificate of service render as PDFs with a stable hash input', async () => {
+    const ui19 = await renderUi19({ company, employee, termination: {
+      termination_date: '2026-06-30', reason_code: '11', reason_label: 'Retrenched / staff reduction',
+      gross_monthly: 26000, hours_per_month: 173.36
+    } });
+    const cos = await renderCertificateOfService({ company, employee, termination: {
+      termination_date: '2026-06-30', reason_label: 'Retrenched / staff reduction', include_reason: false,
+      remuneration: 26000, issued_on: '2026-06-30'
+    } });
+    expect(ui19.slice(0, 5).toString()).toBe('%PDF-');
+    expect(cos.slice(0, 5).toString()).toBe('%PDF-');
+    expect(documentHash(ui19)).toMatch(/^[0-9a-f]{64}$/);
+    expect(documentHash(Buffer.from(ui19.toString('base64'), 'base64'))).toBe(documentHash(ui19));
+  });
+});
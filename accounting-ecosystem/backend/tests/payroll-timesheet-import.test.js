@@ -0,0 +1,214 @@
+'use strict';
+
+/**
+ * Timesheet Import — Holidays, Clock Layouts, Shift Pairing, BCEA Classification and Engine Pay
+ * Unit tests for the pure helpers in TimesheetService.js. Route-level guards
+ * are covered in payroll-timesheet-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PTI-01  Easter-based holidays follow Easter Sunday.
+ *   TEST-PTI-02  A Sunday holiday makes the Monday a holiday; declared days are added.
+ *   TEST-PTI-03  A ZKTeco punch log with the header below a title row.
+ *   TEST-PTI-04  An in/out sheet — clock-out before clock-in crosses midnight.
+ *   TEST-PTI-05  Missing clock-outs and clock-ins are reported, duplicates ignored.
+ *   TEST-PTI-06  Punches without a state alternate, and a gap over 16 hours breaks the pair.
+ *   TEST-PTI-07  Hours beyond the scheduled day and on a rest day are overtime at 1.5×.
+ *   TEST-PTI-08  Sunday and public holiday hours are paid at 2×.
+ *   TEST-PTI-09  Ordinary hours over 45 in a week become overtime, over 10 hours of overtime is flagged.
+ *   TEST-PTI-10  Night hours earn the allowance; the meal break comes off long shifts.
+ *   TEST-PTI-11  Scheduled days without a clock record are listed, holidays excluded.
+ *   TEST-PTI-12  Multi-rate hours are paid at the hourly rate × multiplier and itemised on the payslip.
+ */
+
+const PayrollEngine = require('../core/payroll-engine');
+const {
+  LINE,
+  easterSunday,
+  publicHolidays,
+  validateSettings,
+  parseClockRows,
+  pairShifts,
+  classifyShifts,
+  absentDays
+} = require('../modules/payroll/services/TimesheetService');
+const { payslipLines } = require('../modules/payroll/services/SelfServiceService');
+
+const MON_FRI = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN']
+  .map((day, i) => ({ day, enabled: i < 5, type: 'partial', partial_hours: 9 }));
+const holidays = year => new Map(publicHolidays(year).map(h => [h.date, h.name]));
+const shift = (start, end) => ({ employee_ref: 'E001', start, end, rows: [] });
+
+// ─── Public holidays ─────────────────────────────────────────────────────────
+
+describe('Timesheets — public holiday calendar', () => {
+  test('TEST-PTI-01: Easter-based holidays follow Easter Sunday', () => {
+    expect(easterSunday(2025)).toBe('2025-04-20');
+    expect(easterSunday(2026)).toBe('2026-04-05');
+    const names = new Map(publicHolidays(2026).map(h => [h.date, h.name]));
+    expect(names.get('2026-04-03')).toBe('Good Friday');
+    expect(names.get('2026-04-06')).toBe('Family Day');
+    expect(publicHolidays(2026).filter(h => !/observed/.test(h.name))).toHaveLength(12);
+  });
+
+  test('TEST-PTI-02: a Sunday holiday makes the Monday a holiday; declared days are added', () => {
+    const days = publicHolidays(2026, [{ holiday_date: '2026-11-04', name: 'Local government elections' }]);
+    const names = new Map(days.map(h => [h.date, h.name]));
+    expect(names.get('2026-08-10')).toBe("National Women's Day (observed)");
+    expect(names.get('2026-11-04')).toBe('Local government elections');
+    // 2027: Christmas on a Saturday, Day of Goodwill on a Sunday → Monday 27 Dec
+    expect(new Map(publicHolidays(2027).map(h => [h.date, h.name])).get('2027-12-27')).toBe('Day of Goodwill (observed)');
+  });
+});
+
+// ─── Clock layouts ───────────────────────────────────────────────────────────
+
+describe('Timesheets — parseClockRows layouts', () => {
+  test('TEST-PTI-03: a ZKTeco punch log with the header below a title row', () => {
+    const parsed = parseClockRows([
+      ['Attendance log — April 2026'],
+      ['AC-No.', 'Name', 'Time', 'State'],
+      ['E001', 'T Nkosi', '2026/04/07 07:58', 'C/In'],
+      ['E001', 'T Nkosi', '2026/04/07 5:02 PM', 'C/Out'],
+      ['', 'Unknown', '2026/04/07 08:00', 'C/In']
+    ]);
+    expect(parsed.layout).toBe('punch_log');
+    expect(parsed.punches).toEqual([
+      { row: 3, employee_ref: 'E001', at: '2026-04-07 07:58', state: 'in' },
+      { row: 4, employee_ref: 'E001', at: '2026-04-07 17:02', state: 'out' }
+    ]);
+    expect(parsed.errors).toEqual([{ row: 5, message: 'Employee number is missing.' }]);
+  });
+
+  test('TEST-PTI-04: an in/out sheet — clock-out before clock-in crosses midnight', () => {
+    const parsed = parseClockRows([
+      ['Employee Code', 'Date', 'Clock In', 'Clock Out'],
+      ['E001', '08/04/2026', '22:00', '06:00'],
+      ['E001', '09/04/2026', '08:00', '']
+    ]);
+    expect(parsed.layout).toBe('in_out');
+    expect(parsed.punches.map(p => [p.at, p.state])).toEqual([
+      ['2026-04-08 22:00', 'in'], ['2026-04-09 06:00', 'out'], ['2026-04-09 08:00', 'in']
+    ]);
+    expect(parseClockRows([['Name', 'Amount']])).toBeNull();
+  });
+});
+
+// ─── Shift pairing ───────────────────────────────────────────────────────────
+
+describe('Timesheets — pairShifts and exceptions', () => {
+  test('TEST-PTI-05: missing clock-outs and clock-ins are reported, duplicates ignored', () => {
+    const punches = [
+      ['2026-04-07 07:58', 'in'], ['2026-04-07 07:59', 'in'], ['2026-04-07 17:00', 'out'],
+      ['2026-04-08 08:00', 'in'],                          // no clock-out
+      ['2026-04-09 08:00', 'in'], ['2026-04-09 17:00', 'out'], ['2026-04-09 17:30', 'out']
+    ].map(([at, state], i) => ({ row: i + 2, employee_ref: 'E001', at, state }));
+    const { shifts, exceptions } = pairShifts(punches);
+    expect(shifts.map(s => [s.start, s.end])).toEqual([
+      ['2026-04-07 07:58', '2026-04-07 17:00'],
+      ['2026-04-09 08:00', '2026-04-09 17:00']
+    ]);
+    expect(exceptions.map(x => [x.type, x.at])).toEqual([
+      ['missing_clock_out', '2026-04-08 08:00'],
+      ['missing_clock_in', '2026-04-09 17:30']
+    ]);
+  });
+
+  test('TEST-PTI-06: punches without a state alternate, and a gap over 16 hours breaks the pair', () => {
+    const punches = ['2026-04-07 08:00', '2026-04-07 17:00', '2026-04-08 08:00', '2026-04-09 08:00', '2026-04-09 17:00']
+      .map((at, i) => ({ row: i + 2, employee_ref: 'E001', at, state: null }));
+    const { shifts, exceptions } = pairShifts(punches);
+    expect(shifts).toHaveLength(2);
+    expect(exceptions).toEqual([{ employee_ref: 'E001', type: 'missing_clock_out', at: '2026-04-08 08:00', row: 4 }]);
+  });
+});
+
+// ─── Schedule + BCEA classification ──────────────────────────────────────────
+
+describe('Timesheets — classifyShifts against the schedule and BCEA', () => {
+  const settings = validateSettings({});
+
+  test('TEST-PTI-07: hours beyond the scheduled day and on a rest day are overtime at 1.5×', () => {
+    const r = classifyShifts([
+      shift('2026-04-07 07:00', '2026-04-07 18:00'),   // Tue: 11h vs 9h scheduled
+      shift('2026-04-11 08:00', '2026-04-11 12:30')    // Sat: rest day
+    ], { schedule: MON_FRI, holidays: holidays(2026), settings });
+    expect(r.days.map(d => [d.day_type, d.ordinary, d.overtime])).toEqual([['working', 9, 2], ['rest', 0, 4.5]]);
+    expect(r.overtime).toEqual([{ hours: 6.5, rate_multiplier: 1.5, description: LINE.overtime }]);
+    expect(r.multiRate).toEqual([]);
+  });
+
+  test('TEST-PTI-08: Sunday and public holiday hours are paid at 2×', () => {
+    const r = classifyShifts([
+      shift('2026-04-05 08:00', '2026-04-05 14:00'),   // Easter Sunday — not scheduled
+      shift('2026-04-27 08:00', '2026-04-27 19:00')    // Freedom Day, a scheduled Monday
+    ], { schedule: MON_FRI, holidays: holidays(2026), settings });
+    expect(r.days.map(d => d.day_type)).toEqual(['sunday', 'public_holiday']);
+    expect(r.multiRate).toEqual([
+      { hours: 6, rate_multiplier: 2, description: LINE.sunday },
+      { hours: 2, rate_multiplier: 2, description: LINE.holiday },
+      // The salary already pays the scheduled 9 hours once — 1× on top makes 2×
+      { hours: 9, rate_multiplier: 1, description: LINE.holidayOrdinary }
+    ]);
+
+    const sundayWorker = MON_FRI.map(d => (d.day === 'SUN' ? { ...d, enabled: true, partial_hours: 8 } : d));
+    const s = classifyShifts([shift('2026-04-12 08:00', '2026-04-12 18:00')], { schedule: sundayWorker, settings });
+    expect(s.multiRate).toEqual([
+      { hours: 2, rate_multiplier: 2, description: LINE.sunday },
+      { hours: 8, rate_multiplier: 0.5, description: LINE.sundayOrdinary }
+    ]);
+  });
+
+  test('TEST-PTI-09: ordinary hours over 45 in a week become overtime, over 10 hours of overtime is flagged', () => {
+    const week = ['06', '07', '08', '09', '10']
+      .map(d => shift(`2026-07-${d} 07:00`, `2026-07-${d} 18:00`));   // 5 × 11h, 9h scheduled
+    const r = classifyShifts(week, { schedule: MON_FRI, settings });
+    expect(r.totals.ordinary).toBe(45);
+    expect(r.totals.overtime).toBe(10);
+    expect(r.warnings).toEqual([]);
+
+    const six = classifyShifts([...week, shift('2026-07-11 08:00', '2026-07-11 10:00')], { schedule: MON_FRI, settings });
+    expect(six.warnings).toEqual([{ type: 'overtime_limit', week: '2026-07-06', hours: 12, limit: 10 }]);
+
+    const capped = classifyShifts(week, { schedule: MON_FRI, settings: validateSettings({ weekly_ordinary_hours: 40 }) });
+    expect(capped.days.map(d => d.ordinary)).toEqual([9, 9, 9, 9, 4]);
+    expect(capped.totals.overtime).toBe(15);
+  });
+
+  test('TEST-PTI-10: night hours earn the allowance; the meal break comes off long shifts', () => {
+    const r = classifyShifts([shift('2026-04-07 16:00', '2026-04-08 01:00')], {
+      schedule: MON_FRI,
+      settings: validateSettings({ night_allowance_rate: 12.5, meal_break_minutes: 60 })
+    });
+    expect(r.days[0].worked).toBe(8);
+    expect(r.days[0].night).toBe(7);
+    expect(r.nightAllowance).toEqual({ description: 'Night shift allowance', hours: 7, amount: 87.5 });
+    expect(classifyShifts([shift('2026-04-07 16:00', '2026-04-08 01:00')], { schedule: MON_FRI, settings }).nightAllowance)
+      .toBeNull();
+    expect(() => validateSettings({ night_start: '25:00' })).toThrow('night_start and night_end must be HH:MM');
+  });
+
+  test('TEST-PTI-11: scheduled days without a clock record are listed, holidays excluded', () => {
+    const r = classifyShifts([shift('2026-04-07 08:00', '2026-04-07 17:00')], { schedule: MON_FRI, settings });
+    expect(absentDays(r.days, { schedule: MON_FRI, holidays: holidays(2026), from: '2026-04-03', to: '2026-04-10' }))
+      .toEqual(['2026-04-08', '2026-04-09', '2026-04-10']);
+  });
+});
+
+// ─── Engine pay ──────────────────────────────────────────────────────────────
+
+describe('Timesheets — engine pays the generated inputs', () => {
+  test('TEST-PTI-12: multi-rate hours are paid at the hourly rate × multiplier and itemised on the payslip', () => {
+    const data = { basic_salary: 19485, regular_inputs: [], workSchedule: MON_FRI, hours_per_day: 9 };
+    const multiRate = [{ hours: 6, rate_multiplier: 2 }, { hours: 9, rate_multiplier: 1 }];
+    const base = PayrollEngine.calculateFromData(data, [], [], [], [], { age: 35 }, '2026-04', null);
+    const out = PayrollEngine.calculateFromData(data, [], [], multiRate, [], { age: 35 }, '2026-04', null);
+    const hourly = PayrollEngine.calcHourlyRate(19485, MON_FRI, 9);
+    expect(hourly).toBe(100);
+    expect(out.multiRateAmount).toBe(2100);
+    expect(PayrollEngine.r2(out.gross - base.gross)).toBe(2100);
+
+    const p = payslipLines({ period_key: '2026-04', calculation_input: { ...data, currentInputs: [] }, calculation_output: out });
+    expect(p.earnings[0]).toEqual({ description: 'Basic salary', amount: 19485 });
+    expect(p.earnings.find(l => l.description === 'Paid at different rate').amount).toBe(2100);
+  });
+});
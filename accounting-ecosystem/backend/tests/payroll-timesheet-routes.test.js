@@ -0,0 +1,347 @@
+'use strict';
+
+/**
+ * Timesheet Import — Route Guards
+ * Drives the /api/payroll/timesheets routes (requireCompany + requirePermission
+ * + requirePaytimeModule + handler) against a mocked Supabase client, with the
+ * period and work schedule lookups spied on.
+ *
+ * Scenarios covered:
+ *   TEST-PTS-01  Leave admin cannot import, payroll admin cannot change settings or holidays → 403.
+ *   TEST-PTS-02  No file, no period or unrecognised columns → 400, nothing stored.
+ *   TEST-PTS-03  A period the company does not have → 404, nothing stored.
+ *   TEST-PTS-04  An import is stored as a draft for the company; hidden and foreign clock numbers report as unknown.
+ *   TEST-PTS-05  Another company's import cannot be read, applied or discarded → 404, nothing written.
+ *   TEST-PTS-06  A restricted user sees only visible employees and their exceptions, with the counts to match.
+ *   TEST-PTS-07  An import already applied cannot be applied or discarded again → 409, nothing written.
+ *   TEST-PTS-08  Applying skips finalized payslips and hidden employees and replaces only timesheet rows.
+ *   TEST-PTS-09  A declared holiday twice → 409; another company's declared holiday cannot be removed → 404.
+ *   TEST-PTS-10  Invalid settings → 400, nothing saved; valid settings are saved for the company and audited.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+const mockFailWrite = { table: null, code: null };
+
+/** Rows are filtered by the eq / in / match conditions the query applied. */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order', 'not']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const filter = (op, test) => jest.fn((col, val) => {
+    mockFilters.push({ table, op, args: [col, val] });
+    conditions.push(r => test(r[col], val));
+    return chain;
+  });
+  chain.eq = filter('eq', (v, want) => String(v) === String(want));
+  chain.in = filter('in', (v, want) => want.map(String).includes(String(v)));
+  chain.match = jest.fn(scope => {
+    mockFilters.push({ table, op: 'match', args: [scope] });
+    conditions.push(r => Object.entries(scope).every(([k, v]) => String(r[k]) === String(v)));
+    return chain;
+  });
+  for (const op of ['insert', 'update', 'upsert', 'delete']) {
+    chain[op] = jest.fn(payload => {
+      write = { table, op, payload };
+      mockWrites.push(write);
+      return chain;
+    });
+  }
+  const matching = () => (mockRows[table] || []).filter(r => conditions.every(c => c(r)));
+  const result = () => {
+    if (write) {
+      if (mockFailWrite.table === table) return { data: null, error: { code: mockFailWrite.code, message: 'duplicate key value' } };
+      if (write.op === 'update') return { data: matching().map(r => ({ ...r, ...write.payload })), error: null };
+      if (write.op === 'delete') return { data: matching(), error: null };
+      return { data: { id: 81, ...write.payload }, error: null };
+    }
+    return { data: matching(), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+const { supabase } = require('../config/database');
+const { auditFromReq } = require('../middleware/audit');
+const PayrollDataService = require('../modules/payroll/services/PayrollDataService');
+const timesheetRouter = require('../modules/payroll/routes/timesheets');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Run the router-level middleware, then every layer of `method path`, like
+ * Express would. The multer layer is skipped — `file` is set on the request
+ * the way multer would leave it.
+ */
+async function callRoute(method, path, { role = 'business_owner', body = {}, params = {}, query = {}, file, companyId = 42 } = {}) {
+  const req = {
+    body, params, query, file, companyId, user: { userId: 7, role, email: 'payroll@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  const route = timesheetRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...timesheetRouter.stack.filter(l => !l.route), ...route.route.stack]
+    .filter(l => l.name !== 'multerMiddleware')
+    .map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const csv = (...lines) => ({ originalname: 'clock-sep.csv', buffer: Buffer.from(lines.join('\n')) });
+
+// Monday 7 Sep: 10 hours on a 9-hour day; Tuesday 8 Sep: no clock-out
+const CLOCK_FILE = csv(
+  'Employee,Date,Clock In,Clock Out',
+  'E014,2026-09-07,07:00,17:00',
+  'E014,2026-09-08,07:00,',
+  'E015,2026-09-07,07:00,16:00',
+  'E090,2026-09-07,07:00,16:00',
+);
+
+const importClock = (opts = {}) => callRoute('post', '/import', { body: { period_key: '2026-09' }, file: CLOCK_FILE, ...opts });
+const byId = (verb, id, opts = {}) => callRoute(...verb, { params: { id: String(id) }, ...opts });
+const writesTo = table => mockWrites.filter(w => w.table === table);
+const filtersOn = (table, op = 'eq') => mockFilters.filter(f => f.table === table && f.op === op).map(f => f.args);
+const selectedScope = ids => {
+  mockRows.paytime_user_config = [{ user_id: 7, company_id: 42, modules: ['payroll'], employee_scope: 'selected', can_view_confidential: true }];
+  mockRows.paytime_employee_access = ids.map(employee_id => ({ user_id: 7, company_id: 42, employee_id }));
+};
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const EMPLOYEES = [
+  { id: 14, company_id: 42, employee_code: 'E014', classification: 'public', first_name: 'Thandi', last_name: 'Mokoena' },
+  { id: 15, company_id: 42, employee_code: 'E015', classification: 'confidential', first_name: 'Pieter', last_name: 'Botha' },
+  { id: 16, company_id: 42, employee_code: 'E016', classification: 'public', first_name: 'Anele', last_name: 'Dube' },
+  { id: 90, company_id: 77, employee_code: 'E090', classification: 'public', first_name: 'Other', last_name: 'Person' },
+];
+
+const MON_FRI = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN']
+  .map((day, i) => ({ day, enabled: i < 5, type: 'partial', partial_hours: 9 }));
+
+const OVERTIME = [{ hours: 1, rate_multiplier: 1.5, description: 'Overtime (timesheet)' }];
+const summaryFor = (employeeId, classification, extra = {}) => ({
+  employee_id: employeeId, classification, overtime: [], multiRate: [], nightAllowance: null, ...extra,
+});
+
+const IMPORTS = [
+  { id: 61, company_id: 42, payroll_period_id: 309, period_key: '2026-09', status: 'draft', employee_count: 3, exception_count: 3,
+    summary: [summaryFor(14, 'public', { overtime: OVERTIME }),
+      summaryFor(15, 'confidential', { multiRate: [{ hours: 8, rate_multiplier: 2, description: 'Sunday time (timesheet)' }] }),
+      summaryFor(16, 'public', { overtime: OVERTIME })],
+    exceptions: [{ type: 'missing_clock_out', employee_id: 14 }, { type: 'missing_clock_out', employee_id: 15 },
+      { type: 'unknown_employee', employee_ref: 'E999' }] },
+  { id: 62, company_id: 42, payroll_period_id: 309, period_key: '2026-09', status: 'applied', summary: [], exceptions: [] },
+  { id: 69, company_id: 77, payroll_period_id: 390, period_key: '2026-09', status: 'draft', summary: [], exceptions: [] },
+];
+
+describe('Timesheet Import — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    Object.assign(mockFailWrite, { table: null, code: null });
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.employees = EMPLOYEES.map(e => ({ ...e }));
+    mockRows.payroll_timesheet_imports = IMPORTS.map(i => ({ ...i }));
+    mockRows.payroll_timesheet_settings = [{ company_id: 77, meal_break_minutes: 60 }];
+    mockRows.payroll_public_holidays = [{ id: 5, company_id: 77, holiday_date: '2026-11-04', name: 'Local government elections' }];
+    mockRows.payroll_snapshots = [
+      { company_id: 42, employee_id: 16, period_key: '2026-09', is_locked: true },
+      { company_id: 77, employee_id: 14, period_key: '2026-09', is_locked: true },
+    ];
+    mockRows.paytime_user_config = [];
+    mockRows.paytime_employee_access = [];
+    jest.spyOn(PayrollDataService, 'fetchPeriod').mockResolvedValue({ id: 309, start_date: '2026-09-01', end_date: '2026-09-30', period_key: '2026-09' });
+    jest.spyOn(PayrollDataService, 'fetchWorkSchedule').mockResolvedValue(MON_FRI);
+  });
+
+  test('TEST-PTS-01: leave admin cannot import, payroll admin cannot change settings or holidays → 403', async () => {
+    const imported = await importClock({ role: 'leave_admin' });
+    const settings = await callRoute('put', '/settings', { role: 'payroll_admin', body: { meal_break_minutes: 30 } });
+    const holiday = await callRoute('post', '/holidays', { role: 'payroll_admin', body: { holiday_date: '2026-11-04', name: 'Elections' } });
+
+    expect([imported.statusCode, settings.statusCode, holiday.statusCode]).toEqual([403, 403, 403]);
+    expect(imported.body.required).toBe('PAYROLL.CREATE');
+    expect(settings.body.required).toBe('PAYROLL.APPROVE');
+    expect(holiday.body.required).toBe('PAYROLL.APPROVE');
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PTS-02: no file, no period or unrecognised columns → 400, nothing stored', async () => {
+    const noFile = await importClock({ file: undefined });
+    const noPeriod = await importClock({ body: {} });
+    const columns = await importClock({ file: csv('Name,Hours', 'Thandi,9') });
+
+    expect(noFile.body).toEqual({ success: false, error: 'A clock file is required' });
+    expect(noPeriod.body).toEqual({ success: false, error: 'period_key is required (YYYY-MM)' });
+    expect(columns.body.error).toMatch(/^Clock file columns are required/);
+    expect([noFile.statusCode, noPeriod.statusCode, columns.statusCode]).toEqual([400, 400, 400]);
+    expect(PayrollDataService.fetchPeriod).not.toHaveBeenCalled();
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PTS-03: a period the company does not have → 404, nothing stored', async () => {
+    PayrollDataService.fetchPeriod.mockResolvedValue(null);
+
+    const res = await importClock();
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Period 2026-09 not found');
+    expect(PayrollDataService.fetchPeriod).toHaveBeenCalledWith(42, '2026-09', supabase);
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PTS-04: an import is stored as a draft for the company; hidden and foreign clock numbers report as unknown', async () => {
+    selectedScope([14, 16]);
+
+    const res = await importClock({ role: 'payroll_admin' });
+
+    expect(res.statusCode).toBe(201);
+    expect(filtersOn('employees')).toContainEqual(['company_id', 42]);
+    const [{ payload }] = writesTo('payroll_timesheet_imports');
+    expect(payload).toMatchObject({ company_id: 42, payroll_period_id: 309, period_key: '2026-09', file_name: 'clock-sep.csv',
+      punch_count: 7, employee_count: 1, status: 'draft', imported_by: 7 });
+    expect(payload.summary.map(s => [s.employee_id, s.overtime])).toEqual([[14, OVERTIME]]);
+    expect(payload.exceptions.map(x => [x.type, x.employee_id || x.employee_ref])).toEqual([
+      ['missing_clock_out', 14], ['unknown_employee', 'E015'], ['unknown_employee', 'E090'], ['no_clock_record', 14],
+    ]);
+    expect(PayrollDataService.fetchWorkSchedule).toHaveBeenCalledWith(42, 14, supabase);
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_TIMESHEET_IMPORT', 'payroll_timesheet_imports', 81,
+      { metadata: { period_key: '2026-09', file_name: 'clock-sep.csv', punch_count: 7, employee_count: 1, exception_count: 4 } });
+  });
+
+  test('TEST-PTS-05: another company\'s import cannot be read, applied or discarded → 404, nothing written', async () => {
+    const responses = [
+      await byId(['get', '/:id'], 69),
+      await byId(['post', '/:id/apply'], 69),
+      await byId(['delete', '/:id'], 69),
+    ];
+
+    expect(responses.map(r => [r.statusCode, r.body.error])).toEqual([
+      [404, 'Timesheet import not found'], [404, 'Timesheet import not found'], [404, 'Timesheet import not found'],
+    ]);
+    expect(filtersOn('payroll_timesheet_imports')).toContainEqual(['company_id', 42]);
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PTS-06: a restricted user sees only visible employees and their exceptions, with the counts to match', async () => {
+    mockRows.paytime_user_config = [{ user_id: 7, company_id: 42, modules: ['payroll'], employee_scope: 'all', can_view_confidential: false }];
+
+    const imp = await byId(['get', '/:id'], 61, { role: 'payroll_admin' });
+    const exceptions = await byId(['get', '/:id/exceptions'], 61, { role: 'payroll_admin' });
+
+    expect(imp.body.import.summary.map(s => s.employee_id)).toEqual([14, 16]);
+    expect(imp.body.import).toMatchObject({ employee_count: 2, exception_count: 2 });
+    expect(exceptions.body.exceptions).toEqual([{ type: 'missing_clock_out', employee_id: 14 }, { type: 'unknown_employee', employee_ref: 'E999' }]);
+    expect(exceptions.body.by_type).toEqual({ missing_clock_out: 1, unknown_employee: 1 });
+  });
+
+  test('TEST-PTS-07: an import already applied cannot be applied or discarded again → 409, nothing written', async () => {
+    const apply = await byId(['post', '/:id/apply'], 62);
+    const discard = await byId(['delete', '/:id'], 62);
+
+    expect([apply.statusCode, discard.statusCode]).toEqual([409, 409]);
+    expect(apply.body.error).toBe('Timesheet import is already applied');
+    expect(discard.body.error).toBe('Timesheet import is already applied');
+    expect(mockWrites).toEqual([]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PTS-08: applying skips finalized payslips and hidden employees and replaces only timesheet rows', async () => {
+    selectedScope([14, 16]);
+
+    const res = await byId(['post', '/:id/apply'], 61, { role: 'payroll_admin' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.applied).toEqual([14]);
+    expect(res.body.skipped).toEqual([{ employee_id: 15, reason: 'access denied' }, { employee_id: 16, reason: 'payslip finalized' }]);
+    expect(filtersOn('payroll_snapshots')).toEqual([['company_id', 42], ['period_key', '2026-09'], ['is_locked', true]]);
+
+    const scope = { company_id: 42, payroll_period_id: 309, employee_id: 14 };
+    for (const table of ['payroll_overtime', 'payroll_multi_rate', 'payroll_period_inputs']) {
+      expect(filtersOn(table, 'match')).toEqual([[scope]]);
+      expect(filtersOn(table, 'not')).toEqual([['timesheet_import_id', 'is', null]]);
+    }
+    expect(writesTo('payroll_overtime').map(w => [w.op, w.payload])).toEqual([
+      ['delete', undefined], ['insert', [{ ...scope, timesheet_import_id: 61, is_deleted: false, ...OVERTIME[0] }]],
+    ]);
+    expect(writesTo('payroll_multi_rate').map(w => w.op)).toEqual(['delete']);
+    expect(writesTo('payroll_timesheet_imports')[0].payload).toMatchObject({ status: 'applied', applied_by: 7 });
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_TIMESHEET_APPLY', 'payroll_timesheet_imports', 61,
+      { metadata: { period_key: '2026-09', applied: [14], skipped: res.body.skipped } });
+  });
+
+  test('TEST-PTS-09: a declared holiday twice → 409; another company\'s declared holiday cannot be removed → 404', async () => {
+    Object.assign(mockFailWrite, { table: 'payroll_public_holidays', code: '23505' });
+    const twice = await callRoute('post', '/holidays', { body: { holiday_date: '2026-11-04', name: 'Local government elections' } });
+    Object.assign(mockFailWrite, { table: null, code: null });
+    const other = await byId(['delete', '/holidays/:id'], 5);
+
+    expect(twice.statusCode).toBe(409);
+    expect(twice.body.error).toBe('2026-11-04 is already a declared public holiday');
+    expect(writesTo('payroll_public_holidays')[0].payload).toMatchObject({ company_id: 42, holiday_date: '2026-11-04' });
+    expect(other.statusCode).toBe(404);
+    expect(other.body.error).toBe('Declared public holiday not found');
+    expect(filtersOn('payroll_public_holidays')).toEqual([['company_id', 42], ['id', '5']]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PTS-10: invalid settings → 400, nothing saved; valid settings are saved for the company and audited', async () => {
+    const invalid = await callRoute('put', '/settings', { body: { night_start: '25:00' } });
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.error).toBe('night_start and night_end must be HH:MM');
+    expect(mockWrites).toEqual([]);
+
+    const res = await callRoute('put', '/settings', { body: { night_allowance_rate: 12.5 } });
+
+    expect(res.statusCode).toBe(200);
+    expect(filtersOn('payroll_timesheet_settings')).toEqual([['company_id', 42], ['company_id', 42]]);
+    const [{ op, payload }] = writesTo('payroll_timesheet_settings');
+    expect(op).toBe('upsert');
+    expect(payload).toMatchObject({ company_id: 42, meal_break_minutes: 0, night_allowance_rate: 12.5, updated_by: 7 });
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'PAYROLL_TIMESHEET_SETTINGS_UPDATE', 'payroll_timesheet_settings', 42,
+      { newValue: res.body.settings });
+  });
+});
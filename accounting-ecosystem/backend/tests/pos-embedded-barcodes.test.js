@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * POS Weighed and Price-Embedded Barcodes — Rule Validation, Decoding, Cart Lines and Quantities
+ * Unit tests for the pure helpers in embeddedBarcode.js. Route-level guards
+ * are covered in pos-scale-plu-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PEB-01  Decimals default by type and the check digit is validated by default.
+ *   TEST-PEB-02  Layouts outside the in-store range or without room for the value are refused.
+ *   TEST-PEB-03  A weight label gives the item code and kg.
+ *   TEST-PEB-04  A price label skips the value check digit.
+ *   TEST-PEB-05  A wrong check digit is refused unless the rule ignores it.
+ *   TEST-PEB-06  The longest active prefix wins; other codes match nothing.
+ *   TEST-PEB-07  A weight label is the quantity; a price label keeps its price.
+ *   TEST-PEB-08  Item codes normalise to the stored PLU without leading zeros.
+ *   TEST-PEB-09  Fractions only for sold-by-weight products, to the gram.
+ */
+
+const {
+  ean13CheckDigit, normaliseRule, matchRule, decodeEmbedded, normaliseScalePlu, labelLine, quantityProblem,
+} = require('../modules/pos/services/embeddedBarcode');
+
+const WEIGHT_RULE = { id: 1, prefix: '21', item_code_length: 5, value_type: 'weight', value_decimals: 3, check_digit: 'validate', value_check_digit: false, is_active: true };
+const PRICE_RULE  = { id: 2, prefix: '22', item_code_length: 4, value_type: 'price', value_decimals: 2, check_digit: 'validate', value_check_digit: true, is_active: true };
+
+// ─── Rules ───────────────────────────────────────────────────────────────────
+
+describe('Embedded barcodes — rule validation', () => {
+  test('TEST-PEB-01: decimals default by type and the check digit is validated by default', () => {
+    expect(normaliseRule({ prefix: '21', item_code_length: 5, value_type: 'weight' })).toEqual({
+      prefix: '21', item_code_length: 5, value_type: 'weight', value_decimals: 3, check_digit: 'validate', value_check_digit: false,
+    });
+    expect(normaliseRule({ prefix: 22, item_code_length: '4', value_type: 'price', value_check_digit: true }))
+      .toMatchObject({ prefix: '22', item_code_length: 4, value_decimals: 2, value_check_digit: true });
+  });
+
+  test('TEST-PEB-02: layouts outside the in-store range or without room for the value are refused', () => {
+    expect(() => normaliseRule({ prefix: '60', item_code_length: 5, value_type: 'weight' })).toThrow('starting with 2');
+    expect(() => normaliseRule({ prefix: '21', item_code_length: 8, value_type: 'weight' })).toThrow('leave only 2 digit(s)');
+    expect(() => normaliseRule({ prefix: '21', item_code_length: 5, value_type: 'price', value_decimals: 3 })).toThrow('0 to 2');
+    expect(() => normaliseRule({ prefix: '21', item_code_length: 5, value_type: 'count' })).toThrow('value_type');
+    expect(() => normaliseRule({ prefix: '21', item_code_length: 5, value_type: 'weight', check_digit: 'maybe' })).toThrow('check_digit');
+  });
+});
+
+// ─── Decoding ────────────────────────────────────────────────────────────────
+
+describe('Embedded barcodes — matching and decoding scale labels', () => {
+  test('TEST-PEB-03: a weight label gives the item code and kg', () => {
+    expect(ean13CheckDigit('210123401235')).toBe(2);
+    expect(decodeEmbedded('2101234012352', WEIGHT_RULE)).toEqual({ ok: true, itemCode: '01234', value_type: 'weight', weight: 1.235 });
+  });
+
+  test('TEST-PEB-04: a price label skips the value check digit', () => {
+    expect(decodeEmbedded('2204569012995', PRICE_RULE)).toEqual({ ok: true, itemCode: '0456', value_type: 'price', price: 12.99 });
+  });
+
+  test('TEST-PEB-05: a wrong check digit is refused unless the rule ignores it', () => {
+    expect(decodeEmbedded('2101234012353', WEIGHT_RULE)).toMatchObject({ ok: false, error: expect.stringMatching('fails its check digit') });
+    expect(decodeEmbedded('2101234012353', { ...WEIGHT_RULE, check_digit: 'ignore' })).toMatchObject({ ok: true, weight: 1.235 });
+    expect(decodeEmbedded('2101234000008', { ...WEIGHT_RULE, check_digit: 'ignore' })).toMatchObject({ ok: false, error: expect.stringMatching('zero weight') });
+  });
+
+  test('TEST-PEB-06: the longest active prefix wins; other codes match nothing', () => {
+    const general = { ...WEIGHT_RULE, id: 3, prefix: '20' };
+    const carved  = { ...PRICE_RULE, id: 4, prefix: '201' };
+    expect(matchRule([general, carved], '2010007015004').id).toBe(4);
+    expect(matchRule([general, { ...carved, is_active: false }], '2010007015004').id).toBe(3);
+    expect(matchRule([general, carved], '6001000001237')).toBeNull();
+    expect(matchRule([general, carved], '20100070150')).toBeNull();
+  });
+});
+
+// ─── Cart lines ──────────────────────────────────────────────────────────────
+
+describe('Embedded barcodes — labels into cart lines', () => {
+  const mince = { id: 7, product_name: 'Beef Mince', unit_price: 89.99, sold_by_weight: true };
+
+  test('TEST-PEB-07: a weight label is the quantity; a price label keeps its price', () => {
+    expect(labelLine(mince, { value_type: 'weight', weight: 1.235 })).toEqual({ quantity: 1.235, label_price: null });
+    expect(labelLine(mince, { value_type: 'price', price: 12.99 })).toEqual({ quantity: 0.144, label_price: 12.99 });
+    expect(() => labelLine({ ...mince, unit_price: 0 }, { value_type: 'price', price: 12.99 })).toThrow('no price per kg');
+  });
+
+  test('TEST-PEB-08: item codes normalise to the stored PLU without leading zeros', () => {
+    expect(normaliseScalePlu('01234')).toBe('1234');
+    expect(normaliseScalePlu('1234')).toBe('1234');
+    expect(normaliseScalePlu('0000')).toBe('0');
+  });
+});
+
+// ─── Quantities ──────────────────────────────────────────────────────────────
+
+describe('Embedded barcodes — whole-unit vs by-weight quantities', () => {
+  test('TEST-PEB-09: fractions only for sold-by-weight products, to the gram', () => {
+    const perUnit = { product_name: 'Coke 2L', sold_by_weight: false };
+    const byWeight = { product_name: 'Biltong', sold_by_weight: true };
+    expect(quantityProblem(perUnit, 3)).toBeNull();
+    expect(quantityProblem(perUnit, 1.5)).toMatch('whole number');
+    expect(quantityProblem(byWeight, 0.485)).toBeNull();
+    expect(quantityProblem(byWeight, '1.2')).toBeNull();
+    expect(quantityProblem(byWeight, 0.4855)).toMatch('finer than a gram');
+    expect(quantityProblem(byWeight, 0)).toMatch('greater than 0');
+    expect(quantityProblem(perUnit, undefined)).toMatch('greater than 0');
+  });
+});
@@ -0,0 +1,495 @@
+'use strict';
+
+/**
+ * POS Lay-by Agreements — Route Guards
+ * Drives the lay-by routes in laybys.js, the register in reports.js and the
+ * terms in settings.js (requireCompany + requirePermission + handler) against a mocked Supabase
+ * client and stock / completion RPCs.
+ *
+ * Scenarios covered:
+ *   TEST-LBY-01  Completion is one complete_layby_atomic call — no separate stock release or status write.
+ *   TEST-LBY-02  A failed completion leaves nothing to undo: no status reset, no stock moved outside the RPC.
+ *   TEST-LBY-03  A completion that lost the race to another till is refused with 400.
+ *   TEST-LBY-04  An agreement with a balance owing is refused with 409 before any RPC.
+ *   TEST-LBY-05  Another company's agreement is not found.
+ *   TEST-LBY-06  While email is not configured, overdue reminders are all manual and recorded as such.
+ *   TEST-LBY-07  Trainees cannot open, pay or complete; cashiers cannot cancel or send reminders → 403.
+ *   TEST-LBY-08  Missing details, another company's till or customer, or a closed till → refused, no stock reserved.
+ *   TEST-LBY-09  Another company's product or a serial-tracked one → 422, no stock reserved.
+ *   TEST-LBY-10  A deposit under the company's minimum → 400, no stock reserved.
+ *   TEST-LBY-11  Opening reserves the stock and writes the agreement, schedule and deposit on the till, audited.
+ *   TEST-LBY-12  A line that cannot be reserved puts the lines already reserved back → 422, no agreement.
+ *   TEST-LBY-13  An agreement whose schedule cannot be written is deleted and its stock released → 500.
+ *   TEST-LBY-14  Payments: another company's agreement → 404; more than is owing → 409; a payment is taken on the till.
+ *   TEST-LBY-15  A payment whose row cannot be written is taken back off the agreement → 500.
+ *   TEST-LBY-16  Cancelling releases the stock and refunds on the till less the company's fee; only managers change the fee.
+ *   TEST-LBY-17  The register lists only the company's agreements; cashiers are refused.
+ *   TEST-LBY-18  Only management changes the lay-by terms; out-of-range terms → 400; saved for the company.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+const mockRpc = jest.fn();
+const mockFailWrite = { table: null, op: null };
+let mockNextId = 500;
+
+/** Rows are filtered by the comparison filters the query applied; order / range / or are recorded only. */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order', 'limit', 'range', 'or']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const filter = (op, test) => jest.fn((col, val) => {
+    mockFilters.push({ table, op, args: [col, val] });
+    conditions.push(r => test(r[col], val));
+    return chain;
+  });
+  chain.eq = filter('eq', (v, want) => String(v) === String(want));
+  chain.in = filter('in', (v, want) => want.map(String).includes(String(v)));
+  chain.gte = filter('gte', (v, want) => String(v) >= String(want));
+  chain.lte = filter('lte', (v, want) => String(v) <= String(want));
+  for (const op of ['insert', 'update', 'upsert', 'delete']) {
+    chain[op] = jest.fn(payload => {
+      write = { table, op, payload };
+      mockWrites.push(write);
+      return chain;
+    });
+  }
+  const matching = () => (mockRows[table] || []).filter(r => conditions.every(c => c(r)));
+  const result = () => {
+    if (write && mockFailWrite.table === table && mockFailWrite.op === write.op) {
+      return { data: null, error: { message: `${table} ${write.op} failed` } };
+    }
+    if (write && write.op === 'insert') return { data: [].concat(write.payload).map(p => ({ id: mockNextId++, ...p })), error: null };
+    // Updates land on the stored rows, so a compare-and-swap retry reads what the last write left
+    if (write && write.op === 'update') return { data: matching().map(r => ({ ...Object.assign(r, write.payload) })), error: null };
+    if (write) return { data: null, error: null };
+    return { data: matching(), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: {
+    from: jest.fn(table => mockSbChain(table)),
+    rpc:  (...a) => mockRpc(...a),
+  },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('../modules/pos/services/posAuditLogger', () => ({
+  posAuditFromReq: jest.fn(),
+  POS_EVENTS:      new Proxy({}, { get: (_t, key) => key }),
+}));
+
+jest.mock('../modules/pos/services/stockPolicyCache', () => ({
+  getStockPolicy: jest.fn().mockResolvedValue(false),
+}));
+
+const { auditFromReq } = require('../middleware/audit');
+const laybysRouter = require('../modules/pos/routes/laybys');
+const reportsRouter = require('../modules/pos/routes/reports');
+const settingsRouter = require('../modules/pos/routes/settings');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(router, method, path, { role = 'cashier', body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const req = {
+    body, params, query, companyId, user: { userId: 5, role, email: 'till@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  const route = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...router.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const complete = (opts = {}) =>
+  callRoute(laybysRouter, 'post', '/:id/complete', { params: { id: '31' }, body: { till_session_id: 7 }, ...opts });
+const open = (body, opts = {}) => callRoute(laybysRouter, 'post', '/', { body, ...opts });
+const pay = (id, body, opts = {}) => callRoute(laybysRouter, 'post', '/:id/payments', { params: { id: String(id) }, body, ...opts });
+const cancel = (id, body, opts = {}) =>
+  callRoute(laybysRouter, 'post', '/:id/cancel', { params: { id: String(id) }, role: 'shift_supervisor', body, ...opts });
+const writesTo = (table, op) => mockWrites.filter(w => w.table === table && (!op || w.op === op));
+const filtersOn = (table, op = 'eq') => mockFilters.filter(f => f.table === table && f.op === op).map(f => f.args);
+const rpcCalls = fn => mockRpc.mock.calls.filter(([name]) => name === fn).map(([, args]) => args);
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const PAID_UP = {
+  id: 31, company_id: 42, layby_number: 'LB-0031', customer_id: 8, status: 'open',
+  subtotal: 1000, discount_amount: 0, vat_amount: 130.43, total_amount: 1000, deposit_amount: 200, amount_paid: 1000,
+  pos_layby_items: [{ product_id: 1, product_name: 'Pram', quantity: 1, unit_price: 1000, vat_rate: 15, line_total: 1000, discount_amount: 0 }],
+};
+
+const OPENING = {
+  customer_id: 8, items: [{ product_id: 1, quantity: 1 }, { product_id: 2, quantity: 1 }],
+  deposit_amount: 300, payment_method: 'card', till_session_id: 7, instalment_count: 3, frequency: 'fortnightly',
+};
+
+describe('POS Lay-by Agreements — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    mockNextId = 500;
+    Object.assign(mockFailWrite, { table: null, op: null });
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.pos_laybys = [
+      { ...PAID_UP },
+      { ...PAID_UP, id: 32, layby_number: 'LB-0032', amount_paid: 400 },
+      { ...PAID_UP, id: 33, layby_number: 'LB-0033', status: 'cancelled', amount_paid: 400 },
+      { ...PAID_UP, id: 41, company_id: 77, layby_number: 'LB-0041', customer_id: 31, amount_paid: 100 },
+    ];
+    mockRows.pos_layby_instalments = [
+      { layby_id: 32, seq: 1, due_date: '2026-11-01', amount: 400 },
+      { layby_id: 32, seq: 2, due_date: '2026-12-01', amount: 400 },
+    ];
+    mockRows.sales = [{ id: 900, company_id: 42, sale_number: 'SAL-1' }];
+    mockRows.company_settings = [
+      { company_id: 42, layby_min_deposit_percent: 20, layby_cancellation_fee_percent: 10, layby_max_term_days: 90 },
+      { company_id: 77, layby_min_deposit_percent: 5, layby_cancellation_fee_percent: 0, layby_max_term_days: 365 },
+    ];
+    mockRows.till_sessions = [
+      { id: 7, company_id: 42, status: 'open' },
+      { id: 8, company_id: 42, status: 'closed' },
+      { id: 70, company_id: 77, status: 'open' },
+    ];
+    mockRows.customers = [
+      { id: 8, company_id: 42, name: 'Lerato', discount_percentage: 0 },
+      { id: 31, company_id: 77, name: 'Other', discount_percentage: 0 },
+    ];
+    mockRows.products = [
+      { id: 1, company_id: 42, product_name: 'Pram', unit_price: 1000, vat_rate: 15, requires_vat: true, stock_quantity: 3, is_active: true },
+      { id: 2, company_id: 42, product_name: 'Car seat', unit_price: 500, vat_rate: 15, requires_vat: true, stock_quantity: 2, is_active: true },
+      { id: 3, company_id: 42, product_name: 'Baby monitor', unit_price: 800, stock_quantity: 4, is_active: true, track_serial: true },
+      { id: 90, company_id: 77, product_name: 'Their pram', unit_price: 900, stock_quantity: 9, is_active: true },
+    ];
+    mockRpc.mockImplementation(async fn => (fn === 'complete_layby_atomic'
+      ? { data: { sale_id: 900, sale_number: 'SAL-1', was_duplicate: false, layby: { ...PAID_UP, status: 'completed', sale_id: 900 } }, error: null }
+      : { data: null, error: null }));
+  });
+
+  test('TEST-LBY-01: completion is one complete_layby_atomic call — no separate stock release or status write', async () => {
+    const res = await complete();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.layby.status).toBe('completed');
+    expect(res.body.sale.id).toBe(900);
+    expect(mockRpc).toHaveBeenCalledTimes(1);
+    const [fn, args] = mockRpc.mock.calls[0];
+    expect(fn).toBe('complete_layby_atomic');
+    expect(args).toMatchObject({ p_company_id: 42, p_layby_id: 31, p_user_id: 5, p_till_session_id: 7 });
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-LBY-02: a failed completion leaves nothing to undo — no status reset, no stock moved outside the RPC', async () => {
+    mockRpc.mockResolvedValue({ data: null, error: { message: 'insert or update on table "sales" violates foreign key constraint' } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await complete();
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toBe('Could not create the sale for this lay-by');
+    expect(mockRpc).toHaveBeenCalledTimes(1);
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-LBY-03: a completion that lost the race to another till is refused with 400', async () => {
+    mockRpc.mockResolvedValue({ data: null, error: { message: 'This lay-by is already completed' } });
+
+    const res = await complete();
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('This lay-by is already completed');
+  });
+
+  test('TEST-LBY-04: an agreement with a balance owing is refused with 409 before any RPC', async () => {
+    const res = await complete({ params: { id: '32' } });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.balance).toBe(600);
+    expect(mockRpc).not.toHaveBeenCalled();
+  });
+
+  test('TEST-LBY-05: another company\'s agreement is not found', async () => {
+    const res = await complete({ companyId: 77 });
+
+    expect([res.statusCode, res.body.error]).toEqual([404, 'Lay-by not found']);
+    expect(filtersOn('pos_laybys')).toEqual([['id', '31'], ['company_id', 77]]);
+    expect(mockRpc).not.toHaveBeenCalled();
+  });
+
+  test('TEST-LBY-06: while email is not configured, overdue reminders are all manual and recorded as such', async () => {
+    mockRows.pos_laybys = [
+      {
+        ...PAID_UP, amount_paid: 100, deposit_amount: 100, final_due_date: '2026-03-01',
+        customers: { name: 'Lerato', phone: '0821234567', email: 'lerato@example.co.za' },
+        pos_layby_instalments: [{ seq: 1, due_date: '2026-02-01', amount: 450 }, { seq: 2, due_date: '2026-03-01', amount: 450 }],
+      },
+      {
+        ...PAID_UP, id: 41, company_id: 77, amount_paid: 100, deposit_amount: 100,
+        customers: { name: 'Other', phone: '0830000000', email: null },
+        pos_layby_instalments: [{ seq: 1, due_date: '2026-02-01', amount: 900 }],
+      },
+    ];
+
+    const res = await callRoute(laybysRouter, 'post', '/reminders', { role: 'store_manager' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.email_configured).toBe(false);
+    expect(res.body.emailed).toEqual([]);
+    expect(res.body.manual.map(m => m.layby_id)).toEqual([31]);
+    const [recorded] = writesTo('pos_layby_reminders', 'insert');
+    expect(recorded.payload).toMatchObject({ company_id: 42, layby_id: 31, instalment_seq: 1, channel: 'manual', sent_to: '0821234567' });
+  });
+
+  test('TEST-LBY-07: trainees cannot open, pay or complete; cashiers cannot cancel or send reminders → 403', async () => {
+    const responses = [
+      await open(OPENING, { role: 'trainee' }),
+      await pay(32, { amount: 100, till_session_id: 7 }, { role: 'trainee' }),
+      await complete({ role: 'trainee' }),
+      await cancel(32, { reason: 'Changed mind' }, { role: 'cashier' }),
+      await callRoute(laybysRouter, 'post', '/reminders', { role: 'cashier' }),
+    ];
+
+    expect(responses.map(r => [r.statusCode, r.body.required])).toEqual([
+      [403, 'SALES.CREATE'], [403, 'SALES.CREATE'], [403, 'SALES.CREATE'], [403, 'SALES.VOID'], [403, 'SALES.VOID'],
+    ]);
+    expect(mockRpc).not.toHaveBeenCalled();
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-LBY-08: missing details, another company\'s till or customer, or a closed till → refused, no stock reserved', async () => {
+    const responses = [
+      await open({ ...OPENING, customer_id: undefined }),
+      await open({ ...OPENING, items: [] }),
+      await open({ ...OPENING, payment_method: 'account' }),
+      await open({ ...OPENING, till_session_id: undefined }),
+      await open({ ...OPENING, till_session_id: 70 }),
+      await open({ ...OPENING, till_session_id: 8 }),
+      await open({ ...OPENING, customer_id: 31 }),
+    ];
+
+    expect(responses.map(r => [r.statusCode, r.body.error])).toEqual([
+      [400, 'customer_id is required — a lay-by is always in a customer\'s name'],
+      [400, 'At least one item is required'],
+      [400, 'payment_method must be one of cash, card, eft'],
+      [400, 'till_session_id is required — lay-by money is always taken at a till'],
+      [404, 'Session not found'],
+      [409, 'Session must be open (current status: closed)'],
+      [404, 'Customer not found'],
+    ]);
+    expect(filtersOn('customers')).toEqual([['id', 31], ['company_id', 42]]);
+    expect(mockRpc).not.toHaveBeenCalled();
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-LBY-09: another company\'s product or a serial-tracked one → 422, no stock reserved', async () => {
+    const res = await open({ ...OPENING, items: [{ product_id: 90, quantity: 1 }, { product_id: 3, quantity: 1 }] });
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.details).toEqual([
+      'Product 90 not found',
+      '"Baby monitor" is serial-tracked and cannot go on lay-by',
+    ]);
+    expect(filtersOn('products')).toEqual([['company_id', 42]]);
+    expect(mockRpc).not.toHaveBeenCalled();
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-LBY-10: a deposit under the company\'s minimum → 400, no stock reserved', async () => {
+    // 100 of 1500 is enough under company 77's 5% — company 42 asks 20%
+    const res = await open({ ...OPENING, deposit_amount: 100 });
+
+    expect([res.statusCode, res.body.error]).toEqual([400, 'The deposit must be at least 20% of the total (R 300.00)']);
+    expect(filtersOn('company_settings')).toEqual([['company_id', 42]]);
+    expect(rpcCalls('decrement_stock_v2')).toEqual([]);
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-LBY-11: opening reserves the stock and writes the agreement, schedule and deposit on the till, audited', async () => {
+    const res = await open(OPENING);
+
+    expect(res.statusCode).toBe(201);
+    expect(rpcCalls('decrement_stock_v2')).toEqual([
+      { p_product_id: 1, p_quantity: 1, p_allow_negative: false },
+      { p_product_id: 2, p_quantity: 1, p_allow_negative: false },
+    ]);
+    const [layby] = writesTo('pos_laybys', 'insert');
+    expect(layby.payload).toMatchObject({
+      company_id: 42, customer_id: 8, status: 'open', total_amount: 1500, deposit_amount: 300, amount_paid: 300,
+      frequency: 'fortnightly', instalment_count: 3, till_session_id: 7, created_by: 5,
+    });
+    expect(writesTo('pos_layby_items', 'insert')[0].payload.map(l => [l.layby_id, l.product_id, l.line_total])).toEqual([[500, 1, 1000], [500, 2, 500]]);
+    expect(writesTo('pos_layby_instalments', 'insert')[0].payload.map(s => [s.seq, s.amount])).toEqual([[1, 400], [2, 400], [3, 400]]);
+    expect(writesTo('pos_layby_payments', 'insert')[0].payload).toMatchObject({
+      company_id: 42, layby_id: 500, kind: 'deposit', payment_method: 'card', amount: 300, till_session_id: 7,
+    });
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'CREATE', 'pos_layby', 500, expect.objectContaining({
+      newValue: expect.objectContaining({ total_amount: 1500, deposit_amount: 300, instalments: 3 }),
+    }));
+    expect(res.body.min_deposit).toBe(300);
+  });
+
+  test('TEST-LBY-12: a line that cannot be reserved puts the lines already reserved back → 422, no agreement', async () => {
+    mockRpc.mockImplementation(async (fn, args) => (fn === 'decrement_stock_v2' && args.p_product_id === 2
+      ? { data: null, error: { message: 'Insufficient stock for product 2' } }
+      : { data: null, error: null }));
+
+    const res = await open(OPENING);
+
+    expect([res.statusCode, res.body.error, res.body.details]).toEqual([422, 'Stock check failed', ['Insufficient stock for product 2']]);
+    expect(rpcCalls('restore_stock_for_return')).toEqual([{ p_product_id: 1, p_quantity: 1, p_company_id: 42 }]);
+    expect(writesTo('pos_laybys')).toEqual([]);
+  });
+
+  test('TEST-LBY-13: an agreement whose schedule cannot be written is deleted and its stock released → 500', async () => {
+    Object.assign(mockFailWrite, { table: 'pos_layby_instalments', op: 'insert' });
+
+    const res = await open(OPENING);
+
+    expect([res.statusCode, res.body.error]).toEqual([500, 'pos_layby_instalments insert failed']);
+    expect(writesTo('pos_laybys').map(w => w.op)).toEqual(['insert', 'delete']);
+    expect(filtersOn('pos_laybys').slice(-2)).toEqual([['id', 500], ['company_id', 42]]);
+    expect(rpcCalls('restore_stock_for_return').map(a => a.p_product_id)).toEqual([1, 2]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-LBY-14: payments — another company\'s agreement → 404; more than is owing → 409; a payment is taken on the till', async () => {
+    const foreign = await pay(41, { amount: 100, payment_method: 'cash', till_session_id: 7 });
+    const over = await pay(32, { amount: 700, payment_method: 'cash', till_session_id: 7 });
+    expect([foreign.statusCode, foreign.body.error]).toEqual([404, 'Lay-by not found']);
+    expect([over.statusCode, over.body.error]).toEqual([409, 'Only R 600.00 is still owing on this lay-by']);
+    expect(mockWrites).toEqual([]);
+
+    const res = await pay(32, { amount: 250, payment_method: 'cash', till_session_id: 7 });
+
+    expect(res.statusCode).toBe(201);
+    const [update] = writesTo('pos_laybys', 'update');
+    expect(update.payload.amount_paid).toBe(650);
+    // Compare-and-swap on the amount read, inside the company
+    expect(filtersOn('pos_laybys').slice(-4)).toEqual([['id', '32'], ['company_id', 42], ['status', 'open'], ['amount_paid', 400]]);
+    expect(writesTo('pos_layby_payments', 'insert')[0].payload).toMatchObject({
+      company_id: 42, layby_id: 32, kind: 'instalment', payment_method: 'cash', amount: 250, till_session_id: 7, reference: 'LB-0032',
+    });
+    // 450 paid on top of the R200 deposit settles the first R400 instalment
+    expect([res.body.layby.balance, res.body.layby.next_due.seq]).toEqual([350, 2]);
+  });
+
+  test('TEST-LBY-15: a payment whose row cannot be written is taken back off the agreement → 500', async () => {
+    Object.assign(mockFailWrite, { table: 'pos_layby_payments', op: 'insert' });
+
+    const res = await pay(32, { amount: 250, payment_method: 'card', till_session_id: 7 });
+
+    expect([res.statusCode, res.body.error]).toEqual([500, 'pos_layby_payments insert failed']);
+    expect(writesTo('pos_laybys', 'update').map(w => w.payload.amount_paid)).toEqual([650, 400]);
+    expect(mockRows.pos_laybys.find(l => l.id === 32).amount_paid).toBe(400);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-LBY-16: cancelling releases the stock and refunds on the till less the company\'s fee; only managers change the fee', async () => {
+    const waived = await cancel(32, { reason: 'Changed mind', fee_amount: 0, till_session_id: 7 });
+    const foreign = await cancel(41, { reason: 'Changed mind', till_session_id: 7 });
+    const done = await cancel(33, { reason: 'Changed mind', till_session_id: 7 });
+    const noTill = await cancel(32, { reason: 'Changed mind' });
+    expect([waived.statusCode, waived.body.error]).toEqual([403, 'Changing the cancellation fee requires management approval (SALES.REFUND)']);
+    expect([foreign.statusCode, foreign.body.error]).toEqual([404, 'Lay-by not found']);
+    expect([done.statusCode, done.body.error]).toEqual([400, 'This lay-by is already cancelled']);
+    expect([noTill.statusCode, noTill.body.error]).toEqual([400, 'till_session_id is required — lay-by money is always taken at a till']);
+    expect(mockWrites).toEqual([]);
+
+    const res = await cancel(32, { reason: 'Changed mind', refund_method: 'eft', till_session_id: 7 });
+
+    expect(res.statusCode).toBe(200);
+    expect([res.body.fee, res.body.refund]).toEqual([100, 300]);
+    const [update] = writesTo('pos_laybys', 'update');
+    expect(update.payload).toMatchObject({ status: 'cancelled', cancellation_fee: 100, refund_amount: 300, cancelled_by: 5 });
+    expect(filtersOn('pos_laybys').slice(-4)).toEqual([['id', 32], ['company_id', 42], ['status', 'open'], ['amount_paid', 400]]);
+    expect(rpcCalls('restore_stock_for_return')).toEqual([{ p_product_id: 1, p_quantity: 1, p_company_id: 42 }]);
+    expect(writesTo('pos_layby_payments', 'insert')[0].payload).toMatchObject({
+      company_id: 42, layby_id: 32, kind: 'refund', payment_method: 'eft', amount: -300, till_session_id: 7,
+    });
+
+    const managerWaived = await cancel(31, { reason: 'Goodwill', fee_amount: 0, till_session_id: 7 }, { role: 'store_manager' });
+    expect([managerWaived.body.fee, managerWaived.body.refund]).toEqual([0, 1000]);
+  });
+
+  test('TEST-LBY-17: the register lists only the company\'s agreements; cashiers are refused', async () => {
+    const cashier = await callRoute(reportsRouter, 'get', '/layby-register');
+    expect([cashier.statusCode, cashier.body.required]).toEqual([403, 'REPORTS.VIEW']);
+
+    const res = await callRoute(reportsRouter, 'get', '/layby-register', { role: 'store_manager' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.laybys.map(l => l.id)).toEqual([31, 32, 33]);
+    expect(res.body.summary.count).toEqual({ open: 2, completed: 0, cancelled: 1 });
+    expect(res.body.summary.outstanding).toBe(600);
+    expect(filtersOn('pos_laybys')).toEqual([['company_id', 42]]);
+  });
+
+  test('TEST-LBY-18: only management changes the lay-by terms; out-of-range terms → 400; saved for the company', async () => {
+    const setTerms = (body, role = 'store_manager') => callRoute(settingsRouter, 'put', '/layby-terms', { role, body });
+
+    const supervisor = await setTerms({ layby_min_deposit_percent: 5 }, 'shift_supervisor');
+    const responses = [
+      await setTerms({ layby_min_deposit_percent: 120 }),
+      await setTerms({ layby_cancellation_fee_percent: -1 }),
+      await setTerms({ layby_max_term_days: 3 }),
+      await setTerms({}),
+    ];
+    expect([supervisor.statusCode, supervisor.body.required]).toEqual([403, 'SETTINGS.EDIT']);
+    expect(responses.map(r => [r.statusCode, r.body.error])).toEqual([
+      [400, 'layby_min_deposit_percent must be a percentage from 0 to 100'],
+      [400, 'layby_cancellation_fee_percent must be a percentage from 0 to 100'],
+      [400, 'layby_max_term_days must be a whole number of at least 7'],
+      [400, 'Nothing to update'],
+    ]);
+    expect(mockWrites).toEqual([]);
+
+    const res = await setTerms({ layby_min_deposit_percent: '25', layby_max_term_days: 120 });
+
+    expect(res.statusCode).toBe(200);
+    const [{ payload }] = writesTo('company_settings', 'upsert');
+    expect(payload).toMatchObject({ company_id: 42, layby_min_deposit_percent: 25, layby_max_term_days: 120, updated_by_user_id: 5 });
+    expect(payload).not.toHaveProperty('layby_cancellation_fee_percent');
+  });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * POS Lay-by Agreements — Terms, Schedule, Validation, Progress and Cancellation
+ * Unit tests for the pure helpers in laybyPlan.js. Route-level guards
+ * are covered in pos-layby-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PLY-01  Missing settings fall back to the defaults.
+ *   TEST-PLY-02  Monthly dates keep the day of the month, clamped to the month end.
+ *   TEST-PLY-03  The balance is split evenly, odd cents going to the first instalments.
+ *   TEST-PLY-04  A deposit under the minimum, or covering everything, is refused.
+ *   TEST-PLY-05  A last instalment beyond the maximum term is refused.
+ *   TEST-PLY-06  Bad counts and frequencies are refused.
+ *   TEST-PLY-07  A part payment leaves the rest of the first instalment overdue.
+ *   TEST-PLY-08  A lump payment covers the next instalments in order.
+ *   TEST-PLY-09  The fee is a percentage of the total, never more than was paid.
+ *   TEST-PLY-10  A manager-set fee replaces the percentage, including waiving it.
+ */
+
+const {
+  laybyTerms, addInterval, planLayby, instalmentProgress, cancellationSettlement, DEFAULT_LAYBY_TERMS,
+} = require('../modules/pos/services/laybyPlan');
+
+const DAY = '2026-10-19';
+
+// ─── Terms and schedule ──────────────────────────────────────────────────────
+
+describe('Lay-by plan — company terms and the instalment schedule', () => {
+  test('TEST-PLY-01: missing settings fall back to the defaults', () => {
+    expect(laybyTerms(null)).toEqual(DEFAULT_LAYBY_TERMS);
+    expect(laybyTerms({ layby_min_deposit_percent: '20.00', layby_cancellation_fee_percent: 0, layby_max_term_days: null }))
+      .toEqual({ minDepositPercent: 20, cancellationFeePercent: 0, maxTermDays: 90 });
+  });
+
+  test('TEST-PLY-02: monthly dates keep the day of the month, clamped to the month end', () => {
+    expect(addInterval('2027-01-31', 'monthly', 1)).toBe('2027-02-28');
+    expect(addInterval('2027-01-31', 'monthly', 2)).toBe('2027-03-31');
+    expect(addInterval(DAY, 'weekly', 2)).toBe('2026-11-02');
+    expect(addInterval(DAY, 'fortnightly', 1)).toBe('2026-11-02');
+  });
+
+  test('TEST-PLY-03: the balance is split evenly, odd cents going to the first instalments', () => {
+    const plan = planLayby({ total: 1000, deposit: 100, instalmentCount: 3, frequency: 'fortnightly', startDay: DAY });
+    expect(plan.minDeposit).toBe(100);
+    expect(plan.schedule).toEqual([
+      { seq: 1, due_date: '2026-11-02', amount: 300 },
+      { seq: 2, due_date: '2026-11-16', amount: 300 },
+      { seq: 3, due_date: '2026-11-30', amount: 300 },
+    ]);
+    const odd = planLayby({ total: 100.02, deposit: 20, instalmentCount: 3, frequency: 'weekly', startDay: DAY });
+    expect(odd.schedule.map(s => s.amount)).toEqual([26.68, 26.67, 26.67]);
+    expect(odd.finalDueDate).toBe('2026-11-09');
+  });
+});
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+describe('Lay-by plan — agreements that break the terms', () => {
+  const base = { total: 1000, deposit: 100, instalmentCount: 2, frequency: 'monthly', startDay: DAY };
+
+  test('TEST-PLY-04: a deposit under the minimum, or covering everything, is refused', () => {
+    expect(() => planLayby({ ...base, deposit: 99.99 })).toThrow('at least 10% of the total (R 100.00)');
+    expect(() => planLayby({ ...base, deposit: 1000 })).toThrow('ring it up as a sale instead');
+    expect(() => planLayby({ ...base, deposit: 250, terms: { ...DEFAULT_LAYBY_TERMS, minDepositPercent: 30 } }))
+      .toThrow('at least 30%');
+  });
+
+  test('TEST-PLY-05: a last instalment beyond the maximum term is refused', () => {
+    expect(() => planLayby({ ...base, instalmentCount: 3 })).toThrow('(2027-01-19) falls beyond the 90-day lay-by limit');
+    expect(planLayby({ ...base, instalmentCount: 2 }).finalDueDate).toBe('2026-12-19');
+    expect(planLayby({ ...base, instalmentCount: 12, frequency: 'weekly' }).finalDueDate).toBe('2027-01-11');
+  });
+
+  test('TEST-PLY-06: bad counts and frequencies are refused', () => {
+    expect(() => planLayby({ ...base, instalmentCount: 0 })).toThrow('instalment_count');
+    expect(() => planLayby({ ...base, instalmentCount: 1.5 })).toThrow('instalment_count');
+    expect(() => planLayby({ ...base, frequency: 'daily' })).toThrow('frequency must be one of');
+    expect(() => planLayby({ ...base, total: 0 })).toThrow('greater than 0');
+  });
+});
+
+// ─── Progress ────────────────────────────────────────────────────────────────
+
+describe('Lay-by plan — schedule progress and arrears', () => {
+  const schedule = [
+    { seq: 1, due_date: '2026-10-05', amount: 300 },
+    { seq: 2, due_date: '2026-10-19', amount: 300 },
+    { seq: 3, due_date: '2026-11-02', amount: 300 },
+  ];
+
+  test('TEST-PLY-07: a part payment leaves the rest of the first instalment overdue', () => {
+    const p = instalmentProgress(schedule, 120, DAY);
+    expect(p.instalments.map(i => i.status)).toEqual(['overdue', 'due', 'upcoming']);
+    expect(p.overdueAmount).toBe(180);
+    expect(p.overdueSince).toBe('2026-10-05');
+    expect(p.daysOverdue).toBe(14);
+    expect(p.firstOverdueSeq).toBe(1);
+    expect(p.nextDue).toEqual({ seq: 2, due_date: '2026-10-19', outstanding: 300 });
+  });
+
+  test('TEST-PLY-08: a lump payment covers the next instalments in order', () => {
+    const p = instalmentProgress(schedule, 750, DAY);
+    expect(p.instalments.map(i => [i.status, i.paid])).toEqual([['paid', 300], ['paid', 300], ['upcoming', 150]]);
+    expect(p.overdueAmount).toBe(0);
+    expect(p.firstOverdueSeq).toBeNull();
+    expect(p.nextDue).toEqual({ seq: 3, due_date: '2026-11-02', outstanding: 150 });
+  });
+});
+
+// ─── Cancellation ────────────────────────────────────────────────────────────
+
+describe('Lay-by plan — cancellation settlement', () => {
+  test('TEST-PLY-09: the fee is a percentage of the total, never more than was paid', () => {
+    expect(cancellationSettlement({ total: 1000, amountPaid: 400, feePercent: 10 })).toEqual({ fee: 100, refund: 300 });
+    expect(cancellationSettlement({ total: 1000, amountPaid: 60, feePercent: 10 })).toEqual({ fee: 60, refund: 0 });
+  });
+
+  test('TEST-PLY-10: a manager-set fee replaces the percentage, including waiving it', () => {
+    expect(cancellationSettlement({ total: 1000, amountPaid: 400, feePercent: 10, feeAmount: 0 })).toEqual({ fee: 0, refund: 400 });
+    expect(cancellationSettlement({ total: 1000, amountPaid: 400, feePercent: 10, feeAmount: '25.5' })).toEqual({ fee: 25.5, refund: 374.5 });
+  });
+});
@@ -0,0 +1,431 @@
+'use strict';
+
+/**
+ * POS Product Variants — Route Guards
+ * Drives the variant routes in products.js, the variant checks in sales.js,
+ * variant rows in import.js and the parent roll-up in reports.js
+ * (requireCompany + requirePermission + handler) against a mocked Supabase
+ * client.
+ *
+ * Scenarios covered:
+ *   TEST-PVR-01  Roles without PRODUCTS.CREATE cannot generate variants or import rows → 403, nothing written.
+ *   TEST-PVR-02  Another company's product has no variants to list, generate or count stock for → 404.
+ *   TEST-PVR-03  A product still holding stock cannot be split into variants → 400, nothing written.
+ *   TEST-PVR-04  Invalid options, or generating from a variant → 400 before any barcode is taken.
+ *   TEST-PVR-05  Generation creates every combination with its own code, price and an unused company barcode.
+ *   TEST-PVR-06  Generating again only adds new values; a new attribute on existing variants → 400.
+ *   TEST-PVR-07  A variant code already in use → 409, nothing audited.
+ *   TEST-PVR-08  Variants are listed from the parent with the company's per-location stock.
+ *   TEST-PVR-09  A parent's stock by location rolls its variants up per location.
+ *   TEST-PVR-10  The parent itself cannot be sold → 422 before the sale RPC.
+ *   TEST-PVR-11  Deactivating a parent deactivates its variants within the company.
+ *   TEST-PVR-12  Import previews flag unknown, foreign and stocked parents row by row.
+ *   TEST-PVR-13  Import creates a parent from the file first, then its variants at the parent's price.
+ *   TEST-PVR-14  Top products roll variant sales up to the company's parent; group_by=variant keeps them apart.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+const mockRpc = jest.fn();
+const mockFailWrite = { table: null, op: null, code: null };
+let mockNextId = 500;
+
+/** Field of a row by column name — 'sales.company_id' reads an embedded join. */
+const mockField = (row, col) => col.split('.').reduce((v, k) => (v == null ? v : v[k]), row);
+
+/**
+ * Rows are filtered by the eq / in / is / not conditions the query applied;
+ * `or` is recorded only. Inserts land in mockRows with fresh ids so later
+ * reads in the same request see them, as they would in the database.
+ */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order', 'limit', 'range', 'or']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const filter = (op, test) => jest.fn((col, ...val) => {
+    mockFilters.push({ table, op, args: [col, ...val] });
+    conditions.push(r => test(mockField(r, col), ...val));
+    return chain;
+  });
+  chain.eq = filter('eq', (v, want) => String(v) === String(want));
+  chain.in = filter('in', (v, want) => want.map(String).includes(String(v)));
+  chain.is = filter('is', v => v == null);
+  chain.not = filter('not', v => v != null);
+  for (const op of ['insert', 'update', 'upsert', 'delete']) {
+    chain[op] = jest.fn(payload => {
+      write = { table, op, payload };
+      mockWrites.push(write);
+      return chain;
+    });
+  }
+  const matching = () => (mockRows[table] || []).filter(r => conditions.every(c => c(r)));
+  let inserted = null;
+  const result = () => {
+    if (write && mockFailWrite.table === table && mockFailWrite.op === write.op) {
+      return { data: null, error: { code: mockFailWrite.code, message: 'duplicate key value violates unique constraint' } };
+    }
+    if (write && write.op === 'insert') {
+      if (!inserted) {
+        inserted = [].concat(write.payload).map(p => ({ id: mockNextId++, ...p }));
+        mockRows[table] = [...(mockRows[table] || []), ...inserted];
+      }
+      return { data: inserted, error: null };
+    }
+    if (write && write.op === 'update') return { data: matching().map(r => ({ ...r, ...write.payload })), error: null };
+    if (write) return { data: null, error: null };
+    return { data: matching(), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: {
+    from: jest.fn(table => mockSbChain(table)),
+    rpc:  (...a) => mockRpc(...a),
+  },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('../modules/pos/services/posAuditLogger', () => ({
+  posAuditFromReq: jest.fn(),
+  POS_EVENTS:      new Proxy({}, { get: (_t, key) => key }),
+}));
+
+jest.mock('../modules/pos/services/stockPolicyCache', () => ({
+  getStockPolicy: jest.fn().mockResolvedValue(false),
+}));
+
+const { auditFromReq } = require('../middleware/audit');
+const { posAuditFromReq } = require('../modules/pos/services/posAuditLogger');
+const productsRouter = require('../modules/pos/routes/products');
+const salesRouter = require('../modules/pos/routes/sales');
+const importRouter = require('../modules/pos/routes/import');
+const reportsRouter = require('../modules/pos/routes/reports');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(router, method, path, { role = 'business_owner', body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const req = {
+    body, params, query, companyId, user: { userId: 5, role, email: 'stock@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  const route = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...router.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const generate = (id, body, opts = {}) => callRoute(productsRouter, 'post', '/:id/variants/generate', { params: { id: String(id) }, body, ...opts });
+const sizes = (...values) => [{ name: 'size', values }];
+const writesTo = (table, op) => mockWrites.filter(w => w.table === table && (!op || w.op === op));
+const filtersOn = (table, op = 'eq') => mockFilters.filter(f => f.table === table && f.op === op).map(f => f.args);
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const PRODUCTS = [
+  // A variant parent with two sizes
+  { id: 300, company_id: 42, product_code: 'TEE01', product_name: 'Classic Tee', unit_price: 229, cost_price: 90, stock_quantity: 0,
+    is_active: true, is_variant_parent: true, variant_options: [{ name: 'size', values: ['S', 'M'] }], parent_product_id: null },
+  { id: 310, company_id: 42, product_code: 'TEE01-S', product_name: 'Classic Tee - S', unit_price: 229, stock_quantity: 4,
+    is_active: true, parent_product_id: 300, variant_attributes: { size: 'S' } },
+  { id: 311, company_id: 42, product_code: 'TEE01-M', product_name: 'Classic Tee - M', unit_price: 229, stock_quantity: 6,
+    is_active: true, parent_product_id: 300, variant_attributes: { size: 'M' } },
+  // Plain products
+  { id: 302, company_id: 42, product_code: 'BEAN01', product_name: 'Beanie', unit_price: 99, stock_quantity: 12, is_active: true, parent_product_id: null },
+  { id: 303, company_id: 42, product_code: 'HOOD01', product_name: 'Hoodie', unit_price: 449, cost_price: 180, stock_quantity: 0,
+    category: 'Apparel', category_id: 8, vat_rate: 15, requires_vat: true, unit: 'each', is_active: true, parent_product_id: null },
+  // Holds the first barcode of the company's sequence (600000001000 + check digit 3)
+  { id: 304, company_id: 42, product_code: 'SOCK01', product_name: 'Socks', barcode: '6000000010003', stock_quantity: 30, is_active: true },
+  // Another company: its barcode is the second of the sequence, which company 42 may still use
+  { id: 390, company_id: 77, product_code: 'JKT01', product_name: 'Jacket', barcode: '6000000010010', stock_quantity: 0, is_active: true, parent_product_id: null },
+];
+
+const LOCATION_STOCK = [
+  { company_id: 42, product_id: 310, location_id: 1, quantity: 3, locations: { location_name: 'Sandton' } },
+  { company_id: 42, product_id: 310, location_id: 2, quantity: 1, locations: { location_name: 'Rosebank' } },
+  { company_id: 42, product_id: 311, location_id: 1, quantity: 6, locations: { location_name: 'Sandton' } },
+  { company_id: 77, product_id: 310, location_id: 9, quantity: 50, locations: { location_name: 'Elsewhere' } },
+];
+
+describe('POS Product Variants — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    mockNextId = 500;
+    Object.assign(mockFailWrite, { table: null, op: null, code: null });
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.products = PRODUCTS.map(p => ({ ...p }));
+    mockRows.product_location_stock = LOCATION_STOCK.map(l => ({ ...l }));
+    mockRows.barcode_settings = [{ company_id: 42, company_prefix: '600', current_sequence: 1000 }];
+    mockRpc.mockResolvedValue({ data: { sale_id: 900, sale_number: 'SAL-1', was_duplicate: false }, error: null });
+  });
+
+  test('TEST-PVR-01: roles without PRODUCTS.CREATE cannot generate variants or import rows → 403, nothing written', async () => {
+    for (const role of ['cashier', 'shift_supervisor']) {
+      const gen = await generate(303, { options: sizes('S') }, { role });
+      const imp = await callRoute(importRouter, 'post', '/execute', { role, body: { rows: [{ parent_code: 'HOOD01', size: 'S' }] } });
+      expect([gen.statusCode, imp.statusCode]).toEqual([403, 403]);
+      expect(gen.body.required).toBe('PRODUCTS.CREATE');
+    }
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PVR-02: another company\'s product has no variants to list, generate or count stock for → 404', async () => {
+    const id = { params: { id: '390' } };
+    const responses = [
+      await callRoute(productsRouter, 'get', '/:id/variants', id),
+      await generate(390, { options: sizes('S', 'M') }),
+      await callRoute(productsRouter, 'get', '/:id/stock-by-location', id),
+    ];
+
+    expect(responses.map(r => [r.statusCode, r.body.error])).toEqual([
+      [404, 'Product not found'], [404, 'Product not found'], [404, 'Product not found'],
+    ]);
+    expect(filtersOn('products')).toEqual(expect.arrayContaining([['id', '390'], ['company_id', 42]]));
+    expect(filtersOn('products').filter(([col]) => col === 'company_id').every(([, v]) => v === 42)).toBe(true);
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PVR-03: a product still holding stock cannot be split into variants → 400, nothing written', async () => {
+    const res = await generate(302, { options: sizes('S', 'M') });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('"Beanie" still has 12 in stock — adjust it to zero before splitting it into variants');
+    expect(mockWrites).toEqual([]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PVR-04: invalid options, or generating from a variant → 400 before any barcode is taken', async () => {
+    // Sold out, so the stock check does not answer first
+    mockRows.products.find(p => p.id === 310).stock_quantity = 0;
+    const responses = [
+      await generate(303, {}),
+      await generate(303, { options: [{ name: 'material', values: ['Cotton'] }] }),
+      await generate(303, { options: sizes('S'), prices: [{ attributes: { size: 'S' }, unit_price: -1 }] }),
+      await generate(310, { options: sizes('S') }),
+    ];
+
+    expect(responses.map(r => [r.statusCode, r.body.error])).toEqual([
+      [400, 'options is required — at least one of size, colour or style'],
+      [400, 'Variant attribute "material" must be one of size, colour, style'],
+      [400, 'Variant prices must be non-negative numbers'],
+      [400, 'A variant cannot itself have variants — generate from the parent product'],
+    ]);
+    expect(filtersOn('barcode_settings')).toEqual([]);
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PVR-05: generation creates every combination with its own code, price and an unused company barcode', async () => {
+    const res = await generate(303, { options: sizes('S', 'M', 'L'), prices: [{ attributes: { size: 'L' }, unit_price: 479 }] });
+
+    expect(res.statusCode).toBe(201);
+    const [parentUpdate] = writesTo('products', 'update');
+    expect(parentUpdate.payload).toMatchObject({ is_variant_parent: true, variant_options: sizes('S', 'M', 'L') });
+    expect(filtersOn('products')).toEqual(expect.arrayContaining([['id', 303], ['parent_product_id', 303]]));
+
+    const [{ payload: rows }] = writesTo('products', 'insert');
+    expect(rows.map(r => [r.product_code, r.sku, r.product_name, r.unit_price, r.cost_price, r.stock_quantity])).toEqual([
+      ['HOOD01-S', 'HOOD01-S', 'Hoodie - S', 449, 180, 0],
+      ['HOOD01-M', 'HOOD01-M', 'Hoodie - M', 449, 180, 0],
+      ['HOOD01-L', 'HOOD01-L', 'Hoodie - L', 479, 180, 0],
+    ]);
+    rows.forEach(r => expect(r).toMatchObject({ company_id: 42, parent_product_id: 303, category_id: 8, vat_rate: 15, is_active: true }));
+    // 1000 is taken in this company; 1001 only in another company
+    expect(rows.map(r => r.barcode.slice(0, 12))).toEqual(['600000001001', '600000001002', '600000001003']);
+    expect(filtersOn('barcode_settings')).toEqual([['company_id', 42], ['company_id', 42]]);
+    expect(writesTo('barcode_settings', 'update')[0].payload).toMatchObject({ current_sequence: 1004 });
+
+    expect(res.body.created.map(v => v.product_code)).toEqual(['HOOD01-S', 'HOOD01-M', 'HOOD01-L']);
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'CREATE', 'product', 303, {
+      module: 'pos', newValue: { variant_options: sizes('S', 'M', 'L'), variants_created: 3 },
+    });
+    expect(posAuditFromReq).toHaveBeenCalledWith(expect.anything(), 'PRODUCT_VARIANTS_GENERATED', expect.objectContaining({
+      productId: 303, metadata: { created: 3, existing: 0, product_codes: ['HOOD01-S', 'HOOD01-M', 'HOOD01-L'] },
+    }));
+  });
+
+  test('TEST-PVR-06: generating again only adds new values; a new attribute on existing variants → 400', async () => {
+    const again = await generate(300, { options: sizes('M', 'L'), generate_barcodes: false });
+
+    expect(again.statusCode).toBe(201);
+    expect(writesTo('products', 'insert')[0].payload.map(r => [r.product_code, r.barcode])).toEqual([['TEE01-L', null]]);
+    expect(again.body.existing.map(v => v.id)).toEqual([310, 311]);
+    expect(filtersOn('barcode_settings')).toEqual([]);
+
+    mockWrites.length = 0;
+    const colour = await generate(300, { options: [{ name: 'colour', values: ['Black'] }] });
+    expect(colour.statusCode).toBe(400);
+    expect(colour.body.error).toBe('Variants already exist by size — new values can be added but the attributes must be size');
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PVR-07: a variant code already in use → 409, nothing audited', async () => {
+    Object.assign(mockFailWrite, { table: 'products', op: 'insert', code: '23505' });
+
+    const res = await generate(303, { options: sizes('S'), generate_barcodes: false });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('One of the variant product codes is already in use by another product — rename it and generate again.');
+    expect(auditFromReq).not.toHaveBeenCalled();
+    expect(posAuditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PVR-08: variants are listed from the parent with the company\'s per-location stock', async () => {
+    const res = await callRoute(productsRouter, 'get', '/:id/variants', { params: { id: '311' }, role: 'cashier' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.parent.id).toBe(300);
+    expect(res.body.options).toEqual(sizes('S', 'M'));
+    expect(res.body.total_stock).toBe(10);
+    expect(res.body.variants.map(v => [v.id, v.locations])).toEqual([
+      [310, [{ location_id: 1, location: 'Sandton', stock_quantity: 3 }, { location_id: 2, location: 'Rosebank', stock_quantity: 1 }]],
+      [311, [{ location_id: 1, location: 'Sandton', stock_quantity: 6 }]],
+    ]);
+    expect(filtersOn('product_location_stock')).toEqual([['company_id', 42]]);
+  });
+
+  test('TEST-PVR-09: a parent\'s stock by location rolls its variants up per location', async () => {
+    const res = await callRoute(productsRouter, 'get', '/:id/stock-by-location', { params: { id: '300' } });
+
+    expect(res.body).toMatchObject({ product_id: 300, total_stock: 10 });
+    expect(res.body.locations).toEqual([
+      { location_id: 1, location: 'Sandton', stock_quantity: 9 },
+      { location_id: 2, location: 'Rosebank', stock_quantity: 1 },
+    ]);
+    expect(res.body.variants.map(v => [v.product_id, v.stock_quantity])).toEqual([[310, 4], [311, 6]]);
+  });
+
+  test('TEST-PVR-10: the parent itself cannot be sold → 422 before the sale RPC', async () => {
+    const res = await callRoute(salesRouter, 'post', '/', {
+      role: 'cashier', body: { items: [{ product_id: 300, quantity: 1 }], payment_method: 'cash' },
+    });
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.details).toEqual(['"Classic Tee" has variants — choose the size/colour being sold']);
+    expect(filtersOn('products')).toContainEqual(['company_id', 42]);
+    expect(mockRpc).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PVR-11: deactivating a parent deactivates its variants within the company', async () => {
+    const denied = await callRoute(productsRouter, 'delete', '/:id', { params: { id: '300' }, role: 'cashier' });
+    expect(denied.statusCode).toBe(403);
+    expect(mockWrites).toEqual([]);
+
+    const res = await callRoute(productsRouter, 'delete', '/:id', { params: { id: '300' }, role: 'store_manager' });
+
+    expect(res.body).toEqual({ success: true });
+    expect(writesTo('products', 'update').map(w => w.payload.is_active)).toEqual([false, false]);
+    expect(filtersOn('products')).toEqual([['id', '300'], ['company_id', 42], ['parent_product_id', '300'], ['company_id', 42]]);
+  });
+
+  test('TEST-PVR-12: import previews flag unknown, foreign and stocked parents row by row', async () => {
+    const res = await callRoute(importRouter, 'post', '/preview', { body: { rows: [
+      { parent_code: 'NOPE01', size: 'M' },
+      { parent_code: 'JKT01', size: 'M' },
+      { parent_code: 'BEAN01', colour: 'Grey' },
+      { parent_code: 'TEE01-S', size: 'XS' },
+      { product_name: 'Scarf', size: 'M' },
+    ] } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.preview).toMatchObject({ error_count: 5, new_count: 0 });
+    expect(res.body.rows.map(r => r._errors)).toEqual([
+      ['Parent product "NOPE01" not found in this file or in your products'],
+      ['Parent product "JKT01" not found in this file or in your products'],
+      ['Parent product "BEAN01" still has 12 in stock — adjust it to zero first'],
+      ['"TEE01-S" is itself a variant and cannot be a parent'],
+      ['Size/colour/style given without a parent_code'],
+    ]);
+    expect(filtersOn('products')).toContainEqual(['company_id', 42]);
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PVR-13: import creates a parent from the file first, then its variants at the parent\'s price', async () => {
+    const res = await callRoute(importRouter, 'post', '/execute', { body: { rows: [
+      { product_name: 'Polo', product_code: 'POLO01', selling_price: '199', cost_price: '80' },
+      { parent_code: 'POLO01', size: 'S', stock_quantity: '5' },
+      { parent_code: 'POLO01', size: 'M', selling_price: '209', stock_quantity: '3' },
+      { parent_code: 'TEE01', size: 'L', stock_quantity: '2' },
+    ] } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ created: 4, failed: 0 });
+    const inserts = writesTo('products', 'insert').map(w => w.payload);
+    expect(inserts[0].map(r => r.product_code)).toEqual(['POLO01']);
+    expect(inserts[1].map(r => [r.product_code, r.product_name, r.unit_price, r.cost_price, r.stock_quantity, r.parent_product_id, r.company_id]))
+      .toEqual([
+        ['POLO01-S', 'Polo - S', 199, 80, 5, 500, 42],
+        ['POLO01-M', 'Polo - M', 209, 80, 3, 500, 42],
+        ['TEE01-L', 'Classic Tee - L', 229, 90, 2, 300, 42],
+      ]);
+    const parents = writesTo('products', 'update').map(w => w.payload);
+    expect(parents.map(p => [p.is_variant_parent, p.variant_options])).toEqual([
+      [true, sizes('S', 'M')], [true, sizes('S', 'M', 'L')],
+    ]);
+    expect(filtersOn('products', 'in')).toContainEqual(['product_code', ['POLO01']]);
+  });
+
+  test('TEST-PVR-14: top products roll variant sales up to the company\'s parent; group_by=variant keeps them apart', async () => {
+    const sale = (companyId, productId, name, quantity, lineTotal) => ({
+      product_id: productId, product_name: name, quantity, unit_price: lineTotal / quantity, line_total: lineTotal,
+      sales: { company_id: companyId, status: 'completed' },
+    });
+    mockRows.sale_items = [
+      sale(42, 310, 'Classic Tee - S', 2, 458),
+      sale(42, 311, 'Classic Tee - M', 1, 229),
+      sale(42, 302, 'Beanie', 3, 297),
+      sale(77, 310, 'Classic Tee - S', 9, 2061),
+    ];
+
+    const rolled = await callRoute(reportsRouter, 'get', '/top-products', { query: {} });
+    expect(rolled.body.products.map(p => [p.product_id, p.product_name, p.total_qty, p.total_revenue])).toEqual([
+      [300, 'Classic Tee', 3, 687], [302, 'Beanie', 3, 297],
+    ]);
+    expect(rolled.body.products[0].variants.map(v => [v.product_id, v.total_qty])).toEqual([[310, 2], [311, 1]]);
+    expect(filtersOn('sale_items')).toContainEqual(['sales.company_id', 42]);
+    expect(filtersOn('products')).toEqual([['company_id', 42], ['company_id', 42]]);
+
+    const apart = await callRoute(reportsRouter, 'get', '/top-products', { query: { group_by: 'variant' } });
+    expect(apart.body.products.map(p => p.product_id)).toEqual([310, 302, 311]);
+  });
+});
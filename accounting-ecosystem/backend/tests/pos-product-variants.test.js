@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * POS Product Variants — Options, Matrix, Names and Codes, Generation Plans and Pricing
+ * Unit tests for the pure helpers in productVariants.js. Route-level guards
+ * are covered in pos-product-variants-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PVU-01  Color is read as colour, blanks and repeats dropped, options put in size/colour/style order.
+ *   TEST-PVU-02  Unknown, repeated, empty and oversized options are rejected.
+ *   TEST-PVU-03  The matrix holds every combination, first attribute varying slowest.
+ *   TEST-PVU-04  Label, code and key are independent of attribute order.
+ *   TEST-PVU-05  Attributes are picked out of a loose import row.
+ *   TEST-PVU-06  A first generation creates every combination with derived names and codes.
+ *   TEST-PVU-07  Adding a size only creates that size; existing variants are kept.
+ *   TEST-PVU-08  A variant cannot be a parent, and a new attribute cannot be bolted onto existing variants.
+ *   TEST-PVU-09  The parent price applies unless a rule matches; the more specific later rule wins.
+ *   TEST-PVU-10  A negative or non-numeric price is rejected.
+ */
+
+const {
+  MAX_VARIANTS,
+  normaliseOptions,
+  variantAttributes,
+  buildMatrix,
+  variantKey,
+  variantLabel,
+  variantCode,
+  planVariants,
+  priceFor,
+  optionsFromVariants
+} = require('../modules/pos/services/productVariants');
+
+const tee = { id: 7, product_name: 'Classic Tee', product_code: 'TEE01', unit_price: 199.99, cost_price: 80 };
+
+// ─── Options and matrix ──────────────────────────────────────────────────────
+
+describe('Product variants — option normalisation and the matrix', () => {
+  test('TEST-PVU-01: color is read as colour, blanks and repeats dropped, options put in size/colour/style order', () => {
+    expect(normaliseOptions([
+      { name: 'Color', values: ['Black', ' black ', 'White', ''] },
+      { name: 'sizes', values: ['S', 'M', 'L'] }
+    ])).toEqual([
+      { name: 'size', values: ['S', 'M', 'L'] },
+      { name: 'colour', values: ['Black', 'White'] }
+    ]);
+  });
+
+  test('TEST-PVU-02: unknown, repeated, empty and oversized options are rejected', () => {
+    expect(() => normaliseOptions([])).toThrow('options is required');
+    expect(() => normaliseOptions([{ name: 'fabric', values: ['Cotton'] }])).toThrow('must be one of size, colour, style');
+    expect(() => normaliseOptions([{ name: 'size', values: ['S'] }, { name: 'sizes', values: ['M'] }])).toThrow('listed twice');
+    expect(() => normaliseOptions([{ name: 'style', values: ['  '] }])).toThrow('must have at least one value');
+    const many = n => Array.from({ length: n }, (_, i) => `V${i}`);
+    expect(() => normaliseOptions([{ name: 'size', values: many(30) }, { name: 'colour', values: many(20) }]))
+      .toThrow(`A matrix of 600 variants is too large — the limit is ${MAX_VARIANTS}`);
+  });
+
+  test('TEST-PVU-03: the matrix holds every combination, first attribute varying slowest', () => {
+    const matrix = buildMatrix(normaliseOptions([
+      { name: 'size', values: ['S', 'M'] },
+      { name: 'colour', values: ['Black', 'White', 'Red'] }
+    ]));
+    expect(matrix).toHaveLength(6);
+    expect(matrix.slice(0, 4)).toEqual([
+      { size: 'S', colour: 'Black' }, { size: 'S', colour: 'White' }, { size: 'S', colour: 'Red' },
+      { size: 'M', colour: 'Black' }
+    ]);
+  });
+});
+
+// ─── Names, codes and keys ───────────────────────────────────────────────────
+
+describe('Product variants — names, codes and keys', () => {
+  test('TEST-PVU-04: label, code and key are independent of attribute order', () => {
+    const a = { colour: 'Navy Blue', size: 'XL' };
+    expect(variantLabel(a)).toBe('XL / Navy Blue');
+    expect(variantCode('TEE01', a)).toBe('TEE01-XL-NAVYBLUE');
+    expect(variantKey(a)).toBe(variantKey({ size: 'xl', colour: 'navy blue' }));
+    expect(variantKey(a)).not.toBe(variantKey({ size: 'XL' }));
+  });
+
+  test('TEST-PVU-05: attributes are picked out of a loose import row', () => {
+    expect(variantAttributes({ product_name: 'Tee', Color: 'Red', size: ' 10 ', style: '' }))
+      .toEqual({ size: '10', colour: 'Red' });
+    expect(optionsFromVariants([
+      { variant_attributes: { size: 'S', colour: 'Red' } },
+      { variant_attributes: { size: 'M', colour: 'Red' } }
+    ])).toEqual([{ name: 'size', values: ['S', 'M'] }, { name: 'colour', values: ['Red'] }]);
+  });
+});
+
+// ─── Planning ────────────────────────────────────────────────────────────────
+
+describe('Product variants — planning a generation against existing variants', () => {
+  test('TEST-PVU-06: a first generation creates every combination with derived names and codes', () => {
+    const plan = planVariants(tee, normaliseOptions([{ name: 'size', values: ['S', 'M'] }, { name: 'colour', values: ['Black'] }]));
+    expect(plan.toCreate).toEqual([
+      { variant_attributes: { size: 'S', colour: 'Black' }, product_name: 'Classic Tee - S / Black', product_code: 'TEE01-S-BLACK' },
+      { variant_attributes: { size: 'M', colour: 'Black' }, product_name: 'Classic Tee - M / Black', product_code: 'TEE01-M-BLACK' }
+    ]);
+    expect(plan.existing).toEqual([]);
+  });
+
+  test('TEST-PVU-07: adding a size only creates that size; existing variants are kept', () => {
+    const parent = { ...tee, is_variant_parent: true, variant_options: [{ name: 'size', values: ['S', 'M'] }, { name: 'colour', values: ['Black'] }] };
+    const existing = [
+      { id: 71, variant_attributes: { size: 'S', colour: 'Black' } },
+      { id: 72, variant_attributes: { colour: 'black', size: 'm' } }
+    ];
+    const plan = planVariants(parent, normaliseOptions([{ name: 'size', values: ['L'] }]), existing);
+    expect(plan.options).toEqual([{ name: 'size', values: ['S', 'M', 'L'] }, { name: 'colour', values: ['Black'] }]);
+    expect(plan.toCreate.map(v => v.product_code)).toEqual(['TEE01-L-BLACK']);
+    expect(plan.existing.map(v => v.id)).toEqual([71, 72]);
+  });
+
+  test('TEST-PVU-08: a variant cannot be a parent, and a new attribute cannot be bolted onto existing variants', () => {
+    expect(() => planVariants({ ...tee, parent_product_id: 3 }, normaliseOptions([{ name: 'size', values: ['S'] }])))
+      .toThrow('A variant cannot itself have variants');
+    const parent = { ...tee, variant_options: [{ name: 'size', values: ['S'] }] };
+    expect(() => planVariants(parent, normaliseOptions([{ name: 'style', values: ['Slim'] }]), [{ variant_attributes: { size: 'S' } }]))
+      .toThrow('the attributes must be size');
+  });
+});
+
+// ─── Pricing ─────────────────────────────────────────────────────────────────
+
+describe('Product variants — per-variant price rules', () => {
+  const rules = [
+    { attributes: { size: 'XL' }, unit_price: 229.99 },
+    { attributes: { size: 'XL', color: 'Gold' }, unit_price: 259.99, cost_price: 110 }
+  ];
+
+  test('TEST-PVU-09: the parent price applies unless a rule matches; the more specific later rule wins', () => {
+    expect(priceFor({ size: 'M', colour: 'Gold' }, rules, tee)).toEqual({ unit_price: 199.99, cost_price: 80 });
+    expect(priceFor({ size: 'XL', colour: 'Black' }, rules, tee)).toEqual({ unit_price: 229.99, cost_price: 80 });
+    expect(priceFor({ size: 'xl', colour: 'gold' }, rules, tee)).toEqual({ unit_price: 259.99, cost_price: 110 });
+  });
+
+  test('TEST-PVU-10: a negative or non-numeric price is rejected', () => {
+    expect(() => priceFor({ size: 'S' }, [{ attributes: { size: 'S' }, unit_price: -1 }], tee))
+      .toThrow('Variant prices must be non-negative numbers');
+    expect(() => priceFor({ size: 'S' }, [{ attributes: { size: 'S' }, cost_price: 'abc' }], tee))
+      .toThrow('Variant prices must be non-negative numbers');
+  });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * POS Promotion Engine — Rule Validation, Item Rules, Spend Thresholds and Stacking
+ * Unit tests for the pure helpers in promotionEngine.js. Route-level guards
+ * are covered in pos-promotion-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PME-01  Defaults are filled in and ids normalised.
+ *   TEST-PME-02  Bad rules are rejected with a readable reason.
+ *   TEST-PME-03  A rule only applies inside its date window.
+ *   TEST-PME-04  3-for-2 gives away the cheapest unit of each group of three.
+ *   TEST-PME-05  "Any 2 for R99" prices each set at R99 and splits the saving across it.
+ *   TEST-PME-06  Quantity breaks pick the highest tier reached, per product.
+ *   TEST-PME-07  A meal deal applies once per complete combo.
+ *   TEST-PME-08  The discount is spread over the qualifying lines in proportion to their value.
+ *   TEST-PME-09  A weighed (fractional) line counts towards spend but never towards unit rules.
+ *   TEST-PME-10  Of two exclusive rules, the higher priority takes the units.
+ *   TEST-PME-11  Stackable rules build on each other; exclusive ones never share units.
+ *   TEST-PME-12  A line with a manager price override is left out of every promotion.
+ */
+
+const { validateRule, isRuleActive, applyPromotions } = require('../modules/pos/services/promotionEngine');
+
+let nextId = 1;
+const rule = (body, extra = {}) => ({ id: nextId++, ...validateRule(body), is_active: true, ...extra });
+
+const chips  = { product_id: 1, category_id: 10, unit_price: 24.99 };
+const dip    = { product_id: 2, category_id: 10, unit_price: 32.50 };
+const burger = { product_id: 3, category_id: 20, unit_price: 54.90 };
+const drink  = { product_id: 4, category_id: 30, unit_price: 18.00 };
+const line = (p, quantity, extra = {}) => ({ ...p, quantity, ...extra });
+
+// ─── Rule validation ─────────────────────────────────────────────────────────
+
+describe('Promotion engine — rule validation and date windows', () => {
+  test('TEST-PME-01: defaults are filled in and ids normalised', () => {
+    const r = validateRule({ name: ' 3 for 2 ', rule_type: 'buy_x_get_y', config: { buy_qty: 2, get_qty: 1, product_ids: ['1', 1, 'x'] } });
+    expect(r).toMatchObject({ name: '3 for 2', priority: 0, stacking: 'exclusive' });
+    expect(r.config).toEqual({ product_ids: [1], category_ids: [], buy_qty: 2, get_qty: 1, get_discount_percent: 100 });
+  });
+
+  test('TEST-PME-02: bad rules are rejected with a readable reason', () => {
+    expect(() => validateRule({ name: 'x', rule_type: 'bogof' })).toThrow('rule_type must be one of');
+    expect(() => validateRule({ name: 'x', rule_type: 'mix_and_match', config: { quantity: 2, price: 99 } }))
+      .toThrow('must name at least one product_ids or category_ids entry');
+    expect(() => validateRule({ name: 'x', rule_type: 'quantity_break', config: { product_ids: [1], breaks: [{ min_qty: 6, discount_percent: 10, unit_price: 5 }] } }))
+      .toThrow('either a discount_percent or a unit_price');
+    expect(() => validateRule({ name: 'x', rule_type: 'combo', config: { components: [{ product_ids: [1] }], price: 50 } }))
+      .toThrow('at least two parts');
+    expect(() => validateRule({ name: 'x', rule_type: 'spend_threshold', config: { min_spend: 500 } }))
+      .toThrow('either a discount_percent or a discount_amount');
+  });
+
+  test('TEST-PME-03: a rule only applies inside its date window', () => {
+    const r = { is_active: true, valid_from: '2026-11-27', valid_until: '2026-11-30' };
+    expect(isRuleActive(r, '2026-11-26')).toBe(false);
+    expect(isRuleActive(r, '2026-11-28')).toBe(true);
+    expect(isRuleActive({ ...r, is_active: false }, '2026-11-28')).toBe(false);
+  });
+});
+
+// ─── Item rules ──────────────────────────────────────────────────────────────
+
+describe('Promotion engine — buy X get Y, mix-and-match, quantity breaks and combos', () => {
+  test('TEST-PME-04: 3-for-2 gives away the cheapest unit of each group of three', () => {
+    const r = rule({ name: '3 for 2 snacks', rule_type: 'buy_x_get_y', config: { buy_qty: 2, get_qty: 1, category_ids: [10] } });
+    const result = applyPromotions([line(chips, 4), line(dip, 2)], [r]);
+    // Dearest first: dip, dip, chips | chips, chips, chips → one chips free per group
+    expect(result.lineDiscounts).toEqual([49.98, 0]);
+    expect(result.applied[0]).toMatchObject({ rule_id: r.id, times: 2, discount: 49.98 });
+    expect(result.total).toBe(49.98);
+  });
+
+  test('TEST-PME-05: "any 2 for R99" prices each set at R99 and splits the saving across it', () => {
+    const r = rule({ name: 'Any 2 for R99', rule_type: 'mix_and_match', config: { quantity: 2, price: 99, product_ids: [3, 2] } });
+    const result = applyPromotions([line(burger, 2), line(dip, 1)], [r]);
+    // One set (burger + burger = 109.80) — the lone dip doesn't make a set
+    expect(result.total).toBe(10.80);
+    expect(result.lineDiscounts).toEqual([10.80, 0]);
+  });
+
+  test('TEST-PME-06: quantity breaks pick the highest tier reached, per product', () => {
+    const r = rule({ name: 'Bulk drinks', rule_type: 'quantity_break', config: {
+      product_ids: [4], breaks: [{ min_qty: 12, unit_price: 15 }, { min_qty: 6, discount_percent: 10 }],
+    } });
+    expect(applyPromotions([line(drink, 5)], [r]).total).toBe(0);
+    expect(applyPromotions([line(drink, 6)], [r]).lineDiscounts).toEqual([10.80]);
+    expect(applyPromotions([line(drink, 12)], [r]).lineDiscounts).toEqual([36]);
+  });
+
+  test('TEST-PME-07: a meal deal applies once per complete combo', () => {
+    const r = rule({ name: 'Meal deal', rule_type: 'combo', config: {
+      components: [{ product_ids: [3] }, { category_ids: [10] }, { product_ids: [4] }], price: 79.99,
+    } });
+    const result = applyPromotions([line(burger, 2), line(chips, 2), line(drink, 1)], [r]);
+    // burger 54.90 + chips 24.99 + drink 18.00 = 97.89 → 79.99; the second burger has no drink
+    expect(result.applied[0]).toMatchObject({ times: 1, discount: 17.90 });
+    expect(result.lineDiscounts.reduce((a, b) => a + b, 0)).toBeCloseTo(17.90, 2);
+    expect(result.applied[0].items.map(i => i.product_id).sort()).toEqual([1, 3, 4]);
+  });
+});
+
+// ─── Spend thresholds ────────────────────────────────────────────────────────
+
+describe('Promotion engine — spend thresholds', () => {
+  test('TEST-PME-08: the discount is spread over the qualifying lines in proportion to their value', () => {
+    const r = rule({ name: 'Spend R100 save R10', rule_type: 'spend_threshold', config: { min_spend: 100, discount_amount: 10 } });
+    expect(applyPromotions([line(burger, 1), line(drink, 1)], [r]).total).toBe(0);   // 72.90
+    const result = applyPromotions([line(burger, 1), line(drink, 1), line(dip, 1)], [r]);
+    expect(result.total).toBe(10);
+    expect(result.lineDiscounts).toEqual([5.21, 1.71, 3.08]);
+  });
+
+  test('TEST-PME-09: a weighed (fractional) line counts towards spend but never towards unit rules', () => {
+    const mince = { product_id: 9, category_id: 10, unit_price: 120 };
+    const threeForTwo = rule({ name: '3 for 2', rule_type: 'buy_x_get_y', config: { buy_qty: 2, get_qty: 1, category_ids: [10] } });
+    const spend = rule({ name: '5% over R150', rule_type: 'spend_threshold', config: { min_spend: 150, discount_percent: 5 } });
+    const result = applyPromotions([line(mince, 1.5)], [threeForTwo, spend]);
+    expect(result.applied.map(a => a.name)).toEqual(['5% over R150']);
+    expect(result.lineDiscounts).toEqual([9]);
+  });
+});
+
+// ─── Priority, stacking and exclusions ───────────────────────────────────────
+
+describe('Promotion engine — priority, stacking and excluded lines', () => {
+  const cart = [line(chips, 3)];
+
+  test('TEST-PME-10: of two exclusive rules, the higher priority takes the units', () => {
+    const threeForTwo = rule({ name: '3 for 2', rule_type: 'buy_x_get_y', priority: 5, config: { buy_qty: 2, get_qty: 1, product_ids: [1] } });
+    const anyThree    = rule({ name: '3 for R60', rule_type: 'mix_and_match', priority: 10, config: { quantity: 3, price: 60, product_ids: [1] } });
+    const result = applyPromotions(cart, [threeForTwo, anyThree]);
+    expect(result.applied.map(a => a.name)).toEqual(['3 for R60']);
+    expect(result.total).toBe(14.97);
+  });
+
+  test('TEST-PME-11: stackable rules build on each other; exclusive ones never share units', () => {
+    const config = { buy_qty: 2, get_qty: 1, product_ids: [1] };
+    const threeForTwo = rule({ name: '3 for 2', rule_type: 'buy_x_get_y', priority: 10, stacking: 'stackable', config });
+    const stackSpend  = rule({ name: '10% off R40', rule_type: 'spend_threshold', stacking: 'stackable', config: { min_spend: 40, discount_percent: 10 } });
+    const stacked = applyPromotions(cart, [stackSpend, threeForTwo]);
+    // 74.97 − 24.99 = 49.98 left, 10% of that = 5.00
+    expect(stacked.applied.map(a => a.name)).toEqual(['3 for 2', '10% off R40']);
+    expect(stacked.total).toBe(29.99);
+
+    const exclusiveSpend = rule({ ...stackSpend, stacking: 'exclusive' });
+    expect(applyPromotions(cart, [exclusiveSpend, threeForTwo]).applied.map(a => a.name)).toEqual(['3 for 2']);
+    const exclusiveDeal = rule({ name: '3 for 2', rule_type: 'buy_x_get_y', priority: 10, config });
+    expect(applyPromotions(cart, [stackSpend, exclusiveDeal]).applied.map(a => a.name)).toEqual(['3 for 2']);
+  });
+
+  test('TEST-PME-12: a line with a manager price override is left out of every promotion', () => {
+    const threeForTwo = rule({ name: '3 for 2', rule_type: 'buy_x_get_y', config: { buy_qty: 2, get_qty: 1, product_ids: [1] } });
+    const result = applyPromotions([line(chips, 3, { excluded: true })], [threeForTwo]);
+    expect(result).toEqual({ lineDiscounts: [0], applied: [], total: 0 });
+  });
+});
@@ -0,0 +1,385 @@
+'use strict';
+
+/**
+ * POS Promotion Rules — Route Guards
+ * Drives the rule routes and the per-rule performance report in
+ * promotionCampaigns.js, checkout pricing in sales.js and the receipt in
+ * receipts.js (requireCompany + requirePermission + handler) against a
+ * mocked Supabase client and sale RPC.
+ *
+ * Scenarios covered:
+ *   TEST-PMR-01  Roles without PRODUCTS.EDIT cannot add, change or remove rules; cashiers cannot read performance → 403.
+ *   TEST-PMR-02  An invalid rule → 400 before the campaign is looked up, nothing saved.
+ *   TEST-PMR-03  Another company's campaign or rule cannot take, change or remove rules → 404.
+ *   TEST-PMR-04  A rule naming another company's products or categories → 400, nothing saved.
+ *   TEST-PMR-05  A valid rule is saved for the company and campaign with the campaign's dates, and audited.
+ *   TEST-PMR-06  Editing revalidates the definition; a toggle alone is saved and audited with before / after.
+ *   TEST-PMR-07  Checkout applies the company's active rules server-side and records the redemption.
+ *   TEST-PMR-08  Prices and discounts sent by the till are ignored; the promotion works from the server price.
+ *   TEST-PMR-09  Rules that cannot be read never block a sale — it goes through at normal prices.
+ *   TEST-PMR-10  The receipt itemises only the company's savings for the sale.
+ *   TEST-PMR-11  Performance counts each rule's redemptions on the company's completed sales only.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+const mockRpc = jest.fn();
+const mockFailRead = { table: null };
+let mockNextId = 500;
+
+/** Field of a row by column name — 'sales.status' reads an embedded join. */
+const mockField = (row, col) => col.split('.').reduce((v, k) => (v == null ? v : v[k]), row);
+
+/** Rows are filtered by the eq / in / gte / lte conditions the query applied; `or` is recorded only. */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order', 'limit', 'or']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const filter = (op, test) => jest.fn((col, val) => {
+    mockFilters.push({ table, op, args: [col, val] });
+    conditions.push(r => test(mockField(r, col), val));
+    return chain;
+  });
+  chain.eq = filter('eq', (v, want) => String(v) === String(want));
+  chain.in = filter('in', (v, want) => want.map(String).includes(String(v)));
+  chain.gte = filter('gte', (v, want) => String(v) >= String(want));
+  chain.lte = filter('lte', (v, want) => String(v) <= String(want));
+  for (const op of ['insert', 'update', 'upsert', 'delete']) {
+    chain[op] = jest.fn(payload => {
+      write = { table, op, payload };
+      mockWrites.push(write);
+      return chain;
+    });
+  }
+  const matching = () => (mockRows[table] || []).filter(r => conditions.every(c => c(r)));
+  const result = () => {
+    if (!write && mockFailRead.table === table) return { data: null, error: { message: 'relation "pos_promotion_rules" does not exist' } };
+    if (write && write.op === 'insert') return { data: [].concat(write.payload).map(p => ({ id: mockNextId++, ...p })), error: null };
+    if (write && write.op === 'update') return { data: matching().map(r => ({ ...r, ...write.payload })), error: null };
+    if (write) return { data: null, error: null };
+    return { data: matching(), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: {
+    from: jest.fn(table => mockSbChain(table)),
+    rpc:  (...a) => mockRpc(...a),
+  },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('../modules/pos/services/posAuditLogger', () => ({
+  posAuditFromReq: jest.fn(),
+  POS_EVENTS:      new Proxy({}, { get: (_t, key) => key }),
+}));
+
+jest.mock('../modules/pos/services/stockPolicyCache', () => ({
+  getStockPolicy: jest.fn().mockResolvedValue(false),
+}));
+
+const { auditFromReq } = require('../middleware/audit');
+const campaignsRouter = require('../modules/pos/routes/promotionCampaigns');
+const salesRouter = require('../modules/pos/routes/sales');
+const receiptsRouter = require('../modules/pos/routes/receipts');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(router, method, path, { role = 'business_owner', body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const req = {
+    body, params, query, companyId, user: { userId: 5, role, email: 'promo@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  const route = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...router.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const addRule = (campaignId, body, opts = {}) =>
+  callRoute(campaignsRouter, 'post', '/:id/rules', { params: { id: String(campaignId) }, body, ...opts });
+const editRule = (campaignId, ruleId, body, opts = {}) =>
+  callRoute(campaignsRouter, 'put', '/:id/rules/:ruleId', { params: { id: String(campaignId), ruleId: String(ruleId) }, body, ...opts });
+const removeRule = (campaignId, ruleId, opts = {}) =>
+  callRoute(campaignsRouter, 'delete', '/:id/rules/:ruleId', { params: { id: String(campaignId), ruleId: String(ruleId) }, ...opts });
+const checkout = (items, extra = {}) =>
+  callRoute(salesRouter, 'post', '/', { role: 'cashier', body: { items, payment_method: 'card', ...extra } });
+const writesTo = (table, op) => mockWrites.filter(w => w.table === table && (!op || w.op === op));
+const filtersOn = (table, op = 'eq') => mockFilters.filter(f => f.table === table && f.op === op).map(f => f.args);
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const THREE_FOR_TWO = { name: '3 for 2 Chips', rule_type: 'buy_x_get_y', priority: 10, config: { buy_qty: 2, get_qty: 1, product_ids: [21] } };
+
+const campaign = (company, active = true) => ({ is_active: active, company_id: company });
+const RULES = [
+  // Stored as validateRule normalised it on save
+  { id: 61, company_id: 42, campaign_id: 40, ...THREE_FOR_TWO, stacking: 'exclusive', is_active: true,
+    config: { product_ids: [21], category_ids: [], buy_qty: 2, get_qty: 1, get_discount_percent: 100 },
+    valid_from: '2026-01-01', valid_until: null, pos_promotion_campaigns: campaign(42) },
+  // Campaign switched off — its rules stop at once
+  { id: 62, company_id: 42, campaign_id: 41, name: 'Half price chips', rule_type: 'quantity_break', priority: 20, stacking: 'stackable',
+    config: { breaks: [{ min_qty: 2, discount_percent: 50 }], product_ids: [21], category_ids: [] }, is_active: true,
+    valid_from: null, valid_until: null, pos_promotion_campaigns: campaign(42, false) },
+  // Expired
+  { id: 63, company_id: 42, campaign_id: 40, name: 'January spend', rule_type: 'spend_threshold', priority: 5, stacking: 'stackable',
+    config: { min_spend: 10, discount_amount: 10, product_ids: [], category_ids: [] }, is_active: true,
+    valid_from: '2020-01-01', valid_until: '2020-01-31', pos_promotion_campaigns: campaign(42) },
+  // Another company's rule on the same product id
+  { id: 69, company_id: 77, campaign_id: 47, name: 'Other chips', rule_type: 'spend_threshold', priority: 1, stacking: 'stackable',
+    config: { min_spend: 1, discount_percent: 50, product_ids: [], category_ids: [] }, is_active: true,
+    valid_from: null, valid_until: null, pos_promotion_campaigns: campaign(77) },
+];
+
+describe('POS Promotion Rules — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    mockNextId = 500;
+    mockFailRead.table = null;
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.pos_promotion_campaigns = [
+      { id: 40, company_id: 42, name: 'Snack week', start_date: '2026-10-01', end_date: '2026-10-31', is_active: true },
+      { id: 47, company_id: 77, name: 'Their promo', start_date: null, end_date: null, is_active: true },
+    ];
+    mockRows.pos_promotion_rules = RULES.map(r => ({ ...r }));
+    mockRows.products = [
+      { id: 21, company_id: 42, product_name: 'Chips 125g', unit_price: 24.99, vat_rate: 15, requires_vat: true, stock_quantity: 40, is_active: true, category_id: 5 },
+      { id: 22, company_id: 42, product_name: 'Cola 2L', unit_price: 32.99, vat_rate: 15, requires_vat: true, stock_quantity: 40, is_active: true, category_id: 6 },
+      { id: 90, company_id: 77, product_name: 'Their chips', unit_price: 20, stock_quantity: 5, is_active: true, category_id: 9 },
+    ];
+    mockRows.categories = [{ id: 5, company_id: 42, name: 'Snacks' }, { id: 9, company_id: 77, name: 'Their snacks' }];
+    mockRpc.mockResolvedValue({ data: { sale_id: 900, sale_number: 'SAL-1', receipt_number: 'RC-1', was_duplicate: false }, error: null });
+  });
+
+  test('TEST-PMR-01: roles without PRODUCTS.EDIT cannot add, change or remove rules; cashiers cannot read performance → 403', async () => {
+    for (const role of ['cashier', 'shift_supervisor']) {
+      const responses = [
+        await addRule(40, THREE_FOR_TWO, { role }),
+        await editRule(40, 61, { is_active: false }, { role }),
+        await removeRule(40, 61, { role }),
+      ];
+      expect(responses.map(r => [r.statusCode, r.body.required])).toEqual([
+        [403, 'PRODUCTS.EDIT'], [403, 'PRODUCTS.EDIT'], [403, 'PRODUCTS.EDIT'],
+      ]);
+    }
+    const perf = await callRoute(campaignsRouter, 'get', '/:id/performance', { params: { id: '40' }, role: 'cashier' });
+    expect(perf.statusCode).toBe(403);
+    expect(perf.body.required).toBe('REPORTS.VIEW');
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PMR-02: an invalid rule → 400 before the campaign is looked up, nothing saved', async () => {
+    const responses = [
+      await addRule(40, { ...THREE_FOR_TWO, name: '' }),
+      await addRule(40, { ...THREE_FOR_TWO, rule_type: 'lucky_draw' }),
+      await addRule(40, { ...THREE_FOR_TWO, stacking: 'always' }),
+      await addRule(40, { ...THREE_FOR_TWO, config: { buy_qty: 2, get_qty: 1 } }),
+      await addRule(40, { name: 'Spend', rule_type: 'spend_threshold', config: { min_spend: 500, discount_percent: 10, discount_amount: 50 } }),
+    ];
+
+    expect(responses.map(r => [r.statusCode, r.body.error])).toEqual([
+      [400, 'name is required'],
+      [400, 'rule_type must be one of buy_x_get_y, mix_and_match, quantity_break, combo, spend_threshold'],
+      [400, "stacking must be 'exclusive' or 'stackable'"],
+      [400, 'A buy-X-get-Y rule must name at least one product_ids or category_ids entry'],
+      [400, 'A spend threshold must be either a discount_percent or a discount_amount'],
+    ]);
+    expect(filtersOn('pos_promotion_campaigns')).toEqual([]);
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PMR-03: another company\'s campaign or rule cannot take, change or remove rules → 404', async () => {
+    const added = await addRule(47, THREE_FOR_TWO);
+    const edited = await editRule(47, 69, { is_active: false });
+    const removed = await removeRule(47, 69);
+
+    expect([added.statusCode, added.body.error]).toEqual([404, 'Campaign not found']);
+    expect([edited.statusCode, edited.body.error]).toEqual([404, 'Promotion rule not found']);
+    expect(filtersOn('pos_promotion_campaigns')).toEqual([['id', '47'], ['company_id', 42]]);
+    // The soft delete is filtered to the company, so it cannot reach rule 69
+    const [del] = writesTo('pos_promotion_rules');
+    expect(del.payload.is_active).toBe(false);
+    expect(filtersOn('pos_promotion_rules').slice(-3)).toEqual([['id', '69'], ['campaign_id', '47'], ['company_id', 42]]);
+    expect(removed.body).toEqual({ success: true });
+    expect(writesTo('pos_promotion_rules')).toHaveLength(1);
+  });
+
+  test('TEST-PMR-04: a rule naming another company\'s products or categories → 400, nothing saved', async () => {
+    const product = await addRule(40, { ...THREE_FOR_TWO, config: { buy_qty: 2, get_qty: 1, product_ids: [21, 90] } });
+    const category = await addRule(40, { name: 'Any 2 snacks', rule_type: 'mix_and_match', config: { quantity: 2, price: 40, category_ids: [5, 9] } });
+    const edit = await editRule(40, 61, { config: { buy_qty: 2, get_qty: 1, product_ids: [90] } });
+
+    expect([product.statusCode, product.body.error]).toEqual([400, 'One or more product_ids were not found']);
+    expect([category.statusCode, category.body.error]).toEqual([400, 'One or more category_ids were not found']);
+    expect([edit.statusCode, edit.body.error]).toEqual([400, 'One or more product_ids were not found']);
+    expect(filtersOn('products')).toEqual([['company_id', 42], ['company_id', 42]]);
+    expect(filtersOn('categories')).toEqual([['company_id', 42]]);
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PMR-05: a valid rule is saved for the company and campaign with the campaign\'s dates, and audited', async () => {
+    const res = await addRule(40, { name: 'Any 2 snacks', rule_type: 'mix_and_match', stacking: 'stackable', config: { quantity: 2, price: 40, category_ids: [5] } });
+
+    expect(res.statusCode).toBe(201);
+    const [{ payload }] = writesTo('pos_promotion_rules', 'insert');
+    expect(payload).toEqual({
+      name: 'Any 2 snacks', rule_type: 'mix_and_match', priority: 0, stacking: 'stackable',
+      config: { product_ids: [], category_ids: [5], quantity: 2, price: 40 },
+      company_id: 42, campaign_id: 40, valid_from: '2026-10-01', valid_until: '2026-10-31', created_by: 5, is_active: true,
+    });
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'CREATE', 'promotion_rule', 500, {
+      module: 'pos',
+      newValue: { campaign_id: 40, name: 'Any 2 snacks', rule_type: 'mix_and_match', priority: 0, stacking: 'stackable', config: payload.config },
+    });
+  });
+
+  test('TEST-PMR-06: editing revalidates the definition; a toggle alone is saved and audited with before / after', async () => {
+    const invalid = await editRule(40, 61, { config: { buy_qty: 0, get_qty: 1, product_ids: [21] } });
+    const stacking = await editRule(40, 61, { stacking: 'sometimes' });
+    expect([invalid.statusCode, invalid.body.error]).toEqual([400, 'buy_qty and get_qty must be whole numbers of 1 or more']);
+    expect([stacking.statusCode, stacking.body.error]).toEqual([400, "stacking must be 'exclusive' or 'stackable'"]);
+    expect(mockWrites).toEqual([]);
+
+    const res = await editRule(40, 61, { is_active: false });
+
+    expect(res.statusCode).toBe(200);
+    const [{ payload }] = writesTo('pos_promotion_rules', 'update');
+    expect(Object.keys(payload).sort()).toEqual(['is_active', 'updated_at']);
+    expect(filtersOn('pos_promotion_rules').slice(-2)).toEqual([['id', 61], ['company_id', 42]]);
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'UPDATE', 'promotion_rule', 61, expect.objectContaining({
+      oldValue: expect.objectContaining({ is_active: true }),
+      newValue: expect.objectContaining({ is_active: false }),
+    }));
+  });
+
+  test('TEST-PMR-07: checkout applies the company\'s active rules server-side and records the redemption', async () => {
+    const res = await checkout([{ product_id: 21, quantity: 3 }, { product_id: 22, quantity: 1 }]);
+
+    expect(res.statusCode).toBe(201);
+    expect(filtersOn('pos_promotion_rules')).toEqual([['company_id', 42], ['is_active', true], ['pos_promotion_campaigns.is_active', true]]);
+    const [fn, args] = mockRpc.mock.calls[0];
+    expect(fn).toBe('create_sale_atomic');
+    expect(args.p_items.map(i => [i.product_id, i.unit_price, i.line_total, i.discount_amount])).toEqual([
+      [21, 24.99, 49.98, 24.99],
+      [22, 32.99, 32.99, 0],
+    ]);
+    expect(args.p_total_amount).toBe(82.97);
+
+    const [{ payload }] = writesTo('pos_sale_promotions', 'insert');
+    expect(payload).toEqual([{
+      company_id: 42, sale_id: 900, rule_id: 61, rule_name: '3 for 2 Chips', rule_type: 'buy_x_get_y',
+      times_applied: 1, discount_amount: 24.99, items: [{ product_id: 21, quantity: 3, discount: 24.99 }],
+    }]);
+    expect(res.body.promotion_savings).toBe(24.99);
+    expect(res.body.promotions.map(p => p.rule_id)).toEqual([61]);
+  });
+
+  test('TEST-PMR-08: prices and discounts sent by the till are ignored; the promotion works from the server price', async () => {
+    const res = await checkout(
+      [{ product_id: 21, quantity: 3, unit_price: 1, promotion_discount: 70, line_total: 5 }],
+      { promotions: [{ rule_id: 69, discount: 70 }], promotion_savings: 70 },
+    );
+
+    expect(res.statusCode).toBe(201);
+    const [, args] = mockRpc.mock.calls[0];
+    expect(args.p_items[0]).toMatchObject({ unit_price: 24.99, line_total: 49.98, discount_amount: 24.99 });
+    expect(res.body.promotions.map(p => p.rule_id)).toEqual([61]);
+  });
+
+  test('TEST-PMR-09: rules that cannot be read never block a sale — it goes through at normal prices', async () => {
+    mockFailRead.table = 'pos_promotion_rules';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const res = await checkout([{ product_id: 21, quantity: 3 }]);
+
+    expect(res.statusCode).toBe(201);
+    expect(mockRpc.mock.calls[0][1].p_items[0]).toMatchObject({ line_total: 74.97, discount_amount: 0 });
+    expect(res.body.promotion_savings).toBe(0);
+    expect(writesTo('pos_sale_promotions')).toEqual([]);
+    expect(console.warn).toHaveBeenCalledWith(
+      '[Sales] Promotion rules unavailable — pricing without promotions:', 'relation "pos_promotion_rules" does not exist');
+  });
+
+  test('TEST-PMR-10: the receipt itemises only the company\'s savings for the sale', async () => {
+    mockRows.sales = [{ id: 900, company_id: 42, sale_items: [], sale_payments: [], till_session_id: null }];
+    mockRows.pos_sale_promotions = [
+      { id: 1, company_id: 42, sale_id: 900, rule_id: 61, rule_name: '3 for 2 Chips', rule_type: 'buy_x_get_y', times_applied: 1, discount_amount: '24.99', items: [] },
+      { id: 2, company_id: 42, sale_id: 900, rule_id: 64, rule_name: 'Spend R80 save R5', rule_type: 'spend_threshold', times_applied: 1, discount_amount: '5.00', items: [] },
+      { id: 3, company_id: 77, sale_id: 900, rule_id: 69, rule_name: 'Other chips', rule_type: 'spend_threshold', times_applied: 1, discount_amount: '99.00', items: [] },
+    ];
+
+    const res = await callRoute(receiptsRouter, 'get', '/preview/:saleId', { params: { saleId: '900' }, role: 'cashier' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.receipt.promotions.map(p => [p.rule_name, p.discount_amount])).toEqual([['3 for 2 Chips', 24.99], ['Spend R80 save R5', 5]]);
+    expect(res.body.receipt.promotionSavings).toBe(29.99);
+    expect(filtersOn('pos_sale_promotions')).toEqual([['company_id', 42], ['sale_id', 900]]);
+  });
+
+  test('TEST-PMR-11: performance counts each rule\'s redemptions on the company\'s completed sales only', async () => {
+    const redemption = (companyId, ruleId, saleId, status, times, amount, quantity) => ({
+      company_id: companyId, rule_id: ruleId, sale_id: saleId, times_applied: times, discount_amount: amount,
+      items: [{ product_id: 21, quantity }], sales: { status },
+    });
+    mockRows.pos_sale_promotions = [
+      redemption(42, 61, 900, 'completed', 1, '24.99', 3),
+      redemption(42, 61, 901, 'completed', 2, '49.98', 6),
+      redemption(42, 61, 902, 'voided', 1, '24.99', 3),
+      redemption(77, 61, 990, 'completed', 5, '999.00', 15),
+    ];
+
+    const other = await callRoute(campaignsRouter, 'get', '/:id/performance', { params: { id: '47' } });
+    expect([other.statusCode, other.body.error]).toEqual([404, 'Campaign not found']);
+
+    const res = await callRoute(campaignsRouter, 'get', '/:id/performance', { params: { id: '40' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.rules.map(r => [r.rule_id, r.redemptions, r.times_applied, r.units, r.discount_total])).toEqual([
+      [61, 2, 3, 9, 74.97], [63, 0, 0, 0, 0],
+    ]);
+    expect(res.body.summary).toMatchObject({ ruleCount: 2, totalRedemptions: 2, totalPromotionSavings: 74.97 });
+    expect(filtersOn('pos_sale_promotions')).toEqual([['company_id', 42], ['sales.status', 'completed']]);
+  });
+});
@@ -0,0 +1,420 @@
+'use strict';
+
+/**
+ * POS Scale Labels and Sold-by-Weight Products — Route Guards
+ * Drives the embedded-barcode rule routes and /check/:barcode in barcodes.js,
+ * the product routes, checkout in sales.js and stock adjustments in
+ * inventory.js (requireCompany + requirePermission + handler) against a
+ * mocked Supabase client and sale RPC.
+ *
+ * Scenarios covered:
+ *   TEST-PLU-01  A PLU typed with leading zeros is saved without them.
+ *   TEST-PLU-02  Editing a product's PLU saves it without leading zeros.
+ *   TEST-PLU-03  A clash with another product's PLU is reported as 409 with the stored code.
+ *   TEST-PLU-04  A scanned label is looked up by its exact normalised PLU within the company.
+ *   TEST-PLU-05  A label whose PLU is on no product is a 404.
+ *   TEST-PLU-06  A PLU that is not 1-7 digits is refused before anything is written.
+ *   TEST-PLU-07  Roles without SETTINGS.EDIT cannot add, change or remove rules → 403; the list is company-scoped.
+ *   TEST-PLU-08  An invalid layout → 400 and a second rule for a prefix → 409, nothing saved.
+ *   TEST-PLU-09  A rule is saved for the company and audited; another company's rule cannot be changed or removed → 404.
+ *   TEST-PLU-10  /check decodes a label with the company's own rules and products only.
+ *   TEST-PLU-11  /check reports a bad label or a product not sold by weight without failing the request.
+ *   TEST-PLU-12  Checkout decodes a label server-side; the till's quantity and price are ignored.
+ *   TEST-PLU-13  Checkout refuses fractional units, sub-gram weights, unknown labels and plain barcodes before the sale RPC.
+ *   TEST-PLU-14  Products: CREATE permission, serial-tracked by weight → 400, and no switch back to units with grams in stock.
+ *   TEST-PLU-15  Stock adjustments take grams for products sold by weight only, through the compare-and-swap.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+const mockRpc = jest.fn();
+const mockFailWrite = { table: null, op: null, error: null };
+let mockNextId = 500;
+
+/** Rows are filtered by the eq / in conditions the query applied; `or` is recorded only. */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order', 'limit', 'range', 'or', 'ilike']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const filter = (op, test) => jest.fn((col, val) => {
+    mockFilters.push({ table, op, args: [col, val] });
+    conditions.push(r => test(r[col], val));
+    return chain;
+  });
+  chain.eq = filter('eq', (v, want) => String(v) === String(want));
+  chain.in = filter('in', (v, want) => want.map(String).includes(String(v)));
+  for (const op of ['insert', 'update', 'upsert', 'delete']) {
+    chain[op] = jest.fn(payload => {
+      write = { table, op, payload };
+      mockWrites.push(write);
+      return chain;
+    });
+  }
+  const matching = () => (mockRows[table] || []).filter(r => conditions.every(c => c(r)));
+  const result = () => {
+    if (write && mockFailWrite.table === table && mockFailWrite.op === write.op) return { data: null, error: mockFailWrite.error };
+    if (write && write.op === 'insert') return { data: [].concat(write.payload).map(p => ({ id: mockNextId++, ...p })), error: null };
+    if (write && write.op === 'update') return { data: matching().map(r => ({ ...r, ...write.payload })), error: null };
+    if (write && write.op === 'delete') return { data: matching(), error: null };
+    if (write) return { data: null, error: null };
+    return { data: matching(), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: {
+    from: jest.fn(table => mockSbChain(table)),
+    rpc:  (...a) => mockRpc(...a),
+  },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('../modules/pos/services/posAuditLogger', () => ({
+  posAuditFromReq: jest.fn(),
+  POS_EVENTS:      new Proxy({}, { get: (_t, key) => key }),
+}));
+
+jest.mock('../modules/pos/services/stockPolicyCache', () => ({
+  getStockPolicy: jest.fn().mockResolvedValue(false),
+}));
+
+const { auditFromReq } = require('../middleware/audit');
+const productsRouter = require('../modules/pos/routes/products');
+const barcodesRouter = require('../modules/pos/routes/barcodes');
+const salesRouter = require('../modules/pos/routes/sales');
+const inventoryRouter = require('../modules/pos/routes/inventory');
+const { lookupEmbeddedBarcode } = barcodesRouter;
+const { ean13CheckDigit } = require('../modules/pos/services/embeddedBarcode');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(router, method, path, { role = 'store_manager', body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const req = {
+    body, params, query, companyId, user: { userId: 5, role, email: 'scale@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  const route = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...router.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const addRule = (body, opts = {}) => callRoute(barcodesRouter, 'post', '/embedded-rules', { body, ...opts });
+const editRule = (id, body, opts = {}) =>
+  callRoute(barcodesRouter, 'put', '/embedded-rules/:id', { params: { id: String(id) }, body, ...opts });
+const removeRule = (id, opts = {}) =>
+  callRoute(barcodesRouter, 'delete', '/embedded-rules/:id', { params: { id: String(id) }, ...opts });
+const check = (barcode, opts = {}) =>
+  callRoute(barcodesRouter, 'post', '/check/:barcode', { role: 'cashier', params: { barcode }, ...opts });
+const checkout = items =>
+  callRoute(salesRouter, 'post', '/', { role: 'cashier', body: { items, payment_method: 'card' } });
+const writesTo = (table, op) => mockWrites.filter(w => w.table === table && (!op || w.op === op));
+const filtersOn = (table, op = 'eq') => mockFilters.filter(f => f.table === table && f.op === op).map(f => f.args);
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const WEIGHT_RULE = { id: 1, company_id: 42, prefix: '21', item_code_length: 5, value_type: 'weight', value_decimals: 3, check_digit: 'validate', value_check_digit: false, is_active: true, description: 'Deli scale' };
+const BOEREWORS = { id: 9, company_id: 42, product_name: 'Boerewors', scale_plu: '123', unit_price: 129.99, vat_rate: 15, requires_vat: true, unit: 'kg', sold_by_weight: true, stock_quantity: 20, is_active: true };
+
+/** A weight label for item code `itemCode` (5 digits) weighing 1.235 kg. */
+function weightLabel(itemCode) {
+  const body = `21${itemCode}01235`;
+  return body + ean13CheckDigit(body);
+}
+
+const insertedRow = () => writesTo('products', 'insert')[0].payload;
+const updatedRow = () => writesTo('products', 'update')[0].payload;
+
+describe('POS Scale Labels and Sold-by-Weight Products — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    mockNextId = 500;
+    Object.assign(mockFailWrite, { table: null, op: null, error: null });
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.barcode_embedded_rules = [
+      { ...WEIGHT_RULE },
+      // Another company reads prefix 21 with a 4-digit item code
+      { ...WEIGHT_RULE, id: 7, company_id: 77, item_code_length: 4, description: 'Their scale' },
+    ];
+    mockRows.products = [
+      { ...BOEREWORS },
+      { id: 10, company_id: 42, product_name: 'Coke 2L', barcode: '6001234567890', unit_price: 32.99, vat_rate: 15, requires_vat: true, unit: 'each', sold_by_weight: false, stock_quantity: 40, is_active: true },
+      { id: 11, company_id: 42, product_name: 'Lamb chops', scale_plu: '456', unit_price: 189.99, unit: 'each', sold_by_weight: false, stock_quantity: 5, is_active: true },
+      { id: 90, company_id: 77, product_name: 'Their wors', scale_plu: '123', unit_price: 99, unit: 'kg', sold_by_weight: true, stock_quantity: 8, is_active: true },
+    ];
+    mockRpc.mockResolvedValue({ data: { sale_id: 900, sale_number: 'SAL-1', receipt_number: 'RC-1', was_duplicate: false }, error: null });
+  });
+
+  test('TEST-PLU-01: a PLU typed with leading zeros is saved without them', async () => {
+    const res = await callRoute(productsRouter, 'post', '/', {
+      body: { product_name: 'Droëwors', unit_price: 289.99, sold_by_weight: true, scale_plu: '00124' },
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(insertedRow()).toMatchObject({ company_id: 42, scale_plu: '124', sold_by_weight: true, unit: 'kg' });
+  });
+
+  test('TEST-PLU-02: editing a product\'s PLU saves it without leading zeros', async () => {
+    const res = await callRoute(productsRouter, 'put', '/:id', { params: { id: '9' }, body: { scale_plu: '000450' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(updatedRow().scale_plu).toBe('450');
+    expect(filtersOn('products')).toContainEqual(['company_id', 42]);
+  });
+
+  test('TEST-PLU-03: a clash with another product\'s PLU is reported as 409 with the stored code', async () => {
+    Object.assign(mockFailWrite, {
+      table: 'products', op: 'insert',
+      error: { code: '23505', message: 'duplicate key value violates unique constraint "idx_products_scale_plu"' },
+    });
+
+    const res = await callRoute(productsRouter, 'post', '/', {
+      body: { product_name: 'Lamb chops', unit_price: 189.99, sold_by_weight: true, scale_plu: '0123' },
+    });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('Scale PLU 123 is already on another product');
+  });
+
+  test('TEST-PLU-04: a scanned label is looked up by its exact normalised PLU within the company', async () => {
+    const result = await lookupEmbeddedBarcode(42, weightLabel('00123'));
+
+    expect(result.ok).toBe(true);
+    expect(result.product.id).toBe(9);
+    expect(result.quantity).toBe(1.235);
+    expect(filtersOn('products')).toEqual([['company_id', 42], ['scale_plu', '123']]);
+    // No match on several spellings that could pick between two products
+    expect(filtersOn('products', 'in')).toEqual([]);
+  });
+
+  test('TEST-PLU-05: a label whose PLU is on no product is a 404', async () => {
+    const result = await lookupEmbeddedBarcode(42, weightLabel('00777'));
+
+    expect(result).toEqual({ ok: false, status: 404, error: 'No product has scale PLU 00777' });
+  });
+
+  test('TEST-PLU-06: a PLU that is not 1-7 digits is refused before anything is written', async () => {
+    const res = await callRoute(productsRouter, 'post', '/', {
+      body: { product_name: 'Biltong', unit_price: 349, sold_by_weight: true, scale_plu: '12345678' },
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('scale_plu must be the 1-7 digit item code printed by the scale');
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PLU-07: roles without SETTINGS.EDIT cannot add, change or remove rules → 403; the list is company-scoped', async () => {
+    for (const role of ['cashier', 'shift_supervisor']) {
+      const responses = [
+        await addRule({ prefix: '22', item_code_length: 4, value_type: 'price' }, { role }),
+        await editRule(1, { is_active: false }, { role }),
+        await removeRule(1, { role }),
+      ];
+      expect(responses.map(r => r.statusCode)).toEqual([403, 403, 403]);
+    }
+    expect(mockWrites).toEqual([]);
+
+    const list = await callRoute(barcodesRouter, 'get', '/embedded-rules', { role: 'cashier' });
+    expect(list.statusCode).toBe(200);
+    expect(list.body.rules.map(r => r.id)).toEqual([1]);
+  });
+
+  test('TEST-PLU-08: an invalid layout → 400 and a second rule for a prefix → 409, nothing saved', async () => {
+    const badPrefix = await addRule({ prefix: '60', item_code_length: 5, value_type: 'weight' });
+    expect(badPrefix.statusCode).toBe(400);
+    expect(badPrefix.body.error).toMatch('starting with 2');
+
+    const noRoom = await editRule(1, { item_code_length: 8 });
+    expect(noRoom.statusCode).toBe(400);
+    expect(noRoom.body.error).toMatch('leave only 2 digit(s)');
+    expect(mockWrites).toEqual([]);
+
+    Object.assign(mockFailWrite, { table: 'barcode_embedded_rules', op: 'insert', error: { code: '23505', message: 'duplicate key' } });
+    const dup = await addRule({ prefix: 21, item_code_length: 4, value_type: 'price' });
+    expect(dup.statusCode).toBe(409);
+    expect(dup.body.error).toBe('There is already a rule for prefix 21');
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-PLU-09: a rule is saved for the company and audited; another company\'s rule cannot be changed or removed → 404', async () => {
+    const res = await addRule({ prefix: '22', item_code_length: 4, value_type: 'price', value_check_digit: true, description: 'Bakery' });
+
+    expect(res.statusCode).toBe(201);
+    expect(writesTo('barcode_embedded_rules', 'insert')[0].payload).toEqual({
+      company_id: 42, prefix: '22', item_code_length: 4, value_type: 'price', value_decimals: 2,
+      check_digit: 'validate', value_check_digit: true, description: 'Bakery', created_by: 5,
+    });
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'CREATE', 'barcode_embedded_rule', 500, expect.objectContaining({ module: 'pos' }));
+
+    mockWrites.length = 0;
+    const foreignEdit = await editRule(7, { is_active: false });
+    const foreignRemove = await removeRule(7);
+    expect([foreignEdit.statusCode, foreignRemove.statusCode]).toEqual([404, 404]);
+    expect(filtersOn('barcode_embedded_rules')).toContainEqual(['company_id', 42]);
+    expect(mockRows.barcode_embedded_rules.find(r => r.id === 7).is_active).toBe(true);
+    expect(writesTo('barcode_embedded_rules', 'update')).toEqual([]);
+
+    const paused = await editRule(1, { is_active: false });
+    expect(paused.statusCode).toBe(200);
+    expect(writesTo('barcode_embedded_rules', 'update')[0].payload).toMatchObject({ prefix: '21', is_active: false, description: 'Deli scale' });
+  });
+
+  test('TEST-PLU-10: /check decodes a label with the company\'s own rules and products only', async () => {
+    const res = await check(weightLabel('00123'));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.exists).toBe(true);
+    expect(res.body.product.id).toBe(9);
+    expect(res.body.embedded).toEqual({
+      rule_id: 1, item_code: '00123', value_type: 'weight', weight: 1.235, price: null, quantity: 1.235, label_price: null,
+    });
+    expect(filtersOn('barcode_embedded_rules')).toEqual([['company_id', 42], ['is_active', true]]);
+    expect(filtersOn('products').filter(([col]) => col === 'company_id')).toEqual([['company_id', 42], ['company_id', 42]]);
+
+    // An ordinary barcode on a product is answered before any rule is read
+    mockFilters.length = 0;
+    const plain = await check('6001234567890');
+    expect(plain.body).toEqual({ exists: true, product: expect.objectContaining({ id: 10 }) });
+    expect(filtersOn('barcode_embedded_rules')).toEqual([]);
+  });
+
+  test('TEST-PLU-11: /check reports a bad label or a product not sold by weight without failing the request', async () => {
+    const label = weightLabel('00123');
+    const badDigit = await check(label.slice(0, 12) + ((Number(label[12]) + 1) % 10));
+    expect(badDigit.statusCode).toBe(200);
+    expect(badDigit.body).toEqual({ exists: false, embedded: { error: expect.stringMatching('fails its check digit') } });
+
+    const perUnit = await check(weightLabel('00456'));
+    expect(perUnit.body).toEqual({
+      exists: false,
+      embedded: { error: '"Lamb chops" has scale PLU 00456 but is not set up as sold by weight' },
+    });
+
+    const noRule = await check('2901234567895');
+    expect(noRule.body).toEqual({ exists: false });
+  });
+
+  test('TEST-PLU-12: checkout decodes a label server-side; the till\'s quantity and price are ignored', async () => {
+    const res = await checkout([
+      { barcode: weightLabel('00123'), quantity: 5, unit_price: 1 },
+      { product_id: 10, quantity: 2 },
+    ]);
+
+    expect(res.statusCode).toBe(201);
+    const [fn, args] = mockRpc.mock.calls[0];
+    expect(fn).toBe('create_sale_atomic');
+    expect(args.p_items.map(i => [i.product_id, i.quantity, i.unit_price])).toEqual([
+      [9, 1.235, 129.99],
+      [10, 2, 32.99],
+    ]);
+    expect(args.p_items[0].line_total).toBeCloseTo(160.54, 2);
+  });
+
+  test('TEST-PLU-13: checkout refuses fractional units, sub-gram weights, unknown labels and plain barcodes before the sale RPC', async () => {
+    const fractions = await checkout([{ product_id: 10, quantity: 1.5 }, { product_id: 9, quantity: 0.4855 }]);
+    expect(fractions.statusCode).toBe(400);
+    expect(fractions.body).toEqual({
+      error: 'Invalid quantity',
+      details: [
+        '"Coke 2L" is sold per unit — the quantity must be a whole number',
+        'Quantity for "Boerewors" can\'t be finer than a gram (3 decimals)',
+      ],
+    });
+
+    const unknown = await checkout([{ barcode: weightLabel('00777') }]);
+    expect(unknown.statusCode).toBe(404);
+
+    const plain = await checkout([{ barcode: '6001234567890' }]);
+    expect(plain.statusCode).toBe(400);
+    expect(plain.body.error).toBe('Barcode 6001234567890 is not a scale label — send the product_id for it');
+
+    expect(mockRpc).not.toHaveBeenCalled();
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PLU-14: products: CREATE permission, serial-tracked by weight → 400, and no switch back to units with grams in stock', async () => {
+    const cashier = await callRoute(productsRouter, 'post', '/', {
+      role: 'cashier', body: { product_name: 'Biltong', unit_price: 349, sold_by_weight: true },
+    });
+    expect(cashier.statusCode).toBe(403);
+
+    const serial = await callRoute(productsRouter, 'post', '/', {
+      body: { product_name: 'Biltong', unit_price: 349, sold_by_weight: true, track_serial: true },
+    });
+    expect(serial.statusCode).toBe(400);
+    expect(serial.body.error).toBe('A product sold by weight cannot be serial-tracked');
+
+    mockRows.products[0].stock_quantity = 4.25;
+    const toUnits = await callRoute(productsRouter, 'put', '/:id', { params: { id: '9' }, body: { sold_by_weight: false } });
+    expect(toUnits.statusCode).toBe(400);
+    expect(toUnits.body.error).toBe('"Boerewors" has 4.25 kg in stock — adjust it to a whole number before selling it per unit');
+
+    const foreign = await callRoute(productsRouter, 'put', '/:id', { params: { id: '90' }, body: { scale_plu: '999' } });
+    expect(foreign.statusCode).toBe(404);
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-PLU-15: stock adjustments take grams for products sold by weight only, through the compare-and-swap', async () => {
+    const adjust = (body, role = 'store_manager') => callRoute(inventoryRouter, 'post', '/adjust', { role, body });
+
+    expect((await adjust({ product_id: 9, quantity_change: 0.25, reason: 'count' }, 'cashier')).statusCode).toBe(403);
+
+    const perUnit = await adjust({ product_id: 10, quantity_change: 0.5, reason: 'count' });
+    expect(perUnit.statusCode).toBe(400);
+    expect(perUnit.body.error).toBe('"Coke 2L" is sold per unit — the quantity must be a whole number');
+
+    const foreign = await adjust({ product_id: 90, quantity_change: 0.25, reason: 'count' });
+    expect(foreign.statusCode).toBe(404);
+    expect(mockWrites).toEqual([]);
+
+    const grams = await adjust({ product_id: 9, quantity_change: -0.25, reason: 'damaged' });
+    expect(grams.statusCode).toBe(200);
+    const [cas] = writesTo('products', 'update');
+    expect(cas.payload.stock_quantity).toBe(19.75);
+    expect(filtersOn('products')).toContainEqual(['stock_quantity', 20]);
+    expect(writesTo('inventory_adjustments', 'insert')[0].payload).toMatchObject({
+      company_id: 42, product_id: 9, quantity_before: 20, quantity_change: -0.25, quantity_after: 19.75,
+    });
+  });
+});
@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * POS Cash-Up — Session Reconciliation Takings
+ *
+ * Tests computeSessionRecon() — the expected figures /complete-cashup compares
+ * the counted card, EFT and cash totals against — for money taken on a
+ * session that is not a sale: gift cards sold and lay-by payments.
+ *
+ * Scenarios covered:
+ *   TEST-RECON-01  A gift card paid by card counts toward expected card takings, not the drawer.
+ *   TEST-RECON-02  Gift cards are split by payment method: cash into the drawer, card and EFT apart.
+ *   TEST-RECON-03  Voucher issues are read for this session and company only, excluding store credit.
+ *   TEST-RECON-04  Lay-by payments keep their own per-method totals alongside gift cards.
+ *   TEST-RECON-05  /complete-cashup: a card-paid gift card leaves no card variance.
+ *   TEST-RECON-06  /complete-cashup: an uncounted gift card on EFT shows as an EFT shortfall.
+ */
+
+// ── Supabase mock: one canned response per table, filters recorded ─────────────
+
+const mockTables = {};
+const mockFilters = [];
+
+function mockSbChain(table) {
+  const chain = {};
+  for (const m of ['select', 'eq', 'in', 'not', 'update', 'insert']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  chain.single = jest.fn(() => Promise.resolve(mockTables[table]));
+  chain.then = (resolve, reject) => Promise.resolve(mockTables[table]).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../middleware/auth', () => ({
+  requireCompany:    (_req, _res, next) => next(),
+  requirePermission: () => (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('../modules/pos/services/posAuditLogger', () => ({
+  posAuditFromReq: jest.fn(),
+  POS_EVENTS:      {},
+}));
+
+const { computeSessionRecon } = require('../modules/pos/services/posReconService');
+const sessionsRouter = require('../modules/pos/routes/sessions');
+
+/** Run POST /:id/complete-cashup's handler with a mock req/res. */
+async function completeCashup(body) {
+  const layer = sessionsRouter.stack.find(l => l.route && l.route.path === '/:id/complete-cashup');
+  const handler = layer.route.stack[layer.route.stack.length - 1].handle;
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  await handler({ params: { id: '7' }, body, companyId: 42, user: { userId: 5, role: 'cashier' } }, res);
+  return res;
+}
+
+// ── Test data ─────────────────────────────────────────────────────────────────
+
+const SESSION = { id: 7, company_id: 42, till_id: 3, user_id: 5, status: 'closed', opening_balance: 500, expected_balance: 500 };
+
+function seed({ sales = [], payments = [], vouchers = [], laybys = [] } = {}) {
+  mockTables.till_sessions            = { data: SESSION, error: null };
+  mockTables.sales                    = { data: sales, error: null };
+  mockTables.sale_payments            = { data: payments, error: null };
+  mockTables.pos_returns              = { data: [], error: null };
+  mockTables.pos_cash_paidouts        = { data: [], error: null };
+  mockTables.pos_voucher_transactions = { data: vouchers, error: null };
+  mockTables.pos_layby_payments       = { data: laybys, error: null };
+  mockTables.pos_recon_snapshots      = { data: { id: 1 }, error: null };
+}
+
+describe('POS Cash-Up — Session Reconciliation Takings', () => {
+  beforeEach(() => {
+    mockFilters.length = 0;
+    for (const k of Object.keys(mockTables)) delete mockTables[k];
+  });
+
+  test('TEST-RECON-01: a gift card paid by card counts toward expected card takings, not the drawer', async () => {
+    seed({
+      sales:    [{ id: 1, status: 'completed', total_amount: 230 }],
+      payments: [{ sale_id: 1, payment_method: 'card', amount: 230 }],
+      vouchers: [{ payment_method: 'card', amount: 250 }],
+    });
+
+    const recon = await computeSessionRecon(7, 42);
+
+    expect(recon.voucherCard).toBe(250);
+    expect(recon.voucherSalesCash).toBe(0);
+    // The card terminal shows R480: the sale plus the gift card
+    expect(recon.paymentCard + recon.voucherCard + recon.laybyCard).toBe(480);
+    expect(recon.expectedCashInDrawer).toBe(500);
+  });
+
+  test('TEST-RECON-02: gift cards are split by payment method — cash into the drawer, card and EFT apart', async () => {
+    seed({
+      vouchers: [
+        { payment_method: 'cash', amount: 100 },
+        { payment_method: 'card', amount: 200 },
+        { payment_method: 'eft',  amount: 300 },
+        { payment_method: 'CARD', amount: 50 },
+      ],
+    });
+
+    const recon = await computeSessionRecon(7, 42);
+
+    expect(recon.voucherSalesCash).toBe(100);
+    expect(recon.voucherCard).toBe(250);
+    expect(recon.voucherEft).toBe(300);
+    expect(recon.voucherByMethod).toEqual({ cash: 100, card: 250, eft: 300 });
+    expect(recon.expectedCashInDrawer).toBe(600);
+  });
+
+  test('TEST-RECON-03: voucher issues are read for this session and company only, excluding store credit', async () => {
+    seed();
+    await computeSessionRecon(7, 42);
+
+    const voucherFilters = mockFilters.filter(f => f.table === 'pos_voucher_transactions');
+    expect(voucherFilters).toEqual(expect.arrayContaining([
+      { table: 'pos_voucher_transactions', op: 'eq',  args: ['till_session_id', 7] },
+      { table: 'pos_voucher_transactions', op: 'eq',  args: ['company_id', 42] },
+      { table: 'pos_voucher_transactions', op: 'eq',  args: ['type', 'issue'] },
+      { table: 'pos_voucher_transactions', op: 'not', args: ['payment_method', 'is', null] },
+    ]));
+    // Card and EFT issues are no longer filtered out at the query
+    expect(voucherFilters).not.toContainEqual(
+      { table: 'pos_voucher_transactions', op: 'eq', args: ['payment_method', 'cash'] }
+    );
+  });
+
+  test('TEST-RECON-04: lay-by payments keep their own per-method totals alongside gift cards', async () => {
+    seed({
+      vouchers: [{ payment_method: 'eft', amount: 150 }],
+      laybys:   [{ payment_method: 'eft', amount: 400 }, { payment_method: 'cash', amount: 80 }],
+    });
+
+    const recon = await computeSessionRecon(7, 42);
+
+    expect(recon.laybyEft).toBe(400);
+    expect(recon.voucherEft).toBe(150);
+    expect(recon.paymentEft + recon.voucherEft + recon.laybyEft).toBe(550);
+    expect(recon.expectedCashInDrawer).toBe(580);
+  });
+
+  test('TEST-RECON-05: /complete-cashup — a card-paid gift card leaves no card variance', async () => {
+    seed({
+      sales:    [{ id: 1, status: 'completed', total_amount: 230 }],
+      payments: [{ sale_id: 1, payment_method: 'card', amount: 230 }],
+      vouchers: [{ payment_method: 'card', amount: 250 }],
+    });
+
+    const res = await completeCashup({ counted_cash: 500, counted_card: 480 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.varianceCard).toBe(0);
+  });
+
+  test('TEST-RECON-06: /complete-cashup — an uncounted gift card on EFT shows as an EFT shortfall', async () => {
+    seed({ vouchers: [{ payment_method: 'eft', amount: 150 }] });
+
+    const res = await completeCashup({ counted_cash: 500, counted_eft: 0 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.varianceEft).toBe(-150);
+  });
+});
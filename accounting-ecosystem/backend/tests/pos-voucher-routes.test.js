@@ -0,0 +1,538 @@
+'use strict';
+
+/**
+ * POS Gift Cards and Store Credit — Route Guards
+ * Drives the voucher routes in vouchers.js, voucher tenders and store credit
+ * returns in sales.js, the liability report in reports.js (requireCompany +
+ * requirePermission + handler) and the accounting pos-bridge voucher routes
+ * (authenticate + hasPermission + handler) against a mocked Supabase client,
+ * sale RPC, pg client and journal service.
+ *
+ * Scenarios covered:
+ *   TEST-VCH-01  A voucher tender goes through create_sale_with_vouchers with the planned debit.
+ *   TEST-VCH-02  A voucher that lost the race at another till fails the sale with 409.
+ *   TEST-VCH-03  A sale with no voucher tender still uses create_sale_atomic.
+ *   TEST-VCH-04  A voucher is only looked up within the caller's company.
+ *   TEST-VCH-05  A tender above the voucher's balance is refused before any RPC.
+ *   TEST-VCH-06  Trainees cannot sell gift cards; cashiers cannot give store credit, cancel or expire → 403.
+ *   TEST-VCH-07  A bad amount, payment method, code or expiry → 400, nothing issued.
+ *   TEST-VCH-08  Another company's till session or customer → 404; a closed session → 409; nothing issued.
+ *   TEST-VCH-09  A gift card is issued for the company with its opening ledger row, and audited.
+ *   TEST-VCH-10  A voucher whose opening ledger row cannot be written is removed again → 500.
+ *   TEST-VCH-11  A pre-printed code already in use → 409.
+ *   TEST-VCH-12  Lookup and detail only find the company's vouchers and ledger.
+ *   TEST-VCH-13  Cancelling needs a reason and an open voucher of the company; the balance goes to zero, audited.
+ *   TEST-VCH-14  Expiry writes off only the company's active vouchers past their date.
+ *   TEST-VCH-15  A store credit return needs approval, then issues one voucher for the refund, linked to the return.
+ *   TEST-VCH-16  The liability report totals only the company's open balances; cashiers are refused.
+ *   TEST-VCH-17  GL posting: bookkeepers are refused; another company's clearing account → 400; a posted date → 409.
+ *   TEST-VCH-18  GL posting journals the company's unposted movements to the date and marks them posted.
+ *   TEST-VCH-19  A locked accounting period → 403; no journal and nothing marked posted.
+ */
+
+// middleware/auth refuses to load without a signing secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'jest-only-signing-secret-0123456789abcdef';
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockRows = {};
+const mockFilters = [];
+const mockWrites = [];
+const mockRpc = jest.fn();
+const mockPgQuery = jest.fn();
+const mockCreateDraftJournal = jest.fn();
+const mockPostJournal = jest.fn();
+const mockFailWrite = { table: null, op: null, code: null };
+let mockNextId = 500;
+
+/** Field of a row by column name — 'customers.name' reads an embedded join. */
+const mockField = (row, col) => col.split('.').reduce((v, k) => (v == null ? v : v[k]), row);
+
+/** Rows are filtered by the comparison filters the query applied; order / range / ilike / or are recorded only. */
+function mockSbChain(table) {
+  const conditions = [];
+  let write = null;
+  const chain = {};
+  for (const m of ['select', 'order', 'limit', 'range', 'ilike', 'or']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  const filter = (op, test) => jest.fn((col, val) => {
+    mockFilters.push({ table, op, args: [col, val] });
+    conditions.push(r => test(mockField(r, col), val));
+    return chain;
+  });
+  chain.eq = filter('eq', (v, want) => String(v) === String(want));
+  chain.neq = filter('neq', (v, want) => String(v) !== String(want));
+  chain.in = filter('in', (v, want) => want.map(String).includes(String(v)));
+  chain.is = filter('is', (v, want) => (v ?? null) === want);
+  chain.gt = filter('gt', (v, want) => Number(v) > Number(want));
+  chain.lt = filter('lt', (v, want) => v != null && String(v) < String(want));
+  chain.lte = filter('lte', (v, want) => String(v) <= String(want));
+  for (const op of ['insert', 'update', 'upsert', 'delete']) {
+    chain[op] = jest.fn(payload => {
+      write = { table, op, payload };
+      mockWrites.push(write);
+      return chain;
+    });
+  }
+  const matching = () => (mockRows[table] || []).filter(r => conditions.every(c => c(r)));
+  const result = () => {
+    if (write && mockFailWrite.table === table && mockFailWrite.op === write.op) {
+      return { data: null, error: { message: `${table} ${write.op} failed`, code: mockFailWrite.code } };
+    }
+    if (write && write.op === 'insert') return { data: [].concat(write.payload).map(p => ({ id: mockNextId++, ...p })), error: null };
+    if (write && write.op === 'update') return { data: matching().map(r => ({ ...r, ...write.payload })), error: null };
+    if (write) return { data: null, error: null };
+    return { data: matching(), error: null };
+  };
+  const one = () => {
+    const r = result();
+    return Promise.resolve({ ...r, data: Array.isArray(r.data) ? r.data[0] || null : r.data });
+  };
+  chain.single = jest.fn(one);
+  chain.maybeSingle = jest.fn(one);
+  chain.then = (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+  return chain;
+}
+
+jest.mock('../config/database', () => ({
+  supabase: {
+    from: jest.fn(table => mockSbChain(table)),
+    rpc:  (...a) => mockRpc(...a),
+  },
+}));
+
+jest.mock('../modules/accounting/config/database', () => ({
+  getClient: jest.fn(async () => ({ query: (...a) => mockPgQuery(...a), release: jest.fn() })),
+}));
+
+jest.mock('../modules/accounting/services/journalService', () => ({
+  createDraftJournal: (...a) => mockCreateDraftJournal(...a),
+  postJournal:        (...a) => mockPostJournal(...a),
+}));
+
+jest.mock('../modules/accounting/services/auditLogger', () => ({
+  logUserAction: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (_req, _res, next) => next(),
+}));
+
+jest.mock('../middleware/audit', () => ({
+  auditFromReq: jest.fn().mockResolvedValue(undefined),
+}));
+
+jest.mock('../modules/pos/services/posAuditLogger', () => ({
+  posAuditFromReq: jest.fn(),
+  POS_EVENTS:      new Proxy({}, { get: (_t, key) => key }),
+}));
+
+jest.mock('../modules/pos/services/stockPolicyCache', () => ({
+  getStockPolicy: jest.fn().mockResolvedValue(false),
+}));
+
+const { auditFromReq } = require('../middleware/audit');
+const { serviceError } = require('../shared/utils/serviceError');
+const salesRouter = require('../modules/pos/routes/sales');
+const vouchersRouter = require('../modules/pos/routes/vouchers');
+const reportsRouter = require('../modules/pos/routes/reports');
+const bridgeRouter = require('../modules/accounting/routes/pos-bridge');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run the router-level middleware, then every layer of `method path`, like Express would. */
+async function callRoute(router, method, path, { role = 'business_owner', body = {}, params = {}, query = {}, companyId = 42 } = {}) {
+  const req = {
+    body, params, query, companyId, user: { userId: 5, role, email: 'till@example.co.za' },
+    headers: { 'user-agent': 'jest' }, get: () => 'jest', ip: '127.0.0.1',
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  const route = router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const handlers = [...router.stack.filter(l => !l.route), ...route.route.stack].map(l => l.handle);
+  for (const handle of handlers) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const sell = (body, opts = {}) => callRoute(salesRouter, 'post', '/', { role: 'cashier', body, ...opts });
+const issue = (body, opts = {}) => callRoute(vouchersRouter, 'post', '/', { body, ...opts });
+const cancel = (id, body, opts = {}) =>
+  callRoute(vouchersRouter, 'post', '/:id/cancel', { params: { id: String(id) }, body, ...opts });
+const postJournal = (body, opts = {}) => callRoute(bridgeRouter, 'post', '/vouchers/post-journal', { body, ...opts });
+const writesTo = (table, op) => mockWrites.filter(w => w.table === table && (!op || w.op === op));
+const filtersOn = (table, op = 'eq') => mockFilters.filter(f => f.table === table && f.op === op).map(f => f.args);
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const PRODUCT = { id: 1, company_id: 42, product_name: 'Braai Pack', unit_price: 200, vat_rate: 15, stock_quantity: 10, is_active: true };
+const GIFT_CARD = { id: 12, company_id: 42, code: 'GC7KQ2M9XHT4', voucher_type: 'gift_card', initial_amount: 150, balance: 150, status: 'active', expires_on: '2099-12-31' };
+
+function voucherSale(amount = 150) {
+  return {
+    items: [{ product_id: 1, quantity: 1 }],
+    till_session_id: 7,
+    payments: [
+      { payment_method: 'voucher', voucher_code: 'GC7KQ2M9XHT4', amount },
+      { payment_method: 'cash', amount: 200 - amount },
+    ],
+  };
+}
+
+const txRow = (id, companyId, type, amount, paymentMethod, createdAt, journalId = null) => ({
+  id, company_id: companyId, type, amount, payment_method: paymentMethod, created_at: createdAt, journal_id: journalId,
+});
+
+describe('POS Gift Cards and Store Credit — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockFilters.length = 0;
+    mockWrites.length = 0;
+    mockNextId = 500;
+    Object.assign(mockFailWrite, { table: null, op: null, code: null });
+    for (const k of Object.keys(mockRows)) delete mockRows[k];
+    mockRows.products = [PRODUCT];
+    mockRows.pos_vouchers = [
+      { ...GIFT_CARD },
+      { id: 13, company_id: 42, code: 'SCQ2M9XHT4KA', voucher_type: 'store_credit', initial_amount: 80, balance: 80, status: 'active', expires_on: '2026-09-30' },
+      { id: 14, company_id: 42, code: 'GCHT4KAQ2M9X', voucher_type: 'gift_card', initial_amount: 50, balance: 0, status: 'cancelled', expires_on: '2026-01-31' },
+      // Another company's card with the same printed code, and an overdue one
+      { id: 19, company_id: 77, code: 'GC7KQ2M9XHT4', voucher_type: 'gift_card', initial_amount: 900, balance: 900, status: 'active', expires_on: '2099-12-31' },
+      { id: 20, company_id: 77, code: 'SCXHT4KAQ2M9', voucher_type: 'store_credit', initial_amount: 60, balance: 60, status: 'active', expires_on: '2026-01-31' },
+    ];
+    mockRows.till_sessions = [
+      { id: 7, company_id: 42, status: 'open' },
+      { id: 8, company_id: 42, status: 'closed' },
+      { id: 70, company_id: 77, status: 'open' },
+    ];
+    mockRows.customers = [{ id: 30, company_id: 42, name: 'Thandi' }, { id: 31, company_id: 77, name: 'Other' }];
+    mockRpc.mockResolvedValue({
+      data: { sale_id: 900, sale_number: 'SAL-1', receipt_number: 'RC-1', was_duplicate: false,
+        voucher_redemptions: [{ voucher_id: 12, code: 'GC7KQ2M9XHT4', amount: 150, balance_after: 0 }] },
+      error: null,
+    });
+  });
+
+  test('TEST-VCH-01: a voucher tender goes through create_sale_with_vouchers with the planned debit', async () => {
+    const res = await sell(voucherSale());
+
+    expect(res.statusCode).toBe(201);
+    expect(mockRpc).toHaveBeenCalledTimes(1);
+    const [fn, args] = mockRpc.mock.calls[0];
+    expect(fn).toBe('create_sale_with_vouchers');
+    expect(args.p_vouchers).toEqual([{ voucher_id: 12, code: 'GC7KQ2M9XHT4', amount: 150 }]);
+    expect(args.p_company_id).toBe(42);
+    // The balance is not touched again after the sale commits
+    expect(writesTo('pos_vouchers')).toEqual([]);
+  });
+
+  test('TEST-VCH-02: a voucher that lost the race at another till fails the sale with 409', async () => {
+    mockRpc.mockResolvedValue({
+      data: null,
+      error: { message: 'Voucher GC7KQ2M9XHT4 no longer covers R 150.00 — it was spent or cancelled at another till' },
+    });
+
+    const res = await sell(voucherSale());
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toContain('no longer covers');
+    // Nothing is written outside the RPC — there is no sale to clean up
+    expect(mockWrites.filter(w => w.op === 'insert' || w.op === 'update')).toEqual([]);
+  });
+
+  test('TEST-VCH-03: a sale with no voucher tender still uses create_sale_atomic', async () => {
+    mockRpc.mockResolvedValue({ data: { sale_id: 901, sale_number: 'SAL-2', was_duplicate: false }, error: null });
+
+    const res = await sell({ items: [{ product_id: 1, quantity: 1 }], payment_method: 'card' });
+
+    expect(res.statusCode).toBe(201);
+    expect(mockRpc.mock.calls[0][0]).toBe('create_sale_atomic');
+    expect(mockRpc.mock.calls[0][1].p_vouchers).toBeUndefined();
+  });
+
+  test('TEST-VCH-04: a voucher is only looked up within the caller\'s company', async () => {
+    await sell(voucherSale());
+
+    expect(filtersOn('pos_vouchers')).toContainEqual(['company_id', 42]);
+    // Company 77's card with the same code (R900) is never offered to the plan
+    expect(mockRpc.mock.calls[0][1].p_vouchers.map(v => v.voucher_id)).toEqual([12]);
+  });
+
+  test('TEST-VCH-05: a tender above the voucher\'s balance is refused before any RPC', async () => {
+    const res = await sell(voucherSale(180));
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toContain('R 150.00');
+    expect(mockRpc).not.toHaveBeenCalled();
+  });
+
+  test('TEST-VCH-06: trainees cannot sell gift cards; cashiers cannot give store credit, cancel or expire → 403', async () => {
+    const trainee = await issue({ amount: 100, payment_method: 'card' }, { role: 'trainee' });
+    const credit = await issue({ voucher_type: 'store_credit', amount: 100 }, { role: 'cashier' });
+    const cancelled = await cancel(12, { reason: 'Lost' }, { role: 'cashier' });
+    const expired = await callRoute(vouchersRouter, 'post', '/expire', { role: 'cashier' });
+
+    expect([trainee.statusCode, trainee.body.required]).toEqual([403, 'SALES.CREATE']);
+    expect([credit.statusCode, credit.body.error]).toEqual([403, 'Issuing store credit requires management approval (SALES.REFUND)']);
+    expect([cancelled.statusCode, cancelled.body.required]).toEqual([403, 'SALES.REFUND']);
+    expect([expired.statusCode, expired.body.required]).toEqual([403, 'SALES.REFUND']);
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-VCH-07: a bad amount, payment method, code or expiry → 400, nothing issued', async () => {
+    const responses = [
+      await issue({ amount: 0, payment_method: 'card' }),
+      await issue({ voucher_type: 'loyalty', amount: 100 }),
+      await issue({ amount: 100, payment_method: 'account' }),
+      await issue({ amount: 100, payment_method: 'cash' }),
+      await issue({ amount: 100, payment_method: 'card', code: 'GC-1' }),
+      await issue({ amount: 100, payment_method: 'card', expires_on: '2027-01-31' }),
+    ];
+
+    expect(responses.map(r => r.statusCode)).toEqual([400, 400, 400, 400, 400, 400]);
+    expect(responses.map(r => r.body.error).slice(0, 5)).toEqual([
+      'amount must be greater than 0',
+      'voucher_type must be one of gift_card, store_credit',
+      'payment_method must be one of cash, card, eft',
+      'till_session_id is required for a gift card paid in cash',
+      'code must be 6 to 32 letters and digits',
+    ]);
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-VCH-08: another company\'s till session or customer → 404; a closed session → 409; nothing issued', async () => {
+    const foreignSession = await issue({ amount: 100, payment_method: 'cash', till_session_id: 70 });
+    const closed = await issue({ amount: 100, payment_method: 'cash', till_session_id: 8 });
+    const foreignCustomer = await issue({ amount: 100, payment_method: 'card', customer_id: 31 });
+
+    expect([foreignSession.statusCode, foreignSession.body.error]).toEqual([404, 'Session not found']);
+    expect([closed.statusCode, closed.body.error]).toEqual([409, 'Session must be open to sell a gift card (current status: closed)']);
+    expect([foreignCustomer.statusCode, foreignCustomer.body.error]).toEqual([404, 'Customer not found']);
+    expect(filtersOn('till_sessions')).toContainEqual(['company_id', 42]);
+    expect(filtersOn('customers')).toEqual([['id', 31], ['company_id', 42]]);
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-VCH-09: a gift card is issued for the company with its opening ledger row, and audited', async () => {
+    const res = await issue({ amount: '250.004', payment_method: 'CASH', till_session_id: 7, customer_id: 30 }, { role: 'cashier' });
+
+    expect(res.statusCode).toBe(201);
+    const [voucher] = writesTo('pos_vouchers', 'insert');
+    expect(voucher.payload).toMatchObject({
+      company_id: 42, voucher_type: 'gift_card', initial_amount: 250, balance: 250, status: 'active',
+      customer_id: 30, issued_return_id: null, issued_by: 5,
+    });
+    expect(voucher.payload.code).toMatch(/^GC[A-HJ-NP-Z2-9]{12}$/);
+    // No expiry given: the CPA's three-year minimum
+    expect(voucher.payload.expires_on >= '2029-10-18').toBe(true);
+    const [tx] = writesTo('pos_voucher_transactions', 'insert');
+    expect(tx.payload).toMatchObject({
+      company_id: 42, voucher_id: 500, type: 'issue', amount: 250, balance_after: 250, till_session_id: 7, payment_method: 'cash',
+    });
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'CREATE', 'pos_voucher', 500, expect.objectContaining({
+      newValue: expect.objectContaining({ voucher_type: 'gift_card', amount: 250, payment_method: 'cash' }),
+    }));
+  });
+
+  test('TEST-VCH-10: a voucher whose opening ledger row cannot be written is removed again → 500', async () => {
+    Object.assign(mockFailWrite, { table: 'pos_voucher_transactions', op: 'insert' });
+
+    const res = await issue({ amount: 100, payment_method: 'card' });
+
+    expect([res.statusCode, res.body.error]).toEqual([500, 'pos_voucher_transactions insert failed']);
+    expect(writesTo('pos_vouchers').map(w => w.op)).toEqual(['insert', 'delete']);
+    expect(filtersOn('pos_vouchers').slice(-2)).toEqual([['id', 500], ['company_id', 42]]);
+    expect(auditFromReq).not.toHaveBeenCalled();
+  });
+
+  test('TEST-VCH-11: a pre-printed code already in use → 409', async () => {
+    Object.assign(mockFailWrite, { table: 'pos_vouchers', op: 'insert', code: '23505' });
+
+    const res = await issue({ amount: 100, payment_method: 'card', code: 'gc7k-q2m9-xht4' });
+
+    expect([res.statusCode, res.body.error]).toEqual([409, 'Voucher code GC7KQ2M9XHT4 is already in use']);
+    expect(writesTo('pos_vouchers', 'insert')).toHaveLength(1);
+    expect(writesTo('pos_voucher_transactions')).toEqual([]);
+  });
+
+  test('TEST-VCH-12: lookup and detail only find the company\'s vouchers and ledger', async () => {
+    mockRows.pos_voucher_transactions = [
+      { id: 1, company_id: 42, voucher_id: 12, type: 'issue', amount: 150 },
+      { id: 2, company_id: 77, voucher_id: 12, type: 'redeem', amount: -150 },
+    ];
+
+    const lookup = await callRoute(vouchersRouter, 'get', '/lookup/:code', { params: { code: 'gc7k q2m9 xht4' }, role: 'cashier' });
+    const expired = await callRoute(vouchersRouter, 'get', '/lookup/:code', { params: { code: 'SCQ2M9XHT4KA' }, role: 'cashier' });
+    const foreign = await callRoute(vouchersRouter, 'get', '/lookup/:code', { params: { code: 'SCXHT4KAQ2M9' }, role: 'cashier' });
+    const detail = await callRoute(vouchersRouter, 'get', '/:id', { params: { id: '12' }, role: 'cashier' });
+    const foreignDetail = await callRoute(vouchersRouter, 'get', '/:id', { params: { id: '19' }, role: 'cashier' });
+
+    expect([lookup.body.voucher.id, lookup.body.voucher.balance, lookup.body.usable]).toEqual([12, 150, true]);
+    expect([expired.body.usable, expired.body.reason]).toEqual([false, expect.stringContaining('expired')]);
+    expect([foreign.statusCode, foreign.body.error]).toEqual([404, 'Voucher SCXHT4KAQ2M9 not found']);
+    expect(detail.body.transactions.map(t => t.id)).toEqual([1]);
+    expect([foreignDetail.statusCode, foreignDetail.body.error]).toEqual([404, 'Voucher not found']);
+  });
+
+  test('TEST-VCH-13: cancelling needs a reason and an open voucher of the company; the balance goes to zero, audited', async () => {
+    const noReason = await cancel(12, { reason: '  ' });
+    const foreign = await cancel(19, { reason: 'Lost' });
+    const twice = await cancel(14, { reason: 'Lost' });
+    expect([noReason.statusCode, noReason.body.error]).toEqual([400, 'reason is required']);
+    expect([foreign.statusCode, foreign.body.error]).toEqual([404, 'Voucher not found']);
+    expect([twice.statusCode, twice.body.error]).toEqual([409, 'Voucher is already cancelled']);
+    expect(mockWrites).toEqual([]);
+
+    const res = await cancel(12, { reason: 'Card reported stolen' });
+
+    expect(res.statusCode).toBe(200);
+    const [update] = writesTo('pos_vouchers', 'update');
+    expect(update.payload).toMatchObject({ balance: 0, status: 'cancelled' });
+    // Compare-and-swap on the balance it read, inside the company
+    expect(filtersOn('pos_vouchers').slice(-3)).toEqual([['id', 12], ['company_id', 42], ['balance', 150]]);
+    expect(writesTo('pos_voucher_transactions', 'insert')[0].payload).toMatchObject({
+      company_id: 42, voucher_id: 12, type: 'cancel', amount: -150, balance_after: 0, reference: 'Card reported stolen',
+    });
+    expect(auditFromReq).toHaveBeenCalledWith(expect.anything(), 'DELETE', 'pos_voucher', 12, expect.objectContaining({
+      oldValue: { code: 'GC7KQ2M9XHT4', balance: 150, status: 'active' },
+    }));
+  });
+
+  test('TEST-VCH-14: expiry writes off only the company\'s active vouchers past their date', async () => {
+    const res = await callRoute(vouchersRouter, 'post', '/expire', { role: 'store_manager' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.expired).toEqual([{ id: 13, code: 'SCQ2M9XHT4KA', amount: 80 }]);
+    expect(res.body.failed).toEqual([]);
+    expect(writesTo('pos_vouchers', 'update').map(w => w.payload.status)).toEqual(['expired']);
+    expect(writesTo('pos_voucher_transactions', 'insert')[0].payload).toMatchObject({ voucher_id: 13, type: 'expire', amount: -80 });
+  });
+
+  test('TEST-VCH-15: a store credit return needs approval, then issues one voucher for the refund, linked to the return', async () => {
+    mockRows.sales = [{
+      id: 950, company_id: 42, sale_number: 'SAL-9', status: 'completed', total_amount: 200, customer_id: 30, till_session_id: 7,
+      sale_items: [{ id: 1, product_id: 1, quantity: 1, unit_price: 200 }],
+      sale_payments: [{ payment_method: 'cash', amount: 200 }],
+    }, {
+      id: 951, company_id: 77, sale_number: 'SAL-1', status: 'completed', total_amount: 200, customer_id: 31,
+      sale_items: [{ id: 9, product_id: 90, quantity: 1, unit_price: 200 }], sale_payments: [],
+    }];
+    mockRpc.mockResolvedValue({ data: null, error: null });
+    const returnSale = (id, role) => callRoute(salesRouter, 'post', '/:id/return', {
+      params: { id: String(id) }, role, body: { reason: 'Wrong size', refund_method: 'store_credit', till_session_id: 7 },
+    });
+
+    const cashier = await returnSale(950, 'cashier');
+    const foreign = await returnSale(951, 'store_manager');
+    expect([cashier.statusCode, cashier.body.error]).toEqual([403, 'Returns require manager PIN authorization']);
+    expect([foreign.statusCode, foreign.body.error]).toEqual([404, 'Sale not found']);
+    expect(writesTo('pos_returns')).toEqual([]);
+
+    const res = await returnSale(950, 'store_manager');
+
+    expect(res.statusCode).toBe(201);
+    expect(writesTo('pos_returns', 'insert')[0].payload).toMatchObject({ company_id: 42, original_sale_id: 950, refund_method: 'store_credit' });
+    const [voucher] = writesTo('pos_vouchers', 'insert');
+    expect(voucher.payload).toMatchObject({
+      company_id: 42, voucher_type: 'store_credit', balance: 200, customer_id: 30, issued_return_id: 500,
+    });
+    expect(voucher.payload.code.startsWith('SC')).toBe(true);
+    // Unpaid: the ledger row has no payment method, so the GL charges it to sales returns
+    expect(writesTo('pos_voucher_transactions', 'insert')[0].payload).toMatchObject({
+      type: 'issue', amount: 200, return_id: 500, payment_method: null, reference: 'RETURN-500',
+    });
+    expect(res.body.voucher.id).toBe(501);
+  });
+
+  test('TEST-VCH-16: the liability report totals only the company\'s open balances; cashiers are refused', async () => {
+    const cashier = await callRoute(reportsRouter, 'get', '/voucher-liability', { role: 'cashier' });
+    expect([cashier.statusCode, cashier.body.required]).toEqual([403, 'REPORTS.VIEW']);
+
+    const res = await callRoute(reportsRouter, 'get', '/voucher-liability', { role: 'store_manager' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.summary).toMatchObject({ count: 2, outstanding: 230, byType: { gift_card: 150, store_credit: 80 } });
+    expect(res.body.summary.byExpiry.overdue).toBe(80);
+    expect(res.body.vouchers.map(v => [v.id, v.overdue])).toEqual([[13, true], [12, false]]);
+    expect(filtersOn('pos_vouchers')).toEqual([['company_id', 42], ['status', 'active']]);
+  });
+
+  test('TEST-VCH-17: GL posting: bookkeepers are refused; another company\'s clearing account → 400; a posted date → 409', async () => {
+    mockRows.accounts = [{ id: 1100, company_id: 42 }, { id: 7100, company_id: 77 }];
+    mockRows.journals = [{ id: 600, company_id: 42, source_type: 'pos_voucher', reference: 'POS-VOUCHER-2026-10-18', status: 'posted' }];
+
+    const bookkeeper = await postJournal({ toDate: '2026-10-19', clearingAccountId: 1100 }, { role: 'cashier' });
+    const noDate = await postJournal({ toDate: '19/10/2026', clearingAccountId: 1100 });
+    const foreign = await postJournal({ toDate: '2026-10-19', clearingAccountId: 7100 });
+    const posted = await postJournal({ toDate: '2026-10-18', clearingAccountId: 1100 });
+
+    expect([bookkeeper.statusCode, bookkeeper.body.permission]).toEqual([403, 'pos.reconcile']);
+    expect([noDate.statusCode, noDate.body.error]).toEqual([400, 'toDate (YYYY-MM-DD) is required']);
+    expect([foreign.statusCode, foreign.body.error]).toEqual([400, 'Clearing account not found for this company']);
+    expect([posted.statusCode, posted.body.code, posted.body.journalId]).toEqual([409, 'ALREADY_POSTED', 600]);
+    expect(mockCreateDraftJournal).not.toHaveBeenCalled();
+    expect(mockWrites).toEqual([]);
+  });
+
+  test('TEST-VCH-18: GL posting journals the company\'s unposted movements to the date and marks them posted', async () => {
+    mockRows.accounts = [{ id: 1100, company_id: 42 }];
+    // A reversed journal for the date does not block a fresh one
+    mockRows.journals = [{ id: 601, company_id: 42, source_type: 'pos_voucher', reference: 'POS-VOUCHER-2026-10-19', status: 'reversed' }];
+    mockRows.pos_voucher_transactions = [
+      txRow(1, 42, 'issue', 150, 'cash', '2026-10-19T08:00:00.000Z'),
+      txRow(2, 42, 'issue', 200, null, '2026-10-19T09:00:00.000Z'),
+      txRow(3, 42, 'redeem', -120, null, '2026-10-19T21:30:00.000Z'),
+      txRow(4, 42, 'redeem', -30, null, '2026-10-19T06:00:00.000Z', 599),
+      txRow(5, 42, 'expire', -80, null, '2026-10-19T22:30:00.000Z'),
+      txRow(6, 77, 'issue', 999, 'card', '2026-10-19T08:00:00.000Z'),
+    ];
+    let code = 880;
+    mockPgQuery.mockImplementation(async sql => (/^\s*INSERT/.test(sql) ? { rows: [{ id: code++ }] } : { rows: [] }));
+    mockCreateDraftJournal.mockResolvedValue({ id: 700, reference: 'POS-VOUCHER-2026-10-19' });
+    mockPostJournal.mockResolvedValue(undefined);
+
+    const res = await postJournal({ toDate: '2026-10-19', clearingAccountId: 1100 }, { role: 'accountant' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({ transactionCount: 3, issued: 150, creditIssued: 200, redeemed: 120, writtenOff: 0 });
+    const [journal] = mockCreateDraftJournal.mock.calls[0];
+    expect(journal).toMatchObject({ companyId: 42, date: '2026-10-19', reference: 'POS-VOUCHER-2026-10-19', sourceType: 'pos_voucher' });
+    // Dr clearing / returns, Cr liability (880 is the provisioned voucher liability)
+    expect(journal.lines.map(l => [l.accountId, l.debit, l.credit])).toEqual([
+      [1100, 150, 0], [880, 0, 150],
+      [882, 200, 0], [880, 0, 200],
+      [880, 120, 0], [1100, 0, 120],
+    ]);
+    expect(mockPostJournal).toHaveBeenCalledWith(700, 42, 5);
+    const [mark] = writesTo('pos_voucher_transactions', 'update');
+    expect(mark.payload).toEqual({ journal_id: 700 });
+    expect(filtersOn('pos_voucher_transactions', 'in')).toEqual([['id', [1, 2, 3]]]);
+    expect(mockPgQuery.mock.calls.filter(([sql]) => /^\s*INSERT/.test(sql)).every(([, params]) => params[0] === 42)).toBe(true);
+  });
+
+  test('TEST-VCH-19: a locked accounting period → 403; no journal and nothing marked posted', async () => {
+    mockRows.accounts = [{ id: 1100, company_id: 42 }];
+    mockRows.pos_voucher_transactions = [txRow(1, 42, 'issue', 150, 'cash', '2026-09-30T08:00:00.000Z')];
+    mockPgQuery.mockResolvedValue({ rows: [{ id: 880 }] });
+    mockCreateDraftJournal.mockRejectedValue(serviceError(403, 'Cannot create journal in a locked period'));
+
+    const res = await postJournal({ toDate: '2026-09-30', clearingAccountId: 1100 });
+
+    expect([res.statusCode, res.body.error]).toEqual([403, 'Cannot create journal in a locked period']);
+    expect(mockPostJournal).not.toHaveBeenCalled();
+    expect(writesTo('pos_voucher_transactions')).toEqual([]);
+  });
+});
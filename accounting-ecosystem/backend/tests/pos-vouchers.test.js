@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * POS Gift Cards and Store Credit — Codes, Expiry, Tenders, Liability and GL Lines
+ * Unit tests for the pure helpers in voucherLedger.js. Route-level guards
+ * are covered in pos-voucher-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-PVO-01  Codes carry the type prefix and avoid look-alike characters.
+ *   TEST-PVO-02  Scanned or typed codes normalise to the stored form.
+ *   TEST-PVO-03  No date means the three-year minimum; null means never.
+ *   TEST-PVO-04  A shorter or malformed date is refused.
+ *   TEST-PVO-05  Only an active, unexpired voucher with a balance can be spent.
+ *   TEST-PVO-06  Partial redemption alongside cash, legs on one card combined.
+ *   TEST-PVO-07  More than the balance, an unknown code or a missing code is refused.
+ *   TEST-PVO-08  A voucher never pays more than the sale total — no change is given.
+ *   TEST-PVO-09  Open balances are totalled by type and expiry bucket.
+ *   TEST-PVO-10  Paid issues go through clearing; unpaid store credit is charged to sales returns.
+ *   TEST-PVO-11  A leg that nets negative flips sides; a zero leg is left out.
+ */
+
+const {
+  generateVoucherCode, normaliseVoucherCode, resolveExpiry, voucherProblem, planVoucherTenders, summariseLiability,
+  voucherJournal,
+} = require('../modules/pos/services/voucherLedger');
+
+const DAY = '2026-10-19';
+const voucher = (code, balance, extra = {}) => ({ id: code.length, code, balance, status: 'active', expires_on: '2029-10-19', ...extra });
+
+// ─── Codes ───────────────────────────────────────────────────────────────────
+
+describe('Vouchers — codes', () => {
+  test('TEST-PVO-01: codes carry the type prefix and avoid look-alike characters', () => {
+    const bytes = () => Buffer.from([0, 1, 7, 8, 13, 14, 22, 23, 24, 31, 32, 255]);
+    expect(generateVoucherCode('gift_card', bytes)).toBe('GCABHJPQYZ29A9');
+    expect(generateVoucherCode('store_credit', bytes).startsWith('SC')).toBe(true);
+    expect(generateVoucherCode('gift_card')).toMatch(/^GC[A-HJ-NP-Z2-9]{12}$/);
+  });
+
+  test('TEST-PVO-02: scanned or typed codes normalise to the stored form', () => {
+    expect(normaliseVoucherCode(' gc7k-q2m9 xht4 ')).toBe('GC7KQ2M9XHT4');
+    expect(normaliseVoucherCode(null)).toBe('');
+  });
+});
+
+// ─── Expiry ──────────────────────────────────────────────────────────────────
+
+describe('Vouchers — expiry and spendability', () => {
+  test('TEST-PVO-03: no date means the three-year minimum; null means never', () => {
+    expect(resolveExpiry(undefined, DAY)).toBe('2029-10-19');
+    expect(resolveExpiry('', DAY)).toBe('2029-10-19');
+    expect(resolveExpiry(null, DAY)).toBeNull();
+    expect(resolveExpiry('2030-01-31', DAY)).toBe('2030-01-31');
+  });
+
+  test('TEST-PVO-04: a shorter or malformed date is refused', () => {
+    expect(() => resolveExpiry('2027-10-19', DAY)).toThrow('on or after 2029-10-19');
+    expect(() => resolveExpiry('19/10/2030', DAY)).toThrow('must be a date');
+  });
+
+  test('TEST-PVO-05: only an active, unexpired voucher with a balance can be spent', () => {
+    expect(voucherProblem(voucher('GC1', 50), DAY)).toBeNull();
+    expect(voucherProblem(voucher('GC1', 50, { expires_on: '2026-10-18' }), DAY)).toMatch('expired on 2026-10-18');
+    expect(voucherProblem(voucher('GC1', 50, { status: 'cancelled' }), DAY)).toMatch('cancelled');
+    expect(voucherProblem(voucher('GC1', 0, { status: 'redeemed' }), DAY)).toMatch('no balance left');
+    expect(voucherProblem(null, DAY)).toBe('Voucher not found');
+  });
+});
+
+// ─── Tenders ─────────────────────────────────────────────────────────────────
+
+describe('Vouchers — tenders in a payments split', () => {
+  const vouchers = new Map([['GCAAAA', voucher('GCAAAA', 100)], ['SCBBBB', voucher('SCBBBB', 40)]]);
+
+  test('TEST-PVO-06: partial redemption alongside cash, legs on one card combined', () => {
+    const plan = planVoucherTenders([
+      { payment_method: 'voucher', voucher_code: 'gcaa-aa', amount: 30 },
+      { payment_method: 'cash', amount: 50 },
+      { payment_method: 'voucher', reference: 'GCAAAA', amount: 20 },
+      { payment_method: 'voucher', voucherCode: 'SCBBBB', amount: 40 },
+    ], vouchers, 140, DAY);
+    expect(plan.ok).toBe(true);
+    expect(plan.redemptions.map(r => [r.voucher.code, r.amount])).toEqual([['GCAAAA', 50], ['SCBBBB', 40]]);
+  });
+
+  test('TEST-PVO-07: more than the balance, an unknown code or a missing code is refused', () => {
+    expect(planVoucherTenders([{ payment_method: 'voucher', voucher_code: 'SCBBBB', amount: 40.01 }], vouchers, 100, DAY))
+      .toMatchObject({ ok: false, status: 409, error: 'Voucher SCBBBB only has R 40.00 left' });
+    expect(planVoucherTenders([{ payment_method: 'voucher', voucher_code: 'GCZZZZ', amount: 5 }], vouchers, 100, DAY))
+      .toMatchObject({ ok: false, status: 404 });
+    expect(planVoucherTenders([{ payment_method: 'voucher', amount: 5 }], vouchers, 100, DAY))
+      .toMatchObject({ ok: false, status: 400 });
+  });
+
+  test('TEST-PVO-08: a voucher never pays more than the sale total — no change is given', () => {
+    expect(planVoucherTenders([{ payment_method: 'voucher', voucher_code: 'GCAAAA', amount: 80 }], vouchers, 79.99, DAY))
+      .toMatchObject({ ok: false, status: 400 });
+    expect(planVoucherTenders([{ payment_method: 'card', amount: 80 }], vouchers, 80, DAY)).toEqual({ ok: true, redemptions: [] });
+  });
+});
+
+// ─── Liability ───────────────────────────────────────────────────────────────
+
+describe('Vouchers — outstanding liability', () => {
+  test('TEST-PVO-09: open balances are totalled by type and expiry bucket', () => {
+    const summary = summariseLiability([
+      { voucher_type: 'gift_card', status: 'active', balance: '100.00', expires_on: '2026-10-01' },
+      { voucher_type: 'gift_card', status: 'active', balance: 50, expires_on: '2026-11-10' },
+      { voucher_type: 'store_credit', status: 'active', balance: 25.5, expires_on: '2027-01-10' },
+      { voucher_type: 'store_credit', status: 'active', balance: 10, expires_on: '2029-10-19' },
+      { voucher_type: 'gift_card', status: 'active', balance: 5, expires_on: null },
+      { voucher_type: 'gift_card', status: 'cancelled', balance: 999, expires_on: null },
+      { voucher_type: 'gift_card', status: 'redeemed', balance: 0, expires_on: null },
+    ], DAY);
+    expect(summary).toEqual({
+      count: 5,
+      outstanding: 190.5,
+      byType: { gift_card: 155, store_credit: 35.5 },
+      byExpiry: { overdue: 100, within30Days: 50, within90Days: 25.5, later: 10, noExpiry: 5 },
+    });
+  });
+});
+
+// ─── GL journal lines ────────────────────────────────────────────────────────
+
+describe('Vouchers — GL journal lines', () => {
+  const accounts = { clearing: 10, liability: 20, breakage: 30, returns: 40 };
+
+  test('TEST-PVO-10: paid issues go through clearing; unpaid store credit is charged to sales returns', () => {
+    const { totals, lines } = voucherJournal([
+      { type: 'issue', amount: '200.00', payment_method: 'cash' },
+      { type: 'issue', amount: 150, payment_method: 'card' },
+      { type: 'issue', amount: 80, payment_method: null },   // store credit on a return
+      { type: 'issue', amount: 20 },                         // goodwill voucher
+      { type: 'redeem', amount: -120, payment_method: null },
+      { type: 'redeem_reversal', amount: 20 },
+      { type: 'expire', amount: -15.5 },
+    ], accounts, DAY);
+
+    expect(totals).toEqual({ issued: 350, creditIssued: 100, redeemed: 100, writtenOff: 15.5 });
+    expect(lines).toEqual([
+      { accountId: 10, debit: 350, credit: 0, description: `POS vouchers sold to ${DAY}` },
+      { accountId: 20, debit: 0, credit: 350, description: `POS vouchers sold to ${DAY}` },
+      { accountId: 40, debit: 100, credit: 0, description: `POS store credit issued to ${DAY}` },
+      { accountId: 20, debit: 0, credit: 100, description: `POS store credit issued to ${DAY}` },
+      { accountId: 20, debit: 100, credit: 0, description: `POS vouchers redeemed to ${DAY}` },
+      { accountId: 10, debit: 0, credit: 100, description: `POS vouchers redeemed to ${DAY}` },
+      { accountId: 20, debit: 15.5, credit: 0, description: `POS vouchers expired/cancelled to ${DAY}` },
+      { accountId: 30, debit: 0, credit: 15.5, description: `POS vouchers expired/cancelled to ${DAY}` },
+    ]);
+  });
+
+  test('TEST-PVO-11: a leg that nets negative flips sides; a zero leg is left out', () => {
+    const { lines } = voucherJournal([
+      { type: 'redeem', amount: -30 },
+      { type: 'redeem_reversal', amount: 50 },
+      { type: 'issue', amount: 0, payment_method: 'cash' },
+    ], accounts, DAY);
+    expect(lines).toEqual([
+      { accountId: 10, debit: 20, credit: 0, description: `POS vouchers redeemed to ${DAY}` },
+      { accountId: 20, debit: 0, credit: 20, description: `POS vouchers redeemed to ${DAY}` },
+    ]);
+  });
+});
@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Recurring Invoices & Journals — Schedule Maths, Period Keys and Template Validation
+ * Unit tests for the pure helpers in recurringUtils.js. Route-level guards
+ * are covered in recurring-routes.test.js.
+ *
+ * Scenarios covered:
+ *   TEST-RCU-01  Monthly on the 31st clamps to month end and returns to the 31st.
+ *   TEST-RCU-02  Leap-year February and year roll-over.
+ *   TEST-RCU-03  Weekly, quarterly and yearly steps honour the interval.
+ *   TEST-RCU-04  First occurrence on or after a date respects the end date.
+ *   TEST-RCU-05  One key per frequency period.
+ *   TEST-RCU-06  Catches up every missed period and moves next run past asOf.
+ *   TEST-RCU-07  Nothing due before the next run date.
+ *   TEST-RCU-08  End date stops the schedule (next run null).
+ *   TEST-RCU-09  Catch-up is capped and resumes where it stopped.
+ *   TEST-RCU-10  A fresh template derives its first run from the start date.
+ *   TEST-RCU-11  {month}, {date} and {period} are substituted.
+ *   TEST-RCU-12  Due date from dueDays crosses month ends.
+ *   TEST-RCU-13  Schedule errors are reported together.
+ *   TEST-RCU-14  Invoice payload needs a customer and priced account lines.
+ *   TEST-RCU-15  Journal payload must balance, one side per line.
+ *   TEST-RCU-16  Journal lines inherit the template description.
+ */
+
+const {
+  occurrenceDate,
+  periodKey,
+  firstOccurrenceOnOrAfter,
+  dueOccurrences,
+  addDays,
+  applyPlaceholders,
+  validateSchedule,
+  validatePayload,
+  journalLinesFor,
+  MAX_CATCH_UP,
+} = require('../modules/accounting/services/recurringUtils');
+
+// ─── Occurrence dates ────────────────────────────────────────────────────────
+
+describe('Recurring schedule — occurrenceDate', () => {
+  test('TEST-RCU-01: monthly on the 31st clamps to month end and returns to the 31st', () => {
+    const s = { frequency: 'monthly', intervalCount: 1, startDate: '2025-01-31' };
+    expect([0, 1, 2, 3].map(n => occurrenceDate(s, n)))
+      .toEqual(['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30']);
+  });
+
+  test('TEST-RCU-02: leap-year February and year roll-over', () => {
+    const s = { frequency: 'monthly', intervalCount: 1, startDate: '2023-12-29' };
+    expect(occurrenceDate(s, 2)).toBe('2024-02-29');
+    expect(occurrenceDate(s, 14)).toBe('2025-02-28');
+  });
+
+  test('TEST-RCU-03: weekly, quarterly and yearly steps honour the interval', () => {
+    expect(occurrenceDate({ frequency: 'weekly', intervalCount: 2, startDate: '2025-03-03' }, 2)).toBe('2025-03-31');
+    expect(occurrenceDate({ frequency: 'quarterly', intervalCount: 1, startDate: '2025-02-28' }, 1)).toBe('2025-05-28');
+    expect(occurrenceDate({ frequency: 'yearly', intervalCount: 1, startDate: '2024-02-29' }, 1)).toBe('2025-02-28');
+  });
+
+  test('TEST-RCU-04: first occurrence on or after a date respects the end date', () => {
+    const s = { frequency: 'monthly', intervalCount: 1, startDate: '2025-01-15', endDate: '2025-06-30' };
+    expect(firstOccurrenceOnOrAfter(s, '2025-03-16')).toBe('2025-04-15');
+    expect(firstOccurrenceOnOrAfter(s, '2025-06-16')).toBeNull();
+  });
+});
+
+// ─── Period keys ─────────────────────────────────────────────────────────────
+
+describe('Recurring schedule — periodKey', () => {
+  test('TEST-RCU-05: one key per frequency period', () => {
+    expect(periodKey('monthly', '2025-03-31')).toBe('2025-03');
+    expect(periodKey('quarterly', '2025-03-31')).toBe('2025-Q1');
+    expect(periodKey('quarterly', '2025-10-01')).toBe('2025-Q4');
+    expect(periodKey('yearly', '2025-03-31')).toBe('2025');
+    expect(periodKey('weekly', '2025-03-14')).toBe('2025-03-14');
+  });
+});
+
+// ─── Due occurrences ─────────────────────────────────────────────────────────
+
+describe('Recurring schedule — dueOccurrences', () => {
+  const schedule = {
+    frequency: 'monthly', intervalCount: 1, startDate: '2025-01-31', endDate: null, nextRunDate: '2025-02-28',
+  };
+
+  test('TEST-RCU-06: catches up every missed period and moves next run past asOf', () => {
+    const { due, nextRunDate } = dueOccurrences(schedule, '2025-04-30');
+    expect(due).toEqual([
+      { occurrenceDate: '2025-02-28', periodKey: '2025-02' },
+      { occurrenceDate: '2025-03-31', periodKey: '2025-03' },
+      { occurrenceDate: '2025-04-30', periodKey: '2025-04' },
+    ]);
+    expect(nextRunDate).toBe('2025-05-31');
+  });
+
+  test('TEST-RCU-07: nothing due before the next run date', () => {
+    const { due, nextRunDate } = dueOccurrences(schedule, '2025-02-27');
+    expect(due).toHaveLength(0);
+    expect(nextRunDate).toBe('2025-02-28');
+  });
+
+  test('TEST-RCU-08: end date stops the schedule (next run null)', () => {
+    const { due, nextRunDate } = dueOccurrences({ ...schedule, endDate: '2025-03-31' }, '2025-12-31');
+    expect(due.map(d => d.periodKey)).toEqual(['2025-02', '2025-03']);
+    expect(nextRunDate).toBeNull();
+  });
+
+  test('TEST-RCU-09: catch-up is capped and resumes where it stopped', () => {
+    const weekly = { frequency: 'weekly', intervalCount: 1, startDate: '2020-01-06', nextRunDate: '2020-01-06' };
+    const first = dueOccurrences(weekly, '2025-01-01');
+    expect(first.due).toHaveLength(MAX_CATCH_UP);
+    const second = dueOccurrences({ ...weekly, nextRunDate: first.nextRunDate }, '2025-01-01');
+    expect(second.due[0].occurrenceDate > first.due[MAX_CATCH_UP - 1].occurrenceDate).toBe(true);
+  });
+
+  test('TEST-RCU-10: a fresh template derives its first run from the start date', () => {
+    const { nextRunDate, due } = dueOccurrences(
+      { frequency: 'quarterly', intervalCount: 1, startDate: '2025-03-31' }, '2025-03-31'
+    );
+    expect(due.map(d => d.periodKey)).toEqual(['2025-Q1']);
+    expect(nextRunDate).toBe('2025-06-30');
+  });
+});
+
+// ─── Placeholders and due dates ──────────────────────────────────────────────
+
+describe('Recurring schedule — placeholders and due dates', () => {
+  test('TEST-RCU-11: {month}, {date} and {period} are substituted', () => {
+    expect(applyPlaceholders('Retainer — {month}', '2025-03-31', 'monthly')).toBe('Retainer — March 2025');
+    expect(applyPlaceholders('Accrual {period} ({date})', '2025-03-31', 'quarterly')).toBe('Accrual 2025-Q1 (2025-03-31)');
+    expect(applyPlaceholders(null, '2025-03-31', 'monthly')).toBeNull();
+  });
+
+  test('TEST-RCU-12: due date from dueDays crosses month ends', () => {
+    expect(addDays('2025-01-31', 30)).toBe('2025-03-02');
+  });
+});
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+describe('Recurring templates — validateSchedule / validatePayload', () => {
+  test('TEST-RCU-13: schedule errors are reported together', () => {
+    expect(validateSchedule({ frequency: 'monthly', intervalCount: 1, startDate: '2025-01-01' })).toEqual([]);
+    const errors = validateSchedule({ frequency: 'daily', intervalCount: 0, startDate: '2025-03-01', endDate: '2025-02-01', mode: 'auto' });
+    expect(errors).toHaveLength(4);
+  });
+
+  test('TEST-RCU-14: invoice payload needs a customer and priced account lines', () => {
+    expect(validatePayload('customer_invoice', {
+      customerId: 7, lines: [{ accountId: 4000, quantity: 1, unitPrice: 5000 }],
+    })).toEqual([]);
+    expect(validatePayload('customer_invoice', { lines: [{ accountId: 4000, unitPrice: 0 }] })).toEqual([
+      'payload.customerId is required',
+      'Line 1: unitPrice must be greater than zero',
+    ]);
+  });
+
+  test('TEST-RCU-15: journal payload must balance, one side per line', () => {
+    const ok = { description: 'Audit fee accrual', lines: [
+      { accountId: 6100, debit: 2500, credit: 0 }, { accountId: 2200, debit: 0, credit: 2500 },
+    ] };
+    expect(validatePayload('journal', ok)).toEqual([]);
+    const bad = validatePayload('journal', { description: 'x', lines: [
+      { accountId: 6100, debit: 2500, credit: 0 }, { accountId: 2200, debit: 10, credit: 2000 },
+    ] });
+    expect(bad).toEqual([
+      'Line 2: enter either a debit or a credit',
+      'Journal does not balance (debits 2510, credits 2000)',
+    ]);
+  });
+
+  test('TEST-RCU-16: journal lines inherit the template description', () => {
+    const lines = journalLinesFor({ description: 'Rent recovery {month}', lines: [
+      { accountId: '1100', debit: '1000.005', credit: 0 },
+      { accountId: 4300, debit: 0, credit: 1000.01, description: 'Rent income' },
+    ] }, '2025-04-01', 'monthly');
+    expect(lines[0]).toEqual({ accountId: 1100, debit: 1000.01, credit: 0, description: 'Rent recovery April 2025', segmentValueId: null });
+    expect(lines[1].description).toBe('Rent income');
+  });
+});
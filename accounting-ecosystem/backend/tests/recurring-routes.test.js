@@ -0,0 +1,226 @@
+'use strict';
+
+/**
+ * Recurring Invoices & Journals — Route Guards
+ * Drives the recurring template and run routes (authenticate + hasPermission
+ * + handler) against a mocked Supabase client, pg pool and JournalService.
+ *
+ * Scenarios covered:
+ *   TEST-REC-01  Viewer cannot create a template → 403, nothing written.
+ *   TEST-REC-02  Bookkeeper cannot run a template now → 403.
+ *   TEST-REC-03  Template lines on another company's account → 404, nothing inserted.
+ *   TEST-REC-04  Running another company's template → 404, no transaction.
+ *   TEST-REC-05  A due occurrence in a locked period is skipped, the next is generated, the schedule advances.
+ *   TEST-REC-06  A period that already has its run is not generated again.
+ *   TEST-REC-07  A template another process is working on → 409, nothing generated.
+ *   TEST-REC-08  Retrying a run that already posted → 409, nothing generated.
+ */
+
+// ── Mock declarations (factory vars must start with mock*) ──────────────────────
+
+const mockTables = {};
+const mockFilters = [];
+const mockQueries = [];
+const mockState = { templates: [], runs: [], claimed: new Set(), lockedRow: true };
+const mockIsPeriodLocked = jest.fn();
+const mockCreateDraftJournal = jest.fn();
+
+function mockSbChain(table) {
+  const chain = {};
+  for (const m of ['select', 'eq', 'in']) {
+    chain[m] = jest.fn((...args) => {
+      if (m !== 'select') mockFilters.push({ table, op: m, args });
+      return chain;
+    });
+  }
+  chain.maybeSingle = jest.fn(() => Promise.resolve(mockTables[`${table}.single`] || { data: null, error: null }));
+  chain.then = (resolve, reject) => Promise.resolve(mockTables[table] || { data: [], error: null }).then(resolve, reject);
+  return chain;
+}
+
+/** Templates and runs are looked up by id and company, like the real WHERE clauses. */
+async function mockPoolQuery(sql, params = []) {
+  mockQueries.push({ sql: sql.trim(), params });
+  const byIdAndCompany = rows => rows.filter(r => r.id === parseInt(params[0], 10) && r.company_id === params[1]);
+  if (sql.includes('FROM recurring_templates WHERE id = $1 AND company_id = $2')) return { rows: byIdAndCompany(mockState.templates) };
+  if (sql.includes('FROM recurring_runs WHERE id = $1 AND company_id = $2')) return { rows: byIdAndCompany(mockState.runs) };
+  if (sql.includes('INSERT INTO recurring_runs')) {
+    if (mockState.claimed.has(params[2])) return { rows: [] };
+    mockState.claimed.add(params[2]);
+    return { rows: [{ id: 700 + mockState.claimed.size }] };
+  }
+  if (sql.includes('SET status = $2')) return { rows: [{ id: params[0], status: params[1], journal_id: params[3], message: params[4] }] };
+  return { rows: [] };
+}
+
+const mockClient = {
+  query: jest.fn(async (sql, params) => {
+    mockQueries.push({ sql: sql.trim(), params });
+    if (sql.includes('SKIP LOCKED')) return { rows: mockState.lockedRow ? mockState.templates.filter(t => t.id === parseInt(params[0], 10)) : [] };
+    return { rows: [] };
+  }),
+  release: jest.fn(),
+};
+
+jest.mock('../config/database', () => ({
+  supabase: { from: jest.fn(table => mockSbChain(table)) },
+}));
+
+jest.mock('../modules/accounting/config/database', () => ({
+  query:     jest.fn((...a) => mockPoolQuery(...a)),
+  getClient: jest.fn(async () => mockClient),
+}));
+
+jest.mock('../modules/accounting/services/journalService', () => ({
+  isPeriodLocked:     (...a) => mockIsPeriodLocked(...a),
+  createDraftJournal: (...a) => mockCreateDraftJournal(...a),
+  postJournal:        jest.fn(),
+}));
+
+jest.mock('../modules/accounting/services/auditLogger', () => ({
+  log:           jest.fn().mockResolvedValue(undefined),
+  logUserAction: jest.fn().mockResolvedValue(undefined),
+}));
+
+const db = require('../modules/accounting/config/database');
+const recurringRouter = require('../modules/accounting/routes/recurring');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────────
+
+/** Run every layer registered for `method path` (auth, permission, handler) like Express would. */
+async function callRoute(method, path, { role = 'accountant', body = {}, params = {}, companyId = 42 } = {}) {
+  const layer = recurringRouter.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+  const req = { body, params, query: {}, companyId, user: { userId: 7, role, email: 'books@example.co.za' }, get: () => 'jest', ip: '127.0.0.1' };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  for (const { handle } of layer.route.stack) {
+    let next = false;
+    await handle(req, res, () => { next = true; });
+    if (!next) break;
+  }
+  return res;
+}
+
+const runNow = (opts = {}) => callRoute('post', '/templates/:id/run', { params: { id: '31' }, body: { asOfDate: '2026-09-15' }, ...opts });
+
+// ── Test data ───────────────────────────────────────────────────────────────────
+
+const RENT_PAYLOAD = {
+  description: 'Office rent {month}',
+  lines: [{ accountId: 6100, debit: 15000, credit: 0 }, { accountId: 2000, debit: 0, credit: 15000 }],
+};
+
+// Monthly on the 1st, August and September due by 15 September
+const RENT_TEMPLATE = {
+  id: 31, company_id: 42, name: 'Office rent', document_type: 'journal', frequency: 'monthly', interval_count: 1,
+  start_date: '2026-08-01', end_date: null, next_run_date: '2026-08-01', mode: 'draft', payload: RENT_PAYLOAD, is_active: true,
+};
+
+describe('Recurring Invoices & Journals — Route Guards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockFilters.length = 0;
+    mockQueries.length = 0;
+    for (const k of Object.keys(mockTables)) delete mockTables[k];
+    mockState.templates = [{ ...RENT_TEMPLATE }];
+    mockState.runs = [];
+    mockState.claimed = new Set();
+    mockState.lockedRow = true;
+    mockIsPeriodLocked.mockResolvedValue(false);
+    mockCreateDraftJournal.mockResolvedValue({ id: 901 });
+  });
+
+  test('TEST-REC-01: viewer cannot create a template → 403, nothing written', async () => {
+    const res = await callRoute('post', '/templates', { role: 'readonly', body: { name: 'Office rent' } });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.permission).toBe('recurring.manage');
+    expect(mockQueries).toEqual([]);
+  });
+
+  test('TEST-REC-02: bookkeeper cannot run a template now → 403', async () => {
+    const res = await runNow({ role: 'bookkeeper' });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.permission).toBe('recurring.run');
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  test('TEST-REC-03: template lines on another company\'s account → 404, nothing inserted', async () => {
+    mockTables.accounts = { data: [{ id: 6100 }], error: null };
+
+    const res = await callRoute('post', '/templates', {
+      body: { name: 'Office rent', documentType: 'journal', frequency: 'monthly', startDate: '2026-08-01', payload: RENT_PAYLOAD },
+    });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Account(s) not found for this company: 2000');
+    expect(mockFilters).toContainEqual({ table: 'accounts', op: 'eq', args: ['company_id', 42] });
+    expect(mockQueries.some(q => q.sql.startsWith('INSERT INTO recurring_templates'))).toBe(false);
+  });
+
+  test('TEST-REC-04: running another company\'s template → 404, no transaction', async () => {
+    const res = await runNow({ companyId: 77 });
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Recurring template not found.');
+    expect(mockQueries[0].params).toEqual(['31', 77]);
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  test('TEST-REC-05: a due occurrence in a locked period is skipped, the next is generated, the schedule advances', async () => {
+    mockIsPeriodLocked.mockImplementation(async (companyId, date) => date < '2026-09-01');
+
+    const res = await runNow();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.skippedLocked.map(r => r.status)).toEqual(['skipped_locked']);
+    expect(res.body.created.map(r => r.journal_id)).toEqual([901]);
+    expect(res.body.failed).toEqual([]);
+    expect(mockIsPeriodLocked.mock.calls).toEqual([[42, '2026-08-01'], [42, '2026-09-01']]);
+    expect(mockCreateDraftJournal).toHaveBeenCalledTimes(1);
+    expect(mockCreateDraftJournal.mock.calls[0][0]).toMatchObject({ companyId: 42, date: '2026-09-01', sourceType: 'recurring' });
+    const advance = mockQueries.find(q => q.sql.includes('SET next_run_date = $2'));
+    expect(advance.params).toEqual(['31', '2026-10-01']);
+    expect(mockQueries[mockQueries.length - 1].sql).toBe('COMMIT');
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  test('TEST-REC-06: a period that already has its run is not generated again', async () => {
+    mockState.claimed = new Set(['2026-08', '2026-09']);
+
+    const res = await runNow();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ created: [], posted: [], skippedLocked: [], failed: [] });
+    // Only skipped or failed runs may be re-claimed
+    const reclaim = mockQueries.find(q => q.sql.includes("SET status = 'pending'"));
+    expect(reclaim.params[3]).toEqual(['skipped_locked', 'failed']);
+    expect(mockCreateDraftJournal).not.toHaveBeenCalled();
+  });
+
+  test('TEST-REC-07: a template another process is working on → 409, nothing generated', async () => {
+    mockState.lockedRow = false;
+
+    const res = await runNow();
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toMatch(/already being processed/);
+    expect(mockQueries.some(q => q.sql.includes('INSERT INTO recurring_runs'))).toBe(false);
+    expect(mockCreateDraftJournal).not.toHaveBeenCalled();
+  });
+
+  test('TEST-REC-08: retrying a run that already posted → 409, nothing generated', async () => {
+    mockState.runs = [{ id: 705, template_id: 31, company_id: 42, period_key: '2026-08', occurrence_date: '2026-08-01', status: 'posted' }];
+
+    const res = await callRoute('post', '/runs/:id/retry', { params: { id: '705' } });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('Only skipped or failed runs can be retried (run is posted).');
+    expect(mockCreateDraftJournal).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,42 @@
+-- ============================================================================
+-- Migration 078: POS Product Variants (size / colour / style matrix)
+-- ============================================================================
+-- Clothing and footwear clients need one "product" in many sizes and
+-- colours. A variant is modelled as an ordinary products row with a
+-- parent_product_id — NOT a separate variants table — so everything that
+-- already works per product_id keeps working per variant unchanged:
+-- checkout + stock RPCs, stockCAS, product_location_stock (per-variant
+-- stock by location), barcode lookup, serial tracking, inventory
+-- adjustments, supplier receives and transfers.
+--
+-- The parent row is a template: is_variant_parent = true, carries the
+-- attribute lists in variant_options, and is never sold itself (sales.js
+-- rejects it). Reports roll variant lines up to the parent.
+--
+--   variant_options    (parent)  [{"name":"size","values":["S","M","L"]}, ...]
+--   variant_attributes (variant) {"size":"M","colour":"Black"}
+--
+-- Safe to run multiple times (ADD COLUMN IF NOT EXISTS / IF NOT EXISTS).
+-- Run in: Supabase SQL Editor
+-- ============================================================================
+
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS parent_product_id  INTEGER REFERENCES products(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS is_variant_parent  BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS variant_options    JSONB,
+  ADD COLUMN IF NOT EXISTS variant_attributes JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_products_parent ON products(company_id, parent_product_id)
+  WHERE parent_product_id IS NOT NULL;
+
+-- One variant per attribute combination under a parent (jsonb equality is
+-- key-order independent, so {"size":"M","colour":"Black"} and
+-- {"colour":"Black","size":"M"} collide as they should).
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_variant_unique
+  ON products(parent_product_id, variant_attributes)
+  WHERE parent_product_id IS NOT NULL;
+
+-- A variant's parent is a template, never itself a variant.
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_variant_not_parent;
+ALTER TABLE products ADD CONSTRAINT products_variant_not_parent
+  CHECK (NOT (is_variant_parent AND parent_product_id IS NOT NULL));
@@ -0,0 +1,65 @@
+-- ============================================================================
+-- Migration 079: POS Promotion Rules (mix-and-match / quantity breaks)
+-- ============================================================================
+-- Per-product markdowns (pos_daily_discounts) cannot express "3 for 2",
+-- "any 2 from this category for R99", "6+ for 10% off", meal deals or
+-- "spend R500, save R50". Those are rules over the whole cart, so they get
+-- their own table, grouped under the existing pos_promotion_campaigns
+-- wrapper (promotionCampaigns.js).
+--
+-- Rules are evaluated server-side by services/promotionEngine.js inside
+-- sales.js's price resolution — after resolveEffectivePrices() and any
+-- manager line override — so the till cannot skip them. Each sale records
+-- what it got in pos_sale_promotions: the receipt itemises the savings and
+-- the campaign performance report counts redemptions per rule from it.
+--
+--   rule_type  buy_x_get_y | mix_and_match | quantity_break | combo | spend_threshold
+--   priority   higher runs first
+--   stacking   exclusive (only untouched units, locks them) | stackable
+--   config     rule-specific JSON — see promotionEngine.validateRule()
+--
+-- Safe to run multiple times (IF NOT EXISTS).
+-- Run in: Supabase SQL Editor
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS pos_promotion_rules (
+  id           SERIAL PRIMARY KEY,
+  company_id   INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  campaign_id  INTEGER NOT NULL REFERENCES pos_promotion_campaigns(id) ON DELETE CASCADE,
+  name         VARCHAR(150) NOT NULL,
+  rule_type    VARCHAR(30) NOT NULL
+               CHECK (rule_type IN ('buy_x_get_y', 'mix_and_match', 'quantity_break', 'combo', 'spend_threshold')),
+  priority     INTEGER NOT NULL DEFAULT 0,
+  stacking     VARCHAR(20) NOT NULL DEFAULT 'exclusive'
+               CHECK (stacking IN ('exclusive', 'stackable')),
+  config       JSONB NOT NULL DEFAULT '{}',
+  valid_from   DATE,
+  valid_until  DATE,
+  is_active    BOOLEAN NOT NULL DEFAULT true,
+  created_by   INTEGER REFERENCES users(id),
+  created_at   TIMESTAMPTZ DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pos_promotion_rules_company
+  ON pos_promotion_rules(company_id) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_pos_promotion_rules_campaign
+  ON pos_promotion_rules(campaign_id);
+
+-- One row per rule applied to a sale. rule_name / rule_type are copied so
+-- a receipt reprint still reads correctly after the rule is edited.
+CREATE TABLE IF NOT EXISTS pos_sale_promotions (
+  id               SERIAL PRIMARY KEY,
+  company_id       INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  sale_id          INTEGER NOT NULL REFERENCES sales(id) ON DELETE CASCADE,
+  rule_id          INTEGER REFERENCES pos_promotion_rules(id) ON DELETE SET NULL,
+  rule_name        VARCHAR(150) NOT NULL,
+  rule_type        VARCHAR(30) NOT NULL,
+  times_applied    INTEGER NOT NULL DEFAULT 1,
+  discount_amount  NUMERIC(12,2) NOT NULL DEFAULT 0,
+  items            JSONB NOT NULL DEFAULT '[]',
+  created_at       TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pos_sale_promotions_sale ON pos_sale_promotions(sale_id);
+CREATE INDEX IF NOT EXISTS idx_pos_sale_promotions_rule ON pos_sale_promotions(rule_id);
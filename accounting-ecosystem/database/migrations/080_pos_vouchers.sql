@@ -0,0 +1,80 @@
+-- ============================================================================
+-- Migration 080: POS Gift Cards and Store Credit Vouchers
+-- ============================================================================
+-- A voucher is a prepaid balance identified by a unique code (printed as a
+-- Code 128 barcode on the card / credit note and scanned at the till):
+--
+--   gift_card     sold over the counter (vouchers.js) — cash/card/EFT in,
+--                 liability out; NOT a sale, so no revenue or VAT until it
+--                 is spent (VAT Act s10(19) face-value voucher treatment)
+--   store_credit  issued instead of a cash refund (sales.js POST
+--                 /:id/return with refund_method 'store_credit'), or by a
+--                 manager as goodwill
+--
+-- Both are redeemed the same way: a { payment_method: 'voucher',
+-- voucher_code, amount } leg in a sale's payments split — partial
+-- redemption leaves the rest on the voucher.
+--
+-- pos_voucher_transactions is the balance ledger, same shape as
+-- customer_account_transactions: every movement is a signed row with
+-- balance_after, and pos_vouchers.balance is only ever moved by a
+-- compare-and-swap alongside a new ledger row (services/voucherLedger.js).
+-- journal_id is set once accounting has posted the movement to the GL
+-- (accounting/routes/pos-bridge.js POST /vouchers/post-journal), so each
+-- movement reaches the voucher liability account exactly once.
+--
+-- Safe to run multiple times (IF NOT EXISTS).
+-- Run in: Supabase SQL Editor
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS pos_vouchers (
+  id                SERIAL PRIMARY KEY,
+  company_id        INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  code              VARCHAR(32) NOT NULL,
+  voucher_type      VARCHAR(20) NOT NULL CHECK (voucher_type IN ('gift_card', 'store_credit')),
+  initial_amount    NUMERIC(12,2) NOT NULL CHECK (initial_amount > 0),
+  balance           NUMERIC(12,2) NOT NULL CHECK (balance >= 0),
+  status            VARCHAR(20) NOT NULL DEFAULT 'active'
+                    CHECK (status IN ('active', 'redeemed', 'expired', 'cancelled')),
+  expires_on        DATE,
+  customer_id       INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+  issued_return_id  INTEGER REFERENCES pos_returns(id) ON DELETE SET NULL,
+  notes             TEXT,
+  issued_by         INTEGER REFERENCES users(id),
+  created_at        TIMESTAMPTZ DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT pos_vouchers_code_unique UNIQUE (company_id, code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pos_vouchers_company_status ON pos_vouchers(company_id, status);
+CREATE INDEX IF NOT EXISTS idx_pos_vouchers_customer ON pos_vouchers(customer_id) WHERE customer_id IS NOT NULL;
+-- One store-credit note per return — a retried return can't issue a second.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pos_vouchers_return ON pos_vouchers(issued_return_id)
+  WHERE issued_return_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS pos_voucher_transactions (
+  id               SERIAL PRIMARY KEY,
+  company_id       INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  voucher_id       INTEGER NOT NULL REFERENCES pos_vouchers(id) ON DELETE CASCADE,
+  type             VARCHAR(20) NOT NULL
+                   CHECK (type IN ('issue', 'redeem', 'redeem_reversal', 'expire', 'cancel')),
+  amount           NUMERIC(12,2) NOT NULL,          -- signed: + adds to the balance, - takes from it
+  balance_after    NUMERIC(12,2) NOT NULL,
+  sale_id          INTEGER REFERENCES sales(id) ON DELETE SET NULL,
+  return_id        INTEGER REFERENCES pos_returns(id) ON DELETE SET NULL,
+  till_session_id  INTEGER REFERENCES till_sessions(id) ON DELETE SET NULL,
+  payment_method   VARCHAR(30),                     -- how a gift card was paid for ('issue' rows)
+  reference        VARCHAR(100),
+  journal_id       INTEGER,                         -- set once posted to the GL
+  created_by       INTEGER REFERENCES users(id),
+  created_at       TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pos_voucher_tx_voucher ON pos_voucher_transactions(voucher_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_pos_voucher_tx_sale ON pos_voucher_transactions(sale_id) WHERE sale_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_pos_voucher_tx_session ON pos_voucher_transactions(till_session_id) WHERE till_session_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_pos_voucher_tx_unposted ON pos_voucher_transactions(company_id, created_at)
+  WHERE journal_id IS NULL;
+-- A sale redeems a voucher once, and a void restores it once.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pos_voucher_tx_redeem_once ON pos_voucher_transactions(voucher_id, sale_id, type)
+  WHERE type IN ('redeem', 'redeem_reversal');
@@ -0,0 +1,232 @@
+-- ============================================================================
+-- Migration 081: POS Lay-by Agreements
+-- ============================================================================
+-- A lay-by is goods put aside for a customer who pays them off over time
+-- (Consumer Protection Act s62). Unlike an order (sales.js POST /orders) no
+-- sale exists until the last payment — the goods are only handed over, and
+-- revenue and VAT recognised, when the agreement completes:
+--
+--   open        deposit taken, stock reserved (products.stock_quantity is
+--               reduced, so the till and every stock check already treat
+--               it as unavailable), instalments due on a schedule
+--   completed   paid in full and collected — converted into a normal sale
+--               (sale_id), which releases the reservation as it deducts the
+--               stock for real
+--   cancelled   stock released, the amount paid refunded less the
+--               cancellation fee
+--
+-- Every payment (and a cancellation refund, as a negative row) is a
+-- pos_layby_payments row carrying the till_session_id it was taken on, so
+-- it counts in that session's cash-up (posReconService.js) whichever till
+-- took it.
+--
+-- company_settings gains the three lay-by terms a company configures:
+-- minimum deposit, cancellation fee and longest allowed term.
+--
+-- Safe to run multiple times (IF NOT EXISTS / CREATE OR REPLACE).
+-- Run in: Supabase SQL Editor
+-- ============================================================================
+
+ALTER TABLE company_settings
+  ADD COLUMN IF NOT EXISTS layby_min_deposit_percent      NUMERIC(5,2) NOT NULL DEFAULT 10,
+  ADD COLUMN IF NOT EXISTS layby_cancellation_fee_percent NUMERIC(5,2) NOT NULL DEFAULT 10,
+  ADD COLUMN IF NOT EXISTS layby_max_term_days            INTEGER      NOT NULL DEFAULT 90;
+
+CREATE TABLE IF NOT EXISTS pos_laybys (
+  id                  SERIAL PRIMARY KEY,
+  company_id          INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  layby_number        VARCHAR(40) NOT NULL,
+  customer_id         INTEGER NOT NULL REFERENCES customers(id),
+  status              VARCHAR(20) NOT NULL DEFAULT 'open'
+                      CHECK (status IN ('open', 'completed', 'cancelled')),
+  subtotal            NUMERIC(12,2) NOT NULL,           -- before discounts, as on a sale
+  discount_amount     NUMERIC(12,2) NOT NULL DEFAULT 0,
+  vat_amount          NUMERIC(12,2) NOT NULL DEFAULT 0,
+  total_amount        NUMERIC(12,2) NOT NULL CHECK (total_amount > 0),
+  deposit_amount      NUMERIC(12,2) NOT NULL CHECK (deposit_amount >= 0),
+  amount_paid         NUMERIC(12,2) NOT NULL DEFAULT 0,
+  frequency           VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'fortnightly', 'monthly')),
+  instalment_count    INTEGER NOT NULL CHECK (instalment_count >= 0),
+  final_due_date      DATE NOT NULL,
+  cancellation_fee    NUMERIC(12,2),
+  refund_amount       NUMERIC(12,2),
+  cancel_reason       TEXT,
+  sale_id             INTEGER REFERENCES sales(id) ON DELETE SET NULL,
+  till_session_id     INTEGER REFERENCES till_sessions(id) ON DELETE SET NULL,
+  idempotency_key     VARCHAR(100),
+  notes               TEXT,
+  created_by          INTEGER REFERENCES users(id),
+  completed_by        INTEGER REFERENCES users(id),
+  cancelled_by        INTEGER REFERENCES users(id),
+  completed_at        TIMESTAMPTZ,
+  cancelled_at        TIMESTAMPTZ,
+  created_at          TIMESTAMPTZ DEFAULT NOW(),
+  updated_at          TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT pos_laybys_number_unique UNIQUE (company_id, layby_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pos_laybys_company_status ON pos_laybys(company_id, status);
+CREATE INDEX IF NOT EXISTS idx_pos_laybys_customer ON pos_laybys(customer_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pos_laybys_idempotency ON pos_laybys(company_id, idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+
+-- Prices are fixed when the agreement is signed — the completion sale is
+-- rung up from these rows, not from the current price list.
+CREATE TABLE IF NOT EXISTS pos_layby_items (
+  id               SERIAL PRIMARY KEY,
+  layby_id         INTEGER NOT NULL REFERENCES pos_laybys(id) ON DELETE CASCADE,
+  product_id       INTEGER NOT NULL REFERENCES products(id),
+  product_name     VARCHAR(255) NOT NULL,
+  quantity         NUMERIC(12,3) NOT NULL CHECK (quantity > 0),
+  unit_price       NUMERIC(12,2) NOT NULL,
+  vat_rate         NUMERIC(5,2) NOT NULL DEFAULT 15,
+  discount_amount  NUMERIC(12,2) NOT NULL DEFAULT 0,
+  line_total       NUMERIC(12,2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_pos_layby_items_layby ON pos_layby_items(layby_id);
+
+-- The balance after the deposit, split into equal instalments. Whether each
+-- one is paid or overdue is worked out from amount_paid (services/laybyPlan.js),
+-- not stored, so an early or lump payment simply covers the next ones.
+CREATE TABLE IF NOT EXISTS pos_layby_instalments (
+  id         SERIAL PRIMARY KEY,
+  layby_id   INTEGER NOT NULL REFERENCES pos_laybys(id) ON DELETE CASCADE,
+  seq        INTEGER NOT NULL,
+  due_date   DATE NOT NULL,
+  amount     NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+  CONSTRAINT pos_layby_instalments_seq_unique UNIQUE (layby_id, seq)
+);
+
+CREATE TABLE IF NOT EXISTS pos_layby_payments (
+  id               SERIAL PRIMARY KEY,
+  company_id       INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  layby_id         INTEGER NOT NULL REFERENCES pos_laybys(id) ON DELETE CASCADE,
+  kind             VARCHAR(20) NOT NULL CHECK (kind IN ('deposit', 'instalment', 'refund')),
+  payment_method   VARCHAR(30) NOT NULL,
+  amount           NUMERIC(12,2) NOT NULL,          -- signed: a refund is negative
+  till_session_id  INTEGER REFERENCES till_sessions(id) ON DELETE SET NULL,
+  reference        VARCHAR(100),
+  idempotency_key  VARCHAR(100),
+  created_by       INTEGER REFERENCES users(id),
+  created_at       TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pos_layby_payments_layby ON pos_layby_payments(layby_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_pos_layby_payments_session ON pos_layby_payments(till_session_id)
+  WHERE till_session_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pos_layby_payments_idempotency ON pos_layby_payments(company_id, idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+
+-- One reminder per overdue instalment — re-running the reminder job the
+-- same day (or the next) never reminds twice for the same instalment.
+CREATE TABLE IF NOT EXISTS pos_layby_reminders (
+  id               SERIAL PRIMARY KEY,
+  company_id       INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  layby_id         INTEGER NOT NULL REFERENCES pos_laybys(id) ON DELETE CASCADE,
+  instalment_seq   INTEGER NOT NULL,
+  channel          VARCHAR(20) NOT NULL CHECK (channel IN ('email', 'manual')),
+  sent_to          VARCHAR(255),
+  amount_overdue   NUMERIC(12,2) NOT NULL,
+  created_by       INTEGER REFERENCES users(id),
+  created_at       TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT pos_layby_reminders_once UNIQUE (layby_id, instalment_seq)
+);
+
+-- ── Completion ────────────────────────────────────────────────────────────────
+-- Rings a paid-up agreement up as a sale and releases its reservation in one
+-- transaction (laybys.js POST /:id/complete). The sale is create_sale_atomic
+-- with the stock check off — the goods are already off the shelf — and the
+-- reservation is put back in the same transaction, so the stock ends up
+-- deducted exactly once or, if anything fails, not touched at all and the
+-- agreement still open.
+--
+-- The agreement row is locked first, so a second completion of the same
+-- lay-by waits, then finds it no longer open and raises.
+CREATE OR REPLACE FUNCTION complete_layby_atomic(
+  p_company_id       INT,
+  p_layby_id         INT,
+  p_user_id          INT,
+  p_sale_number      TEXT,
+  p_till_session_id  INT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_layby   pos_laybys%ROWTYPE;
+  v_items   JSONB;
+  v_result  JSONB;
+BEGIN
+  SELECT * INTO v_layby
+    FROM pos_laybys
+   WHERE id = p_layby_id AND company_id = p_company_id
+     FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Lay-by not found' USING ERRCODE = 'P0002';
+  END IF;
+  IF v_layby.status <> 'open' THEN
+    RAISE EXCEPTION 'This lay-by is already %', v_layby.status USING ERRCODE = 'P0001';
+  END IF;
+  IF v_layby.total_amount - v_layby.amount_paid > 0.005 THEN
+    RAISE EXCEPTION 'R % is still owing — take the final payment first',
+      to_char(v_layby.total_amount - v_layby.amount_paid, 'FM999999990.00') USING ERRCODE = 'P0001';
+  END IF;
+
+  SELECT COALESCE(jsonb_agg(jsonb_build_object(
+           'product_id',      product_id,
+           'product_name',    product_name,
+           'quantity',        quantity,
+           'unit_price',      unit_price,
+           'vat_rate',        vat_rate,
+           'line_total',      line_total,
+           'discount_amount', discount_amount
+         ) ORDER BY id), '[]'::JSONB)
+    INTO v_items
+    FROM pos_layby_items
+   WHERE layby_id = v_layby.id;
+
+  v_result := create_sale_atomic(
+    p_company_id           := p_company_id,
+    p_user_id              := p_user_id,
+    p_sale_number          := p_sale_number,
+    p_receipt_number       := p_sale_number,
+    p_subtotal             := v_layby.subtotal,
+    p_vat_amount           := v_layby.vat_amount,
+    p_total_amount         := v_layby.total_amount,
+    p_items                := v_items,
+    p_payments             := jsonb_build_array(jsonb_build_object(
+                                'payment_method', 'layby',
+                                'amount',         v_layby.total_amount,
+                                'reference',      v_layby.layby_number)),
+    p_discount_amount      := v_layby.discount_amount,
+    p_till_session_id      := p_till_session_id,
+    p_customer_id          := v_layby.customer_id,
+    p_payment_method       := 'layby',
+    p_notes                := 'Lay-by ' || v_layby.layby_number,
+    p_allow_negative_stock := true
+  );
+
+  -- The sale just deducted the stock; put back what the reservation took.
+  UPDATE products p
+     SET stock_quantity = p.stock_quantity + r.quantity
+    FROM (SELECT product_id, SUM(quantity) AS quantity
+            FROM pos_layby_items
+           WHERE layby_id = v_layby.id
+           GROUP BY product_id) r
+   WHERE p.id = r.product_id
+     AND p.company_id = p_company_id;
+
+  UPDATE pos_laybys
+     SET status       = 'completed',
+         sale_id      = (v_result->>'sale_id')::INT,
+         completed_by = p_user_id,
+         completed_at = NOW(),
+         updated_at   = NOW()
+   WHERE id = v_layby.id
+  RETURNING * INTO v_layby;
+
+  RETURN v_result || jsonb_build_object('layby', to_jsonb(v_layby));
+END;
+$$;
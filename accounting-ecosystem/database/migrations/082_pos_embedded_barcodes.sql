@@ -0,0 +1,342 @@
+-- ============================================================================
+-- Migration 082: Weighted and Price-Embedded Barcodes (scale labels)
+-- ============================================================================
+-- Butchery, deli and fresh-produce scales print EAN-13 labels in the GS1
+-- "restricted circulation" range (prefix 20-29) that carry the product's
+-- item code and either the weight or the price:
+--
+--   21 | 01234 | 01235 | 7      prefix, item code, weight (1.235 kg), check
+--
+-- Every scale brand lays these out a little differently, so the layout is a
+-- per-company rule (barcode_embedded_rules) rather than hard-coded — see
+-- services/embeddedBarcode.js for how a scan is decoded. The item code on
+-- the label is matched to products.scale_plu.
+--
+-- Products sold by weight (products.sold_by_weight) are priced per kg and
+-- sold in fractional quantities, so stock_quantity and sale_items.quantity
+-- become NUMERIC(12,3) (grams), as do the stock-adjustment and
+-- supplier-receive quantities that feed them. Existing whole-number values
+-- convert unchanged. The stock RPCs took INT quantities and are re-created
+-- with NUMERIC ones; create_sale_atomic keeps its signature and only casts
+-- the item quantity to NUMERIC instead of INT.
+--
+-- Location stock, transfers and stock takes stay in whole units — weighed
+-- goods are counted company-wide.
+--
+-- Safe to run multiple times (IF NOT EXISTS / DROP ... IF EXISTS).
+-- Run in: Supabase SQL Editor
+-- ============================================================================
+
+-- ── Step 1: Embedded-barcode rules ────────────────────────────────────────────
+-- value_type     'weight' (kg) or 'price' (rand)
+-- value_decimals implied decimals in the value digits (3 = grams, 2 = cents)
+-- check_digit    'validate' — reject a label whose EAN-13 check digit is wrong
+--                'ignore'   — accept it (some scales print a wrong one)
+-- value_check_digit  the scale prints a price/weight check digit between
+--                the item code and the value; it is skipped when decoding
+CREATE TABLE IF NOT EXISTS barcode_embedded_rules (
+  id                 SERIAL PRIMARY KEY,
+  company_id         INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  prefix             VARCHAR(3) NOT NULL CHECK (prefix ~ '^2[0-9]{1,2}$'),
+  item_code_length   INTEGER NOT NULL CHECK (item_code_length BETWEEN 1 AND 7),
+  value_type         VARCHAR(10) NOT NULL CHECK (value_type IN ('weight', 'price')),
+  value_decimals     INTEGER NOT NULL DEFAULT 3 CHECK (value_decimals BETWEEN 0 AND 3),
+  check_digit        VARCHAR(10) NOT NULL DEFAULT 'validate' CHECK (check_digit IN ('validate', 'ignore')),
+  value_check_digit  BOOLEAN NOT NULL DEFAULT false,
+  description        VARCHAR(100),
+  is_active          BOOLEAN NOT NULL DEFAULT true,
+  created_by         INTEGER REFERENCES users(id),
+  created_at         TIMESTAMPTZ DEFAULT NOW(),
+  updated_at         TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT barcode_embedded_rules_prefix_unique UNIQUE (company_id, prefix)
+);
+
+-- ── Step 2: Sold-by-weight products ───────────────────────────────────────────
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS sold_by_weight BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS scale_plu      VARCHAR(7);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_scale_plu ON products(company_id, scale_plu)
+  WHERE scale_plu IS NOT NULL;
+
+-- ── Step 3: Fractional quantities ─────────────────────────────────────────────
+ALTER TABLE products              ALTER COLUMN stock_quantity  TYPE NUMERIC(12,3);
+ALTER TABLE sale_items            ALTER COLUMN quantity        TYPE NUMERIC(12,3);
+ALTER TABLE inventory_adjustments ALTER COLUMN quantity_before TYPE NUMERIC(12,3),
+                                  ALTER COLUMN quantity_change TYPE NUMERIC(12,3),
+                                  ALTER COLUMN quantity_after  TYPE NUMERIC(12,3);
+ALTER TABLE pos_supplier_receives      ALTER COLUMN total_quantity TYPE NUMERIC(12,3);
+ALTER TABLE pos_supplier_receive_items ALTER COLUMN quantity       TYPE NUMERIC(12,3);
+
+-- ── Step 4: Stock RPCs with NUMERIC quantities ────────────────────────────────
+-- CREATE OR REPLACE with a different parameter type adds an overload rather
+-- than replacing (see migration 030) — drop the INT versions first.
+DROP FUNCTION IF EXISTS public.decrement_stock_v2(integer, integer, boolean);
+
+CREATE OR REPLACE FUNCTION decrement_stock_v2(
+  p_product_id     INT,
+  p_quantity       NUMERIC,
+  p_allow_negative BOOLEAN DEFAULT false
+)
+RETURNS VOID AS $$
+DECLARE
+  rows_affected INT;
+BEGIN
+  IF p_allow_negative THEN
+    UPDATE products
+    SET    stock_quantity = stock_quantity - p_quantity
+    WHERE  id = p_product_id;
+
+    GET DIAGNOSTICS rows_affected = ROW_COUNT;
+
+    IF rows_affected = 0 THEN
+      RAISE EXCEPTION
+        'Product % not found during stock decrement', p_product_id;
+    END IF;
+  ELSE
+    UPDATE products
+    SET    stock_quantity = stock_quantity - p_quantity
+    WHERE  id             = p_product_id
+      AND  stock_quantity >= p_quantity;
+
+    GET DIAGNOSTICS rows_affected = ROW_COUNT;
+
+    IF rows_affected = 0 THEN
+      RAISE EXCEPTION
+        'Insufficient stock for product %: cannot decrement by %',
+        p_product_id,
+        p_quantity;
+    END IF;
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP FUNCTION IF EXISTS public.restore_stock_for_return(integer, integer, integer);
+
+CREATE OR REPLACE FUNCTION restore_stock_for_return(
+    p_product_id  INT,
+    p_quantity    NUMERIC,
+    p_company_id  INT
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    rows_affected INT;
+BEGIN
+    UPDATE products
+    SET    stock_quantity = stock_quantity + p_quantity
+    WHERE  id            = p_product_id
+      AND  company_id    = p_company_id;
+
+    GET DIAGNOSTICS rows_affected = ROW_COUNT;
+
+    IF rows_affected = 0 THEN
+        RAISE EXCEPTION
+            'PRODUCT_NOT_FOUND: product % not found in company % during stock restoration',
+            p_product_id, p_company_id;
+    END IF;
+END;
+$$;
+
+-- ── Step 5: create_sale_atomic — NUMERIC item quantities ──────────────────────
+-- Same body and signature as migration 074; only the quantity casts change.
+CREATE OR REPLACE FUNCTION create_sale_atomic(
+  -- Required parameters (no defaults) — must come first (PostgreSQL 42P13 rule)
+  p_company_id          INT,
+  p_user_id             INT,
+  p_sale_number         TEXT,
+  p_receipt_number      TEXT,
+  p_subtotal            NUMERIC,
+  p_vat_amount          NUMERIC,
+  p_total_amount        NUMERIC,
+  p_items               JSONB,
+  p_payments            JSONB,
+  -- Optional parameters (with defaults) — must come after all required params
+  p_discount_amount     NUMERIC  DEFAULT 0,
+  p_till_session_id     INT      DEFAULT NULL,
+  p_customer_id         INT      DEFAULT NULL,
+  p_payment_method      TEXT     DEFAULT 'cash',
+  p_notes               TEXT     DEFAULT NULL,
+  p_idempotency_key     UUID     DEFAULT NULL,
+  p_allow_negative_stock BOOLEAN DEFAULT false
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_sale_id        INT;
+  v_sale_number    TEXT;
+  v_receipt_number TEXT;
+  v_total_amount   NUMERIC;
+  v_item           JSONB;
+  v_payment        JSONB;
+  v_sale_item_id   INT;
+  v_serial_count   INT;
+  v_serials_matched INT;
+BEGIN
+
+  -- ── 0. Idempotency gate ───────────────────────────────────────────────────
+  IF p_idempotency_key IS NOT NULL THEN
+    SELECT id, sale_number, receipt_number, total_amount
+    INTO   v_sale_id, v_sale_number, v_receipt_number, v_total_amount
+    FROM   sales
+    WHERE  idempotency_key = p_idempotency_key;
+
+    IF FOUND THEN
+      RETURN jsonb_build_object(
+        'sale_id',        v_sale_id,
+        'sale_number',    v_sale_number,
+        'receipt_number', v_receipt_number,
+        'total_amount',   v_total_amount,
+        'status',         'completed',
+        'was_duplicate',  true
+      );
+    END IF;
+  END IF;
+
+  -- ── A. Insert sale record ─────────────────────────────────────────────────
+  INSERT INTO sales (
+    company_id,
+    sale_number,
+    receipt_number,
+    user_id,
+    cashier_id,
+    customer_id,
+    till_session_id,
+    subtotal,
+    discount_amount,
+    vat_amount,
+    total_amount,
+    payment_method,
+    payment_status,
+    status,
+    notes,
+    idempotency_key
+  ) VALUES (
+    p_company_id,
+    p_sale_number,
+    p_receipt_number,
+    p_user_id,
+    p_user_id,
+    p_customer_id,
+    p_till_session_id,
+    p_subtotal,
+    p_discount_amount,
+    p_vat_amount,
+    p_total_amount,
+    p_payment_method,
+    'completed',
+    'completed',
+    p_notes,
+    p_idempotency_key
+  )
+  RETURNING id, sale_number, receipt_number, total_amount
+  INTO v_sale_id, v_sale_number, v_receipt_number, v_total_amount;
+
+  -- ── B. Insert sale items (+ optional serial consumption) ─────────────────
+  -- quantity is NUMERIC from this migration on — 1.235 for 1.235 kg.
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+    INSERT INTO sale_items (
+      company_id,
+      sale_id,
+      product_id,
+      product_name,
+      quantity,
+      unit_price,
+      discount_amount,
+      vat_rate,
+      line_total,
+      total_price
+    ) VALUES (
+      p_company_id,
+      v_sale_id,
+      (v_item->>'product_id')::INT,
+       v_item->>'product_name',
+      (v_item->>'quantity')::NUMERIC,
+      (v_item->>'unit_price')::NUMERIC,
+      (v_item->>'discount_amount')::NUMERIC,
+      (v_item->>'vat_rate')::NUMERIC,
+      (v_item->>'line_total')::NUMERIC,
+      (v_item->>'line_total')::NUMERIC
+    )
+    RETURNING id INTO v_sale_item_id;
+
+    -- Serial Number Tracking — optional. Only present when the till
+    -- collected specific serials for a serial-tracked product. Absent/empty
+    -- for every other line item: zero behaviour change.
+    IF v_item ? 'serial_numbers' AND jsonb_array_length(v_item->'serial_numbers') > 0 THEN
+      v_serial_count := jsonb_array_length(v_item->'serial_numbers');
+
+      IF v_serial_count != (v_item->>'quantity')::NUMERIC THEN
+        RAISE EXCEPTION
+          'Serial number count mismatch for product %: expected % (qty), got %',
+          (v_item->>'product_id')::INT, (v_item->>'quantity')::NUMERIC, v_serial_count;
+      END IF;
+
+      UPDATE pos_product_serials
+      SET    status = 'sold', sale_id = v_sale_id, sale_item_id = v_sale_item_id, sold_at = NOW()
+      WHERE  company_id    = p_company_id
+        AND  product_id    = (v_item->>'product_id')::INT
+        AND  status        = 'in_stock'
+        AND  serial_number IN (SELECT jsonb_array_elements_text(v_item->'serial_numbers'));
+
+      GET DIAGNOSTICS v_serials_matched = ROW_COUNT;
+
+      IF v_serials_matched != v_serial_count THEN
+        RAISE EXCEPTION
+          'One or more serial numbers for product % are not currently in stock (already sold, removed, or do not exist)',
+          (v_item->>'product_id')::INT;
+      END IF;
+    END IF;
+  END LOOP;
+
+  -- ── C. Insert payment records ─────────────────────────────────────────────
+  FOR v_payment IN SELECT * FROM jsonb_array_elements(p_payments) LOOP
+    INSERT INTO sale_payments (
+      company_id,
+      sale_id,
+      payment_method,
+      amount,
+      reference
+    ) VALUES (
+      p_company_id,
+      v_sale_id,
+       v_payment->>'payment_method',
+      (v_payment->>'amount')::NUMERIC,
+       v_payment->>'reference'
+    );
+  END LOOP;
+
+  -- ── D. Decrement stock per item (policy-aware) ────────────────────────────
+  -- decrement_stock_v2 is called with the p_allow_negative flag.
+  -- In strict mode (flag = false): raises P0001 on insufficient stock, which
+  -- propagates here and rolls back all inserts above. No orphaned records.
+  -- In negative-stock mode (flag = true): unconditional decrement; stock may
+  -- go below zero. All inserts are still atomic — a missing product still rolls
+  -- back everything.
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+    PERFORM decrement_stock_v2(
+      (v_item->>'product_id')::INT,
+      (v_item->>'quantity')::NUMERIC,
+      p_allow_negative_stock
+    );
+  END LOOP;
+
+  -- ── E. Return created sale identifiers ────────────────────────────────────
+  RETURN jsonb_build_object(
+    'sale_id',              v_sale_id,
+    'sale_number',          v_sale_number,
+    'receipt_number',       v_receipt_number,
+    'total_amount',         v_total_amount,
+    'status',               'completed',
+    'was_duplicate',        false,
+    'negative_stock_allowed', p_allow_negative_stock
+  );
+
+EXCEPTION
+  WHEN OTHERS THEN
+    RAISE;
+
+END;
+$$;
@@ -0,0 +1,121 @@
+-- ============================================================================
+-- Migration 083: Voucher Tenders Taken Inside the Sale Transaction
+-- ============================================================================
+-- A sale paid (partly) by gift card or store credit used to take the
+-- voucher balance after create_sale_atomic had committed, by
+-- compare-and-swap (services/voucherLedger.js). Two tills spending the same
+-- card at once could both pass the pre-sale balance check; the loser's
+-- sale was already saved when its balance update failed, so goods left the
+-- shop against money the card no longer had.
+--
+-- create_sale_with_vouchers runs create_sale_atomic and the voucher debits
+-- in one transaction. Each debit is a single guarded UPDATE (still active,
+-- balance still covers the amount), so a concurrent redemption waits for
+-- the row lock and then re-checks the balance. If any voucher no longer
+-- covers its tender the function raises and the sale, its items, payments
+-- and stock movements roll back with it.
+--
+-- p_vouchers: [{ "voucher_id": 12, "code": "GC7KQ2M9XHT4", "amount": 150.00 }]
+-- — one entry per voucher (sales.js combines legs on the same card).
+--
+-- A replayed sale (same idempotency key) returns the original sale and
+-- touches no voucher: the original request already took the balances.
+--
+-- Safe to run multiple times (CREATE OR REPLACE).
+-- Run in: Supabase SQL Editor
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION create_sale_with_vouchers(
+  p_company_id          INT,
+  p_user_id             INT,
+  p_sale_number         TEXT,
+  p_receipt_number      TEXT,
+  p_subtotal            NUMERIC,
+  p_vat_amount          NUMERIC,
+  p_total_amount        NUMERIC,
+  p_items               JSONB,
+  p_payments            JSONB,
+  p_vouchers            JSONB,
+  p_discount_amount     NUMERIC  DEFAULT 0,
+  p_till_session_id     INT      DEFAULT NULL,
+  p_customer_id         INT      DEFAULT NULL,
+  p_payment_method      TEXT     DEFAULT 'cash',
+  p_notes               TEXT     DEFAULT NULL,
+  p_idempotency_key     UUID     DEFAULT NULL,
+  p_allow_negative_stock BOOLEAN DEFAULT false
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_result    JSONB;
+  v_sale_id   INT;
+  v_tender    JSONB;
+  v_amount    NUMERIC;
+  v_voucher   pos_vouchers%ROWTYPE;
+  v_redeemed  JSONB := '[]'::JSONB;
+BEGIN
+  v_result := create_sale_atomic(
+    p_company_id           := p_company_id,
+    p_user_id              := p_user_id,
+    p_sale_number          := p_sale_number,
+    p_receipt_number       := p_receipt_number,
+    p_subtotal             := p_subtotal,
+    p_vat_amount           := p_vat_amount,
+    p_total_amount         := p_total_amount,
+    p_items                := p_items,
+    p_payments             := p_payments,
+    p_discount_amount      := p_discount_amount,
+    p_till_session_id      := p_till_session_id,
+    p_customer_id          := p_customer_id,
+    p_payment_method       := p_payment_method,
+    p_notes                := p_notes,
+    p_idempotency_key      := p_idempotency_key,
+    p_allow_negative_stock := p_allow_negative_stock
+  );
+
+  IF (v_result->>'was_duplicate')::BOOLEAN THEN
+    RETURN v_result;
+  END IF;
+
+  v_sale_id := (v_result->>'sale_id')::INT;
+
+  FOR v_tender IN SELECT * FROM jsonb_array_elements(COALESCE(p_vouchers, '[]'::JSONB))
+  LOOP
+    v_amount := ROUND((v_tender->>'amount')::NUMERIC, 2);
+
+    UPDATE pos_vouchers
+       SET balance    = balance - v_amount,
+           status     = CASE WHEN balance - v_amount > 0 THEN 'active' ELSE 'redeemed' END,
+           updated_at = NOW()
+     WHERE id         = (v_tender->>'voucher_id')::INT
+       AND company_id = p_company_id
+       AND status     = 'active'
+       AND balance   >= v_amount
+    RETURNING * INTO v_voucher;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Voucher % no longer covers R % — it was spent or cancelled at another till',
+        v_tender->>'code', to_char(v_amount, 'FM999999990.00')
+        USING ERRCODE = 'P0001';
+    END IF;
+
+    INSERT INTO pos_voucher_transactions (
+      company_id, voucher_id, type, amount, balance_after,
+      sale_id, till_session_id, reference, created_by
+    ) VALUES (
+      p_company_id, v_voucher.id, 'redeem', -v_amount, v_voucher.balance,
+      v_sale_id, p_till_session_id, p_sale_number, p_user_id
+    );
+
+    v_redeemed := v_redeemed || jsonb_build_object(
+      'voucher_id',    v_voucher.id,
+      'code',          v_voucher.code,
+      'amount',        v_amount,
+      'balance_after', v_voucher.balance
+    );
+  END LOOP;
+
+  RETURN v_result || jsonb_build_object('voucher_redemptions', v_redeemed);
+END;
+$$;
@@ -0,0 +1,60 @@
+-- ============================================================================
+-- Migration 084: Scale PLUs Stored Without Leading Zeros
+-- ============================================================================
+-- A scale prints its item code zero-padded ('00123'), while a PLU keyed in
+-- on the product form is often typed without the zeros ('123'). Migration
+-- 082's unique index compared the raw text, so one company could hold both
+-- spellings on two different products and a scanned label matched
+-- whichever row came back first.
+--
+-- products.scale_plu is now stored with leading zeros stripped (an all-zero
+-- code is '0') — products.js normalises on save and barcodes.js looks a
+-- label up by the same form (normaliseScalePlu in embeddedBarcode.js). The
+-- CHECK constraint keeps the column in that form, so the existing unique
+-- index on (company_id, scale_plu) now covers the normalised code.
+--
+-- Existing rows are normalised in place. If two products in a company
+-- already share a PLU once the zeros are stripped, nothing is changed and
+-- the migration stops with the clashing codes listed: pick which product
+-- keeps the PLU, clear the other's scale_plu, and run it again.
+--
+-- Safe to run multiple times.
+-- Run in: Supabase SQL Editor
+-- ============================================================================
+
+-- ── Step 1: Refuse to guess between products that collapse to one PLU ────────
+DO $$
+DECLARE
+  v_clashes TEXT;
+BEGIN
+  SELECT string_agg(format('company %s PLU %s (products %s)', company_id, plu, ids), '; ')
+    INTO v_clashes
+    FROM (
+      SELECT company_id,
+             COALESCE(NULLIF(ltrim(scale_plu, '0'), ''), '0') AS plu,
+             string_agg(id::TEXT, ', ' ORDER BY id)           AS ids
+        FROM products
+       WHERE scale_plu IS NOT NULL
+       GROUP BY 1, 2
+      HAVING COUNT(*) > 1
+    ) c;
+
+  IF v_clashes IS NOT NULL THEN
+    RAISE EXCEPTION 'Scale PLUs that differ only by leading zeros: %', v_clashes
+      USING HINT = 'Clear scale_plu on all but one product in each group, then re-run migration 084.';
+  END IF;
+END $$;
+
+-- ── Step 2: Normalise existing codes ──────────────────────────────────────────
+UPDATE products
+   SET scale_plu = COALESCE(NULLIF(ltrim(scale_plu, '0'), ''), '0')
+ WHERE scale_plu IS NOT NULL
+   AND scale_plu <> COALESCE(NULLIF(ltrim(scale_plu, '0'), ''), '0');
+
+-- ── Step 3: Keep them normalised ──────────────────────────────────────────────
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_scale_plu_normalised;
+ALTER TABLE products ADD CONSTRAINT products_scale_plu_normalised
+  CHECK (scale_plu IS NULL OR scale_plu ~ '^(0|[1-9][0-9]{0,6})$');
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_scale_plu ON products(company_id, scale_plu)
+  WHERE scale_plu IS NOT NULL;